@@ -0,0 +1,188 @@
+import Queue from 'bull';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Retry failed jobs with backoff; keep recent history for the admin job view
+const DEFAULT_JOB_OPTIONS = {
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 5000 },
+  removeOnComplete: 200,
+  removeOnFail: 1000
+};
+
+const queues = new Map();
+let queuesReady = false;
+
+const isQueueConfigured = () =>
+  !['false', '0'].includes(process.env.REDIS_ENABLED) &&
+  !['false', '0'].includes(process.env.JOB_QUEUE_ENABLED);
+
+const createQueue = (name) => {
+  const options = {
+    prefix: process.env.JOB_QUEUE_PREFIX || 'jobs',
+    defaultJobOptions: DEFAULT_JOB_OPTIONS
+  };
+
+  const queue = process.env.REDIS_URL
+    ? new Queue(name, process.env.REDIS_URL, options)
+    : new Queue(name, {
+      ...options,
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        password: process.env.REDIS_PASSWORD || undefined
+      }
+    });
+
+  queue.on('error', (error) => {
+    // Connection retries while connecting are summarised by connectJobQueues
+    if (queuesReady) {
+      logger.warn(`Job queue "${name}" error: ${error.message}`);
+    }
+  });
+  queue.on('failed', (job, error) => {
+    const retrying = job.attemptsMade < (job.opts.attempts || 1);
+    logger.warn(`Job ${name}#${job.id} failed (attempt ${job.attemptsMade}${retrying ? ', will retry' : ''}): ${error.message}`);
+  });
+
+  return queue;
+};
+
+/**
+ * Connect the job queues. Without Redis the app keeps running and callers fall
+ * back to polling, so this never throws.
+ * @param {Array<string>} names - Queues to open
+ * @returns {Promise<boolean>} Whether the queues are usable
+ */
+export const connectJobQueues = async (names) => {
+  if (!isQueueConfigured()) {
+    logger.warn('⚠️ Job queue disabled (Redis disabled). Scheduled jobs fall back to polling.');
+    return false;
+  }
+
+  names.forEach((name) => {
+    if (!queues.has(name)) {
+      queues.set(name, createQueue(name));
+    }
+  });
+
+  try {
+    const timeout = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Redis connection timeout')), 5000);
+    });
+    // isReady() resolves before the socket is up, so confirm with a round trip
+    await Promise.race([
+      Promise.all([...queues.values()].map(async (queue) => {
+        await queue.isReady();
+        await queue.client.ping();
+      })),
+      timeout
+    ]);
+    queuesReady = true;
+    logger.info(`Job queues ready: ${[...queues.keys()].join(', ')}`);
+  } catch (error) {
+    logger.warn(`Job queue unavailable: ${error.message}. Scheduled jobs fall back to polling.`);
+    await closeJobQueues();
+  }
+
+  return queuesReady;
+};
+
+/**
+ * @returns {boolean} Whether jobs can be queued
+ */
+export const isJobQueueReady = () => queuesReady;
+
+/**
+ * Open queue by name
+ * @returns {Queue|null} Null when the queue is not connected
+ */
+export const getQueue = (name) => (queuesReady ? queues.get(name) || null : null);
+
+/**
+ * All connected queues
+ * @returns {Array<Queue>}
+ */
+export const getQueues = () => (queuesReady ? [...queues.values()] : []);
+
+// Queue names shared by the producers and the processors
+export const JOB_QUEUES = {
+  AUTO_REJECT: 'order-auto-reject',
+  AUTO_READY: 'order-auto-ready',
+  MENU_SCHEDULE: 'menu-schedule',
+  // Recurring sweeps that must run once per tick across instances
+  PERIODIC_TASKS: 'periodic-tasks'
+};
+
+/**
+ * Add a job unless one with the same id already exists. Bull ignores a
+ * duplicate jobId, so every instance can schedule the same job and it still
+ * runs once.
+ * @param {string} queueName
+ * @param {string} jobName - Named processor that handles the job
+ * @param {string} jobId - Deterministic id used for de-duplication
+ * @param {Object} data
+ * @param {Object} options - Bull job options (delay, attempts, ...)
+ * @returns {Promise<Job|null>} Null when the queue is not connected
+ */
+export const addUniqueJob = async (queueName, jobName, jobId, data, options = {}) => {
+  const queue = getQueue(queueName);
+  if (!queue) {
+    return null;
+  }
+  return queue.add(jobName, data, { ...options, jobId });
+};
+
+/**
+ * Remove a waiting or delayed job, e.g. when what it acts on was cancelled
+ * @returns {Promise<boolean>} Whether a job was removed
+ */
+export const removeJob = async (queueName, jobId) => {
+  const queue = getQueue(queueName);
+  if (!queue) {
+    return false;
+  }
+  const job = await queue.getJob(jobId);
+  if (!job || await job.isActive()) {
+    return false;
+  }
+  await job.remove();
+  return true;
+};
+
+/**
+ * Register a repeatable job. Repeatable jobs are keyed by name and cron, so
+ * every instance can register the same sweep and it still runs once per tick.
+ * @param {string} queueName
+ * @param {string} jobName
+ * @param {string} cron - Cron expression
+ */
+export const addRepeatableJob = async (queueName, jobName, cron) => {
+  const queue = getQueue(queueName);
+  if (!queue) {
+    return null;
+  }
+  return queue.add(jobName, {}, { repeat: { cron }, removeOnComplete: 20, attempts: 1 });
+};
+
+export const closeJobQueues = async () => {
+  const open = [...queues.values()];
+  queues.clear();
+  queuesReady = false;
+  // close() waits on the Redis connection, which may never come up
+  await Promise.race([
+    Promise.allSettled(open.map((queue) => queue.close(true))),
+    new Promise((resolve) => setTimeout(resolve, 2000))
+  ]);
+};
+
+export default connectJobQueues;
@@ -1,4 +1,5 @@
 import Admin from '../models/Admin.js';
+import '../models/AdminRole.js';
 import jwtService from '../../auth/services/jwtService.js';
 import otpService from '../../auth/services/otpService.js';
 import { successResponse, errorResponse } from '../../../shared/utils/response.js';
@@ -15,6 +16,26 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Admin document as returned to the panel, with the permissions it resolves to
+ * @param {import('mongoose').Document} admin - Admin with adminRoleId populated
+ */
+const toAdminResponse = (admin) => {
+  const adminResponse = admin.toObject();
+  delete adminResponse.password;
+  adminResponse.effectivePermissions = admin.getEffectivePermissions();
+  return adminResponse;
+};
+
+/**
+ * The very first admin account bootstraps the panel as super admin;
+ * later sign-ups start with default permissions until a role is assigned.
+ */
+const getSignupRole = async () => {
+  const adminCount = await Admin.estimatedDocumentCount();
+  return adminCount === 0 ? 'super_admin' : 'admin';
+};
+
 /**
  * Admin Signup
  * POST /api/admin/auth/signup
@@ -49,7 +70,8 @@ export const adminSignup = asyncHandler(async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      phoneVerified: false
+      phoneVerified: false,
+      role: await getSignupRole()
     };
 
     if (phone) {
@@ -75,8 +97,7 @@ export const adminSignup = asyncHandler(async (req, res) => {
     });
 
     // Remove password from response
-    const adminResponse = admin.toObject();
-    delete adminResponse.password;
+    const adminResponse = toAdminResponse(admin);
 
     logger.info(`Admin registered: ${admin._id}`, { email: admin.email });
 
@@ -144,8 +165,8 @@ export const adminLogin = asyncHandler(async (req, res) => {
   });
 
   // Remove password from response
-  const adminResponse = admin.toObject();
-  delete adminResponse.password;
+  await admin.populate('adminRoleId', 'name permissions isActive');
+  const adminResponse = toAdminResponse(admin);
 
   logger.info(`Admin logged in: ${admin._id}`, { email: admin.email });
 
@@ -198,7 +219,8 @@ export const adminSignupWithOTP = asyncHandler(async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      phoneVerified: identifierType === 'phone'
+      phoneVerified: identifierType === 'phone',
+      role: await getSignupRole()
     };
 
     if (phone) {
@@ -225,8 +247,7 @@ export const adminSignupWithOTP = asyncHandler(async (req, res) => {
     });
 
     // Remove password from response
-    const adminResponse = admin.toObject();
-    delete adminResponse.password;
+    const adminResponse = toAdminResponse(admin);
 
     logger.info(`Admin registered with OTP: ${admin._id}`, { email: admin.email });
 
@@ -306,14 +327,14 @@ export const getCurrentAdmin = asyncHandler(async (req, res) => {
     // req.user should be set by admin authentication middleware
     const admin = await Admin.findById(req.user._id || req.user.userId)
       .select('-password')
-      .lean();
+      .populate('adminRoleId', 'name permissions isActive');
 
     if (!admin) {
       return errorResponse(res, 404, 'Admin not found');
     }
 
     return successResponse(res, 200, 'Admin retrieved successfully', {
-      admin
+      admin: toAdminResponse(admin)
     });
   } catch (error) {
     logger.error(`Error fetching current admin: ${error.message}`);
@@ -1,4 +1,5 @@
-import Admin from "../models/Admin.js";
+import Admin, { ADMIN_PERMISSIONS } from "../models/Admin.js";
+import AdminRole from "../models/AdminRole.js";
 import Order from "../../order/models/Order.js";
 import Restaurant from "../../restaurant/models/Restaurant.js";
 import Offer from "../../restaurant/models/Offer.js";
@@ -11,6 +12,7 @@ import {
 } from "../../../shared/utils/response.js";
 import { asyncHandler } from "../../../shared/middleware/asyncHandler.js";
 import { normalizePhoneNumber } from "../../../shared/utils/phoneUtils.js";
+import { normalizeTranslations } from "../../../shared/utils/i18n.js";
 import winston from "winston";
 import mongoose from "mongoose";
 import { uploadToCloudinary } from "../../../shared/utils/cloudinaryService.js";
@@ -924,6 +926,7 @@ export const getAdmins = asyncHandler(async (req, res) => {
 
     const admins = await Admin.find(query)
       .select("-password")
+      .populate("adminRoleId", "name isActive")
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(parseInt(offset))
@@ -964,6 +967,40 @@ export const getAdminById = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Validate the access fields sent for an admin (custom role and individual permissions)
+ * @returns {Promise<{ error?: string, adminRoleId?: any, permissions?: Array<string> }>}
+ */
+const resolveAdminAccess = async ({ adminRoleId, permissions }) => {
+  const access = {};
+
+  if (adminRoleId !== undefined) {
+    if (adminRoleId === null || adminRoleId === "") {
+      access.adminRoleId = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(adminRoleId)) {
+        return { error: "Invalid role" };
+      }
+      const role = await AdminRole.findById(adminRoleId).select("_id").lean();
+      if (!role) {
+        return { error: "Role not found" };
+      }
+      access.adminRoleId = role._id;
+    }
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return { error: "Permissions must be an array" };
+    }
+    access.permissions = [
+      ...new Set(permissions.filter((p) => ADMIN_PERMISSIONS.includes(p))),
+    ];
+  }
+
+  return access;
+};
+
 /**
  * Create Admin (only by existing admin)
  * POST /api/admin/admins
@@ -977,6 +1014,11 @@ export const createAdmin = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, "Name, email, and password are required");
     }
 
+    const access = await resolveAdminAccess(req.body);
+    if (access.error) {
+      return errorResponse(res, 400, access.error);
+    }
+
     if (password.length < 6) {
       return errorResponse(
         res,
@@ -998,6 +1040,7 @@ export const createAdmin = asyncHandler(async (req, res) => {
       password,
       isActive: true,
       phoneVerified: false,
+      ...access,
     };
 
     if (phone) {
@@ -1044,6 +1087,16 @@ export const updateAdmin = asyncHandler(async (req, res) => {
       return errorResponse(res, 404, "Admin not found");
     }
 
+    // Only a super admin may change another super admin
+    if (admin.role === "super_admin" && req.user.role !== "super_admin") {
+      return errorResponse(res, 403, "Only a super admin can update this account");
+    }
+
+    const access = await resolveAdminAccess(req.body);
+    if (access.error) {
+      return errorResponse(res, 400, access.error);
+    }
+
     // Prevent updating own account's isActive status
     if (id === req.user._id.toString() && isActive === false) {
       return errorResponse(res, 400, "You cannot deactivate your own account");
@@ -1054,6 +1107,8 @@ export const updateAdmin = asyncHandler(async (req, res) => {
     if (email) admin.email = email.toLowerCase();
     if (phone !== undefined) admin.phone = phone;
     if (isActive !== undefined) admin.isActive = isActive;
+    if (access.adminRoleId !== undefined) admin.adminRoleId = access.adminRoleId;
+    if (access.permissions !== undefined) admin.permissions = access.permissions;
 
     await admin.save();
 
@@ -1095,6 +1150,10 @@ export const deleteAdmin = asyncHandler(async (req, res) => {
       return errorResponse(res, 404, "Admin not found");
     }
 
+    if (admin.role === "super_admin" && req.user.role !== "super_admin") {
+      return errorResponse(res, 403, "Only a super admin can delete this account");
+    }
+
     await Admin.deleteOne({ _id: id });
 
     logger.info(`Admin deleted: ${id}`, { deletedBy: req.user._id });
@@ -2187,7 +2246,9 @@ export const updateRestaurantMenu = asyncHandler(async (req, res) => {
                   return {
                     id: String(item.id || Date.now() + Math.random()),
                     name: item.name || "Unnamed Item",
-                    nameArabic: item.nameArabic || "",
+                    nameTranslations: normalizeTranslations(
+                      item.nameTranslations ?? existingItem?.nameTranslations,
+                    ),
                     image: item.image || "",
                     category: item.category || section.name,
                     rating: item.rating ?? 0.0,
@@ -2282,7 +2343,10 @@ export const updateRestaurantMenu = asyncHandler(async (req, res) => {
                           return {
                             id: String(item.id || Date.now() + Math.random()),
                             name: item.name || "Unnamed Item",
-                            nameArabic: item.nameArabic || "",
+                            nameTranslations: normalizeTranslations(
+                              item.nameTranslations ??
+                                existingItem?.nameTranslations,
+                            ),
                             image: item.image || "",
                             category: item.category || section.name,
                             rating: item.rating ?? 0.0,
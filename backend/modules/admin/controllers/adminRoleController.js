@@ -0,0 +1,187 @@
+import AdminRole from '../models/AdminRole.js';
+import Admin, { ADMIN_PERMISSIONS } from '../models/Admin.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Keep only known permission scopes (drops duplicates)
+ * @returns {Array<string>|null} Valid permissions, or null when input is not an array
+ */
+const sanitizePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return null;
+  return [...new Set(permissions.filter((permission) => ADMIN_PERMISSIONS.includes(permission)))];
+};
+
+/**
+ * Get Permission Scopes
+ * GET /api/admin/permissions
+ */
+export const getPermissionScopes = asyncHandler(async (req, res) => {
+  return successResponse(res, 200, 'Permission scopes retrieved successfully', {
+    permissions: ADMIN_PERMISSIONS,
+    // Lets the panel filter its own navigation
+    granted: req.adminPermissions || []
+  });
+});
+
+/**
+ * Get All Admin Roles
+ * GET /api/admin/roles
+ */
+export const getAdminRoles = asyncHandler(async (req, res) => {
+  try {
+    const { search } = req.query;
+    const query = {};
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const roles = await AdminRole.find(query).sort({ createdAt: -1 }).lean();
+
+    // Number of admins holding each role
+    const counts = await Admin.aggregate([
+      { $match: { adminRoleId: { $in: roles.map((role) => role._id) } } },
+      { $group: { _id: '$adminRoleId', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+    return successResponse(res, 200, 'Admin roles retrieved successfully', {
+      roles: roles.map((role) => ({
+        ...role,
+        adminCount: countByRole.get(role._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error fetching admin roles: ${error.message}`);
+    return errorResponse(res, 500, 'Failed to fetch admin roles');
+  }
+});
+
+/**
+ * Create Admin Role
+ * POST /api/admin/roles
+ */
+export const createAdminRole = asyncHandler(async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const permissions = sanitizePermissions(req.body.permissions);
+
+    if (!name || !name.trim()) {
+      return errorResponse(res, 400, 'Role name is required');
+    }
+
+    if (!permissions || permissions.length === 0) {
+      return errorResponse(res, 400, 'Select at least one permission');
+    }
+
+    const role = await AdminRole.create({
+      name: name.trim(),
+      description: description?.trim() || '',
+      permissions,
+      createdBy: req.user._id
+    });
+
+    logger.info(`Admin role created: ${role._id}`, { name: role.name, createdBy: req.user._id });
+
+    return successResponse(res, 201, 'Admin role created successfully', { role });
+  } catch (error) {
+    logger.error(`Error creating admin role: ${error.message}`);
+
+    if (error.code === 11000) {
+      return errorResponse(res, 400, 'A role with this name already exists');
+    }
+
+    return errorResponse(res, 500, 'Failed to create admin role');
+  }
+});
+
+/**
+ * Update Admin Role
+ * PUT /api/admin/roles/:id
+ */
+export const updateAdminRole = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, isActive } = req.body;
+
+    const role = await AdminRole.findById(id);
+    if (!role) {
+      return errorResponse(res, 404, 'Admin role not found');
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return errorResponse(res, 400, 'Role name is required');
+      }
+      role.name = name.trim();
+    }
+    if (description !== undefined) role.description = description.trim();
+    if (isActive !== undefined) role.isActive = Boolean(isActive);
+
+    if (req.body.permissions !== undefined) {
+      const permissions = sanitizePermissions(req.body.permissions);
+      if (!permissions || permissions.length === 0) {
+        return errorResponse(res, 400, 'Select at least one permission');
+      }
+      role.permissions = permissions;
+    }
+
+    await role.save();
+
+    logger.info(`Admin role updated: ${id}`, { updatedBy: req.user._id });
+
+    return successResponse(res, 200, 'Admin role updated successfully', { role });
+  } catch (error) {
+    logger.error(`Error updating admin role: ${error.message}`);
+
+    if (error.code === 11000) {
+      return errorResponse(res, 400, 'A role with this name already exists');
+    }
+
+    return errorResponse(res, 500, 'Failed to update admin role');
+  }
+});
+
+/**
+ * Delete Admin Role
+ * DELETE /api/admin/roles/:id
+ */
+export const deleteAdminRole = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await AdminRole.findById(id);
+    if (!role) {
+      return errorResponse(res, 404, 'Admin role not found');
+    }
+
+    const assignedCount = await Admin.countDocuments({ adminRoleId: role._id });
+    if (assignedCount > 0) {
+      return errorResponse(
+        res,
+        400,
+        `This role is assigned to ${assignedCount} admin(s). Reassign them before deleting it.`
+      );
+    }
+
+    await AdminRole.deleteOne({ _id: role._id });
+
+    logger.info(`Admin role deleted: ${id}`, { deletedBy: req.user._id });
+
+    return successResponse(res, 200, 'Admin role deleted successfully');
+  } catch (error) {
+    logger.error(`Error deleting admin role: ${error.message}`);
+    return errorResponse(res, 500, 'Failed to delete admin role');
+  }
+});
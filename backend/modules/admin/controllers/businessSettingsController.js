@@ -6,6 +6,28 @@ import {
 import { asyncHandler } from "../../../shared/middleware/asyncHandler.js";
 import { uploadToCloudinary } from "../../../shared/utils/cloudinaryService.js";
 import { initializeCloudinary } from "../../../config/cloudinary.js";
+import mongoose from "mongoose";
+
+const ESCALATION_ACTIONS = ["ring", "push", "sms", "admin_alert"];
+const MIN_ACCEPT_WINDOW_SECONDS = 60;
+
+/**
+ * Window overrides from the admin form, keyed by idField. Returns null when
+ * an entry has a bad id or a window shorter than the minimum.
+ */
+const parseWindowOverrides = (overrides, idField) => {
+  if (!Array.isArray(overrides)) return null;
+  const parsed = overrides.map((override) => ({
+    [idField]: override?.[idField],
+    acceptWindowSeconds: Number(override?.acceptWindowSeconds),
+  }));
+  const valid = parsed.every(
+    (override) =>
+      mongoose.Types.ObjectId.isValid(override[idField]) &&
+      override.acceptWindowSeconds >= MIN_ACCEPT_WINDOW_SECONDS,
+  );
+  return valid ? parsed : null;
+};
 
 /**
  * Get Business Settings (Public - for favicon, logo, company name)
@@ -75,9 +97,14 @@ export const updateBusinessSettings = asyncHandler(async (req, res) => {
       address,
       state,
       pincode,
+      gstin,
       region,
       maintenanceMode,
       deliveryAssignmentMode,
+      scheduledOrders,
+      restaurantAcceptance,
+      deliveryVerification,
+      orderBatching,
     } = req.body;
 
     // Get existing settings
@@ -104,6 +131,7 @@ export const updateBusinessSettings = asyncHandler(async (req, res) => {
     if (address !== undefined) settings.address = address;
     if (state !== undefined) settings.state = state;
     if (pincode !== undefined) settings.pincode = pincode;
+    if (gstin !== undefined) settings.gstin = String(gstin).trim().toUpperCase();
     if (region !== undefined) settings.region = region;
     if (maintenanceMode !== undefined) {
       settings.maintenanceMode.isEnabled = maintenanceMode.isEnabled || false;
@@ -121,6 +149,188 @@ export const updateBusinessSettings = asyncHandler(async (req, res) => {
         settings.deliveryAssignmentMode = deliveryAssignmentMode;
       }
     }
+    if (scheduledOrders !== undefined) {
+      // Sent as a JSON string because this endpoint takes multipart form data
+      let scheduled = scheduledOrders;
+      if (typeof scheduledOrders === "string") {
+        try {
+          scheduled = JSON.parse(scheduledOrders);
+        } catch {
+          return errorResponse(res, 400, "Invalid scheduled order settings");
+        }
+      }
+      if (scheduled.isEnabled !== undefined) {
+        settings.scheduledOrders.isEnabled =
+          scheduled.isEnabled === true || scheduled.isEnabled === "true";
+      }
+      for (const [key, min, max, message] of [
+        ["releaseLeadMinutes", 5, Infinity, "Release lead time must be a whole number of at least 5 minutes"],
+        ["minAdvanceMinutes", 0, Infinity, "Minimum advance time must be a whole number of minutes"],
+        ["maxAdvanceDays", 1, 30, "Orders can be scheduled between 1 and 30 days ahead"],
+        ["slotIntervalMinutes", 15, Infinity, "Slot interval must be a whole number of at least 15 minutes"],
+      ]) {
+        if (scheduled[key] === undefined || scheduled[key] === "") continue;
+        const value = Number(scheduled[key]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return errorResponse(res, 400, message);
+        }
+        settings.scheduledOrders[key] = value;
+      }
+    }
+    if (restaurantAcceptance !== undefined) {
+      // Sent as a JSON string because this endpoint takes multipart form data
+      let acceptance = restaurantAcceptance;
+      if (typeof restaurantAcceptance === "string") {
+        try {
+          acceptance = JSON.parse(restaurantAcceptance);
+        } catch {
+          return errorResponse(res, 400, "Invalid restaurant acceptance settings");
+        }
+      }
+      const target = settings.restaurantAcceptance;
+
+      if (acceptance.acceptWindowSeconds !== undefined && acceptance.acceptWindowSeconds !== "") {
+        const windowSeconds = Number(acceptance.acceptWindowSeconds);
+        if (!(windowSeconds >= MIN_ACCEPT_WINDOW_SECONDS)) {
+          return errorResponse(
+            res,
+            400,
+            `Accept window must be at least ${MIN_ACCEPT_WINDOW_SECONDS} seconds`,
+          );
+        }
+        target.acceptWindowSeconds = windowSeconds;
+      }
+      for (const [key, idField] of [
+        ["zoneOverrides", "zoneId"],
+        ["restaurantOverrides", "restaurantId"],
+      ]) {
+        if (acceptance[key] === undefined) continue;
+        const overrides = parseWindowOverrides(acceptance[key], idField);
+        if (!overrides) {
+          return errorResponse(
+            res,
+            400,
+            `Each ${idField === "zoneId" ? "zone" : "restaurant"} override needs a valid id and a window of at least ${MIN_ACCEPT_WINDOW_SECONDS} seconds`,
+          );
+        }
+        target[key] = overrides;
+      }
+      if (acceptance.escalationSteps !== undefined) {
+        const steps = Array.isArray(acceptance.escalationSteps)
+          ? acceptance.escalationSteps.map((step) => ({
+              action: step?.action,
+              afterSeconds: Number(step?.afterSeconds),
+            }))
+          : null;
+        const actions = steps?.map((step) => step.action) || [];
+        if (
+          !steps ||
+          new Set(actions).size !== actions.length ||
+          steps.some(
+            (step) =>
+              !ESCALATION_ACTIONS.includes(step.action) || !(step.afterSeconds >= 0),
+          )
+        ) {
+          return errorResponse(
+            res,
+            400,
+            `Escalation steps need a distinct action (${ESCALATION_ACTIONS.join(", ")}) and a non-negative delay`,
+          );
+        }
+        target.escalationSteps = steps;
+      }
+      if (acceptance.autoPauseEnabled !== undefined) {
+        target.autoPauseEnabled =
+          acceptance.autoPauseEnabled === true || acceptance.autoPauseEnabled === "true";
+      }
+      if (acceptance.autoPauseAfterMisses !== undefined && acceptance.autoPauseAfterMisses !== "") {
+        const misses = Number(acceptance.autoPauseAfterMisses);
+        if (!Number.isInteger(misses) || misses < 1) {
+          return errorResponse(res, 400, "Auto-pause needs at least 1 missed order");
+        }
+        target.autoPauseAfterMisses = misses;
+      }
+    }
+    if (deliveryVerification !== undefined) {
+      // Sent as a JSON string because this endpoint takes multipart form data
+      let verification = deliveryVerification;
+      if (typeof deliveryVerification === "string") {
+        try {
+          verification = JSON.parse(deliveryVerification);
+        } catch {
+          return errorResponse(res, 400, "Invalid delivery verification settings");
+        }
+      }
+      const target = settings.deliveryVerification;
+
+      for (const key of ["isEnabled", "allowFallback"]) {
+        if (verification[key] !== undefined) {
+          target[key] = verification[key] === true || verification[key] === "true";
+        }
+      }
+      if (verification.maxOtpAttempts !== undefined && verification.maxOtpAttempts !== "") {
+        const attempts = Number(verification.maxOtpAttempts);
+        if (!Number.isInteger(attempts) || attempts < 1) {
+          return errorResponse(res, 400, "Allow at least 1 handover code attempt");
+        }
+        target.maxOtpAttempts = attempts;
+      }
+      if (verification.geofenceRadiusMeters !== undefined && verification.geofenceRadiusMeters !== "") {
+        const radius = Number(verification.geofenceRadiusMeters);
+        if (!(radius >= 25)) {
+          return errorResponse(res, 400, "Geofence radius must be at least 25 meters");
+        }
+        target.geofenceRadiusMeters = radius;
+      }
+    }
+    if (orderBatching !== undefined) {
+      // Sent as a JSON string because this endpoint takes multipart form data
+      let batching = orderBatching;
+      if (typeof orderBatching === "string") {
+        try {
+          batching = JSON.parse(orderBatching);
+        } catch {
+          return errorResponse(res, 400, "Invalid order batching settings");
+        }
+      }
+      const target = settings.orderBatching;
+
+      for (const key of ["isEnabled", "peakOnly"]) {
+        if (batching[key] !== undefined) {
+          target[key] = batching[key] === true || batching[key] === "true";
+        }
+      }
+      if (batching.maxOrdersPerBatch !== undefined && batching.maxOrdersPerBatch !== "") {
+        const maxOrders = Number(batching.maxOrdersPerBatch);
+        if (![2, 3].includes(maxOrders)) {
+          return errorResponse(res, 400, "A batch can hold 2 or 3 orders");
+        }
+        target.maxOrdersPerBatch = maxOrders;
+      }
+      if (batching.maxPickupDistanceKm !== undefined && batching.maxPickupDistanceKm !== "") {
+        const distance = Number(batching.maxPickupDistanceKm);
+        if (!(distance >= 0.1)) {
+          return errorResponse(res, 400, "Pickup distance must be at least 0.1 km");
+        }
+        target.maxPickupDistanceKm = distance;
+      }
+      if (batching.maxDirectionDeviation !== undefined && batching.maxDirectionDeviation !== "") {
+        const degrees = Number(batching.maxDirectionDeviation);
+        if (!(degrees >= 0 && degrees <= 180)) {
+          return errorResponse(res, 400, "Direction deviation must be between 0 and 180 degrees");
+        }
+        target.maxDirectionDeviation = degrees;
+      }
+      for (const key of ["maxEtaImpactMinutes", "bonusPerExtraOrder"]) {
+        if (batching[key] !== undefined && batching[key] !== "") {
+          const value = Number(batching[key]);
+          if (!(value >= 0)) {
+            return errorResponse(res, 400, "Batching limits cannot be negative");
+          }
+          target[key] = value;
+        }
+      }
+    }
 
     // Handle logo upload
     if (req.files && req.files.logo && req.files.logo.length > 0) {
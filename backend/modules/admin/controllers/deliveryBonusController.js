@@ -116,7 +116,7 @@ export const addBonus = asyncHandler(async (req, res) => {
     wallet.markModified('totalEarned');
     
     // Save wallet (this will update totalBalance and totalEarned)
-    await wallet.save();
+    await wallet.saveWithLedger();
     
     // Double-check: Verify wallet was saved correctly
     const verifyWallet = await DeliveryWallet.findById(wallet._id);
@@ -125,7 +125,7 @@ export const addBonus = asyncHandler(async (req, res) => {
     }
 
     // Log after save
-    logger.info(`📝 After wallet.save():`, {
+    logger.info(`📝 After wallet.saveWithLedger():`, {
       walletId: wallet._id,
       totalBalance: wallet.totalBalance,
       totalEarned: wallet.totalEarned
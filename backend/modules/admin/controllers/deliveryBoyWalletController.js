@@ -118,7 +118,7 @@ export const addWalletAdjustment = asyncHandler(async (req, res) => {
   });
 
   wallet.markModified('transactions');
-  await wallet.save();
+  await wallet.saveWithLedger();
 
   return successResponse(res, 200, `${type === 'bonus' ? 'Bonus' : 'Deduction'} applied successfully`, {
     walletId: wallet._id,
@@ -708,3 +708,37 @@ export const updateDeliveryPartnerZone = asyncHandler(async (req, res) => {
     return errorResponse(res, 500, 'Failed to update delivery partner zone');
   }
 });
+
+/**
+ * Get Delivery Partner Online Time
+ * GET /api/admin/delivery-partners/:id/online-time?date=YYYY-MM-DD
+ * Login hours, busy vs idle time, acceptance rate and sessions of a day and its week
+ */
+export const getDeliveryPartnerOnlineTime = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return errorResponse(res, 400, 'Invalid delivery partner ID');
+    }
+
+    const delivery = await Delivery.findById(id).select('name deliveryId').lean();
+    if (!delivery) {
+      return errorResponse(res, 404, 'Delivery partner not found');
+    }
+
+    const { getOnlineTimeReport } = await import('../../delivery/services/riderSessionService.js');
+    const report = await getOnlineTimeReport(delivery._id, { date: req.query.date });
+
+    return successResponse(res, 200, 'Delivery partner online time retrieved successfully', {
+      delivery,
+      ...report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    logger.error(`Error fetching delivery partner online time: ${error.message}`, { error: error.stack });
+    return errorResponse(res, 500, 'Failed to fetch delivery partner online time');
+  }
+});
@@ -131,7 +131,7 @@ export const approveDeliveryWithdrawal = asyncHandler(async (req, res) => {
     t.processedBy = admin._id;
     wallet.totalWithdrawn = (wallet.totalWithdrawn || 0) + request.amount;
     wallet.markModified('transactions');
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     return successResponse(res, 200, 'Withdrawal request approved successfully', {
       request: {
@@ -201,7 +201,7 @@ export const rejectDeliveryWithdrawal = asyncHandler(async (req, res) => {
           t.processedBy = admin._id;
           wallet.totalBalance = (wallet.totalBalance || 0) + request.amount;
           wallet.markModified('transactions');
-          await wallet.save();
+          await wallet.saveWithLedger();
           refunded = true;
         }
       }
@@ -227,7 +227,7 @@ export const rejectDeliveryWithdrawal = asyncHandler(async (req, res) => {
           t.processedBy = admin._id;
           wallet.totalBalance = (wallet.totalBalance || 0) + request.amount;
           wallet.markModified('transactions');
-          await wallet.save();
+          await wallet.saveWithLedger();
           refunded = true;
         }
       }
@@ -5,6 +5,7 @@ import EarningAddonHistory from '../models/EarningAddonHistory.js';
 import Delivery from '../../delivery/models/Delivery.js';
 import DeliveryWallet from '../../delivery/models/DeliveryWallet.js';
 import Order from '../../order/models/Order.js';
+import { getOfferActivityProgress } from '../../delivery/services/earningAddonService.js';
 import mongoose from 'mongoose';
 import winston from 'winston';
 
@@ -28,6 +29,8 @@ export const createEarningAddon = asyncHandler(async (req, res) => {
       title,
       description,
       requiredOrders,
+      requiredLoginHours,
+      minAcceptanceRate,
       earningAmount,
       startDate,
       endDate,
@@ -52,6 +55,17 @@ export const createEarningAddon = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, 'Earning amount must be greater than 0');
     }
 
+    // Optional online-time criteria
+    const loginHours = requiredLoginHours ? parseFloat(requiredLoginHours) : 0;
+    if (isNaN(loginHours) || loginHours < 0) {
+      return errorResponse(res, 400, 'Required login hours cannot be negative');
+    }
+
+    const acceptanceRate = minAcceptanceRate ? parseFloat(minAcceptanceRate) : 0;
+    if (isNaN(acceptanceRate) || acceptanceRate < 0 || acceptanceRate > 100) {
+      return errorResponse(res, 400, 'Minimum acceptance rate must be between 0 and 100');
+    }
+
     if (!startDate || !endDate) {
       return errorResponse(res, 400, 'Start date and end date are required');
     }
@@ -85,6 +99,8 @@ export const createEarningAddon = asyncHandler(async (req, res) => {
       title: title.trim(),
       description: description?.trim(),
       requiredOrders: parseInt(requiredOrders),
+      requiredLoginHours: loginHours,
+      minAcceptanceRate: acceptanceRate,
       earningAmount: parseFloat(earningAmount),
       startDate: start,
       endDate: end,
@@ -410,6 +426,15 @@ export const updateEarningAddon = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, 'Earning amount must be greater than 0');
     }
 
+    if (updateData.requiredLoginHours !== undefined && updateData.requiredLoginHours < 0) {
+      return errorResponse(res, 400, 'Required login hours cannot be negative');
+    }
+
+    if (updateData.minAcceptanceRate !== undefined &&
+      (updateData.minAcceptanceRate < 0 || updateData.minAcceptanceRate > 100)) {
+      return errorResponse(res, 400, 'Minimum acceptance rate must be between 0 and 100');
+    }
+
     // Update
     Object.assign(earningAddon, updateData);
     await earningAddon.save();
@@ -568,6 +593,11 @@ export const checkEarningAddonCompletions = asyncHandler(async (req, res) => {
         }
       });
 
+      // Login hours and acceptance rate for offers with online-time criteria
+      const activity = await getOfferActivityProgress(addon, deliveryPartnerId, startDate, endDate);
+      const meetsActivity = activity.meetsLoginHours && activity.meetsAcceptanceRate;
+      const qualifies = completedOrders >= addon.requiredOrders && meetsActivity;
+
       // Debug info
       if (debug) {
         debugInfo.push({
@@ -575,15 +605,21 @@ export const checkEarningAddonCompletions = asyncHandler(async (req, res) => {
           addonTitle: addon.title,
           requiredOrders: addon.requiredOrders,
           completedOrders: completedOrders,
+          requiredLoginHours: addon.requiredLoginHours || 0,
+          loginHours: activity.loginHours,
+          minAcceptanceRate: addon.minAcceptanceRate || 0,
+          acceptanceRate: activity.acceptanceRate,
           startDate: startDate,
           endDate: endDate,
-          qualifies: completedOrders >= addon.requiredOrders,
-          status: completedOrders >= addon.requiredOrders ? 'qualifies' : 'not_enough_orders'
+          qualifies,
+          status: qualifies
+            ? 'qualifies'
+            : completedOrders < addon.requiredOrders ? 'not_enough_orders' : 'not_enough_online_time'
         });
       }
 
       // Check if requirement is met
-      if (completedOrders >= addon.requiredOrders) {
+      if (qualifies) {
         // Get order IDs
         const orders = await Order.find({
           deliveryPartnerId: deliveryPartnerId,
@@ -607,6 +643,8 @@ export const checkEarningAddonCompletions = asyncHandler(async (req, res) => {
           offerSnapshot: {
             title: addon.title,
             requiredOrders: addon.requiredOrders,
+            requiredLoginHours: addon.requiredLoginHours || 0,
+            minAcceptanceRate: addon.minAcceptanceRate || 0,
             earningAmount: addon.earningAmount,
             startDate: addon.startDate,
             endDate: addon.endDate
@@ -619,7 +657,9 @@ export const checkEarningAddonCompletions = asyncHandler(async (req, res) => {
           contributingOrders: orderIds,
           metadata: {
             zone: deliveryPartner.availability?.zones?.[0]?.toString() || 'N/A',
-            deliveryRating: deliveryPartner.metrics?.rating || 0
+            deliveryRating: deliveryPartner.metrics?.rating || 0,
+            loginHours: activity.loginHours,
+            acceptanceRate: activity.acceptanceRate
           }
         });
 
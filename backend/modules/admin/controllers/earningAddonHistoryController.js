@@ -297,7 +297,7 @@ export const creditEarningToWallet = asyncHandler(async (req, res) => {
       }
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Get the last transaction
     const transactionsArray = wallet.transactions || [];
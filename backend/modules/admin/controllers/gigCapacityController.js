@@ -0,0 +1,86 @@
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import asyncHandler from '../../../shared/middleware/asyncHandler.js';
+import {
+  getZoneCapacityPlan,
+  updateZoneGigSettings,
+  createGigSlot,
+  updateGigSlot,
+  deleteGigSlot
+} from '../../delivery/services/gigBookingService.js';
+
+const handleError = (res, error, message) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.statusCode, error.message);
+  }
+  console.error(`${message}:`, error);
+  return errorResponse(res, 500, message);
+};
+
+/**
+ * Get gig slot capacity plan of a zone
+ * GET /api/admin/zones/:id/gig-slots?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+export const getZoneGigSlots = asyncHandler(async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const plan = await getZoneCapacityPlan(req.params.id, { startDate, endDate });
+    return successResponse(res, 200, 'Capacity plan retrieved successfully', plan);
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch capacity plan');
+  }
+});
+
+/**
+ * Update gig settings of a zone
+ * PUT /api/admin/zones/:id/gig-settings
+ * Body: { requireBooking, defaultSlotCapacity }
+ */
+export const updateZoneGigSettingsHandler = asyncHandler(async (req, res) => {
+  try {
+    const gigSettings = await updateZoneGigSettings(req.params.id, req.body || {});
+    return successResponse(res, 200, 'Gig settings updated successfully', { gigSettings });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update gig settings');
+  }
+});
+
+/**
+ * Add a gig slot to a zone
+ * POST /api/admin/zones/:id/gig-slots
+ * Body: { date, startTime, endTime, capacity, payRate: { min, max } }
+ */
+export const createZoneGigSlot = asyncHandler(async (req, res) => {
+  try {
+    const slot = await createGigSlot(req.params.id, req.body || {}, req.admin?._id || null);
+    return successResponse(res, 201, 'Slot created successfully', { slot });
+  } catch (error) {
+    return handleError(res, error, 'Failed to create slot');
+  }
+});
+
+/**
+ * Update capacity, pay rate or status of a gig slot
+ * PATCH /api/admin/zones/gig-slots/:slotId
+ * Body: { capacity, payRate, isActive }
+ */
+export const updateZoneGigSlot = asyncHandler(async (req, res) => {
+  try {
+    const slot = await updateGigSlot(req.params.slotId, req.body || {}, req.admin?._id || null);
+    return successResponse(res, 200, 'Slot updated successfully', { slot });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update slot');
+  }
+});
+
+/**
+ * Delete a gig slot without bookings
+ * DELETE /api/admin/zones/gig-slots/:slotId
+ */
+export const deleteZoneGigSlot = asyncHandler(async (req, res) => {
+  try {
+    await deleteGigSlot(req.params.slotId);
+    return successResponse(res, 200, 'Slot deleted successfully');
+  } catch (error) {
+    return handleError(res, error, 'Failed to delete slot');
+  }
+});
@@ -651,7 +651,7 @@ export const updateHotelCashCollected = asyncHandler(async (req, res) => {
 
   const wallet = await HotelWallet.findOrCreateByHotelId(hotel._id);
   wallet.manualCashCollectedOverride = amount;
-  await wallet.save();
+  await wallet.saveWithLedger();
 
   return successResponse(
     res,
@@ -1173,7 +1173,7 @@ export const approveHotelWithdrawalRequest = asyncHandler(
         }
       }
 
-      await wallet.save();
+      await wallet.saveWithLedger();
 
       return successResponse(
         res,
@@ -1251,7 +1251,7 @@ export const rejectHotelWithdrawalRequest = asyncHandler(
         }
       }
 
-      await wallet.save();
+      await wallet.saveWithLedger();
 
       return successResponse(
         res,
@@ -0,0 +1,134 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { JOB_QUEUES, getQueue, isJobQueueReady } from '../../../config/queue.js';
+
+const JOB_STATES = ['waiting', 'delayed', 'active', 'completed', 'failed'];
+
+const formatJob = async (job) => ({
+  id: job.id,
+  name: job.name,
+  data: job.data,
+  state: await job.getState(),
+  attemptsMade: job.attemptsMade,
+  maxAttempts: job.opts?.attempts || 1,
+  failedReason: job.failedReason || null,
+  createdAt: job.timestamp ? new Date(job.timestamp) : null,
+  runAt: job.opts?.delay ? new Date(job.timestamp + job.opts.delay) : null,
+  processedAt: job.processedOn ? new Date(job.processedOn) : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  result: job.returnvalue ?? null
+});
+
+const findQueue = (res, name) => {
+  if (!Object.values(JOB_QUEUES).includes(name)) {
+    errorResponse(res, 404, 'Queue not found');
+    return null;
+  }
+  const queue = getQueue(name);
+  if (!queue) {
+    errorResponse(res, 503, 'Job queue is not connected; scheduled tasks are running on polling');
+    return null;
+  }
+  return queue;
+};
+
+/**
+ * Job counts per queue
+ * GET /api/admin/jobs
+ */
+export const getJobQueues = asyncHandler(async (req, res) => {
+  if (!isJobQueueReady()) {
+    return successResponse(res, 200, 'Job queue is not connected', { enabled: false, queues: [] });
+  }
+
+  const queues = await Promise.all(
+    Object.values(JOB_QUEUES).map(async (name) => {
+      const queue = getQueue(name);
+      const [counts, repeatable] = await Promise.all([
+        queue.getJobCounts(),
+        queue.getRepeatableJobs()
+      ]);
+      return {
+        name,
+        counts,
+        repeatable: repeatable.map((job) => ({ name: job.name, cron: job.cron, next: new Date(job.next) }))
+      };
+    })
+  );
+
+  return successResponse(res, 200, 'Job queues retrieved', { enabled: true, queues });
+});
+
+/**
+ * Jobs of a queue in one state
+ * GET /api/admin/jobs/:queue
+ * Query params: state (waiting|delayed|active|completed|failed), page, limit
+ */
+export const getQueueJobs = asyncHandler(async (req, res) => {
+  const queue = findQueue(res, req.params.queue);
+  if (!queue) return;
+
+  const { state = 'failed', page = 1, limit = 50 } = req.query;
+  if (!JOB_STATES.includes(state)) {
+    return errorResponse(res, 400, `State must be one of: ${JOB_STATES.join(', ')}`);
+  }
+
+  const start = (parseInt(page) - 1) * parseInt(limit);
+  const end = start + parseInt(limit) - 1;
+  const [jobs, counts] = await Promise.all([
+    queue.getJobs([state], start, end, state !== 'delayed'),
+    queue.getJobCounts()
+  ]);
+
+  return successResponse(res, 200, 'Jobs retrieved', {
+    queue: queue.name,
+    state,
+    jobs: await Promise.all(jobs.filter(Boolean).map(formatJob)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: counts[state] || 0,
+      pages: Math.ceil((counts[state] || 0) / parseInt(limit))
+    }
+  });
+});
+
+/**
+ * Retry a failed job
+ * POST /api/admin/jobs/:queue/:jobId/retry
+ */
+export const retryQueueJob = asyncHandler(async (req, res) => {
+  const queue = findQueue(res, req.params.queue);
+  if (!queue) return;
+
+  const job = await queue.getJob(req.params.jobId);
+  if (!job) {
+    return errorResponse(res, 404, 'Job not found');
+  }
+  if (!(await job.isFailed())) {
+    return errorResponse(res, 400, 'Only failed jobs can be retried');
+  }
+
+  await job.retry();
+  return successResponse(res, 200, 'Job queued for retry', { job: await formatJob(job) });
+});
+
+/**
+ * Remove a job that is not running
+ * DELETE /api/admin/jobs/:queue/:jobId
+ */
+export const removeQueueJob = asyncHandler(async (req, res) => {
+  const queue = findQueue(res, req.params.queue);
+  if (!queue) return;
+
+  const job = await queue.getJob(req.params.jobId);
+  if (!job) {
+    return errorResponse(res, 404, 'Job not found');
+  }
+  if (await job.isActive()) {
+    return errorResponse(res, 400, 'Job is running and cannot be removed');
+  }
+
+  await job.remove();
+  return successResponse(res, 200, 'Job removed');
+});
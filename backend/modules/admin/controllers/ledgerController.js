@@ -0,0 +1,136 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import mongoose from 'mongoose';
+import LedgerEntry from '../../payment/models/LedgerEntry.js';
+import {
+  WALLET_TYPES,
+  getTrialBalance,
+  runLedgerConsistencyCheck,
+  backfillWalletLedger,
+  alignWalletWithLedger
+} from '../../payment/services/ledgerReconciliationService.js';
+
+/**
+ * Get journal entries
+ * GET /api/admin/ledger/entries
+ * Query params: account, orderId, type, page, limit
+ */
+export const getLedgerEntries = asyncHandler(async (req, res) => {
+  const { account, orderId, type, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (account) {
+    query['lines.account'] = String(account);
+  }
+  if (orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return errorResponse(res, 400, 'Invalid order ID');
+    }
+    query['source.orderId'] = orderId;
+  }
+  if (type) {
+    query.type = String(type);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(query)
+      .sort({ postedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    LedgerEntry.countDocuments(query)
+  ]);
+
+  return successResponse(res, 200, 'Ledger entries retrieved', {
+    entries,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+/**
+ * Trial balance by account group
+ * GET /api/admin/ledger/trial-balance
+ * Query params: asOf
+ */
+export const getLedgerTrialBalance = asyncHandler(async (req, res) => {
+  try {
+    const trialBalance = await getTrialBalance({ asOf: req.query.asOf });
+    return successResponse(res, 200, 'Trial balance retrieved', { trialBalance });
+  } catch (error) {
+    if (error.message === 'Invalid asOf date') {
+      return errorResponse(res, 400, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Compare wallet balances with the ledger
+ * GET /api/admin/ledger/consistency
+ * Query params: limit (max drift rows returned)
+ */
+export const getLedgerConsistencyReport = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  const report = await runLedgerConsistencyCheck({ limit });
+
+  return successResponse(
+    res,
+    200,
+    report.isConsistent ? 'Ledger and wallets are consistent' : `${report.driftCount} wallet balance(s) drifted from the ledger`,
+    { report }
+  );
+});
+
+/**
+ * Post missing ledger entries for existing wallet transactions
+ * POST /api/admin/ledger/backfill
+ * Body: { walletType? }
+ */
+export const runLedgerBackfill = asyncHandler(async (req, res) => {
+  const { walletType } = req.body || {};
+  if (walletType && !WALLET_TYPES.includes(walletType)) {
+    return errorResponse(res, 400, `walletType must be one of ${WALLET_TYPES.join(', ')}`);
+  }
+
+  const result = await backfillWalletLedger({ walletType });
+  return successResponse(res, 200, 'Ledger backfill completed', { result });
+});
+
+/**
+ * Resolve drift between one wallet and the ledger
+ * POST /api/admin/ledger/wallets/:walletType/:walletId/align
+ * Body: { strategy: 'adjust_ledger' | 'reset_wallet', note? }
+ */
+export const alignWallet = asyncHandler(async (req, res) => {
+  const { walletType, walletId } = req.params;
+  const { strategy, note } = req.body || {};
+
+  try {
+    const result = await alignWalletWithLedger({
+      walletType,
+      walletId,
+      strategy,
+      note: note ? String(note) : '',
+      adminId: req.user?._id
+    });
+
+    return successResponse(
+      res,
+      200,
+      result.adjustments.length ? 'Wallet aligned with ledger' : 'Wallet already matches the ledger',
+      { result }
+    );
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+});
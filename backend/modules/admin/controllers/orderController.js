@@ -368,6 +368,8 @@ export const getOrders = asyncHandler(async (req, res) => {
         vatTax: vatTax,
         deliveryCharge: deliveryCharge,
         platformFee: platformFee,
+        deliveryTip: order.pricing?.tip || 0,
+        postDeliveryTip: order.deliveryTip?.postDelivery?.status === 'paid' ? order.deliveryTip.postDelivery.amount : 0,
         totalAmount: orderAmount,
         // Original fields
         paymentStatus: paymentStatusDisplay,
@@ -413,8 +415,11 @@ export const getOrders = asyncHandler(async (req, res) => {
         cancelledBy: order.cancelledBy || null,
         tracking: order.tracking || {},
         deliveryState: order.deliveryState || {},
+        deliveryVerification: order.deliveryVerification || null, // Handover proof for disputes
         billImageUrl: order.billImageUrl || null, // Bill image captured by delivery boy
         note: order.note || null,
+        scheduledFor: order.scheduledDelivery?.scheduledFor || null,
+        scheduledReleaseAt: order.scheduledDelivery?.releaseAt || null,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt,
         // Zone info from assignmentInfo
@@ -0,0 +1,114 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import PaymentReconciliationReport from '../../payment/models/PaymentReconciliationReport.js';
+import { runPaymentReconciliation } from '../../payment/services/paymentReconciliationService.js';
+
+/**
+ * Get reconciliation reports (without mismatch details)
+ * GET /api/admin/payment-reconciliation
+ * Query params: status, hasMismatches, page, limit
+ */
+export const getReconciliationReports = asyncHandler(async (req, res) => {
+  const { status, hasMismatches, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (hasMismatches === 'true') {
+    query.mismatchCount = { $gt: 0 };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [reports, total] = await Promise.all([
+    PaymentReconciliationReport.find(query)
+      .select('-mismatches')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    PaymentReconciliationReport.countDocuments(query)
+  ]);
+
+  return successResponse(res, 200, 'Reconciliation reports retrieved', {
+    reports,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+/**
+ * Get one reconciliation report with its mismatches
+ * GET /api/admin/payment-reconciliation/:reportId
+ */
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await PaymentReconciliationReport.findById(req.params.reportId)
+    .populate('mismatches.orderId', 'orderId status')
+    .lean();
+
+  if (!report) {
+    return errorResponse(res, 404, 'Reconciliation report not found');
+  }
+
+  return successResponse(res, 200, 'Reconciliation report retrieved', { report });
+});
+
+/**
+ * Run reconciliation now for a custom window
+ * POST /api/admin/payment-reconciliation/run
+ * Body: { from?, to? }
+ */
+export const runReconciliation = asyncHandler(async (req, res) => {
+  const { from, to } = req.body || {};
+
+  try {
+    const report = await runPaymentReconciliation({
+      from,
+      to,
+      triggeredBy: 'admin',
+      adminId: req.user?._id
+    });
+
+    return successResponse(res, 201, `Reconciliation completed with ${report.mismatchCount} mismatch(es)`, { report });
+  } catch (error) {
+    if (error.message === 'Invalid reconciliation window') {
+      return errorResponse(res, 400, error.message);
+    }
+    return errorResponse(res, 502, `Reconciliation failed: ${error.message}`);
+  }
+});
+
+/**
+ * Mark a mismatch as resolved after it was fixed manually
+ * PATCH /api/admin/payment-reconciliation/:reportId/mismatches/:mismatchId/resolve
+ * Body: { note }
+ */
+export const resolveReconciliationMismatch = asyncHandler(async (req, res) => {
+  const { reportId, mismatchId } = req.params;
+  const { note } = req.body || {};
+
+  const report = await PaymentReconciliationReport.findOneAndUpdate(
+    { _id: reportId, 'mismatches._id': mismatchId },
+    {
+      $set: {
+        'mismatches.$.resolved': true,
+        'mismatches.$.resolvedAt': new Date(),
+        'mismatches.$.resolvedBy': req.user?._id,
+        'mismatches.$.resolutionNote': note || ''
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!report) {
+    return errorResponse(res, 404, 'Mismatch not found');
+  }
+
+  const mismatch = report.mismatches.find(m => m._id.toString() === mismatchId);
+  return successResponse(res, 200, 'Mismatch marked as resolved', { mismatch });
+});
@@ -0,0 +1,74 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import {
+  importRestaurantsWorkbook,
+  buildRestaurantsWorkbook
+} from '../../restaurant/services/restaurantBulkService.js';
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const sendServiceError = (res, error) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.statusCode, error.message);
+  }
+  throw error;
+};
+
+const sendWorkbook = async (res, options) => {
+  try {
+    const { buffer, filename } = await buildRestaurantsWorkbook(options);
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+};
+
+/**
+ * Empty import template (Restaurants, Menu and Instructions sheets)
+ * GET /api/admin/restaurants/bulk/template
+ */
+export const downloadRestaurantImportTemplate = asyncHandler(async (req, res) => {
+  return sendWorkbook(res, { withData: false });
+});
+
+/**
+ * All restaurants with their menus and commission, in the import format
+ * GET /api/admin/restaurants/bulk/export
+ */
+export const exportRestaurants = asyncHandler(async (req, res) => {
+  return sendWorkbook(res, { withData: true });
+});
+
+/**
+ * Import restaurants and menus from an .xlsx workbook
+ * POST /api/admin/restaurants/bulk/import (multipart, field "file")
+ * Query params: dryRun=true to only validate
+ */
+export const importRestaurants = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return errorResponse(res, 400, 'Spreadsheet file is required');
+  }
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === 'true';
+
+  try {
+    const result = await importRestaurantsWorkbook(req.file.buffer, {
+      dryRun,
+      adminId: req.user._id
+    });
+
+    if (!dryRun) {
+      console.log(
+        `📥 Bulk restaurant import by admin ${req.user._id}: ${result.summary.created} created, ${result.summary.invalid + result.summary.failed} skipped`
+      );
+    }
+
+    const message = dryRun
+      ? `${result.summary.valid} of ${result.summary.restaurants} restaurants are ready to import`
+      : `${result.summary.created} of ${result.summary.restaurants} restaurants imported`;
+    return successResponse(res, 200, message, result);
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+});
@@ -0,0 +1,206 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import mongoose from 'mongoose';
+import Order from '../../order/models/Order.js';
+import TaxInvoice from '../../order/models/TaxInvoice.js';
+import AuditLog from '../models/AuditLog.js';
+import {
+  issueInvoiceForOrder,
+  issueCreditNoteForRefund,
+  taxDocumentToPdf,
+  buildGstrWorkbook,
+  getTaxSummary,
+  parseTaxPeriod
+} from '../../order/services/taxInvoiceService.js';
+
+const findOrder = async (id) => {
+  if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
+    const order = await Order.findById(id).select('_id orderId status').lean();
+    if (order) return order;
+  }
+  return Order.findOne({ orderId: id }).select('_id orderId status').lean();
+};
+
+const sendServiceError = (res, error) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.statusCode, error.message);
+  }
+  throw error;
+};
+
+/**
+ * List issued invoices and credit notes
+ * GET /api/admin/tax-invoices
+ * Query params: month (YYYY-MM), restaurantId, documentType, search, page, limit
+ */
+export const getTaxInvoices = asyncHandler(async (req, res) => {
+  const { month, restaurantId, documentType, search, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+  if (month) {
+    try {
+      const period = parseTaxPeriod(month);
+      query.issuedAt = { $gte: period.start, $lt: period.end };
+    } catch (error) {
+      return sendServiceError(res, error);
+    }
+  }
+  if (restaurantId) {
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return errorResponse(res, 400, 'Invalid restaurant ID');
+    }
+    query.restaurant = restaurantId;
+  }
+  if (documentType) {
+    query.documentType = String(documentType);
+  }
+  if (search) {
+    const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ number: pattern }, { orderNumber: pattern }];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [documents, total] = await Promise.all([
+    TaxInvoice.find(query)
+      .select('-lines')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    TaxInvoice.countDocuments(query)
+  ]);
+
+  return successResponse(res, 200, 'Tax documents retrieved', {
+    documents,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  });
+});
+
+/**
+ * Month tax totals per restaurant, net of credit notes
+ * GET /api/admin/tax-invoices/summary
+ * Query params: month (YYYY-MM)
+ */
+export const getTaxInvoiceSummary = asyncHandler(async (req, res) => {
+  try {
+    const summary = await getTaxSummary(req.query.month);
+    return successResponse(res, 200, 'Tax summary retrieved', { summary });
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+});
+
+/**
+ * Monthly GSTR-1 style workbook
+ * GET /api/admin/tax-invoices/gstr-export
+ * Query params: month (YYYY-MM), restaurantId (optional, all restaurants when omitted)
+ */
+export const exportGstr = asyncHandler(async (req, res) => {
+  const { month, restaurantId } = req.query;
+  if (restaurantId && !mongoose.Types.ObjectId.isValid(restaurantId)) {
+    return errorResponse(res, 400, 'Invalid restaurant ID');
+  }
+
+  try {
+    const { buffer, filename } = await buildGstrWorkbook({ month, restaurantId: restaurantId || null });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+});
+
+/**
+ * Download an invoice or credit note as PDF
+ * GET /api/admin/tax-invoices/:id/pdf
+ */
+export const downloadTaxInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 404, 'Tax document not found');
+  }
+
+  const document = await TaxInvoice.findById(id).lean();
+  if (!document) {
+    return errorResponse(res, 404, 'Tax document not found');
+  }
+
+  const pdf = await taxDocumentToPdf(document);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${document.number.replace(/\//g, '-')}.pdf"`);
+  return res.status(200).send(pdf);
+});
+
+/**
+ * Issue the invoice of a delivered order that does not have one yet
+ * POST /api/admin/tax-invoices/orders/:orderId/invoice
+ */
+export const issueOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId);
+  if (!order) {
+    return errorResponse(res, 404, 'Order not found');
+  }
+
+  try {
+    const { invoice, created } = await issueInvoiceForOrder(order._id);
+    return successResponse(res, created ? 201 : 200, created ? 'Invoice issued' : 'Order already has an invoice', { invoice });
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+});
+
+/**
+ * Issue a credit note for a refund made outside the cancellation flow
+ * (e.g. a partial refund on a delivered order after a complaint)
+ * POST /api/admin/tax-invoices/orders/:orderId/credit-notes
+ * Body: { amount, reason, reference? }
+ */
+export const createCreditNote = asyncHandler(async (req, res) => {
+  const { amount, reason, reference } = req.body || {};
+  const order = await findOrder(req.params.orderId);
+  if (!order) {
+    return errorResponse(res, 404, 'Order not found');
+  }
+  if (!reason || !String(reason).trim()) {
+    return errorResponse(res, 400, 'A reason is required for the credit note');
+  }
+
+  const hasInvoice = await TaxInvoice.exists({ order: order._id, documentType: 'invoice' });
+  if (!hasInvoice) {
+    return errorResponse(res, 400, 'Order has no invoice to credit');
+  }
+
+  try {
+    const { creditNote, created } = await issueCreditNoteForRefund({
+      order: order._id,
+      amount: parseFloat(amount),
+      reason: String(reason).trim(),
+      reference: reference ? `manual:${String(reference)}` : `manual:${Date.now()}`
+    });
+
+    if (created) {
+      await AuditLog.createLog({
+        entityType: 'order',
+        entityId: order._id,
+        action: 'credit_note_issued',
+        actionType: 'refund',
+        performedBy: {
+          type: 'admin',
+          userId: req.user?._id
+        },
+        description: `Credit note ${creditNote.number} of ₹${creditNote.totals.grandTotal} issued against ${creditNote.originalInvoiceNumber}: ${creditNote.reason}`
+      });
+    }
+
+    return successResponse(res, created ? 201 : 200, created ? 'Credit note issued' : 'Credit note already issued', { creditNote });
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+});
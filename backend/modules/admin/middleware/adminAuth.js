@@ -1,5 +1,7 @@
 import jwtService from '../../auth/services/jwtService.js';
 import Admin from '../models/Admin.js';
+// Registers the AdminRole model for populate('adminRoleId')
+import '../models/AdminRole.js';
 import { errorResponse } from '../../../shared/utils/response.js';
 
 /**
@@ -26,7 +28,9 @@ export const authenticateAdmin = async (req, res, next) => {
     }
 
     // Get admin from database
-    const admin = await Admin.findById(decoded.userId).select('-password');
+    const admin = await Admin.findById(decoded.userId)
+      .select('-password')
+      .populate('adminRoleId', 'name permissions isActive');
     
     if (!admin) {
       return errorResponse(res, 401, 'Admin not found');
@@ -40,6 +44,7 @@ export const authenticateAdmin = async (req, res, next) => {
     req.user = admin;
     req.admin = admin; // Also set req.admin for consistency
     req.token = decoded;
+    req.adminPermissions = admin.getEffectivePermissions();
     
     next();
   } catch (error) {
@@ -65,5 +70,25 @@ export const authorizeAdmin = (...roles) => {
   };
 };
 
-export default { authenticateAdmin, authorizeAdmin };
+/**
+ * Admin Permission Middleware
+ * Must run after authenticateAdmin. Passes when the admin has any of the given scopes.
+ * @param {...string} permissions - Permission scopes (see ADMIN_PERMISSIONS)
+ */
+export const requireAdminPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, 401, 'Authentication required');
+    }
+
+    const granted = req.adminPermissions || [];
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      return errorResponse(res, 403, 'Access denied. You do not have permission to access this section.');
+    }
+
+    next();
+  };
+};
+
+export default { authenticateAdmin, authorizeAdmin, requireAdminPermission };
 
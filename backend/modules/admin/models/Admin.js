@@ -1,6 +1,20 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Permission scopes checked by requireAdminPermission on admin routes
+export const ADMIN_PERMISSIONS = [
+  'dashboard_view',
+  'admin_manage',
+  'restaurant_manage',
+  'delivery_manage',
+  'order_manage',
+  'user_manage',
+  'report_view',
+  'settings_manage',
+  'payment_manage',
+  'campaign_manage'
+];
+
 const adminSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -32,20 +46,15 @@ const adminSchema = new mongoose.Schema({
   },
   permissions: {
     type: [String],
-    enum: [
-      'dashboard_view',
-      'admin_manage',
-      'restaurant_manage',
-      'delivery_manage',
-      'order_manage',
-      'user_manage',
-      'report_view',
-      'settings_manage',
-      'payment_manage',
-      'campaign_manage'
-    ],
+    enum: ADMIN_PERMISSIONS,
     default: ['dashboard_view'] // Default permission
   },
+  // Custom role (EmployeeRole page); its permissions are added to `permissions`
+  adminRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminRole',
+    default: null
+  },
   role: {
     type: String,
     enum: ['super_admin', 'admin', 'moderator'],
@@ -109,6 +118,25 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Permissions this admin actually has: super admins get every scope, everyone
+ * else gets their own permissions plus those of their active custom role.
+ * Expects adminRoleId to be populated when a role is assigned.
+ * @returns {Array<string>}
+ */
+adminSchema.methods.getEffectivePermissions = function() {
+  if (this.role === 'super_admin') {
+    return [...ADMIN_PERMISSIONS];
+  }
+
+  const permissions = new Set(this.permissions || []);
+  const customRole = this.adminRoleId;
+  if (customRole && customRole.isActive !== false && Array.isArray(customRole.permissions)) {
+    customRole.permissions.forEach((permission) => permissions.add(permission));
+  }
+  return [...permissions];
+};
+
 // Method to update last login
 adminSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { ADMIN_PERMISSIONS } from './Admin.js';
+
+/**
+ * Custom admin role (e.g. "Customer Care Executive") bundling permission scopes.
+ * Assigned to admins through Admin.adminRoleId.
+ */
+const adminRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    permissions: {
+      type: [String],
+      enum: ADMIN_PERMISSIONS,
+      default: []
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+adminRoleSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const AdminRole = mongoose.model('AdminRole', adminRoleSchema);
+
+export default AdminRole;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { attachWalletLedgerHooks } from '../../payment/services/ledgerService.js';
 
 // Transaction Schema
 const transactionSchema = new mongoose.Schema({
@@ -169,6 +170,8 @@ adminWalletSchema.statics.findOrCreate = async function() {
   return wallet;
 };
 
+attachWalletLedgerHooks(adminWalletSchema, 'admin');
+
 const AdminWallet = mongoose.model('AdminWallet', adminWalletSchema);
 
 export default AdminWallet;
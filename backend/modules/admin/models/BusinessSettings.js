@@ -49,6 +49,13 @@ const businessSettingsSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    // Platform GSTIN, printed on tax invoices as the e-commerce operator
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "",
+    },
     logo: {
       url: {
         type: String,
@@ -104,6 +111,175 @@ const businessSettingsSchema = new mongoose.Schema(
       enum: ["automatic", "manual"],
       default: "automatic",
     },
+    // Order batching. A rider still on the way to pickup can be given up to
+    // maxOrdersPerBatch orders from restaurants within maxPickupDistanceKm of
+    // each other whose drops lie within maxDirectionDeviation degrees, as long
+    // as no customer's ETA grows by more than maxEtaImpactMinutes. With
+    // peakOnly, orders are batched only when no free rider is nearby.
+    // bonusPerExtraOrder is paid once every order of the batch is delivered.
+    orderBatching: {
+      isEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      peakOnly: {
+        type: Boolean,
+        default: true,
+      },
+      maxOrdersPerBatch: {
+        type: Number,
+        default: 3,
+        min: 2,
+        max: 3,
+      },
+      maxPickupDistanceKm: {
+        type: Number,
+        default: 1,
+        min: 0.1,
+      },
+      maxDirectionDeviation: {
+        type: Number,
+        default: 45,
+        min: 0,
+        max: 180,
+      },
+      maxEtaImpactMinutes: {
+        type: Number,
+        default: 10,
+        min: 0,
+      },
+      bonusPerExtraOrder: {
+        type: Number,
+        default: 10,
+        min: 0,
+      },
+    },
+    // Scheduled (pre-order) deliveries. Held orders are released to the
+    // restaurant releaseLeadMinutes before the requested slot.
+    scheduledOrders: {
+      isEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      releaseLeadMinutes: {
+        type: Number,
+        default: 45,
+        min: 5,
+      },
+      minAdvanceMinutes: {
+        type: Number,
+        default: 60,
+        min: 0,
+      },
+      maxAdvanceDays: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 30,
+      },
+      slotIntervalMinutes: {
+        type: Number,
+        default: 30,
+        min: 15,
+      },
+    },
+    // Restaurant accept window. A restaurant override wins over its zone's,
+    // which wins over the platform default. Escalation steps fire the given
+    // number of seconds into the window; steps at or past the deadline are
+    // skipped. Consecutive misses pause the restaurant (isAcceptingOrders).
+    restaurantAcceptance: {
+      acceptWindowSeconds: {
+        type: Number,
+        default: 240,
+        min: 60,
+      },
+      zoneOverrides: [
+        {
+          _id: false,
+          zoneId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Zone",
+            required: true,
+          },
+          acceptWindowSeconds: {
+            type: Number,
+            required: true,
+            min: 60,
+          },
+        },
+      ],
+      restaurantOverrides: [
+        {
+          _id: false,
+          restaurantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Restaurant",
+            required: true,
+          },
+          acceptWindowSeconds: {
+            type: Number,
+            required: true,
+            min: 60,
+          },
+        },
+      ],
+      escalationSteps: {
+        type: [
+          {
+            _id: false,
+            action: {
+              type: String,
+              enum: ["ring", "push", "sms", "admin_alert"],
+              required: true,
+            },
+            afterSeconds: {
+              type: Number,
+              required: true,
+              min: 0,
+            },
+          },
+        ],
+        default: [
+          { action: "ring", afterSeconds: 60 },
+          { action: "push", afterSeconds: 120 },
+          { action: "sms", afterSeconds: 150 },
+          { action: "admin_alert", afterSeconds: 200 },
+        ],
+      },
+      autoPauseEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      autoPauseAfterMisses: {
+        type: Number,
+        default: 3,
+        min: 1,
+      },
+    },
+    // Delivery handover. Riders complete an order with the customer's code;
+    // after maxOtpAttempts wrong codes, or when the customer cannot give it,
+    // a doorstep photo taken within geofenceRadiusMeters of the address is
+    // accepted instead (if allowFallback).
+    deliveryVerification: {
+      isEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      maxOtpAttempts: {
+        type: Number,
+        default: 5,
+        min: 1,
+      },
+      allowFallback: {
+        type: Boolean,
+        default: true,
+      },
+      geofenceRadiusMeters: {
+        type: Number,
+        default: 150,
+        min: 25,
+      },
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -21,6 +21,19 @@ const earningAddonSchema = new mongoose.Schema(
         message: 'Required orders must be an integer'
       }
     },
+    // Online time within the offer period, on top of the orders (0 = no requirement)
+    requiredLoginHours: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Percentage of offered orders accepted within the offer period (0 = no requirement)
+    minAcceptanceRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
     earningAmount: {
       type: Number,
       required: true,
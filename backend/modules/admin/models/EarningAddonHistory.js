@@ -20,6 +20,8 @@ const earningAddonHistorySchema = new mongoose.Schema(
     offerSnapshot: {
       title: String,
       requiredOrders: Number,
+      requiredLoginHours: Number,
+      minAcceptanceRate: Number,
       earningAmount: Number,
       startDate: Date,
       endDate: Date
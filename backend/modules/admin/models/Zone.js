@@ -94,6 +94,20 @@ const zoneSchema = new mongoose.Schema(
       min: 0,
       max: 100
     },
+    // Rider shift booking (gig slots)
+    gigSettings: {
+      // Riders can only go online here during a booked slot
+      requireBooking: {
+        type: Boolean,
+        default: false
+      },
+      // Capacity of slots created from the default shift times
+      defaultSlotCapacity: {
+        type: Number,
+        default: 20,
+        min: 0
+      }
+    },
     // Status
     isActive: {
       type: Boolean,
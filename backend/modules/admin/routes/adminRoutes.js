@@ -73,6 +73,7 @@ import {
   updateDeliveryPartnerZone,
   deleteDeliveryPartner,
   reverifyDeliveryPartner,
+  getDeliveryPartnerOnlineTime,
 } from "../controllers/deliveryPartnerController.js";
 import { getDeliveryEarnings } from "../controllers/deliveryEarningsController.js";
 import {
@@ -173,6 +174,33 @@ import {
   getEntityAuditLogs,
   getCommissionChangeLogs,
 } from "../controllers/auditLogController.js";
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  resolveReconciliationMismatch,
+} from "../controllers/paymentReconciliationController.js";
+import {
+  getLedgerEntries,
+  getLedgerTrialBalance,
+  getLedgerConsistencyReport,
+  runLedgerBackfill,
+  alignWallet,
+} from "../controllers/ledgerController.js";
+import {
+  getJobQueues,
+  getQueueJobs,
+  retryQueueJob,
+  removeQueueJob,
+} from "../controllers/jobQueueController.js";
+import {
+  getTaxInvoices,
+  getTaxInvoiceSummary,
+  exportGstr,
+  downloadTaxInvoice,
+  issueOrderInvoice,
+  createCreditNote,
+} from "../controllers/taxInvoiceController.js";
 import {
   sendNotificationToUser,
   sendNotificationToRestaurant,
@@ -251,10 +279,52 @@ import {
   getFeeSettingsHistory,
   getPublicFeeSettings,
 } from "../controllers/feeSettingsController.js";
+import {
+  getPermissionScopes,
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+} from "../controllers/adminRoleController.js";
+import {
+  downloadRestaurantImportTemplate,
+  exportRestaurants,
+  importRestaurants,
+} from "../controllers/restaurantBulkController.js";
 import zoneRoutes from "./zoneRoutes.js";
-import { authenticateAdmin } from "../middleware/adminAuth.js";
+import {
+  authenticateAdmin,
+  requireAdminPermission,
+} from "../middleware/adminAuth.js";
+import multer from "multer";
+import { errorResponse } from "../../../shared/utils/response.js";
 import { uploadMiddleware } from "../../../shared/utils/cloudinaryService.js";
 
+// Spreadsheets for bulk imports are parsed in memory, never stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.xlsx?$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only Excel files (.xlsx) are allowed"));
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+});
+
+const handleSpreadsheetUpload = (req, res, next) => {
+  spreadsheetUpload.single("file")(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return errorResponse(res, 400, "File size exceeds 5MB limit");
+      }
+      return errorResponse(res, 400, err.message || "File upload error");
+    }
+    next();
+  });
+};
+
 const router = express.Router();
 
 // Debug: Log route file loading
@@ -279,6 +349,88 @@ router.use((req, res, next) => {
   next();
 });
 
+// Permission scopes per route group. Profile, password and /permissions
+// stay open to every admin; everything else needs one of these scopes.
+router.use("/dashboard", requireAdminPermission("dashboard_view"));
+router.use(["/admins", "/roles"], requireAdminPermission("admin_manage"));
+router.use(
+  ["/users", "/customer-wallet-report", "/feedback", "/feedback-experience", "/safety-emergency"],
+  requireAdminPermission("user_manage"),
+);
+router.use(
+  [
+    "/restaurants",
+    "/restaurant-analytics",
+    "/restaurant-commission",
+    "/restaurant-complaints",
+    "/food-approvals",
+    "/categories",
+    "/hotels",
+    "/hotels-commissions",
+  ],
+  requireAdminPermission("restaurant_manage"),
+);
+router.use(
+  [
+    "/delivery-partners",
+    "/delivery-cash-limit",
+    "/cash-limit-settlement",
+    "/delivery-boy-commission",
+    "/delivery-emergency-help",
+    "/delivery-support-tickets",
+    "/earning-addon",
+    "/earning-addon-history",
+  ],
+  requireAdminPermission("delivery_manage"),
+);
+router.use(
+  [
+    "/delivery-withdrawal",
+    "/delivery-boy-wallet",
+    "/hotel-withdrawal",
+    "/withdrawal",
+    "/settlements",
+    "/refund-requests",
+    "/payment-reconciliation",
+    "/ledger",
+  ],
+  requireAdminPermission("payment_manage"),
+);
+router.use(
+  [
+    "/business-settings",
+    "/commission-settings",
+    "/fee-settings",
+    "/env-variables",
+    "/jobs",
+    "/zones",
+    "/about",
+    "/terms",
+    "/privacy",
+    "/refund",
+    "/shipping",
+    "/cancellation",
+  ],
+  requireAdminPermission("settings_manage"),
+);
+router.use("/offers", requireAdminPermission("campaign_manage"));
+router.use("/audit-logs", requireAdminPermission("report_view"));
+router.use("/tax-invoices", requireAdminPermission("report_view"));
+router.use("/notifications", requireAdminPermission("campaign_manage"));
+router.use("/reviews", requireAdminPermission("order_manage"));
+
+// Orders are checked per route: the report endpoints live under /orders
+// but belong to report viewers
+const canManageOrders = requireAdminPermission("order_manage");
+const canViewReports = requireAdminPermission("report_view");
+
+// Permission scopes and custom roles
+router.get("/permissions", getPermissionScopes);
+router.get("/roles", getAdminRoles);
+router.post("/roles", createAdminRole);
+router.put("/roles/:id", updateAdminRole);
+router.delete("/roles/:id", deleteAdminRole);
+
 // Dashboard
 router.get("/dashboard/stats", getDashboardStats);
 
@@ -320,6 +472,9 @@ router.get("/customer-wallet-report", getCustomerWalletReport);
 // Restaurant Management
 router.get("/restaurants", getRestaurants);
 router.get("/restaurants/requests", getRestaurantJoinRequests);
+router.get("/restaurants/bulk/template", downloadRestaurantImportTemplate);
+router.get("/restaurants/bulk/export", exportRestaurants);
+router.post("/restaurants/bulk/import", handleSpreadsheetUpload, importRestaurants);
 router.get("/restaurants/:id", getRestaurantById);
 router.post("/restaurants", createRestaurant);
 router.get("/restaurant-analytics/:restaurantId", getRestaurantAnalytics);
@@ -376,6 +531,7 @@ router.get("/delivery-partners", getDeliveryPartners);
 router.get("/delivery-partners/earnings", getDeliveryEarnings);
 router.get("/delivery-partners/reviews", getDeliverymanReviews); // Must be before /:id route
 router.get("/delivery-partners/:id", getDeliveryPartnerById);
+router.get("/delivery-partners/:id/online-time", getDeliveryPartnerOnlineTime);
 router.post("/delivery-partners/:id/approve", approveDeliveryPartner);
 router.post("/delivery-partners/:id/reject", rejectDeliveryPartner);
 router.post("/delivery-partners/:id/reverify", reverifyDeliveryPartner);
@@ -410,6 +566,12 @@ router.patch("/earning-addon-history/:id/cancel", cancelEarningAddonHistory);
 router.get("/env-variables", getEnvVariables);
 router.post("/env-variables", saveEnvVariables);
 
+// Background Job Queues (auto-reject, auto-ready, menu schedules)
+router.get("/jobs", getJobQueues);
+router.get("/jobs/:queue", getQueueJobs);
+router.post("/jobs/:queue/:jobId/retry", retryQueueJob);
+router.delete("/jobs/:queue/:jobId", removeQueueJob);
+
 // Delivery Boy Commission Management
 router.get("/delivery-boy-commission", getCommissionRules);
 router.post("/delivery-boy-commission", createCommissionRule);
@@ -514,18 +676,22 @@ router.put("/safety-emergency/:id/respond", respondToSafetyEmergency);
 router.delete("/safety-emergency/:id", deleteSafetyEmergency);
 
 // Order Management
-router.get("/orders", getOrders);
-router.get("/orders/searching-deliveryman", getSearchingDeliverymanOrders);
-router.get("/orders/ongoing", getOngoingOrders);
-router.get("/orders/transaction-report", getTransactionReport);
-router.get("/orders/restaurant-report", getRestaurantReport);
+router.get("/orders", canManageOrders, getOrders);
+router.get(
+  "/orders/searching-deliveryman",
+  canManageOrders,
+  getSearchingDeliverymanOrders,
+);
+router.get("/orders/ongoing", canManageOrders, getOngoingOrders);
+router.get("/orders/transaction-report", canViewReports, getTransactionReport);
+router.get("/orders/restaurant-report", canViewReports, getRestaurantReport);
 
 // Order Refund - MUST be before /orders/:id to avoid route conflicts
 // Using explicit pattern /orders/refund/:orderId
 console.log(
   "🔧 [ROUTE REGISTRATION] Registering POST /orders/refund/:orderId route...",
 );
-router.post("/orders/refund/:orderId", async (req, res, next) => {
+router.post("/orders/refund/:orderId", canManageOrders, async (req, res, next) => {
   console.log("🎯🎯🎯 REFUND ROUTE HIT! 🎯🎯🎯", {
     method: req.method,
     url: req.url,
@@ -543,7 +709,11 @@ console.log(
   "✅ [ROUTE REGISTRATION] POST /orders/refund/:orderId route registered",
 );
 
-router.put("/orders/:orderId/approve-offline-payment", approveOfflinePayment);
+router.put(
+  "/orders/:orderId/approve-offline-payment",
+  canManageOrders,
+  approveOfflinePayment,
+);
 
 // Refund Requests - MUST be registered before any catch-all routes
 // Register POST route FIRST (more specific) before GET route
@@ -600,8 +770,12 @@ router.get("/reviews/:orderId", getReviewByOrderId);
 router.get("/reviews/restaurant/:restaurantId", getReviewsByRestaurant);
 
 // Get order by ID (must be last to avoid matching other routes)
-router.get("/orders/:id", getOrderById);
-router.post("/orders/:id/assign-delivery-partner", assignOrderToDeliveryPartner);
+router.get("/orders/:id", canManageOrders, getOrderById);
+router.post(
+  "/orders/:id/assign-delivery-partner",
+  canManageOrders,
+  assignOrderToDeliveryPartner,
+);
 router.get("/delivery-partners/:id/wallet", getDeliveryPartnerWallet);
 
 // Business Settings Management
@@ -637,6 +811,31 @@ router.get("/audit-logs/:id", getAuditLogById);
 router.get("/audit-logs/entity/:entityType/:entityId", getEntityAuditLogs);
 router.get("/audit-logs/commission-changes", getCommissionChangeLogs);
 
+// Payment Reconciliation Routes (Razorpay vs our records)
+router.get("/payment-reconciliation", getReconciliationReports);
+router.post("/payment-reconciliation/run", runReconciliation);
+router.get("/payment-reconciliation/:reportId", getReconciliationReport);
+router.patch(
+  "/payment-reconciliation/:reportId/mismatches/:mismatchId/resolve",
+  resolveReconciliationMismatch,
+);
+
+// Ledger Routes (double-entry journal behind all wallets)
+router.get("/ledger/entries", getLedgerEntries);
+router.get("/ledger/trial-balance", getLedgerTrialBalance);
+router.get("/ledger/consistency", getLedgerConsistencyReport);
+router.post("/ledger/backfill", runLedgerBackfill);
+router.post("/ledger/wallets/:walletType/:walletId/align", alignWallet);
+
+// GST invoice Routes (issuing documents also needs payment access)
+const canManagePayments = requireAdminPermission("payment_manage");
+router.get("/tax-invoices", getTaxInvoices);
+router.get("/tax-invoices/summary", getTaxInvoiceSummary);
+router.get("/tax-invoices/gstr-export", exportGstr);
+router.get("/tax-invoices/:id/pdf", downloadTaxInvoice);
+router.post("/tax-invoices/orders/:orderId/invoice", canManagePayments, issueOrderInvoice);
+router.post("/tax-invoices/orders/:orderId/credit-notes", canManagePayments, createCreditNote);
+
 // Withdrawal Request Routes (Admin)
 router.get("/withdrawal/requests", getAllWithdrawalRequests);
 router.post("/withdrawal/:id/approve", approveWithdrawalRequest);
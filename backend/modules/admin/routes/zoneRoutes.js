@@ -9,6 +9,13 @@ import {
   getZonesByRestaurant,
   checkLocationInZone
 } from '../controllers/zoneController.js';
+import {
+  getZoneGigSlots,
+  updateZoneGigSettingsHandler,
+  createZoneGigSlot,
+  updateZoneGigSlot,
+  deleteZoneGigSlot
+} from '../controllers/gigCapacityController.js';
 import { authenticateAdmin } from '../middleware/adminAuth.js';
 
 const router = express.Router();
@@ -26,5 +33,12 @@ router.put('/:id', updateZone);
 router.delete('/:id', deleteZone);
 router.patch('/:id/status', toggleZoneStatus);
 
+// Rider gig slot capacity planner
+router.patch('/gig-slots/:slotId', updateZoneGigSlot);
+router.delete('/gig-slots/:slotId', deleteZoneGigSlot);
+router.get('/:id/gig-slots', getZoneGigSlots);
+router.post('/:id/gig-slots', createZoneGigSlot);
+router.put('/:id/gig-settings', updateZoneGigSettingsHandler);
+
 export default router;
 
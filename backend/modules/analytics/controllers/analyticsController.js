@@ -0,0 +1,149 @@
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import mongoose from 'mongoose';
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import { getOrderMetrics, GRANULARITIES } from '../services/analyticsMetricsService.js';
+import { rebuildRollupRange, toDateKey, addDays, ANALYTICS_TIMEZONE } from '../services/analyticsRollupService.js';
+
+const MAX_RANGE_DAYS = 366;
+const PAYMENT_METHODS = ['razorpay', 'cash', 'wallet', 'upi', 'card', 'pay_at_hotel'];
+
+/**
+ * Resolve from/to query params into inclusive day keys
+ * Accepts YYYY-MM-DD or any Date-parsable string; defaults to the last 30 days
+ * @returns {{fromKey: string, toKey: string} | {error: string}}
+ */
+const parseDateRange = ({ from, to }) => {
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : null;
+
+  if (Number.isNaN(toDate.getTime()) || (fromDate && Number.isNaN(fromDate.getTime()))) {
+    return { error: 'Invalid from/to date' };
+  }
+
+  const isDayKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const toKey = isDayKey(to) ? to : toDateKey(toDate);
+  const fromKey = fromDate ? (isDayKey(from) ? from : toDateKey(fromDate)) : addDays(toKey, -29);
+
+  if (fromKey > toKey) {
+    return { error: 'from must be before to' };
+  }
+  if (addDays(fromKey, MAX_RANGE_DAYS) <= toKey) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { fromKey, toKey };
+};
+
+/**
+ * Shared query-param validation for metrics endpoints
+ */
+const parseMetricsQuery = (query) => {
+  const range = parseDateRange(query);
+  if (range.error) return range;
+
+  const { granularity = 'day', paymentMethod } = query;
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+  if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+    return { error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  return { ...range, granularity, paymentMethod: paymentMethod || null };
+};
+
+/**
+ * Both ids a restaurant's orders may carry (Mongo _id or public restaurantId)
+ * Falls back to the given id alone when no restaurant matches
+ */
+const resolveRestaurantIds = async (id) => {
+  const value = String(id);
+  const query = mongoose.Types.ObjectId.isValid(value) && value.length === 24
+    ? { $or: [{ _id: value }, { restaurantId: value }] }
+    : { restaurantId: value };
+  const restaurant = await Restaurant.findOne(query).select('_id restaurantId').lean();
+  if (!restaurant) return [value];
+  return [restaurant._id?.toString(), restaurant.restaurantId].filter(Boolean).map(String);
+};
+
+/**
+ * Platform order metrics
+ * GET /api/analytics/metrics
+ *
+ * Query params:
+ * - from, to: YYYY-MM-DD (inclusive, defaults to last 30 days)
+ * - granularity: day | week | month
+ * - zoneId, restaurantId, hotelId, paymentMethod: optional filters
+ */
+export const getPlatformMetrics = asyncHandler(async (req, res) => {
+  const parsed = parseMetricsQuery(req.query);
+  if (parsed.error) {
+    return errorResponse(res, 400, parsed.error);
+  }
+
+  const { zoneId, restaurantId, hotelId } = req.query;
+
+  const metrics = await getOrderMetrics({
+    ...parsed,
+    restaurantIds: restaurantId ? await resolveRestaurantIds(restaurantId) : null,
+    zoneId: zoneId || null,
+    hotelId: hotelId || null
+  });
+
+  return successResponse(res, 200, 'Analytics retrieved successfully', {
+    range: { from: parsed.fromKey, to: parsed.toKey, granularity: parsed.granularity, timezone: ANALYTICS_TIMEZONE },
+    ...metrics
+  });
+});
+
+/**
+ * Order metrics for the logged-in restaurant
+ * GET /api/analytics/restaurant/metrics
+ *
+ * Same query params as /metrics except restaurantId and zoneId
+ */
+export const getRestaurantMetrics = asyncHandler(async (req, res) => {
+  const parsed = parseMetricsQuery(req.query);
+  if (parsed.error) {
+    return errorResponse(res, 400, parsed.error);
+  }
+
+  const restaurant = req.restaurant;
+  // Order.restaurantId may hold either the Mongo _id or the public restaurantId
+  const restaurantIds = [restaurant._id?.toString(), restaurant.restaurantId]
+    .filter(Boolean)
+    .map(String);
+
+  const metrics = await getOrderMetrics({
+    ...parsed,
+    restaurantIds,
+    hotelId: req.query.hotelId || null
+  });
+
+  return successResponse(res, 200, 'Analytics retrieved successfully', {
+    range: { from: parsed.fromKey, to: parsed.toKey, granularity: parsed.granularity, timezone: ANALYTICS_TIMEZONE },
+    ...metrics
+  });
+});
+
+/**
+ * Rebuild daily rollups (backfill or after bulk order corrections)
+ * POST /api/analytics/rollups/rebuild
+ * Body: { from, to } - YYYY-MM-DD, inclusive
+ */
+export const rebuildRollups = asyncHandler(async (req, res) => {
+  const range = parseDateRange(req.body || {});
+  if (range.error) {
+    return errorResponse(res, 400, range.error);
+  }
+
+  const results = await rebuildRollupRange(range.fromKey, range.toKey);
+
+  return successResponse(res, 200, 'Analytics rollups rebuilt successfully', {
+    from: range.fromKey,
+    to: range.toKey,
+    days: results.length,
+    orders: results.reduce((sum, r) => sum + r.orders, 0)
+  });
+});
@@ -1,11 +1,8 @@
-// Analytics module - to be implemented
 import express from 'express';
+import analyticsRoutes from './routes/analyticsRoutes.js';
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.status(501).json({ message: 'Analytics module not implemented yet' });
-});
+router.use('/', analyticsRoutes);
 
 export default router;
-
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+/**
+ * Pre-aggregated order metrics for one day and one
+ * restaurant / zone / hotel / payment method combination.
+ * Rebuilt from Order by the analytics rollup job - never edited by hand.
+ */
+const rollupCustomerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    orders: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const dailyOrderRollupSchema = new mongoose.Schema(
+  {
+    // Calendar day in the analytics timezone, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true
+    },
+    // Start of that day (UTC instant) for range queries
+    day: {
+      type: Date,
+      required: true
+    },
+    restaurantId: {
+      type: String,
+      default: null
+    },
+    zoneId: {
+      type: String,
+      default: null
+    },
+    hotelId: {
+      type: String,
+      default: null
+    },
+    paymentMethod: {
+      type: String,
+      default: null
+    },
+    totalOrders: {
+      type: Number,
+      default: 0
+    },
+    deliveredOrders: {
+      type: Number,
+      default: 0
+    },
+    cancelledOrders: {
+      type: Number,
+      default: 0
+    },
+    // Sum of pricing.total for delivered orders
+    gmv: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    // Accept (confirmed) -> ready, in minutes
+    prepTimeTotal: {
+      type: Number,
+      default: 0
+    },
+    prepTimeCount: {
+      type: Number,
+      default: 0
+    },
+    // Placed -> delivered, in minutes
+    deliveryTimeTotal: {
+      type: Number,
+      default: 0
+    },
+    deliveryTimeCount: {
+      type: Number,
+      default: 0
+    },
+    // Customers with delivered orders that day (used for repeat-customer rate)
+    customers: {
+      type: [rollupCustomerSchema],
+      default: []
+    },
+    rebuiltAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+dailyOrderRollupSchema.index(
+  { date: 1, restaurantId: 1, zoneId: 1, hotelId: 1, paymentMethod: 1 },
+  { unique: true }
+);
+dailyOrderRollupSchema.index({ day: 1, restaurantId: 1 });
+dailyOrderRollupSchema.index({ day: 1, zoneId: 1 });
+// Newest rebuild marks the previous rollup run
+dailyOrderRollupSchema.index({ rebuiltAt: -1 });
+
+export default mongoose.model('DailyOrderRollup', dailyOrderRollupSchema);
@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticateAdmin, requireAdminPermission } from '../../admin/middleware/adminAuth.js';
+import { authenticate as authenticateRestaurant, requireRestaurantRole } from '../../restaurant/middleware/restaurantAuth.js';
+import {
+  getPlatformMetrics,
+  getRestaurantMetrics,
+  rebuildRollups
+} from '../controllers/analyticsController.js';
+
+const router = express.Router();
+
+const canViewReports = requireAdminPermission('report_view');
+
+// Admin
+router.get('/metrics', authenticateAdmin, canViewReports, getPlatformMetrics);
+router.post('/rollups/rebuild', authenticateAdmin, canViewReports, rebuildRollups);
+
+// Restaurant (scoped to the logged-in restaurant)
+router.get('/restaurant/metrics', authenticateRestaurant, requireRestaurantRole('owner'), getRestaurantMetrics);
+
+export default router;
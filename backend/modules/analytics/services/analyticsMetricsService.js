@@ -0,0 +1,158 @@
+import DailyOrderRollup from '../models/DailyOrderRollup.js';
+import { addDays } from './analyticsRollupService.js';
+
+/**
+ * Time-bucketed order metrics read from DailyOrderRollup
+ */
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+/**
+ * Bucket a calendar day into its week (starting Monday) or month
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} granularity - day | week | month
+ * @returns {string} Bucket key (first day of the bucket)
+ */
+const getBucketKey = (dateKey, granularity) => {
+  if (granularity === 'month') return `${dateKey.slice(0, 7)}-01`;
+  if (granularity === 'week') {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay(); // 0 (Sun) - 6 (Sat)
+    return addDays(dateKey, -((weekday + 6) % 7));
+  }
+  return dateKey;
+};
+
+/**
+ * Derived ratios from summed rollup counters
+ * @param {Object} totals
+ * @returns {Object}
+ */
+const toMetrics = (totals) => ({
+  gmv: round(totals.gmv),
+  discount: round(totals.discount),
+  orders: totals.totalOrders,
+  deliveredOrders: totals.deliveredOrders,
+  cancelledOrders: totals.cancelledOrders,
+  aov: totals.deliveredOrders > 0 ? round(totals.gmv / totals.deliveredOrders) : 0,
+  cancellationRate: totals.totalOrders > 0 ? round((totals.cancelledOrders / totals.totalOrders) * 100) : 0,
+  avgPrepTime: totals.prepTimeCount > 0 ? round(totals.prepTimeTotal / totals.prepTimeCount, 1) : null,
+  avgDeliveryTime: totals.deliveryTimeCount > 0 ? round(totals.deliveryTimeTotal / totals.deliveryTimeCount, 1) : null
+});
+
+const emptyTotals = () => ({
+  totalOrders: 0,
+  deliveredOrders: 0,
+  cancelledOrders: 0,
+  gmv: 0,
+  discount: 0,
+  prepTimeTotal: 0,
+  prepTimeCount: 0,
+  deliveryTimeTotal: 0,
+  deliveryTimeCount: 0
+});
+
+/**
+ * Build the rollup match stage from request filters
+ * @param {Object} filters
+ * @returns {Object}
+ */
+const buildMatch = ({ fromKey, toKey, restaurantIds, zoneId, hotelId, paymentMethod }) => {
+  const match = { date: { $gte: fromKey, $lte: toKey } };
+  if (restaurantIds?.length) match.restaurantId = { $in: restaurantIds };
+  if (zoneId) match.zoneId = zoneId;
+  if (hotelId) match.hotelId = hotelId;
+  if (paymentMethod) match.paymentMethod = paymentMethod;
+  return match;
+};
+
+/**
+ * Summary and time series for a date range
+ * @param {Object} filters
+ * @param {string} filters.fromKey - First day (YYYY-MM-DD)
+ * @param {string} filters.toKey - Last day, inclusive (YYYY-MM-DD)
+ * @param {string} [filters.granularity] - day | week | month
+ * @param {Array<string>} [filters.restaurantIds] - Order.restaurantId values
+ * @param {string} [filters.zoneId]
+ * @param {string} [filters.hotelId]
+ * @param {string} [filters.paymentMethod]
+ * @returns {Promise<{summary: Object, series: Array}>}
+ */
+export async function getOrderMetrics(filters) {
+  const granularity = GRANULARITIES.includes(filters.granularity) ? filters.granularity : 'day';
+  const match = buildMatch(filters);
+
+  const [dailyTotals, customerTotals] = await Promise.all([
+    DailyOrderRollup.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$date',
+          totalOrders: { $sum: '$totalOrders' },
+          deliveredOrders: { $sum: '$deliveredOrders' },
+          cancelledOrders: { $sum: '$cancelledOrders' },
+          gmv: { $sum: '$gmv' },
+          discount: { $sum: '$discount' },
+          prepTimeTotal: { $sum: '$prepTimeTotal' },
+          prepTimeCount: { $sum: '$prepTimeCount' },
+          deliveryTimeTotal: { $sum: '$deliveryTimeTotal' },
+          deliveryTimeCount: { $sum: '$deliveryTimeCount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    // Repeat customers: delivered more than one order within the range
+    DailyOrderRollup.aggregate([
+      { $match: match },
+      { $unwind: '$customers' },
+      { $group: { _id: '$customers.userId', orders: { $sum: '$customers.orders' } } },
+      {
+        $group: {
+          _id: null,
+          uniqueCustomers: { $sum: 1 },
+          repeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const buckets = new Map();
+  const summaryTotals = emptyTotals();
+
+  for (const day of dailyTotals) {
+    const bucketKey = getBucketKey(day._id, granularity);
+    if (!buckets.has(bucketKey)) buckets.set(bucketKey, emptyTotals());
+    const bucket = buckets.get(bucketKey);
+    for (const field of Object.keys(summaryTotals)) {
+      bucket[field] += day[field] || 0;
+      summaryTotals[field] += day[field] || 0;
+    }
+  }
+
+  // Emit empty buckets too so charts have a continuous x-axis
+  const series = [];
+  for (let dateKey = filters.fromKey; dateKey <= filters.toKey; dateKey = addDays(dateKey, 1)) {
+    const bucketKey = getBucketKey(dateKey, granularity);
+    if (series.length > 0 && series[series.length - 1].bucket === bucketKey) continue;
+    series.push({ bucket: bucketKey, ...toMetrics(buckets.get(bucketKey) || emptyTotals()) });
+  }
+
+  const customers = customerTotals[0] || { uniqueCustomers: 0, repeatCustomers: 0 };
+
+  return {
+    summary: {
+      ...toMetrics(summaryTotals),
+      uniqueCustomers: customers.uniqueCustomers,
+      repeatCustomers: customers.repeatCustomers,
+      repeatCustomerRate: customers.uniqueCustomers > 0
+        ? round((customers.repeatCustomers / customers.uniqueCustomers) * 100)
+        : 0
+    },
+    series
+  };
+}
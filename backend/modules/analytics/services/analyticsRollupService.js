@@ -0,0 +1,264 @@
+import Order from '../../order/models/Order.js';
+import DailyOrderRollup from '../models/DailyOrderRollup.js';
+
+/**
+ * Daily order rollups
+ *
+ * Orders are grouped per calendar day (in ANALYTICS_TIMEZONE) and per
+ * restaurant / zone / hotel / payment method. Dashboards read these rows
+ * instead of scanning Order.
+ */
+
+export const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day (YYYY-MM-DD) of a date in the analytics timezone
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date = new Date()) => {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: ANALYTICS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Offset (ms) of the analytics timezone from UTC at a given instant
+ * @param {number} timestamp
+ * @returns {number}
+ */
+const getTimezoneOffsetMs = (timestamp) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: ANALYTICS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const value = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * UTC instant at which a calendar day starts in the analytics timezone
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date}
+ */
+export const getDayStart = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  return new Date(utcMidnight - getTimezoneOffsetMs(utcMidnight));
+};
+
+/**
+ * Calendar day after the given one
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export const addDays = (dateKey, days = 1) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Recompute all rollup rows of one day from Order
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<{date: string, rows: number, orders: number}>}
+ */
+export async function rebuildDailyRollup(dateKey) {
+  const runStartedAt = new Date();
+  const dayStart = getDayStart(dateKey);
+  const dayEnd = getDayStart(addDays(dateKey, 1));
+
+  const groupKey = {
+    restaurantId: '$restaurantId',
+    zoneId: '$zoneId',
+    hotelId: '$hotelId',
+    paymentMethod: '$paymentMethod'
+  };
+
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: dayStart, $lt: dayEnd } } },
+    {
+      $project: {
+        userId: 1,
+        restaurantId: { $ifNull: ['$restaurantId', null] },
+        zoneId: { $ifNull: ['$assignmentInfo.zoneId', null] },
+        hotelId: { $ifNull: [{ $toString: '$hotelId' }, { $ifNull: ['$hotelReference', null] }] },
+        paymentMethod: { $ifNull: ['$payment.method', null] },
+        isDelivered: { $eq: ['$status', 'delivered'] },
+        isCancelled: { $eq: ['$status', 'cancelled'] },
+        total: { $ifNull: ['$pricing.total', 0] },
+        discount: { $ifNull: ['$pricing.discount', 0] },
+        prepMinutes: {
+          $cond: [
+            { $and: ['$tracking.confirmed.timestamp', '$tracking.ready.timestamp'] },
+            { $divide: [{ $subtract: ['$tracking.ready.timestamp', '$tracking.confirmed.timestamp'] }, 60000] },
+            null
+          ]
+        },
+        deliveryMinutes: {
+          $cond: [
+            { $and: [{ $eq: ['$status', 'delivered'] }, '$deliveredAt'] },
+            { $divide: [{ $subtract: ['$deliveredAt', '$createdAt'] }, 60000] },
+            null
+          ]
+        }
+      }
+    },
+    // Per customer first so each row can keep its customer list
+    {
+      $group: {
+        _id: { ...groupKey, userId: '$userId' },
+        totalOrders: { $sum: 1 },
+        deliveredOrders: { $sum: { $cond: ['$isDelivered', 1, 0] } },
+        cancelledOrders: { $sum: { $cond: ['$isCancelled', 1, 0] } },
+        gmv: { $sum: { $cond: ['$isDelivered', '$total', 0] } },
+        discount: { $sum: { $cond: ['$isDelivered', '$discount', 0] } },
+        prepTimeTotal: { $sum: { $cond: [{ $gte: ['$prepMinutes', 0] }, '$prepMinutes', 0] } },
+        prepTimeCount: { $sum: { $cond: [{ $gte: ['$prepMinutes', 0] }, 1, 0] } },
+        deliveryTimeTotal: { $sum: { $cond: [{ $gte: ['$deliveryMinutes', 0] }, '$deliveryMinutes', 0] } },
+        deliveryTimeCount: { $sum: { $cond: [{ $gte: ['$deliveryMinutes', 0] }, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          restaurantId: '$_id.restaurantId',
+          zoneId: '$_id.zoneId',
+          hotelId: '$_id.hotelId',
+          paymentMethod: '$_id.paymentMethod'
+        },
+        totalOrders: { $sum: '$totalOrders' },
+        deliveredOrders: { $sum: '$deliveredOrders' },
+        cancelledOrders: { $sum: '$cancelledOrders' },
+        gmv: { $sum: '$gmv' },
+        discount: { $sum: '$discount' },
+        prepTimeTotal: { $sum: '$prepTimeTotal' },
+        prepTimeCount: { $sum: '$prepTimeCount' },
+        deliveryTimeTotal: { $sum: '$deliveryTimeTotal' },
+        deliveryTimeCount: { $sum: '$deliveryTimeCount' },
+        customers: { $push: { userId: '$_id.userId', orders: '$deliveredOrders' } }
+      }
+    }
+  ]);
+
+  if (rows.length > 0) {
+    await DailyOrderRollup.bulkWrite(
+      rows.map((row) => {
+        const key = {
+          date: dateKey,
+          restaurantId: row._id.restaurantId ?? null,
+          zoneId: row._id.zoneId ?? null,
+          hotelId: row._id.hotelId ?? null,
+          paymentMethod: row._id.paymentMethod ?? null
+        };
+        return {
+          updateOne: {
+            filter: key,
+            update: {
+              $set: {
+                ...key,
+                day: dayStart,
+                totalOrders: row.totalOrders,
+                deliveredOrders: row.deliveredOrders,
+                cancelledOrders: row.cancelledOrders,
+                gmv: Math.round(row.gmv * 100) / 100,
+                discount: Math.round(row.discount * 100) / 100,
+                prepTimeTotal: row.prepTimeTotal,
+                prepTimeCount: row.prepTimeCount,
+                deliveryTimeTotal: row.deliveryTimeTotal,
+                deliveryTimeCount: row.deliveryTimeCount,
+                customers: row.customers.filter((c) => c.userId && c.orders > 0),
+                rebuiltAt: runStartedAt
+              }
+            },
+            upsert: true
+          }
+        };
+      }),
+      { ordered: false }
+    );
+  }
+
+  // Rows for combinations that no longer have orders (e.g. order moved zone)
+  await DailyOrderRollup.deleteMany({ date: dateKey, rebuiltAt: { $lt: runStartedAt } });
+
+  return {
+    date: dateKey,
+    rows: rows.length,
+    orders: rows.reduce((sum, row) => sum + row.totalOrders, 0)
+  };
+}
+
+/**
+ * Rebuild rollups for an inclusive range of days
+ * @param {string} fromKey - YYYY-MM-DD
+ * @param {string} toKey - YYYY-MM-DD
+ * @returns {Promise<Array>} Per-day results
+ */
+export async function rebuildRollupRange(fromKey, toKey) {
+  const results = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    results.push(await rebuildDailyRollup(dateKey));
+  }
+  return results;
+}
+
+/**
+ * Calendar days (placed before yesterday) of orders changed since a given time,
+ * e.g. an old order delivered, cancelled or refunded today
+ * @param {Date} since
+ * @param {string} beforeKey - Only days before this one (YYYY-MM-DD)
+ * @returns {Promise<string[]>} Day keys, oldest first
+ */
+export async function getChangedOrderDays(since, beforeKey) {
+  const days = await Order.aggregate([
+    { $match: { updatedAt: { $gte: since }, createdAt: { $lt: getDayStart(beforeKey) } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: ANALYTICS_TIMEZONE } }
+      }
+    }
+  ]);
+  return days.map((day) => day._id).sort();
+}
+
+/**
+ * Cron entry point - refresh today and yesterday, since orders placed
+ * yesterday can still be delivered or cancelled after midnight, plus every
+ * older day with an order updated since the previous run
+ * @returns {Promise<{processed: number, message: string}>}
+ */
+export async function processAnalyticsRollups() {
+  const today = toDateKey(new Date());
+  const yesterday = addDays(today, -1);
+
+  // The newest rebuild marks the previous run; without one, look back a day
+  const lastRun = await DailyOrderRollup.findOne().sort({ rebuiltAt: -1 }).select('rebuiltAt').lean();
+  const since = lastRun?.rebuiltAt || new Date(Date.now() - DAY_MS);
+  const changedDays = await getChangedOrderDays(since, yesterday);
+
+  const results = [];
+  for (const dateKey of changedDays) {
+    results.push(await rebuildDailyRollup(dateKey));
+  }
+  results.push(...await rebuildRollupRange(yesterday, today));
+
+  const orders = results.reduce((sum, r) => sum + r.orders, 0);
+  return {
+    processed: results.length,
+    message: `Rebuilt analytics rollups for ${results.map((r) => r.date).join(', ')} (${orders} orders)`
+  };
+}
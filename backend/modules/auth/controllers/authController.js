@@ -9,6 +9,7 @@ import {
   errorResponse,
 } from "../../../shared/utils/response.js";
 import { asyncHandler } from "../../../shared/middleware/asyncHandler.js";
+import { getRequestLanguage } from "../../../shared/utils/i18n.js";
 import winston from "winston";
 
 const logger = winston.createLogger({
@@ -55,6 +56,7 @@ export const sendOTP = asyncHandler(async (req, res) => {
       phone || null,
       purpose,
       email || null,
+      getRequestLanguage(req),
     );
     return successResponse(res, 200, result.message, {
       expiresIn: result.expiresIn,
@@ -496,9 +498,11 @@ export const register = asyncHandler(async (req, res) => {
   if (user.email) {
     // Import emailService dynamically to avoid circular dependencies if any
     const emailService = (await import("../services/emailService.js")).default;
-    emailService.sendWelcomeEmail(user.email, user.name).catch((err) => {
-      logger.error(`Failed to send welcome email: ${err.message}`);
-    });
+    emailService
+      .sendWelcomeEmail(user.email, user.name, getRequestLanguage(req))
+      .catch((err) => {
+        logger.error(`Failed to send welcome email: ${err.message}`);
+      });
   }
 
   return successResponse(res, 201, "Registration successful", {
@@ -63,4 +63,29 @@ export const authorize = (...roles) => {
   };
 };
 
-export default { authenticate, authorize };
+/**
+ * Optional Authentication Middleware
+ * Attaches the user when a valid access token is sent; never rejects the
+ * request, so public endpoints can personalise for logged-in users
+ */
+export const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+      const decoded = jwtService.verifyAccessToken(authHeader.substring(7));
+      const user = await User.findById(decoded.userId).select("-password");
+
+      if (user && user.isActive) {
+        req.user = user;
+        req.token = decoded;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired token: continue as a guest
+  }
+
+  next();
+};
+
+export default { authenticate, authorize, optionalAuthenticate };
@@ -22,7 +22,7 @@ const otpSchema = new mongoose.Schema({
   },
   purpose: {
     type: String,
-    enum: ['login', 'register', 'reset-password', 'verify-phone', 'verify-email'],
+    enum: ['login', 'register', 'reset-password', 'verify-phone', 'verify-email', 'staff-login', 'staff-outlet-select'],
     default: 'login'
   },
   expiresAt: {
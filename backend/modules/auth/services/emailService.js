@@ -1,5 +1,6 @@
 import nodemailer from "nodemailer";
 import winston from "winston";
+import { translate, DEFAULT_LANGUAGE } from "../../../shared/utils/i18n.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -168,32 +169,43 @@ class EmailService {
 
   // --- User Emails ---
 
-  async sendOTP(email, otp, purpose = "login") {
+  async sendOTP(email, otp, purpose = "login", language = DEFAULT_LANGUAGE) {
     const { templates } = await import("./emailTemplates.js");
     const companyName = await this.getCompanyName();
 
-    const purposeText =
-      {
-        login: "login to your account",
-        register: "complete your registration",
-        "reset-password": "reset your password",
-        "verify-phone": "verify your phone number",
-        "verify-email": "verify your email address",
-      }[purpose] || "complete this action";
-
-    const html = templates.otp({ companyName, otp, purposeText });
-    return this.sendEmail({ to: email, subject: `Your OTP - ${otp}`, html });
+    const purposeKey = [
+      "login",
+      "register",
+      "reset-password",
+      "verify-phone",
+      "verify-email",
+    ].includes(purpose)
+      ? purpose.replace("-", "_")
+      : "default";
+    const purposeText = translate(language, `email.otp.purpose.${purposeKey}`);
+
+    const html = templates.otp({ companyName, otp, purposeText, language });
+    return this.sendEmail({
+      to: email,
+      subject: translate(language, "email.otp.subject", { otp }),
+      html,
+    });
   }
 
-  async sendWelcomeEmail(email, name) {
+  async sendWelcomeEmail(email, name, language = DEFAULT_LANGUAGE) {
     const { templates } = await import("./emailTemplates.js");
     const companyName = await this.getCompanyName();
     const dashboardUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/user/home`;
 
-    const html = templates.welcomeUser({ companyName, name, dashboardUrl });
+    const html = templates.welcomeUser({
+      companyName,
+      name,
+      dashboardUrl,
+      language,
+    });
     return this.sendEmail({
       to: email,
-      subject: `Welcome to ${companyName}!`,
+      subject: translate(language, "email.welcome.subject", { companyName }),
       html,
     });
   }
@@ -3,6 +3,8 @@
  * Centralized template management for all system emails
  */
 
+import { translate, DEFAULT_LANGUAGE } from "../../../shared/utils/i18n.js";
+
 const getBaseStyles = () => `
   <style>
     body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
@@ -26,9 +28,9 @@ const getBaseStyles = () => `
   </style>
 `;
 
-const getTemplateWrapper = (companyName, title, content) => `
+const getTemplateWrapper = (companyName, title, content, language = DEFAULT_LANGUAGE) => `
 <!DOCTYPE html>
-<html>
+<html lang="${language}">
   <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -45,8 +47,8 @@ const getTemplateWrapper = (companyName, title, content) => `
         ${content}
       </div>
       <div class="footer">
-        <p>&copy; ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
-        <p>This is an automated message, please do not reply directly to this email.</p>
+        <p>&copy; ${new Date().getFullYear()} ${companyName}. ${translate(language, "email.footer.rights")}</p>
+        <p>${translate(language, "email.footer.automated")}</p>
       </div>
     </div>
   </body>
@@ -57,30 +59,33 @@ export const templates = {
   // --- User Templates ---
 
   welcomeUser: (data) => {
+    const t = (key) => translate(data.language, `email.welcome.${key}`, data);
     const content = `
-      <h2>Welcome to ${data.companyName}!</h2>
-      <p>Hi <strong>${data.name}</strong>,</p>
-      <p>Thank you for joining ${data.companyName}. We're excited to have you on board!</p>
-      <p>Explore the best restaurants around you and enjoy delicious meals delivered to your doorstep.</p>
+      <h2>${t("heading")}</h2>
+      <p>${t("greeting")}</p>
+      <p>${t("thanks")}</p>
+      <p>${t("explore")}</p>
       <div style="text-align: center;">
-        <a href="${data.dashboardUrl}" class="button">Start Exploring</a>
+        <a href="${data.dashboardUrl}" class="button">${t("button")}</a>
       </div>
     `;
-    return getTemplateWrapper(data.companyName, "Welcome Aboard!", content);
+    return getTemplateWrapper(data.companyName, t("title"), content, data.language);
   },
 
   otp: (data) => {
+    const t = (key) =>
+      translate(data.language, `email.otp.${key}`, { purpose: data.purposeText });
     const content = `
-      <h2>OTP Verification</h2>
-      <p>Your One-Time Password (OTP) to <strong>${data.purposeText}</strong> is:</p>
+      <h2>${t("heading")}</h2>
+      <p>${t("intro")}</p>
       <div style="background: white; border: 2px dashed #10B981; border-radius: 8px; padding: 20px; text-align: center; margin: 30px 0;">
         <div style="font-size: 32px; font-weight: bold; color: #10B981; letter-spacing: 5px;">
           ${data.otp}
         </div>
       </div>
-      <p>This OTP is valid for 5 minutes. Do not share it with anyone.</p>
+      <p>${t("validity")}</p>
     `;
-    return getTemplateWrapper(data.companyName, "Verification Code", content);
+    return getTemplateWrapper(data.companyName, t("title"), content, data.language);
   },
 
   bookingConfirmation: (data) => {
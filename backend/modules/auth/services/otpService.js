@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import Otp from "../models/Otp.js";
 import smsIndiaHubService from "./smsIndiaHubService.js";
 import emailService from "./emailService.js";
@@ -79,6 +80,14 @@ const isTestIdentifier = (phone, email) => {
   return (phone && isTestPhoneNumber(phone)) || (email && isTestEmail(email));
 };
 
+// Staff of several outlets get this long to pick one after verifying the OTP
+const STAFF_OUTLET_TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Outlet-selection tokens are stored hashed, like passwords
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
 /**
  * Generate a random 6-digit OTP
  */
@@ -97,9 +106,10 @@ class OTPService {
    * @param {string} phone - Phone number (optional if email provided)
    * @param {string} email - Email address (optional if phone provided)
    * @param {string} purpose - Purpose of OTP (login, register, etc.)
+   * @param {string} language - Language of the SMS/email text (optional, defaults to English)
    * @returns {Promise<Object>}
    */
-  async generateAndSendOTP(phone = null, purpose = "login", email = null) {
+  async generateAndSendOTP(phone = null, purpose = "login", email = null, language = null) {
     try {
       // Validate that either phone or email is provided
       if (!phone && !email) {
@@ -158,7 +168,7 @@ class OTPService {
         // Skip actual SMS sending for test phone numbers
         if (!isTestPhoneNumber(phone)) {
           // Use SMSIndia Hub for phone OTP
-          await smsIndiaHubService.sendOTP(phone, otp, purpose);
+          await smsIndiaHubService.sendOTP(phone, otp, purpose, language);
         } else {
           logger.info(`Skipping SMS for test phone number: ${phone}`, {
             phone,
@@ -169,7 +179,7 @@ class OTPService {
       } else if (email) {
         // Skip actual Email sending for test emails
         if (!isTestEmail(email)) {
-          await emailService.sendOTP(email, otp, purpose);
+          await emailService.sendOTP(email, otp, purpose, language);
         } else {
           logger.info(`Skipping Email for test email: ${email}`, {
             email,
@@ -317,9 +327,14 @@ class OTPService {
         throw new Error("Too many failed attempts. Please request a new OTP.");
       }
 
-      // Mark as verified
-      otpRecord.verified = true;
-      await otpRecord.save();
+      // Mark as verified - conditional, so two requests can't both use the same code
+      const claim = await Otp.updateOne(
+        { _id: otpRecord._id, verified: false },
+        { $set: { verified: true } },
+      );
+      if (claim.modifiedCount === 0) {
+        throw new Error("Invalid or expired OTP");
+      }
 
       logger.info(
         `OTP verified successfully for ${identifier} (${identifierType})`,
@@ -344,15 +359,55 @@ class OTPService {
     }
   }
 
+  /**
+   * Issue a single-use token that lets a staff member pick an outlet after
+   * their login OTP was verified, without re-submitting the code
+   * @param {string} phone - Staff phone number the token is bound to
+   * @returns {Promise<{token: string, expiresIn: number}>}
+   */
+  async issueStaffOutletToken(phone) {
+    const token = crypto.randomBytes(24).toString("hex");
+    await Otp.create({
+      phone,
+      otp: hashToken(token),
+      purpose: "staff-outlet-select",
+      expiresAt: new Date(Date.now() + STAFF_OUTLET_TOKEN_TTL_SECONDS * 1000),
+    });
+    return { token, expiresIn: STAFF_OUTLET_TOKEN_TTL_SECONDS };
+  }
+
+  /**
+   * Use up an outlet-selection token issued by issueStaffOutletToken
+   * @param {string} phone - Staff phone number
+   * @param {string} token - Token returned with the outlet list
+   * @throws {Error} When the token is unknown, expired, already used or issued for another phone
+   */
+  async consumeStaffOutletToken(phone, token) {
+    const record = await Otp.findOneAndUpdate(
+      {
+        phone,
+        otp: hashToken(String(token)),
+        purpose: "staff-outlet-select",
+        verified: false,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { verified: true } },
+    );
+    if (!record) {
+      throw new Error("Outlet selection has expired. Please log in again.");
+    }
+  }
+
   /**
    * Resend OTP
    * @param {string} phone - Phone number (optional if email provided)
    * @param {string} purpose - Purpose of OTP
    * @param {string} email - Email address (optional if phone provided)
+   * @param {string} language - Language of the SMS/email text (optional)
    * @returns {Promise<Object>}
    */
-  async resendOTP(phone = null, purpose = "login", email = null) {
-    return await this.generateAndSendOTP(phone, purpose, email);
+  async resendOTP(phone = null, purpose = "login", email = null, language = null) {
+    return await this.generateAndSendOTP(phone, purpose, email, language);
   }
 }
 
@@ -1,5 +1,6 @@
 import axios from "axios";
 import dotenv from "dotenv";
+import { translate, normalizeLanguage, DEFAULT_LANGUAGE } from "../../../shared/utils/i18n.js";
 
 // Load environment variables if not already loaded
 dotenv.config();
@@ -94,14 +95,24 @@ class SMSIndiaHubService {
     return "91" + digits.slice(-10);
   }
 
+  /**
+   * Data coding for a message: Indian scripts must be sent as Unicode
+   * @param {string} message - SMS text
+   * @returns {string} - "8" for Unicode, "0" for plain text
+   */
+  getDataCoding(message) {
+    return /[^\x00-\x7F₹]/.test(message) ? "8" : "0";
+  }
+
   /**
    * Send OTP via SMS using SMSIndia Hub
    * @param {string} phone - Phone number to send SMS to
    * @param {string} otp - OTP code to send
    * @param {string} purpose - Purpose of OTP (register, login, reset_password) - optional
+   * @param {string} language - Recipient language code (en, hi, ...) - optional
    * @returns {Promise<Object>} - Response object
    */
-  async sendOTP(phone, otp, purpose = 'register') {
+  async sendOTP(phone, otp, purpose = 'register', language = DEFAULT_LANGUAGE) {
     try {
       // Load credentials dynamically from database
       const { getSMSHubIndiaCredentials } = await import('../../../shared/utils/envService.js');
@@ -136,10 +147,17 @@ class SMSIndiaHubService {
       // SMSIndia Hub requires DLT registered templates for transactional SMS
       // The message text MUST match the registered DLT template EXACTLY
       // Check if custom message template is provided (must match registered DLT template exactly)
-      const customTemplate = process.env.SMSINDIAHUB_MESSAGE_TEMPLATE?.trim();
+      // A language can have its own DLT template (SMSINDIAHUB_MESSAGE_TEMPLATE_HI and
+      // SMSINDIAHUB_TEMPLATE_ID_HI); languages without one use the default template
+      const languageCode = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+      const languageSuffix = languageCode.toUpperCase();
+      const languageTemplate = process.env[`SMSINDIAHUB_MESSAGE_TEMPLATE_${languageSuffix}`]?.trim();
+      const customTemplate = languageTemplate || process.env.SMSINDIAHUB_MESSAGE_TEMPLATE?.trim();
       
       // Check if template ID is provided (for DLT registered templates)
-      const templateId = process.env.SMSINDIAHUB_TEMPLATE_ID?.trim();
+      const templateId = (languageTemplate
+        ? process.env[`SMSINDIAHUB_TEMPLATE_ID_${languageSuffix}`]
+        : process.env.SMSINDIAHUB_TEMPLATE_ID)?.trim();
       
       // Check if promotional SMS is enabled (temporary workaround for template issues)
       // ⚠️ WARNING: Promotional SMS is not recommended for OTP - use only for testing
@@ -159,15 +177,19 @@ class SMSIndiaHubService {
         // Use custom template with OTP replacement only (don't change purpose text for DLT)
         message = customTemplate.replace('{otp}', otp);
       } else if (usePromotional) {
-        // For promotional SMS, we can use dynamic purpose text
-        let purposeText = 'registration';
-        if (purpose === 'login') {
-          purposeText = 'login';
+        // For promotional SMS, we can use dynamic purpose text in the recipient's language
+        let purposeKey = 'registration';
+        if (purpose === 'login' || purpose === 'staff-login') {
+          purposeKey = 'login';
         } else if (purpose === 'reset_password') {
-          purposeText = 'password reset';
+          purposeKey = 'password_reset';
         }
         const companyName = await this.getCompanyName();
-        message = `Welcome to the ${companyName} powered by SMSINDIAHUB. Your OTP for ${purposeText} is ${otp}`;
+        message = translate(languageCode, 'sms.otp', {
+          companyName,
+          purpose: translate(languageCode, `sms.otp_purpose.${purposeKey}`),
+          otp
+        });
       } else {
         // For transactional SMS, use fixed template text that matches DLT registration
         // IMPORTANT: This must match the registered DLT template exactly
@@ -182,7 +204,7 @@ class SMSIndiaHubService {
         sid: senderId,
         msg: message,
         fl: "0", // Flash message flag (0 = normal SMS)
-        dc: "0", // Delivery confirmation (0 = no confirmation)
+        dc: this.getDataCoding(message), // Data coding (0 = text, 8 = Unicode)
         gwid: gatewayId, // Gateway ID (2 = transactional, same as RentYatra)
       });
       
@@ -361,7 +383,7 @@ class SMSIndiaHubService {
         sid: senderId,
         msg: message,
         fl: "0", // Flash message flag (0 = normal SMS)
-        dc: "0", // Delivery confirmation (0 = no confirmation)
+        dc: this.getDataCoding(message), // Data coding (0 = text, 8 = Unicode)
         gwid: "2", // Gateway ID (2 = transactional)
       });
 
@@ -0,0 +1,368 @@
+import mongoose from 'mongoose';
+import Coupon, { COUPON_DISCOUNT_TYPES, COUPON_PAYMENT_METHODS } from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { normalizeCouponCode, getAvailableCoupons } from '../services/couponService.js';
+
+/**
+ * Optional positive integer; empty / null / 0 means unlimited
+ * @returns {{value: number|null} | {error: string}}
+ */
+const parseLimit = (raw, field) => {
+  if (raw === null || raw === '' || Number(raw) === 0) return { value: null };
+  const value = parseInt(raw, 10);
+  if (!Number.isInteger(value) || value < 1) return { error: `${field} must be a positive number or empty for unlimited` };
+  return { value };
+};
+
+const parseIdList = (raw, field) => {
+  if (!Array.isArray(raw)) return { error: `${field} must be an array` };
+  const ids = raw.map(String);
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: `${field} contains an invalid id` };
+  return { value: [...new Set(ids)] };
+};
+
+/**
+ * Validate and pick coupon fields from request body
+ * @param {Object} body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {{data: Object} | {error: string}}
+ */
+const parseCouponBody = (body, partial = false) => {
+  const data = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code)) return { error: 'Coupon code must be 3-20 letters, digits, - or _' };
+    data.code = code;
+  }
+  if (body.title !== undefined || !partial) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return { error: 'Coupon title is required' };
+    data.title = title;
+  }
+  if (body.description !== undefined) {
+    data.description = String(body.description || '').trim();
+  }
+  if (body.discountType !== undefined || !partial) {
+    if (!COUPON_DISCOUNT_TYPES.includes(body.discountType)) {
+      return { error: `discountType must be one of: ${COUPON_DISCOUNT_TYPES.join(', ')}` };
+    }
+    data.discountType = body.discountType;
+  }
+  if (body.discountValue !== undefined || (!partial && data.discountType !== 'free_delivery')) {
+    const discountValue = Number(body.discountValue);
+    if (!Number.isFinite(discountValue) || discountValue < 0) return { error: 'Discount value must be a non-negative number' };
+    if (data.discountType === 'percentage' && (discountValue <= 0 || discountValue > 100)) {
+      return { error: 'Percentage discount must be between 1 and 100' };
+    }
+    if (data.discountType === 'flat' && discountValue <= 0) return { error: 'Flat discount must be greater than 0' };
+    data.discountValue = discountValue;
+  }
+  if (body.maxDiscount !== undefined) {
+    const maxDiscount = body.maxDiscount === null || body.maxDiscount === '' ? null : Number(body.maxDiscount);
+    if (maxDiscount !== null && (!Number.isFinite(maxDiscount) || maxDiscount <= 0)) {
+      return { error: 'Max discount must be a positive number or empty for no cap' };
+    }
+    data.maxDiscount = maxDiscount;
+  }
+  if (body.minOrderValue !== undefined) {
+    const minOrderValue = Number(body.minOrderValue || 0);
+    if (!Number.isFinite(minOrderValue) || minOrderValue < 0) return { error: 'Minimum order value must be a non-negative number' };
+    data.minOrderValue = minOrderValue;
+  }
+  if (body.startsAt !== undefined || !partial) {
+    const startsAt = body.startsAt ? new Date(body.startsAt) : new Date();
+    if (Number.isNaN(startsAt.getTime())) return { error: 'Invalid start date' };
+    data.startsAt = startsAt;
+  }
+  if (body.expiresAt !== undefined) {
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (expiresAt && Number.isNaN(expiresAt.getTime())) return { error: 'Invalid expiry date' };
+    data.expiresAt = expiresAt;
+  }
+  if (data.startsAt && data.expiresAt && data.expiresAt <= data.startsAt) {
+    return { error: 'Expiry date must be after start date' };
+  }
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (body[field] === undefined) continue;
+    const parsed = parseLimit(body[field], field);
+    if (parsed.error) return parsed;
+    data[field] = parsed.value;
+  }
+
+  if (body.eligibility && typeof body.eligibility === 'object') {
+    if (body.eligibility.firstOrderOnly !== undefined) {
+      data['eligibility.firstOrderOnly'] = body.eligibility.firstOrderOnly === true;
+    }
+    if (body.eligibility.newUserDays !== undefined) {
+      const parsed = parseLimit(body.eligibility.newUserDays, 'newUserDays');
+      if (parsed.error) return parsed;
+      data['eligibility.newUserDays'] = parsed.value;
+    }
+  }
+  if (body.targeting && typeof body.targeting === 'object') {
+    for (const field of ['zones', 'restaurants']) {
+      if (body.targeting[field] === undefined) continue;
+      const parsed = parseIdList(body.targeting[field], field);
+      if (parsed.error) return parsed;
+      data[`targeting.${field}`] = parsed.value;
+    }
+    if (body.targeting.paymentMethods !== undefined) {
+      const methods = body.targeting.paymentMethods;
+      if (!Array.isArray(methods) || methods.some((m) => !COUPON_PAYMENT_METHODS.includes(m))) {
+        return { error: `paymentMethods must only contain: ${COUPON_PAYMENT_METHODS.join(', ')}` };
+      }
+      data['targeting.paymentMethods'] = [...new Set(methods)];
+    }
+  }
+  if (body.funding?.platformShare !== undefined) {
+    const platformShare = Number(body.funding.platformShare);
+    if (!Number.isFinite(platformShare) || platformShare < 0 || platformShare > 100) {
+      return { error: 'Platform funding share must be between 0 and 100' };
+    }
+    data['funding.platformShare'] = platformShare;
+  }
+  if (body.isActive !== undefined) {
+    data.isActive = body.isActive === true || body.isActive === 'true';
+  }
+
+  return { data };
+};
+
+/**
+ * Expand dotted keys ("targeting.zones") into nested objects for create()
+ */
+const toNested = (data) => {
+  const nested = {};
+  for (const [key, value] of Object.entries(data)) {
+    const [head, tail] = key.split('.');
+    if (tail) {
+      nested[head] = { ...(nested[head] || {}), [tail]: value };
+    } else {
+      nested[head] = value;
+    }
+  }
+  return nested;
+};
+
+/**
+ * List platform coupons (admin)
+ * GET /api/coupon/admin
+ *
+ * Query params: search, status (active | inactive | expired), page, limit
+ */
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { search, status, page = 1, limit = 20 } = req.query;
+  const now = new Date();
+  const query = {};
+  if (search) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { code: { $regex: escaped, $options: 'i' } },
+      { title: { $regex: escaped, $options: 'i' } }
+    ];
+  }
+  if (status === 'active') query.isActive = true;
+  if (status === 'inactive') query.isActive = false;
+  if (status === 'expired') query.expiresAt = { $lte: now };
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .populate('targeting.zones', 'name zoneName')
+      .populate('targeting.restaurants', 'name restaurantId')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Coupon.countDocuments(query)
+  ]);
+
+  return successResponse(res, 200, 'Coupons retrieved successfully', {
+    coupons,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+/**
+ * Create platform coupon (admin)
+ * POST /api/coupon/admin
+ */
+export const createCoupon = asyncHandler(async (req, res) => {
+  const { data, error } = parseCouponBody(req.body || {});
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+
+  if (await Coupon.exists({ code: data.code })) {
+    return errorResponse(res, 409, `Coupon code ${data.code} already exists`);
+  }
+
+  const coupon = await Coupon.create({
+    ...toNested(data),
+    createdBy: req.admin?._id || null
+  });
+
+  return successResponse(res, 201, 'Coupon created successfully', { coupon });
+});
+
+/**
+ * Update platform coupon (admin)
+ * PUT /api/coupon/admin/:id
+ */
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid coupon id');
+  }
+
+  const { data, error } = parseCouponBody(req.body || {}, true);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+
+  if (data.code && await Coupon.exists({ code: data.code, _id: { $ne: id } })) {
+    return errorResponse(res, 409, `Coupon code ${data.code} already exists`);
+  }
+
+  const coupon = await Coupon.findByIdAndUpdate(id, { $set: data }, { new: true, runValidators: true });
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  return successResponse(res, 200, 'Coupon updated successfully', { coupon });
+});
+
+/**
+ * Toggle coupon status (admin)
+ * PATCH /api/coupon/admin/:id/status
+ */
+export const toggleCouponStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid coupon id');
+  }
+
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  coupon.isActive = req.body?.isActive !== undefined ? req.body.isActive === true : !coupon.isActive;
+  await coupon.save();
+
+  return successResponse(res, 200, `Coupon ${coupon.isActive ? 'activated' : 'deactivated'} successfully`, { coupon });
+});
+
+/**
+ * Delete coupon (admin) - only coupons that were never redeemed;
+ * redeemed coupons should be deactivated to keep their history.
+ * DELETE /api/coupon/admin/:id
+ */
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid coupon id');
+  }
+
+  if (await CouponRedemption.exists({ coupon: id })) {
+    return errorResponse(res, 400, 'Coupon has been redeemed and cannot be deleted. Deactivate it instead.');
+  }
+
+  const coupon = await Coupon.findByIdAndDelete(id);
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  return successResponse(res, 200, 'Coupon deleted successfully');
+});
+
+/**
+ * Redemptions of a coupon with funding totals (admin)
+ * GET /api/coupon/admin/:id/redemptions
+ */
+export const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid coupon id');
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const couponId = new mongoose.Types.ObjectId(id);
+
+  const [redemptions, total, totals] = await Promise.all([
+    CouponRedemption.find({ coupon: couponId })
+      .populate('userId', 'name phone email')
+      .populate('restaurantId', 'name restaurantId')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    CouponRedemption.countDocuments({ coupon: couponId }),
+    CouponRedemption.aggregate([
+      { $match: { coupon: couponId, status: 'applied' } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$discount' },
+          platformFunded: { $sum: '$funding.platform' },
+          restaurantFunded: { $sum: '$funding.restaurant' }
+        }
+      }
+    ])
+  ]);
+
+  return successResponse(res, 200, 'Coupon redemptions retrieved successfully', {
+    redemptions,
+    summary: totals[0]
+      ? { ...totals[0], _id: undefined }
+      : { redemptions: 0, discount: 0, platformFunded: 0, restaurantFunded: 0 },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+/**
+ * Coupons the logged-in user can apply
+ * GET /api/coupon/available
+ *
+ * Query params: restaurantId (optional - only coupons valid at that restaurant)
+ */
+export const getUserAvailableCoupons = asyncHandler(async (req, res) => {
+  const { restaurantId } = req.query;
+  let restaurant = null;
+  if (restaurantId) {
+    if (mongoose.Types.ObjectId.isValid(restaurantId) && String(restaurantId).length === 24) {
+      restaurant = await Restaurant.findById(restaurantId).select('_id name location').lean();
+    }
+    if (!restaurant) {
+      restaurant = await Restaurant.findOne({
+        $or: [{ restaurantId }, { slug: restaurantId }]
+      }).select('_id name location').lean();
+    }
+  }
+
+  const coupons = await getAvailableCoupons({
+    userId: req.user?._id?.toString() || req.user?.id || null,
+    restaurant
+  });
+
+  return successResponse(res, 200, 'Coupons retrieved successfully', { coupons });
+});
@@ -0,0 +1,8 @@
+import express from 'express';
+import couponRoutes from './routes/couponRoutes.js';
+
+const router = express.Router();
+
+router.use('/', couponRoutes);
+
+export default router;
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+export const COUPON_DISCOUNT_TYPES = ['percentage', 'flat', 'free_delivery'];
+export const COUPON_PAYMENT_METHODS = ['razorpay', 'cash', 'wallet', 'upi', 'card', 'pay_at_hotel'];
+
+/**
+ * Platform coupon issued by admin.
+ * Restaurant-owned item coupons stay on Offer; these apply across restaurants
+ * and carry their own usage caps, eligibility rules and targeting.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    discountType: {
+      type: String,
+      enum: COUPON_DISCOUNT_TYPES,
+      required: true
+    },
+    // Percent for 'percentage', rupees for 'flat', unused for 'free_delivery'
+    discountValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Cap for percentage coupons (null = no cap)
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Total redemptions across all users (null = unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    // Redemptions per user (null = unlimited)
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Live redemptions (cancelled orders give their use back)
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    eligibility: {
+      firstOrderOnly: { type: Boolean, default: false },
+      // Only users who signed up within this many days (null = any user)
+      newUserDays: { type: Number, default: null, min: 1 }
+    },
+    // Empty arrays = no restriction
+    targeting: {
+      zones: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Zone' }],
+      restaurants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant' }],
+      paymentMethods: [{ type: String, enum: COUPON_PAYMENT_METHODS }]
+    },
+    // Share of the discount borne by the platform; the rest is deducted from the restaurant payout
+    funding: {
+      platformShare: { type: Number, default: 100, min: 0, max: 100 }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponSchema.index({ isActive: 1, startsAt: 1, expiresAt: 1 });
+
+export default mongoose.model('Coupon', couponSchema);
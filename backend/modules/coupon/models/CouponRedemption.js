@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * One use of a platform coupon on an order.
+ * Reversed when the order is cancelled so the use counts again.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+      index: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true
+    },
+    orderNumber: {
+      type: String,
+      default: null
+    },
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      default: null
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    funding: {
+      platform: { type: Number, default: 0, min: 0 },
+      restaurant: { type: Number, default: 0, min: 0 }
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'reversed'],
+      default: 'applied',
+      index: true
+    },
+    reversedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponRedemptionSchema.index({ coupon: 1, userId: 1, status: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
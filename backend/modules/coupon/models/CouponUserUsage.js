@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * How many uses of a platform coupon a user currently holds.
+ * Counted atomically at order placement so the per-user limit holds
+ * when the same user places orders side by side.
+ */
+const couponUserUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponUserUsageSchema.index({ coupon: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('CouponUserUsage', couponUserUsageSchema);
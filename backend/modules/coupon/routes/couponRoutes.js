@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticateAdmin, requireAdminPermission } from '../../admin/middleware/adminAuth.js';
+import { authenticate } from '../../auth/middleware/auth.js';
+import {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  toggleCouponStatus,
+  deleteCoupon,
+  getCouponRedemptions,
+  getUserAvailableCoupons
+} from '../controllers/couponController.js';
+
+const router = express.Router();
+
+const canManageCoupons = requireAdminPermission('campaign_manage');
+
+// Admin - platform coupon management
+router.get('/admin', authenticateAdmin, canManageCoupons, getCoupons);
+router.post('/admin', authenticateAdmin, canManageCoupons, createCoupon);
+router.put('/admin/:id', authenticateAdmin, canManageCoupons, updateCoupon);
+router.patch('/admin/:id/status', authenticateAdmin, canManageCoupons, toggleCouponStatus);
+router.delete('/admin/:id', authenticateAdmin, canManageCoupons, deleteCoupon);
+router.get('/admin/:id/redemptions', authenticateAdmin, canManageCoupons, getCouponRedemptions);
+
+// User - coupons available to apply
+router.get('/available', authenticate, getUserAvailableCoupons);
+
+export default router;
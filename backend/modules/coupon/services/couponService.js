@@ -0,0 +1,348 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import CouponUserUsage from '../models/CouponUserUsage.js';
+import Order from '../../order/models/Order.js';
+import User from '../../auth/models/User.js';
+import { isRestaurantInAnyZone } from '../../order/services/restaurantAssignmentService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Platform coupon by code (any status)
+ * @param {string} code
+ * @returns {Promise<Object|null>}
+ */
+export async function findCouponByCode(code) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return null;
+  return Coupon.findOne({ code: normalized }).lean();
+}
+
+/**
+ * Discount amount a coupon gives on a subtotal (ignores eligibility)
+ * @param {Object} coupon
+ * @param {number} subtotal
+ * @returns {number}
+ */
+export const computeCouponDiscount = (coupon, subtotal) => {
+  if (coupon.discountType === 'percentage') {
+    const amount = Math.round(subtotal * (coupon.discountValue / 100));
+    return Math.min(amount, coupon.maxDiscount || Infinity, subtotal);
+  }
+  if (coupon.discountType === 'flat') {
+    return Math.min(Math.round(coupon.discountValue), subtotal);
+  }
+  return 0;
+};
+
+/**
+ * Split a discount between platform and restaurant per the coupon's funding rule
+ * @param {Object} coupon
+ * @param {number} discount
+ * @returns {{platform: number, restaurant: number}}
+ */
+export const splitCouponFunding = (coupon, discount) => {
+  const platformShare = coupon.funding?.platformShare ?? 100;
+  const platform = round2((discount * platformShare) / 100);
+  return { platform, restaurant: round2(discount - platform) };
+};
+
+/**
+ * Check every coupon rule against an order context.
+ * User-specific rules are skipped when userId is unknown (e.g. guest price
+ * preview) and enforced again when the order is placed. Restaurant and zone
+ * targeting are skipped when no restaurant is given (coupon listing).
+ * @param {Object} coupon - Coupon (lean)
+ * @param {Object} context
+ * @param {string} [context.userId]
+ * @param {Object} [context.restaurant] - Restaurant document
+ * @param {string} [context.zoneId] - Restaurant zone, resolved from its location when omitted
+ * @param {number} context.subtotal
+ * @param {string} [context.paymentMethod] - Normalized order payment method
+ * @returns {Promise<{valid: boolean, message?: string}>}
+ */
+export async function checkCouponEligibility(coupon, context) {
+  const { userId, restaurant, subtotal, paymentMethod } = context;
+  const now = new Date();
+  const invalid = (message) => ({ valid: false, message });
+
+  if (!coupon.isActive) return invalid('This coupon is no longer active');
+  if (coupon.startsAt && coupon.startsAt > now) return invalid('This coupon is not active yet');
+  if (coupon.expiresAt && coupon.expiresAt <= now) return invalid('This coupon has expired');
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return invalid('This coupon has reached its usage limit');
+  }
+  if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
+    return invalid(`Add items worth ₹${Math.ceil(coupon.minOrderValue - subtotal)} more to use this coupon`);
+  }
+
+  const { restaurants = [], zones = [], paymentMethods = [] } = coupon.targeting || {};
+  if (restaurant && restaurants.length > 0) {
+    const restaurantId = restaurant._id?.toString();
+    if (!restaurantId || !restaurants.some((id) => id.toString() === restaurantId)) {
+      return invalid('This coupon is not valid for this restaurant');
+    }
+  }
+  if (restaurant && zones.length > 0) {
+    let zoneId = context.zoneId ? String(context.zoneId) : null;
+    if (!zoneId) {
+      const lat = restaurant.location?.latitude || restaurant.location?.coordinates?.[1];
+      const lng = restaurant.location?.longitude || restaurant.location?.coordinates?.[0];
+      const zone = await isRestaurantInAnyZone(lat, lng);
+      zoneId = zone?._id?.toString() || null;
+    }
+    if (!zoneId || !zones.some((id) => id.toString() === zoneId)) {
+      return invalid('This coupon is not valid in your area');
+    }
+  }
+  if (paymentMethods.length > 0 && paymentMethod && !paymentMethods.includes(paymentMethod)) {
+    return invalid(`This coupon is only valid for ${paymentMethods.join(', ')} payments`);
+  }
+
+  if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+    if (coupon.perUserLimit) {
+      const used = await CouponRedemption.countDocuments({ coupon: coupon._id, userId, status: 'applied' });
+      if (used >= coupon.perUserLimit) {
+        return invalid('You have already used this coupon');
+      }
+    }
+    if (coupon.eligibility?.firstOrderOnly) {
+      const hasOrdered = await Order.exists({ userId, status: { $ne: 'cancelled' } });
+      if (hasOrdered) return invalid('This coupon is only valid on your first order');
+    }
+    if (coupon.eligibility?.newUserDays) {
+      const user = await User.findById(userId).select('createdAt').lean();
+      if (!user || now - user.createdAt > coupon.eligibility.newUserDays * DAY_MS) {
+        return invalid('This coupon is only valid for new users');
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Resolve a coupon code as a platform coupon.
+ * @param {Object} params - Same context as checkCouponEligibility plus couponCode
+ * @returns {Promise<null | {valid: boolean, message?: string, coupon?: Object, discount?: number, freeDelivery?: boolean, funding?: Object}>}
+ *   null when the code is not a platform coupon (caller falls back to restaurant offers)
+ */
+export async function applyPlatformCoupon({ couponCode, ...context }) {
+  const coupon = await findCouponByCode(couponCode);
+  if (!coupon) return null;
+
+  const eligibility = await checkCouponEligibility(coupon, context);
+  if (!eligibility.valid) {
+    return { valid: false, message: eligibility.message, coupon };
+  }
+
+  const discount = computeCouponDiscount(coupon, context.subtotal);
+  return {
+    valid: true,
+    coupon,
+    discount,
+    freeDelivery: coupon.discountType === 'free_delivery',
+    funding: splitCouponFunding(coupon, discount)
+  };
+}
+
+/**
+ * Take one use from the coupon's global cap and from the user's own cap.
+ * Both are atomic, so two orders can't both take the last use.
+ * @param {Object} coupon - Coupon with _id and perUserLimit
+ * @param {string|ObjectId} [userId] - Ordering user
+ * @throws {Error} 409 when either cap is reached
+ */
+export async function reserveCouponUsage(coupon, userId) {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  if (result.modifiedCount === 0) {
+    throw createError(409, 'This coupon has reached its usage limit');
+  }
+
+  if (!coupon.perUserLimit || !userId) return;
+  try {
+    // A user at the limit fails the filter, and the upsert then hits the unique index
+    await CouponUserUsage.findOneAndUpdate(
+      { coupon: coupon._id, userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await releaseCouponUsage(coupon._id);
+    if (error.code === 11000) {
+      throw createError(409, 'You have already used this coupon');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give back a use taken by reserveCouponUsage when the order could not be
+ * placed
+ * @param {string|ObjectId} couponId
+ * @param {string|ObjectId} [userId] - Pass when the user's use was taken too
+ */
+export async function releaseCouponUsage(couponId, userId) {
+  if (!couponId) return;
+  await Coupon.updateOne(
+    { _id: couponId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+  if (userId) {
+    await CouponUserUsage.updateOne(
+      { coupon: couponId, userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+}
+
+/**
+ * Record the redemption once the order is saved
+ * @param {Object} params
+ * @param {Object} params.coupon
+ * @param {Object} params.order - Saved order document
+ * @param {string|ObjectId} [params.restaurantId] - Restaurant _id
+ * @param {number} params.discount
+ * @param {Object} params.funding - { platform, restaurant }
+ * @returns {Promise<Object>}
+ */
+export async function recordCouponRedemption({ coupon, order, restaurantId, discount, funding }) {
+  const redemption = await CouponRedemption.create({
+    coupon: coupon._id,
+    code: coupon.code,
+    userId: order.userId,
+    orderId: order._id,
+    orderNumber: order.orderId,
+    restaurantId: restaurantId || null,
+    discount,
+    funding
+  });
+
+  logger.info(`Coupon redeemed: ${coupon.code}`, {
+    orderId: order.orderId,
+    discount,
+    funding
+  });
+
+  return redemption;
+}
+
+/**
+ * Give the coupon use back when an order is cancelled. Safe to call for
+ * orders without a platform coupon.
+ * @param {string|ObjectId} orderId - Order _id
+ */
+export async function releaseCouponRedemption(orderId) {
+  try {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { orderId, status: 'applied' },
+      { $set: { status: 'reversed', reversedAt: new Date() } },
+      { new: true }
+    );
+    if (!redemption) return;
+
+    await releaseCouponUsage(redemption.coupon, redemption.userId);
+    logger.info(`Coupon redemption reversed: ${redemption.code}`, { orderId: redemption.orderNumber });
+  } catch (error) {
+    // Never block a cancellation on coupon bookkeeping
+    logger.error(`Error reversing coupon redemption: ${error.message}`, { orderId: orderId?.toString() });
+  }
+}
+
+/**
+ * Take the coupon use back for an order whose redemption was reversed after
+ * a failed payment, when a later payment attempt went through. The customer
+ * has paid for the discounted total, so the caps are not checked again.
+ * @param {string|ObjectId} orderId - Order _id
+ */
+export async function restoreCouponRedemption(orderId) {
+  try {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { orderId, status: 'reversed' },
+      { $set: { status: 'applied', reversedAt: null } },
+      { new: true }
+    );
+    if (!redemption) return;
+
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usageCount: 1 } });
+    await CouponUserUsage.updateOne(
+      { coupon: redemption.coupon, userId: redemption.userId },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+    logger.info(`Coupon redemption restored: ${redemption.code}`, { orderId: redemption.orderNumber });
+  } catch (error) {
+    logger.error(`Error restoring coupon redemption: ${error.message}`, { orderId: orderId?.toString() });
+  }
+}
+
+/**
+ * Coupons a user can currently apply, for the cart and "Your coupons" page
+ * @param {Object} params
+ * @param {string} [params.userId]
+ * @param {Object} [params.restaurant] - Restaurant document; narrows to coupons valid there
+ * @returns {Promise<Array>}
+ */
+export async function getAvailableCoupons({ userId, restaurant }) {
+  const now = new Date();
+  const coupons = await Coupon.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const available = [];
+  for (const coupon of coupons) {
+    // Subtotal is unknown here - minimum order is shown on the card instead
+    const eligibility = await checkCouponEligibility(coupon, {
+      userId,
+      restaurant,
+      subtotal: Infinity
+    });
+    if (!eligibility.valid) continue;
+    available.push({
+      _id: coupon._id,
+      code: coupon.code,
+      title: coupon.title,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      maxDiscount: coupon.maxDiscount,
+      minOrderValue: coupon.minOrderValue,
+      expiresAt: coupon.expiresAt,
+      paymentMethods: coupon.targeting?.paymentMethods || [],
+      firstOrderOnly: !!coupon.eligibility?.firstOrderOnly
+    });
+  }
+  return available;
+}
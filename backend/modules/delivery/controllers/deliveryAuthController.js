@@ -3,6 +3,7 @@ import otpService from '../../auth/services/otpService.js';
 import jwtService from '../../auth/services/jwtService.js';
 import { successResponse, errorResponse } from '../../../shared/utils/response.js';
 import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { getRequestLanguage } from '../../../shared/utils/i18n.js';
 import { handleAuthFcmToken } from '../../fcm/services/notificationTriggers.js';
 import winston from 'winston';
 
@@ -35,7 +36,7 @@ export const sendOTP = asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await otpService.generateAndSendOTP(phone, purpose, null);
+    const result = await otpService.generateAndSendOTP(phone, purpose, null, getRequestLanguage(req));
     return successResponse(res, 200, result.message, {
       expiresIn: result.expiresIn,
       identifierType: result.identifierType
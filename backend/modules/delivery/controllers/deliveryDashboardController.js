@@ -82,7 +82,7 @@ export const getDashboard = asyncHandler(async (req, res) => {
       ?.filter(t => t.type === 'withdrawal' && t.status === 'Pending')
       .reduce((sum, t) => sum + t.amount, 0) || delivery.earnings?.pendingPayout || 0;
     const tips = wallet?.transactions
-      ?.filter(t => t.type === 'payment' && t.description?.toLowerCase().includes('tip'))
+      ?.filter(t => t.type === 'tip' && t.status === 'Completed')
       .reduce((sum, t) => sum + t.amount, 0) || delivery.earnings?.tips || 0;
 
     // Calculate weekly earnings (last 7 days)
@@ -238,7 +238,7 @@ export const getWalletBalance = asyncHandler(async (req, res) => {
         .filter(t => t.type === 'withdrawal' && t.status === 'Pending')
         .reduce((sum, t) => sum + t.amount, 0),
       tips: wallet.transactions
-        .filter(t => t.type === 'payment' && t.description?.toLowerCase().includes('tip'))
+        .filter(t => t.type === 'tip' && t.status === 'Completed')
         .reduce((sum, t) => sum + t.amount, 0),
       transactions: wallet.transactions.slice(0, 10).map(t => ({
         id: t._id,
@@ -310,7 +310,7 @@ export const claimJoiningBonus = asyncHandler(async (req, res) => {
     // Update wallet
     wallet.joiningBonusClaimed = true;
     wallet.joiningBonusAmount = bonusAmount;
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     logger.info(`Joining bonus claimed for delivery: ${delivery._id}`, {
       deliveryId: delivery.deliveryId,
@@ -5,6 +5,7 @@ import Order from '../../order/models/Order.js';
 import DeliveryWallet from '../models/DeliveryWallet.js';
 import EarningAddon from '../../admin/models/EarningAddon.js';
 import EarningAddonHistory from '../../admin/models/EarningAddonHistory.js';
+import { getOfferActivityProgress } from '../services/earningAddonService.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -201,7 +202,7 @@ export const getActiveEarningAddons = asyncHandler(async (req, res) => {
         { $expr: { $lt: ['$currentRedemptions', '$maxRedemptions'] } }
       ]
     })
-      .select('title description requiredOrders earningAmount startDate endDate status maxRedemptions currentRedemptions createdAt')
+      .select('title description requiredOrders requiredLoginHours minAcceptanceRate earningAmount startDate endDate status maxRedemptions currentRedemptions createdAt')
       .sort({ createdAt: -1 }) // Get most recent first
       .lean();
 
@@ -252,14 +253,27 @@ export const getActiveEarningAddons = asyncHandler(async (req, res) => {
           // Check if offer is upcoming (not started yet)
           const isUpcoming = addon.status === 'active' && now < offerStartDate;
 
+          // Login hours and acceptance rate for offers with online-time criteria
+          const activity = isUpcoming
+            ? { loginHours: null, acceptanceRate: null, meetsLoginHours: false, meetsAcceptanceRate: true }
+            : await getOfferActivityProgress(addon, delivery._id, countFromDate, endDate);
+
+          let progress = addon.requiredOrders > 0 ? Math.min((orderCount || 0) / addon.requiredOrders, 1) : 0;
+          if (addon.requiredLoginHours > 0) {
+            progress = Math.min(progress, Math.min((activity.loginHours || 0) / addon.requiredLoginHours, 1));
+          }
+
           return {
             ...addon,
             isValid,
             isUpcoming,
             currentOrders: orderCount || 0,
-            progress: addon.requiredOrders > 0 ? Math.min((orderCount || 0) / addon.requiredOrders, 1) : 0,
+            currentLoginHours: activity.loginHours,
+            currentAcceptanceRate: activity.acceptanceRate,
+            progress,
             redeemed: !!redeemed,
-            canRedeem: !redeemed && (orderCount || 0) >= addon.requiredOrders && isValid
+            canRedeem: !redeemed && (orderCount || 0) >= addon.requiredOrders &&
+              activity.meetsLoginHours && activity.meetsAcceptanceRate && isValid
           };
         } catch (addonError) {
           logger.error(`Error processing addon ${addon._id}:`, addonError);
@@ -0,0 +1,99 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import winston from 'winston';
+import {
+  refreshRiderLevel,
+  getRiderSlots,
+  bookSlots,
+  cancelBooking,
+  getRiderBookings
+} from '../services/gigBookingService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const handleGigError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.statusCode, error.message);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return errorResponse(res, 500, fallbackMessage);
+};
+
+/**
+ * Get Gig Level
+ * GET /api/delivery/gigs/level
+ * Returns the rider's level, its booking rules and progress to the next level
+ */
+export const getGigLevel = asyncHandler(async (req, res) => {
+  try {
+    const levelInfo = await refreshRiderLevel(req.delivery._id);
+    return successResponse(res, 200, 'Gig level retrieved successfully', levelInfo);
+  } catch (error) {
+    return handleGigError(res, error, 'Failed to fetch gig level');
+  }
+});
+
+/**
+ * Get Gig Slots
+ * GET /api/delivery/gigs/slots?date=YYYY-MM-DD&zoneId=
+ * Slots of the rider's zone for a day with remaining capacity
+ */
+export const getGigSlots = asyncHandler(async (req, res) => {
+  try {
+    const { date, zoneId } = req.query;
+    const data = await getRiderSlots(req.delivery, { date, zoneId });
+    return successResponse(res, 200, 'Gig slots retrieved successfully', data);
+  } catch (error) {
+    return handleGigError(res, error, 'Failed to fetch gig slots');
+  }
+});
+
+/**
+ * Get Gig Bookings
+ * GET /api/delivery/gigs/bookings?status=upcoming|booked|active|completed|cancelled|no_show
+ */
+export const getGigBookings = asyncHandler(async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const data = await getRiderBookings(req.delivery, { status, page, limit });
+    return successResponse(res, 200, 'Gig bookings retrieved successfully', data);
+  } catch (error) {
+    return handleGigError(res, error, 'Failed to fetch gig bookings');
+  }
+});
+
+/**
+ * Book Gig Slots
+ * POST /api/delivery/gigs/bookings
+ * Body: { slotIds: [] } - all slots are booked or none
+ */
+export const createGigBooking = asyncHandler(async (req, res) => {
+  try {
+    const bookings = await bookSlots(req.delivery, req.body?.slotIds);
+    return successResponse(res, 201, 'Gig booked successfully', { bookings });
+  } catch (error) {
+    return handleGigError(res, error, 'Failed to book gig');
+  }
+});
+
+/**
+ * Cancel Gig Booking
+ * PATCH /api/delivery/gigs/bookings/:id/cancel
+ * Body: { reason }
+ */
+export const cancelGigBooking = asyncHandler(async (req, res) => {
+  try {
+    const booking = await cancelBooking(req.delivery, req.params.id, req.body?.reason);
+    return successResponse(res, 200, 'Gig booking cancelled', { booking });
+  } catch (error) {
+    return handleGigError(res, error, 'Failed to cancel gig booking');
+  }
+});
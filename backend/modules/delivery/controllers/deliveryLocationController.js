@@ -63,6 +63,21 @@ export const updateLocation = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, 'isOnline must be a boolean');
     }
 
+    // Going online: zones that require gig booking only allow riders with a slot now
+    if (isOnline === true && !delivery.availability?.isOnline) {
+      try {
+        const { startOnlineSession } = await import('../services/gigBookingService.js');
+        await startOnlineSession(delivery, hasLatitude ? { latitude, longitude } : {});
+      } catch (gigError) {
+        if (gigError.statusCode) {
+          return errorResponse(res, gigError.statusCode, gigError.message);
+        }
+        // Fail closed: a rider whose slot could not be checked stays offline
+        logger.error(`Failed to check gig booking: ${gigError.message}`);
+        return errorResponse(res, 503, 'Could not check your gig slot. Please try again.');
+      }
+    }
+
     const updateData = {};
     
     // Declare final coordinates at function scope so they're accessible throughout
@@ -146,6 +161,18 @@ export const updateLocation = asyncHandler(async (req, res) => {
       return errorResponse(res, 404, 'Delivery partner not found');
     }
 
+    // Track online time: pings while online keep the session open, going offline closes it
+    try {
+      const { touchSession, endSession } = await import('../services/riderSessionService.js');
+      if (updatedDelivery.availability?.isOnline) {
+        await touchSession(delivery._id);
+      } else if (isOnline === false && delivery.availability?.isOnline) {
+        await endSession(delivery._id, 'rider');
+      }
+    } catch (sessionError) {
+      logger.warn(`Failed to track online session: ${sessionError.message}`);
+    }
+
     const currentLocation = updatedDelivery.availability?.currentLocation;
 
     // Update Firebase Realtime Database with delivery boy location (using final snapped coordinates)
@@ -0,0 +1,33 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import winston from 'winston';
+import { getOnlineTimeReport } from '../services/riderSessionService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Get Online Time
+ * GET /api/delivery/online-time?date=YYYY-MM-DD
+ * Login hours, time on orders vs idle time, acceptance rate and sessions of a
+ * day, with per-day totals of its week
+ */
+export const getOnlineTime = asyncHandler(async (req, res) => {
+  try {
+    const report = await getOnlineTimeReport(req.delivery._id, { date: req.query.date });
+    return successResponse(res, 200, 'Online time retrieved successfully', report);
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    logger.error(`Error fetching online time: ${error.message}`);
+    return errorResponse(res, 500, 'Failed to fetch online time');
+  }
+});
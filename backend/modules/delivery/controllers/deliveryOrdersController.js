@@ -13,6 +13,12 @@ import RestaurantWallet from "../../restaurant/models/RestaurantWallet.js";
 import RestaurantCommission from "../../admin/models/RestaurantCommission.js";
 import AdminCommission from "../../admin/models/AdminCommission.js";
 import { calculateRoute } from "../../order/services/routeCalculationService.js";
+import { addDeliveryCashInHand } from "../../payment/services/ledgerService.js";
+import {
+  reportCustomerUnreachable,
+  verifyDeliveryHandover,
+} from "../../order/services/deliveryHandoverService.js";
+import { getActiveBatch as findActiveBatch } from "../../order/services/orderBatchingService.js";
 import mongoose from "mongoose";
 import winston from "winston";
 
@@ -451,6 +457,23 @@ export const acceptOrder = asyncHandler(async (req, res) => {
         console.log(
           `✅ Order ${order.orderId} assigned to delivery partner ${currentDeliveryId} upon acceptance`,
         );
+
+        // Join the rider's other orders into one trip when they fit together
+        try {
+          const { attachOrderToRiderBatch } =
+            await import("../../order/services/orderBatchingService.js");
+          const batch = await attachOrderToRiderBatch(orderDoc._id, delivery._id);
+          if (batch) {
+            console.log(
+              `✅ Order ${order.orderId} added to trip ${batch.batchId}`,
+            );
+          }
+        } catch (batchError) {
+          console.error(
+            `❌ Error batching order ${order.orderId}:`,
+            batchError.message,
+          );
+        }
       } catch (saveError) {
         console.error(`❌ Error saving order assignment: ${saveError.message}`);
         console.error(`❌ Error stack: ${saveError.stack}`);
@@ -918,6 +941,18 @@ export const acceptOrder = asyncHandler(async (req, res) => {
     console.log(
       `✅ Order ${order.orderId} accepted by delivery partner ${delivery._id}`,
     );
+
+    // Start the rider's on-order time for online-time tracking
+    try {
+      const { startOrderInterval } =
+        await import("../services/riderSessionService.js");
+      await startOrderInterval(delivery._id, orderMongoId);
+    } catch (sessionError) {
+      console.error(
+        `❌ Error starting on-order time for order ${order.orderId}:`,
+        sessionError.message,
+      );
+    }
     console.log(
       `📍 Route calculated: ${routeData.distance.toFixed(2)} km, ${routeData.duration.toFixed(1)} mins`,
     );
@@ -1869,6 +1904,8 @@ export const completeDelivery = asyncHandler(async (req, res) => {
     const delivery = req.delivery;
     const { orderId } = req.params;
     const { rating, review } = req.body; // Optional rating and review from delivery boy
+    // Handover proof: the customer's code, or a doorstep photo with location
+    const { otp, photo, location, fallbackReason } = req.body;
 
     if (!delivery || !delivery._id) {
       return errorResponse(
@@ -2037,8 +2074,33 @@ export const completeDelivery = asyncHandler(async (req, res) => {
       return errorResponse(res, 500, "Order ID not found in order object");
     }
 
+    // Verify the handover before marking the order delivered
+    let handoverEvidence = {};
+    try {
+      const orderWithOtp = await Order.findById(orderMongoId)
+        .select("+deliveryVerification.otp")
+        .lean();
+      handoverEvidence = await verifyDeliveryHandover(orderWithOtp || order, {
+        otp,
+        photo,
+        location,
+        fallbackReason,
+      });
+    } catch (verificationError) {
+      if (verificationError.statusCode) {
+        return errorResponse(
+          res,
+          verificationError.statusCode,
+          verificationError.message,
+          verificationError.details,
+        );
+      }
+      throw verificationError;
+    }
+
     // Prepare update object
     const updateData = {
+      ...handoverEvidence,
       status: "delivered",
       "tracking.delivered": {
         status: true,
@@ -2136,6 +2198,54 @@ export const completeDelivery = asyncHandler(async (req, res) => {
       // Continue with legacy wallet update as fallback
     }
 
+    // Close the rider's multi-stop trip and pay its bonus after its last drop
+    try {
+      const { settleBatchForOrder } =
+        await import("../../order/services/orderBatchingService.js");
+      await settleBatchForOrder(orderMongoId);
+    } catch (batchError) {
+      console.error(
+        `❌ Error settling trip for order ${orderIdForLog}:`,
+        batchError.message,
+      );
+    }
+
+    // Stop the rider's on-order time
+    try {
+      const { endOrderInterval } =
+        await import("../services/riderSessionService.js");
+      await endOrderInterval(orderMongoId);
+    } catch (sessionError) {
+      console.error(
+        `❌ Error ending on-order time for order ${orderIdForLog}:`,
+        sessionError.message,
+      );
+    }
+
+    // Checkout tip goes to the rider in full, outside the commission split
+    try {
+      const { distributeDeliveryTip } =
+        await import("../../order/services/commissionDistributionService.js");
+      await distributeDeliveryTip(orderMongoId);
+    } catch (tipError) {
+      console.error(
+        `❌ Error crediting tip for order ${orderIdForLog}:`,
+        tipError.message,
+      );
+    }
+
+    // Issue the GST tax invoice for the delivered order
+    try {
+      const { issueInvoiceForOrder } =
+        await import("../../order/services/taxInvoiceService.js");
+      await issueInvoiceForOrder(orderMongoId);
+    } catch (invoiceError) {
+      console.error(
+        `❌ Error issuing tax invoice for order ${orderIdForLog}:`,
+        invoiceError.message,
+      );
+    }
+
     // Calculate delivery earnings based on admin's commission rules
     // Get delivery distance (in km) from order
     let deliveryDistance = 0;
@@ -2273,7 +2383,7 @@ export const completeDelivery = asyncHandler(async (req, res) => {
           paymentCollected: false,
         });
 
-        await wallet.save();
+        await wallet.saveWithLedger();
 
         // COD: add cash collected (order total) to cashInHand so Pocket balance shows it
         const codAmount = Number(order.pricing?.total) || 0;
@@ -2283,17 +2393,20 @@ export const completeDelivery = asyncHandler(async (req, res) => {
         const isCashOrder = paymentMethod === "cash" || paymentMethod === "cod";
         if (isCashOrder && codAmount > 0) {
           try {
-            const updateResult = await DeliveryWallet.updateOne(
-              { deliveryId: delivery._id },
-              { $inc: { cashInHand: codAmount } },
-            );
-            if (updateResult.modifiedCount > 0) {
+            const cashResult = await addDeliveryCashInHand({
+              deliveryId: delivery._id,
+              orderId: order._id,
+              amount: codAmount,
+              reason: "cod",
+              description: `COD cash collected for Order #${orderIdForLog}`,
+            });
+            if (cashResult.added) {
               console.log(
                 `✅ Cash collected ₹${codAmount.toFixed(2)} (COD) added to cashInHand for order ${orderIdForLog}`,
               );
             } else {
               console.warn(
-                `⚠️ Wallet update for cashInHand had no effect (deliveryId: ${delivery._id})`,
+                `⚠️ COD cash for order ${orderIdForLog} was already added to cashInHand (deliveryId: ${delivery._id})`,
               );
             }
           } catch (codErr) {
@@ -2436,7 +2549,7 @@ export const completeDelivery = asyncHandler(async (req, res) => {
               orderId: orderMongoId || order._id,
             });
 
-            await restaurantWallet.save();
+            await restaurantWallet.saveWithLedger();
 
             logger.info(
               `💰 Earning added to restaurant wallet: ${restaurant._id}`,
@@ -2643,6 +2756,41 @@ export const completeDelivery = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Report that the customer cannot be reached at the drop location. The
+ * customer is reminded of their delivery code, and the doorstep photo
+ * fallback opens a few minutes later.
+ *
+ * PATCH /api/delivery/orders/:orderId/customer-unreachable
+ */
+export const markCustomerUnreachable = asyncHandler(async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const orderMatch = mongoose.Types.ObjectId.isValid(orderId) && orderId.length === 24
+      ? { $or: [{ _id: orderId }, { orderId }] }
+      : { orderId };
+    const order = await Order.findOne({ ...orderMatch, deliveryPartnerId: req.delivery._id })
+      .select("orderId userId deliveryState deliveryVerification")
+      .lean();
+
+    if (!order) {
+      return errorResponse(res, 404, "Order not found or not assigned to you");
+    }
+
+    const { fallbackAvailableAt } = await reportCustomerUnreachable(order);
+    return successResponse(res, 200, "Customer notified to share the delivery code", {
+      orderId: order.orderId,
+      fallbackAvailableAt,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    logger.error(`Error reporting customer unreachable: ${error.message}`);
+    return errorResponse(res, 500, "Failed to report customer unreachable");
+  }
+});
+
 /**
  * Mark hotel cash as settled for a Pay-at-Hotel / Cash order.
  * Called from delivery app when delivery boy confirms hotel has handed over cash.
@@ -2711,20 +2859,22 @@ export const markHotelCashSettled = asyncHandler(async (req, res) => {
       const codAmount = Number(order.pricing?.total) || 0;
       if (codAmount > 0) {
         // Ensure wallet exists
-        const wallet = await DeliveryWallet.findOrCreateByDeliveryId(
+        await DeliveryWallet.findOrCreateByDeliveryId(deliveryId);
+        const cashResult = await addDeliveryCashInHand({
           deliveryId,
-        );
-        const oldCash = Number(wallet.cashInHand) || 0;
-        wallet.cashInHand = oldCash + codAmount;
-        await wallet.save();
+          orderId: order._id,
+          amount: codAmount,
+          reason: "pay_at_hotel",
+          description: `Pay-at-Hotel cash collected for order ${order.orderId}`,
+        });
 
-        console.log(
-          `✅ Pay-at-Hotel cash ₹${codAmount.toFixed(
-            2,
-          )} added to delivery cashInHand for order ${order.orderId}. Old cashInHand=${oldCash.toFixed(
-            2,
-          )}, new cashInHand=${wallet.cashInHand.toFixed(2)}`,
-        );
+        if (cashResult.added) {
+          console.log(
+            `✅ Pay-at-Hotel cash ₹${codAmount.toFixed(
+              2,
+            )} added to delivery cashInHand for order ${order.orderId}. New cashInHand=${cashResult.cashInHand.toFixed(2)}`,
+          );
+        }
       }
     } catch (walletErr) {
       logger.error(
@@ -2741,4 +2891,25 @@ export const markHotelCashSettled = asyncHandler(async (req, res) => {
     logger.error(`Error marking hotel cash settled: ${error.message}`);
     return errorResponse(res, 500, "Failed to mark hotel cash as settled");
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Get Active Batch
+ * GET /api/delivery/batches/active
+ * Returns the rider's current multi-stop trip (stops in visiting order,
+ * per-batch earnings) or null when they carry no batched orders
+ */
+export const getActiveBatch = asyncHandler(async (req, res) => {
+  try {
+    const batch = await findActiveBatch(req.delivery._id);
+    return successResponse(
+      res,
+      200,
+      batch ? "Active batch retrieved successfully" : "No active batch",
+      { batch },
+    );
+  } catch (error) {
+    logger.error(`Error fetching active batch: ${error.message}`);
+    return errorResponse(res, 500, "Failed to fetch active batch");
+  }
+});
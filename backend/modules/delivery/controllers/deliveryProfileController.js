@@ -1,6 +1,7 @@
 import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
 import { successResponse, errorResponse } from '../../../shared/utils/response.js';
 import Delivery from '../models/Delivery.js';
+import { normalizeLanguage, SUPPORTED_LANGUAGES } from '../../../shared/utils/i18n.js';
 import { validate } from '../../../shared/middleware/validate.js';
 import Joi from 'joi';
 import winston from 'winston';
@@ -132,6 +133,39 @@ export const updateProfile = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Update Delivery Partner app language
+ * PUT /api/delivery/preferences
+ */
+export const updatePreferences = asyncHandler(async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.body.language);
+
+    if (!language) {
+      return errorResponse(res, 400, `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    const delivery = await Delivery.findByIdAndUpdate(
+      req.delivery._id,
+      { $set: { 'preferences.language': language } },
+      { new: true }
+    )
+      .select('preferences')
+      .lean();
+
+    if (!delivery) {
+      return errorResponse(res, 404, 'Delivery partner not found');
+    }
+
+    return successResponse(res, 200, 'Preferences updated successfully', {
+      preferences: delivery.preferences
+    });
+  } catch (error) {
+    logger.error(`Error updating delivery preferences: ${error.message}`);
+    return errorResponse(res, 500, 'Failed to update preferences');
+  }
+});
+
 /**
  * Reverify Delivery Partner (Resubmit for approval)
  * POST /api/delivery/reverify
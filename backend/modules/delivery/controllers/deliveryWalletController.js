@@ -370,7 +370,7 @@ export const createWithdrawalRequest = asyncHandler(async (req, res) => {
 
     // Deduct balance on request create (refund on reject)
     wallet.totalBalance = Math.max(0, (wallet.totalBalance || 0) - amount);
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Use the last transaction (the one we just added). Plain-object push has no _id; Mongoose assigns _id to the array element.
     const lastTx = wallet.transactions[wallet.transactions.length - 1];
@@ -486,7 +486,7 @@ export const addEarning = asyncHandler(async (req, res) => {
       paymentCollected: paymentCollected
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     logger.info(`Earning added for delivery: ${delivery._id}`, {
       deliveryId: delivery.deliveryId,
@@ -556,7 +556,7 @@ export const collectPayment = asyncHandler(async (req, res) => {
     // Collect payment
     try {
       const transaction = wallet.collectPayment(orderId, amount);
-      await wallet.save();
+      await wallet.saveWithLedger();
 
       logger.info(`Payment collected for delivery: ${delivery._id}`, {
         deliveryId: delivery.deliveryId,
@@ -630,7 +630,7 @@ export const claimJoiningBonus = asyncHandler(async (req, res) => {
     // Update wallet
     wallet.joiningBonusClaimed = true;
     wallet.joiningBonusAmount = bonusAmount;
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     logger.info(`Joining bonus claimed for delivery: ${delivery._id}`, {
       deliveryId: delivery.deliveryId,
@@ -714,7 +714,7 @@ export const getWalletStats = asyncHandler(async (req, res) => {
 
     // Calculate statistics
     const earnings = periodTransactions
-      .filter(t => (t.type === 'payment' || t.type === 'bonus') && t.status === 'Completed')
+      .filter(t => (t.type === 'payment' || t.type === 'bonus' || t.type === 'tip') && t.status === 'Completed')
       .reduce((sum, t) => sum + t.amount, 0);
 
     const withdrawals = periodTransactions
@@ -858,7 +858,7 @@ export const verifyDepositPayment = asyncHandler(async (req, res) => {
     processedAt: new Date()
   });
   wallet.markModified('transactions');
-  await wallet.save();
+  await wallet.saveWithLedger();
 
   let limit = 0;
   try {
@@ -875,3 +875,77 @@ export const verifyDepositPayment = asyncHandler(async (req, res) => {
   });
 });
 
+
+/**
+ * Get Tips Statement
+ * GET /api/delivery/wallet/tips
+ * Query params: startDate, endDate (YYYY-MM-DD or ISO, default: current week)
+ * Returns customer tips credited in the range plus lifetime totals
+ */
+export const getTipsStatement = asyncHandler(async (req, res) => {
+  try {
+    const delivery = req.delivery;
+    const now = new Date();
+
+    let startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    let endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return errorResponse(res, 400, 'Invalid date range');
+    }
+    if (!startDate) {
+      startDate = new Date(now);
+      startDate.setDate(now.getDate() - now.getDay()); // Start of week
+    }
+    startDate.setHours(0, 0, 0, 0);
+    endDate = endDate || new Date(now);
+    endDate.setHours(23, 59, 59, 999);
+    if (startDate > endDate) {
+      return errorResponse(res, 400, 'Start date must be before end date');
+    }
+
+    const wallet = await DeliveryWallet.findOne({ deliveryId: delivery._id }).lean();
+    const tipTransactions = (wallet?.transactions || [])
+      .filter(t => t.type === 'tip' && t.status === 'Completed');
+
+    const periodTips = tipTransactions
+      .filter(t => {
+        const transactionDate = new Date(t.createdAt);
+        return transactionDate >= startDate && transactionDate <= endDate;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const orderIds = periodTips.map(t => t.orderId).filter(Boolean);
+    const orders = orderIds.length
+      ? await Order.find({ _id: { $in: orderIds } }).select('orderId restaurantName').lean()
+      : [];
+    const ordersById = new Map(orders.map(o => [o._id.toString(), o]));
+
+    const sum = (list) => Math.round(list.reduce((total, t) => total + (t.amount || 0), 0) * 100) / 100;
+
+    return successResponse(res, 200, 'Tips statement retrieved successfully', {
+      summary: {
+        totalTips: sum(periodTips),
+        tipsCount: periodTips.length,
+        lifetimeTips: sum(tipTransactions),
+        lifetimeTipsCount: tipTransactions.length
+      },
+      tips: periodTips.map(t => {
+        const order = t.orderId ? ordersById.get(t.orderId.toString()) : null;
+        return {
+          id: t._id,
+          amount: t.amount,
+          description: t.description,
+          date: t.createdAt,
+          orderId: t.orderId,
+          orderNumber: order?.orderId || null,
+          restaurantName: order?.restaurantName || null
+        };
+      }),
+      startDate,
+      endDate
+    });
+  } catch (error) {
+    logger.error('Error fetching tips statement:', error);
+    return errorResponse(res, 500, 'Failed to fetch tips statement');
+  }
+});
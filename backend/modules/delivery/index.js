@@ -8,6 +8,8 @@ import deliveryEarningsRoutes from './routes/deliveryEarningsRoutes.js';
 import deliveryLocationRoutes from './routes/deliveryLocationRoutes.js';
 import deliverySignupRoutes from './routes/deliverySignupRoutes.js';
 import deliveryWalletRoutes from './routes/deliveryWalletRoutes.js';
+import deliveryGigRoutes from './routes/deliveryGigRoutes.js';
+import deliveryOnlineTimeRoutes from './routes/deliveryOnlineTimeRoutes.js';
 
 const router = express.Router();
 
@@ -32,8 +34,14 @@ router.use('/', deliveryEarningsRoutes);
 // Delivery location routes (protected)
 router.use('/', deliveryLocationRoutes);
 
+// Delivery online time and login hours routes (protected)
+router.use('/', deliveryOnlineTimeRoutes);
+
 // Delivery wallet routes (protected)
 router.use('/wallet', deliveryWalletRoutes);
 
+// Delivery gig (shift slot) booking routes (protected)
+router.use('/gigs', deliveryGigRoutes);
+
 export default router;
 
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../../../shared/utils/i18n.js';
 
 const locationSchema = new mongoose.Schema({
   latitude: Number,
@@ -237,6 +238,13 @@ const deliverySchema = new mongoose.Schema(
       enum: ['bronze', 'silver', 'gold', 'platinum'],
       default: 'bronze'
     },
+    // Gig booking level, recomputed from metrics by gigBookingService
+    gigLevel: {
+      type: String,
+      enum: ['Blue', 'Brown', 'Silver', 'Diamond'],
+      default: 'Blue'
+    },
+    gigLevelUpdatedAt: Date,
     // Note: Wallet functionality has been moved to separate DeliveryWallet model
     // Use DeliveryWallet.findOne({ deliveryId: this._id }) to access wallet
     // The embedded wallet schema has been removed in favor of the separate model
@@ -275,6 +283,14 @@ const deliverySchema = new mongoose.Schema(
     fcmtokenMobile: {
       type: String,
       default: null
+    },
+    // App language; also used for push notifications
+    preferences: {
+      language: {
+        type: String,
+        enum: SUPPORTED_LANGUAGES,
+        default: DEFAULT_LANGUAGE
+      }
     }
   },
   {
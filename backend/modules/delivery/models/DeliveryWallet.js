@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { attachWalletLedgerHooks } from '../../payment/services/ledgerService.js';
 
 // Transaction Schema
 const transactionSchema = new mongoose.Schema({
@@ -9,7 +10,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['payment', 'withdrawal', 'bonus', 'deduction', 'refund', 'deposit', 'earning_addon'],
+    enum: ['payment', 'withdrawal', 'bonus', 'deduction', 'refund', 'deposit', 'earning_addon', 'tip'],
     required: true
   },
   status: {
@@ -186,7 +187,7 @@ deliveryWalletSchema.methods.addTransaction = function(transactionData) {
   
   // Update balances based on transaction type and status
   if (transaction.status === 'Completed') {
-    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon') {
+    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon' || transaction.type === 'tip') {
       const oldBalance = this.totalBalance || 0;
       this.totalBalance += transaction.amount;
       this.totalEarned += transaction.amount;
@@ -245,7 +246,7 @@ deliveryWalletSchema.methods.updateTransactionStatus = function(transactionId, s
   
   // If transaction status changed from Pending to Completed, update balances
   if (oldStatus === 'Pending' && status === 'Completed') {
-    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon') {
+    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon' || transaction.type === 'tip') {
       this.totalBalance += oldAmount;
       this.totalEarned += oldAmount;
       
@@ -267,7 +268,7 @@ deliveryWalletSchema.methods.updateTransactionStatus = function(transactionId, s
   
   // If transaction status changed from Completed to Failed/Cancelled, reverse balances
   if (oldStatus === 'Completed' && (status === 'Failed' || status === 'Cancelled')) {
-    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon') {
+    if (transaction.type === 'payment' || transaction.type === 'bonus' || transaction.type === 'refund' || transaction.type === 'earning_addon' || transaction.type === 'tip') {
       this.totalBalance = Math.max(0, this.totalBalance - oldAmount);
       this.totalEarned = Math.max(0, this.totalEarned - oldAmount);
       
@@ -323,5 +324,7 @@ deliveryWalletSchema.statics.findOrCreateByDeliveryId = async function(deliveryI
   return wallet;
 };
 
+attachWalletLedgerHooks(deliveryWalletSchema, 'delivery');
+
 export default mongoose.model('DeliveryWallet', deliveryWalletSchema);
 
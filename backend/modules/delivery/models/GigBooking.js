@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * A rider's booking of one GigSlot. Slot times are copied so history and
+ * online checks do not need the slot.
+ *
+ * booked -> active (rider went online during the slot) -> completed
+ * booked -> cancelled (by the rider before the level's cutoff)
+ * booked -> no_show (slot ended without the rider going online)
+ */
+const gigBookingSchema = new mongoose.Schema({
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  slotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GigSlot',
+    required: true
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone',
+    required: true
+  },
+  dateKey: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'active', 'completed', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+  // Rider level when the booking was made
+  level: {
+    type: String,
+    enum: ['Blue', 'Brown', 'Silver', 'Diamond']
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+gigBookingSchema.index({ deliveryId: 1, startsAt: -1 });
+gigBookingSchema.index({ deliveryId: 1, slotId: 1, status: 1 });
+gigBookingSchema.index({ status: 1, endsAt: 1 });
+
+export default mongoose.model('GigBooking', gigBookingSchema);
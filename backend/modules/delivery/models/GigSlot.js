@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * A bookable shift window of one zone on one day (times are HH:mm in the
+ * order timezone). bookedCount is only changed with guarded atomic $inc
+ * (gigBookingService) so concurrent bookings cannot exceed capacity.
+ */
+const gigSlotSchema = new mongoose.Schema({
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone',
+    required: true
+  },
+  dateKey: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: true
+  },
+  endTime: {
+    type: String, // HH:mm
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shown to riders as the expected hourly earnings
+  payRate: {
+    min: {
+      type: Number,
+      default: 0
+    },
+    max: {
+      type: Number,
+      default: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+gigSlotSchema.index({ zoneId: 1, dateKey: 1, startTime: 1 }, { unique: true });
+gigSlotSchema.index({ zoneId: 1, startsAt: 1 });
+
+export default mongoose.model('GigSlot', gigSlotSchema);
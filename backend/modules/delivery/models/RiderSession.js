@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * One online session of a rider, from going online to going offline.
+ * Location pings move lastSeenAt forward; a session whose rider stopped
+ * pinging is closed at lastSeenAt by the session cron. Orders offered and
+ * accepted while online, and the time spent on each accepted order, are kept
+ * on the session they started in.
+ */
+const orderIntervalSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const riderSessionSchema = new mongoose.Schema({
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null // null while the rider is online
+  },
+  lastSeenAt: {
+    type: Date,
+    required: true
+  },
+  endReason: {
+    type: String,
+    enum: ['rider', 'slot_ended', 'inactive']
+  },
+  offeredOrderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  acceptedOrderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  orderIntervals: [orderIntervalSchema]
+}, {
+  timestamps: true
+});
+
+riderSessionSchema.index({ deliveryId: 1, startedAt: -1 });
+riderSessionSchema.index({ deliveryId: 1, endedAt: 1 });
+// One open session per rider
+riderSessionSchema.index(
+  { deliveryId: 1 },
+  { unique: true, partialFilterExpression: { endedAt: null } }
+);
+riderSessionSchema.index({ endedAt: 1, lastSeenAt: 1 });
+riderSessionSchema.index({ 'orderIntervals.orderId': 1 });
+riderSessionSchema.index({ 'orderIntervals.endedAt': 1 });
+
+export default mongoose.model('RiderSession', riderSessionSchema);
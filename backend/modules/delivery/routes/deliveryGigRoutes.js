@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getGigLevel,
+  getGigSlots,
+  getGigBookings,
+  createGigBooking,
+  cancelGigBooking
+} from '../controllers/deliveryGigController.js';
+import { authenticate } from '../middleware/deliveryAuth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Gig (shift slot) booking routes
+router.get('/level', getGigLevel); // GET /api/delivery/gigs/level
+router.get('/slots', getGigSlots); // GET /api/delivery/gigs/slots
+router.get('/bookings', getGigBookings); // GET /api/delivery/gigs/bookings
+router.post('/bookings', createGigBooking); // POST /api/delivery/gigs/bookings
+router.patch('/bookings/:id/cancel', cancelGigBooking); // PATCH /api/delivery/gigs/bookings/:id/cancel
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getOnlineTime } from '../controllers/deliveryOnlineTimeController.js';
+import { authenticate } from '../middleware/deliveryAuth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Online time and login hours
+router.get('/online-time', getOnlineTime); // GET /api/delivery/online-time
+
+export default router;
@@ -7,7 +7,9 @@ import {
   confirmOrderId,
   confirmReachedDrop,
   completeDelivery,
+  markCustomerUnreachable,
   markHotelCashSettled,
+  getActiveBatch,
 } from "../controllers/deliveryOrdersController.js";
 import { getTripHistory } from "../controllers/deliveryTripHistoryController.js";
 import { authenticate } from "../middleware/deliveryAuth.js";
@@ -24,9 +26,13 @@ router.patch("/orders/:orderId/accept", acceptOrder);
 router.patch("/orders/:orderId/reached-pickup", confirmReachedPickup);
 router.patch("/orders/:orderId/confirm-order-id", confirmOrderId);
 router.patch("/orders/:orderId/reached-drop", confirmReachedDrop);
+router.patch("/orders/:orderId/customer-unreachable", markCustomerUnreachable);
 router.patch("/orders/:orderId/complete-delivery", completeDelivery);
 router.patch("/orders/:orderId/hotel-cash-settled", markHotelCashSettled);
 
+// Batched (multi-stop) trip route
+router.get("/batches/active", getActiveBatch);
+
 // Trip History route
 router.get("/trip-history", getTripHistory);
 
@@ -1,5 +1,5 @@
 import express from 'express';
-import { getProfile, updateProfile, reverify } from '../controllers/deliveryProfileController.js';
+import { getProfile, updateProfile, updatePreferences, reverify } from '../controllers/deliveryProfileController.js';
 import { authenticate } from '../middleware/deliveryAuth.js';
 import { validate } from '../../../shared/middleware/validate.js';
 import Joi from 'joi';
@@ -49,6 +49,11 @@ router.put('/profile', validate(Joi.object({
   }).optional()
 })), updateProfile);
 
+// Preferences (app language)
+router.put('/preferences', validate(Joi.object({
+  language: Joi.string().trim().max(20).required()
+})), updatePreferences);
+
 // Reverify route (resubmit for approval)
 router.post('/reverify', reverify);
 
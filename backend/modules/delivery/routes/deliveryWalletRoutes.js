@@ -7,6 +7,7 @@ import {
   collectPayment,
   claimJoiningBonus,
   getWalletStats,
+  getTipsStatement,
   createDepositOrder,
   verifyDepositPayment
 } from '../controllers/deliveryWalletController.js';
@@ -21,6 +22,7 @@ router.use(authenticate);
 router.get('/', getWallet); // GET /api/delivery/wallet
 router.get('/transactions', getTransactions); // GET /api/delivery/wallet/transactions
 router.get('/stats', getWalletStats); // GET /api/delivery/wallet/stats
+router.get('/tips', getTipsStatement); // GET /api/delivery/wallet/tips
 router.post('/withdraw', createWithdrawalRequest); // POST /api/delivery/wallet/withdraw
 router.post('/earnings', addEarning); // POST /api/delivery/wallet/earnings
 router.post('/collect-payment', collectPayment); // POST /api/delivery/wallet/collect-payment
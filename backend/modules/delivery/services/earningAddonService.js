@@ -2,12 +2,42 @@ import EarningAddon from '../../admin/models/EarningAddon.js';
 import EarningAddonHistory from '../../admin/models/EarningAddonHistory.js';
 import DeliveryWallet from '../models/DeliveryWallet.js';
 import Order from '../../order/models/Order.js';
+import { getRiderActivity } from './riderSessionService.js';
 import mongoose from 'mongoose';
 
+/**
+ * Check the online-time criteria of an offer (login hours and acceptance
+ * rate) over the offer period up to now
+ * @param {Object} offer - EarningAddon
+ * @param {Object} deliveryId - Delivery partner ID
+ * @param {Date} from - Start of the counted period
+ * @param {Date} to - End of the offer
+ * @returns {Promise<Object>} { loginHours, acceptanceRate, meetsLoginHours, meetsAcceptanceRate }
+ */
+export const getOfferActivityProgress = async (offer, deliveryId, from, to) => {
+  const requiredLoginHours = offer.requiredLoginHours || 0;
+  const minAcceptanceRate = offer.minAcceptanceRate || 0;
+  if (!requiredLoginHours && !minAcceptanceRate) {
+    return { loginHours: null, acceptanceRate: null, meetsLoginHours: true, meetsAcceptanceRate: true };
+  }
+
+  const now = new Date();
+  const activity = await getRiderActivity(deliveryId, from, now < to ? now : to);
+  return {
+    loginHours: activity.loginHours,
+    acceptanceRate: activity.acceptanceRate,
+    meetsLoginHours: activity.loginHours >= requiredLoginHours,
+    // No offers yet counts as meeting the rate so riders are not blocked in quiet periods
+    meetsAcceptanceRate: !minAcceptanceRate || activity.acceptanceRate === null ||
+      activity.acceptanceRate >= minAcceptanceRate
+  };
+};
+
 /**
  * Check and award earning addon bonuses when a delivery boy completes an order
+ * or ends an online session (for offers with login hours)
  * @param {Object} deliveryId - Delivery partner ID
- * @param {Object} orderId - Order ID that was just completed
+ * @param {Object|null} orderId - Order ID that was just completed, null after a session
  * @param {Date} orderDeliveredAt - When the order was delivered
  * @returns {Promise<Object|null>} - Returns bonus details if awarded, null otherwise
  */
@@ -31,7 +61,7 @@ export const checkAndAwardEarningAddon = async (deliveryId, orderId, orderDelive
       return null;
     }
 
-    console.log(`🔍 Checking ${activeOffers.length} active offers for delivery ${deliveryId} after order ${orderId}`);
+    console.log(`🔍 Checking ${activeOffers.length} active offers for delivery ${deliveryId} after ${orderId ? `order ${orderId}` : 'online session'}`);
 
     // Check each offer to see if delivery boy qualifies
     for (const offer of activeOffers) {
@@ -70,6 +100,12 @@ export const checkAndAwardEarningAddon = async (deliveryId, orderId, orderDelive
 
         // Check if delivery boy has completed the required number of orders
         if (orderCount >= offer.requiredOrders) {
+          const activity = await getOfferActivityProgress(offer, deliveryId, countFromDate, endDate);
+          if (!activity.meetsLoginHours || !activity.meetsAcceptanceRate) {
+            console.log(`ℹ️ Offer ${offer._id}: Delivery ${deliveryId} has ${activity.loginHours} login hours (required: ${offer.requiredLoginHours || 0}), acceptance rate ${activity.acceptanceRate ?? 'n/a'}% (required: ${offer.minAcceptanceRate || 0}%)`);
+            continue;
+          }
+
           // Check if bonus was already awarded (check wallet transactions)
           const wallet = await DeliveryWallet.findOne({ deliveryId });
           if (wallet) {
@@ -134,6 +170,8 @@ export const checkAndAwardEarningAddon = async (deliveryId, orderId, orderDelive
             offerSnapshot: {
               title: offer.title,
               requiredOrders: offer.requiredOrders,
+              requiredLoginHours: offer.requiredLoginHours || 0,
+              minAcceptanceRate: offer.minAcceptanceRate || 0,
               earningAmount: offer.earningAmount,
               startDate: offer.startDate,
               endDate: offer.endDate
@@ -144,9 +182,11 @@ export const checkAndAwardEarningAddon = async (deliveryId, orderId, orderDelive
             completedAt: now,
             status: 'pending', // Status is 'pending' - admin will credit manually
             // transactionId and walletId will be set when admin credits from history page
-            contributingOrders: [orderId.toString()],
+            contributingOrders: orderId ? [orderId.toString()] : [],
             metadata: {
-              completionTime: Math.ceil((now - offerStartDate) / (1000 * 60 * 60 * 24)) // days
+              completionTime: Math.ceil((now - offerStartDate) / (1000 * 60 * 60 * 24)), // days
+              loginHours: activity.loginHours,
+              acceptanceRate: activity.acceptanceRate
             }
           });
 
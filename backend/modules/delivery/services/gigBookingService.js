@@ -0,0 +1,913 @@
+import mongoose from 'mongoose';
+import GigSlot from '../models/GigSlot.js';
+import GigBooking from '../models/GigBooking.js';
+import Delivery from '../models/Delivery.js';
+import Zone from '../../admin/models/Zone.js';
+import Order from '../../order/models/Order.js';
+import { endSession } from './riderSessionService.js';
+import {
+  getLocalClock,
+  localTimeToDate,
+  parseClockTime
+} from '../../order/services/scheduledOrderService.js';
+
+/**
+ * Rider shift (gig slot) booking
+ *
+ * Every zone has shift slots per day with a rider capacity. Slots are created
+ * from DEFAULT_SHIFTS (capacity from zone.gigSettings.defaultSlotCapacity) the
+ * first time a day is viewed, and admins adjust them in the capacity planner.
+ * A booking takes one place with a guarded atomic $inc so concurrent requests
+ * cannot overbook. How far ahead a rider can book, how many hours a day and
+ * how late they can cancel depend on their level, which is computed from
+ * their delivery stats. In zones with gigSettings.requireBooking riders can
+ * only go online during a booked slot; a cron in server.js closes ended
+ * bookings and takes riders offline when their slot is over.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NO_SHOW_LOOKBACK_DAYS = 30;
+const MAX_SLOTS_PER_BOOKING = 12;
+const MAX_PLAN_DAYS = 31;
+
+export const GIG_LEVEL_ORDER = ['Blue', 'Brown', 'Silver', 'Diamond'];
+
+// minRating only applies once a rider has been rated
+export const GIG_LEVELS = {
+  Blue: { minCompletedOrders: 0, minRating: 0, advanceDays: 1, maxHoursPerDay: 4, cancelCutoffMinutes: 240 },
+  Brown: { minCompletedOrders: 50, minRating: 4.0, advanceDays: 2, maxHoursPerDay: 8, cancelCutoffMinutes: 120 },
+  Silver: { minCompletedOrders: 200, minRating: 4.3, advanceDays: 3, maxHoursPerDay: 10, cancelCutoffMinutes: 60 },
+  Diamond: { minCompletedOrders: 500, minRating: 4.6, advanceDays: 4, maxHoursPerDay: 12, cancelCutoffMinutes: 30 }
+};
+
+// Shift times used for a zone day that has no slots yet
+const DEFAULT_SHIFTS = [
+  { startTime: '08:00', endTime: '10:00', payRate: { min: 70, max: 100 } },
+  { startTime: '10:00', endTime: '12:00', payRate: { min: 70, max: 100 } },
+  { startTime: '12:00', endTime: '14:00', payRate: { min: 90, max: 120 } },
+  { startTime: '14:00', endTime: '16:00', payRate: { min: 90, max: 120 } },
+  { startTime: '16:00', endTime: '18:00', payRate: { min: 100, max: 130 } },
+  { startTime: '18:00', endTime: '20:00', payRate: { min: 110, max: 140 } },
+  { startTime: '20:00', endTime: '22:00', payRate: { min: 110, max: 140 } }
+];
+
+const DEFAULT_SLOT_CAPACITY = 20;
+const OPEN_STATUSES = ['booked', 'active'];
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+const isTime = (value) => /^\d{2}:\d{2}$/.test(String(value || '')) && parseClockTime(value) < 24 * 60;
+
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const dateRange = (startKey, endKey) => {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+const getTodayKey = (now = new Date()) => getLocalClock(now).dateKey;
+
+const getSlotWindow = (dateKey, startTime, endTime) => ({
+  startsAt: localTimeToDate(dateKey, parseClockTime(startTime)),
+  endsAt: localTimeToDate(dateKey, parseClockTime(endTime))
+});
+
+const getHours = (entry) => Math.round(((entry.endsAt - entry.startsAt) / HOUR_MS) * 100) / 100;
+
+const formatCutoff = (minutes) => (minutes % 60 === 0 ? `${minutes / 60} hour(s)` : `${minutes} minutes`);
+
+const formatSlot = (slot, now = new Date()) => ({
+  id: slot._id,
+  zoneId: slot.zoneId,
+  date: slot.dateKey,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  startsAt: slot.startsAt,
+  endsAt: slot.endsAt,
+  duration: getHours(slot),
+  capacity: slot.capacity,
+  bookedCount: slot.bookedCount,
+  remaining: Math.max(0, slot.capacity - slot.bookedCount),
+  payRate: slot.payRate,
+  isActive: slot.isActive,
+  isOpen: slot.isActive && slot.endsAt > now && slot.bookedCount < slot.capacity
+});
+
+const formatBooking = (booking, level, now = new Date()) => {
+  const cutoffMinutes = GIG_LEVELS[level]?.cancelCutoffMinutes ?? GIG_LEVELS.Blue.cancelCutoffMinutes;
+  return {
+    id: booking._id,
+    slotId: booking.slotId,
+    zoneId: booking.zoneId?._id || booking.zoneId,
+    zoneName: booking.zoneId?.name || null,
+    date: booking.dateKey,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    startsAt: booking.startsAt,
+    endsAt: booking.endsAt,
+    totalHours: getHours(booking),
+    status: booking.status,
+    startedAt: booking.startedAt || null,
+    completedAt: booking.completedAt || null,
+    cancelledAt: booking.cancelledAt || null,
+    canCancel: booking.status === 'booked' &&
+      now.getTime() <= booking.startsAt.getTime() - cutoffMinutes * 60 * 1000
+  };
+};
+
+/**
+ * Highest level whose thresholds a rider meets, one level lower per recent no-show
+ * @param {Object} stats - { completedOrders, rating, ratingCount, noShows }
+ * @returns {string} Level name
+ */
+export const computeGigLevel = ({ completedOrders = 0, rating = 0, ratingCount = 0, noShows = 0 }) => {
+  let index = 0;
+  GIG_LEVEL_ORDER.forEach((level, i) => {
+    const rules = GIG_LEVELS[level];
+    const meetsRating = ratingCount === 0 || rating >= rules.minRating;
+    if (completedOrders >= rules.minCompletedOrders && meetsRating) {
+      index = i;
+    }
+  });
+  return GIG_LEVEL_ORDER[Math.max(0, index - noShows)];
+};
+
+/**
+ * Recompute a rider's level from their delivered orders, rating and no-shows
+ * and store it on the Delivery document
+ * @param {string} deliveryId
+ * @returns {Promise<Object>} { level, rules, stats, nextLevel }
+ */
+export const refreshRiderLevel = async (deliveryId) => {
+  const delivery = await Delivery.findById(deliveryId).select('metrics gigLevel').lean();
+  if (!delivery) {
+    throw createError(404, 'Delivery partner not found');
+  }
+
+  const [completedOrders, noShows] = await Promise.all([
+    Order.countDocuments({ deliveryPartnerId: delivery._id, status: 'delivered' }),
+    GigBooking.countDocuments({
+      deliveryId: delivery._id,
+      status: 'no_show',
+      endsAt: { $gte: new Date(Date.now() - NO_SHOW_LOOKBACK_DAYS * DAY_MS) }
+    })
+  ]);
+
+  const stats = {
+    completedOrders,
+    rating: delivery.metrics?.rating || 0,
+    ratingCount: delivery.metrics?.ratingCount || 0,
+    noShows
+  };
+  const level = computeGigLevel(stats);
+
+  if (level !== delivery.gigLevel || completedOrders !== delivery.metrics?.completedOrders) {
+    await Delivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          gigLevel: level,
+          gigLevelUpdatedAt: new Date(),
+          'metrics.completedOrders': completedOrders
+        }
+      }
+    );
+  }
+
+  const next = GIG_LEVEL_ORDER[GIG_LEVEL_ORDER.indexOf(level) + 1];
+  return {
+    level,
+    rules: GIG_LEVELS[level],
+    stats,
+    nextLevel: next
+      ? {
+          level: next,
+          minCompletedOrders: GIG_LEVELS[next].minCompletedOrders,
+          minRating: GIG_LEVELS[next].minRating,
+          ordersToGo: Math.max(0, GIG_LEVELS[next].minCompletedOrders - completedOrders)
+        }
+      : null
+  };
+};
+
+/**
+ * Active zone whose boundary contains a point
+ * @returns {Promise<Object|null>}
+ */
+export const findZoneAtPoint = async (latitude, longitude) => {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+  return Zone.findOne({
+    isActive: true,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] }
+      }
+    }
+  });
+};
+
+const getStoredPoint = (delivery) => {
+  const [longitude, latitude] = delivery.availability?.currentLocation?.coordinates || [];
+  if (!latitude && !longitude) return null;
+  return { latitude, longitude };
+};
+
+/**
+ * Zone a rider books slots in: the requested zone, else their assigned zone,
+ * else the zone they are in
+ * @param {Object} delivery - Delivery document
+ * @param {string} [zoneId]
+ * @returns {Promise<Object|null>}
+ */
+export const resolveRiderZone = async (delivery, zoneId = null) => {
+  const assigned = (delivery.availability?.zones || []).map(String);
+
+  if (zoneId) {
+    if (!mongoose.Types.ObjectId.isValid(zoneId)) {
+      throw createError(400, 'Invalid zone');
+    }
+    if (assigned.length && !assigned.includes(String(zoneId))) {
+      throw createError(403, 'You can only book slots in your assigned zone');
+    }
+    const zone = await Zone.findOne({ _id: zoneId, isActive: true });
+    if (!zone) {
+      throw createError(404, 'Zone not found');
+    }
+    return zone;
+  }
+
+  if (assigned.length) {
+    const zone = await Zone.findOne({ _id: { $in: assigned }, isActive: true });
+    if (zone) return zone;
+  }
+
+  const point = getStoredPoint(delivery);
+  return point ? findZoneAtPoint(point.latitude, point.longitude) : null;
+};
+
+/**
+ * Create the default shifts of a zone day that has no slots yet
+ * @param {Object} zone
+ * @param {string} dateKey
+ */
+const ensureZoneSlots = async (zone, dateKey) => {
+  const exists = await GigSlot.exists({ zoneId: zone._id, dateKey });
+  if (exists) return;
+
+  const capacity = zone.gigSettings?.defaultSlotCapacity ?? DEFAULT_SLOT_CAPACITY;
+  await GigSlot.bulkWrite(
+    DEFAULT_SHIFTS.map((shift) => ({
+      updateOne: {
+        filter: { zoneId: zone._id, dateKey, startTime: shift.startTime },
+        update: {
+          $setOnInsert: {
+            ...shift,
+            ...getSlotWindow(dateKey, shift.startTime, shift.endTime),
+            capacity,
+            bookedCount: 0,
+            isActive: true
+          }
+        },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Slots a rider can book on a day, with their level and bookable dates
+ * @param {Object} delivery - Delivery document (req.delivery)
+ * @param {Object} params - { date, zoneId }
+ * @returns {Promise<Object>}
+ */
+export const getRiderSlots = async (delivery, { date, zoneId } = {}) => {
+  const levelInfo = await refreshRiderLevel(delivery._id);
+  const now = new Date();
+  const today = getTodayKey(now);
+  const dates = dateRange(today, addDays(today, levelInfo.rules.advanceDays));
+
+  const dateKey = date || today;
+  if (!isDateKey(dateKey)) {
+    throw createError(400, 'Date must be in YYYY-MM-DD format');
+  }
+  if (!dates.includes(dateKey)) {
+    throw createError(400, `At ${levelInfo.level} level you can book up to ${levelInfo.rules.advanceDays} day(s) ahead`);
+  }
+
+  const zone = await resolveRiderZone(delivery, zoneId);
+  if (!zone) {
+    return { ...levelInfo, zone: null, dates, date: dateKey, slots: [] };
+  }
+
+  await ensureZoneSlots(zone, dateKey);
+  const slots = await GigSlot.find({ zoneId: zone._id, dateKey, isActive: true })
+    .sort({ startTime: 1 })
+    .lean();
+  const bookings = await GigBooking.find({
+    deliveryId: delivery._id,
+    slotId: { $in: slots.map((slot) => slot._id) },
+    status: { $in: OPEN_STATUSES }
+  }).lean();
+  const bookingBySlot = new Map(bookings.map((booking) => [String(booking.slotId), booking]));
+
+  return {
+    ...levelInfo,
+    zone: {
+      id: zone._id,
+      name: zone.name,
+      requireBooking: zone.gigSettings?.requireBooking === true
+    },
+    dates,
+    date: dateKey,
+    slots: slots.map((slot) => {
+      const booking = bookingBySlot.get(String(slot._id));
+      return {
+        ...formatSlot(slot, now),
+        isBooked: !!booking,
+        bookingId: booking?._id || null
+      };
+    })
+  };
+};
+
+const releaseSlot = (slotId) => GigSlot.updateOne(
+  { _id: slotId, bookedCount: { $gt: 0 } },
+  { $inc: { bookedCount: -1 } }
+);
+
+/**
+ * Book one or more slots. Either every slot is booked or none is.
+ * @param {Object} delivery - Delivery document (req.delivery)
+ * @param {Array<string>} slotIds
+ * @returns {Promise<Array<Object>>} Bookings
+ */
+export const bookSlots = async (delivery, slotIds) => {
+  const ids = [...new Set((Array.isArray(slotIds) ? slotIds : []).map(String))];
+  if (!ids.length) {
+    throw createError(400, 'Select at least one slot');
+  }
+  if (ids.length > MAX_SLOTS_PER_BOOKING) {
+    throw createError(400, `You can book at most ${MAX_SLOTS_PER_BOOKING} slots at once`);
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createError(400, 'Invalid slot');
+  }
+
+  const { level, rules } = await refreshRiderLevel(delivery._id);
+  const now = new Date();
+  const today = getTodayKey(now);
+  const lastBookableDay = addDays(today, rules.advanceDays);
+  const assigned = (delivery.availability?.zones || []).map(String);
+
+  const slots = await GigSlot.find({ _id: { $in: ids } }).sort({ startsAt: 1 }).lean();
+  if (slots.length !== ids.length) {
+    throw createError(404, 'Slot not found');
+  }
+
+  for (const slot of slots) {
+    if (!slot.isActive || slot.endsAt <= now) {
+      throw createError(400, `The ${slot.startTime}-${slot.endTime} slot on ${slot.dateKey} is no longer available`);
+    }
+    if (slot.dateKey > lastBookableDay) {
+      throw createError(400, `At ${level} level you can book up to ${rules.advanceDays} day(s) ahead`);
+    }
+    if (assigned.length && !assigned.includes(String(slot.zoneId))) {
+      throw createError(403, 'You can only book slots in your assigned zone');
+    }
+  }
+
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].startsAt < slots[i - 1].endsAt) {
+      throw createError(400, 'Selected slots overlap');
+    }
+  }
+
+  const dateKeys = [...new Set(slots.map((slot) => slot.dateKey))];
+  const existing = await GigBooking.find({
+    deliveryId: delivery._id,
+    dateKey: { $in: dateKeys },
+    status: { $in: [...OPEN_STATUSES, 'completed'] }
+  }).lean();
+
+  for (const slot of slots) {
+    const clash = existing.find((booking) =>
+      OPEN_STATUSES.includes(booking.status) &&
+      booking.startsAt < slot.endsAt && booking.endsAt > slot.startsAt);
+    if (clash) {
+      throw createError(409, `You already have a booking from ${clash.startTime} to ${clash.endTime} on ${clash.dateKey}`);
+    }
+  }
+
+  for (const dateKey of dateKeys) {
+    const hours = [...existing, ...slots]
+      .filter((entry) => entry.dateKey === dateKey)
+      .reduce((total, entry) => total + getHours(entry), 0);
+    if (hours > rules.maxHoursPerDay) {
+      throw createError(400, `At ${level} level you can book up to ${rules.maxHoursPerDay} hours a day`);
+    }
+  }
+
+  const claimed = [];
+  try {
+    for (const slot of slots) {
+      const updated = await GigSlot.findOneAndUpdate(
+        { _id: slot._id, isActive: true, $expr: { $lt: ['$bookedCount', '$capacity'] } },
+        { $inc: { bookedCount: 1 } },
+        { new: true }
+      );
+      if (!updated) {
+        throw createError(409, `The ${slot.startTime}-${slot.endTime} slot on ${slot.dateKey} is full`);
+      }
+      claimed.push(slot);
+    }
+
+    const bookings = await GigBooking.insertMany(slots.map((slot) => ({
+      deliveryId: delivery._id,
+      slotId: slot._id,
+      zoneId: slot.zoneId,
+      dateKey: slot.dateKey,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      level
+    })));
+
+    return bookings.map((booking) => formatBooking(booking, level, now));
+  } catch (error) {
+    await Promise.all(claimed.map((slot) => releaseSlot(slot._id)));
+    throw error;
+  }
+};
+
+/**
+ * Cancel an upcoming booking before the rider level's cutoff
+ * @param {Object} delivery - Delivery document (req.delivery)
+ * @param {string} bookingId
+ * @param {string} [reason]
+ * @returns {Promise<Object>} Booking
+ */
+export const cancelBooking = async (delivery, bookingId, reason = '') => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw createError(404, 'Booking not found');
+  }
+  const booking = await GigBooking.findOne({ _id: bookingId, deliveryId: delivery._id });
+  if (!booking) {
+    throw createError(404, 'Booking not found');
+  }
+  if (booking.status !== 'booked') {
+    throw createError(400, 'Only upcoming bookings can be cancelled');
+  }
+
+  const level = delivery.gigLevel || 'Blue';
+  const { cancelCutoffMinutes } = GIG_LEVELS[level] || GIG_LEVELS.Blue;
+  const now = new Date();
+  if (now.getTime() > booking.startsAt.getTime() - cancelCutoffMinutes * 60 * 1000) {
+    throw createError(400, `At ${level} level bookings can be cancelled up to ${formatCutoff(cancelCutoffMinutes)} before the slot starts`);
+  }
+
+  const cancelled = await GigBooking.findOneAndUpdate(
+    { _id: booking._id, status: 'booked' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: String(reason || '').slice(0, 200)
+      }
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw createError(409, 'Booking was already updated');
+  }
+
+  await releaseSlot(cancelled.slotId);
+  return formatBooking(cancelled, level, now);
+};
+
+/**
+ * A rider's bookings, newest slot first
+ * @param {Object} delivery - Delivery document (req.delivery)
+ * @param {Object} params - { status, page, limit }
+ * @returns {Promise<Object>} { bookings, pagination }
+ */
+export const getRiderBookings = async (delivery, { status, page = 1, limit = 20 } = {}) => {
+  const query = { deliveryId: delivery._id };
+  if (status === 'upcoming') {
+    query.status = { $in: OPEN_STATUSES };
+  } else if (status) {
+    query.status = status;
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const [bookings, total] = await Promise.all([
+    GigBooking.find(query)
+      .populate('zoneId', 'name')
+      .sort({ startsAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    GigBooking.countDocuments(query)
+  ]);
+
+  const now = new Date();
+  return {
+    bookings: bookings.map((booking) => formatBooking(booking, delivery.gigLevel, now)),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+const findCurrentBooking = (deliveryId, now, zoneId = null) => GigBooking.findOne({
+  deliveryId,
+  status: { $in: OPEN_STATUSES },
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+  ...(zoneId ? { zoneId } : {})
+});
+
+const activateBooking = (booking, now) => GigBooking.updateOne(
+  { _id: booking._id, status: 'booked' },
+  { $set: { status: 'active', startedAt: now } }
+);
+
+/**
+ * Check that a rider may go online and start their current booking. In a
+ * zone that requires booking the rider needs a slot in that zone right now.
+ * The check fails closed: when the zone or the booking cannot be read the
+ * rider stays offline (503) unless the zone is known not to require booking.
+ * @param {Object} delivery - Delivery document (req.delivery)
+ * @param {Object} [location] - { latitude, longitude } sent with the request
+ * @returns {Promise<Object|null>} Current booking
+ */
+export const startOnlineSession = async (delivery, { latitude, longitude } = {}) => {
+  const now = new Date();
+  const point = typeof latitude === 'number' && typeof longitude === 'number'
+    ? { latitude, longitude }
+    : getStoredPoint(delivery);
+
+  let zone;
+  try {
+    zone = point ? await findZoneAtPoint(point.latitude, point.longitude) : null;
+    if (!zone && delivery.availability?.zones?.length) {
+      zone = await Zone.findOne({ _id: { $in: delivery.availability.zones }, isActive: true });
+    }
+  } catch (error) {
+    console.error(`❌ Error resolving gig zone for delivery ${delivery._id}:`, error);
+    throw createError(503, 'Could not check your gig slot. Please try again.');
+  }
+  const requiresBooking = Boolean(zone?.gigSettings?.requireBooking);
+
+  let booking;
+  try {
+    booking = await findCurrentBooking(delivery._id, now);
+  } catch (error) {
+    console.error(`❌ Error checking gig booking for delivery ${delivery._id}:`, error);
+    if (requiresBooking) {
+      throw createError(503, 'Could not check your gig slot. Please try again.');
+    }
+    return null;
+  }
+
+  if (requiresBooking && (!booking || String(booking.zoneId) !== String(zone._id))) {
+    throw createError(403, `Book a gig slot in ${zone.name} to go online`);
+  }
+
+  if (booking?.status === 'booked') {
+    // The slot is valid; if this update fails the status cron activates it
+    await activateBooking(booking, now).catch((error) => {
+      console.error(`❌ Error activating gig booking ${booking._id}:`, error);
+    });
+  }
+  return booking;
+};
+
+/**
+ * Close ended bookings and keep online riders in line with their slots:
+ * - booked slots that ended become no_show, active ones completed
+ * - bookings that started while the rider was already online become active
+ * - riders whose slot ended in a zone that requires booking go offline
+ *   unless their next slot has started
+ * @returns {Promise<Object>} { noShows, completed, activated, wentOffline }
+ */
+export const processGigBookingStatuses = async () => {
+  const now = new Date();
+
+  const noShowResult = await GigBooking.updateMany(
+    { status: 'booked', endsAt: { $lte: now } },
+    { $set: { status: 'no_show' } }
+  );
+
+  const ended = await GigBooking.find({ status: 'active', endsAt: { $lte: now } })
+    .select('deliveryId zoneId')
+    .lean();
+  if (ended.length) {
+    await GigBooking.updateMany(
+      { _id: { $in: ended.map((booking) => booking._id) }, status: 'active' },
+      { $set: { status: 'completed', completedAt: now } }
+    );
+  }
+
+  let activated = 0;
+  const started = await GigBooking.find({
+    status: 'booked',
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).lean();
+  if (started.length) {
+    const online = await Delivery.find({
+      _id: { $in: started.map((booking) => booking.deliveryId) },
+      'availability.isOnline': true
+    }).select('_id').lean();
+    const onlineIds = new Set(online.map((delivery) => String(delivery._id)));
+    for (const booking of started) {
+      if (!onlineIds.has(String(booking.deliveryId))) continue;
+      const result = await activateBooking(booking, now);
+      activated += result.modifiedCount || 0;
+    }
+  }
+
+  let wentOffline = 0;
+  const zoneIds = [...new Set(ended.map((booking) => String(booking.zoneId)))];
+  const requiredZones = zoneIds.length
+    ? await Zone.find({ _id: { $in: zoneIds }, 'gigSettings.requireBooking': true }).select('_id').lean()
+    : [];
+  const requiredZoneIds = new Set(requiredZones.map((zone) => String(zone._id)));
+
+  for (const booking of ended) {
+    if (!requiredZoneIds.has(String(booking.zoneId))) continue;
+    const next = await findCurrentBooking(booking.deliveryId, now, booking.zoneId);
+    if (next) continue;
+    const result = await Delivery.updateOne(
+      { _id: booking.deliveryId, 'availability.isOnline': true },
+      { $set: { 'availability.isOnline': false } }
+    );
+    if (result.modifiedCount) {
+      await endSession(booking.deliveryId, 'slot_ended', now);
+    }
+    wentOffline += result.modifiedCount || 0;
+  }
+
+  return {
+    noShows: noShowResult.modifiedCount || 0,
+    completed: ended.length,
+    activated,
+    wentOffline
+  };
+};
+
+const loadZone = async (zoneId) => {
+  if (!mongoose.Types.ObjectId.isValid(zoneId)) {
+    throw createError(404, 'Zone not found');
+  }
+  const zone = await Zone.findById(zoneId);
+  if (!zone) {
+    throw createError(404, 'Zone not found');
+  }
+  return zone;
+};
+
+/**
+ * Slots, capacity and bookings of a zone per day for the admin capacity planner
+ * @param {string} zoneId
+ * @param {Object} params - { startDate, endDate } as YYYY-MM-DD; defaults to the next 7 days
+ * @returns {Promise<Object>}
+ */
+export const getZoneCapacityPlan = async (zoneId, { startDate, endDate } = {}) => {
+  const zone = await loadZone(zoneId);
+  const today = getTodayKey();
+  const start = startDate || today;
+  const end = endDate || addDays(start, 6);
+  if (!isDateKey(start) || !isDateKey(end)) {
+    throw createError(400, 'Dates must be in YYYY-MM-DD format');
+  }
+  if (start > end) {
+    throw createError(400, 'Start date must be before end date');
+  }
+  const dateKeys = dateRange(start, end);
+  if (dateKeys.length > MAX_PLAN_DAYS) {
+    throw createError(400, `You can plan up to ${MAX_PLAN_DAYS} days at a time`);
+  }
+
+  // Past days are shown as they were, upcoming days get the default shifts
+  for (const dateKey of dateKeys.filter((key) => key >= today)) {
+    await ensureZoneSlots(zone, dateKey);
+  }
+
+  const slots = await GigSlot.find({ zoneId: zone._id, dateKey: { $in: dateKeys } })
+    .sort({ dateKey: 1, startTime: 1 })
+    .lean();
+  const now = new Date();
+
+  return {
+    zone: {
+      id: zone._id,
+      name: zone.name,
+      gigSettings: {
+        requireBooking: zone.gigSettings?.requireBooking === true,
+        defaultSlotCapacity: zone.gigSettings?.defaultSlotCapacity ?? DEFAULT_SLOT_CAPACITY
+      }
+    },
+    startDate: start,
+    endDate: end,
+    days: dateKeys.map((dateKey) => {
+      const daySlots = slots.filter((slot) => slot.dateKey === dateKey);
+      const activeSlots = daySlots.filter((slot) => slot.isActive);
+      return {
+        date: dateKey,
+        totalCapacity: activeSlots.reduce((total, slot) => total + slot.capacity, 0),
+        totalBooked: daySlots.reduce((total, slot) => total + slot.bookedCount, 0),
+        slots: daySlots.map((slot) => formatSlot(slot, now))
+      };
+    })
+  };
+};
+
+/**
+ * Update the gig settings of a zone
+ * @param {string} zoneId
+ * @param {Object} settings - { requireBooking, defaultSlotCapacity }
+ * @returns {Promise<Object>} gigSettings
+ */
+export const updateZoneGigSettings = async (zoneId, { requireBooking, defaultSlotCapacity }) => {
+  const zone = await loadZone(zoneId);
+
+  if (requireBooking !== undefined) {
+    if (typeof requireBooking !== 'boolean') {
+      throw createError(400, 'requireBooking must be a boolean');
+    }
+    zone.set('gigSettings.requireBooking', requireBooking);
+  }
+  if (defaultSlotCapacity !== undefined) {
+    const capacity = Number(defaultSlotCapacity);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw createError(400, 'Default slot capacity must be a whole number of riders');
+    }
+    zone.set('gigSettings.defaultSlotCapacity', capacity);
+  }
+
+  await zone.save();
+  return zone.gigSettings;
+};
+
+const parsePayRate = (payRate) => {
+  const min = Number(payRate?.min ?? 0);
+  const max = Number(payRate?.max ?? min);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) {
+    throw createError(400, 'Pay rate must have 0 <= min <= max');
+  }
+  return { min, max };
+};
+
+const parseCapacity = (value) => {
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 0) {
+    throw createError(400, 'Capacity must be a whole number of riders');
+  }
+  return capacity;
+};
+
+/**
+ * Add a shift slot to a zone day
+ * @param {string} zoneId
+ * @param {Object} data - { date, startTime, endTime, capacity, payRate }
+ * @param {string} [adminId]
+ * @returns {Promise<Object>} Slot
+ */
+export const createGigSlot = async (zoneId, { date, startTime, endTime, capacity, payRate }, adminId = null) => {
+  const zone = await loadZone(zoneId);
+  if (!isDateKey(date)) {
+    throw createError(400, 'Date must be in YYYY-MM-DD format');
+  }
+  if (date < getTodayKey()) {
+    throw createError(400, 'Slots cannot be added to past days');
+  }
+  if (!isTime(startTime) || !isTime(endTime) || parseClockTime(startTime) >= parseClockTime(endTime)) {
+    throw createError(400, 'Start and end time must be HH:mm with start before end');
+  }
+
+  // Keep the default shifts from being created later on top of this slot
+  await ensureZoneSlots(zone, date);
+
+  const window = getSlotWindow(date, startTime, endTime);
+  const overlapping = await GigSlot.exists({
+    zoneId: zone._id,
+    dateKey: date,
+    startsAt: { $lt: window.endsAt },
+    endsAt: { $gt: window.startsAt }
+  });
+  if (overlapping) {
+    throw createError(409, 'The slot overlaps an existing slot of this day');
+  }
+
+  const slot = await GigSlot.create({
+    zoneId: zone._id,
+    dateKey: date,
+    startTime,
+    endTime,
+    ...window,
+    capacity: parseCapacity(capacity ?? zone.gigSettings?.defaultSlotCapacity ?? DEFAULT_SLOT_CAPACITY),
+    payRate: parsePayRate(payRate),
+    updatedBy: adminId
+  });
+  return formatSlot(slot);
+};
+
+/**
+ * Change the capacity, pay rate or status of a slot. Capacity cannot drop
+ * below the riders already booked.
+ * @param {string} slotId
+ * @param {Object} data - { capacity, payRate, isActive }
+ * @param {string} [adminId]
+ * @returns {Promise<Object>} Slot
+ */
+export const updateGigSlot = async (slotId, { capacity, payRate, isActive }, adminId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(slotId)) {
+    throw createError(404, 'Slot not found');
+  }
+
+  const update = { updatedBy: adminId };
+  const filter = { _id: slotId };
+  if (capacity !== undefined) {
+    update.capacity = parseCapacity(capacity);
+    filter.bookedCount = { $lte: update.capacity };
+  }
+  if (payRate !== undefined) {
+    update.payRate = parsePayRate(payRate);
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      throw createError(400, 'isActive must be a boolean');
+    }
+    update.isActive = isActive;
+  }
+
+  const slot = await GigSlot.findOneAndUpdate(filter, { $set: update }, { new: true });
+  if (!slot) {
+    const existing = await GigSlot.findById(slotId).select('bookedCount').lean();
+    if (!existing) {
+      throw createError(404, 'Slot not found');
+    }
+    throw createError(400, `Capacity cannot be lower than the ${existing.bookedCount} rider(s) already booked`);
+  }
+  return formatSlot(slot);
+};
+
+/**
+ * Delete a slot nobody has booked. Booked slots can only be deactivated.
+ * @param {string} slotId
+ */
+export const deleteGigSlot = async (slotId) => {
+  if (!mongoose.Types.ObjectId.isValid(slotId)) {
+    throw createError(404, 'Slot not found');
+  }
+  const slot = await GigSlot.findById(slotId).select('_id').lean();
+  if (!slot) {
+    throw createError(404, 'Slot not found');
+  }
+
+  const hasBookings = await GigBooking.exists({ slotId: slot._id });
+  const deleted = hasBookings ? null : await GigSlot.findOneAndDelete({ _id: slot._id, bookedCount: 0 });
+  if (!deleted) {
+    throw createError(400, 'Slots with bookings cannot be deleted; deactivate the slot instead');
+  }
+};
+
+export default {
+  GIG_LEVELS,
+  GIG_LEVEL_ORDER,
+  computeGigLevel,
+  refreshRiderLevel,
+  findZoneAtPoint,
+  resolveRiderZone,
+  getRiderSlots,
+  bookSlots,
+  cancelBooking,
+  getRiderBookings,
+  startOnlineSession,
+  processGigBookingStatuses,
+  getZoneCapacityPlan,
+  updateZoneGigSettings,
+  createGigSlot,
+  updateGigSlot,
+  deleteGigSlot
+};
@@ -0,0 +1,396 @@
+import mongoose from 'mongoose';
+import RiderSession from '../models/RiderSession.js';
+import Order from '../../order/models/Order.js';
+import {
+  getLocalClock,
+  localTimeToDate
+} from '../../order/services/scheduledOrderService.js';
+
+/**
+ * Rider online time and login hours
+ *
+ * Every offline -> online transition opens a RiderSession and going offline
+ * (by the rider, or at the end of a required gig slot) closes it.
+ * Location pings keep the session alive; a cron in server.js closes sessions
+ * of riders who stopped pinging and on-order intervals of orders that were
+ * delivered, cancelled or handed to another rider. Login hours, busy (on an
+ * order) vs idle time and acceptance rate are computed from the sessions.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const INACTIVE_AFTER_MINUTES = 10;
+const REPORT_HISTORY_DAYS = 90;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Monday of the week a calendar day falls in
+const getWeekStart = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dateKey, -((weekday + 6) % 7));
+};
+
+const getDayWindow = (dateKey) => ({
+  from: localTimeToDate(dateKey, 0),
+  to: localTimeToDate(addDays(dateKey, 1), 0)
+});
+
+const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+const toHours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+
+// Total length of intervals after merging the overlapping ones
+const unionLength = (intervals) => {
+  const sorted = intervals
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+  for (const [start, end] of sorted) {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else if (end > current[1]) {
+      current[1] = end;
+    }
+  }
+  if (current) total += current[1] - current[0];
+  return total;
+};
+
+const findOpenSession = (deliveryId) =>
+  RiderSession.findOne({ deliveryId, endedAt: null }).sort({ startedAt: -1 });
+
+/**
+ * Keep the rider's session alive, opening one when the rider has none
+ * (just went online, or the last one was closed for inactivity). A rider has
+ * at most one open session (unique index), so when two pings race to open
+ * one the loser finds it already open.
+ * @param {string|Object} deliveryId - Delivery partner ID
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+export const touchSession = async (deliveryId, now = new Date()) => {
+  const result = await RiderSession.updateOne(
+    { deliveryId, endedAt: null },
+    { $set: { lastSeenAt: now } }
+  );
+  if (result.matchedCount > 0) return;
+
+  try {
+    await RiderSession.create({ deliveryId, startedAt: now, lastSeenAt: now });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Close the rider's open session and re-check login-hour incentives
+ * @param {string|Object} deliveryId - Delivery partner ID
+ * @param {string} reason - rider | slot_ended | inactive
+ * @param {Date} [endedAt]
+ * @returns {Promise<Object|null>} Closed session
+ */
+export const endSession = async (deliveryId, reason, endedAt = new Date()) => {
+  const session = await RiderSession.findOneAndUpdate(
+    { deliveryId, endedAt: null },
+    { $set: { endedAt, endReason: reason } },
+    { new: true, sort: { startedAt: -1 } }
+  );
+  if (!session) return null;
+
+  try {
+    const { checkAndAwardEarningAddon } = await import('./earningAddonService.js');
+    await checkAndAwardEarningAddon(deliveryId, null, endedAt);
+  } catch (error) {
+    console.error(`❌ Error checking earning addons after session end for delivery ${deliveryId}:`, error);
+  }
+  return session;
+};
+
+/**
+ * Remember that an order was offered to riders, on their open sessions
+ * @param {string|Object} orderId - Order _id
+ * @param {Array} deliveryIds - Notified delivery partner IDs
+ * @returns {Promise<void>}
+ */
+export const recordOrderOffers = async (orderId, deliveryIds = []) => {
+  const ids = deliveryIds
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(String(id)))
+    .map(toObjectId);
+  if (!ids.length || !orderId) return;
+  await RiderSession.updateMany(
+    { deliveryId: { $in: ids }, endedAt: null },
+    { $addToSet: { offeredOrderIds: toObjectId(orderId) } }
+  );
+};
+
+/**
+ * Mark an order accepted and start the rider's time on it
+ * @param {string|Object} deliveryId - Delivery partner ID
+ * @param {string|Object} orderId - Order _id
+ * @param {Date} [startedAt]
+ * @returns {Promise<void>}
+ */
+export const startOrderInterval = async (deliveryId, orderId, startedAt = new Date()) => {
+  const orderObjectId = toObjectId(orderId);
+  const session = await findOpenSession(deliveryId);
+  if (!session) return;
+  if (session.orderIntervals.some((interval) => String(interval.orderId) === String(orderObjectId))) {
+    return;
+  }
+  await RiderSession.updateOne(
+    { _id: session._id, 'orderIntervals.orderId': { $ne: orderObjectId } },
+    {
+      $addToSet: { acceptedOrderIds: orderObjectId },
+      $push: { orderIntervals: { orderId: orderObjectId, startedAt } }
+    }
+  );
+};
+
+/**
+ * Stop the time on an order (delivered, cancelled or reassigned)
+ * @param {string|Object} orderId - Order _id
+ * @param {Date} [endedAt]
+ * @returns {Promise<void>}
+ */
+export const endOrderInterval = async (orderId, endedAt = new Date()) => {
+  const orderObjectId = toObjectId(orderId);
+  await RiderSession.updateMany(
+    { orderIntervals: { $elemMatch: { orderId: orderObjectId, endedAt: null } } },
+    { $set: { 'orderIntervals.$[interval].endedAt': endedAt } },
+    { arrayFilters: [{ 'interval.orderId': orderObjectId, 'interval.endedAt': null }] }
+  );
+};
+
+/**
+ * Close sessions of riders who stopped sending location (app killed, phone
+ * off) at their last ping, and on-order intervals of finished orders
+ * @returns {Promise<Object>} { sessionsClosed, intervalsClosed }
+ */
+export const processRiderSessions = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - INACTIVE_AFTER_MINUTES * MINUTE_MS);
+
+  const stale = await RiderSession.find({ endedAt: null, lastSeenAt: { $lt: staleBefore } })
+    .select('deliveryId lastSeenAt')
+    .lean();
+  let sessionsClosed = 0;
+  for (const session of stale) {
+    const result = await RiderSession.updateOne(
+      { _id: session._id, endedAt: null },
+      { $set: { endedAt: session.lastSeenAt, endReason: 'inactive' } }
+    );
+    sessionsClosed += result.modifiedCount || 0;
+  }
+
+  const open = await RiderSession.find({ orderIntervals: { $elemMatch: { endedAt: null } } })
+    .select('deliveryId orderIntervals')
+    .lean();
+  let intervalsClosed = 0;
+  if (open.length) {
+    const orderIds = open.flatMap((session) =>
+      session.orderIntervals.filter((interval) => !interval.endedAt).map((interval) => interval.orderId)
+    );
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .select('status deliveryPartnerId deliveredAt cancelledAt updatedAt')
+      .lean();
+    const ordersById = new Map(orders.map((order) => [String(order._id), order]));
+
+    for (const session of open) {
+      for (const interval of session.orderIntervals) {
+        if (interval.endedAt) continue;
+        const order = ordersById.get(String(interval.orderId));
+        let endedAt = null;
+        if (!order) {
+          endedAt = now;
+        } else if (order.status === 'delivered') {
+          endedAt = order.deliveredAt || order.updatedAt || now;
+        } else if (order.status === 'cancelled') {
+          endedAt = order.cancelledAt || order.updatedAt || now;
+        } else if (String(order.deliveryPartnerId) !== String(session.deliveryId)) {
+          endedAt = now;
+        }
+        if (!endedAt) continue;
+        const result = await RiderSession.updateOne(
+          { _id: session._id },
+          { $set: { 'orderIntervals.$[interval].endedAt': endedAt } },
+          { arrayFilters: [{ 'interval.orderId': interval.orderId, 'interval.endedAt': null }] }
+        );
+        intervalsClosed += result.modifiedCount || 0;
+      }
+    }
+  }
+
+  return { sessionsClosed, intervalsClosed };
+};
+
+const loadSessions = (deliveryId, from, to) =>
+  RiderSession.find({
+    deliveryId,
+    startedAt: { $lt: to },
+    $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+  })
+    .sort({ startedAt: 1 })
+    .lean();
+
+/**
+ * Login, busy and idle time and acceptance of sessions within a window.
+ * Offers and acceptances count towards the window their session started in.
+ */
+const summarizeSessions = (sessions, from, to, now = new Date()) => {
+  const windowStart = from.getTime();
+  const windowEnd = Math.min(to.getTime(), now.getTime());
+  const online = [];
+  const busy = [];
+  const offered = new Set();
+  const accepted = new Set();
+
+  for (const session of sessions) {
+    const sessionStart = new Date(session.startedAt).getTime();
+    const sessionEnd = session.endedAt ? new Date(session.endedAt).getTime() : now.getTime();
+    const start = Math.max(sessionStart, windowStart);
+    const end = Math.min(sessionEnd, windowEnd);
+    if (end > start) online.push([start, end]);
+
+    for (const interval of session.orderIntervals || []) {
+      const intervalEnd = interval.endedAt ? new Date(interval.endedAt).getTime() : sessionEnd;
+      busy.push([
+        Math.max(new Date(interval.startedAt).getTime(), start),
+        Math.min(intervalEnd, end)
+      ]);
+    }
+
+    if (sessionStart >= windowStart && sessionStart < to.getTime()) {
+      (session.offeredOrderIds || []).forEach((id) => offered.add(String(id)));
+      (session.acceptedOrderIds || []).forEach((id) => accepted.add(String(id)));
+    }
+  }
+
+  const onlineMs = unionLength(online);
+  const busyMs = Math.min(unionLength(busy), onlineMs);
+  const acceptedOffers = [...accepted].filter((id) => offered.has(id)).length;
+
+  return {
+    loginHours: toHours(onlineMs),
+    loginMinutes: toMinutes(onlineMs),
+    busyMinutes: toMinutes(busyMs),
+    idleMinutes: toMinutes(onlineMs - busyMs),
+    ordersOffered: offered.size,
+    ordersAccepted: accepted.size,
+    acceptanceRate: offered.size ? Math.round((acceptedOffers / offered.size) * 100) : null
+  };
+};
+
+const formatSession = (session, now = new Date()) => {
+  const startedAt = new Date(session.startedAt);
+  const endedAt = session.endedAt ? new Date(session.endedAt) : null;
+  const summary = summarizeSessions([session], startedAt, endedAt || now, now);
+  return {
+    id: session._id,
+    startedAt,
+    endedAt,
+    isActive: !endedAt,
+    endReason: session.endReason || null,
+    loginMinutes: summary.loginMinutes,
+    busyMinutes: summary.busyMinutes,
+    idleMinutes: summary.idleMinutes,
+    ordersOffered: summary.ordersOffered,
+    ordersAccepted: summary.ordersAccepted
+  };
+};
+
+/**
+ * Login hours, busy/idle time and acceptance rate between two instants
+ * @param {string|Object} deliveryId - Delivery partner ID
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object>}
+ */
+export const getRiderActivity = async (deliveryId, from, to) => {
+  const sessions = await loadSessions(deliveryId, from, to);
+  return summarizeSessions(sessions, from, to);
+};
+
+/**
+ * Day and week report for the rider app and admin: the day's totals and
+ * sessions, and per-day totals of the Monday-Sunday week around it
+ * @param {string|Object} deliveryId - Delivery partner ID
+ * @param {Object} [options] - { date: YYYY-MM-DD, defaults to today }
+ * @returns {Promise<Object>}
+ */
+export const getOnlineTimeReport = async (deliveryId, { date } = {}) => {
+  const now = new Date();
+  const todayKey = getLocalClock(now).dateKey;
+  if (date && !isDateKey(date)) {
+    throw createError(400, 'date must be YYYY-MM-DD');
+  }
+  const dateKey = date || todayKey;
+  if (dateKey > todayKey) {
+    throw createError(400, 'date cannot be in the future');
+  }
+  if (dateKey < addDays(todayKey, -REPORT_HISTORY_DAYS)) {
+    throw createError(400, `Online time can be viewed for the last ${REPORT_HISTORY_DAYS} days`);
+  }
+
+  const weekStart = getWeekStart(dateKey);
+  const weekEnd = addDays(weekStart, 6);
+  const weekWindow = { from: getDayWindow(weekStart).from, to: getDayWindow(weekEnd).to };
+  const sessions = await loadSessions(deliveryId, weekWindow.from, weekWindow.to);
+
+  const days = [];
+  for (let key = weekStart; key <= weekEnd; key = addDays(key, 1)) {
+    const window = getDayWindow(key);
+    days.push({ date: key, ...summarizeSessions(sessions, window.from, window.to, now) });
+  }
+
+  const dayWindow = getDayWindow(dateKey);
+  const daySessions = sessions
+    .filter((session) => {
+      const start = new Date(session.startedAt);
+      const end = session.endedAt ? new Date(session.endedAt) : now;
+      return start < dayWindow.to && end > dayWindow.from;
+    })
+    .map((session) => formatSession(session, now))
+    .reverse();
+
+  return {
+    date: dateKey,
+    isOnline: sessions.some((session) => !session.endedAt),
+    day: {
+      ...days.find((day) => day.date === dateKey),
+      sessions: daySessions
+    },
+    week: {
+      startDate: weekStart,
+      endDate: weekEnd,
+      ...summarizeSessions(sessions, weekWindow.from, weekWindow.to, now),
+      days
+    }
+  };
+};
+
+export default {
+  touchSession,
+  endSession,
+  recordOrderOffers,
+  startOrderInterval,
+  endOrderInterval,
+  processRiderSessions,
+  getRiderActivity,
+  getOnlineTimeReport
+};
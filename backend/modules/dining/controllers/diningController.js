@@ -9,6 +9,16 @@ import TableBooking from "../models/TableBooking.js";
 import DiningReview from "../models/DiningReview.js";
 import Restaurant from "../../restaurant/models/Restaurant.js";
 import emailService from "../../auth/services/emailService.js";
+import { parseClockTime } from "../../order/services/scheduledOrderService.js";
+import {
+  createTableBooking,
+  cancelUserBooking,
+  updateRestaurantBookingStatus as updateBookingStatusForRestaurant,
+  getDiningSettings,
+  getSlotAvailability,
+  loadBookableRestaurant,
+  resolveDateKey,
+} from "../services/tableAvailabilityService.js";
 
 // Get all dining restaurants (with filtering)
 export const getRestaurants = async (req, res) => {
@@ -195,20 +205,20 @@ export const getStories = async (req, res) => {
   }
 };
 
-// Create a new table booking
+// Create a table booking (waitlisted when the slot is full and the guest opted in)
 export const createBooking = async (req, res) => {
   try {
-    const { restaurant, guests, date, timeSlot, specialRequest } = req.body;
-    const userId = req.user._id;
+    const { restaurant, guests, date, timeSlot, specialRequest, joinWaitlist } =
+      req.body;
 
-    const booking = await TableBooking.create({
-      restaurant,
-      user: userId,
+    const booking = await createTableBooking({
+      restaurantId: restaurant,
+      userId: req.user._id,
       guests,
       date,
       timeSlot,
       specialRequest,
-      status: "confirmed",
+      joinWaitlist: Boolean(joinWaitlist),
     });
 
     // Populate restaurant data for the success page
@@ -228,14 +238,17 @@ export const createBooking = async (req, res) => {
       }
     }
 
+    const isWaitlisted = booking.status === "waitlisted";
     res.status(201).json({
       success: true,
-      message: "Booking confirmed successfully",
+      message: isWaitlisted
+        ? "Slot is full. You have been added to the waitlist"
+        : "Booking confirmed successfully",
       data: bookingObj,
     });
 
     // Send confirmation email asynchronously if user has email
-    if (req.user.email) {
+    if (req.user.email && !isWaitlisted) {
       emailService
         .sendBookingConfirmation(req.user.email, bookingObj)
         .catch((err) => {
@@ -243,9 +256,39 @@ export const createBooking = async (req, res) => {
         });
     }
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to create booking",
+      ...(error.data || {}),
+      error: error.message,
+    });
+  }
+};
+
+// Get open slots of a restaurant for a date and party size
+export const getAvailability = async (req, res) => {
+  try {
+    const restaurant = await loadBookableRestaurant(req.params.restaurantId);
+    const dateKey = resolveDateKey(req.query.date || new Date());
+    const guests = Math.max(1, parseInt(req.query.guests, 10) || 1);
+    const settings = getDiningSettings(restaurant);
+
+    const slots = await getSlotAvailability(restaurant, dateKey, guests);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: dateKey,
+        guests,
+        maxGuests: settings.maxGuests,
+        waitlistEnabled: settings.waitlistEnabled,
+        slots,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to create booking",
+      message: error.statusCode ? error.message : "Failed to fetch availability",
       error: error.message,
     });
   }
@@ -294,13 +337,27 @@ export const getUserBookings = async (req, res) => {
   }
 };
 
-// Get bookings for a specific restaurant (for owners)
+// Get bookings for the logged-in restaurant (optionally for one day)
 export const getRestaurantBookings = async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    // In a real app, we should check if req.user is the owner of this restaurant
 
-    const bookings = await TableBooking.find({ restaurant: restaurantId })
+    if (restaurantId !== req.restaurant._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only view your own restaurant's bookings",
+      });
+    }
+
+    const query = { restaurant: req.restaurant._id };
+    if (req.query.date) {
+      query.dateKey = resolveDateKey(req.query.date);
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const bookings = await TableBooking.find(query)
       .populate("user", "name phone")
       .sort({ createdAt: -1 });
 
@@ -310,49 +367,182 @@ export const getRestaurantBookings = async (req, res) => {
       data: bookings,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to fetch restaurant bookings",
+      message: error.statusCode ? error.message : "Failed to fetch restaurant bookings",
       error: error.message,
     });
   }
 };
 
-// Update booking status (for restaurant owners)
+// Cancel a booking (guests can only cancel their own upcoming bookings)
 export const updateBookingStatus = async (req, res) => {
   try {
     const { bookingId } = req.params;
     const { status } = req.body;
 
-    const updateData = { status };
-    if (status === "checked-in") {
-      updateData.checkInTime = new Date();
-    } else if (status === "completed") {
-      updateData.checkOutTime = new Date();
+    if (status !== "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Guests can only cancel a booking",
+      });
     }
 
-    const booking = await TableBooking.findByIdAndUpdate(
+    const booking = await cancelUserBooking(req.user._id, bookingId);
+
+    res.status(200).json({
+      success: true,
+      message: "Booking cancelled",
+      data: booking,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update booking status",
+      error: error.message,
+    });
+  }
+};
+
+// Update booking status (for restaurant owners and managers)
+export const updateRestaurantBookingStatus = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { status, reason } = req.body;
+
+    const booking = await updateBookingStatusForRestaurant(
+      req.restaurant._id,
       bookingId,
-      updateData,
-      { new: true },
+      status,
+      reason,
     );
 
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: "Booking not found",
-      });
-    }
-
     res.status(200).json({
       success: true,
       message: `Booking status updated to ${status}`,
       data: booking,
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update booking status",
+      error: error.message,
+    });
+  }
+};
+
+// Capacity settings for the editor, keeping paused slots that bookings ignore
+const buildCapacitySettings = (restaurant) => {
+  const configuredSlots = restaurant.diningSettings?.timeSlots || [];
+  const settings = getDiningSettings(restaurant);
+
+  return {
+    ...settings,
+    timeSlots: configuredSlots.length
+      ? configuredSlots.map((slot) => ({
+          time: slot.time,
+          mealPeriod: slot.mealPeriod,
+          tables: slot.tables,
+          covers: slot.covers,
+          isActive: slot.isActive !== false,
+        }))
+      : settings.timeSlots.map((slot) => ({ ...slot, isActive: true })),
+    isEnabled: Boolean(restaurant.diningSettings?.isEnabled),
+    // Whether the restaurant still uses the default slot list
+    usesDefaultSlots: !configuredSlots.length,
+  };
+};
+
+// Get the logged-in restaurant's table slots and capacity settings
+export const getDiningCapacitySettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: buildCapacitySettings(req.restaurant),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch dining settings",
+      error: error.message,
+    });
+  }
+};
+
+// Update table slots and capacity settings
+export const updateDiningCapacitySettings = async (req, res) => {
+  try {
+    const { timeSlots, maxGuests, tablesPerSlot, coversPerSlot, waitlistEnabled, noShowGraceMinutes } =
+      req.body;
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    const restaurant = await Restaurant.findById(req.restaurant._id);
+    const diningSettings = restaurant.diningSettings;
+
+    if (timeSlots !== undefined) {
+      if (!Array.isArray(timeSlots)) {
+        return res.status(400).json({ success: false, message: "timeSlots must be a list" });
+      }
+
+      const seen = new Set();
+      for (const slot of timeSlots) {
+        const minutes = parseClockTime(slot?.time);
+        if (minutes === null) {
+          return res.status(400).json({ success: false, message: `Invalid slot time: ${slot?.time}` });
+        }
+        if (seen.has(minutes)) {
+          return res.status(400).json({ success: false, message: `Duplicate slot time: ${slot.time}` });
+        }
+        if (!isCount(slot.tables) || !isCount(slot.covers)) {
+          return res.status(400).json({
+            success: false,
+            message: `Tables and covers for ${slot.time} must be whole numbers`,
+          });
+        }
+        if (slot.mealPeriod && !["Lunch", "Dinner"].includes(slot.mealPeriod)) {
+          return res.status(400).json({ success: false, message: "Meal period must be Lunch or Dinner" });
+        }
+        seen.add(minutes);
+      }
+
+      diningSettings.timeSlots = timeSlots.map((slot) => ({
+        time: slot.time.trim().toUpperCase(),
+        mealPeriod: slot.mealPeriod || (parseClockTime(slot.time) < 17 * 60 ? "Lunch" : "Dinner"),
+        tables: slot.tables,
+        covers: slot.covers,
+        isActive: slot.isActive !== false,
+      }));
+    }
+
+    for (const [key, value] of Object.entries({ tablesPerSlot, coversPerSlot, noShowGraceMinutes })) {
+      if (value === undefined) continue;
+      if (!isCount(value)) {
+        return res.status(400).json({ success: false, message: `${key} must be a whole number` });
+      }
+      diningSettings[key] = value;
+    }
+
+    if (maxGuests !== undefined) {
+      if (!Number.isInteger(maxGuests) || maxGuests < 1) {
+        return res.status(400).json({ success: false, message: "maxGuests must be at least 1" });
+      }
+      diningSettings.maxGuests = maxGuests;
+    }
+    if (waitlistEnabled !== undefined) {
+      diningSettings.waitlistEnabled = Boolean(waitlistEnabled);
+    }
+
+    await restaurant.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Dining settings updated",
+      data: buildCapacitySettings(restaurant),
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Failed to update booking status",
+      message: "Failed to update dining settings",
       error: error.message,
     });
   }
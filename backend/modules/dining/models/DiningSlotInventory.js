@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+/**
+ * Tables and covers already booked for one restaurant time slot on one day.
+ * Updated only with guarded atomic $inc (tableAvailabilityService) so
+ * concurrent bookings cannot exceed the slot capacity.
+ */
+const diningSlotInventorySchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    dateKey: {
+      type: String,
+      required: true,
+    },
+    timeSlot: {
+      type: String,
+      required: true,
+    },
+    bookedTables: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    bookedCovers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+diningSlotInventorySchema.index(
+  { restaurant: 1, dateKey: 1, timeSlot: 1 },
+  { unique: true },
+);
+
+const DiningSlotInventory = mongoose.model(
+  "DiningSlotInventory",
+  diningSlotInventorySchema,
+);
+export default DiningSlotInventory;
@@ -25,15 +25,49 @@ const tableBookingSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Calendar day of the booking (YYYY-MM-DD, restaurant timezone) and slot start instant
+    dateKey: {
+      type: String,
+    },
+    slotStartAt: {
+      type: Date,
+    },
+    // When an unattended confirmed booking is marked no-show
+    noShowAt: {
+      type: Date,
+    },
+    // Whether this booking currently holds a table in DiningSlotInventory
+    capacityReserved: {
+      type: Boolean,
+      default: false,
+    },
     specialRequest: {
       type: String,
       trim: true,
     },
     status: {
       type: String,
-      enum: ["pending", "confirmed", "checked-in", "completed", "cancelled"],
+      enum: [
+        "pending",
+        "waitlisted",
+        "confirmed",
+        "checked-in",
+        "completed",
+        "cancelled",
+        "no-show",
+      ],
       default: "confirmed",
     },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: String,
+      enum: ["user", "restaurant", "system"],
+    },
+    cancellationReason: {
+      type: String,
+    },
     checkInTime: {
       type: Date,
     },
@@ -50,6 +84,10 @@ const tableBookingSchema = new mongoose.Schema(
   },
 );
 
+tableBookingSchema.index({ restaurant: 1, dateKey: 1, timeSlot: 1, status: 1 });
+tableBookingSchema.index({ status: 1, noShowAt: 1 });
+tableBookingSchema.index({ status: 1, slotStartAt: 1 });
+
 // Generate a random 8-character booking ID before saving
 tableBookingSchema.pre("save", async function (next) {
   if (!this.bookingId) {
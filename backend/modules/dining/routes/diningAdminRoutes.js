@@ -1,6 +1,6 @@
 import express from 'express';
 import { uploadMiddleware } from '../../../shared/utils/cloudinaryService.js';
-import { authenticateAdmin } from '../../admin/middleware/adminAuth.js';
+import { authenticateAdmin, requireAdminPermission } from '../../admin/middleware/adminAuth.js';
 import {
     getAdminDiningCategories,
     createDiningCategory,
@@ -18,24 +18,26 @@ import {
 
 const router = express.Router();
 
+const canManageDining = requireAdminPermission('campaign_manage');
+
 // Categories
-router.get('/categories', authenticateAdmin, getAdminDiningCategories);
-router.post('/categories', authenticateAdmin, uploadMiddleware.single('image'), createDiningCategory);
-router.delete('/categories/:id', authenticateAdmin, deleteDiningCategory);
+router.get('/categories', authenticateAdmin, canManageDining, getAdminDiningCategories);
+router.post('/categories', authenticateAdmin, canManageDining, uploadMiddleware.single('image'), createDiningCategory);
+router.delete('/categories/:id', authenticateAdmin, canManageDining, deleteDiningCategory);
 
 // Offer Banners
-router.get('/offer-banners', authenticateAdmin, getAdminDiningOfferBanners);
-router.post('/offer-banners', authenticateAdmin, uploadMiddleware.single('image'), createDiningOfferBanner);
-router.put('/offer-banners/:id', authenticateAdmin, uploadMiddleware.single('image'), updateDiningOfferBanner);
-router.delete('/offer-banners/:id', authenticateAdmin, deleteDiningOfferBanner);
+router.get('/offer-banners', authenticateAdmin, canManageDining, getAdminDiningOfferBanners);
+router.post('/offer-banners', authenticateAdmin, canManageDining, uploadMiddleware.single('image'), createDiningOfferBanner);
+router.put('/offer-banners/:id', authenticateAdmin, canManageDining, uploadMiddleware.single('image'), updateDiningOfferBanner);
+router.delete('/offer-banners/:id', authenticateAdmin, canManageDining, deleteDiningOfferBanner);
 
 // Restaurants helper for dropdown
-router.get('/restaurants-list', authenticateAdmin, getActiveRestaurants);
+router.get('/restaurants-list', authenticateAdmin, canManageDining, getActiveRestaurants);
 
 // Stories
-router.get('/stories', authenticateAdmin, getAdminDiningStories);
-router.post('/stories', authenticateAdmin, uploadMiddleware.single('image'), createDiningStory);
-router.put('/stories/:id', authenticateAdmin, uploadMiddleware.single('image'), updateDiningStory);
-router.delete('/stories/:id', authenticateAdmin, deleteDiningStory);
+router.get('/stories', authenticateAdmin, canManageDining, getAdminDiningStories);
+router.post('/stories', authenticateAdmin, canManageDining, uploadMiddleware.single('image'), createDiningStory);
+router.put('/stories/:id', authenticateAdmin, canManageDining, uploadMiddleware.single('image'), updateDiningStory);
+router.delete('/stories/:id', authenticateAdmin, canManageDining, deleteDiningStory);
 
 export default router;
@@ -12,15 +12,26 @@ import {
   getUserBookings,
   getRestaurantBookings,
   updateBookingStatus,
+  updateRestaurantBookingStatus,
+  getAvailability,
+  getDiningCapacitySettings,
+  updateDiningCapacitySettings,
   createDiningReview,
 } from "../controllers/diningController.js";
 import { authenticate as authenticateUser } from "../../auth/middleware/auth.js";
-import { authenticate as authenticateRestaurant } from "../../restaurant/middleware/restaurantAuth.js";
+import {
+  authenticate as authenticateRestaurant,
+  requireRestaurantRole,
+} from "../../restaurant/middleware/restaurantAuth.js";
 
 const router = express.Router();
 
+// Table bookings are handled by the owner or an outlet manager
+const restaurantManagerAccess = requireRestaurantRole("owner", "manager");
+
 router.get("/restaurants", getRestaurants);
 router.get("/restaurants/:slug", getRestaurantBySlug);
+router.get("/restaurants/:restaurantId/availability", getAvailability);
 router.get("/categories", getCategories);
 router.get("/limelight", getLimelight);
 router.get("/bank-offers", getBankOffers);
@@ -34,6 +45,7 @@ router.get("/bookings/my", authenticateUser, getUserBookings);
 router.get(
   "/bookings/restaurant/:restaurantId",
   authenticateRestaurant,
+  restaurantManagerAccess,
   getRestaurantBookings,
 );
 router.patch(
@@ -44,7 +56,22 @@ router.patch(
 router.patch(
   "/bookings/:bookingId/status/restaurant",
   authenticateRestaurant,
-  updateBookingStatus,
+  restaurantManagerAccess,
+  updateRestaurantBookingStatus,
+);
+
+// Table slot and capacity settings
+router.get(
+  "/restaurant/settings",
+  authenticateRestaurant,
+  restaurantManagerAccess,
+  getDiningCapacitySettings,
+);
+router.put(
+  "/restaurant/settings",
+  authenticateRestaurant,
+  restaurantManagerAccess,
+  updateDiningCapacitySettings,
 );
 router.post("/reviews", authenticateUser, createDiningReview);
 
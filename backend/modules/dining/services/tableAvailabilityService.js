@@ -0,0 +1,576 @@
+import mongoose from "mongoose";
+import TableBooking from "../models/TableBooking.js";
+import DiningSlotInventory from "../models/DiningSlotInventory.js";
+import DiningRestaurant from "../models/DiningRestaurant.js";
+import Restaurant from "../../restaurant/models/Restaurant.js";
+import emailService from "../../auth/services/emailService.js";
+import {
+  getLocalClock,
+  localTimeToDate,
+  parseClockTime,
+} from "../../order/services/scheduledOrderService.js";
+
+/**
+ * Dining table availability
+ *
+ * Every bookable slot has a capacity in tables and covers (seats). A confirmed
+ * booking takes one table and `guests` covers from the slot's
+ * DiningSlotInventory for that day, using a guarded atomic $inc so concurrent
+ * requests cannot overbook. Full slots take waitlisted bookings, promoted in
+ * arrival order when a table is freed. A cron in server.js marks unattended
+ * bookings as no-show and cancels waitlist entries whose slot has started.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Used when a restaurant has not configured its own slots
+const DEFAULT_SLOT_TIMES = {
+  Lunch: [
+    "12:00 PM", "12:30 PM", "1:00 PM", "1:30 PM", "2:00 PM", "2:30 PM",
+    "3:00 PM", "3:30 PM", "3:45 PM", "4:00 PM", "4:15 PM", "4:30 PM",
+  ],
+  Dinner: [
+    "7:00 PM", "7:30 PM", "8:00 PM", "8:30 PM",
+    "9:00 PM", "9:30 PM", "10:00 PM", "10:30 PM",
+  ],
+};
+
+const DEFAULT_DINING_SETTINGS = {
+  maxGuests: 10,
+  tablesPerSlot: 10,
+  coversPerSlot: 40,
+  waitlistEnabled: true,
+  noShowGraceMinutes: 20,
+};
+
+// Allowed restaurant-side status changes
+const RESTAURANT_TRANSITIONS = {
+  waitlisted: ["confirmed", "cancelled"],
+  confirmed: ["checked-in", "cancelled", "no-show"],
+  "checked-in": ["completed"],
+};
+
+const createError = (statusCode, message, data = undefined) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) error.data = data;
+  return error;
+};
+
+/**
+ * Dining settings of a restaurant with defaults and the resolved slot list
+ * @param {Object} restaurant - Restaurant or DiningRestaurant document
+ * @returns {Object}
+ */
+export const getDiningSettings = (restaurant) => {
+  const configured = restaurant?.diningSettings || {};
+  const settings = Object.fromEntries(
+    Object.entries(DEFAULT_DINING_SETTINGS).map(([key, fallback]) => [
+      key,
+      configured[key] ?? fallback,
+    ]),
+  );
+
+  const customSlots = (configured.timeSlots || []).filter(
+    (slot) => slot.isActive !== false && parseClockTime(slot.time) !== null,
+  );
+
+  settings.timeSlots = customSlots.length
+    ? customSlots.map((slot) => ({
+        time: slot.time,
+        mealPeriod: slot.mealPeriod || "Lunch",
+        tables: slot.tables ?? settings.tablesPerSlot,
+        covers: slot.covers ?? settings.coversPerSlot,
+      }))
+    : Object.entries(DEFAULT_SLOT_TIMES).flatMap(([mealPeriod, times]) =>
+        times.map((time) => ({
+          time,
+          mealPeriod,
+          tables: settings.tablesPerSlot,
+          covers: settings.coversPerSlot,
+        })),
+      );
+
+  settings.timeSlots.sort((a, b) => parseClockTime(a.time) - parseClockTime(b.time));
+  return settings;
+};
+
+/**
+ * Restaurant accepting table bookings (partner restaurant or curated dining listing)
+ * @param {string} restaurantId
+ * @returns {Promise<Object>}
+ */
+export const loadBookableRestaurant = async (restaurantId) => {
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+    throw createError(404, "Restaurant not found");
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId)
+    .select("name location diningSettings")
+    .lean();
+  if (restaurant) {
+    if (!restaurant.diningSettings?.isEnabled) {
+      throw createError(400, "Table booking is not available at this restaurant");
+    }
+    return restaurant;
+  }
+
+  // Curated dining listings have no capacity settings and use the defaults
+  const listing = await DiningRestaurant.findById(restaurantId)
+    .select("name location image")
+    .lean();
+  if (!listing) {
+    throw createError(404, "Restaurant not found");
+  }
+  return listing;
+};
+
+/**
+ * Booking day as YYYY-MM-DD in the restaurant timezone
+ * @param {string|Date} date - "YYYY-MM-DD" or any parseable date
+ * @returns {string}
+ */
+export const resolveDateKey = (date) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))) {
+    return String(date);
+  }
+
+  const parsed = date ? new Date(date) : null;
+  if (!parsed || Number.isNaN(parsed.getTime())) {
+    throw createError(400, "Valid booking date is required");
+  }
+  return getLocalClock(parsed).dateKey;
+};
+
+const findSlot = (settings, timeSlot) => {
+  const minutes = parseClockTime(timeSlot);
+  if (minutes === null) return null;
+  return settings.timeSlots.find((slot) => parseClockTime(slot.time) === minutes) || null;
+};
+
+const getSlotStart = (dateKey, slot) => localTimeToDate(dateKey, parseClockTime(slot.time));
+
+/**
+ * Capacity of every slot of a day for a party size
+ * @param {Object} restaurant
+ * @param {string} dateKey
+ * @param {number} guests
+ * @returns {Promise<Array<Object>>}
+ */
+export const getSlotAvailability = async (restaurant, dateKey, guests = 1) => {
+  const settings = getDiningSettings(restaurant);
+  const restaurantId = new mongoose.Types.ObjectId(String(restaurant._id));
+
+  const [inventory, waitlist] = await Promise.all([
+    DiningSlotInventory.find({ restaurant: restaurantId, dateKey }).lean(),
+    TableBooking.aggregate([
+      { $match: { restaurant: restaurantId, dateKey, status: "waitlisted" } },
+      { $group: { _id: "$timeSlot", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const inventoryBySlot = new Map(inventory.map((entry) => [entry.timeSlot, entry]));
+  const waitlistBySlot = new Map(waitlist.map((entry) => [entry._id, entry.count]));
+  const now = Date.now();
+  const partyFits = guests >= 1 && guests <= settings.maxGuests;
+
+  return settings.timeSlots.map((slot) => {
+    const booked = inventoryBySlot.get(slot.time);
+    const bookedTables = booked?.bookedTables || 0;
+    const bookedCovers = booked?.bookedCovers || 0;
+    const remainingTables = Math.max(0, slot.tables - bookedTables);
+    const remainingCovers = Math.max(0, slot.covers - bookedCovers);
+    const startsAt = getSlotStart(dateKey, slot);
+    const isOpen = startsAt.getTime() > now;
+    const available = isOpen && partyFits && remainingTables >= 1 && remainingCovers >= guests;
+
+    return {
+      ...slot,
+      startsAt,
+      bookedTables,
+      bookedCovers,
+      remainingTables,
+      remainingCovers,
+      waitlistCount: waitlistBySlot.get(slot.time) || 0,
+      available,
+      canWaitlist: isOpen && partyFits && !available && settings.waitlistEnabled,
+    };
+  });
+};
+
+/**
+ * Atomically take one table and `guests` covers of a slot
+ * @returns {Promise<boolean>} false when the slot is full
+ */
+const reserveSlotCapacity = async ({ restaurantId, dateKey, slot, guests }) => {
+  if (slot.tables < 1 || guests > slot.covers) return false;
+
+  const key = { restaurant: restaurantId, dateKey, timeSlot: slot.time };
+  try {
+    await DiningSlotInventory.updateOne(
+      key,
+      { $setOnInsert: { bookedTables: 0, bookedCovers: 0 } },
+      { upsert: true },
+    );
+  } catch (error) {
+    // Another request created the day's inventory first
+    if (error.code !== 11000) throw error;
+  }
+
+  const reserved = await DiningSlotInventory.findOneAndUpdate(
+    {
+      ...key,
+      bookedTables: { $lte: slot.tables - 1 },
+      bookedCovers: { $lte: slot.covers - guests },
+    },
+    { $inc: { bookedTables: 1, bookedCovers: guests } },
+    { new: true },
+  );
+  return Boolean(reserved);
+};
+
+const returnSlotCapacity = ({ restaurant, dateKey, timeSlot, guests }) =>
+  DiningSlotInventory.updateOne(
+    { restaurant, dateKey, timeSlot },
+    { $inc: { bookedTables: -1, bookedCovers: -guests } },
+  );
+
+/**
+ * Free the table held by a booking (no-op when it holds none)
+ * @param {string} bookingId
+ */
+const releaseBookingCapacity = async (bookingId) => {
+  // Clearing the flag first makes concurrent cancellations release only once
+  const booking = await TableBooking.findOneAndUpdate(
+    { _id: bookingId, capacityReserved: true },
+    { $set: { capacityReserved: false } },
+    { new: true },
+  );
+  if (booking) {
+    await returnSlotCapacity(booking);
+  }
+  return booking;
+};
+
+/**
+ * Confirm waitlisted bookings of a slot, oldest first, while tables are free.
+ * Smaller parties further down the list may still fit when a larger one does not.
+ * @returns {Promise<Array<Object>>} Promoted bookings
+ */
+export const promoteWaitlist = async ({ restaurantId, dateKey, timeSlot }) => {
+  const restaurant = await Restaurant.findById(restaurantId).select("name diningSettings").lean()
+    || await DiningRestaurant.findById(restaurantId).select("name").lean();
+  if (!restaurant) return [];
+
+  const slot = findSlot(getDiningSettings(restaurant), timeSlot);
+  if (!slot || getSlotStart(dateKey, slot).getTime() <= Date.now()) return [];
+
+  const waitlisted = await TableBooking.find({
+    restaurant: restaurantId,
+    dateKey,
+    timeSlot,
+    status: "waitlisted",
+  })
+    .sort({ createdAt: 1 })
+    .populate("user", "email")
+    .lean();
+
+  const promoted = [];
+  for (const entry of waitlisted) {
+    const reserved = await reserveSlotCapacity({
+      restaurantId: restaurant._id,
+      dateKey,
+      slot,
+      guests: entry.guests,
+    });
+    if (!reserved) continue;
+
+    const booking = await TableBooking.findOneAndUpdate(
+      { _id: entry._id, status: "waitlisted" },
+      { $set: { status: "confirmed", capacityReserved: true } },
+      { new: true },
+    );
+    if (!booking) {
+      // Cancelled while we were reserving
+      await returnSlotCapacity(entry);
+      continue;
+    }
+
+    promoted.push(booking);
+    console.log(`🍽️ Waitlisted booking ${booking.bookingId} confirmed for ${dateKey} ${timeSlot}`);
+
+    if (entry.user?.email) {
+      emailService
+        .sendBookingConfirmation(entry.user.email, {
+          ...booking.toObject(),
+          restaurant: { name: restaurant.name },
+        })
+        .catch((err) => {
+          console.error("Failed to send waitlist confirmation email:", err);
+        });
+    }
+  }
+  return promoted;
+};
+
+/**
+ * Create a confirmed booking, or a waitlisted one when the slot is full
+ * @param {Object} params
+ * @returns {Promise<Object>} TableBooking document
+ */
+export const createTableBooking = async ({
+  restaurantId,
+  userId,
+  guests,
+  date,
+  timeSlot,
+  specialRequest,
+  joinWaitlist = false,
+}) => {
+  const restaurant = await loadBookableRestaurant(restaurantId);
+  const settings = getDiningSettings(restaurant);
+
+  const partySize = Number(guests);
+  if (!Number.isInteger(partySize) || partySize < 1) {
+    throw createError(400, "Number of guests is required");
+  }
+  if (partySize > settings.maxGuests) {
+    throw createError(400, `Bookings are limited to ${settings.maxGuests} guests`);
+  }
+
+  const dateKey = resolveDateKey(date);
+  const slot = findSlot(settings, timeSlot);
+  if (!slot) {
+    throw createError(400, "Selected time slot is not available");
+  }
+
+  const slotStartAt = getSlotStart(dateKey, slot);
+  if (slotStartAt.getTime() <= Date.now()) {
+    throw createError(400, "Selected time slot has already started");
+  }
+
+  const duplicate = await TableBooking.exists({
+    restaurant: restaurant._id,
+    user: userId,
+    dateKey,
+    timeSlot: slot.time,
+    status: { $in: ["waitlisted", "confirmed"] },
+  });
+  if (duplicate) {
+    throw createError(409, "You already have a booking for this slot");
+  }
+
+  const reserved = await reserveSlotCapacity({
+    restaurantId: restaurant._id,
+    dateKey,
+    slot,
+    guests: partySize,
+  });
+
+  if (!reserved && !(joinWaitlist && settings.waitlistEnabled)) {
+    throw createError(
+      409,
+      settings.waitlistEnabled
+        ? "This slot is fully booked. Join the waitlist or pick another time."
+        : "This slot is fully booked. Please pick another time.",
+      { waitlistAvailable: settings.waitlistEnabled },
+    );
+  }
+
+  try {
+    return await TableBooking.create({
+      restaurant: restaurant._id,
+      user: userId,
+      guests: partySize,
+      date: slotStartAt,
+      dateKey,
+      timeSlot: slot.time,
+      slotStartAt,
+      noShowAt: new Date(slotStartAt.getTime() + settings.noShowGraceMinutes * MINUTE_MS),
+      specialRequest,
+      status: reserved ? "confirmed" : "waitlisted",
+      capacityReserved: reserved,
+    });
+  } catch (error) {
+    if (reserved) {
+      await returnSlotCapacity({
+        restaurant: restaurant._id,
+        dateKey,
+        timeSlot: slot.time,
+        guests: partySize,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a booking and hand its table to the waitlist
+ * @param {Object} booking - TableBooking in waitlisted or confirmed status
+ * @param {Object} details - { cancelledBy, reason }
+ */
+const cancelBooking = async (booking, { cancelledBy, reason }) => {
+  const cancelled = await TableBooking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancellationReason: reason,
+      },
+    },
+    { new: true },
+  );
+  if (!cancelled) {
+    throw createError(409, "Booking status changed. Please refresh and try again.");
+  }
+
+  const released = await releaseBookingCapacity(cancelled._id);
+  if (released?.dateKey) {
+    await promoteWaitlist({
+      restaurantId: released.restaurant,
+      dateKey: released.dateKey,
+      timeSlot: released.timeSlot,
+    });
+  }
+  return TableBooking.findById(cancelled._id);
+};
+
+/**
+ * Cancel a booking on behalf of the guest who made it
+ * @param {string} userId
+ * @param {string} bookingId
+ */
+export const cancelUserBooking = async (userId, bookingId) => {
+  const booking = await TableBooking.findOne({ _id: bookingId, user: userId });
+  if (!booking) {
+    throw createError(404, "Booking not found");
+  }
+  if (!["waitlisted", "confirmed"].includes(booking.status)) {
+    throw createError(400, `A ${booking.status} booking cannot be cancelled`);
+  }
+
+  return cancelBooking(booking, { cancelledBy: "user", reason: "Cancelled by guest" });
+};
+
+/**
+ * Move a booking through the restaurant-side lifecycle
+ * @param {string} restaurantId
+ * @param {string} bookingId
+ * @param {string} status - Target status
+ * @param {string} [reason]
+ */
+export const updateRestaurantBookingStatus = async (restaurantId, bookingId, status, reason) => {
+  const booking = await TableBooking.findOne({ _id: bookingId, restaurant: restaurantId });
+  if (!booking) {
+    throw createError(404, "Booking not found");
+  }
+
+  const allowed = RESTAURANT_TRANSITIONS[booking.status] || [];
+  if (!allowed.includes(status)) {
+    throw createError(400, `Cannot change a ${booking.status} booking to ${status}`);
+  }
+
+  if (status === "cancelled") {
+    return cancelBooking(booking, {
+      cancelledBy: "restaurant",
+      reason: reason || "Cancelled by restaurant",
+    });
+  }
+
+  if (status === "confirmed") {
+    // Seating a waitlisted party still has to fit the slot
+    const restaurant = await loadBookableRestaurant(restaurantId);
+    const slot = findSlot(getDiningSettings(restaurant), booking.timeSlot);
+    const reserved = slot && booking.dateKey
+      ? await reserveSlotCapacity({
+          restaurantId: restaurant._id,
+          dateKey: booking.dateKey,
+          slot,
+          guests: booking.guests,
+        })
+      : false;
+    if (!reserved) {
+      throw createError(409, "No table is free in this slot");
+    }
+
+    const confirmed = await TableBooking.findOneAndUpdate(
+      { _id: booking._id, status: "waitlisted" },
+      { $set: { status: "confirmed", capacityReserved: true } },
+      { new: true },
+    );
+    if (!confirmed) {
+      await returnSlotCapacity(booking);
+      throw createError(409, "Booking status changed. Please refresh and try again.");
+    }
+    return confirmed;
+  }
+
+  const update = { status };
+  if (status === "checked-in") {
+    update.checkInTime = new Date();
+  } else if (status === "completed") {
+    update.checkOutTime = new Date();
+  }
+
+  const updated = await TableBooking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    { $set: update },
+    { new: true },
+  );
+  if (!updated) {
+    throw createError(409, "Booking status changed. Please refresh and try again.");
+  }
+
+  if (status === "no-show") {
+    await releaseBookingCapacity(updated._id);
+    if (updated.dateKey) {
+      await promoteWaitlist({
+        restaurantId: updated.restaurant,
+        dateKey: updated.dateKey,
+        timeSlot: updated.timeSlot,
+      });
+    }
+  }
+  return updated;
+};
+
+/**
+ * Mark unattended confirmed bookings as no-show and cancel waitlist entries
+ * whose slot has started (cron in server.js)
+ * @returns {Promise<{noShows: number, expiredWaitlist: number}>}
+ */
+export async function processDiningNoShows() {
+  const now = new Date();
+
+  const due = await TableBooking.find({ status: "confirmed", noShowAt: { $lte: now } })
+    .select("_id")
+    .limit(200)
+    .lean();
+
+  let noShows = 0;
+  for (const { _id } of due) {
+    const booking = await TableBooking.findOneAndUpdate(
+      { _id, status: "confirmed" },
+      { $set: { status: "no-show" } },
+    );
+    if (!booking) continue;
+
+    await releaseBookingCapacity(_id);
+    noShows++;
+  }
+
+  const expired = await TableBooking.updateMany(
+    { status: "waitlisted", slotStartAt: { $lte: now } },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: now,
+        cancelledBy: "system",
+        cancellationReason: "No table became available",
+      },
+    },
+  );
+
+  return { noShows, expiredWaitlist: expired.modifiedCount || 0 };
+}
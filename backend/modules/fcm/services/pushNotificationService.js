@@ -3,6 +3,7 @@ import User from '../../../modules/auth/models/User.js';
 import Restaurant from '../../../modules/restaurant/models/Restaurant.js';
 import Delivery from '../../../modules/delivery/models/Delivery.js';
 import Admin from '../../../modules/admin/models/Admin.js';
+import { translate, DEFAULT_LANGUAGE } from '../../../shared/utils/i18n.js';
 
 /**
  * Send push notification with tag-based deduplication
@@ -42,6 +43,47 @@ export async function sendPushNotification(userId, role, payload) {
   }
 }
 
+const RECIPIENT_MODELS = {
+  user: User,
+  restaurant: Restaurant,
+  delivery: Delivery
+};
+
+/**
+ * Language the recipient chose in their app (English for admins and unknowns)
+ * @param {string} recipientId
+ * @param {string} role - 'user' | 'restaurant' | 'delivery' | 'admin'
+ * @returns {Promise<string>}
+ */
+export async function getRecipientLanguage(recipientId, role) {
+  const Model = RECIPIENT_MODELS[role];
+  if (!Model) return DEFAULT_LANGUAGE;
+  try {
+    const recipient = await Model.findById(recipientId).select('preferences.language').lean();
+    return recipient?.preferences?.language || DEFAULT_LANGUAGE;
+  } catch (error) {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+/**
+ * Send a push notification whose title and body come from the
+ * push.<key> entry of the recipient's language catalog
+ * @param {string} recipientId
+ * @param {string} role - 'user' | 'restaurant' | 'delivery'
+ * @param {string} key - Catalog key under push, e.g. 'order_ready'
+ * @param {Object} params - Values for the {placeholders}
+ * @param {Object} data - Notification data
+ */
+export async function sendLocalizedPushNotification(recipientId, role, key, params, data) {
+  const language = await getRecipientLanguage(recipientId, role);
+  return sendPushNotification(recipientId, role, {
+    title: translate(language, `push.${key}.title`, params),
+    body: translate(language, `push.${key}.body`, params),
+    data
+  });
+}
+
 /**
  * Send notification to user when order is placed
  */
@@ -53,14 +95,10 @@ export async function notifyUserOrderPlaced(order) {
       return;
     }
 
-    await sendPushNotification(userId.toString(), 'user', {
-      title: 'Order Placed Successfully! 🎉',
-      body: `Your order #${order.orderId} has been placed and is being prepared.`,
-      data: {
-        type: 'order_placed',
-        orderId: order.orderId || order._id.toString(),
-        tag: `order_placed_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(userId.toString(), 'user', 'order_placed', { orderId: order.orderId }, {
+      type: 'order_placed',
+      orderId: order.orderId || order._id.toString(),
+      tag: `order_placed_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying user about order placement:', error);
@@ -78,14 +116,10 @@ export async function notifyUserRestaurantAccepted(order) {
       return;
     }
 
-    await sendPushNotification(userId.toString(), 'user', {
-      title: 'Order Confirmed! ✅',
-      body: `Restaurant has accepted your order #${order.orderId}. It's being prepared now.`,
-      data: {
-        type: 'restaurant_accepted',
-        orderId: order.orderId || order._id.toString(),
-        tag: `restaurant_accepted_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(userId.toString(), 'user', 'restaurant_accepted', { orderId: order.orderId }, {
+      type: 'restaurant_accepted',
+      orderId: order.orderId || order._id.toString(),
+      tag: `restaurant_accepted_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying user about restaurant acceptance:', error);
@@ -103,14 +137,10 @@ export async function notifyUserOrderReady(order) {
       return;
     }
 
-    await sendPushNotification(userId.toString(), 'user', {
-      title: 'Order Ready! 🍽️',
-      body: `Your order #${order.orderId} is ready and will be delivered soon.`,
-      data: {
-        type: 'order_ready',
-        orderId: order.orderId || order._id.toString(),
-        tag: `order_ready_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(userId.toString(), 'user', 'order_ready', { orderId: order.orderId }, {
+      type: 'order_ready',
+      orderId: order.orderId || order._id.toString(),
+      tag: `order_ready_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying user about order ready:', error);
@@ -128,14 +158,10 @@ export async function notifyUserOutForDelivery(order) {
       return;
     }
 
-    await sendPushNotification(userId.toString(), 'user', {
-      title: 'Order On The Way! 🏍️',
-      body: `Your order #${order.orderId} is out for delivery. Track it live!`,
-      data: {
-        type: 'out_for_delivery',
-        orderId: order.orderId || order._id.toString(),
-        tag: `out_for_delivery_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(userId.toString(), 'user', 'out_for_delivery', { orderId: order.orderId }, {
+      type: 'out_for_delivery',
+      orderId: order.orderId || order._id.toString(),
+      tag: `out_for_delivery_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying user about out for delivery:', error);
@@ -153,14 +179,10 @@ export async function notifyUserOrderDelivered(order) {
       return;
     }
 
-    await sendPushNotification(userId.toString(), 'user', {
-      title: 'Order Delivered! 🎊',
-      body: `Your order #${order.orderId} has been delivered. Enjoy your meal!`,
-      data: {
-        type: 'order_delivered',
-        orderId: order.orderId || order._id.toString(),
-        tag: `order_delivered_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(userId.toString(), 'user', 'order_delivered', { orderId: order.orderId }, {
+      type: 'order_delivered',
+      orderId: order.orderId || order._id.toString(),
+      tag: `order_delivered_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying user about order delivery:', error);
@@ -178,14 +200,13 @@ export async function notifyRestaurantNewOrder(order) {
       return;
     }
 
-    await sendPushNotification(restaurantId.toString(), 'restaurant', {
-      title: 'New Order Received! 📦',
-      body: `New order #${order.orderId} has been placed. Amount: ₹${order.pricing?.total || 0}`,
-      data: {
-        type: 'new_order',
-        orderId: order.orderId || order._id.toString(),
-        tag: `new_order_${order.orderId || order._id}`
-      }
+    await sendLocalizedPushNotification(restaurantId.toString(), 'restaurant', 'new_order', {
+      orderId: order.orderId,
+      amount: order.pricing?.total || 0
+    }, {
+      type: 'new_order',
+      orderId: order.orderId || order._id.toString(),
+      tag: `new_order_${order.orderId || order._id}`
     });
   } catch (error) {
     console.error('❌ [Push Notification] Error notifying restaurant about new order:', error);
@@ -1,6 +1,6 @@
 import express from 'express';
 import { uploadMiddleware } from '../../../shared/utils/cloudinaryService.js';
-import { authenticateAdmin } from '../../../modules/admin/middleware/adminAuth.js';
+import { authenticateAdmin, requireAdminPermission } from '../../../modules/admin/middleware/adminAuth.js';
 import {
   getHeroBanners,
   getAllHeroBanners,
@@ -54,6 +54,8 @@ import {
 
 const router = express.Router();
 
+const canManageBanners = requireAdminPermission('campaign_manage');
+
 // Public routes
 router.get('/public', getHeroBanners);
 router.get('/landing/public', getLandingConfig);
@@ -64,104 +66,104 @@ router.get('/top-10/public', getTop10Restaurants);
 router.get('/gourmet/public', getGourmetRestaurants);
 
 // Admin routes - Hero Banners
-router.get('/', authenticateAdmin, getAllHeroBanners);
+router.get('/', authenticateAdmin, canManageBanners, getAllHeroBanners);
 router.post(
   '/',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.single('image'),
   createHeroBanner
 );
 router.post(
   '/multiple',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.array('images', 5),
   createMultipleHeroBanners
 );
-router.delete('/:id', authenticateAdmin, deleteHeroBanner);
-router.patch('/:id/order', authenticateAdmin, updateBannerOrder);
-router.patch('/:id/status', authenticateAdmin, toggleBannerStatus);
-router.patch('/:id/link-restaurants', authenticateAdmin, linkRestaurantsToBanner);
+router.delete('/:id', authenticateAdmin, canManageBanners, deleteHeroBanner);
+router.patch('/:id/order', authenticateAdmin, canManageBanners, updateBannerOrder);
+router.patch('/:id/status', authenticateAdmin, canManageBanners, toggleBannerStatus);
+router.patch('/:id/link-restaurants', authenticateAdmin, canManageBanners, linkRestaurantsToBanner);
 
 // Admin routes - Landing Page Categories
-router.get('/landing/categories', authenticateAdmin, getLandingCategories);
+router.get('/landing/categories', authenticateAdmin, canManageBanners, getLandingCategories);
 router.post(
   '/landing/categories',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.single('image'),
   createLandingCategory
 );
-router.delete('/landing/categories/:id', authenticateAdmin, deleteLandingCategory);
-router.patch('/landing/categories/:id/order', authenticateAdmin, updateLandingCategoryOrder);
-router.patch('/landing/categories/:id/status', authenticateAdmin, toggleLandingCategoryStatus);
+router.delete('/landing/categories/:id', authenticateAdmin, canManageBanners, deleteLandingCategory);
+router.patch('/landing/categories/:id/order', authenticateAdmin, canManageBanners, updateLandingCategoryOrder);
+router.patch('/landing/categories/:id/status', authenticateAdmin, canManageBanners, toggleLandingCategoryStatus);
 
 // Admin routes - Landing Page Explore More
-router.get('/landing/explore-more', authenticateAdmin, getLandingExploreMore);
+router.get('/landing/explore-more', authenticateAdmin, canManageBanners, getLandingExploreMore);
 router.post(
   '/landing/explore-more',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.single('image'),
   createLandingExploreMore
 );
-router.delete('/landing/explore-more/:id', authenticateAdmin, deleteLandingExploreMore);
-router.patch('/landing/explore-more/:id/order', authenticateAdmin, updateLandingExploreMoreOrder);
-router.patch('/landing/explore-more/:id/status', authenticateAdmin, toggleLandingExploreMoreStatus);
+router.delete('/landing/explore-more/:id', authenticateAdmin, canManageBanners, deleteLandingExploreMore);
+router.patch('/landing/explore-more/:id/order', authenticateAdmin, canManageBanners, updateLandingExploreMoreOrder);
+router.patch('/landing/explore-more/:id/status', authenticateAdmin, canManageBanners, toggleLandingExploreMoreStatus);
 
 // Admin routes - Landing Page Settings
-router.get('/landing/settings', authenticateAdmin, getLandingSettings);
-router.patch('/landing/settings', authenticateAdmin, updateLandingSettings);
+router.get('/landing/settings', authenticateAdmin, canManageBanners, getLandingSettings);
+router.patch('/landing/settings', authenticateAdmin, canManageBanners, updateLandingSettings);
 
 // Admin routes - Under 250 Banners
-router.get('/under-250', authenticateAdmin, getAllUnder250Banners);
+router.get('/under-250', authenticateAdmin, canManageBanners, getAllUnder250Banners);
 router.post(
   '/under-250',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.single('image'),
   createUnder250Banner
 );
 router.post(
   '/under-250/multiple',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.array('images', 5),
   createMultipleUnder250Banners
 );
-router.delete('/under-250/:id', authenticateAdmin, deleteUnder250Banner);
-router.patch('/under-250/:id/order', authenticateAdmin, updateUnder250BannerOrder);
+router.delete('/under-250/:id', authenticateAdmin, canManageBanners, deleteUnder250Banner);
+router.patch('/under-250/:id/order', authenticateAdmin, canManageBanners, updateUnder250BannerOrder);
 
 
 
 
 // Admin routes - Dining Banners
-router.get('/dining', authenticateAdmin, getAllDiningBanners);
+router.get('/dining', authenticateAdmin, canManageBanners, getAllDiningBanners);
 router.post(
   '/dining',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.single('image'),
   createDiningBanner
 );
 router.post(
   '/dining/multiple',
-  authenticateAdmin,
+  authenticateAdmin, canManageBanners,
   uploadMiddleware.array('images', 5),
   createMultipleDiningBanners
 );
-router.delete('/dining/:id', authenticateAdmin, deleteDiningBanner);
-router.patch('/dining/:id/order', authenticateAdmin, updateDiningBannerOrder);
-router.patch('/dining/:id/status', authenticateAdmin, toggleDiningBannerStatus);
+router.delete('/dining/:id', authenticateAdmin, canManageBanners, deleteDiningBanner);
+router.patch('/dining/:id/order', authenticateAdmin, canManageBanners, updateDiningBannerOrder);
+router.patch('/dining/:id/status', authenticateAdmin, canManageBanners, toggleDiningBannerStatus);
 
 // Admin routes - Top 10 Restaurants
-router.get('/top-10', authenticateAdmin, getAllTop10Restaurants);
-router.post('/top-10', authenticateAdmin, createTop10Restaurant);
-router.delete('/top-10/:id', authenticateAdmin, deleteTop10Restaurant);
-router.patch('/top-10/:id/rank', authenticateAdmin, updateTop10RestaurantRank);
-router.patch('/top-10/:id/order', authenticateAdmin, updateTop10RestaurantOrder);
-router.patch('/top-10/:id/status', authenticateAdmin, toggleTop10RestaurantStatus);
+router.get('/top-10', authenticateAdmin, canManageBanners, getAllTop10Restaurants);
+router.post('/top-10', authenticateAdmin, canManageBanners, createTop10Restaurant);
+router.delete('/top-10/:id', authenticateAdmin, canManageBanners, deleteTop10Restaurant);
+router.patch('/top-10/:id/rank', authenticateAdmin, canManageBanners, updateTop10RestaurantRank);
+router.patch('/top-10/:id/order', authenticateAdmin, canManageBanners, updateTop10RestaurantOrder);
+router.patch('/top-10/:id/status', authenticateAdmin, canManageBanners, toggleTop10RestaurantStatus);
 
 // Admin routes - Gourmet Restaurants
-router.get('/gourmet', authenticateAdmin, getAllGourmetRestaurants);
-router.post('/gourmet', authenticateAdmin, createGourmetRestaurant);
-router.delete('/gourmet/:id', authenticateAdmin, deleteGourmetRestaurant);
-router.patch('/gourmet/:id/order', authenticateAdmin, updateGourmetRestaurantOrder);
-router.patch('/gourmet/:id/status', authenticateAdmin, toggleGourmetRestaurantStatus);
+router.get('/gourmet', authenticateAdmin, canManageBanners, getAllGourmetRestaurants);
+router.post('/gourmet', authenticateAdmin, canManageBanners, createGourmetRestaurant);
+router.delete('/gourmet/:id', authenticateAdmin, canManageBanners, deleteGourmetRestaurant);
+router.patch('/gourmet/:id/order', authenticateAdmin, canManageBanners, updateGourmetRestaurantOrder);
+router.patch('/gourmet/:id/status', authenticateAdmin, canManageBanners, toggleGourmetRestaurantStatus);
 
 export default router;
 
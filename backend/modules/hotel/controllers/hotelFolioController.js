@@ -0,0 +1,266 @@
+import mongoose from "mongoose";
+import Order from "../../order/models/Order.js";
+import HotelFolio from "../models/HotelFolio.js";
+import HotelRoom from "../models/HotelRoom.js";
+import {
+  buildFolioStatement,
+  closeFolio,
+  settleFolio as settleFolioService,
+  statementToCsv,
+  statementToPdf,
+} from "../services/hotelFolioService.js";
+
+const invalidFolioId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid folio ID",
+  });
+
+const sendFolioError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.data ? { data: error.data } : {}),
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * Get guest folios with running totals
+ * @route GET /api/hotel/folios
+ * @access Private (Hotel Admin)
+ * Query params: status (open | closed | settled), roomNumber, page, limit
+ */
+export const getFolios = async (req, res) => {
+  try {
+    const { status, roomNumber, page = 1, limit = 20 } = req.query;
+
+    const query = { hotel: req.hotel._id };
+    if (["open", "closed", "settled"].includes(status)) {
+      query.status = status;
+    }
+    if (roomNumber) {
+      query.roomNumber = String(roomNumber).trim();
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [folios, total] = await Promise.all([
+      HotelFolio.find(query)
+        .sort({ status: 1, openedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      HotelFolio.countDocuments(query),
+    ]);
+
+    // Running totals from the folios' orders (cancelled orders are not charged)
+    const totalsByFolio = new Map();
+    if (folios.length > 0) {
+      const totals = await Order.aggregate([
+        {
+          $match: {
+            _id: { $in: folios.flatMap((folio) => folio.orders) },
+            status: { $ne: "cancelled" },
+          },
+        },
+        {
+          $group: {
+            _id: "$folioId",
+            orderCount: { $sum: 1 },
+            totalAmount: { $sum: { $ifNull: ["$pricing.total", 0] } },
+            collectedAmount: {
+              $sum: {
+                $cond: ["$cashCollected", { $ifNull: ["$pricing.total", 0] }, 0],
+              },
+            },
+          },
+        },
+      ]);
+      totals.forEach((row) => totalsByFolio.set(String(row._id), row));
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        folios: folios.map((folio) => {
+          const totals = totalsByFolio.get(folio._id.toString());
+          return {
+            _id: folio._id,
+            folioNumber: folio.folioNumber,
+            roomNumber: folio.roomNumber,
+            status: folio.status,
+            openedAt: folio.openedAt,
+            closedAt: folio.closedAt,
+            settledAt: folio.settledAt,
+            orderCount: totals?.orderCount || 0,
+            totalAmount: Math.round((totals?.totalAmount || 0) * 100) / 100,
+            outstandingAmount:
+              Math.round(((totals?.totalAmount || 0) - (totals?.collectedAmount || 0)) * 100) / 100,
+            settlement: folio.settlement,
+          };
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching hotel folios:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch folios",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get one folio with its orders and totals
+ * @route GET /api/hotel/folios/:folioId
+ * @access Private (Hotel Admin)
+ */
+export const getFolio = async (req, res) => {
+  try {
+    const { folioId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(folioId)) {
+      return invalidFolioId(res);
+    }
+
+    const folio = await HotelFolio.findOne({ _id: folioId, hotel: req.hotel._id }).lean();
+    if (!folio) {
+      return res.status(404).json({
+        success: false,
+        message: "Folio not found",
+      });
+    }
+
+    const statement = await buildFolioStatement(folio);
+
+    return res.status(200).json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    console.error("Error fetching hotel folio:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch folio",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Check the guest out: close the folio and optionally disable the room
+ * @route POST /api/hotel/folios/:folioId/checkout
+ * @access Private (Hotel Admin)
+ * Body: { deactivateRoom?: boolean }
+ */
+export const checkoutFolio = async (req, res) => {
+  try {
+    const { folioId } = req.params;
+    const { deactivateRoom = false } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(folioId)) {
+      return invalidFolioId(res);
+    }
+
+    const folio = await closeFolio(req.hotel._id, folioId);
+
+    let roomDeactivated = false;
+    if (deactivateRoom === true) {
+      const result = await HotelRoom.updateOne(
+        { hotel: req.hotel._id, roomNumber: folio.roomNumber, isActive: true },
+        { $set: { isActive: false, deactivatedAt: new Date() } },
+      );
+      roomDeactivated = result.modifiedCount > 0;
+    }
+
+    const statement = await buildFolioStatement(folio.toObject());
+
+    return res.status(200).json({
+      success: true,
+      message: `Room ${folio.roomNumber} checked out`,
+      data: { ...statement, roomDeactivated },
+    });
+  } catch (error) {
+    return sendFolioError(res, error, "Failed to check out folio");
+  }
+};
+
+/**
+ * Download the checkout statement
+ * @route GET /api/hotel/folios/:folioId/statement
+ * @access Private (Hotel Admin)
+ * Query params: format (pdf | csv, default pdf)
+ */
+export const downloadFolioStatement = async (req, res) => {
+  try {
+    const { folioId } = req.params;
+    const format = req.query.format === "csv" ? "csv" : "pdf";
+    if (!mongoose.Types.ObjectId.isValid(folioId)) {
+      return invalidFolioId(res);
+    }
+
+    const folio = await HotelFolio.findOne({ _id: folioId, hotel: req.hotel._id }).lean();
+    if (!folio) {
+      return res.status(404).json({
+        success: false,
+        message: "Folio not found",
+      });
+    }
+
+    const statement = await buildFolioStatement(folio);
+    const filename = `${folio.folioNumber}-room-${folio.roomNumber}.${format}`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.status(200).send(statementToCsv(req.hotel, statement));
+    }
+
+    const pdf = await statementToPdf(req.hotel, statement);
+    res.setHeader("Content-Type", "application/pdf");
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error generating folio statement:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate statement",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Settle a checked-out folio in one go against the hotel wallet
+ * @route POST /api/hotel/folios/:folioId/settle
+ * @access Private (Hotel Admin)
+ */
+export const settleFolio = async (req, res) => {
+  try {
+    const { folioId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(folioId)) {
+      return invalidFolioId(res);
+    }
+
+    const folio = await settleFolioService(req.hotel._id, folioId);
+
+    return res.status(200).json({
+      success: true,
+      message: `Folio ${folio.folioNumber} settled`,
+      data: { folio },
+    });
+  } catch (error) {
+    return sendFolioError(res, error, "Failed to settle folio");
+  }
+};
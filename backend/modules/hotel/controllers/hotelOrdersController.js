@@ -5,7 +5,10 @@ import {
   updateSettlementOnStatusChange,
   calculateOrderSettlement,
 } from "../../order/services/orderSettlementService.js";
-import { distributeCommissions } from "../../order/services/commissionDistributionService.js";
+import { releaseCouponRedemption } from "../../coupon/services/couponService.js";
+import { releaseOrderSubscriptionSlot } from "../../subscription/services/subscriptionService.js";
+import { collectHotelOrderPayment } from "../services/hotelFolioService.js";
+import { issueInvoiceForOrder } from "../../order/services/taxInvoiceService.js";
 import mongoose from "mongoose";
 
 /**
@@ -217,6 +220,8 @@ export const rejectOrder = async (req, res) => {
     order.cancelledBy = "restaurant"; // Using 'restaurant' as hotel admin
     order.cancellationReason = reason || "Rejected by hotel";
     await order.save();
+    await releaseCouponRedemption(order._id);
+    await releaseOrderSubscriptionSlot(order._id);
 
     // TODO: Send notification to user about order rejection
     // TODO: Process refund if payment was already made
@@ -451,48 +456,9 @@ export const collectPayment = async (req, res) => {
       });
     }
 
-    // Update payment status and cash collected flag (hotel-side completion)
-    // IMPORTANT: Do NOT change global order.status here, so restaurant / delivery flow remains independent.
-    order.payment.status = "completed";
-    order.cashCollected = true;
-
-    await order.save();
-
-    // Trigger QR Commission split for Pay at Hotel
-    try {
-      await distributeCommissions(order._id);
-      console.log(
-        `✅ QR commission distributed for cash collected order ${order.orderId}`,
-      );
-    } catch (distErr) {
-      console.error(
-        `❌ Failed to distribute QR commission on cash collection: ${distErr.message}`,
-      );
-    }
-
-    // Trigger settlement update (Legacy/Existing Logic)
-    try {
-      if (
-        order.payment.method === "pay_at_hotel" ||
-        order.payment.method === "cash"
-      ) {
-        const OrderSettlement = (
-          await import("../../order/models/OrderSettlement.js")
-        ).default;
-        await OrderSettlement.findOneAndUpdate(
-          { orderId: order._id },
-          {
-            "adminEarning.adminCommissionStatus": "received", // Mark as received since cash is collected
-            settlementStatus: "completed",
-          },
-        );
-      }
-    } catch (settlementError) {
-      console.error(
-        "Error updating settlement after cash collection:",
-        settlementError,
-      );
-    }
+    // Update payment status and cash collected flag (hotel-side completion),
+    // then split the QR commission and update the settlement
+    await collectHotelOrderPayment(order);
 
     return res.status(200).json({
       success: true,
@@ -712,6 +678,12 @@ export const markOrderAsDelivered = async (req, res) => {
       console.error("Error updating settlement on delivery:", settlementError);
     }
 
+    try {
+      await issueInvoiceForOrder(order._id);
+    } catch (invoiceError) {
+      console.error("Error issuing tax invoice on delivery:", invoiceError.message);
+    }
+
     return res.status(200).json({
       success: true,
       message: "Order marked as delivered successfully.",
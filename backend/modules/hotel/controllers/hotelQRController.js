@@ -1,5 +1,7 @@
 import QRCode from "qrcode";
 import Hotel from "../models/Hotel.js";
+import HotelRoom from "../models/HotelRoom.js";
+import { resolveOrderRoom } from "../services/hotelRoomService.js";
 
 /**
  * Generate QR code for a hotel
@@ -59,12 +61,16 @@ export const generateHotelQR = async (req, res) => {
 
 /**
  * Get hotel details by QR reference
+ * Room QR codes add ?room=<token> and floor QR codes add ?floor=<floor>;
+ * the room (or the floor's active rooms) is returned for the ordering session
  * @route GET /api/hotel/public/qr/:hotelRef
  * @access Public
  */
 export const getHotelByQR = async (req, res) => {
   try {
     const { hotelRef } = req.params;
+    const roomToken = req.query.room ? String(req.query.room) : null;
+    const floor = req.query.floor ? String(req.query.floor) : null;
 
     if (!hotelRef) {
       return res.status(400).json({
@@ -83,10 +89,46 @@ export const getHotelByQR = async (req, res) => {
       });
     }
 
+    let room = null;
+    let floorRooms = null;
+    if (roomToken) {
+      try {
+        const hotelRoom = await resolveOrderRoom({ hotelReference: hotel.hotelId, roomToken });
+        room = {
+          roomNumber: hotelRoom.roomNumber,
+          floor: hotelRoom.floor,
+          label: hotelRoom.label,
+          token: hotelRoom.qrToken,
+        };
+      } catch (roomError) {
+        return res.status(roomError.statusCode || 500).json({
+          success: false,
+          message: roomError.message,
+        });
+      }
+    } else if (floor) {
+      const rooms = await HotelRoom.find({ hotel: hotel._id, floor, isActive: true })
+        .collation({ locale: "en", numericOrdering: true })
+        .sort({ roomNumber: 1 })
+        .select("roomNumber label")
+        .lean();
+
+      if (rooms.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "No rooms on this floor are accepting orders. Please contact the front desk.",
+        });
+      }
+      floorRooms = rooms.map((r) => ({ roomNumber: r.roomNumber, label: r.label }));
+    }
+
     // Return hotel details (safe public fields only)
     return res.status(200).json({
       success: true,
       data: {
+        room,
+        floor: floorRooms ? floor : null,
+        floorRooms,
         hotel: {
           hotelId: hotel.hotelId,
           hotelName: hotel.hotelName,
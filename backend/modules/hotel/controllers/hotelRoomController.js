@@ -0,0 +1,421 @@
+import mongoose from "mongoose";
+import HotelRoom from "../models/HotelRoom.js";
+import {
+  buildRoomQrUrl,
+  buildFloorQrUrl,
+  generateQrCardsPdf,
+} from "../services/hotelRoomService.js";
+
+const MAX_ROOMS_PER_REQUEST = 500;
+
+// Natural order so "2" sorts before "10"
+const ROOM_SORT_COLLATION = { locale: "en", numericOrdering: true };
+
+const toRoomResponse = (room, hotelId) => ({
+  _id: room._id,
+  roomNumber: room.roomNumber,
+  floor: room.floor,
+  label: room.label,
+  isActive: room.isActive,
+  activatedAt: room.activatedAt,
+  deactivatedAt: room.deactivatedAt,
+  qrUrl: buildRoomQrUrl(hotelId, room),
+});
+
+/**
+ * Expand the create payload into room entries
+ * Accepts either { rooms: [{ roomNumber, floor, label }] }
+ * or a numeric range { floor, from, to, prefix }
+ */
+const parseRoomEntries = (body) => {
+  if (Array.isArray(body.rooms)) {
+    return body.rooms.map((room) => ({
+      roomNumber: String(room?.roomNumber ?? "").trim(),
+      floor: String(room?.floor ?? "").trim(),
+      label: String(room?.label ?? "").trim(),
+    }));
+  }
+
+  const from = Number(body.from);
+  const to = Number(body.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+    return null;
+  }
+  if (to - from + 1 > MAX_ROOMS_PER_REQUEST) {
+    return [];
+  }
+
+  const prefix = String(body.prefix ?? "").trim();
+  const floor = String(body.floor ?? "").trim();
+  const entries = [];
+  for (let n = from; n <= to; n++) {
+    entries.push({ roomNumber: `${prefix}${n}`, floor, label: "" });
+  }
+  return entries;
+};
+
+/**
+ * Get hotel rooms
+ * @route GET /api/hotel/rooms
+ * @access Private (Hotel Admin)
+ * Query params: floor, status (active | inactive)
+ */
+export const getRooms = async (req, res) => {
+  try {
+    const { floor, status } = req.query;
+
+    const query = { hotel: req.hotel._id };
+    if (floor !== undefined && floor !== "") {
+      query.floor = String(floor);
+    }
+    if (status === "active" || status === "inactive") {
+      query.isActive = status === "active";
+    }
+
+    const [rooms, floors, activeCount, totalCount] = await Promise.all([
+      HotelRoom.find(query)
+        .collation(ROOM_SORT_COLLATION)
+        .sort({ floor: 1, roomNumber: 1 })
+        .lean(),
+      HotelRoom.distinct("floor", { hotel: req.hotel._id }),
+      HotelRoom.countDocuments({ hotel: req.hotel._id, isActive: true }),
+      HotelRoom.countDocuments({ hotel: req.hotel._id }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        rooms: rooms.map((room) => toRoomResponse(room, req.hotel.hotelId)),
+        floors: floors.sort((a, b) => a.localeCompare(b, "en", { numeric: true })),
+        summary: {
+          total: totalCount,
+          active: activeCount,
+          inactive: totalCount - activeCount,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching hotel rooms:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch rooms",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add rooms in bulk
+ * @route POST /api/hotel/rooms
+ * @access Private (Hotel Admin)
+ * Body: { rooms: [{ roomNumber, floor, label }] } or { floor, from, to, prefix }
+ */
+export const createRooms = async (req, res) => {
+  try {
+    const entries = parseRoomEntries(req.body || {});
+
+    if (!entries) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a rooms list or a valid room number range (from/to)",
+      });
+    }
+    if (entries.length === 0 || entries.length > MAX_ROOMS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `Add between 1 and ${MAX_ROOMS_PER_REQUEST} rooms at a time`,
+      });
+    }
+    if (entries.some((entry) => !entry.roomNumber || entry.roomNumber.length > 20)) {
+      return res.status(400).json({
+        success: false,
+        message: "Every room needs a room number of at most 20 characters",
+      });
+    }
+
+    const uniqueNumbers = new Set(entries.map((entry) => entry.roomNumber));
+    if (uniqueNumbers.size !== entries.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Room numbers must be unique",
+      });
+    }
+
+    const existing = await HotelRoom.find({
+      hotel: req.hotel._id,
+      roomNumber: { $in: [...uniqueNumbers] },
+    })
+      .select("roomNumber")
+      .lean();
+    const existingNumbers = new Set(existing.map((room) => room.roomNumber));
+
+    const now = new Date();
+    const toCreate = entries
+      .filter((entry) => !existingNumbers.has(entry.roomNumber))
+      .map((entry) => ({
+        ...entry,
+        hotel: req.hotel._id,
+        hotelId: req.hotel.hotelId,
+        isActive: true,
+        activatedAt: now,
+      }));
+
+    const created = toCreate.length > 0 ? await HotelRoom.insertMany(toCreate) : [];
+
+    return res.status(201).json({
+      success: true,
+      message: `${created.length} room(s) added${existingNumbers.size ? `, ${existingNumbers.size} already existed` : ""}`,
+      data: {
+        rooms: created.map((room) => toRoomResponse(room, req.hotel.hotelId)),
+        skipped: [...existingNumbers],
+      },
+    });
+  } catch (error) {
+    console.error("Error creating hotel rooms:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to add rooms",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a room (enable/disable, floor, label)
+ * @route PATCH /api/hotel/rooms/:roomId
+ * @access Private (Hotel Admin)
+ * Body: { isActive?, floor?, label? }
+ */
+export const updateRoom = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { isActive, floor, label } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid room ID",
+      });
+    }
+
+    const room = await HotelRoom.findOne({ _id: roomId, hotel: req.hotel._id });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      });
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "isActive must be true or false",
+        });
+      }
+      if (room.isActive !== isActive) {
+        room.isActive = isActive;
+        if (isActive) {
+          room.activatedAt = new Date();
+        } else {
+          room.deactivatedAt = new Date();
+        }
+      }
+    }
+    if (floor !== undefined) {
+      room.floor = String(floor).trim();
+    }
+    if (label !== undefined) {
+      room.label = String(label).trim();
+    }
+
+    await room.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `Room ${room.roomNumber} updated`,
+      data: { room: toRoomResponse(room, req.hotel.hotelId) },
+    });
+  } catch (error) {
+    console.error("Error updating hotel room:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update room",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enable or disable several rooms at once (e.g. a whole floor at checkout)
+ * @route PATCH /api/hotel/rooms/status
+ * @access Private (Hotel Admin)
+ * Body: { isActive, roomIds?: [], floor? }
+ */
+export const updateRoomsStatus = async (req, res) => {
+  try {
+    const { isActive, roomIds, floor } = req.body || {};
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be true or false",
+      });
+    }
+
+    const query = { hotel: req.hotel._id, isActive: !isActive };
+    if (Array.isArray(roomIds) && roomIds.length > 0) {
+      if (!roomIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid room ID in list",
+        });
+      }
+      query._id = { $in: roomIds };
+    } else if (floor !== undefined && floor !== null) {
+      query.floor = String(floor).trim();
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: "Provide roomIds or floor",
+      });
+    }
+
+    const result = await HotelRoom.updateMany(query, {
+      $set: isActive
+        ? { isActive: true, activatedAt: new Date() }
+        : { isActive: false, deactivatedAt: new Date() },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} room(s) ${isActive ? "enabled" : "disabled"}`,
+      data: { modifiedCount: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Error updating hotel rooms status:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update rooms",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a room
+ * @route DELETE /api/hotel/rooms/:roomId
+ * @access Private (Hotel Admin)
+ */
+export const deleteRoom = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid room ID",
+      });
+    }
+
+    const room = await HotelRoom.findOneAndDelete({ _id: roomId, hotel: req.hotel._id });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Room ${room.roomNumber} deleted`,
+    });
+  } catch (error) {
+    console.error("Error deleting hotel room:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete room",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download printable room or floor QR codes as PDF
+ * @route GET /api/hotel/rooms/qr-pdf
+ * @access Private (Hotel Admin)
+ * Query params: mode (room | floor, default room), floor, roomIds (comma separated)
+ */
+export const downloadRoomQRPdf = async (req, res) => {
+  try {
+    const { mode = "room", floor, roomIds } = req.query;
+    const hotel = req.hotel;
+
+    const query = { hotel: hotel._id };
+    if (floor !== undefined && floor !== "") {
+      query.floor = String(floor);
+    }
+    if (roomIds) {
+      const ids = String(roomIds).split(",").map((id) => id.trim()).filter(Boolean);
+      if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid room ID in list",
+        });
+      }
+      query._id = { $in: ids };
+    }
+
+    const rooms = await HotelRoom.find(query)
+      .collation(ROOM_SORT_COLLATION)
+      .sort({ floor: 1, roomNumber: 1 })
+      .lean();
+
+    if (rooms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No rooms found. Add rooms before generating QR codes.",
+      });
+    }
+
+    let cards;
+    if (mode === "floor") {
+      const floors = [...new Set(rooms.map((room) => room.floor))];
+      if (floors.includes("")) {
+        return res.status(400).json({
+          success: false,
+          message: "Assign a floor to every room before generating floor QR codes",
+        });
+      }
+      cards = floors.map((roomFloor) => ({
+        title: `Floor ${roomFloor}`,
+        subtitle: "Scan, pick your room and order food to your door",
+        url: buildFloorQrUrl(hotel.hotelId, roomFloor),
+      }));
+    } else {
+      cards = rooms.map((room) => ({
+        title: `Room ${room.roomNumber}`,
+        subtitle: room.label
+          ? `${room.label} - scan to order food to your room`
+          : "Scan to order food to your room",
+        url: buildRoomQrUrl(hotel.hotelId, room),
+      }));
+    }
+
+    const pdf = await generateQrCardsPdf(hotel, cards);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${hotel.hotelId}-${mode === "floor" ? "floor" : "room"}-qr-codes.pdf"`,
+    );
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error generating room QR PDF:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate QR codes",
+      error: error.message,
+    });
+  }
+};
@@ -290,7 +290,7 @@ export const createHotelWithdrawalRequest = asyncHandler(async (req, res) => {
   // Link transaction to withdrawal request for easier tracking
   withdrawalRequest.transactionId = tx._id;
 
-  await wallet.save();
+  await wallet.saveWithLedger();
 
   return successResponse(res, 201, "Withdrawal request created successfully", {
     withdrawalRequest: {
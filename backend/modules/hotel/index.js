@@ -8,6 +8,8 @@ import hotelWalletRoutes from "./routes/hotelWalletRoutes.js";
 import hotelPublicRoutes from "./routes/hotelPublicRoutes.js";
 import hotelQRRoutes from "./routes/hotelQRRoutes.js";
 import hotelOrderRoutes from "./routes/hotelOrderRoutes.js";
+import hotelRoomRoutes from "./routes/hotelRoomRoutes.js";
+import hotelFolioRoutes from "./routes/hotelFolioRoutes.js";
 
 const router = express.Router();
 
@@ -23,5 +25,7 @@ router.use("/profile", hotelProfileRoutes);
 router.use("/wallet", hotelWalletRoutes);
 router.use("/qr", hotelQRRoutes);
 router.use("/orders", hotelOrderRoutes);
+router.use("/rooms", hotelRoomRoutes);
+router.use("/folios", hotelFolioRoutes);
 
 export default router;
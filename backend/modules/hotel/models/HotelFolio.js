@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+/**
+ * Guest folio: the running room-charge account of one stay.
+ * Pay-at-hotel orders placed from a room are attached to the room's open folio,
+ * which is closed at checkout and settled with the platform in one go.
+ */
+const hotelFolioSchema = new mongoose.Schema(
+  {
+    folioNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+      index: true,
+    },
+    hotelId: {
+      type: String,
+      required: true,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "HotelRoom",
+      default: null, // Null for hotels without a room list
+    },
+    roomNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed", "settled"],
+      default: "open",
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+    // Totals frozen at settlement
+    settlement: {
+      orderCount: Number,
+      totalAmount: Number,
+      settledAmount: Number, // Excludes orders whose cash was already handed over individually
+      hotelCommission: Number,
+      walletTransactionId: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One open folio per room
+hotelFolioSchema.index(
+  { hotel: 1, roomNumber: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } },
+);
+hotelFolioSchema.index({ hotel: 1, status: 1, openedAt: -1 });
+
+export default mongoose.model("HotelFolio", hotelFolioSchema);
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hotelRoomSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+      index: true,
+    },
+    // Public hotel reference (HOTEL-...) used in QR URLs
+    hotelId: {
+      type: String,
+      required: true,
+    },
+    roomNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    floor: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: "", // Optional display name, e.g. "Deluxe Suite"
+    },
+    // Disabled when the guest checks out; orders for an inactive room are rejected
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Unguessable token printed in the room QR; proves the guest scanned this room
+    qrToken: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(12).toString("hex"),
+    },
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+hotelRoomSchema.index({ hotel: 1, roomNumber: 1 }, { unique: true });
+hotelRoomSchema.index({ hotel: 1, floor: 1, isActive: 1 });
+
+export default mongoose.model("HotelRoom", hotelRoomSchema);
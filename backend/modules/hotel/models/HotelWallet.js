@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { attachWalletLedgerHooks } from "../../payment/services/ledgerService.js";
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -16,6 +17,7 @@ const transactionSchema = new mongoose.Schema(
         "bonus",
         "deduction",
         "cash_collection",
+        "folio_settlement", // Pay-at-hotel cash of a whole stay handed over at once
       ],
       required: true,
     },
@@ -33,6 +35,11 @@ const transactionSchema = new mongoose.Schema(
       ref: "Order",
       sparse: true,
     },
+    folioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "HotelFolio",
+      sparse: true,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -274,4 +281,6 @@ hotelWalletSchema.statics.findOrCreateByHotelId = async function (hotelId) {
   return wallet;
 };
 
+attachWalletLedgerHooks(hotelWalletSchema, "hotel");
+
 export default mongoose.model("HotelWallet", hotelWalletSchema);
@@ -0,0 +1,20 @@
+import express from "express";
+import { authenticate } from "../middleware/hotelAuth.js";
+import {
+  getFolios,
+  getFolio,
+  checkoutFolio,
+  downloadFolioStatement,
+  settleFolio,
+} from "../controllers/hotelFolioController.js";
+
+const router = express.Router();
+
+// Protected routes (require hotel authentication)
+router.get("/", authenticate, getFolios);
+router.get("/:folioId", authenticate, getFolio);
+router.get("/:folioId/statement", authenticate, downloadFolioStatement);
+router.post("/:folioId/checkout", authenticate, checkoutFolio);
+router.post("/:folioId/settle", authenticate, settleFolio);
+
+export default router;
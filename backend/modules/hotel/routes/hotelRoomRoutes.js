@@ -0,0 +1,22 @@
+import express from "express";
+import { authenticate } from "../middleware/hotelAuth.js";
+import {
+  getRooms,
+  createRooms,
+  updateRoom,
+  updateRoomsStatus,
+  deleteRoom,
+  downloadRoomQRPdf,
+} from "../controllers/hotelRoomController.js";
+
+const router = express.Router();
+
+// Protected routes (require hotel authentication)
+router.get("/", authenticate, getRooms);
+router.post("/", authenticate, createRooms);
+router.get("/qr-pdf", authenticate, downloadRoomQRPdf);
+router.patch("/status", authenticate, updateRoomsStatus);
+router.patch("/:roomId", authenticate, updateRoom);
+router.delete("/:roomId", authenticate, deleteRoom);
+
+export default router;
@@ -0,0 +1,432 @@
+import PDFDocument from "pdfkit";
+import Order from "../../order/models/Order.js";
+import HotelFolio from "../models/HotelFolio.js";
+import HotelWallet from "../models/HotelWallet.js";
+import { distributeCommissions } from "../../order/services/commissionDistributionService.js";
+import { findHotelByReference } from "./hotelRoomService.js";
+
+/**
+ * Hotel Folio Service
+ *
+ * Pay-at-hotel orders accumulate on the room's open folio. At checkout the
+ * front desk closes the folio, prints the statement for the room bill and
+ * settles all of its orders at once instead of order by order.
+ */
+
+const folioError = (statusCode, message, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const generateFolioNumber = () =>
+  `FOLIO-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+
+/**
+ * Mark a pay-at-hotel / cash order as paid by the guest and split the QR commission
+ * Callers check that the order is not cancelled and not already collected.
+ */
+export const collectHotelOrderPayment = async (order) => {
+  // IMPORTANT: Do NOT change global order.status here, so restaurant / delivery flow remains independent.
+  order.payment.status = "completed";
+  order.cashCollected = true;
+  await order.save();
+
+  // Trigger QR Commission split for Pay at Hotel
+  try {
+    await distributeCommissions(order._id);
+    console.log(
+      `✅ QR commission distributed for cash collected order ${order.orderId}`,
+    );
+  } catch (distErr) {
+    console.error(
+      `❌ Failed to distribute QR commission on cash collection: ${distErr.message}`,
+    );
+  }
+
+  // Trigger settlement update (Legacy/Existing Logic)
+  try {
+    if (
+      order.payment.method === "pay_at_hotel" ||
+      order.payment.method === "cash"
+    ) {
+      const OrderSettlement = (
+        await import("../../order/models/OrderSettlement.js")
+      ).default;
+      await OrderSettlement.findOneAndUpdate(
+        { orderId: order._id },
+        {
+          "adminEarning.adminCommissionStatus": "received", // Mark as received since cash is collected
+          settlementStatus: "completed",
+        },
+      );
+    }
+  } catch (settlementError) {
+    console.error(
+      "Error updating settlement after cash collection:",
+      settlementError,
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Attach a pay-at-hotel order to its room's open folio, opening one if needed
+ * @param {Object} order - Order document with hotelReference and roomNumber
+ * @returns {Promise<Object|null>} Folio, or null when the order has no hotel room
+ */
+export const attachOrderToFolio = async (order) => {
+  if (!order.hotelReference || !order.roomNumber) {
+    return null;
+  }
+
+  const hotel = await findHotelByReference(order.hotelReference);
+  if (!hotel) {
+    return null;
+  }
+
+  const filter = { hotel: hotel._id, roomNumber: order.roomNumber, status: "open" };
+  const update = {
+    $addToSet: { orders: order._id },
+    $setOnInsert: {
+      folioNumber: generateFolioNumber(),
+      hotelId: hotel.hotelId,
+      room: order.hotelRoomId || null,
+      openedAt: new Date(),
+    },
+  };
+
+  try {
+    return await HotelFolio.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first orders for the same room raced to open the folio; the loser joins it
+    if (error.code === 11000) {
+      return HotelFolio.findOneAndUpdate(filter, { $addToSet: { orders: order._id } }, { new: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Load a folio's orders and totals; cancelled orders are listed separately and not charged
+ */
+export const buildFolioStatement = async (folio) => {
+  const orders = await Order.find({ _id: { $in: folio.orders } })
+    .select("orderId restaurantName items pricing status payment.method payment.status cashCollected hotelCashSettled commissionBreakdown hotelCommission createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const charged = orders.filter((order) => order.status !== "cancelled");
+  const cancelled = orders.filter((order) => order.status === "cancelled");
+
+  const totals = charged.reduce(
+    (acc, order) => {
+      acc.subtotal += order.pricing?.subtotal || 0;
+      acc.tax += order.pricing?.tax || 0;
+      acc.fees += (order.pricing?.deliveryFee || 0) + (order.pricing?.platformFee || 0);
+      acc.discount += order.pricing?.discount || 0;
+      acc.total += order.pricing?.total || 0;
+      if (order.cashCollected) {
+        acc.collected += order.pricing?.total || 0;
+      }
+      return acc;
+    },
+    { subtotal: 0, tax: 0, fees: 0, discount: 0, total: 0, collected: 0 },
+  );
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] = round2(totals[key]);
+  });
+  totals.outstanding = round2(totals.total - totals.collected);
+
+  return {
+    folio,
+    orders: charged,
+    cancelledOrders: cancelled.map((order) => ({
+      orderId: order.orderId,
+      total: order.pricing?.total || 0,
+      createdAt: order.createdAt,
+    })),
+    totals,
+  };
+};
+
+/**
+ * Close a folio at checkout; later orders for the room open a new folio
+ */
+export const closeFolio = async (hotelObjectId, folioId) => {
+  const folio = await HotelFolio.findOneAndUpdate(
+    { _id: folioId, hotel: hotelObjectId, status: "open" },
+    { $set: { status: "closed", closedAt: new Date() } },
+    { new: true },
+  );
+
+  if (!folio) {
+    const existing = await HotelFolio.findOne({ _id: folioId, hotel: hotelObjectId }).lean();
+    if (!existing) {
+      throw folioError(404, "Folio not found");
+    }
+    throw folioError(400, `Folio is already ${existing.status}`);
+  }
+
+  return folio;
+};
+
+/**
+ * Settle a closed folio: collect every unpaid order, mark the hotel cash as
+ * handed over and record one folio_settlement transaction on the HotelWallet
+ */
+export const settleFolio = async (hotelObjectId, folioId) => {
+  const folio = await HotelFolio.findOne({ _id: folioId, hotel: hotelObjectId });
+  if (!folio) {
+    throw folioError(404, "Folio not found");
+  }
+  if (folio.status === "open") {
+    throw folioError(400, "Check the guest out before settling the folio");
+  }
+  if (folio.status === "settled") {
+    throw folioError(400, "Folio is already settled");
+  }
+
+  const orders = await Order.find({ _id: { $in: folio.orders }, status: { $ne: "cancelled" } });
+  const inProgress = orders.filter((order) => order.status !== "delivered");
+  if (inProgress.length > 0) {
+    throw folioError(400, "Some orders on this folio are not delivered yet", {
+      orders: inProgress.map((order) => ({ orderId: order.orderId, status: order.status })),
+    });
+  }
+
+  // Claim the folio so a double click cannot settle it twice
+  const claimed = await HotelFolio.findOneAndUpdate(
+    { _id: folio._id, status: "closed" },
+    { $set: { status: "settled", settledAt: new Date() } },
+    { new: true },
+  );
+  if (!claimed) {
+    throw folioError(409, "Folio is already being settled");
+  }
+
+  let settledOrderIds = [];
+  try {
+    for (const order of orders) {
+      if (!order.cashCollected && order.payment.status !== "completed") {
+        await collectHotelOrderPayment(order);
+      }
+    }
+
+    // Cash already handed over order by order (delivery partner flow) is not settled again
+    const toSettle = orders.filter((order) => order.hotelCashSettled !== true);
+    settledOrderIds = toSettle.map((order) => order._id);
+    await Order.updateMany(
+      { _id: { $in: settledOrderIds } },
+      { $set: { hotelCashSettled: true } },
+    );
+
+    const reloaded = await Order.find({ _id: { $in: orders.map((order) => order._id) } })
+      .select("pricing.total hotelCommission")
+      .lean();
+    const totalAmount = round2(reloaded.reduce((sum, order) => sum + (order.pricing?.total || 0), 0));
+    const hotelCommission = round2(reloaded.reduce((sum, order) => sum + (order.hotelCommission || 0), 0));
+    const settledAmount = round2(toSettle.reduce((sum, order) => sum + (order.pricing?.total || 0), 0));
+
+    let walletTransactionId = null;
+    if (settledAmount > 0) {
+      const wallet = await HotelWallet.findOrCreateByHotelId(hotelObjectId);
+      // A retry after a failure further down finds the credit already there
+      let transaction = wallet.transactions.find(
+        (entry) => entry.type === "folio_settlement" && String(entry.folioId) === String(folio._id),
+      );
+      if (!transaction) {
+        wallet.addTransaction({
+          amount: settledAmount,
+          type: "folio_settlement",
+          status: "Completed",
+          description: `Folio ${folio.folioNumber} settled for room ${folio.roomNumber} (${toSettle.length} order(s))`,
+          folioId: folio._id,
+          processedAt: new Date(),
+        });
+        await wallet.saveWithLedger();
+        transaction = wallet.transactions[wallet.transactions.length - 1];
+      }
+      walletTransactionId = transaction._id;
+    }
+
+    claimed.settlement = {
+      orderCount: orders.length,
+      totalAmount,
+      settledAmount,
+      hotelCommission,
+      walletTransactionId,
+    };
+    await claimed.save();
+
+    return claimed;
+  } catch (error) {
+    // Orders already collected stay collected; the hand-over flags are undone
+    // so settling the folio again picks up the same orders
+    if (settledOrderIds.length > 0) {
+      await Order.updateMany(
+        { _id: { $in: settledOrderIds } },
+        { $set: { hotelCashSettled: false } },
+      );
+    }
+    await HotelFolio.updateOne(
+      { _id: folio._id },
+      { $set: { status: "closed", settledAt: null } },
+    );
+    throw error;
+  }
+};
+
+const CSV_HEADERS = ["Date", "Order", "Restaurant", "Items", "Subtotal", "Tax", "Fees", "Discount", "Total", "Payment"];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const describeItems = (items = []) =>
+  items.map((item) => `${item.quantity} x ${item.name}`).join("; ");
+
+const paymentLabel = (order) => (order.cashCollected ? "Collected" : "Room charge");
+
+/**
+ * Checkout statement as CSV
+ */
+export const statementToCsv = (hotel, statement) => {
+  const { folio, orders, totals } = statement;
+  const lines = [
+    [`${hotel.hotelName} - Folio ${folio.folioNumber}`],
+    [`Room ${folio.roomNumber}`, `Opened ${folio.openedAt.toISOString()}`, folio.closedAt ? `Closed ${folio.closedAt.toISOString()}` : "Open"],
+    [],
+    CSV_HEADERS,
+    ...orders.map((order) => [
+      new Date(order.createdAt).toISOString(),
+      order.orderId,
+      order.restaurantName,
+      describeItems(order.items),
+      order.pricing?.subtotal || 0,
+      order.pricing?.tax || 0,
+      (order.pricing?.deliveryFee || 0) + (order.pricing?.platformFee || 0),
+      order.pricing?.discount || 0,
+      order.pricing?.total || 0,
+      paymentLabel(order),
+    ]),
+    [],
+    ["", "", "", "Totals", totals.subtotal, totals.tax, totals.fees, totals.discount, totals.total, ""],
+    ["", "", "", "Outstanding (add to room bill)", "", "", "", "", totals.outstanding, ""],
+  ];
+
+  return lines.map((line) => line.map(escapeCsv).join(",")).join("\n");
+};
+
+/**
+ * Checkout statement as a printable PDF
+ * @returns {Promise<Buffer>}
+ */
+export const statementToPdf = (hotel, statement) => {
+  const { folio, orders, cancelledOrders, totals } = statement;
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short", timeZone: "Asia/Kolkata" });
+  const money = (value) => `Rs. ${round2(value).toFixed(2)}`;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = [
+    { label: "Date", x: left, width: 95 },
+    { label: "Order", x: left + 95, width: 110 },
+    { label: "Items", x: left + 205, width: 165 },
+    { label: "Payment", x: left + 370, width: 70 },
+    { label: "Amount", x: left + 440, width: width - 440, align: "right" },
+  ];
+
+  doc.font("Helvetica-Bold").fontSize(16).text(hotel.hotelName);
+  doc.font("Helvetica").fontSize(9).fillColor("#555555").text(hotel.address || "");
+  doc.moveDown();
+  doc.fillColor("#000000").font("Helvetica-Bold").fontSize(13).text("Food & Beverage Room Charges");
+  doc.font("Helvetica").fontSize(10)
+    .text(`Folio: ${folio.folioNumber}`)
+    .text(`Room: ${folio.roomNumber}`)
+    .text(`Stay: ${formatDate(folio.openedAt)} - ${folio.closedAt ? formatDate(folio.closedAt) : "open"}`);
+  doc.moveDown();
+
+  const drawRow = (cells, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    const heights = columns.map((column, index) =>
+      doc.heightOfString(String(cells[index] ?? ""), { width: column.width - 4 }),
+    );
+    const rowHeight = Math.max(...heights) + 6;
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ""), column.x, y, { width: column.width - 4, align: column.align || "left" });
+    });
+    doc.moveTo(left, y + rowHeight - 3).lineTo(left + width, y + rowHeight - 3).strokeColor("#dddddd").stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map((column) => column.label), true);
+  orders.forEach((order) => {
+    drawRow([
+      formatDate(order.createdAt),
+      `${order.orderId}\n${order.restaurantName || ""}`,
+      describeItems(order.items),
+      paymentLabel(order),
+      money(order.pricing?.total),
+    ]);
+  });
+
+  doc.moveDown();
+  const summary = [
+    ["Items subtotal", totals.subtotal],
+    ["Taxes", totals.tax],
+    ["Delivery & platform fees", totals.fees],
+    ["Discounts", -totals.discount],
+    ["Total", totals.total],
+    ["Already paid", -totals.collected],
+  ];
+  summary.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).text(label, left + 260, y, { width: 150 });
+    doc.text(money(value), left + 410, y, { width: width - 410, align: "right" });
+  });
+  const y = doc.y + 4;
+  doc.font("Helvetica-Bold").fontSize(11).text("Add to room bill", left + 260, y, { width: 150 });
+  doc.text(money(totals.outstanding), left + 410, y, { width: width - 410, align: "right" });
+
+  if (cancelledOrders.length > 0) {
+    doc.moveDown(2);
+    doc.x = left;
+    doc.font("Helvetica").fontSize(8).fillColor("#777777")
+      .text(`Cancelled and not charged: ${cancelledOrders.map((order) => order.orderId).join(", ")}`, { width });
+  }
+
+  doc.end();
+  return finished;
+};
+
+export default {
+  collectHotelOrderPayment,
+  attachOrderToFolio,
+  buildFolioStatement,
+  closeFolio,
+  settleFolio,
+  statementToCsv,
+  statementToPdf,
+};
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import Hotel from "../models/Hotel.js";
+import HotelRoom from "../models/HotelRoom.js";
+
+/**
+ * Hotel Room Service
+ *
+ * Room and floor QR codes carry the room into the guest's ordering session.
+ * Orders are checked against the hotel's room list so only rooms that exist
+ * and are currently active (guest checked in) can order.
+ */
+
+const roomError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const getFrontendBaseUrl = () =>
+  process.env.FRONTEND_URL ||
+  process.env.VITE_FRONTEND_URL ||
+  (process.env.NODE_ENV === "production"
+    ? "https://foods.abhikaro.in"
+    : "http://localhost:5173");
+
+export const buildRoomQrUrl = (hotelId, room) =>
+  `${getFrontendBaseUrl()}/hotel-menu?ref=${hotelId}&room=${room.qrToken}`;
+
+export const buildFloorQrUrl = (hotelId, floor) =>
+  `${getFrontendBaseUrl()}/hotel-menu?ref=${hotelId}&floor=${encodeURIComponent(floor)}`;
+
+/**
+ * Find a hotel by its public hotelId or Mongo _id
+ */
+export const findHotelByReference = async (hotelReference) => {
+  if (!hotelReference) {
+    return null;
+  }
+  if (mongoose.Types.ObjectId.isValid(hotelReference)) {
+    return Hotel.findById(hotelReference).lean();
+  }
+  return Hotel.findOne({ hotelId: hotelReference }).lean();
+};
+
+const belongsToHotel = (room, hotelReference) =>
+  room.hotelId === hotelReference || room.hotel.toString() === String(hotelReference);
+
+/**
+ * Resolve the room an order is placed from
+ * - With a room QR token the room is taken from the token
+ * - Otherwise the typed room number must match an active room of the hotel
+ *   (optionally on the scanned floor)
+ * - Hotels that have not set up a room list keep accepting any room number
+ * @returns {Promise<Object|null>} Room document, or null when the hotel has no room list
+ * @throws {Error} with statusCode 404 (unknown room) or 409 (room inactive)
+ */
+export const resolveOrderRoom = async ({ hotelReference, roomToken, roomNumber, floor }) => {
+  if (roomToken) {
+    const room = await HotelRoom.findOne({ qrToken: String(roomToken) }).lean();
+    if (!room || (hotelReference && !belongsToHotel(room, hotelReference))) {
+      throw roomError(404, "Room not found. Please scan the QR code in your room again.");
+    }
+    if (!room.isActive) {
+      throw roomError(409, `Room ${room.roomNumber} is not accepting orders. Please contact the front desk.`);
+    }
+    return room;
+  }
+
+  if (!hotelReference || !roomNumber) {
+    return null;
+  }
+
+  const hotel = await findHotelByReference(hotelReference);
+  if (!hotel || !(await HotelRoom.exists({ hotel: hotel._id }))) {
+    return null;
+  }
+
+  const query = { hotel: hotel._id, roomNumber: String(roomNumber).trim() };
+  if (floor) {
+    query.floor = String(floor).trim();
+  }
+
+  const room = await HotelRoom.findOne(query).lean();
+  if (!room) {
+    throw roomError(404, `Room ${String(roomNumber).trim()} does not exist at ${hotel.hotelName}`);
+  }
+  if (!room.isActive) {
+    throw roomError(409, `Room ${room.roomNumber} is not accepting orders. Please contact the front desk.`);
+  }
+  return room;
+};
+
+// A4 sheet with 2 x 3 cut-out cards
+const PAGE_MARGIN = 36;
+const COLUMNS = 2;
+const ROWS = 3;
+const GUTTER = 18;
+const QR_SIZE = 150;
+
+/**
+ * Render printable QR cards, one per room or per floor
+ * @param {Object} hotel - Hotel document
+ * @param {Array<Object>} cards - [{ title, subtitle, url }]
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const generateQrCardsPdf = async (hotel, cards) => {
+  const images = await Promise.all(
+    cards.map((card) =>
+      QRCode.toBuffer(card.url, { errorCorrectionLevel: "H", width: 300, margin: 1 }),
+    ),
+  );
+
+  const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const cardWidth = (doc.page.width - PAGE_MARGIN * 2 - GUTTER * (COLUMNS - 1)) / COLUMNS;
+  const cardHeight = (doc.page.height - PAGE_MARGIN * 2 - GUTTER * (ROWS - 1)) / ROWS;
+  const perPage = COLUMNS * ROWS;
+
+  cards.forEach((card, index) => {
+    if (index > 0 && index % perPage === 0) {
+      doc.addPage();
+    }
+    const slot = index % perPage;
+    const x = PAGE_MARGIN + (slot % COLUMNS) * (cardWidth + GUTTER);
+    const y = PAGE_MARGIN + Math.floor(slot / COLUMNS) * (cardHeight + GUTTER);
+
+    doc.save().dash(4, { space: 4 }).strokeColor("#bbbbbb")
+      .rect(x, y, cardWidth, cardHeight).stroke().restore();
+
+    doc.fillColor("#666666").font("Helvetica").fontSize(10)
+      .text(hotel.hotelName, x, y + 12, { width: cardWidth, align: "center", lineBreak: false, ellipsis: true });
+    doc.fillColor("#111111").font("Helvetica-Bold").fontSize(20)
+      .text(card.title, x, y + 28, { width: cardWidth, align: "center", lineBreak: false, ellipsis: true });
+
+    doc.image(images[index], x + (cardWidth - QR_SIZE) / 2, y + 58, { width: QR_SIZE, height: QR_SIZE });
+
+    doc.fillColor("#444444").font("Helvetica").fontSize(9)
+      .text(card.subtitle, x + 8, y + 58 + QR_SIZE + 8, { width: cardWidth - 16, align: "center" });
+  });
+
+  doc.end();
+  return finished;
+};
+
+export default {
+  getFrontendBaseUrl,
+  buildRoomQrUrl,
+  buildFloorQrUrl,
+  findHotelByReference,
+  resolveOrderRoom,
+  generateQrCardsPdf,
+};
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import { verifyPayment } from "../../payment/services/razorpayService.js";
+import {
+  addPostDeliveryTip,
+  confirmDeliveryTipPayment,
+} from "../services/deliveryTipService.js";
+
+const findUserOrder = async (userId, id) => {
+  if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
+    const order = await Order.findOne({ _id: id, userId });
+    if (order) return order;
+  }
+  return Order.findOne({ orderId: id, userId });
+};
+
+/**
+ * Tip the delivery partner after the order is delivered
+ * @route POST /api/order/:id/tip
+ * @access Private (User)
+ * Body: { amount, paymentMethod: 'wallet' | 'razorpay' }
+ */
+export const addDeliveryTip = async (req, res) => {
+  try {
+    const order = await findUserOrder(req.user.id, req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const { amount, paymentMethod } = req.body;
+    const { tip, razorpay } = await addPostDeliveryTip(order, { amount, paymentMethod });
+
+    return res.status(razorpay ? 201 : 200).json({
+      success: true,
+      message: razorpay ? "Complete the payment to send your tip" : "Thanks! Your tip has been sent",
+      data: { tip, razorpay },
+    });
+  } catch (error) {
+    console.error("Error adding delivery tip:", error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to add tip",
+    });
+  }
+};
+
+/**
+ * Verify the Razorpay payment for a post-delivery tip
+ * @route POST /api/order/:id/tip/verify
+ * @access Private (User)
+ * Body: { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ */
+export const verifyDeliveryTipPayment = async (req, res) => {
+  try {
+    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment verification details are required",
+      });
+    }
+
+    const order = await findUserOrder(req.user.id, req.params.id);
+    if (!order || order.deliveryTip?.postDelivery?.razorpayOrderId !== razorpayOrderId) {
+      return res.status(404).json({
+        success: false,
+        message: "Tip payment not found",
+      });
+    }
+
+    const isValid = await verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment signature",
+      });
+    }
+
+    const { order: updated } = await confirmDeliveryTipPayment({
+      razorpayOrderId,
+      razorpayPaymentId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Thanks! Your tip has been sent",
+      data: { tip: updated?.deliveryTip?.postDelivery || null },
+    });
+  } catch (error) {
+    console.error("Error verifying delivery tip payment:", error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to verify tip payment",
+    });
+  }
+};
@@ -9,16 +9,47 @@ import Menu from "../../restaurant/models/Menu.js";
 import Zone from "../../admin/models/Zone.js";
 import mongoose from "mongoose";
 import winston from "winston";
-import { calculateOrderPricing } from "../services/orderCalculationService.js";
+import {
+  calculateOrderPricing,
+  priceOrderItems,
+} from "../services/orderCalculationService.js";
 import { getRazorpayCredentials } from "../../../shared/utils/envService.js";
 import { notifyRestaurantNewOrder } from "../services/restaurantNotificationService.js";
-import { calculateOrderSettlement } from "../services/orderSettlementService.js";
-import { holdEscrow } from "../services/escrowWalletService.js";
+import { scheduleAutoReject } from "../services/orderJobService.js";
+import {
+  getAcceptanceSettings,
+  resolveAcceptWindowSeconds,
+} from "../services/restaurantAcceptanceService.js";
 import { processCancellationRefund } from "../services/cancellationRefundService.js";
+import { ensureHandoverOtp } from "../services/deliveryHandoverService.js";
+import { normalizeTipAmount } from "../services/deliveryTipService.js";
 import etaCalculationService from "../services/etaCalculationService.js";
 import etaWebSocketService from "../services/etaWebSocketService.js";
 import UserWallet from "../../user/models/UserWallet.js";
-import { distributeCommissions } from "../services/commissionDistributionService.js";
+import {
+  confirmOrderPayment,
+  markOrderPaymentFailed,
+  releaseOrderReservations,
+} from "../services/orderPaymentService.js";
+import {
+  validateScheduledSlot,
+  getScheduleSlots as getScheduleSlotsForRestaurant,
+} from "../services/scheduledOrderService.js";
+import {
+  checkOrderingAllowed,
+  reserveSubscriptionOrder,
+  releaseSubscriptionOrder,
+  releaseOrderSubscriptionSlot,
+} from "../../subscription/services/subscriptionService.js";
+import {
+  applyPlatformCoupon,
+  reserveCouponUsage,
+  releaseCouponUsage,
+  recordCouponRedemption,
+  releaseCouponRedemption,
+} from "../../coupon/services/couponService.js";
+import { resolveOrderRoom } from "../../hotel/services/hotelRoomService.js";
+import { attachOrderToFolio } from "../../hotel/services/hotelFolioService.js";
 
 const logger = winston.createLogger({
   level: "info",
@@ -49,7 +80,10 @@ export const createOrder = async (req, res) => {
       hotelReference, // Hotel ID if order came from hotel QR code
       hotelName, // Hotel name for reference
       roomNumber, // Room number for pay_at_hotel orders
+      hotelRoomToken, // Room QR token from the ordering session (room is taken from it)
+      hotelFloor, // Floor from a floor QR; roomNumber must be an active room on it
       additionalAddress, // Additional address details from frontend
+      scheduledFor, // Requested delivery slot (ISO string) for pre-orders; empty = deliver now
     } = req.body;
     // Support both camelCase and snake_case from client
     const paymentMethod = bodyPaymentMethod ?? req.body.payment_method;
@@ -95,8 +129,17 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    try {
+      pricing.tip = normalizeTipAmount(pricing.tip);
+    } catch (tipError) {
+      return res.status(tipError.statusCode || 400).json({
+        success: false,
+        message: tipError.message,
+      });
+    }
+
     // Validate room number for pay_at_hotel payment method
-    if (normalizedPaymentMethod === "pay_at_hotel") {
+    if (normalizedPaymentMethod === "pay_at_hotel" && !hotelRoomToken) {
       if (!roomNumber || String(roomNumber).trim() === "") {
         return res.status(400).json({
           success: false,
@@ -105,6 +148,22 @@ export const createOrder = async (req, res) => {
       }
     }
 
+    // The room must exist in the hotel's room list and be active (guest checked in)
+    let hotelRoom = null;
+    try {
+      hotelRoom = await resolveOrderRoom({
+        hotelReference,
+        roomToken: hotelRoomToken,
+        roomNumber,
+        floor: hotelFloor,
+      });
+    } catch (roomError) {
+      return res.status(roomError.statusCode || 500).json({
+        success: false,
+        message: roomError.message,
+      });
+    }
+
     // Validate and assign restaurant - order goes to the restaurant whose food was ordered
     if (!restaurantId || restaurantId === "unknown") {
       return res.status(400).json({
@@ -198,6 +257,20 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    // Subscription-based restaurants can only take orders while their plan is active
+    const subscriptionCheck = await checkOrderingAllowed(restaurant);
+    if (!subscriptionCheck.allowed) {
+      logger.warn("⚠️ Restaurant subscription does not allow ordering:", {
+        restaurantId: restaurant._id?.toString() || restaurant.restaurantId,
+        restaurantName: restaurant.name,
+        reason: subscriptionCheck.reason,
+      });
+      return res.status(403).json({
+        success: false,
+        message: subscriptionCheck.message,
+      });
+    }
+
     // CRITICAL: Validate that restaurant's location (pin) is within an active zone
     const restaurantLat =
       restaurant.location?.latitude || restaurant.location?.coordinates?.[1];
@@ -365,6 +438,74 @@ export const createOrder = async (req, res) => {
       }
     }
 
+    // Pre-orders: the slot must fall within outlet timings and item availability
+    let scheduledDelivery = null;
+    if (scheduledFor) {
+      if (normalizedPaymentMethod === "pay_at_hotel") {
+        return res.status(400).json({
+          success: false,
+          message: "Pay at Hotel orders cannot be scheduled",
+        });
+      }
+      try {
+        scheduledDelivery = await validateScheduledSlot({
+          restaurant,
+          menu,
+          items,
+          scheduledFor,
+        });
+      } catch (scheduleError) {
+        return res.status(scheduleError.statusCode || 400).json({
+          success: false,
+          message: scheduleError.message,
+        });
+      }
+    }
+
+    // Price items, variants and add-ons from the menu (never trust client prices)
+    let pricedItems;
+    try {
+      pricedItems = priceOrderItems(items, menu);
+    } catch (addonError) {
+      return res.status(addonError.statusCode || 400).json({
+        success: false,
+        message: addonError.message,
+      });
+    }
+
+    // The total charged must be the server's price for the same cart, so the
+    // tip credited to the rider is one the customer actually pays
+    let serverPricing;
+    try {
+      serverPricing = await calculateOrderPricing({
+        items,
+        restaurantId: restaurant._id.toString(),
+        deliveryAddress: address,
+        couponCode: pricing.couponCode || pricing.appliedCoupon?.code || null,
+        deliveryFleet: deliveryFleet || "standard",
+        userId,
+        paymentMethod: normalizedPaymentMethod,
+        tip: pricing.tip,
+      });
+    } catch (pricingError) {
+      return res.status(pricingError.statusCode || 500).json({
+        success: false,
+        message: pricingError.message || "Failed to calculate order pricing",
+      });
+    }
+    if (Math.abs(serverPricing.total - Math.round(Number(pricing.total) || 0)) > 1) {
+      logger.warn("⚠️ Order total does not match server pricing:", {
+        clientTotal: pricing.total,
+        serverTotal: serverPricing.total,
+        tip: serverPricing.tip,
+      });
+      return res.status(400).json({
+        success: false,
+        message: "Your order total has changed. Please review your cart and try again.",
+      });
+    }
+    pricing.tip = serverPricing.tip;
+
     // Log restaurant assignment for debugging
     logger.info("✅ Restaurant assigned to order:", {
       assignedRestaurantId: assignedRestaurantId,
@@ -385,6 +526,40 @@ export const createOrder = async (req, res) => {
       pricing.couponCode = pricing.appliedCoupon.code;
     }
 
+    // Re-check platform coupons now that the user and payment method are known
+    const platformCoupon = pricing.couponCode
+      ? await applyPlatformCoupon({
+          couponCode: pricing.couponCode,
+          userId,
+          restaurant,
+          zoneId: restaurantZone?._id,
+          subtotal: pricing.subtotal,
+          paymentMethod: normalizedPaymentMethod,
+        })
+      : null;
+
+    if (platformCoupon && !platformCoupon.valid) {
+      logger.warn("⚠️ Platform coupon rejected at checkout:", {
+        couponCode: pricing.couponCode,
+        userId,
+        reason: platformCoupon.message,
+      });
+      return res.status(400).json({
+        success: false,
+        message: platformCoupon.message,
+      });
+    }
+
+    if (
+      platformCoupon &&
+      Math.round(platformCoupon.discount) !== Math.round(pricing.discount || 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon discount has changed. Please review your cart and try again.",
+      });
+    }
+
     // --- Dynamic Commission Calculation Start ---
     const CommissionSettings = (
       await import("../../admin/models/CommissionSettings.js")
@@ -577,6 +752,22 @@ export const createOrder = async (req, res) => {
         });
       }
     }
+
+    // Subscribed restaurants pay the plan fee instead of per-order platform commission
+    if (subscriptionCheck.subscription) {
+      commissionBreakdown.admin = 0;
+      commissionBreakdown.restaurant =
+        Math.round((pricing.subtotal - (commissionBreakdown.hotel || 0)) * 100) / 100;
+      commissionPercentages.admin = 0;
+      commissionPercentages.restaurant =
+        Math.round((100 - (commissionPercentages.hotel || 0)) * 100) / 100;
+
+      logger.info("💰 Subscription plan active - platform commission waived:", {
+        restaurantId: assignedRestaurantId,
+        subscriptionId: subscriptionCheck.subscription._id.toString(),
+        breakdown: commissionBreakdown,
+      });
+    }
     // --- Dynamic Commission Calculation End ---
 
     // Extract user location from address (live location from Firebase or address)
@@ -611,13 +802,20 @@ export const createOrder = async (req, res) => {
       restaurantLocation: restaurantLat && restaurantLng ? { lat: restaurantLat, lng: restaurantLng } : "missing",
     });
 
+    // Accept window is fixed at checkout so later setting changes don't move it
+    const acceptZoneId = restaurantZone?._id?.toString() || null;
+    const acceptWindowSeconds = resolveAcceptWindowSeconds(
+      await getAcceptanceSettings(),
+      { restaurantId: assignedRestaurantId, zoneId: acceptZoneId },
+    );
+
     // Create order in database with pending status
     const order = new Order({
       orderId: generatedOrderId,
       userId,
       restaurantId: assignedRestaurantId,
       restaurantName: assignedRestaurantName,
-      items,
+      items: pricedItems,
       address: addressWithLocation,
       restaurantLocation: restaurantLocationData,
       pricing: {
@@ -627,6 +825,26 @@ export const createOrder = async (req, res) => {
       // Save commission data
       commissionBreakdown,
       commissionPercentages,
+      subscription: {
+        subscriptionId: subscriptionCheck.subscription?._id || null,
+        commissionWaived: !!subscriptionCheck.subscription,
+      },
+      couponFunding: platformCoupon
+        ? {
+            couponId: platformCoupon.coupon._id,
+            code: platformCoupon.coupon.code,
+            discount: platformCoupon.discount,
+            platform: platformCoupon.funding.platform,
+            restaurant: platformCoupon.funding.restaurant,
+          }
+        : undefined,
+      scheduledDelivery: scheduledDelivery
+        ? { isScheduled: true, ...scheduledDelivery }
+        : undefined,
+      acceptance: {
+        windowSeconds: acceptWindowSeconds,
+        zoneId: acceptZoneId,
+      },
 
       deliveryFleet: deliveryFleet || "standard",
       note: note || "",
@@ -656,7 +874,8 @@ export const createOrder = async (req, res) => {
         hotelReference || normalizedPaymentMethod === "pay_at_hotel"
           ? "QR"
           : "DIRECT",
-      roomNumber: roomNumber || null,
+      roomNumber: hotelRoom ? hotelRoom.roomNumber : roomNumber || null,
+      hotelRoomId: hotelRoom ? hotelRoom._id : null,
       // Initialize commission split fields
       hotelCommission: commissionBreakdown.hotel || 0,
       adminCommission: commissionBreakdown.admin || 0,
@@ -754,7 +973,74 @@ export const createOrder = async (req, res) => {
       // Continue with order creation even if ETA calculation fails
     }
 
-    await order.save();
+    // Turn away wallet orders the balance can't cover before reserving anything
+    if (normalizedPaymentMethod === "wallet") {
+      const wallet = await UserWallet.findOrCreateByUserId(userId);
+      if (pricing.total > wallet.balance) {
+        return res.status(400).json({
+          success: false,
+          message: "Insufficient wallet balance",
+          data: {
+            required: pricing.total,
+            available: wallet.balance,
+            shortfall: pricing.total - wallet.balance,
+          },
+        });
+      }
+    }
+
+    // Take a use from the coupon's global and per-user caps before the order exists
+    if (platformCoupon) {
+      try {
+        await reserveCouponUsage(platformCoupon.coupon, userId);
+      } catch (couponError) {
+        return res.status(couponError.statusCode || 409).json({
+          success: false,
+          message: couponError.message,
+        });
+      }
+    }
+
+    // Count the order against the plan's order cap; the check above only
+    // turns customers away early, this is the one that holds under load
+    if (subscriptionCheck.subscription) {
+      try {
+        await reserveSubscriptionOrder(subscriptionCheck.subscription, restaurant);
+      } catch (subscriptionError) {
+        logger.warn("⚠️ Restaurant subscription order cap reached at placement:", {
+          restaurantId: restaurant._id?.toString(),
+          subscriptionId: subscriptionCheck.subscription._id?.toString(),
+        });
+        await releaseCouponUsage(platformCoupon?.coupon._id, userId);
+        return res.status(subscriptionError.statusCode || 403).json({
+          success: false,
+          message: subscriptionError.message,
+        });
+      }
+    }
+
+    // Validation or write failures hand back what was reserved above
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseCouponUsage(platformCoupon?.coupon._id, userId);
+      await releaseSubscriptionOrder(subscriptionCheck.subscription?._id);
+      throw saveError;
+    }
+
+    if (platformCoupon) {
+      try {
+        await recordCouponRedemption({
+          coupon: platformCoupon.coupon,
+          order,
+          restaurantId: restaurant._id,
+          discount: platformCoupon.discount,
+          funding: platformCoupon.funding,
+        });
+      } catch (couponError) {
+        logger.error("❌ Error recording coupon redemption:", couponError);
+      }
+    }
 
     // Log order creation for debugging
     logger.info("Order created successfully:", {
@@ -774,8 +1060,15 @@ export const createOrder = async (req, res) => {
         // Find or create wallet
         const wallet = await UserWallet.findOrCreateByUserId(userId);
 
-        // Check if sufficient balance
+        // The balance was checked before placement; it can still have been
+        // spent since, and then the order is dropped with its reservations
         if (pricing.total > wallet.balance) {
+          order.status = "cancelled";
+          order.payment.status = "failed";
+          order.cancellationReason = "Insufficient wallet balance";
+          order.cancelledAt = new Date();
+          await order.save();
+          await releaseOrderReservations(order._id);
           return res.status(400).json({
             success: false,
             message: "Insufficient wallet balance",
@@ -810,7 +1103,7 @@ export const createOrder = async (req, res) => {
             orderId: order._id,
           });
 
-          await wallet.save();
+          await wallet.saveWithLedger();
 
           // Update user's wallet balance in User model (for backward compatibility)
           const User = (await import("../../auth/models/User.js")).default;
@@ -831,34 +1124,43 @@ export const createOrder = async (req, res) => {
         // Note: Commission calculation is already handled earlier in the function
         // for all order types using the optimized dynamic logic.
 
-        // Mark order as confirmed and payment as completed
+        // Mark order as confirmed and payment as completed.
+        // Pre-orders are held until the scheduler releases them to the restaurant.
         order.payment.method = "wallet";
         order.payment.status = "completed";
-        order.status = "confirmed";
-        order.tracking.confirmed = {
-          status: true,
-          timestamp: new Date(),
-        };
+        if (order.scheduledDelivery?.isScheduled) {
+          order.status = "scheduled";
+        } else {
+          order.status = "confirmed";
+          order.tracking.confirmed = {
+            status: true,
+            timestamp: new Date(),
+          };
+        }
 
         await order.save();
 
         // Notify restaurant about new wallet payment order
-        try {
-          const notifyRestaurantResult = await notifyRestaurantNewOrder(
-            order,
-            assignedRestaurantId,
-            "wallet",
-          );
-          logger.info(
-            "✅ Wallet payment order notification sent to restaurant",
-            {
-              orderId: order.orderId,
-              restaurantId: assignedRestaurantId,
-              notifyRestaurantResult,
-            },
-          );
-        } catch (notifyError) {
-          logger.error("❌ Error notifying restaurant:", notifyError);
+        // (pre-orders are notified by the scheduler when released)
+        if (!order.scheduledDelivery?.isScheduled) {
+          try {
+            const notifyRestaurantResult = await notifyRestaurantNewOrder(
+              order,
+              assignedRestaurantId,
+              "wallet",
+            );
+            logger.info(
+              "✅ Wallet payment order notification sent to restaurant",
+              {
+                orderId: order.orderId,
+                restaurantId: assignedRestaurantId,
+                notifyRestaurantResult,
+              },
+            );
+          } catch (notifyError) {
+            logger.error("❌ Error notifying restaurant:", notifyError);
+          }
+          await scheduleAutoReject(order._id);
         }
 
         // Send push notification to user about order placement
@@ -941,6 +1243,19 @@ export const createOrder = async (req, res) => {
         );
       }
 
+      // Charge the order to the room's folio so the stay can be settled at checkout
+      try {
+        const folio = await attachOrderToFolio(order);
+        if (folio) {
+          order.folioId = folio._id;
+        }
+      } catch (folioError) {
+        logger.error("❌ Error attaching Pay at Hotel order to folio:", {
+          error: folioError.message,
+          orderId: order.orderId,
+        });
+      }
+
       // Mark as confirmed - Hotel orders are auto-confirmed
       order.payment.status = "pending";
       await order.save();
@@ -1026,14 +1341,19 @@ export const createOrder = async (req, res) => {
         );
       }
 
-      // Mark order as confirmed so restaurant can prepare it (ensure payment.method is cash for notification)
+      // Mark order as confirmed so restaurant can prepare it (ensure payment.method is cash for notification).
+      // Pre-orders are held until the scheduler releases them to the restaurant.
       order.payment.method = "cash";
       order.payment.status = "pending";
-      order.status = "confirmed";
-      order.tracking.confirmed = {
-        status: true,
-        timestamp: new Date(),
-      };
+      if (order.scheduledDelivery?.isScheduled) {
+        order.status = "scheduled";
+      } else {
+        order.status = "confirmed";
+        order.tracking.confirmed = {
+          status: true,
+          timestamp: new Date(),
+        };
+      }
       await order.save();
 
       // Send push notification to user about order placement
@@ -1048,25 +1368,29 @@ export const createOrder = async (req, res) => {
       }
 
       // Notify restaurant about new COD order via Socket.IO (non-blocking)
-      try {
-        const notifyRestaurantResult = await notifyRestaurantNewOrder(
-          order,
-          assignedRestaurantId,
-          "cash",
-        );
-        logger.info("✅ COD order notification sent to restaurant", {
-          orderId: order.orderId,
-          restaurantId: assignedRestaurantId,
-          notifyRestaurantResult,
-        });
-      } catch (notifyError) {
-        logger.error(
-          "❌ Error notifying restaurant about COD order (order still created):",
-          {
-            error: notifyError.message,
-            stack: notifyError.stack,
-          },
-        );
+      // (pre-orders are notified by the scheduler when released)
+      if (!order.scheduledDelivery?.isScheduled) {
+        try {
+          const notifyRestaurantResult = await notifyRestaurantNewOrder(
+            order,
+            assignedRestaurantId,
+            "cash",
+          );
+          logger.info("✅ COD order notification sent to restaurant", {
+            orderId: order.orderId,
+            restaurantId: assignedRestaurantId,
+            notifyRestaurantResult,
+          });
+        } catch (notifyError) {
+          logger.error(
+            "❌ Error notifying restaurant about COD order (order still created):",
+            {
+              error: notifyError.message,
+              stack: notifyError.stack,
+            },
+          );
+        }
+        await scheduleAutoReject(order._id);
       }
 
       // Respond to client (no Razorpay details for COD)
@@ -1238,9 +1562,12 @@ export const verifyOrderPayment = async (req, res) => {
     );
 
     if (!isValid) {
-      // Update order payment status to failed
-      order.payment.status = "failed";
-      await order.save();
+      // Update order payment status to failed (never downgrades an order
+      // the webhook has already marked paid)
+      await markOrderPaymentFailed(order, {
+        razorpayPaymentId,
+        reason: "invalid_signature",
+      });
 
       return res.status(400).json({
         success: false,
@@ -1248,217 +1575,21 @@ export const verifyOrderPayment = async (req, res) => {
       });
     }
 
-    // Create payment record
-    const payment = new Payment({
-      paymentId: `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-      orderId: order._id,
-      userId,
-      amount: order.pricing.total,
-      currency: "INR",
-      method: "razorpay",
-      status: "completed",
-      razorpay: {
-        orderId: razorpayOrderId,
-        paymentId: razorpayPaymentId,
-        signature: razorpaySignature,
-      },
-      transactionId: razorpayPaymentId,
-      completedAt: new Date(),
-      logs: [
-        {
-          action: "completed",
-          timestamp: new Date(),
-          details: {
-            razorpayOrderId,
-            razorpayPaymentId,
-          },
-          ipAddress: req.ip,
-          userAgent: req.get("user-agent"),
-        },
-      ],
+    // Shared with the Razorpay webhook; whichever arrives first confirms the
+    // order, the other gets the already-recorded payment back
+    const { order: paidOrder, payment } = await confirmOrderPayment(order, {
+      razorpayOrderId,
+      razorpayPaymentId,
+      razorpaySignature,
+      source: "client",
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
     });
-
-    await payment.save();
-
-    // Update order status
-    order.payment.status = "completed";
-    order.payment.razorpayPaymentId = razorpayPaymentId;
-    order.payment.razorpaySignature = razorpaySignature;
-    order.payment.transactionId = razorpayPaymentId;
-    order.status = "confirmed";
-    order.tracking.confirmed = { status: true, timestamp: new Date() };
-
-    // For online payments, mark as cash collected N/A or true since it's paid
-    order.cashCollected = true;
-
-    await order.save();
-
-    // Send push notification to user about order placement
-    // NOTE: Restaurant notification is already sent via notifyRestaurantNewOrder (Socket.IO + FCM)
-    // So we don't need to send duplicate FCM notification here
-    try {
-      const { notifyUserOrderPlaced } = 
-        await import("../../fcm/services/pushNotificationService.js");
-      await notifyUserOrderPlaced(order);
-    } catch (pushError) {
-      logger.error("❌ Error sending push notifications:", pushError);
-    }
-
-    // Calculate order settlement and hold escrow
-    try {
-      // Calculate settlement breakdown
-      const settlement = await calculateOrderSettlement(order._id);
-
-      // Hold funds in escrow
-      await holdEscrow(order._id, userId, order.pricing.total);
-
-      // Instant Wallet Credits for Admin and Hotel (for Online Payments)
-      if (
-        order.payment.status === "completed" &&
-        order.payment.method === "razorpay"
-      ) {
-        const { creditAdminWallet, creditHotelWallet } =
-          await import("../services/escrowWalletService.js");
-
-        // Credit Admin Wallet immediately
-        if (
-          settlement.adminEarning &&
-          settlement.adminEarning.totalEarning > 0
-        ) {
-          await creditAdminWallet(
-            order._id,
-            settlement.adminEarning.commission,
-            order.orderId,
-            order.pricing.total,
-          );
-        }
-
-        // Credit Hotel Wallet immediately for QR orders
-        if (
-          order.orderType === "QR" &&
-          settlement.hotelEarning &&
-          settlement.hotelEarning.commission > 0
-        ) {
-          await creditHotelWallet(
-            settlement.hotelEarning.hotelId,
-            order._id,
-            settlement.hotelEarning.commission,
-            order.orderId,
-            order.pricing.total,
-          );
-        }
-
-        // Trigger QR Commission split immediately for Online Payments
-        if (order.orderType === "QR") {
-          try {
-            await distributeCommissions(order._id);
-            logger.info(
-              `✅ Instant QR commission distributed for order ${order.orderId}`,
-            );
-          } catch (distErr) {
-            logger.error(
-              `❌ Failed to distribute instant QR commission: ${distErr.message}`,
-            );
-          }
-        }
-      }
-
-      logger.info(
-        `✅ Order settlement calculated, escrow held, and instant credits processed for order ${order.orderId}`,
-      );
-    } catch (settlementError) {
-      logger.error(
-        `❌ Error calculating settlement for order ${order.orderId}:`,
-        settlementError,
-      );
-      // Don't fail payment verification if settlement calculation fails
-      // But log it for investigation
-    }
-
-    // Notify restaurant about confirmed order (payment verified)
-    try {
-      const restaurantId = order.restaurantId?.toString() || order.restaurantId;
-      const restaurantName = order.restaurantName;
-
-      // CRITICAL: Log detailed info before notification
-      logger.info(
-        "🔔 CRITICAL: Attempting to notify restaurant about confirmed order:",
-        {
-          orderId: order.orderId,
-          orderMongoId: order._id.toString(),
-          restaurantId: restaurantId,
-          restaurantName: restaurantName,
-          restaurantIdType: typeof restaurantId,
-          orderRestaurantId: order.restaurantId,
-          orderRestaurantIdType: typeof order.restaurantId,
-          orderStatus: order.status,
-          orderCreatedAt: order.createdAt,
-          orderItems: order.items.map((item) => ({
-            name: item.name,
-            quantity: item.quantity,
-          })),
-        },
-      );
-
-      // Verify order has restaurantId before notifying
-      if (!restaurantId) {
-        logger.error(
-          "❌ CRITICAL: Cannot notify restaurant - order.restaurantId is missing!",
-          {
-            orderId: order.orderId,
-            order: {
-              _id: order._id?.toString(),
-              restaurantId: order.restaurantId,
-              restaurantName: order.restaurantName,
-            },
-          },
-        );
-        throw new Error("Order restaurantId is missing");
-      }
-
-      // Verify order has restaurantName before notifying
-      if (!restaurantName) {
-        logger.warn("⚠️ Order restaurantName is missing:", {
-          orderId: order.orderId,
-          restaurantId: restaurantId,
-        });
-      }
-
-      const notificationResult = await notifyRestaurantNewOrder(
-        order,
-        restaurantId,
-      );
-
-      logger.info(
-        `✅ Successfully notified restaurant about confirmed order:`,
-        {
-          orderId: order.orderId,
-          restaurantId: restaurantId,
-          restaurantName: restaurantName,
-          notificationResult: notificationResult,
-        },
-      );
-    } catch (notificationError) {
-      logger.error(
-        `❌ CRITICAL: Error notifying restaurant after payment verification:`,
-        {
-          error: notificationError.message,
-          stack: notificationError.stack,
-          orderId: order.orderId,
-          orderMongoId: order._id?.toString(),
-          restaurantId: order.restaurantId,
-          restaurantName: order.restaurantName,
-          orderStatus: order.status,
-        },
-      );
-      // Don't fail payment verification if notification fails
-      // Order is still saved and restaurant can fetch it via API
-      // But log it as critical for debugging
-    }
+    order = paidOrder;
 
     logger.info(`Order payment verified: ${order.orderId}`, {
       orderId: order.orderId,
-      paymentId: payment.paymentId,
+      paymentId: payment?.paymentId,
       razorpayPaymentId,
     });
 
@@ -1471,9 +1602,9 @@ export const verifyOrderPayment = async (req, res) => {
           status: order.status,
         },
         payment: {
-          id: payment._id.toString(),
-          paymentId: payment.paymentId,
-          status: payment.status,
+          id: payment?._id?.toString(),
+          paymentId: payment?.paymentId,
+          status: payment?.status || order.payment.status,
         },
       },
     });
@@ -1598,6 +1729,7 @@ export const getOrderDetails = async (req, res) => {
       })
         .populate("deliveryPartnerId", "name email phone")
         .populate("userId", "name fullName phone email")
+        .select("+deliveryVerification.otp")
         .lean();
     }
 
@@ -1609,6 +1741,7 @@ export const getOrderDetails = async (req, res) => {
       })
         .populate("deliveryPartnerId", "name email phone")
         .populate("userId", "name fullName phone email")
+        .select("+deliveryVerification.otp")
         .lean();
     }
 
@@ -1619,6 +1752,13 @@ export const getOrderDetails = async (req, res) => {
       });
     }
 
+    // Handover code is only shown while the order is on its way
+    const deliveryOtp = await ensureHandoverOtp(order);
+    order.deliveryVerification = {
+      ...(order.deliveryVerification || {}),
+      otp: deliveryOtp || undefined,
+    };
+
     // Get payment details
     const payment = await Payment.findOne({
       orderId: order._id,
@@ -1774,6 +1914,8 @@ export const cancelOrder = async (req, res) => {
     order.cancelledBy = "user";
     order.cancelledAt = new Date();
     await order.save();
+    await releaseCouponRedemption(order._id);
+    await releaseOrderSubscriptionSlot(order._id);
 
     // Calculate refund amount only for online payments (Razorpay) and wallet
     // COD orders don't need refund since payment hasn't been made
@@ -1830,7 +1972,7 @@ export const cancelOrder = async (req, res) => {
  */
 export const calculateOrder = async (req, res) => {
   try {
-    const { items, restaurantId, deliveryAddress, couponCode, deliveryFleet } =
+    const { items, restaurantId, deliveryAddress, couponCode, deliveryFleet, paymentMethod, tip } =
       req.body;
 
     // Validate required fields
@@ -1851,7 +1993,9 @@ export const calculateOrder = async (req, res) => {
       deliveryAddress,
       couponCode,
       deliveryFleet: deliveryFleet || "standard",
-      userId // Pass userId to fetch location from Firebase (reduces Google Maps API calls)
+      userId, // Pass userId to fetch location from Firebase (reduces Google Maps API calls)
+      paymentMethod: paymentMethod || null,
+      tip,
     });
 
     res.json({
@@ -1865,10 +2009,51 @@ export const calculateOrder = async (req, res) => {
       error: error.message,
       stack: error.stack,
     });
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to calculate order pricing",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 };
+
+/**
+ * Get bookable delivery slots for scheduled (pre-order) deliveries
+ * GET /api/order/schedule-slots?restaurantId=...&itemIds=id1,id2
+ */
+export const getScheduleSlots = async (req, res) => {
+  try {
+    const { restaurantId, itemIds } = req.query;
+
+    if (!restaurantId) {
+      return res.status(400).json({
+        success: false,
+        message: "Restaurant ID is required",
+      });
+    }
+
+    const schedule = await getScheduleSlotsForRestaurant({
+      restaurantId,
+      itemIds: itemIds
+        ? String(itemIds)
+            .split(",")
+            .map((id) => id.trim())
+            .filter(Boolean)
+        : [],
+    });
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error(`Error fetching schedule slots: ${error.message}`, {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to fetch delivery slots",
+    });
+  }
+};
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import TaxInvoice from "../models/TaxInvoice.js";
+import {
+  issueInvoiceForOrder,
+  getOrderTaxDocuments,
+  taxDocumentToPdf,
+} from "../services/taxInvoiceService.js";
+
+const findUserOrder = async (userId, id) => {
+  if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
+    const order = await Order.findOne({ _id: id, userId }).select("_id orderId status").lean();
+    if (order) return order;
+  }
+  return Order.findOne({ orderId: id, userId }).select("_id orderId status").lean();
+};
+
+/**
+ * List the GST invoice and credit notes of an order
+ * @route GET /api/order/:id/tax-documents
+ * @access Private (User)
+ */
+export const getUserOrderTaxDocuments = async (req, res) => {
+  try {
+    const order = await findUserOrder(req.user.id, req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Orders delivered before invoicing existed get their invoice on first request
+    if (order.status === "delivered") {
+      await issueInvoiceForOrder(order._id);
+    }
+
+    const documents = await getOrderTaxDocuments(order._id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        documents: documents.map((document) => ({
+          _id: document._id,
+          documentType: document.documentType,
+          number: document.number,
+          issuedAt: document.issuedAt,
+          originalInvoiceNumber: document.originalInvoiceNumber,
+          grandTotal: document.totals?.grandTotal,
+          totalTax: document.totals?.totalTax,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order tax documents:", error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to fetch tax documents",
+    });
+  }
+};
+
+/**
+ * Download a GST invoice or credit note of an order as PDF
+ * @route GET /api/order/:id/tax-documents/:documentId/pdf
+ * @access Private (User)
+ */
+export const downloadUserOrderTaxDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const order = await findUserOrder(req.user.id, req.params.id);
+    if (!order || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax document not found",
+      });
+    }
+
+    const document = await TaxInvoice.findOne({ _id: documentId, order: order._id }).lean();
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax document not found",
+      });
+    }
+
+    const pdf = await taxDocumentToPdf(document);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${document.number.replace(/\//g, "-")}.pdf"`,
+    );
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error generating tax document PDF:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate tax document",
+      error: error.message,
+    });
+  }
+};
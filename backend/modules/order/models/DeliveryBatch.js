@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+/**
+ * DeliveryBatch Model
+ * Two or three orders carried by one rider in a single multi-stop trip.
+ * Stops are stored in the planned visiting order; whether a stop is done is
+ * read from its order's delivery state.
+ *
+ * active -> completed (every order delivered or cancelled)
+ * active -> cancelled (no orders left on the batch)
+ */
+const batchStopSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['pickup', 'drop'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  name: String, // Restaurant or customer name
+  address: String,
+  location: {
+    latitude: Number,
+    longitude: Number
+  },
+  plannedArrivalMinutes: Number // From batch creation
+}, { _id: false });
+
+const deliveryBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  deliveryPartnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  stops: [batchStopSchema],
+  route: {
+    coordinates: [[Number]], // [[lat, lng], ...]
+    distance: Number, // in km
+    duration: Number, // in minutes
+    method: String, // 'osrm', 'haversine', 'haversine_fallback'
+    calculatedAt: Date
+  },
+  // How much later each customer gets their order than on a solo trip
+  etaImpact: [{
+    _id: false,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    soloMinutes: Number,
+    batchedMinutes: Number,
+    impactMinutes: Number
+  }],
+  earnings: {
+    bonusPerExtraOrder: {
+      type: Number,
+      default: 0
+    },
+    batchBonus: {
+      type: Number,
+      default: 0
+    },
+    bonusCreditedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+deliveryBatchSchema.index({ deliveryPartnerId: 1, status: 1 });
+// One running trip per rider, even when two assignments save at once
+deliveryBatchSchema.index(
+  { deliveryPartnerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+deliveryBatchSchema.index({ orders: 1 });
+
+export default mongoose.model('DeliveryBatch', deliveryBatchSchema);
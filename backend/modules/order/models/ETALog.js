@@ -46,6 +46,7 @@ const etaLogSchema = new mongoose.Schema({
       'RIDER_STARTED_DELIVERY',
       'TRAFFIC_UPDATE',
       'RIDER_NEARING_DROP',
+      'BATCH_UPDATED',
       'MANUAL_UPDATE'
     ]
   },
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+/**
+ * Running counter behind invoice and credit note numbers.
+ * GST needs a consecutive series per supplier and financial year, so there is
+ * one counter per restaurant, financial year and document type.
+ */
+const invoiceSequenceSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    financialYear: {
+      type: String, // e.g. "2026-27"
+      required: true,
+    },
+    documentType: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    lastNumber: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+invoiceSequenceSchema.index(
+  { restaurant: 1, financialYear: 1, documentType: 1 },
+  { unique: true },
+);
+
+export default mongoose.model("InvoiceSequence", invoiceSequenceSchema);
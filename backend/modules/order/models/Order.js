@@ -1,5 +1,36 @@
 import mongoose from "mongoose";
 
+const orderItemAddonSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: String,
+      required: true,
+    },
+    groupName: {
+      type: String,
+    },
+    optionId: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false },
+);
+
 const orderItemSchema = new mongoose.Schema(
   {
     itemId: {
@@ -37,10 +68,62 @@ const orderItemSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Unit price before add-ons (variant or item price). `price` includes add-ons.
+    basePrice: {
+      type: Number,
+      default: null,
+    },
+    selectedAddons: {
+      type: [orderItemAddonSchema],
+      default: [],
+    },
+    // Per-unit add-on total, priced server-side from the menu
+    addonsTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Free-text customization for this line (e.g. "no onions")
+    specialInstructions: {
+      type: String,
+      trim: true,
+      maxlength: 250,
+      default: "",
+    },
   },
   { _id: true },
 );
 
+// Who in the restaurant panel performed an order action (owner or a staff login)
+const restaurantActionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["accepted", "rejected", "preparing", "ready"],
+      required: true,
+    },
+    performedByRole: {
+      type: String,
+      enum: ["owner", "manager", "staff"],
+      required: true,
+    },
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StaffManagement",
+      default: null,
+    },
+    staffName: {
+      type: String,
+      default: null,
+    },
+    performedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const orderSchema = new mongoose.Schema(
   {
     orderId: {
@@ -90,6 +173,17 @@ const orderSchema = new mongoose.Schema(
         message: "Room number is required for Pay at Hotel orders",
       },
     },
+    hotelRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "HotelRoom",
+      default: null, // Set when the room was verified against the hotel's room list
+    },
+    folioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "HotelFolio",
+      default: null, // Guest folio a pay_at_hotel order is charged to
+      index: true,
+    },
     items: {
       type: [orderItemSchema],
       required: true,
@@ -180,6 +274,12 @@ const orderSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Checkout tip for the delivery partner, included in total
+      tip: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       total: {
         type: Number,
         required: true,
@@ -243,6 +343,7 @@ const orderSchema = new mongoose.Schema(
       type: String,
       enum: [
         "pending",
+        "scheduled",
         "confirmed",
         "preparing",
         "ready",
@@ -319,6 +420,62 @@ const orderSchema = new mongoose.Schema(
       type: Number, // Maximum preparation time from order items (in minutes)
       default: 0,
     },
+    // Set when the restaurant was on an active subscription plan (no platform commission)
+    subscription: {
+      subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RestaurantSubscription",
+        default: null,
+      },
+      commissionWaived: {
+        type: Boolean,
+        default: false,
+      },
+      // Set once the order's plan slot has been given back (cancelled / rejected)
+      slotReleasedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Platform coupon cost split (set only for admin-issued coupons)
+    couponFunding: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      code: { type: String, default: null },
+      discount: { type: Number, default: 0, min: 0 },
+      platform: { type: Number, default: 0, min: 0 },
+      restaurant: { type: Number, default: 0, min: 0 },
+    },
+    // Pre-order for a future slot. The order stays in "scheduled" status
+    // (hidden from the restaurant) until releaseAt, then becomes "confirmed".
+    scheduledDelivery: {
+      isScheduled: { type: Boolean, default: false },
+      scheduledFor: { type: Date, default: null },
+      releaseAt: { type: Date, default: null },
+      releasedAt: { type: Date, default: null },
+    },
+    // Restaurant accept window resolved at checkout (restaurant, zone or
+    // platform setting) and the escalation steps already sent for it
+    acceptance: {
+      windowSeconds: { type: Number, default: null },
+      zoneId: { type: String, default: null },
+      escalations: {
+        type: [
+          {
+            _id: false,
+            action: {
+              type: String,
+              enum: ["ring", "push", "sms", "admin_alert"],
+            },
+            sentAt: Date,
+          },
+        ],
+        default: [],
+      },
+    },
     // Order Type (Direct vs QR)
     orderType: {
       type: String,
@@ -343,6 +500,11 @@ const orderSchema = new mongoose.Schema(
       enum: ["user", "restaurant", "admin"],
       default: null,
     },
+    // Audit of restaurant panel actions on this order
+    restaurantActions: {
+      type: [restaurantActionSchema],
+      default: [],
+    },
     // Customer Review and Rating
     review: {
       rating: {
@@ -376,6 +538,7 @@ const orderSchema = new mongoose.Schema(
           "manual",
           "nearest_available",
           "delivery_accept",
+          "batched",
         ],
       },
       zoneId: String,
@@ -426,6 +589,91 @@ const orderSchema = new mongoose.Schema(
         method: String, // 'osrm', 'dijkstra', 'haversine'
       },
     },
+    // Set when the order shares a trip with other orders (see
+    // orderBatchingService). etaImpactMinutes is how much later the customer
+    // gets the order than on a solo trip; it is kept within the batching limit.
+    deliveryBatch: {
+      batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryBatch",
+        default: null,
+      },
+      pickupSequence: Number,
+      dropSequence: Number,
+      etaImpactMinutes: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Handover proof. The customer reads the code to the rider; when that is
+    // not possible the rider completes with a doorstep photo taken inside the
+    // geofence around address.location. Kept for dispute handling.
+    deliveryVerification: {
+      otp: {
+        type: String,
+        select: false, // Only the customer's order details include it
+      },
+      otpGeneratedAt: Date,
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      method: {
+        type: String,
+        enum: ["otp", "photo", null],
+        default: null,
+      },
+      verifiedAt: Date,
+      customerUnreachableAt: Date, // Rider reported the customer unreachable at the door
+      fallbackReason: String,
+      needsReview: Boolean, // Photo handover that could not be geofenced
+      photo: {
+        url: String,
+        publicId: String,
+        uploadedAt: Date,
+      },
+      location: {
+        coordinates: [Number], // [lng, lat] where the rider completed
+        accuracy: Number, // in meters, as reported by the device
+      },
+      distanceFromAddressMeters: Number,
+      withinGeofence: Boolean,
+    },
+    // Rider tips. pricing.tip is paid with the order; postDelivery is added
+    // from order details once the order is delivered. Tips go to the rider's
+    // wallet in full, outside commission; creditedAmount is what has been
+    // paid out so far, refundedAmount what went back on cancellation.
+    deliveryTip: {
+      postDelivery: {
+        amount: {
+          type: Number,
+          min: 0,
+        },
+        paymentMethod: {
+          type: String,
+          enum: ["wallet", "razorpay"],
+        },
+        status: {
+          type: String,
+          enum: ["pending", "paid"],
+        },
+        razorpayOrderId: String,
+        razorpayPaymentId: String,
+        paidAt: Date,
+      },
+      creditedAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      creditedAt: Date,
+      refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      refundedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -436,7 +684,12 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ restaurantId: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, "scheduledDelivery.releaseAt": 1 });
 orderSchema.index({ "payment.razorpayOrderId": 1 });
+orderSchema.index({ "deliveryTip.postDelivery.razorpayOrderId": 1 }, { sparse: true });
+orderSchema.index({ "deliveryBatch.batchId": 1 }, { sparse: true });
+// Analytics rollups re-roll the days of recently changed orders
+orderSchema.index({ updatedAt: 1 });
 
 // Generate order ID before saving (fallback if not provided)
 orderSchema.pre("save", async function (next) {
@@ -445,6 +698,11 @@ orderSchema.pre("save", async function (next) {
     const random = Math.floor(Math.random() * 1000);
     this.orderId = `ORD-${timestamp}-${random}`;
   }
+  // Handover code the customer gives the delivery partner
+  if (this.isNew && !this.deliveryVerification?.otp) {
+    this.set("deliveryVerification.otp", String(Math.floor(1000 + Math.random() * 9000)));
+    this.set("deliveryVerification.otpGeneratedAt", new Date());
+  }
   next();
 });
 
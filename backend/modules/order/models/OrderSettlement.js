@@ -45,6 +45,7 @@ const orderSettlementSchema = new mongoose.Schema(
       platformFee: { type: Number, default: 0, min: 0 },
       gst: { type: Number, default: 0, min: 0 },
       packagingFee: { type: Number, default: 0, min: 0 },
+      tip: { type: Number, default: 0, min: 0 },
       total: { type: Number, required: true, min: 0 },
     },
 
@@ -87,6 +88,7 @@ const orderSettlementSchema = new mongoose.Schema(
       gst: { type: Number, required: true, min: 0 },
       deliveryMargin: { type: Number, default: 0, min: 0 }, // deliveryFee - deliveryPartnerEarning
       hotelCommission: { type: Number, default: 0, min: 0 }, // Admin commission from hotel QR orders
+      couponCost: { type: Number, default: 0, min: 0 }, // Platform-funded part of a platform coupon
       orderType: {
         type: String,
         enum: ["DIRECT", "QR"],
@@ -124,6 +126,14 @@ const orderSettlementSchema = new mongoose.Schema(
       creditedAt: Date,
     },
 
+    // Platform coupon funding (admin-issued coupons only)
+    couponFunding: {
+      couponCode: { type: String, default: null },
+      discount: { type: Number, default: 0, min: 0 },
+      platformShare: { type: Number, default: 0, min: 0 },
+      restaurantShare: { type: Number, default: 0, min: 0 },
+    },
+
     // Escrow Status
     escrowStatus: {
       type: String,
@@ -177,6 +187,7 @@ const orderSettlementSchema = new mongoose.Schema(
       },
       refundAmount: { type: Number, default: 0, min: 0 },
       restaurantCompensation: { type: Number, default: 0, min: 0 },
+      tipRefundAmount: { type: Number, default: 0, min: 0 }, // Checkout tip, included in refundAmount
       refundStatus: {
         type: String,
         enum: ["pending", "requested", "initiated", "processed", "failed"],
@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    gstin: String, // Empty for unregistered suppliers and B2C recipients
+    address: String,
+    phone: String,
+    stateName: String,
+    stateCode: String, // Two-digit GST state code, e.g. "29"
+  },
+  { _id: false },
+);
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    itemId: String,
+    description: {
+      type: String,
+      required: true,
+    },
+    hsnSac: String,
+    quantity: {
+      type: Number,
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+    },
+    grossAmount: {
+      type: Number,
+      default: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    taxableValue: {
+      type: Number,
+      default: 0,
+    },
+    gstRate: {
+      type: Number,
+      default: 0,
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+    },
+    igst: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * GST tax invoice issued when an order is delivered, and credit notes issued
+ * against it when (part of) the order is refunded. Documents are immutable
+ * once issued; a refund gets a new credit note instead of editing the invoice.
+ */
+const taxInvoiceSchema = new mongoose.Schema(
+  {
+    documentType: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    // One invoice per order, one credit note per refund
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    number: {
+      type: String,
+      required: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Credit notes only
+    originalInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaxInvoice",
+      default: null,
+    },
+    originalInvoiceNumber: String,
+    reason: String,
+    supplier: partySchema,
+    recipient: partySchema,
+    // Platform collecting the tax on the restaurant's behalf (section 9(5))
+    ecommerceOperator: {
+      name: String,
+      gstin: String,
+    },
+    placeOfSupply: {
+      stateName: String,
+      stateCode: String,
+    },
+    supplyType: {
+      type: String,
+      enum: ["intra_state", "inter_state"],
+      required: true,
+    },
+    lines: {
+      type: [invoiceLineSchema],
+      default: [],
+    },
+    // Delivery and platform fees charged on the same bill (not the restaurant's supply)
+    charges: [
+      {
+        _id: false,
+        description: String,
+        amount: Number,
+      },
+    ],
+    totals: {
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      charges: { type: Number, default: 0 },
+      roundOff: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+    paymentMethod: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+taxInvoiceSchema.index({ restaurant: 1, documentType: 1, number: 1 }, { unique: true });
+taxInvoiceSchema.index({ order: 1, documentType: 1 });
+taxInvoiceSchema.index({ restaurant: 1, issuedAt: -1 });
+taxInvoiceSchema.index({ issuedAt: -1 });
+
+export default mongoose.model("TaxInvoice", taxInvoiceSchema);
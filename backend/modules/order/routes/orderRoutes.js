@@ -7,7 +7,16 @@ import {
   calculateOrder,
   cancelOrder,
   updateOrderNote,
+  getScheduleSlots,
 } from "../controllers/orderController.js";
+import {
+  getUserOrderTaxDocuments,
+  downloadUserOrderTaxDocument,
+} from "../controllers/taxInvoiceController.js";
+import {
+  addDeliveryTip,
+  verifyDeliveryTipPayment,
+} from "../controllers/deliveryTipController.js";
 import { authenticate } from "../../auth/middleware/auth.js";
 
 const router = express.Router();
@@ -16,6 +25,9 @@ const router = express.Router();
 // This must be before the authenticate middleware
 router.post("/calculate", calculateOrder);
 
+// Delivery slots for scheduled orders (public - shown in cart before login)
+router.get("/schedule-slots", getScheduleSlots);
+
 // All other routes require authentication
 router.use(authenticate);
 
@@ -31,10 +43,18 @@ router.get("/", getUserOrders);
 // Get order details
 router.get("/:id", getOrderDetails);
 
+// GST invoice and credit notes
+router.get("/:id/tax-documents", getUserOrderTaxDocuments);
+router.get("/:id/tax-documents/:documentId/pdf", downloadUserOrderTaxDocument);
+
 // Cancel order
 router.patch("/:id/cancel", cancelOrder);
 
 // Update delivery instructions (note)
 router.patch("/:id/note", updateOrderNote);
 
+// Tip the delivery partner after delivery
+router.post("/:id/tip", addDeliveryTip);
+router.post("/:id/tip/verify", verifyDeliveryTipPayment);
+
 export default router;
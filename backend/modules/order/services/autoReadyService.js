@@ -1,94 +1,149 @@
+import winston from 'winston';
 import Order from '../models/Order.js';
 import { notifyDeliveryBoyOrderReady } from './deliveryNotificationService.js';
 
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Time at which a preparing order's ETA runs out
+ * @param {Object} order - Order with tracking.preparing.timestamp and estimatedDeliveryTime
+ * @returns {Date|null} Null when the order has no prep timer
+ */
+export function getReadyAt(order) {
+  const preparingTimestamp = order.tracking?.preparing?.timestamp;
+  const estimatedTime = order.estimatedDeliveryTime || 0;
+  if (!preparingTimestamp || estimatedTime <= 0) {
+    return null;
+  }
+  return new Date(new Date(preparingTimestamp).getTime() + estimatedTime * 60000);
+}
+
+/**
+ * Mark a single preparing order as ready once its ETA has elapsed.
+ * Safe to call more than once for the same order.
+ * @param {string} orderId - Order MongoDB _id
+ * @param {Date} now
+ * @returns {Promise<{ready: boolean, readyAt?: Date}>} readyAt is set when the
+ * order is still preparing but not yet due
+ */
+export async function autoReadyOrder(orderId, now = new Date()) {
+  const order = await Order.findById(orderId)
+    .select('orderId status tracking.preparing estimatedDeliveryTime')
+    .lean();
+  if (!order || order.status !== 'preparing') {
+    return { ready: false };
+  }
+
+  const readyAt = getReadyAt(order);
+  if (!readyAt) {
+    return { ready: false };
+  }
+  if (now < readyAt) {
+    return { ready: false, readyAt };
+  }
+
+  // Status guard in the filter so a manual "ready" or a cancellation in between wins
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'preparing' },
+    {
+      $set: {
+        status: 'ready',
+        'tracking.ready': {
+          status: true,
+          timestamp: now
+        }
+      }
+    },
+    { new: true }
+  )
+    .populate('restaurantId', 'name location address phone')
+    .populate('userId', 'name phone')
+    .populate('deliveryPartnerId', 'name phone')
+    .lean();
+
+  if (!updatedOrder) {
+    return { ready: false };
+  }
+
+  const elapsedMinutes = Math.floor((now - new Date(order.tracking.preparing.timestamp)) / 60000);
+  logger.info(`Order ${order.orderId} automatically marked as ready (ETA elapsed: ${elapsedMinutes} mins >= ${order.estimatedDeliveryTime} mins)`);
+
+  // Notify delivery boy if order is assigned
+  if (updatedOrder.deliveryPartnerId) {
+    try {
+      await notifyDeliveryBoyOrderReady(updatedOrder, updatedOrder.deliveryPartnerId._id || updatedOrder.deliveryPartnerId);
+      logger.info(`Notified delivery boy ${updatedOrder.deliveryPartnerId._id || updatedOrder.deliveryPartnerId} about order ${order.orderId} being ready`);
+    } catch (notifError) {
+      logger.error(`Error notifying delivery boy about order ${order.orderId}: ${notifError.message}`);
+    }
+  }
+
+  return { ready: true };
+}
+
 /**
  * Automatically mark orders as ready when ETA becomes 0
- * This runs as a cron job to check all preparing orders
+ * Runs as a polling cron when the job queue is unavailable, and as a periodic
+ * sweep behind the per-order jobs otherwise
  * @returns {Promise<{processed: number, message: string}>}
  */
 export async function processAutoReadyOrders() {
   try {
-    // Find all orders with status 'preparing' that have tracking.preparing.timestamp
-    const preparingOrders = await Order.find({
+    const now = new Date();
+
+    // Preparing orders whose prep timestamp + ETA (minutes) is already behind us
+    const dueOrders = await Order.find({
       status: 'preparing',
       'tracking.preparing.timestamp': { $exists: true },
-      estimatedDeliveryTime: { $exists: true, $gt: 0 }
+      estimatedDeliveryTime: { $exists: true, $gt: 0 },
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              '$tracking.preparing.timestamp',
+              { $multiply: ['$estimatedDeliveryTime', 60000] }
+            ]
+          },
+          now
+        ]
+      }
     })
-      .populate('deliveryPartnerId', 'name phone')
+      .select('_id orderId')
       .lean();
 
-    if (preparingOrders.length === 0) {
+    if (dueOrders.length === 0) {
       return { processed: 0, message: 'No preparing orders to check' };
     }
 
-    const now = new Date();
     let processedCount = 0;
-    const readyOrders = [];
-
-    for (const order of preparingOrders) {
-      const preparingTimestamp = order.tracking?.preparing?.timestamp;
-      if (!preparingTimestamp) {
-        continue;
-      }
-
-      // Calculate elapsed time in minutes
-      const elapsedMs = now - new Date(preparingTimestamp);
-      const elapsedMinutes = Math.floor(elapsedMs / 60000);
-      const estimatedTime = order.estimatedDeliveryTime || 0;
 
-      // Check if ETA has elapsed (with 5 second buffer to account for cron interval)
-      if (elapsedMinutes >= estimatedTime) {
-        try {
-          // Update order status to ready
-          const updatedOrder = await Order.findByIdAndUpdate(
-            order._id,
-            {
-              $set: {
-                status: 'ready',
-                'tracking.ready': {
-                  status: true,
-                  timestamp: now
-                }
-              }
-            },
-            { new: true }
-          )
-            .populate('restaurantId', 'name location address phone')
-            .populate('userId', 'name phone')
-            .populate('deliveryPartnerId', 'name phone')
-            .lean();
-
-          if (updatedOrder) {
-            readyOrders.push(updatedOrder);
-            processedCount++;
-
-            console.log(`✅ Order ${order.orderId} automatically marked as ready (ETA elapsed: ${elapsedMinutes} mins >= ${estimatedTime} mins)`);
-
-            // Notify delivery boy if order is assigned
-            if (updatedOrder.deliveryPartnerId) {
-              try {
-                await notifyDeliveryBoyOrderReady(updatedOrder, updatedOrder.deliveryPartnerId._id || updatedOrder.deliveryPartnerId);
-                console.log(`📢 Notified delivery boy ${updatedOrder.deliveryPartnerId._id || updatedOrder.deliveryPartnerId} about order ${order.orderId} being ready`);
-              } catch (notifError) {
-                console.error(`❌ Error notifying delivery boy about order ${order.orderId}:`, notifError);
-              }
-            }
-          }
-        } catch (updateError) {
-          console.error(`❌ Error updating order ${order.orderId} to ready:`, updateError);
+    for (const order of dueOrders) {
+      try {
+        const { ready } = await autoReadyOrder(order._id, now);
+        if (ready) {
+          processedCount++;
         }
+      } catch (updateError) {
+        logger.error(`Error updating order ${order.orderId} to ready: ${updateError.message}`);
       }
     }
 
     return {
       processed: processedCount,
-      message: processedCount > 0 
+      message: processedCount > 0
         ? `Marked ${processedCount} order(s) as ready automatically`
         : 'No orders ready yet'
     };
   } catch (error) {
-    console.error('❌ Error processing auto-ready orders:', error);
+    logger.error(`Error processing auto-ready orders: ${error.message}`);
     return { processed: 0, message: `Error: ${error.message}` };
   }
 }
-
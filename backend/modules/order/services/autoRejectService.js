@@ -1,106 +1,227 @@
+import winston from "winston";
 import Order from "../models/Order.js";
 import { notifyRestaurantOrderUpdate } from "./restaurantNotificationService.js";
 import { calculateCancellationRefund } from "./cancellationRefundService.js";
+import { releaseCouponRedemption } from "../../coupon/services/couponService.js";
+import { releaseOrderSubscriptionSlot } from "../../subscription/services/subscriptionService.js";
+import { recordMissedOrder } from "../../restaurant/services/restaurantReliabilityService.js";
+import {
+  DEFAULT_ACCEPT_WINDOW_SECONDS,
+  getAcceptanceSettings,
+  getPendingEscalations,
+  runDueEscalations,
+} from "./restaurantAcceptanceService.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+// Shortest accept window the settings allow; the sweep skips younger orders
+// unless an escalation step is due earlier
+const MIN_ACCEPT_WINDOW_SECONDS = 60;
+
+const AUTO_REJECT_REASON =
+  "Order not accepted within time limit. Restaurant did not respond in time.";
+
+// Unpaid online orders never reached the restaurant; processAbandonedOrderPayments
+// cancels them once the customer has had time to pay
+const AWAITING_ONLINE_PAYMENT = {
+  status: "pending",
+  "payment.method": "razorpay",
+  "payment.status": { $ne: "completed" },
+};
+
+const isAwaitingOnlinePayment = (order) =>
+  order.status === AWAITING_ONLINE_PAYMENT.status &&
+  order.payment?.method === AWAITING_ONLINE_PAYMENT["payment.method"] &&
+  order.payment?.status !== "completed";
+
+/**
+ * Start and end of an order's accept window. Scheduled orders only reach the
+ * restaurant when released, so their window starts then.
+ * @param {Object} order - Order with createdAt, scheduledDelivery and acceptance
+ * @returns {{windowStart: Date, deadline: Date}}
+ */
+export function getAcceptWindow(order) {
+  const windowStart = new Date(
+    order.scheduledDelivery?.releasedAt || order.createdAt,
+  );
+  const windowSeconds =
+    order.acceptance?.windowSeconds || DEFAULT_ACCEPT_WINDOW_SECONDS;
+  return {
+    windowStart,
+    deadline: new Date(windowStart.getTime() + windowSeconds * 1000),
+  };
+}
+
+/**
+ * Time after which an unaccepted order is rejected
+ * @param {Object} order - Order with createdAt, scheduledDelivery and acceptance
+ * @returns {Date}
+ */
+export function getAcceptDeadline(order) {
+  return getAcceptWindow(order).deadline;
+}
+
+/**
+ * Next time an unaccepted order needs attention: its next escalation step,
+ * or the deadline when none is left
+ * @param {Object} order - Order with status, createdAt, scheduledDelivery and acceptance
+ * @param {Object} settings - From getAcceptanceSettings
+ * @returns {Date}
+ */
+export function getNextAcceptCheck(order, settings) {
+  const window = getAcceptWindow(order);
+  const [nextStep] = getPendingEscalations(order, settings, window);
+  return nextStep?.dueAt || window.deadline;
+}
+
+/**
+ * Escalate a single order that is still waiting for the restaurant, or reject
+ * it if its accept window has passed. Safe to call more than once for the
+ * same order.
+ * @param {string} orderId - Order MongoDB _id
+ * @param {Date} now
+ * @param {Object} [settings] - From getAcceptanceSettings; fetched if omitted
+ * @returns {Promise<{rejected: boolean, dueAt?: Date}>} dueAt is set when the
+ * order is still waiting, to the next escalation step or the deadline
+ */
+export async function autoRejectOrder(orderId, now = new Date(), settings = null) {
+  const currentOrder = await Order.findById(orderId);
+  if (!currentOrder) {
+    return { rejected: false }; // Order was deleted
+  }
+
+  // Only reject if still in pending/confirmed status
+  if (
+    !["pending", "confirmed"].includes(currentOrder.status) ||
+    currentOrder.payment?.method === "pay_at_hotel"
+  ) {
+    return { rejected: false }; // Order was already accepted/rejected
+  }
+  if (isAwaitingOnlinePayment(currentOrder)) {
+    return { rejected: false };
+  }
+
+  const acceptanceSettings = settings || (await getAcceptanceSettings());
+  const window = getAcceptWindow(currentOrder);
+  if (now < window.deadline) {
+    const nextStepAt = await runDueEscalations(
+      currentOrder,
+      acceptanceSettings,
+      window,
+      now,
+    );
+    return { rejected: false, dueAt: nextStepAt || window.deadline };
+  }
+
+  const windowSeconds = Math.round(
+    (window.deadline - window.windowStart) / 1000,
+  );
+  const elapsedSeconds = Math.floor((now - window.windowStart) / 1000);
+  // Only confirmed orders were shown to the restaurant, so only they count as a miss
+  const missedByRestaurant = currentOrder.status === "confirmed";
+
+  // Update order status to cancelled
+  currentOrder.status = "cancelled";
+  currentOrder.cancellationReason = AUTO_REJECT_REASON;
+  currentOrder.cancelledBy = "restaurant";
+  currentOrder.cancelledAt = now;
+
+  await currentOrder.save();
+  await releaseCouponRedemption(currentOrder._id);
+  await releaseOrderSubscriptionSlot(currentOrder._id);
+
+  logger.info(
+    `Order ${currentOrder.orderId} automatically rejected (elapsed: ${elapsedSeconds}s >= ${windowSeconds}s)`,
+  );
+
+  if (missedByRestaurant) {
+    await recordMissedOrder(currentOrder.restaurantId, acceptanceSettings, now);
+  }
+
+  // Calculate refund amount but don't process automatically
+  // Admin will process refund manually via refund button
+  try {
+    await calculateCancellationRefund(currentOrder._id, AUTO_REJECT_REASON);
+    logger.info(
+      `Cancellation refund calculated for order ${currentOrder.orderId} - awaiting admin approval`,
+    );
+  } catch (refundError) {
+    logger.error(
+      `Error calculating cancellation refund for order ${currentOrder.orderId}: ${refundError.message}`,
+    );
+    // Don't fail order cancellation if refund calculation fails
+  }
+
+  // Notify about status update
+  try {
+    await notifyRestaurantOrderUpdate(currentOrder._id.toString(), "cancelled");
+  } catch (notifError) {
+    logger.error(
+      `Error sending notification for order ${currentOrder.orderId}: ${notifError.message}`,
+    );
+  }
+
+  return { rejected: true };
+}
 
 /**
- * Automatically reject orders that haven't been accepted within the accept time limit
- * This runs as a cron job to check all pending/confirmed orders
- * Accept time limit: 240 seconds (4 minutes)
+ * Escalate orders that are waiting for the restaurant and automatically
+ * reject those that haven't been accepted within their accept window.
+ * Runs as a polling cron when the job queue is unavailable, and as a periodic
+ * sweep behind the per-order jobs otherwise
  * @returns {Promise<{processed: number, message: string}>}
  */
 export async function processAutoRejectOrders() {
   try {
-    const ACCEPT_TIME_LIMIT_SECONDS = 240; // 4 minutes
-    const ACCEPT_TIME_LIMIT_MS = ACCEPT_TIME_LIMIT_SECONDS * 1000;
+    const now = new Date();
+    const settings = await getAcceptanceSettings();
+    const leadSeconds = Math.min(
+      MIN_ACCEPT_WINDOW_SECONDS,
+      ...settings.escalationSteps.map((step) => step.afterSeconds),
+    );
+    const cutoff = new Date(now.getTime() - leadSeconds * 1000);
 
-    // Find all orders with status 'pending' or 'confirmed' that haven't been accepted yet
-    // These are orders waiting for restaurant to accept
-    const validPendingOrders = await Order.find({
+    // Orders still waiting for the restaurant that may be due for an
+    // escalation step or past their accept window
+    const waitingOrders = await Order.find({
       status: { $in: ["pending", "confirmed"] },
       "payment.method": { $ne: "pay_at_hotel" },
-    }).lean();
+      $nor: [AWAITING_ONLINE_PAYMENT],
+      $or: [
+        { "scheduledDelivery.releasedAt": { $lte: cutoff } },
+        {
+          "scheduledDelivery.releasedAt": null,
+          createdAt: { $lte: cutoff },
+        },
+      ],
+    })
+      .select("_id orderId")
+      .lean();
 
-    if (validPendingOrders.length === 0) {
+    if (waitingOrders.length === 0) {
       return { processed: 0, message: "No pending orders to check" };
     }
 
-    const now = new Date();
     let processedCount = 0;
-    const rejectedOrders = [];
-
-    for (const order of validPendingOrders) {
-      const orderCreatedAt = new Date(order.createdAt);
-      const elapsedMs = now - orderCreatedAt;
-
-      // Check if accept time has expired
-      if (elapsedMs >= ACCEPT_TIME_LIMIT_MS) {
-        try {
-          // Double-check order hasn't been accepted or cancelled by another process
-          const currentOrder = await Order.findById(order._id);
-          if (!currentOrder) {
-            continue; // Order was deleted
-          }
-
-          // Only reject if still in pending/confirmed status
-          if (!["pending", "confirmed"].includes(currentOrder.status)) {
-            continue; // Order was already accepted/rejected
-          }
-
-          // Update order status to cancelled
-          currentOrder.status = "cancelled";
-          currentOrder.cancellationReason =
-            "Order not accepted within time limit. Restaurant did not respond in time.";
-          currentOrder.cancelledBy = "restaurant";
-          currentOrder.cancelledAt = now;
-
-          await currentOrder.save();
-
-          rejectedOrders.push({
-            orderId: currentOrder.orderId,
-            elapsedSeconds: Math.floor(elapsedMs / 1000),
-          });
-          processedCount++;
 
-          console.log(
-            `✅ Order ${currentOrder.orderId} automatically rejected (elapsed: ${Math.floor(elapsedMs / 1000)}s >= ${ACCEPT_TIME_LIMIT_SECONDS}s)`,
-          );
-
-          // Calculate refund amount but don't process automatically
-          // Admin will process refund manually via refund button
-          try {
-            await calculateCancellationRefund(
-              currentOrder._id,
-              "Order not accepted within time limit. Restaurant did not respond in time.",
-            );
-            console.log(
-              `✅ Cancellation refund calculated for order ${currentOrder.orderId} - awaiting admin approval`,
-            );
-          } catch (refundError) {
-            console.error(
-              `❌ Error calculating cancellation refund for order ${currentOrder.orderId}:`,
-              refundError,
-            );
-            // Don't fail order cancellation if refund calculation fails
-          }
-
-          // Notify about status update
-          try {
-            await notifyRestaurantOrderUpdate(
-              currentOrder._id.toString(),
-              "cancelled",
-            );
-          } catch (notifError) {
-            console.error(
-              `❌ Error sending notification for order ${currentOrder.orderId}:`,
-              notifError,
-            );
-          }
-        } catch (updateError) {
-          console.error(
-            `❌ Error auto-rejecting order ${order.orderId}:`,
-            updateError,
-          );
+    for (const order of waitingOrders) {
+      try {
+        const { rejected } = await autoRejectOrder(order._id, now, settings);
+        if (rejected) {
+          processedCount++;
         }
+      } catch (updateError) {
+        logger.error(
+          `Error auto-rejecting order ${order.orderId}: ${updateError.message}`,
+        );
       }
     }
 
@@ -108,11 +229,11 @@ export async function processAutoRejectOrders() {
       processed: processedCount,
       message:
         processedCount > 0
-          ? `Auto-rejected ${processedCount} order(s) that were not accepted within ${ACCEPT_TIME_LIMIT_SECONDS} seconds`
+          ? `Auto-rejected ${processedCount} order(s) that were not accepted within their accept window`
           : "No orders to auto-reject",
     };
   } catch (error) {
-    console.error("❌ Error processing auto-reject orders:", error);
+    logger.error(`Error processing auto-reject orders: ${error.message}`);
     return { processed: 0, message: `Error: ${error.message}` };
   }
 }
@@ -7,6 +7,7 @@ import AdminWallet from '../../admin/models/AdminWallet.js';
 import AuditLog from '../../admin/models/AuditLog.js';
 import Payment from '../../payment/models/Payment.js';
 import { createRefund } from '../../payment/services/razorpayService.js';
+import { issueCreditNoteForRefund } from './taxInvoiceService.js';
 
 /**
  * Determine cancellation stage based on order status
@@ -24,6 +25,40 @@ const getCancellationStage = (order) => {
   return 'post_pickup';
 };
 
+/**
+ * Issue a GST credit note for a refund. Only orders that were invoiced (i.e.
+ * delivered) get one; a failure here never blocks the refund itself.
+ */
+const issueRefundCreditNote = async (orderId, amount, reference, reason) => {
+  try {
+    await issueCreditNoteForRefund({ order: orderId, amount, reference, reason, ofOrderTotal: true });
+  } catch (error) {
+    console.error(`⚠️ Could not issue credit note for order ${orderId}:`, error.message);
+  }
+};
+
+/**
+ * Checkout tip to return on cancellation. The rider never earns it on a
+ * cancelled order, so it comes back at every stage; a pre-accept refund
+ * already returns the whole total.
+ */
+const getTipRefund = (order, cancellationStage) => {
+  const tip = order.pricing?.tip || 0;
+  return cancellationStage === 'pre_accept' ? 0 : tip;
+};
+
+/**
+ * Record on the order that its checkout tip went back to the customer
+ */
+const markTipRefunded = async (order) => {
+  const tip = order.pricing?.tip || 0;
+  if (tip <= 0) return;
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { 'deliveryTip.refundedAmount': tip, 'deliveryTip.refundedAt': new Date() } }
+  );
+};
+
 /**
  * Calculate cancellation refund amount without processing (for admin approval)
  */
@@ -83,6 +118,8 @@ export const calculateCancellationRefund = async (orderId, cancellationReason) =
         restaurantCompensation = 0;
     }
 
+    refundAmount += getTipRefund(order, cancellationStage);
+
     // Update settlement with cancellation details (refund status: 'pending' - awaiting admin approval)
     settlement.cancellationDetails = {
       cancelled: true,
@@ -90,6 +127,7 @@ export const calculateCancellationRefund = async (orderId, cancellationReason) =
       cancellationStage: cancellationStage,
       refundAmount: refundAmount,
       restaurantCompensation: restaurantCompensation,
+      tipRefundAmount: order.pricing?.tip || 0,
       refundStatus: 'pending' // Will be updated to 'initiated' when admin processes refund
     };
 
@@ -100,6 +138,7 @@ export const calculateCancellationRefund = async (orderId, cancellationReason) =
     settlement.adminEarning.status = 'cancelled';
 
     await settlement.save();
+    await markTipRefunded(order);
 
     // Create audit log
     await AuditLog.createLog({
@@ -191,6 +230,8 @@ export const processCancellationRefund = async (orderId, cancellationReason) =>
         restaurantCompensation = 0;
     }
 
+    refundAmount += getTipRefund(order, cancellationStage);
+
     // Update settlement with cancellation details
     settlement.cancellationDetails = {
       cancelled: true,
@@ -198,6 +239,7 @@ export const processCancellationRefund = async (orderId, cancellationReason) =>
       cancellationStage: cancellationStage,
       refundAmount: refundAmount,
       restaurantCompensation: restaurantCompensation,
+      tipRefundAmount: order.pricing?.tip || 0,
       refundStatus: 'pending'
     };
 
@@ -208,11 +250,13 @@ export const processCancellationRefund = async (orderId, cancellationReason) =>
     settlement.adminEarning.status = 'cancelled';
 
     await settlement.save();
+    await markTipRefunded(order);
 
     // Process refund to user
     if (refundAmount > 0) {
       await refundToUser(order.userId, orderId, refundAmount, settlement.orderNumber, cancellationReason);
       settlement.cancellationDetails.refundStatus = 'processed';
+      await issueRefundCreditNote(order._id, refundAmount, 'cancellation_refund', cancellationReason);
     }
 
     // Compensate restaurant if applicable
@@ -279,7 +323,7 @@ const refundToUser = async (userId, orderId, amount, orderNumber, reason) => {
       orderId: orderId
     });
     
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -321,7 +365,7 @@ const compensateRestaurant = async (restaurantId, orderId, amount, orderNumber)
       orderId: orderId
     });
     
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -399,7 +443,7 @@ const reverseAdminEarnings = async (orderId, adminEarning, orderNumber) => {
       });
     }
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -532,10 +576,17 @@ export const processRazorpayRefund = async (orderId, adminId = null) => {
       await payment.save();
     }
 
-    // Update settlement with Razorpay refund ID
-    settlement.cancellationDetails.razorpayRefundId = razorpayRefund.id;
-    settlement.cancellationDetails.refundStatus = 'initiated'; // Will be updated to 'processed' via webhook
-    await settlement.save();
+    // Update settlement with Razorpay refund ID ('processed' is set by the refund.processed
+    // webhook, which may already have arrived - never move it back to 'initiated')
+    await OrderSettlement.updateOne(
+      { _id: settlement._id, 'cancellationDetails.refundStatus': { $ne: 'processed' } },
+      {
+        $set: {
+          'cancellationDetails.razorpayRefundId': razorpayRefund.id,
+          'cancellationDetails.refundStatus': 'initiated'
+        }
+      }
+    );
 
     // Compensate restaurant if applicable
     const restaurantCompensation = settlement.cancellationDetails?.restaurantCompensation || 0;
@@ -688,6 +739,7 @@ export const processWalletRefund = async (orderId, adminId = null, refundAmount
           platformFee: platformFee,
           gst: tax,
           packagingFee: 0,
+          tip: pricing.tip || 0,
           total: total
         },
         restaurantEarning: {
@@ -826,7 +878,7 @@ export const processWalletRefund = async (orderId, adminId = null, refundAmount
         
         // Get balance before save to verify it's being updated
         const balanceBeforeSave = wallet.balance;
-        await wallet.save();
+        await wallet.saveWithLedger();
         
         // Reload wallet to verify balance was saved correctly
         const savedWallet = await UserWallet.findById(wallet._id);
@@ -915,6 +967,7 @@ export const processWalletRefund = async (orderId, adminId = null, refundAmount
       settlement.cancellationDetails.refundProcessedBy = adminId;
     }
     await settlement.save();
+    await issueRefundCreditNote(order._id, refundAmountToProcess, 'wallet_refund', order.cancellationReason);
 
     // Create audit log for order
     try {
@@ -953,3 +1006,98 @@ export const processWalletRefund = async (orderId, adminId = null, refundAmount
     throw error;
   }
 };
+
+/**
+ * Mark a Razorpay refund as settled (called from the refund.processed webhook)
+ * Idempotent: a settlement already in 'processed' is left untouched.
+ * @param {Object} refund - Razorpay refund entity
+ * @param {String} refund.id - Razorpay refund ID
+ * @param {String} refund.payment_id - Razorpay payment ID
+ * @param {Number} refund.amount - Refunded amount in paise
+ * @returns {Promise<Object>} { settled, alreadyProcessed, orderId }
+ */
+export const settleRazorpayRefund = async (refund) => {
+  const order = await Order.findOne({ 'payment.razorpayPaymentId': refund.payment_id });
+  if (!order) {
+    return { settled: false, reason: 'order_not_found' };
+  }
+
+  const refundAmount = (refund.amount || 0) / 100;
+  const processedAt = refund.created_at ? new Date(refund.created_at * 1000) : new Date();
+
+  // The webhook can beat processRazorpayRefund storing the refund id, so match
+  // on the order and claim any not-yet-processed refund state
+  const settlement = await OrderSettlement.findOneAndUpdate(
+    {
+      orderId: order._id,
+      'cancellationDetails.refundStatus': { $ne: 'processed' },
+      $or: [
+        { 'cancellationDetails.razorpayRefundId': refund.id },
+        { 'cancellationDetails.razorpayRefundId': { $in: [null, ''] } }
+      ]
+    },
+    {
+      $set: {
+        'cancellationDetails.refundStatus': 'processed',
+        'cancellationDetails.razorpayRefundId': refund.id,
+        'cancellationDetails.refundProcessedAt': processedAt
+      }
+    },
+    { new: true }
+  );
+
+  if (!settlement) {
+    return { settled: false, alreadyProcessed: true, orderId: order._id };
+  }
+
+  await Payment.updateOne(
+    { orderId: order._id, 'razorpay.paymentId': refund.payment_id },
+    {
+      $set: {
+        status: 'refunded',
+        'refund.amount': refundAmount,
+        'refund.status': refundAmount >= order.pricing.total ? 'full' : 'partial',
+        'refund.refundId': refund.id,
+        'refund.refundedAt': processedAt
+      },
+      $push: {
+        logs: {
+          action: 'refunded',
+          timestamp: new Date(),
+          details: { refundId: refund.id, amount: refundAmount, source: 'webhook' }
+        }
+      }
+    }
+  );
+
+  await Order.updateOne(
+    { _id: order._id, 'payment.status': 'completed' },
+    { $set: { 'payment.status': 'refunded' } }
+  );
+
+  await AuditLog.createLog({
+    entityType: 'order',
+    entityId: order._id,
+    action: 'razorpay_refund_processed',
+    actionType: 'refund',
+    performedBy: {
+      type: 'system',
+      name: 'Razorpay Webhook'
+    },
+    transactionDetails: {
+      amount: refundAmount,
+      type: 'razorpay_refund',
+      status: 'success',
+      orderId: order._id,
+      razorpayRefundId: refund.id,
+      razorpayPaymentId: refund.payment_id
+    },
+    description: `Razorpay refund ${refund.id} of ₹${refundAmount} processed for order ${order.orderId}`
+  });
+
+  await issueRefundCreditNote(order._id, refundAmount, refund.id, order.cancellationReason);
+
+  console.log(`✅ Razorpay refund ${refund.id} settled for order ${order.orderId}`);
+
+  return { settled: true, alreadyProcessed: false, orderId: order._id };
+};
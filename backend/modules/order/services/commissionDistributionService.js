@@ -1,8 +1,11 @@
 import Order from "../models/Order.js";
+import Payment from "../../payment/models/Payment.js";
+import UserWallet from "../../user/models/UserWallet.js";
 import {
   creditHotelWallet,
   creditAdminWallet,
   creditRestaurantWallet,
+  creditDeliveryTip,
 } from "./escrowWalletService.js";
 import winston from "winston";
 
@@ -59,7 +62,8 @@ export const distributeCommissions = async (orderId) => {
     if (
       order.commissionBreakdown &&
       (order.commissionBreakdown.hotel > 0 ||
-        order.commissionBreakdown.admin > 0)
+        order.commissionBreakdown.admin > 0 ||
+        order.subscription?.commissionWaived)
     ) {
       hotelShare = order.commissionBreakdown.hotel || 0;
       adminShare = order.commissionBreakdown.admin || 0;
@@ -155,3 +159,105 @@ export const distributeCommissions = async (orderId) => {
     throw error;
   }
 };
+
+/**
+ * Part of an order's checkout tip covered by what the customer actually paid:
+ * the captured online payment, the wallet deduction, or the cash collected at
+ * the door (the full total, since the order is delivered).
+ * @param {Object} order - Delivered order
+ * @returns {Promise<number>}
+ */
+const getPaidCheckoutTip = async (order) => {
+  const tip = order.pricing?.tip || 0;
+  if (tip <= 0) return 0;
+
+  const total = order.pricing?.total || 0;
+  let paid = total;
+  if (order.payment?.method === "wallet") {
+    const wallet = await UserWallet.findOne({ userId: order.userId }).select("transactions").lean();
+    paid = (wallet?.transactions || [])
+      .filter(
+        (transaction) =>
+          transaction.type === "deduction" &&
+          transaction.status === "Completed" &&
+          transaction.orderId?.toString() === order._id.toString(),
+      )
+      .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
+  } else if (!["cash", "pay_at_hotel"].includes(order.payment?.method)) {
+    const payments = await Payment.find({ orderId: order._id, status: "completed" }).select("amount").lean();
+    paid = payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+  }
+
+  const covered = Math.min(tip, Math.max(0, paid - (total - tip)));
+  if (covered < tip) {
+    logger.warn(`⚠️ Only ₹${covered} of the ₹${tip} tip on order ${order.orderId} is covered by its payment`);
+  }
+  return Math.round(covered * 100) / 100;
+};
+
+/**
+ * Pass customer tips for a delivered order to its delivery partner. Tips go
+ * to the rider in full and are never part of the commission split. Covers the
+ * checkout tip and a paid post-delivery tip; only the amount not yet credited
+ * is paid, so this is safe to call again after each new tip.
+ * @param {string} orderId - MongoDB ID of the order
+ */
+export const distributeDeliveryTip = async (orderId) => {
+  try {
+    const order = await Order.findById(orderId).lean();
+    if (!order) {
+      throw new Error("Order not found");
+    }
+
+    if (order.status !== "delivered" || !order.deliveryPartnerId) {
+      return { success: false, message: "Order is not delivered" };
+    }
+
+    const postDelivery = order.deliveryTip?.postDelivery;
+    const totalTip =
+      (await getPaidCheckoutTip(order)) +
+      (postDelivery?.status === "paid" ? postDelivery.amount || 0 : 0);
+    const creditedAmount = order.deliveryTip?.creditedAmount || 0;
+    const due = Math.round((totalTip - creditedAmount) * 100) / 100;
+
+    if (due <= 0) {
+      return { success: false, message: "No tip to credit" };
+    }
+
+    // Claim the amount first so concurrent calls can't pay the same tip twice
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        "deliveryTip.creditedAmount": creditedAmount === 0 ? { $in: [0, null] } : creditedAmount,
+      },
+      {
+        $set: {
+          "deliveryTip.creditedAmount": totalTip,
+          "deliveryTip.creditedAt": new Date(),
+        },
+      },
+      { new: true },
+    ).lean();
+
+    if (!claimed) {
+      logger.warn(`⚠️ Tip for order ${order.orderId} is being credited by another request`);
+      return { success: false, message: "Tip already credited" };
+    }
+
+    try {
+      await creditDeliveryTip(order.deliveryPartnerId, order._id, due, order.orderId);
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, "deliveryTip.creditedAmount": totalTip },
+        { $set: { "deliveryTip.creditedAmount": creditedAmount } },
+      );
+      throw error;
+    }
+
+    logger.info(`✅ Tip of ₹${due} credited to delivery partner for order ${order.orderId}`);
+    return { success: true, amount: due };
+  } catch (error) {
+    logger.error(`❌ Error crediting tip for order ${orderId}:`, error);
+    throw error;
+  }
+};
@@ -375,7 +375,8 @@ export async function findNearestDeliveryBoy(restaurantLat, restaurantLng, resta
 }
 
 /**
- * Assign order to nearest delivery boy
+ * Assign order to nearest delivery boy, or add it to the trip of a rider
+ * already heading to a nearby pickup when order batching applies
  * @param {Object} order - Order document
  * @param {number} restaurantLat - Restaurant latitude
  * @param {number} restaurantLng - Restaurant longitude
@@ -413,8 +414,13 @@ export async function assignOrderToDeliveryBoy(order, restaurantLat, restaurantL
     // Get restaurantId from order if not provided
     const orderRestaurantId = restaurantId || order.restaurantId;
     
-    // Find nearest delivery boy (with zone-based filtering)
-    const nearestDeliveryBoy = await findNearestDeliveryBoy(restaurantLat, restaurantLng, orderRestaurantId);
+    // Stack onto a rider already heading to a nearby pickup when batching applies
+    const { findBatchRiderForOrder, saveBatchPlan, refreshBatchEtas } = await import('./orderBatchingService.js');
+    const batchCandidate = await findBatchRiderForOrder(order, restaurantLat, restaurantLng, orderRestaurantId);
+
+    // Otherwise find nearest delivery boy (with zone-based filtering)
+    const nearestDeliveryBoy = batchCandidate ||
+      await findNearestDeliveryBoy(restaurantLat, restaurantLng, orderRestaurantId);
 
     if (!nearestDeliveryBoy) {
       console.log(`⚠️ No delivery boy found for order ${order.orderId}`);
@@ -428,7 +434,7 @@ export async function assignOrderToDeliveryBoy(order, restaurantLat, restaurantL
       deliveryPartnerId: nearestDeliveryBoy.deliveryPartnerId,
       distance: nearestDeliveryBoy.distance,
       assignedAt: new Date(),
-      assignedBy: 'nearest_available'
+      assignedBy: batchCandidate ? 'batched' : 'nearest_available'
     };
     // Don't set outForDelivery status here - that should be set when delivery boy picks up the order
     // order.tracking.outForDelivery = {
@@ -438,6 +444,19 @@ export async function assignOrderToDeliveryBoy(order, restaurantLat, restaurantL
     
     await order.save();
 
+    let batch = null;
+    if (batchCandidate) {
+      try {
+        // Null when the rider's trip changed meanwhile; the order stays a separate trip
+        batch = await saveBatchPlan(batchCandidate);
+        if (batch) {
+          await refreshBatchEtas(batch, order._id);
+        }
+      } catch (batchError) {
+        console.error('❌ Error saving delivery batch (order stays assigned):', batchError);
+      }
+    }
+
     // Save order tracking to Firebase Realtime Database (with polyline)
     try {
       const { saveOrderTrackingToFirebase } = await import('./firebaseTrackingService.js');
@@ -529,7 +548,8 @@ export async function assignOrderToDeliveryBoy(order, restaurantLat, restaurantL
       deliveryPartnerId: nearestDeliveryBoy.deliveryPartnerId,
       deliveryPartnerName: nearestDeliveryBoy.name,
       distance: nearestDeliveryBoy.distance,
-      orderId: order.orderId
+      orderId: order.orderId,
+      batchId: batch?.batchId || null
     };
   } catch (error) {
     console.error('❌ Error assigning order to delivery boy:', error);
@@ -0,0 +1,332 @@
+import Order from "../models/Order.js";
+import BusinessSettings from "../../admin/models/BusinessSettings.js";
+import { calculateDistance } from "./orderCalculationService.js";
+import { getCloudinaryCredentials } from "../../../shared/utils/envService.js";
+
+/**
+ * Delivery handover verification
+ *
+ * Every order carries a 4-digit code the customer sees in their order
+ * details. The rider enters it to complete the delivery; wrong codes are
+ * counted and lock the code after maxOtpAttempts. When the customer cannot
+ * give the code, the rider may instead upload a doorstep photo (through the
+ * upload module) taken within the geofence around address.location - but only
+ * a while after the rider reported the customer unreachable (which reminds the
+ * customer of the code), also when the code is locked, so a rider can't lock
+ * it on purpose to skip the customer. Photos of addresses
+ * without a pin cannot be geofenced and are flagged for review. Either way
+ * the evidence is written to order.deliveryVerification.
+ */
+
+const DEFAULT_VERIFICATION_SETTINGS = {
+  isEnabled: true,
+  maxOtpAttempts: 5,
+  allowFallback: true,
+  geofenceRadiusMeters: 150,
+};
+
+// Time the customer gets to answer after being reported unreachable
+const CUSTOMER_UNREACHABLE_WAIT_MS = 5 * 60 * 1000;
+
+// Upload folder the delivery app puts doorstep photos in
+const DELIVERY_PROOF_FOLDER = "appzeto/delivery-proof";
+
+// Orders the customer may still need the code for
+const ACTIVE_ORDER_STATUSES = ["pending", "scheduled", "confirmed", "preparing", "ready", "out_for_delivery"];
+
+const handoverError = (statusCode, message, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Delivery verification settings from BusinessSettings, with defaults
+ * @returns {Promise<Object>}
+ */
+export const getDeliveryVerificationSettings = async () => {
+  const settings = await BusinessSettings.getSettings().catch(() => null);
+  const configured = settings?.toObject?.().deliveryVerification || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_VERIFICATION_SETTINGS).map(([key, fallback]) => [
+      key,
+      configured[key] ?? fallback,
+    ]),
+  );
+};
+
+export const generateHandoverOtp = () => String(Math.floor(1000 + Math.random() * 9000));
+
+/**
+ * Handover code for the customer's order details. Orders placed before codes
+ * existed get one the first time the customer opens them.
+ * @param {Object} order - Lean order selected with +deliveryVerification.otp
+ * @returns {Promise<string|null>} Null once the order no longer needs one
+ */
+export const ensureHandoverOtp = async (order) => {
+  if (!ACTIVE_ORDER_STATUSES.includes(order.status)) return null;
+  if (order.deliveryVerification?.otp) return order.deliveryVerification.otp;
+
+  const otp = generateHandoverOtp();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "deliveryVerification.otp": { $exists: false } },
+    {
+      $set: {
+        "deliveryVerification.otp": otp,
+        "deliveryVerification.otpGeneratedAt": new Date(),
+      },
+    },
+    { new: true },
+  )
+    .select("+deliveryVerification.otp")
+    .lean();
+
+  if (updated) return otp;
+  // Generated by a concurrent request
+  const current = await Order.findById(order._id).select("+deliveryVerification.otp").lean();
+  return current?.deliveryVerification?.otp || null;
+};
+
+const parseRiderLocation = (location) => {
+  if (!location) return null;
+  const lat = Number(location.latitude ?? location.lat);
+  const lng = Number(location.longitude ?? location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  const accuracy = Number(location.accuracy);
+  return {
+    coordinates: [lng, lat],
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : undefined,
+  };
+};
+
+const getAddressCoordinates = (order) => {
+  const coordinates = order.address?.location?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  const [lng, lat] = coordinates.map(Number);
+  // [0, 0] is the schema's placeholder for addresses saved without a pin
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) return null;
+  return [lng, lat];
+};
+
+/**
+ * Whether a doorstep photo is one the upload module stored in our Cloudinary
+ * account under the delivery proof folder
+ */
+const isDeliveryProofPhoto = async (photo) => {
+  const publicId = String(photo.publicId || "");
+  if (!publicId.startsWith(`${DELIVERY_PROOF_FOLDER}/`)) return false;
+
+  let url;
+  try {
+    url = new URL(String(photo.url));
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" || url.hostname !== "res.cloudinary.com") return false;
+
+  const { cloudName } = await getCloudinaryCredentials().catch(() => ({}));
+  const configuredCloud = cloudName || process.env.CLOUDINARY_CLOUD_NAME;
+  const [, cloud, , , ...rest] = url.pathname.split("/");
+  if (configuredCloud && cloud !== configuredCloud) return false;
+  // .../image/upload/[v123/]<publicId>.<ext>
+  return rest.join("/").replace(/^v\d+\//, "").replace(/\.[^/.]+$/, "") === publicId;
+};
+
+/**
+ * Record that the rider could not reach the customer at the drop location and
+ * remind the customer of their code. The photo fallback opens
+ * CUSTOMER_UNREACHABLE_WAIT_MS later. Repeated reports keep the first time.
+ * @param {Object} order - Order assigned to the rider
+ * @returns {Promise<{fallbackAvailableAt: Date}>}
+ */
+export const reportCustomerUnreachable = async (order) => {
+  const settings = await getDeliveryVerificationSettings();
+  if (!settings.isEnabled || !settings.allowFallback) {
+    throw handoverError(400, "This order can only be completed with the customer's delivery code");
+  }
+  if (order.deliveryState?.currentPhase !== "at_delivery") {
+    throw handoverError(400, "Mark that you reached the drop location first");
+  }
+
+  const reportedAt = order.deliveryVerification?.customerUnreachableAt;
+  if (reportedAt) {
+    return { fallbackAvailableAt: new Date(new Date(reportedAt).getTime() + CUSTOMER_UNREACHABLE_WAIT_MS) };
+  }
+
+  const now = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "deliveryVerification.customerUnreachableAt": null },
+    { $set: { "deliveryVerification.customerUnreachableAt": now } },
+    { new: true },
+  ).lean();
+  if (!updated) {
+    // Reported by a concurrent request
+    const current = await Order.findById(order._id).select("deliveryVerification.customerUnreachableAt").lean();
+    return {
+      fallbackAvailableAt: new Date(
+        new Date(current.deliveryVerification.customerUnreachableAt).getTime() + CUSTOMER_UNREACHABLE_WAIT_MS,
+      ),
+    };
+  }
+
+  try {
+    const { sendLocalizedPushNotification } = await import("../../fcm/services/pushNotificationService.js");
+    await sendLocalizedPushNotification(
+      updated.userId.toString(),
+      "user",
+      "rider_at_door",
+      { orderId: updated.orderId },
+      { type: "rider_at_door", orderId: updated.orderId, tag: `rider_at_door_${updated.orderId}` },
+    );
+  } catch (error) {
+    console.error(`Error notifying customer of order ${updated.orderId} that the rider is waiting:`, error.message);
+  }
+
+  return { fallbackAvailableAt: new Date(now.getTime() + CUSTOMER_UNREACHABLE_WAIT_MS) };
+};
+
+/**
+ * Check the rider's handover proof before an order is completed. A wrong code
+ * is counted on the order before the error is thrown.
+ * @param {Object} order - Lean order selected with +deliveryVerification.otp
+ * @param {Object} proof
+ * @param {string} [proof.otp] - Code given by the customer
+ * @param {{url: string, publicId?: string}} [proof.photo] - Doorstep photo from the upload module
+ * @param {{latitude: number, longitude: number, accuracy?: number}} [proof.location] - Rider position
+ * @param {string} [proof.fallbackReason] - Why the code could not be used
+ * @returns {Promise<Object>} $set fields recording the evidence (empty when verification is off)
+ */
+export const verifyDeliveryHandover = async (order, { otp, photo, location, fallbackReason } = {}) => {
+  const settings = await getDeliveryVerificationSettings();
+  if (!settings.isEnabled) return {};
+
+  const verification = order.deliveryVerification || {};
+  const failedAttempts = verification.failedAttempts || 0;
+  const otpLocked = failedAttempts >= settings.maxOtpAttempts;
+  const riderLocation = parseRiderLocation(location);
+  const addressCoordinates = getAddressCoordinates(order);
+
+  const evidence = {
+    "deliveryVerification.verifiedAt": new Date(),
+  };
+  if (riderLocation) {
+    evidence["deliveryVerification.location"] = riderLocation;
+    if (addressCoordinates) {
+      const distanceMeters = Math.round(
+        calculateDistance(riderLocation.coordinates, addressCoordinates) * 1000,
+      );
+      evidence["deliveryVerification.distanceFromAddressMeters"] = distanceMeters;
+      evidence["deliveryVerification.withinGeofence"] = distanceMeters <= settings.geofenceRadiusMeters;
+    }
+  }
+
+  const lockedMessage = settings.allowFallback
+    ? "Report the customer as unreachable, then complete with a doorstep photo"
+    : "Contact support to complete this delivery";
+  const code = otp !== undefined && otp !== null ? String(otp).trim() : "";
+  if (code) {
+    if (otpLocked) {
+      throw handoverError(423, `Too many wrong codes. ${lockedMessage}`, {
+        attemptsLeft: 0,
+        fallbackAllowed: settings.allowFallback,
+      });
+    }
+    if (verification.otp && code === verification.otp) {
+      evidence["deliveryVerification.method"] = "otp";
+      return evidence;
+    }
+
+    // The limit is checked in the filter so parallel guesses cannot pass it
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, "deliveryVerification.failedAttempts": { $not: { $gte: settings.maxOtpAttempts } } },
+      { $inc: { "deliveryVerification.failedAttempts": 1 } },
+      { new: true },
+    ).lean();
+    if (!updated) {
+      throw handoverError(423, `Too many wrong codes. ${lockedMessage}`, {
+        attemptsLeft: 0,
+        fallbackAllowed: settings.allowFallback,
+      });
+    }
+    const attemptsLeft = Math.max(settings.maxOtpAttempts - updated.deliveryVerification.failedAttempts, 0);
+    throw handoverError(
+      400,
+      attemptsLeft > 0
+        ? `Incorrect delivery code. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left`
+        : `Incorrect delivery code. ${lockedMessage}`,
+      { attemptsLeft, fallbackAllowed: settings.allowFallback },
+    );
+  }
+
+  // No code: doorstep photo inside the geofence
+  if (!photo?.url) {
+    throw handoverError(400, "Enter the delivery code from the customer", {
+      attemptsLeft: Math.max(settings.maxOtpAttempts - failedAttempts, 0),
+      fallbackAllowed: settings.allowFallback,
+    });
+  }
+  if (!settings.allowFallback) {
+    throw handoverError(400, "This order can only be completed with the customer's delivery code");
+  }
+  const unreachableAt = verification.customerUnreachableAt ? new Date(verification.customerUnreachableAt) : null;
+  const fallbackAvailableAt = unreachableAt
+    ? new Date(unreachableAt.getTime() + CUSTOMER_UNREACHABLE_WAIT_MS)
+    : null;
+  if (!(fallbackAvailableAt && fallbackAvailableAt <= new Date())) {
+    throw handoverError(
+      400,
+      fallbackAvailableAt
+        ? `The customer has until ${fallbackAvailableAt.toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit", timeZone: "Asia/Kolkata" })} to share the code`
+        : "Report the customer as unreachable before completing with a photo",
+      {
+        attemptsLeft: Math.max(settings.maxOtpAttempts - failedAttempts, 0),
+        fallbackAllowed: settings.allowFallback,
+        fallbackAvailableAt,
+      },
+    );
+  }
+  const reason = fallbackReason ? String(fallbackReason).trim() : "";
+  if (!reason) {
+    throw handoverError(400, "Select why the delivery code could not be used");
+  }
+  if (!(await isDeliveryProofPhoto(photo))) {
+    throw handoverError(400, "Upload the doorstep photo before completing the delivery");
+  }
+  if (addressCoordinates) {
+    if (!riderLocation) {
+      throw handoverError(400, "Your current location is needed to complete without a code");
+    }
+    if (!evidence["deliveryVerification.withinGeofence"]) {
+      throw handoverError(
+        400,
+        `You are ${evidence["deliveryVerification.distanceFromAddressMeters"]} m from the delivery address. Move within ${settings.geofenceRadiusMeters} m to complete`,
+        { distanceMeters: evidence["deliveryVerification.distanceFromAddressMeters"] },
+      );
+    }
+  }
+
+  evidence["deliveryVerification.method"] = "photo";
+  evidence["deliveryVerification.photo"] = {
+    url: String(photo.url),
+    publicId: String(photo.publicId),
+    uploadedAt: new Date(),
+  };
+  evidence["deliveryVerification.fallbackReason"] = reason.slice(0, 300);
+  // No pin on the address, so nothing ties the photo to the doorstep
+  if (!addressCoordinates) {
+    evidence["deliveryVerification.needsReview"] = true;
+  }
+  return evidence;
+};
+
+export default {
+  getDeliveryVerificationSettings,
+  generateHandoverOtp,
+  ensureHandoverOtp,
+  reportCustomerUnreachable,
+  verifyDeliveryHandover,
+};
@@ -2,6 +2,7 @@ import Order from '../models/Order.js';
 import Delivery from '../../delivery/models/Delivery.js';
 import Restaurant from '../../restaurant/models/Restaurant.js';
 import mongoose from 'mongoose';
+import { recordOrderOffers } from '../../delivery/services/riderSessionService.js';
 
 // Dynamic import to avoid circular dependency
 let getIO = null;
@@ -70,6 +71,11 @@ export async function notifyDeliveryBoyNewOrder(order, deliveryPartnerId) {
       return;
     }
 
+    // Count the offer towards the rider's acceptance rate
+    recordOrderOffers(order._id, [deliveryPartnerId]).catch((error) => {
+      console.warn(`⚠️ Failed to record order offer: ${error.message}`);
+    });
+
     // Populate userId if it's not already populated
     let orderWithUser = order;
     if (order.userId && typeof order.userId === 'object' && order.userId._id) {
@@ -200,7 +206,13 @@ export async function notifyDeliveryBoyNewOrder(order, deliveryPartnerId) {
       pickupDistance: pickupDistance ? `${pickupDistance.toFixed(2)} km` : 'Distance not available',
       deliveryDistance: deliveryDistance ? `${deliveryDistance.toFixed(2)} km` : 'Calculating...',
       deliveryDistanceRaw: deliveryDistance || 0, // Raw distance number for calculations
-      estimatedEarnings
+      estimatedEarnings,
+      // Set when the order was added to the rider's multi-stop trip
+      deliveryBatch: order.deliveryBatch?.batchId ? {
+        batchId: order.deliveryBatch.batchId.toString(),
+        pickupSequence: order.deliveryBatch.pickupSequence,
+        dropSequence: order.deliveryBatch.dropSequence
+      } : null
     };
 
     // Get delivery namespace
@@ -356,6 +368,10 @@ export async function notifyMultipleDeliveryBoys(order, deliveryPartnerIds, phas
       return { success: false, notified: 0 };
     }
 
+    recordOrderOffers(order._id, deliveryPartnerIds).catch((error) => {
+      console.warn(`⚠️ Failed to record order offers: ${error.message}`);
+    });
+
     const deliveryNamespace = io.of('/delivery');
     let notifiedCount = 0;
 
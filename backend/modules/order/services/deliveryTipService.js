@@ -0,0 +1,197 @@
+import Order from "../models/Order.js";
+import UserWallet from "../../user/models/UserWallet.js";
+import User from "../../auth/models/User.js";
+import { createOrder as createRazorpayOrder } from "../../payment/services/razorpayService.js";
+import { getRazorpayCredentials } from "../../../shared/utils/envService.js";
+import { distributeDeliveryTip } from "./commissionDistributionService.js";
+
+/**
+ * Customer tips for delivery partners
+ *
+ * A tip can be added at checkout (pricing.tip, paid with the order) and once
+ * more from the order details after delivery (deliveryTip.postDelivery, paid
+ * from the wallet or through Razorpay). Either way the full amount is credited
+ * to the rider's wallet by distributeDeliveryTip once the order is delivered.
+ */
+
+export const MAX_TIP_AMOUNT = 500;
+
+const tipError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate a tip amount from the client
+ * @param {*} value - Amount in rupees; empty means no tip
+ * @returns {number} Whole rupees
+ */
+export const normalizeTipAmount = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw tipError(400, "Tip amount is invalid");
+  }
+  if (amount > MAX_TIP_AMOUNT) {
+    throw tipError(400, `Tip can be at most ₹${MAX_TIP_AMOUNT}`);
+  }
+  return Math.round(amount);
+};
+
+/**
+ * Add a tip to a delivered order
+ * @param {Object} order - The user's order document
+ * @param {Object} params
+ * @param {number} params.amount - Tip in rupees
+ * @param {string} params.paymentMethod - 'wallet' | 'razorpay'
+ * @returns {Promise<Object>} { tip, razorpay } - razorpay is set when the client must complete a payment
+ */
+export const addPostDeliveryTip = async (order, { amount, paymentMethod }) => {
+  const tipAmount = normalizeTipAmount(amount);
+  if (tipAmount <= 0) {
+    throw tipError(400, "Tip amount must be greater than 0");
+  }
+  if (!["wallet", "razorpay"].includes(paymentMethod)) {
+    throw tipError(400, "Payment method must be wallet or razorpay");
+  }
+  if (order.status !== "delivered" || !order.deliveryPartnerId) {
+    throw tipError(400, "You can tip once your order is delivered");
+  }
+  if (order.deliveryTip?.postDelivery?.status === "paid") {
+    throw tipError(409, "You have already tipped for this order");
+  }
+
+  if (paymentMethod === "wallet") {
+    // Claim the tip on the order before touching the wallet
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, "deliveryTip.postDelivery.status": { $ne: "paid" } },
+      {
+        $set: {
+          "deliveryTip.postDelivery": {
+            amount: tipAmount,
+            paymentMethod: "wallet",
+            status: "paid",
+            paidAt: new Date(),
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!claimed) {
+      throw tipError(409, "You have already tipped for this order");
+    }
+
+    try {
+      const wallet = await UserWallet.findOrCreateByUserId(order.userId);
+      if (tipAmount > wallet.balance) {
+        throw tipError(400, "Insufficient wallet balance");
+      }
+      wallet.addTransaction({
+        amount: tipAmount,
+        type: "deduction",
+        status: "Completed",
+        description: `Tip for delivery partner - Order #${order.orderId}`,
+        orderId: order._id,
+      });
+      await wallet.saveWithLedger();
+      await User.findByIdAndUpdate(order.userId, {
+        "wallet.balance": wallet.balance,
+        "wallet.currency": wallet.currency,
+      });
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $unset: { "deliveryTip.postDelivery": "" } },
+      );
+      throw error;
+    }
+
+    await distributeDeliveryTip(order._id);
+    return { tip: claimed.deliveryTip.postDelivery, razorpay: null };
+  }
+
+  const razorpayOrder = await createRazorpayOrder({
+    amount: tipAmount * 100, // Convert to paise
+    currency: "INR",
+    receipt: `tip_${order.orderId}`.slice(0, 40),
+    notes: {
+      type: "delivery_tip",
+      orderId: order._id.toString(),
+      userId: order.userId.toString(),
+      amount: tipAmount.toString(),
+    },
+  });
+
+  const pending = await Order.findOneAndUpdate(
+    { _id: order._id, "deliveryTip.postDelivery.status": { $ne: "paid" } },
+    {
+      $set: {
+        "deliveryTip.postDelivery": {
+          amount: tipAmount,
+          paymentMethod: "razorpay",
+          status: "pending",
+          razorpayOrderId: razorpayOrder.id,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!pending) {
+    throw tipError(409, "You have already tipped for this order");
+  }
+
+  const credentials = await getRazorpayCredentials();
+  return {
+    tip: pending.deliveryTip.postDelivery,
+    razorpay: {
+      orderId: razorpayOrder.id,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      key: credentials.keyId || process.env.RAZORPAY_KEY_ID,
+    },
+  };
+};
+
+/**
+ * Mark a Razorpay tip payment as paid and credit the rider. The client verify
+ * endpoint and the payment webhook both land here; only the first call for a
+ * given Razorpay order changes anything.
+ * @param {Object} params
+ * @param {string} params.razorpayOrderId
+ * @param {string} params.razorpayPaymentId
+ * @returns {Promise<{order: Object|null, alreadyProcessed: boolean}>}
+ */
+export const confirmDeliveryTipPayment = async ({ razorpayOrderId, razorpayPaymentId }) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      "deliveryTip.postDelivery.razorpayOrderId": razorpayOrderId,
+      "deliveryTip.postDelivery.status": "pending",
+    },
+    {
+      $set: {
+        "deliveryTip.postDelivery.status": "paid",
+        "deliveryTip.postDelivery.razorpayPaymentId": razorpayPaymentId,
+        "deliveryTip.postDelivery.paidAt": new Date(),
+      },
+    },
+    { new: true },
+  );
+
+  if (!order) {
+    const existing = await Order.findOne({
+      "deliveryTip.postDelivery.razorpayOrderId": razorpayOrderId,
+    });
+    return { order: existing, alreadyProcessed: !!existing };
+  }
+
+  await distributeDeliveryTip(order._id);
+  return { order, alreadyProcessed: false };
+};
+
+export default {
+  MAX_TIP_AMOUNT,
+  normalizeTipAmount,
+  addPostDeliveryTip,
+  confirmDeliveryTipPayment,
+};
@@ -199,7 +199,7 @@ export const creditRestaurantWallet = async (
       orderId: orderId,
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -250,7 +250,7 @@ export const creditDeliveryWallet = async (
       paymentCollected: false, // Will be updated when COD is collected
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -277,6 +277,62 @@ export const creditDeliveryWallet = async (
   }
 };
 
+/**
+ * Credit a customer tip to the delivery partner's wallet
+ * @param {ObjectId} deliveryId - Delivery partner ID
+ * @param {ObjectId} orderId - Order ID
+ * @param {Number} amount - Tip amount to credit
+ * @param {String} orderNumber - Order number
+ * @returns {Promise<Object>} The wallet transaction
+ */
+export const creditDeliveryTip = async (
+  deliveryId,
+  orderId,
+  amount,
+  orderNumber,
+) => {
+  try {
+    const DeliveryWallet = (
+      await import("../../delivery/models/DeliveryWallet.js")
+    ).default;
+    const wallet = await DeliveryWallet.findOrCreateByDeliveryId(deliveryId);
+
+    const transaction = wallet.addTransaction({
+      amount: amount,
+      type: "tip",
+      status: "Completed",
+      description: `Customer tip for order ${orderNumber}`,
+      orderId: orderId,
+    });
+
+    await wallet.saveWithLedger();
+
+    await AuditLog.createLog({
+      entityType: "delivery",
+      entityId: deliveryId,
+      action: "wallet_credit",
+      actionType: "credit",
+      performedBy: {
+        type: "system",
+        name: "System",
+      },
+      transactionDetails: {
+        amount: amount,
+        type: "tip",
+        status: "success",
+        orderId: orderId,
+        walletType: "delivery",
+      },
+      description: `Delivery partner wallet credited with customer tip for order ${orderNumber}`,
+    });
+
+    return transaction;
+  } catch (error) {
+    console.error("Error crediting delivery tip:", error);
+    throw error;
+  }
+};
+
 /**
  * Credit hotel wallet with commission from QR code orders
  * @param {ObjectId} hotelId - Hotel ID
@@ -315,7 +371,7 @@ export const creditHotelWallet = async (
       orderId: orderId,
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -370,7 +426,7 @@ export const creditAdminWallet = async (
         orderId: orderId,
         restaurantId: restaurantId,
       });
-      await wallet.save();
+      await wallet.saveWithLedger();
       return;
     }
 
@@ -442,7 +498,7 @@ export const creditAdminWallet = async (
       });
     }
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Create audit log
     await AuditLog.createLog({
@@ -4,6 +4,11 @@ import Restaurant from '../../restaurant/models/Restaurant.js';
 import Delivery from '../../delivery/models/Delivery.js';
 import OrderEvent from '../models/OrderEvent.js';
 import ETALog from '../models/ETALog.js';
+import { scheduleAutoReady } from './orderJobService.js';
+
+// ETA events recalculated from the rider's position, which ignore other
+// orders on the same trip
+const BATCH_AWARE_EVENTS = ['RIDER_ASSIGNED', 'BATCH_UPDATED', 'RIDER_REACHED_RESTAURANT', 'RIDER_STARTED_DELIVERY'];
 
 /**
  * ETA Calculation Service
@@ -199,6 +204,12 @@ class ETACalculationService {
           reason = 'RIDER_ASSIGNED';
           break;
 
+        case 'BATCH_UPDATED':
+          // Another order joined the rider's trip, recalculate from the rider
+          newETA = await this.recalculateWithRider(order, eventData);
+          reason = 'BATCH_UPDATED';
+          break;
+
         case 'RIDER_ASSIGNED_LATE':
           // Rider assignment delayed
           const assignmentDelay = eventData.delayMinutes || 0;
@@ -262,15 +273,25 @@ class ETACalculationService {
           reason = 'MANUAL_UPDATE';
       }
 
+      // Stops ahead of this drop in a batched trip add to the rider-based estimate
+      const batchDelay = BATCH_AWARE_EVENTS.includes(eventType)
+        ? Math.ceil(order.deliveryBatch?.etaImpactMinutes || 0)
+        : 0;
+
       // Update order with new ETA
       order.eta = {
-        min: newETA.minETA || newETA.min,
-        max: newETA.maxETA || newETA.max,
+        min: (newETA.minETA || newETA.min) + batchDelay,
+        max: (newETA.maxETA || newETA.max) + batchDelay,
         lastUpdated: new Date()
       };
       order.estimatedDeliveryTime = Math.ceil((order.eta.min + order.eta.max) / 2);
       await order.save();
 
+      // A shorter ETA moves the auto-ready time forward
+      if (order.status === 'preparing') {
+        await scheduleAutoReady(order._id);
+      }
+
       // Log ETA change
       await ETALog.create({
         orderId: order._id,
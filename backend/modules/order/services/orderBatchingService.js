@@ -0,0 +1,722 @@
+import Order from '../models/Order.js';
+import DeliveryBatch from '../models/DeliveryBatch.js';
+import Delivery from '../../delivery/models/Delivery.js';
+import DeliveryWallet from '../../delivery/models/DeliveryWallet.js';
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import BusinessSettings from '../../admin/models/BusinessSettings.js';
+import DeliveryBoyCommission from '../../admin/models/DeliveryBoyCommission.js';
+import { calculateMultiStopRoute, planStopSequence } from './routeCalculationService.js';
+import { findNearestDeliveryBoys } from './deliveryAssignmentService.js';
+import { runLedgerTransaction } from '../../payment/services/ledgerService.js';
+
+/**
+ * Order Batching Service
+ * Stacks two or three orders from nearby restaurants heading the same way
+ * onto one rider. A batch only forms while the rider is still on the way to
+ * pickup, and only when no customer's drop is delayed by more than the
+ * configured limit compared to a solo trip.
+ */
+
+const DEFAULT_SETTINGS = {
+  isEnabled: true,
+  peakOnly: true,
+  maxOrdersPerBatch: 3,
+  maxPickupDistanceKm: 1,
+  maxDirectionDeviation: 45,
+  maxEtaImpactMinutes: 10,
+  bonusPerExtraOrder: 10
+};
+
+const AVERAGE_SPEED_KMH = 30; // Same assumption as routeCalculationService
+const STOP_MINUTES = 2; // Time spent at each pickup or drop
+const IDLE_RIDER_RADIUS_KM = 5; // Same as the priority notification radius
+const CANDIDATE_LOOKBACK_MS = 3 * 60 * 60 * 1000;
+const STALE_BATCH_MS = 10 * 60 * 1000; // Active batches untouched this long are checked by the sweep
+const PICKED_UP_PHASES = ['en_route_to_delivery', 'at_delivery', 'completed'];
+const TRIP_FIELDS = 'orderId status userId restaurantId restaurantName restaurantLocation address deliveryPartnerId deliveryState deliveryBatch pricing.deliveryFee createdAt';
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {Object} from - {lat, lng}
+ * @param {Object} to - {lat, lng}
+ * @returns {number} Distance in kilometers
+ */
+function calculateDistance(from, to) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (to.lat - from.lat) * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Initial compass bearing from one point to another, in degrees (0-360)
+ */
+function calculateBearing(from, to) {
+  const lat1 = from.lat * Math.PI / 180;
+  const lat2 = to.lat * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toPoint = (latitude, longitude) => {
+  if (latitude == null || longitude == null || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  return { lat: Number(latitude), lng: Number(longitude) };
+};
+
+const pointFromCoordinates = (coordinates) =>
+  Array.isArray(coordinates) && coordinates.length >= 2 ? toPoint(coordinates[1], coordinates[0]) : null;
+
+const isPickedUp = (order) =>
+  order.status === 'out_for_delivery' || PICKED_UP_PHASES.includes(order.deliveryState?.currentPhase);
+
+const isFinished = (order) => ['delivered', 'cancelled'].includes(order.status);
+
+async function getBatchingSettings() {
+  const settings = await BusinessSettings.getSettings();
+  return { ...DEFAULT_SETTINGS, ...(settings?.toObject?.().orderBatching || {}) };
+}
+
+/**
+ * Load orders with their pickup and drop points. The restaurant location saved
+ * on the order wins; older orders fall back to the restaurant document.
+ */
+async function loadTripOrders(filter) {
+  const orders = await Order.find(filter).select(TRIP_FIELDS).populate('userId', 'name phone').lean();
+  const restaurantIds = [...new Set(orders.map(order => order.restaurantId?.toString()).filter(Boolean))];
+  const restaurants = restaurantIds.length > 0
+    ? await Restaurant.find({ _id: { $in: restaurantIds } }).select('name location').lean()
+    : [];
+  const restaurantsById = new Map(restaurants.map(restaurant => [restaurant._id.toString(), restaurant]));
+
+  return orders.map(order => {
+    const restaurant = restaurantsById.get(order.restaurantId?.toString());
+    const pickup =
+      toPoint(order.restaurantLocation?.latitude, order.restaurantLocation?.longitude) ||
+      pointFromCoordinates(order.restaurantLocation?.location?.coordinates) ||
+      toPoint(restaurant?.location?.latitude, restaurant?.location?.longitude) ||
+      pointFromCoordinates(restaurant?.location?.coordinates);
+    const drop =
+      toPoint(order.address?.latitude, order.address?.longitude) ||
+      pointFromCoordinates(order.address?.location?.coordinates);
+
+    return {
+      ...order,
+      pickup,
+      drop,
+      restaurantName: order.restaurantName || restaurant?.name || 'Restaurant',
+      restaurantAddress: restaurant?.location?.formattedAddress || restaurant?.location?.address || ''
+    };
+  });
+}
+
+/**
+ * Two orders fit one trip when their restaurants are close and their drops
+ * lie in a similar direction from pickup
+ */
+function areCompatible(first, second, settings) {
+  if (!first.pickup || !first.drop || !second.pickup || !second.drop) {
+    return false;
+  }
+  if (calculateDistance(first.pickup, second.pickup) > settings.maxPickupDistanceKm) {
+    return false;
+  }
+  const difference = Math.abs(calculateBearing(first.pickup, first.drop) - calculateBearing(second.pickup, second.drop));
+  return Math.min(difference, 360 - difference) <= settings.maxDirectionDeviation;
+}
+
+/**
+ * Minutes from the rider's position to the customer if the order went alone
+ */
+function soloTripMinutes(start, order) {
+  const distance = calculateDistance(start, order.pickup) + calculateDistance(order.pickup, order.drop);
+  return (distance / AVERAGE_SPEED_KMH) * 60 + STOP_MINUTES;
+}
+
+/**
+ * Pick the quickest pickup/drop sequence that keeps every customer's delay
+ * within the limit
+ * @returns {Object|null} Plan with stops, duration and per-order ETA impact
+ */
+function planBatch(start, orders, settings) {
+  const soloMinutes = new Map(orders.map(order => [order._id.toString(), soloTripMinutes(start, order)]));
+  const withinEtaLimit = (plan) => plan.stops
+    .filter(stop => stop.type === 'drop')
+    .every(stop => stop.arrivalMinutes - soloMinutes.get(stop.jobId) <= settings.maxEtaImpactMinutes);
+
+  const plan = planStopSequence(
+    start,
+    orders.map(order => ({ id: order._id.toString(), pickup: order.pickup, drop: order.drop })),
+    { speedKmh: AVERAGE_SPEED_KMH, stopMinutes: STOP_MINUTES, accept: withinEtaLimit }
+  );
+  if (!plan) {
+    return null;
+  }
+
+  plan.start = start;
+  plan.etaImpact = orders.map(order => {
+    const id = order._id.toString();
+    const drop = plan.stops.find(stop => stop.type === 'drop' && stop.jobId === id);
+    const solo = soloMinutes.get(id);
+    return {
+      orderId: order._id,
+      soloMinutes: roundMinutes(solo),
+      batchedMinutes: roundMinutes(drop.arrivalMinutes),
+      impactMinutes: Math.max(0, roundMinutes(drop.arrivalMinutes - solo))
+    };
+  });
+  return plan;
+}
+
+/**
+ * Plan a batch of the rider's current orders plus one more. The rider must be
+ * online, carry 1 to max-1 orders and not have picked any of them up yet.
+ */
+async function planRiderBatch(riderId, order, settings) {
+  const rider = await Delivery.findById(riderId)
+    .select('name phone availability.isOnline availability.currentLocation')
+    .lean();
+  const start = pointFromCoordinates(rider?.availability?.currentLocation?.coordinates);
+  if (!rider?.availability?.isOnline || !start) {
+    return null;
+  }
+
+  const riderOrders = await loadTripOrders({
+    deliveryPartnerId: rider._id,
+    status: { $nin: ['delivered', 'cancelled'] },
+    _id: { $ne: order._id }
+  });
+  if (riderOrders.length === 0 || riderOrders.length + 1 > settings.maxOrdersPerBatch) {
+    return null;
+  }
+  if (riderOrders.some(isPickedUp) || !riderOrders.every(riderOrder => areCompatible(riderOrder, order, settings))) {
+    return null;
+  }
+
+  const orders = [...riderOrders, order];
+  const plan = planBatch(start, orders, settings);
+  if (!plan) {
+    return null;
+  }
+
+  return {
+    deliveryPartnerId: rider._id.toString(),
+    name: rider.name,
+    phone: rider.phone,
+    distance: calculateDistance(start, order.pickup),
+    location: { latitude: start.lat, longitude: start.lng },
+    orders,
+    plan
+  };
+}
+
+/**
+ * Whether a rider with no active order is online near the restaurant
+ */
+async function hasIdleRiderNearby(restaurantLat, restaurantLng, restaurantId) {
+  const nearby = await findNearestDeliveryBoys(restaurantLat, restaurantLng, restaurantId, IDLE_RIDER_RADIUS_KM);
+  if (nearby.length === 0) {
+    return false;
+  }
+  const busyIds = await Order.distinct('deliveryPartnerId', {
+    deliveryPartnerId: { $in: nearby.map(rider => rider.deliveryPartnerId) },
+    status: { $nin: ['delivered', 'cancelled'] }
+  });
+  return nearby.length > busyIds.length;
+}
+
+/**
+ * Find a rider already heading to a nearby pickup who can take this order in
+ * the same trip. With peakOnly, nothing is batched while a free rider is near.
+ * @param {Object} order - Order document (unassigned)
+ * @param {number} restaurantLat - Restaurant latitude
+ * @param {number} restaurantLng - Restaurant longitude
+ * @param {string} restaurantId - Restaurant ID (for zone lookup)
+ * @returns {Promise<Object|null>} {deliveryPartnerId, name, phone, distance, location, orders, plan} or null
+ */
+export async function findBatchRiderForOrder(order, restaurantLat, restaurantLng, restaurantId = null) {
+  try {
+    const settings = await getBatchingSettings();
+    if (!settings.isEnabled) {
+      return null;
+    }
+
+    const [tripOrder] = await loadTripOrders({ _id: order._id });
+    if (!tripOrder?.drop) {
+      return null;
+    }
+    tripOrder.pickup = tripOrder.pickup || toPoint(restaurantLat, restaurantLng);
+
+    if (settings.peakOnly && await hasIdleRiderNearby(restaurantLat, restaurantLng, restaurantId)) {
+      console.log(`ℹ️ Free delivery partner near order ${order.orderId}, not batching`);
+      return null;
+    }
+
+    // Orders near this restaurant, going the same way, that riders haven't picked up yet
+    const nearbyOrders = (await loadTripOrders({
+      _id: { $ne: order._id },
+      deliveryPartnerId: { $ne: null },
+      status: { $in: ['confirmed', 'preparing', 'ready'] },
+      'deliveryState.currentPhase': { $nin: PICKED_UP_PHASES },
+      createdAt: { $gte: new Date(Date.now() - CANDIDATE_LOOKBACK_MS) }
+    })).filter(candidate => areCompatible(candidate, tripOrder, settings));
+
+    const riderIds = [...new Set(nearbyOrders.map(candidate => candidate.deliveryPartnerId.toString()))];
+    let best = null;
+    for (const riderId of riderIds) {
+      const candidate = await planRiderBatch(riderId, tripOrder, settings);
+      if (candidate && (!best || candidate.plan.duration < best.plan.duration)) {
+        best = candidate;
+      }
+    }
+
+    if (best) {
+      console.log(`✅ Order ${order.orderId} can be batched with ${best.orders.length - 1} order(s) of delivery partner ${best.name}`);
+    }
+    return best;
+  } catch (error) {
+    console.error('❌ Error finding batch for order:', error);
+    return null;
+  }
+}
+
+/**
+ * Estimated rider earning for one order from the admin's commission rules
+ */
+async function estimateOrderEarning(order) {
+  try {
+    const distance = order.pickup && order.drop ? calculateDistance(order.pickup, order.drop) : 0;
+    const result = await DeliveryBoyCommission.calculateCommission(distance);
+    return roundAmount(result.commission);
+  } catch (error) {
+    return order.pricing?.deliveryFee || 0;
+  }
+}
+
+/**
+ * Save a planned batch: creates the rider's active batch or replaces its
+ * stops, then records each order's place in the trip. The plan is dropped
+ * when the rider's orders or batch changed since it was made (another
+ * assignment saved first), so a stale plan never removes an order from the
+ * trip or goes past maxOrdersPerBatch.
+ * @param {Object} candidate - Result of findBatchRiderForOrder or planRiderBatch
+ * @returns {Promise<Object|null>} DeliveryBatch document, or null when the plan is stale
+ */
+export async function saveBatchPlan(candidate) {
+  const settings = await getBatchingSettings();
+  const { plan, orders } = candidate;
+  const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+  const [current, riderOrders] = await Promise.all([
+    DeliveryBatch.findOne({ deliveryPartnerId: candidate.deliveryPartnerId, status: 'active' })
+      .select('orders __v')
+      .lean(),
+    Order.find({ deliveryPartnerId: candidate.deliveryPartnerId, status: { $nin: ['delivered', 'cancelled'] } })
+      .select('status deliveryState.currentPhase')
+      .lean()
+  ]);
+  const isStale = orders.length > settings.maxOrdersPerBatch ||
+    riderOrders.some(riderOrder => !ordersById.has(riderOrder._id.toString()) || isPickedUp(riderOrder)) ||
+    (current?.orders || []).some(orderId => !ordersById.has(orderId.toString()));
+  if (isStale) {
+    console.log(`ℹ️ Batch plan for delivery partner ${candidate.deliveryPartnerId} is out of date, not saved`);
+    return null;
+  }
+
+  const stops = plan.stops.map((stop, index) => {
+    const order = ordersById.get(stop.jobId);
+    const isPickup = stop.type === 'pickup';
+    return {
+      type: stop.type,
+      orderId: order._id,
+      sequence: index + 1,
+      name: isPickup ? order.restaurantName : order.userId?.name || 'Customer',
+      address: isPickup
+        ? order.restaurantAddress
+        : order.address?.formattedAddress || [order.address?.street, order.address?.city].filter(Boolean).join(', '),
+      location: { latitude: stop.lat, longitude: stop.lng },
+      plannedArrivalMinutes: Math.round(stop.arrivalMinutes)
+    };
+  });
+
+  const route = await calculateMultiStopRoute([plan.start, ...plan.stops]);
+  const batchFields = {
+    orders: orders.map(order => order._id),
+    stops,
+    route: {
+      coordinates: route.coordinates,
+      distance: route.distance,
+      duration: route.duration,
+      method: route.method,
+      calculatedAt: new Date()
+    },
+    etaImpact: plan.etaImpact,
+    'earnings.bonusPerExtraOrder': settings.bonusPerExtraOrder
+  };
+
+  let batch = null;
+  if (current) {
+    // Only replaces the stops read above
+    batch = await DeliveryBatch.findOneAndUpdate(
+      { _id: current._id, status: 'active', __v: current.__v },
+      { $set: batchFields, $inc: { __v: 1 } },
+      { new: true }
+    );
+  } else {
+    try {
+      batch = await DeliveryBatch.create({
+        batchId: `BATCH-${Date.now()}-${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+        deliveryPartnerId: candidate.deliveryPartnerId,
+        ...batchFields,
+        earnings: { bonusPerExtraOrder: settings.bonusPerExtraOrder }
+      });
+    } catch (error) {
+      // The rider's active batch was created by a concurrent assignment
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+  if (!batch) {
+    console.log(`ℹ️ Batch of delivery partner ${candidate.deliveryPartnerId} changed while saving, plan dropped`);
+    return null;
+  }
+
+  await Promise.all(orders.map(order => {
+    const id = order._id.toString();
+    const impact = plan.etaImpact.find(entry => entry.orderId.toString() === id);
+    return Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          deliveryBatch: {
+            batchId: batch._id,
+            pickupSequence: stops.find(stop => stop.type === 'pickup' && stop.orderId.toString() === id)?.sequence,
+            dropSequence: stops.find(stop => stop.type === 'drop' && stop.orderId.toString() === id)?.sequence,
+            etaImpactMinutes: impact?.impactMinutes || 0
+          }
+        }
+      }
+    );
+  }));
+
+  console.log(`✅ Batch ${batch.batchId} saved with ${orders.length} orders for delivery partner ${candidate.deliveryPartnerId}`);
+  return batch;
+}
+
+/**
+ * Add an order the rider just accepted to their trip when it fits the
+ * batching limits. Orders that don't fit stay as separate trips.
+ * @param {string} orderId - MongoDB ID of the order
+ * @param {string} deliveryPartnerId - Rider who accepted it
+ * @returns {Promise<Object|null>} DeliveryBatch document or null
+ */
+export async function attachOrderToRiderBatch(orderId, deliveryPartnerId) {
+  const settings = await getBatchingSettings();
+  if (!settings.isEnabled) {
+    return null;
+  }
+  const [order] = await loadTripOrders({ _id: orderId });
+  if (!order?.pickup || !order?.drop || order.deliveryBatch?.batchId) {
+    return null;
+  }
+
+  const candidate = await planRiderBatch(deliveryPartnerId, order, settings);
+  if (!candidate) {
+    return null;
+  }
+  const batch = await saveBatchPlan(candidate);
+  if (batch) {
+    await refreshBatchEtas(batch, orderId);
+  }
+  return batch;
+}
+
+/**
+ * Recalculate customer ETAs of orders already on the batch after its
+ * sequence changed
+ * @param {Object} batch - DeliveryBatch document
+ * @param {string} skipOrderId - Order whose ETA is updated by the assignment itself
+ */
+export async function refreshBatchEtas(batch, skipOrderId = null) {
+  try {
+    const etaCalculationService = (await import('./etaCalculationService.js')).default;
+    for (const orderId of batch.orders) {
+      if (skipOrderId && orderId.toString() === skipOrderId.toString()) {
+        continue;
+      }
+      await etaCalculationService.recalculateETA(orderId.toString(), 'BATCH_UPDATED');
+    }
+  } catch (error) {
+    console.error('Error updating ETAs after batching:', error);
+  }
+}
+
+/**
+ * Credit a batch bonus to the rider's wallet in the session that marks it
+ * credited, so a batch is never marked paid without the wallet credit
+ */
+async function creditBatchBonus(batch, batchBonus, deliveredCount, session) {
+  const wallet = await DeliveryWallet.findOne({ deliveryId: batch.deliveryPartnerId }).session(session);
+  if (!wallet) {
+    throw new Error(`Delivery wallet not found for partner ${batch.deliveryPartnerId}`);
+  }
+  wallet.addTransaction({
+    amount: batchBonus,
+    type: 'bonus',
+    status: 'Completed',
+    description: `Batch bonus for trip ${batch.batchId} (${deliveredCount} orders)`
+  });
+  await wallet.saveWithLedger({ session });
+}
+
+/**
+ * Close a batch whose orders are all delivered or cancelled, crediting the
+ * batch bonus in the same transaction. A failed credit rolls the close back,
+ * leaving the batch active for processFinishedBatches to retry.
+ */
+async function settleBatch(batch) {
+  const orders = await Order.find({ _id: { $in: batch.orders } }).select('status').lean();
+  if (!orders.every(isFinished)) {
+    return null;
+  }
+
+  const deliveredCount = orders.filter(batchOrder => batchOrder.status === 'delivered').length;
+  const batchBonus = deliveredCount > 1
+    ? roundAmount((deliveredCount - 1) * (batch.earnings?.bonusPerExtraOrder || 0))
+    : 0;
+
+  if (batchBonus > 0) {
+    // The wallet is read inside the transaction, so make sure it exists first
+    await DeliveryWallet.findOrCreateByDeliveryId(batch.deliveryPartnerId);
+  }
+
+  let closed;
+  try {
+    // The claim on the active batch keeps concurrent deliveries from paying the bonus twice
+    closed = await runLedgerTransaction(async (session) => {
+      const claimed = await DeliveryBatch.findOneAndUpdate(
+        { _id: batch._id, status: 'active' },
+        {
+          $set: {
+            status: deliveredCount > 0 ? 'completed' : 'cancelled',
+            completedAt: new Date(),
+            'earnings.batchBonus': batchBonus,
+            ...(batchBonus > 0 ? { 'earnings.bonusCreditedAt': new Date() } : {})
+          }
+        },
+        { new: true, session }
+      );
+      if (claimed && batchBonus > 0) {
+        await creditBatchBonus(batch, batchBonus, deliveredCount, session);
+      }
+      return claimed;
+    });
+  } catch (error) {
+    console.error(`❌ Error closing trip ${batch.batchId}, left for the batch sweep:`, error);
+    return null;
+  }
+  if (!closed) {
+    return null;
+  }
+
+  if (batchBonus > 0) {
+    console.log(`💰 Batch bonus ₹${batchBonus} credited for trip ${batch.batchId}`);
+  }
+  return { batchId: batch.batchId, status: closed.status, batchBonus };
+}
+
+/**
+ * Close a batch once every order on it is delivered or cancelled and credit
+ * the batch bonus for each delivered order beyond the first. Safe to call
+ * after every delivery; only the call that closes the batch pays.
+ * @param {string} orderId - MongoDB ID of an order on the batch
+ * @returns {Promise<Object|null>} {batchId, status, batchBonus} or null while the batch is still running
+ */
+export async function settleBatchForOrder(orderId) {
+  const order = await Order.findById(orderId).select('deliveryBatch').lean();
+  const batch = order?.deliveryBatch?.batchId
+    ? await DeliveryBatch.findById(order.deliveryBatch.batchId).lean()
+    : null;
+  if (!batch || batch.status !== 'active') {
+    return null;
+  }
+
+  return settleBatch(batch);
+}
+
+/**
+ * Sweep for batch bonuses that were never paid: active batches whose orders
+ * all finished without the closing call succeeding, and completed batches
+ * whose bonus credit failed after they were closed.
+ * @returns {Promise<Object>} {processed, closed, bonusesCredited, failed, message}
+ */
+export async function processFinishedBatches() {
+  let closed = 0;
+  let bonusesCredited = 0;
+  let failed = 0;
+
+  // Recently touched batches are left to the delivery that closes them
+  const stale = new Date(Date.now() - STALE_BATCH_MS);
+  const activeBatches = await DeliveryBatch.find({ status: 'active', updatedAt: { $lt: stale } }).lean();
+  for (const batch of activeBatches) {
+    const result = await settleBatch(batch);
+    if (result) {
+      closed++;
+      if (result.batchBonus > 0) bonusesCredited++;
+    }
+  }
+
+  const unpaidBatches = await DeliveryBatch.find({
+    status: 'completed',
+    'earnings.batchBonus': { $gt: 0 },
+    'earnings.bonusCreditedAt': { $exists: false }
+  }).lean();
+  for (const batch of unpaidBatches) {
+    try {
+      await DeliveryWallet.findOrCreateByDeliveryId(batch.deliveryPartnerId);
+      const credited = await runLedgerTransaction(async (session) => {
+        const claimed = await DeliveryBatch.findOneAndUpdate(
+          { _id: batch._id, 'earnings.bonusCreditedAt': { $exists: false } },
+          { $set: { 'earnings.bonusCreditedAt': new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          return false;
+        }
+        const deliveredCount = await Order.countDocuments({ _id: { $in: batch.orders }, status: 'delivered' }).session(session);
+        await creditBatchBonus(batch, batch.earnings.batchBonus, deliveredCount, session);
+        return true;
+      });
+      if (credited) {
+        bonusesCredited++;
+        console.log(`💰 Batch bonus ₹${batch.earnings.batchBonus} credited for trip ${batch.batchId}`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Error crediting batch bonus for trip ${batch.batchId}:`, error);
+    }
+  }
+
+  return {
+    processed: closed + bonusesCredited + failed,
+    closed,
+    bonusesCredited,
+    failed,
+    message: `Closed ${closed} finished trip(s), credited ${bonusesCredited} batch bonus(es), ${failed} failed`
+  };
+}
+
+/**
+ * Format a batch for the delivery app: stops in visiting order with their
+ * progress, the orders on the trip and the trip's earnings
+ */
+async function formatBatch(batch, orders) {
+  const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+  const stops = batch.stops.map(stop => {
+    const order = ordersById.get(stop.orderId.toString());
+    let status = 'pending';
+    if (!order || order.status === 'cancelled') {
+      status = 'skipped';
+    } else if (order.status === 'delivered' || (stop.type === 'pickup' && isPickedUp(order))) {
+      status = 'done';
+    }
+    return {
+      sequence: stop.sequence,
+      type: stop.type,
+      orderId: order?.orderId || null,
+      orderMongoId: stop.orderId.toString(),
+      name: stop.name,
+      address: stop.address,
+      location: stop.location,
+      plannedArrivalMinutes: stop.plannedArrivalMinutes,
+      status
+    };
+  });
+  const nextStop = stops.find(stop => stop.status === 'pending') || null;
+
+  const activeOrders = orders.filter(order => order.status !== 'cancelled');
+  const orderEarnings = await Promise.all(activeOrders.map(estimateOrderEarning));
+  const ordersTotal = roundAmount(orderEarnings.reduce((sum, amount) => sum + amount, 0));
+  const batchBonus = batch.status === 'active'
+    ? roundAmount(Math.max(0, activeOrders.length - 1) * (batch.earnings?.bonusPerExtraOrder || 0))
+    : batch.earnings?.batchBonus || 0;
+
+  return {
+    id: batch._id.toString(),
+    batchId: batch.batchId,
+    status: batch.status,
+    orders: orders.map(order => ({
+      id: order._id.toString(),
+      orderId: order.orderId,
+      status: order.status,
+      restaurantName: order.restaurantName,
+      customerName: order.userId?.name || 'Customer',
+      pickupSequence: order.deliveryBatch?.pickupSequence || null,
+      dropSequence: order.deliveryBatch?.dropSequence || null,
+      etaImpactMinutes: order.deliveryBatch?.etaImpactMinutes || 0,
+      estimatedEarning: order.status === 'cancelled' ? 0 : orderEarnings[activeOrders.indexOf(order)]
+    })),
+    stops: stops.map(stop => ({ ...stop, isNext: stop === nextStop })),
+    nextStop,
+    route: {
+      distance: batch.route?.distance ?? null,
+      duration: batch.route?.duration ?? null
+    },
+    earnings: {
+      orders: ordersTotal,
+      batchBonus,
+      total: roundAmount(ordersTotal + batchBonus)
+    },
+    createdAt: batch.createdAt
+  };
+}
+
+/**
+ * Get the rider's current multi-stop trip
+ * @param {string} deliveryPartnerId - Rider ID
+ * @returns {Promise<Object|null>} Formatted batch or null when the rider has none
+ */
+export async function getActiveBatch(deliveryPartnerId) {
+  const batch = await DeliveryBatch.findOne({ deliveryPartnerId, status: 'active' })
+    .sort({ updatedAt: -1 })
+    .lean();
+  if (!batch) {
+    return null;
+  }
+
+  const orders = await loadTripOrders({ _id: { $in: batch.orders } });
+  // Orders cancelled outside the delivery flow can leave a finished batch open
+  if (orders.length === 0 || orders.every(isFinished)) {
+    if (orders.length > 0) {
+      await settleBatchForOrder(orders[0]._id);
+    } else {
+      await DeliveryBatch.updateOne({ _id: batch._id, status: 'active' }, { $set: { status: 'cancelled', completedAt: new Date() } });
+    }
+    return null;
+  }
+
+  return formatBatch(batch, orders);
+}
+
+export default {
+  findBatchRiderForOrder,
+  saveBatchPlan,
+  attachOrderToRiderBatch,
+  refreshBatchEtas,
+  settleBatchForOrder,
+  processFinishedBatches,
+  getActiveBatch
+};
@@ -1,13 +1,18 @@
 import Restaurant from '../../restaurant/models/Restaurant.js';
 import Offer from '../../restaurant/models/Offer.js';
+import Menu from '../../restaurant/models/Menu.js';
 import FeeSettings from '../../admin/models/FeeSettings.js';
 import mongoose from 'mongoose';
+import { buildMenuItemIndex, priceItemAddons } from '../../restaurant/services/addonGroupService.js';
+import { checkOrderingAllowed } from '../../subscription/services/subscriptionService.js';
+import { applyPlatformCoupon } from '../../coupon/services/couponService.js';
+import { normalizeTipAmount } from './deliveryTipService.js';
 
 /**
  * Get active fee settings from database
  * Returns default values if no settings found
  */
-const getFeeSettings = async () => {
+export const getFeeSettings = async () => {
   try {
     const feeSettings = await FeeSettings.findOne({ isActive: true })
       .sort({ createdAt: -1 })
@@ -143,13 +148,28 @@ export const calculatePlatformFee = async (distanceInKm = null) => {
 
 /**
  * Calculate GST (Goods and Services Tax)
- * GST is calculated on subtotal after discounts
+ * GST is calculated on subtotal after discounts. Items carrying their own GST
+ * rate on the menu are taxed at that rate, the rest at the platform rate; the
+ * discount is spread across items in proportion to their value (as on the
+ * tax invoice).
  */
-export const calculateGST = async (subtotal, discount = 0) => {
+export const calculateGST = async (subtotal, discount = 0, items = [], menu = null) => {
   const taxableAmount = subtotal - discount;
   const feeSettings = await getFeeSettings();
-  const gstRate = (feeSettings.gstRate || 5) / 100; // Convert percentage to decimal
-  return Math.round(taxableAmount * gstRate);
+  const defaultRate = feeSettings.gstRate || 5;
+
+  if (!menu || !items.length || subtotal <= 0) {
+    return Math.round(taxableAmount * (defaultRate / 100)); // Convert percentage to decimal
+  }
+
+  const itemIndex = buildMenuItemIndex(menu);
+  const weightedRate = items.reduce((sum, item) => {
+    const menuGst = Number(itemIndex.get(String(item.itemId || item.id))?.gst);
+    const rate = menuGst > 0 ? menuGst : defaultRate;
+    return sum + (item.price || 0) * (item.quantity || 1) * rate;
+  }, 0) / subtotal;
+
+  return Math.round(taxableAmount * (weightedRate / 100));
 };
 
 /**
@@ -177,6 +197,60 @@ export const calculateDiscount = (coupon, subtotal) => {
   return Math.min(coupon.discount || 0, subtotal);
 };
 
+/**
+ * Price order lines from the menu and validate their customizations.
+ * Line `price` becomes basePrice (menu price of the item, or of the selected
+ * variant) + server-priced add-ons; prices sent by the client are ignored.
+ * @param {Array} items - Order lines from client
+ * @param {Object|null} menu - Restaurant menu (lean)
+ * @returns {Array} Order lines with basePrice, selectedAddons, addonsTotal and price
+ * @throws {Error} 400 error when an item, variant or add-on selection is invalid
+ */
+export const priceOrderItems = (items, menu) => {
+  const itemIndex = buildMenuItemIndex(menu);
+
+  return items.map((item) => {
+    const selections = Array.isArray(item.selectedAddons) ? item.selectedAddons : [];
+    const specialInstructions = typeof item.specialInstructions === 'string'
+      ? item.specialInstructions.trim().slice(0, 250)
+      : '';
+    const menuItem = itemIndex.get(String(item.itemId || item.id));
+
+    if (!menuItem) {
+      const error = new Error(`"${item.name || 'Item'}" is no longer on the menu. Please refresh and try again.`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let basePrice = Number(menuItem.price) || 0;
+    let variantName = null;
+    if (Array.isArray(menuItem.variations) && menuItem.variations.length > 0) {
+      const variant = menuItem.variations.find((v) => String(v.id) === String(item.selectedVariantId));
+      if (!variant) {
+        const error = new Error(`Invalid variant selected for "${menuItem.name}". Please refresh and try again.`);
+        error.statusCode = 400;
+        throw error;
+      }
+      basePrice = Number(variant.price) || 0;
+      variantName = variant.name;
+    }
+
+    const { selectedAddons, addonsTotal } = priceItemAddons(menuItem, selections, menu?.addons || []);
+
+    return {
+      ...item,
+      // The menu's own name, not the translation the customer was shown
+      name: variantName ? `${menuItem.name} - ${variantName}` : menuItem.name,
+      selectedVariantName: variantName,
+      basePrice,
+      selectedAddons,
+      addonsTotal,
+      price: Math.round((basePrice + addonsTotal) * 100) / 100,
+      specialInstructions: menuItem.allowSpecialInstructions === false ? '' : specialInstructions,
+    };
+  });
+};
+
 /**
  * Calculate distance between two coordinates (Haversine formula)
  * Returns distance in kilometers
@@ -209,9 +283,39 @@ export const calculateOrderPricing = async ({
   deliveryAddress = null,
   couponCode = null,
   deliveryFleet = 'standard',
-  userId = null // Add userId to fetch location from Firebase
+  userId = null, // Add userId to fetch location from Firebase
+  paymentMethod = null, // Only needed for payment-method-targeted platform coupons
+  tip = 0 // Delivery partner tip chosen at checkout
 }) => {
   try {
+    // Get restaurant details
+    let restaurant = null;
+    if (restaurantId) {
+      if (mongoose.Types.ObjectId.isValid(restaurantId) && restaurantId.length === 24) {
+        restaurant = await Restaurant.findById(restaurantId).lean();
+      }
+      if (!restaurant) {
+        restaurant = await Restaurant.findOne({
+          $or: [
+            { restaurantId: restaurantId },
+            { slug: restaurantId }
+          ]
+        }).lean();
+      }
+    }
+
+    // Subscription-based restaurants stop taking orders once their plan lapses
+    const subscriptionCheck = await checkOrderingAllowed(restaurant);
+    if (!subscriptionCheck.allowed) {
+      const error = new Error(subscriptionCheck.message);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // Validate and price add-ons server-side
+    const menu = restaurant ? await Menu.findOne({ restaurant: restaurant._id }).lean() : null;
+    items = priceOrderItems(items, menu);
+
     // Calculate subtotal from items
     const subtotal = items.reduce((sum, item) => {
       return sum + (item.price || 0) * (item.quantity || 1);
@@ -276,27 +380,31 @@ export const calculateOrderPricing = async ({
       console.warn('⚠️ No location available (neither Firebase nor deliveryAddress)');
     }
     
-    // Get restaurant details
-    let restaurant = null;
-    if (restaurantId) {
-      if (mongoose.Types.ObjectId.isValid(restaurantId) && restaurantId.length === 24) {
-        restaurant = await Restaurant.findById(restaurantId).lean();
-      }
-      if (!restaurant) {
-        restaurant = await Restaurant.findOne({
-          $or: [
-            { restaurantId: restaurantId },
-            { slug: restaurantId }
-          ]
-        }).lean();
-      }
-    }
-    
     // Calculate coupon discount
     let discount = 0;
     let appliedCoupon = null;
-    
-    if (couponCode && restaurant) {
+    let couponError = null;
+
+    // Platform (admin) coupons take precedence over restaurant offer coupons with the same code
+    const platformCoupon = couponCode && restaurant
+      ? await applyPlatformCoupon({ couponCode, userId, restaurant, subtotal, paymentMethod })
+      : null;
+
+    if (platformCoupon) {
+      if (platformCoupon.valid) {
+        discount = platformCoupon.discount;
+        appliedCoupon = {
+          code: platformCoupon.coupon.code,
+          discount,
+          type: platformCoupon.coupon.discountType,
+          freeDelivery: platformCoupon.freeDelivery,
+          isPlatformCoupon: true,
+          funding: platformCoupon.funding,
+        };
+      } else {
+        couponError = platformCoupon.message;
+      }
+    } else if (couponCode && restaurant) {
       try {
         // Get restaurant ObjectId
         let restaurantObjectId = restaurant._id;
@@ -407,10 +515,13 @@ export const calculateOrderPricing = async ({
     const platformFee = await calculatePlatformFee(distanceInKm);
     
     // Calculate GST on subtotal after discount
-    const gst = await calculateGST(subtotal, discount);
+    const gst = await calculateGST(subtotal, discount, items, menu);
     
+    // Tip is passed to the delivery partner in full, so it sits outside fees and tax
+    const tipAmount = normalizeTipAmount(tip);
+
     // Calculate total
-    const total = subtotal - discount + finalDeliveryFee + platformFee + gst;
+    const total = subtotal - discount + finalDeliveryFee + platformFee + gst + tipAmount;
     
     // Calculate savings (discount + any delivery savings)
     const savings = discount + (deliveryFee > finalDeliveryFee ? deliveryFee - finalDeliveryFee : 0);
@@ -421,24 +532,42 @@ export const calculateOrderPricing = async ({
       deliveryFee: Math.round(finalDeliveryFee),
       platformFee: Math.round(platformFee),
       tax: gst, // Already rounded in calculateGST
+      tip: tipAmount,
       total: Math.round(total),
       savings: Math.round(savings),
       appliedCoupon: appliedCoupon ? {
         code: appliedCoupon.code,
         discount: discount,
-        freeDelivery: appliedCoupon.freeDelivery || false
+        freeDelivery: appliedCoupon.freeDelivery || false,
+        isPlatformCoupon: appliedCoupon.isPlatformCoupon || false
       } : null,
+      couponError,
+      items: items.map(item => ({
+        itemId: item.itemId,
+        quantity: item.quantity || 1,
+        basePrice: item.basePrice,
+        addonsTotal: item.addonsTotal,
+        price: item.price,
+        selectedAddons: item.selectedAddons,
+        specialInstructions: item.specialInstructions,
+      })),
       breakdown: {
         itemTotal: Math.round(subtotal),
         discountAmount: Math.round(discount),
         deliveryFee: Math.round(finalDeliveryFee),
         platformFee: Math.round(platformFee),
         gst: gst,
+        tip: tipAmount,
         total: Math.round(total)
       }
     };
   } catch (error) {
-    throw new Error(`Failed to calculate order pricing: ${error.message}`);
+    // Keep validation messages (e.g. add-on rules) readable for the client
+    const wrappedError = new Error(
+      error.statusCode ? error.message : `Failed to calculate order pricing: ${error.message}`
+    );
+    wrappedError.statusCode = error.statusCode;
+    throw wrappedError;
   }
 };
 
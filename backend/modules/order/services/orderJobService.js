@@ -0,0 +1,145 @@
+import winston from 'winston';
+import Order from '../models/Order.js';
+import {
+  JOB_QUEUES,
+  addUniqueJob,
+  addRepeatableJob,
+  getQueue
+} from '../../../config/queue.js';
+import {
+  autoRejectOrder,
+  getNextAcceptCheck,
+  processAutoRejectOrders
+} from './autoRejectService.js';
+import { getAcceptanceSettings } from './restaurantAcceptanceService.js';
+import {
+  autoReadyOrder,
+  getReadyAt,
+  processAutoReadyOrders
+} from './autoReadyService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Catches orders whose job was lost (Redis flush, order created while the queue was down)
+const SWEEP_CRON = '*/5 * * * *';
+
+const dueJobId = (orderId, dueAt) => `${orderId}:${dueAt.getTime()}`;
+
+const enqueueAt = (queueName, orderId, dueAt) =>
+  addUniqueJob(
+    queueName,
+    'due',
+    dueJobId(orderId, dueAt),
+    { orderId: orderId.toString() },
+    { delay: Math.max(0, dueAt.getTime() - Date.now()) }
+  );
+
+/**
+ * Re-queue a job that ran before its order was due. If the due time is the
+ * one this job was queued for (clock skew between instances), the new job
+ * would share its id and be dropped, so fail and let the retry backoff wait.
+ */
+const requeue = async (queueName, job, dueAt) => {
+  if (dueJobId(job.data.orderId, dueAt) === job.id) {
+    throw new Error('Job ran before its due time');
+  }
+  await enqueueAt(queueName, job.data.orderId, dueAt);
+};
+
+/**
+ * Queue the first escalation step of an order's accept window, or its
+ * auto-reject when there is none. Each run queues the next step.
+ * No-op without the job queue (the polling cron covers it). Never throws.
+ * @param {string} orderId - Order MongoDB _id
+ */
+export async function scheduleAutoReject(orderId) {
+  if (!getQueue(JOB_QUEUES.AUTO_REJECT)) {
+    return null;
+  }
+  try {
+    const order = await Order.findById(orderId)
+      .select('status createdAt scheduledDelivery.releasedAt payment.method acceptance')
+      .lean();
+    if (!order || !['pending', 'confirmed'].includes(order.status) || order.payment?.method === 'pay_at_hotel') {
+      return null;
+    }
+    const settings = await getAcceptanceSettings();
+    return await enqueueAt(JOB_QUEUES.AUTO_REJECT, order._id, getNextAcceptCheck(order, settings));
+  } catch (error) {
+    logger.error(`Error scheduling auto-reject for order ${orderId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Queue marking an order ready when its prep time runs out. Call again after
+ * the ETA changes; the job for the old time re-queues itself if early.
+ * No-op without the job queue (the polling cron covers it). Never throws.
+ * @param {string} orderId - Order MongoDB _id
+ */
+export async function scheduleAutoReady(orderId) {
+  if (!getQueue(JOB_QUEUES.AUTO_READY)) {
+    return null;
+  }
+  try {
+    const order = await Order.findById(orderId)
+      .select('status tracking.preparing estimatedDeliveryTime')
+      .lean();
+    const readyAt = order?.status === 'preparing' ? getReadyAt(order) : null;
+    if (!readyAt) {
+      return null;
+    }
+    return await enqueueAt(JOB_QUEUES.AUTO_READY, order._id, readyAt);
+  } catch (error) {
+    logger.error(`Error scheduling auto-ready for order ${orderId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attach the auto-reject and auto-ready processors and their sweeps.
+ * Errors thrown by a processor fail the job so bull retries it.
+ */
+export async function registerOrderJobProcessors() {
+  const rejectQueue = getQueue(JOB_QUEUES.AUTO_REJECT);
+  const readyQueue = getQueue(JOB_QUEUES.AUTO_READY);
+  if (!rejectQueue || !readyQueue) {
+    return false;
+  }
+
+  rejectQueue.process('due', async (job) => {
+    const result = await autoRejectOrder(job.data.orderId);
+    // Still waiting: next escalation step, or the accept window moved
+    // (e.g. scheduled order released later than planned)
+    if (result.dueAt) {
+      await requeue(JOB_QUEUES.AUTO_REJECT, job, result.dueAt);
+    }
+    return result;
+  });
+  rejectQueue.process('sweep', () => processAutoRejectOrders());
+
+  readyQueue.process('due', async (job) => {
+    const result = await autoReadyOrder(job.data.orderId);
+    // ETA was extended after this job was queued
+    if (result.readyAt) {
+      await requeue(JOB_QUEUES.AUTO_READY, job, result.readyAt);
+    }
+    return result;
+  });
+  readyQueue.process('sweep', () => processAutoReadyOrders());
+
+  await Promise.all([
+    addRepeatableJob(JOB_QUEUES.AUTO_REJECT, 'sweep', SWEEP_CRON),
+    addRepeatableJob(JOB_QUEUES.AUTO_READY, 'sweep', SWEEP_CRON)
+  ]);
+
+  return true;
+}
@@ -0,0 +1,376 @@
+import Order from "../models/Order.js";
+import Payment from "../../payment/models/Payment.js";
+import winston from "winston";
+import { notifyRestaurantNewOrder } from "./restaurantNotificationService.js";
+import { scheduleAutoReject } from "./orderJobService.js";
+import { calculateOrderSettlement } from "./orderSettlementService.js";
+import { holdEscrow } from "./escrowWalletService.js";
+import { distributeCommissions } from "./commissionDistributionService.js";
+import {
+  releaseCouponRedemption,
+  restoreCouponRedemption,
+} from "../../coupon/services/couponService.js";
+import {
+  releaseOrderSubscriptionSlot,
+  restoreOrderSubscriptionSlot,
+} from "../../subscription/services/subscriptionService.js";
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+// Unpaid online orders older than this are treated as abandoned
+const ABANDONED_PAYMENT_MINUTES = 30;
+const ABANDONED_PAYMENT_REASON = "Payment was not completed";
+
+/**
+ * Order Payment Service
+ * Applies a successful or failed Razorpay payment to an order. Used by the
+ * client-side verify endpoint and the Razorpay webhook, which can arrive in
+ * either order (or both), so every transition is claimed atomically and
+ * side effects run only for the caller that won the claim.
+ */
+
+/**
+ * Mark an online order as paid and release it to the restaurant
+ * @param {Object} order - Order document (or anything with _id)
+ * @param {Object} details
+ * @param {String} details.razorpayOrderId
+ * @param {String} details.razorpayPaymentId
+ * @param {String} [details.razorpaySignature] - Only present on client verification
+ * @param {String} details.source - 'client' | 'webhook' | 'reconciliation'
+ * @param {String} [details.ipAddress]
+ * @param {String} [details.userAgent]
+ * @returns {Promise<{order: Object, payment: Object, alreadyProcessed: Boolean}>}
+ */
+export const confirmOrderPayment = async (order, details) => {
+  const {
+    razorpayOrderId,
+    razorpayPaymentId,
+    razorpaySignature,
+    source,
+    ipAddress,
+    userAgent,
+  } = details;
+
+  const paymentUpdate = {
+    "payment.status": "completed",
+    "payment.razorpayPaymentId": razorpayPaymentId,
+    "payment.transactionId": razorpayPaymentId,
+  };
+  if (razorpaySignature) {
+    paymentUpdate["payment.razorpaySignature"] = razorpaySignature;
+  }
+
+  const claimedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, "payment.status": { $nin: ["completed", "refunded"] } },
+    { $set: paymentUpdate },
+    { new: true },
+  );
+
+  if (!claimedOrder) {
+    // Another caller (client verify or an earlier webhook) already applied it
+    const existingOrder = await Order.findById(order._id);
+    const existingPayment = await Payment.findOne({
+      orderId: order._id,
+      "razorpay.paymentId": existingOrder?.payment?.razorpayPaymentId || razorpayPaymentId,
+    });
+
+    if (existingOrder?.payment?.razorpayPaymentId !== razorpayPaymentId) {
+      logger.warn(`⚠️ Order ${existingOrder?.orderId} already paid with a different payment`, {
+        recordedPaymentId: existingOrder?.payment?.razorpayPaymentId,
+        incomingPaymentId: razorpayPaymentId,
+        source,
+      });
+    }
+
+    return { order: existingOrder, payment: existingPayment, alreadyProcessed: true };
+  }
+
+  const payment = await Payment.create({
+    paymentId: `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    orderId: claimedOrder._id,
+    userId: claimedOrder.userId,
+    amount: claimedOrder.pricing.total,
+    currency: "INR",
+    method: "razorpay",
+    status: "completed",
+    razorpay: {
+      orderId: razorpayOrderId,
+      paymentId: razorpayPaymentId,
+      signature: razorpaySignature,
+    },
+    transactionId: razorpayPaymentId,
+    completedAt: new Date(),
+    logs: [
+      {
+        action: "completed",
+        timestamp: new Date(),
+        details: {
+          razorpayOrderId,
+          razorpayPaymentId,
+          source,
+        },
+        ipAddress,
+        userAgent,
+      },
+    ],
+  });
+
+  // A payment that lands after the order was cancelled is recorded but does not
+  // revive the order; reconciliation/refunds pick it up from here
+  if (claimedOrder.status !== "pending") {
+    logger.warn(
+      `⚠️ Payment ${razorpayPaymentId} captured for order ${claimedOrder.orderId} in status ${claimedOrder.status}`,
+    );
+    return { order: claimedOrder, payment, alreadyProcessed: false };
+  }
+
+  // Pre-orders are held until the scheduler releases them to the restaurant
+  if (claimedOrder.scheduledDelivery?.isScheduled) {
+    claimedOrder.status = "scheduled";
+  } else {
+    claimedOrder.status = "confirmed";
+    claimedOrder.tracking.confirmed = { status: true, timestamp: new Date() };
+  }
+
+  // For online payments, mark as cash collected N/A or true since it's paid
+  claimedOrder.cashCollected = true;
+
+  await claimedOrder.save();
+
+  // A failed earlier attempt may have given the coupon use and plan slot back
+  await restoreCouponRedemption(claimedOrder._id);
+  await restoreOrderSubscriptionSlot(claimedOrder._id);
+
+  // Send push notification to user about order placement
+  // NOTE: Restaurant notification is sent via notifyRestaurantNewOrder (Socket.IO + FCM)
+  try {
+    const { notifyUserOrderPlaced } =
+      await import("../../fcm/services/pushNotificationService.js");
+    await notifyUserOrderPlaced(claimedOrder);
+  } catch (pushError) {
+    logger.error("❌ Error sending push notifications:", pushError);
+  }
+
+  await settlePaidOrder(claimedOrder);
+
+  // Notify restaurant about confirmed order (payment verified)
+  // (pre-orders are notified by the scheduler when released)
+  if (!claimedOrder.scheduledDelivery?.isScheduled) {
+    try {
+      const restaurantId =
+        claimedOrder.restaurantId?.toString() || claimedOrder.restaurantId;
+
+      if (!restaurantId) {
+        throw new Error("Order restaurantId is missing");
+      }
+
+      const notificationResult = await notifyRestaurantNewOrder(
+        claimedOrder,
+        restaurantId,
+      );
+
+      logger.info(`✅ Successfully notified restaurant about confirmed order:`, {
+        orderId: claimedOrder.orderId,
+        restaurantId,
+        restaurantName: claimedOrder.restaurantName,
+        notificationResult,
+        source,
+      });
+    } catch (notificationError) {
+      logger.error(
+        `❌ CRITICAL: Error notifying restaurant after payment confirmation:`,
+        {
+          error: notificationError.message,
+          stack: notificationError.stack,
+          orderId: claimedOrder.orderId,
+          restaurantId: claimedOrder.restaurantId,
+          orderStatus: claimedOrder.status,
+        },
+      );
+      // Don't fail payment confirmation if notification fails
+      // Order is still saved and restaurant can fetch it via API
+    }
+    await scheduleAutoReject(claimedOrder._id);
+  }
+
+  logger.info(`Order payment confirmed: ${claimedOrder.orderId}`, {
+    orderId: claimedOrder.orderId,
+    paymentId: payment.paymentId,
+    razorpayPaymentId,
+    source,
+  });
+
+  return { order: claimedOrder, payment, alreadyProcessed: false };
+};
+
+/**
+ * Calculate the settlement, hold escrow and post the instant admin/hotel credits
+ * @param {Object} order - Paid order document
+ */
+const settlePaidOrder = async (order) => {
+  try {
+    // Calculate settlement breakdown
+    const settlement = await calculateOrderSettlement(order._id);
+
+    // Hold funds in escrow
+    await holdEscrow(order._id, order.userId, order.pricing.total);
+
+    // Instant Wallet Credits for Admin and Hotel (for Online Payments)
+    if (order.payment.method === "razorpay") {
+      const { creditAdminWallet, creditHotelWallet } =
+        await import("./escrowWalletService.js");
+
+      // Credit Admin Wallet immediately
+      if (settlement.adminEarning && settlement.adminEarning.totalEarning > 0) {
+        await creditAdminWallet(
+          order._id,
+          settlement.adminEarning.commission,
+          order.orderId,
+          order.pricing.total,
+        );
+      }
+
+      // Credit Hotel Wallet immediately for QR orders
+      if (
+        order.orderType === "QR" &&
+        settlement.hotelEarning &&
+        settlement.hotelEarning.commission > 0
+      ) {
+        await creditHotelWallet(
+          settlement.hotelEarning.hotelId,
+          order._id,
+          settlement.hotelEarning.commission,
+          order.orderId,
+          order.pricing.total,
+        );
+      }
+
+      // Trigger QR Commission split immediately for Online Payments
+      if (order.orderType === "QR") {
+        try {
+          await distributeCommissions(order._id);
+          logger.info(
+            `✅ Instant QR commission distributed for order ${order.orderId}`,
+          );
+        } catch (distErr) {
+          logger.error(
+            `❌ Failed to distribute instant QR commission: ${distErr.message}`,
+          );
+        }
+      }
+    }
+
+    logger.info(
+      `✅ Order settlement calculated, escrow held, and instant credits processed for order ${order.orderId}`,
+    );
+  } catch (settlementError) {
+    logger.error(
+      `❌ Error calculating settlement for order ${order.orderId}:`,
+      settlementError,
+    );
+    // Don't fail payment confirmation if settlement calculation fails
+    // But log it for investigation
+  }
+};
+
+/**
+ * Mark an order's online payment as failed unless it was already paid
+ * @param {Object} order - Order document (or anything with _id)
+ * @param {Object} [details]
+ * @param {String} [details.razorpayPaymentId]
+ * @param {String} [details.reason]
+ * @returns {Promise<Boolean>} True if the order was updated
+ */
+export const markOrderPaymentFailed = async (order, details = {}) => {
+  const result = await Order.updateOne(
+    { _id: order._id, "payment.status": { $in: ["pending", "processing", "failed"] } },
+    { $set: { "payment.status": "failed" } },
+  );
+
+  if (result.modifiedCount > 0 || result.matchedCount > 0) {
+    logger.info(`Order payment marked failed: ${order.orderId || order._id}`, {
+      razorpayPaymentId: details.razorpayPaymentId,
+      reason: details.reason,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Give back the coupon use and plan slot an order reserved at placement.
+ * Safe to call more than once; confirmOrderPayment takes them again if a
+ * later payment attempt goes through.
+ * @param {string|ObjectId} orderId - Order _id
+ */
+export const releaseOrderReservations = async (orderId) => {
+  await releaseCouponRedemption(orderId);
+  await releaseOrderSubscriptionSlot(orderId);
+};
+
+/**
+ * Cancel online orders whose payment never went through and give back what
+ * they reserved. Runs as a periodic task.
+ * @param {Date} [now]
+ * @returns {Promise<{processed: number, message: string}>}
+ */
+export const processAbandonedOrderPayments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ABANDONED_PAYMENT_MINUTES * 60 * 1000);
+  const awaitingPayment = {
+    status: "pending",
+    "payment.method": "razorpay",
+    "payment.status": { $in: ["pending", "processing", "failed"] },
+  };
+
+  const abandoned = await Order.find({ ...awaitingPayment, createdAt: { $lte: cutoff } })
+    .select("_id orderId")
+    .lean();
+
+  let processed = 0;
+  for (const order of abandoned) {
+    try {
+      // Claimed so a payment confirmed meanwhile keeps the order alive
+      const result = await Order.updateOne(
+        { _id: order._id, ...awaitingPayment },
+        {
+          $set: {
+            status: "cancelled",
+            cancellationReason: ABANDONED_PAYMENT_REASON,
+            cancelledAt: now,
+          },
+        },
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await releaseOrderReservations(order._id);
+      processed++;
+      logger.info(`Abandoned online order cancelled: ${order.orderId}`);
+    } catch (error) {
+      logger.error(`Error cancelling abandoned order ${order.orderId}: ${error.message}`);
+    }
+  }
+
+  return {
+    processed,
+    message:
+      processed > 0
+        ? `Cancelled ${processed} order(s) whose payment was not completed`
+        : "No abandoned online orders",
+  };
+};
+
+export default {
+  confirmOrderPayment,
+  markOrderPaymentFailed,
+  releaseOrderReservations,
+  processAbandonedOrderPayments,
+};
@@ -57,10 +57,17 @@ export const calculateOrderSettlement = async (orderId) => {
       platformFee: order.pricing.platformFee || platformFee,
       gst: order.pricing.tax || 0,
       packagingFee: 0, // Can be added later if needed
+      tip: order.pricing.tip || 0, // Goes to the delivery partner in full, outside these splits
       total: order.pricing.total || 0,
     };
 
     const foodPrice = userPayment.subtotal - userPayment.discount;
+
+    // Platform coupons: the platform-funded part is a platform cost, only the
+    // restaurant-funded part comes out of the restaurant payout
+    const couponFunding = order.couponFunding?.couponId ? order.couponFunding : null;
+    const couponPlatformShare = couponFunding?.platform || 0;
+    const couponRestaurantShare = couponFunding?.restaurant || 0;
     let restaurantEarning = {
       foodPrice: foodPrice,
       commission: 0,
@@ -87,10 +94,13 @@ export const calculateOrderSettlement = async (orderId) => {
       const { restaurant, admin, hotel } = order.commissionBreakdown;
 
       // Restaurant Earning
-      restaurantEarning.netEarning = restaurant;
+      restaurantEarning.netEarning =
+        Math.round(Math.max(0, restaurant - couponRestaurantShare) * 100) / 100;
       // Gross Commission = Food Price - Restaurant Net
-      restaurantEarning.commission =
-        Math.round((foodPrice - restaurant) * 100) / 100;
+      restaurantEarning.commission = Math.max(
+        0,
+        Math.round((foodPrice - restaurantEarning.netEarning) * 100) / 100,
+      );
       restaurantEarning.commissionPercentage =
         order.commissionPercentages?.restaurant || 0;
 
@@ -139,8 +149,9 @@ export const calculateOrderSettlement = async (orderId) => {
 
       const commissionAmount =
         Math.round(restaurantCommissionData.commission * 100) / 100;
+      // foodPrice already has the full discount taken off - add back what the platform funds
       const restaurantNetEarning =
-        Math.round((foodPrice - commissionAmount) * 100) / 100;
+        Math.round((foodPrice - commissionAmount + couponPlatformShare) * 100) / 100;
 
       restaurantEarning = {
         foodPrice: foodPrice,
@@ -209,11 +220,19 @@ export const calculateOrderSettlement = async (orderId) => {
     // We'll set it to 0 per new logic to avoid double count, or keep it if it means "Extra from Hotel".
     // For now, let's treat adminCommission as the main source.
 
-    const adminTotal =
+    const adminCouponCost = Math.round(couponPlatformShare * 100) / 100;
+
+    const adminTotal = Math.max(
+      0,
       Math.round(
-        (adminCommission + adminPlatformFee + adminDeliveryFee + adminGST) *
+        (adminCommission +
+          adminPlatformFee +
+          adminDeliveryFee +
+          adminGST -
+          adminCouponCost) *
           100,
-      ) / 100;
+      ) / 100,
+    );
 
     // Determine if this is a QR order
     const isQR = !!(hotelEarning && hotelEarning.hotelId);
@@ -225,6 +244,7 @@ export const calculateOrderSettlement = async (orderId) => {
       gst: adminGST,
       deliveryMargin: Math.max(0, Math.round(deliveryMargin * 100) / 100),
       hotelCommission: isQR ? adminCommission : 0, // Admin's commission from QR order
+      couponCost: adminCouponCost,
       orderType: isQR ? "QR" : "DIRECT",
       totalEarning: adminTotal,
       status: "pending",
@@ -244,6 +264,14 @@ export const calculateOrderSettlement = async (orderId) => {
       deliveryPartnerEarning,
       adminEarning,
       hotelEarning: hotelEarning.hotelId ? hotelEarning : undefined, // Only include if hotel exists
+      couponFunding: couponFunding
+        ? {
+            couponCode: couponFunding.code,
+            discount: couponFunding.discount,
+            platformShare: couponPlatformShare,
+            restaurantShare: couponRestaurantShare,
+          }
+        : undefined,
       escrowStatus: "pending",
       escrowAmount: userPayment.total,
       settlementStatus: "pending",
@@ -370,7 +398,7 @@ export const updateSettlementOnStatusChange = async (
             description: `${isPayAtHotel ? "Cash Collection" : "Commission"} for Order #${settlement.orderNumber}`,
             orderId: settlement.orderId,
           });
-          await hotelWallet.save();
+          await hotelWallet.saveWithLedger();
 
           settlement.hotelEarning.status = "completed";
           console.log(
@@ -0,0 +1,201 @@
+import Order from "../models/Order.js";
+import Restaurant from "../../restaurant/models/Restaurant.js";
+import BusinessSettings from "../../admin/models/BusinessSettings.js";
+import smsIndiaHubService from "../../auth/services/smsIndiaHubService.js";
+import { notifyRestaurantNewOrder } from "./restaurantNotificationService.js";
+import { translate } from "../../../shared/utils/i18n.js";
+
+/**
+ * Restaurant accept window and escalation
+ *
+ * An order that reaches the restaurant ("confirmed") has an accept window
+ * resolved at checkout from BusinessSettings.restaurantAcceptance. While the
+ * window runs, escalation steps re-ring the restaurant panel, push the
+ * restaurant app, SMS the owner and finally alert admins. Each action is sent
+ * at most once per order; the auto-reject service rejects at the deadline.
+ */
+
+// Accept window for orders placed before it was resolved at checkout
+export const DEFAULT_ACCEPT_WINDOW_SECONDS = 240;
+
+const DEFAULT_ACCEPTANCE_SETTINGS = {
+  acceptWindowSeconds: DEFAULT_ACCEPT_WINDOW_SECONDS,
+  zoneOverrides: [],
+  restaurantOverrides: [],
+  escalationSteps: [
+    { action: "ring", afterSeconds: 60 },
+    { action: "push", afterSeconds: 120 },
+    { action: "sms", afterSeconds: 150 },
+    { action: "admin_alert", afterSeconds: 200 },
+  ],
+  autoPauseEnabled: true,
+  autoPauseAfterMisses: 3,
+};
+
+/**
+ * Restaurant acceptance settings from BusinessSettings, with defaults
+ * @returns {Promise<Object>}
+ */
+export const getAcceptanceSettings = async () => {
+  const settings = await BusinessSettings.getSettings().catch(() => null);
+  const configured = settings?.toObject?.().restaurantAcceptance || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ACCEPTANCE_SETTINGS).map(([key, fallback]) => [
+      key,
+      configured[key] ?? fallback,
+    ]),
+  );
+};
+
+/**
+ * Accept window for a restaurant: its own override, else its zone's, else
+ * the platform default
+ * @param {Object} settings - From getAcceptanceSettings
+ * @param {{restaurantId: string, zoneId: string}} target
+ * @returns {number} Seconds
+ */
+export const resolveAcceptWindowSeconds = (settings, { restaurantId, zoneId }) => {
+  const matches = (id, value) => !!value && id?.toString() === value.toString();
+
+  const restaurantOverride = settings.restaurantOverrides.find((override) =>
+    matches(override.restaurantId, restaurantId),
+  );
+  if (restaurantOverride) return restaurantOverride.acceptWindowSeconds;
+
+  const zoneOverride = settings.zoneOverrides.find((override) =>
+    matches(override.zoneId, zoneId),
+  );
+  if (zoneOverride) return zoneOverride.acceptWindowSeconds;
+
+  return settings.acceptWindowSeconds;
+};
+
+/**
+ * Escalation steps not yet sent for an order, with the time each is due.
+ * Only orders the restaurant has been notified about are escalated, and
+ * steps that would fall at or after the deadline are dropped.
+ * @param {Object} order - Order with status and acceptance
+ * @param {Object} settings - From getAcceptanceSettings
+ * @param {{windowStart: Date, deadline: Date}} window
+ * @returns {Array<{action: string, dueAt: Date}>} Sorted by dueAt
+ */
+export const getPendingEscalations = (order, settings, { windowStart, deadline }) => {
+  if (order.status !== "confirmed") {
+    return [];
+  }
+  const sent = new Set((order.acceptance?.escalations || []).map((e) => e.action));
+
+  return settings.escalationSteps
+    .filter((step) => !sent.has(step.action))
+    .map((step) => ({
+      action: step.action,
+      dueAt: new Date(windowStart.getTime() + step.afterSeconds * 1000),
+    }))
+    .filter((step) => step.dueAt < deadline)
+    .sort((a, b) => a.dueAt - b.dueAt);
+};
+
+const minutesLeft = (deadline, now) =>
+  Math.max(1, Math.ceil((deadline.getTime() - now.getTime()) / 60000));
+
+const ESCALATION_SENDERS = {
+  ring: (order) =>
+    notifyRestaurantNewOrder(order, order.restaurantId, order.payment?.method),
+
+  push: async (order, { deadline, now }) => {
+    const { sendLocalizedPushNotification } = await import(
+      "../../fcm/services/pushNotificationService.js"
+    );
+    await sendLocalizedPushNotification(
+      order.restaurantId.toString(),
+      "restaurant",
+      "order_accept_reminder",
+      { orderId: order.orderId, minutes: minutesLeft(deadline, now) },
+      {
+        type: "order_accept_reminder",
+        orderId: order.orderId,
+        tag: `order_accept_reminder_${order.orderId}`,
+      },
+    );
+  },
+
+  sms: async (order, { deadline, now }) => {
+    const restaurant = await Restaurant.findById(order.restaurantId)
+      .select("ownerPhone phone preferences.language")
+      .lean();
+    const phone = restaurant?.ownerPhone || restaurant?.phone;
+    if (!phone) {
+      console.warn(`⚠️ No owner phone for restaurant ${order.restaurantId}, skipping accept SMS`);
+      return;
+    }
+    await smsIndiaHubService.sendCustomSMS(
+      phone,
+      translate(restaurant.preferences?.language, "sms.accept_reminder", {
+        orderId: order.orderId,
+        amount: order.pricing?.total || 0,
+        minutes: minutesLeft(deadline, now),
+      }),
+    );
+  },
+
+  admin_alert: async (order, { deadline, now }) => {
+    const { notifyAllAdmins } = await import(
+      "../../fcm/services/pushNotificationService.js"
+    );
+    await notifyAllAdmins({
+      title: "Restaurant not responding",
+      body: `${order.restaurantName} has not accepted order #${order.orderId}. It will be auto-rejected in ${minutesLeft(deadline, now)} min.`,
+      data: {
+        type: "restaurant_accept_escalation",
+        orderId: order.orderId,
+        restaurantId: order.restaurantId.toString(),
+        tag: `accept_escalation_${order.orderId}`,
+      },
+    });
+  },
+};
+
+/**
+ * Send the escalation steps that are due. Each step is claimed on the order
+ * before it is sent, so overlapping jobs and sweeps send it once.
+ * @param {Object} order - Order document
+ * @param {Object} settings - From getAcceptanceSettings
+ * @param {{windowStart: Date, deadline: Date}} window
+ * @param {Date} now
+ * @returns {Promise<Date|null>} When the next unsent step is due
+ */
+export async function runDueEscalations(order, settings, window, now = new Date()) {
+  const pending = getPendingEscalations(order, settings, window);
+
+  for (const step of pending) {
+    if (step.dueAt > now) {
+      return step.dueAt;
+    }
+
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        status: "confirmed",
+        "acceptance.escalations.action": { $ne: step.action },
+      },
+      { $push: { "acceptance.escalations": { action: step.action, sentAt: now } } },
+    );
+    if (claimed.modifiedCount === 0) {
+      continue; // Accepted meanwhile, or another worker sent it
+    }
+
+    try {
+      await ESCALATION_SENDERS[step.action](order, { ...window, now });
+      console.log(`🔔 Accept escalation "${step.action}" sent for order ${order.orderId}`);
+    } catch (error) {
+      // A failed channel is not retried; the later steps still run
+      console.error(
+        `❌ Error sending accept escalation "${step.action}" for order ${order.orderId}:`,
+        error.message,
+      );
+    }
+  }
+
+  return null;
+}
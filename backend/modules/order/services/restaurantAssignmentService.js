@@ -68,7 +68,7 @@ function isPointInZone(lat, lng, zoneCoordinates) {
  * @param {number} restaurantLng - Restaurant longitude
  * @returns {Promise<Object|null>} Zone object if restaurant is in zone, null otherwise
  */
-async function isRestaurantInAnyZone(restaurantLat, restaurantLng) {
+export async function isRestaurantInAnyZone(restaurantLat, restaurantLng) {
   if (!restaurantLat || !restaurantLng) return null;
   
   const activeZones = await Zone.find({ isActive: true }).lean();
@@ -86,7 +86,10 @@ export async function notifyRestaurantNewOrder(order, restaurantId, paymentMetho
       items: order.items.map(item => ({
         name: item.name,
         quantity: item.quantity,
-        price: item.price
+        price: item.price,
+        selectedVariantName: item.selectedVariantName || null,
+        selectedAddons: item.selectedAddons || [],
+        specialInstructions: item.specialInstructions || ''
       })),
       total: order.pricing.total,
       customerAddress: {
@@ -223,3 +223,101 @@ export async function calculateRoute(startLat, startLng, endLat, endLng, options
   }
 }
 
+
+/**
+ * Calculate a route through several stops in the given order using OSRM
+ * Falls back to straight lines between stops at 30 km/h
+ * @param {Array} points - Array of {lat, lng} in visiting order (at least 2)
+ * @returns {Promise<Object>} {coordinates: [[lat, lng]], distance: number, duration: number, legs: [{distance, duration}]}
+ */
+export async function calculateMultiStopRoute(points) {
+  const straightLine = (method) => {
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+      const distance = haversineDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+      legs.push({ distance, duration: (distance / 30) * 60 });
+    }
+    return {
+      success: true,
+      coordinates: points.map(point => [point.lat, point.lng]),
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      legs,
+      method
+    };
+  };
+
+  try {
+    const waypoints = points.map(point => `${point.lng},${point.lat}`).join(';');
+    const url = `https://router.project-osrm.org/route/v1/driving/${waypoints}?overview=full&geometries=geojson`;
+    const response = await fetch(url);
+    const data = await response.json();
+
+    if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
+      const route = data.routes[0];
+      return {
+        success: true,
+        coordinates: route.geometry.coordinates.map(coord => [coord[1], coord[0]]), // Convert [lng, lat] to [lat, lng]
+        distance: route.distance / 1000, // Convert meters to kilometers
+        duration: route.duration / 60, // Convert seconds to minutes
+        legs: route.legs.map(leg => ({ distance: leg.distance / 1000, duration: leg.duration / 60 })),
+        method: 'osrm'
+      };
+    }
+    return straightLine('haversine');
+  } catch (error) {
+    console.error('Error calculating multi-stop route with OSRM:', error);
+    return straightLine('haversine_fallback');
+  }
+}
+
+/**
+ * Find the quickest order to visit the pickups and drops of several jobs,
+ * where every job is picked up before it is dropped. Tries every valid
+ * sequence, so keep jobs to a handful (3 jobs = 90 sequences).
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Array} jobs - Array of {id, pickup: {lat, lng}, drop: {lat, lng}, pickedUp: boolean}
+ * @param {Object} options - {speedKmh: number, stopMinutes: number, accept: (plan) => boolean}
+ * @returns {Object|null} {stops: [{jobId, type, lat, lng, arrivalMinutes}], distance, duration} or null if no sequence is accepted
+ */
+export function planStopSequence(start, jobs, options = {}) {
+  const { speedKmh = 30, stopMinutes = 2, accept = () => true } = options;
+  let best = null;
+
+  const visit = (position, stops, distance, duration, remaining) => {
+    if (remaining.length === 0) {
+      const plan = { stops, distance, duration };
+      if ((!best || duration < best.duration) && accept(plan)) {
+        best = plan;
+      }
+      return;
+    }
+    // A partial sequence already slower than the best one can't win
+    if (best && duration >= best.duration) {
+      return;
+    }
+
+    remaining.forEach((stop, index) => {
+      if (stop.type === 'drop' && remaining.some(other => other.type === 'pickup' && other.jobId === stop.jobId)) {
+        return;
+      }
+      const legDistance = haversineDistance(position.lat, position.lng, stop.lat, stop.lng);
+      const arrivalMinutes = duration + (legDistance / speedKmh) * 60;
+      visit(
+        stop,
+        [...stops, { ...stop, arrivalMinutes }],
+        distance + legDistance,
+        arrivalMinutes + stopMinutes,
+        remaining.filter((_, i) => i !== index)
+      );
+    });
+  };
+
+  const allStops = jobs.flatMap(job => [
+    ...(job.pickedUp ? [] : [{ jobId: job.id, type: 'pickup', lat: job.pickup.lat, lng: job.pickup.lng }]),
+    { jobId: job.id, type: 'drop', lat: job.drop.lat, lng: job.drop.lng }
+  ]);
+  visit(start, [], 0, 0, allStops);
+
+  return best;
+}
@@ -0,0 +1,455 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Restaurant from "../../restaurant/models/Restaurant.js";
+import Menu from "../../restaurant/models/Menu.js";
+import OutletTimings from "../../restaurant/models/OutletTimings.js";
+import MenuItemSchedule from "../../restaurant/models/MenuItemSchedule.js";
+import BusinessSettings from "../../admin/models/BusinessSettings.js";
+import { buildMenuItemIndex } from "../../restaurant/services/addonGroupService.js";
+import { notifyRestaurantNewOrder } from "./restaurantNotificationService.js";
+import { scheduleAutoReject } from "./orderJobService.js";
+import { assignOrderToDeliveryBoy } from "./deliveryAssignmentService.js";
+import { notifyDeliveryBoyNewOrder } from "./deliveryNotificationService.js";
+
+/**
+ * Scheduled (pre-order) deliveries
+ *
+ * A scheduled order is checked against the restaurant's OutletTimings and the
+ * availability of its menu items at the requested slot, then held in
+ * "scheduled" status. The restaurant is not notified until the order is
+ * released, releaseLeadMinutes before the slot (cron in server.js).
+ */
+
+// Outlet timings and item windows are wall-clock times in this timezone
+export const SCHEDULE_TIMEZONE = process.env.ORDER_TIMEZONE || "Asia/Kolkata";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Give riders notified by the normal ready flow time to respond before the
+// cron assigns a rider to a scheduled order itself
+const READY_GRACE_MS = 2 * MINUTE_MS;
+
+const DEFAULT_SCHEDULE_SETTINGS = {
+  isEnabled: true,
+  releaseLeadMinutes: 45,
+  minAdvanceMinutes: 60,
+  maxAdvanceDays: 3,
+  slotIntervalMinutes: 30,
+};
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Scheduled order settings from BusinessSettings, with defaults
+ * @returns {Promise<Object>}
+ */
+export const getScheduleSettings = async () => {
+  const settings = await BusinessSettings.getSettings().catch(() => null);
+  const configured = settings?.scheduledOrders || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SCHEDULE_SETTINGS).map(([key, fallback]) => [
+      key,
+      configured[key] ?? fallback,
+    ]),
+  );
+};
+
+/**
+ * Parse "09:00 AM" / "9:00pm" / "21:00" into minutes after midnight
+ * @param {string} value
+ * @returns {number|null}
+ */
+export const parseClockTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(value || "").trim());
+  if (!match) return null;
+
+  const meridiem = match[3]?.toUpperCase();
+  let hours = Number(match[1]);
+  if (meridiem) {
+    hours %= 12;
+    if (meridiem === "PM") hours += 12;
+  }
+  return hours * 60 + Number(match[2]);
+};
+
+const formatClockTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = String(minutes % 60).padStart(2, "0");
+  const displayHours = String(hours % 12 || 12).padStart(2, "0");
+  return `${displayHours}:${mins} ${hours < 12 ? "AM" : "PM"}`;
+};
+
+/**
+ * Calendar day, weekday and minutes after midnight of an instant in SCHEDULE_TIMEZONE
+ * @param {Date} date
+ * @returns {{dateKey: string, day: string, minutes: number}}
+ */
+export const getLocalClock = (date) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: SCHEDULE_TIMEZONE,
+    hourCycle: "h23",
+    weekday: "long",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(date);
+  const value = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    dateKey: `${value("year")}-${value("month")}-${value("day")}`,
+    day: value("weekday"),
+    minutes: Number(value("hour")) * 60 + Number(value("minute")),
+  };
+};
+
+const dateKeyToUtc = (dateKey, minutes = 0) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return Date.UTC(year, month - 1, day, 0, minutes);
+};
+
+/**
+ * UTC instant of a wall-clock time on a calendar day in SCHEDULE_TIMEZONE
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date}
+ */
+export const localTimeToDate = (dateKey, minutes) => {
+  const guess = dateKeyToUtc(dateKey, minutes);
+  const clock = getLocalClock(new Date(guess));
+  const offset = dateKeyToUtc(clock.dateKey, clock.minutes) - guess;
+  return new Date(guess - offset);
+};
+
+/**
+ * Whether minutes after midnight fall inside a start-end window (minutes too)
+ * @returns {boolean} True when the window is not set
+ */
+export const isWithinWindow = (minutes, start, end) => {
+  if (start === null || end === null || start === end) return true;
+  if (start < end) return minutes >= start && minutes <= end;
+  // Window crosses midnight (e.g. 06:00 PM - 02:00 AM)
+  return minutes >= start || minutes <= end;
+};
+
+/**
+ * Whether the outlet is open at a local clock (see getLocalClock)
+ * @param {Object|null} outletTimings - OutletTimings (lean)
+ * @param {{day: string, minutes: number}} clock
+ * @returns {boolean}
+ */
+export const isOutletOpenAt = (outletTimings, clock) => {
+  // Restaurants that never configured outlet timings take orders at any time
+  if (!outletTimings?.isActive || !outletTimings.timings?.length) return true;
+
+  const dayTiming = outletTimings.timings.find((t) => t.day === clock.day);
+  if (!dayTiming || !dayTiming.isOpen) return false;
+
+  return isWithinWindow(
+    clock.minutes,
+    parseClockTime(dayTiming.openingTime),
+    parseClockTime(dayTiming.closingTime),
+  );
+};
+
+/**
+ * Earliest pending availability schedule per item (items switched off until a set time)
+ * @param {ObjectId} restaurantId
+ * @returns {Promise<Map<string, Date>>}
+ */
+export const getPendingItemSchedules = async (restaurantId) => {
+  const schedules = await MenuItemSchedule.find({
+    restaurant: restaurantId,
+    status: "pending",
+    isActive: true,
+  })
+    .select("itemId scheduledDateTime")
+    .lean();
+
+  const byItem = new Map();
+  for (const schedule of schedules) {
+    if (!schedule.scheduledDateTime) continue;
+    const current = byItem.get(String(schedule.itemId));
+    if (!current || schedule.scheduledDateTime < current) {
+      byItem.set(String(schedule.itemId), schedule.scheduledDateTime);
+    }
+  }
+  return byItem;
+};
+
+/**
+ * First item that cannot be served at the slot, as a user-facing message
+ * @returns {string|null}
+ */
+const findUnavailableItem = (items, itemIndex, pendingSchedules, slot, clock) => {
+  for (const orderItem of items) {
+    const menuItem = itemIndex.get(String(orderItem.itemId || orderItem.id));
+    if (!menuItem) continue;
+
+    const name = orderItem.name || menuItem.name;
+    const start = parseClockTime(menuItem.availabilityTimeStart);
+    const end = parseClockTime(menuItem.availabilityTimeEnd);
+    if (!isWithinWindow(clock.minutes, start, end)) {
+      return `"${name}" is only available between ${menuItem.availabilityTimeStart} and ${menuItem.availabilityTimeEnd}`;
+    }
+
+    if (menuItem.isAvailable === false) {
+      const availableFrom = pendingSchedules.get(String(menuItem.id));
+      if (!availableFrom || availableFrom > slot) {
+        return `"${name}" is not available at the selected time`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a requested delivery slot for an order
+ * @param {Object} params
+ * @param {Object} params.restaurant - Restaurant document
+ * @param {Object} [params.menu] - Restaurant menu (lean); loaded when omitted
+ * @param {Array} params.items - Order lines
+ * @param {string|Date} params.scheduledFor - Requested delivery time
+ * @returns {Promise<{scheduledFor: Date, releaseAt: Date}>}
+ * @throws {Error} 400 error when the slot cannot be served
+ */
+export async function validateScheduledSlot({ restaurant, menu, items, scheduledFor }) {
+  const settings = await getScheduleSettings();
+  if (!settings.isEnabled) {
+    throw createError(400, "Scheduled orders are currently not available");
+  }
+
+  const slot = new Date(scheduledFor);
+  if (Number.isNaN(slot.getTime())) {
+    throw createError(400, "Invalid scheduled delivery time");
+  }
+
+  const now = Date.now();
+  if (slot.getTime() < now + settings.minAdvanceMinutes * MINUTE_MS) {
+    throw createError(
+      400,
+      `Scheduled orders must be placed at least ${settings.minAdvanceMinutes} minutes in advance`,
+    );
+  }
+  if (slot.getTime() > now + settings.maxAdvanceDays * DAY_MS) {
+    throw createError(
+      400,
+      `Orders can be scheduled up to ${settings.maxAdvanceDays} days in advance`,
+    );
+  }
+
+  const clock = getLocalClock(slot);
+  const outletTimings = await OutletTimings.findOne({ restaurantId: restaurant._id }).lean();
+  if (!isOutletOpenAt(outletTimings, clock)) {
+    throw createError(400, "Restaurant is closed at the selected time. Please choose another slot.");
+  }
+
+  const restaurantMenu = menu ?? (await Menu.findOne({ restaurant: restaurant._id }).lean());
+  const pendingSchedules = await getPendingItemSchedules(restaurant._id);
+  const unavailable = findUnavailableItem(
+    items || [],
+    buildMenuItemIndex(restaurantMenu),
+    pendingSchedules,
+    slot,
+    clock,
+  );
+  if (unavailable) {
+    throw createError(400, unavailable);
+  }
+
+  return {
+    scheduledFor: slot,
+    releaseAt: new Date(Math.max(now, slot.getTime() - settings.releaseLeadMinutes * MINUTE_MS)),
+  };
+}
+
+const findRestaurant = async (restaurantId) => {
+  if (mongoose.Types.ObjectId.isValid(restaurantId) && String(restaurantId).length === 24) {
+    const restaurant = await Restaurant.findById(restaurantId).lean();
+    if (restaurant) return restaurant;
+  }
+  return Restaurant.findOne({
+    $or: [{ restaurantId }, { slug: restaurantId }],
+  }).lean();
+};
+
+/**
+ * Bookable delivery slots for a restaurant, grouped by day
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant _id, restaurantId or slug
+ * @param {Array<string>} [params.itemIds] - Cart item ids; slots where any is unavailable are dropped
+ * @returns {Promise<{enabled: boolean, timezone: string, days: Array}>}
+ */
+export async function getScheduleSlots({ restaurantId, itemIds = [] }) {
+  const settings = await getScheduleSettings();
+  if (!settings.isEnabled) {
+    return { enabled: false, timezone: SCHEDULE_TIMEZONE, days: [] };
+  }
+
+  const restaurant = await findRestaurant(restaurantId);
+  if (!restaurant) {
+    throw createError(404, "Restaurant not found");
+  }
+
+  const [outletTimings, menu, pendingSchedules] = await Promise.all([
+    OutletTimings.findOne({ restaurantId: restaurant._id }).lean(),
+    itemIds.length > 0 ? Menu.findOne({ restaurant: restaurant._id }).lean() : null,
+    itemIds.length > 0 ? getPendingItemSchedules(restaurant._id) : new Map(),
+  ]);
+  const itemIndex = buildMenuItemIndex(menu);
+  const items = itemIds.map((id) => ({ itemId: id }));
+
+  const now = Date.now();
+  const earliest = now + settings.minAdvanceMinutes * MINUTE_MS;
+  const latest = now + settings.maxAdvanceDays * DAY_MS;
+  const today = getLocalClock(new Date(now)).dateKey;
+  const dayLabelFormat = new Intl.DateTimeFormat("en-IN", {
+    timeZone: "UTC",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  });
+
+  const days = [];
+  for (let offset = 0; offset <= settings.maxAdvanceDays; offset++) {
+    const dayStart = dateKeyToUtc(today) + offset * DAY_MS;
+    const dateKey = new Date(dayStart).toISOString().slice(0, 10);
+    const day = DAY_NAMES[new Date(dayStart).getUTCDay()];
+    const slots = [];
+
+    for (let minutes = 0; minutes < 24 * 60; minutes += settings.slotIntervalMinutes) {
+      const slot = localTimeToDate(dateKey, minutes);
+      if (slot.getTime() < earliest || slot.getTime() > latest) continue;
+
+      const clock = { dateKey, day, minutes };
+      if (!isOutletOpenAt(outletTimings, clock)) continue;
+      if (findUnavailableItem(items, itemIndex, pendingSchedules, slot, clock)) continue;
+
+      slots.push({ value: slot.toISOString(), label: formatClockTime(minutes) });
+    }
+
+    if (slots.length > 0) {
+      days.push({
+        date: dateKey,
+        label: offset === 0 ? "Today" : offset === 1 ? "Tomorrow" : dayLabelFormat.format(new Date(dayStart)),
+        slots,
+      });
+    }
+  }
+
+  return { enabled: true, timezone: SCHEDULE_TIMEZONE, days };
+}
+
+/**
+ * Assign riders to released scheduled orders that are ready but still have no
+ * delivery partner (e.g. nobody was nearby when the restaurant marked them ready)
+ * @returns {Promise<number>} Orders assigned
+ */
+async function dispatchReadyScheduledOrders() {
+  const settings = await BusinessSettings.getSettings().catch(() => null);
+  if ((settings?.deliveryAssignmentMode || "automatic") === "manual") {
+    return 0;
+  }
+
+  const readyOrders = await Order.find({
+    "scheduledDelivery.isScheduled": true,
+    status: "ready",
+    deliveryPartnerId: null,
+    hotelReference: { $in: [null, ""] },
+    "tracking.ready.timestamp": { $lte: new Date(Date.now() - READY_GRACE_MS) },
+  });
+
+  let assignedCount = 0;
+  for (const order of readyOrders) {
+    try {
+      const restaurant = await findRestaurant(order.restaurantId);
+      const [restaurantLng, restaurantLat] = restaurant?.location?.coordinates || [];
+      if (!restaurantLat || !restaurantLng) {
+        console.error(`❌ Restaurant location missing for scheduled order ${order.orderId}`);
+        continue;
+      }
+
+      const assignmentResult = await assignOrderToDeliveryBoy(
+        order,
+        restaurantLat,
+        restaurantLng,
+        order.restaurantId,
+      );
+      if (!assignmentResult?.deliveryPartnerId) continue;
+
+      const populatedOrder = await Order.findById(order._id)
+        .populate("userId", "name phone")
+        .lean();
+      await notifyDeliveryBoyNewOrder(populatedOrder, assignmentResult.deliveryPartnerId);
+      assignedCount++;
+    } catch (error) {
+      console.error(`❌ Error dispatching scheduled order ${order.orderId}:`, error);
+    }
+  }
+
+  return assignedCount;
+}
+
+/**
+ * Release scheduled orders whose release time has come: the order becomes
+ * "confirmed" and the restaurant is notified as for a new order. The accept
+ * timer starts from the release, not from when the order was placed.
+ * @returns {Promise<{processed: number, message: string}>}
+ */
+export async function processScheduledOrderReleases() {
+  try {
+    const now = new Date();
+    const dueOrders = await Order.find({
+      status: "scheduled",
+      "scheduledDelivery.releaseAt": { $lte: now },
+    })
+      .select("_id")
+      .lean();
+
+    let releasedCount = 0;
+    for (const { _id } of dueOrders) {
+      try {
+        const order = await Order.findOneAndUpdate(
+          { _id, status: "scheduled" },
+          {
+            $set: {
+              status: "confirmed",
+              "scheduledDelivery.releasedAt": now,
+              "tracking.confirmed": { status: true, timestamp: now },
+            },
+          },
+          { new: true },
+        );
+        if (!order) continue; // Cancelled or released by another process
+
+        releasedCount++;
+        console.log(
+          `✅ Scheduled order ${order.orderId} released to restaurant (slot: ${order.scheduledDelivery.scheduledFor?.toISOString()})`,
+        );
+
+        await notifyRestaurantNewOrder(order, order.restaurantId, order.payment?.method);
+        await scheduleAutoReject(order._id);
+      } catch (error) {
+        console.error(`❌ Error releasing scheduled order ${_id}:`, error);
+      }
+    }
+
+    const dispatchedCount = await dispatchReadyScheduledOrders();
+
+    return {
+      processed: releasedCount + dispatchedCount,
+      message: `Released ${releasedCount} scheduled order(s), assigned riders to ${dispatchedCount}`,
+    };
+  } catch (error) {
+    console.error("❌ Error processing scheduled orders:", error);
+    return { processed: 0, message: `Error: ${error.message}` };
+  }
+}
@@ -0,0 +1,875 @@
+import PDFDocument from "pdfkit";
+import ExcelJS from "exceljs";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import TaxInvoice from "../models/TaxInvoice.js";
+import InvoiceSequence from "../models/InvoiceSequence.js";
+import Restaurant from "../../restaurant/models/Restaurant.js";
+import Menu from "../../restaurant/models/Menu.js";
+import BusinessSettings from "../../admin/models/BusinessSettings.js";
+import { buildMenuItemIndex } from "../../restaurant/services/addonGroupService.js";
+import { getFeeSettings } from "./orderCalculationService.js";
+
+/**
+ * Tax Invoice Service
+ *
+ * Issues GST tax invoices for delivered orders and credit notes for refunds
+ * against them. Numbers run per restaurant and financial year
+ * (INV/2627/000001, CN/2627/000001). Documents snapshot the supplier,
+ * recipient and tax split at issue time so later menu or profile edits never
+ * change an issued invoice. The invoice covers the restaurant's supply only;
+ * delivery and platform fees are charged by the platform, not the restaurant.
+ */
+
+// Restaurant service (SAC 9963 - accommodation, food and beverage services)
+export const DEFAULT_SAC_CODE = "996331";
+
+const DOCUMENT_PREFIXES = {
+  invoice: "INV",
+  credit_note: "CN",
+};
+
+const GST_STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  "uttar pradesh": "09",
+  bihar: "10",
+  sikkim: "11",
+  "arunachal pradesh": "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  "west bengal": "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  "madhya pradesh": "23",
+  gujarat: "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  "tamil nadu": "33",
+  puducherry: "34",
+  "andaman and nicobar islands": "35",
+  telangana: "36",
+  "andhra pradesh": "37",
+  ladakh: "38",
+};
+
+const STATE_ALIASES = {
+  "new delhi": "delhi",
+  "nct of delhi": "delhi",
+  orissa: "odisha",
+  pondicherry: "puducherry",
+  "daman and diu": "dadra and nagar haveli and daman and diu",
+  "dadra and nagar haveli": "dadra and nagar haveli and daman and diu",
+  "j&k": "jammu and kashmir",
+};
+
+const invoiceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Two-digit GST state code for a state name ("Karnataka" -> "29")
+ * @returns {String} Empty string when the state is unknown
+ */
+export const getStateCode = (stateName) => {
+  if (!stateName) return "";
+  const key = String(stateName).trim().toLowerCase().replace(/&/g, "and").replace(/\s+/g, " ");
+  return GST_STATE_CODES[STATE_ALIASES[key] || key] || "";
+};
+
+const getStateName = (stateCode) =>
+  Object.keys(GST_STATE_CODES)
+    .find((name) => GST_STATE_CODES[name] === stateCode)
+    ?.replace(/\b\w/g, (letter) => letter.toUpperCase()) || "";
+
+/**
+ * Indian financial year (April-March) of a date, in IST
+ * @returns {{ label: String, short: String }} e.g. { label: "2026-27", short: "2627" }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const endYear = String((startYear + 1) % 100).padStart(2, "0");
+  return {
+    label: `${startYear}-${endYear}`,
+    short: `${String(startYear % 100).padStart(2, "0")}${endYear}`,
+  };
+};
+
+/**
+ * IST calendar month as a UTC date range
+ * @param {String} month - "YYYY-MM"
+ */
+export const parseTaxPeriod = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(month || ""));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw invoiceError(400, "month must be in YYYY-MM format");
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  const offset = 330 * 60 * 1000;
+  return {
+    month: `${match[1]}-${match[2]}`,
+    start: new Date(Date.UTC(year, monthIndex, 1) - offset),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1) - offset),
+  };
+};
+
+const findOrderRestaurant = async (order) => {
+  const reference = String(order.restaurantId || "");
+  let restaurant = null;
+  if (mongoose.Types.ObjectId.isValid(reference) && reference.length === 24) {
+    restaurant = await Restaurant.findById(reference).lean();
+  }
+  if (!restaurant) {
+    restaurant = await Restaurant.findOne({
+      $or: [{ restaurantId: reference }, { slug: reference }],
+    }).lean();
+  }
+  return restaurant;
+};
+
+const buildSupplier = (restaurant) => {
+  const gst = restaurant.onboarding?.step3?.gst || {};
+  const gstin = gst.isRegistered && gst.gstNumber ? String(gst.gstNumber).trim().toUpperCase() : "";
+  const location = restaurant.location || {};
+  // The GSTIN starts with the state code of the registration
+  const stateCode = (gstin && gstin.slice(0, 2)) || getStateCode(location.state);
+
+  return {
+    name: gst.legalName || restaurant.name,
+    gstin,
+    address:
+      gst.address ||
+      location.formattedAddress ||
+      location.address ||
+      [location.addressLine1, location.area, location.city, location.state, location.pincode || location.zipCode]
+        .filter(Boolean)
+        .join(", "),
+    phone: restaurant.phone || "",
+    stateName: location.state || getStateName(stateCode),
+    stateCode,
+  };
+};
+
+const buildRecipient = (order, user) => {
+  const address = order.address || {};
+  return {
+    name: user?.name || "",
+    gstin: "",
+    address:
+      address.formattedAddress ||
+      [address.street, address.additionalDetails, address.city, address.state, address.zipCode]
+        .filter(Boolean)
+        .join(", "),
+    phone: user?.phone || "",
+    stateName: address.state || "",
+    stateCode: getStateCode(address.state),
+  };
+};
+
+const splitTax = (taxableValue, gstRate, interState) => {
+  const tax = round2((taxableValue * gstRate) / 100);
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = round2(tax / 2);
+  return { cgst, sgst: round2(tax - cgst), igst: 0 };
+};
+
+/**
+ * Invoice lines for an order. The order discount is spread across lines in
+ * proportion to their value; each line is taxed at the menu item's GST rate,
+ * or the platform rate when the item has none.
+ */
+const buildInvoiceLines = (order, menuItems, defaultRate, interState) => {
+  const items = order.items || [];
+  const gross = items.map((item) => round2((Number(item.price) || 0) * (Number(item.quantity) || 0)));
+  const grossTotal = gross.reduce((sum, value) => sum + value, 0);
+  const discountTotal = Math.min(round2(order.pricing?.discount), grossTotal);
+  let discountLeft = discountTotal;
+
+  return items.map((item, index) => {
+    const isLast = index === items.length - 1;
+    const discount = isLast
+      ? round2(discountLeft)
+      : grossTotal > 0
+        ? round2((discountTotal * gross[index]) / grossTotal)
+        : 0;
+    discountLeft = round2(discountLeft - discount);
+
+    const menuItem = menuItems.get(String(item.itemId));
+    const gstRate = Number(menuItem?.gst) > 0 ? Number(menuItem.gst) : defaultRate;
+    const taxableValue = round2(gross[index] - discount);
+    const taxes = splitTax(taxableValue, gstRate, interState);
+    const addons = (item.selectedAddons || []).map((addon) => addon.name).filter(Boolean);
+
+    return {
+      itemId: item.itemId,
+      description: addons.length ? `${item.name} (${addons.join(", ")})` : item.name,
+      hsnSac: DEFAULT_SAC_CODE,
+      quantity: item.quantity,
+      unitPrice: round2(item.price),
+      grossAmount: gross[index],
+      discount,
+      taxableValue,
+      gstRate,
+      ...taxes,
+      total: round2(taxableValue + taxes.cgst + taxes.sgst + taxes.igst),
+    };
+  });
+};
+
+const sumTotals = (lines, charges, grandTotal) => {
+  const totals = {
+    taxableValue: round2(lines.reduce((sum, line) => sum + line.taxableValue, 0)),
+    cgst: round2(lines.reduce((sum, line) => sum + line.cgst, 0)),
+    sgst: round2(lines.reduce((sum, line) => sum + line.sgst, 0)),
+    igst: round2(lines.reduce((sum, line) => sum + line.igst, 0)),
+    charges: round2(charges.reduce((sum, charge) => sum + charge.amount, 0)),
+  };
+  totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+  const computed = round2(totals.taxableValue + totals.totalTax + totals.charges);
+  totals.grandTotal = grandTotal === undefined ? computed : round2(grandTotal);
+  totals.roundOff = round2(totals.grandTotal - computed);
+  return totals;
+};
+
+/**
+ * Reserve the next number in a restaurant's series (inside the session of
+ * the document that takes it)
+ */
+const nextDocumentNumber = async (restaurantId, documentType, issuedAt, session) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const sequence = await InvoiceSequence.findOneAndUpdate(
+    { restaurant: restaurantId, financialYear: financialYear.label, documentType },
+    { $inc: { lastNumber: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session },
+  );
+
+  return {
+    financialYear: financialYear.label,
+    number: `${DOCUMENT_PREFIXES[documentType]}/${financialYear.short}/${String(sequence.lastNumber).padStart(6, "0")}`,
+  };
+};
+
+/**
+ * Number and insert a document in one transaction, so a number is only ever
+ * used by a document that exists and the series has no gaps. Two requests for
+ * the same idempotency key conflict on the sequence; the retried one finds
+ * the document the other created.
+ */
+const createDocument = (data) =>
+  mongoose.connection.transaction(async (session) => {
+    const existing = await TaxInvoice.findOne({ idempotencyKey: data.idempotencyKey }).session(session);
+    if (existing) {
+      return { document: existing, created: false };
+    }
+
+    const { financialYear, number } = await nextDocumentNumber(data.restaurant, data.documentType, data.issuedAt, session);
+    const [document] = await TaxInvoice.create([{ ...data, financialYear, number }], { session });
+    return { document, created: true };
+  });
+
+/**
+ * Part of the order total the restaurant's invoice covers. The rider's tip is
+ * passed through untaxed, so it is left out with the platform's fees.
+ */
+const getInvoicedTotal = (order) =>
+  round2(
+    (order.pricing?.total || 0) -
+      (order.pricing?.deliveryFee || 0) -
+      (order.pricing?.platformFee || 0) -
+      (order.pricing?.tip || 0),
+  );
+
+const loadOrder = async (orderOrId) => {
+  const id = orderOrId?._id || orderOrId;
+  const order = await Order.findById(id).populate("userId", "name phone").lean();
+  if (!order) {
+    throw invoiceError(404, "Order not found");
+  }
+  return order;
+};
+
+const getEcommerceOperator = async () => {
+  const settings = await BusinessSettings.findOne().select("companyName gstin").lean();
+  return {
+    name: settings?.companyName || "",
+    gstin: settings?.gstin || "",
+  };
+};
+
+/**
+ * Issue the tax invoice for a delivered order. Idempotent: returns the
+ * existing invoice when the order already has one.
+ * @param {String|Object} orderOrId - Order or its _id
+ * @returns {Promise<{ invoice: Object, created: Boolean }>}
+ */
+export const issueInvoiceForOrder = async (orderOrId) => {
+  const order = await loadOrder(orderOrId);
+  if (order.status !== "delivered") {
+    throw invoiceError(400, "Invoices are issued once the order is delivered");
+  }
+
+  const existing = await TaxInvoice.findOne({ idempotencyKey: `invoice:${order._id}` });
+  if (existing) {
+    return { invoice: existing, created: false };
+  }
+
+  const restaurant = await findOrderRestaurant(order);
+  if (!restaurant) {
+    throw invoiceError(404, "Restaurant not found");
+  }
+
+  const [menu, feeSettings, ecommerceOperator] = await Promise.all([
+    Menu.findOne({ restaurant: restaurant._id }).select("sections").lean(),
+    getFeeSettings(),
+    getEcommerceOperator(),
+  ]);
+
+  const supplier = buildSupplier(restaurant);
+  const recipient = buildRecipient(order, order.userId);
+  // Restaurant services are supplied where the customer receives them
+  const placeOfSupply = recipient.stateCode
+    ? { stateName: recipient.stateName, stateCode: recipient.stateCode }
+    : { stateName: supplier.stateName, stateCode: supplier.stateCode };
+  const interState = Boolean(supplier.stateCode && placeOfSupply.stateCode && supplier.stateCode !== placeOfSupply.stateCode);
+
+  const lines = buildInvoiceLines(order, buildMenuItemIndex(menu), Number(feeSettings.gstRate) || 5, interState);
+  // Delivery and platform fees are the platform's supply, not the restaurant's
+  const charges = [];
+
+  const issuedAt = order.deliveredAt || order.tracking?.delivered?.timestamp || new Date();
+  const { document, created } = await createDocument({
+    documentType: "invoice",
+    idempotencyKey: `invoice:${order._id}`,
+    issuedAt,
+    restaurant: restaurant._id,
+    order: order._id,
+    orderNumber: order.orderId,
+    user: order.userId?._id || order.userId,
+    supplier,
+    recipient,
+    ecommerceOperator,
+    placeOfSupply,
+    supplyType: interState ? "inter_state" : "intra_state",
+    lines,
+    charges,
+    totals: sumTotals(lines, charges, getInvoicedTotal(order)),
+    paymentMethod: order.payment?.method,
+  });
+
+  if (created) {
+    console.log(`🧾 Tax invoice ${document.number} issued for order ${order.orderId}`);
+  }
+  return { invoice: document, created };
+};
+
+/**
+ * Issue a credit note against an order's invoice for a refund.
+ * Lines, charges and tax are reduced in proportion to the refunded share of
+ * the invoice. Orders refunded before delivery have no invoice and get no
+ * credit note.
+ * @param {Object} params
+ * @param {String|Object} params.order - Order or its _id
+ * @param {Number} params.amount - Refunded amount (incl. tax)
+ * @param {String} params.reference - Refund reference; one credit note per reference
+ * @param {String} [params.reason]
+ * @param {Boolean} [params.ofOrderTotal] - Amount is a customer refund against the whole
+ *   order; only the invoice's share of it is credited, capped at what is still creditable
+ * @returns {Promise<{ creditNote: Object|null, created: Boolean }>}
+ */
+export const issueCreditNoteForRefund = async ({ order: orderOrId, amount, reference, reason = "", ofOrderTotal = false }) => {
+  const orderId = orderOrId?._id || orderOrId;
+  const invoice = await TaxInvoice.findOne({ order: orderId, documentType: "invoice" }).lean();
+  if (!invoice) {
+    return { creditNote: null, created: false };
+  }
+
+  const idempotencyKey = `credit_note:${orderId}:${reference}`;
+  const existing = await TaxInvoice.findOne({ idempotencyKey });
+  if (existing) {
+    return { creditNote: existing, created: false };
+  }
+
+  let refundAmount = round2(amount);
+  if (ofOrderTotal) {
+    const order = await Order.findById(orderId).select("pricing.total").lean();
+    const orderTotal = order?.pricing?.total || 0;
+    refundAmount = orderTotal > 0 ? round2((amount * invoice.totals.grandTotal) / orderTotal) : 0;
+  }
+  if (!(refundAmount > 0)) {
+    throw invoiceError(400, "Credit note amount must be greater than 0");
+  }
+
+  const previousNotes = await TaxInvoice.find({ originalInvoice: invoice._id, documentType: "credit_note" })
+    .select("totals.grandTotal")
+    .lean();
+  const alreadyCredited = round2(previousNotes.reduce((sum, note) => sum + (note.totals?.grandTotal || 0), 0));
+  const creditable = round2(invoice.totals.grandTotal - alreadyCredited);
+  if (ofOrderTotal) {
+    refundAmount = Math.min(refundAmount, creditable);
+    if (!(refundAmount > 0)) {
+      return { creditNote: null, created: false };
+    }
+  }
+  if (refundAmount > creditable) {
+    throw invoiceError(400, `Only ₹${creditable} of invoice ${invoice.number} can still be credited`);
+  }
+
+  const ratio = invoice.totals.grandTotal > 0 ? refundAmount / invoice.totals.grandTotal : 0;
+  const interState = invoice.supplyType === "inter_state";
+  const lines = invoice.lines.map((line) => {
+    const taxableValue = round2(line.taxableValue * ratio);
+    const taxes = splitTax(taxableValue, line.gstRate, interState);
+    return {
+      ...line,
+      grossAmount: round2(line.grossAmount * ratio),
+      discount: round2(line.discount * ratio),
+      taxableValue,
+      ...taxes,
+      total: round2(taxableValue + taxes.cgst + taxes.sgst + taxes.igst),
+    };
+  });
+  const charges = (invoice.charges || []).map((charge) => ({
+    description: charge.description,
+    amount: round2(charge.amount * ratio),
+  }));
+
+  const { document, created } = await createDocument({
+    documentType: "credit_note",
+    idempotencyKey,
+    issuedAt: new Date(),
+    restaurant: invoice.restaurant,
+    order: invoice.order,
+    orderNumber: invoice.orderNumber,
+    user: invoice.user,
+    originalInvoice: invoice._id,
+    originalInvoiceNumber: invoice.number,
+    reason,
+    supplier: invoice.supplier,
+    recipient: invoice.recipient,
+    ecommerceOperator: invoice.ecommerceOperator,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    lines,
+    charges,
+    totals: sumTotals(lines, charges, refundAmount),
+    paymentMethod: invoice.paymentMethod,
+  });
+
+  if (created) {
+    console.log(`🧾 Credit note ${document.number} issued against ${invoice.number} for ₹${refundAmount}`);
+  }
+  return { creditNote: document, created };
+};
+
+/**
+ * Invoice and credit notes of an order, oldest first
+ */
+export const getOrderTaxDocuments = (orderId) =>
+  TaxInvoice.find({ order: orderId }).sort({ issuedAt: 1 }).lean();
+
+/**
+ * Tax invoice or credit note as a printable PDF
+ * @returns {Promise<Buffer>}
+ */
+export const taxDocumentToPdf = (document) => {
+  const isCreditNote = document.documentType === "credit_note";
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-IN", { dateStyle: "medium", timeZone: "Asia/Kolkata" });
+  const money = (value) => round2(value).toFixed(2);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const interState = document.supplyType === "inter_state";
+  const columns = [
+    { label: "Item", x: left, width: 150 },
+    { label: "SAC", x: left + 150, width: 45 },
+    { label: "Qty", x: left + 195, width: 30, align: "right" },
+    { label: "Rate", x: left + 225, width: 50, align: "right" },
+    { label: "Discount", x: left + 275, width: 50, align: "right" },
+    { label: "Taxable", x: left + 325, width: 55, align: "right" },
+    { label: "GST %", x: left + 380, width: 35, align: "right" },
+    { label: interState ? "IGST" : "CGST / SGST", x: left + 415, width: 55, align: "right" },
+    { label: "Total", x: left + 470, width: width - 470, align: "right" },
+  ];
+
+  doc.font("Helvetica-Bold").fontSize(16).text(isCreditNote ? "Credit Note" : "Tax Invoice", { align: "center" });
+  doc.moveDown(0.5);
+
+  const partyTop = doc.y;
+  const { supplier = {}, recipient = {} } = document;
+  doc.font("Helvetica-Bold").fontSize(10).text(supplier.name || "", left, partyTop, { width: width / 2 - 10 });
+  doc.font("Helvetica").fontSize(9)
+    .text(supplier.address || "", { width: width / 2 - 10 })
+    .text(`GSTIN: ${supplier.gstin || "Unregistered"}`)
+    .text(`State: ${supplier.stateName || "-"} (${supplier.stateCode || "-"})`);
+  const supplierBottom = doc.y;
+
+  const right = left + width / 2 + 10;
+  doc.font("Helvetica").fontSize(9)
+    .text(`${isCreditNote ? "Credit note" : "Invoice"} no: ${document.number}`, right, partyTop, { width: width / 2 - 10 })
+    .text(`Date: ${formatDate(document.issuedAt)}`)
+    .text(`Order: ${document.orderNumber || ""}`);
+  if (isCreditNote) {
+    doc.text(`Against invoice: ${document.originalInvoiceNumber || ""}`);
+  }
+  doc.text(`Place of supply: ${document.placeOfSupply?.stateName || "-"} (${document.placeOfSupply?.stateCode || "-"})`);
+  doc.y = Math.max(supplierBottom, doc.y);
+  doc.x = left;
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(9).text("Billed to", left);
+  doc.font("Helvetica")
+    .text(recipient.name || "Customer")
+    .text(recipient.address || "", { width })
+    .text(recipient.phone ? `Phone: ${recipient.phone}` : "");
+  doc.moveDown();
+
+  const drawRow = (cells, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const heights = columns.map((column, index) =>
+      doc.heightOfString(String(cells[index] ?? ""), { width: column.width - 4 }),
+    );
+    const rowHeight = Math.max(...heights) + 6;
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ""), column.x, y, { width: column.width - 4, align: column.align || "left" });
+    });
+    doc.moveTo(left, y + rowHeight - 3).lineTo(left + width, y + rowHeight - 3).strokeColor("#dddddd").stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map((column) => column.label), true);
+  (document.lines || []).forEach((line) => {
+    drawRow([
+      line.description,
+      line.hsnSac,
+      line.quantity,
+      money(line.unitPrice),
+      money(line.discount),
+      money(line.taxableValue),
+      line.gstRate,
+      interState ? money(line.igst) : `${money(line.cgst)} / ${money(line.sgst)}`,
+      money(line.total),
+    ]);
+  });
+
+  doc.moveDown();
+  const { totals = {} } = document;
+  const summary = [
+    ["Taxable value", totals.taxableValue],
+    ...(interState
+      ? [["IGST", totals.igst]]
+      : [
+          ["CGST", totals.cgst],
+          ["SGST", totals.sgst],
+        ]),
+    ...(document.charges || []).map((charge) => [charge.description, charge.amount]),
+    ["Round off", totals.roundOff],
+  ];
+  summary.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(9).text(label, left + 280, y, { width: 150 });
+    doc.text(`Rs. ${money(value)}`, left + 430, y, { width: width - 430, align: "right" });
+  });
+  const y = doc.y + 4;
+  doc.font("Helvetica-Bold").fontSize(11).text(isCreditNote ? "Total credited" : "Total", left + 280, y, { width: 150 });
+  doc.text(`Rs. ${money(totals.grandTotal)}`, left + 430, y, { width: width - 430, align: "right" });
+
+  doc.moveDown(2);
+  doc.x = left;
+  doc.font("Helvetica").fontSize(8).fillColor("#777777");
+  if (isCreditNote && document.reason) {
+    doc.text(`Reason: ${document.reason}`, { width });
+  }
+  if (document.ecommerceOperator?.name) {
+    doc.text(
+      `Supplied through ${document.ecommerceOperator.name}${document.ecommerceOperator.gstin ? ` (GSTIN ${document.ecommerceOperator.gstin})` : ""}, e-commerce operator under section 9(5) of the CGST Act.`,
+      { width },
+    );
+  }
+  doc.text("This is a computer generated document and does not require a signature.", { width });
+
+  doc.end();
+  return finished;
+};
+
+const signedTotals = (document) => {
+  const sign = document.documentType === "credit_note" ? -1 : 1;
+  return (value) => round2(sign * (value || 0));
+};
+
+/**
+ * GSTR-1 style workbook for one month: B2C supplies by place of supply and
+ * rate, HSN/SAC summary, documents issued, and the invoice/credit note register.
+ * @param {Object} params
+ * @param {String} params.month - "YYYY-MM"
+ * @param {String} [params.restaurantId] - Restaurant _id; all restaurants when omitted
+ * @returns {Promise<{ buffer: Buffer, filename: String, documentCount: Number }>}
+ */
+export const buildGstrWorkbook = async ({ month, restaurantId = null }) => {
+  const period = parseTaxPeriod(month);
+  const query = { issuedAt: { $gte: period.start, $lt: period.end } };
+  if (restaurantId) {
+    query.restaurant = restaurantId;
+  }
+  const documents = await TaxInvoice.find(query).sort({ restaurant: 1, documentType: 1, number: 1 }).lean();
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const b2cSheet = workbook.addWorksheet("B2CS");
+  b2cSheet.columns = [
+    { header: "Supplier GSTIN", key: "gstin", width: 20 },
+    { header: "Type", key: "type", width: 10 },
+    { header: "Place Of Supply", key: "placeOfSupply", width: 28 },
+    { header: "Rate", key: "rate", width: 8 },
+    { header: "Taxable Value", key: "taxableValue", width: 15 },
+    { header: "IGST", key: "igst", width: 12 },
+    { header: "CGST", key: "cgst", width: 12 },
+    { header: "SGST", key: "sgst", width: 12 },
+    { header: "E-Commerce GSTIN", key: "ecommerceGstin", width: 20 },
+  ];
+
+  const hsnSheet = workbook.addWorksheet("HSN");
+  hsnSheet.columns = [
+    { header: "Supplier GSTIN", key: "gstin", width: 20 },
+    { header: "HSN/SAC", key: "hsnSac", width: 10 },
+    { header: "Description", key: "description", width: 30 },
+    { header: "UQC", key: "uqc", width: 8 },
+    { header: "Total Quantity", key: "quantity", width: 14 },
+    { header: "Total Value", key: "totalValue", width: 14 },
+    { header: "Taxable Value", key: "taxableValue", width: 15 },
+    { header: "IGST", key: "igst", width: 12 },
+    { header: "CGST", key: "cgst", width: 12 },
+    { header: "SGST", key: "sgst", width: 12 },
+  ];
+
+  const docsSheet = workbook.addWorksheet("Docs");
+  docsSheet.columns = [
+    { header: "Supplier GSTIN", key: "gstin", width: 20 },
+    { header: "Nature Of Document", key: "nature", width: 28 },
+    { header: "Sr. No. From", key: "from", width: 20 },
+    { header: "Sr. No. To", key: "to", width: 20 },
+    { header: "Total Number", key: "count", width: 14 },
+    { header: "Cancelled", key: "cancelled", width: 10 },
+  ];
+
+  const registerSheet = workbook.addWorksheet("Register");
+  registerSheet.columns = [
+    { header: "Supplier", key: "supplier", width: 28 },
+    { header: "Supplier GSTIN", key: "gstin", width: 20 },
+    { header: "Document", key: "documentType", width: 12 },
+    { header: "Number", key: "number", width: 20 },
+    { header: "Date", key: "date", width: 12 },
+    { header: "Order", key: "orderNumber", width: 22 },
+    { header: "Against Invoice", key: "originalInvoiceNumber", width: 20 },
+    { header: "Place Of Supply", key: "placeOfSupply", width: 24 },
+    { header: "Taxable Value", key: "taxableValue", width: 15 },
+    { header: "IGST", key: "igst", width: 12 },
+    { header: "CGST", key: "cgst", width: 12 },
+    { header: "SGST", key: "sgst", width: 12 },
+    { header: "Charges", key: "charges", width: 12 },
+    { header: "Round Off", key: "roundOff", width: 12 },
+    { header: "Total", key: "grandTotal", width: 12 },
+  ];
+
+  const b2cRows = new Map();
+  const hsnRows = new Map();
+  const series = new Map();
+
+  documents.forEach((document) => {
+    const signed = signedTotals(document);
+    const gstin = document.supplier?.gstin || "";
+    const supplierKey = `${document.restaurant}`;
+    const placeOfSupply = `${document.placeOfSupply?.stateCode || ""}-${document.placeOfSupply?.stateName || ""}`;
+
+    (document.lines || []).forEach((line) => {
+      const b2cKey = `${supplierKey}|${placeOfSupply}|${line.gstRate}`;
+      const b2c = b2cRows.get(b2cKey) || {
+        gstin,
+        type: "OE",
+        placeOfSupply,
+        rate: line.gstRate,
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        ecommerceGstin: document.ecommerceOperator?.gstin || "",
+      };
+      b2c.taxableValue = round2(b2c.taxableValue + signed(line.taxableValue));
+      b2c.igst = round2(b2c.igst + signed(line.igst));
+      b2c.cgst = round2(b2c.cgst + signed(line.cgst));
+      b2c.sgst = round2(b2c.sgst + signed(line.sgst));
+      b2cRows.set(b2cKey, b2c);
+
+      const hsnKey = `${supplierKey}|${line.hsnSac}`;
+      const hsn = hsnRows.get(hsnKey) || {
+        gstin,
+        hsnSac: line.hsnSac,
+        description: line.hsnSac === DEFAULT_SAC_CODE ? "Restaurant services" : "",
+        uqc: "NOS",
+        quantity: 0,
+        totalValue: 0,
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+      };
+      // Credit notes reduce value but not the quantity supplied
+      if (document.documentType === "invoice") {
+        hsn.quantity += line.quantity || 0;
+      }
+      hsn.totalValue = round2(hsn.totalValue + signed(line.total));
+      hsn.taxableValue = round2(hsn.taxableValue + signed(line.taxableValue));
+      hsn.igst = round2(hsn.igst + signed(line.igst));
+      hsn.cgst = round2(hsn.cgst + signed(line.cgst));
+      hsn.sgst = round2(hsn.sgst + signed(line.sgst));
+      hsnRows.set(hsnKey, hsn);
+    });
+
+    const seriesKey = `${supplierKey}|${document.documentType}`;
+    const entry = series.get(seriesKey) || {
+      gstin,
+      nature: document.documentType === "invoice" ? "Invoices for outward supply" : "Credit Note",
+      from: document.number,
+      to: document.number,
+      count: 0,
+      cancelled: 0,
+    };
+    entry.to = document.number;
+    entry.count += 1;
+    series.set(seriesKey, entry);
+
+    registerSheet.addRow({
+      supplier: document.supplier?.name || "",
+      gstin,
+      documentType: document.documentType === "invoice" ? "Invoice" : "Credit note",
+      number: document.number,
+      date: new Date(document.issuedAt).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" }),
+      orderNumber: document.orderNumber || "",
+      originalInvoiceNumber: document.originalInvoiceNumber || "",
+      placeOfSupply,
+      taxableValue: signed(document.totals?.taxableValue),
+      igst: signed(document.totals?.igst),
+      cgst: signed(document.totals?.cgst),
+      sgst: signed(document.totals?.sgst),
+      charges: signed(document.totals?.charges),
+      roundOff: signed(document.totals?.roundOff),
+      grandTotal: signed(document.totals?.grandTotal),
+    });
+  });
+
+  b2cRows.forEach((row) => b2cSheet.addRow(row));
+  hsnRows.forEach((row) => hsnSheet.addRow(row));
+  series.forEach((row) => docsSheet.addRow(row));
+  [b2cSheet, hsnSheet, docsSheet, registerSheet].forEach((sheet) => {
+    sheet.getRow(1).font = { bold: true };
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return {
+    buffer: Buffer.from(buffer),
+    filename: `gstr1-${period.month}${restaurantId ? `-${restaurantId}` : ""}.xlsx`,
+    documentCount: documents.length,
+  };
+};
+
+/**
+ * Month tax totals per restaurant, net of credit notes
+ * @param {String} month - "YYYY-MM"
+ */
+export const getTaxSummary = async (month) => {
+  const period = parseTaxPeriod(month);
+  const sign = { $cond: [{ $eq: ["$documentType", "credit_note"] }, -1, 1] };
+  const signed = (field) => ({ $sum: { $multiply: [sign, { $ifNull: [field, 0] }] } });
+
+  const rows = await TaxInvoice.aggregate([
+    { $match: { issuedAt: { $gte: period.start, $lt: period.end } } },
+    { $sort: { issuedAt: 1 } },
+    {
+      $group: {
+        _id: "$restaurant",
+        supplierName: { $last: "$supplier.name" },
+        gstin: { $last: "$supplier.gstin" },
+        invoiceCount: { $sum: { $cond: [{ $eq: ["$documentType", "invoice"] }, 1, 0] } },
+        creditNoteCount: { $sum: { $cond: [{ $eq: ["$documentType", "credit_note"] }, 1, 0] } },
+        taxableValue: signed("$totals.taxableValue"),
+        cgst: signed("$totals.cgst"),
+        sgst: signed("$totals.sgst"),
+        igst: signed("$totals.igst"),
+        totalTax: signed("$totals.totalTax"),
+        grandTotal: signed("$totals.grandTotal"),
+      },
+    },
+    { $sort: { totalTax: -1 } },
+  ]);
+
+  const restaurants = rows.map((row) => ({
+    restaurantId: row._id,
+    supplierName: row.supplierName,
+    gstin: row.gstin || "",
+    invoiceCount: row.invoiceCount,
+    creditNoteCount: row.creditNoteCount,
+    taxableValue: round2(row.taxableValue),
+    cgst: round2(row.cgst),
+    sgst: round2(row.sgst),
+    igst: round2(row.igst),
+    totalTax: round2(row.totalTax),
+    grandTotal: round2(row.grandTotal),
+  }));
+
+  const totals = restaurants.reduce(
+    (sum, row) => ({
+      taxableValue: round2(sum.taxableValue + row.taxableValue),
+      totalTax: round2(sum.totalTax + row.totalTax),
+      invoiceCount: sum.invoiceCount + row.invoiceCount,
+      creditNoteCount: sum.creditNoteCount + row.creditNoteCount,
+    }),
+    { taxableValue: 0, totalTax: 0, invoiceCount: 0, creditNoteCount: 0 },
+  );
+
+  return { month: period.month, restaurants, totals };
+};
+
+export default {
+  issueInvoiceForOrder,
+  issueCreditNoteForRefund,
+  getOrderTaxDocuments,
+  taxDocumentToPdf,
+  buildGstrWorkbook,
+  getTaxSummary,
+};
@@ -0,0 +1,35 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { verifyWebhookSignature } from '../services/razorpayService.js';
+import { handleRazorpayWebhook } from '../services/paymentWebhookService.js';
+
+/**
+ * Razorpay Webhook Receiver
+ * POST /api/payment/webhook/razorpay
+ * Signature is checked against the raw body captured by express.json in server.js.
+ * Non-2xx responses make Razorpay retry the delivery.
+ */
+export const razorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.get('x-razorpay-signature');
+  const isValid = await verifyWebhookSignature(req.rawBody, signature);
+
+  if (!isValid) {
+    return errorResponse(res, 400, 'Invalid webhook signature');
+  }
+
+  try {
+    const outcome = await handleRazorpayWebhook({
+      eventId: req.get('x-razorpay-event-id'),
+      rawBody: req.rawBody,
+      body: req.body
+    });
+
+    return successResponse(res, 200, outcome.duplicate ? 'Event already processed' : 'Event processed', {
+      status: outcome.duplicate ? 'duplicate' : outcome.status
+    });
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to process webhook event');
+  }
+});
+
+export default { razorpayWebhook };
@@ -1,5 +1,6 @@
 import express from 'express';
 import { initializeRazorpay } from './services/razorpayService.js';
+import { razorpayWebhook } from './controllers/paymentWebhookController.js';
 
 // Initialize Razorpay on module load
 initializeRazorpay();
@@ -15,5 +16,8 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Razorpay webhooks (authenticated by signature, not by token)
+router.post('/webhook/razorpay', razorpayWebhook);
+
 export default router;
 
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+/**
+ * Double-entry journal. Every wallet balance movement is recorded here as a
+ * balanced entry (sum of debits equals sum of credits), so wallet balances can
+ * be derived from the ledger and checked against it.
+ *
+ * Accounts are plain strings:
+ * - wallet accounts carry the wallet id, e.g. `restaurant_wallet:<walletId>`
+ * - system accounts are fixed names, e.g. `order_clearing`, `payouts_payable`
+ */
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Makes posting idempotent: one entry per wallet transaction / reversal / event
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['wallet_transaction', 'wallet_reversal', 'cash_movement', 'adjustment'],
+    required: true,
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  // Total of either side, kept for reporting
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Where the entry came from
+  source: {
+    walletType: {
+      type: String,
+      enum: ['user', 'restaurant', 'delivery', 'hotel', 'admin']
+    },
+    walletId: mongoose.Schema.Types.ObjectId,
+    transactionId: mongoose.Schema.Types.ObjectId,
+    transactionType: String,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
+  postedBy: {
+    type: {
+      type: String,
+      enum: ['system', 'admin'],
+      default: 'system'
+    },
+    userId: mongoose.Schema.Types.ObjectId
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const toPaise = (value) => Math.round((value || 0) * 100);
+  const debits = this.lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced journal entry ${this.idempotencyKey}: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1 });
+ledgerEntrySchema.index({ 'source.walletId': 1, 'source.transactionId': 1 });
+ledgerEntrySchema.index({ 'source.orderId': 1 });
+ledgerEntrySchema.index({ postedAt: -1 });
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
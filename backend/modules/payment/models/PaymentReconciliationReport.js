@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+const mismatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'captured_not_recorded',   // Gateway captured, our order/top-up is not paid
+      'recorded_not_captured',   // We marked paid, gateway payment is not captured
+      'amount_mismatch',         // Both paid, amounts differ
+      'topup_not_credited',      // Captured wallet top-up with no wallet transaction
+      'refund_not_settled',      // Gateway refunded, settlement still pending/initiated
+      'unknown_gateway_payment'  // Captured payment we cannot match to anything
+    ],
+    required: true
+  },
+  razorpayPaymentId: String,
+  razorpayOrderId: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ourStatus: String,
+  gatewayStatus: String,
+  // Amounts in rupees
+  ourAmount: Number,
+  gatewayAmount: Number,
+  note: String,
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  resolutionNote: String
+}, {
+  _id: true
+});
+
+const paymentReconciliationReportSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+  triggeredBy: {
+    type: String,
+    enum: ['cron', 'admin'],
+    default: 'cron'
+  },
+  triggeredByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  gatewayPaymentsChecked: {
+    type: Number,
+    default: 0
+  },
+  recordsChecked: {
+    type: Number,
+    default: 0
+  },
+  mismatchCount: {
+    type: Number,
+    default: 0
+  },
+  mismatches: [mismatchSchema],
+  error: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentReconciliationReportSchema.index({ createdAt: -1 });
+paymentReconciliationReportSchema.index({ status: 1, mismatchCount: 1 });
+
+export default mongoose.model('PaymentReconciliationReport', paymentReconciliationReportSchema);
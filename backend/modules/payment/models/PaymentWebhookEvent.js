@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * Gateway webhook deliveries, one document per provider event id.
+ * Razorpay retries a delivery until it gets a 2xx, so the unique eventId is
+ * what keeps a retried or duplicated event from being applied twice.
+ */
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Payment / refund / order id the event is about
+  entityId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // What the event changed on our side (order confirmed, wallet credited, ...)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+paymentWebhookEventSchema.index({ createdAt: -1 });
+
+export default mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
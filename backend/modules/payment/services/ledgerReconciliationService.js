@@ -0,0 +1,406 @@
+import winston from 'winston';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import UserWallet from '../../user/models/UserWallet.js';
+import RestaurantWallet from '../../restaurant/models/RestaurantWallet.js';
+import DeliveryWallet from '../../delivery/models/DeliveryWallet.js';
+import HotelWallet from '../../hotel/models/HotelWallet.js';
+import AdminWallet from '../../admin/models/AdminWallet.js';
+import AuditLog from '../../admin/models/AuditLog.js';
+import {
+  SYSTEM_ACCOUNTS,
+  WALLET_BALANCE_FIELDS,
+  postJournalEntry,
+  syncWalletTransactions
+} from './ledgerService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Ledger reconciliation
+ *
+ * Trial balance over the journal, and a consistency check that derives every
+ * wallet balance from the ledger and reports where the stored wallet balance
+ * has drifted from it. Wallets rebuild their stored balances from the ledger
+ * on every posting, so drift comes from writes that bypassed it or from
+ * history the ledger is missing; an admin decides whether the wallet or the
+ * ledger is right (alignWalletWithLedger).
+ */
+
+// Stored balance fields per wallet type and the ledger account each one mirrors
+const WALLET_BALANCES = {
+  user: { model: UserWallet, balances: WALLET_BALANCE_FIELDS.user },
+  restaurant: { model: RestaurantWallet, balances: WALLET_BALANCE_FIELDS.restaurant },
+  delivery: { model: DeliveryWallet, balances: WALLET_BALANCE_FIELDS.delivery },
+  hotel: { model: HotelWallet, balances: WALLET_BALANCE_FIELDS.hotel },
+  admin: { model: AdminWallet, balances: WALLET_BALANCE_FIELDS.admin }
+};
+
+export const WALLET_TYPES = Object.keys(WALLET_BALANCES);
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const amountsDiffer = (a, b) => Math.abs((a || 0) - (b || 0)) >= 0.01;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Debit and credit totals per account
+ * @param {Object} match - Extra match on the unwound lines (e.g. account prefix)
+ * @param {Date} [asOf] - Only entries posted up to this date
+ */
+const aggregateAccountTotals = async (match = {}, asOf = null) => {
+  const entryMatch = asOf ? { postedAt: { $lte: asOf } } : {};
+  if (match['lines.account']) {
+    entryMatch['lines.account'] = match['lines.account'];
+  }
+
+  return LedgerEntry.aggregate([
+    { $match: entryMatch },
+    { $unwind: '$lines' },
+    { $match: match },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+        entryCount: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+/**
+ * Trial balance: every account's debit / credit totals, rolled up by account
+ * group (system accounts, and one group per wallet type)
+ * @param {Object} options - { asOf }
+ */
+export const getTrialBalance = async ({ asOf } = {}) => {
+  const asOfDate = asOf ? new Date(asOf) : null;
+  if (asOfDate && Number.isNaN(asOfDate.getTime())) {
+    throw new Error('Invalid asOf date');
+  }
+
+  const accounts = await aggregateAccountTotals({}, asOfDate);
+
+  const groups = new Map();
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  for (const account of accounts) {
+    const group = account._id.split(':')[0];
+    const row = groups.get(group) || { group, accountCount: 0, debit: 0, credit: 0 };
+    row.accountCount++;
+    row.debit += account.debit;
+    row.credit += account.credit;
+    groups.set(group, row);
+
+    totalDebit += account.debit;
+    totalCredit += account.credit;
+  }
+
+  return {
+    asOf: asOfDate || new Date(),
+    groups: [...groups.values()].map((row) => ({
+      ...row,
+      debit: round(row.debit),
+      credit: round(row.credit),
+      balance: round(row.debit - row.credit)
+    })),
+    // System accounts are listed individually; wallets only as groups
+    systemAccounts: accounts
+      .filter((account) => Object.values(SYSTEM_ACCOUNTS).includes(account._id))
+      .map((account) => ({
+        account: account._id,
+        debit: round(account.debit),
+        credit: round(account.credit),
+        balance: round(account.debit - account.credit)
+      })),
+    totalDebit: round(totalDebit),
+    totalCredit: round(totalCredit),
+    isBalanced: !amountsDiffer(totalDebit, totalCredit)
+  };
+};
+
+/**
+ * Journal entries whose lines do not balance (should never happen; entries
+ * are validated on write, so any hit means the collection was edited directly)
+ */
+const findUnbalancedEntries = async (limit) =>
+  LedgerEntry.aggregate([
+    {
+      $project: {
+        idempotencyKey: 1,
+        postedAt: 1,
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    },
+    {
+      $match: {
+        $expr: { $gte: [{ $abs: { $subtract: ['$debit', '$credit'] } }, 0.01] }
+      }
+    },
+    { $limit: limit }
+  ]);
+
+/**
+ * Ledger-derived balances of every account with the given prefix
+ * @returns {Promise<Map<string, number>>}
+ */
+const getLedgerBalancesByPrefix = async (prefix, debitNormal) => {
+  const rows = await aggregateAccountTotals({
+    'lines.account': { $regex: `^${escapeRegex(prefix)}:` }
+  });
+  return new Map(rows.map((row) => [
+    row._id,
+    round(debitNormal ? row.debit - row.credit : row.credit - row.debit)
+  ]));
+};
+
+/**
+ * Compare every wallet's stored balances with the balances derived from the
+ * ledger, and check the journal itself balances
+ * @param {Object} options - { limit } caps the drift rows returned
+ */
+export const runLedgerConsistencyCheck = async ({ limit = 200 } = {}) => {
+  const startedAt = new Date();
+  const drift = [];
+  const wallets = {};
+  let driftCount = 0;
+  let totalDrift = 0;
+
+  for (const walletType of WALLET_TYPES) {
+    const { model, balances } = WALLET_BALANCES[walletType];
+    const summary = { checked: 0, drifted: 0 };
+
+    for (const balance of balances) {
+      const ledgerBalances = await getLedgerBalancesByPrefix(balance.prefix, balance.debitNormal);
+      const seenAccounts = new Set();
+
+      const cursor = model.find({}).select(balance.field).lean().cursor();
+      for await (const wallet of cursor) {
+        const account = balance.account(wallet._id);
+        seenAccounts.add(account);
+        summary.checked++;
+
+        const walletBalance = round(wallet[balance.field]);
+        const ledgerBalance = ledgerBalances.get(account) || 0;
+        if (!amountsDiffer(walletBalance, ledgerBalance)) {
+          continue;
+        }
+
+        summary.drifted++;
+        driftCount++;
+        totalDrift += Math.abs(walletBalance - ledgerBalance);
+        if (drift.length < limit) {
+          drift.push({
+            walletType,
+            walletId: wallet._id,
+            field: balance.field,
+            account,
+            walletBalance,
+            ledgerBalance,
+            difference: round(walletBalance - ledgerBalance)
+          });
+        }
+      }
+
+      // Ledger accounts of wallets that no longer exist
+      for (const [account, ledgerBalance] of ledgerBalances) {
+        if (seenAccounts.has(account) || !amountsDiffer(ledgerBalance, 0)) {
+          continue;
+        }
+        summary.drifted++;
+        driftCount++;
+        totalDrift += Math.abs(ledgerBalance);
+        if (drift.length < limit) {
+          drift.push({
+            walletType,
+            walletId: null,
+            field: balance.field,
+            account,
+            walletBalance: null,
+            ledgerBalance,
+            difference: round(-ledgerBalance)
+          });
+        }
+      }
+    }
+
+    wallets[walletType] = summary;
+  }
+
+  const [trialBalance, unbalancedEntries] = await Promise.all([
+    getTrialBalance(),
+    findUnbalancedEntries(limit)
+  ]);
+
+  const report = {
+    checkedAt: startedAt,
+    durationMs: Date.now() - startedAt.getTime(),
+    isConsistent: driftCount === 0 && unbalancedEntries.length === 0 && trialBalance.isBalanced,
+    trialBalance,
+    unbalancedEntries,
+    wallets,
+    driftCount,
+    totalDrift: round(totalDrift),
+    drift
+  };
+
+  logger.info(`Ledger consistency check: ${driftCount} drifted balance(s), ${unbalancedEntries.length} unbalanced entr${unbalancedEntries.length === 1 ? 'y' : 'ies'}`);
+
+  return report;
+};
+
+/**
+ * Post ledger entries for wallet transactions recorded before the ledger
+ * existed (or missed while it was unavailable). Idempotent: already posted
+ * transactions are skipped.
+ * @param {Object} options - { walletType } to limit the run to one wallet type
+ */
+export const backfillWalletLedger = async ({ walletType } = {}) => {
+  const walletTypes = walletType ? [walletType] : WALLET_TYPES;
+  const result = {};
+
+  for (const type of walletTypes) {
+    const summary = { wallets: 0, posted: 0, reversed: 0, failed: 0 };
+    const cursor = WALLET_BALANCES[type].model.find({}).cursor();
+
+    for await (const wallet of cursor) {
+      summary.wallets++;
+      try {
+        const { posted, reversed } = await syncWalletTransactions(
+          type,
+          wallet,
+          wallet.transactions.map((t) => t._id)
+        );
+        summary.posted += posted;
+        summary.reversed += reversed;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Ledger backfill failed for ${type} wallet ${wallet._id}: ${error.message}`);
+      }
+    }
+
+    result[type] = summary;
+  }
+
+  return result;
+};
+
+/**
+ * Resolve drift on one wallet.
+ * - `adjust_ledger`: the wallet balance is right; post an adjustment entry
+ *   against ledger_adjustments so the ledger matches it (e.g. opening balances)
+ * - `reset_wallet`: the ledger is right; overwrite the stored wallet balance
+ *   with the ledger-derived one
+ * @param {Object} params - { walletType, walletId, strategy, adminId, note }
+ */
+export const alignWalletWithLedger = async ({ walletType, walletId, strategy, adminId, note }) => {
+  const config = WALLET_BALANCES[walletType];
+  if (!config) {
+    const error = new Error('Invalid wallet type');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!['adjust_ledger', 'reset_wallet'].includes(strategy)) {
+    const error = new Error('strategy must be adjust_ledger or reset_wallet');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!mongoose.Types.ObjectId.isValid(walletId)) {
+    const error = new Error('Invalid wallet ID');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const wallet = await config.model.findById(walletId)
+    .select(config.balances.map((balance) => balance.field).join(' '))
+    .lean();
+  if (!wallet) {
+    const error = new Error('Wallet not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const adjustments = [];
+  for (const balance of config.balances) {
+    const account = balance.account(wallet._id);
+    const [row] = await aggregateAccountTotals({ 'lines.account': account });
+    const ledgerBalance = round(row ? (balance.debitNormal ? row.debit - row.credit : row.credit - row.debit) : 0);
+    const walletBalance = round(wallet[balance.field]);
+
+    if (amountsDiffer(walletBalance, ledgerBalance)) {
+      adjustments.push({ ...balance, account, walletBalance, ledgerBalance, difference: round(walletBalance - ledgerBalance) });
+    }
+  }
+
+  if (adjustments.length === 0) {
+    return { walletType, walletId, strategy, adjustments: [] };
+  }
+
+  if (strategy === 'adjust_ledger') {
+    for (const adjustment of adjustments) {
+      // Increase = credit a credit-normal account / debit a debit-normal one
+      const increasesAccount = adjustment.difference > 0;
+      const accountSide = increasesAccount !== Boolean(adjustment.debitNormal) ? 'credit' : 'debit';
+      const amount = Math.abs(adjustment.difference);
+
+      await postJournalEntry({
+        idempotencyKey: `adjustment:${adjustment.account}:${new mongoose.Types.ObjectId()}`,
+        type: 'adjustment',
+        description: note || `Align ledger with ${walletType} wallet ${adjustment.field}`,
+        lines: [
+          { account: adjustment.account, [accountSide]: amount },
+          { account: SYSTEM_ACCOUNTS.LEDGER_ADJUSTMENTS, [accountSide === 'credit' ? 'debit' : 'credit']: amount }
+        ],
+        source: { walletType, walletId: wallet._id },
+        postedBy: { type: 'admin', userId: adminId }
+      });
+    }
+  } else {
+    await config.model.updateOne(
+      { _id: wallet._id },
+      { $set: Object.fromEntries(adjustments.map((adjustment) => [adjustment.field, adjustment.ledgerBalance])) }
+    );
+  }
+
+  await AuditLog.createLog({
+    entityType: 'wallet',
+    entityId: wallet._id,
+    action: 'ledger_align',
+    actionType: 'update',
+    performedBy: {
+      type: 'admin',
+      userId: adminId
+    },
+    changes: Object.fromEntries(adjustments.map((adjustment) => [
+      adjustment.field,
+      { wallet: adjustment.walletBalance, ledger: adjustment.ledgerBalance }
+    ])),
+    description: `${walletType} wallet aligned with ledger (${strategy})${note ? `: ${note}` : ''}`
+  });
+
+  return {
+    walletType,
+    walletId: wallet._id,
+    strategy,
+    adjustments: adjustments.map(({ field, account, walletBalance, ledgerBalance, difference }) => ({
+      field,
+      account,
+      walletBalance,
+      ledgerBalance,
+      difference
+    }))
+  };
+};
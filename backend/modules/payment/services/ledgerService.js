@@ -0,0 +1,451 @@
+import winston from 'winston';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Double-entry ledger
+ *
+ * The journal is the source of truth for every wallet balance; the balances
+ * stored on the wallet models are a cache, rebuilt from the journal totals
+ * after every posting (rebuildWalletBalances), and the consistency check
+ * (ledgerReconciliationService) reports wallets that drifted in between.
+ * Every wallet write posts its journal entries in the same Mongo transaction,
+ * so a balance never moves without its entry: wallet saves go through
+ * saveWithLedger (see attachWalletLedgerHooks), and movements that bypass the
+ * wallet transaction list (COD cash in hand, atomic top-ups) go through the
+ * helpers below.
+ */
+
+// Counter accounts outside the wallets
+export const SYSTEM_ACCOUNTS = {
+  GATEWAY_CLEARING: 'gateway_clearing', // Money in / out through Razorpay and bank transfers
+  ORDER_CLEARING: 'order_clearing', // Order proceeds waiting to be split, and refunds out of them
+  PLATFORM_EXPENSE: 'platform_expense', // Bonuses and earning add-ons funded by the platform
+  PAYOUTS_PAYABLE: 'payouts_payable', // Withdrawals requested but not yet paid out
+  LEDGER_ADJUSTMENTS: 'ledger_adjustments' // Opening balances and manual drift corrections
+};
+
+export const WALLET_ACCOUNT_PREFIXES = {
+  user: 'user_wallet',
+  restaurant: 'restaurant_wallet',
+  delivery: 'delivery_wallet',
+  hotel: 'hotel_wallet',
+  admin: 'platform_wallet'
+};
+
+export const DELIVERY_CASH_PREFIX = 'delivery_cash';
+
+export const walletAccount = (walletType, walletId) => `${WALLET_ACCOUNT_PREFIXES[walletType]}:${walletId}`;
+
+export const deliveryCashAccount = (walletId) => `${DELIVERY_CASH_PREFIX}:${walletId}`;
+
+// Balance fields each wallet model caches and the ledger account each one is
+// rebuilt from
+export const WALLET_BALANCE_FIELDS = {
+  user: [{ field: 'balance', prefix: WALLET_ACCOUNT_PREFIXES.user, account: (id) => walletAccount('user', id) }],
+  restaurant: [{ field: 'totalBalance', prefix: WALLET_ACCOUNT_PREFIXES.restaurant, account: (id) => walletAccount('restaurant', id) }],
+  delivery: [
+    { field: 'totalBalance', prefix: WALLET_ACCOUNT_PREFIXES.delivery, account: (id) => walletAccount('delivery', id) },
+    // Cash in hand is what the partner holds for the platform, so it is a debit balance
+    { field: 'cashInHand', prefix: DELIVERY_CASH_PREFIX, account: deliveryCashAccount, debitNormal: true }
+  ],
+  hotel: [{ field: 'totalBalance', prefix: WALLET_ACCOUNT_PREFIXES.hotel, account: (id) => walletAccount('hotel', id) }],
+  admin: [{ field: 'totalBalance', prefix: WALLET_ACCOUNT_PREFIXES.admin, account: (id) => walletAccount('admin', id) }]
+};
+
+// Looked up by name: the wallet models import this module for their hooks
+const WALLET_MODEL_NAMES = {
+  user: 'UserWallet',
+  restaurant: 'RestaurantWallet',
+  delivery: 'DeliveryWallet',
+  hotel: 'HotelWallet',
+  admin: 'AdminWallet'
+};
+
+// Placeholders resolved per transaction
+const WALLET = '$wallet';
+const CASH = '$cash';
+
+const COMPLETED = ['Completed'];
+// Withdrawals are deducted when requested and given back when rejected
+const RESERVED = ['Pending', 'Completed'];
+
+const { GATEWAY_CLEARING, ORDER_CLEARING, PLATFORM_EXPENSE, PAYOUTS_PAYABLE } = SYSTEM_ACCOUNTS;
+
+const credit = (counterAccount, postOn = COMPLETED) => [{ debit: counterAccount, credit: WALLET, postOn }];
+const debit = (counterAccount, postOn = COMPLETED) => [{ debit: WALLET, credit: counterAccount, postOn }];
+const withdrawal = (payoutAccount = GATEWAY_CLEARING) => [
+  ...debit(PAYOUTS_PAYABLE, RESERVED),
+  { suffix: 'payout', debit: PAYOUTS_PAYABLE, credit: payoutAccount, postOn: COMPLETED }
+];
+// COD cash a delivery partner collected along with an earning
+const collectedCash = { suffix: 'cash', debit: CASH, credit: ORDER_CLEARING, postOn: COMPLETED, when: (t) => t.paymentCollected };
+
+/**
+ * Journal postings per wallet transaction type. Mirrors the balance effects in
+ * each wallet model's addTransaction; types without a balance effect
+ * (cash_collection, folio_settlement, admin bonus, ...) are not posted.
+ */
+const WALLET_POSTING_RULES = {
+  user: {
+    addition: credit(GATEWAY_CLEARING),
+    refund: credit(ORDER_CLEARING),
+    deduction: debit(ORDER_CLEARING)
+  },
+  restaurant: {
+    payment: credit(ORDER_CLEARING),
+    refund: credit(ORDER_CLEARING),
+    bonus: credit(PLATFORM_EXPENSE),
+    withdrawal: withdrawal(),
+    deduction: debit(ORDER_CLEARING)
+  },
+  delivery: {
+    payment: [...credit(ORDER_CLEARING), collectedCash],
+    refund: [...credit(ORDER_CLEARING), collectedCash],
+    bonus: [...credit(PLATFORM_EXPENSE), collectedCash],
+    earning_addon: [...credit(PLATFORM_EXPENSE), collectedCash],
+    // Customer tips are passed through in full
+    tip: credit(ORDER_CLEARING),
+    // Paid out of the cash in hand when the withdrawal was settled in cash
+    withdrawal: withdrawal((t) => (t.paymentCollected ? CASH : GATEWAY_CLEARING)),
+    deduction: debit(CASH),
+    deposit: [{ debit: GATEWAY_CLEARING, credit: CASH, postOn: COMPLETED }]
+  },
+  hotel: {
+    commission: credit(ORDER_CLEARING),
+    refund: credit(ORDER_CLEARING),
+    bonus: credit(PLATFORM_EXPENSE),
+    withdrawal: withdrawal(),
+    deduction: debit(ORDER_CLEARING)
+  },
+  admin: {
+    commission: credit(ORDER_CLEARING),
+    platform_fee: credit(ORDER_CLEARING),
+    delivery_fee: credit(ORDER_CLEARING),
+    gst: credit(ORDER_CLEARING),
+    refund: debit(ORDER_CLEARING),
+    deduction: debit(ORDER_CLEARING),
+    withdrawal: debit(GATEWAY_CLEARING)
+  }
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toPaise = (value) => Math.round((Number(value) || 0) * 100);
+
+/**
+ * Run wallet writes and the journal entries they post in one Mongo
+ * transaction. Retried as a whole on transient errors.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Result of `work`
+ */
+export const runLedgerTransaction = (work) => mongoose.connection.transaction(work);
+
+/**
+ * Post one balanced journal entry. Posting the same idempotencyKey again is a
+ * no-op and returns the existing entry.
+ * @param {Object} entry - { idempotencyKey, type, description, lines: [{ account, debit, credit }], source, postedBy, postedAt }
+ * @param {Object} options - { session }
+ * @returns {Promise<{ entry: Object, created: boolean }>}
+ */
+export const postJournalEntry = async (entry, { session } = {}) => {
+  const lines = (entry.lines || [])
+    .map((line) => ({
+      account: line.account,
+      debit: roundAmount(line.debit),
+      credit: roundAmount(line.credit)
+    }))
+    .filter((line) => line.debit > 0 || line.credit > 0);
+
+  const debits = lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+
+  if (lines.length < 2 || debits === 0) {
+    throw new Error(`Journal entry ${entry.idempotencyKey} has no amount to post`);
+  }
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal entry ${entry.idempotencyKey}: debits ${debits / 100} != credits ${credits / 100}`);
+  }
+
+  try {
+    const [created] = await LedgerEntry.create([{
+      ...entry,
+      lines,
+      amount: debits / 100
+    }], { session });
+    return { entry: created, created: true };
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      const existing = await LedgerEntry.findOne({ idempotencyKey: entry.idempotencyKey }).session(session || null);
+      return { entry: existing, created: false };
+    }
+    throw error;
+  }
+};
+
+const resolveAccount = (ref, transaction, walletType, walletId) => {
+  const account = typeof ref === 'function' ? ref(transaction) : ref;
+  if (account === WALLET) {
+    return walletAccount(walletType, walletId);
+  }
+  if (account === CASH) {
+    return deliveryCashAccount(walletId);
+  }
+  return account;
+};
+
+/**
+ * Entries a wallet transaction should have in the ledger given its current
+ * status, keyed by idempotency key
+ */
+const planTransactionPostings = (walletType, walletId, transaction) => {
+  const rules = WALLET_POSTING_RULES[walletType]?.[transaction.type] || [];
+  const amount = roundAmount(transaction.amount);
+  if (amount <= 0) {
+    return [];
+  }
+
+  return rules.map((rule) => {
+    const key = [walletType, walletId, transaction._id, rule.suffix].filter(Boolean).join(':');
+    const debitAccount = resolveAccount(rule.debit, transaction, walletType, walletId);
+    const creditAccount = resolveAccount(rule.credit, transaction, walletType, walletId);
+
+    return {
+      key,
+      shouldPost: rule.postOn.includes(transaction.status) && (!rule.when || Boolean(rule.when(transaction))),
+      entry: {
+        idempotencyKey: key,
+        type: 'wallet_transaction',
+        description: transaction.description || `${walletType} wallet ${transaction.type}`,
+        lines: [
+          { account: debitAccount, debit: amount },
+          { account: creditAccount, credit: amount }
+        ],
+        source: {
+          walletType,
+          walletId,
+          transactionId: transaction._id,
+          transactionType: transaction.type,
+          orderId: transaction.orderId || undefined
+        },
+        postedAt: transaction.processedAt || transaction.createdAt || new Date()
+      }
+    };
+  });
+};
+
+/**
+ * Bring the ledger in line with the current state of some wallet transactions:
+ * post entries for transactions that now affect the balance, and reverse
+ * entries of transactions that were failed or cancelled since.
+ * @param {string} walletType - user | restaurant | delivery | hotel | admin
+ * @param {Object} wallet - Wallet document (transactions are read from it)
+ * @param {Array} transactionIds - Transactions to sync
+ * @param {Object} options - { session }
+ * @returns {Promise<{ posted: number, reversed: number }>}
+ */
+export const syncWalletTransactions = async (walletType, wallet, transactionIds, { session } = {}) => {
+  const plans = transactionIds
+    .map((id) => wallet.transactions.id(id))
+    .filter(Boolean)
+    .flatMap((transaction) => planTransactionPostings(walletType, wallet._id, transaction));
+
+  if (plans.length === 0) {
+    return { posted: 0, reversed: 0 };
+  }
+
+  const keys = plans.flatMap((plan) => [plan.key, `${plan.key}:reversal`]);
+  const existing = await LedgerEntry.find({ idempotencyKey: { $in: keys } })
+    .select('idempotencyKey')
+    .session(session || null)
+    .lean();
+  const existingKeys = new Set(existing.map((entry) => entry.idempotencyKey));
+
+  let posted = 0;
+  let reversed = 0;
+
+  for (const plan of plans) {
+    const isPosted = existingKeys.has(plan.key);
+    const isReversed = existingKeys.has(`${plan.key}:reversal`);
+
+    if (plan.shouldPost && !isPosted) {
+      const result = await postJournalEntry(plan.entry, { session });
+      if (result.created) posted++;
+    } else if (plan.shouldPost && isReversed) {
+      // Cancelled and then completed again; the key is spent, leave it to the drift report
+      logger.warn(`Ledger: transaction ${plan.key} was re-activated after its reversal; not re-posted`);
+    } else if (!plan.shouldPost && isPosted && !isReversed) {
+      const result = await postJournalEntry({
+        ...plan.entry,
+        idempotencyKey: `${plan.key}:reversal`,
+        type: 'wallet_reversal',
+        description: `Reversal: ${plan.entry.description}`,
+        lines: plan.entry.lines.map((line) => ({
+          account: line.account,
+          debit: line.credit,
+          credit: line.debit
+        })),
+        postedAt: new Date()
+      }, { session });
+      if (result.created) reversed++;
+    }
+  }
+
+  return { posted, reversed };
+};
+
+/**
+ * Balance of one account from the journal: credits less debits, or debits less
+ * credits for a debit-normal account
+ * @param {string} account - Ledger account
+ * @param {Object} options - { debitNormal, session }
+ * @returns {Promise<number>}
+ */
+export const getLedgerAccountBalance = async (account, { debitNormal = false, session } = {}) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { 'lines.account': account } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account } },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]).session(session || null);
+
+  if (!row) {
+    return 0;
+  }
+  return roundAmount(debitNormal ? row.debit - row.credit : row.credit - row.debit);
+};
+
+/**
+ * Overwrite the balances a wallet caches with the ones its ledger accounts
+ * derive. Runs in the session of the posting, so the cache and the journal
+ * commit together. Wallets with history from before the ledger need
+ * backfillWalletLedger (and an opening-balance adjustment) first.
+ * @param {string} walletType - user | restaurant | delivery | hotel | admin
+ * @param {ObjectId} walletId
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} Rebuilt balances keyed by wallet field
+ */
+export const rebuildWalletBalances = async (walletType, walletId, { session } = {}) => {
+  const balances = {};
+  for (const { field, account, debitNormal } of WALLET_BALANCE_FIELDS[walletType]) {
+    balances[field] = await getLedgerAccountBalance(account(walletId), { debitNormal, session });
+  }
+
+  await mongoose.model(WALLET_MODEL_NAMES[walletType]).updateOne(
+    { _id: walletId },
+    { $set: balances },
+    { session }
+  );
+  return balances;
+};
+
+/**
+ * Post the ledger entries of some wallet transactions and rebuild the wallet's
+ * cached balances from the ledger. Used by the wallet save hook and by writes
+ * that skip it (e.g. atomic findOneAndUpdate top-ups); pass the session of
+ * that write so a posting failure rolls it back. The wallet document is
+ * updated in place with the rebuilt balances.
+ * @returns {Promise<{ posted: number, reversed: number }>}
+ */
+export const postWalletTransactions = async (walletType, wallet, transactionIds, { session } = {}) => {
+  const result = await syncWalletTransactions(walletType, wallet, transactionIds, { session });
+
+  const balances = await rebuildWalletBalances(walletType, wallet._id, { session });
+  Object.entries(balances).forEach(([field, value]) => {
+    wallet.set(field, value);
+    // Already stored; a later save should not count it as a change
+    wallet.unmarkModified(field);
+  });
+
+  return result;
+};
+
+/**
+ * Add COD / pay-at-hotel cash a delivery partner collected for an order to
+ * their cash in hand (outside the wallet transaction list) and post it to the
+ * ledger in the same transaction. Keyed by order and reason, so collecting the
+ * same cash twice changes nothing the second time.
+ * @param {Object} params - { deliveryId, orderId, amount, reason, description }
+ * @returns {Promise<{ added: boolean, walletId: ObjectId, cashInHand: number }>}
+ */
+export const addDeliveryCashInHand = ({ deliveryId, orderId, amount, reason, description }) =>
+  runLedgerTransaction(async (session) => {
+    const DeliveryWallet = mongoose.model(WALLET_MODEL_NAMES.delivery);
+    const wallet = await DeliveryWallet.findOne({ deliveryId }).select('cashInHand').session(session);
+    if (!wallet) {
+      throw new Error(`Delivery wallet not found for partner ${deliveryId}`);
+    }
+
+    const idempotencyKey = `delivery_cash:${reason}:${orderId}`;
+    if (await LedgerEntry.exists({ idempotencyKey }).session(session)) {
+      return { added: false, walletId: wallet._id, cashInHand: wallet.cashInHand };
+    }
+
+    await postJournalEntry({
+      idempotencyKey,
+      type: 'cash_movement',
+      description,
+      lines: [
+        { account: deliveryCashAccount(wallet._id), debit: amount },
+        { account: ORDER_CLEARING, credit: amount }
+      ],
+      source: { walletType: 'delivery', walletId: wallet._id, orderId }
+    }, { session });
+
+    const balances = await rebuildWalletBalances('delivery', wallet._id, { session });
+    return { added: true, walletId: wallet._id, cashInHand: balances.cashInHand };
+  });
+
+/**
+ * Post wallet transactions to the ledger whenever the wallet is saved. New
+ * transactions and status changes are picked up; the entries join the wallet's
+ * session and a posting failure fails the save. The balances the wallet model
+ * worked out in memory are then replaced with the ledger-derived ones
+ * (see postWalletTransactions). Adds `saveWithLedger()`, which
+ * wraps the save in a Mongo transaction when the caller has not opened one.
+ * @param {mongoose.Schema} schema - Wallet schema with a `transactions` array
+ * @param {string} walletType - user | restaurant | delivery | hotel | admin
+ */
+export const attachWalletLedgerHooks = (schema, walletType) => {
+  schema.pre('save', function(next) {
+    // Ids left over from an aborted attempt are kept: on a transaction retry
+    // the new transactions no longer look new
+    const pending = new Set((this.$locals.ledgerTransactionIds || []).map(String));
+    (this.transactions || [])
+      .filter((t) => this.isNew || t.isNew || t.isModified('status') || t.isModified('paymentCollected'))
+      .forEach((t) => pending.add(String(t._id)));
+    this.$locals.ledgerTransactionIds = [...pending];
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const transactionIds = doc.$locals.ledgerTransactionIds || [];
+    if (transactionIds.length === 0) {
+      return;
+    }
+    await postWalletTransactions(walletType, doc, transactionIds, { session: doc.$session() });
+    doc.$locals.ledgerTransactionIds = [];
+  });
+
+  schema.methods.saveWithLedger = async function(options = {}) {
+    if (options.session || this.$session()) {
+      return this.save(options);
+    }
+    try {
+      await runLedgerTransaction((session) => this.save({ ...options, session }));
+    } finally {
+      this.$session(null);
+    }
+    return this;
+  };
+};
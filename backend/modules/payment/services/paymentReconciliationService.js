@@ -0,0 +1,274 @@
+import winston from 'winston';
+import PaymentReconciliationReport from '../models/PaymentReconciliationReport.js';
+import Order from '../../order/models/Order.js';
+import OrderSettlement from '../../order/models/OrderSettlement.js';
+import UserWallet from '../../user/models/UserWallet.js';
+import RestaurantSubscription from '../../subscription/models/RestaurantSubscription.js';
+import { fetchPaymentsInRange, fetchPayment, fetchOrder } from './razorpayService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Payment Reconciliation
+ *
+ * Compares gateway payments in a time window with what we recorded: order
+ * payment status, wallet top-up credits and refund settlements. Mismatches are
+ * stored on a PaymentReconciliationReport for finance to review; nothing is
+ * changed automatically.
+ */
+
+// Overlaps the previous nightly run so payments near the boundary are not missed
+const DEFAULT_LOOKBACK_HOURS = 26;
+
+// Razorpay order purposes handled outside this reconciliation
+const OUT_OF_SCOPE_PURPOSES = ['subscription', 'cash_limit_deposit', 'delivery_tip'];
+
+const toRupees = (paise) => Math.round(paise) / 100;
+
+const amountsDiffer = (a, b) => Math.abs((a || 0) - (b || 0)) > 0.01;
+
+/**
+ * Notes of the Razorpay order behind a payment, used to identify top-ups and
+ * other purposes that have no Order document
+ */
+const getPaymentPurpose = async (payment, orderNotesCache) => {
+  if (payment.notes?.type) {
+    return payment.notes;
+  }
+  if (!payment.order_id) {
+    return {};
+  }
+  if (!orderNotesCache.has(payment.order_id)) {
+    try {
+      const razorpayOrder = await fetchOrder(payment.order_id);
+      orderNotesCache.set(payment.order_id, razorpayOrder?.notes || {});
+    } catch (error) {
+      orderNotesCache.set(payment.order_id, {});
+    }
+  }
+  return orderNotesCache.get(payment.order_id);
+};
+
+/**
+ * Run a reconciliation pass and store the report
+ * @param {Object} [options]
+ * @param {Date|String} [options.from] - Window start (default: 26 hours before `to`)
+ * @param {Date|String} [options.to] - Window end (default: now)
+ * @param {String} [options.triggeredBy] - 'cron' | 'admin'
+ * @param {String} [options.adminId]
+ * @returns {Promise<Object>} Saved report
+ */
+export const runPaymentReconciliation = async ({ from, to, triggeredBy = 'cron', adminId = null } = {}) => {
+  const windowEnd = to ? new Date(to) : new Date();
+  const windowStart = from
+    ? new Date(from)
+    : new Date(windowEnd.getTime() - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  if (Number.isNaN(windowStart.getTime()) || Number.isNaN(windowEnd.getTime()) || windowStart >= windowEnd) {
+    throw new Error('Invalid reconciliation window');
+  }
+
+  const report = await PaymentReconciliationReport.create({
+    windowStart,
+    windowEnd,
+    triggeredBy,
+    triggeredByAdmin: adminId
+  });
+
+  try {
+    const gatewayPayments = await fetchPaymentsInRange(windowStart, windowEnd);
+    const mismatches = [];
+    const orderNotesCache = new Map();
+
+    const razorpayOrderIds = [...new Set(gatewayPayments.map(p => p.order_id).filter(Boolean))];
+    const [orders, subscriptions] = await Promise.all([
+      Order.find({ 'payment.razorpayOrderId': { $in: razorpayOrderIds } })
+        .select('orderId userId status payment pricing.total')
+        .lean(),
+      RestaurantSubscription.find({ 'payment.razorpayOrderId': { $in: razorpayOrderIds } })
+        .select('payment.razorpayOrderId')
+        .lean()
+    ]);
+    const ordersByRazorpayOrder = new Map(orders.map(o => [o.payment.razorpayOrderId, o]));
+    const subscriptionOrderIds = new Set(subscriptions.map(s => s.payment.razorpayOrderId));
+
+    // Wallet credits keyed by gateway payment id
+    const paymentIds = gatewayPayments.map(p => p.id);
+    const wallets = await UserWallet.find({ 'transactions.paymentId': { $in: paymentIds } })
+      .select('userId transactions.paymentId transactions.amount transactions.status')
+      .lean();
+    const walletCredits = new Map();
+    for (const wallet of wallets) {
+      for (const transaction of wallet.transactions) {
+        if (transaction.paymentId) {
+          walletCredits.set(transaction.paymentId, { userId: wallet.userId, amount: transaction.amount });
+        }
+      }
+    }
+
+    // Refund state of orders the gateway reports as refunded
+    const refundedOrderIds = gatewayPayments
+      .filter(p => p.refund_status && ordersByRazorpayOrder.has(p.order_id))
+      .map(p => ordersByRazorpayOrder.get(p.order_id)._id);
+    const settlements = await OrderSettlement.find({ orderId: { $in: refundedOrderIds } })
+      .select('orderId cancellationDetails.refundStatus')
+      .lean();
+    const refundStatusByOrder = new Map(
+      settlements.map(s => [s.orderId.toString(), s.cancellationDetails?.refundStatus])
+    );
+
+    for (const payment of gatewayPayments) {
+      const order = ordersByRazorpayOrder.get(payment.order_id);
+      const gatewayAmount = toRupees(payment.amount);
+      const isCaptured = payment.status === 'captured' || payment.status === 'refunded';
+      const base = {
+        razorpayPaymentId: payment.id,
+        razorpayOrderId: payment.order_id,
+        gatewayStatus: payment.status,
+        gatewayAmount
+      };
+
+      if (order) {
+        const orderBase = {
+          ...base,
+          orderId: order._id,
+          orderNumber: order.orderId,
+          userId: order.userId,
+          ourStatus: order.payment.status,
+          ourAmount: order.pricing?.total
+        };
+        const recordedThisPayment = order.payment.razorpayPaymentId === payment.id;
+
+        if (isCaptured && !['completed', 'refunded'].includes(order.payment.status)) {
+          mismatches.push({ ...orderBase, type: 'captured_not_recorded', note: 'Gateway captured the payment but the order is not marked paid' });
+        } else if (isCaptured && recordedThisPayment && amountsDiffer(order.pricing?.total, gatewayAmount)) {
+          mismatches.push({ ...orderBase, type: 'amount_mismatch' });
+        } else if (payment.status === 'failed' && recordedThisPayment && order.payment.status === 'completed') {
+          mismatches.push({ ...orderBase, type: 'recorded_not_captured', note: 'Order is paid but the gateway reports this payment as failed' });
+        }
+
+        if (payment.refund_status && recordedThisPayment) {
+          const refundStatus = refundStatusByOrder.get(order._id.toString());
+          if (refundStatus !== 'processed') {
+            mismatches.push({
+              ...orderBase,
+              type: 'refund_not_settled',
+              ourStatus: refundStatus || 'no_settlement',
+              gatewayStatus: `refund_${payment.refund_status}`,
+              gatewayAmount: toRupees(payment.amount_refunded || 0)
+            });
+          }
+        }
+        continue;
+      }
+
+      if (!isCaptured || subscriptionOrderIds.has(payment.order_id)) {
+        continue;
+      }
+
+      const walletCredit = walletCredits.get(payment.id);
+      if (walletCredit) {
+        if (amountsDiffer(walletCredit.amount, gatewayAmount)) {
+          mismatches.push({
+            ...base,
+            type: 'amount_mismatch',
+            userId: walletCredit.userId,
+            ourStatus: 'credited',
+            ourAmount: walletCredit.amount,
+            note: 'Wallet top-up credited a different amount than was captured'
+          });
+        }
+        continue;
+      }
+
+      const purpose = await getPaymentPurpose(payment, orderNotesCache);
+      if (purpose.type === 'wallet_topup') {
+        mismatches.push({
+          ...base,
+          type: 'topup_not_credited',
+          userId: purpose.userId,
+          ourStatus: 'not_credited'
+        });
+      } else if (!OUT_OF_SCOPE_PURPOSES.includes(purpose.type)) {
+        mismatches.push({ ...base, type: 'unknown_gateway_payment', ourStatus: 'not_found' });
+      }
+    }
+
+    // Orders we marked paid in the window whose payment was not in the gateway listing
+    // (e.g. captured just outside the window) are checked one by one
+    const seenPaymentIds = new Set(paymentIds);
+    const paidOrders = await Order.find({
+      'payment.method': 'razorpay',
+      'payment.status': 'completed',
+      'payment.razorpayPaymentId': { $nin: [null, ''] },
+      createdAt: { $gte: windowStart, $lte: windowEnd }
+    })
+      .select('orderId userId payment pricing.total')
+      .lean();
+
+    for (const order of paidOrders) {
+      if (seenPaymentIds.has(order.payment.razorpayPaymentId)) {
+        continue;
+      }
+
+      let gatewayPayment = null;
+      try {
+        gatewayPayment = await fetchPayment(order.payment.razorpayPaymentId);
+      } catch (error) {
+        gatewayPayment = null;
+      }
+
+      if (!gatewayPayment || !['captured', 'refunded'].includes(gatewayPayment.status)) {
+        mismatches.push({
+          type: 'recorded_not_captured',
+          razorpayPaymentId: order.payment.razorpayPaymentId,
+          razorpayOrderId: order.payment.razorpayOrderId,
+          orderId: order._id,
+          orderNumber: order.orderId,
+          userId: order.userId,
+          ourStatus: order.payment.status,
+          gatewayStatus: gatewayPayment?.status || 'not_found',
+          ourAmount: order.pricing?.total,
+          gatewayAmount: gatewayPayment ? toRupees(gatewayPayment.amount) : undefined
+        });
+      }
+    }
+
+    report.status = 'completed';
+    report.gatewayPaymentsChecked = gatewayPayments.length;
+    report.recordsChecked = orders.length + walletCredits.size + paidOrders.length;
+    report.mismatches = mismatches;
+    report.mismatchCount = mismatches.length;
+    report.completedAt = new Date();
+    await report.save();
+
+    if (mismatches.length > 0) {
+      logger.warn(`Payment reconciliation found ${mismatches.length} mismatch(es)`, {
+        reportId: report._id.toString(),
+        types: [...new Set(mismatches.map(m => m.type))]
+      });
+    } else {
+      logger.info(`Payment reconciliation clean: ${gatewayPayments.length} gateway payments checked`);
+    }
+
+    return report;
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    report.completedAt = new Date();
+    await report.save();
+
+    logger.error(`Payment reconciliation failed: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+};
+
+export default { runPaymentReconciliation };
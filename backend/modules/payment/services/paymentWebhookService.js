@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import PaymentWebhookEvent from '../models/PaymentWebhookEvent.js';
+import Order from '../../order/models/Order.js';
+import { fetchOrder } from './razorpayService.js';
+import {
+  confirmOrderPayment,
+  markOrderPaymentFailed,
+  releaseOrderReservations
+} from '../../order/services/orderPaymentService.js';
+import { settleRazorpayRefund } from '../../order/services/cancellationRefundService.js';
+import { creditWalletTopup } from '../../user/services/walletTopupService.js';
+import { confirmDeliveryTipPayment } from '../../order/services/deliveryTipService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// A delivery left in `processing` this long is treated as abandoned
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Resolve what a Razorpay order id was created for: one of our food orders, a
+ * post-delivery tip or a wallet top-up (top-ups are only identifiable through
+ * the order notes)
+ */
+const resolvePaymentTarget = async (razorpayOrderId, orderEntity = null) => {
+  if (!razorpayOrderId) {
+    return { type: 'unknown' };
+  }
+
+  const order = await Order.findOne({ 'payment.razorpayOrderId': razorpayOrderId });
+  if (order) {
+    return { type: 'order', order };
+  }
+
+  const tippedOrder = await Order.exists({ 'deliveryTip.postDelivery.razorpayOrderId': razorpayOrderId });
+  if (tippedOrder) {
+    return { type: 'delivery_tip' };
+  }
+
+  let notes = orderEntity?.notes;
+  if (!notes) {
+    try {
+      notes = (await fetchOrder(razorpayOrderId))?.notes;
+    } catch (error) {
+      logger.warn(`Could not fetch Razorpay order ${razorpayOrderId}: ${error.message}`);
+    }
+  }
+
+  if (notes?.type === 'wallet_topup' && notes.userId) {
+    return { type: 'wallet_topup', userId: notes.userId };
+  }
+
+  return { type: 'unknown' };
+};
+
+const handlePaymentCaptured = async (paymentEntity, orderEntity = null) => {
+  // order.paid can arrive without the payment; the order entity carries no
+  // payment id to confirm with, and payment.captured covers the same payment
+  if (!paymentEntity) {
+    return { status: 'ignored', result: { reason: 'no payment in event' } };
+  }
+
+  if (paymentEntity.status && paymentEntity.status !== 'captured') {
+    return { status: 'ignored', result: { reason: `payment status ${paymentEntity.status}` } };
+  }
+
+  const target = await resolvePaymentTarget(paymentEntity.order_id, orderEntity);
+
+  if (target.type === 'order') {
+    const { order, alreadyProcessed } = await confirmOrderPayment(target.order, {
+      razorpayOrderId: paymentEntity.order_id,
+      razorpayPaymentId: paymentEntity.id,
+      source: 'webhook'
+    });
+    return {
+      status: 'processed',
+      result: { target: 'order', orderId: order?.orderId, alreadyProcessed }
+    };
+  }
+
+  if (target.type === 'delivery_tip') {
+    const { order, alreadyProcessed } = await confirmDeliveryTipPayment({
+      razorpayOrderId: paymentEntity.order_id,
+      razorpayPaymentId: paymentEntity.id
+    });
+    return {
+      status: 'processed',
+      result: { target: 'delivery_tip', orderId: order?.orderId, alreadyProcessed }
+    };
+  }
+
+  if (target.type === 'wallet_topup') {
+    const { wallet, alreadyProcessed } = await creditWalletTopup({
+      userId: target.userId,
+      amount: paymentEntity.amount / 100,
+      razorpayPaymentId: paymentEntity.id,
+      razorpayOrderId: paymentEntity.order_id,
+      source: 'webhook'
+    });
+    return {
+      status: 'processed',
+      result: { target: 'wallet_topup', userId: target.userId, balance: wallet?.balance, alreadyProcessed }
+    };
+  }
+
+  return { status: 'ignored', result: { reason: 'no matching order, tip or top-up' } };
+};
+
+const handlePaymentFailed = async (paymentEntity) => {
+  if (!paymentEntity) {
+    return { status: 'ignored', result: { reason: 'no payment in event' } };
+  }
+
+  const order = paymentEntity.order_id
+    ? await Order.findOne({ 'payment.razorpayOrderId': paymentEntity.order_id })
+    : null;
+
+  if (!order) {
+    // Failed top-ups never touched the wallet, nothing to undo
+    return { status: 'ignored', result: { reason: 'no matching order' } };
+  }
+
+  const updated = await markOrderPaymentFailed(order, {
+    razorpayPaymentId: paymentEntity.id,
+    reason: paymentEntity.error_description || paymentEntity.error_code
+  });
+
+  // Free the coupon use and plan slot while the customer decides whether to
+  // retry; a payment that goes through later takes them again
+  const releaseReservations = updated && order.status === 'pending';
+  if (releaseReservations) {
+    await releaseOrderReservations(order._id);
+  }
+
+  return {
+    status: 'processed',
+    result: {
+      target: 'order',
+      orderId: order.orderId,
+      markedFailed: updated,
+      reservationsReleased: releaseReservations
+    }
+  };
+};
+
+const handleRefundProcessed = async (refundEntity) => {
+  const result = await settleRazorpayRefund(refundEntity);
+  return {
+    status: result.settled || result.alreadyProcessed ? 'processed' : 'ignored',
+    result
+  };
+};
+
+/**
+ * Apply a verified Razorpay webhook delivery
+ * @param {Object} params
+ * @param {String} [params.eventId] - X-Razorpay-Event-Id header
+ * @param {Buffer|String} params.rawBody - Body as received (hashed when no event id is sent)
+ * @param {Object} params.body - Parsed body
+ * @returns {Promise<Object>} { duplicate, status, result }
+ */
+export const handleRazorpayWebhook = async ({ eventId, rawBody, body }) => {
+  const event = body?.event;
+  const paymentEntity = body?.payload?.payment?.entity;
+  const refundEntity = body?.payload?.refund?.entity;
+  const orderEntity = body?.payload?.order?.entity;
+  const resolvedEventId = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const entityId = refundEntity?.id || paymentEntity?.id || orderEntity?.id;
+
+  // Claim the event; a retried delivery finds the existing record
+  let record;
+  try {
+    record = await PaymentWebhookEvent.create({
+      eventId: resolvedEventId,
+      event,
+      entityId,
+      payload: body
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Only a delivery that failed earlier, or one whose worker died mid-way
+    // (still processing past the timeout), is worth another attempt
+    record = await PaymentWebhookEvent.findOneAndUpdate(
+      {
+        eventId: resolvedEventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) {
+      logger.info(`Duplicate Razorpay webhook ignored: ${event} ${resolvedEventId}`);
+      return { duplicate: true };
+    }
+  }
+
+  try {
+    let outcome;
+    switch (event) {
+      case 'payment.captured':
+        outcome = await handlePaymentCaptured(paymentEntity);
+        break;
+      case 'order.paid':
+        outcome = await handlePaymentCaptured(paymentEntity, orderEntity);
+        break;
+      case 'payment.failed':
+        outcome = await handlePaymentFailed(paymentEntity);
+        break;
+      case 'refund.processed':
+        outcome = await handleRefundProcessed(refundEntity);
+        break;
+      default:
+        outcome = { status: 'ignored', result: { reason: 'unhandled event' } };
+    }
+
+    record.status = outcome.status;
+    record.result = outcome.result;
+    record.processedAt = new Date();
+    await record.save();
+
+    logger.info(`Razorpay webhook ${event} ${outcome.status}`, {
+      eventId: resolvedEventId,
+      entityId,
+      result: outcome.result
+    });
+
+    return { duplicate: false, ...outcome };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+
+    logger.error(`Error processing Razorpay webhook ${event}: ${error.message}`, {
+      eventId: resolvedEventId,
+      entityId,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+export default { handleRazorpayWebhook };
@@ -42,6 +42,11 @@ const initializeRazorpay = async () => {
         key_id: keyId,
         key_secret: keySecret
       });
+      // Point the SDK at a local stub gateway (see scripts/razorpay-stub-server.js)
+      if (process.env.RAZORPAY_API_BASE_URL) {
+        razorpayInstance.api.rq.defaults.baseURL = process.env.RAZORPAY_API_BASE_URL;
+        logger.warn(`Razorpay API calls are routed to ${process.env.RAZORPAY_API_BASE_URL}`);
+      }
       logger.info('Razorpay initialized successfully');
       return razorpayInstance;
     } catch (error) {
@@ -231,12 +236,97 @@ const createRefund = async (paymentId, amount = null, notes = {}) => {
   }
 };
 
+/**
+ * Verify the X-Razorpay-Signature header of a webhook delivery
+ * @param {Buffer|String} rawBody - Request body exactly as received
+ * @param {String} signature - X-Razorpay-Signature header value
+ * @returns {Promise<Boolean>} True if the body was signed with our webhook secret
+ */
+const verifyWebhookSignature = async (rawBody, signature) => {
+  const credentials = await getRazorpayCredentials();
+  const webhookSecret = credentials.webhookSecret;
+
+  if (!webhookSecret) {
+    logger.error('Razorpay webhook secret not configured - rejecting webhook');
+    return false;
+  }
+
+  if (!rawBody || !signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const provided = Buffer.from(String(signature));
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Fetch an order from Razorpay
+ * @param {String} razorpayOrderId - Razorpay order ID
+ * @returns {Promise<Object>} Order details (including notes)
+ */
+const fetchOrder = async (razorpayOrderId) => {
+  const razorpay = await getRazorpayInstance();
+  if (!razorpay) {
+    throw new Error('Razorpay is not initialized');
+  }
+
+  try {
+    return await razorpay.orders.fetch(razorpayOrderId);
+  } catch (error) {
+    logger.error(`Error fetching Razorpay order: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Fetch all payments created in a time window, following pagination
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} Payment entities
+ */
+const fetchPaymentsInRange = async (from, to) => {
+  const razorpay = await getRazorpayInstance();
+  if (!razorpay) {
+    throw new Error('Razorpay is not initialized');
+  }
+
+  const pageSize = 100;
+  const payments = [];
+
+  for (let skip = 0; ; skip += pageSize) {
+    const page = await razorpay.payments.all({
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000),
+      count: pageSize,
+      skip
+    });
+    const items = page?.items || [];
+    payments.push(...items);
+
+    if (items.length < pageSize) {
+      break;
+    }
+  }
+
+  return payments;
+};
+
 export {
   initializeRazorpay,
   getRazorpayInstance,
   createOrder,
   verifyPayment,
+  verifyWebhookSignature,
   fetchPayment,
+  fetchOrder,
+  fetchPaymentsInRange,
   createRefund
 };
 
@@ -2,6 +2,9 @@ import Menu from '../models/Menu.js';
 import Restaurant from '../models/Restaurant.js';
 import { successResponse, errorResponse } from '../../../shared/utils/response.js';
 import asyncHandler from '../../../shared/middleware/asyncHandler.js';
+import { normalizeAddonGroups, buildMenuItemIndex, resolveItemAddonGroups, hasUnorderableRequiredGroup, unlinkAddonFromItems } from '../services/addonGroupService.js';
+import { assertProductLimit } from '../../subscription/services/subscriptionService.js';
+import { normalizeTranslations, localizeText, getRequestLanguage } from '../../../shared/utils/i18n.js';
 import mongoose from 'mongoose';
 
 // Get menu for a restaurant
@@ -77,6 +80,15 @@ export const updateMenu = asyncHandler(async (req, res) => {
     });
   }
 
+  // Subscription plans may cap the number of products - only checked when the menu grows
+  if (Array.isArray(sections)) {
+    const incomingCount = buildMenuItemIndex({ sections }).size;
+    const existingCount = existingMenu ? buildMenuItemIndex(existingMenu).size : 0;
+    if (incomingCount > existingCount) {
+      await assertProductLimit(req.restaurant, incomingCount - 1);
+    }
+  }
+
   // Normalize and validate sections
   const normalizedSections = Array.isArray(sections) ? sections.map((section, index) => {
     // Find existing section to preserve approval status
@@ -92,7 +104,7 @@ export const updateMenu = asyncHandler(async (req, res) => {
         return {
       id: String(item.id || Date.now() + Math.random()),
       name: item.name || "Unnamed Item",
-      nameArabic: item.nameArabic || "",
+      nameTranslations: normalizeTranslations(item.nameTranslations ?? existingItem?.nameTranslations),
       image: item.image || "",
       category: item.category || section.name,
       rating: item.rating ?? 0.0,
@@ -115,6 +127,9 @@ export const updateMenu = asyncHandler(async (req, res) => {
         price: v.price || 0,
         stock: v.stock || "Unlimited",
       })) : [],
+      // Preserve add-on groups when the editor does not send them (managed via /menu/item/:itemId/addon-groups)
+      addonGroups: item.addonGroups !== undefined ? normalizeAddonGroups(item.addonGroups) : (existingItem?.addonGroups || []),
+      allowSpecialInstructions: item.allowSpecialInstructions !== undefined ? item.allowSpecialInstructions !== false : existingItem?.allowSpecialInstructions !== false,
       tags: Array.isArray(item.tags) ? item.tags : [],
       nutrition: Array.isArray(item.nutrition) ? item.nutrition : [],
       allergies: Array.isArray(item.allergies) ? item.allergies : [],
@@ -181,7 +196,7 @@ export const updateMenu = asyncHandler(async (req, res) => {
           return {
         id: String(item.id || Date.now() + Math.random()),
         name: item.name || "Unnamed Item",
-        nameArabic: item.nameArabic || "",
+        nameTranslations: normalizeTranslations(item.nameTranslations ?? existingItem?.nameTranslations),
         image: item.image || "",
         category: item.category || section.name,
         rating: item.rating ?? 0.0,
@@ -204,6 +219,9 @@ export const updateMenu = asyncHandler(async (req, res) => {
           price: v.price || 0,
           stock: v.stock || "Unlimited",
         })) : [],
+        // Preserve add-on groups when the editor does not send them (managed via /menu/item/:itemId/addon-groups)
+        addonGroups: item.addonGroups !== undefined ? normalizeAddonGroups(item.addonGroups) : (existingItem?.addonGroups || []),
+        allowSpecialInstructions: item.allowSpecialInstructions !== undefined ? item.allowSpecialInstructions !== false : existingItem?.allowSpecialInstructions !== false,
         tags: Array.isArray(item.tags) ? item.tags : [],
         nutrition: Array.isArray(item.nutrition) ? item.nutrition : [],
         allergies: Array.isArray(item.allergies) ? item.allergies : [],
@@ -388,11 +406,14 @@ export const addItemToSection = asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Section not found');
   }
 
+  // Subscription plans may cap the number of products
+  await assertProductLimit(req.restaurant, buildMenuItemIndex(menu).size);
+
   // Normalize item data
   const newItem = {
     id: String(item.id || Date.now() + Math.random()),
     name: item.name.trim(),
-    nameArabic: item.nameArabic || "",
+    nameTranslations: normalizeTranslations(item.nameTranslations),
     image: item.image || "",
     category: item.category || section.name,
     rating: item.rating ?? 0.0,
@@ -415,6 +436,8 @@ export const addItemToSection = asyncHandler(async (req, res) => {
       price: Number(v.price) || 0,
       stock: v.stock || "Unlimited",
     })) : [],
+    addonGroups: normalizeAddonGroups(item.addonGroups),
+    allowSpecialInstructions: item.allowSpecialInstructions !== false,
     tags: Array.isArray(item.tags) ? item.tags : [],
     nutrition: Array.isArray(item.nutrition) ? item.nutrition : [],
     allergies: Array.isArray(item.allergies) ? item.allergies : [],
@@ -532,11 +555,14 @@ export const addItemToSubsection = asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Subsection not found');
   }
 
+  // Subscription plans may cap the number of products
+  await assertProductLimit(req.restaurant, buildMenuItemIndex(menu).size);
+
   // Normalize item data
   const newItem = {
     id: String(item.id || Date.now() + Math.random()),
     name: item.name.trim(),
-    nameArabic: item.nameArabic || "",
+    nameTranslations: normalizeTranslations(item.nameTranslations),
     image: item.image || "",
     category: item.category || section.name,
     rating: item.rating ?? 0.0,
@@ -559,6 +585,8 @@ export const addItemToSubsection = asyncHandler(async (req, res) => {
       price: Number(v.price) || 0,
       stock: v.stock || "Unlimited",
     })) : [],
+    addonGroups: normalizeAddonGroups(item.addonGroups),
+    allowSpecialInstructions: item.allowSpecialInstructions !== false,
     tags: Array.isArray(item.tags) ? item.tags : [],
     nutrition: Array.isArray(item.nutrition) ? item.nutrition : [],
     allergies: Array.isArray(item.allergies) ? item.allergies : [],
@@ -624,6 +652,22 @@ export const getMenuByRestaurantId = async (req, res) => {
     console.log('[USER MENU] Processing menu for restaurant:', restaurant._id);
     console.log('[USER MENU] Total sections:', menu.sections?.length || 0);
     
+    // Item names follow the customer's app language (?lang= or Accept-Language)
+    const language = getRequestLanguage(req);
+
+    // Add-on groups shown to users only carry orderable options (linked add-ons take catalogue name/price).
+    // An item whose required group has nothing left to pick is shown as unavailable.
+    const withResolvedAddonGroups = (item) => {
+      const plainItem = item.toObject ? item.toObject({ flattenMaps: true }) : item;
+      const addonGroups = resolveItemAddonGroups(plainItem, menu.addons);
+      return {
+        ...plainItem,
+        name: localizeText(plainItem.name, plainItem.nameTranslations, language),
+        isAvailable: plainItem.isAvailable !== false && !hasUnorderableRequiredGroup(addonGroups),
+        addonGroups: addonGroups.filter(group => group.options.length > 0),
+      };
+    };
+
     // Filter menu for user side: only show enabled sections and available items
     const filteredSections = (menu.sections || [])
       .filter(section => {
@@ -681,7 +725,7 @@ export const getMenuByRestaurantId = async (req, res) => {
             if (availableSubsectionItems.length > 0) {
               return {
                 ...subsection,
-                items: availableSubsectionItems,
+                items: availableSubsectionItems.map(withResolvedAddonGroups),
               };
             }
             return null;
@@ -695,7 +739,7 @@ export const getMenuByRestaurantId = async (req, res) => {
           return {
             ...section,
             name: section.name || "Unnamed Section", // Ensure name is always present
-            items: availableItems,
+            items: availableItems.map(withResolvedAddonGroups),
             subsections: availableSubsections,
           };
         }
@@ -989,6 +1033,11 @@ export const deleteAddon = asyncHandler(async (req, res) => {
 
   menu.addons.splice(addonIndex, 1);
   menu.markModified('addons');
+
+  // Drop item add-on group options that pointed at this add-on
+  if (unlinkAddonFromItems(menu, id)) {
+    menu.markModified('sections');
+  }
   await menu.save();
 
   return successResponse(res, 200, 'Add-on deleted successfully', {
@@ -999,3 +1048,72 @@ export const deleteAddon = asyncHandler(async (req, res) => {
   });
 });
 
+
+// Get add-on groups for a menu item
+export const getItemAddonGroups = asyncHandler(async (req, res) => {
+  const restaurantId = req.restaurant._id;
+  const { itemId } = req.params;
+
+  const menu = await Menu.findOne({ restaurant: restaurantId }).lean();
+  if (!menu) {
+    return errorResponse(res, 404, 'Menu not found');
+  }
+
+  const item = buildMenuItemIndex(menu).get(String(itemId));
+  if (!item) {
+    return errorResponse(res, 404, 'Menu item not found');
+  }
+
+  return successResponse(res, 200, 'Add-on groups retrieved successfully', {
+    itemId: item.id,
+    addonGroups: item.addonGroups || [],
+    allowSpecialInstructions: item.allowSpecialInstructions !== false,
+    addons: menu.addons || [],
+  });
+});
+
+// Replace add-on groups for a menu item
+export const updateItemAddonGroups = asyncHandler(async (req, res) => {
+  const restaurantId = req.restaurant._id;
+  const { itemId } = req.params;
+  const { addonGroups, allowSpecialInstructions } = req.body;
+
+  if (!Array.isArray(addonGroups)) {
+    return errorResponse(res, 400, 'addonGroups must be an array');
+  }
+
+  const menu = await Menu.findOne({ restaurant: restaurantId });
+  if (!menu) {
+    return errorResponse(res, 404, 'Menu not found');
+  }
+
+  const item = buildMenuItemIndex(menu).get(String(itemId));
+  if (!item) {
+    return errorResponse(res, 404, 'Menu item not found');
+  }
+
+  const normalizedGroups = normalizeAddonGroups(addonGroups);
+
+  // Linked options must point at an add-on in this restaurant's catalogue
+  const catalogueIds = new Set((menu.addons || []).map(addon => String(addon.id)));
+  for (const group of normalizedGroups) {
+    for (const option of group.options) {
+      if (option.addonId && !catalogueIds.has(option.addonId)) {
+        return errorResponse(res, 400, `Add-on "${option.name}" in "${group.name}" was not found in your add-on list`);
+      }
+    }
+  }
+
+  item.addonGroups = normalizedGroups;
+  if (typeof allowSpecialInstructions === 'boolean') {
+    item.allowSpecialInstructions = allowSpecialInstructions;
+  }
+  menu.markModified('sections');
+  await menu.save();
+
+  return successResponse(res, 200, 'Add-on groups updated successfully', {
+    itemId: item.id,
+    addonGroups: item.addonGroups,
+    allowSpecialInstructions: item.allowSpecialInstructions !== false,
+  });
+});
@@ -2,6 +2,10 @@ import MenuItemSchedule from '../models/MenuItemSchedule.js';
 import Menu from '../models/Menu.js';
 import { successResponse, errorResponse } from '../../../shared/utils/response.js';
 import asyncHandler from '../../../shared/middleware/asyncHandler.js';
+import {
+  scheduleMenuAvailabilityJob,
+  removeMenuAvailabilityJob
+} from '../services/menuScheduleService.js';
 
 /**
  * Schedule menu item availability
@@ -166,6 +170,7 @@ export const scheduleItemAvailability = asyncHandler(async (req, res) => {
   });
 
   await schedule.save();
+  await scheduleMenuAvailabilityJob(schedule);
 
   // Update menu item to unavailable
   menu.sections.forEach(section => {
@@ -226,6 +231,7 @@ export const cancelScheduledAvailability = asyncHandler(async (req, res) => {
   schedule.status = 'cancelled';
   schedule.isActive = false;
   await schedule.save();
+  await removeMenuAvailabilityJob(schedule._id);
 
   return successResponse(res, 200, 'Schedule cancelled successfully', {
     schedule: {
@@ -1,4 +1,5 @@
 import Restaurant from "../models/Restaurant.js";
+import StaffManagement from "../models/StaffManagement.js";
 import otpService from "../../auth/services/otpService.js";
 import jwtService from "../../auth/services/jwtService.js";
 import firebaseAuthService from "../../auth/services/firebaseAuthService.js";
@@ -8,6 +9,7 @@ import {
 } from "../../../shared/utils/response.js";
 import { asyncHandler } from "../../../shared/middleware/asyncHandler.js";
 import { normalizePhoneNumber } from "../../../shared/utils/phoneUtils.js";
+import { getRequestLanguage } from "../../../shared/utils/i18n.js";
 import { handleAuthFcmToken } from "../../fcm/services/notificationTriggers.js";
 import winston from "winston";
 
@@ -87,6 +89,7 @@ export const sendOTP = asyncHandler(async (req, res) => {
       phone || null,
       purpose,
       email || null,
+      getRequestLanguage(req),
     );
     return successResponse(res, 200, result.message, {
       expiresIn: result.expiresIn,
@@ -1020,12 +1023,35 @@ export const refreshToken = asyncHandler(async (req, res) => {
     // Allow inactive restaurants to refresh tokens - they need access to complete onboarding
     // The middleware will handle blocking inactive restaurants from accessing restricted routes
 
+    // Staff sessions end as soon as the owner removes or deactivates the staff member
+    let staff = null;
+    if (decoded.staffId) {
+      staff = await StaffManagement.findOne({
+        _id: decoded.staffId,
+        restaurantId: restaurant._id,
+        status: "active",
+      });
+      if (!staff) {
+        return errorResponse(res, 401, "Staff access has been revoked");
+      }
+    }
+
     // Generate new access token
-    const accessToken = jwtService.generateAccessToken({
-      userId: restaurant._id.toString(),
-      role: "restaurant",
-      email: restaurant.email || restaurant.phone || restaurant.restaurantId,
-    });
+    const accessToken = jwtService.generateAccessToken(
+      staff
+        ? {
+            userId: restaurant._id.toString(),
+            role: "restaurant",
+            email: staff.phone || staff.email,
+            staffId: staff._id.toString(),
+            staffRole: staff.role,
+          }
+        : {
+            userId: restaurant._id.toString(),
+            role: "restaurant",
+            email: restaurant.email || restaurant.phone || restaurant.restaurantId,
+          },
+    );
 
     // Update refresh token cookie expiry to extend session
     res.cookie("refreshToken", refreshToken, {
@@ -1146,10 +1172,22 @@ export const getCurrentRestaurant = asyncHandler(async (req, res) => {
       menuImages: req.restaurant.menuImages,
       slug: req.restaurant.slug,
       isAcceptingOrders: req.restaurant.isAcceptingOrders,
+      acceptanceStats: req.restaurant.acceptanceStats,
+      preferences: req.restaurant.preferences,
       // Include verification status
       rejectionReason: req.restaurant.rejectionReason || null,
       approvedAt: req.restaurant.approvedAt || null,
       rejectedAt: req.restaurant.rejectedAt || null,
+      // Panel role of the signed-in account (owner, manager or staff)
+      restaurantRole: req.restaurantRole,
+      staff: req.staff
+        ? {
+            id: req.staff._id,
+            name: req.staff.name,
+            phone: req.staff.phone,
+            role: req.staff.role,
+          }
+        : null,
     },
   });
 });
@@ -1404,3 +1442,152 @@ export const firebaseGoogleLogin = asyncHandler(async (req, res) => {
     );
   }
 });
+
+/**
+ * Send OTP for restaurant staff login
+ * POST /api/restaurant/auth/staff/send-otp
+ */
+export const sendStaffOTP = asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  const normalizedPhone = phone ? normalizePhoneNumber(phone) : null;
+  if (!normalizedPhone) {
+    return errorResponse(res, 400, "Valid phone number is required");
+  }
+
+  try {
+    const staffCount = await StaffManagement.countDocuments({
+      ...buildPhoneQuery(normalizedPhone),
+      status: "active",
+    });
+
+    if (staffCount === 0) {
+      return errorResponse(
+        res,
+        404,
+        "No staff access found for this phone number. Ask the restaurant owner to add you.",
+      );
+    }
+
+    const result = await otpService.generateAndSendOTP(phone, "staff-login", null, getRequestLanguage(req));
+    return successResponse(res, 200, result.message, {
+      expiresIn: result.expiresIn,
+      identifierType: result.identifierType,
+    });
+  } catch (error) {
+    logger.error(`Error sending staff OTP: ${error.message}`);
+    return errorResponse(res, 500, error.message);
+  }
+});
+
+/**
+ * Verify OTP and login a staff member into the parent restaurant
+ * POST /api/restaurant/auth/staff/verify-otp
+ * The OTP is single-use. Staff working at several outlets get `needsOutlet`
+ * with the outlet list and a short-lived `outletToken`, and send that token
+ * (not the OTP) back with the chosen restaurantId.
+ */
+export const verifyStaffOTP = asyncHandler(async (req, res) => {
+  const { phone, otp, outletToken, restaurantId } = req.body;
+
+  const normalizedPhone = phone ? normalizePhoneNumber(phone) : null;
+  if (!normalizedPhone || (!otp && !outletToken)) {
+    return errorResponse(res, 400, "Phone number and OTP are required");
+  }
+  if (outletToken && !restaurantId) {
+    return errorResponse(res, 400, "Select the outlet to continue");
+  }
+
+  try {
+    if (outletToken) {
+      await otpService.consumeStaffOutletToken(phone, outletToken);
+    } else {
+      await otpService.verifyOTP(phone, otp, "staff-login");
+    }
+
+    const memberships = (
+      await StaffManagement.find({
+        ...buildPhoneQuery(normalizedPhone),
+        status: "active",
+      }).populate("restaurantId", "-password")
+    ).filter((membership) => membership.restaurantId);
+
+    if (memberships.length === 0) {
+      return errorResponse(res, 404, "No staff access found for this phone number");
+    }
+
+    let membership = memberships[0];
+    if (restaurantId) {
+      membership = memberships.find(
+        (entry) =>
+          entry.restaurantId._id.toString() === String(restaurantId) ||
+          entry.restaurantId.restaurantId === restaurantId,
+      );
+      if (!membership) {
+        return errorResponse(res, 403, "You are not a staff member of this restaurant");
+      }
+    } else if (memberships.length > 1) {
+      const selection = await otpService.issueStaffOutletToken(phone);
+      return successResponse(res, 200, "Select the outlet to continue", {
+        needsOutlet: true,
+        outletToken: selection.token,
+        expiresIn: selection.expiresIn,
+        outlets: memberships.map((entry) => ({
+          id: entry.restaurantId._id,
+          restaurantId: entry.restaurantId.restaurantId,
+          name: entry.restaurantId.name,
+          role: entry.role,
+        })),
+      });
+    }
+
+    const restaurant = membership.restaurantId;
+
+    membership.lastLoginAt = new Date();
+    await membership.save();
+
+    const tokens = jwtService.generateTokens({
+      userId: restaurant._id.toString(),
+      role: "restaurant",
+      email: membership.phone || membership.email,
+      staffId: membership._id.toString(),
+      staffRole: membership.role,
+    });
+
+    res.cookie("refreshToken", tokens.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    });
+
+    logger.info(`Restaurant staff logged in: ${membership._id}`, {
+      restaurantId: restaurant._id,
+      role: membership.role,
+    });
+
+    return successResponse(res, 200, "Authentication successful", {
+      accessToken: tokens.accessToken,
+      restaurant: {
+        id: restaurant._id,
+        restaurantId: restaurant.restaurantId,
+        name: restaurant.name,
+        email: restaurant.email,
+        phone: restaurant.phone,
+        profileImage: restaurant.profileImage,
+        isActive: restaurant.isActive,
+        onboarding: restaurant.onboarding,
+        restaurantRole: membership.role,
+        staff: {
+          id: membership._id,
+          name: membership.name,
+          phone: membership.phone,
+          role: membership.role,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(`Error verifying staff OTP: ${error.message}`);
+    return errorResponse(res, 400, error.message);
+  }
+});
@@ -5,6 +5,7 @@ import { successResponse, errorResponse } from '../../../shared/utils/response.j
 import { uploadToCloudinary, deleteFromCloudinary } from '../../../shared/utils/cloudinaryService.js';
 import { initializeCloudinary } from '../../../config/cloudinary.js';
 import asyncHandler from '../../../shared/middleware/asyncHandler.js';
+import { normalizeLanguage, SUPPORTED_LANGUAGES } from '../../../shared/utils/i18n.js';
 import mongoose from 'mongoose';
 
 /**
@@ -837,9 +838,18 @@ export const updateDeliveryStatus = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, 'isAcceptingOrders must be a boolean value');
     }
 
+    // Going back online clears the miss streak that may have auto-paused it
+    const update = isAcceptingOrders
+      ? {
+          isAcceptingOrders,
+          'acceptanceStats.consecutiveMisses': 0,
+          'acceptanceStats.autoPausedAt': null
+        }
+      : { isAcceptingOrders };
+
     const restaurant = await Restaurant.findByIdAndUpdate(
       restaurantId,
-      { isAcceptingOrders },
+      update,
       { new: true }
     ).select('-password');
 
@@ -859,6 +869,37 @@ export const updateDeliveryStatus = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Update restaurant panel language
+ * PUT /api/restaurant/preferences
+ */
+export const updateRestaurantPreferences = asyncHandler(async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.body.language);
+
+    if (!language) {
+      return errorResponse(res, 400, `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    const restaurant = await Restaurant.findByIdAndUpdate(
+      req.restaurant._id,
+      { 'preferences.language': language },
+      { new: true }
+    ).select('preferences');
+
+    if (!restaurant) {
+      return errorResponse(res, 404, 'Restaurant not found');
+    }
+
+    return successResponse(res, 200, 'Preferences updated successfully', {
+      preferences: restaurant.preferences
+    });
+  } catch (error) {
+    console.error('Error updating restaurant preferences:', error);
+    return errorResponse(res, 500, 'Failed to update preferences');
+  }
+});
+
 /**
  * Delete restaurant account
  * DELETE /api/restaurant/profile
@@ -23,8 +23,27 @@ import {
 } from "../../order/services/orderSettlementService.js";
 import RestaurantWallet from "../models/RestaurantWallet.js";
 import RestaurantCommission from "../../admin/models/RestaurantCommission.js";
+import { releaseCouponRedemption } from "../../coupon/services/couponService.js";
+import { releaseOrderSubscriptionSlot } from "../../subscription/services/subscriptionService.js";
+import { issueInvoiceForOrder } from "../../order/services/taxInvoiceService.js";
+import { scheduleAutoReady } from "../../order/services/orderJobService.js";
+import { recordAcceptedOrder } from "../services/restaurantReliabilityService.js";
 import mongoose from "mongoose";
 
+/**
+ * Append an audit entry for the panel account (owner or staff login) acting on the order.
+ * Saved together with the order's status change.
+ */
+const recordRestaurantAction = (order, req, action) => {
+  order.restaurantActions.push({
+    action,
+    performedByRole: req.restaurantRole || "owner",
+    staffId: req.staff?._id || null,
+    staffName: req.staff?.name || null,
+    performedAt: new Date(),
+  });
+};
+
 /**
  * Get all orders for restaurant
  * GET /api/restaurant/orders
@@ -90,12 +109,13 @@ export const getRestaurantOrders = asyncHandler(async (req, res) => {
       } else {
         // If status is 'all', exclude 'pending' (unpaid/abandoned) orders
         // unless specifically requested in some other way (future proofing)
-        // Generally restaurants shouldn't see orders waiting for payment
-        query.status = { $ne: "pending" };
+        // Generally restaurants shouldn't see orders waiting for payment.
+        // Held pre-orders ('scheduled') appear once the scheduler releases them.
+        query.status = { $nin: ["pending", "scheduled"] };
       }
     } else {
-      // Default (no status provided): Exclude pending orders
-      query.status = { $ne: "pending" };
+      // Default (no status provided): Exclude pending and held scheduled orders
+      query.status = { $nin: ["pending", "scheduled"] };
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -328,6 +348,7 @@ export const acceptOrder = asyncHandler(async (req, res) => {
     // Set status to 'preparing' when restaurant accepts
     order.status = "preparing";
     order.tracking.preparing = { status: true, timestamp: new Date() };
+    recordRestaurantAction(order, req, "accepted");
 
     // Handle preparation time update from restaurant
     if (preparationTime) {
@@ -375,6 +396,7 @@ export const acceptOrder = asyncHandler(async (req, res) => {
     }
 
     await order.save();
+    await recordAcceptedOrder(order.restaurantId);
 
     // Calculate settlement
     try {
@@ -400,6 +422,9 @@ export const acceptOrder = asyncHandler(async (req, res) => {
       // Continue even if ETA update fails
     }
 
+    // Queued after the ETA recalculation so the job uses the final prep time
+    await scheduleAutoReady(order._id);
+
     // Notify about status update
     try {
       await notifyRestaurantOrderUpdate(order._id.toString(), "preparing");
@@ -774,7 +799,10 @@ export const rejectOrder = asyncHandler(async (req, res) => {
     order.cancellationReason = reason || "Cancelled by restaurant";
     order.cancelledBy = "restaurant";
     order.cancelledAt = new Date();
+    recordRestaurantAction(order, req, "rejected");
     await order.save();
+    await releaseCouponRedemption(order._id);
+    await releaseOrderSubscriptionSlot(order._id);
 
     // Calculate refund amount but don't process automatically
     // Admin will process refund manually via refund button
@@ -865,7 +893,10 @@ export const markOrderPreparing = asyncHandler(async (req, res) => {
     if (!wasAlreadyPreparing) {
       order.status = "preparing";
       order.tracking.preparing = { status: true, timestamp: new Date() };
+      recordRestaurantAction(order, req, "preparing");
       await order.save();
+      await recordAcceptedOrder(order.restaurantId);
+      await scheduleAutoReady(order._id);
     }
 
     // Notify about status update only if status actually changed
@@ -1214,6 +1245,7 @@ export const markOrderReady = asyncHandler(async (req, res) => {
     order.status = "ready";
     if (!order.tracking) order.tracking = {};
     order.tracking.ready = { status: true, timestamp: now };
+    recordRestaurantAction(order, req, "ready");
 
     if (isHotelOrder) {
       console.log(
@@ -1256,7 +1288,7 @@ export const markOrderReady = asyncHandler(async (req, res) => {
               description: `Order #${order.orderId} - Amount: ₹${orderTotal.toFixed(2)}, Commission: ₹${commission.toFixed(2)}`,
               orderId: order._id,
             });
-            await wallet.save();
+            await wallet.saveWithLedger();
             console.log(`✅ Restaurant wallet credited ₹${netEarning.toFixed(2)} for hotel order ${order.orderId}`);
           }
         }
@@ -1266,6 +1298,15 @@ export const markOrderReady = asyncHandler(async (req, res) => {
           settlementError,
         );
       }
+
+      try {
+        await issueInvoiceForOrder(order._id);
+      } catch (invoiceError) {
+        console.error(
+          `❌ Error issuing tax invoice for hotel order ${order.orderId}:`,
+          invoiceError.message,
+        );
+      }
     }
 
     // Populate order for notifications
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import Order from '../../order/models/Order.js';
+import TaxInvoice from '../../order/models/TaxInvoice.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import asyncHandler from '../../../shared/middleware/asyncHandler.js';
+import {
+  issueInvoiceForOrder,
+  getOrderTaxDocuments,
+  taxDocumentToPdf,
+  buildGstrWorkbook
+} from '../../order/services/taxInvoiceService.js';
+
+/**
+ * List the GST invoice and credit notes of one of the restaurant's orders
+ * GET /api/restaurant/orders/:id/tax-documents
+ */
+export const getRestaurantOrderTaxDocuments = asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+  const { id } = req.params;
+  const restaurantId = restaurant._id?.toString() || restaurant.restaurantId;
+
+  const query = mongoose.Types.ObjectId.isValid(id) && id.length === 24
+    ? { $or: [{ _id: id }, { orderId: id }] }
+    : { orderId: id };
+  const order = await Order.findOne({
+    ...query,
+    restaurantId: { $in: [restaurantId, restaurant.restaurantId].filter(Boolean) }
+  })
+    .select('_id orderId status')
+    .lean();
+
+  if (!order) {
+    return errorResponse(res, 404, 'Order not found');
+  }
+
+  try {
+    if (order.status === 'delivered') {
+      await issueInvoiceForOrder(order._id);
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+
+  const documents = await getOrderTaxDocuments(order._id);
+  return successResponse(res, 200, 'Tax documents retrieved', { documents });
+});
+
+/**
+ * Download one of the restaurant's invoices or credit notes as PDF
+ * GET /api/restaurant/tax-documents/:documentId/pdf
+ */
+export const downloadRestaurantTaxDocument = asyncHandler(async (req, res) => {
+  const { documentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    return errorResponse(res, 404, 'Tax document not found');
+  }
+
+  const document = await TaxInvoice.findOne({ _id: documentId, restaurant: req.restaurant._id }).lean();
+  if (!document) {
+    return errorResponse(res, 404, 'Tax document not found');
+  }
+
+  const pdf = await taxDocumentToPdf(document);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${document.number.replace(/\//g, '-')}.pdf"`);
+  return res.status(200).send(pdf);
+});
+
+/**
+ * Monthly GSTR-1 style workbook of the restaurant's invoices and credit notes
+ * GET /api/restaurant/finance/gstr-export
+ * Query params: month (YYYY-MM)
+ */
+export const exportRestaurantGstr = asyncHandler(async (req, res) => {
+  try {
+    const { buffer, filename } = await buildGstrWorkbook({
+      month: req.query.month,
+      restaurantId: req.restaurant._id
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+});
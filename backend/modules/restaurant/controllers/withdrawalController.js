@@ -98,7 +98,7 @@ export const createWithdrawalRequest = asyncHandler(async (req, res) => {
       (wallet.totalBalance || 0) - parseFloat(amount),
     );
     wallet.totalWithdrawn = (wallet.totalWithdrawn || 0) + parseFloat(amount);
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Link transaction ID to withdrawal request for easier tracking
     withdrawalRequest.transactionId = transaction._id;
@@ -363,7 +363,7 @@ export const approveWithdrawalRequest = asyncHandler(async (req, res) => {
       // Balance already deducted, so we don't deduct again
     }
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     logger.info(`Withdrawal request approved: ${id} by admin: ${admin._id}`);
 
@@ -507,7 +507,7 @@ export const rejectWithdrawalRequest = asyncHandler(async (req, res) => {
       );
     }
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     logger.info(
       `Withdrawal request rejected: ${id} by admin: ${admin._id}. Balance refunded.`,
@@ -1,14 +1,15 @@
 // Restaurant module
 import express from 'express';
-import { authenticate } from './middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from './middleware/restaurantAuth.js';
 import { uploadMiddleware } from '../../shared/utils/cloudinaryService.js';
 import restaurantAuthRoutes from './routes/restaurantAuthRoutes.js';
 import { getOnboarding, upsertOnboarding, createRestaurantFromOnboardingManual } from './controllers/restaurantOnboardingController.js';
-import { getRestaurants, getRestaurantById, getRestaurantByOwner, updateRestaurantProfile, uploadProfileImage, uploadMenuImage, deleteRestaurantAccount, updateDeliveryStatus, getRestaurantsWithDishesUnder250 } from './controllers/restaurantController.js';
+import { getRestaurants, getRestaurantById, getRestaurantByOwner, updateRestaurantProfile, uploadProfileImage, uploadMenuImage, deleteRestaurantAccount, updateDeliveryStatus, updateRestaurantPreferences, getRestaurantsWithDishesUnder250 } from './controllers/restaurantController.js';
 import { getRestaurantFinance } from './controllers/restaurantFinanceController.js';
+import { exportRestaurantGstr } from './controllers/restaurantTaxInvoiceController.js';
 import { getWallet, getWalletTransactions, getWalletStats } from './controllers/restaurantWalletController.js';
 import { createWithdrawalRequest, getRestaurantWithdrawalRequests } from './controllers/withdrawalController.js';
-import { getMenu, updateMenu, getMenuByRestaurantId, addSection, addItemToSection, addSubsectionToSection, addItemToSubsection, addAddon, getAddons, getAddonsByRestaurantId, updateAddon, deleteAddon } from './controllers/menuController.js';
+import { getMenu, updateMenu, getMenuByRestaurantId, addSection, addItemToSection, addSubsectionToSection, addItemToSubsection, addAddon, getAddons, getAddonsByRestaurantId, updateAddon, deleteAddon, getItemAddonGroups, updateItemAddonGroups } from './controllers/menuController.js';
 import { scheduleItemAvailability, cancelScheduledAvailability, getItemSchedule } from './controllers/menuScheduleController.js';
 import { getInventory, updateInventory, getInventoryByRestaurantId } from './controllers/inventoryController.js';
 import { addStaff, getStaff, getStaffById, updateStaff, deleteStaff } from './controllers/staffManagementController.js';
@@ -21,57 +22,66 @@ import { getOutletTimingsByRestaurantId } from './controllers/outletTimingsContr
 
 const router = express.Router();
 
+// Panel role scopes: staff only work orders, managers also run menu/inventory/offers,
+// everything else (finance, withdrawals, staff, profile) stays with the owner
+const ownerOnly = requireRestaurantRole('owner');
+const catalogAccess = requireRestaurantRole('owner', 'manager');
+
 // Restaurant authentication routes
 router.use('/auth', restaurantAuthRoutes);
 
 // Onboarding routes for restaurant (authenticated)
-router.get('/onboarding', authenticate, getOnboarding);
-router.put('/onboarding', authenticate, upsertOnboarding);
-router.post('/onboarding/create-restaurant', authenticate, createRestaurantFromOnboardingManual);
+router.get('/onboarding', authenticate, ownerOnly, getOnboarding);
+router.put('/onboarding', authenticate, ownerOnly, upsertOnboarding);
+router.post('/onboarding/create-restaurant', authenticate, ownerOnly, createRestaurantFromOnboardingManual);
 
 // Menu routes (authenticated - for restaurant module)
-router.get('/menu', authenticate, getMenu);
-router.put('/menu', authenticate, updateMenu);
-router.post('/menu/section', authenticate, addSection);
-router.post('/menu/section/item', authenticate, addItemToSection);
-router.post('/menu/section/subsection', authenticate, addSubsectionToSection);
-router.post('/menu/subsection/item', authenticate, addItemToSubsection);
+router.get('/menu', authenticate, catalogAccess, getMenu);
+router.put('/menu', authenticate, catalogAccess, updateMenu);
+router.post('/menu/section', authenticate, catalogAccess, addSection);
+router.post('/menu/section/item', authenticate, catalogAccess, addItemToSection);
+router.post('/menu/section/subsection', authenticate, catalogAccess, addSubsectionToSection);
+router.post('/menu/subsection/item', authenticate, catalogAccess, addItemToSubsection);
 
 // Add-on routes
-router.post('/menu/addon', authenticate, addAddon);
-router.get('/menu/addons', authenticate, getAddons);
-router.put('/menu/addon/:id', authenticate, updateAddon);
-router.delete('/menu/addon/:id', authenticate, deleteAddon);
+router.post('/menu/addon', authenticate, catalogAccess, addAddon);
+router.get('/menu/addons', authenticate, catalogAccess, getAddons);
+router.put('/menu/addon/:id', authenticate, catalogAccess, updateAddon);
+router.delete('/menu/addon/:id', authenticate, catalogAccess, deleteAddon);
+
+// Item-level add-on group routes
+router.get('/menu/item/:itemId/addon-groups', authenticate, catalogAccess, getItemAddonGroups);
+router.put('/menu/item/:itemId/addon-groups', authenticate, catalogAccess, updateItemAddonGroups);
 
 // Menu item scheduling routes
-router.post('/menu/item/schedule', authenticate, scheduleItemAvailability);
-router.delete('/menu/item/schedule/:scheduleId', authenticate, cancelScheduledAvailability);
-router.get('/menu/item/schedule/:sectionId/:itemId', authenticate, getItemSchedule);
+router.post('/menu/item/schedule', authenticate, catalogAccess, scheduleItemAvailability);
+router.delete('/menu/item/schedule/:scheduleId', authenticate, catalogAccess, cancelScheduledAvailability);
+router.get('/menu/item/schedule/:sectionId/:itemId', authenticate, catalogAccess, getItemSchedule);
 
 // Inventory routes (authenticated - for restaurant module)
-router.get('/inventory', authenticate, getInventory);
-router.put('/inventory', authenticate, updateInventory);
+router.get('/inventory', authenticate, catalogAccess, getInventory);
+router.put('/inventory', authenticate, catalogAccess, updateInventory);
 
 // Category routes (authenticated - for restaurant module)
 router.use('/categories', categoryRoutes);
 
 // Offer routes (authenticated - for restaurant module)
-router.post('/offers', authenticate, createOffer);
-router.get('/offers', authenticate, getOffers);
-router.get('/offers/item/:itemId/coupons', authenticate, getCouponsByItemId);
+router.post('/offers', authenticate, catalogAccess, createOffer);
+router.get('/offers', authenticate, catalogAccess, getOffers);
+router.get('/offers/item/:itemId/coupons', authenticate, catalogAccess, getCouponsByItemId);
 // Public offers route - must come before /offers/:id to avoid route conflict
 router.get('/offers/public', getPublicOffers);
-router.get('/offers/:id', authenticate, getOfferById);
-router.put('/offers/:id/status', authenticate, updateOfferStatus);
-router.delete('/offers/:id', authenticate, deleteOffer);
+router.get('/offers/:id', authenticate, catalogAccess, getOfferById);
+router.put('/offers/:id/status', authenticate, catalogAccess, updateOfferStatus);
+router.delete('/offers/:id', authenticate, catalogAccess, deleteOffer);
 
 // Staff Management routes (authenticated - for restaurant module)
 // Must come before /:id to avoid route conflicts
-router.post('/staff', authenticate, uploadMiddleware.single('photo'), addStaff);
-router.get('/staff', authenticate, getStaff);
-router.get('/staff/:id', authenticate, getStaffById);
-router.put('/staff/:id', authenticate, updateStaff);
-router.delete('/staff/:id', authenticate, deleteStaff);
+router.post('/staff', authenticate, ownerOnly, uploadMiddleware.single('photo'), addStaff);
+router.get('/staff', authenticate, ownerOnly, getStaff);
+router.get('/staff/:id', authenticate, ownerOnly, getStaffById);
+router.put('/staff/:id', authenticate, ownerOnly, updateStaff);
+router.delete('/staff/:id', authenticate, ownerOnly, deleteStaff);
 
 // Order routes (authenticated - for restaurant module)
 // Must come BEFORE /:id route to avoid route conflicts (/:id would match /orders)
@@ -82,17 +92,18 @@ router.use('/complaints', complaintRoutes);
 
 // Finance routes (authenticated - for restaurant module)
 // Must come BEFORE /:id route to avoid route conflicts (/:id would match /finance)
-router.get('/finance', authenticate, getRestaurantFinance);
+router.get('/finance', authenticate, ownerOnly, getRestaurantFinance);
+router.get('/finance/gstr-export', authenticate, ownerOnly, exportRestaurantGstr);
 
 // Wallet routes (authenticated - for restaurant module)
 // Must come BEFORE /:id route to avoid route conflicts (/:id would match /wallet)
-router.get('/wallet', authenticate, getWallet);
-router.get('/wallet/transactions', authenticate, getWalletTransactions);
-router.get('/wallet/stats', authenticate, getWalletStats);
+router.get('/wallet', authenticate, ownerOnly, getWallet);
+router.get('/wallet/transactions', authenticate, ownerOnly, getWalletTransactions);
+router.get('/wallet/stats', authenticate, ownerOnly, getWalletStats);
 
 // Withdrawal routes (authenticated - for restaurant module)
-router.post('/withdrawal/request', authenticate, createWithdrawalRequest);
-router.get('/withdrawal/requests', authenticate, getRestaurantWithdrawalRequests);
+router.post('/withdrawal/request', authenticate, ownerOnly, createWithdrawalRequest);
+router.get('/withdrawal/requests', authenticate, ownerOnly, getRestaurantWithdrawalRequests);
 
 // Restaurant routes (public - for user module)
 router.get('/list', getRestaurants);
@@ -106,16 +117,17 @@ router.get('/:id/inventory', getInventoryByRestaurantId);
 router.get('/:id', getRestaurantById);
 
 // Restaurant routes (authenticated - for restaurant module)
-router.get('/owner/me', authenticate, getRestaurantByOwner);
+router.get('/owner/me', authenticate, ownerOnly, getRestaurantByOwner);
 
 // Profile routes (authenticated - for restaurant module)
-router.put('/profile', authenticate, updateRestaurantProfile);
-router.delete('/profile', authenticate, deleteRestaurantAccount);
-router.post('/profile/image', authenticate, uploadMiddleware.single('file'), uploadProfileImage);
-router.post('/profile/menu-image', authenticate, uploadMiddleware.single('file'), uploadMenuImage);
+router.put('/profile', authenticate, ownerOnly, updateRestaurantProfile);
+router.delete('/profile', authenticate, ownerOnly, deleteRestaurantAccount);
+router.post('/profile/image', authenticate, ownerOnly, uploadMiddleware.single('file'), uploadProfileImage);
+router.post('/profile/menu-image', authenticate, ownerOnly, uploadMiddleware.single('file'), uploadMenuImage);
 
 // Delivery status route (authenticated - for restaurant module)
-router.put('/delivery-status', authenticate, updateDeliveryStatus);
+router.put('/delivery-status', authenticate, ownerOnly, updateDeliveryStatus);
+router.put('/preferences', authenticate, ownerOnly, updateRestaurantPreferences);
 
 // Outlet Timings routes (authenticated - for restaurant module)
 // Must come after all /:id routes to avoid route conflicts
@@ -1,5 +1,6 @@
 import jwtService from '../../auth/services/jwtService.js';
 import Restaurant from '../models/Restaurant.js';
+import StaffManagement from '../models/StaffManagement.js';
 import { errorResponse } from '../../../shared/utils/response.js';
 
 /**
@@ -114,15 +115,51 @@ export const authenticate = async (req, res, next) => {
       return errorResponse(res, 401, 'Restaurant account is inactive. Please wait for admin approval.');
     }
 
+    // Staff tokens act on behalf of the parent restaurant; the role is read from the
+    // staff record so removals and role changes apply without waiting for token expiry
+    let staff = null;
+    if (decoded.staffId) {
+      staff = await StaffManagement.findOne({
+        _id: decoded.staffId,
+        restaurantId: restaurant._id,
+        status: 'active'
+      }).select('name phone email role').lean();
+
+      if (!staff) {
+        return errorResponse(res, 401, 'Staff access has been revoked. Please contact the restaurant owner.');
+      }
+    }
+
     // Attach restaurant to request
     req.restaurant = restaurant;
+    req.staff = staff;
+    req.restaurantRole = staff ? staff.role : 'owner';
     req.token = decoded;
-    
+
     next();
   } catch (error) {
     return errorResponse(res, 401, error.message || 'Invalid token');
   }
 };
 
-export default { authenticate };
+/**
+ * Restaurant Role Middleware
+ * Restricts a route to the given panel roles ('owner', 'manager', 'staff').
+ * Must run after authenticate.
+ */
+export const requireRestaurantRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.restaurantRole) {
+      return errorResponse(res, 401, 'Authentication required');
+    }
+
+    if (!roles.includes(req.restaurantRole)) {
+      return errorResponse(res, 403, 'Your restaurant role does not have access to this action');
+    }
+
+    next();
+  };
+};
+
+export default { authenticate, requireRestaurantRole };
 
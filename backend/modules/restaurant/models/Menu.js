@@ -7,10 +7,35 @@ const variationSchema = new mongoose.Schema({
   stock: { type: mongoose.Schema.Types.Mixed, default: 'Unlimited' }, // Can be number or "Unlimited"
 }, { _id: false });
 
+// Option inside an item-level add-on group. When addonId is set, name/price
+// are taken from the restaurant's add-on catalogue (menu.addons) at order time.
+const addonOptionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  addonId: { type: String, default: null },
+  name: { type: String, required: true },
+  price: { type: Number, default: 0, min: 0 },
+  isAvailable: { type: Boolean, default: true },
+  isDefault: { type: Boolean, default: false },
+}, { _id: false });
+
+// Add-on group attached to a single menu item (e.g. "Extra toppings", "Remove ingredients")
+const addonGroupSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  isRequired: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  allowQuantity: { type: Boolean, default: false }, // Allow picking the same option more than once
+  options: { type: [addonOptionSchema], default: [] },
+  order: { type: Number, default: 0 },
+}, { _id: false });
+
 const menuItemSchema = new mongoose.Schema({
   id: { type: String, required: true },
   name: { type: String, required: true },
-  nameArabic: { type: String, default: '' },
+  // Item name per app language code, e.g. { hi: 'पनीर टिक्का' }
+  nameTranslations: { type: Map, of: String, default: {} },
   image: { type: String, default: '' },
   category: { type: String, default: 'Varieties' },
   rating: { type: Number, default: 0.0 },
@@ -28,6 +53,8 @@ const menuItemSchema = new mongoose.Schema({
   isAvailable: { type: Boolean, default: true },
   isRecommended: { type: Boolean, default: false },
   variations: { type: [variationSchema], default: [] },
+  addonGroups: { type: [addonGroupSchema], default: [] }, // Item-level add-on groups / customizations
+  allowSpecialInstructions: { type: Boolean, default: true },
   tags: { type: [String], default: [] },
   nutrition: { type: [String], default: [] },
   allergies: { type: [String], default: [] },
@@ -106,5 +133,17 @@ const menuSchema = new mongoose.Schema({
 // Index for faster queries
 menuSchema.index({ restaurant: 1, isActive: 1 });
 
+// Keep the search index in step with menu edits (imported lazily: the search
+// index service imports this model)
+const reindexRestaurantForSearch = (menu) => {
+  if (!menu?.restaurant) return;
+  import('../../search/services/searchIndexService.js')
+    .then(({ queueRestaurantReindex }) => queueRestaurantReindex(menu.restaurant))
+    .catch(() => {});
+};
+
+menuSchema.post('save', reindexRestaurantForSearch);
+menuSchema.post('findOneAndUpdate', reindexRestaurantForSearch);
+
 export default mongoose.model('Menu', menuSchema);
 
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import { normalizePhoneNumber } from "../../../shared/utils/phoneUtils.js";
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from "../../../shared/utils/i18n.js";
 
 const locationSchema = new mongoose.Schema({
   latitude: Number,
@@ -158,6 +159,24 @@ const restaurantSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // How reliably the restaurant accepts orders inside its accept window.
+    // reliabilityScore is a moving average (0-100) over accepted/missed orders.
+    acceptanceStats: {
+      reliabilityScore: { type: Number, default: 100, min: 0, max: 100 },
+      acceptedOrders: { type: Number, default: 0 },
+      missedOrders: { type: Number, default: 0 },
+      consecutiveMisses: { type: Number, default: 0 },
+      lastMissedAt: { type: Date, default: null },
+      autoPausedAt: { type: Date, default: null },
+    },
+    // Restaurant panel language; also used for push notifications
+    preferences: {
+      language: {
+        type: String,
+        enum: SUPPORTED_LANGUAGES,
+        default: DEFAULT_LANGUAGE,
+      },
+    },
     // Additional display data for user module
     estimatedDeliveryTime: {
       type: String,
@@ -298,12 +317,74 @@ const restaurantSchema = new mongoose.Schema(
         type: String,
         default: "family-dining", // e.g., 'fine-dining', 'cafe', 'casual-dining'
       },
+      // Bookable slots with their capacity; empty means the default lunch/dinner
+      // slots with tablesPerSlot/coversPerSlot (see tableAvailabilityService)
+      timeSlots: [
+        {
+          time: { type: String, required: true }, // "12:30 PM"
+          mealPeriod: {
+            type: String,
+            enum: ["Lunch", "Dinner"],
+            default: "Lunch",
+          },
+          tables: { type: Number, min: 0, default: 10 },
+          covers: { type: Number, min: 0, default: 40 },
+          isActive: { type: Boolean, default: true },
+          _id: false,
+        },
+      ],
+      tablesPerSlot: {
+        type: Number,
+        min: 0,
+        default: 10,
+      },
+      coversPerSlot: {
+        type: Number,
+        min: 0,
+        default: 40,
+      },
+      waitlistEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Confirmed bookings not checked in this long after the slot become no-shows
+      noShowGraceMinutes: {
+        type: Number,
+        min: 0,
+        default: 20,
+      },
     },
     businessModel: {
       type: String,
       enum: ["Commission Base", "Subscription Base"],
       default: "Commission Base",
     },
+    // Denormalized from RestaurantSubscription for fast ordering checks
+    subscription: {
+      current: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RestaurantSubscription",
+        default: null,
+      },
+      packageName: {
+        type: String,
+        default: null,
+      },
+      status: {
+        type: String,
+        enum: ["none", "active", "expired"],
+        default: "none",
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      // Held while a plan purchase is being activated, so renewals don't stack on the same plan
+      activatingUntil: {
+        type: Date,
+        default: null,
+      },
+    },
     fcmtokenWeb: {
       type: String,
       default: null
@@ -436,6 +517,17 @@ restaurantSchema.pre("save", async function (next) {
   next();
 });
 
+// Keep the search index in step with name, cuisine, location and status changes
+const reindexForSearch = (restaurant) => {
+  if (!restaurant?._id) return;
+  import("../../search/services/searchIndexService.js")
+    .then(({ queueRestaurantReindex }) => queueRestaurantReindex(restaurant._id))
+    .catch(() => {});
+};
+
+restaurantSchema.post("save", reindexForSearch);
+restaurantSchema.post("findOneAndUpdate", reindexForSearch);
+
 // Method to compare password
 restaurantSchema.methods.comparePassword = async function (candidatePassword) {
   if (!this.password) {
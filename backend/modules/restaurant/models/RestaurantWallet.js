@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { attachWalletLedgerHooks } from '../../payment/services/ledgerService.js';
 
 const transactionSchema = new mongoose.Schema({
   amount: {
@@ -223,5 +224,7 @@ restaurantWalletSchema.statics.findOrCreateByRestaurantId = async function(resta
   return wallet;
 };
 
+attachWalletLedgerHooks(restaurantWalletSchema, 'restaurant');
+
 export default mongoose.model('RestaurantWallet', restaurantWalletSchema);
 
@@ -57,6 +57,11 @@ const staffManagementSchema = new mongoose.Schema(
       url: String,
       publicId: String,
     },
+    // Last OTP login to the restaurant panel
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -7,12 +7,12 @@ import {
   deleteCategory,
   reorderCategories
 } from '../controllers/categoryController.js';
-import { authenticate } from '../middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from '../middleware/restaurantAuth.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication; categories are part of the menu (owner and manager)
+router.use(authenticate, requireRestaurantRole('owner', 'manager'));
 
 // Get active categories
 router.get('/', getCategories);
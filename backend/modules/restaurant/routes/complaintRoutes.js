@@ -4,12 +4,12 @@ import {
   getComplaintDetails,
   respondToComplaint
 } from '../controllers/complaintController.js';
-import { authenticate } from '../middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from '../middleware/restaurantAuth.js';
 
 const router = express.Router();
 
-// All routes require restaurant authentication
-router.use(authenticate);
+// All routes require restaurant authentication (owner only)
+router.use(authenticate, requireRestaurantRole('owner'));
 
 // Complaint routes
 router.get('/', getRestaurantComplaints);
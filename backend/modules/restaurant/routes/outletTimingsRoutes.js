@@ -7,7 +7,7 @@ import {
   toggleOutletTimingsStatus,
   deleteOutletTimings
 } from '../controllers/outletTimingsController.js';
-import { authenticate } from '../middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from '../middleware/restaurantAuth.js';
 import { validate } from '../../../shared/middleware/validate.js';
 import Joi from 'joi';
 
@@ -36,8 +36,8 @@ const toggleStatusSchema = Joi.object({
   isActive: Joi.boolean().required()
 });
 
-// Protected routes - require authentication
-router.use(authenticate);
+// Protected routes - require authentication (outlet timings are owner-managed)
+router.use(authenticate, requireRestaurantRole('owner'));
 
 // Get outlet timings for authenticated restaurant
 router.get('/outlet-timings', getOutletTimings);
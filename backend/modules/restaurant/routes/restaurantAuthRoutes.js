@@ -10,9 +10,11 @@ import {
   getCurrentRestaurant,
   reverifyRestaurant,
   firebaseGoogleLogin,
-  registerFcmToken
+  registerFcmToken,
+  sendStaffOTP,
+  verifyStaffOTP
 } from '../controllers/restaurantAuthController.js';
-import { authenticate } from '../middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from '../middleware/restaurantAuth.js';
 import { validate } from '../../../shared/middleware/validate.js';
 import Joi from 'joi';
 
@@ -69,6 +71,18 @@ const firebaseGoogleLoginSchema = Joi.object({
   idToken: Joi.string().required()
 });
 
+const staffSendOTPSchema = Joi.object({
+  phone: Joi.string()
+    .pattern(/^[+]?[(]?[0-9]{1,4}[)]?[-\s.]?[(]?[0-9]{1,4}[)]?[-\s.]?[0-9]{1,9}$/)
+    .required()
+});
+
+const staffVerifyOTPSchema = Joi.object({
+  phone: Joi.string().required(),
+  otp: Joi.string().required().length(6),
+  restaurantId: Joi.string().optional()
+});
+
 const fcmTokenSchema = Joi.object({
   token: Joi.string().required().min(1),
   platform: Joi.string().valid('web', 'android', 'ios').default('web')
@@ -81,12 +95,14 @@ router.post('/register', validate(registerSchema), register);
 router.post('/login', validate(loginSchema), login);
 router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
 router.post('/firebase/google-login', validate(firebaseGoogleLoginSchema), firebaseGoogleLogin);
+router.post('/staff/send-otp', validate(staffSendOTPSchema), sendStaffOTP);
+router.post('/staff/verify-otp', validate(staffVerifyOTPSchema), verifyStaffOTP);
 
 // Protected routes
 router.post('/refresh-token', refreshToken);
 router.post('/logout', logout);
 router.get('/me', authenticate, getCurrentRestaurant);
-router.post('/reverify', authenticate, reverifyRestaurant);
+router.post('/reverify', authenticate, requireRestaurantRole('owner'), reverifyRestaurant);
 router.post('/fcm-token', authenticate, validate(fcmTokenSchema), registerFcmToken);
 
 export default router;
@@ -8,26 +8,36 @@ import {
   markOrderReady
 } from '../controllers/restaurantOrderController.js';
 import { resendDeliveryNotification } from '../controllers/resendDeliveryNotification.js';
+import {
+  getRestaurantOrderTaxDocuments,
+  downloadRestaurantTaxDocument
+} from '../controllers/restaurantTaxInvoiceController.js';
 import {
   getRestaurantReviews,
   getReviewByOrderId
 } from '../controllers/reviewController.js';
-import { authenticate } from '../middleware/restaurantAuth.js';
+import { authenticate, requireRestaurantRole } from '../middleware/restaurantAuth.js';
 
 const router = express.Router();
 
+// Staff accept, prepare and mark orders ready; rejecting and reviews need a manager or the owner
+const orderAccess = requireRestaurantRole('owner', 'manager', 'staff');
+const managerAccess = requireRestaurantRole('owner', 'manager');
+
 // Order routes - each route requires restaurant authentication
-router.get('/orders', authenticate, getRestaurantOrders);
-router.get('/orders/:id', authenticate, getRestaurantOrderById);
-router.patch('/orders/:id/accept', authenticate, acceptOrder);
-router.patch('/orders/:id/reject', authenticate, rejectOrder);
-router.patch('/orders/:id/preparing', authenticate, markOrderPreparing);
-router.patch('/orders/:id/ready', authenticate, markOrderReady);
-router.post('/orders/:id/resend-delivery-notification', authenticate, resendDeliveryNotification);
+router.get('/orders', authenticate, orderAccess, getRestaurantOrders);
+router.get('/orders/:id', authenticate, orderAccess, getRestaurantOrderById);
+router.patch('/orders/:id/accept', authenticate, orderAccess, acceptOrder);
+router.patch('/orders/:id/reject', authenticate, managerAccess, rejectOrder);
+router.patch('/orders/:id/preparing', authenticate, orderAccess, markOrderPreparing);
+router.patch('/orders/:id/ready', authenticate, orderAccess, markOrderReady);
+router.post('/orders/:id/resend-delivery-notification', authenticate, orderAccess, resendDeliveryNotification);
+router.get('/orders/:id/tax-documents', authenticate, orderAccess, getRestaurantOrderTaxDocuments);
+router.get('/tax-documents/:documentId/pdf', authenticate, orderAccess, downloadRestaurantTaxDocument);
 
 // Review routes
-router.get('/reviews', authenticate, getRestaurantReviews);
-router.get('/reviews/:orderId', authenticate, getReviewByOrderId);
+router.get('/reviews', authenticate, managerAccess, getRestaurantReviews);
+router.get('/reviews/:orderId', authenticate, managerAccess, getReviewByOrderId);
 
 // Complaint routes - will be imported and used in restaurant index
 export default router;
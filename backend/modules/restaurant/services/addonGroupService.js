@@ -0,0 +1,263 @@
+/**
+ * Item-level add-on groups
+ *
+ * Menu items carry `addonGroups` (min/max selections, required flag, priced options).
+ * An option may link to the restaurant add-on catalogue (`menu.addons`) through
+ * `addonId`; linked options take their name/price from the catalogue and are only
+ * offered while that add-on is approved and available.
+ */
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Normalize add-on groups coming from the restaurant panel
+ * @param {Array} groups - Raw add-on groups from request body
+ * @returns {Array} Normalized groups ready to be stored on a menu item
+ * @throws {Error} 400 error when a group is misconfigured
+ */
+export const normalizeAddonGroups = (groups) => {
+  if (!Array.isArray(groups)) return [];
+
+  return groups.map((group, index) => {
+    const name = typeof group?.name === 'string' ? group.name.trim() : '';
+    if (!name) {
+      throw createValidationError(`Add-on group #${index + 1} must have a name`);
+    }
+
+    const options = Array.isArray(group.options) ? group.options.map((option) => {
+      const optionName = typeof option?.name === 'string' ? option.name.trim() : '';
+      if (!optionName && !option?.addonId) {
+        throw createValidationError(`Every option in "${name}" must have a name`);
+      }
+      const price = Number(option.price) || 0;
+      if (price < 0) {
+        throw createValidationError(`Option "${optionName}" in "${name}" cannot have a negative price`);
+      }
+      return {
+        id: String(option.id || generateId('opt')),
+        addonId: option.addonId ? String(option.addonId) : null,
+        name: optionName || String(option.addonId),
+        price,
+        isAvailable: option.isAvailable !== false,
+        isDefault: option.isDefault === true,
+      };
+    }) : [];
+
+    if (options.length === 0) {
+      throw createValidationError(`Add-on group "${name}" must have at least one option`);
+    }
+
+    const isRequired = group.isRequired === true;
+    let minSelections = Math.max(0, parseInt(group.minSelections, 10) || 0);
+    if (isRequired && minSelections === 0) {
+      minSelections = 1;
+    }
+    const maxSelections = Math.max(1, parseInt(group.maxSelections, 10) || Math.max(1, minSelections));
+
+    if (maxSelections < minSelections) {
+      throw createValidationError(`"${name}": maximum selections (${maxSelections}) cannot be less than minimum (${minSelections})`);
+    }
+    if (!group.allowQuantity && minSelections > options.length) {
+      throw createValidationError(`"${name}": minimum selections (${minSelections}) exceeds number of options (${options.length})`);
+    }
+
+    return {
+      id: String(group.id || generateId('addon-group')),
+      name,
+      description: group.description || '',
+      isRequired: isRequired || minSelections > 0,
+      minSelections,
+      maxSelections,
+      allowQuantity: group.allowQuantity === true,
+      options,
+      order: group.order !== undefined ? Number(group.order) || 0 : index,
+    };
+  });
+};
+
+/**
+ * Build an id -> item lookup across sections and subsections
+ * @param {Object} menu - Menu document (lean or hydrated)
+ * @returns {Map<string, Object>}
+ */
+export const buildMenuItemIndex = (menu) => {
+  const index = new Map();
+  for (const section of menu?.sections || []) {
+    for (const item of section.items || []) {
+      if (item?.id) index.set(String(item.id), item);
+    }
+    for (const subsection of section.subsections || []) {
+      for (const item of subsection.items || []) {
+        if (item?.id) index.set(String(item.id), item);
+      }
+    }
+  }
+  return index;
+};
+
+/**
+ * Resolve an item's add-on groups against the restaurant add-on catalogue.
+ * Unavailable options (and linked add-ons that are not approved) are dropped.
+ * @param {Object} menuItem - Menu item with addonGroups
+ * @param {Array} catalogue - menu.addons
+ * @returns {Array} Groups with only orderable options
+ */
+export const resolveItemAddonGroups = (menuItem, catalogue = []) => {
+  const addonsById = new Map((catalogue || []).map((addon) => [String(addon.id), addon]));
+
+  return (menuItem?.addonGroups || [])
+    .map((group) => {
+      const options = (group.options || [])
+        .map((option) => {
+          if (option.isAvailable === false) return null;
+          if (!option.addonId) return option;
+
+          const addon = addonsById.get(String(option.addonId));
+          if (!addon || addon.isAvailable === false || addon.approvalStatus !== 'approved') {
+            return null;
+          }
+          return {
+            ...option,
+            name: addon.name,
+            price: Number(addon.price) || 0,
+          };
+        })
+        .filter(Boolean);
+
+      return { ...group, options };
+    })
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+/**
+ * Whether a required group lost every orderable option. The item cannot be
+ * ordered in that state, so it is shown and priced as unavailable.
+ * @param {Array} groups - Output of resolveItemAddonGroups
+ * @returns {boolean}
+ */
+export const hasUnorderableRequiredGroup = (groups = []) =>
+  groups.some((group) => (group.isRequired || group.minSelections > 0) && group.options.length === 0);
+
+/**
+ * Validate a guest's add-on selection for one menu item and price it.
+ * @param {Object} menuItem - Menu item the order line refers to
+ * @param {Array} selectedAddons - [{ groupId, optionId, quantity }]
+ * @param {Array} catalogue - menu.addons
+ * @returns {{ selectedAddons: Array, addonsTotal: number }} Per-unit add-on lines and total
+ * @throws {Error} 400 error when the selection breaks the group rules
+ */
+export const priceItemAddons = (menuItem, selectedAddons = [], catalogue = []) => {
+  const selections = Array.isArray(selectedAddons) ? selectedAddons : [];
+  const groups = resolveItemAddonGroups(menuItem, catalogue);
+  const itemName = menuItem?.name || 'item';
+
+  if (hasUnorderableRequiredGroup(groups)) {
+    throw createValidationError(`"${itemName}" is currently unavailable. Please remove it from your cart.`);
+  }
+
+  if (groups.length === 0) {
+    if (selections.length > 0) {
+      throw createValidationError(`"${itemName}" does not offer add-ons. Please refresh the menu and try again.`);
+    }
+    return { selectedAddons: [], addonsTotal: 0 };
+  }
+
+  const groupsById = new Map(groups.map((group) => [String(group.id), group]));
+  const countsByGroup = new Map();
+  const lines = [];
+
+  for (const selection of selections) {
+    const group = groupsById.get(String(selection?.groupId));
+    if (!group) {
+      throw createValidationError(`Invalid add-on group selected for "${itemName}". Please refresh and try again.`);
+    }
+
+    const option = group.options.find((o) => String(o.id) === String(selection.optionId));
+    if (!option) {
+      throw createValidationError(`An add-on in "${group.name}" is no longer available for "${itemName}".`);
+    }
+
+    const quantity = Math.max(1, parseInt(selection.quantity, 10) || 1);
+    if (quantity > 1 && !group.allowQuantity) {
+      throw createValidationError(`"${option.name}" can only be selected once in "${group.name}".`);
+    }
+
+    const existing = lines.find((line) => line.groupId === String(group.id) && line.optionId === String(option.id));
+    if (existing) {
+      if (!group.allowQuantity) {
+        throw createValidationError(`"${option.name}" can only be selected once in "${group.name}".`);
+      }
+      existing.quantity += quantity;
+    } else {
+      lines.push({
+        groupId: String(group.id),
+        groupName: group.name,
+        optionId: String(option.id),
+        name: option.name,
+        price: Number(option.price) || 0,
+        quantity,
+      });
+    }
+
+    countsByGroup.set(String(group.id), (countsByGroup.get(String(group.id)) || 0) + quantity);
+  }
+
+  for (const group of groups) {
+    const count = countsByGroup.get(String(group.id)) || 0;
+    const minSelections = group.isRequired ? Math.max(1, group.minSelections || 0) : (group.minSelections || 0);
+    if (count < minSelections) {
+      throw createValidationError(
+        minSelections === 1
+          ? `Please choose an option in "${group.name}" for "${itemName}".`
+          : `Please choose at least ${minSelections} options in "${group.name}" for "${itemName}".`
+      );
+    }
+    if (group.maxSelections && count > group.maxSelections) {
+      throw createValidationError(`You can choose up to ${group.maxSelections} options in "${group.name}" for "${itemName}".`);
+    }
+  }
+
+  const addonsTotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  return {
+    selectedAddons: lines,
+    addonsTotal: Math.round(addonsTotal * 100) / 100,
+  };
+};
+
+/**
+ * Remove options linked to a deleted catalogue add-on from every item.
+ * Groups left without options are removed as well.
+ * @param {Object} menu - Hydrated menu document
+ * @param {string} addonId - Deleted add-on id
+ * @returns {boolean} True if any item changed
+ */
+export const unlinkAddonFromItems = (menu, addonId) => {
+  let changed = false;
+  const strip = (item) => {
+    if (!Array.isArray(item.addonGroups) || item.addonGroups.length === 0) return;
+    const groups = item.addonGroups
+      .map((group) => {
+        const options = (group.options || []).filter((o) => String(o.addonId) !== String(addonId));
+        if (options.length !== (group.options || []).length) changed = true;
+        return { ...(group.toObject ? group.toObject() : group), options };
+      })
+      .filter((group) => group.options.length > 0);
+    item.addonGroups = groups;
+  };
+
+  for (const section of menu.sections || []) {
+    (section.items || []).forEach(strip);
+    for (const subsection of section.subsections || []) {
+      (subsection.items || []).forEach(strip);
+    }
+  }
+
+  return changed;
+};
@@ -1,9 +1,97 @@
 import MenuItemSchedule from '../models/MenuItemSchedule.js';
 import Menu from '../models/Menu.js';
+import {
+  JOB_QUEUES,
+  addUniqueJob,
+  addRepeatableJob,
+  removeJob,
+  getQueue
+} from '../../../config/queue.js';
+
+/**
+ * Make the scheduled item available and close the schedule.
+ * Throws on database errors so the caller decides whether to retry.
+ * @param {Object} schedule - MenuItemSchedule document
+ * @returns {Promise<boolean>} Whether the item was made available
+ */
+const applySchedule = async (schedule) => {
+  const menu = await Menu.findById(schedule.menuId);
+  if (!menu) {
+    console.error(`Menu not found for schedule ${schedule._id}`);
+    schedule.status = 'cancelled';
+    schedule.isActive = false;
+    await schedule.save();
+    return false;
+  }
+
+  // Update menu item to available
+  let itemFound = false;
+  for (const section of menu.sections) {
+    if (section.id === schedule.sectionId) {
+      // Check in items
+      if (section.items && Array.isArray(section.items)) {
+        section.items.forEach(item => {
+          if (item.id === schedule.itemId) {
+            item.isAvailable = true;
+            itemFound = true;
+          }
+        });
+      }
+      // Check in subsections
+      if (section.subsections && Array.isArray(section.subsections)) {
+        section.subsections.forEach(subsection => {
+          if (subsection.items && Array.isArray(subsection.items)) {
+            subsection.items.forEach(item => {
+              if (item.id === schedule.itemId) {
+                item.isAvailable = true;
+                itemFound = true;
+              }
+            });
+          }
+        });
+      }
+    }
+  }
+
+  if (itemFound) {
+    await menu.save();
+    schedule.status = 'completed';
+    schedule.isActive = false;
+    await schedule.save();
+    return true;
+  }
+
+  console.error(`Item not found for schedule ${schedule._id}`);
+  schedule.status = 'cancelled';
+  schedule.isActive = false;
+  await schedule.save();
+  return false;
+};
+
+/**
+ * Apply one schedule when it is due (used by the delayed menu-schedule job).
+ * Cancelled or already applied schedules are skipped.
+ * @param {string} scheduleId
+ * @param {Date} now
+ * @returns {Promise<{applied: boolean, scheduledDateTime?: Date}>} scheduledDateTime
+ * is set when the schedule is still pending but not yet due
+ */
+export const applyScheduledAvailability = async (scheduleId, now = new Date()) => {
+  const schedule = await MenuItemSchedule.findById(scheduleId);
+  if (!schedule || schedule.status !== 'pending' || !schedule.isActive) {
+    return { applied: false };
+  }
+  if (schedule.scheduledDateTime > now) {
+    return { applied: false, scheduledDateTime: schedule.scheduledDateTime };
+  }
+
+  return { applied: await applySchedule(schedule) };
+};
 
 /**
  * Process scheduled menu item availability
- * This function should be called periodically (e.g., every minute via cron job)
+ * Called every minute via cron when the job queue is unavailable, and as a
+ * periodic sweep behind the per-schedule jobs otherwise
  */
 export const processScheduledAvailability = async () => {
   try {
@@ -25,56 +113,9 @@ export const processScheduledAvailability = async () => {
 
     for (const schedule of dueSchedules) {
       try {
-        const menu = await Menu.findById(schedule.menuId);
-        if (!menu) {
-          console.error(`Menu not found for schedule ${schedule._id}`);
-          schedule.status = 'cancelled';
-          schedule.isActive = false;
-          await schedule.save();
-          errorCount++;
-          continue;
-        }
-
-        // Update menu item to available
-        let itemFound = false;
-        for (const section of menu.sections) {
-          if (section.id === schedule.sectionId) {
-            // Check in items
-            if (section.items && Array.isArray(section.items)) {
-              section.items.forEach(item => {
-                if (item.id === schedule.itemId) {
-                  item.isAvailable = true;
-                  itemFound = true;
-                }
-              });
-            }
-            // Check in subsections
-            if (section.subsections && Array.isArray(section.subsections)) {
-              section.subsections.forEach(subsection => {
-                if (subsection.items && Array.isArray(subsection.items)) {
-                  subsection.items.forEach(item => {
-                    if (item.id === schedule.itemId) {
-                      item.isAvailable = true;
-                      itemFound = true;
-                    }
-                  });
-                }
-              });
-            }
-          }
-        }
-
-        if (itemFound) {
-          await menu.save();
-          schedule.status = 'completed';
-          schedule.isActive = false;
-          await schedule.save();
+        if (await applySchedule(schedule)) {
           processedCount++;
         } else {
-          console.error(`Item not found for schedule ${schedule._id}`);
-          schedule.status = 'cancelled';
-          schedule.isActive = false;
-          await schedule.save();
           errorCount++;
         }
       } catch (error) {
@@ -97,3 +138,63 @@ export const processScheduledAvailability = async () => {
     throw error;
   }
 };
+
+/**
+ * Queue the availability toggle of a schedule for its scheduled time.
+ * No-op without the job queue (the polling cron covers it). Never throws.
+ * @param {Object} schedule - MenuItemSchedule document
+ */
+export const scheduleMenuAvailabilityJob = async (schedule) => {
+  if (!schedule?.scheduledDateTime) {
+    return null;
+  }
+  try {
+    return await addUniqueJob(
+      JOB_QUEUES.MENU_SCHEDULE,
+      'due',
+      schedule._id.toString(),
+      { scheduleId: schedule._id.toString() },
+      { delay: Math.max(0, new Date(schedule.scheduledDateTime).getTime() - Date.now()) }
+    );
+  } catch (error) {
+    console.error(`Error queueing menu schedule ${schedule._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Drop the queued toggle of a cancelled schedule. The processor skips
+ * cancelled schedules anyway; this keeps the delayed list accurate.
+ * @param {string} scheduleId
+ */
+export const removeMenuAvailabilityJob = async (scheduleId) => {
+  try {
+    return await removeJob(JOB_QUEUES.MENU_SCHEDULE, scheduleId.toString());
+  } catch (error) {
+    console.error(`Error removing menu schedule job ${scheduleId}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Attach the menu schedule processor and its sweep
+ */
+export const registerMenuScheduleJobProcessors = async () => {
+  const queue = getQueue(JOB_QUEUES.MENU_SCHEDULE);
+  if (!queue) {
+    return false;
+  }
+
+  queue.process('due', async (job) => {
+    const result = await applyScheduledAvailability(job.data.scheduleId);
+    if (result.scheduledDateTime) {
+      // Fired early (clock skew); fail so the retry backoff waits it out
+      throw new Error('Job ran before its due time');
+    }
+    return result;
+  });
+  queue.process('sweep', () => processScheduledAvailability());
+
+  await addRepeatableJob(JOB_QUEUES.MENU_SCHEDULE, 'sweep', '*/5 * * * *');
+  return true;
+};
@@ -0,0 +1,703 @@
+import ExcelJS from "exceljs";
+import Restaurant from "../models/Restaurant.js";
+import Menu from "../models/Menu.js";
+import Zone from "../../admin/models/Zone.js";
+import RestaurantCommission from "../../admin/models/RestaurantCommission.js";
+import { normalizePhoneNumber } from "../../../shared/utils/phoneUtils.js";
+
+/**
+ * Bulk restaurant import and export
+ *
+ * The workbook has a "Restaurants" sheet with one row per restaurant, keyed
+ * by owner phone (also the restaurant's OTP login), and a "Menu" sheet with
+ * one row per item linked to its restaurant by the same phone. A restaurant
+ * is imported only when its row and all of its menu rows are valid; other
+ * rows are reported and skipped, so a fixed file can be uploaded again.
+ */
+
+export const MAX_IMPORT_ROWS = 500;
+
+const RESTAURANT_SHEET = "Restaurants";
+const MENU_SHEET = "Menu";
+
+const RESTAURANT_COLUMNS = [
+  { key: "name", header: "Restaurant Name", width: 28, required: true },
+  { key: "ownerName", header: "Owner Name", width: 22, required: true },
+  { key: "ownerPhone", header: "Owner Phone", width: 16, required: true },
+  { key: "ownerEmail", header: "Owner Email", width: 28 },
+  { key: "address", header: "Address", width: 40, required: true },
+  { key: "city", header: "City", width: 16 },
+  { key: "state", header: "State", width: 16 },
+  { key: "pincode", header: "Pincode", width: 10 },
+  { key: "latitude", header: "Latitude", width: 12, required: true },
+  { key: "longitude", header: "Longitude", width: 12, required: true },
+  { key: "zone", header: "Zone", width: 20, required: true },
+  { key: "cuisines", header: "Cuisines", width: 28 },
+  { key: "commissionType", header: "Commission Type", width: 16 },
+  { key: "commissionValue", header: "Commission Value", width: 16 },
+  { key: "openingTime", header: "Opening Time", width: 12 },
+  { key: "closingTime", header: "Closing Time", width: 12 },
+];
+
+const MENU_COLUMNS = [
+  { key: "ownerPhone", header: "Owner Phone", width: 16, required: true },
+  { key: "section", header: "Section", width: 20, required: true },
+  { key: "name", header: "Item Name", width: 28, required: true },
+  { key: "price", header: "Price", width: 10, required: true },
+  { key: "foodType", header: "Food Type", width: 10 },
+  { key: "description", header: "Description", width: 40 },
+  { key: "isAvailable", header: "Available", width: 10 },
+  { key: "image", header: "Image URL", width: 40 },
+];
+
+// Appended to exported sheets for reference; ignored on import
+const EXPORT_ONLY_COLUMNS = [
+  { key: "restaurantId", header: "Restaurant ID", width: 24 },
+  { key: "status", header: "Status", width: 10 },
+];
+
+const INSTRUCTIONS = [
+  "One row per restaurant on the Restaurants sheet. Columns marked * are required.",
+  "Owner Phone is the restaurant's login (OTP) and links menu rows to their restaurant. It must not belong to an existing restaurant.",
+  "Latitude and Longitude are decimal degrees and must fall inside the named Zone (zone name or ID).",
+  "Cuisines are separated by commas. Opening and Closing Time use 24-hour HH:mm.",
+  "Commission Type is percentage or amount; leave both commission columns empty to use the platform default.",
+  "One row per dish on the Menu sheet. Food Type is Veg or Non-Veg (default Veg); Available is Yes or No (default Yes).",
+  `Upload .xlsx files with up to ${MAX_IMPORT_ROWS} restaurants. Run a dry run first to see row errors without creating anything.`,
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const COMMISSION_TYPES = ["percentage", "amount"];
+
+const bulkError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Plain text of an ExcelJS cell value (rich text, hyperlinks, formulas, dates)
+ * @param {*} value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    // Time-only cells come back as dates on 1899-12-30 (UTC)
+    return value.getUTCFullYear() < 1900
+      ? value.toISOString().slice(11, 16)
+      : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("").trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+const headerKey = (text) => text.replace(/\*/g, "").trim().toLowerCase();
+
+/**
+ * Rows of a sheet as objects keyed by column key, with their sheet row number.
+ * Blank rows are skipped.
+ */
+const readSheet = (worksheet, columns) => {
+  const byHeader = new Map(columns.map((column) => [headerKey(column.header), column.key]));
+  const keys = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    keys[colNumber] = byHeader.get(headerKey(cellText(cell.value)));
+  });
+
+  const missing = columns.filter((column) => column.required && !keys.includes(column.key));
+  if (missing.length > 0) {
+    throw bulkError(
+      400,
+      `${worksheet.name} sheet is missing column(s): ${missing.map((column) => column.header).join(", ")}`,
+    );
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, colNumber) => {
+      if (keys[colNumber]) values[keys[colNumber]] = cellText(cell.value);
+    });
+    if (Object.values(values).some((value) => value !== "")) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+  return rows;
+};
+
+/**
+ * Ray casting against a zone's GeoJSON boundary ([longitude, latitude] pairs)
+ */
+const isInsideBoundary = (boundary, latitude, longitude) => {
+  const ring = boundary?.coordinates?.[0];
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > latitude !== yj > latitude && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const findZone = (zones, value) => {
+  const lower = value.toLowerCase();
+  return zones.find(
+    (zone) =>
+      zone._id.toString() === value ||
+      zone.name?.toLowerCase() === lower ||
+      zone.zoneName?.toLowerCase() === lower,
+  );
+};
+
+const parseNumber = (value) => (value === "" ? NaN : Number(value));
+
+const parseYesNo = (value, fallback) => {
+  if (value === "") return fallback;
+  const lower = value.toLowerCase();
+  if (["yes", "y", "true", "1"].includes(lower)) return true;
+  if (["no", "n", "false", "0"].includes(lower)) return false;
+  return null;
+};
+
+/**
+ * Validate a Restaurants row
+ * @returns {{data: Object, errors: Array<{field: string, message: string}>}}
+ */
+const validateRestaurantRow = (values, zones) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const column of RESTAURANT_COLUMNS) {
+    if (column.required && !values[column.key]) {
+      fail(column.header, `${column.header} is required`);
+    }
+  }
+
+  const ownerPhone = values.ownerPhone ? normalizePhoneNumber(values.ownerPhone) : null;
+  if (values.ownerPhone && !ownerPhone) {
+    fail("Owner Phone", "Invalid phone number");
+  }
+  if (values.ownerEmail && !EMAIL_PATTERN.test(values.ownerEmail)) {
+    fail("Owner Email", "Invalid email address");
+  }
+
+  const latitude = parseNumber(values.latitude ?? "");
+  const longitude = parseNumber(values.longitude ?? "");
+  const validLatitude = latitude >= -90 && latitude <= 90;
+  const validLongitude = longitude >= -180 && longitude <= 180;
+  if (values.latitude && !validLatitude) {
+    fail("Latitude", "Latitude must be a number between -90 and 90");
+  }
+  if (values.longitude && !validLongitude) {
+    fail("Longitude", "Longitude must be a number between -180 and 180");
+  }
+
+  let zone = null;
+  if (values.zone) {
+    zone = findZone(zones, values.zone);
+    if (!zone) {
+      fail("Zone", `No active zone named "${values.zone}"`);
+    } else if (validLatitude && validLongitude && !isInsideBoundary(zone.boundary, latitude, longitude)) {
+      fail("Zone", `Location is outside zone "${zone.name}"`);
+    }
+  }
+
+  let commission = null;
+  if (values.commissionType || values.commissionValue) {
+    const type = (values.commissionType || "").toLowerCase();
+    const value = parseNumber(values.commissionValue ?? "");
+    if (!COMMISSION_TYPES.includes(type)) {
+      fail("Commission Type", "Commission Type must be percentage or amount");
+    } else if (!(value >= 0) || (type === "percentage" && value > 100)) {
+      fail(
+        "Commission Value",
+        type === "percentage"
+          ? "Percentage commission must be between 0 and 100"
+          : "Commission amount must be 0 or more",
+      );
+    } else {
+      commission = { type, value };
+    }
+  }
+
+  for (const [key, header] of [["openingTime", "Opening Time"], ["closingTime", "Closing Time"]]) {
+    if (values[key] && !TIME_PATTERN.test(values[key])) {
+      fail(header, `${header} must be HH:mm (24-hour)`);
+    }
+  }
+
+  return {
+    errors,
+    data: {
+      name: values.name,
+      ownerName: values.ownerName,
+      ownerPhone,
+      ownerEmail: values.ownerEmail ? values.ownerEmail.toLowerCase() : "",
+      location: {
+        latitude,
+        longitude,
+        address: values.address,
+        formattedAddress: [values.address, values.city, values.state, values.pincode].filter(Boolean).join(", "),
+        city: values.city || "",
+        state: values.state || "",
+        pincode: values.pincode || "",
+      },
+      zone,
+      cuisines: (values.cuisines || "")
+        .split(",")
+        .map((cuisine) => cuisine.trim())
+        .filter(Boolean),
+      commission,
+      openingTime: values.openingTime || "09:00",
+      closingTime: values.closingTime || "22:00",
+    },
+  };
+};
+
+/**
+ * Validate a Menu row
+ * @returns {{data: Object, errors: Array<{field: string, message: string}>}}
+ */
+const validateMenuRow = (values) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const column of MENU_COLUMNS) {
+    if (column.required && !values[column.key]) {
+      fail(column.header, `${column.header} is required`);
+    }
+  }
+
+  const ownerPhone = values.ownerPhone ? normalizePhoneNumber(values.ownerPhone) : null;
+  if (values.ownerPhone && !ownerPhone) {
+    fail("Owner Phone", "Invalid phone number");
+  }
+
+  const price = parseNumber(values.price ?? "");
+  if (values.price && !(price > 0)) {
+    fail("Price", "Price must be a number greater than 0");
+  }
+
+  const foodTypes = { veg: "Veg", "non-veg": "Non-Veg", nonveg: "Non-Veg" };
+  const foodType = values.foodType ? foodTypes[values.foodType.toLowerCase()] : "Veg";
+  if (!foodType) {
+    fail("Food Type", "Food Type must be Veg or Non-Veg");
+  }
+
+  const isAvailable = parseYesNo(values.isAvailable || "", true);
+  if (isAvailable === null) {
+    fail("Available", "Available must be Yes or No");
+  }
+
+  if (values.image && !/^https?:\/\//i.test(values.image)) {
+    fail("Image URL", "Image URL must start with http:// or https://");
+  }
+
+  return {
+    errors,
+    data: {
+      ownerPhone,
+      section: values.section,
+      name: values.name,
+      price,
+      foodType,
+      description: values.description || "",
+      isAvailable,
+      image: values.image || "",
+    },
+  };
+};
+
+// Same rule as the Restaurant model's pre-save hook
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+
+/**
+ * Slug not used by an existing restaurant or earlier in this import. Chains
+ * share a name, so the city and then a counter are appended.
+ */
+const claimSlug = (name, city, takenSlugs) => {
+  const base = slugify(name) || "restaurant";
+  const candidates = [base, city ? `${base}-${slugify(city)}` : null].filter(Boolean);
+  let slug = candidates.find((candidate) => !takenSlugs.has(candidate));
+  for (let n = 2; !slug; n++) {
+    if (!takenSlugs.has(`${candidates.at(-1)}-${n}`)) slug = `${candidates.at(-1)}-${n}`;
+  }
+  takenSlugs.add(slug);
+  return slug;
+};
+
+const buildMenuSections = (items, adminId, now) => {
+  const sections = new Map();
+  for (const item of items) {
+    const key = item.section.toLowerCase();
+    if (!sections.has(key)) {
+      sections.set(key, {
+        id: `section-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`,
+        name: item.section,
+        items: [],
+        subsections: [],
+        isEnabled: true,
+        order: sections.size,
+      });
+    }
+    sections.get(key).items.push({
+      id: String(Date.now() + Math.random()),
+      name: item.name,
+      image: item.image,
+      images: item.image ? [item.image] : [],
+      category: item.section,
+      price: item.price,
+      foodType: item.foodType,
+      description: item.description,
+      isAvailable: item.isAvailable,
+      // Added by an admin, so no food approval step
+      approvalStatus: "approved",
+      requestedAt: now,
+      approvedAt: now,
+      approvedBy: adminId,
+    });
+  }
+  return [...sections.values()];
+};
+
+const createRestaurant = async ({ data, menuItems, slug }, adminId, now) => {
+  const restaurant = await Restaurant.create({
+    name: data.name,
+    slug,
+    ownerName: data.ownerName,
+    ownerEmail: data.ownerEmail,
+    ownerPhone: data.ownerPhone,
+    phone: data.ownerPhone,
+    phoneVerified: true,
+    primaryContactNumber: data.ownerPhone,
+    signupMethod: "phone",
+    location: data.location,
+    cuisines: data.cuisines,
+    deliveryTimings: { openingTime: data.openingTime, closingTime: data.closingTime },
+    openDays: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    // Admin created restaurants are active by default
+    isActive: true,
+    isAcceptingOrders: true,
+    approvedAt: now,
+    approvedBy: adminId,
+    onboarding: {
+      step1: {
+        restaurantName: data.name,
+        ownerName: data.ownerName,
+        ownerEmail: data.ownerEmail,
+        ownerPhone: data.ownerPhone,
+        primaryContactNumber: data.ownerPhone,
+        location: data.location,
+      },
+      step2: {
+        cuisines: data.cuisines,
+        deliveryTimings: { openingTime: data.openingTime, closingTime: data.closingTime },
+      },
+      completedSteps: 4,
+    },
+  });
+
+  try {
+    await Menu.create({
+      restaurant: restaurant._id,
+      sections: buildMenuSections(menuItems, adminId, now),
+      isActive: true,
+    });
+
+    if (data.commission) {
+      await RestaurantCommission.create({
+        restaurant: restaurant._id,
+        restaurantName: restaurant.name,
+        restaurantId: restaurant.restaurantId,
+        defaultCommission: data.commission,
+        createdBy: adminId,
+        notes: "Bulk import",
+      });
+    }
+  } catch (error) {
+    // Leave nothing half-imported so the row can simply be uploaded again
+    await Promise.all([
+      Menu.deleteOne({ restaurant: restaurant._id }),
+      RestaurantCommission.deleteOne({ restaurant: restaurant._id }),
+      Restaurant.deleteOne({ _id: restaurant._id }),
+    ]);
+    throw error;
+  }
+
+  return restaurant;
+};
+
+/**
+ * Validate a restaurants workbook and, unless dryRun, create the valid
+ * restaurants with their menus and commission.
+ * @param {Buffer} buffer - .xlsx file contents
+ * @param {{dryRun: boolean, adminId: string}} options
+ * @returns {Promise<{dryRun: boolean, summary: Object, restaurants: Array, errors: Array}>}
+ */
+export async function importRestaurantsWorkbook(buffer, { dryRun, adminId }) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw bulkError(400, "Could not read the file. Upload an .xlsx workbook (save .xls files as .xlsx first).");
+  }
+
+  const restaurantSheet = workbook.getWorksheet(RESTAURANT_SHEET);
+  if (!restaurantSheet) {
+    throw bulkError(400, `The workbook has no "${RESTAURANT_SHEET}" sheet. Start from the template.`);
+  }
+  const menuSheet = workbook.getWorksheet(MENU_SHEET);
+
+  const restaurantRows = readSheet(restaurantSheet, RESTAURANT_COLUMNS);
+  const menuRows = menuSheet ? readSheet(menuSheet, MENU_COLUMNS) : [];
+  if (restaurantRows.length === 0) {
+    throw bulkError(400, `The "${RESTAURANT_SHEET}" sheet has no rows`);
+  }
+  if (restaurantRows.length > MAX_IMPORT_ROWS) {
+    throw bulkError(400, `At most ${MAX_IMPORT_ROWS} restaurants can be imported at once`);
+  }
+
+  const zones = await Zone.find({ isActive: true }).select("name zoneName boundary").lean();
+  const errors = [];
+  const report = (sheet, row, rowErrors) => {
+    for (const error of rowErrors) errors.push({ sheet, row, ...error });
+  };
+
+  // Restaurants
+  const entries = restaurantRows.map(({ row, values }) => {
+    const { data, errors: rowErrors } = validateRestaurantRow(values, zones);
+    return { row, data, rowErrors, menuItems: [], menuErrors: false };
+  });
+
+  const phones = entries.map((entry) => entry.data.ownerPhone).filter(Boolean);
+  const existing = await Restaurant.find({
+    $or: [{ phone: { $in: phones } }, { ownerPhone: { $in: phones } }],
+  })
+    .select("phone ownerPhone")
+    .lean();
+  const existingPhones = new Set(existing.flatMap((restaurant) => [restaurant.phone, restaurant.ownerPhone]));
+
+  const byPhone = new Map();
+  for (const entry of entries) {
+    const phone = entry.data.ownerPhone;
+    if (!phone) continue;
+    if (existingPhones.has(phone)) {
+      entry.rowErrors.push({ field: "Owner Phone", message: "A restaurant with this phone already exists" });
+    } else if (byPhone.has(phone)) {
+      entry.rowErrors.push({
+        field: "Owner Phone",
+        message: `Same phone as row ${byPhone.get(phone).row}`,
+      });
+    } else {
+      byPhone.set(phone, entry);
+    }
+  }
+
+  // Menu items
+  for (const { row, values } of menuRows) {
+    const { data, errors: rowErrors } = validateMenuRow(values);
+    const entry = data.ownerPhone ? byPhone.get(data.ownerPhone) : null;
+    if (data.ownerPhone && !entry) {
+      rowErrors.push({ field: "Owner Phone", message: "No restaurant with this phone on the Restaurants sheet" });
+    }
+    if (rowErrors.length > 0) {
+      report(MENU_SHEET, row, rowErrors);
+      if (entry) entry.menuErrors = true;
+      continue;
+    }
+    entry.menuItems.push(data);
+  }
+
+  for (const entry of entries) {
+    if (entry.menuErrors) {
+      entry.rowErrors.push({ field: "Menu", message: "Some of this restaurant's menu rows have errors" });
+    }
+    report(RESTAURANT_SHEET, entry.row, entry.rowErrors);
+  }
+
+  const isValid = (entry) => entry.rowErrors.length === 0;
+  const restaurants = entries.map((entry) => ({
+    row: entry.row,
+    name: entry.data.name,
+    ownerPhone: entry.data.ownerPhone,
+    zone: entry.data.zone?.name || null,
+    menuItems: entry.menuItems.length,
+    status: isValid(entry) ? "valid" : "invalid",
+  }));
+
+  if (!dryRun) {
+    const validEntries = entries.filter(isValid);
+    // Slugs only contain [a-z0-9-], so they are safe as regex prefixes
+    const slugPrefixes = [...new Set(validEntries.map((entry) => slugify(entry.data.name) || "restaurant"))];
+    const takenSlugs = new Set(
+      slugPrefixes.length > 0
+        ? (
+            await Restaurant.find({ slug: { $in: slugPrefixes.map((prefix) => new RegExp(`^${prefix}`)) } })
+              .select("slug")
+              .lean()
+          ).map((restaurant) => restaurant.slug)
+        : [],
+    );
+    const now = new Date();
+
+    for (const entry of validEntries) {
+      const result = restaurants.find((restaurant) => restaurant.row === entry.row);
+      try {
+        const slug = claimSlug(entry.data.name, entry.data.location.city, takenSlugs);
+        const restaurant = await createRestaurant({ ...entry, slug }, adminId, now);
+        result.status = "created";
+        result.id = restaurant._id;
+        result.restaurantId = restaurant.restaurantId;
+      } catch (error) {
+        console.error(`❌ Bulk import failed for row ${entry.row}:`, error.message);
+        result.status = "failed";
+        report(RESTAURANT_SHEET, entry.row, [
+          {
+            field: error.code === 11000 ? Object.keys(error.keyPattern || {})[0] || "" : "",
+            message: error.code === 11000 ? "Restaurant already exists" : error.message,
+          },
+        ]);
+      }
+    }
+  }
+
+  const count = (status) => restaurants.filter((restaurant) => restaurant.status === status).length;
+  return {
+    dryRun,
+    summary: {
+      restaurants: restaurants.length,
+      menuItems: menuRows.length,
+      valid: count("valid") + count("created") + count("failed"),
+      invalid: count("invalid"),
+      created: count("created"),
+      failed: count("failed"),
+    },
+    restaurants,
+    errors: errors.sort((a, b) => a.sheet.localeCompare(b.sheet) || a.row - b.row),
+  };
+}
+
+const addSheet = (workbook, name, columns) => {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns.map((column) => ({
+    key: column.key,
+    header: column.required ? `${column.header} *` : column.header,
+    width: column.width,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  return sheet;
+};
+
+const menuRowsFor = (menu, ownerPhone) =>
+  (menu?.sections || []).flatMap((section) =>
+    [...(section.items || []), ...(section.subsections || []).flatMap((sub) => sub.items || [])].map((item) => ({
+      ownerPhone,
+      section: section.name,
+      name: item.name,
+      price: item.price,
+      foodType: item.foodType,
+      description: item.description || "",
+      isAvailable: item.isAvailable === false ? "No" : "Yes",
+      image: item.image || "",
+    })),
+  );
+
+/**
+ * Restaurants workbook in the import format: empty (the template) or with
+ * every restaurant, its menu and commission.
+ * @param {{withData: boolean}} options
+ * @returns {Promise<{buffer: Buffer, filename: string}>}
+ */
+export async function buildRestaurantsWorkbook({ withData }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const restaurantSheet = addSheet(
+    workbook,
+    RESTAURANT_SHEET,
+    withData ? [...RESTAURANT_COLUMNS, ...EXPORT_ONLY_COLUMNS] : RESTAURANT_COLUMNS,
+  );
+  const menuSheet = addSheet(workbook, MENU_SHEET, MENU_COLUMNS);
+
+  const instructionsSheet = workbook.addWorksheet("Instructions");
+  instructionsSheet.getColumn(1).width = 120;
+  INSTRUCTIONS.forEach((line) => instructionsSheet.addRow([line]));
+
+  if (withData) {
+    const [restaurants, zones, menus, commissions] = await Promise.all([
+      Restaurant.find({})
+        .select("name restaurantId ownerName ownerPhone ownerEmail phone location cuisines deliveryTimings isActive")
+        .sort({ createdAt: 1 })
+        .lean(),
+      Zone.find({ isActive: true }).select("name boundary").lean(),
+      Menu.find({}).select("restaurant sections").lean(),
+      RestaurantCommission.find({}).select("restaurant defaultCommission").lean(),
+    ]);
+    const menuByRestaurant = new Map(menus.map((menu) => [menu.restaurant.toString(), menu]));
+    const commissionByRestaurant = new Map(
+      commissions.map((commission) => [commission.restaurant.toString(), commission.defaultCommission]),
+    );
+
+    for (const restaurant of restaurants) {
+      const { latitude, longitude } = restaurant.location || {};
+      const zone =
+        latitude != null && longitude != null
+          ? zones.find((candidate) => isInsideBoundary(candidate.boundary, latitude, longitude))
+          : null;
+      const commission = commissionByRestaurant.get(restaurant._id.toString());
+      const ownerPhone = restaurant.ownerPhone || restaurant.phone || "";
+
+      restaurantSheet.addRow({
+        name: restaurant.name,
+        ownerName: restaurant.ownerName,
+        ownerPhone,
+        ownerEmail: restaurant.ownerEmail || "",
+        address: restaurant.location?.address || restaurant.location?.formattedAddress || "",
+        city: restaurant.location?.city || "",
+        state: restaurant.location?.state || "",
+        pincode: restaurant.location?.pincode || restaurant.location?.zipCode || "",
+        latitude: latitude ?? "",
+        longitude: longitude ?? "",
+        zone: zone?.name || "",
+        cuisines: (restaurant.cuisines || []).join(", "),
+        commissionType: commission?.type || "",
+        commissionValue: commission?.value ?? "",
+        openingTime: restaurant.deliveryTimings?.openingTime || "",
+        closingTime: restaurant.deliveryTimings?.closingTime || "",
+        restaurantId: restaurant.restaurantId,
+        status: restaurant.isActive ? "Active" : "Inactive",
+      });
+      menuSheet.addRows(menuRowsFor(menuByRestaurant.get(restaurant._id.toString()), ownerPhone));
+    }
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    buffer: Buffer.from(buffer),
+    filename: withData ? `restaurants-${date}.xlsx` : "restaurants-import-template.xlsx",
+  };
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  importRestaurantsWorkbook,
+  buildRestaurantsWorkbook,
+};
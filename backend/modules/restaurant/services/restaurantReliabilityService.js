@@ -0,0 +1,138 @@
+import Restaurant from "../models/Restaurant.js";
+
+/**
+ * Restaurant reliability scoring
+ *
+ * Every accepted or missed (auto-rejected) order moves the restaurant's
+ * reliabilityScore towards 100 or 0. After autoPauseAfterMisses misses in a
+ * row the restaurant stops receiving orders (isAcceptingOrders = false) until
+ * it switches itself back online.
+ */
+
+// Weight of the latest order in the moving average
+const SCORE_WEIGHT = 0.1;
+
+const increment = (field) => ({
+  $add: [{ $ifNull: [`$acceptanceStats.${field}`, 0] }, 1],
+});
+
+const movedScore = (outcome) => ({
+  $round: [
+    {
+      $add: [
+        {
+          $multiply: [
+            { $ifNull: ["$acceptanceStats.reliabilityScore", 100] },
+            1 - SCORE_WEIGHT,
+          ],
+        },
+        outcome * SCORE_WEIGHT,
+      ],
+    },
+    1,
+  ],
+});
+
+/**
+ * Record an order the restaurant accepted. Never throws.
+ * @param {string} restaurantId - Restaurant MongoDB _id
+ */
+export async function recordAcceptedOrder(restaurantId) {
+  try {
+    await Restaurant.updateOne({ _id: restaurantId }, [
+      {
+        $set: {
+          "acceptanceStats.reliabilityScore": movedScore(100),
+          "acceptanceStats.acceptedOrders": increment("acceptedOrders"),
+          "acceptanceStats.consecutiveMisses": 0,
+        },
+      },
+    ]);
+  } catch (error) {
+    console.error(`❌ Error recording accepted order for restaurant ${restaurantId}:`, error.message);
+  }
+}
+
+/**
+ * Record an order the restaurant let run out, and pause the restaurant once
+ * it has missed too many in a row. Never throws.
+ * @param {string} restaurantId - Restaurant MongoDB _id
+ * @param {{autoPauseEnabled: boolean, autoPauseAfterMisses: number}} settings
+ * @param {Date} now
+ * @returns {Promise<{paused: boolean}>}
+ */
+export async function recordMissedOrder(restaurantId, settings, now = new Date()) {
+  try {
+    const restaurant = await Restaurant.findOneAndUpdate(
+      { _id: restaurantId },
+      [
+        {
+          $set: {
+            "acceptanceStats.reliabilityScore": movedScore(0),
+            "acceptanceStats.missedOrders": increment("missedOrders"),
+            "acceptanceStats.consecutiveMisses": increment("consecutiveMisses"),
+            "acceptanceStats.lastMissedAt": now,
+          },
+        },
+      ],
+      { new: true },
+    )
+      .select("name isAcceptingOrders acceptanceStats")
+      .lean();
+
+    if (
+      !restaurant ||
+      !settings.autoPauseEnabled ||
+      restaurant.acceptanceStats.consecutiveMisses < settings.autoPauseAfterMisses
+    ) {
+      return { paused: false };
+    }
+
+    // Conditional so only one of several concurrent misses pauses and notifies
+    const paused = await Restaurant.findOneAndUpdate(
+      { _id: restaurantId, isAcceptingOrders: true },
+      { isAcceptingOrders: false, "acceptanceStats.autoPausedAt": now },
+      { new: true },
+    )
+      .select("_id")
+      .lean();
+    if (!paused) {
+      return { paused: false };
+    }
+
+    const misses = restaurant.acceptanceStats.consecutiveMisses;
+    console.log(`⏸️ Restaurant ${restaurant.name} paused after ${misses} missed orders in a row`);
+
+    try {
+      const { sendLocalizedPushNotification, notifyAllAdmins } = await import(
+        "../../fcm/services/pushNotificationService.js"
+      );
+      await sendLocalizedPushNotification(
+        restaurantId.toString(),
+        "restaurant",
+        "restaurant_auto_paused",
+        { misses },
+        {
+          type: "restaurant_auto_paused",
+          tag: `restaurant_auto_paused_${restaurantId}`,
+        },
+      );
+      await notifyAllAdmins({
+        title: "Restaurant auto-paused",
+        body: `${restaurant.name} missed ${misses} orders in a row and stopped receiving orders (reliability ${restaurant.acceptanceStats.reliabilityScore}).`,
+        data: {
+          type: "restaurant_auto_paused",
+          restaurantId: restaurantId.toString(),
+          tag: `restaurant_auto_paused_${restaurantId}`,
+        },
+      });
+    } catch (notifError) {
+      console.error("❌ Error sending auto-pause notifications:", notifError.message);
+    }
+
+    return { paused: true };
+  } catch (error) {
+    console.error(`❌ Error recording missed order for restaurant ${restaurantId}:`, error.message);
+    return { paused: false };
+  }
+}
@@ -0,0 +1,118 @@
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import {
+  searchCatalog,
+  getSearchSuggestions,
+  getPopularSearches,
+  recordSearch
+} from '../services/searchService.js';
+import { syncSearchIndex } from '../services/searchIndexService.js';
+
+/**
+ * Veg filter: explicit ?veg=true, otherwise the logged-in user's veg mode
+ */
+const resolveVegFilter = (req) => {
+  if (req.query.veg !== undefined) {
+    return req.query.veg === 'true';
+  }
+  return req.user?.preferences?.vegMode === true;
+};
+
+const handleSearchError = (res, error) => {
+  if (error.statusCode) {
+    return errorResponse(res, error.statusCode, error.message);
+  }
+  throw error;
+};
+
+/**
+ * Search restaurants and dishes
+ * GET /api/search
+ *
+ * Query params:
+ * - q: search text (required)
+ * - type: restaurant | dish (default both)
+ * - veg: true | false (defaults to the user's veg mode when logged in)
+ * - latitude, longitude, maxDistance (km, default 5): only nearby results
+ * - zoneId: only results inside the zone (coordinates then only rank by
+ *   distance unless maxDistance is given)
+ * - limit: results per list (default 20, max 50)
+ */
+export const search = asyncHandler(async (req, res) => {
+  const { q, type, latitude, longitude, maxDistance, zoneId, limit } = req.query;
+
+  if (type && !['restaurant', 'dish'].includes(type)) {
+    return errorResponse(res, 400, 'type must be one of: restaurant, dish');
+  }
+
+  let results;
+  try {
+    results = await searchCatalog({
+      q,
+      type,
+      veg: resolveVegFilter(req),
+      latitude,
+      longitude,
+      maxDistance,
+      zoneId,
+      limit
+    });
+  } catch (error) {
+    return handleSearchError(res, error);
+  }
+
+  recordSearch(results.query, { zoneId, resultCount: results.total });
+
+  return successResponse(res, 200, 'Search results retrieved successfully', results);
+});
+
+/**
+ * Autocomplete suggestions while typing
+ * GET /api/search/suggest
+ *
+ * Query params: q, veg, latitude, longitude, maxDistance, zoneId, limit (default 8)
+ */
+export const suggest = asyncHandler(async (req, res) => {
+  const { q, latitude, longitude, maxDistance, zoneId, limit } = req.query;
+
+  let suggestions;
+  try {
+    suggestions = await getSearchSuggestions({
+      q,
+      veg: resolveVegFilter(req),
+      latitude,
+      longitude,
+      maxDistance,
+      zoneId,
+      limit
+    });
+  } catch (error) {
+    return handleSearchError(res, error);
+  }
+
+  return successResponse(res, 200, 'Suggestions retrieved successfully', { suggestions });
+});
+
+/**
+ * Most searched queries
+ * GET /api/search/popular
+ *
+ * Query params: zoneId, days (default 7), limit (default 10)
+ */
+export const popular = asyncHandler(async (req, res) => {
+  const { zoneId, days, limit } = req.query;
+  const searches = await getPopularSearches({ zoneId, days, limit });
+
+  return successResponse(res, 200, 'Popular searches retrieved successfully', { searches });
+});
+
+/**
+ * Rebuild the search index
+ * POST /api/search/index/rebuild
+ * Body: { full } - true reindexes every restaurant, otherwise only changed ones
+ */
+export const rebuildIndex = asyncHandler(async (req, res) => {
+  const result = await syncSearchIndex({ full: req.body?.full === true });
+
+  return successResponse(res, 200, result.message, result);
+});
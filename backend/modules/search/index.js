@@ -0,0 +1,8 @@
+import express from 'express';
+import searchRoutes from './routes/searchRoutes.js';
+
+const router = express.Router();
+
+router.use('/', searchRoutes);
+
+export default router;
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+/**
+ * Denormalised search entry for a restaurant or one of its menu items.
+ * Rebuilt from Restaurant + Menu by the search indexer - never edited by hand.
+ */
+const searchDocumentSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['restaurant', 'dish'],
+      required: true
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true
+    },
+    // Menu item id for dishes, null for the restaurant entry
+    itemId: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    cuisines: {
+      type: [String],
+      default: []
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    sectionName: {
+      type: String,
+      default: ''
+    },
+    // Normalised words per field, used for ranking
+    nameTerms: {
+      type: [String],
+      default: []
+    },
+    keywordTerms: {
+      type: [String],
+      default: []
+    },
+    descriptionTerms: {
+      type: [String],
+      default: []
+    },
+    // All terms, used to find candidates
+    terms: {
+      type: [String],
+      default: []
+    },
+    // Trigrams of name and keyword terms, used to find misspelt candidates
+    grams: {
+      type: [String],
+      default: []
+    },
+    foodType: {
+      type: String,
+      enum: ['Veg', 'Non-Veg', null],
+      default: null
+    },
+    // Restaurant entries: number of orderable veg dishes
+    vegItemCount: {
+      type: Number,
+      default: 0
+    },
+    isPureVeg: {
+      type: Boolean,
+      default: false
+    },
+    price: {
+      type: Number,
+      default: null
+    },
+    image: {
+      type: String,
+      default: ''
+    },
+    isAvailable: {
+      type: Boolean,
+      default: true
+    },
+    isAcceptingOrders: {
+      type: Boolean,
+      default: true
+    },
+    // Restaurant details repeated on dish entries so results need no join
+    restaurantInfo: {
+      restaurantId: String,
+      slug: String,
+      name: String,
+      image: String,
+      rating: Number,
+      totalRatings: Number,
+      estimatedDeliveryTime: String,
+      offer: String
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    indexedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+searchDocumentSchema.index({ restaurant: 1, kind: 1, itemId: 1 }, { unique: true });
+searchDocumentSchema.index({ terms: 1 });
+searchDocumentSchema.index({ grams: 1 });
+searchDocumentSchema.index({ location: '2dsphere' });
+
+export default mongoose.model('SearchDocument', searchDocumentSchema);
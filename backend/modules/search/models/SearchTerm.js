@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Daily count of a normalised search query, per zone.
+ * Feeds popular searches and autocomplete.
+ */
+const searchTermSchema = new mongoose.Schema(
+  {
+    term: {
+      type: String,
+      required: true
+    },
+    // Last raw spelling, shown to users
+    display: {
+      type: String,
+      required: true
+    },
+    // Calendar day, YYYY-MM-DD (UTC)
+    date: {
+      type: String,
+      required: true
+    },
+    zoneId: {
+      type: String,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+searchTermSchema.index({ term: 1, date: 1, zoneId: 1 }, { unique: true });
+searchTermSchema.index({ date: 1, zoneId: 1 });
+
+export default mongoose.model('SearchTerm', searchTermSchema);
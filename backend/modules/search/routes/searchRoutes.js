@@ -0,0 +1,16 @@
+import express from 'express';
+import { optionalAuthenticate } from '../../auth/middleware/auth.js';
+import { authenticateAdmin, requireAdminPermission } from '../../admin/middleware/adminAuth.js';
+import { search, suggest, popular, rebuildIndex } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Public (veg mode comes from the user when logged in)
+router.get('/', optionalAuthenticate, search);
+router.get('/suggest', optionalAuthenticate, suggest);
+router.get('/popular', popular);
+
+// Admin
+router.post('/index/rebuild', authenticateAdmin, requireAdminPermission('restaurant_manage'), rebuildIndex);
+
+export default router;
@@ -0,0 +1,314 @@
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import Menu from '../../restaurant/models/Menu.js';
+import SearchDocument from '../models/SearchDocument.js';
+
+const STOP_WORDS = new Set(['and', 'the', 'with', 'of', 'in', 'a', 'an', 'for', 'n']);
+
+// Coalesces bursts of menu/restaurant saves into one reindex per restaurant
+const REINDEX_DEBOUNCE_MS = 2000;
+const pendingReindex = new Map();
+
+/**
+ * Reduce plural forms so "pizzas" finds "pizza" and "momos" finds "momo"
+ * @param {string} word
+ * @returns {string}
+ */
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Lowercase, strip accents and punctuation, drop stop words and stem
+ * @param {string|Array<string>} text
+ * @returns {Array<string>} Unique terms in order of appearance
+ */
+export const tokenize = (text) => {
+  const source = Array.isArray(text) ? text.join(' ') : String(text || '');
+  const words = source
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem);
+  return [...new Set(words)];
+};
+
+/**
+ * Trigrams of a term padded with word boundaries ("dal" -> "_da", "dal", "al_")
+ * @param {string} term
+ * @returns {Array<string>}
+ */
+export const termGrams = (term) => {
+  const padded = `_${term}_`;
+  const grams = [];
+  for (let i = 0; i <= padded.length - 3; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Unique trigrams of several terms
+ * @param {Array<string>} terms
+ * @returns {Array<string>}
+ */
+export const buildGrams = (terms) => [...new Set(terms.flatMap(termGrams))];
+
+/**
+ * Edit distance between two words, giving up once it exceeds max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} Distance, or max + 1 when further apart than max
+ */
+export const levenshtein = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const isOrderableItem = (item) =>
+  item.isAvailable !== false && (item.approvalStatus === 'approved' || !item.approvalStatus);
+
+const toGeoPoint = (location) => {
+  const coordinates = location?.geoLocation?.coordinates
+    || (location?.longitude != null && location?.latitude != null ? [location.longitude, location.latitude] : null);
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  const [lng, lat] = coordinates.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || (lng === 0 && lat === 0)) return null;
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+const withTerms = (doc, { name, keywords, description }) => {
+  const nameTerms = tokenize(name);
+  const keywordTerms = tokenize(keywords).filter((term) => !nameTerms.includes(term));
+  const descriptionTerms = tokenize(description)
+    .filter((term) => !nameTerms.includes(term) && !keywordTerms.includes(term))
+    .slice(0, 40);
+  return {
+    ...doc,
+    nameTerms,
+    keywordTerms,
+    descriptionTerms,
+    terms: [...nameTerms, ...keywordTerms, ...descriptionTerms],
+    grams: buildGrams([...nameTerms, ...keywordTerms])
+  };
+};
+
+/**
+ * Build the search entries of one restaurant: the restaurant itself and every
+ * dish a user could see on its public menu
+ * @param {Object} restaurant - Lean restaurant
+ * @param {Object|null} menu - Lean menu
+ * @returns {Array<Object>} Search document payloads
+ */
+export const buildRestaurantDocuments = (restaurant, menu) => {
+  const name = restaurant.onboarding?.step1?.restaurantName || restaurant.name;
+  const image = restaurant.profileImage?.url
+    || restaurant.onboarding?.step2?.profileImageUrl?.url
+    || restaurant.menuImages?.[0]?.url
+    || '';
+  const location = toGeoPoint(restaurant.location);
+  const restaurantInfo = {
+    restaurantId: restaurant.restaurantId,
+    slug: restaurant.slug,
+    name,
+    image,
+    rating: restaurant.rating || 0,
+    totalRatings: restaurant.totalRatings || 0,
+    estimatedDeliveryTime: restaurant.estimatedDeliveryTime,
+    offer: restaurant.offer
+  };
+  const shared = {
+    restaurant: restaurant._id,
+    restaurantInfo,
+    isAcceptingOrders: restaurant.isAcceptingOrders !== false,
+    location
+  };
+
+  const dishes = [];
+  const sectionNames = [];
+  for (const section of menu?.isActive === false ? [] : (menu?.sections || [])) {
+    if (section.isEnabled === false) continue;
+    sectionNames.push(section.name);
+
+    const groups = [
+      { names: [section.name], items: section.items || [] },
+      ...(section.subsections || []).map((subsection) => ({
+        names: [section.name, subsection.name],
+        items: subsection.items || []
+      }))
+    ];
+
+    for (const group of groups) {
+      for (const item of group.items) {
+        if (item.approvalStatus && item.approvalStatus !== 'approved') continue;
+        dishes.push(withTerms({
+          ...shared,
+          kind: 'dish',
+          itemId: item.id,
+          name: item.name,
+          description: item.description || '',
+          tags: item.tags || [],
+          sectionName: group.names.join(' / '),
+          foodType: item.foodType || null,
+          price: item.price,
+          image: item.image || item.images?.[0] || '',
+          isAvailable: isOrderableItem(item)
+        }, {
+          name: item.name,
+          keywords: [...group.names, item.category, item.subCategory, ...(item.tags || [])].filter(Boolean),
+          description: item.description
+        }));
+      }
+    }
+  }
+
+  const orderable = dishes.filter((dish) => dish.isAvailable);
+  const vegItemCount = orderable.filter((dish) => dish.foodType === 'Veg').length;
+
+  const restaurantDocument = withTerms({
+    ...shared,
+    kind: 'restaurant',
+    itemId: null,
+    name,
+    description: restaurant.featuredDish || '',
+    cuisines: restaurant.cuisines || [],
+    image,
+    vegItemCount,
+    isPureVeg: orderable.length > 0 && vegItemCount === orderable.length,
+    isAvailable: true
+  }, {
+    name,
+    keywords: [...(restaurant.cuisines || []), ...sectionNames],
+    description: restaurant.featuredDish
+  });
+
+  return [restaurantDocument, ...dishes];
+};
+
+/**
+ * Rebuild the search entries of one restaurant. Inactive or deleted
+ * restaurants are removed from the index.
+ * @param {string} restaurantId - Restaurant MongoDB _id
+ * @returns {Promise<{indexed: number, removed: number}>}
+ */
+export const indexRestaurant = async (restaurantId) => {
+  const startedAt = new Date();
+  const restaurant = await Restaurant.findById(restaurantId).lean();
+
+  if (!restaurant || restaurant.isActive === false) {
+    const { deletedCount } = await SearchDocument.deleteMany({ restaurant: restaurantId });
+    return { indexed: 0, removed: deletedCount };
+  }
+
+  const menu = await Menu.findOne({ restaurant: restaurant._id }).lean();
+  const documents = buildRestaurantDocuments(restaurant, menu);
+
+  await SearchDocument.bulkWrite(
+    documents.map(({ location, ...doc }) => ({
+      updateOne: {
+        filter: { restaurant: doc.restaurant, kind: doc.kind, itemId: doc.itemId },
+        update: location
+          ? { $set: { ...doc, location, indexedAt: startedAt } }
+          : { $set: { ...doc, indexedAt: startedAt }, $unset: { location: '' } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  // Dishes deleted from the menu since the last run
+  const { deletedCount } = await SearchDocument.deleteMany({
+    restaurant: restaurant._id,
+    indexedAt: { $lt: startedAt }
+  });
+
+  return { indexed: documents.length, removed: deletedCount };
+};
+
+/**
+ * Reindex a restaurant shortly after it or its menu changed. Called from the
+ * Restaurant and Menu save hooks; never throws.
+ * @param {string} restaurantId
+ */
+export const queueRestaurantReindex = (restaurantId) => {
+  if (!restaurantId) return;
+  const key = restaurantId.toString();
+  clearTimeout(pendingReindex.get(key));
+  pendingReindex.set(key, setTimeout(() => {
+    pendingReindex.delete(key);
+    indexRestaurant(key).catch((error) => {
+      console.error(`❌ Error reindexing restaurant ${key} for search:`, error.message);
+    });
+  }, REINDEX_DEBOUNCE_MS).unref());
+};
+
+/**
+ * Reindex restaurants whose restaurant or menu changed after their last index
+ * run (covers updates that bypass the save hooks) and drop removed ones
+ * @param {Object} options
+ * @param {boolean} options.full - Reindex every restaurant
+ * @returns {Promise<{processed: number, removed: number, message: string}>}
+ */
+export const syncSearchIndex = async ({ full = false } = {}) => {
+  const [restaurants, menus, lastIndexed] = await Promise.all([
+    Restaurant.find({ isActive: true }).select('_id updatedAt').lean(),
+    Menu.find({}).select('restaurant updatedAt').lean(),
+    SearchDocument.aggregate([
+      { $match: { kind: 'restaurant' } },
+      { $group: { _id: '$restaurant', indexedAt: { $max: '$indexedAt' } } }
+    ])
+  ]);
+
+  const indexedAt = new Map(lastIndexed.map((row) => [row._id.toString(), row.indexedAt]));
+  const menuUpdatedAt = new Map(menus.map((menu) => [menu.restaurant?.toString(), menu.updatedAt]));
+  const activeIds = new Set(restaurants.map((restaurant) => restaurant._id.toString()));
+
+  const stale = restaurants.filter((restaurant) => {
+    if (full) return true;
+    const id = restaurant._id.toString();
+    const last = indexedAt.get(id);
+    if (!last) return true;
+    const menuUpdated = menuUpdatedAt.get(id);
+    return restaurant.updatedAt > last || (menuUpdated && menuUpdated > last);
+  });
+
+  let processed = 0;
+  for (const restaurant of stale) {
+    try {
+      await indexRestaurant(restaurant._id);
+      processed++;
+    } catch (error) {
+      console.error(`❌ Error indexing restaurant ${restaurant._id} for search:`, error.message);
+    }
+  }
+
+  const orphaned = [...indexedAt.keys()].filter((id) => !activeIds.has(id));
+  let removed = 0;
+  if (orphaned.length > 0) {
+    ({ deletedCount: removed } = await SearchDocument.deleteMany({ restaurant: { $in: orphaned } }));
+  }
+
+  return {
+    processed,
+    removed,
+    message: `Indexed ${processed} restaurant(s) for search, removed ${removed} stale entr${removed === 1 ? 'y' : 'ies'}`
+  };
+};
@@ -0,0 +1,498 @@
+import mongoose from 'mongoose';
+import SearchDocument from '../models/SearchDocument.js';
+import SearchTerm from '../models/SearchTerm.js';
+import Zone from '../../admin/models/Zone.js';
+import { tokenize, termGrams, levenshtein } from './searchIndexService.js';
+import { getCache, setCache, generateCacheKey } from '../../../shared/utils/cache.js';
+
+// Ranking weight of a match in each field of a search document
+const FIELD_WEIGHTS = {
+  nameTerms: 3,
+  keywordTerms: 2,
+  descriptionTerms: 0.75
+};
+const MAX_FIELD_WEIGHT = FIELD_WEIGHTS.nameTerms;
+
+// Documents pulled from Mongo before ranking in memory
+const CANDIDATE_LIMIT = 400;
+const MIN_SCORE = 0.25;
+const DEFAULT_MAX_DISTANCE_KM = 5;
+const POPULAR_CACHE_TTL = 600;
+
+const createError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Calculate distance between two coordinates (Haversine formula)
+ * @returns {number} Distance in kilometers
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+    + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
+    * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * How well an indexed term matches a query term
+ * @param {string} queryTerm
+ * @param {string} term
+ * @param {boolean} allowPrefix - Last word of an autocomplete query
+ * @returns {{score: number, fuzzy: boolean}}
+ */
+const matchTerm = (queryTerm, term, allowPrefix) => {
+  if (term === queryTerm) return { score: 1, fuzzy: false };
+  if (term.startsWith(queryTerm) && (allowPrefix || queryTerm.length >= 3)) {
+    return { score: 0.85, fuzzy: false };
+  }
+  if (queryTerm.length >= 4) {
+    const maxEdits = queryTerm.length >= 7 ? 2 : 1;
+    const distance = levenshtein(queryTerm, term, maxEdits);
+    if (distance <= maxEdits) {
+      return { score: distance === 1 ? 0.7 : 0.55, fuzzy: true };
+    }
+  }
+  return { score: 0, fuzzy: false };
+};
+
+/**
+ * Text relevance of a document for the query terms, 0..1 (plus a phrase bonus)
+ * @returns {{score: number, corrections: Object}} corrections maps misspelt
+ * query terms to the indexed term they matched
+ */
+const scoreDocument = (doc, queryTerms, phrase, { prefixLast }) => {
+  let total = 0;
+  let unmatched = 0;
+  const corrections = {};
+
+  queryTerms.forEach((queryTerm, index) => {
+    const allowPrefix = prefixLast && index === queryTerms.length - 1;
+    let best = { score: 0, fuzzy: false, term: null };
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of doc[field] || []) {
+        const match = matchTerm(queryTerm, term, allowPrefix);
+        const weighted = match.score * weight;
+        if (weighted > best.score) {
+          best = { score: weighted, fuzzy: match.fuzzy, term };
+        }
+      }
+    }
+
+    if (best.score === 0) {
+      unmatched++;
+    } else if (best.fuzzy) {
+      corrections[queryTerm] = best.term;
+    }
+    total += best.score;
+  });
+
+  // Every word must match, except one in queries of three or more words
+  if (unmatched > (queryTerms.length >= 3 ? 1 : 0)) {
+    return { score: 0, corrections };
+  }
+
+  let score = total / (queryTerms.length * MAX_FIELD_WEIGHT);
+  if (phrase && (doc.nameTerms || []).join(' ').includes(phrase)) {
+    score += 0.2;
+  }
+  return { score, corrections };
+};
+
+/**
+ * Location filter for candidates: radius around the user and/or zone boundary
+ */
+const buildLocationMatch = async ({ latitude, longitude, maxDistance, zoneId }) => {
+  const conditions = [];
+  let origin = null;
+
+  if (zoneId) {
+    if (!mongoose.Types.ObjectId.isValid(zoneId)) {
+      throw createError(400, 'Invalid zone ID');
+    }
+    const zone = await Zone.findById(zoneId).select('isActive boundary').lean();
+    if (!zone || !zone.isActive) {
+      throw createError(400, 'Invalid or inactive zone. Please detect your zone again.');
+    }
+    if (zone.boundary?.coordinates?.length) {
+      conditions.push({ location: { $geoWithin: { $geometry: zone.boundary } } });
+    }
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+    const radiusKm = parseFloat(maxDistance) > 0 ? parseFloat(maxDistance) : DEFAULT_MAX_DISTANCE_KM;
+    // Inside a zone the coordinates only rank by distance unless a radius is asked for
+    if (!zoneId || parseFloat(maxDistance) > 0) {
+      conditions.push({ location: { $geoWithin: { $centerSphere: [[lng, lat], radiusKm / 6378.1] } } });
+    }
+    origin = { latitude: lat, longitude: lng, radiusKm };
+  }
+
+  return { conditions, origin };
+};
+
+/**
+ * Candidate documents sharing a term, a term prefix or trigrams with the query
+ */
+const findCandidates = async (queryTerms, { prefixLast, filters, limit = CANDIDATE_LIMIT }) => {
+  const grams = [...new Set(queryTerms.filter((term) => term.length >= 3).flatMap(termGrams))];
+  const lastTerm = queryTerms[queryTerms.length - 1];
+
+  const textMatch = [{ terms: { $in: queryTerms } }];
+  if (prefixLast || lastTerm.length >= 3) {
+    textMatch.push({ terms: { $regex: `^${escapeRegex(lastTerm)}` } });
+  }
+  if (grams.length > 0) {
+    textMatch.push({ grams: { $in: grams } });
+  }
+
+  return SearchDocument.aggregate([
+    { $match: { $and: [{ $or: textMatch }, ...filters] } },
+    { $addFields: { gramHits: { $size: { $setIntersection: ['$grams', grams] } } } },
+    { $sort: { gramHits: -1, 'restaurantInfo.rating': -1 } },
+    { $limit: limit },
+    { $project: { grams: 0, terms: 0 } }
+  ]);
+};
+
+const distanceOf = (doc, origin) => {
+  if (!origin || !doc.location?.coordinates) return null;
+  const [lng, lat] = doc.location.coordinates;
+  return parseFloat(calculateDistance(origin.latitude, origin.longitude, lat, lng).toFixed(2));
+};
+
+/**
+ * Blend text relevance with rating, distance and open status
+ */
+const rankScore = (textScore, doc, distanceInKm, origin) => {
+  const rating = doc.restaurantInfo?.rating || 0;
+  let score = textScore * 0.8 + (rating / 5) * 0.1;
+  if (origin && distanceInKm !== null) {
+    score += Math.max(0, 1 - distanceInKm / origin.radiusKm) * 0.1;
+  }
+  if (!doc.isAcceptingOrders) {
+    score *= 0.7;
+  }
+  return score;
+};
+
+const formatRestaurant = (doc, distanceInKm) => ({
+  _id: doc.restaurant,
+  restaurantId: doc.restaurantInfo?.restaurantId,
+  slug: doc.restaurantInfo?.slug,
+  name: doc.name,
+  image: doc.image || doc.restaurantInfo?.image || '',
+  cuisines: doc.cuisines,
+  rating: doc.restaurantInfo?.rating || 0,
+  totalRatings: doc.restaurantInfo?.totalRatings || 0,
+  estimatedDeliveryTime: doc.restaurantInfo?.estimatedDeliveryTime,
+  offer: doc.restaurantInfo?.offer,
+  isAcceptingOrders: doc.isAcceptingOrders,
+  isPureVeg: doc.isPureVeg,
+  distanceInKm,
+  distance: distanceInKm !== null ? `${distanceInKm.toFixed(1)} km` : null
+});
+
+const formatDish = (doc, distanceInKm) => ({
+  itemId: doc.itemId,
+  name: doc.name,
+  description: doc.description,
+  price: doc.price,
+  image: doc.image,
+  foodType: doc.foodType,
+  sectionName: doc.sectionName,
+  restaurant: {
+    _id: doc.restaurant,
+    restaurantId: doc.restaurantInfo?.restaurantId,
+    slug: doc.restaurantInfo?.slug,
+    name: doc.restaurantInfo?.name,
+    rating: doc.restaurantInfo?.rating || 0,
+    isAcceptingOrders: doc.isAcceptingOrders,
+    distanceInKm,
+    distance: distanceInKm !== null ? `${distanceInKm.toFixed(1)} km` : null
+  }
+});
+
+const baseFilters = ({ veg, type }) => {
+  const filters = [{ isAvailable: true }];
+  if (type === 'restaurant' || type === 'dish') {
+    filters.push({ kind: type });
+  }
+  if (veg) {
+    filters.push({
+      $or: [
+        { kind: 'restaurant', vegItemCount: { $gt: 0 } },
+        { kind: 'dish', foodType: 'Veg' }
+      ]
+    });
+  }
+  return filters;
+};
+
+/**
+ * Ranked restaurants and dishes for a free-text query
+ * @param {Object} params
+ * @param {string} params.q - Search text
+ * @param {boolean} params.veg - Veg dishes only, restaurants with veg dishes only
+ * @param {string} params.type - 'restaurant' | 'dish' | undefined for both
+ * @param {string|number} params.latitude
+ * @param {string|number} params.longitude
+ * @param {string|number} params.maxDistance - Radius in km (default 5; with a zoneId
+ *   the zone bounds results and coordinates only rank by distance unless set)
+ * @param {string} params.zoneId
+ * @param {number} params.limit - Max results per list (default 20, max 50)
+ * @returns {Promise<Object>} { query, correctedQuery, restaurants, dishes }
+ */
+export const searchCatalog = async ({ q, veg = false, type, latitude, longitude, maxDistance, zoneId, limit = 20 }) => {
+  const query = String(q || '').trim().slice(0, 100);
+  const queryTerms = tokenize(query).slice(0, 6);
+  if (queryTerms.length === 0) {
+    throw createError(400, 'Search query is required');
+  }
+
+  const resultLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+  const { conditions, origin } = await buildLocationMatch({ latitude, longitude, maxDistance, zoneId });
+  const filters = [...baseFilters({ veg, type }), ...conditions];
+  const phrase = queryTerms.length > 1 ? queryTerms.join(' ') : null;
+
+  const candidates = await findCandidates(queryTerms, { prefixLast: true, filters });
+
+  const restaurants = new Map();
+  const dishes = [];
+  const correctionVotes = {};
+
+  for (const doc of candidates) {
+    const { score: textScore, corrections } = scoreDocument(doc, queryTerms, phrase, { prefixLast: true });
+    if (textScore < MIN_SCORE) continue;
+
+    Object.entries(corrections).forEach(([from, to]) => {
+      correctionVotes[from] = correctionVotes[from] || {};
+      correctionVotes[from][to] = (correctionVotes[from][to] || 0) + textScore;
+    });
+
+    const distanceInKm = distanceOf(doc, origin);
+    const score = rankScore(textScore, doc, distanceInKm, origin);
+    const restaurantKey = doc.restaurant.toString();
+
+    if (doc.kind === 'restaurant') {
+      const existing = restaurants.get(restaurantKey);
+      restaurants.set(restaurantKey, {
+        doc,
+        distanceInKm,
+        score: Math.max(score, existing?.score || 0),
+        matchedDishes: existing?.matchedDishes || []
+      });
+    } else {
+      dishes.push({ doc, distanceInKm, score });
+      // A restaurant serving a matching dish is itself a (weaker) match
+      const entry = restaurants.get(restaurantKey) || { doc: null, distanceInKm, score: 0, matchedDishes: [] };
+      entry.score = Math.max(entry.score, score * 0.9);
+      if (entry.matchedDishes.length < 3) {
+        entry.matchedDishes.push(doc.name);
+      }
+      restaurants.set(restaurantKey, entry);
+    }
+  }
+
+  // Restaurants reached only through their dishes
+  if (type !== 'dish') {
+    const missing = [...restaurants.entries()].filter(([, entry]) => !entry.doc).map(([id]) => id);
+    if (missing.length > 0) {
+      const docs = await SearchDocument.find({ restaurant: { $in: missing }, kind: 'restaurant' })
+        .select('-grams -terms')
+        .lean();
+      docs.forEach((doc) => {
+        const entry = restaurants.get(doc.restaurant.toString());
+        if (entry) entry.doc = doc;
+      });
+    }
+  }
+
+  const rankedRestaurants = type === 'dish'
+    ? []
+    : [...restaurants.values()]
+      .filter((entry) => entry.doc)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, resultLimit)
+      .map((entry) => ({
+        ...formatRestaurant(entry.doc, entry.distanceInKm ?? distanceOf(entry.doc, origin)),
+        matchedDishes: entry.matchedDishes,
+        score: parseFloat(entry.score.toFixed(4))
+      }));
+
+  const rankedDishes = type === 'restaurant'
+    ? []
+    : dishes
+      .sort((a, b) => b.score - a.score)
+      .slice(0, resultLimit)
+      .map((entry) => ({
+        ...formatDish(entry.doc, entry.distanceInKm),
+        score: parseFloat(entry.score.toFixed(4))
+      }));
+
+  // "Showing results for ..." when misspelt words were matched
+  let correctedQuery = null;
+  const correctedTerms = queryTerms.map((term) => {
+    const votes = correctionVotes[term];
+    if (!votes) return term;
+    return Object.entries(votes).sort((a, b) => b[1] - a[1])[0][0];
+  });
+  if (correctedTerms.some((term, index) => term !== queryTerms[index])) {
+    correctedQuery = correctedTerms.join(' ');
+  }
+
+  return {
+    query,
+    correctedQuery,
+    restaurants: rankedRestaurants,
+    dishes: rankedDishes,
+    total: rankedRestaurants.length + rankedDishes.length
+  };
+};
+
+/**
+ * Autocomplete suggestions: popular searches, restaurants, dishes and
+ * cuisines that start with (or nearly match) what the user has typed
+ * @param {Object} params - q, veg, latitude, longitude, maxDistance, zoneId, limit
+ * @returns {Promise<Array<{text: string, type: string, restaurantId?: string, slug?: string}>>}
+ */
+export const getSearchSuggestions = async ({ q, veg = false, latitude, longitude, maxDistance, zoneId, limit = 8 }) => {
+  const query = String(q || '').trim().slice(0, 100);
+  const queryTerms = tokenize(query).slice(0, 6);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const maxSuggestions = Math.min(Math.max(parseInt(limit) || 8, 1), 20);
+  const { conditions, origin } = await buildLocationMatch({ latitude, longitude, maxDistance, zoneId });
+  const normalized = queryTerms.join(' ');
+
+  const [candidates, popular] = await Promise.all([
+    findCandidates(queryTerms, {
+      prefixLast: true,
+      filters: [...baseFilters({ veg }), ...conditions],
+      limit: 100
+    }),
+    SearchTerm.aggregate([
+      {
+        $match: {
+          term: { $regex: `^${escapeRegex(normalized)}` },
+          date: { $gte: dateKey(daysAgo(30)) },
+          ...(zoneId ? { zoneId: String(zoneId) } : {})
+        }
+      },
+      { $sort: { lastSearchedAt: -1 } },
+      { $group: { _id: '$term', display: { $first: '$display' }, count: { $sum: '$count' } } },
+      { $sort: { count: -1 } },
+      { $limit: 3 }
+    ])
+  ]);
+
+  const scored = candidates
+    .map((doc) => {
+      const distanceInKm = distanceOf(doc, origin);
+      const { score } = scoreDocument(doc, queryTerms, null, { prefixLast: true });
+      return { doc, score: score >= MIN_SCORE ? rankScore(score, doc, distanceInKm, origin) : 0 };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const suggestions = [];
+  const seen = new Set();
+  const add = (suggestion) => {
+    const key = suggestion.text.toLowerCase();
+    if (seen.has(key) || suggestions.length >= maxSuggestions) return;
+    seen.add(key);
+    suggestions.push(suggestion);
+  };
+
+  popular.forEach((row) => add({ text: row.display, type: 'popular' }));
+
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  for (const { doc } of scored) {
+    if (doc.kind === 'restaurant') {
+      add({
+        text: doc.name,
+        type: 'restaurant',
+        restaurantId: doc.restaurantInfo?.restaurantId,
+        slug: doc.restaurantInfo?.slug
+      });
+      (doc.cuisines || [])
+        .filter((cuisine) => tokenize(cuisine).some((term) => term.startsWith(lastTerm)))
+        .forEach((cuisine) => add({ text: cuisine, type: 'cuisine' }));
+    } else {
+      add({ text: doc.name, type: 'dish' });
+    }
+  }
+
+  return suggestions;
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Count a search towards popular searches. Never throws.
+ * @param {string} query - Raw search text
+ * @param {Object} options
+ * @param {string} options.zoneId
+ * @param {number} options.resultCount - Searches without results are not counted
+ */
+export const recordSearch = async (query, { zoneId = null, resultCount = 0 } = {}) => {
+  try {
+    const term = tokenize(query).join(' ');
+    if (term.length < 2 || resultCount === 0) return;
+
+    const now = new Date();
+    await SearchTerm.updateOne(
+      { term, date: dateKey(now), zoneId: zoneId ? String(zoneId) : null },
+      {
+        $inc: { count: 1 },
+        $set: { display: String(query).trim().slice(0, 80), lastSearchedAt: now }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error recording search term:', error.message);
+  }
+};
+
+/**
+ * Most searched queries over the last days
+ * @param {Object} params
+ * @param {string} params.zoneId - Zone only; all zones when omitted
+ * @param {number} params.days - Window (default 7, max 90)
+ * @param {number} params.limit - Default 10, max 30
+ * @returns {Promise<Array<{term: string, text: string, count: number}>>}
+ */
+export const getPopularSearches = async ({ zoneId, days = 7, limit = 10 } = {}) => {
+  const windowDays = Math.min(Math.max(parseInt(days) || 7, 1), 90);
+  const maxResults = Math.min(Math.max(parseInt(limit) || 10, 1), 30);
+  const cacheKey = generateCacheKey('search:popular', zoneId || 'all', windowDays, maxResults);
+
+  const cached = await getCache(cacheKey);
+  if (cached) return cached;
+
+  const rows = await SearchTerm.aggregate([
+    {
+      $match: {
+        date: { $gte: dateKey(daysAgo(windowDays - 1)) },
+        ...(zoneId ? { zoneId: String(zoneId) } : {})
+      }
+    },
+    { $sort: { lastSearchedAt: -1 } },
+    { $group: { _id: '$term', text: { $first: '$display' }, count: { $sum: '$count' } } },
+    { $sort: { count: -1 } },
+    { $limit: maxResults }
+  ]);
+
+  const popular = rows.map((row) => ({ term: row._id, text: row.text, count: row.count }));
+  await setCache(cacheKey, popular, POPULAR_CACHE_TTL);
+  return popular;
+};
@@ -0,0 +1,312 @@
+import mongoose from 'mongoose';
+import SubscriptionPackage from '../models/SubscriptionPackage.js';
+import RestaurantSubscription from '../models/RestaurantSubscription.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import {
+  getCurrentSubscription,
+  createSubscriptionPurchase,
+  verifySubscriptionPayment,
+  SUBSCRIPTION_BUSINESS_MODEL
+} from '../services/subscriptionService.js';
+
+const FEATURE_KEYS = ['pos', 'mobileApp', 'review', 'chat', 'selfDelivery'];
+
+/**
+ * Validate and pick package fields from request body
+ * @param {Object} body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {{data: Object} | {error: string}}
+ */
+const parsePackageBody = (body, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Package name is required' };
+    data.name = name;
+  }
+  if (body.description !== undefined) {
+    data.description = String(body.description || '').trim();
+  }
+  if (body.price !== undefined || !partial) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price < 0) return { error: 'Price must be a non-negative number' };
+    data.price = price;
+  }
+  if (body.durationDays !== undefined || !partial) {
+    const durationDays = parseInt(body.durationDays, 10);
+    if (!Number.isInteger(durationDays) || durationDays < 1) return { error: 'Duration must be at least 1 day' };
+    data.durationDays = durationDays;
+  }
+  for (const field of ['maxOrders', 'maxProducts']) {
+    if (body[field] === undefined) continue;
+    // Empty / null / 0 means unlimited
+    if (body[field] === null || body[field] === '' || Number(body[field]) === 0) {
+      data[field] = null;
+      continue;
+    }
+    const value = parseInt(body[field], 10);
+    if (!Number.isInteger(value) || value < 1) return { error: `${field} must be a positive number or empty for unlimited` };
+    data[field] = value;
+  }
+  if (body.features && typeof body.features === 'object') {
+    for (const key of FEATURE_KEYS) {
+      if (body.features[key] !== undefined) {
+        data[`features.${key}`] = body.features[key] === true;
+      }
+    }
+  }
+  if (body.isActive !== undefined) {
+    data.isActive = body.isActive === true || body.isActive === 'true';
+  }
+
+  return { data };
+};
+
+/**
+ * Subscriber counts and earnings per package
+ * @returns {Promise<Map<string, {subscribers: number, earnings: number}>>}
+ */
+const getPackageStats = async () => {
+  const now = new Date();
+  const stats = await RestaurantSubscription.aggregate([
+    { $match: { 'payment.status': 'completed' } },
+    {
+      $group: {
+        _id: '$package',
+        earnings: { $sum: '$payment.amount' },
+        subscribers: {
+          $addToSet: {
+            $cond: [
+              { $and: [{ $in: ['$status', ['active', 'scheduled']] }, { $gt: ['$expiresAt', now] }] },
+              '$restaurant',
+              null
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(stats.map((s) => [s._id.toString(), { subscribers: s.subscribers.filter(Boolean).length, earnings: s.earnings }]));
+};
+
+/**
+ * List subscription packages (admin)
+ * GET /api/subscription/admin/packages
+ */
+export const getPackages = asyncHandler(async (req, res) => {
+  const { search, status } = req.query;
+  const query = {};
+  if (search) {
+    query.name = { $regex: search.trim(), $options: 'i' };
+  }
+  if (status === 'active') query.isActive = true;
+  if (status === 'inactive') query.isActive = false;
+
+  const [packages, stats] = await Promise.all([
+    SubscriptionPackage.find(query).sort({ price: 1 }).lean(),
+    getPackageStats()
+  ]);
+
+  return successResponse(res, 200, 'Subscription packages retrieved successfully', {
+    packages: packages.map((pkg) => ({
+      ...pkg,
+      subscribers: stats.get(pkg._id.toString())?.subscribers || 0,
+      earnings: stats.get(pkg._id.toString())?.earnings || 0
+    }))
+  });
+});
+
+/**
+ * Create subscription package (admin)
+ * POST /api/subscription/admin/packages
+ */
+export const createPackage = asyncHandler(async (req, res) => {
+  const { data, error } = parsePackageBody(req.body || {});
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+
+  const features = {};
+  for (const key of FEATURE_KEYS) {
+    if (data[`features.${key}`] !== undefined) {
+      features[key] = data[`features.${key}`];
+      delete data[`features.${key}`];
+    }
+  }
+
+  const pkg = await SubscriptionPackage.create({
+    ...data,
+    features,
+    createdBy: req.admin?._id || null
+  });
+
+  return successResponse(res, 201, 'Subscription package created successfully', { package: pkg });
+});
+
+/**
+ * Update subscription package (admin)
+ * PUT /api/subscription/admin/packages/:id
+ * Existing subscriptions keep the terms they were bought with.
+ */
+export const updatePackage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid package id');
+  }
+
+  const { data, error } = parsePackageBody(req.body || {}, true);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+
+  const pkg = await SubscriptionPackage.findByIdAndUpdate(id, { $set: data }, { new: true, runValidators: true });
+  if (!pkg) {
+    return errorResponse(res, 404, 'Subscription package not found');
+  }
+
+  return successResponse(res, 200, 'Subscription package updated successfully', { package: pkg });
+});
+
+/**
+ * Toggle package status (admin)
+ * PATCH /api/subscription/admin/packages/:id/status
+ */
+export const togglePackageStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return errorResponse(res, 400, 'Invalid package id');
+  }
+
+  const pkg = await SubscriptionPackage.findById(id);
+  if (!pkg) {
+    return errorResponse(res, 404, 'Subscription package not found');
+  }
+
+  pkg.isActive = req.body?.isActive !== undefined ? req.body.isActive === true : !pkg.isActive;
+  await pkg.save();
+
+  return successResponse(res, 200, `Subscription package ${pkg.isActive ? 'activated' : 'deactivated'} successfully`, { package: pkg });
+});
+
+/**
+ * List restaurant subscriptions (admin)
+ * GET /api/subscription/admin/subscribers
+ *
+ * Query params: status (active | expired | scheduled), packageId, page, limit
+ */
+export const getSubscribers = asyncHandler(async (req, res) => {
+  const { status, packageId, page = 1, limit = 20 } = req.query;
+  const query = { 'payment.status': 'completed' };
+  if (status) query.status = status;
+  if (packageId && mongoose.Types.ObjectId.isValid(packageId)) query.package = packageId;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [subscriptions, total] = await Promise.all([
+    RestaurantSubscription.find(query)
+      .populate('restaurant', 'name restaurantId ownerName phone email profileImage businessModel')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    RestaurantSubscription.countDocuments(query)
+  ]);
+
+  return successResponse(res, 200, 'Subscribers retrieved successfully', {
+    subscriptions,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+/**
+ * Active packages available for purchase (restaurant)
+ * GET /api/subscription/packages
+ */
+export const getAvailablePackages = asyncHandler(async (req, res) => {
+  const packages = await SubscriptionPackage.find({ isActive: true })
+    .select('-createdBy')
+    .sort({ price: 1 })
+    .lean();
+
+  return successResponse(res, 200, 'Subscription packages retrieved successfully', { packages });
+});
+
+/**
+ * Current plan, upcoming renewal and history (restaurant)
+ * GET /api/subscription/my
+ */
+export const getMySubscription = asyncHandler(async (req, res) => {
+  const restaurant = req.restaurant;
+
+  const [current, history] = await Promise.all([
+    getCurrentSubscription(restaurant._id),
+    RestaurantSubscription.find({
+      restaurant: restaurant._id,
+      'payment.status': 'completed'
+    })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+
+  const upcoming = history.find((s) => s.status === 'scheduled' && (!current || s._id.toString() !== current._id.toString())) || null;
+
+  return successResponse(res, 200, 'Subscription retrieved successfully', {
+    businessModel: restaurant.businessModel,
+    isSubscriptionBased: restaurant.businessModel === SUBSCRIPTION_BUSINESS_MODEL,
+    current,
+    upcoming,
+    history
+  });
+});
+
+/**
+ * Start purchase or renewal of a package (restaurant)
+ * POST /api/subscription/purchase
+ * Body: { packageId }
+ */
+export const purchasePackage = asyncHandler(async (req, res) => {
+  const { packageId } = req.body || {};
+  if (!packageId || !mongoose.Types.ObjectId.isValid(packageId)) {
+    return errorResponse(res, 400, 'Valid packageId is required');
+  }
+
+  const { subscription, razorpay } = await createSubscriptionPurchase(req.restaurant, packageId);
+
+  return successResponse(res, 201, 'Subscription payment initiated', {
+    subscriptionId: subscription._id,
+    amount: subscription.payment.amount,
+    razorpay
+  });
+});
+
+/**
+ * Verify purchase payment and activate the plan (restaurant)
+ * POST /api/subscription/verify-payment
+ * Body: { subscriptionId, razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ */
+export const verifyPurchasePayment = asyncHandler(async (req, res) => {
+  const { subscriptionId, razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body || {};
+  if (!subscriptionId || !razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+    return errorResponse(res, 400, 'Missing required payment verification fields');
+  }
+
+  const subscription = await verifySubscriptionPayment(req.restaurant, {
+    subscriptionId,
+    razorpayOrderId,
+    razorpayPaymentId,
+    razorpaySignature
+  });
+
+  return successResponse(res, 200, subscription.status === 'scheduled'
+    ? 'Payment successful. Your renewal starts when the current plan ends.'
+    : 'Payment successful. Your subscription is active.', { subscription });
+});
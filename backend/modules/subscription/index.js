@@ -1,11 +1,8 @@
-// Subscription module - to be implemented
 import express from 'express';
+import subscriptionRoutes from './routes/subscriptionRoutes.js';
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.status(501).json({ message: 'Subscription module not implemented yet' });
-});
+router.use('/', subscriptionRoutes);
 
 export default router;
-
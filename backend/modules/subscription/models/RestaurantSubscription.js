@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * One purchase or renewal of a subscription package by a restaurant.
+ * Package terms are copied at purchase time so later package edits
+ * don't change what the restaurant paid for.
+ */
+const restaurantSubscriptionSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true
+    },
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPackage',
+      required: true
+    },
+    packageSnapshot: {
+      name: { type: String, required: true },
+      price: { type: Number, required: true },
+      durationDays: { type: Number, required: true },
+      maxOrders: { type: Number, default: null },
+      maxProducts: { type: Number, default: null },
+      features: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    status: {
+      type: String,
+      enum: ['pending_payment', 'scheduled', 'active', 'expired', 'cancelled', 'failed'],
+      default: 'pending_payment',
+      index: true
+    },
+    isRenewal: {
+      type: Boolean,
+      default: false
+    },
+    startsAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    ordersUsed: {
+      type: Number,
+      default: 0
+    },
+    payment: {
+      amount: { type: Number, required: true },
+      currency: { type: String, default: 'INR' },
+      razorpayOrderId: { type: String, default: null },
+      razorpayPaymentId: { type: String, default: null },
+      razorpaySignature: { type: String, default: null },
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'pending'
+      },
+      paidAt: { type: Date, default: null }
+    },
+    expiredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+restaurantSubscriptionSchema.index({ restaurant: 1, status: 1, expiresAt: -1 });
+restaurantSubscriptionSchema.index({ 'payment.razorpayOrderId': 1 });
+
+export default mongoose.model('RestaurantSubscription', restaurantSubscriptionSchema);
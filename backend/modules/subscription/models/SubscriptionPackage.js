@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Subscription package offered to "Subscription Base" restaurants.
+ * Subscribed restaurants pay the package price up front and no per-order commission.
+ */
+const subscriptionPackageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    durationDays: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // null = unlimited
+    maxOrders: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    // null = unlimited
+    maxProducts: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    // Feature flags shown on the plan card and checked by the restaurant panel
+    features: {
+      pos: { type: Boolean, default: false },
+      mobileApp: { type: Boolean, default: true },
+      review: { type: Boolean, default: false },
+      chat: { type: Boolean, default: false },
+      selfDelivery: { type: Boolean, default: false }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+subscriptionPackageSchema.index({ isActive: 1, price: 1 });
+
+export default mongoose.model('SubscriptionPackage', subscriptionPackageSchema);
@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticateAdmin, requireAdminPermission } from '../../admin/middleware/adminAuth.js';
+import { authenticate as authenticateRestaurant, requireRestaurantRole } from '../../restaurant/middleware/restaurantAuth.js';
+import {
+  getPackages,
+  createPackage,
+  updatePackage,
+  togglePackageStatus,
+  getSubscribers,
+  getAvailablePackages,
+  getMySubscription,
+  purchasePackage,
+  verifyPurchasePayment
+} from '../controllers/subscriptionController.js';
+
+const router = express.Router();
+
+const canManageSubscriptions = requireAdminPermission('restaurant_manage');
+const restaurantOwnerOnly = requireRestaurantRole('owner');
+
+// Admin - package management and subscribers
+router.get('/admin/packages', authenticateAdmin, canManageSubscriptions, getPackages);
+router.post('/admin/packages', authenticateAdmin, canManageSubscriptions, createPackage);
+router.put('/admin/packages/:id', authenticateAdmin, canManageSubscriptions, updatePackage);
+router.patch('/admin/packages/:id/status', authenticateAdmin, canManageSubscriptions, togglePackageStatus);
+router.get('/admin/subscribers', authenticateAdmin, canManageSubscriptions, getSubscribers);
+
+// Restaurant - purchase and renewal
+router.get('/packages', authenticateRestaurant, restaurantOwnerOnly, getAvailablePackages);
+router.get('/my', authenticateRestaurant, restaurantOwnerOnly, getMySubscription);
+router.post('/purchase', authenticateRestaurant, restaurantOwnerOnly, purchasePackage);
+router.post('/verify-payment', authenticateRestaurant, restaurantOwnerOnly, verifyPurchasePayment);
+
+export default router;
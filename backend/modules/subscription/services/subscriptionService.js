@@ -0,0 +1,430 @@
+import SubscriptionPackage from '../models/SubscriptionPackage.js';
+import RestaurantSubscription from '../models/RestaurantSubscription.js';
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import Order from '../../order/models/Order.js';
+import { createOrder as createRazorpayOrder, verifyPayment } from '../../payment/services/razorpayService.js';
+import { getRazorpayCredentials } from '../../../shared/utils/envService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+export const SUBSCRIPTION_BUSINESS_MODEL = 'Subscription Base';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVATION_HOLD_MS = 30 * 1000;
+const ACTIVATION_RETRY_MS = 300;
+const ACTIVATION_ATTEMPTS = 10;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Subscription that currently covers the restaurant (started and not expired)
+ * @param {string|ObjectId} restaurantId - Restaurant _id
+ * @param {Date} now
+ * @returns {Promise<Object|null>}
+ */
+export async function getCurrentSubscription(restaurantId, now = new Date()) {
+  return RestaurantSubscription.findOne({
+    restaurant: restaurantId,
+    status: { $in: ['active', 'scheduled'] },
+    startsAt: { $lte: now },
+    expiresAt: { $gt: now }
+  }).sort({ startsAt: 1 });
+}
+
+/**
+ * Copy the covering subscription onto Restaurant.subscription
+ * @param {string|ObjectId} restaurantId - Restaurant _id
+ * @returns {Promise<Object|null>} Current subscription
+ */
+export async function syncRestaurantSubscription(restaurantId) {
+  const current = await getCurrentSubscription(restaurantId);
+
+  if (current) {
+    if (current.status === 'scheduled') {
+      current.status = 'active';
+      await current.save();
+    }
+    await Restaurant.updateOne(
+      { _id: restaurantId },
+      {
+        $set: {
+          'subscription.current': current._id,
+          'subscription.packageName': current.packageSnapshot.name,
+          'subscription.status': 'active',
+          'subscription.expiresAt': current.expiresAt
+        }
+      }
+    );
+    return current;
+  }
+
+  const hadSubscription = await RestaurantSubscription.exists({
+    restaurant: restaurantId,
+    'payment.status': 'completed'
+  });
+  await Restaurant.updateOne(
+    { _id: restaurantId },
+    {
+      $set: {
+        'subscription.current': null,
+        'subscription.status': hadSubscription ? 'expired' : 'none'
+      }
+    }
+  );
+  return null;
+}
+
+/**
+ * Whether a restaurant may receive new orders under its business model
+ * @param {Object} restaurant - Restaurant document
+ * @returns {Promise<{allowed: boolean, reason?: string, message?: string, subscription: Object|null}>}
+ */
+export async function checkOrderingAllowed(restaurant) {
+  if (!restaurant || restaurant.businessModel !== SUBSCRIPTION_BUSINESS_MODEL) {
+    return { allowed: true, subscription: null };
+  }
+
+  const subscription = await getCurrentSubscription(restaurant._id);
+  if (!subscription) {
+    return {
+      allowed: false,
+      reason: 'subscription_expired',
+      subscription: null,
+      message: `${restaurant.name || 'This restaurant'} is not accepting orders right now. Please try again later.`
+    };
+  }
+
+  const { maxOrders } = subscription.packageSnapshot;
+  if (maxOrders && subscription.ordersUsed >= maxOrders) {
+    return {
+      allowed: false,
+      reason: 'order_limit_reached',
+      subscription,
+      message: `${restaurant.name || 'This restaurant'} is not accepting orders right now. Please try again later.`
+    };
+  }
+
+  return { allowed: true, subscription };
+}
+
+/**
+ * Count an order against the subscription's order cap. Atomic, so two
+ * orders can't both take the last slot.
+ * @param {Object} subscription - Subscription returned by checkOrderingAllowed
+ * @param {Object} restaurant - Restaurant document (for the message)
+ * @throws {Error} 403 error when the cap is reached
+ */
+export async function reserveSubscriptionOrder(subscription, restaurant) {
+  if (!subscription?._id) return;
+
+  const { maxOrders } = subscription.packageSnapshot || {};
+  const result = await RestaurantSubscription.updateOne(
+    maxOrders
+      ? { _id: subscription._id, ordersUsed: { $lt: maxOrders } }
+      : { _id: subscription._id },
+    { $inc: { ordersUsed: 1 } }
+  );
+  if (result.modifiedCount === 0) {
+    throw createError(403, `${restaurant?.name || 'This restaurant'} is not accepting orders right now. Please try again later.`);
+  }
+}
+
+/**
+ * Give back an order slot taken by reserveSubscriptionOrder when the order
+ * could not be placed
+ * @param {string|ObjectId} subscriptionId
+ */
+export async function releaseSubscriptionOrder(subscriptionId) {
+  if (!subscriptionId) return;
+  await RestaurantSubscription.updateOne(
+    { _id: subscriptionId, ordersUsed: { $gt: 0 } },
+    { $inc: { ordersUsed: -1 } }
+  );
+}
+
+/**
+ * Give back the plan slot of an order that was cancelled or rejected.
+ * Claims the order first, so the slot is returned at most once.
+ * Never throws - a failed release only costs the restaurant one slot.
+ * @param {string|ObjectId} orderId - Order _id
+ */
+export async function releaseOrderSubscriptionSlot(orderId) {
+  try {
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        'subscription.subscriptionId': { $ne: null },
+        'subscription.slotReleasedAt': null
+      },
+      { $set: { 'subscription.slotReleasedAt': new Date() } },
+      { new: true }
+    ).select('subscription').lean();
+    if (!order) return;
+
+    await releaseSubscriptionOrder(order.subscription.subscriptionId);
+  } catch (error) {
+    logger.error(`Error releasing subscription slot for order ${orderId}: ${error.message}`);
+  }
+}
+
+/**
+ * Count an order against its plan again after its slot was given back on a
+ * failed payment and a later payment attempt went through. The order is
+ * paid, so the cap is not checked.
+ * @param {string|ObjectId} orderId - Order _id
+ */
+export async function restoreOrderSubscriptionSlot(orderId) {
+  try {
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        'subscription.subscriptionId': { $ne: null },
+        'subscription.slotReleasedAt': { $ne: null }
+      },
+      { $set: { 'subscription.slotReleasedAt': null } },
+      { new: true }
+    ).select('subscription').lean();
+    if (!order) return;
+
+    await RestaurantSubscription.updateOne(
+      { _id: order.subscription.subscriptionId },
+      { $inc: { ordersUsed: 1 } }
+    );
+  } catch (error) {
+    logger.error(`Error restoring subscription slot for order ${orderId}: ${error.message}`);
+  }
+}
+
+/**
+ * Throw when adding a product would exceed the package product limit
+ * @param {Object} restaurant - Restaurant document
+ * @param {number} currentProductCount - Items already on the menu
+ * @throws {Error} 403 error when the limit is reached
+ */
+export async function assertProductLimit(restaurant, currentProductCount) {
+  if (!restaurant || restaurant.businessModel !== SUBSCRIPTION_BUSINESS_MODEL) return;
+
+  const subscription = await getCurrentSubscription(restaurant._id);
+  const maxProducts = subscription?.packageSnapshot?.maxProducts;
+  if (maxProducts && currentProductCount >= maxProducts) {
+    throw createError(403, `Your ${subscription.packageSnapshot.name} plan allows up to ${maxProducts} products. Upgrade your plan to add more.`);
+  }
+}
+
+/**
+ * Start a package purchase (or renewal) - creates a Razorpay order
+ * @param {Object} restaurant - Restaurant document
+ * @param {string} packageId - SubscriptionPackage _id
+ * @returns {Promise<{subscription: Object, razorpay: Object}>}
+ */
+export async function createSubscriptionPurchase(restaurant, packageId) {
+  const pkg = await SubscriptionPackage.findOne({ _id: packageId, isActive: true });
+  if (!pkg) {
+    throw createError(404, 'Subscription package not found or inactive');
+  }
+
+  const receipt = `SUB-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  const razorpayOrder = await createRazorpayOrder({
+    amount: Math.round(pkg.price * 100), // Convert to paise
+    currency: 'INR',
+    receipt,
+    notes: {
+      type: 'subscription',
+      restaurantId: restaurant._id.toString(),
+      packageId: pkg._id.toString()
+    }
+  });
+
+  const subscription = await RestaurantSubscription.create({
+    restaurant: restaurant._id,
+    package: pkg._id,
+    packageSnapshot: {
+      name: pkg.name,
+      price: pkg.price,
+      durationDays: pkg.durationDays,
+      maxOrders: pkg.maxOrders,
+      maxProducts: pkg.maxProducts,
+      features: pkg.features
+    },
+    payment: {
+      amount: pkg.price,
+      currency: 'INR',
+      razorpayOrderId: razorpayOrder.id
+    }
+  });
+
+  const credentials = await getRazorpayCredentials();
+
+  logger.info(`Subscription purchase started: ${subscription._id}`, {
+    restaurantId: restaurant._id.toString(),
+    package: pkg.name,
+    razorpayOrderId: razorpayOrder.id
+  });
+
+  return {
+    subscription,
+    razorpay: {
+      orderId: razorpayOrder.id,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      key: credentials.keyId || process.env.RAZORPAY_KEY_ID
+    }
+  };
+}
+
+/**
+ * Take the restaurant's activation hold, waiting briefly while another
+ * purchase is being activated. A hold left by a crashed request expires.
+ * @param {string|ObjectId} restaurantId - Restaurant _id
+ * @returns {Promise<Date>} Hold value, used to release only our own hold
+ * @throws {Error} 409 error when the hold stays taken
+ */
+async function acquireActivationHold(restaurantId) {
+  for (let attempt = 0; attempt < ACTIVATION_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const hold = new Date(now.getTime() + ACTIVATION_HOLD_MS);
+    const result = await Restaurant.updateOne(
+      {
+        _id: restaurantId,
+        $or: [
+          { 'subscription.activatingUntil': null },
+          { 'subscription.activatingUntil': { $lte: now } }
+        ]
+      },
+      { $set: { 'subscription.activatingUntil': hold } }
+    );
+    if (result.modifiedCount > 0) return hold;
+
+    await new Promise((resolve) => setTimeout(resolve, ACTIVATION_RETRY_MS));
+  }
+  throw createError(409, 'Another subscription payment is being activated. Please try again in a moment.');
+}
+
+/**
+ * Verify the Razorpay payment and activate the subscription.
+ * A renewal bought while a plan is still running starts when that plan ends.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} paymentData - { subscriptionId, razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ * @returns {Promise<Object>} Activated subscription
+ */
+export async function verifySubscriptionPayment(restaurant, paymentData) {
+  const { subscriptionId, razorpayOrderId, razorpayPaymentId, razorpaySignature } = paymentData;
+
+  let subscription = await RestaurantSubscription.findOne({
+    _id: subscriptionId,
+    restaurant: restaurant._id,
+    'payment.razorpayOrderId': razorpayOrderId
+  });
+  if (!subscription) {
+    throw createError(404, 'Subscription purchase not found');
+  }
+
+  // Already verified (e.g. retried request)
+  if (subscription.payment.status === 'completed') {
+    return subscription;
+  }
+
+  const isValid = await verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature);
+  if (!isValid) {
+    subscription.status = 'failed';
+    subscription.payment.status = 'failed';
+    await subscription.save();
+    throw createError(400, 'Invalid payment signature');
+  }
+
+  // Two purchases activated side by side would both start after the same plan
+  const hold = await acquireActivationHold(restaurant._id);
+  try {
+    // Re-read under the hold - a concurrent verification may have finished it
+    const current = await RestaurantSubscription.findById(subscription._id);
+    if (current.payment.status === 'completed') {
+      return current;
+    }
+
+    const now = new Date();
+    const latest = await RestaurantSubscription.findOne({
+      restaurant: restaurant._id,
+      status: { $in: ['active', 'scheduled'] },
+      expiresAt: { $gt: now }
+    }).sort({ expiresAt: -1 });
+
+    const startsAt = latest ? latest.expiresAt : now;
+    subscription = current;
+    subscription.isRenewal = !!latest;
+    subscription.startsAt = startsAt;
+    subscription.expiresAt = new Date(startsAt.getTime() + subscription.packageSnapshot.durationDays * DAY_MS);
+    subscription.status = latest ? 'scheduled' : 'active';
+    subscription.payment.razorpayPaymentId = razorpayPaymentId;
+    subscription.payment.razorpaySignature = razorpaySignature;
+    subscription.payment.status = 'completed';
+    subscription.payment.paidAt = now;
+    await subscription.save();
+  } finally {
+    await Restaurant.updateOne(
+      { _id: restaurant._id, 'subscription.activatingUntil': hold },
+      { $set: { 'subscription.activatingUntil': null } }
+    );
+  }
+
+  if (restaurant.businessModel !== SUBSCRIPTION_BUSINESS_MODEL) {
+    await Restaurant.updateOne({ _id: restaurant._id }, { $set: { businessModel: SUBSCRIPTION_BUSINESS_MODEL } });
+  }
+  await syncRestaurantSubscription(restaurant._id);
+
+  logger.info(`Subscription activated: ${subscription._id}`, {
+    restaurantId: restaurant._id.toString(),
+    status: subscription.status,
+    startsAt: subscription.startsAt,
+    expiresAt: subscription.expiresAt
+  });
+
+  return subscription;
+}
+
+/**
+ * Expire lapsed subscriptions and start scheduled renewals.
+ * Runs as a cron job.
+ * @returns {Promise<{processed: number, message: string}>}
+ */
+export async function processSubscriptionExpiry() {
+  const now = new Date();
+
+  const [lapsed, due] = await Promise.all([
+    RestaurantSubscription.find({ status: 'active', expiresAt: { $lte: now } }).select('_id restaurant').lean(),
+    RestaurantSubscription.find({ status: 'scheduled', startsAt: { $lte: now } }).select('_id restaurant').lean()
+  ]);
+
+  if (lapsed.length === 0 && due.length === 0) {
+    return { processed: 0, message: 'No subscriptions to update' };
+  }
+
+  if (lapsed.length > 0) {
+    await RestaurantSubscription.updateMany(
+      { _id: { $in: lapsed.map((s) => s._id) } },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+  }
+
+  const restaurantIds = [...new Set([...lapsed, ...due].map((s) => s.restaurant.toString()))];
+  for (const restaurantId of restaurantIds) {
+    await syncRestaurantSubscription(restaurantId);
+  }
+
+  return {
+    processed: lapsed.length + due.length,
+    message: `Expired ${lapsed.length} subscription(s), started ${due.length} renewal(s)`
+  };
+}
@@ -0,0 +1,112 @@
+import { asyncHandler } from '../../../shared/middleware/asyncHandler.js';
+import { successResponse, errorResponse } from '../../../shared/utils/response.js';
+import {
+  getCart as getCartForUser,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart as clearCartForUser,
+  replaceCart
+} from '../services/cartService.js';
+
+/**
+ * Service errors carry a statusCode; a stale device (409) also gets the
+ * current cart so it can catch up without another request
+ */
+const sendServiceError = async (req, res, error) => {
+  if (!error.statusCode) {
+    throw error;
+  }
+  if (error.statusCode === 409) {
+    const cart = await getCartForUser(req.user._id);
+    return res.status(409).json({ success: false, message: error.message, data: { cart } });
+  }
+  return errorResponse(res, error.statusCode, error.message);
+};
+
+/**
+ * Get the current cart, re-validated against the menu
+ * GET /api/user/cart
+ */
+export const getCart = asyncHandler(async (req, res) => {
+  const cart = await getCartForUser(req.user._id);
+  return successResponse(res, 200, 'Cart retrieved successfully', { cart });
+});
+
+/**
+ * Add an item to the cart
+ * POST /api/user/cart/items
+ * Body: { restaurantId, itemId, variantId?, selectedAddons?, specialInstructions?, quantity?, replaceCart?, baseVersion? }
+ */
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { restaurantId, itemId } = req.body || {};
+  if (!restaurantId || !itemId) {
+    return errorResponse(res, 400, 'restaurantId and itemId are required');
+  }
+
+  try {
+    const cart = await addItem(req.user._id, req.body);
+    return successResponse(res, 200, 'Item added to cart', { cart });
+  } catch (error) {
+    return sendServiceError(req, res, error);
+  }
+});
+
+/**
+ * Change the quantity of a cart line (0 removes it)
+ * PATCH /api/user/cart/items/:lineId
+ * Body: { quantity, baseVersion? }
+ */
+export const updateCartItem = asyncHandler(async (req, res) => {
+  try {
+    const cart = await updateItemQuantity(
+      req.user._id,
+      req.params.lineId,
+      req.body?.quantity,
+      req.body?.baseVersion
+    );
+    return successResponse(res, 200, 'Cart updated', { cart });
+  } catch (error) {
+    return sendServiceError(req, res, error);
+  }
+});
+
+/**
+ * Remove a cart line
+ * DELETE /api/user/cart/items/:lineId
+ */
+export const removeCartItem = asyncHandler(async (req, res) => {
+  try {
+    const cart = await removeItem(req.user._id, req.params.lineId, req.query.baseVersion);
+    return successResponse(res, 200, 'Item removed from cart', { cart });
+  } catch (error) {
+    return sendServiceError(req, res, error);
+  }
+});
+
+/**
+ * Replace the cart with the lines a device holds
+ * PUT /api/user/cart
+ * Body: { restaurantId, items: [{ itemId, variantId, selectedAddons, specialInstructions, quantity }], baseVersion? }
+ */
+export const syncCart = asyncHandler(async (req, res) => {
+  if (req.body?.items !== undefined && !Array.isArray(req.body.items)) {
+    return errorResponse(res, 400, 'items must be an array');
+  }
+
+  try {
+    const cart = await replaceCart(req.user._id, req.body || {});
+    return successResponse(res, 200, 'Cart saved', { cart });
+  } catch (error) {
+    return sendServiceError(req, res, error);
+  }
+});
+
+/**
+ * Empty the cart
+ * DELETE /api/user/cart
+ */
+export const clearCart = asyncHandler(async (req, res) => {
+  const cart = await clearCartForUser(req.user._id);
+  return successResponse(res, 200, 'Cart cleared', { cart });
+});
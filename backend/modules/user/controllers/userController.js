@@ -5,6 +5,10 @@ import {
 } from "../../../shared/utils/response.js";
 import User from "../../auth/models/User.js";
 import { uploadToCloudinary } from "../../../shared/utils/cloudinaryService.js";
+import {
+  normalizeLanguage,
+  SUPPORTED_LANGUAGES,
+} from "../../../shared/utils/i18n.js";
 import axios from "axios";
 import winston from "winston";
 
@@ -361,6 +365,54 @@ export const getUserLocation = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Update user preferences (app language, veg mode)
+ * PUT /api/user/preferences
+ */
+export const updateUserPreferences = asyncHandler(async (req, res) => {
+  try {
+    const { language, vegMode } = req.body;
+    const update = {};
+
+    if (language !== undefined) {
+      const code = normalizeLanguage(language);
+      if (!code) {
+        return errorResponse(
+          res,
+          400,
+          `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(", ")}`,
+        );
+      }
+      update["preferences.language"] = code;
+    }
+    if (vegMode !== undefined) {
+      update["preferences.vegMode"] = vegMode === true || vegMode === "true";
+    }
+    if (Object.keys(update).length === 0) {
+      return errorResponse(res, 400, "No preferences to update");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true },
+    )
+      .select("preferences")
+      .lean();
+
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    return successResponse(res, 200, "Preferences updated successfully", {
+      preferences: user.preferences,
+    });
+  } catch (error) {
+    logger.error(`Error updating user preferences: ${error.message}`);
+    return errorResponse(res, 500, "Failed to update preferences");
+  }
+});
+
 /**
  * Get user addresses
  * GET /api/user/addresses
@@ -7,6 +7,7 @@ import Joi from 'joi';
 import winston from 'winston';
 import { createOrder as createRazorpayOrder, verifyPayment } from '../../payment/services/razorpayService.js';
 import { getRazorpayCredentials } from '../../../shared/utils/envService.js';
+import { creditWalletTopup } from '../services/walletTopupService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -378,46 +379,26 @@ export const verifyTopupPayment = asyncHandler(async (req, res) => {
       return errorResponse(res, 400, 'Invalid payment signature');
     }
 
-    // Find or create wallet
-    let wallet = await UserWallet.findOrCreateByUserId(user._id);
-
-    // Check if transaction already exists for this payment
-    const existingTransaction = wallet.transactions.find(
-      t => t.paymentId && t.paymentId === razorpayPaymentId
-    );
-
-    if (existingTransaction) {
-      return errorResponse(res, 400, 'Payment already processed');
-    }
-
-    // Add money transaction
-    const transaction = wallet.addTransaction({
-      amount: amount,
-      type: 'addition',
-      status: 'Completed',
-      description: `Added money via Razorpay`,
-      paymentMethod: 'card', // Default, actual method will be in Razorpay
-      paymentGateway: 'razorpay',
-      paymentId: razorpayPaymentId
-    });
-
-    await wallet.save();
-
-    // Update user's wallet balance in User model (for backward compatibility)
-    await User.findByIdAndUpdate(user._id, {
-      'wallet.balance': wallet.balance,
-      'wallet.currency': wallet.currency
-    });
-
-    logger.info(`Money added to wallet after payment verification: ${user._id}`, {
+    // Credits once even if the payment.captured webhook already did
+    const { wallet, transaction, alreadyProcessed } = await creditWalletTopup({
       userId: user._id,
       amount,
       razorpayPaymentId,
-      transactionId: transaction._id,
-      newBalance: wallet.balance
+      razorpayOrderId,
+      source: 'client'
     });
 
-    return successResponse(res, 200, 'Money added to wallet successfully', {
+    if (!alreadyProcessed) {
+      logger.info(`Money added to wallet after payment verification: ${user._id}`, {
+        userId: user._id,
+        amount,
+        razorpayPaymentId,
+        transactionId: transaction._id,
+        newBalance: wallet.balance
+      });
+    }
+
+    return successResponse(res, 200, alreadyProcessed ? 'Payment already processed' : 'Money added to wallet successfully', {
       transaction: {
         id: transaction._id,
         amount: transaction.amount,
@@ -481,7 +462,7 @@ export const addMoney = asyncHandler(async (req, res) => {
       paymentId: paymentId || null
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Update user's wallet balance in User model (for backward compatibility)
     await User.findByIdAndUpdate(user._id, {
@@ -566,7 +547,7 @@ export const deductMoney = asyncHandler(async (req, res) => {
       orderId: orderId
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Update user's wallet balance in User model (for backward compatibility)
     await User.findByIdAndUpdate(user._id, {
@@ -649,7 +630,7 @@ export const addRefund = asyncHandler(async (req, res) => {
       orderId: orderId
     });
 
-    await wallet.save();
+    await wallet.saveWithLedger();
 
     // Update user's wallet balance in User model (for backward compatibility)
     await User.findByIdAndUpdate(user._id, {
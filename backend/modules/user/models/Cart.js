@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Add-on picked on a cart line, priced from the menu (per unit)
+const cartAddonSchema = new mongoose.Schema({
+  groupId: { type: String, required: true },
+  groupName: { type: String, default: '' },
+  optionId: { type: String, required: true },
+  name: { type: String, required: true },
+  price: { type: Number, default: 0 },
+  quantity: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+// One cart line: a menu item with its variant, add-ons and instructions
+const cartItemSchema = new mongoose.Schema({
+  // Same id the apps build: itemId[__variantId][__customizationKey]
+  lineId: { type: String, required: true },
+  itemId: { type: String, required: true },
+  name: { type: String, required: true },
+  image: { type: String, default: '' },
+  isVeg: { type: Boolean, default: true },
+  variantId: { type: String, default: null },
+  variantName: { type: String, default: null },
+  basePrice: { type: Number, default: 0 },
+  selectedAddons: { type: [cartAddonSchema], default: [] },
+  addonsTotal: { type: Number, default: 0 },
+  price: { type: Number, default: 0 }, // basePrice + addonsTotal
+  quantity: { type: Number, required: true, min: 1 },
+  specialInstructions: { type: String, default: '' },
+  // Set on every validation against the menu, inventory and schedules
+  isAvailable: { type: Boolean, default: true },
+  unavailableReason: { type: String, default: null },
+  maxQuantity: { type: Number, default: null }, // Limited stock left
+  previousPrice: { type: Number, default: null }, // Price before the menu changed
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+    index: true
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+  restaurantName: { type: String, default: '' },
+  items: { type: [cartItemSchema], default: [] },
+  // Bumped on every change the customer makes; devices send the version they
+  // last saw so a stale device cannot overwrite a newer cart
+  version: { type: Number, default: 0 },
+  lastActivityAt: { type: Date, default: Date.now },
+  validatedAt: { type: Date, default: null },
+  reminderSentAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Abandoned cart sweep
+cartSchema.index({ lastActivityAt: 1, reminderSentAt: 1 });
+
+export default mongoose.model('Cart', cartSchema);
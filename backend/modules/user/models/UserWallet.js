@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { attachWalletLedgerHooks } from '../../payment/services/ledgerService.js';
 
 // Transaction Schema for User Wallet
 const transactionSchema = new mongoose.Schema({
@@ -215,5 +216,7 @@ userWalletSchema.statics.findOrCreateByUserId = async function(userId) {
   return wallet;
 };
 
+attachWalletLedgerHooks(userWalletSchema, 'user');
+
 export default mongoose.model('UserWallet', userWalletSchema);
 
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  syncCart,
+  clearCart
+} from '../controllers/cartController.js';
+import { authenticate } from '../../auth/middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require user authentication
+router.use(authenticate);
+
+// Cart routes
+router.get('/', getCart); // GET /api/user/cart
+router.put('/', syncCart); // PUT /api/user/cart
+router.delete('/', clearCart); // DELETE /api/user/cart
+router.post('/items', addCartItem); // POST /api/user/cart/items
+router.patch('/items/:lineId', updateCartItem); // PATCH /api/user/cart/items/:lineId
+router.delete('/items/:lineId', removeCartItem); // DELETE /api/user/cart/items/:lineId
+
+export default router;
@@ -5,6 +5,7 @@ import {
   uploadProfileImage,
   updateUserLocation,
   getUserLocation,
+  updateUserPreferences,
   getUserAddresses,
   addUserAddress,
   updateUserAddress,
@@ -14,6 +15,7 @@ import { authenticate } from '../../auth/middleware/auth.js';
 import { uploadMiddleware } from '../../../shared/utils/cloudinaryService.js';
 import userWalletRoutes from './userWalletRoutes.js';
 import complaintRoutes from './complaintRoutes.js';
+import cartRoutes from './cartRoutes.js';
 
 const router = express.Router();
 
@@ -35,6 +37,9 @@ router.post(
 router.get('/location', getUserLocation);
 router.put('/location', updateUserLocation);
 
+// Preferences (language, veg mode)
+router.put('/preferences', updateUserPreferences);
+
 // Address routes
 router.get('/addresses', getUserAddresses);
 router.post('/addresses', addUserAddress);
@@ -47,5 +52,8 @@ router.use('/wallet', userWalletRoutes);
 // Complaint routes
 router.use('/complaints', complaintRoutes);
 
+// Cart routes
+router.use('/cart', cartRoutes);
+
 export default router;
 
@@ -0,0 +1,689 @@
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Order from '../../order/models/Order.js';
+import Restaurant from '../../restaurant/models/Restaurant.js';
+import Menu from '../../restaurant/models/Menu.js';
+import Inventory from '../../restaurant/models/Inventory.js';
+import OutletTimings from '../../restaurant/models/OutletTimings.js';
+import { buildMenuItemIndex, priceItemAddons } from '../../restaurant/services/addonGroupService.js';
+import {
+  SCHEDULE_TIMEZONE,
+  getLocalClock,
+  parseClockTime,
+  isWithinWindow,
+  isOutletOpenAt,
+  getPendingItemSchedules
+} from '../../order/services/scheduledOrderService.js';
+import { checkOrderingAllowed } from '../../subscription/services/subscriptionService.js';
+
+/**
+ * Server-side cart, one per customer
+ *
+ * The cart is shared by every device the customer signs in on. Lines are
+ * priced from the menu (never from the client) and re-validated against item
+ * availability, inventory stock, menu schedules and outlet timings each time
+ * the cart is read or changed. Carts left untouched get one push reminder
+ * (cron in server.js).
+ */
+
+const MAX_CART_LINES = 30;
+const MAX_LINE_QUANTITY = 50;
+
+// Remind after an hour of inactivity; older carts are left alone
+const REMINDER_AFTER_MS = 60 * 60 * 1000;
+const REMINDER_MAX_AGE_MS = 48 * 60 * 60 * 1000;
+
+const cartError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundPrice = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Key for a customized line, same hash as getCustomizationKey in the user app
+ * @returns {string} Empty string when the item is not customized
+ */
+const getCustomizationKey = (selectedAddons = [], specialInstructions = '') => {
+  const addonPart = selectedAddons
+    .map((addon) => `${addon.groupId}:${addon.optionId}`)
+    .sort()
+    .join(',');
+  const note = (specialInstructions || '').trim().toLowerCase();
+  if (!addonPart && !note) return '';
+
+  const source = `${addonPart}|${note}`;
+  let hash = 0;
+  for (let i = 0; i < source.length; i++) {
+    hash = (hash * 31 + source.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash).toString(36);
+};
+
+/**
+ * Cart line id, same format as getCartItemId in the user app
+ * @returns {string}
+ */
+export const getLineId = (itemId, variantId, selectedAddons, specialInstructions) =>
+  [itemId, variantId, getCustomizationKey(selectedAddons, specialInstructions)]
+    .filter(Boolean)
+    .join('__');
+
+const findRestaurant = async (restaurantId) => {
+  if (!restaurantId) return null;
+  if (mongoose.Types.ObjectId.isValid(restaurantId) && String(restaurantId).length === 24) {
+    const restaurant = await Restaurant.findById(restaurantId).lean();
+    if (restaurant) return restaurant;
+  }
+  return Restaurant.findOne({
+    $or: [{ restaurantId: String(restaurantId) }, { slug: String(restaurantId) }]
+  }).lean();
+};
+
+/**
+ * Stock per inventory item id (inventory items share ids with menu items)
+ * @returns {Map<string, {inStock: boolean, stockQuantity: *}>}
+ */
+const buildInventoryIndex = (inventory) => {
+  const index = new Map();
+  if (!inventory?.isActive) return index;
+  for (const category of inventory.categories || []) {
+    for (const item of category.items || []) {
+      index.set(String(item.id), {
+        inStock: category.inStock !== false && item.inStock !== false,
+        stockQuantity: item.stockQuantity
+      });
+    }
+  }
+  return index;
+};
+
+// Items in sections the restaurant switched off
+const buildDisabledItemIds = (menu) => {
+  const ids = new Set();
+  for (const section of menu?.sections || []) {
+    if (section.isEnabled !== false) continue;
+    for (const item of section.items || []) ids.add(String(item.id));
+    for (const subsection of section.subsections || []) {
+      for (const item of subsection.items || []) ids.add(String(item.id));
+    }
+  }
+  return ids;
+};
+
+const formatLocalTime = (date) =>
+  date.toLocaleString('en-IN', {
+    timeZone: SCHEDULE_TIMEZONE,
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+// Numeric stock or null for "Unlimited"
+const toStockCount = (value) => {
+  if (value === null || value === undefined || value === '' || value === 'Unlimited') return null;
+  const count = Number(value);
+  return Number.isFinite(count) ? Math.max(0, Math.floor(count)) : null;
+};
+
+/**
+ * Everything needed to price and validate lines for one restaurant
+ * @param {Object} restaurant - Restaurant (lean)
+ * @param {Date} now
+ */
+const loadRestaurantContext = async (restaurant, now = new Date()) => {
+  const [menu, inventory, outletTimings, pendingSchedules, ordering] = await Promise.all([
+    Menu.findOne({ restaurant: restaurant._id }).lean(),
+    Inventory.findOne({ restaurant: restaurant._id }).lean(),
+    OutletTimings.findOne({ restaurantId: restaurant._id }).lean(),
+    getPendingItemSchedules(restaurant._id),
+    checkOrderingAllowed(restaurant)
+  ]);
+  const clock = getLocalClock(now);
+
+  let closedMessage = null;
+  if (!restaurant.isActive) {
+    closedMessage = 'This restaurant is not available right now';
+  } else if (!ordering.allowed) {
+    closedMessage = ordering.message;
+  } else if (!isOutletOpenAt(outletTimings, clock)) {
+    closedMessage = 'This restaurant is closed right now';
+  }
+
+  return {
+    restaurant,
+    menu,
+    itemIndex: buildMenuItemIndex(menu),
+    inventoryIndex: buildInventoryIndex(inventory),
+    disabledItemIds: buildDisabledItemIds(menu),
+    pendingSchedules,
+    clock,
+    closedMessage
+  };
+};
+
+/**
+ * Price a line from the menu
+ * @param {Object} input - { itemId, variantId, selectedAddons, specialInstructions, quantity }
+ * @param {Object} context - From loadRestaurantContext
+ * @returns {Object} Cart line
+ * @throws {Error} 400 error when the item, variant or add-ons cannot be ordered
+ */
+const priceLine = (input, context) => {
+  const itemId = String(input.itemId || '');
+  const menuItem = context.itemIndex.get(itemId);
+  if (!menuItem) {
+    throw cartError(400, 'This item is no longer on the menu');
+  }
+
+  let basePrice = Number(menuItem.price) || 0;
+  let variant = null;
+  if (menuItem.variations?.length > 0) {
+    variant = menuItem.variations.find((v) => String(v.id) === String(input.variantId));
+    if (!variant) {
+      throw cartError(400, input.variantId
+        ? `The selected option of "${menuItem.name}" is no longer available`
+        : `Please select an option for "${menuItem.name}"`);
+    }
+    basePrice = Number(variant.price ?? menuItem.price) || 0;
+  }
+
+  const { selectedAddons, addonsTotal } = priceItemAddons(
+    menuItem,
+    input.selectedAddons || [],
+    context.menu?.addons || []
+  );
+  const specialInstructions = menuItem.allowSpecialInstructions === false
+    ? ''
+    : String(input.specialInstructions || '').trim().slice(0, 250);
+  const quantity = Math.min(MAX_LINE_QUANTITY, Math.max(1, parseInt(input.quantity, 10) || 1));
+
+  return {
+    lineId: getLineId(itemId, variant?.id, selectedAddons, specialInstructions),
+    itemId,
+    name: menuItem.name,
+    image: menuItem.image || menuItem.images?.[0] || '',
+    isVeg: menuItem.foodType === 'Veg',
+    variantId: variant ? String(variant.id) : null,
+    variantName: variant?.name || null,
+    basePrice: roundPrice(basePrice),
+    selectedAddons,
+    addonsTotal,
+    price: roundPrice(basePrice + addonsTotal),
+    quantity,
+    specialInstructions
+  };
+};
+
+/**
+ * Why a priced line cannot be ordered right now
+ * @returns {{reason: string|null, maxQuantity: number|null}}
+ */
+const checkLineAvailability = (line, context) => {
+  const menuItem = context.itemIndex.get(String(line.itemId));
+  if (!menuItem) {
+    return { reason: 'No longer on the menu', maxQuantity: null };
+  }
+  if (context.disabledItemIds.has(String(line.itemId))) {
+    return { reason: 'Currently unavailable', maxQuantity: null };
+  }
+  if (menuItem.isAvailable === false) {
+    const availableFrom = context.pendingSchedules.get(String(line.itemId));
+    return {
+      reason: availableFrom ? `Available again from ${formatLocalTime(availableFrom)}` : 'Currently unavailable',
+      maxQuantity: null
+    };
+  }
+
+  const start = parseClockTime(menuItem.availabilityTimeStart);
+  const end = parseClockTime(menuItem.availabilityTimeEnd);
+  if (!isWithinWindow(context.clock.minutes, start, end)) {
+    return {
+      reason: `Available between ${menuItem.availabilityTimeStart} and ${menuItem.availabilityTimeEnd}`,
+      maxQuantity: null
+    };
+  }
+
+  const stock = context.inventoryIndex.get(String(line.itemId));
+  if (stock && !stock.inStock) {
+    return { reason: 'Out of stock', maxQuantity: 0 };
+  }
+  const variant = line.variantId
+    ? (menuItem.variations || []).find((v) => String(v.id) === String(line.variantId))
+    : null;
+  const counts = [toStockCount(stock?.stockQuantity), toStockCount(menuItem.stock), toStockCount(variant?.stock)]
+    .filter((count) => count !== null);
+  const maxQuantity = counts.length > 0 ? Math.min(...counts) : null;
+  if (maxQuantity === 0) {
+    return { reason: 'Out of stock', maxQuantity };
+  }
+  if (maxQuantity !== null && line.quantity > maxQuantity) {
+    return { reason: `Only ${maxQuantity} left`, maxQuantity };
+  }
+  return { reason: null, maxQuantity };
+};
+
+/**
+ * Re-price and re-check a stored line. Lines that can no longer be priced
+ * keep their last known details and are marked unavailable.
+ */
+const revalidateLine = (line, context) => {
+  let priced;
+  try {
+    priced = priceLine(line, context);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { ...line, isAvailable: false, unavailableReason: error.message, maxQuantity: null };
+  }
+
+  const { reason, maxQuantity } = checkLineAvailability(priced, context);
+  const previousPrice = line.price && line.price !== priced.price ? line.price : line.previousPrice ?? null;
+  return {
+    ...priced,
+    // Keep the id the line was stored under so devices can keep addressing it
+    lineId: line.lineId,
+    quantity: line.quantity,
+    addedAt: line.addedAt,
+    isAvailable: !reason,
+    unavailableReason: reason,
+    maxQuantity,
+    previousPrice: previousPrice === priced.price ? null : previousPrice
+  };
+};
+
+const toPlainLine = (line) => (typeof line?.toObject === 'function' ? line.toObject() : line);
+
+/**
+ * Re-validate every line of a cart document in place
+ * @param {Object} cart - Cart document
+ * @param {Object|null} context - From loadRestaurantContext, loaded when omitted
+ * @returns {Promise<Object>} Restaurant context (null for an empty cart)
+ */
+const revalidateCart = async (cart, context = null) => {
+  if (cart.items.length === 0) {
+    return null;
+  }
+
+  const restaurant = context?.restaurant || (await findRestaurant(cart.restaurant));
+  if (!restaurant) {
+    cart.items = cart.items.map((line) => ({
+      ...toPlainLine(line),
+      isAvailable: false,
+      unavailableReason: 'Restaurant is no longer available',
+      maxQuantity: null
+    }));
+    cart.validatedAt = new Date();
+    return { restaurant: null, closedMessage: 'This restaurant is no longer available' };
+  }
+
+  const ctx = context || (await loadRestaurantContext(restaurant));
+  cart.items = cart.items.map((line) => revalidateLine(toPlainLine(line), ctx));
+  cart.restaurantName = restaurant.name;
+  cart.validatedAt = new Date();
+  return ctx;
+};
+
+/**
+ * Cart as returned to the apps
+ * @param {Object|null} cart - Cart document
+ * @param {Object|null} context - From revalidateCart
+ */
+const serializeCart = (cart, context) => {
+  const items = (cart?.items || []).map((line) => {
+    const plain = toPlainLine(line);
+    return {
+      ...plain,
+      totalPrice: roundPrice(plain.price * plain.quantity)
+    };
+  });
+  const available = items.filter((line) => line.isAvailable);
+  const restaurant = context?.restaurant;
+  const issues = [
+    ...(context?.closedMessage ? [context.closedMessage] : []),
+    ...items
+      .filter((line) => !line.isAvailable)
+      .map((line) => `${line.name}: ${line.unavailableReason}`),
+    ...items
+      .filter((line) => line.isAvailable && line.previousPrice !== null && line.previousPrice !== undefined)
+      .map((line) => `${line.name}: price changed from ₹${line.previousPrice} to ₹${line.price}`)
+  ];
+
+  return {
+    version: cart?.version || 0,
+    restaurant: items.length > 0 && cart?.restaurant
+      ? {
+        id: String(cart.restaurant),
+        restaurantId: restaurant?.restaurantId || null,
+        slug: restaurant?.slug || null,
+        name: restaurant?.name || cart.restaurantName,
+        isOpen: !context?.closedMessage,
+        closedMessage: context?.closedMessage || null
+      }
+      : null,
+    items,
+    itemCount: items.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: roundPrice(available.reduce((sum, line) => sum + line.price * line.quantity, 0)),
+    issues,
+    canCheckout: items.length > 0 && available.length === items.length && !context?.closedMessage,
+    validatedAt: cart?.validatedAt || null,
+    updatedAt: cart?.updatedAt || null
+  };
+};
+
+// Record a change made by the customer (price-change notices count as seen)
+const touchCart = (cart) => {
+  cart.items.forEach((line) => {
+    line.previousPrice = null;
+  });
+  cart.version = (cart.version || 0) + 1;
+  cart.lastActivityAt = new Date();
+  cart.reminderSentAt = null;
+};
+
+const emptyCart = (cart) => {
+  cart.items = [];
+  cart.restaurant = null;
+  cart.restaurantName = '';
+};
+
+const assertVersion = (cart, baseVersion) => {
+  if (baseVersion === undefined || baseVersion === null || baseVersion === '') return;
+  if (Number(baseVersion) !== (cart.version || 0)) {
+    throw cartError(409, 'Your cart was updated on another device');
+  }
+};
+
+const getOrCreateCart = async (userId) =>
+  (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+
+/**
+ * Current cart, re-validated
+ * @param {string} userId
+ * @returns {Promise<Object>} Serialized cart (empty when the user has none)
+ */
+export const getCart = async (userId) => {
+  const cart = await Cart.findOne({ userId });
+  if (!cart) {
+    return serializeCart(null, null);
+  }
+  const context = await revalidateCart(cart);
+  if (cart.isModified()) {
+    await cart.save();
+  }
+  return serializeCart(cart, context);
+};
+
+/**
+ * Add an item (or more of a line already in the cart)
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant _id, restaurantId or slug
+ * @param {string} params.itemId - Menu item id
+ * @param {string} [params.variantId]
+ * @param {Array} [params.selectedAddons] - [{ groupId, optionId, quantity }]
+ * @param {string} [params.specialInstructions]
+ * @param {number} [params.quantity=1]
+ * @param {boolean} [params.replaceCart] - Empty a cart from another restaurant first
+ * @param {number} [params.baseVersion] - Cart version the device last saw
+ * @returns {Promise<Object>} Serialized cart
+ * @throws {Error} 409 when the cart holds another restaurant's items or is stale
+ */
+export const addItem = async (userId, { restaurantId, replaceCart = false, baseVersion, ...input }) => {
+  const restaurant = await findRestaurant(restaurantId);
+  if (!restaurant) {
+    throw cartError(404, 'Restaurant not found');
+  }
+
+  const cart = await getOrCreateCart(userId);
+  assertVersion(cart, baseVersion);
+  if (cart.items.length > 0 && String(cart.restaurant) !== String(restaurant._id)) {
+    if (!replaceCart) {
+      throw cartError(
+        409,
+        `Your cart has items from "${cart.restaurantName}". Clear it to add items from "${restaurant.name}".`
+      );
+    }
+    emptyCart(cart);
+  }
+
+  const context = await loadRestaurantContext(restaurant);
+  const line = priceLine(input, context);
+  const existing = cart.items.find((item) => item.lineId === line.lineId);
+  const quantity = Math.min(MAX_LINE_QUANTITY, (existing?.quantity || 0) + line.quantity);
+
+  const { reason, maxQuantity } = checkLineAvailability({ ...line, quantity }, context);
+  if (reason) {
+    throw cartError(400, maxQuantity ? `Only ${maxQuantity} of "${line.name}" left` : `"${line.name}": ${reason}`);
+  }
+
+  if (existing) {
+    existing.quantity = quantity;
+  } else {
+    if (cart.items.length >= MAX_CART_LINES) {
+      throw cartError(400, `A cart can hold up to ${MAX_CART_LINES} different items`);
+    }
+    cart.items.push({ ...line, addedAt: new Date() });
+  }
+  cart.restaurant = restaurant._id;
+  touchCart(cart);
+
+  await revalidateCart(cart, context);
+  await cart.save();
+  return serializeCart(cart, context);
+};
+
+/**
+ * Change a line's quantity; 0 removes it
+ * @param {string} userId
+ * @param {string} lineId
+ * @param {number} quantity
+ * @param {number} [baseVersion]
+ * @returns {Promise<Object>} Serialized cart
+ */
+export const updateItemQuantity = async (userId, lineId, quantity, baseVersion) => {
+  const count = parseInt(quantity, 10);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_LINE_QUANTITY) {
+    throw cartError(400, `Quantity must be between 0 and ${MAX_LINE_QUANTITY}`);
+  }
+
+  const cart = await Cart.findOne({ userId });
+  const line = cart?.items.find((item) => item.lineId === lineId);
+  if (!line) {
+    throw cartError(404, 'Item not found in cart');
+  }
+  assertVersion(cart, baseVersion);
+
+  if (count === 0) {
+    cart.items = cart.items.filter((item) => item.lineId !== lineId);
+  } else {
+    line.quantity = count;
+  }
+  if (cart.items.length === 0) {
+    emptyCart(cart);
+  }
+  touchCart(cart);
+
+  const context = await revalidateCart(cart);
+  await cart.save();
+  return serializeCart(cart, context);
+};
+
+/**
+ * Remove a line
+ * @returns {Promise<Object>} Serialized cart
+ */
+export const removeItem = async (userId, lineId, baseVersion) =>
+  updateItemQuantity(userId, lineId, 0, baseVersion);
+
+/**
+ * Empty the cart
+ * @returns {Promise<Object>} Serialized cart
+ */
+export const clearCart = async (userId) => {
+  const cart = await Cart.findOne({ userId });
+  if (!cart || cart.items.length === 0) {
+    return serializeCart(cart, null);
+  }
+  emptyCart(cart);
+  touchCart(cart);
+  await cart.save();
+  return serializeCart(cart, null);
+};
+
+/**
+ * Replace the whole cart with the lines a device holds (sync after offline
+ * edits, or a guest cart carried into the account on login). Lines that can
+ * no longer be ordered are kept and marked unavailable so the customer sees why.
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {Array} params.items - [{ itemId, variantId, selectedAddons, specialInstructions, quantity, name }]
+ * @param {number} [params.baseVersion] - Cart version the device last saw
+ * @returns {Promise<Object>} Serialized cart
+ * @throws {Error} 409 when another device changed the cart since baseVersion
+ */
+export const replaceCart = async (userId, { restaurantId, items = [], baseVersion }) => {
+  const cart = await getOrCreateCart(userId);
+  assertVersion(cart, baseVersion);
+
+  const lines = Array.isArray(items) ? items.filter((item) => item?.itemId) : [];
+  if (lines.length === 0) {
+    emptyCart(cart);
+    touchCart(cart);
+    await cart.save();
+    return serializeCart(cart, null);
+  }
+  if (lines.length > MAX_CART_LINES) {
+    throw cartError(400, `A cart can hold up to ${MAX_CART_LINES} different items`);
+  }
+
+  const restaurant = await findRestaurant(restaurantId);
+  if (!restaurant) {
+    throw cartError(404, 'Restaurant not found');
+  }
+  const context = await loadRestaurantContext(restaurant);
+  const addedAt = new Map(cart.items.map((line) => [line.lineId, line.addedAt]));
+
+  const merged = new Map();
+  for (const input of lines) {
+    let line;
+    try {
+      line = priceLine(input, context);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      // Kept as sent; revalidateCart marks it unavailable
+      const selectedAddons = Array.isArray(input.selectedAddons) ? input.selectedAddons : [];
+      line = {
+        lineId: getLineId(String(input.itemId), input.variantId, selectedAddons, input.specialInstructions),
+        itemId: String(input.itemId),
+        name: String(input.name || 'Item'),
+        variantId: input.variantId || null,
+        variantName: input.variantName || null,
+        selectedAddons: [],
+        price: roundPrice(input.price),
+        quantity: Math.min(MAX_LINE_QUANTITY, Math.max(1, parseInt(input.quantity, 10) || 1)),
+        specialInstructions: String(input.specialInstructions || '').slice(0, 250)
+      };
+    }
+
+    const existing = merged.get(line.lineId);
+    if (existing) {
+      existing.quantity = Math.min(MAX_LINE_QUANTITY, existing.quantity + line.quantity);
+    } else {
+      merged.set(line.lineId, { ...line, addedAt: addedAt.get(line.lineId) || new Date() });
+    }
+  }
+
+  cart.items = [...merged.values()];
+  cart.restaurant = restaurant._id;
+  touchCart(cart);
+
+  await revalidateCart(cart, context);
+  await cart.save();
+  return serializeCart(cart, context);
+};
+
+/**
+ * Send one reminder for carts left untouched for an hour (cron every 15
+ * minutes). Carts whose restaurant is closed, or whose owner has ordered
+ * since, are skipped; the reminder is re-armed when the cart changes.
+ * @returns {Promise<{processed: number, message: string}>}
+ */
+export const processAbandonedCartReminders = async (now = new Date()) => {
+  const carts = await Cart.find({
+    'items.0': { $exists: true },
+    reminderSentAt: null,
+    lastActivityAt: {
+      $lte: new Date(now.getTime() - REMINDER_AFTER_MS),
+      $gte: new Date(now.getTime() - REMINDER_MAX_AGE_MS)
+    }
+  })
+    .select('_id userId lastActivityAt')
+    .limit(200)
+    .lean();
+
+  if (carts.length === 0) {
+    return { processed: 0, message: 'No abandoned carts' };
+  }
+
+  const { sendLocalizedPushNotification } = await import('../../fcm/services/pushNotificationService.js');
+  const User = (await import('../../auth/models/User.js')).default;
+
+  let processed = 0;
+  for (const candidate of carts) {
+    try {
+      // Claim the cart first so overlapping runs never remind twice. Stamped
+      // even when skipped so the cart is not looked at again until it changes
+      const cart = await Cart.findOneAndUpdate(
+        { _id: candidate._id, reminderSentAt: null, lastActivityAt: candidate.lastActivityAt },
+        { $set: { reminderSentAt: now } },
+        { new: true }
+      );
+      if (!cart) {
+        continue;
+      }
+
+      const [user, orderedSince] = await Promise.all([
+        User.findById(cart.userId).select('isActive preferences.notifications').lean(),
+        Order.exists({ userId: cart.userId, createdAt: { $gte: cart.lastActivityAt } })
+      ]);
+
+      const optedOut = user?.preferences?.notifications?.offers === false;
+      if (!user || user.isActive === false || optedOut || orderedSince) {
+        continue;
+      }
+
+      const context = await revalidateCart(cart);
+      const summary = serializeCart(cart, context);
+      await cart.save();
+      if (!summary.canCheckout) {
+        continue;
+      }
+
+      await sendLocalizedPushNotification(
+        cart.userId.toString(),
+        'user',
+        'cart_reminder',
+        { restaurantName: summary.restaurant.name, count: summary.itemCount },
+        { type: 'cart_reminder', tag: `cart_reminder_${cart.userId}`, link: '/cart' }
+      );
+      processed++;
+    } catch (error) {
+      console.error(`Error sending cart reminder for user ${candidate.userId}:`, error);
+    }
+  }
+
+  return { processed, message: `Sent ${processed} abandoned cart reminder(s)` };
+};
+
+export default {
+  getCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart,
+  replaceCart,
+  processAbandonedCartReminders
+};
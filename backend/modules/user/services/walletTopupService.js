@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import UserWallet from '../models/UserWallet.js';
+import User from '../../auth/models/User.js';
+import { postWalletTransactions, runLedgerTransaction } from '../../payment/services/ledgerService.js';
+
+/**
+ * Credit a Razorpay wallet top-up exactly once.
+ * The client verify endpoint and the payment.captured webhook both land here;
+ * the push is conditional on no transaction carrying the same gateway payment
+ * id, so whichever call arrives second is a no-op.
+ * @param {Object} params
+ * @param {String} params.userId
+ * @param {Number} params.amount - Rupees
+ * @param {String} params.razorpayPaymentId
+ * @param {String} [params.razorpayOrderId]
+ * @param {String} [params.source] - 'client' | 'webhook'
+ * @returns {Promise<{wallet: Object, transaction: Object, alreadyProcessed: Boolean}>}
+ */
+export const creditWalletTopup = async ({ userId, amount, razorpayPaymentId, razorpayOrderId, source = 'client' }) => {
+  // Make sure the wallet document exists before the conditional update
+  await UserWallet.findOrCreateByUserId(userId);
+
+  const now = new Date();
+  const transactionId = new mongoose.Types.ObjectId();
+
+  // The atomic update skips the wallet save hook, so the credit is posted to
+  // the ledger here, in the same transaction, which also rebuilds the balance
+  // from the ledger
+  const wallet = await runLedgerTransaction(async (session) => {
+    const credited = await UserWallet.findOneAndUpdate(
+      { userId, 'transactions.paymentId': { $ne: razorpayPaymentId } },
+      {
+        $push: {
+          transactions: {
+            _id: transactionId,
+            amount,
+            type: 'addition',
+            status: 'Completed',
+            description: 'Added money via Razorpay',
+            paymentMethod: 'card', // Default, actual method will be in Razorpay
+            paymentGateway: 'razorpay',
+            paymentId: razorpayPaymentId,
+            metadata: { razorpayOrderId, source },
+            processedAt: now,
+            createdAt: now,
+            updatedAt: now
+          }
+        },
+        $inc: { balance: amount, totalAdded: amount },
+        $set: { lastTransactionAt: now }
+      },
+      { new: true, session }
+    );
+    if (credited) {
+      await postWalletTransactions('user', credited, [transactionId], { session });
+    }
+    return credited;
+  });
+
+  if (!wallet) {
+    const existingWallet = await UserWallet.findOne({ userId });
+    const existingTransaction = existingWallet?.transactions.find(
+      t => t.paymentId === razorpayPaymentId
+    );
+    return { wallet: existingWallet, transaction: existingTransaction, alreadyProcessed: true };
+  }
+
+  // Update user's wallet balance in User model (for backward compatibility)
+  await User.findByIdAndUpdate(userId, {
+    'wallet.balance': wallet.balance,
+    'wallet.currency': wallet.currency
+  });
+
+  return {
+    wallet,
+    transaction: wallet.transactions.id(transactionId),
+    alreadyProcessed: false
+  };
+};
+
+export default { creditWalletTopup };
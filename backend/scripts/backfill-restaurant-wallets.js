@@ -124,7 +124,7 @@ async function backfill() {
           description: `Backfill: Order #${orderIdForLog} - Amount: ₹${orderTotal.toFixed(2)}, Commission: ₹${commissionAmount.toFixed(2)}`,
           orderId: order._id,
         });
-        await wallet.save();
+        await wallet.saveWithLedger();
         console.log(`✅ Credited ₹${restaurantEarning.toFixed(2)} to ${restaurant.name || restaurant.restaurantId} for order ${orderIdForLog}`);
         credited++;
       } catch (err) {
@@ -31,7 +31,8 @@ const createAdmin = async () => {
       email: process.env.ADMIN_EMAIL || "tastizoteam@gmail.com",
       phone: "7610416911",
       password: process.env.ADMIN_PASSWORD || "Abhi@4321",
-      role: "admin",
+      // Super admins bypass permission scopes; other admins need a role
+      role: "super_admin",
       isActive: true,
       phoneVerified: false,
     };
@@ -44,6 +45,13 @@ const createAdmin = async () => {
     if (existingAdmin) {
       console.log("⚠️  Admin already exists with this email:", adminData.email);
       console.log("Admin ID:", existingAdmin._id);
+
+      // Accounts created before permission scopes were enforced
+      if (existingAdmin.role !== "super_admin") {
+        existingAdmin.role = "super_admin";
+        await existingAdmin.save();
+        console.log("✅ Promoted existing admin to super_admin");
+      }
       process.exit(0);
     }
 
@@ -0,0 +1,207 @@
+/**
+ * Local Razorpay stub for exercising webhooks and reconciliation without the real gateway
+ *
+ * Usage:
+ *   1. node scripts/razorpay-stub-server.js            (listens on RAZORPAY_STUB_PORT, default 4010)
+ *   2. Start the backend with RAZORPAY_API_BASE_URL=http://localhost:4010 and the same
+ *      RAZORPAY_WEBHOOK_SECRET, so SDK calls (orders, payments, refunds) hit this stub.
+ *   3. Drive payments:
+ *      POST /stub/pay            { "orderId": "order_...", "status": "captured" | "failed" }
+ *                                -> creates the payment, sends payment.captured + order.paid
+ *                                   (or payment.failed) and returns the checkout signature
+ *                                   for /api/order/verify-payment
+ *      POST /stub/replay/:id     -> re-sends an earlier webhook delivery (idempotency check)
+ *      POST /stub/payments/:id   { "status": "failed", "amount": 12300 } -> edit gateway state
+ *                                   without a webhook, to create reconciliation mismatches
+ *      GET  /stub/state          -> everything the stub knows
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+
+const PORT = process.env.RAZORPAY_STUB_PORT || 4010;
+const WEBHOOK_URL = process.env.RAZORPAY_STUB_WEBHOOK_URL || 'http://localhost:5000/api/payment/webhook/razorpay';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'stub_webhook_secret';
+const KEY_SECRET = process.env.RAZORPAY_SECRET_KEY || process.env.RAZORPAY_KEY_SECRET || 'stub_key_secret';
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+const deliveries = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const sendWebhook = async (event, payload, eventId = newId('evt')) => {
+  const body = JSON.stringify({ entity: 'event', event, contains: Object.keys(payload), payload, created_at: now() });
+  deliveries.set(eventId, { event, body });
+
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+  try {
+    const response = await axios.post(WEBHOOK_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': eventId
+      },
+      validateStatus: () => true
+    });
+    console.log(`📤 ${event} (${eventId}) -> ${response.status} ${JSON.stringify(response.data)}`);
+    return { eventId, status: response.status, response: response.data };
+  } catch (error) {
+    console.error(`❌ Webhook ${event} failed: ${error.message}`);
+    return { eventId, error: error.message };
+  }
+};
+
+const app = express();
+app.use(express.json());
+
+// --- Razorpay API surface used by the backend SDK ---
+
+app.post('/v1/orders', (req, res) => {
+  const order = {
+    id: newId('order'),
+    entity: 'order',
+    amount: req.body.amount,
+    amount_paid: 0,
+    amount_due: req.body.amount,
+    currency: req.body.currency || 'INR',
+    receipt: req.body.receipt,
+    notes: req.body.notes || {},
+    status: 'created',
+    created_at: now()
+  };
+  orders.set(order.id, order);
+  res.json(order);
+});
+
+app.get('/v1/orders/:id', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  res.json(order);
+});
+
+app.get('/v1/payments', (req, res) => {
+  const from = Number(req.query.from) || 0;
+  const to = Number(req.query.to) || Number.MAX_SAFE_INTEGER;
+  const count = Number(req.query.count) || 10;
+  const skip = Number(req.query.skip) || 0;
+  const items = [...payments.values()]
+    .filter(p => p.created_at >= from && p.created_at <= to)
+    .slice(skip, skip + count);
+  res.json({ entity: 'collection', count: items.length, items });
+});
+
+app.get('/v1/payments/:id', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  res.json(payment);
+});
+
+app.post('/v1/payments/:id/refund', async (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+
+  const amount = req.body.amount || payment.amount - payment.amount_refunded;
+  const refund = {
+    id: newId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    notes: req.body.notes || {},
+    status: 'processed',
+    created_at: now()
+  };
+  refunds.set(refund.id, refund);
+  payment.amount_refunded += amount;
+  payment.refund_status = payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+  if (payment.refund_status === 'full') payment.status = 'refunded';
+
+  res.json(refund);
+
+  // Real refunds settle asynchronously; notify after the API call returned
+  setTimeout(() => sendWebhook('refund.processed', {
+    refund: { entity: refund },
+    payment: { entity: payment }
+  }), 500);
+});
+
+app.get('/v1/refunds/:id', (req, res) => {
+  const refund = refunds.get(req.params.id);
+  if (!refund) return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  res.json(refund);
+});
+
+// --- Stub controls ---
+
+app.post('/stub/pay', async (req, res) => {
+  const { orderId, status = 'captured', sendWebhooks = true } = req.body;
+  const order = orders.get(orderId);
+  if (!order) return res.status(404).json({ message: 'Unknown order id' });
+
+  const payment = {
+    id: newId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status,
+    order_id: order.id,
+    method: 'upi',
+    amount_refunded: 0,
+    refund_status: null,
+    captured: status === 'captured',
+    notes: {},
+    error_code: status === 'failed' ? 'BAD_REQUEST_ERROR' : null,
+    error_description: status === 'failed' ? 'Payment failed (stub)' : null,
+    created_at: now()
+  };
+  payments.set(payment.id, payment);
+
+  const webhooks = [];
+  if (status === 'captured') {
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+    if (sendWebhooks) {
+      webhooks.push(await sendWebhook('payment.captured', { payment: { entity: payment } }));
+      webhooks.push(await sendWebhook('order.paid', { payment: { entity: payment }, order: { entity: order } }));
+    }
+  } else if (sendWebhooks) {
+    webhooks.push(await sendWebhook('payment.failed', { payment: { entity: payment } }));
+  }
+
+  const signature = crypto.createHmac('sha256', KEY_SECRET).update(`${order.id}|${payment.id}`).digest('hex');
+  res.json({ payment, checkout: { razorpayOrderId: order.id, razorpayPaymentId: payment.id, razorpaySignature: signature }, webhooks });
+});
+
+app.post('/stub/replay/:eventId', async (req, res) => {
+  const delivery = deliveries.get(req.params.eventId);
+  if (!delivery) return res.status(404).json({ message: 'Unknown event id' });
+  res.json(await sendWebhook(delivery.event, JSON.parse(delivery.body).payload, req.params.eventId));
+});
+
+app.post('/stub/payments/:id', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ message: 'Unknown payment id' });
+  Object.assign(payment, req.body);
+  res.json(payment);
+});
+
+app.get('/stub/state', (req, res) => {
+  res.json({
+    orders: [...orders.values()],
+    payments: [...payments.values()],
+    refunds: [...refunds.values()],
+    deliveries: [...deliveries.entries()].map(([eventId, d]) => ({ eventId, event: d.event }))
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Razorpay stub listening on http://localhost:${PORT}`);
+  console.log(`   Webhooks -> ${WEBHOOK_URL}`);
+});
@@ -0,0 +1,1064 @@
+/**
+ * Service checks for the money paths and other flows that are easy to break
+ * without noticing. The services run as-is; their models are stubbed with
+ * in-memory collections, so no database is needed.
+ * Run: npm run test:services (also part of npm test)
+ */
+import assert from 'node:assert/strict';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// An unstubbed model call fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+// ---- In-memory stand-ins for the Mongo calls the services make ----
+
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === null || target[key] === undefined) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const sameValue = (a, b) =>
+  a === null || a === undefined || b === null || b === undefined
+    ? (a === null || a === undefined) && (b === null || b === undefined)
+    : String(a) === String(b);
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).some((key) => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return sameValue(value, condition);
+  }
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case '$in': return argument.some((candidate) => sameValue(value, candidate));
+      case '$ne': return !sameValue(value, argument);
+      case '$gt': return value !== null && value !== undefined && value > argument;
+      case '$gte': return value !== null && value !== undefined && value >= argument;
+      case '$lt': return value !== null && value !== undefined && value < argument;
+      case '$lte': return value !== null && value !== undefined && value <= argument;
+      case '$not': return !matchesCondition(value, argument);
+      case '$exists': return argument ? value !== null && value !== undefined : value === null || value === undefined;
+      case '$elemMatch': return Array.isArray(value) && value.some((element) => matches(element, argument));
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const resolveExprValue = (doc, operand) =>
+  typeof operand === 'string' && operand.startsWith('$') ? getPath(doc, operand.slice(1)) : operand;
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some((branch) => matches(doc, branch));
+    }
+    if (key === '$expr') {
+      const [operator, [left, right]] = Object.entries(condition)[0];
+      if (operator !== '$lt') throw new Error(`Unsupported $expr operator ${operator}`);
+      return resolveExprValue(doc, left) < resolveExprValue(doc, right);
+    }
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+// Supports `array.$[name].field` paths with their arrayFilters
+const setFilteredPath = (doc, path, value, arrayFilters = []) => {
+  const positional = path.match(/^(.*?)\.\$\[(\w+)\]\.(.*)$/);
+  if (!positional) {
+    setPath(doc, path, value);
+    return;
+  }
+  const [, arrayPath, name, rest] = positional;
+  const elementFilter = {};
+  arrayFilters.forEach((filter) => {
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (key.startsWith(`${name}.`)) elementFilter[key.slice(name.length + 1)] = condition;
+    });
+  });
+  (getPath(doc, arrayPath) || [])
+    .filter((element) => matches(element, elementFilter))
+    .forEach((element) => setPath(element, rest, value));
+};
+
+const applyUpdate = (doc, update, options = {}) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setFilteredPath(doc, path, value, options.arrayFilters));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  return doc;
+};
+
+/**
+ * Thenable standing in for a mongoose query; lean() hands out a copy
+ */
+const query = (result) => {
+  let value = result;
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    session: () => chain,
+    lean: () => {
+      value = value && structuredClone(value);
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const duplicateKeyError = (keyPattern) => {
+  const error = new Error('E11000 duplicate key error');
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  return error;
+};
+
+/**
+ * Collection of plain documents. Non-lean reads return the stored document,
+ * whose save() keeps it as it is. `unique` lists the fields of a unique
+ * index that upserts must respect.
+ */
+const createCollection = (initial = [], { unique = null } = {}) => {
+  const docs = [];
+  const insert = (doc) => {
+    Object.defineProperty(doc, 'save', { value: async function save() { return this; }, writable: true, configurable: true });
+    docs.push(doc);
+    return doc;
+  };
+  initial.forEach(insert);
+
+  const upsertFrom = (filter) => {
+    const doc = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (!key.startsWith('$') && !isOperatorObject(condition)) setPath(doc, key, condition);
+    });
+    if (unique && docs.some((existing) => unique.every((key) => sameValue(getPath(existing, key), getPath(doc, key))))) {
+      throw duplicateKeyError(Object.fromEntries(unique.map((key) => [key, 1])));
+    }
+    return insert({ _id: newId(), ...doc });
+  };
+
+  return {
+    docs,
+    insert,
+    findOne: (filter) => query(docs.find((doc) => matches(doc, filter)) || null),
+    find: (filter) => query(docs.filter((doc) => matches(doc, filter))),
+    exists: (filter) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      return query(doc ? { _id: doc._id } : null);
+    },
+    findOneAndUpdate: (filter, update, options = {}) => {
+      let doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc && options.upsert) doc = upsertFrom(filter);
+      return query(doc ? applyUpdate(doc, update) : null);
+    },
+    updateOne: (filter, update, options = {}) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) applyUpdate(doc, update, options);
+      return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+    },
+    updateMany: (filter, update, options = {}) => {
+      const matched = docs.filter((doc) => matches(doc, filter));
+      matched.forEach((doc) => applyUpdate(doc, update, options));
+      return query({ matchedCount: matched.length, modifiedCount: matched.length });
+    },
+  };
+};
+
+// Stubs are undone after every check
+const originals = [];
+const stub = (target, key, value) => {
+  originals.push([target, key, Object.getOwnPropertyDescriptor(target, key)]);
+  target[key] = value;
+};
+const restoreStubs = () => {
+  while (originals.length > 0) {
+    const [target, key, descriptor] = originals.pop();
+    if (descriptor) Object.defineProperty(target, key, descriptor);
+    else delete target[key];
+  }
+};
+
+// Runs the transaction body once with a fake session
+const stubTransaction = () => {
+  const session = { id: 'test-session' };
+  stub(mongoose.connection, 'transaction', async (work) => work(session));
+  return session;
+};
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+async function run() {
+  const { default: Coupon } = await import('../modules/coupon/models/Coupon.js');
+  const { default: CouponRedemption } = await import('../modules/coupon/models/CouponRedemption.js');
+  const { default: CouponUserUsage } = await import('../modules/coupon/models/CouponUserUsage.js');
+  const coupons = await import('../modules/coupon/services/couponService.js');
+  const { default: Order } = await import('../modules/order/models/Order.js');
+  const { default: Payment } = await import('../modules/payment/models/Payment.js');
+  const { processAbandonedOrderPayments } = await import('../modules/order/services/orderPaymentService.js');
+  const { default: AuditLog } = await import('../modules/admin/models/AuditLog.js');
+  const { default: DeliveryWallet } = await import('../modules/delivery/models/DeliveryWallet.js');
+  const { distributeDeliveryTip } = await import('../modules/order/services/commissionDistributionService.js');
+  const { default: HotelFolio } = await import('../modules/hotel/models/HotelFolio.js');
+  const { default: HotelWallet } = await import('../modules/hotel/models/HotelWallet.js');
+  const { settleFolio } = await import('../modules/hotel/services/hotelFolioService.js');
+  const { default: TaxInvoice } = await import('../modules/order/models/TaxInvoice.js');
+  const { default: InvoiceSequence } = await import('../modules/order/models/InvoiceSequence.js');
+  const { default: Restaurant } = await import('../modules/restaurant/models/Restaurant.js');
+  const { default: Menu } = await import('../modules/restaurant/models/Menu.js');
+  const { default: FeeSettings } = await import('../modules/admin/models/FeeSettings.js');
+  const { default: BusinessSettings } = await import('../modules/admin/models/BusinessSettings.js');
+  const taxInvoices = await import('../modules/order/services/taxInvoiceService.js');
+  const { default: PaymentWebhookEvent } = await import('../modules/payment/models/PaymentWebhookEvent.js');
+  const { handleRazorpayWebhook } = await import('../modules/payment/services/paymentWebhookService.js');
+  const { default: LedgerEntry } = await import('../modules/payment/models/LedgerEntry.js');
+  const ledger = await import('../modules/payment/services/ledgerService.js');
+  const { default: RestaurantSubscription } = await import('../modules/subscription/models/RestaurantSubscription.js');
+  const subscriptions = await import('../modules/subscription/services/subscriptionService.js');
+  const { verifyDeliveryHandover } = await import('../modules/order/services/deliveryHandoverService.js');
+  const { default: RiderSession } = await import('../modules/delivery/models/RiderSession.js');
+  const riderSessions = await import('../modules/delivery/services/riderSessionService.js');
+  const { default: DeliveryBatch } = await import('../modules/order/models/DeliveryBatch.js');
+  const batching = await import('../modules/order/services/orderBatchingService.js');
+  const { default: Zone } = await import('../modules/admin/models/Zone.js');
+  const { default: GigBooking } = await import('../modules/delivery/models/GigBooking.js');
+  const gigBookings = await import('../modules/delivery/services/gigBookingService.js');
+
+  // ---- Coupon reserve / release ----
+
+  check('coupon: the last use can only be reserved once and a release never goes below zero', async () => {
+    const coupon = { _id: newId(), usageCount: 0, usageLimit: 1, perUserLimit: null };
+    const store = createCollection([{ ...coupon }]);
+    stub(Coupon, 'updateOne', store.updateOne);
+
+    await coupons.reserveCouponUsage(coupon);
+    assert.equal(store.docs[0].usageCount, 1);
+    await assert.rejects(coupons.reserveCouponUsage(coupon), { statusCode: 409 });
+    assert.equal(store.docs[0].usageCount, 1);
+
+    await coupons.releaseCouponUsage(coupon._id);
+    await coupons.releaseCouponUsage(coupon._id);
+    assert.equal(store.docs[0].usageCount, 0);
+  });
+
+  check('coupon: an unlimited coupon reserves without a cap', async () => {
+    const coupon = { _id: newId(), usageCount: 41, usageLimit: null, perUserLimit: null };
+    const store = createCollection([{ ...coupon }]);
+    stub(Coupon, 'updateOne', store.updateOne);
+
+    await coupons.reserveCouponUsage(coupon);
+    assert.equal(store.docs[0].usageCount, 42);
+  });
+
+  check('coupon: a user can only reserve up to their own limit, and a refused use goes back to the global cap', async () => {
+    const coupon = { _id: newId(), usageCount: 0, usageLimit: null, perUserLimit: 2 };
+    const userId = newId();
+    const store = createCollection([{ ...coupon }]);
+    const usage = createCollection([], { unique: ['coupon', 'userId'] });
+    stub(Coupon, 'updateOne', store.updateOne);
+    stub(CouponUserUsage, 'findOneAndUpdate', usage.findOneAndUpdate);
+    stub(CouponUserUsage, 'updateOne', usage.updateOne);
+
+    await coupons.reserveCouponUsage(coupon, userId);
+    await coupons.reserveCouponUsage(coupon, userId);
+    await assert.rejects(coupons.reserveCouponUsage(coupon, userId), {
+      statusCode: 409,
+      message: 'You have already used this coupon',
+    });
+    assert.equal(usage.docs[0].count, 2);
+    assert.equal(store.docs[0].usageCount, 2);
+
+    await coupons.reserveCouponUsage(coupon, newId());
+    assert.equal(usage.docs.length, 2);
+
+    await coupons.releaseCouponUsage(coupon._id, userId);
+    await coupons.reserveCouponUsage(coupon, userId);
+    assert.equal(usage.docs[0].count, 2);
+  });
+
+  check('coupon: cancelling an order gives its use back once, and a late payment takes it again', async () => {
+    const couponId = newId();
+    const orderId = newId();
+    const userId = newId();
+    const couponStore = createCollection([{ _id: couponId, usageCount: 3, usageLimit: 10 }]);
+    const redemptions = createCollection([{ _id: newId(), coupon: couponId, code: 'SAVE50', userId, orderId, status: 'applied' }]);
+    const usage = createCollection([{ _id: newId(), coupon: couponId, userId, count: 1 }], { unique: ['coupon', 'userId'] });
+    stub(Coupon, 'updateOne', couponStore.updateOne);
+    stub(CouponRedemption, 'findOneAndUpdate', redemptions.findOneAndUpdate);
+    stub(CouponUserUsage, 'updateOne', usage.updateOne);
+
+    await coupons.releaseCouponRedemption(orderId);
+    await coupons.releaseCouponRedemption(orderId);
+    assert.equal(couponStore.docs[0].usageCount, 2);
+    assert.equal(usage.docs[0].count, 0);
+    assert.equal(redemptions.docs[0].status, 'reversed');
+
+    await coupons.restoreCouponRedemption(orderId);
+    await coupons.restoreCouponRedemption(orderId);
+    assert.equal(couponStore.docs[0].usageCount, 3);
+    assert.equal(usage.docs[0].count, 1);
+    assert.equal(redemptions.docs[0].status, 'applied');
+  });
+
+  check('coupon: unpaid online orders are cancelled after the payment window with their reservations given back', async () => {
+    const now = new Date();
+    const couponId = newId();
+    const subscriptionId = newId();
+    const abandonedId = newId();
+    const longAgo = new Date(now.getTime() - 45 * 60 * 1000);
+    const orders = createCollection([
+      { _id: abandonedId, orderId: 'ORD-1', status: 'pending', createdAt: longAgo, payment: { method: 'razorpay', status: 'failed' }, subscription: { subscriptionId } },
+      { _id: newId(), orderId: 'ORD-2', status: 'pending', createdAt: new Date(now.getTime() - 5 * 60 * 1000), payment: { method: 'razorpay', status: 'pending' } },
+      { _id: newId(), orderId: 'ORD-3', status: 'pending', createdAt: longAgo, payment: { method: 'razorpay', status: 'completed' } },
+    ]);
+    const couponStore = createCollection([{ _id: couponId, usageCount: 1, usageLimit: 1 }]);
+    const redemptions = createCollection([{ _id: newId(), coupon: couponId, code: 'SAVE50', userId: newId(), orderId: abandonedId, status: 'applied' }]);
+    const plans = createCollection([{ _id: subscriptionId, ordersUsed: 7 }]);
+    stub(Order, 'find', orders.find);
+    stub(Order, 'updateOne', orders.updateOne);
+    stub(Order, 'findOneAndUpdate', orders.findOneAndUpdate);
+    stub(Coupon, 'updateOne', couponStore.updateOne);
+    stub(CouponRedemption, 'findOneAndUpdate', redemptions.findOneAndUpdate);
+    stub(CouponUserUsage, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+    stub(RestaurantSubscription, 'updateOne', plans.updateOne);
+
+    const result = await processAbandonedOrderPayments(now);
+    assert.equal(result.processed, 1);
+    assert.deepEqual(orders.docs.map((order) => order.status), ['cancelled', 'pending', 'pending']);
+    assert.equal(couponStore.docs[0].usageCount, 0);
+    assert.equal(plans.docs[0].ordersUsed, 6);
+
+    const again = await processAbandonedOrderPayments(now);
+    assert.equal(again.processed, 0);
+  });
+
+  // ---- Subscription order slots ----
+
+  check('subscription: a cancelled order gives its plan slot back once', async () => {
+    const subscriptionId = newId();
+    const orderId = newId();
+    const plans = createCollection([{ _id: subscriptionId, ordersUsed: 5 }]);
+    const orders = createCollection([{ _id: orderId, subscription: { subscriptionId, commissionWaived: true } }]);
+    stub(RestaurantSubscription, 'updateOne', plans.updateOne);
+    stub(Order, 'findOneAndUpdate', orders.findOneAndUpdate);
+
+    await subscriptions.releaseOrderSubscriptionSlot(orderId);
+    await subscriptions.releaseOrderSubscriptionSlot(orderId);
+    assert.equal(plans.docs[0].ordersUsed, 4);
+    assert.ok(orders.docs[0].subscription.slotReleasedAt instanceof Date);
+  });
+
+  check('subscription: an order placed without a plan releases nothing', async () => {
+    const orderId = newId();
+    const orders = createCollection([{ _id: orderId, subscription: { subscriptionId: null } }]);
+    stub(Order, 'findOneAndUpdate', orders.findOneAndUpdate);
+    stub(RestaurantSubscription, 'updateOne', () => {
+      throw new Error('no plan slot should be released');
+    });
+
+    await subscriptions.releaseOrderSubscriptionSlot(orderId);
+    assert.equal(orders.docs[0].subscription.slotReleasedAt, undefined);
+  });
+
+  // ---- Webhook idempotency ----
+
+  const stubWebhookEvents = () => {
+    const events = createCollection();
+    stub(PaymentWebhookEvent, 'create', async (data) => {
+      if (events.docs.some((doc) => doc.eventId === data.eventId)) {
+        throw duplicateKeyError({ eventId: 1 });
+      }
+      return events.insert({ _id: newId(), status: 'processing', attempts: 1, updatedAt: new Date(), ...data });
+    });
+    stub(PaymentWebhookEvent, 'findOneAndUpdate', events.findOneAndUpdate);
+    return events;
+  };
+
+  const webhookBody = { event: 'subscription.charged', payload: {} };
+
+  check('webhook: a retried delivery of a processed event is ignored', async () => {
+    const events = stubWebhookEvents();
+
+    const first = await handleRazorpayWebhook({ eventId: 'evt_1', rawBody: '{}', body: webhookBody });
+    assert.equal(first.duplicate, false);
+    assert.equal(events.docs[0].status, 'ignored');
+
+    const retry = await handleRazorpayWebhook({ eventId: 'evt_1', rawBody: '{}', body: webhookBody });
+    assert.deepEqual(retry, { duplicate: true });
+    assert.equal(events.docs[0].attempts, 1);
+  });
+
+  check('webhook: without an event id the body hash is the key', async () => {
+    stubWebhookEvents();
+    const rawBody = JSON.stringify(webhookBody);
+
+    await handleRazorpayWebhook({ rawBody, body: webhookBody });
+    const retry = await handleRazorpayWebhook({ rawBody, body: webhookBody });
+    assert.deepEqual(retry, { duplicate: true });
+  });
+
+  check('webhook: failed and stale processing events are claimed again, fresh processing ones are not', async () => {
+    const events = stubWebhookEvents();
+    const now = Date.now();
+    events.insert({ _id: newId(), eventId: 'evt_failed', status: 'failed', attempts: 1, updatedAt: new Date(now) });
+    events.insert({ _id: newId(), eventId: 'evt_stale', status: 'processing', attempts: 1, updatedAt: new Date(now - 10 * 60 * 1000) });
+    events.insert({ _id: newId(), eventId: 'evt_busy', status: 'processing', attempts: 1, updatedAt: new Date(now - 30 * 1000) });
+
+    for (const eventId of ['evt_failed', 'evt_stale']) {
+      const result = await handleRazorpayWebhook({ eventId, rawBody: '{}', body: webhookBody });
+      assert.equal(result.duplicate, false, eventId);
+      const record = events.docs.find((doc) => doc.eventId === eventId);
+      assert.equal(record.attempts, 2, eventId);
+      assert.equal(record.status, 'ignored', eventId);
+    }
+
+    const busy = await handleRazorpayWebhook({ eventId: 'evt_busy', rawBody: '{}', body: webhookBody });
+    assert.deepEqual(busy, { duplicate: true });
+  });
+
+  check('webhook: order.paid without a payment is ignored instead of failing on every retry', async () => {
+    const events = stubWebhookEvents();
+    const body = { event: 'order.paid', payload: { order: { entity: { id: 'order_rzp_1', amount_paid: 50000 } } } };
+
+    const result = await handleRazorpayWebhook({ eventId: 'evt_paid', rawBody: '{}', body });
+    assert.equal(result.status, 'ignored');
+    assert.equal(events.docs[0].status, 'ignored');
+  });
+
+  check('webhook: a failed payment gives the coupon use and plan slot back', async () => {
+    stubWebhookEvents();
+    const couponId = newId();
+    const subscriptionId = newId();
+    const orderId = newId();
+    const orders = createCollection([
+      { _id: orderId, orderId: 'ORD-FAIL', status: 'pending', payment: { method: 'razorpay', status: 'pending', razorpayOrderId: 'order_rzp_2' }, subscription: { subscriptionId } },
+    ]);
+    const couponStore = createCollection([{ _id: couponId, usageCount: 5, usageLimit: 5 }]);
+    const redemptions = createCollection([{ _id: newId(), coupon: couponId, code: 'SAVE50', userId: newId(), orderId, status: 'applied' }]);
+    const plans = createCollection([{ _id: subscriptionId, ordersUsed: 3 }]);
+    stub(Order, 'findOne', orders.findOne);
+    stub(Order, 'updateOne', orders.updateOne);
+    stub(Order, 'findOneAndUpdate', orders.findOneAndUpdate);
+    stub(Coupon, 'updateOne', couponStore.updateOne);
+    stub(CouponRedemption, 'findOneAndUpdate', redemptions.findOneAndUpdate);
+    stub(CouponUserUsage, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+    stub(RestaurantSubscription, 'updateOne', plans.updateOne);
+
+    const body = { event: 'payment.failed', payload: { payment: { entity: { id: 'pay_1', order_id: 'order_rzp_2', status: 'failed' } } } };
+    const result = await handleRazorpayWebhook({ eventId: 'evt_fail', rawBody: '{}', body });
+    assert.equal(result.result.reservationsReleased, true);
+    assert.equal(orders.docs[0].payment.status, 'failed');
+    assert.equal(orders.docs[0].status, 'pending');
+    assert.equal(couponStore.docs[0].usageCount, 4);
+    assert.equal(plans.docs[0].ordersUsed, 2);
+  });
+
+  // ---- Folio settlement ----
+
+  const stubFolioSettlement = () => {
+    const hotelId = newId();
+    const orders = createCollection([
+      { _id: newId(), orderId: 'ORD-F1', status: 'delivered', cashCollected: true, payment: { status: 'completed' }, pricing: { total: 300 }, hotelCommission: 30, hotelCashSettled: false },
+      { _id: newId(), orderId: 'ORD-F2', status: 'delivered', cashCollected: true, payment: { status: 'completed' }, pricing: { total: 200 }, hotelCommission: 20, hotelCashSettled: false },
+    ]);
+    const folios = createCollection([{
+      _id: newId(),
+      hotel: hotelId,
+      folioNumber: 'FOLIO-1',
+      roomNumber: '101',
+      status: 'closed',
+      orders: orders.docs.map((order) => order._id),
+    }]);
+    // Only what a successful saveWithLedger wrote survives into the next load
+    const persisted = { transactions: [], failNextSave: false };
+
+    stub(HotelFolio, 'findOne', folios.findOne);
+    stub(HotelFolio, 'findOneAndUpdate', folios.findOneAndUpdate);
+    stub(HotelFolio, 'updateOne', folios.updateOne);
+    stub(Order, 'find', orders.find);
+    stub(Order, 'updateMany', orders.updateMany);
+    stub(HotelWallet, 'findOrCreateByHotelId', async () => {
+      const wallet = new HotelWallet({ hotelId, transactions: persisted.transactions });
+      wallet.saveWithLedger = async () => {
+        if (persisted.failNextSave) {
+          persisted.failNextSave = false;
+          throw new Error('ledger posting failed');
+        }
+        persisted.transactions = wallet.transactions.map((transaction) => transaction.toObject());
+        return wallet;
+      };
+      return wallet;
+    });
+
+    return { hotelId, folio: folios.docs[0], orders, persisted };
+  };
+
+  check('folio: a failed wallet save undoes the hand-over flags and reopens the folio for settling', async () => {
+    const { hotelId, folio, orders, persisted } = stubFolioSettlement();
+    persisted.failNextSave = true;
+
+    await assert.rejects(settleFolio(hotelId, folio._id), /ledger posting failed/);
+    assert.equal(folio.status, 'closed');
+    assert.equal(folio.settledAt, null);
+    assert.ok(orders.docs.every((order) => order.hotelCashSettled === false));
+    assert.equal(persisted.transactions.length, 0);
+
+    const settled = await settleFolio(hotelId, folio._id);
+    assert.equal(settled.status, 'settled');
+    assert.equal(settled.settlement.settledAmount, 500);
+    assert.equal(settled.settlement.hotelCommission, 50);
+    assert.ok(orders.docs.every((order) => order.hotelCashSettled === true));
+    assert.equal(persisted.transactions.length, 1);
+  });
+
+  check('folio: a retry after the wallet credit does not credit the folio again', async () => {
+    const { hotelId, folio, persisted } = stubFolioSettlement();
+    const save = folio.save;
+    folio.save = async () => {
+      folio.save = save;
+      throw new Error('folio save failed');
+    };
+
+    await assert.rejects(settleFolio(hotelId, folio._id), /folio save failed/);
+    assert.equal(folio.status, 'closed');
+
+    const settled = await settleFolio(hotelId, folio._id);
+    const credits = persisted.transactions.filter((transaction) => transaction.type === 'folio_settlement');
+    assert.equal(credits.length, 1);
+    assert.equal(credits[0].amount, 500);
+    assert.equal(String(settled.settlement.walletTransactionId), String(credits[0]._id));
+
+    await assert.rejects(settleFolio(hotelId, folio._id), { statusCode: 400 });
+  });
+
+  // ---- Ledger posting ----
+
+  const stubLedgerEntries = () => {
+    const entries = createCollection();
+    stub(LedgerEntry, 'find', entries.find);
+    stub(LedgerEntry, 'findOne', entries.findOne);
+    stub(LedgerEntry, 'exists', entries.exists);
+    stub(LedgerEntry, 'create', async ([entry]) => {
+      if (entries.docs.some((doc) => doc.idempotencyKey === entry.idempotencyKey)) {
+        throw duplicateKeyError({ idempotencyKey: 1 });
+      }
+      return [entries.insert({ _id: newId(), ...entry })];
+    });
+    // Account totals, as getLedgerAccountBalance groups them
+    stub(LedgerEntry, 'aggregate', ([{ $match }]) => {
+      const lines = entries.docs
+        .flatMap((entry) => entry.lines)
+        .filter((line) => line.account === $match['lines.account']);
+      const total = (side) => lines.reduce((sum, line) => sum + (line[side] || 0), 0);
+      return query(lines.length > 0 ? [{ _id: null, debit: total('debit'), credit: total('credit') }] : []);
+    });
+    return entries;
+  };
+
+  const balanceOf = (entries, account) =>
+    Math.round(
+      entries.docs
+        .flatMap((entry) => entry.lines)
+        .filter((line) => line.account === account)
+        .reduce((sum, line) => sum + (line.debit || 0) - (line.credit || 0), 0) * 100,
+    ) / 100;
+
+  check('ledger: unbalanced or empty journal entries are refused', async () => {
+    stubLedgerEntries();
+
+    await assert.rejects(
+      ledger.postJournalEntry({ idempotencyKey: 'test:unbalanced', lines: [{ account: 'a', debit: 10 }, { account: 'b', credit: 9.99 }] }),
+      /Unbalanced/,
+    );
+    await assert.rejects(
+      ledger.postJournalEntry({ idempotencyKey: 'test:empty', lines: [{ account: 'a', debit: 0 }, { account: 'b', credit: 0 }] }),
+      /no amount/,
+    );
+  });
+
+  check('ledger: a wallet transaction posts once and a cancellation reverses it', async () => {
+    const entries = stubLedgerEntries();
+    stub(DeliveryWallet, 'updateOne', createCollection().updateOne);
+    const wallet = new DeliveryWallet({ deliveryId: newId() });
+    wallet.addTransaction({ amount: 40, type: 'payment', status: 'Completed', paymentCollected: true, orderId: newId() });
+    const transactionId = wallet.transactions[0]._id;
+    const walletAccount = ledger.walletAccount('delivery', wallet._id);
+    const cashAccount = ledger.deliveryCashAccount(wallet._id);
+
+    assert.deepEqual(await ledger.postWalletTransactions('delivery', wallet, [transactionId]), { posted: 2, reversed: 0 });
+    assert.deepEqual(await ledger.postWalletTransactions('delivery', wallet, [transactionId]), { posted: 0, reversed: 0 });
+    assert.equal(balanceOf(entries, walletAccount), -40);
+    assert.equal(balanceOf(entries, cashAccount), 40);
+
+    wallet.transactions[0].status = 'Cancelled';
+    assert.deepEqual(await ledger.postWalletTransactions('delivery', wallet, [transactionId]), { posted: 0, reversed: 2 });
+    assert.equal(balanceOf(entries, walletAccount), 0);
+    assert.equal(balanceOf(entries, cashAccount), 0);
+    assert.equal(balanceOf(entries, ledger.SYSTEM_ACCOUNTS.ORDER_CLEARING), 0);
+    assert.equal(wallet.totalBalance, 0);
+    assert.equal(wallet.cashInHand, 0);
+  });
+
+  check('ledger: posting rebuilds the cached wallet balances from the ledger', async () => {
+    stubLedgerEntries();
+    const wallet = new DeliveryWallet({ deliveryId: newId() });
+    const wallets = createCollection([{ _id: wallet._id, totalBalance: 0, cashInHand: 0 }]);
+    stub(DeliveryWallet, 'updateOne', wallets.updateOne);
+
+    wallet.addTransaction({ amount: 60, type: 'payment', status: 'Completed', paymentCollected: true, orderId: newId() });
+    // Drift the cache, e.g. an older write that bypassed the ledger
+    wallet.totalBalance = 500;
+    wallet.cashInHand = 7;
+    await ledger.postWalletTransactions('delivery', wallet, [wallet.transactions[0]._id]);
+
+    assert.equal(wallet.totalBalance, 60);
+    assert.equal(wallet.cashInHand, 60);
+    assert.equal(wallet.isModified('totalBalance'), false);
+    assert.equal(wallets.docs[0].totalBalance, 60);
+    assert.equal(wallets.docs[0].cashInHand, 60);
+  });
+
+  check('ledger: a posting failure is thrown to the wallet write', async () => {
+    stubLedgerEntries();
+    stub(LedgerEntry, 'create', async () => {
+      throw new Error('write conflict');
+    });
+    const wallet = new DeliveryWallet({ deliveryId: newId() });
+    wallet.addTransaction({ amount: 15, type: 'tip', status: 'Completed', orderId: newId() });
+
+    await assert.rejects(
+      ledger.postWalletTransactions('delivery', wallet, [wallet.transactions[0]._id], { session: stubTransaction() }),
+      /write conflict/,
+    );
+  });
+
+  check('ledger: collecting the same cash twice adds it to cash in hand once', async () => {
+    stubTransaction();
+    const entries = stubLedgerEntries();
+    const deliveryId = newId();
+    const wallets = createCollection([{ _id: newId(), deliveryId, cashInHand: 0 }]);
+    stub(DeliveryWallet, 'findOne', wallets.findOne);
+    stub(DeliveryWallet, 'updateOne', wallets.updateOne);
+
+    const cash = { deliveryId, orderId: newId(), amount: 250, reason: 'cod', description: 'COD collected' };
+    const first = await ledger.addDeliveryCashInHand(cash);
+    const second = await ledger.addDeliveryCashInHand(cash);
+
+    assert.equal(first.added, true);
+    assert.equal(second.added, false);
+    assert.equal(wallets.docs[0].cashInHand, 250);
+    assert.equal(entries.docs.length, 1);
+    assert.equal(balanceOf(entries, ledger.deliveryCashAccount(wallets.docs[0]._id)), 250);
+  });
+
+  // ---- Invoice numbering ----
+
+  const stubInvoiceStore = (initial = []) => {
+    const session = stubTransaction();
+    const documents = createCollection(initial);
+    const sequences = createCollection();
+    const sessionsUsed = [];
+    stub(TaxInvoice, 'findOne', documents.findOne);
+    stub(TaxInvoice, 'find', documents.find);
+    stub(TaxInvoice, 'create', async ([data], options = {}) => {
+      sessionsUsed.push(options.session);
+      return [documents.insert({ _id: newId(), ...data })];
+    });
+    stub(InvoiceSequence, 'findOneAndUpdate', (filter, update, options = {}) => {
+      sessionsUsed.push(options.session);
+      return sequences.findOneAndUpdate(filter, update, options);
+    });
+    return { session, documents, sequences, sessionsUsed };
+  };
+
+  check('invoice: the grand total leaves out delivery fee, platform fee and tip', async () => {
+    const { session, sessionsUsed } = stubInvoiceStore();
+    const restaurantId = newId();
+    const order = {
+      _id: newId(),
+      orderId: 'ORD-INV',
+      userId: { _id: newId(), name: 'Test Customer', phone: '9999999999' },
+      restaurantId,
+      status: 'delivered',
+      deliveredAt: new Date('2026-05-10T10:00:00Z'),
+      address: { state: 'Karnataka' },
+      items: [{ itemId: 'item-1', name: 'Paneer Tikka', price: 200, quantity: 2 }],
+      pricing: { subtotal: 400, tax: 20, deliveryFee: 25, platformFee: 5, tip: 30, discount: 0, total: 480 },
+      payment: { method: 'razorpay' },
+    };
+    stub(Order, 'findById', () => query(order));
+    stub(Restaurant, 'findById', () => query({ _id: restaurantId, name: 'Test Kitchen', location: { state: 'Karnataka' } }));
+    stub(Menu, 'findOne', () => query(null));
+    stub(FeeSettings, 'findOne', () => query({ gstRate: 5 }));
+    stub(BusinessSettings, 'findOne', () => query(null));
+
+    const { invoice, created } = await taxInvoices.issueInvoiceForOrder(order._id);
+    assert.equal(created, true);
+    assert.equal(invoice.number, 'INV/2627/000001');
+    assert.deepEqual(invoice.charges, []);
+    assert.equal(invoice.totals.grandTotal, 420);
+    assert.equal(invoice.totals.roundOff, 0);
+    assert.ok(sessionsUsed.length === 2 && sessionsUsed.every((used) => used === session));
+  });
+
+  check('invoice: credit notes are numbered in sequence and capped at the invoice total', async () => {
+    const orderId = newId();
+    const invoice = {
+      _id: newId(),
+      documentType: 'invoice',
+      idempotencyKey: `invoice:${orderId}`,
+      number: 'INV/2627/000001',
+      restaurant: newId(),
+      order: orderId,
+      supplyType: 'intra_state',
+      lines: [{ description: 'Paneer Tikka', quantity: 2, grossAmount: 400, discount: 0, taxableValue: 400, gstRate: 5, cgst: 10, sgst: 10, igst: 0, total: 420 }],
+      charges: [],
+      totals: { grandTotal: 420 },
+    };
+    const { documents, sequences, sessionsUsed, session } = stubInvoiceStore([invoice]);
+    // The customer paid ₹480; the invoice covers ₹420 of it
+    stub(Order, 'findById', () => query({ _id: orderId, pricing: { total: 480 } }));
+
+    const first = await taxInvoices.issueCreditNoteForRefund({ order: orderId, amount: 240, reference: 'rfnd_1', ofOrderTotal: true });
+    assert.equal(first.creditNote.number.endsWith('/000001'), true);
+    assert.ok(first.creditNote.number.startsWith('CN/'));
+    assert.equal(first.creditNote.totals.grandTotal, 210);
+
+    const repeated = await taxInvoices.issueCreditNoteForRefund({ order: orderId, amount: 240, reference: 'rfnd_1', ofOrderTotal: true });
+    assert.equal(repeated.created, false);
+    assert.equal(repeated.creditNote._id, first.creditNote._id);
+
+    const second = await taxInvoices.issueCreditNoteForRefund({ order: orderId, amount: 480, reference: 'rfnd_2', ofOrderTotal: true });
+    assert.ok(second.creditNote.number.endsWith('/000002'));
+    assert.equal(second.creditNote.totals.grandTotal, 210);
+
+    const nothingLeft = await taxInvoices.issueCreditNoteForRefund({ order: orderId, amount: 100, reference: 'rfnd_3', ofOrderTotal: true });
+    assert.equal(nothingLeft.creditNote, null);
+
+    await assert.rejects(
+      taxInvoices.issueCreditNoteForRefund({ order: orderId, amount: 1, reference: 'rfnd_4' }),
+      { statusCode: 400 },
+    );
+
+    // No number was taken for the refunds that got no credit note
+    assert.equal(sequences.docs.length, 1);
+    assert.equal(sequences.docs[0].lastNumber, 2);
+    assert.equal(documents.docs.filter((document) => document.documentType === 'credit_note').length, 2);
+    assert.ok(sessionsUsed.every((used) => used === session));
+  });
+
+  // ---- Tip crediting ----
+
+  const stubTipCrediting = (order) => {
+    const orders = createCollection([order]);
+    const walletTransactions = [];
+    stub(Order, 'findById', (id) => orders.findOne({ _id: id }));
+    stub(Order, 'findOneAndUpdate', orders.findOneAndUpdate);
+    stub(Order, 'updateOne', orders.updateOne);
+    stub(AuditLog, 'createLog', async () => null);
+    stub(DeliveryWallet, 'findOrCreateByDeliveryId', async (deliveryId) => {
+      const wallet = new DeliveryWallet({ deliveryId });
+      wallet.saveWithLedger = async () => {
+        walletTransactions.push(...wallet.transactions.map((transaction) => transaction.toObject()));
+        return wallet;
+      };
+      return wallet;
+    });
+    return { orders, walletTransactions };
+  };
+
+  const deliveredOrder = (overrides = {}) => ({
+    _id: newId(),
+    orderId: 'ORD-TIP',
+    userId: newId(),
+    deliveryPartnerId: newId(),
+    status: 'delivered',
+    payment: { method: 'razorpay' },
+    pricing: { total: 500, tip: 50 },
+    deliveryTip: {},
+    ...overrides,
+  });
+
+  check('tip: only the part of the checkout tip the payment covered is credited, once', async () => {
+    const order = deliveredOrder();
+    const { orders, walletTransactions } = stubTipCrediting(order);
+    // Captured ₹480 of a ₹500 total, so ₹30 of the ₹50 tip was paid
+    stub(Payment, 'find', () => query([{ amount: 480 }]));
+
+    const first = await distributeDeliveryTip(order._id);
+    assert.deepEqual(first, { success: true, amount: 30 });
+    const second = await distributeDeliveryTip(order._id);
+    assert.equal(second.success, false);
+
+    assert.equal(walletTransactions.length, 1);
+    assert.equal(walletTransactions[0].type, 'tip');
+    assert.equal(walletTransactions[0].amount, 30);
+    assert.equal(orders.docs[0].deliveryTip.creditedAmount, 30);
+  });
+
+  check('tip: a paid post-delivery tip credits only the new amount', async () => {
+    const order = deliveredOrder({ payment: { method: 'cash' } });
+    const { orders, walletTransactions } = stubTipCrediting(order);
+
+    await distributeDeliveryTip(order._id);
+    orders.docs[0].deliveryTip.postDelivery = { status: 'paid', amount: 20 };
+    const result = await distributeDeliveryTip(order._id);
+
+    assert.deepEqual(result, { success: true, amount: 20 });
+    assert.deepEqual(walletTransactions.map((transaction) => transaction.amount), [50, 20]);
+    assert.equal(orders.docs[0].deliveryTip.creditedAmount, 70);
+  });
+
+  check('tip: a failed wallet credit gives the claim back', async () => {
+    const order = deliveredOrder({ payment: { method: 'cash' } });
+    const { orders } = stubTipCrediting(order);
+    stub(DeliveryWallet, 'findOrCreateByDeliveryId', async () => {
+      throw new Error('wallet unavailable');
+    });
+
+    await assert.rejects(distributeDeliveryTip(order._id), /wallet unavailable/);
+    assert.equal(orders.docs[0].deliveryTip.creditedAmount, 0);
+  });
+
+  // ---- Batch bonus ----
+
+  check('batching: the sweep credits the unpaid bonus of a completed trip once', async () => {
+    stubTransaction();
+    const deliveryPartnerId = newId();
+    const batches = createCollection([{
+      _id: newId(),
+      batchId: 'TRIP-1',
+      deliveryPartnerId,
+      orders: [newId(), newId()],
+      status: 'completed',
+      earnings: { bonusPerExtraOrder: 20, batchBonus: 20 },
+    }]);
+    stub(DeliveryBatch, 'find', batches.find);
+    stub(DeliveryBatch, 'findOneAndUpdate', batches.findOneAndUpdate);
+    stub(Order, 'countDocuments', () => query(2));
+
+    const wallet = new DeliveryWallet({ deliveryId: deliveryPartnerId });
+    let saves = 0;
+    wallet.saveWithLedger = async () => {
+      saves++;
+      return wallet;
+    };
+    stub(DeliveryWallet, 'findOrCreateByDeliveryId', async () => wallet);
+    stub(DeliveryWallet, 'findOne', () => query(wallet));
+
+    const first = await batching.processFinishedBatches();
+    const second = await batching.processFinishedBatches();
+
+    assert.equal(first.bonusesCredited, 1);
+    assert.equal(second.bonusesCredited, 0);
+    assert.equal(saves, 1);
+    assert.equal(wallet.transactions.filter((transaction) => transaction.type === 'bonus').length, 1);
+    assert.equal(wallet.transactions[0].amount, 20);
+    assert.ok(batches.docs[0].earnings.bonusCreditedAt);
+  });
+
+  // ---- Delivery handover ----
+
+  check('handover: a locked code does not open the photo fallback before the customer was reported and given time', async () => {
+    stub(BusinessSettings, 'getSettings', async () => null);
+    const photo = { url: 'https://res.cloudinary.com/demo/image/upload/proof.jpg', publicId: 'appzeto/delivery-proof/proof' };
+    const lockedOrder = (deliveryVerification) => ({
+      _id: newId(),
+      deliveryVerification: { otp: '1234', failedAttempts: 5, ...deliveryVerification },
+    });
+
+    await assert.rejects(
+      verifyDeliveryHandover(lockedOrder({}), { photo, fallbackReason: 'other' }),
+      { statusCode: 400, message: 'Report the customer as unreachable before completing with a photo' },
+    );
+    await assert.rejects(
+      verifyDeliveryHandover(lockedOrder({ customerUnreachableAt: new Date(Date.now() - 60 * 1000) }), { photo, fallbackReason: 'other' }),
+      (error) => error.statusCode === 400 && error.message.startsWith('The customer has until'),
+    );
+    await assert.rejects(
+      verifyDeliveryHandover(lockedOrder({}), { otp: '1234' }),
+      { statusCode: 423 },
+    );
+  });
+
+  // ---- Rider sessions ----
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+  const at = (time) => new Date(`2026-03-02T${time}:00.000Z`);
+
+  check('rider sessions: overlapping sessions and order intervals count once, idle is the rest', async () => {
+    const deliveryId = newId();
+    const [first, second, third] = [newId(), newId(), newId()];
+    const sessions = createCollection([
+      {
+        _id: newId(),
+        deliveryId,
+        startedAt: at('09:00'),
+        endedAt: at('11:00'),
+        offeredOrderIds: [first],
+        acceptedOrderIds: [first],
+        orderIntervals: [{ orderId: first, startedAt: at('10:15'), endedAt: at('10:45') }],
+      },
+      {
+        _id: newId(),
+        deliveryId,
+        startedAt: at('10:30'),
+        endedAt: at('12:00'),
+        offeredOrderIds: [second, third],
+        acceptedOrderIds: [second],
+        // Still open when the session ended; counted up to the session end
+        orderIntervals: [{ orderId: second, startedAt: at('10:30'), endedAt: null }],
+      },
+    ]);
+    stub(RiderSession, 'find', sessions.find);
+
+    const activity = await riderSessions.getRiderActivity(deliveryId, at('10:00'), at('14:00'));
+    // Online 10:00-12:00; on orders 10:15-12:00
+    assert.equal(activity.loginMinutes, 120);
+    assert.equal(activity.busyMinutes, 105);
+    assert.equal(activity.idleMinutes, 15);
+    // Offers count towards the window their session started in
+    assert.equal(activity.ordersOffered, 2);
+    assert.equal(activity.ordersAccepted, 1);
+    assert.equal(activity.acceptanceRate, 50);
+  });
+
+  check('rider sessions: no offers gives no acceptance rate', async () => {
+    const deliveryId = newId();
+    const sessions = createCollection([{ _id: newId(), deliveryId, startedAt: at('10:00'), endedAt: at('10:30'), orderIntervals: [] }]);
+    stub(RiderSession, 'find', sessions.find);
+
+    const activity = await riderSessions.getRiderActivity(deliveryId, at('00:00'), at('23:59'));
+    assert.equal(activity.loginMinutes, 30);
+    assert.equal(activity.idleMinutes, 30);
+    assert.equal(activity.acceptanceRate, null);
+  });
+
+  check('rider sessions: the sweep closes silent sessions at their last ping and intervals of finished orders', async () => {
+    const [silentRider, activeRider] = [newId(), newId()];
+    const [delivered, onTheWay] = [newId(), newId()];
+    const lastPing = minutesAgo(25);
+    const deliveredAt = minutesAgo(3);
+    const sessions = createCollection([
+      { _id: newId(), deliveryId: silentRider, startedAt: minutesAgo(90), lastSeenAt: lastPing, endedAt: null, orderIntervals: [] },
+      {
+        _id: newId(),
+        deliveryId: activeRider,
+        startedAt: minutesAgo(60),
+        lastSeenAt: minutesAgo(1),
+        endedAt: null,
+        orderIntervals: [
+          { orderId: delivered, startedAt: minutesAgo(40), endedAt: null },
+          { orderId: onTheWay, startedAt: minutesAgo(10), endedAt: null },
+        ],
+      },
+    ]);
+    const orders = createCollection([
+      { _id: delivered, status: 'delivered', deliveryPartnerId: activeRider, deliveredAt },
+      { _id: onTheWay, status: 'out_for_delivery', deliveryPartnerId: activeRider },
+    ]);
+    stub(RiderSession, 'find', sessions.find);
+    stub(RiderSession, 'updateOne', sessions.updateOne);
+    stub(Order, 'find', orders.find);
+
+    assert.deepEqual(await riderSessions.processRiderSessions(), { sessionsClosed: 1, intervalsClosed: 1 });
+    const [silent, active] = sessions.docs;
+    assert.deepEqual(silent.endedAt, lastPing);
+    assert.equal(silent.endReason, 'inactive');
+    assert.equal(active.endedAt, null);
+    assert.deepEqual(active.orderIntervals[0].endedAt, deliveredAt);
+    assert.equal(active.orderIntervals[1].endedAt, null);
+
+    assert.deepEqual(await riderSessions.processRiderSessions(), { sessionsClosed: 0, intervalsClosed: 0 });
+  });
+
+  check('rider sessions: two pings racing to go online open one session', async () => {
+    const deliveryId = newId();
+    const sessions = createCollection();
+    stub(RiderSession, 'updateOne', sessions.updateOne);
+    stub(RiderSession, 'create', async (data) => {
+      // Stands in for the unique index on open sessions
+      if (sessions.docs.some((doc) => sameValue(doc.deliveryId, deliveryId) && doc.endedAt === null)) {
+        throw duplicateKeyError({ deliveryId: 1 });
+      }
+      return sessions.insert({ _id: newId(), endedAt: null, ...data });
+    });
+
+    await Promise.all([riderSessions.touchSession(deliveryId), riderSessions.touchSession(deliveryId)]);
+    assert.equal(sessions.docs.length, 1);
+
+    const later = new Date(Date.now() + 60 * 1000);
+    await riderSessions.touchSession(deliveryId, later);
+    assert.equal(sessions.docs.length, 1);
+    assert.equal(sessions.docs[0].lastSeenAt, later);
+  });
+
+  // ---- Gig booking ----
+
+  check('gig booking: a failed booking lookup keeps the rider offline only where a slot is required', async () => {
+    const delivery = { _id: newId(), availability: { zones: [newId()] } };
+    let requireBooking = true;
+    stub(Zone, 'findOne', async () => ({ _id: newId(), name: 'Central', gigSettings: { requireBooking } }));
+    stub(GigBooking, 'findOne', async () => {
+      throw new Error('connection lost');
+    });
+    stub(console, 'error', () => {});
+
+    await assert.rejects(gigBookings.startOnlineSession(delivery), { statusCode: 503 });
+
+    requireBooking = false;
+    assert.equal(await gigBookings.startOnlineSession(delivery), null);
+
+    stub(Zone, 'findOne', async () => {
+      throw new Error('connection lost');
+    });
+    await assert.rejects(gigBookings.startOnlineSession(delivery), { statusCode: 503 });
+  });
+
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${name}: ${err.message}`);
+    } finally {
+      restoreStubs();
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${checks.length} service checks failed`);
+    process.exit(1);
+  }
+  console.log(`✅ Service checks passed (${checks.length})`);
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error('❌ Service checks failed:', err.message);
+  process.exit(1);
+});
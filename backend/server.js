@@ -18,11 +18,18 @@ dotenv.config();
 // Import configurations
 import { connectDB } from './config/database.js';
 import { connectRedis, getRedisClient } from './config/redis.js';
+import { connectJobQueues, addRepeatableJob, getQueue, JOB_QUEUES } from './config/queue.js';
 // Import Redis rate limiting
 import { userRateLimit, ipRateLimit, strictRateLimit } from './shared/middleware/redisRateLimit.js';
 
 // Import middleware
 import { errorHandler } from './shared/middleware/errorHandler.js';
+import {
+  authenticateSocket,
+  handleSocketTokenRefresh,
+  getRestaurantRoomIds,
+  findAuthorizedOrder
+} from './shared/middleware/socketAuth.js';
 
 // Import routes
 import authRoutes from './modules/auth/index.js';
@@ -37,6 +44,7 @@ import campaignRoutes from './modules/campaign/index.js';
 import notificationRoutes from './modules/notification/index.js';
 import fcmRoutes from './modules/fcm/index.js';
 import analyticsRoutes from './modules/analytics/index.js';
+import searchRoutes from './modules/search/index.js';
 import adminRoutes from './modules/admin/index.js';
 import categoryPublicRoutes from './modules/admin/routes/categoryPublicRoutes.js';
 import feeSettingsPublicRoutes from './modules/admin/routes/feeSettingsPublicRoutes.js';
@@ -53,6 +61,7 @@ import feedbackExperiencePublicRoutes from './modules/admin/routes/feedbackExper
 import safetyEmergencyPublicRoutes from './modules/admin/routes/safetyEmergencyPublicRoutes.js';
 import zonePublicRoutes from './modules/admin/routes/zonePublicRoutes.js';
 import subscriptionRoutes from './modules/subscription/index.js';
+import couponRoutes from './modules/coupon/index.js';
 import uploadModuleRoutes from './modules/upload/index.js';
 import locationRoutes from './modules/location/index.js';
 import heroBannerRoutes from './modules/heroBanner/index.js';
@@ -163,49 +172,33 @@ export function getIO() {
 // Restaurant namespace for order notifications
 const restaurantNamespace = io.of('/restaurant');
 
-// Add connection error handling before connection event
-restaurantNamespace.use((socket, next) => {
-  try {
-    // Log connection attempt
-    console.log('🍽️ Restaurant connection attempt:', {
-      socketId: socket.id,
-      auth: socket.handshake.auth,
-      query: socket.handshake.query,
-      origin: socket.handshake.headers.origin,
-      userAgent: socket.handshake.headers['user-agent']
-    });
-
-    // Allow all connections - authentication can be handled later if needed
-    // The token is passed in auth.token but we don't validate it here
-    // to avoid blocking connections unnecessarily
-    next();
-  } catch (error) {
-    console.error('❌ Error in restaurant namespace middleware:', error);
-    next(error);
-  }
-});
+// Only restaurant accounts with a valid access token may connect
+restaurantNamespace.use(authenticateSocket(['restaurant']));
 
 restaurantNamespace.on('connection', (socket) => {
-  console.log('🍽️ Restaurant client connected:', socket.id);
-  console.log('🍽️ Socket auth:', socket.handshake.auth);
-  console.log('🍽️ Socket query:', socket.handshake.query);
-  console.log('🍽️ Socket headers:', socket.handshake.headers);
+  console.log('🍽️ Restaurant client connected:', socket.id, 'restaurant:', socket.data.auth.userId);
+  handleSocketTokenRefresh(socket);
 
   // Restaurant joins their room
-  socket.on('join-restaurant', (restaurantId) => {
+  socket.on('join-restaurant', async (restaurantId) => {
     if (restaurantId) {
       // Normalize restaurantId to string (handle both ObjectId and string)
       const normalizedRestaurantId = restaurantId?.toString() || restaurantId;
       const room = `restaurant:${normalizedRestaurantId}`;
 
-      // Log room join attempt with detailed info
-      console.log(`🍽️ Restaurant attempting to join room:`, {
-        restaurantId: restaurantId,
-        normalizedRestaurantId: normalizedRestaurantId,
-        room: room,
-        socketId: socket.id,
-        socketAuth: socket.handshake.auth
-      });
+      // A restaurant may only join its own room (by _id or restaurantId)
+      try {
+        const ownRoomIds = await getRestaurantRoomIds(socket);
+        if (!ownRoomIds.includes(normalizedRestaurantId)) {
+          console.warn(`⚠️ Restaurant ${socket.data.auth.userId} refused access to room: ${room}`);
+          socket.emit('room-join-error', { room, message: 'Not allowed to join this restaurant room' });
+          return;
+        }
+      } catch (error) {
+        console.error('❌ Error authorizing restaurant room join:', error);
+        socket.emit('room-join-error', { room, message: 'Failed to join restaurant room' });
+        return;
+      }
 
       socket.join(room);
       const roomSize = restaurantNamespace.adapter.rooms.get(room)?.size || 0;
@@ -228,14 +221,9 @@ restaurantNamespace.on('connection', (socket) => {
         room: room,
         socketId: socket.id
       });
-      
-      // Log all rooms this socket is now in
-      const socketRooms = Array.from(socket.rooms).filter(r => r.startsWith('restaurant:'));
-      console.log(`📋 Socket ${socket.id} is now in restaurant rooms:`, socketRooms);
     } else {
       console.warn('⚠️ Restaurant tried to join without restaurantId');
       console.warn('⚠️ Socket ID:', socket.id);
-      console.warn('⚠️ Socket auth:', socket.handshake.auth);
     }
   });
 
@@ -252,9 +240,12 @@ restaurantNamespace.on('connection', (socket) => {
 // Delivery namespace for order assignments
 const deliveryNamespace = io.of('/delivery');
 
+// Only delivery partners with a valid access token may connect
+deliveryNamespace.use(authenticateSocket(['delivery']));
+
 deliveryNamespace.on('connection', (socket) => {
-  console.log('🚴 Delivery client connected:', socket.id);
-  console.log('🚴 Socket auth:', socket.handshake.auth);
+  console.log('🚴 Delivery client connected:', socket.id, 'partner:', socket.data.auth.userId);
+  handleSocketTokenRefresh(socket);
 
   // Delivery boy joins their room
   socket.on('join-delivery', (deliveryId) => {
@@ -263,19 +254,17 @@ deliveryNamespace.on('connection', (socket) => {
       const normalizedDeliveryId = deliveryId?.toString() || deliveryId;
       const room = `delivery:${normalizedDeliveryId}`;
 
+      // A delivery partner may only join their own room
+      if (normalizedDeliveryId !== socket.data.auth.userId) {
+        console.warn(`⚠️ Delivery partner ${socket.data.auth.userId} refused access to room: ${room}`);
+        socket.emit('room-join-error', { room, message: 'Not allowed to join this delivery room' });
+        return;
+      }
+
       socket.join(room);
       console.log(`🚴 Delivery partner ${normalizedDeliveryId} joined room: ${room}`);
       console.log(`🚴 Total sockets in room ${room}:`, deliveryNamespace.adapter.rooms.get(room)?.size || 0);
 
-      // Also join with ObjectId format if it's a valid ObjectId (for compatibility)
-      if (mongoose.Types.ObjectId.isValid(normalizedDeliveryId)) {
-        const objectIdRoom = `delivery:${new mongoose.Types.ObjectId(normalizedDeliveryId).toString()}`;
-        if (objectIdRoom !== room) {
-          socket.join(objectIdRoom);
-          console.log(`🚴 Delivery partner also joined ObjectId room: ${objectIdRoom}`);
-        }
-      }
-
       // Send confirmation back to client
       socket.emit('delivery-room-joined', {
         deliveryId: normalizedDeliveryId,
@@ -444,7 +433,15 @@ app.use(compression({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -453,12 +450,16 @@ app.use(mongoSanitize());
 
 // Rate limiting - Use Redis-based rate limiting if available, fallback to express-rate-limit
 // Redis-based is more effective (per-user) and works across multiple servers
+// Gateway webhooks come in bursts from a few IPs and are signature-checked, so they skip the limiter
+const skipWebhooks = (limiter) => (req, res, next) =>
+  req.originalUrl.startsWith('/api/payment/webhook') ? next() : limiter(req, res, next);
+
 if (process.env.NODE_ENV === 'production') {
   // Try Redis-based rate limiting first (per-user)
   const redisClient = getRedisClient();
   if (redisClient && redisClient.isOpen) {
     // Use Redis-based rate limiting (more effective)
-    app.use('/api/', userRateLimit); // Per-user rate limiting
+    app.use('/api/', skipWebhooks(userRateLimit)); // Per-user rate limiting
     console.log('✅ Redis-based rate limiting enabled (per-user, production mode)');
   } else {
     // Fallback to express-rate-limit (IP-based)
@@ -467,7 +468,7 @@ if (process.env.NODE_ENV === 'production') {
       max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
       message: 'Too many requests from this IP, please try again later.'
     });
-    app.use('/api/', limiter);
+    app.use('/api/', skipWebhooks(limiter));
     console.log('⚠️ IP-based rate limiting enabled (Redis not available, production mode)');
   }
 } else {
@@ -505,6 +506,7 @@ app.use('/api/campaign', campaignRoutes);
 app.use('/api/notification', notificationRoutes);
 app.use('/api/fcm', fcmRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api', categoryPublicRoutes);
 app.use('/api', feeSettingsPublicRoutes);
@@ -521,6 +523,7 @@ app.use('/api', feedbackExperiencePublicRoutes);
 app.use('/api', safetyEmergencyPublicRoutes);
 app.use('/api', zonePublicRoutes);
 app.use('/api/subscription', subscriptionRoutes);
+app.use('/api/coupon', couponRoutes);
 app.use('/api', uploadModuleRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/location', locationRoutes);
@@ -566,18 +569,44 @@ app.use((req, res, next) => {
 app.use(errorHandler);
 
 // Socket.IO connection handling
+// Every client (customer, delivery partner, restaurant, hotel, admin) must present a valid access token
+io.use(authenticateSocket());
+
+// Rejects the join and tells the client why
+const refuseRoomJoin = (socket, room, message) => {
+  console.warn(`⚠️ ${socket.data.auth.role} ${socket.data.auth.userId} refused access to room: ${room}`);
+  socket.emit('room-join-error', { room, message });
+};
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, `${socket.data.auth.role}:`, socket.data.auth.userId);
+  handleSocketTokenRefresh(socket);
+
+  // Orders this delivery partner has been verified against for location broadcasts
+  const locationOrderIds = new Set();
 
   // Delivery boy sends location update
-  socket.on('update-location', (data) => {
+  socket.on('update-location', async (data) => {
     try {
       // Validate data
-      if (!data.orderId || typeof data.lat !== 'number' || typeof data.lng !== 'number') {
+      if (!data?.orderId || typeof data.lat !== 'number' || typeof data.lng !== 'number') {
         console.error('Invalid location update data:', data);
         return;
       }
 
+      // Only the delivery partner assigned to the order may broadcast its location
+      const orderKey = String(data.orderId);
+      if (!locationOrderIds.has(orderKey)) {
+        const order = socket.data.auth.role === 'delivery'
+          ? await findAuthorizedOrder(socket, orderKey)
+          : null;
+        if (!order) {
+          console.warn(`⚠️ Location update refused for order ${orderKey} from socket ${socket.id}`);
+          return;
+        }
+        locationOrderIds.add(orderKey);
+      }
+
       // Broadcast location to customer tracking this order (only to specific room)
       // Format: { orderId, lat, lng, heading }
       const locationData = {
@@ -596,12 +625,6 @@ io.on('connection', (socket) => {
         lng: locationData.lng,
         heading: locationData.heading
       });
-
-      console.log(`📍 Location update for order ${data.orderId}:`, {
-        lat: data.lat,
-        lng: data.lng,
-        heading: data.heading
-      });
     } catch (error) {
       console.error('Error handling location update:', error);
     }
@@ -610,15 +633,21 @@ io.on('connection', (socket) => {
   // Customer joins order tracking room
   socket.on('join-order-tracking', async (orderId) => {
     if (orderId) {
-      socket.join(`order:${orderId}`);
-      console.log(`Customer joined order tracking: ${orderId}`);
-
-      // Send current location immediately when customer joins
       try {
+        const authorizedOrder = await findAuthorizedOrder(socket, orderId);
+        if (!authorizedOrder) {
+          refuseRoomJoin(socket, `order:${orderId}`, 'Not allowed to track this order');
+          return;
+        }
+
+        socket.join(`order:${orderId}`);
+        console.log(`Customer joined order tracking: ${orderId}`);
+
+        // Send current location immediately when customer joins
         // Dynamic import to avoid circular dependencies
         const { default: Order } = await import('./modules/order/models/Order.js');
 
-        const order = await Order.findById(orderId)
+        const order = await Order.findById(authorizedOrder._id)
           .populate({
             path: 'deliveryPartnerId',
             select: 'availability',
@@ -653,10 +682,13 @@ io.on('connection', (socket) => {
     if (!orderId) return;
 
     try {
+      const authorizedOrder = await findAuthorizedOrder(socket, orderId);
+      if (!authorizedOrder) return;
+
       // Dynamic import to avoid circular dependencies
       const { default: Order } = await import('./modules/order/models/Order.js');
 
-      const order = await Order.findById(orderId)
+      const order = await Order.findById(authorizedOrder._id)
         .populate({
           path: 'deliveryPartnerId',
           select: 'availability'
@@ -684,8 +716,18 @@ io.on('connection', (socket) => {
 
   // Chat functionality
   // Join chat room for an order
-  socket.on('join-chat', (orderId) => {
+  socket.on('join-chat', async (orderId) => {
     if (orderId) {
+      try {
+        if (!(await findAuthorizedOrder(socket, orderId))) {
+          refuseRoomJoin(socket, `order:${orderId}`, 'Not allowed to join this chat');
+          return;
+        }
+      } catch (error) {
+        console.error('Error authorizing chat room join:', error.message);
+        return;
+      }
+
       // Join with string orderId (could be MongoDB _id or custom orderId string)
       socket.join(`order:${orderId}`);
       console.log(`✅ User/Delivery joined chat room: order:${orderId}`);
@@ -723,6 +765,10 @@ io.on('connection', (socket) => {
   // User joins user room for notifications and chat
   socket.on('join-user', (userId) => {
     if (userId) {
+      if (socket.data.auth.role !== 'user' || String(userId) !== socket.data.auth.userId) {
+        refuseRoomJoin(socket, `user:${userId}`, 'Not allowed to join this user room');
+        return;
+      }
       socket.join(`user:${userId}`);
       console.log(`✅ User joined user room: ${userId}`);
     }
@@ -731,6 +777,10 @@ io.on('connection', (socket) => {
   // Delivery boy joins delivery room for notifications and chat
   socket.on('join-delivery', (deliveryId) => {
     if (deliveryId) {
+      if (socket.data.auth.role !== 'delivery' || String(deliveryId) !== socket.data.auth.userId) {
+        refuseRoomJoin(socket, `delivery:${deliveryId}`, 'Not allowed to join this delivery room');
+        return;
+      }
       socket.join(`delivery:${deliveryId}`);
       console.log(`✅ Delivery boy joined delivery room: ${deliveryId}`);
     }
@@ -756,6 +806,276 @@ httpServer.listen(PORT, () => {
 
 // Initialize scheduled tasks
 function initializeScheduledTasks() {
+  // Auto-reject, auto-ready and menu toggles run as delayed jobs when Redis is
+  // reachable, and fall back to the polling crons otherwise. connectJobQueues
+  // never throws, so the periodic tasks are always started here
+  connectJobQueues(Object.values(JOB_QUEUES)).then(async (queueReady) => {
+    initializePeriodicTasks();
+    if (!queueReady) {
+      initializePollingTasks();
+      return;
+    }
+
+    const [{ registerOrderJobProcessors }, { registerMenuScheduleJobProcessors }] = await Promise.all([
+      import('./modules/order/services/orderJobService.js'),
+      import('./modules/restaurant/services/menuScheduleService.js')
+    ]);
+    await registerOrderJobProcessors();
+    await registerMenuScheduleJobProcessors();
+
+    console.log('✅ Auto-reject, auto-ready and menu schedule jobs initialized (job queue, sweep every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize job queue, falling back to polling:', error);
+    initializePollingTasks();
+  });
+}
+
+/**
+ * Run a recurring task once per tick across instances: as a repeatable job
+ * when the job queue is connected, as a local cron otherwise
+ * @param {string} name - Job name in the periodic tasks queue
+ * @param {string} cronExpression
+ * @param {Function} task - Handles and logs its own errors
+ */
+async function schedulePeriodicTask(name, cronExpression, task) {
+  const queue = getQueue(JOB_QUEUES.PERIODIC_TASKS);
+  if (!queue) {
+    cron.schedule(cronExpression, task);
+    return;
+  }
+  queue.process(name, () => task());
+  await addRepeatableJob(JOB_QUEUES.PERIODIC_TASKS, name, cronExpression);
+}
+
+// Recurring sweeps that must not run on every instance at once
+function initializePeriodicTasks() {
+  // Import scheduled order service
+  import('./modules/order/services/scheduledOrderService.js').then(async ({ processScheduledOrderReleases }) => {
+    // Run every minute to release pre-orders to restaurants when their lead time starts
+    await schedulePeriodicTask('scheduled-order-release', '* * * * *', async () => {
+      try {
+        const result = await processScheduledOrderReleases();
+        if (result.processed > 0) {
+          console.log(`[Scheduled Orders Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Scheduled Orders Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Scheduled order release scheduler initialized (runs every minute)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize scheduled order service:', error);
+  });
+
+  // Import cart service
+  import('./modules/user/services/cartService.js').then(async ({ processAbandonedCartReminders }) => {
+    // Run every 15 minutes to remind customers about carts left untouched for an hour
+    await schedulePeriodicTask('abandoned-cart-reminders', '*/15 * * * *', async () => {
+      try {
+        const result = await processAbandonedCartReminders();
+        if (result.processed > 0) {
+          console.log(`[Abandoned Cart Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Abandoned Cart Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Abandoned cart reminder scheduler initialized (runs every 15 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize abandoned cart reminders:', error);
+  });
+
+  // Import dining table availability service
+  import('./modules/dining/services/tableAvailabilityService.js').then(async ({ processDiningNoShows }) => {
+    // Run every 5 minutes to mark no-shows and expire waitlist entries of past slots
+    await schedulePeriodicTask('dining-no-shows', '*/5 * * * *', async () => {
+      try {
+        const result = await processDiningNoShows();
+        if (result.noShows > 0 || result.expiredWaitlist > 0) {
+          console.log(`[Dining No-Show Cron] Marked ${result.noShows} no-show(s), expired ${result.expiredWaitlist} waitlist entr${result.expiredWaitlist === 1 ? 'y' : 'ies'}`);
+        }
+      } catch (error) {
+        console.error('[Dining No-Show Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Dining no-show scheduler initialized (runs every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize dining no-show service:', error);
+  });
+
+  // Import rider gig booking service
+  import('./modules/delivery/services/gigBookingService.js').then(async ({ processGigBookingStatuses }) => {
+    // Run every minute to close ended gig slots and take riders offline when a required slot is over
+    await schedulePeriodicTask('gig-booking-statuses', '* * * * *', async () => {
+      try {
+        const result = await processGigBookingStatuses();
+        if (result.noShows > 0 || result.completed > 0 || result.activated > 0 || result.wentOffline > 0) {
+          console.log(`[Gig Booking Cron] ${result.completed} completed, ${result.noShows} no-show(s), ${result.activated} started, ${result.wentOffline} rider(s) taken offline`);
+        }
+      } catch (error) {
+        console.error('[Gig Booking Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Gig booking scheduler initialized (runs every minute)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize gig booking service:', error);
+  });
+
+  // Import rider online session service
+  import('./modules/delivery/services/riderSessionService.js').then(async ({ processRiderSessions }) => {
+    // Run every 5 minutes to close sessions of riders who stopped sending location and time on finished orders
+    await schedulePeriodicTask('rider-sessions', '*/5 * * * *', async () => {
+      try {
+        const result = await processRiderSessions();
+        if (result.sessionsClosed > 0 || result.intervalsClosed > 0) {
+          console.log(`[Rider Session Cron] Closed ${result.sessionsClosed} inactive session(s), ${result.intervalsClosed} on-order interval(s)`);
+        }
+      } catch (error) {
+        console.error('[Rider Session Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Rider session scheduler initialized (runs every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize rider session service:', error);
+  });
+
+  // Import order payment service
+  import('./modules/order/services/orderPaymentService.js').then(async ({ processAbandonedOrderPayments }) => {
+    // Run every 5 minutes to cancel online orders left unpaid and give back their coupon use and plan slot
+    await schedulePeriodicTask('abandoned-order-payments', '*/5 * * * *', async () => {
+      try {
+        const result = await processAbandonedOrderPayments();
+        if (result.processed > 0) {
+          console.log(`[Abandoned Payment Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Abandoned Payment Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Abandoned order payment scheduler initialized (runs every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize abandoned order payment service:', error);
+  });
+
+  // Import order batching service
+  import('./modules/order/services/orderBatchingService.js').then(async ({ processFinishedBatches }) => {
+    // Run every 5 minutes to close finished trips and credit batch bonuses whose credit failed
+    await schedulePeriodicTask('batch-settlement', '*/5 * * * *', async () => {
+      try {
+        const result = await processFinishedBatches();
+        if (result.processed > 0) {
+          console.log(`[Batch Settlement Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Batch Settlement Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Batch settlement scheduler initialized (runs every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize batch settlement service:', error);
+  });
+
+  // Import analytics rollup service
+  import('./modules/analytics/services/analyticsRollupService.js').then(async ({ processAnalyticsRollups }) => {
+    // Run every 15 minutes to refresh today's and yesterday's daily rollups and days of recently changed orders
+    await schedulePeriodicTask('analytics-rollups', '*/15 * * * *', async () => {
+      try {
+        const result = await processAnalyticsRollups();
+        console.log(`[Analytics Rollup Cron] ${result.message}`);
+      } catch (error) {
+        console.error('[Analytics Rollup Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Analytics rollup scheduler initialized (runs every 15 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize analytics rollup service:', error);
+  });
+
+  // Import search index service
+  import('./modules/search/services/searchIndexService.js').then(async ({ syncSearchIndex }) => {
+    // Run every 15 minutes to index new restaurants and catch menu edits made outside the save hooks
+    await schedulePeriodicTask('search-index-sync', '*/15 * * * *', async () => {
+      try {
+        const result = await syncSearchIndex();
+        if (result.processed > 0 || result.removed > 0) {
+          console.log(`[Search Index Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Search Index Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Search index sync scheduler initialized (runs every 15 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize search index service:', error);
+  });
+
+  // Import subscription service
+  import('./modules/subscription/services/subscriptionService.js').then(async ({ processSubscriptionExpiry }) => {
+    // Run every 5 minutes to expire lapsed plans and start scheduled renewals
+    await schedulePeriodicTask('subscription-expiry', '*/5 * * * *', async () => {
+      try {
+        const result = await processSubscriptionExpiry();
+        if (result.processed > 0) {
+          console.log(`[Subscription Expiry Cron] ${result.message}`);
+        }
+      } catch (error) {
+        console.error('[Subscription Expiry Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Subscription expiry scheduler initialized (runs every 5 minutes)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize subscription expiry service:', error);
+  });
+
+  // Import payment reconciliation service
+  import('./modules/payment/services/paymentReconciliationService.js').then(async ({ runPaymentReconciliation }) => {
+    // Run nightly at 02:30 to compare Razorpay payments with our order, wallet and refund records
+    await schedulePeriodicTask('payment-reconciliation', '30 2 * * *', async () => {
+      try {
+        const report = await runPaymentReconciliation({ triggeredBy: 'cron' });
+        console.log(`[Payment Reconciliation Cron] ${report.gatewayPaymentsChecked} gateway payments checked, ${report.mismatchCount} mismatch(es)`);
+      } catch (error) {
+        console.error('[Payment Reconciliation Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Payment reconciliation scheduler initialized (runs nightly at 02:30)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize payment reconciliation service:', error);
+  });
+
+  // Import ledger reconciliation service
+  import('./modules/payment/services/ledgerReconciliationService.js').then(async ({ runLedgerConsistencyCheck }) => {
+    // Run nightly at 03:00 to catch wallet balances that drifted from the ledger
+    await schedulePeriodicTask('ledger-consistency', '0 3 * * *', async () => {
+      try {
+        const report = await runLedgerConsistencyCheck();
+        if (!report.isConsistent) {
+          console.warn(`[Ledger Consistency Cron] ${report.driftCount} drifted wallet balance(s), total drift ₹${report.totalDrift}, ${report.unbalancedEntries.length} unbalanced entr${report.unbalancedEntries.length === 1 ? 'y' : 'ies'}`);
+        }
+      } catch (error) {
+        console.error('[Ledger Consistency Cron] Error:', error);
+      }
+    });
+
+    console.log('✅ Ledger consistency scheduler initialized (runs nightly at 03:00)');
+  }).catch((error) => {
+    console.error('❌ Failed to initialize ledger reconciliation service:', error);
+  });
+}
+
+// Polling fallback for the auto-reject, auto-ready and menu schedule jobs when the job queue is unavailable
+function initializePollingTasks() {
   // Import menu schedule service
   import('./modules/restaurant/services/menuScheduleService.js').then(({ processScheduledAvailability }) => {
     // Run every minute to check for due schedules
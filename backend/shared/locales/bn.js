@@ -0,0 +1,86 @@
+/**
+ * Bengali (bn)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'অর্ডার সফলভাবে দেওয়া হয়েছে! 🎉',
+      body: 'আপনার অর্ডার #{orderId} দেওয়া হয়েছে এবং তৈরি করা হচ্ছে।'
+    },
+    restaurant_accepted: {
+      title: 'অর্ডার নিশ্চিত হয়েছে! ✅',
+      body: 'রেস্তোরাঁ আপনার অর্ডার #{orderId} গ্রহণ করেছে। এখন তৈরি করা হচ্ছে।'
+    },
+    order_ready: {
+      title: 'অর্ডার তৈরি! 🍽️',
+      body: 'আপনার অর্ডার #{orderId} তৈরি এবং শীঘ্রই ডেলিভারি করা হবে।'
+    },
+    out_for_delivery: {
+      title: 'অর্ডার পথে আছে! 🏍️',
+      body: 'আপনার অর্ডার #{orderId} ডেলিভারির জন্য বেরিয়ে পড়েছে। লাইভ ট্র্যাক করুন!'
+    },
+    order_delivered: {
+      title: 'অর্ডার ডেলিভারি হয়েছে! 🎊',
+      body: 'আপনার অর্ডার #{orderId} ডেলিভারি হয়েছে। খাবার উপভোগ করুন!'
+    },
+    new_order: {
+      title: 'নতুন অর্ডার এসেছে! 📦',
+      body: 'নতুন অর্ডার #{orderId} দেওয়া হয়েছে। পরিমাণ: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'গ্রহণের অপেক্ষায় অর্ডার ⏰',
+      body: 'অর্ডার #{orderId} {minutes} মিনিটের মধ্যে গ্রহণ না করলে বাতিল হয়ে যাবে।'
+    },
+    restaurant_auto_paused: {
+      title: 'আপনি এখন অফলাইন',
+      body: 'পরপর {misses}টি অর্ডার সময়মতো গ্রহণ করা হয়নি, তাই আপনাকে অফলাইন করা হয়েছে। অর্ডার নিতে প্রস্তুত হলে আবার অনলাইনে আসুন।'
+    },
+    cart_reminder: {
+      title: 'আপনার কার্ট অপেক্ষা করছে 🛒',
+      body: 'আপনি {restaurantName} থেকে {count}টি আইটেম কার্টে রেখে গেছেন। শেষ হওয়ার আগে অর্ডার সম্পূর্ণ করুন!'
+    },
+    rider_at_door: {
+      title: 'আপনার রাইডার দরজায় আছেন 🛵',
+      body: 'অর্ডার #{orderId}-এর জন্য আপনার রাইডার আপনার সাথে যোগাযোগ করতে পারেননি। অর্ডারের বিবরণে দেখানো ডেলিভারি কোডটি জানান।'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB চালিত {companyName}-এ স্বাগতম। {purpose}-এর জন্য আপনার OTP হল {otp}',
+    otp_purpose: {
+      login: 'লগইন',
+      registration: 'নিবন্ধন',
+      password_reset: 'পাসওয়ার্ড রিসেট'
+    },
+    accept_reminder: 'অর্ডার {orderId} (Rs {amount}) আপনার অপেক্ষায় আছে। {minutes} মিনিটের মধ্যে গ্রহণ না করলে বাতিল হয়ে যাবে।'
+  },
+  email: {
+    footer: {
+      rights: 'সর্বস্বত্ব সংরক্ষিত।',
+      automated: 'এটি একটি স্বয়ংক্রিয় বার্তা, অনুগ্রহ করে সরাসরি এই ইমেলের উত্তর দেবেন না।'
+    },
+    otp: {
+      subject: 'আপনার OTP - {otp}',
+      title: 'যাচাইকরণ কোড',
+      heading: 'OTP যাচাইকরণ',
+      intro: '<strong>{purpose}</strong> আপনার ওয়ান-টাইম পাসওয়ার্ড (OTP) হল:',
+      validity: 'এই OTP ৫ মিনিটের জন্য বৈধ। কারও সাথে শেয়ার করবেন না।',
+      purpose: {
+        login: 'আপনার অ্যাকাউন্টে লগইন করতে',
+        register: 'আপনার নিবন্ধন সম্পূর্ণ করতে',
+        reset_password: 'আপনার পাসওয়ার্ড রিসেট করতে',
+        verify_phone: 'আপনার ফোন নম্বর যাচাই করতে',
+        verify_email: 'আপনার ইমেল ঠিকানা যাচাই করতে',
+        default: 'এই কাজটি সম্পূর্ণ করতে'
+      }
+    },
+    welcome: {
+      subject: '{companyName}-এ স্বাগতম!',
+      title: 'স্বাগতম!',
+      heading: '{companyName}-এ স্বাগতম!',
+      greeting: 'হ্যালো <strong>{name}</strong>,',
+      thanks: '{companyName}-এ যোগ দেওয়ার জন্য ধন্যবাদ। আপনাকে পেয়ে আমরা আনন্দিত!',
+      explore: 'আপনার আশেপাশের সেরা রেস্তোরাঁগুলি খুঁজে দেখুন এবং সুস্বাদু খাবার আপনার দোরগোড়ায় পান।',
+      button: 'খোঁজা শুরু করুন'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * English (en) - the fallback catalog. Every key used by the server must exist here.
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'Order Placed Successfully! 🎉',
+      body: 'Your order #{orderId} has been placed and is being prepared.'
+    },
+    restaurant_accepted: {
+      title: 'Order Confirmed! ✅',
+      body: "Restaurant has accepted your order #{orderId}. It's being prepared now."
+    },
+    order_ready: {
+      title: 'Order Ready! 🍽️',
+      body: 'Your order #{orderId} is ready and will be delivered soon.'
+    },
+    out_for_delivery: {
+      title: 'Order On The Way! 🏍️',
+      body: 'Your order #{orderId} is out for delivery. Track it live!'
+    },
+    order_delivered: {
+      title: 'Order Delivered! 🎊',
+      body: 'Your order #{orderId} has been delivered. Enjoy your meal!'
+    },
+    new_order: {
+      title: 'New Order Received! 📦',
+      body: 'New order #{orderId} has been placed. Amount: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'Order waiting for acceptance ⏰',
+      body: 'Order #{orderId} will be cancelled in {minutes} min unless you accept it.'
+    },
+    restaurant_auto_paused: {
+      title: 'You are now offline',
+      body: '{misses} orders in a row were not accepted in time, so you have been taken offline. Go online again when you are ready to take orders.'
+    },
+    cart_reminder: {
+      title: 'Your cart is waiting 🛒',
+      body: 'You left {count} item(s) from {restaurantName} in your cart. Complete your order before they sell out!'
+    },
+    rider_at_door: {
+      title: 'Your rider is at the door 🛵',
+      body: "Your rider couldn't reach you for order #{orderId}. Share the delivery code shown in your order details."
+    }
+  },
+  sms: {
+    otp: 'Welcome to the {companyName} powered by SMSINDIAHUB. Your OTP for {purpose} is {otp}',
+    otp_purpose: {
+      login: 'login',
+      registration: 'registration',
+      password_reset: 'password reset'
+    },
+    accept_reminder: 'Order {orderId} (Rs {amount}) is waiting for you. Accept it within {minutes} min or it will be cancelled.'
+  },
+  email: {
+    footer: {
+      rights: 'All rights reserved.',
+      automated: 'This is an automated message, please do not reply directly to this email.'
+    },
+    otp: {
+      subject: 'Your OTP - {otp}',
+      title: 'Verification Code',
+      heading: 'OTP Verification',
+      intro: 'Your One-Time Password (OTP) to <strong>{purpose}</strong> is:',
+      validity: 'This OTP is valid for 5 minutes. Do not share it with anyone.',
+      purpose: {
+        login: 'login to your account',
+        register: 'complete your registration',
+        reset_password: 'reset your password',
+        verify_phone: 'verify your phone number',
+        verify_email: 'verify your email address',
+        default: 'complete this action'
+      }
+    },
+    welcome: {
+      subject: 'Welcome to {companyName}!',
+      title: 'Welcome Aboard!',
+      heading: 'Welcome to {companyName}!',
+      greeting: 'Hi <strong>{name}</strong>,',
+      thanks: "Thank you for joining {companyName}. We're excited to have you on board!",
+      explore: 'Explore the best restaurants around you and enjoy delicious meals delivered to your doorstep.',
+      button: 'Start Exploring'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Gujarati (gu)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ઓર્ડર સફળતાપૂર્વક આપવામાં આવ્યો! 🎉',
+      body: 'તમારો ઓર્ડર #{orderId} આપવામાં આવ્યો છે અને તૈયાર થઈ રહ્યો છે.'
+    },
+    restaurant_accepted: {
+      title: 'ઓર્ડર કન્ફર્મ થયો! ✅',
+      body: 'રેસ્ટોરન્ટે તમારો ઓર્ડર #{orderId} સ્વીકાર્યો છે. હવે તે તૈયાર થઈ રહ્યો છે.'
+    },
+    order_ready: {
+      title: 'ઓર્ડર તૈયાર છે! 🍽️',
+      body: 'તમારો ઓર્ડર #{orderId} તૈયાર છે અને ટૂંક સમયમાં ડિલિવર થશે.'
+    },
+    out_for_delivery: {
+      title: 'ઓર્ડર રસ્તામાં છે! 🏍️',
+      body: 'તમારો ઓર્ડર #{orderId} ડિલિવરી માટે નીકળી ગયો છે. લાઇવ ટ્રૅક કરો!'
+    },
+    order_delivered: {
+      title: 'ઓર્ડર ડિલિવર થયો! 🎊',
+      body: 'તમારો ઓર્ડર #{orderId} ડિલિવર થઈ ગયો છે. ભોજનનો આનંદ માણો!'
+    },
+    new_order: {
+      title: 'નવો ઓર્ડર મળ્યો! 📦',
+      body: 'નવો ઓર્ડર #{orderId} આપવામાં આવ્યો છે. રકમ: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'સ્વીકૃતિની રાહ જોતો ઓર્ડર ⏰',
+      body: 'ઓર્ડર #{orderId} {minutes} મિનિટમાં સ્વીકારવામાં નહીં આવે તો રદ થઈ જશે.'
+    },
+    restaurant_auto_paused: {
+      title: 'તમે હવે ઑફલાઇન છો',
+      body: 'સતત {misses} ઓર્ડર સમયસર સ્વીકારવામાં આવ્યા નથી, તેથી તમને ઑફલાઇન કરવામાં આવ્યા છે. ઓર્ડર લેવા તૈયાર હો ત્યારે ફરી ઑનલાઇન થાઓ.'
+    },
+    cart_reminder: {
+      title: 'તમારી કાર્ટ રાહ જોઈ રહી છે 🛒',
+      body: 'તમે {restaurantName} ની {count} આઇટમ કાર્ટમાં છોડી દીધી છે. ખતમ થાય તે પહેલાં તમારો ઓર્ડર પૂર્ણ કરો!'
+    },
+    rider_at_door: {
+      title: 'તમારો રાઇડર દરવાજે છે 🛵',
+      body: 'ઓર્ડર #{orderId} માટે તમારો રાઇડર તમારો સંપર્ક કરી શક્યો નથી. તમારા ઓર્ડરની વિગતોમાં બતાવેલ ડિલિવરી કોડ જણાવો.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB દ્વારા સંચાલિત {companyName}માં આપનું સ્વાગત છે. {purpose} માટે તમારો OTP {otp} છે',
+    otp_purpose: {
+      login: 'લૉગિન',
+      registration: 'નોંધણી',
+      password_reset: 'પાસવર્ડ રીસેટ'
+    },
+    accept_reminder: 'ઓર્ડર {orderId} (Rs {amount}) તમારી રાહ જોઈ રહ્યો છે. {minutes} મિનિટમાં સ્વીકારો, નહીંતર તે રદ થઈ જશે.'
+  },
+  email: {
+    footer: {
+      rights: 'સર્વ હકો સુરક્ષિત.',
+      automated: 'આ એક સ્વચાલિત સંદેશ છે, કૃપા કરીને આ ઇમેઇલનો સીધો જવાબ આપશો નહીં.'
+    },
+    otp: {
+      subject: 'તમારો OTP - {otp}',
+      title: 'ચકાસણી કોડ',
+      heading: 'OTP ચકાસણી',
+      intro: '<strong>{purpose}</strong> માટે તમારો વન-ટાઇમ પાસવર્ડ (OTP) છે:',
+      validity: 'આ OTP 5 મિનિટ માટે માન્ય છે. તેને કોઈની સાથે શેર કરશો નહીં.',
+      purpose: {
+        login: 'તમારા ખાતામાં લૉગિન કરવા',
+        register: 'તમારી નોંધણી પૂર્ણ કરવા',
+        reset_password: 'તમારો પાસવર્ડ રીસેટ કરવા',
+        verify_phone: 'તમારો ફોન નંબર ચકાસવા',
+        verify_email: 'તમારું ઇમેઇલ સરનામું ચકાસવા',
+        default: 'આ ક્રિયા પૂર્ણ કરવા'
+      }
+    },
+    welcome: {
+      subject: '{companyName}માં આપનું સ્વાગત છે!',
+      title: 'સ્વાગત છે!',
+      heading: '{companyName}માં આપનું સ્વાગત છે!',
+      greeting: 'નમસ્તે <strong>{name}</strong>,',
+      thanks: '{companyName}માં જોડાવા બદલ આભાર. તમને અમારી સાથે જોઈને અમે ખુશ છીએ!',
+      explore: 'તમારી આસપાસના શ્રેષ્ઠ રેસ્ટોરન્ટ શોધો અને સ્વાદિષ્ટ ભોજન તમારા ઘરઆંગણે મેળવો.',
+      button: 'શોધવાનું શરૂ કરો'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Hindi (hi)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ऑर्डर सफलतापूर्वक दिया गया! 🎉',
+      body: 'आपका ऑर्डर #{orderId} दे दिया गया है और तैयार किया जा रहा है।'
+    },
+    restaurant_accepted: {
+      title: 'ऑर्डर कन्फ़र्म हो गया! ✅',
+      body: 'रेस्टोरेंट ने आपका ऑर्डर #{orderId} स्वीकार कर लिया है। इसे अभी तैयार किया जा रहा है।'
+    },
+    order_ready: {
+      title: 'ऑर्डर तैयार है! 🍽️',
+      body: 'आपका ऑर्डर #{orderId} तैयार है और जल्द ही डिलीवर किया जाएगा।'
+    },
+    out_for_delivery: {
+      title: 'ऑर्डर रास्ते में है! 🏍️',
+      body: 'आपका ऑर्डर #{orderId} डिलीवरी के लिए निकल चुका है। इसे लाइव ट्रैक करें!'
+    },
+    order_delivered: {
+      title: 'ऑर्डर डिलीवर हो गया! 🎊',
+      body: 'आपका ऑर्डर #{orderId} डिलीवर हो गया है। अपने भोजन का आनंद लें!'
+    },
+    new_order: {
+      title: 'नया ऑर्डर मिला! 📦',
+      body: 'नया ऑर्डर #{orderId} दिया गया है। राशि: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'ऑर्डर स्वीकृति की प्रतीक्षा में ⏰',
+      body: 'ऑर्डर #{orderId} को {minutes} मिनट में स्वीकार न करने पर रद्द कर दिया जाएगा।'
+    },
+    restaurant_auto_paused: {
+      title: 'अब आप ऑफ़लाइन हैं',
+      body: 'लगातार {misses} ऑर्डर समय पर स्वीकार नहीं किए गए, इसलिए आपको ऑफ़लाइन कर दिया गया है। ऑर्डर लेने के लिए तैयार होने पर फिर से ऑनलाइन हो जाएँ।'
+    },
+    cart_reminder: {
+      title: 'आपका कार्ट इंतज़ार कर रहा है 🛒',
+      body: 'आपने {restaurantName} के {count} आइटम अपने कार्ट में छोड़ दिए हैं। खत्म होने से पहले अपना ऑर्डर पूरा करें!'
+    },
+    rider_at_door: {
+      title: 'आपका राइडर दरवाज़े पर है 🛵',
+      body: 'ऑर्डर #{orderId} के लिए आपका राइडर आपसे संपर्क नहीं कर सका। अपने ऑर्डर विवरण में दिखाया गया डिलीवरी कोड साझा करें।'
+    }
+  },
+  sms: {
+    otp: '{companyName} में आपका स्वागत है, SMSINDIAHUB द्वारा संचालित। {purpose} के लिए आपका OTP {otp} है',
+    otp_purpose: {
+      login: 'लॉगिन',
+      registration: 'पंजीकरण',
+      password_reset: 'पासवर्ड रीसेट'
+    },
+    accept_reminder: 'ऑर्डर {orderId} (Rs {amount}) आपकी प्रतीक्षा कर रहा है। इसे {minutes} मिनट में स्वीकार करें, वरना यह रद्द हो जाएगा।'
+  },
+  email: {
+    footer: {
+      rights: 'सर्वाधिकार सुरक्षित।',
+      automated: 'यह एक स्वचालित संदेश है, कृपया इस ईमेल का सीधे उत्तर न दें।'
+    },
+    otp: {
+      subject: 'आपका OTP - {otp}',
+      title: 'सत्यापन कोड',
+      heading: 'OTP सत्यापन',
+      intro: '<strong>{purpose}</strong> के लिए आपका वन-टाइम पासवर्ड (OTP) है:',
+      validity: 'यह OTP 5 मिनट के लिए मान्य है। इसे किसी के साथ साझा न करें।',
+      purpose: {
+        login: 'अपने खाते में लॉगिन करने',
+        register: 'अपना पंजीकरण पूरा करने',
+        reset_password: 'अपना पासवर्ड रीसेट करने',
+        verify_phone: 'अपना फ़ोन नंबर सत्यापित करने',
+        verify_email: 'अपना ईमेल पता सत्यापित करने',
+        default: 'यह कार्य पूरा करने'
+      }
+    },
+    welcome: {
+      subject: '{companyName} में आपका स्वागत है!',
+      title: 'स्वागत है!',
+      heading: '{companyName} में आपका स्वागत है!',
+      greeting: 'नमस्ते <strong>{name}</strong>,',
+      thanks: '{companyName} से जुड़ने के लिए धन्यवाद। हमें आपको साथ पाकर खुशी है!',
+      explore: 'अपने आस-पास के बेहतरीन रेस्टोरेंट खोजें और स्वादिष्ट खाना अपने दरवाज़े पर मँगवाएँ।',
+      button: 'खोजना शुरू करें'
+    }
+  }
+};
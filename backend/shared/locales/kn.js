@@ -0,0 +1,86 @@
+/**
+ * Kannada (kn)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ಆರ್ಡರ್ ಯಶಸ್ವಿಯಾಗಿ ಮಾಡಲಾಗಿದೆ! 🎉',
+      body: 'ನಿಮ್ಮ ಆರ್ಡರ್ #{orderId} ಮಾಡಲಾಗಿದೆ ಮತ್ತು ಸಿದ್ಧಪಡಿಸಲಾಗುತ್ತಿದೆ.'
+    },
+    restaurant_accepted: {
+      title: 'ಆರ್ಡರ್ ದೃಢೀಕರಿಸಲಾಗಿದೆ! ✅',
+      body: 'ರೆಸ್ಟೋರೆಂಟ್ ನಿಮ್ಮ ಆರ್ಡರ್ #{orderId} ಅನ್ನು ಸ್ವೀಕರಿಸಿದೆ. ಈಗ ಸಿದ್ಧಪಡಿಸಲಾಗುತ್ತಿದೆ.'
+    },
+    order_ready: {
+      title: 'ಆರ್ಡರ್ ಸಿದ್ಧವಾಗಿದೆ! 🍽️',
+      body: 'ನಿಮ್ಮ ಆರ್ಡರ್ #{orderId} ಸಿದ್ಧವಾಗಿದೆ ಮತ್ತು ಶೀಘ್ರದಲ್ಲೇ ಡೆಲಿವರಿ ಆಗಲಿದೆ.'
+    },
+    out_for_delivery: {
+      title: 'ಆರ್ಡರ್ ದಾರಿಯಲ್ಲಿದೆ! 🏍️',
+      body: 'ನಿಮ್ಮ ಆರ್ಡರ್ #{orderId} ಡೆಲಿವರಿಗೆ ಹೊರಟಿದೆ. ಲೈವ್ ಆಗಿ ಟ್ರ್ಯಾಕ್ ಮಾಡಿ!'
+    },
+    order_delivered: {
+      title: 'ಆರ್ಡರ್ ಡೆಲಿವರಿ ಆಗಿದೆ! 🎊',
+      body: 'ನಿಮ್ಮ ಆರ್ಡರ್ #{orderId} ಡೆಲಿವರಿ ಆಗಿದೆ. ನಿಮ್ಮ ಊಟವನ್ನು ಆನಂದಿಸಿ!'
+    },
+    new_order: {
+      title: 'ಹೊಸ ಆರ್ಡರ್ ಬಂದಿದೆ! 📦',
+      body: 'ಹೊಸ ಆರ್ಡರ್ #{orderId} ಮಾಡಲಾಗಿದೆ. ಮೊತ್ತ: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'ಸ್ವೀಕಾರಕ್ಕಾಗಿ ಕಾಯುತ್ತಿರುವ ಆರ್ಡರ್ ⏰',
+      body: 'ಆರ್ಡರ್ #{orderId} ಅನ್ನು {minutes} ನಿಮಿಷಗಳಲ್ಲಿ ಸ್ವೀಕರಿಸದಿದ್ದರೆ ರದ್ದಾಗುತ್ತದೆ.'
+    },
+    restaurant_auto_paused: {
+      title: 'ನೀವು ಈಗ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ',
+      body: 'ಸತತವಾಗಿ {misses} ಆರ್ಡರ್‌ಗಳನ್ನು ಸಮಯಕ್ಕೆ ಸ್ವೀಕರಿಸದ ಕಾರಣ ನಿಮ್ಮನ್ನು ಆಫ್‌ಲೈನ್ ಮಾಡಲಾಗಿದೆ. ಆರ್ಡರ್‌ಗಳನ್ನು ಸ್ವೀಕರಿಸಲು ಸಿದ್ಧವಾದಾಗ ಮತ್ತೆ ಆನ್‌ಲೈನ್‌ಗೆ ಬನ್ನಿ.'
+    },
+    cart_reminder: {
+      title: 'ನಿಮ್ಮ ಕಾರ್ಟ್ ಕಾಯುತ್ತಿದೆ 🛒',
+      body: 'ನೀವು {restaurantName} ನಿಂದ {count} ಐಟಂಗಳನ್ನು ಕಾರ್ಟ್‌ನಲ್ಲಿ ಬಿಟ್ಟಿದ್ದೀರಿ. ಅವು ಮುಗಿಯುವ ಮೊದಲು ಆರ್ಡರ್ ಪೂರ್ಣಗೊಳಿಸಿ!'
+    },
+    rider_at_door: {
+      title: 'ನಿಮ್ಮ ರೈಡರ್ ಬಾಗಿಲಲ್ಲಿದ್ದಾರೆ 🛵',
+      body: 'ಆರ್ಡರ್ #{orderId} ಗಾಗಿ ನಿಮ್ಮ ರೈಡರ್ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ಆರ್ಡರ್ ವಿವರಗಳಲ್ಲಿ ತೋರಿಸಿರುವ ಡೆಲಿವರಿ ಕೋಡ್ ಹಂಚಿಕೊಳ್ಳಿ.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB ನಿಂದ ನಡೆಸಲ್ಪಡುವ {companyName} ಗೆ ಸ್ವಾಗತ. {purpose} ಗಾಗಿ ನಿಮ್ಮ OTP {otp}',
+    otp_purpose: {
+      login: 'ಲಾಗಿನ್',
+      registration: 'ನೋಂದಣಿ',
+      password_reset: 'ಪಾಸ್‌ವರ್ಡ್ ಮರುಹೊಂದಿಕೆ'
+    },
+    accept_reminder: 'ಆರ್ಡರ್ {orderId} (Rs {amount}) ನಿಮಗಾಗಿ ಕಾಯುತ್ತಿದೆ. {minutes} ನಿಮಿಷಗಳಲ್ಲಿ ಸ್ವೀಕರಿಸದಿದ್ದರೆ ರದ್ದಾಗುತ್ತದೆ.'
+  },
+  email: {
+    footer: {
+      rights: 'ಎಲ್ಲ ಹಕ್ಕುಗಳನ್ನು ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ.',
+      automated: 'ಇದು ಸ್ವಯಂಚಾಲಿತ ಸಂದೇಶ, ದಯವಿಟ್ಟು ಈ ಇಮೇಲ್‌ಗೆ ನೇರವಾಗಿ ಉತ್ತರಿಸಬೇಡಿ.'
+    },
+    otp: {
+      subject: 'ನಿಮ್ಮ OTP - {otp}',
+      title: 'ಪರಿಶೀಲನಾ ಕೋಡ್',
+      heading: 'OTP ಪರಿಶೀಲನೆ',
+      intro: '<strong>{purpose}</strong> ನಿಮ್ಮ ಒನ್-ಟೈಮ್ ಪಾಸ್‌ವರ್ಡ್ (OTP):',
+      validity: 'ಈ OTP 5 ನಿಮಿಷಗಳವರೆಗೆ ಮಾನ್ಯವಾಗಿರುತ್ತದೆ. ಇದನ್ನು ಯಾರೊಂದಿಗೂ ಹಂಚಿಕೊಳ್ಳಬೇಡಿ.',
+      purpose: {
+        login: 'ನಿಮ್ಮ ಖಾತೆಗೆ ಲಾಗಿನ್ ಮಾಡಲು',
+        register: 'ನಿಮ್ಮ ನೋಂದಣಿಯನ್ನು ಪೂರ್ಣಗೊಳಿಸಲು',
+        reset_password: 'ನಿಮ್ಮ ಪಾಸ್‌ವರ್ಡ್ ಮರುಹೊಂದಿಸಲು',
+        verify_phone: 'ನಿಮ್ಮ ಫೋನ್ ಸಂಖ್ಯೆಯನ್ನು ಪರಿಶೀಲಿಸಲು',
+        verify_email: 'ನಿಮ್ಮ ಇಮೇಲ್ ವಿಳಾಸವನ್ನು ಪರಿಶೀಲಿಸಲು',
+        default: 'ಈ ಕ್ರಿಯೆಯನ್ನು ಪೂರ್ಣಗೊಳಿಸಲು'
+      }
+    },
+    welcome: {
+      subject: '{companyName} ಗೆ ಸ್ವಾಗತ!',
+      title: 'ಸ್ವಾಗತ!',
+      heading: '{companyName} ಗೆ ಸ್ವಾಗತ!',
+      greeting: 'ನಮಸ್ಕಾರ <strong>{name}</strong>,',
+      thanks: '{companyName} ಗೆ ಸೇರಿದ್ದಕ್ಕಾಗಿ ಧನ್ಯವಾದಗಳು. ನಿಮ್ಮನ್ನು ಸ್ವಾಗತಿಸಲು ನಮಗೆ ಸಂತೋಷವಾಗಿದೆ!',
+      explore: 'ನಿಮ್ಮ ಸುತ್ತಲಿನ ಅತ್ಯುತ್ತಮ ರೆಸ್ಟೋರೆಂಟ್‌ಗಳನ್ನು ಅನ್ವೇಷಿಸಿ ಮತ್ತು ರುಚಿಕರವಾದ ಊಟವನ್ನು ನಿಮ್ಮ ಮನೆ ಬಾಗಿಲಿಗೆ ಪಡೆಯಿರಿ.',
+      button: 'ಅನ್ವೇಷಿಸಲು ಪ್ರಾರಂಭಿಸಿ'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Malayalam (ml)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ഓർഡർ വിജയകരമായി നൽകി! 🎉',
+      body: 'നിങ്ങളുടെ ഓർഡർ #{orderId} നൽകി, ഇപ്പോൾ തയ്യാറാക്കുന്നു.'
+    },
+    restaurant_accepted: {
+      title: 'ഓർഡർ സ്ഥിരീകരിച്ചു! ✅',
+      body: 'റെസ്റ്റോറന്റ് നിങ്ങളുടെ ഓർഡർ #{orderId} സ്വീകരിച്ചു. ഇപ്പോൾ തയ്യാറാക്കുന്നു.'
+    },
+    order_ready: {
+      title: 'ഓർഡർ തയ്യാർ! 🍽️',
+      body: 'നിങ്ങളുടെ ഓർഡർ #{orderId} തയ്യാറാണ്, ഉടൻ ഡെലിവർ ചെയ്യും.'
+    },
+    out_for_delivery: {
+      title: 'ഓർഡർ വഴിയിലാണ്! 🏍️',
+      body: 'നിങ്ങളുടെ ഓർഡർ #{orderId} ഡെലിവറിക്കായി പുറപ്പെട്ടു. തത്സമയം ട്രാക്ക് ചെയ്യൂ!'
+    },
+    order_delivered: {
+      title: 'ഓർഡർ ഡെലിവർ ചെയ്തു! 🎊',
+      body: 'നിങ്ങളുടെ ഓർഡർ #{orderId} ഡെലിവർ ചെയ്തു. ഭക്ഷണം ആസ്വദിക്കൂ!'
+    },
+    new_order: {
+      title: 'പുതിയ ഓർഡർ ലഭിച്ചു! 📦',
+      body: 'പുതിയ ഓർഡർ #{orderId} നൽകിയിരിക്കുന്നു. തുക: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'സ്വീകരണത്തിനായി കാത്തിരിക്കുന്ന ഓർഡർ ⏰',
+      body: 'ഓർഡർ #{orderId} {minutes} മിനിറ്റിനുള്ളിൽ സ്വീകരിച്ചില്ലെങ്കിൽ റദ്ദാക്കപ്പെടും.'
+    },
+    restaurant_auto_paused: {
+      title: 'നിങ്ങൾ ഇപ്പോൾ ഓഫ്‌ലൈനാണ്',
+      body: 'തുടർച്ചയായി {misses} ഓർഡറുകൾ സമയത്ത് സ്വീകരിക്കാത്തതിനാൽ നിങ്ങളെ ഓഫ്‌ലൈനാക്കി. ഓർഡറുകൾ സ്വീകരിക്കാൻ തയ്യാറാകുമ്പോൾ വീണ്ടും ഓൺലൈനാകൂ.'
+    },
+    cart_reminder: {
+      title: 'നിങ്ങളുടെ കാർട്ട് കാത്തിരിക്കുന്നു 🛒',
+      body: '{restaurantName} ൽ നിന്നുള്ള {count} ഇനങ്ങൾ നിങ്ങൾ കാർട്ടിൽ ഉപേക്ഷിച്ചു. അവ തീരുന്നതിന് മുമ്പ് ഓർഡർ പൂർത്തിയാക്കൂ!'
+    },
+    rider_at_door: {
+      title: 'നിങ്ങളുടെ റൈഡർ വാതിൽക്കലുണ്ട് 🛵',
+      body: 'ഓർഡർ #{orderId} നായി നിങ്ങളുടെ റൈഡർക്ക് നിങ്ങളെ ബന്ധപ്പെടാൻ കഴിഞ്ഞില്ല. ഓർഡർ വിവരങ്ങളിൽ കാണിച്ചിരിക്കുന്ന ഡെലിവറി കോഡ് പങ്കിടൂ.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB നൽകുന്ന {companyName}-ലേക്ക് സ്വാഗതം. {purpose}-നുള്ള നിങ്ങളുടെ OTP {otp} ആണ്',
+    otp_purpose: {
+      login: 'ലോഗിൻ',
+      registration: 'രജിസ്ട്രേഷൻ',
+      password_reset: 'പാസ്‌വേഡ് റീസെറ്റ്'
+    },
+    accept_reminder: 'ഓർഡർ {orderId} (Rs {amount}) നിങ്ങൾക്കായി കാത്തിരിക്കുന്നു. {minutes} മിനിറ്റിനുള്ളിൽ സ്വീകരിച്ചില്ലെങ്കിൽ റദ്ദാക്കപ്പെടും.'
+  },
+  email: {
+    footer: {
+      rights: 'എല്ലാ അവകാശങ്ങളും നിക്ഷിപ്തം.',
+      automated: 'ഇതൊരു ഓട്ടോമാറ്റിക് സന്ദേശമാണ്, ദയവായി ഈ ഇമെയിലിന് നേരിട്ട് മറുപടി നൽകരുത്.'
+    },
+    otp: {
+      subject: 'നിങ്ങളുടെ OTP - {otp}',
+      title: 'സ്ഥിരീകരണ കോഡ്',
+      heading: 'OTP സ്ഥിരീകരണം',
+      intro: '<strong>{purpose}</strong> നിങ്ങളുടെ വൺ-ടൈം പാസ്‌വേഡ് (OTP):',
+      validity: 'ഈ OTP 5 മിനിറ്റ് സാധുവാണ്. ഇത് ആരുമായും പങ്കിടരുത്.',
+      purpose: {
+        login: 'നിങ്ങളുടെ അക്കൗണ്ടിലേക്ക് ലോഗിൻ ചെയ്യാൻ',
+        register: 'നിങ്ങളുടെ രജിസ്ട്രേഷൻ പൂർത്തിയാക്കാൻ',
+        reset_password: 'നിങ്ങളുടെ പാസ്‌വേഡ് റീസെറ്റ് ചെയ്യാൻ',
+        verify_phone: 'നിങ്ങളുടെ ഫോൺ നമ്പർ സ്ഥിരീകരിക്കാൻ',
+        verify_email: 'നിങ്ങളുടെ ഇമെയിൽ വിലാസം സ്ഥിരീകരിക്കാൻ',
+        default: 'ഈ പ്രവർത്തനം പൂർത്തിയാക്കാൻ'
+      }
+    },
+    welcome: {
+      subject: '{companyName}-ലേക്ക് സ്വാഗതം!',
+      title: 'സ്വാഗതം!',
+      heading: '{companyName}-ലേക്ക് സ്വാഗതം!',
+      greeting: 'നമസ്കാരം <strong>{name}</strong>,',
+      thanks: '{companyName}-ൽ ചേർന്നതിന് നന്ദി. നിങ്ങളെ സ്വാഗതം ചെയ്യുന്നതിൽ ഞങ്ങൾക്ക് സന്തോഷമുണ്ട്!',
+      explore: 'നിങ്ങളുടെ ചുറ്റുമുള്ള മികച്ച റെസ്റ്റോറന്റുകൾ കണ്ടെത്തി രുചികരമായ ഭക്ഷണം നിങ്ങളുടെ വീട്ടുപടിക്കൽ എത്തിക്കൂ.',
+      button: 'കണ്ടെത്താൻ തുടങ്ങൂ'
+    }
+  }
+};
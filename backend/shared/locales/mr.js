@@ -0,0 +1,86 @@
+/**
+ * Marathi (mr)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ऑर्डर यशस्वीरित्या दिली! 🎉',
+      body: 'तुमची ऑर्डर #{orderId} दिली गेली आहे आणि तयार केली जात आहे.'
+    },
+    restaurant_accepted: {
+      title: 'ऑर्डर निश्चित झाली! ✅',
+      body: 'रेस्टॉरंटने तुमची ऑर्डर #{orderId} स्वीकारली आहे. ती आता तयार केली जात आहे.'
+    },
+    order_ready: {
+      title: 'ऑर्डर तयार आहे! 🍽️',
+      body: 'तुमची ऑर्डर #{orderId} तयार आहे आणि लवकरच पोहोचवली जाईल.'
+    },
+    out_for_delivery: {
+      title: 'ऑर्डर मार्गावर आहे! 🏍️',
+      body: 'तुमची ऑर्डर #{orderId} डिलिव्हरीसाठी निघाली आहे. थेट ट्रॅक करा!'
+    },
+    order_delivered: {
+      title: 'ऑर्डर पोहोचली! 🎊',
+      body: 'तुमची ऑर्डर #{orderId} पोहोचवली गेली आहे. जेवणाचा आनंद घ्या!'
+    },
+    new_order: {
+      title: 'नवीन ऑर्डर आली! 📦',
+      body: 'नवीन ऑर्डर #{orderId} दिली गेली आहे. रक्कम: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'स्वीकृतीच्या प्रतीक्षेत ऑर्डर ⏰',
+      body: 'ऑर्डर #{orderId} {minutes} मिनिटांत स्वीकारली नाही तर रद्द केली जाईल.'
+    },
+    restaurant_auto_paused: {
+      title: 'तुम्ही आता ऑफलाइन आहात',
+      body: 'सलग {misses} ऑर्डर वेळेत स्वीकारल्या गेल्या नाहीत, म्हणून तुम्हाला ऑफलाइन केले आहे. ऑर्डर घेण्यास तयार असाल तेव्हा पुन्हा ऑनलाइन व्हा.'
+    },
+    cart_reminder: {
+      title: 'तुमची कार्ट वाट पाहत आहे 🛒',
+      body: 'तुम्ही {restaurantName} मधील {count} आयटम कार्टमध्ये सोडले आहेत. संपण्यापूर्वी तुमची ऑर्डर पूर्ण करा!'
+    },
+    rider_at_door: {
+      title: 'तुमचा रायडर दारात आहे 🛵',
+      body: 'ऑर्डर #{orderId} साठी तुमचा रायडर तुमच्याशी संपर्क करू शकला नाही. तुमच्या ऑर्डर तपशिलात दाखवलेला डिलिव्हरी कोड सांगा.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB द्वारे चालवल्या जाणाऱ्या {companyName} मध्ये आपले स्वागत आहे. {purpose} साठी तुमचा OTP {otp} आहे',
+    otp_purpose: {
+      login: 'लॉगिन',
+      registration: 'नोंदणी',
+      password_reset: 'पासवर्ड रीसेट'
+    },
+    accept_reminder: 'ऑर्डर {orderId} (Rs {amount}) तुमची वाट पाहत आहे. {minutes} मिनिटांत स्वीकारा, नाहीतर ती रद्द होईल.'
+  },
+  email: {
+    footer: {
+      rights: 'सर्व हक्क राखीव.',
+      automated: 'हा एक स्वयंचलित संदेश आहे, कृपया या ईमेलला थेट उत्तर देऊ नका.'
+    },
+    otp: {
+      subject: 'तुमचा OTP - {otp}',
+      title: 'पडताळणी कोड',
+      heading: 'OTP पडताळणी',
+      intro: '<strong>{purpose}</strong> तुमचा वन-टाइम पासवर्ड (OTP) आहे:',
+      validity: 'हा OTP 5 मिनिटांसाठी वैध आहे. तो कोणाशीही शेअर करू नका.',
+      purpose: {
+        login: 'तुमच्या खात्यात लॉगिन करण्यासाठी',
+        register: 'तुमची नोंदणी पूर्ण करण्यासाठी',
+        reset_password: 'तुमचा पासवर्ड रीसेट करण्यासाठी',
+        verify_phone: 'तुमचा फोन नंबर पडताळण्यासाठी',
+        verify_email: 'तुमचा ईमेल पत्ता पडताळण्यासाठी',
+        default: 'ही क्रिया पूर्ण करण्यासाठी'
+      }
+    },
+    welcome: {
+      subject: '{companyName} मध्ये आपले स्वागत आहे!',
+      title: 'स्वागत आहे!',
+      heading: '{companyName} मध्ये आपले स्वागत आहे!',
+      greeting: 'नमस्कार <strong>{name}</strong>,',
+      thanks: '{companyName} मध्ये सामील झाल्याबद्दल धन्यवाद. तुम्हाला आमच्यासोबत पाहून आनंद झाला!',
+      explore: 'तुमच्या जवळची सर्वोत्तम रेस्टॉरंट्स शोधा आणि स्वादिष्ट जेवण थेट तुमच्या दारात मिळवा.',
+      button: 'शोध सुरू करा'
+    }
+  }
+};
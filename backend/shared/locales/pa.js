@@ -0,0 +1,86 @@
+/**
+ * Punjabi (pa)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ਆਰਡਰ ਸਫਲਤਾਪੂਰਵਕ ਦਿੱਤਾ ਗਿਆ! 🎉',
+      body: 'ਤੁਹਾਡਾ ਆਰਡਰ #{orderId} ਦਿੱਤਾ ਗਿਆ ਹੈ ਅਤੇ ਤਿਆਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ।'
+    },
+    restaurant_accepted: {
+      title: 'ਆਰਡਰ ਦੀ ਪੁਸ਼ਟੀ ਹੋ ਗਈ! ✅',
+      body: 'ਰੈਸਟੋਰੈਂਟ ਨੇ ਤੁਹਾਡਾ ਆਰਡਰ #{orderId} ਸਵੀਕਾਰ ਕਰ ਲਿਆ ਹੈ। ਇਹ ਹੁਣ ਤਿਆਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ।'
+    },
+    order_ready: {
+      title: 'ਆਰਡਰ ਤਿਆਰ ਹੈ! 🍽️',
+      body: 'ਤੁਹਾਡਾ ਆਰਡਰ #{orderId} ਤਿਆਰ ਹੈ ਅਤੇ ਜਲਦੀ ਹੀ ਡਿਲੀਵਰ ਕੀਤਾ ਜਾਵੇਗਾ।'
+    },
+    out_for_delivery: {
+      title: 'ਆਰਡਰ ਰਸਤੇ ਵਿੱਚ ਹੈ! 🏍️',
+      body: 'ਤੁਹਾਡਾ ਆਰਡਰ #{orderId} ਡਿਲੀਵਰੀ ਲਈ ਨਿਕਲ ਚੁੱਕਾ ਹੈ। ਲਾਈਵ ਟ੍ਰੈਕ ਕਰੋ!'
+    },
+    order_delivered: {
+      title: 'ਆਰਡਰ ਡਿਲੀਵਰ ਹੋ ਗਿਆ! 🎊',
+      body: 'ਤੁਹਾਡਾ ਆਰਡਰ #{orderId} ਡਿਲੀਵਰ ਹੋ ਗਿਆ ਹੈ। ਆਪਣੇ ਖਾਣੇ ਦਾ ਆਨੰਦ ਲਓ!'
+    },
+    new_order: {
+      title: 'ਨਵਾਂ ਆਰਡਰ ਮਿਲਿਆ! 📦',
+      body: 'ਨਵਾਂ ਆਰਡਰ #{orderId} ਦਿੱਤਾ ਗਿਆ ਹੈ। ਰਕਮ: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'ਸਵੀਕਾਰ ਹੋਣ ਦੀ ਉਡੀਕ ਵਿੱਚ ਆਰਡਰ ⏰',
+      body: 'ਆਰਡਰ #{orderId} ਨੂੰ {minutes} ਮਿੰਟਾਂ ਵਿੱਚ ਸਵੀਕਾਰ ਨਾ ਕੀਤਾ ਤਾਂ ਇਹ ਰੱਦ ਹੋ ਜਾਵੇਗਾ।'
+    },
+    restaurant_auto_paused: {
+      title: 'ਤੁਸੀਂ ਹੁਣ ਔਫਲਾਈਨ ਹੋ',
+      body: "ਲਗਾਤਾਰ {misses} ਆਰਡਰ ਸਮੇਂ ਸਿਰ ਸਵੀਕਾਰ ਨਹੀਂ ਕੀਤੇ ਗਏ, ਇਸ ਲਈ ਤੁਹਾਨੂੰ ਔਫਲਾਈਨ ਕਰ ਦਿੱਤਾ ਗਿਆ ਹੈ। ਆਰਡਰ ਲੈਣ ਲਈ ਤਿਆਰ ਹੋਣ 'ਤੇ ਦੁਬਾਰਾ ਔਨਲਾਈਨ ਹੋਵੋ।"
+    },
+    cart_reminder: {
+      title: 'ਤੁਹਾਡੀ ਕਾਰਟ ਉਡੀਕ ਕਰ ਰਹੀ ਹੈ 🛒',
+      body: 'ਤੁਸੀਂ {restaurantName} ਤੋਂ {count} ਆਈਟਮਾਂ ਕਾਰਟ ਵਿੱਚ ਛੱਡ ਦਿੱਤੀਆਂ ਹਨ। ਖਤਮ ਹੋਣ ਤੋਂ ਪਹਿਲਾਂ ਆਪਣਾ ਆਰਡਰ ਪੂਰਾ ਕਰੋ!'
+    },
+    rider_at_door: {
+      title: "ਤੁਹਾਡਾ ਰਾਈਡਰ ਦਰਵਾਜ਼ੇ 'ਤੇ ਹੈ 🛵",
+      body: 'ਆਰਡਰ #{orderId} ਲਈ ਤੁਹਾਡਾ ਰਾਈਡਰ ਤੁਹਾਡੇ ਨਾਲ ਸੰਪਰਕ ਨਹੀਂ ਕਰ ਸਕਿਆ। ਆਪਣੇ ਆਰਡਰ ਵੇਰਵਿਆਂ ਵਿੱਚ ਦਿਖਾਇਆ ਡਿਲੀਵਰੀ ਕੋਡ ਸਾਂਝਾ ਕਰੋ।'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB ਦੁਆਰਾ ਸੰਚਾਲਿਤ {companyName} ਵਿੱਚ ਤੁਹਾਡਾ ਸੁਆਗਤ ਹੈ। {purpose} ਲਈ ਤੁਹਾਡਾ OTP {otp} ਹੈ',
+    otp_purpose: {
+      login: 'ਲੌਗਇਨ',
+      registration: 'ਰਜਿਸਟ੍ਰੇਸ਼ਨ',
+      password_reset: 'ਪਾਸਵਰਡ ਰੀਸੈਟ'
+    },
+    accept_reminder: 'ਆਰਡਰ {orderId} (Rs {amount}) ਤੁਹਾਡੀ ਉਡੀਕ ਕਰ ਰਿਹਾ ਹੈ। ਇਸਨੂੰ {minutes} ਮਿੰਟਾਂ ਵਿੱਚ ਸਵੀਕਾਰ ਕਰੋ, ਨਹੀਂ ਤਾਂ ਇਹ ਰੱਦ ਹੋ ਜਾਵੇਗਾ।'
+  },
+  email: {
+    footer: {
+      rights: 'ਸਾਰੇ ਹੱਕ ਰਾਖਵੇਂ ਹਨ।',
+      automated: 'ਇਹ ਇੱਕ ਸਵੈਚਲਿਤ ਸੁਨੇਹਾ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ ਇਸ ਈਮੇਲ ਦਾ ਸਿੱਧਾ ਜਵਾਬ ਨਾ ਦਿਓ।'
+    },
+    otp: {
+      subject: 'ਤੁਹਾਡਾ OTP - {otp}',
+      title: 'ਪੁਸ਼ਟੀਕਰਨ ਕੋਡ',
+      heading: 'OTP ਪੁਸ਼ਟੀਕਰਨ',
+      intro: '<strong>{purpose}</strong> ਲਈ ਤੁਹਾਡਾ ਵਨ-ਟਾਈਮ ਪਾਸਵਰਡ (OTP) ਹੈ:',
+      validity: 'ਇਹ OTP 5 ਮਿੰਟਾਂ ਲਈ ਵੈਧ ਹੈ। ਇਸਨੂੰ ਕਿਸੇ ਨਾਲ ਸਾਂਝਾ ਨਾ ਕਰੋ।',
+      purpose: {
+        login: 'ਆਪਣੇ ਖਾਤੇ ਵਿੱਚ ਲੌਗਇਨ ਕਰਨ',
+        register: 'ਆਪਣੀ ਰਜਿਸਟ੍ਰੇਸ਼ਨ ਪੂਰੀ ਕਰਨ',
+        reset_password: 'ਆਪਣਾ ਪਾਸਵਰਡ ਰੀਸੈਟ ਕਰਨ',
+        verify_phone: 'ਆਪਣਾ ਫ਼ੋਨ ਨੰਬਰ ਪ੍ਰਮਾਣਿਤ ਕਰਨ',
+        verify_email: 'ਆਪਣਾ ਈਮੇਲ ਪਤਾ ਪ੍ਰਮਾਣਿਤ ਕਰਨ',
+        default: 'ਇਹ ਕਾਰਵਾਈ ਪੂਰੀ ਕਰਨ'
+      }
+    },
+    welcome: {
+      subject: '{companyName} ਵਿੱਚ ਤੁਹਾਡਾ ਸੁਆਗਤ ਹੈ!',
+      title: 'ਜੀ ਆਇਆਂ ਨੂੰ!',
+      heading: '{companyName} ਵਿੱਚ ਤੁਹਾਡਾ ਸੁਆਗਤ ਹੈ!',
+      greeting: 'ਸਤ ਸ੍ਰੀ ਅਕਾਲ <strong>{name}</strong>,',
+      thanks: '{companyName} ਨਾਲ ਜੁੜਨ ਲਈ ਧੰਨਵਾਦ। ਤੁਹਾਨੂੰ ਸਾਡੇ ਨਾਲ ਪਾ ਕੇ ਸਾਨੂੰ ਖੁਸ਼ੀ ਹੈ!',
+      explore: "ਆਪਣੇ ਆਸ-ਪਾਸ ਦੇ ਸਭ ਤੋਂ ਵਧੀਆ ਰੈਸਟੋਰੈਂਟ ਲੱਭੋ ਅਤੇ ਸੁਆਦੀ ਖਾਣਾ ਆਪਣੇ ਦਰਵਾਜ਼ੇ 'ਤੇ ਮੰਗਵਾਓ।",
+      button: 'ਖੋਜ ਸ਼ੁਰੂ ਕਰੋ'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Tamil (ta)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ஆர்டர் வெற்றிகரமாக செய்யப்பட்டது! 🎉',
+      body: 'உங்கள் ஆர்டர் #{orderId} செய்யப்பட்டு தயாராகிறது.'
+    },
+    restaurant_accepted: {
+      title: 'ஆர்டர் உறுதிசெய்யப்பட்டது! ✅',
+      body: 'உணவகம் உங்கள் ஆர்டர் #{orderId}-ஐ ஏற்றுக்கொண்டது. இப்போது தயாராகிறது.'
+    },
+    order_ready: {
+      title: 'ஆர்டர் தயார்! 🍽️',
+      body: 'உங்கள் ஆர்டர் #{orderId} தயாராக உள்ளது, விரைவில் டெலிவரி செய்யப்படும்.'
+    },
+    out_for_delivery: {
+      title: 'ஆர்டர் வந்துகொண்டிருக்கிறது! 🏍️',
+      body: 'உங்கள் ஆர்டர் #{orderId} டெலிவரிக்காக புறப்பட்டுவிட்டது. நேரலையில் கண்காணியுங்கள்!'
+    },
+    order_delivered: {
+      title: 'ஆர்டர் டெலிவரி செய்யப்பட்டது! 🎊',
+      body: 'உங்கள் ஆர்டர் #{orderId} டெலிவரி செய்யப்பட்டது. உணவை ரசியுங்கள்!'
+    },
+    new_order: {
+      title: 'புதிய ஆர்டர் வந்துள்ளது! 📦',
+      body: 'புதிய ஆர்டர் #{orderId} செய்யப்பட்டுள்ளது. தொகை: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'ஏற்புக்காக காத்திருக்கும் ஆர்டர் ⏰',
+      body: 'ஆர்டர் #{orderId}-ஐ {minutes} நிமிடங்களில் ஏற்காவிட்டால் ரத்து செய்யப்படும்.'
+    },
+    restaurant_auto_paused: {
+      title: 'நீங்கள் இப்போது ஆஃப்லைனில் உள்ளீர்கள்',
+      body: 'தொடர்ந்து {misses} ஆர்டர்கள் நேரத்தில் ஏற்கப்படாததால் நீங்கள் ஆஃப்லைனுக்கு மாற்றப்பட்டீர்கள். ஆர்டர்களை ஏற்கத் தயாரானதும் மீண்டும் ஆன்லைனுக்கு வாருங்கள்.'
+    },
+    cart_reminder: {
+      title: 'உங்கள் கார்ட் காத்திருக்கிறது 🛒',
+      body: '{restaurantName} இலிருந்து {count} பொருட்களை உங்கள் கார்ட்டில் விட்டுவிட்டீர்கள். அவை தீர்வதற்கு முன் ஆர்டரை முடிக்கவும்!'
+    },
+    rider_at_door: {
+      title: 'உங்கள் ரைடர் வாசலில் இருக்கிறார் 🛵',
+      body: 'ஆர்டர் #{orderId} க்கு உங்கள் ரைடரால் உங்களைத் தொடர்புகொள்ள முடியவில்லை. ஆர்டர் விவரங்களில் காட்டப்படும் டெலிவரி குறியீட்டைப் பகிரவும்.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB வழங்கும் {companyName}-க்கு வரவேற்கிறோம். {purpose}க்கான உங்கள் OTP {otp}',
+    otp_purpose: {
+      login: 'உள்நுழைவு',
+      registration: 'பதிவு',
+      password_reset: 'கடவுச்சொல் மீட்டமைப்பு'
+    },
+    accept_reminder: 'ஆர்டர் {orderId} (Rs {amount}) உங்களுக்காக காத்திருக்கிறது. {minutes} நிமிடங்களில் ஏற்காவிட்டால் ரத்து செய்யப்படும்.'
+  },
+  email: {
+    footer: {
+      rights: 'அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.',
+      automated: 'இது ஒரு தானியங்கி செய்தி, இந்த மின்னஞ்சலுக்கு நேரடியாக பதிலளிக்க வேண்டாம்.'
+    },
+    otp: {
+      subject: 'உங்கள் OTP - {otp}',
+      title: 'சரிபார்ப்புக் குறியீடு',
+      heading: 'OTP சரிபார்ப்பு',
+      intro: '<strong>{purpose}</strong> உங்கள் ஒருமுறை கடவுச்சொல் (OTP):',
+      validity: 'இந்த OTP 5 நிமிடங்களுக்கு செல்லுபடியாகும். யாருடனும் பகிர வேண்டாம்.',
+      purpose: {
+        login: 'உங்கள் கணக்கில் உள்நுழைய',
+        register: 'உங்கள் பதிவை முடிக்க',
+        reset_password: 'உங்கள் கடவுச்சொல்லை மீட்டமைக்க',
+        verify_phone: 'உங்கள் தொலைபேசி எண்ணைச் சரிபார்க்க',
+        verify_email: 'உங்கள் மின்னஞ்சல் முகவரியைச் சரிபார்க்க',
+        default: 'இந்தச் செயலை முடிக்க'
+      }
+    },
+    welcome: {
+      subject: '{companyName}-க்கு வரவேற்கிறோம்!',
+      title: 'வரவேற்கிறோம்!',
+      heading: '{companyName}-க்கு வரவேற்கிறோம்!',
+      greeting: 'வணக்கம் <strong>{name}</strong>,',
+      thanks: '{companyName}-இல் இணைந்ததற்கு நன்றி. உங்களை வரவேற்பதில் மகிழ்ச்சி!',
+      explore: 'உங்கள் அருகிலுள்ள சிறந்த உணவகங்களைக் கண்டறிந்து, சுவையான உணவை உங்கள் வீட்டு வாசலில் பெறுங்கள்.',
+      button: 'ஆராயத் தொடங்குங்கள்'
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Telugu (te)
+ */
+export default {
+  push: {
+    order_placed: {
+      title: 'ఆర్డర్ విజయవంతంగా చేయబడింది! 🎉',
+      body: 'మీ ఆర్డర్ #{orderId} చేయబడింది, సిద్ధం చేయబడుతోంది.'
+    },
+    restaurant_accepted: {
+      title: 'ఆర్డర్ నిర్ధారించబడింది! ✅',
+      body: 'రెస్టారెంట్ మీ ఆర్డర్ #{orderId}ని అంగీకరించింది. ఇప్పుడు సిద్ధం చేయబడుతోంది.'
+    },
+    order_ready: {
+      title: 'ఆర్డర్ సిద్ధంగా ఉంది! 🍽️',
+      body: 'మీ ఆర్డర్ #{orderId} సిద్ధంగా ఉంది, త్వరలో డెలివరీ చేయబడుతుంది.'
+    },
+    out_for_delivery: {
+      title: 'ఆర్డర్ దారిలో ఉంది! 🏍️',
+      body: 'మీ ఆర్డర్ #{orderId} డెలివరీకి బయలుదేరింది. లైవ్‌లో ట్రాక్ చేయండి!'
+    },
+    order_delivered: {
+      title: 'ఆర్డర్ డెలివరీ అయింది! 🎊',
+      body: 'మీ ఆర్డర్ #{orderId} డెలివరీ అయింది. మీ భోజనాన్ని ఆస్వాదించండి!'
+    },
+    new_order: {
+      title: 'కొత్త ఆర్డర్ వచ్చింది! 📦',
+      body: 'కొత్త ఆర్డర్ #{orderId} చేయబడింది. మొత్తం: ₹{amount}'
+    },
+    order_accept_reminder: {
+      title: 'అంగీకారం కోసం వేచి ఉన్న ఆర్డర్ ⏰',
+      body: 'ఆర్డర్ #{orderId}ని {minutes} నిమిషాల్లో అంగీకరించకపోతే రద్దు చేయబడుతుంది.'
+    },
+    restaurant_auto_paused: {
+      title: 'మీరు ఇప్పుడు ఆఫ్‌లైన్‌లో ఉన్నారు',
+      body: 'వరుసగా {misses} ఆర్డర్లు సమయానికి అంగీకరించబడలేదు, కాబట్టి మిమ్మల్ని ఆఫ్‌లైన్ చేశాం. ఆర్డర్లు తీసుకోవడానికి సిద్ధమైనప్పుడు మళ్లీ ఆన్‌లైన్‌కి రండి.'
+    },
+    cart_reminder: {
+      title: 'మీ కార్ట్ ఎదురుచూస్తోంది 🛒',
+      body: 'మీరు {restaurantName} నుండి {count} ఐటమ్‌లను కార్ట్‌లో వదిలేశారు. అవి అయిపోకముందే మీ ఆర్డర్ పూర్తి చేయండి!'
+    },
+    rider_at_door: {
+      title: 'మీ రైడర్ తలుపు వద్ద ఉన్నారు 🛵',
+      body: 'ఆర్డర్ #{orderId} కోసం మీ రైడర్ మిమ్మల్ని సంప్రదించలేకపోయారు. మీ ఆర్డర్ వివరాల్లో చూపిన డెలివరీ కోడ్‌ను షేర్ చేయండి.'
+    }
+  },
+  sms: {
+    otp: 'SMSINDIAHUB ఆధారిత {companyName}కి స్వాగతం. {purpose} కోసం మీ OTP {otp}',
+    otp_purpose: {
+      login: 'లాగిన్',
+      registration: 'నమోదు',
+      password_reset: 'పాస్‌వర్డ్ రీసెట్'
+    },
+    accept_reminder: 'ఆర్డర్ {orderId} (Rs {amount}) మీ కోసం వేచి ఉంది. {minutes} నిమిషాల్లో అంగీకరించకపోతే రద్దు చేయబడుతుంది.'
+  },
+  email: {
+    footer: {
+      rights: 'అన్ని హక్కులు ప్రత్యేకించబడ్డాయి.',
+      automated: 'ఇది స్వయంచాలక సందేశం, దయచేసి ఈ ఇమెయిల్‌కు నేరుగా ప్రత్యుత్తరం ఇవ్వవద్దు.'
+    },
+    otp: {
+      subject: 'మీ OTP - {otp}',
+      title: 'ధృవీకరణ కోడ్',
+      heading: 'OTP ధృవీకరణ',
+      intro: '<strong>{purpose}</strong> మీ వన్-టైమ్ పాస్‌వర్డ్ (OTP):',
+      validity: 'ఈ OTP 5 నిమిషాల పాటు చెల్లుతుంది. దీన్ని ఎవరితోనూ పంచుకోవద్దు.',
+      purpose: {
+        login: 'మీ ఖాతాలోకి లాగిన్ అవ్వడానికి',
+        register: 'మీ నమోదును పూర్తి చేయడానికి',
+        reset_password: 'మీ పాస్‌వర్డ్‌ను రీసెట్ చేయడానికి',
+        verify_phone: 'మీ ఫోన్ నంబర్‌ను ధృవీకరించడానికి',
+        verify_email: 'మీ ఇమెయిల్ చిరునామాను ధృవీకరించడానికి',
+        default: 'ఈ చర్యను పూర్తి చేయడానికి'
+      }
+    },
+    welcome: {
+      subject: '{companyName}కి స్వాగతం!',
+      title: 'స్వాగతం!',
+      heading: '{companyName}కి స్వాగతం!',
+      greeting: 'నమస్తే <strong>{name}</strong>,',
+      thanks: '{companyName}లో చేరినందుకు ధన్యవాదాలు. మిమ్మల్ని స్వాగతించడం మాకు ఆనందంగా ఉంది!',
+      explore: 'మీ చుట్టూ ఉన్న ఉత్తమ రెస్టారెంట్లను అన్వేషించండి, రుచికరమైన భోజనాన్ని మీ ఇంటి వద్దకే పొందండి.',
+      button: 'అన్వేషించడం ప్రారంభించండి'
+    }
+  }
+};
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import jwtService from '../../modules/auth/services/jwtService.js';
+import Order from '../../modules/order/models/Order.js';
+import Restaurant from '../../modules/restaurant/models/Restaurant.js';
+
+/**
+ * Socket.IO authentication
+ *
+ * Namespaces verify the access token sent in the handshake (auth.token,
+ * Authorization header or ?token=) and keep the decoded identity on
+ * socket.data.auth. Sockets outlive access tokens, so clients get an
+ * 'auth:expiring' event shortly before expiry and can swap in a fresh token
+ * with 'auth:refresh'; sockets that do not refresh are disconnected.
+ */
+
+const EXPIRY_WARNING_MS = 60 * 1000;
+// setTimeout overflows above ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const createSocketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  const raw = auth.token || headers.authorization || query.token;
+  if (!raw || typeof raw !== 'string') return null;
+  const token = raw.startsWith('Bearer ') ? raw.substring(7) : raw;
+  return token.trim() && token !== 'null' && token !== 'undefined' ? token.trim() : null;
+};
+
+const toAuthContext = (decoded) => ({
+  userId: String(decoded.userId),
+  role: decoded.role,
+  expiresAt: decoded.exp ? decoded.exp * 1000 : null
+});
+
+/**
+ * Namespace middleware: reject connections without a valid access token
+ * @param {Array<string>} [allowedRoles] - Token roles accepted by the namespace (empty = any)
+ * @returns {Function} Socket.IO middleware
+ */
+export const authenticateSocket = (allowedRoles = []) => (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) {
+    return next(createSocketError('Authentication required', 'NO_TOKEN'));
+  }
+
+  try {
+    const decoded = jwtService.verifyAccessToken(token);
+    if (allowedRoles.length > 0 && !allowedRoles.includes(decoded.role)) {
+      return next(createSocketError('This connection is not allowed for your account type', 'FORBIDDEN'));
+    }
+
+    socket.data.auth = toAuthContext(decoded);
+    next();
+  } catch (error) {
+    next(createSocketError(error.message, error.message === 'Token expired' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'));
+  }
+};
+
+/**
+ * Track token expiry for a connected socket and accept refreshed tokens.
+ * Call once from the namespace 'connection' handler.
+ * @param {import('socket.io').Socket} socket
+ */
+export const handleSocketTokenRefresh = (socket) => {
+  let warningTimer = null;
+  let expiryTimer = null;
+
+  const clearTimers = () => {
+    clearTimeout(warningTimer);
+    clearTimeout(expiryTimer);
+  };
+
+  const schedule = () => {
+    clearTimers();
+    const { expiresAt } = socket.data.auth || {};
+    if (!expiresAt) return;
+
+    const remaining = expiresAt - Date.now();
+    warningTimer = setTimeout(() => {
+      socket.emit('auth:expiring', { expiresAt });
+    }, Math.min(Math.max(0, remaining - EXPIRY_WARNING_MS), MAX_TIMER_MS));
+
+    expiryTimer = setTimeout(() => {
+      if (Date.now() < socket.data.auth.expiresAt) {
+        schedule();
+        return;
+      }
+      socket.emit('auth:expired');
+      socket.disconnect(true);
+    }, Math.min(Math.max(0, remaining), MAX_TIMER_MS));
+  };
+
+  socket.on('auth:refresh', (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const token = typeof payload === 'string' ? payload : payload?.token;
+      const next = toAuthContext(jwtService.verifyAccessToken(token));
+
+      // A socket keeps its identity; a different account has to reconnect
+      if (next.role !== socket.data.auth.role || next.userId !== socket.data.auth.userId) {
+        return respond({ success: false, message: 'Token does not belong to this connection' });
+      }
+
+      socket.data.auth.expiresAt = next.expiresAt;
+      schedule();
+      respond({ success: true, expiresAt: next.expiresAt });
+    } catch (error) {
+      respond({ success: false, message: error.message });
+    }
+  });
+
+  socket.on('disconnect', clearTimers);
+  schedule();
+};
+
+/**
+ * Ids a restaurant's room may be addressed by (Mongo _id and public restaurantId)
+ * @param {import('socket.io').Socket} socket - Socket authenticated as a restaurant
+ * @returns {Promise<Array<string>>}
+ */
+export const getRestaurantRoomIds = async (socket) => {
+  if (socket.data.restaurantRoomIds) return socket.data.restaurantRoomIds;
+
+  const restaurant = await Restaurant.findById(socket.data.auth.userId).select('restaurantId').lean();
+  const ids = [socket.data.auth.userId];
+  if (restaurant?.restaurantId) ids.push(String(restaurant.restaurantId));
+
+  socket.data.restaurantRoomIds = ids;
+  return ids;
+};
+
+/**
+ * Load an order if the socket's account may see it: the customer who placed it,
+ * its delivery partner, its restaurant, its hotel, or an admin.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} orderId - Order _id or orderId
+ * @returns {Promise<Object|null>} Order (lean) or null when missing / not allowed
+ */
+export const findAuthorizedOrder = async (socket, orderId) => {
+  const auth = socket.data.auth;
+  if (!auth || !orderId) return null;
+
+  const id = String(orderId);
+  const order = await Order.findOne(
+    mongoose.Types.ObjectId.isValid(id) && id.length === 24 ? { _id: id } : { orderId: id }
+  )
+    .select('orderId userId deliveryPartnerId restaurantId hotelReference hotelId')
+    .lean();
+  if (!order) return null;
+
+  switch (auth.role) {
+    case 'admin':
+      return order;
+    case 'user':
+      return String(order.userId) === auth.userId ? order : null;
+    case 'delivery':
+      return String(order.deliveryPartnerId) === auth.userId ? order : null;
+    case 'restaurant': {
+      const restaurantIds = await getRestaurantRoomIds(socket);
+      return restaurantIds.includes(String(order.restaurantId)) ? order : null;
+    }
+    case 'hotel':
+      return [String(order.hotelReference), String(order.hotelId)].includes(auth.userId) ? order : null;
+    default:
+      return null;
+  }
+};
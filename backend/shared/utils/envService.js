@@ -132,16 +132,18 @@ export function clearEnvCache() {
 
 /**
  * Get Razorpay credentials
- * @returns {Promise<Object>} { keyId, keySecret }
+ * @returns {Promise<Object>} { keyId, keySecret, webhookSecret }
  */
 export async function getRazorpayCredentials() {
   const apiKey = await getEnvVar("RAZORPAY_API_KEY");
   const secretKey = await getEnvVar("RAZORPAY_SECRET_KEY");
+  const webhookSecret = await getEnvVar("RAZORPAY_WEBHOOK_SECRET");
 
   // Fallback to old env var names
   return {
     keyId: apiKey || process.env.RAZORPAY_KEY_ID || "",
     keySecret: secretKey || process.env.RAZORPAY_KEY_SECRET || "",
+    webhookSecret: webhookSecret || "",
   };
 }
 
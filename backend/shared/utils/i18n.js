@@ -0,0 +1,146 @@
+import en from '../locales/en.js';
+import hi from '../locales/hi.js';
+import ta from '../locales/ta.js';
+import te from '../locales/te.js';
+import kn from '../locales/kn.js';
+import ml from '../locales/ml.js';
+import bn from '../locales/bn.js';
+import gu from '../locales/gu.js';
+import mr from '../locales/mr.js';
+import pa from '../locales/pa.js';
+
+/**
+ * Server-side translations for push, SMS and email text.
+ * Catalogs live in shared/locales/<code>.js; a key missing from a catalog
+ * falls back to English.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const catalogs = { en, hi, ta, te, kn, ml, bn, gu, mr, pa };
+
+export const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+// Language names the apps have sent before ISO codes were used
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  hindi: 'hi',
+  tamil: 'ta',
+  telugu: 'te',
+  kannada: 'kn',
+  malayalam: 'ml',
+  bengali: 'bn',
+  gujarati: 'gu',
+  marathi: 'mr',
+  punjabi: 'pa'
+};
+
+/**
+ * Map a language code, locale ("hi-IN") or name ("hindi") to a supported code
+ * @param {string} language
+ * @returns {string|null} Supported code or null
+ */
+export const normalizeLanguage = (language) => {
+  if (!language || typeof language !== 'string') {
+    return null;
+  }
+  const value = language.trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[value] || value.split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+};
+
+/**
+ * First supported language in an Accept-Language header
+ * @param {string} header - e.g. "hi-IN,hi;q=0.9,en;q=0.8"
+ * @returns {string|null}
+ */
+export const languageFromHeader = (header) => {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+  for (const part of header.split(',')) {
+    const code = normalizeLanguage(part.split(';')[0]);
+    if (code) return code;
+  }
+  return null;
+};
+
+/**
+ * Language a request asks for: ?lang=, then the Accept-Language header
+ * @param {import('express').Request} req
+ * @returns {string} Supported code, English when nothing matches
+ */
+export const getRequestLanguage = (req) =>
+  normalizeLanguage(req.query?.lang) ||
+  languageFromHeader(req.headers?.['accept-language']) ||
+  DEFAULT_LANGUAGE;
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, segment) => (node == null ? undefined : node[segment]), catalog);
+
+/**
+ * Translate a dotted key, e.g. translate('hi', 'push.order_ready.title').
+ * {placeholders} are replaced from params.
+ * @param {string} language
+ * @param {string} key
+ * @param {Object} params
+ * @returns {string} Translation, the English text, or the key itself
+ */
+export const translate = (language, key, params = {}) => {
+  const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+  let text = lookup(catalogs[code], key);
+  if (typeof text !== 'string') {
+    text = lookup(catalogs[DEFAULT_LANGUAGE], key);
+  }
+  if (typeof text !== 'string') {
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+};
+
+/**
+ * Clean a { languageCode: text } object (e.g. a menu item's nameTranslations):
+ * unsupported codes and blank texts are dropped
+ * @param {Object|Map} translations
+ * @returns {Object}
+ */
+export const normalizeTranslations = (translations) => {
+  const entries = translations instanceof Map
+    ? [...translations.entries()]
+    : Object.entries(translations && typeof translations === 'object' ? translations : {});
+
+  return entries.reduce((result, [language, text]) => {
+    const code = normalizeLanguage(language);
+    if (code && typeof text === 'string' && text.trim()) {
+      result[code] = text.trim();
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Pick the text for a language from a translations object, else the original
+ * @param {string} text - Original text
+ * @param {Object|Map} translations - { languageCode: text }
+ * @param {string} language
+ * @returns {string}
+ */
+export const localizeText = (text, translations, language) => {
+  const code = normalizeLanguage(language);
+  if (!code || !translations) return text;
+  const translated = translations instanceof Map ? translations.get(code) : translations[code];
+  return translated || text;
+};
+
+export default {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  languageFromHeader,
+  getRequestLanguage,
+  normalizeTranslations,
+  localizeText,
+  translate
+};
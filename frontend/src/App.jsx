@@ -53,6 +53,7 @@ const EditCouponPage = lazy(() => import("@/module/restaurant/pages/EditCouponPa
 const ReviewsPage = lazy(() => import("@/module/restaurant/pages/ReviewsPage"))
 const UpdateReplyPage = lazy(() => import("@/module/restaurant/pages/UpdateReplyPage"))
 const SettingsPage = lazy(() => import("@/module/restaurant/pages/SettingsPage"))
+const RestaurantChangeLanguage = lazy(() => import("@/module/restaurant/pages/ChangeLanguage"))
 const PrivacyPolicyPage = lazy(() => import("@/module/restaurant/pages/PrivacyPolicyPage"))
 const TermsAndConditionsPage = lazy(() => import("@/module/restaurant/pages/TermsAndConditionsPage"))
 const RestaurantConfigPage = lazy(() => import("@/module/restaurant/pages/RestaurantConfigPage"))
@@ -130,6 +131,8 @@ const HotelOrders = lazy(() => import("@/module/hotel/pages/HotelOrders"))
 const HotelProfile = lazy(() => import("@/module/hotel/pages/Profile"))
 const HotelWallet = lazy(() => import("@/module/hotel/pages/Wallet"))
 const HotelSettlement = lazy(() => import("@/module/hotel/pages/HotelSettlement"))
+const HotelRooms = lazy(() => import("@/module/hotel/pages/Rooms"))
+const HotelFolios = lazy(() => import("@/module/hotel/pages/Folios"))
 const ViewHotel = lazy(() => import("@/module/hotel/pages/ViewHotel"))
 
 function UserPathRedirect() {
@@ -217,6 +220,22 @@ export default function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/hotel/rooms"
+          element={
+            <ProtectedRoute requiredRole="hotel" loginPath="/hotel">
+              <HotelRooms />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/hotel/folios"
+          element={
+            <ProtectedRoute requiredRole="hotel" loginPath="/hotel">
+              <HotelFolios />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/restaurant/notifications"
           element={
@@ -388,6 +407,14 @@ export default function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/restaurant/language"
+          element={
+            <ProtectedRoute requiredRole="restaurant" loginPath="/restaurant/login">
+              <RestaurantChangeLanguage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/restaurant/delivery-settings"
           element={
@@ -1,6 +1,7 @@
 import { Navigate, useLocation } from "react-router-dom";
 import { isModuleAuthenticated } from "@/lib/utils/auth";
 import RestaurantRedirectToOrders from "@/module/restaurant/components/RestaurantRedirectToOrders";
+import RestaurantRoleGuard from "@/module/restaurant/components/RestaurantRoleGuard";
 
 /**
  * Role-based Protected Route Component
@@ -41,9 +42,14 @@ export default function ProtectedRoute({ children, requiredRole, loginPath }) {
     return <Navigate to={redirectPath} replace />;
   }
 
-  // Restaurant: after refresh, redirect to orders screen (/restaurant) unless already there or on onboarding
+  // Restaurant: after refresh, redirect to orders screen (/restaurant) unless already there or on onboarding.
+  // Manager and staff accounts are also kept out of pages their role cannot use.
   if (requiredRole === "restaurant") {
-    return <RestaurantRedirectToOrders>{children}</RestaurantRedirectToOrders>;
+    return (
+      <RestaurantRedirectToOrders>
+        <RestaurantRoleGuard>{children}</RestaurantRoleGuard>
+      </RestaurantRedirectToOrders>
+    );
   }
 
   return children;
@@ -2,6 +2,7 @@ import axios from "axios";
 import { toast } from "sonner";
 import { API_BASE_URL } from "./config.js";
 import { getRoleFromToken, clearModuleAuth, getModuleToken } from "../utils/auth.js";
+import { getCurrentLanguage } from "../i18n/languages.js";
 
 // Network error tracking to prevent spam
 const networkErrorState = {
@@ -116,6 +117,9 @@ apiClient.interceptors.request.use(
       });
     }
 
+    // Localized menu names and messages follow the current app's language
+    config.headers["Accept-Language"] = getCurrentLanguage();
+
     // Determine if this is an authenticated route
     const path = window.location.pathname;
     const requestUrl = config.url || "";
@@ -140,6 +144,7 @@ apiClient.interceptors.request.use(
         !requestUrl.includes("/restaurant/wallet") &&
         !requestUrl.includes("/restaurant/analytics") &&
         !requestUrl.includes("/restaurant/complaints") &&
+        !requestUrl.includes("/restaurant/preferences") &&
         (requestUrl.match(/\/restaurant\/[^/]+$/) ||
           requestUrl.match(/\/restaurant\/[^/]+\/menu/) ||
           requestUrl.match(/\/restaurant\/[^/]+\/addons/) ||
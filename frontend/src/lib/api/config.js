@@ -150,6 +150,9 @@ export const API_ENDPOINTS = {
     LOCATION: "/user/location",
     COMPLAINTS: "/user/complaints",
     COMPLAINT_BY_ID: "/user/complaints/:id",
+    CART: "/user/cart",
+    CART_ITEMS: "/user/cart/items",
+    CART_ITEM_BY_ID: "/user/cart/items/:lineId",
   },
   // Location endpoints
   LOCATION: {
@@ -173,8 +176,11 @@ export const API_ENDPOINTS = {
       ME: "/restaurant/auth/me",
       REVERIFY: "/restaurant/auth/reverify",
       RESET_PASSWORD: "/restaurant/auth/reset-password",
+      STAFF_SEND_OTP: "/restaurant/auth/staff/send-otp",
+      STAFF_VERIFY_OTP: "/restaurant/auth/staff/verify-otp",
     },
     PROFILE: "/restaurant/profile",
+    PREFERENCES: "/restaurant/preferences",
     DELIVERY_STATUS: "/restaurant/delivery-status",
     STAFF: "/restaurant/staff",
     MENU: "/restaurant/menu",
@@ -187,6 +193,7 @@ export const API_ENDPOINTS = {
     ADDONS: "/restaurant/menu/addons",
     ADDON: "/restaurant/menu/addon",
     ADDON_BY_ID: "/restaurant/menu/addon/:id",
+    MENU_ITEM_ADDON_GROUPS: "/restaurant/menu/item/:itemId/addon-groups",
     CATEGORIES: "/restaurant/categories",
     CATEGORIES_ALL: "/restaurant/categories/all",
     CATEGORY_BY_ID: "/restaurant/categories/:id",
@@ -208,7 +215,10 @@ export const API_ENDPOINTS = {
     ORDER_READY: "/restaurant/orders/:id/ready",
     ORDER_RESEND_DELIVERY_NOTIFICATION:
       "/restaurant/orders/:id/resend-delivery-notification",
+    ORDER_TAX_DOCUMENTS: "/restaurant/orders/:id/tax-documents",
+    TAX_DOCUMENT_PDF: "/restaurant/tax-documents/:documentId/pdf",
     FINANCE: "/restaurant/finance",
+    FINANCE_GSTR_EXPORT: "/restaurant/finance/gstr-export",
     WALLET: "/restaurant/wallet",
     WALLET_TRANSACTIONS: "/restaurant/wallet/transactions",
     WALLET_STATS: "/restaurant/wallet/stats",
@@ -241,6 +251,15 @@ export const API_ENDPOINTS = {
     SETTLEMENT_SUMMARY: "/hotel/orders/settlement-summary",
     ORDER_COLLECT_PAYMENT: "/hotel/orders/:orderId/collect-payment",
     ORDER_DELIVER: "/hotel/orders/:orderId/deliver",
+    ROOMS: "/hotel/rooms",
+    ROOM_BY_ID: "/hotel/rooms/:roomId",
+    ROOMS_STATUS: "/hotel/rooms/status",
+    ROOMS_QR_PDF: "/hotel/rooms/qr-pdf",
+    FOLIOS: "/hotel/folios",
+    FOLIO_BY_ID: "/hotel/folios/:folioId",
+    FOLIO_STATEMENT: "/hotel/folios/:folioId/statement",
+    FOLIO_CHECKOUT: "/hotel/folios/:folioId/checkout",
+    FOLIO_SETTLE: "/hotel/folios/:folioId/settle",
     PUBLIC: "/hotel/public/:hotelId", // Public endpoint for QR code scanning
   },
   // Delivery endpoints
@@ -260,6 +279,7 @@ export const API_ENDPOINTS = {
     WALLET: "/delivery/wallet",
     WALLET_TRANSACTIONS: "/delivery/wallet/transactions",
     WALLET_STATS: "/delivery/wallet/stats",
+    WALLET_TIPS: "/delivery/wallet/tips",
     WALLET_WITHDRAW: "/delivery/wallet/withdraw",
     WALLET_EARNINGS: "/delivery/wallet/earnings",
     WALLET_COLLECT_PAYMENT: "/delivery/wallet/collect-payment",
@@ -268,20 +288,28 @@ export const API_ENDPOINTS = {
     WALLET_DEPOSIT_VERIFY: "/delivery/wallet/deposit/verify",
     ORDER_STATS: "/delivery/orders/stats",
     PROFILE: "/delivery/profile",
+    PREFERENCES: "/delivery/preferences",
     ORDERS: "/delivery/orders",
     ORDER_BY_ID: "/delivery/orders/:orderId",
     ORDER_ACCEPT: "/delivery/orders/:orderId/accept",
     ORDER_REACHED_PICKUP: "/delivery/orders/:orderId/reached-pickup",
     ORDER_CONFIRM_ID: "/delivery/orders/:orderId/confirm-order-id",
     ORDER_REACHED_DROP: "/delivery/orders/:orderId/reached-drop",
+    ORDER_CUSTOMER_UNREACHABLE: "/delivery/orders/:orderId/customer-unreachable",
     ORDER_COMPLETE_DELIVERY: "/delivery/orders/:orderId/complete-delivery",
     ORDER_HOTEL_CASH_SETTLED:
       "/delivery/orders/:orderId/hotel-cash-settled",
+    ACTIVE_BATCH: "/delivery/batches/active",
     TRIP_HISTORY: "/delivery/trip-history",
     EARNINGS: "/delivery/earnings",
     EARNINGS_ACTIVE_OFFERS: "/delivery/earnings/active-offers",
+    ONLINE_TIME: "/delivery/online-time",
     LOCATION: "/delivery/location",
     ZONES_IN_RADIUS: "/delivery/zones/in-radius",
+    GIG_LEVEL: "/delivery/gigs/level",
+    GIG_SLOTS: "/delivery/gigs/slots",
+    GIG_BOOKINGS: "/delivery/gigs/bookings",
+    GIG_BOOKING_CANCEL: "/delivery/gigs/bookings/:id/cancel",
     REVERIFY: "/delivery/reverify",
     EMERGENCY_HELP: "/delivery/emergency-help",
     SUPPORT_TICKETS: "/delivery/support-tickets",
@@ -298,11 +326,19 @@ export const API_ENDPOINTS = {
     },
     PROFILE: "/admin/profile",
     CHANGE_PASSWORD: "/admin/settings/change-password",
+    ADMINS: "/admin/admins",
+    ADMIN_BY_ID: "/admin/admins/:id",
+    PERMISSIONS: "/admin/permissions",
+    ROLES: "/admin/roles",
+    ROLE_BY_ID: "/admin/roles/:id",
     USERS: "/admin/users",
     USER_BY_ID: "/admin/users/:id",
     USER_STATUS: "/admin/users/:id/status",
     RESTAURANTS: "/admin/restaurants",
     RESTAURANT_BY_ID: "/admin/restaurants/:id",
+    RESTAURANTS_BULK_TEMPLATE: "/admin/restaurants/bulk/template",
+    RESTAURANTS_BULK_EXPORT: "/admin/restaurants/bulk/export",
+    RESTAURANTS_BULK_IMPORT: "/admin/restaurants/bulk/import",
     RESTAURANT_ANALYTICS: "/admin/restaurant-analytics/:restaurantId",
     HOTELS: "/admin/hotels",
     HOTEL_REQUESTS: "/admin/hotels/requests",
@@ -320,6 +356,7 @@ export const API_ENDPOINTS = {
     DELIVERY_PARTNERS: "/admin/delivery-partners",
     DELIVERY_PARTNERS_REQUESTS: "/admin/delivery-partners/requests",
     DELIVERY_PARTNER_BY_ID: "/admin/delivery-partners/:id",
+    DELIVERY_PARTNER_ONLINE_TIME: "/admin/delivery-partners/:id/online-time",
     DELIVERY_PARTNER_APPROVE: "/admin/delivery-partners/:id/approve",
     DELIVERY_PARTNER_REJECT: "/admin/delivery-partners/:id/reject",
     DELIVERY_PARTNER_REVERIFY: "/admin/delivery-partners/:id/reverify",
@@ -375,6 +412,16 @@ export const API_ENDPOINTS = {
     WITHDRAWAL_REJECT: "/admin/withdrawal/:id/reject",
     BUSINESS_SETTINGS: "/admin/business-settings",
     BUSINESS_SETTINGS_PUBLIC: "/business-settings/public",
+    TAX_INVOICES: "/admin/tax-invoices",
+    TAX_INVOICES_SUMMARY: "/admin/tax-invoices/summary",
+    TAX_INVOICES_GSTR_EXPORT: "/admin/tax-invoices/gstr-export",
+    TAX_INVOICE_PDF: "/admin/tax-invoices/:id/pdf",
+    TAX_INVOICE_ISSUE: "/admin/tax-invoices/orders/:orderId/invoice",
+    TAX_CREDIT_NOTES: "/admin/tax-invoices/orders/:orderId/credit-notes",
+    JOB_QUEUES: "/admin/jobs",
+    JOB_QUEUE_JOBS: "/admin/jobs/:queue",
+    JOB_RETRY: "/admin/jobs/:queue/:jobId/retry",
+    JOB_BY_ID: "/admin/jobs/:queue/:jobId",
     ANALYTICS: "/admin/analytics",
     DASHBOARD_STATS: "/admin/dashboard/stats",
     CATEGORIES: "/admin/categories",
@@ -428,6 +475,9 @@ export const API_ENDPOINTS = {
     ZONES: "/admin/zones",
     ZONE_BY_ID: "/admin/zones/:id",
     ZONE_STATUS: "/admin/zones/:id/status",
+    ZONE_GIG_SLOTS: "/admin/zones/:id/gig-slots",
+    ZONE_GIG_SETTINGS: "/admin/zones/:id/gig-settings",
+    GIG_SLOT_BY_ID: "/admin/zones/gig-slots/:slotId",
   },
   // Order endpoints
   ORDER: {
@@ -437,8 +487,13 @@ export const API_ENDPOINTS = {
     UPDATE_STATUS: "/order/:id/status",
     VERIFY_PAYMENT: "/order/verify-payment",
     CALCULATE: "/order/calculate",
+    SCHEDULE_SLOTS: "/order/schedule-slots",
     CANCEL: "/order/:id/cancel",
     UPDATE_NOTE: "/order/:id/note",
+    TIP: "/order/:id/tip",
+    TIP_VERIFY: "/order/:id/tip/verify",
+    TAX_DOCUMENTS: "/order/:id/tax-documents",
+    TAX_DOCUMENT_PDF: "/order/:id/tax-documents/:documentId/pdf",
   },
   // Payment endpoints
   PAYMENT: {
@@ -472,6 +527,7 @@ export const API_ENDPOINTS = {
   DINING: {
     RESTAURANTS: "/dining/restaurants",
     RESTAURANT_BY_SLUG: "/dining/restaurants/:slug",
+    AVAILABILITY: "/dining/restaurants/:restaurantId/availability",
     CATEGORIES: "/dining/categories",
     LIMELIGHT: "/dining/limelight",
     BANK_OFFERS: "/dining/bank-offers",
@@ -483,8 +539,41 @@ export const API_ENDPOINTS = {
     BOOKING_RESTAURANT: "/dining/bookings/restaurant/:restaurantId",
     BOOKING_STATUS: "/dining/bookings/:bookingId/status",
     BOOKING_STATUS_RESTAURANT: "/dining/bookings/:bookingId/status/restaurant",
+    RESTAURANT_SETTINGS: "/dining/restaurant/settings",
     REVIEW_CREATE: "/dining/reviews",
   },
+  // Subscription endpoints
+  SUBSCRIPTION: {
+    ADMIN_PACKAGES: "/subscription/admin/packages",
+    ADMIN_PACKAGE_BY_ID: "/subscription/admin/packages/:id",
+    ADMIN_PACKAGE_STATUS: "/subscription/admin/packages/:id/status",
+    ADMIN_SUBSCRIBERS: "/subscription/admin/subscribers",
+    PACKAGES: "/subscription/packages",
+    MY: "/subscription/my",
+    PURCHASE: "/subscription/purchase",
+    VERIFY_PAYMENT: "/subscription/verify-payment",
+  },
+  // Platform coupon endpoints
+  COUPON: {
+    ADMIN_LIST: "/coupon/admin",
+    ADMIN_BY_ID: "/coupon/admin/:id",
+    ADMIN_STATUS: "/coupon/admin/:id/status",
+    ADMIN_REDEMPTIONS: "/coupon/admin/:id/redemptions",
+    AVAILABLE: "/coupon/available",
+  },
+  // Analytics endpoints
+  ANALYTICS: {
+    METRICS: "/analytics/metrics",
+    RESTAURANT_METRICS: "/analytics/restaurant/metrics",
+    REBUILD_ROLLUPS: "/analytics/rollups/rebuild",
+  },
+  // Restaurant and dish search endpoints
+  SEARCH: {
+    QUERY: "/search",
+    SUGGEST: "/search/suggest",
+    POPULAR: "/search/popular",
+    REBUILD_INDEX: "/search/index/rebuild",
+  },
 };
 
 export default {
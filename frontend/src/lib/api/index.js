@@ -232,6 +232,43 @@ export const userAPI = {
   updateLocation: (locationData) => {
     return apiClient.put(API_ENDPOINTS.USER.LOCATION, locationData);
   },
+
+  // Get server cart (re-validated against the menu)
+  getCart: () => {
+    return apiClient.get(API_ENDPOINTS.USER.CART);
+  },
+
+  // Replace server cart with this device's lines
+  // data: { restaurantId, items: [{ itemId, variantId, selectedAddons, specialInstructions, quantity }], baseVersion }
+  syncCart: (data) => {
+    return apiClient.put(API_ENDPOINTS.USER.CART, data);
+  },
+
+  // Add an item to the server cart
+  addCartItem: (data) => {
+    return apiClient.post(API_ENDPOINTS.USER.CART_ITEMS, data);
+  },
+
+  // Change a cart line's quantity (0 removes it)
+  updateCartItem: (lineId, quantity, baseVersion) => {
+    return apiClient.patch(
+      API_ENDPOINTS.USER.CART_ITEM_BY_ID.replace(":lineId", encodeURIComponent(lineId)),
+      { quantity, baseVersion },
+    );
+  },
+
+  // Remove a cart line
+  removeCartItem: (lineId, baseVersion) => {
+    return apiClient.delete(
+      API_ENDPOINTS.USER.CART_ITEM_BY_ID.replace(":lineId", encodeURIComponent(lineId)),
+      { params: { baseVersion } },
+    );
+  },
+
+  // Empty the server cart
+  clearCart: () => {
+    return apiClient.delete(API_ENDPOINTS.USER.CART);
+  },
 };
 
 // Export location API helper functions
@@ -346,6 +383,22 @@ export const restaurantAPI = {
     });
   },
 
+  // Staff/manager OTP login into the parent restaurant
+  sendStaffOTP: (phone) => {
+    return apiClient.post(API_ENDPOINTS.RESTAURANT.AUTH.STAFF_SEND_OTP, { phone });
+  },
+
+  verifyStaffOTP: (phone, otp, restaurantId = null) => {
+    const payload = { phone, otp };
+    if (restaurantId) payload.restaurantId = restaurantId;
+    return apiClient.post(API_ENDPOINTS.RESTAURANT.AUTH.STAFF_VERIFY_OTP, payload);
+  },
+
+  // Finish a multi-outlet staff login with the token returned alongside the outlet list
+  selectStaffOutlet: (phone, outletToken, restaurantId) => {
+    return apiClient.post(API_ENDPOINTS.RESTAURANT.AUTH.STAFF_VERIFY_OTP, { phone, outletToken, restaurantId });
+  },
+
   // Get restaurant profile
   getProfile: () => {
     return apiClient.get(API_ENDPOINTS.RESTAURANT.PROFILE);
@@ -361,6 +414,11 @@ export const restaurantAPI = {
     return apiClient.delete(API_ENDPOINTS.RESTAURANT.PROFILE);
   },
 
+  // Update preferences (language)
+  updatePreferences: (preferences) => {
+    return apiClient.put(API_ENDPOINTS.RESTAURANT.PREFERENCES, preferences);
+  },
+
   // Update delivery status (isAcceptingOrders)
   updateDeliveryStatus: (isAcceptingOrders) => {
     return apiClient.put(API_ENDPOINTS.RESTAURANT.DELIVERY_STATUS, {
@@ -644,6 +702,19 @@ export const restaurantAPI = {
     );
   },
 
+  // Item-level add-on groups
+  getItemAddonGroups: (itemId) => {
+    return apiClient.get(
+      API_ENDPOINTS.RESTAURANT.MENU_ITEM_ADDON_GROUPS.replace(":itemId", itemId),
+    );
+  },
+  updateItemAddonGroups: (itemId, addonGroups, allowSpecialInstructions) => {
+    return apiClient.put(
+      API_ENDPOINTS.RESTAURANT.MENU_ITEM_ADDON_GROUPS.replace(":itemId", itemId),
+      { addonGroups, allowSpecialInstructions },
+    );
+  },
+
   getMenuByRestaurantId: (restaurantId) => {
     return apiClient.get(
       API_ENDPOINTS.RESTAURANT.MENU_BY_RESTAURANT_ID.replace(
@@ -753,6 +824,25 @@ export const restaurantAPI = {
   getFinance: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.RESTAURANT.FINANCE, { params });
   },
+  downloadGstrExport: (month) => {
+    return apiClient.get(API_ENDPOINTS.RESTAURANT.FINANCE_GSTR_EXPORT, {
+      params: { month },
+      responseType: "blob",
+    });
+  },
+
+  // GST invoice and credit notes of an order
+  getOrderTaxDocuments: (orderId) => {
+    return apiClient.get(
+      API_ENDPOINTS.RESTAURANT.ORDER_TAX_DOCUMENTS.replace(":id", orderId),
+    );
+  },
+  downloadTaxDocumentPdf: (documentId) => {
+    return apiClient.get(
+      API_ENDPOINTS.RESTAURANT.TAX_DOCUMENT_PDF.replace(":documentId", documentId),
+      { responseType: "blob" },
+    );
+  },
 
   // Complaint operations
   getComplaints: (params = {}) => {
@@ -891,6 +981,74 @@ export const hotelAPI = {
     );
   },
 
+  // Rooms
+  getRooms: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.HOTEL.ROOMS, { params });
+  },
+
+  // data: { rooms: [{ roomNumber, floor, label }] } or { floor, from, to, prefix }
+  createRooms: (data) => {
+    return apiClient.post(API_ENDPOINTS.HOTEL.ROOMS, data);
+  },
+
+  updateRoom: (roomId, data) => {
+    return apiClient.patch(
+      API_ENDPOINTS.HOTEL.ROOM_BY_ID.replace(":roomId", roomId),
+      data,
+    );
+  },
+
+  // data: { isActive, roomIds } or { isActive, floor }
+  updateRoomsStatus: (data) => {
+    return apiClient.patch(API_ENDPOINTS.HOTEL.ROOMS_STATUS, data);
+  },
+
+  deleteRoom: (roomId) => {
+    return apiClient.delete(
+      API_ENDPOINTS.HOTEL.ROOM_BY_ID.replace(":roomId", roomId),
+    );
+  },
+
+  // params: { mode: "room" | "floor", floor, roomIds }
+  downloadRoomQRPdf: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.HOTEL.ROOMS_QR_PDF, {
+      params,
+      responseType: "blob",
+    });
+  },
+
+  // Guest folios
+  getFolios: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.HOTEL.FOLIOS, { params });
+  },
+
+  getFolio: (folioId) => {
+    return apiClient.get(
+      API_ENDPOINTS.HOTEL.FOLIO_BY_ID.replace(":folioId", folioId),
+    );
+  },
+
+  checkoutFolio: (folioId, deactivateRoom = false) => {
+    return apiClient.post(
+      API_ENDPOINTS.HOTEL.FOLIO_CHECKOUT.replace(":folioId", folioId),
+      { deactivateRoom },
+    );
+  },
+
+  // format: "pdf" | "csv"
+  downloadFolioStatement: (folioId, format = "pdf") => {
+    return apiClient.get(
+      API_ENDPOINTS.HOTEL.FOLIO_STATEMENT.replace(":folioId", folioId),
+      { params: { format }, responseType: "blob" },
+    );
+  },
+
+  settleFolio: (folioId) => {
+    return apiClient.post(
+      API_ENDPOINTS.HOTEL.FOLIO_SETTLE.replace(":folioId", folioId),
+    );
+  },
+
   // Hotel stand request
   requestStand: () => {
     return apiClient.post("/hotel/auth/stand-request");
@@ -945,6 +1103,11 @@ export const deliveryAPI = {
   getWalletStats: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.DELIVERY.WALLET_STATS, { params });
   },
+
+  // Customer tips in a date range ({ startDate, endDate } as YYYY-MM-DD)
+  getTipsStatement: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.WALLET_TIPS, { params });
+  },
   createWithdrawalRequest: (data) => {
     return apiClient.post(API_ENDPOINTS.DELIVERY.WALLET_WITHDRAW, data);
   },
@@ -1001,6 +1164,11 @@ export const deliveryAPI = {
     return apiClient.put(API_ENDPOINTS.DELIVERY.PROFILE, data);
   },
 
+  // Update preferences (language)
+  updatePreferences: (preferences) => {
+    return apiClient.put(API_ENDPOINTS.DELIVERY.PREFERENCES, preferences);
+  },
+
   // Get orders
   getOrders: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.DELIVERY.ORDERS, { params });
@@ -1049,7 +1217,17 @@ export const deliveryAPI = {
       API_ENDPOINTS.DELIVERY.ORDER_REACHED_DROP.replace(":orderId", orderId),
     );
   },
-  completeDelivery: (orderId, rating = null, review = "") => {
+  // Customer can't be reached at the door; opens the photo handover a few minutes later
+  reportCustomerUnreachable: (orderId) => {
+    return apiClient.patch(
+      API_ENDPOINTS.DELIVERY.ORDER_CUSTOMER_UNREACHABLE.replace(
+        ":orderId",
+        orderId,
+      ),
+    );
+  },
+  // handover: { otp } or { photo: { url, publicId }, location, fallbackReason }
+  completeDelivery: (orderId, rating = null, review = "", handover = {}) => {
     return apiClient.patch(
       API_ENDPOINTS.DELIVERY.ORDER_COMPLETE_DELIVERY.replace(
         ":orderId",
@@ -1058,6 +1236,7 @@ export const deliveryAPI = {
       {
         rating,
         review,
+        ...handover,
       },
     );
   },
@@ -1071,6 +1250,11 @@ export const deliveryAPI = {
     );
   },
 
+  // Get the current multi-stop (batched) trip, or null
+  getActiveBatch: () => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.ACTIVE_BATCH);
+  },
+
   // Get trip history
   getTripHistory: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.DELIVERY.TRIP_HISTORY, { params });
@@ -1081,6 +1265,11 @@ export const deliveryAPI = {
     return apiClient.get(API_ENDPOINTS.DELIVERY.EARNINGS, { params });
   },
 
+  // Get login hours, time on orders and sessions of a day (YYYY-MM-DD)
+  getOnlineTime: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.ONLINE_TIME, { params });
+  },
+
   // Get active earning addon offers
   getActiveEarningAddons: () => {
     const endpoint = API_ENDPOINTS.DELIVERY.EARNINGS_ACTIVE_OFFERS;
@@ -1122,6 +1311,26 @@ export const deliveryAPI = {
     return apiClient.post(API_ENDPOINTS.DELIVERY.REVERIFY);
   },
 
+  // Gig (shift slot) booking
+  getGigLevel: () => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.GIG_LEVEL);
+  },
+  getGigSlots: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.GIG_SLOTS, { params });
+  },
+  getGigBookings: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.DELIVERY.GIG_BOOKINGS, { params });
+  },
+  bookGigSlots: (slotIds) => {
+    return apiClient.post(API_ENDPOINTS.DELIVERY.GIG_BOOKINGS, { slotIds });
+  },
+  cancelGigBooking: (bookingId, reason = "") => {
+    return apiClient.patch(
+      API_ENDPOINTS.DELIVERY.GIG_BOOKING_CANCEL.replace(":id", bookingId),
+      { reason },
+    );
+  },
+
   // Get zones within radius (for delivery boy to see nearby zones)
   getZonesInRadius: (latitude, longitude, radius = 70) => {
     return apiClient.get(API_ENDPOINTS.DELIVERY.ZONES_IN_RADIUS, {
@@ -1175,6 +1384,44 @@ export const adminAPI = {
     });
   },
 
+  // Admin accounts (employees)
+  getAdmins: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.ADMINS, { params });
+  },
+
+  createAdmin: (data) => {
+    return apiClient.post(API_ENDPOINTS.ADMIN.ADMINS, data);
+  },
+
+  updateAdmin: (id, data) => {
+    return apiClient.put(API_ENDPOINTS.ADMIN.ADMIN_BY_ID.replace(":id", id), data);
+  },
+
+  deleteAdmin: (id) => {
+    return apiClient.delete(API_ENDPOINTS.ADMIN.ADMIN_BY_ID.replace(":id", id));
+  },
+
+  // Permission scopes and custom admin roles
+  getPermissionScopes: () => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.PERMISSIONS);
+  },
+
+  getAdminRoles: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.ROLES, { params });
+  },
+
+  createAdminRole: (data) => {
+    return apiClient.post(API_ENDPOINTS.ADMIN.ROLES, data);
+  },
+
+  updateAdminRole: (id, data) => {
+    return apiClient.put(API_ENDPOINTS.ADMIN.ROLE_BY_ID.replace(":id", id), data);
+  },
+
+  deleteAdminRole: (id) => {
+    return apiClient.delete(API_ENDPOINTS.ADMIN.ROLE_BY_ID.replace(":id", id));
+  },
+
   // Get dashboard stats (supports optional zone & time filters)
   getDashboardStats: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.ADMIN.DASHBOARD_STATS, { params });
@@ -1207,6 +1454,32 @@ export const adminAPI = {
     return apiClient.post(API_ENDPOINTS.ADMIN.RESTAURANTS, data);
   },
 
+  // Download the empty bulk import template (.xlsx)
+  downloadRestaurantImportTemplate: () => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.RESTAURANTS_BULK_TEMPLATE, {
+      responseType: "blob",
+    });
+  },
+
+  // Export all restaurants and menus (.xlsx, same format as the import)
+  exportRestaurants: () => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.RESTAURANTS_BULK_EXPORT, {
+      responseType: "blob",
+    });
+  },
+
+  // Import restaurants and menus from a spreadsheet; dryRun only validates
+  importRestaurants: (file, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    return apiClient.post(API_ENDPOINTS.ADMIN.RESTAURANTS_BULK_IMPORT, formData, {
+      params: { dryRun },
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+    });
+  },
+
   // Get restaurant by ID
   getRestaurantById: (id) => {
     return apiClient.get(
@@ -1537,6 +1810,14 @@ export const adminAPI = {
     );
   },
 
+  // Get delivery partner login hours and sessions of a day (YYYY-MM-DD)
+  getDeliveryPartnerOnlineTime: (id, params = {}) => {
+    return apiClient.get(
+      API_ENDPOINTS.ADMIN.DELIVERY_PARTNER_ONLINE_TIME.replace(":id", id),
+      { params },
+    );
+  },
+
   // Approve delivery partner
   approveDeliveryPartner: (id) => {
     return apiClient.post(
@@ -1749,6 +2030,66 @@ export const adminAPI = {
     });
   },
 
+  // GST invoices and credit notes
+  // params: { month: "YYYY-MM", restaurantId, documentType, search, page, limit }
+  getTaxInvoices: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.TAX_INVOICES, { params });
+  },
+  getTaxInvoiceSummary: (month) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.TAX_INVOICES_SUMMARY, {
+      params: { month },
+    });
+  },
+  downloadGstrExport: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.TAX_INVOICES_GSTR_EXPORT, {
+      params,
+      responseType: "blob",
+    });
+  },
+  downloadTaxInvoicePdf: (id) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.TAX_INVOICE_PDF.replace(":id", id), {
+      responseType: "blob",
+    });
+  },
+  issueTaxInvoice: (orderId) => {
+    return apiClient.post(
+      API_ENDPOINTS.ADMIN.TAX_INVOICE_ISSUE.replace(":orderId", orderId),
+    );
+  },
+  createCreditNote: (orderId, data) => {
+    return apiClient.post(
+      API_ENDPOINTS.ADMIN.TAX_CREDIT_NOTES.replace(":orderId", orderId),
+      data,
+    );
+  },
+
+  // Background job queues
+  // params: { state: "waiting" | "delayed" | "active" | "completed" | "failed", page, limit }
+  getJobQueues: () => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.JOB_QUEUES);
+  },
+  getQueueJobs: (queue, params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ADMIN.JOB_QUEUE_JOBS.replace(":queue", queue), {
+      params,
+    });
+  },
+  retryQueueJob: (queue, jobId) => {
+    return apiClient.post(
+      API_ENDPOINTS.ADMIN.JOB_RETRY.replace(":queue", queue).replace(
+        ":jobId",
+        encodeURIComponent(jobId),
+      ),
+    );
+  },
+  removeQueueJob: (queue, jobId) => {
+    return apiClient.delete(
+      API_ENDPOINTS.ADMIN.JOB_BY_ID.replace(":queue", queue).replace(
+        ":jobId",
+        encodeURIComponent(jobId),
+      ),
+    );
+  },
+
   // Get analytics
   getAnalytics: (params = {}) => {
     return apiClient.get(API_ENDPOINTS.ADMIN.ANALYTICS, { params });
@@ -1854,6 +2195,41 @@ export const adminAPI = {
     return apiClient.patch(API_ENDPOINTS.ADMIN.ZONE_STATUS.replace(":id", id));
   },
 
+  // Rider gig slot capacity planner
+  getZoneGigSlots: (zoneId, params = {}) => {
+    return apiClient.get(
+      API_ENDPOINTS.ADMIN.ZONE_GIG_SLOTS.replace(":id", zoneId),
+      { params },
+    );
+  },
+
+  createZoneGigSlot: (zoneId, data) => {
+    return apiClient.post(
+      API_ENDPOINTS.ADMIN.ZONE_GIG_SLOTS.replace(":id", zoneId),
+      data,
+    );
+  },
+
+  updateZoneGigSettings: (zoneId, data) => {
+    return apiClient.put(
+      API_ENDPOINTS.ADMIN.ZONE_GIG_SETTINGS.replace(":id", zoneId),
+      data,
+    );
+  },
+
+  updateGigSlot: (slotId, data) => {
+    return apiClient.patch(
+      API_ENDPOINTS.ADMIN.GIG_SLOT_BY_ID.replace(":slotId", slotId),
+      data,
+    );
+  },
+
+  deleteGigSlot: (slotId) => {
+    return apiClient.delete(
+      API_ENDPOINTS.ADMIN.GIG_SLOT_BY_ID.replace(":slotId", slotId),
+    );
+  },
+
   // Earning Addon Management
   createEarningAddon: (data) => {
     return apiClient.post(API_ENDPOINTS.ADMIN.EARNING_ADDON, data);
@@ -2163,6 +2539,13 @@ export const orderAPI = {
     return apiClient.post(API_ENDPOINTS.ORDER.CALCULATE, orderData);
   },
 
+  // Get delivery slots for scheduled orders
+  getScheduleSlots: (restaurantId, itemIds = []) => {
+    return apiClient.get(API_ENDPOINTS.ORDER.SCHEDULE_SLOTS, {
+      params: { restaurantId, itemIds: itemIds.join(",") || undefined },
+    });
+  },
+
   // Create order and get Razorpay order
   createOrder: (orderData) => {
     return apiClient.post(API_ENDPOINTS.ORDER.CREATE, orderData);
@@ -2194,6 +2577,20 @@ export const orderAPI = {
     return apiClient.get(API_ENDPOINTS.ORDER.DETAILS.replace(":id", orderId));
   },
 
+  // GST invoice and credit notes
+  getTaxDocuments: (orderId) => {
+    return apiClient.get(API_ENDPOINTS.ORDER.TAX_DOCUMENTS.replace(":id", orderId));
+  },
+  downloadTaxDocumentPdf: (orderId, documentId) => {
+    return apiClient.get(
+      API_ENDPOINTS.ORDER.TAX_DOCUMENT_PDF.replace(":id", orderId).replace(
+        ":documentId",
+        documentId,
+      ),
+      { responseType: "blob" },
+    );
+  },
+
   // Cancel order
   cancelOrder: (orderId, reason) => {
     return apiClient.patch(API_ENDPOINTS.ORDER.CANCEL.replace(":id", orderId), {
@@ -2210,6 +2607,22 @@ export const orderAPI = {
       },
     );
   },
+
+  // Tip the delivery partner after delivery (paymentMethod: "wallet" | "razorpay")
+  addDeliveryTip: (orderId, amount, paymentMethod) => {
+    return apiClient.post(API_ENDPOINTS.ORDER.TIP.replace(":id", orderId), {
+      amount,
+      paymentMethod,
+    });
+  },
+
+  // Verify the Razorpay payment for a post-delivery tip
+  verifyDeliveryTip: (orderId, paymentData) => {
+    return apiClient.post(
+      API_ENDPOINTS.ORDER.TIP_VERIFY.replace(":id", orderId),
+      paymentData,
+    );
+  },
 };
 
 // Export dining API helper functions
@@ -2255,6 +2668,13 @@ export const diningAPI = {
   getStories: () => {
     return apiClient.get(API_ENDPOINTS.DINING.STORIES);
   },
+  // Get open table slots for a date and party size (params: { date, guests })
+  getAvailability: (restaurantId, params = {}) => {
+    return apiClient.get(
+      API_ENDPOINTS.DINING.AVAILABILITY.replace(":restaurantId", restaurantId),
+      { params },
+    );
+  },
   // Create a new table booking
   createBooking: (bookingData) => {
     return apiClient.post(API_ENDPOINTS.DINING.BOOKING_CREATE, bookingData);
@@ -2263,13 +2683,14 @@ export const diningAPI = {
   getBookings: () => {
     return apiClient.get(API_ENDPOINTS.DINING.BOOKING_MY);
   },
-  // Get bookings for a specific restaurant (for owners)
-  getRestaurantBookings: (restaurantId) => {
+  // Get bookings for a specific restaurant (for owners; params: { date, status })
+  getRestaurantBookings: (restaurantId, params = {}) => {
     return apiClient.get(
       API_ENDPOINTS.DINING.BOOKING_RESTAURANT.replace(
         ":restaurantId",
         restaurantId,
       ),
+      { params },
     );
   },
   // Update booking status
@@ -2280,15 +2701,23 @@ export const diningAPI = {
     );
   },
   // Update booking status (for restaurant owners)
-  updateBookingStatusRestaurant: (bookingId, status) => {
+  updateBookingStatusRestaurant: (bookingId, status, reason) => {
     return apiClient.patch(
       API_ENDPOINTS.DINING.BOOKING_STATUS_RESTAURANT.replace(
         ":bookingId",
         bookingId,
       ),
-      { status },
+      { status, reason },
     );
   },
+  // Get table slots and capacity settings (for restaurant owners)
+  getDiningSettings: () => {
+    return apiClient.get(API_ENDPOINTS.DINING.RESTAURANT_SETTINGS);
+  },
+  // Update table slots and capacity settings (for restaurant owners)
+  updateDiningSettings: (settings) => {
+    return apiClient.put(API_ENDPOINTS.DINING.RESTAURANT_SETTINGS, settings);
+  },
   // Create review
   createReview: (reviewData) => {
     return apiClient.post(API_ENDPOINTS.DINING.REVIEW_CREATE, reviewData);
@@ -2325,3 +2754,114 @@ export const chatAPI = {
     return apiClient.put(`/chat/order/${orderId}/read`);
   },
 };
+
+// Export subscription API helper functions
+export const subscriptionAPI = {
+  // Admin - packages
+  getPackages: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SUBSCRIPTION.ADMIN_PACKAGES, { params });
+  },
+  createPackage: (data) => {
+    return apiClient.post(API_ENDPOINTS.SUBSCRIPTION.ADMIN_PACKAGES, data);
+  },
+  updatePackage: (id, data) => {
+    return apiClient.put(
+      API_ENDPOINTS.SUBSCRIPTION.ADMIN_PACKAGE_BY_ID.replace(":id", id),
+      data,
+    );
+  },
+  togglePackageStatus: (id, isActive) => {
+    return apiClient.patch(
+      API_ENDPOINTS.SUBSCRIPTION.ADMIN_PACKAGE_STATUS.replace(":id", id),
+      { isActive },
+    );
+  },
+
+  // Admin - subscribers (params: status, packageId, page, limit)
+  getSubscribers: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SUBSCRIPTION.ADMIN_SUBSCRIBERS, { params });
+  },
+
+  // Restaurant - plans, purchase and renewal
+  getAvailablePackages: () => {
+    return apiClient.get(API_ENDPOINTS.SUBSCRIPTION.PACKAGES);
+  },
+  getMySubscription: () => {
+    return apiClient.get(API_ENDPOINTS.SUBSCRIPTION.MY);
+  },
+  purchasePackage: (packageId) => {
+    return apiClient.post(API_ENDPOINTS.SUBSCRIPTION.PURCHASE, { packageId });
+  },
+  verifyPayment: (paymentData) => {
+    return apiClient.post(API_ENDPOINTS.SUBSCRIPTION.VERIFY_PAYMENT, paymentData);
+  },
+};
+
+// Export platform coupon API helper functions
+export const couponAPI = {
+  // Admin - params: search, status (active | inactive | expired), page, limit
+  getCoupons: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.COUPON.ADMIN_LIST, { params });
+  },
+  createCoupon: (data) => {
+    return apiClient.post(API_ENDPOINTS.COUPON.ADMIN_LIST, data);
+  },
+  updateCoupon: (id, data) => {
+    return apiClient.put(API_ENDPOINTS.COUPON.ADMIN_BY_ID.replace(":id", id), data);
+  },
+  toggleCouponStatus: (id, isActive) => {
+    return apiClient.patch(API_ENDPOINTS.COUPON.ADMIN_STATUS.replace(":id", id), { isActive });
+  },
+  deleteCoupon: (id) => {
+    return apiClient.delete(API_ENDPOINTS.COUPON.ADMIN_BY_ID.replace(":id", id));
+  },
+  getRedemptions: (id, params = {}) => {
+    return apiClient.get(API_ENDPOINTS.COUPON.ADMIN_REDEMPTIONS.replace(":id", id), { params });
+  },
+
+  // User - coupons the user can apply (params: restaurantId)
+  getAvailableCoupons: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.COUPON.AVAILABLE, { params });
+  },
+};
+
+// Export analytics API helper functions
+export const analyticsAPI = {
+  // Platform metrics (admin) - params: from, to, granularity, zoneId, restaurantId, hotelId, paymentMethod
+  getPlatformMetrics: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS.METRICS, { params });
+  },
+
+  // Metrics for the logged-in restaurant
+  getRestaurantMetrics: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS.RESTAURANT_METRICS, { params });
+  },
+
+  // Rebuild daily rollups for a date range (admin)
+  rebuildRollups: (from, to) => {
+    return apiClient.post(API_ENDPOINTS.ANALYTICS.REBUILD_ROLLUPS, { from, to });
+  },
+};
+
+// Export search helper functions
+export const searchAPI = {
+  // Ranked restaurants and dishes - params: q, type, veg, latitude, longitude, maxDistance, zoneId, limit
+  search: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SEARCH.QUERY, { params });
+  },
+
+  // Autocomplete while typing - params: q, veg, latitude, longitude, zoneId, limit
+  getSuggestions: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SEARCH.SUGGEST, { params });
+  },
+
+  // Most searched queries - params: zoneId, days, limit
+  getPopularSearches: (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SEARCH.POPULAR, { params });
+  },
+
+  // Reindex restaurants for search (admin) - full reindexes every restaurant
+  rebuildIndex: (full = false) => {
+    return apiClient.post(API_ENDPOINTS.SEARCH.REBUILD_INDEX, { full });
+  },
+};
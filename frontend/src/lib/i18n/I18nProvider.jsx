@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useMemo, useState } from "react"
+import { useLocation } from "react-router-dom"
+import { toast } from "sonner"
+import { userAPI, restaurantAPI, deliveryAPI } from "@/lib/api"
+import { isModuleAuthenticated } from "@/lib/utils/auth"
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  getAppFromPath,
+  getStoredLanguage,
+  normalizeLanguage,
+  setStoredLanguage,
+} from "./languages"
+import { I18nContext } from "./useTranslation"
+import en from "./locales/en"
+import hi from "./locales/hi"
+import ta from "./locales/ta"
+import te from "./locales/te"
+import kn from "./locales/kn"
+import ml from "./locales/ml"
+import bn from "./locales/bn"
+import gu from "./locales/gu"
+import mr from "./locales/mr"
+import pa from "./locales/pa"
+
+const CATALOGS = { en, hi, ta, te, kn, ml, bn, gu, mr, pa }
+
+// Saved language on the account, per app
+const PREFERENCE_API = {
+  user: {
+    load: async () => (await userAPI.getProfile())?.data?.data?.user?.preferences?.language,
+    save: (language) => userAPI.updatePreferences({ language }),
+  },
+  restaurant: {
+    load: async () =>
+      (await restaurantAPI.getCurrentRestaurant())?.data?.data?.restaurant?.preferences?.language,
+    save: (language) => restaurantAPI.updatePreferences({ language }),
+  },
+  delivery: {
+    load: async () => (await deliveryAPI.getProfile())?.data?.data?.profile?.preferences?.language,
+    save: (language) => deliveryAPI.updatePreferences({ language }),
+  },
+}
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog)
+
+/**
+ * Provider for the current app's language. The language is kept per app on the
+ * device and, once signed in, on the account so notifications, SMS and emails
+ * follow it. Admin and hotel pages always render in English.
+ */
+export function I18nProvider({ children }) {
+  const { pathname } = useLocation()
+  const app = getAppFromPath(pathname)
+  const [languages, setLanguages] = useState(() => ({
+    user: getStoredLanguage("user"),
+    restaurant: getStoredLanguage("restaurant"),
+    delivery: getStoredLanguage("delivery"),
+  }))
+  const language = (app && languages[app]) || DEFAULT_LANGUAGE
+
+  useEffect(() => {
+    document.documentElement.lang = language
+  }, [language])
+
+  // First visit on this device: adopt the language saved on the account
+  useEffect(() => {
+    if (!app || languages[app] || !isModuleAuthenticated(app)) return
+    let cancelled = false
+    PREFERENCE_API[app]
+      .load()
+      .then((saved) => {
+        const code = normalizeLanguage(saved)
+        if (cancelled || !code) return
+        setStoredLanguage(app, code)
+        setLanguages((current) => ({ ...current, [app]: code }))
+      })
+      .catch(() => {
+        // Not critical - the default language stays in use
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [app, languages])
+
+  const t = useCallback(
+    (key, params = {}) => {
+      const text = lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key
+      if (typeof text !== "string") return key
+      return text.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match,
+      )
+    },
+    [language],
+  )
+
+  const setLanguage = useCallback(
+    async (value) => {
+      const code = normalizeLanguage(value)
+      if (!app || !code) return
+      setStoredLanguage(app, code)
+      setLanguages((current) => ({ ...current, [app]: code }))
+
+      if (!isModuleAuthenticated(app)) return
+      try {
+        await PREFERENCE_API[app].save(code)
+        toast.success(lookup(CATALOGS[code], "common.language.updated"))
+      } catch (error) {
+        console.error("Error saving language preference:", error)
+        toast.error(lookup(CATALOGS[code], "common.language.saveFailed"))
+      }
+    },
+    [app],
+  )
+
+  const value = useMemo(
+    () => ({ t, language, setLanguage, languages: LANGUAGES }),
+    [t, language, setLanguage],
+  )
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
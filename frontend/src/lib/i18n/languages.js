@@ -0,0 +1,91 @@
+/**
+ * App languages and per-app language storage.
+ * Codes match the backend (shared/utils/i18n.js); the choice is stored per app
+ * (user, restaurant, delivery) so a device shared by roles keeps each one.
+ */
+
+export const DEFAULT_LANGUAGE = "en"
+
+export const LANGUAGES = [
+  { code: "en", name: "English", nativeName: "English" },
+  { code: "hi", name: "Hindi", nativeName: "हिंदी" },
+  { code: "ta", name: "Tamil", nativeName: "தமிழ்" },
+  { code: "te", name: "Telugu", nativeName: "తెలుగు" },
+  { code: "kn", name: "Kannada", nativeName: "ಕನ್ನಡ" },
+  { code: "ml", name: "Malayalam", nativeName: "മലയാളം" },
+  { code: "bn", name: "Bengali", nativeName: "বাংলা" },
+  { code: "gu", name: "Gujarati", nativeName: "ગુજરાતી" },
+  { code: "mr", name: "Marathi", nativeName: "मराठी" },
+  { code: "pa", name: "Punjabi", nativeName: "ਪੰਜਾਬੀ" },
+]
+
+const SUPPORTED_CODES = LANGUAGES.map((language) => language.code)
+
+/**
+ * Map a code, locale ("hi-IN") or language name ("hindi") to a supported code
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeLanguage(value) {
+  if (!value || typeof value !== "string") return null
+  const lower = value.trim().toLowerCase()
+  const byName = LANGUAGES.find((language) => language.name.toLowerCase() === lower)
+  const code = byName ? byName.code : lower.split(/[-_]/)[0]
+  return SUPPORTED_CODES.includes(code) ? code : null
+}
+
+/**
+ * Which app a path belongs to. Admin and hotel panels stay in English.
+ * @param {string} pathname
+ * @returns {"user"|"restaurant"|"delivery"|null}
+ */
+export function getAppFromPath(pathname = window.location.pathname) {
+  if (pathname.startsWith("/admin") || pathname.startsWith("/hotel")) {
+    return null
+  }
+  if (
+    pathname.startsWith("/restaurant") &&
+    !pathname.startsWith("/restaurants") &&
+    !pathname.startsWith("/restaurant/list") &&
+    !pathname.startsWith("/restaurant/under-250")
+  ) {
+    return "restaurant"
+  }
+  if (pathname.startsWith("/delivery")) {
+    return "delivery"
+  }
+  return "user"
+}
+
+const storageKey = (app) => `${app}_language`
+
+/**
+ * Language saved on this device for an app
+ * @param {string|null} app
+ * @returns {string|null} Code, or null when nothing was chosen yet
+ */
+export function getStoredLanguage(app) {
+  if (!app) return null
+  try {
+    return normalizeLanguage(localStorage.getItem(storageKey(app)))
+  } catch {
+    return null
+  }
+}
+
+export function setStoredLanguage(app, code) {
+  if (!app) return
+  try {
+    localStorage.setItem(storageKey(app), code)
+  } catch {
+    // Storage unavailable (private mode); the choice lasts for this session only
+  }
+}
+
+/**
+ * Language of the app the current page belongs to
+ * @returns {string}
+ */
+export function getCurrentLanguage() {
+  return getStoredLanguage(getAppFromPath()) || DEFAULT_LANGUAGE
+}
@@ -0,0 +1,312 @@
+// Bengali
+export default {
+  common: {
+    language: {
+      title: "ভাষা পরিবর্তন করুন",
+      label: "ভাষা",
+      subtitle: "অ্যাপের জন্য আপনার পছন্দের ভাষা বেছে নিন",
+      note: "বিজ্ঞপ্তি, SMS এবং ইমেলও এই ভাষায় পাঠানো হবে।",
+      updated: "ভাষা পরিবর্তন করা হয়েছে",
+      saveFailed: "আপনার ভাষা সংরক্ষণ করা যায়নি। এই ডিভাইসে এটিই ব্যবহার করা হবে।",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "ডেলিভারি",
+      under250: "₹250-এর নিচে",
+      dining: "ডাইনিং",
+      profile: "প্রোফাইল",
+    },
+    settings: {
+      title: "সেটিংস",
+      preferences: "বিজ্ঞপ্তি ও পছন্দ",
+      emailNotifications: "ইমেল বিজ্ঞপ্তি",
+      emailNotificationsHint: "আপনার অর্ডারের আপডেট ইমেলে পান",
+      pushNotifications: "পুশ বিজ্ঞপ্তি",
+      pushNotificationsHint: "আপনার ডিভাইসে পুশ বিজ্ঞপ্তি পান",
+    },
+    cart: {
+      title: "কার্ট",
+      empty: "আপনার কার্ট খালি",
+      emptyHint: "নতুন অর্ডার শুরু করতে কোনো রেস্তোরাঁ থেকে আইটেম যোগ করুন",
+      browseRestaurants: "রেস্তোরাঁ দেখুন",
+      savedOnOrder: "এই অর্ডারে আপনি ₹{amount} বাঁচিয়েছেন",
+      editItem: "আইটেম সম্পাদনা করুন",
+      addMoreItems: "আরও আইটেম যোগ করুন",
+      addNote: "রেস্তোরাঁর জন্য একটি নোট যোগ করুন",
+      dontSendCutlery: "কাটলারি পাঠাবেন না",
+      noCutlery: "কাটলারি ছাড়া",
+      notePlaceholder: "রান্নার নির্দেশনা, অ্যালার্জি ইত্যাদি যোগ করুন",
+      completeYourMeal: "আপনার খাবার সম্পূর্ণ করুন",
+      couponApplied: "'{code}' প্রয়োগ হয়েছে",
+      youSaved: "আপনি ₹{amount} বাঁচিয়েছেন",
+      removeCoupon: "সরান",
+      loadingCoupons: "কুপন লোড হচ্ছে...",
+      viewAllCoupons: "সব কুপন দেখুন",
+      minOrder: "ন্যূনতম ₹{amount}",
+      apply: "প্রয়োগ করুন",
+      noCoupons: "কোনো কুপন নেই",
+      deliveryIn: "ডেলিভারি",
+      deliveryAt: "ডেলিভারি ঠিকানা",
+      location: "অবস্থান",
+      addDeliveryAddress: "ডেলিভারি ঠিকানা যোগ করুন",
+      additionalAddress: "অতিরিক্ত ঠিকানা",
+      additionalAddressPlaceholder: "অতিরিক্ত ঠিকানার বিবরণ দিন (যেমন ফ্ল্যাট নং, তলা, ল্যান্ডমার্ক)",
+      totalBill: "মোট বিল",
+      inclTaxes: "কর ও চার্জ সহ",
+      itemTotal: "আইটেমের মোট",
+      deliveryFee: "ডেলিভারি ফি",
+      free: "ফ্রি",
+      platformFee: "প্ল্যাটফর্ম ফি",
+      gstAndCharges: "GST ও রেস্তোরাঁ চার্জ",
+      gst: "GST",
+      deliveryTip: "ডেলিভারি পার্টনার টিপ",
+      couponDiscount: "কুপন ছাড়",
+      toPay: "পরিশোধযোগ্য",
+      orderSummary: "অর্ডারের সারাংশ",
+      discount: "ছাড়",
+      total: "মোট",
+      payUsing: "যেভাবে পেমেন্ট",
+      wallet: "ওয়ালেট",
+      payAtHotel: "হোটেলে পেমেন্ট",
+      onlinePayment: "অনলাইন পেমেন্ট",
+      paymentMethod: "পেমেন্ট পদ্ধতি",
+      razorpayOnline: "Razorpay অনলাইন পেমেন্ট",
+      loading: "লোড হচ্ছে...",
+      roomNumber: "রুম নম্বর",
+      roomNumberPlaceholder: "আপনার রুম নম্বর লিখুন (যেমন 101)",
+      roomFromQr: "আপনার রুমের QR কোড থেকে রুম নম্বর নেওয়া হয়েছে",
+      orderingFrom: "এখান থেকে অর্ডার: {hotel}",
+      totalCaps: "মোট",
+      processing: "প্রক্রিয়া চলছে...",
+      selectPayment: "পেমেন্ট বেছে নিন",
+      placeOrder: "অর্ডার করুন",
+      insufficientBalance: "ব্যালেন্স যথেষ্ট নয়",
+      placeOrderPayAtHotel: "অর্ডার করুন (হোটেলে পেমেন্ট)",
+      placingOrder: "আপনার অর্ডার দেওয়া হচ্ছে",
+      payOnlineAmount: "₹{amount} অনলাইনে পরিশোধ করুন (Razorpay)",
+      payFromWallet: "ওয়ালেট থেকে ₹{amount} পরিশোধ করুন",
+      payAtHotelOnArrival: "পৌঁছে হোটেলে পরিশোধ করুন",
+      payOnline: "অনলাইনে পরিশোধ করুন",
+      deliveringTo: "এই ঠিকানায় ডেলিভারি",
+      cancel: "বাতিল করুন",
+      orderPlaced: "অর্ডার হয়ে গেছে!",
+      onItsWay: "আপনার সুস্বাদু খাবার আসছে",
+      trackOrder: "আপনার অর্ডার ট্র্যাক করুন",
+    },
+    orders: {
+      title: "আপনার অর্ডার",
+      empty: "আপনি এখনও কোনো অর্ডার দেননি",
+      startOrdering: "অর্ডার করা শুরু করুন",
+      searchPlaceholder: "রেস্তোরাঁ বা খাবার দিয়ে খুঁজুন",
+      noMatches: "আপনার খোঁজের সাথে মেলে এমন কোনো অর্ডার নেই",
+      deliveryPartner: "ডেলিভারি:",
+      shareRestaurant: "রেস্তোরাঁ শেয়ার করুন",
+      orderDetails: "অর্ডারের বিবরণ",
+      orderNumber: "অর্ডার #{id}",
+      itemCountOne: "{count}টি আইটেম",
+      itemCount: "{count}টি আইটেম",
+      subtotal: "উপমোট",
+      tax: "কর",
+      couponApplied: "কুপন প্রয়োগ হয়েছে",
+      placedOn: "{date} তারিখে অর্ডার দেওয়া হয়েছে",
+      deliveredOn: "{date} তারিখে ডেলিভারি হয়েছে",
+      payment: "পেমেন্ট:",
+      cashOnDelivery: "ক্যাশ অন ডেলিভারি",
+      online: "অনলাইন",
+      delivered: "ডেলিভারি হয়েছে",
+      restaurantCancelled: "রেস্তোরাঁ বাতিল করেছে",
+      cancelledByYou: "আপনি বাতিল করেছেন",
+      cancelled: "বাতিল",
+      viewDetails: "বিবরণ দেখুন",
+      refundInfo: "রিফান্ড ২৪-৪৮ ঘণ্টার মধ্যে প্রক্রিয়া করা হবে",
+      paymentFailed: "পেমেন্ট ব্যর্থ হয়েছে",
+      youRated: "আপনার রেটিং",
+      orderDelivered: "অর্ডার ডেলিভারি হয়েছে",
+      rateOrder: "অর্ডার রেট করুন",
+      preparing: "তৈরি হচ্ছে",
+      outForDelivery: "ডেলিভারির পথে",
+      confirmed: "অর্ডার নিশ্চিত হয়েছে",
+      minutesRemaining: "{count} মিনিট বাকি",
+      reorder: "আবার অর্ডার করুন",
+      rateTitle: "আপনার অর্ডার রেট করুন",
+      ratingQuestion: "আপনার সামগ্রিক অভিজ্ঞতা কেমন ছিল?",
+      feedbackLabel: "আপনার মতামত জানান",
+      optional: "ঐচ্ছিক",
+      feedbackPlaceholder: "এই অর্ডারে আপনার কী ভালো বা খারাপ লেগেছে? আপনার অভিজ্ঞতা জানান...",
+      submitting: "জমা দেওয়া হচ্ছে...",
+      submitRating: "রেটিং জমা দিন",
+      selectRating: "চালিয়ে যেতে একটি রেটিং বেছে নিন",
+    },
+    tracking: {
+      loading: "অর্ডারের বিবরণ লোড হচ্ছে...",
+      notFound: "অর্ডার পাওয়া যায়নি",
+      notFoundHint: "আপনি যে অর্ডারটি খুঁজছেন সেটি নেই।",
+      backToOrders: "অর্ডারে ফিরে যান",
+      placed: "অর্ডার দেওয়া হয়েছে",
+      preparationSoon: "খাবার তৈরি শীঘ্রই শুরু হবে",
+      preparing: "আপনার অর্ডার তৈরি হচ্ছে",
+      arrivingIn: "{minutes} মিনিটে পৌঁছাবে",
+      pickedUp: "অর্ডার তোলা হয়েছে",
+      onTheWay: "পথে আছে",
+      delivered: "অর্ডার ডেলিভারি হয়েছে",
+      enjoyMeal: "খাবার উপভোগ করুন!",
+      cancelled: "অর্ডার বাতিল হয়েছে",
+      cancelledHint: "এই অর্ডারটি বাতিল করা হয়েছে",
+      confirmed: "অর্ডার নিশ্চিত হয়েছে!",
+      placedSuccessfully: "আপনার অর্ডার সফলভাবে দেওয়া হয়েছে",
+      onTime: "সময়মতো",
+      foodCooking: "খাবার রান্না হচ্ছে",
+      partnerSafety: "ডেলিভারি পার্টনারের নিরাপত্তা সম্পর্কে জানুন",
+      detailsBanner: "আপনার ডেলিভারির সব তথ্য এক জায়গায়",
+      customer: "গ্রাহক",
+      noPhone: "ফোন নম্বর পাওয়া যায়নি",
+      deliveryAtLocation: "এই ঠিকানায় ডেলিভারি",
+      addInstructions: "ডেলিভারির নির্দেশনা যোগ করুন",
+      instructionsHint: "ডেলিভারি পার্টনারের জন্য একটি নোট রাখুন",
+      chatWithPartner: "ডেলিভারি পার্টনারের সাথে চ্যাট করুন",
+      chatHint: "আপনার ডেলিভারি পার্টনারকে বার্তা পাঠান",
+      callRestaurant: "রেস্তোরাঁয় কল করুন",
+      cancelOrder: "অর্ডার বাতিল করুন",
+      cancelReasonPlaceholder: "যেমন, মত বদলেছি, ভুল ঠিকানা ইত্যাদি।",
+      cancel: "বাতিল",
+      cancelling: "বাতিল হচ্ছে...",
+      confirmCancellation: "বাতিল নিশ্চিত করুন",
+      instructionsTitle: "ডেলিভারির নির্দেশনা",
+      instructionsDescription: "ডেলিভারি পার্টনারের জন্য নির্দেশনা যোগ করুন (যেমন \"বেল বাজান\", \"দরজায় রেখে দিন\", \"পৌঁছে কল করুন\")।",
+      instructionsPlaceholder: "যেমন, দুবার বেল বাজান, দরজায় রেখে দিন, পৌঁছে কল করুন",
+      instructionsUpdated: "ডেলিভারির নির্দেশনা আপডেট হয়েছে",
+      saving: "সেভ হচ্ছে...",
+      save: "সেভ করুন",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "সেটিংস",
+      account: "অ্যাকাউন্ট",
+      notifications: "বিজ্ঞপ্তি",
+      privacySecurity: "গোপনীয়তা ও নিরাপত্তা",
+      preferences: "পছন্দ",
+      theme: "থিম",
+      support: "সহায়তা ও তথ্য",
+      conversation: "কথোপকথন",
+      terms: "শর্তাবলী",
+      privacyPolicy: "গোপনীয়তা নীতি",
+      about: "আমাদের সম্পর্কে",
+      actions: "পদক্ষেপ",
+      logout: "লগ আউট",
+      logoutConfirm: "আপনি কি নিশ্চিতভাবে লগ আউট করতে চান?",
+    },
+    item: {
+      nameTranslations: "অন্যান্য ভাষায় নাম",
+      nameTranslationsHint: "এই ভাষাগুলিতে অ্যাপ ব্যবহারকারী গ্রাহকরা এই নামটি দেখবেন",
+    },
+    orders: {
+      tabs: {
+        preparing: "তৈরি হচ্ছে",
+        ready: "প্রস্তুত",
+        outForDelivery: "ডেলিভারির পথে",
+        scheduled: "নির্ধারিত",
+        tableBooking: "টেবিল বুকিং",
+        completed: "সম্পন্ন",
+        cancelled: "বাতিল",
+      },
+      completedTitle: "সম্পন্ন অর্ডার",
+      noCompleted: "এখনও কোনো সম্পন্ন অর্ডার নেই",
+      delivered: "ডেলিভারি হয়েছে",
+      cancelledTitle: "বাতিল অর্ডার",
+      noCancelled: "এখনও কোনো বাতিল অর্ডার নেই",
+      preparingTitle: "তৈরি হওয়া অর্ডার",
+      noPreparing: "কোনো অর্ডার তৈরি হচ্ছে না",
+      readyTitle: "পিকআপের জন্য প্রস্তুত",
+      noReady: "পিকআপের জন্য কোনো অর্ডার প্রস্তুত নেই",
+      outForDeliveryTitle: "ডেলিভারির পথে",
+      noOutForDelivery: "ডেলিভারির পথে কোনো অর্ডার নেই",
+      scheduledEmpty: "নির্ধারিত অর্ডার এখানে দেখা যাবে",
+      temporarilyClosed: "সাময়িকভাবে বন্ধ",
+      viewStatus: "স্ট্যাটাস দেখুন",
+      cancelOrder: "অর্ডার বাতিল করুন",
+      assigned: "নিযুক্ত",
+      notAssigned: "নিযুক্ত নয়",
+      markReady: "প্রস্তুত হিসেবে চিহ্নিত করুন",
+      itemCountOne: "{count}টি আইটেম",
+      itemCount: "{count}টি আইটেম",
+      deliveryAddress: "ডেলিভারি ঠিকানা",
+      sendCutlery: "কাটলারি পাঠান",
+      dontSendCutlery: "কাটলারি পাঠাবেন না",
+      cashOnDelivery: "ক্যাশ অন ডেলিভারি",
+      online: "অনলাইন",
+      prepTime: "প্রস্তুতির সময়",
+      minutes: "{count} মিনিট",
+      accept: "গ্রহণ করুন ({time})",
+      rejectOrder: "অর্ডার প্রত্যাখ্যান করুন",
+      needHelp: "এই অর্ডারে সাহায্য লাগবে?",
+      rejectTitle: "অর্ডার {id} প্রত্যাখ্যান করুন",
+      rejectHint: "এই অর্ডার প্রত্যাখ্যানের কারণ বেছে নিন",
+      cancel: "বাতিল",
+      confirmRejection: "প্রত্যাখ্যান নিশ্চিত করুন",
+      cancelTitle: "অর্ডার {id} বাতিল করুন",
+      cancelHint: "এই অর্ডার বাতিলের কারণ জানান",
+      confirmCancellation: "বাতিল নিশ্চিত করুন",
+      items: "আইটেম",
+      close: "বন্ধ করুন",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ফিড",
+      pocket: "পকেট",
+      tripHistory: "ট্রিপের ইতিহাস",
+      profile: "প্রোফাইল",
+    },
+    home: {
+      online: "অনলাইন",
+      offline: "অফলাইন",
+      earnings: "আয়",
+      trips: "ট্রিপ",
+      timeOnOrders: "অর্ডারে সময়",
+      history: "ইতিহাস",
+      helpTitle: "আমরা কীভাবে সাহায্য করতে পারি?",
+      emergencyHelp: "জরুরি সাহায্য",
+      bookGigsTitle: "অনলাইনে যেতে গিগ বুক করুন",
+      gigDetails: "গিগের বিবরণ",
+      gigBookingOpen: "আপনার জোনে গিগ বুকিং খোলা আছে",
+      bookGigsHint: "অনলাইনে গিয়ে অর্ডার ডেলিভারি শুরু করতে এখনই আপনার গিগ বুক করুন",
+      bookGigs: "গিগ বুক করুন",
+      newOrder: "নতুন অর্ডার",
+      pickUp: "পিকআপ",
+      releaseToAccept: "গ্রহণ করতে ছেড়ে দিন",
+      acceptOrder: "অর্ডার গ্রহণ করুন",
+      deny: "প্রত্যাখ্যান",
+      cantAccept: "অর্ডার গ্রহণ করা যাচ্ছে না",
+      cantAcceptHint: "এই অর্ডার গ্রহণ না করার কারণ বেছে নিন",
+      cancel: "বাতিল",
+      confirm: "নিশ্চিত করুন",
+      releaseToConfirm: "নিশ্চিত করতে ছেড়ে দিন",
+      reachedPickup: "পিকআপে পৌঁছেছি",
+      confirmOrderId: "অর্ডার ID নিশ্চিত করুন",
+      confirmOrderIdHint: "পিকআপের আগে রেস্তোরাঁর সাথে অর্ডার ID মিলিয়ে নিন",
+      orderId: "অর্ডার ID",
+      billUploadedHint: "বিলের ছবি আপলোড হয়েছে",
+      captureBillHint: "অনুগ্রহ করে বিলের ছবি তুলুন",
+      uploading: "আপলোড হচ্ছে...",
+      billUploaded: "বিল আপলোড হয়েছে",
+      captureBill: "বিলের ছবি তুলুন",
+      uploadBillFirst: "আগে বিল আপলোড করুন",
+      orderPickedUp: "অর্ডার তোলা হয়েছে",
+      drop: "ড্রপ",
+      reachedDrop: "ড্রপে পৌঁছেছি",
+      collectCod: "গ্রাহকের কাছ থেকে নিন (COD)",
+      payAtHotel: "হোটেলে পেমেন্ট",
+      paidOnline: "টাকা পরিশোধিত (অনলাইন)",
+      cashCollectedVerified: "নগদ নেওয়া হয়েছে (যাচাইকৃত)",
+      cashCollectedAtHotel: "হোটেলে নগদ নেওয়া হয়েছে",
+      orderDelivered: "অর্ডার ডেলিভারি হয়েছে",
+      rateExperience: "আপনার অভিজ্ঞতা রেট করুন",
+      rateExperienceHint: "আপনার ডেলিভারির অভিজ্ঞতা কেমন ছিল?",
+      shareExperience: "আপনার অভিজ্ঞতা জানান...",
+      submitReview: "রিভিউ জমা দিন",
+      complete: "সম্পন্ন করুন",
+    },
+  },
+}
@@ -0,0 +1,315 @@
+// English - the fallback for every other language
+// Covers navigation, settings, cart/checkout, orders, order tracking, the
+// restaurant order board and the rider home; other screens still render their
+// English strings inline until they move into the catalogue.
+export default {
+  common: {
+    language: {
+      title: "Change language",
+      label: "Language",
+      subtitle: "Select your preferred language for the app",
+      note: "Notifications, SMS and emails will also be sent in this language.",
+      updated: "Language updated",
+      saveFailed: "Could not save your language. It is still used on this device.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "Delivery",
+      under250: "Under 250",
+      dining: "Dining",
+      profile: "Profile",
+    },
+    settings: {
+      title: "Settings",
+      preferences: "Notifications & Preferences",
+      emailNotifications: "Email Notifications",
+      emailNotificationsHint: "Receive updates about your orders via email",
+      pushNotifications: "Push Notifications",
+      pushNotificationsHint: "Receive push notifications on your device",
+    },
+    cart: {
+      title: "Cart",
+      empty: "Your cart is empty",
+      emptyHint: "Add items from a restaurant to start a new order",
+      browseRestaurants: "Browse Restaurants",
+      savedOnOrder: "You saved ₹{amount} on this order",
+      editItem: "Edit item",
+      addMoreItems: "Add more items",
+      addNote: "Add a note for the restaurant",
+      dontSendCutlery: "Don't send cutlery",
+      noCutlery: "No cutlery",
+      notePlaceholder: "Add cooking instructions, allergies, etc.",
+      completeYourMeal: "Complete your meal with",
+      couponApplied: "'{code}' applied",
+      youSaved: "You saved ₹{amount}",
+      removeCoupon: "Remove",
+      loadingCoupons: "Loading coupons...",
+      viewAllCoupons: "View all coupons",
+      minOrder: "Min ₹{amount}",
+      apply: "APPLY",
+      noCoupons: "No coupons available",
+      deliveryIn: "Delivery in",
+      deliveryAt: "Delivery at",
+      location: "Location",
+      addDeliveryAddress: "Add delivery address",
+      additionalAddress: "Additional Address",
+      additionalAddressPlaceholder: "Enter additional address details (e.g., Flat no., Floor, Landmark)",
+      totalBill: "Total Bill",
+      inclTaxes: "Incl. taxes and charges",
+      itemTotal: "Item Total",
+      deliveryFee: "Delivery Fee",
+      free: "FREE",
+      platformFee: "Platform Fee",
+      gstAndCharges: "GST and Restaurant Charges",
+      gst: "GST",
+      deliveryTip: "Delivery Partner Tip",
+      couponDiscount: "Coupon Discount",
+      toPay: "To Pay",
+      orderSummary: "Order Summary",
+      discount: "Discount",
+      total: "Total",
+      payUsing: "PAY USING",
+      wallet: "Wallet",
+      payAtHotel: "Pay at Hotel",
+      onlinePayment: "Online Payment",
+      paymentMethod: "Payment Method",
+      razorpayOnline: "Razorpay Online Payment",
+      loading: "Loading...",
+      roomNumber: "Room Number",
+      roomNumberPlaceholder: "Enter your room number (e.g., 101)",
+      roomFromQr: "Room set from the QR code in your room",
+      orderingFrom: "Ordering from: {hotel}",
+      totalCaps: "TOTAL",
+      processing: "Processing...",
+      selectPayment: "Select Payment",
+      placeOrder: "Place Order",
+      insufficientBalance: "Insufficient Balance",
+      placeOrderPayAtHotel: "Place Order (Pay at Hotel)",
+      placingOrder: "Placing your order",
+      payOnlineAmount: "Pay ₹{amount} online (Razorpay)",
+      payFromWallet: "Pay ₹{amount} from Wallet",
+      payAtHotelOnArrival: "Pay at hotel on arrival",
+      payOnline: "Pay online",
+      deliveringTo: "Delivering to Location",
+      cancel: "CANCEL",
+      orderPlaced: "Order Placed!",
+      onItsWay: "Your delicious food is on its way",
+      trackOrder: "Track Your Order",
+    },
+    orders: {
+      title: "Your Orders",
+      empty: "You haven't placed any orders yet",
+      startOrdering: "Start Ordering",
+      searchPlaceholder: "Search by restaurant or dish",
+      noMatches: "No orders found matching your search",
+      deliveryPartner: "Delivery:",
+      shareRestaurant: "Share restaurant",
+      orderDetails: "Order details",
+      orderNumber: "Order #{id}",
+      itemCountOne: "{count} item",
+      itemCount: "{count} items",
+      subtotal: "Subtotal",
+      tax: "Tax",
+      couponApplied: "Coupon Applied",
+      placedOn: "Order placed on {date}",
+      deliveredOn: "Delivered on {date}",
+      payment: "Payment:",
+      cashOnDelivery: "Cash on Delivery",
+      online: "Online",
+      delivered: "Delivered",
+      restaurantCancelled: "Restaurant Cancelled",
+      cancelledByYou: "Cancelled by you",
+      cancelled: "Cancelled",
+      viewDetails: "View Details",
+      refundInfo: "Refund will be processed in 24-48 hours",
+      paymentFailed: "Payment failed",
+      youRated: "You rated",
+      orderDelivered: "Order delivered",
+      rateOrder: "Rate order",
+      preparing: "Preparing",
+      outForDelivery: "Out for delivery",
+      confirmed: "Order confirmed",
+      minutesRemaining: "{count} mins remaining",
+      reorder: "Reorder",
+      rateTitle: "Rate Your Order",
+      ratingQuestion: "How was your overall experience?",
+      feedbackLabel: "Share your feedback",
+      optional: "Optional",
+      feedbackPlaceholder: "What did you like or dislike about this order? Share your experience...",
+      submitting: "Submitting...",
+      submitRating: "Submit Rating",
+      selectRating: "Please select a rating to continue",
+    },
+    tracking: {
+      loading: "Loading order details...",
+      notFound: "Order Not Found",
+      notFoundHint: "The order you're looking for doesn't exist.",
+      backToOrders: "Back to Orders",
+      placed: "Order placed",
+      preparationSoon: "Food preparation will begin shortly",
+      preparing: "Preparing your order",
+      arrivingIn: "Arriving in {minutes} mins",
+      pickedUp: "Order picked up",
+      onTheWay: "On the way",
+      delivered: "Order delivered",
+      enjoyMeal: "Enjoy your meal!",
+      cancelled: "Order cancelled",
+      cancelledHint: "This order has been cancelled",
+      confirmed: "Order Confirmed!",
+      placedSuccessfully: "Your order has been placed successfully",
+      onTime: "On time",
+      foodCooking: "Food is Cooking",
+      partnerSafety: "Learn about delivery partner safety",
+      detailsBanner: "All your delivery details in one place",
+      customer: "Customer",
+      noPhone: "Phone number not available",
+      deliveryAtLocation: "Delivery at Location",
+      addInstructions: "Add delivery instructions",
+      instructionsHint: "Leave a note for the delivery partner",
+      chatWithPartner: "Chat with Delivery Partner",
+      chatHint: "Send a message to your delivery partner",
+      callRestaurant: "Call restaurant",
+      cancelOrder: "Cancel Order",
+      cancelReasonPlaceholder: "e.g., Changed my mind, Wrong address, etc.",
+      cancel: "Cancel",
+      cancelling: "Cancelling...",
+      confirmCancellation: "Confirm Cancellation",
+      instructionsTitle: "Delivery Instructions",
+      instructionsDescription: "Add instructions for the delivery partner (e.g. \"Ring the bell\", \"Leave at door\", \"Call on arrival\").",
+      instructionsPlaceholder: "e.g., Ring the bell twice, Leave at door, Call on arrival",
+      instructionsUpdated: "Delivery instructions updated",
+      saving: "Saving...",
+      save: "Save",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "Settings",
+      account: "Account",
+      notifications: "Notifications",
+      privacySecurity: "Privacy & Security",
+      preferences: "Preferences",
+      theme: "Theme",
+      support: "Support & Information",
+      conversation: "Conversation",
+      terms: "Terms & Conditions",
+      privacyPolicy: "Privacy Policy",
+      about: "About",
+      actions: "Actions",
+      logout: "Logout",
+      logoutConfirm: "Are you sure you want to logout?",
+    },
+    item: {
+      nameTranslations: "Name in other languages",
+      nameTranslationsHint: "Customers using the app in these languages see this name",
+    },
+    orders: {
+      tabs: {
+        preparing: "Preparing",
+        ready: "Ready",
+        outForDelivery: "Out for delivery",
+        scheduled: "Scheduled",
+        tableBooking: "Table Booking",
+        completed: "Completed",
+        cancelled: "Cancelled",
+      },
+      completedTitle: "Completed orders",
+      noCompleted: "No completed orders yet",
+      delivered: "Delivered",
+      cancelledTitle: "Cancelled orders",
+      noCancelled: "No cancelled orders yet",
+      preparingTitle: "Preparing orders",
+      noPreparing: "No orders in preparation",
+      readyTitle: "Ready for pickup",
+      noReady: "No orders ready for pickup",
+      outForDeliveryTitle: "Out for delivery",
+      noOutForDelivery: "No orders out for delivery",
+      scheduledEmpty: "Scheduled orders will appear here",
+      temporarilyClosed: "Temporarily closed",
+      viewStatus: "View status",
+      cancelOrder: "Cancel Order",
+      assigned: "Assigned",
+      notAssigned: "Not Assigned",
+      markReady: "Mark as Ready",
+      itemCountOne: "{count} item",
+      itemCount: "{count} items",
+      deliveryAddress: "Delivery address",
+      sendCutlery: "Send cutlery",
+      dontSendCutlery: "Don't send cutlery",
+      cashOnDelivery: "Cash on Delivery",
+      online: "Online",
+      prepTime: "Preparation time",
+      minutes: "{count} mins",
+      accept: "Accept ({time})",
+      rejectOrder: "Reject Order",
+      needHelp: "Need help with this order?",
+      rejectTitle: "Reject Order {id}",
+      rejectHint: "Please select a reason for rejecting this order",
+      cancel: "Cancel",
+      confirmRejection: "Confirm Rejection",
+      cancelTitle: "Cancel Order {id}",
+      cancelHint: "Please provide a reason for cancelling this order",
+      confirmCancellation: "Confirm Cancellation",
+      items: "Items",
+      close: "Close",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "Feed",
+      pocket: "Pocket",
+      tripHistory: "Trip History",
+      profile: "Profile",
+    },
+    home: {
+      online: "Online",
+      offline: "Offline",
+      earnings: "Earnings",
+      trips: "Trips",
+      timeOnOrders: "Time on orders",
+      history: "History",
+      helpTitle: "How can we help?",
+      emergencyHelp: "Emergency help",
+      bookGigsTitle: "Book gigs to go online",
+      gigDetails: "Gig details",
+      gigBookingOpen: "Gig booking open in your zone",
+      bookGigsHint: "Book your Gigs now to go online and start delivering orders",
+      bookGigs: "Book gigs",
+      newOrder: "New order",
+      pickUp: "Pick up",
+      releaseToAccept: "Release to Accept",
+      acceptOrder: "Accept order",
+      deny: "Deny",
+      cantAccept: "Can't Accept Order",
+      cantAcceptHint: "Please select a reason for not accepting this order",
+      cancel: "Cancel",
+      confirm: "Confirm",
+      releaseToConfirm: "Release to Confirm",
+      reachedPickup: "Reached Pickup",
+      confirmOrderId: "Confirm Order ID",
+      confirmOrderIdHint: "Please verify the order ID with the restaurant before pickup",
+      orderId: "Order ID",
+      billUploadedHint: "Bill image uploaded",
+      captureBillHint: "Please capture bill image",
+      uploading: "Uploading...",
+      billUploaded: "Bill Uploaded",
+      captureBill: "Capture Bill",
+      uploadBillFirst: "Upload Bill First",
+      orderPickedUp: "Order Picked Up",
+      drop: "Drop",
+      reachedDrop: "Reached Drop",
+      collectCod: "Collect from customer (COD)",
+      payAtHotel: "Pay at Hotel",
+      paidOnline: "Amount paid (Online)",
+      cashCollectedVerified: "Cash Collected (Verified)",
+      cashCollectedAtHotel: "Cash Collected at Hotel",
+      orderDelivered: "Order Delivered",
+      rateExperience: "Rate Your Experience",
+      rateExperienceHint: "How was your delivery experience?",
+      shareExperience: "Share your experience...",
+      submitReview: "Submit Review",
+      complete: "Complete",
+    },
+  },
+}
@@ -0,0 +1,312 @@
+// Gujarati
+export default {
+  common: {
+    language: {
+      title: "ભાષા બદલો",
+      label: "ભાષા",
+      subtitle: "એપ માટે તમારી પસંદગીની ભાષા પસંદ કરો",
+      note: "સૂચનાઓ, SMS અને ઇમેઇલ પણ આ જ ભાષામાં મોકલવામાં આવશે.",
+      updated: "ભાષા બદલાઈ ગઈ",
+      saveFailed: "તમારી ભાષા સાચવી શકાઈ નથી. આ ઉપકરણ પર તે હજુ પણ વપરાશે.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "ડિલિવરી",
+      under250: "₹250થી ઓછું",
+      dining: "ડાઇનિંગ",
+      profile: "પ્રોફાઇલ",
+    },
+    settings: {
+      title: "સેટિંગ્સ",
+      preferences: "સૂચનાઓ અને પસંદગીઓ",
+      emailNotifications: "ઇમેઇલ સૂચનાઓ",
+      emailNotificationsHint: "તમારા ઓર્ડરની અપડેટ ઇમેઇલ દ્વારા મેળવો",
+      pushNotifications: "પુશ સૂચનાઓ",
+      pushNotificationsHint: "તમારા ઉપકરણ પર પુશ સૂચનાઓ મેળવો",
+    },
+    cart: {
+      title: "કાર્ટ",
+      empty: "તમારું કાર્ટ ખાલી છે",
+      emptyHint: "નવો ઓર્ડર શરૂ કરવા કોઈ રેસ્ટોરન્ટમાંથી આઇટમ ઉમેરો",
+      browseRestaurants: "રેસ્ટોરન્ટ જુઓ",
+      savedOnOrder: "આ ઓર્ડર પર તમે ₹{amount} બચાવ્યા",
+      editItem: "આઇટમ બદલો",
+      addMoreItems: "વધુ આઇટમ ઉમેરો",
+      addNote: "રેસ્ટોરન્ટ માટે નોંધ ઉમેરો",
+      dontSendCutlery: "કટલરી ન મોકલો",
+      noCutlery: "કટલરી વગર",
+      notePlaceholder: "રસોઈની સૂચનાઓ, એલર્જી વગેરે ઉમેરો",
+      completeYourMeal: "તમારું ભોજન પૂરું કરો",
+      couponApplied: "'{code}' લાગુ થયો",
+      youSaved: "તમે ₹{amount} બચાવ્યા",
+      removeCoupon: "દૂર કરો",
+      loadingCoupons: "કૂપન લોડ થઈ રહ્યા છે...",
+      viewAllCoupons: "બધા કૂપન જુઓ",
+      minOrder: "ન્યૂનતમ ₹{amount}",
+      apply: "લાગુ કરો",
+      noCoupons: "કોઈ કૂપન ઉપલબ્ધ નથી",
+      deliveryIn: "ડિલિવરી",
+      deliveryAt: "ડિલિવરી સ્થળ",
+      location: "સ્થાન",
+      addDeliveryAddress: "ડિલિવરી સરનામું ઉમેરો",
+      additionalAddress: "વધારાનું સરનામું",
+      additionalAddressPlaceholder: "વધારાની સરનામાની વિગતો લખો (જેમ કે ફ્લેટ નં., માળ, લેન્ડમાર્ક)",
+      totalBill: "કુલ બિલ",
+      inclTaxes: "ટેક્સ અને ચાર્જ સહિત",
+      itemTotal: "આઇટમનો કુલ",
+      deliveryFee: "ડિલિવરી ફી",
+      free: "મફત",
+      platformFee: "પ્લેટફોર્મ ફી",
+      gstAndCharges: "GST અને રેસ્ટોરન્ટ ચાર્જ",
+      gst: "GST",
+      deliveryTip: "ડિલિવરી પાર્ટનર ટિપ",
+      couponDiscount: "કૂપન ડિસ્કાઉન્ટ",
+      toPay: "ચૂકવવાના",
+      orderSummary: "ઓર્ડર સારાંશ",
+      discount: "ડિસ્કાઉન્ટ",
+      total: "કુલ",
+      payUsing: "આનાથી ચૂકવો",
+      wallet: "વૉલેટ",
+      payAtHotel: "હોટેલ પર ચૂકવો",
+      onlinePayment: "ઓનલાઇન ચુકવણી",
+      paymentMethod: "ચુકવણી પદ્ધતિ",
+      razorpayOnline: "Razorpay ઓનલાઇન ચુકવણી",
+      loading: "લોડ થઈ રહ્યું છે...",
+      roomNumber: "રૂમ નંબર",
+      roomNumberPlaceholder: "તમારો રૂમ નંબર લખો (જેમ કે 101)",
+      roomFromQr: "તમારા રૂમના QR કોડમાંથી રૂમ નંબર લેવાયો છે",
+      orderingFrom: "અહીંથી ઓર્ડર: {hotel}",
+      totalCaps: "કુલ",
+      processing: "પ્રક્રિયા ચાલુ છે...",
+      selectPayment: "ચુકવણી પસંદ કરો",
+      placeOrder: "ઓર્ડર કરો",
+      insufficientBalance: "બેલેન્સ અપૂરતું છે",
+      placeOrderPayAtHotel: "ઓર્ડર કરો (હોટેલ પર ચુકવણી)",
+      placingOrder: "તમારો ઓર્ડર થઈ રહ્યો છે",
+      payOnlineAmount: "₹{amount} ઓનલાઇન ચૂકવો (Razorpay)",
+      payFromWallet: "વૉલેટમાંથી ₹{amount} ચૂકવો",
+      payAtHotelOnArrival: "પહોંચીને હોટેલ પર ચૂકવો",
+      payOnline: "ઓનલાઇન ચૂકવો",
+      deliveringTo: "આ સ્થળે ડિલિવરી",
+      cancel: "રદ કરો",
+      orderPlaced: "ઓર્ડર થઈ ગયો!",
+      onItsWay: "તમારું સ્વાદિષ્ટ ભોજન રસ્તામાં છે",
+      trackOrder: "તમારો ઓર્ડર ટ્રેક કરો",
+    },
+    orders: {
+      title: "તમારા ઓર્ડર",
+      empty: "તમે હજી કોઈ ઓર્ડર કર્યો નથી",
+      startOrdering: "ઓર્ડર કરવાનું શરૂ કરો",
+      searchPlaceholder: "રેસ્ટોરન્ટ અથવા વાનગીથી શોધો",
+      noMatches: "તમારી શોધ સાથે મેળ ખાતો કોઈ ઓર્ડર મળ્યો નથી",
+      deliveryPartner: "ડિલિવરી:",
+      shareRestaurant: "રેસ્ટોરન્ટ શેર કરો",
+      orderDetails: "ઓર્ડરની વિગતો",
+      orderNumber: "ઓર્ડર #{id}",
+      itemCountOne: "{count} આઇટમ",
+      itemCount: "{count} આઇટમ",
+      subtotal: "પેટા સરવાળો",
+      tax: "ટેક્સ",
+      couponApplied: "કૂપન લાગુ",
+      placedOn: "{date}ના રોજ ઓર્ડર કર્યો",
+      deliveredOn: "{date}ના રોજ ડિલિવર થયો",
+      payment: "ચુકવણી:",
+      cashOnDelivery: "કેશ ઓન ડિલિવરી",
+      online: "ઓનલાઇન",
+      delivered: "ડિલિવર થયો",
+      restaurantCancelled: "રેસ્ટોરન્ટે રદ કર્યો",
+      cancelledByYou: "તમે રદ કર્યો",
+      cancelled: "રદ થયો",
+      viewDetails: "વિગતો જુઓ",
+      refundInfo: "રિફંડ 24-48 કલાકમાં પ્રક્રિયા થશે",
+      paymentFailed: "ચુકવણી નિષ્ફળ ગઈ",
+      youRated: "તમારું રેટિંગ",
+      orderDelivered: "ઓર્ડર ડિલિવર થયો",
+      rateOrder: "ઓર્ડરને રેટ કરો",
+      preparing: "તૈયાર થઈ રહ્યો છે",
+      outForDelivery: "ડિલિવરી માટે નીકળ્યો",
+      confirmed: "ઓર્ડર કન્ફર્મ થયો",
+      minutesRemaining: "{count} મિનિટ બાકી",
+      reorder: "ફરી ઓર્ડર કરો",
+      rateTitle: "તમારા ઓર્ડરને રેટ કરો",
+      ratingQuestion: "તમારો એકંદર અનુભવ કેવો રહ્યો?",
+      feedbackLabel: "તમારો પ્રતિસાદ આપો",
+      optional: "વૈકલ્પિક",
+      feedbackPlaceholder: "આ ઓર્ડરમાં તમને શું ગમ્યું કે ન ગમ્યું? તમારો અનુભવ જણાવો...",
+      submitting: "સબમિટ થઈ રહ્યું છે...",
+      submitRating: "રેટિંગ સબમિટ કરો",
+      selectRating: "આગળ વધવા કૃપા કરી રેટિંગ પસંદ કરો",
+    },
+    tracking: {
+      loading: "ઓર્ડરની વિગતો લોડ થઈ રહી છે...",
+      notFound: "ઓર્ડર મળ્યો નથી",
+      notFoundHint: "તમે શોધી રહ્યા છો તે ઓર્ડર અસ્તિત્વમાં નથી.",
+      backToOrders: "ઓર્ડર પર પાછા જાઓ",
+      placed: "ઓર્ડર થઈ ગયો",
+      preparationSoon: "ભોજન ટૂંક સમયમાં બનવાનું શરૂ થશે",
+      preparing: "તમારો ઓર્ડર તૈયાર થઈ રહ્યો છે",
+      arrivingIn: "{minutes} મિનિટમાં પહોંચશે",
+      pickedUp: "ઓર્ડર ઉપાડી લેવાયો",
+      onTheWay: "રસ્તામાં છે",
+      delivered: "ઓર્ડર ડિલિવર થયો",
+      enjoyMeal: "ભોજનનો આનંદ માણો!",
+      cancelled: "ઓર્ડર રદ થયો",
+      cancelledHint: "આ ઓર્ડર રદ કરવામાં આવ્યો છે",
+      confirmed: "ઓર્ડર કન્ફર્મ થયો!",
+      placedSuccessfully: "તમારો ઓર્ડર સફળતાપૂર્વક થઈ ગયો છે",
+      onTime: "સમયસર",
+      foodCooking: "ભોજન બની રહ્યું છે",
+      partnerSafety: "ડિલિવરી પાર્ટનરની સલામતી વિશે જાણો",
+      detailsBanner: "તમારી ડિલિવરીની બધી વિગતો એક જગ્યાએ",
+      customer: "ગ્રાહક",
+      noPhone: "ફોન નંબર ઉપલબ્ધ નથી",
+      deliveryAtLocation: "આ સ્થળે ડિલિવરી",
+      addInstructions: "ડિલિવરી સૂચનાઓ ઉમેરો",
+      instructionsHint: "ડિલિવરી પાર્ટનર માટે નોંધ મૂકો",
+      chatWithPartner: "ડિલિવરી પાર્ટનર સાથે ચેટ કરો",
+      chatHint: "તમારા ડિલિવરી પાર્ટનરને સંદેશ મોકલો",
+      callRestaurant: "રેસ્ટોરન્ટને કૉલ કરો",
+      cancelOrder: "ઓર્ડર રદ કરો",
+      cancelReasonPlaceholder: "જેમ કે, વિચાર બદલાયો, ખોટું સરનામું વગેરે.",
+      cancel: "રદ કરો",
+      cancelling: "રદ થઈ રહ્યું છે...",
+      confirmCancellation: "રદ કરવાનું કન્ફર્મ કરો",
+      instructionsTitle: "ડિલિવરી સૂચનાઓ",
+      instructionsDescription: "ડિલિવરી પાર્ટનર માટે સૂચનાઓ ઉમેરો (જેમ કે \"બેલ વગાડો\", \"દરવાજે મૂકી દો\", \"પહોંચીને કૉલ કરો\").",
+      instructionsPlaceholder: "જેમ કે, બે વાર બેલ વગાડો, દરવાજે મૂકી દો, પહોંચીને કૉલ કરો",
+      instructionsUpdated: "ડિલિવરી સૂચનાઓ અપડેટ થઈ",
+      saving: "સેવ થઈ રહ્યું છે...",
+      save: "સેવ કરો",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "સેટિંગ્સ",
+      account: "ખાતું",
+      notifications: "સૂચનાઓ",
+      privacySecurity: "ગોપનીયતા અને સુરક્ષા",
+      preferences: "પસંદગીઓ",
+      theme: "થીમ",
+      support: "સહાય અને માહિતી",
+      conversation: "વાતચીત",
+      terms: "નિયમો અને શરતો",
+      privacyPolicy: "ગોપનીયતા નીતિ",
+      about: "અમારા વિશે",
+      actions: "ક્રિયાઓ",
+      logout: "લૉગ આઉટ",
+      logoutConfirm: "શું તમે ખરેખર લૉગ આઉટ કરવા માંગો છો?",
+    },
+    item: {
+      nameTranslations: "અન્ય ભાષાઓમાં નામ",
+      nameTranslationsHint: "આ ભાષાઓમાં એપ વાપરતા ગ્રાહકોને આ નામ દેખાશે",
+    },
+    orders: {
+      tabs: {
+        preparing: "તૈયાર થઈ રહ્યા",
+        ready: "તૈયાર",
+        outForDelivery: "ડિલિવરી માટે નીકળ્યા",
+        scheduled: "શેડ્યૂલ કરેલા",
+        tableBooking: "ટેબલ બુકિંગ",
+        completed: "પૂર્ણ",
+        cancelled: "રદ થયેલા",
+      },
+      completedTitle: "પૂર્ણ થયેલા ઓર્ડર",
+      noCompleted: "હજી કોઈ ઓર્ડર પૂર્ણ થયો નથી",
+      delivered: "ડિલિવર થયો",
+      cancelledTitle: "રદ થયેલા ઓર્ડર",
+      noCancelled: "હજી કોઈ ઓર્ડર રદ થયો નથી",
+      preparingTitle: "તૈયાર થઈ રહેલા ઓર્ડર",
+      noPreparing: "કોઈ ઓર્ડર તૈયાર થઈ રહ્યો નથી",
+      readyTitle: "પિકઅપ માટે તૈયાર",
+      noReady: "પિકઅપ માટે કોઈ ઓર્ડર તૈયાર નથી",
+      outForDeliveryTitle: "ડિલિવરી માટે નીકળ્યા",
+      noOutForDelivery: "ડિલિવરી માટે કોઈ ઓર્ડર નીકળ્યો નથી",
+      scheduledEmpty: "શેડ્યૂલ કરેલા ઓર્ડર અહીં દેખાશે",
+      temporarilyClosed: "હંગામી ધોરણે બંધ",
+      viewStatus: "સ્થિતિ જુઓ",
+      cancelOrder: "ઓર્ડર રદ કરો",
+      assigned: "સોંપાયેલ",
+      notAssigned: "સોંપાયેલ નથી",
+      markReady: "તૈયાર તરીકે માર્ક કરો",
+      itemCountOne: "{count} આઇટમ",
+      itemCount: "{count} આઇટમ",
+      deliveryAddress: "ડિલિવરી સરનામું",
+      sendCutlery: "કટલરી મોકલો",
+      dontSendCutlery: "કટલરી ન મોકલો",
+      cashOnDelivery: "કેશ ઓન ડિલિવરી",
+      online: "ઓનલાઇન",
+      prepTime: "તૈયારીનો સમય",
+      minutes: "{count} મિનિટ",
+      accept: "સ્વીકારો ({time})",
+      rejectOrder: "ઓર્ડર નકારો",
+      needHelp: "આ ઓર્ડરમાં મદદ જોઈએ છે?",
+      rejectTitle: "ઓર્ડર {id} નકારો",
+      rejectHint: "કૃપા કરી આ ઓર્ડર નકારવાનું કારણ પસંદ કરો",
+      cancel: "રદ કરો",
+      confirmRejection: "નકારવાનું કન્ફર્મ કરો",
+      cancelTitle: "ઓર્ડર {id} રદ કરો",
+      cancelHint: "કૃપા કરી આ ઓર્ડર રદ કરવાનું કારણ જણાવો",
+      confirmCancellation: "રદ કરવાનું કન્ફર્મ કરો",
+      items: "આઇટમ",
+      close: "બંધ કરો",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ફીડ",
+      pocket: "પોકેટ",
+      tripHistory: "ટ્રિપ ઇતિહાસ",
+      profile: "પ્રોફાઇલ",
+    },
+    home: {
+      online: "ઓનલાઇન",
+      offline: "ઓફલાઇન",
+      earnings: "કમાણી",
+      trips: "ટ્રિપ",
+      timeOnOrders: "ઓર્ડર પર સમય",
+      history: "ઇતિહાસ",
+      helpTitle: "અમે કેવી રીતે મદદ કરી શકીએ?",
+      emergencyHelp: "કટોકટી મદદ",
+      bookGigsTitle: "ઓનલાઇન થવા ગિગ બુક કરો",
+      gigDetails: "ગિગની વિગતો",
+      gigBookingOpen: "તમારા ઝોનમાં ગિગ બુકિંગ ખુલ્લું છે",
+      bookGigsHint: "ઓનલાઇન થઈને ઓર્ડર ડિલિવર કરવાનું શરૂ કરવા હમણાં જ તમારા ગિગ બુક કરો",
+      bookGigs: "ગિગ બુક કરો",
+      newOrder: "નવો ઓર્ડર",
+      pickUp: "પિકઅપ",
+      releaseToAccept: "સ્વીકારવા છોડો",
+      acceptOrder: "ઓર્ડર સ્વીકારો",
+      deny: "ના પાડો",
+      cantAccept: "ઓર્ડર સ્વીકારી શકતા નથી",
+      cantAcceptHint: "કૃપા કરી આ ઓર્ડર ન સ્વીકારવાનું કારણ પસંદ કરો",
+      cancel: "રદ કરો",
+      confirm: "કન્ફર્મ કરો",
+      releaseToConfirm: "કન્ફર્મ કરવા છોડો",
+      reachedPickup: "પિકઅપ પર પહોંચ્યા",
+      confirmOrderId: "ઓર્ડર ID કન્ફર્મ કરો",
+      confirmOrderIdHint: "પિકઅપ પહેલાં રેસ્ટોરન્ટ સાથે ઓર્ડર ID ચકાસો",
+      orderId: "ઓર્ડર ID",
+      billUploadedHint: "બિલનો ફોટો અપલોડ થયો",
+      captureBillHint: "કૃપા કરી બિલનો ફોટો લો",
+      uploading: "અપલોડ થઈ રહ્યું છે...",
+      billUploaded: "બિલ અપલોડ થયું",
+      captureBill: "બિલનો ફોટો લો",
+      uploadBillFirst: "પહેલાં બિલ અપલોડ કરો",
+      orderPickedUp: "ઓર્ડર ઉપાડ્યો",
+      drop: "ડ્રોપ",
+      reachedDrop: "ડ્રોપ પર પહોંચ્યા",
+      collectCod: "ગ્રાહક પાસેથી લો (COD)",
+      payAtHotel: "હોટેલ પર ચુકવણી",
+      paidOnline: "રકમ ચૂકવાઈ ગઈ (ઓનલાઇન)",
+      cashCollectedVerified: "રોકડ લેવાઈ (ચકાસાયેલ)",
+      cashCollectedAtHotel: "હોટેલ પર રોકડ લેવાઈ",
+      orderDelivered: "ઓર્ડર ડિલિવર થયો",
+      rateExperience: "તમારા અનુભવને રેટ કરો",
+      rateExperienceHint: "તમારો ડિલિવરી અનુભવ કેવો રહ્યો?",
+      shareExperience: "તમારો અનુભવ જણાવો...",
+      submitReview: "રિવ્યૂ સબમિટ કરો",
+      complete: "પૂર્ણ કરો",
+    },
+  },
+}
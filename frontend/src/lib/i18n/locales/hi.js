@@ -0,0 +1,312 @@
+// Hindi
+export default {
+  common: {
+    language: {
+      title: "भाषा बदलें",
+      label: "भाषा",
+      subtitle: "ऐप के लिए अपनी पसंदीदा भाषा चुनें",
+      note: "सूचनाएँ, SMS और ईमेल भी इसी भाषा में भेजे जाएँगे।",
+      updated: "भाषा बदल दी गई",
+      saveFailed: "आपकी भाषा सहेजी नहीं जा सकी। यह इस डिवाइस पर अब भी इस्तेमाल होगी।",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "डिलीवरी",
+      under250: "₹250 से कम",
+      dining: "डाइनिंग",
+      profile: "प्रोफ़ाइल",
+    },
+    settings: {
+      title: "सेटिंग्स",
+      preferences: "सूचनाएँ और प्राथमिकताएँ",
+      emailNotifications: "ईमेल सूचनाएँ",
+      emailNotificationsHint: "अपने ऑर्डर की जानकारी ईमेल पर पाएँ",
+      pushNotifications: "पुश सूचनाएँ",
+      pushNotificationsHint: "अपने डिवाइस पर पुश सूचनाएँ पाएँ",
+    },
+    cart: {
+      title: "कार्ट",
+      empty: "आपका कार्ट खाली है",
+      emptyHint: "नया ऑर्डर शुरू करने के लिए किसी रेस्टोरेंट से आइटम जोड़ें",
+      browseRestaurants: "रेस्टोरेंट देखें",
+      savedOnOrder: "इस ऑर्डर पर आपने ₹{amount} बचाए",
+      editItem: "आइटम बदलें",
+      addMoreItems: "और आइटम जोड़ें",
+      addNote: "रेस्टोरेंट के लिए नोट जोड़ें",
+      dontSendCutlery: "कटलरी न भेजें",
+      noCutlery: "कटलरी नहीं",
+      notePlaceholder: "खाना बनाने के निर्देश, एलर्जी आदि लिखें",
+      completeYourMeal: "अपने खाने के साथ जोड़ें",
+      couponApplied: "'{code}' लागू हुआ",
+      youSaved: "आपने ₹{amount} बचाए",
+      removeCoupon: "हटाएँ",
+      loadingCoupons: "कूपन लोड हो रहे हैं...",
+      viewAllCoupons: "सभी कूपन देखें",
+      minOrder: "न्यूनतम ₹{amount}",
+      apply: "लागू करें",
+      noCoupons: "कोई कूपन उपलब्ध नहीं",
+      deliveryIn: "डिलीवरी",
+      deliveryAt: "डिलीवरी पता",
+      location: "स्थान",
+      addDeliveryAddress: "डिलीवरी पता जोड़ें",
+      additionalAddress: "अतिरिक्त पता",
+      additionalAddressPlaceholder: "अतिरिक्त पते की जानकारी दें (जैसे फ़्लैट नंबर, मंज़िल, लैंडमार्क)",
+      totalBill: "कुल बिल",
+      inclTaxes: "टैक्स और शुल्क सहित",
+      itemTotal: "आइटम का कुल",
+      deliveryFee: "डिलीवरी शुल्क",
+      free: "मुफ़्त",
+      platformFee: "प्लेटफ़ॉर्म शुल्क",
+      gstAndCharges: "GST और रेस्टोरेंट शुल्क",
+      gst: "GST",
+      deliveryTip: "डिलीवरी पार्टनर टिप",
+      couponDiscount: "कूपन छूट",
+      toPay: "भुगतान करें",
+      orderSummary: "ऑर्डर सारांश",
+      discount: "छूट",
+      total: "कुल",
+      payUsing: "भुगतान का तरीका",
+      wallet: "वॉलेट",
+      payAtHotel: "होटल पर भुगतान",
+      onlinePayment: "ऑनलाइन भुगतान",
+      paymentMethod: "भुगतान का तरीका",
+      razorpayOnline: "Razorpay ऑनलाइन भुगतान",
+      loading: "लोड हो रहा है...",
+      roomNumber: "कमरा नंबर",
+      roomNumberPlaceholder: "अपना कमरा नंबर लिखें (जैसे 101)",
+      roomFromQr: "कमरा नंबर आपके कमरे के QR कोड से लिया गया",
+      orderingFrom: "यहाँ से ऑर्डर: {hotel}",
+      totalCaps: "कुल",
+      processing: "प्रोसेस हो रहा है...",
+      selectPayment: "भुगतान चुनें",
+      placeOrder: "ऑर्डर करें",
+      insufficientBalance: "बैलेंस कम है",
+      placeOrderPayAtHotel: "ऑर्डर करें (होटल पर भुगतान)",
+      placingOrder: "आपका ऑर्डर किया जा रहा है",
+      payOnlineAmount: "₹{amount} ऑनलाइन भुगतान करें (Razorpay)",
+      payFromWallet: "वॉलेट से ₹{amount} भुगतान करें",
+      payAtHotelOnArrival: "पहुँचने पर होटल में भुगतान करें",
+      payOnline: "ऑनलाइन भुगतान करें",
+      deliveringTo: "इस जगह डिलीवरी",
+      cancel: "रद्द करें",
+      orderPlaced: "ऑर्डर हो गया!",
+      onItsWay: "आपका स्वादिष्ट खाना रास्ते में है",
+      trackOrder: "अपना ऑर्डर ट्रैक करें",
+    },
+    orders: {
+      title: "आपके ऑर्डर",
+      empty: "आपने अभी तक कोई ऑर्डर नहीं किया है",
+      startOrdering: "ऑर्डर करना शुरू करें",
+      searchPlaceholder: "रेस्टोरेंट या डिश से खोजें",
+      noMatches: "आपकी खोज से मेल खाता कोई ऑर्डर नहीं मिला",
+      deliveryPartner: "डिलीवरी:",
+      shareRestaurant: "रेस्टोरेंट शेयर करें",
+      orderDetails: "ऑर्डर की जानकारी",
+      orderNumber: "ऑर्डर #{id}",
+      itemCountOne: "{count} आइटम",
+      itemCount: "{count} आइटम",
+      subtotal: "उप-योग",
+      tax: "टैक्स",
+      couponApplied: "कूपन लागू",
+      placedOn: "ऑर्डर की तारीख {date}",
+      deliveredOn: "{date} को डिलीवर हुआ",
+      payment: "भुगतान:",
+      cashOnDelivery: "कैश ऑन डिलीवरी",
+      online: "ऑनलाइन",
+      delivered: "डिलीवर हुआ",
+      restaurantCancelled: "रेस्टोरेंट ने रद्द किया",
+      cancelledByYou: "आपने रद्द किया",
+      cancelled: "रद्द",
+      viewDetails: "जानकारी देखें",
+      refundInfo: "रिफ़ंड 24-48 घंटों में प्रोसेस होगा",
+      paymentFailed: "भुगतान विफल रहा",
+      youRated: "आपकी रेटिंग",
+      orderDelivered: "ऑर्डर डिलीवर हुआ",
+      rateOrder: "ऑर्डर को रेट करें",
+      preparing: "तैयार हो रहा है",
+      outForDelivery: "डिलीवरी के लिए निकला",
+      confirmed: "ऑर्डर कन्फ़र्म हुआ",
+      minutesRemaining: "{count} मिनट बाकी",
+      reorder: "फिर से ऑर्डर करें",
+      rateTitle: "अपने ऑर्डर को रेट करें",
+      ratingQuestion: "आपका कुल अनुभव कैसा रहा?",
+      feedbackLabel: "अपनी राय बताएँ",
+      optional: "वैकल्पिक",
+      feedbackPlaceholder: "इस ऑर्डर में आपको क्या पसंद या नापसंद आया? अपना अनुभव बताएँ...",
+      submitting: "भेजा जा रहा है...",
+      submitRating: "रेटिंग भेजें",
+      selectRating: "आगे बढ़ने के लिए कृपया रेटिंग चुनें",
+    },
+    tracking: {
+      loading: "ऑर्डर की जानकारी लोड हो रही है...",
+      notFound: "ऑर्डर नहीं मिला",
+      notFoundHint: "आप जिस ऑर्डर को खोज रहे हैं वह मौजूद नहीं है।",
+      backToOrders: "ऑर्डर पर वापस जाएँ",
+      placed: "ऑर्डर हो गया",
+      preparationSoon: "खाना जल्द ही बनना शुरू होगा",
+      preparing: "आपका ऑर्डर तैयार हो रहा है",
+      arrivingIn: "{minutes} मिनट में पहुँच रहा है",
+      pickedUp: "ऑर्डर उठा लिया गया",
+      onTheWay: "रास्ते में",
+      delivered: "ऑर्डर डिलीवर हुआ",
+      enjoyMeal: "खाने का आनंद लें!",
+      cancelled: "ऑर्डर रद्द हुआ",
+      cancelledHint: "यह ऑर्डर रद्द कर दिया गया है",
+      confirmed: "ऑर्डर कन्फ़र्म हो गया!",
+      placedSuccessfully: "आपका ऑर्डर सफलतापूर्वक हो गया है",
+      onTime: "समय पर",
+      foodCooking: "खाना बन रहा है",
+      partnerSafety: "डिलीवरी पार्टनर की सुरक्षा के बारे में जानें",
+      detailsBanner: "आपकी डिलीवरी की पूरी जानकारी एक जगह",
+      customer: "ग्राहक",
+      noPhone: "फ़ोन नंबर उपलब्ध नहीं है",
+      deliveryAtLocation: "इस जगह डिलीवरी",
+      addInstructions: "डिलीवरी निर्देश जोड़ें",
+      instructionsHint: "डिलीवरी पार्टनर के लिए नोट छोड़ें",
+      chatWithPartner: "डिलीवरी पार्टनर से चैट करें",
+      chatHint: "अपने डिलीवरी पार्टनर को संदेश भेजें",
+      callRestaurant: "रेस्टोरेंट को कॉल करें",
+      cancelOrder: "ऑर्डर रद्द करें",
+      cancelReasonPlaceholder: "जैसे, मन बदल गया, गलत पता आदि।",
+      cancel: "रद्द करें",
+      cancelling: "रद्द हो रहा है...",
+      confirmCancellation: "रद्द करना कन्फ़र्म करें",
+      instructionsTitle: "डिलीवरी निर्देश",
+      instructionsDescription: "डिलीवरी पार्टनर के लिए निर्देश जोड़ें (जैसे \"घंटी बजाएँ\", \"दरवाज़े पर छोड़ दें\", \"पहुँचकर कॉल करें\")।",
+      instructionsPlaceholder: "जैसे, दो बार घंटी बजाएँ, दरवाज़े पर छोड़ दें, पहुँचकर कॉल करें",
+      instructionsUpdated: "डिलीवरी निर्देश अपडेट हो गए",
+      saving: "सेव हो रहा है...",
+      save: "सेव करें",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "सेटिंग्स",
+      account: "खाता",
+      notifications: "सूचनाएँ",
+      privacySecurity: "गोपनीयता और सुरक्षा",
+      preferences: "प्राथमिकताएँ",
+      theme: "थीम",
+      support: "सहायता और जानकारी",
+      conversation: "बातचीत",
+      terms: "नियम और शर्तें",
+      privacyPolicy: "गोपनीयता नीति",
+      about: "हमारे बारे में",
+      actions: "कार्रवाइयाँ",
+      logout: "लॉग आउट",
+      logoutConfirm: "क्या आप वाकई लॉग आउट करना चाहते हैं?",
+    },
+    item: {
+      nameTranslations: "अन्य भाषाओं में नाम",
+      nameTranslationsHint: "इन भाषाओं में ऐप इस्तेमाल करने वाले ग्राहकों को यही नाम दिखेगा",
+    },
+    orders: {
+      tabs: {
+        preparing: "तैयार हो रहे",
+        ready: "तैयार",
+        outForDelivery: "डिलीवरी पर निकले",
+        scheduled: "शेड्यूल किए गए",
+        tableBooking: "टेबल बुकिंग",
+        completed: "पूरे हुए",
+        cancelled: "रद्द",
+      },
+      completedTitle: "पूरे हुए ऑर्डर",
+      noCompleted: "अभी तक कोई ऑर्डर पूरा नहीं हुआ",
+      delivered: "डिलीवर हुआ",
+      cancelledTitle: "रद्द ऑर्डर",
+      noCancelled: "अभी तक कोई ऑर्डर रद्द नहीं हुआ",
+      preparingTitle: "तैयार हो रहे ऑर्डर",
+      noPreparing: "कोई ऑर्डर तैयार नहीं हो रहा",
+      readyTitle: "पिकअप के लिए तैयार",
+      noReady: "पिकअप के लिए कोई ऑर्डर तैयार नहीं",
+      outForDeliveryTitle: "डिलीवरी पर निकले",
+      noOutForDelivery: "कोई ऑर्डर डिलीवरी पर नहीं निकला",
+      scheduledEmpty: "शेड्यूल किए गए ऑर्डर यहाँ दिखेंगे",
+      temporarilyClosed: "अस्थायी रूप से बंद",
+      viewStatus: "स्थिति देखें",
+      cancelOrder: "ऑर्डर रद्द करें",
+      assigned: "असाइन किया गया",
+      notAssigned: "असाइन नहीं किया गया",
+      markReady: "तैयार मार्क करें",
+      itemCountOne: "{count} आइटम",
+      itemCount: "{count} आइटम",
+      deliveryAddress: "डिलीवरी पता",
+      sendCutlery: "कटलरी भेजें",
+      dontSendCutlery: "कटलरी न भेजें",
+      cashOnDelivery: "कैश ऑन डिलीवरी",
+      online: "ऑनलाइन",
+      prepTime: "तैयारी का समय",
+      minutes: "{count} मिनट",
+      accept: "स्वीकार करें ({time})",
+      rejectOrder: "ऑर्डर अस्वीकार करें",
+      needHelp: "इस ऑर्डर में मदद चाहिए?",
+      rejectTitle: "ऑर्डर {id} अस्वीकार करें",
+      rejectHint: "कृपया इस ऑर्डर को अस्वीकार करने का कारण चुनें",
+      cancel: "रद्द करें",
+      confirmRejection: "अस्वीकार करना कन्फ़र्म करें",
+      cancelTitle: "ऑर्डर {id} रद्द करें",
+      cancelHint: "कृपया इस ऑर्डर को रद्द करने का कारण बताएँ",
+      confirmCancellation: "रद्द करना कन्फ़र्म करें",
+      items: "आइटम",
+      close: "बंद करें",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "फ़ीड",
+      pocket: "पॉकेट",
+      tripHistory: "ट्रिप इतिहास",
+      profile: "प्रोफ़ाइल",
+    },
+    home: {
+      online: "ऑनलाइन",
+      offline: "ऑफ़लाइन",
+      earnings: "कमाई",
+      trips: "ट्रिप",
+      timeOnOrders: "ऑर्डर पर समय",
+      history: "इतिहास",
+      helpTitle: "हम कैसे मदद करें?",
+      emergencyHelp: "आपातकालीन मदद",
+      bookGigsTitle: "ऑनलाइन होने के लिए गिग बुक करें",
+      gigDetails: "गिग की जानकारी",
+      gigBookingOpen: "आपके ज़ोन में गिग बुकिंग खुली है",
+      bookGigsHint: "ऑनलाइन होकर ऑर्डर डिलीवर करना शुरू करने के लिए अभी अपने गिग बुक करें",
+      bookGigs: "गिग बुक करें",
+      newOrder: "नया ऑर्डर",
+      pickUp: "पिकअप",
+      releaseToAccept: "स्वीकार करने के लिए छोड़ें",
+      acceptOrder: "ऑर्डर स्वीकार करें",
+      deny: "मना करें",
+      cantAccept: "ऑर्डर स्वीकार नहीं कर सकते",
+      cantAcceptHint: "कृपया इस ऑर्डर को स्वीकार न करने का कारण चुनें",
+      cancel: "रद्द करें",
+      confirm: "कन्फ़र्म करें",
+      releaseToConfirm: "कन्फ़र्म करने के लिए छोड़ें",
+      reachedPickup: "पिकअप पर पहुँचे",
+      confirmOrderId: "ऑर्डर ID कन्फ़र्म करें",
+      confirmOrderIdHint: "पिकअप से पहले रेस्टोरेंट से ऑर्डर ID मिला लें",
+      orderId: "ऑर्डर ID",
+      billUploadedHint: "बिल की फ़ोटो अपलोड हो गई",
+      captureBillHint: "कृपया बिल की फ़ोटो लें",
+      uploading: "अपलोड हो रहा है...",
+      billUploaded: "बिल अपलोड हुआ",
+      captureBill: "बिल की फ़ोटो लें",
+      uploadBillFirst: "पहले बिल अपलोड करें",
+      orderPickedUp: "ऑर्डर उठा लिया",
+      drop: "ड्रॉप",
+      reachedDrop: "ड्रॉप पर पहुँचे",
+      collectCod: "ग्राहक से लें (COD)",
+      payAtHotel: "होटल पर भुगतान",
+      paidOnline: "रकम चुकाई गई (ऑनलाइन)",
+      cashCollectedVerified: "नकद लिया गया (सत्यापित)",
+      cashCollectedAtHotel: "होटल पर नकद लिया गया",
+      orderDelivered: "ऑर्डर डिलीवर हुआ",
+      rateExperience: "अपने अनुभव को रेट करें",
+      rateExperienceHint: "आपका डिलीवरी अनुभव कैसा रहा?",
+      shareExperience: "अपना अनुभव बताएँ...",
+      submitReview: "रिव्यू भेजें",
+      complete: "पूरा करें",
+    },
+  },
+}
@@ -0,0 +1,312 @@
+// Kannada
+export default {
+  common: {
+    language: {
+      title: "ಭಾಷೆ ಬದಲಿಸಿ",
+      label: "ಭಾಷೆ",
+      subtitle: "ಆ್ಯಪ್‌ಗಾಗಿ ನಿಮ್ಮ ಆದ್ಯತೆಯ ಭಾಷೆಯನ್ನು ಆಯ್ಕೆಮಾಡಿ",
+      note: "ಅಧಿಸೂಚನೆಗಳು, SMS ಮತ್ತು ಇಮೇಲ್‌ಗಳನ್ನೂ ಈ ಭಾಷೆಯಲ್ಲೇ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.",
+      updated: "ಭಾಷೆ ಬದಲಾಗಿದೆ",
+      saveFailed: "ನಿಮ್ಮ ಭಾಷೆಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ. ಈ ಸಾಧನದಲ್ಲಿ ಇದನ್ನೇ ಬಳಸಲಾಗುತ್ತದೆ.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "ಡೆಲಿವರಿ",
+      under250: "₹250 ಒಳಗೆ",
+      dining: "ಡೈನಿಂಗ್",
+      profile: "ಪ್ರೊಫೈಲ್",
+    },
+    settings: {
+      title: "ಸೆಟ್ಟಿಂಗ್‌ಗಳು",
+      preferences: "ಅಧಿಸೂಚನೆಗಳು & ಆದ್ಯತೆಗಳು",
+      emailNotifications: "ಇಮೇಲ್ ಅಧಿಸೂಚನೆಗಳು",
+      emailNotificationsHint: "ನಿಮ್ಮ ಆರ್ಡರ್‌ಗಳ ಅಪ್‌ಡೇಟ್‌ಗಳನ್ನು ಇಮೇಲ್ ಮೂಲಕ ಪಡೆಯಿರಿ",
+      pushNotifications: "ಪುಶ್ ಅಧಿಸೂಚನೆಗಳು",
+      pushNotificationsHint: "ನಿಮ್ಮ ಸಾಧನದಲ್ಲಿ ಪುಶ್ ಅಧಿಸೂಚನೆಗಳನ್ನು ಪಡೆಯಿರಿ",
+    },
+    cart: {
+      title: "ಕಾರ್ಟ್",
+      empty: "ನಿಮ್ಮ ಕಾರ್ಟ್ ಖಾಲಿಯಾಗಿದೆ",
+      emptyHint: "ಹೊಸ ಆರ್ಡರ್ ಆರಂಭಿಸಲು ಒಂದು ರೆಸ್ಟೋರೆಂಟ್‌ನಿಂದ ಐಟಂಗಳನ್ನು ಸೇರಿಸಿ",
+      browseRestaurants: "ರೆಸ್ಟೋರೆಂಟ್‌ಗಳನ್ನು ನೋಡಿ",
+      savedOnOrder: "ಈ ಆರ್ಡರ್‌ನಲ್ಲಿ ನೀವು ₹{amount} ಉಳಿಸಿದ್ದೀರಿ",
+      editItem: "ಐಟಂ ಬದಲಿಸಿ",
+      addMoreItems: "ಇನ್ನಷ್ಟು ಐಟಂಗಳನ್ನು ಸೇರಿಸಿ",
+      addNote: "ರೆಸ್ಟೋರೆಂಟ್‌ಗೆ ಒಂದು ಟಿಪ್ಪಣಿ ಸೇರಿಸಿ",
+      dontSendCutlery: "ಕಟ್ಲರಿ ಕಳುಹಿಸಬೇಡಿ",
+      noCutlery: "ಕಟ್ಲರಿ ಬೇಡ",
+      notePlaceholder: "ಅಡುಗೆ ಸೂಚನೆಗಳು, ಅಲರ್ಜಿಗಳು ಇತ್ಯಾದಿ ಸೇರಿಸಿ",
+      completeYourMeal: "ನಿಮ್ಮ ಊಟವನ್ನು ಪೂರ್ಣಗೊಳಿಸಿ",
+      couponApplied: "'{code}' ಅನ್ವಯಿಸಲಾಗಿದೆ",
+      youSaved: "ನೀವು ₹{amount} ಉಳಿಸಿದ್ದೀರಿ",
+      removeCoupon: "ತೆಗೆದುಹಾಕಿ",
+      loadingCoupons: "ಕೂಪನ್‌ಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+      viewAllCoupons: "ಎಲ್ಲಾ ಕೂಪನ್‌ಗಳನ್ನು ನೋಡಿ",
+      minOrder: "ಕನಿಷ್ಠ ₹{amount}",
+      apply: "ಅನ್ವಯಿಸಿ",
+      noCoupons: "ಯಾವುದೇ ಕೂಪನ್ ಲಭ್ಯವಿಲ್ಲ",
+      deliveryIn: "ಡೆಲಿವರಿ ಸಮಯ",
+      deliveryAt: "ಡೆಲಿವರಿ ವಿಳಾಸ",
+      location: "ಸ್ಥಳ",
+      addDeliveryAddress: "ಡೆಲಿವರಿ ವಿಳಾಸ ಸೇರಿಸಿ",
+      additionalAddress: "ಹೆಚ್ಚುವರಿ ವಿಳಾಸ",
+      additionalAddressPlaceholder: "ಹೆಚ್ಚುವರಿ ವಿಳಾಸದ ವಿವರ ನೀಡಿ (ಉದಾ. ಫ್ಲಾಟ್ ಸಂಖ್ಯೆ, ಮಹಡಿ, ಲ್ಯಾಂಡ್‌ಮಾರ್ಕ್)",
+      totalBill: "ಒಟ್ಟು ಬಿಲ್",
+      inclTaxes: "ತೆರಿಗೆ ಮತ್ತು ಶುಲ್ಕಗಳು ಸೇರಿ",
+      itemTotal: "ಐಟಂಗಳ ಒಟ್ಟು",
+      deliveryFee: "ಡೆಲಿವರಿ ಶುಲ್ಕ",
+      free: "ಉಚಿತ",
+      platformFee: "ಪ್ಲಾಟ್‌ಫಾರ್ಮ್ ಶುಲ್ಕ",
+      gstAndCharges: "GST ಮತ್ತು ರೆಸ್ಟೋರೆಂಟ್ ಶುಲ್ಕಗಳು",
+      gst: "GST",
+      deliveryTip: "ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್ ಟಿಪ್",
+      couponDiscount: "ಕೂಪನ್ ರಿಯಾಯಿತಿ",
+      toPay: "ಪಾವತಿಸಬೇಕಾದದ್ದು",
+      orderSummary: "ಆರ್ಡರ್ ಸಾರಾಂಶ",
+      discount: "ರಿಯಾಯಿತಿ",
+      total: "ಒಟ್ಟು",
+      payUsing: "ಇದರ ಮೂಲಕ ಪಾವತಿಸಿ",
+      wallet: "ವಾಲೆಟ್",
+      payAtHotel: "ಹೋಟೆಲ್‌ನಲ್ಲಿ ಪಾವತಿಸಿ",
+      onlinePayment: "ಆನ್‌ಲೈನ್ ಪಾವತಿ",
+      paymentMethod: "ಪಾವತಿ ವಿಧಾನ",
+      razorpayOnline: "Razorpay ಆನ್‌ಲೈನ್ ಪಾವತಿ",
+      loading: "ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+      roomNumber: "ಕೊಠಡಿ ಸಂಖ್ಯೆ",
+      roomNumberPlaceholder: "ನಿಮ್ಮ ಕೊಠಡಿ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ (ಉದಾ. 101)",
+      roomFromQr: "ನಿಮ್ಮ ಕೊಠಡಿಯ QR ಕೋಡ್‌ನಿಂದ ಕೊಠಡಿ ಸಂಖ್ಯೆ ಹೊಂದಿಸಲಾಗಿದೆ",
+      orderingFrom: "ಇಲ್ಲಿಂದ ಆರ್ಡರ್: {hotel}",
+      totalCaps: "ಒಟ್ಟು",
+      processing: "ಪ್ರಕ್ರಿಯೆಗೊಳ್ಳುತ್ತಿದೆ...",
+      selectPayment: "ಪಾವತಿ ಆಯ್ಕೆಮಾಡಿ",
+      placeOrder: "ಆರ್ಡರ್ ಮಾಡಿ",
+      insufficientBalance: "ಬ್ಯಾಲೆನ್ಸ್ ಸಾಕಾಗುವುದಿಲ್ಲ",
+      placeOrderPayAtHotel: "ಆರ್ಡರ್ ಮಾಡಿ (ಹೋಟೆಲ್‌ನಲ್ಲಿ ಪಾವತಿ)",
+      placingOrder: "ನಿಮ್ಮ ಆರ್ಡರ್ ಮಾಡಲಾಗುತ್ತಿದೆ",
+      payOnlineAmount: "₹{amount} ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಪಾವತಿಸಿ (Razorpay)",
+      payFromWallet: "ವಾಲೆಟ್‌ನಿಂದ ₹{amount} ಪಾವತಿಸಿ",
+      payAtHotelOnArrival: "ಬಂದಾಗ ಹೋಟೆಲ್‌ನಲ್ಲಿ ಪಾವತಿಸಿ",
+      payOnline: "ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಪಾವತಿಸಿ",
+      deliveringTo: "ಈ ಸ್ಥಳಕ್ಕೆ ಡೆಲಿವರಿ",
+      cancel: "ರದ್ದುಮಾಡಿ",
+      orderPlaced: "ಆರ್ಡರ್ ಮಾಡಲಾಗಿದೆ!",
+      onItsWay: "ನಿಮ್ಮ ರುಚಿಯಾದ ಊಟ ದಾರಿಯಲ್ಲಿದೆ",
+      trackOrder: "ನಿಮ್ಮ ಆರ್ಡರ್ ಟ್ರ್ಯಾಕ್ ಮಾಡಿ",
+    },
+    orders: {
+      title: "ನಿಮ್ಮ ಆರ್ಡರ್‌ಗಳು",
+      empty: "ನೀವು ಇನ್ನೂ ಯಾವುದೇ ಆರ್ಡರ್ ಮಾಡಿಲ್ಲ",
+      startOrdering: "ಆರ್ಡರ್ ಮಾಡಲು ಆರಂಭಿಸಿ",
+      searchPlaceholder: "ರೆಸ್ಟೋರೆಂಟ್ ಅಥವಾ ಖಾದ್ಯದ ಮೂಲಕ ಹುಡುಕಿ",
+      noMatches: "ನಿಮ್ಮ ಹುಡುಕಾಟಕ್ಕೆ ಹೊಂದುವ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      deliveryPartner: "ಡೆಲಿವರಿ:",
+      shareRestaurant: "ರೆಸ್ಟೋರೆಂಟ್ ಹಂಚಿಕೊಳ್ಳಿ",
+      orderDetails: "ಆರ್ಡರ್ ವಿವರಗಳು",
+      orderNumber: "ಆರ್ಡರ್ #{id}",
+      itemCountOne: "{count} ಐಟಂ",
+      itemCount: "{count} ಐಟಂಗಳು",
+      subtotal: "ಉಪ ಮೊತ್ತ",
+      tax: "ತೆರಿಗೆ",
+      couponApplied: "ಕೂಪನ್ ಅನ್ವಯಿಸಲಾಗಿದೆ",
+      placedOn: "{date} ರಂದು ಆರ್ಡರ್ ಮಾಡಲಾಗಿದೆ",
+      deliveredOn: "{date} ರಂದು ಡೆಲಿವರಿ ಆಗಿದೆ",
+      payment: "ಪಾವತಿ:",
+      cashOnDelivery: "ಕ್ಯಾಶ್ ಆನ್ ಡೆಲಿವರಿ",
+      online: "ಆನ್‌ಲೈನ್",
+      delivered: "ಡೆಲಿವರಿ ಆಗಿದೆ",
+      restaurantCancelled: "ರೆಸ್ಟೋರೆಂಟ್ ರದ್ದುಮಾಡಿದೆ",
+      cancelledByYou: "ನೀವು ರದ್ದುಮಾಡಿದ್ದೀರಿ",
+      cancelled: "ರದ್ದಾಗಿದೆ",
+      viewDetails: "ವಿವರಗಳನ್ನು ನೋಡಿ",
+      refundInfo: "ಮರುಪಾವತಿ 24-48 ಗಂಟೆಗಳಲ್ಲಿ ಪ್ರಕ್ರಿಯೆಗೊಳ್ಳುತ್ತದೆ",
+      paymentFailed: "ಪಾವತಿ ವಿಫಲವಾಗಿದೆ",
+      youRated: "ನಿಮ್ಮ ರೇಟಿಂಗ್",
+      orderDelivered: "ಆರ್ಡರ್ ಡೆಲಿವರಿ ಆಗಿದೆ",
+      rateOrder: "ಆರ್ಡರ್ ರೇಟ್ ಮಾಡಿ",
+      preparing: "ತಯಾರಾಗುತ್ತಿದೆ",
+      outForDelivery: "ಡೆಲಿವರಿಗೆ ಹೊರಟಿದೆ",
+      confirmed: "ಆರ್ಡರ್ ದೃಢೀಕರಿಸಲಾಗಿದೆ",
+      minutesRemaining: "{count} ನಿಮಿಷ ಬಾಕಿ",
+      reorder: "ಮತ್ತೆ ಆರ್ಡರ್ ಮಾಡಿ",
+      rateTitle: "ನಿಮ್ಮ ಆರ್ಡರ್ ರೇಟ್ ಮಾಡಿ",
+      ratingQuestion: "ನಿಮ್ಮ ಒಟ್ಟಾರೆ ಅನುಭವ ಹೇಗಿತ್ತು?",
+      feedbackLabel: "ನಿಮ್ಮ ಅಭಿಪ್ರಾಯ ಹಂಚಿಕೊಳ್ಳಿ",
+      optional: "ಐಚ್ಛಿಕ",
+      feedbackPlaceholder: "ಈ ಆರ್ಡರ್‌ನಲ್ಲಿ ನಿಮಗೆ ಏನು ಇಷ್ಟವಾಯಿತು ಅಥವಾ ಇಷ್ಟವಾಗಲಿಲ್ಲ? ನಿಮ್ಮ ಅನುಭವ ಹಂಚಿಕೊಳ್ಳಿ...",
+      submitting: "ಸಲ್ಲಿಸಲಾಗುತ್ತಿದೆ...",
+      submitRating: "ರೇಟಿಂಗ್ ಸಲ್ಲಿಸಿ",
+      selectRating: "ಮುಂದುವರಿಯಲು ದಯವಿಟ್ಟು ರೇಟಿಂಗ್ ಆಯ್ಕೆಮಾಡಿ",
+    },
+    tracking: {
+      loading: "ಆರ್ಡರ್ ವಿವರಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...",
+      notFound: "ಆರ್ಡರ್ ಕಂಡುಬಂದಿಲ್ಲ",
+      notFoundHint: "ನೀವು ಹುಡುಕುತ್ತಿರುವ ಆರ್ಡರ್ ಅಸ್ತಿತ್ವದಲ್ಲಿಲ್ಲ.",
+      backToOrders: "ಆರ್ಡರ್‌ಗಳಿಗೆ ಹಿಂತಿರುಗಿ",
+      placed: "ಆರ್ಡರ್ ಮಾಡಲಾಗಿದೆ",
+      preparationSoon: "ಅಡುಗೆ ಶೀಘ್ರದಲ್ಲೇ ಆರಂಭವಾಗುತ್ತದೆ",
+      preparing: "ನಿಮ್ಮ ಆರ್ಡರ್ ತಯಾರಾಗುತ್ತಿದೆ",
+      arrivingIn: "{minutes} ನಿಮಿಷಗಳಲ್ಲಿ ತಲುಪುತ್ತದೆ",
+      pickedUp: "ಆರ್ಡರ್ ಪಿಕಪ್ ಆಗಿದೆ",
+      onTheWay: "ದಾರಿಯಲ್ಲಿದೆ",
+      delivered: "ಆರ್ಡರ್ ಡೆಲಿವರಿ ಆಗಿದೆ",
+      enjoyMeal: "ಊಟವನ್ನು ಆನಂದಿಸಿ!",
+      cancelled: "ಆರ್ಡರ್ ರದ್ದಾಗಿದೆ",
+      cancelledHint: "ಈ ಆರ್ಡರ್ ರದ್ದುಗೊಳಿಸಲಾಗಿದೆ",
+      confirmed: "ಆರ್ಡರ್ ದೃಢೀಕರಿಸಲಾಗಿದೆ!",
+      placedSuccessfully: "ನಿಮ್ಮ ಆರ್ಡರ್ ಯಶಸ್ವಿಯಾಗಿ ಮಾಡಲಾಗಿದೆ",
+      onTime: "ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ",
+      foodCooking: "ಊಟ ತಯಾರಾಗುತ್ತಿದೆ",
+      partnerSafety: "ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್ ಸುರಕ್ಷತೆಯ ಬಗ್ಗೆ ತಿಳಿಯಿರಿ",
+      detailsBanner: "ನಿಮ್ಮ ಎಲ್ಲಾ ಡೆಲಿವರಿ ವಿವರಗಳು ಒಂದೇ ಕಡೆ",
+      customer: "ಗ್ರಾಹಕ",
+      noPhone: "ಫೋನ್ ಸಂಖ್ಯೆ ಲಭ್ಯವಿಲ್ಲ",
+      deliveryAtLocation: "ಈ ಸ್ಥಳದಲ್ಲಿ ಡೆಲಿವರಿ",
+      addInstructions: "ಡೆಲಿವರಿ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ",
+      instructionsHint: "ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್‌ಗೆ ಒಂದು ಟಿಪ್ಪಣಿ ಬಿಡಿ",
+      chatWithPartner: "ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್ ಜೊತೆ ಚಾಟ್ ಮಾಡಿ",
+      chatHint: "ನಿಮ್ಮ ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್‌ಗೆ ಸಂದೇಶ ಕಳುಹಿಸಿ",
+      callRestaurant: "ರೆಸ್ಟೋರೆಂಟ್‌ಗೆ ಕರೆ ಮಾಡಿ",
+      cancelOrder: "ಆರ್ಡರ್ ರದ್ದುಮಾಡಿ",
+      cancelReasonPlaceholder: "ಉದಾ., ಮನಸ್ಸು ಬದಲಾಯಿತು, ತಪ್ಪು ವಿಳಾಸ ಇತ್ಯಾದಿ.",
+      cancel: "ರದ್ದುಮಾಡಿ",
+      cancelling: "ರದ್ದುಮಾಡಲಾಗುತ್ತಿದೆ...",
+      confirmCancellation: "ರದ್ದತಿಯನ್ನು ದೃಢೀಕರಿಸಿ",
+      instructionsTitle: "ಡೆಲಿವರಿ ಸೂಚನೆಗಳು",
+      instructionsDescription: "ಡೆಲಿವರಿ ಪಾರ್ಟ್ನರ್‌ಗೆ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ (ಉದಾ. \"ಬೆಲ್ ಒತ್ತಿ\", \"ಬಾಗಿಲ ಬಳಿ ಇಡಿ\", \"ಬಂದಾಗ ಕರೆ ಮಾಡಿ\").",
+      instructionsPlaceholder: "ಉದಾ., ಎರಡು ಬಾರಿ ಬೆಲ್ ಒತ್ತಿ, ಬಾಗಿಲ ಬಳಿ ಇಡಿ, ಬಂದಾಗ ಕರೆ ಮಾಡಿ",
+      instructionsUpdated: "ಡೆಲಿವರಿ ಸೂಚನೆಗಳನ್ನು ನವೀಕರಿಸಲಾಗಿದೆ",
+      saving: "ಉಳಿಸಲಾಗುತ್ತಿದೆ...",
+      save: "ಉಳಿಸಿ",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "ಸೆಟ್ಟಿಂಗ್‌ಗಳು",
+      account: "ಖಾತೆ",
+      notifications: "ಅಧಿಸೂಚನೆಗಳು",
+      privacySecurity: "ಗೌಪ್ಯತೆ & ಭದ್ರತೆ",
+      preferences: "ಆದ್ಯತೆಗಳು",
+      theme: "ಥೀಮ್",
+      support: "ಸಹಾಯ & ಮಾಹಿತಿ",
+      conversation: "ಸಂಭಾಷಣೆ",
+      terms: "ನಿಯಮಗಳು & ಷರತ್ತುಗಳು",
+      privacyPolicy: "ಗೌಪ್ಯತಾ ನೀತಿ",
+      about: "ನಮ್ಮ ಬಗ್ಗೆ",
+      actions: "ಕ್ರಿಯೆಗಳು",
+      logout: "ಲಾಗ್ ಔಟ್",
+      logoutConfirm: "ನೀವು ಖಚಿತವಾಗಿ ಲಾಗ್ ಔಟ್ ಮಾಡಲು ಬಯಸುವಿರಾ?",
+    },
+    item: {
+      nameTranslations: "ಇತರ ಭಾಷೆಗಳಲ್ಲಿ ಹೆಸರು",
+      nameTranslationsHint: "ಈ ಭಾಷೆಗಳಲ್ಲಿ ಆ್ಯಪ್ ಬಳಸುವ ಗ್ರಾಹಕರಿಗೆ ಈ ಹೆಸರು ಕಾಣುತ್ತದೆ",
+    },
+    orders: {
+      tabs: {
+        preparing: "ತಯಾರಾಗುತ್ತಿರುವವು",
+        ready: "ಸಿದ್ಧ",
+        outForDelivery: "ಡೆಲಿವರಿಗೆ ಹೊರಟವು",
+        scheduled: "ನಿಗದಿತ",
+        tableBooking: "ಟೇಬಲ್ ಬುಕಿಂಗ್",
+        completed: "ಪೂರ್ಣಗೊಂಡವು",
+        cancelled: "ರದ್ದಾದವು",
+      },
+      completedTitle: "ಪೂರ್ಣಗೊಂಡ ಆರ್ಡರ್‌ಗಳು",
+      noCompleted: "ಇನ್ನೂ ಪೂರ್ಣಗೊಂಡ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      delivered: "ಡೆಲಿವರಿ ಆಗಿದೆ",
+      cancelledTitle: "ರದ್ದಾದ ಆರ್ಡರ್‌ಗಳು",
+      noCancelled: "ಇನ್ನೂ ರದ್ದಾದ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      preparingTitle: "ತಯಾರಾಗುತ್ತಿರುವ ಆರ್ಡರ್‌ಗಳು",
+      noPreparing: "ತಯಾರಾಗುತ್ತಿರುವ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      readyTitle: "ಪಿಕಪ್‌ಗೆ ಸಿದ್ಧ",
+      noReady: "ಪಿಕಪ್‌ಗೆ ಸಿದ್ಧವಾದ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      outForDeliveryTitle: "ಡೆಲಿವರಿಗೆ ಹೊರಟವು",
+      noOutForDelivery: "ಡೆಲಿವರಿಗೆ ಹೊರಟ ಆರ್ಡರ್‌ಗಳಿಲ್ಲ",
+      scheduledEmpty: "ನಿಗದಿತ ಆರ್ಡರ್‌ಗಳು ಇಲ್ಲಿ ಕಾಣಿಸುತ್ತವೆ",
+      temporarilyClosed: "ತಾತ್ಕಾಲಿಕವಾಗಿ ಮುಚ್ಚಲಾಗಿದೆ",
+      viewStatus: "ಸ್ಥಿತಿ ನೋಡಿ",
+      cancelOrder: "ಆರ್ಡರ್ ರದ್ದುಮಾಡಿ",
+      assigned: "ನಿಯೋಜಿಸಲಾಗಿದೆ",
+      notAssigned: "ನಿಯೋಜಿಸಲಾಗಿಲ್ಲ",
+      markReady: "ಸಿದ್ಧ ಎಂದು ಗುರುತಿಸಿ",
+      itemCountOne: "{count} ಐಟಂ",
+      itemCount: "{count} ಐಟಂಗಳು",
+      deliveryAddress: "ಡೆಲಿವರಿ ವಿಳಾಸ",
+      sendCutlery: "ಕಟ್ಲರಿ ಕಳುಹಿಸಿ",
+      dontSendCutlery: "ಕಟ್ಲರಿ ಕಳುಹಿಸಬೇಡಿ",
+      cashOnDelivery: "ಕ್ಯಾಶ್ ಆನ್ ಡೆಲಿವರಿ",
+      online: "ಆನ್‌ಲೈನ್",
+      prepTime: "ತಯಾರಿ ಸಮಯ",
+      minutes: "{count} ನಿಮಿಷ",
+      accept: "ಸ್ವೀಕರಿಸಿ ({time})",
+      rejectOrder: "ಆರ್ಡರ್ ತಿರಸ್ಕರಿಸಿ",
+      needHelp: "ಈ ಆರ್ಡರ್‌ನಲ್ಲಿ ಸಹಾಯ ಬೇಕೆ?",
+      rejectTitle: "ಆರ್ಡರ್ {id} ತಿರಸ್ಕರಿಸಿ",
+      rejectHint: "ದಯವಿಟ್ಟು ಈ ಆರ್ಡರ್ ತಿರಸ್ಕರಿಸಲು ಕಾರಣ ಆಯ್ಕೆಮಾಡಿ",
+      cancel: "ರದ್ದುಮಾಡಿ",
+      confirmRejection: "ತಿರಸ್ಕಾರವನ್ನು ದೃಢೀಕರಿಸಿ",
+      cancelTitle: "ಆರ್ಡರ್ {id} ರದ್ದುಮಾಡಿ",
+      cancelHint: "ದಯವಿಟ್ಟು ಈ ಆರ್ಡರ್ ರದ್ದುಮಾಡಲು ಕಾರಣ ನೀಡಿ",
+      confirmCancellation: "ರದ್ದತಿಯನ್ನು ದೃಢೀಕರಿಸಿ",
+      items: "ಐಟಂಗಳು",
+      close: "ಮುಚ್ಚಿ",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ಫೀಡ್",
+      pocket: "ಪಾಕೆಟ್",
+      tripHistory: "ಟ್ರಿಪ್ ಇತಿಹಾಸ",
+      profile: "ಪ್ರೊಫೈಲ್",
+    },
+    home: {
+      online: "ಆನ್‌ಲೈನ್",
+      offline: "ಆಫ್‌ಲೈನ್",
+      earnings: "ಗಳಿಕೆ",
+      trips: "ಟ್ರಿಪ್‌ಗಳು",
+      timeOnOrders: "ಆರ್ಡರ್‌ಗಳಲ್ಲಿ ಕಳೆದ ಸಮಯ",
+      history: "ಇತಿಹಾಸ",
+      helpTitle: "ನಾವು ಹೇಗೆ ಸಹಾಯ ಮಾಡಬಹುದು?",
+      emergencyHelp: "ತುರ್ತು ಸಹಾಯ",
+      bookGigsTitle: "ಆನ್‌ಲೈನ್ ಆಗಲು ಗಿಗ್‌ಗಳನ್ನು ಬುಕ್ ಮಾಡಿ",
+      gigDetails: "ಗಿಗ್ ವಿವರಗಳು",
+      gigBookingOpen: "ನಿಮ್ಮ ವಲಯದಲ್ಲಿ ಗಿಗ್ ಬುಕಿಂಗ್ ತೆರೆದಿದೆ",
+      bookGigsHint: "ಆನ್‌ಲೈನ್ ಆಗಿ ಆರ್ಡರ್‌ಗಳ ಡೆಲಿವರಿ ಆರಂಭಿಸಲು ಈಗಲೇ ನಿಮ್ಮ ಗಿಗ್‌ಗಳನ್ನು ಬುಕ್ ಮಾಡಿ",
+      bookGigs: "ಗಿಗ್‌ಗಳನ್ನು ಬುಕ್ ಮಾಡಿ",
+      newOrder: "ಹೊಸ ಆರ್ಡರ್",
+      pickUp: "ಪಿಕಪ್",
+      releaseToAccept: "ಸ್ವೀಕರಿಸಲು ಬಿಡಿ",
+      acceptOrder: "ಆರ್ಡರ್ ಸ್ವೀಕರಿಸಿ",
+      deny: "ನಿರಾಕರಿಸಿ",
+      cantAccept: "ಆರ್ಡರ್ ಸ್ವೀಕರಿಸಲು ಸಾಧ್ಯವಿಲ್ಲ",
+      cantAcceptHint: "ದಯವಿಟ್ಟು ಈ ಆರ್ಡರ್ ಸ್ವೀಕರಿಸದಿರಲು ಕಾರಣ ಆಯ್ಕೆಮಾಡಿ",
+      cancel: "ರದ್ದುಮಾಡಿ",
+      confirm: "ದೃಢೀಕರಿಸಿ",
+      releaseToConfirm: "ದೃಢೀಕರಿಸಲು ಬಿಡಿ",
+      reachedPickup: "ಪಿಕಪ್ ತಲುಪಿದೆ",
+      confirmOrderId: "ಆರ್ಡರ್ ID ದೃಢೀಕರಿಸಿ",
+      confirmOrderIdHint: "ಪಿಕಪ್‌ಗೆ ಮೊದಲು ರೆಸ್ಟೋರೆಂಟ್ ಜೊತೆ ಆರ್ಡರ್ ID ಪರಿಶೀಲಿಸಿ",
+      orderId: "ಆರ್ಡರ್ ID",
+      billUploadedHint: "ಬಿಲ್ ಚಿತ್ರ ಅಪ್‌ಲೋಡ್ ಆಗಿದೆ",
+      captureBillHint: "ದಯವಿಟ್ಟು ಬಿಲ್ ಚಿತ್ರ ತೆಗೆಯಿರಿ",
+      uploading: "ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿದೆ...",
+      billUploaded: "ಬಿಲ್ ಅಪ್‌ಲೋಡ್ ಆಗಿದೆ",
+      captureBill: "ಬಿಲ್ ಚಿತ್ರ ತೆಗೆಯಿರಿ",
+      uploadBillFirst: "ಮೊದಲು ಬಿಲ್ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ",
+      orderPickedUp: "ಆರ್ಡರ್ ಪಿಕಪ್ ಮಾಡಲಾಗಿದೆ",
+      drop: "ಡ್ರಾಪ್",
+      reachedDrop: "ಡ್ರಾಪ್ ತಲುಪಿದೆ",
+      collectCod: "ಗ್ರಾಹಕರಿಂದ ಸಂಗ್ರಹಿಸಿ (COD)",
+      payAtHotel: "ಹೋಟೆಲ್‌ನಲ್ಲಿ ಪಾವತಿ",
+      paidOnline: "ಮೊತ್ತ ಪಾವತಿಸಲಾಗಿದೆ (ಆನ್‌ಲೈನ್)",
+      cashCollectedVerified: "ನಗದು ಸಂಗ್ರಹಿಸಲಾಗಿದೆ (ಪರಿಶೀಲಿಸಲಾಗಿದೆ)",
+      cashCollectedAtHotel: "ಹೋಟೆಲ್‌ನಲ್ಲಿ ನಗದು ಸಂಗ್ರಹಿಸಲಾಗಿದೆ",
+      orderDelivered: "ಆರ್ಡರ್ ಡೆಲಿವರಿ ಆಗಿದೆ",
+      rateExperience: "ನಿಮ್ಮ ಅನುಭವವನ್ನು ರೇಟ್ ಮಾಡಿ",
+      rateExperienceHint: "ನಿಮ್ಮ ಡೆಲಿವರಿ ಅನುಭವ ಹೇಗಿತ್ತು?",
+      shareExperience: "ನಿಮ್ಮ ಅನುಭವ ಹಂಚಿಕೊಳ್ಳಿ...",
+      submitReview: "ವಿಮರ್ಶೆ ಸಲ್ಲಿಸಿ",
+      complete: "ಪೂರ್ಣಗೊಳಿಸಿ",
+    },
+  },
+}
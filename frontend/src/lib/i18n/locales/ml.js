@@ -0,0 +1,312 @@
+// Malayalam
+export default {
+  common: {
+    language: {
+      title: "ഭാഷ മാറ്റുക",
+      label: "ഭാഷ",
+      subtitle: "ആപ്പിനായി നിങ്ങൾക്കിഷ്ടമുള്ള ഭാഷ തിരഞ്ഞെടുക്കുക",
+      note: "അറിയിപ്പുകളും SMS-ഉം ഇമെയിലുകളും ഈ ഭാഷയിൽ തന്നെ അയയ്ക്കും.",
+      updated: "ഭാഷ മാറ്റി",
+      saveFailed: "നിങ്ങളുടെ ഭാഷ സേവ് ചെയ്യാനായില്ല. ഈ ഉപകരണത്തിൽ ഇത് തുടർന്നും ഉപയോഗിക്കും.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "ഡെലിവറി",
+      under250: "₹250-ൽ താഴെ",
+      dining: "ഡൈനിംഗ്",
+      profile: "പ്രൊഫൈൽ",
+    },
+    settings: {
+      title: "ക്രമീകരണങ്ങൾ",
+      preferences: "അറിയിപ്പുകളും മുൻഗണനകളും",
+      emailNotifications: "ഇമെയിൽ അറിയിപ്പുകൾ",
+      emailNotificationsHint: "നിങ്ങളുടെ ഓർഡറുകളുടെ വിവരങ്ങൾ ഇമെയിലിൽ നേടൂ",
+      pushNotifications: "പുഷ് അറിയിപ്പുകൾ",
+      pushNotificationsHint: "നിങ്ങളുടെ ഉപകരണത്തിൽ പുഷ് അറിയിപ്പുകൾ നേടൂ",
+    },
+    cart: {
+      title: "കാർട്ട്",
+      empty: "നിങ്ങളുടെ കാർട്ട് ശൂന്യമാണ്",
+      emptyHint: "പുതിയ ഓർഡർ തുടങ്ങാൻ ഒരു റെസ്റ്റോറന്റിൽ നിന്ന് ഇനങ്ങൾ ചേർക്കുക",
+      browseRestaurants: "റെസ്റ്റോറന്റുകൾ കാണുക",
+      savedOnOrder: "ഈ ഓർഡറിൽ നിങ്ങൾ ₹{amount} ലാഭിച്ചു",
+      editItem: "ഇനം മാറ്റുക",
+      addMoreItems: "കൂടുതൽ ഇനങ്ങൾ ചേർക്കുക",
+      addNote: "റെസ്റ്റോറന്റിനായി ഒരു കുറിപ്പ് ചേർക്കുക",
+      dontSendCutlery: "കട്ട്ലറി അയയ്ക്കേണ്ട",
+      noCutlery: "കട്ട്ലറി വേണ്ട",
+      notePlaceholder: "പാചക നിർദേശങ്ങൾ, അലർജികൾ തുടങ്ങിയവ ചേർക്കുക",
+      completeYourMeal: "നിങ്ങളുടെ ഭക്ഷണം പൂർത്തിയാക്കാൻ",
+      couponApplied: "'{code}' പ്രയോഗിച്ചു",
+      youSaved: "നിങ്ങൾ ₹{amount} ലാഭിച്ചു",
+      removeCoupon: "നീക്കം ചെയ്യുക",
+      loadingCoupons: "കൂപ്പണുകൾ ലോഡ് ചെയ്യുന്നു...",
+      viewAllCoupons: "എല്ലാ കൂപ്പണുകളും കാണുക",
+      minOrder: "കുറഞ്ഞത് ₹{amount}",
+      apply: "പ്രയോഗിക്കുക",
+      noCoupons: "കൂപ്പണുകളൊന്നും ലഭ്യമല്ല",
+      deliveryIn: "ഡെലിവറി സമയം",
+      deliveryAt: "ഡെലിവറി സ്ഥലം",
+      location: "സ്ഥലം",
+      addDeliveryAddress: "ഡെലിവറി വിലാസം ചേർക്കുക",
+      additionalAddress: "അധിക വിലാസം",
+      additionalAddressPlaceholder: "അധിക വിലാസ വിവരങ്ങൾ നൽകുക (ഉദാ. ഫ്ലാറ്റ് നമ്പർ, നില, അടയാളം)",
+      totalBill: "ആകെ ബിൽ",
+      inclTaxes: "നികുതികളും ചാർജുകളും ഉൾപ്പെടെ",
+      itemTotal: "ഇനങ്ങളുടെ ആകെ",
+      deliveryFee: "ഡെലിവറി ഫീസ്",
+      free: "സൗജന്യം",
+      platformFee: "പ്ലാറ്റ്ഫോം ഫീസ്",
+      gstAndCharges: "GST-യും റെസ്റ്റോറന്റ് ചാർജുകളും",
+      gst: "GST",
+      deliveryTip: "ഡെലിവറി പാർട്ണർ ടിപ്പ്",
+      couponDiscount: "കൂപ്പൺ കിഴിവ്",
+      toPay: "അടയ്ക്കേണ്ടത്",
+      orderSummary: "ഓർഡർ സംഗ്രഹം",
+      discount: "കിഴിവ്",
+      total: "ആകെ",
+      payUsing: "ഇതിലൂടെ അടയ്ക്കുക",
+      wallet: "വാലറ്റ്",
+      payAtHotel: "ഹോട്ടലിൽ അടയ്ക്കുക",
+      onlinePayment: "ഓൺലൈൻ പേയ്മെന്റ്",
+      paymentMethod: "പേയ്മെന്റ് രീതി",
+      razorpayOnline: "Razorpay ഓൺലൈൻ പേയ്മെന്റ്",
+      loading: "ലോഡ് ചെയ്യുന്നു...",
+      roomNumber: "മുറി നമ്പർ",
+      roomNumberPlaceholder: "നിങ്ങളുടെ മുറി നമ്പർ നൽകുക (ഉദാ. 101)",
+      roomFromQr: "നിങ്ങളുടെ മുറിയിലെ QR കോഡിൽ നിന്ന് മുറി നമ്പർ എടുത്തു",
+      orderingFrom: "ഇവിടെ നിന്ന് ഓർഡർ: {hotel}",
+      totalCaps: "ആകെ",
+      processing: "പ്രോസസ് ചെയ്യുന്നു...",
+      selectPayment: "പേയ്മെന്റ് തിരഞ്ഞെടുക്കുക",
+      placeOrder: "ഓർഡർ ചെയ്യുക",
+      insufficientBalance: "ബാലൻസ് മതിയാകില്ല",
+      placeOrderPayAtHotel: "ഓർഡർ ചെയ്യുക (ഹോട്ടലിൽ അടയ്ക്കുക)",
+      placingOrder: "നിങ്ങളുടെ ഓർഡർ നൽകുന്നു",
+      payOnlineAmount: "₹{amount} ഓൺലൈനായി അടയ്ക്കുക (Razorpay)",
+      payFromWallet: "വാലറ്റിൽ നിന്ന് ₹{amount} അടയ്ക്കുക",
+      payAtHotelOnArrival: "എത്തുമ്പോൾ ഹോട്ടലിൽ അടയ്ക്കുക",
+      payOnline: "ഓൺലൈനായി അടയ്ക്കുക",
+      deliveringTo: "ഈ സ്ഥലത്തേക്ക് ഡെലിവറി",
+      cancel: "റദ്ദാക്കുക",
+      orderPlaced: "ഓർഡർ ചെയ്തു!",
+      onItsWay: "നിങ്ങളുടെ രുചികരമായ ഭക്ഷണം വഴിയിലാണ്",
+      trackOrder: "നിങ്ങളുടെ ഓർഡർ ട്രാക്ക് ചെയ്യുക",
+    },
+    orders: {
+      title: "നിങ്ങളുടെ ഓർഡറുകൾ",
+      empty: "നിങ്ങൾ ഇതുവരെ ഓർഡറൊന്നും ചെയ്തിട്ടില്ല",
+      startOrdering: "ഓർഡർ ചെയ്യാൻ തുടങ്ങുക",
+      searchPlaceholder: "റെസ്റ്റോറന്റോ വിഭവമോ ഉപയോഗിച്ച് തിരയുക",
+      noMatches: "നിങ്ങളുടെ തിരയലിന് ചേരുന്ന ഓർഡറുകളില്ല",
+      deliveryPartner: "ഡെലിവറി:",
+      shareRestaurant: "റെസ്റ്റോറന്റ് പങ്കിടുക",
+      orderDetails: "ഓർഡർ വിവരങ്ങൾ",
+      orderNumber: "ഓർഡർ #{id}",
+      itemCountOne: "{count} ഇനം",
+      itemCount: "{count} ഇനങ്ങൾ",
+      subtotal: "ഉപമൊത്തം",
+      tax: "നികുതി",
+      couponApplied: "കൂപ്പൺ പ്രയോഗിച്ചു",
+      placedOn: "{date}-ന് ഓർഡർ ചെയ്തു",
+      deliveredOn: "{date}-ന് ഡെലിവർ ചെയ്തു",
+      payment: "പേയ്മെന്റ്:",
+      cashOnDelivery: "ക്യാഷ് ഓൺ ഡെലിവറി",
+      online: "ഓൺലൈൻ",
+      delivered: "ഡെലിവർ ചെയ്തു",
+      restaurantCancelled: "റെസ്റ്റോറന്റ് റദ്ദാക്കി",
+      cancelledByYou: "നിങ്ങൾ റദ്ദാക്കി",
+      cancelled: "റദ്ദാക്കി",
+      viewDetails: "വിവരങ്ങൾ കാണുക",
+      refundInfo: "റീഫണ്ട് 24-48 മണിക്കൂറിനുള്ളിൽ പ്രോസസ് ചെയ്യും",
+      paymentFailed: "പേയ്മെന്റ് പരാജയപ്പെട്ടു",
+      youRated: "നിങ്ങളുടെ റേറ്റിംഗ്",
+      orderDelivered: "ഓർഡർ ഡെലിവർ ചെയ്തു",
+      rateOrder: "ഓർഡർ റേറ്റ് ചെയ്യുക",
+      preparing: "തയ്യാറാക്കുന്നു",
+      outForDelivery: "ഡെലിവറിക്കായി പുറപ്പെട്ടു",
+      confirmed: "ഓർഡർ സ്ഥിരീകരിച്ചു",
+      minutesRemaining: "{count} മിനിറ്റ് ബാക്കി",
+      reorder: "വീണ്ടും ഓർഡർ ചെയ്യുക",
+      rateTitle: "നിങ്ങളുടെ ഓർഡർ റേറ്റ് ചെയ്യുക",
+      ratingQuestion: "നിങ്ങളുടെ മൊത്തത്തിലുള്ള അനുഭവം എങ്ങനെയായിരുന്നു?",
+      feedbackLabel: "നിങ്ങളുടെ അഭിപ്രായം പങ്കിടുക",
+      optional: "ഐച്ഛികം",
+      feedbackPlaceholder: "ഈ ഓർഡറിൽ നിങ്ങൾക്ക് എന്ത് ഇഷ്ടപ്പെട്ടു അല്ലെങ്കിൽ ഇഷ്ടപ്പെട്ടില്ല? നിങ്ങളുടെ അനുഭവം പങ്കിടുക...",
+      submitting: "സമർപ്പിക്കുന്നു...",
+      submitRating: "റേറ്റിംഗ് സമർപ്പിക്കുക",
+      selectRating: "തുടരാൻ ദയവായി ഒരു റേറ്റിംഗ് തിരഞ്ഞെടുക്കുക",
+    },
+    tracking: {
+      loading: "ഓർഡർ വിവരങ്ങൾ ലോഡ് ചെയ്യുന്നു...",
+      notFound: "ഓർഡർ കണ്ടെത്തിയില്ല",
+      notFoundHint: "നിങ്ങൾ തിരയുന്ന ഓർഡർ നിലവിലില്ല.",
+      backToOrders: "ഓർഡറുകളിലേക്ക് മടങ്ങുക",
+      placed: "ഓർഡർ ചെയ്തു",
+      preparationSoon: "ഭക്ഷണം തയ്യാറാക്കൽ ഉടൻ ആരംഭിക്കും",
+      preparing: "നിങ്ങളുടെ ഓർഡർ തയ്യാറാക്കുന്നു",
+      arrivingIn: "{minutes} മിനിറ്റിനുള്ളിൽ എത്തും",
+      pickedUp: "ഓർഡർ എടുത്തു",
+      onTheWay: "വഴിയിലാണ്",
+      delivered: "ഓർഡർ ഡെലിവർ ചെയ്തു",
+      enjoyMeal: "ഭക്ഷണം ആസ്വദിക്കൂ!",
+      cancelled: "ഓർഡർ റദ്ദാക്കി",
+      cancelledHint: "ഈ ഓർഡർ റദ്ദാക്കിയിരിക്കുന്നു",
+      confirmed: "ഓർഡർ സ്ഥിരീകരിച്ചു!",
+      placedSuccessfully: "നിങ്ങളുടെ ഓർഡർ വിജയകരമായി നൽകി",
+      onTime: "കൃത്യസമയത്ത്",
+      foodCooking: "ഭക്ഷണം പാകം ചെയ്യുന്നു",
+      partnerSafety: "ഡെലിവറി പാർട്ണറുടെ സുരക്ഷയെക്കുറിച്ച് അറിയുക",
+      detailsBanner: "നിങ്ങളുടെ എല്ലാ ഡെലിവറി വിവരങ്ങളും ഒരിടത്ത്",
+      customer: "ഉപഭോക്താവ്",
+      noPhone: "ഫോൺ നമ്പർ ലഭ്യമല്ല",
+      deliveryAtLocation: "ഈ സ്ഥലത്ത് ഡെലിവറി",
+      addInstructions: "ഡെലിവറി നിർദേശങ്ങൾ ചേർക്കുക",
+      instructionsHint: "ഡെലിവറി പാർട്ണർക്കായി ഒരു കുറിപ്പ് നൽകുക",
+      chatWithPartner: "ഡെലിവറി പാർട്ണറുമായി ചാറ്റ് ചെയ്യുക",
+      chatHint: "നിങ്ങളുടെ ഡെലിവറി പാർട്ണർക്ക് സന്ദേശം അയയ്ക്കുക",
+      callRestaurant: "റെസ്റ്റോറന്റിലേക്ക് വിളിക്കുക",
+      cancelOrder: "ഓർഡർ റദ്ദാക്കുക",
+      cancelReasonPlaceholder: "ഉദാ., മനസ്സ് മാറി, തെറ്റായ വിലാസം തുടങ്ങിയവ.",
+      cancel: "റദ്ദാക്കുക",
+      cancelling: "റദ്ദാക്കുന്നു...",
+      confirmCancellation: "റദ്ദാക്കൽ സ്ഥിരീകരിക്കുക",
+      instructionsTitle: "ഡെലിവറി നിർദേശങ്ങൾ",
+      instructionsDescription: "ഡെലിവറി പാർട്ണർക്കുള്ള നിർദേശങ്ങൾ ചേർക്കുക (ഉദാ. \"ബെൽ അടിക്കുക\", \"വാതിലിനരികിൽ വയ്ക്കുക\", \"എത്തുമ്പോൾ വിളിക്കുക\").",
+      instructionsPlaceholder: "ഉദാ., രണ്ടുതവണ ബെൽ അടിക്കുക, വാതിലിനരികിൽ വയ്ക്കുക, എത്തുമ്പോൾ വിളിക്കുക",
+      instructionsUpdated: "ഡെലിവറി നിർദേശങ്ങൾ അപ്ഡേറ്റ് ചെയ്തു",
+      saving: "സേവ് ചെയ്യുന്നു...",
+      save: "സേവ് ചെയ്യുക",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "ക്രമീകരണങ്ങൾ",
+      account: "അക്കൗണ്ട്",
+      notifications: "അറിയിപ്പുകൾ",
+      privacySecurity: "സ്വകാര്യതയും സുരക്ഷയും",
+      preferences: "മുൻഗണനകൾ",
+      theme: "തീം",
+      support: "സഹായവും വിവരങ്ങളും",
+      conversation: "സംഭാഷണം",
+      terms: "നിബന്ധനകളും വ്യവസ്ഥകളും",
+      privacyPolicy: "സ്വകാര്യതാ നയം",
+      about: "ഞങ്ങളെക്കുറിച്ച്",
+      actions: "പ്രവർത്തനങ്ങൾ",
+      logout: "ലോഗ് ഔട്ട്",
+      logoutConfirm: "നിങ്ങൾക്ക് ലോഗ് ഔട്ട് ചെയ്യണമെന്ന് ഉറപ്പാണോ?",
+    },
+    item: {
+      nameTranslations: "മറ്റ് ഭാഷകളിലെ പേര്",
+      nameTranslationsHint: "ഈ ഭാഷകളിൽ ആപ്പ് ഉപയോഗിക്കുന്ന ഉപഭോക്താക്കൾ ഈ പേര് കാണും",
+    },
+    orders: {
+      tabs: {
+        preparing: "തയ്യാറാക്കുന്നവ",
+        ready: "തയ്യാർ",
+        outForDelivery: "ഡെലിവറിക്കായി പുറപ്പെട്ടവ",
+        scheduled: "ഷെഡ്യൂൾ ചെയ്തവ",
+        tableBooking: "ടേബിൾ ബുക്കിംഗ്",
+        completed: "പൂർത്തിയായവ",
+        cancelled: "റദ്ദാക്കിയവ",
+      },
+      completedTitle: "പൂർത്തിയായ ഓർഡറുകൾ",
+      noCompleted: "ഇതുവരെ പൂർത്തിയായ ഓർഡറുകളില്ല",
+      delivered: "ഡെലിവർ ചെയ്തു",
+      cancelledTitle: "റദ്ദാക്കിയ ഓർഡറുകൾ",
+      noCancelled: "ഇതുവരെ റദ്ദാക്കിയ ഓർഡറുകളില്ല",
+      preparingTitle: "തയ്യാറാക്കുന്ന ഓർഡറുകൾ",
+      noPreparing: "തയ്യാറാക്കുന്ന ഓർഡറുകളില്ല",
+      readyTitle: "പിക്കപ്പിന് തയ്യാർ",
+      noReady: "പിക്കപ്പിന് തയ്യാറായ ഓർഡറുകളില്ല",
+      outForDeliveryTitle: "ഡെലിവറിക്കായി പുറപ്പെട്ടവ",
+      noOutForDelivery: "ഡെലിവറിക്കായി പുറപ്പെട്ട ഓർഡറുകളില്ല",
+      scheduledEmpty: "ഷെഡ്യൂൾ ചെയ്ത ഓർഡറുകൾ ഇവിടെ കാണാം",
+      temporarilyClosed: "താൽക്കാലികമായി അടച്ചിരിക്കുന്നു",
+      viewStatus: "നില കാണുക",
+      cancelOrder: "ഓർഡർ റദ്ദാക്കുക",
+      assigned: "നിയോഗിച്ചു",
+      notAssigned: "നിയോഗിച്ചിട്ടില്ല",
+      markReady: "തയ്യാർ എന്ന് അടയാളപ്പെടുത്തുക",
+      itemCountOne: "{count} ഇനം",
+      itemCount: "{count} ഇനങ്ങൾ",
+      deliveryAddress: "ഡെലിവറി വിലാസം",
+      sendCutlery: "കട്ട്ലറി അയയ്ക്കുക",
+      dontSendCutlery: "കട്ട്ലറി അയയ്ക്കേണ്ട",
+      cashOnDelivery: "ക്യാഷ് ഓൺ ഡെലിവറി",
+      online: "ഓൺലൈൻ",
+      prepTime: "തയ്യാറാക്കൽ സമയം",
+      minutes: "{count} മിനിറ്റ്",
+      accept: "സ്വീകരിക്കുക ({time})",
+      rejectOrder: "ഓർഡർ നിരസിക്കുക",
+      needHelp: "ഈ ഓർഡറിൽ സഹായം വേണോ?",
+      rejectTitle: "ഓർഡർ {id} നിരസിക്കുക",
+      rejectHint: "ഈ ഓർഡർ നിരസിക്കാനുള്ള കാരണം തിരഞ്ഞെടുക്കുക",
+      cancel: "റദ്ദാക്കുക",
+      confirmRejection: "നിരസിക്കൽ സ്ഥിരീകരിക്കുക",
+      cancelTitle: "ഓർഡർ {id} റദ്ദാക്കുക",
+      cancelHint: "ഈ ഓർഡർ റദ്ദാക്കാനുള്ള കാരണം നൽകുക",
+      confirmCancellation: "റദ്ദാക്കൽ സ്ഥിരീകരിക്കുക",
+      items: "ഇനങ്ങൾ",
+      close: "അടയ്ക്കുക",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ഫീഡ്",
+      pocket: "പോക്കറ്റ്",
+      tripHistory: "യാത്രാ ചരിത്രം",
+      profile: "പ്രൊഫൈൽ",
+    },
+    home: {
+      online: "ഓൺലൈൻ",
+      offline: "ഓഫ്‌ലൈൻ",
+      earnings: "വരുമാനം",
+      trips: "ട്രിപ്പുകൾ",
+      timeOnOrders: "ഓർഡറുകളിൽ ചെലവഴിച്ച സമയം",
+      history: "ചരിത്രം",
+      helpTitle: "ഞങ്ങൾക്ക് എങ്ങനെ സഹായിക്കാം?",
+      emergencyHelp: "അടിയന്തര സഹായം",
+      bookGigsTitle: "ഓൺലൈനാകാൻ ഗിഗുകൾ ബുക്ക് ചെയ്യുക",
+      gigDetails: "ഗിഗ് വിവരങ്ങൾ",
+      gigBookingOpen: "നിങ്ങളുടെ സോണിൽ ഗിഗ് ബുക്കിംഗ് തുറന്നിരിക്കുന്നു",
+      bookGigsHint: "ഓൺലൈനായി ഓർഡറുകൾ ഡെലിവർ ചെയ്യാൻ തുടങ്ങാൻ ഇപ്പോൾ തന്നെ നിങ്ങളുടെ ഗിഗുകൾ ബുക്ക് ചെയ്യുക",
+      bookGigs: "ഗിഗുകൾ ബുക്ക് ചെയ്യുക",
+      newOrder: "പുതിയ ഓർഡർ",
+      pickUp: "പിക്കപ്പ്",
+      releaseToAccept: "സ്വീകരിക്കാൻ വിടുക",
+      acceptOrder: "ഓർഡർ സ്വീകരിക്കുക",
+      deny: "നിരസിക്കുക",
+      cantAccept: "ഓർഡർ സ്വീകരിക്കാനാകില്ല",
+      cantAcceptHint: "ഈ ഓർഡർ സ്വീകരിക്കാത്തതിന്റെ കാരണം തിരഞ്ഞെടുക്കുക",
+      cancel: "റദ്ദാക്കുക",
+      confirm: "സ്ഥിരീകരിക്കുക",
+      releaseToConfirm: "സ്ഥിരീകരിക്കാൻ വിടുക",
+      reachedPickup: "പിക്കപ്പിൽ എത്തി",
+      confirmOrderId: "ഓർഡർ ID സ്ഥിരീകരിക്കുക",
+      confirmOrderIdHint: "പിക്കപ്പിന് മുമ്പ് റെസ്റ്റോറന്റുമായി ഓർഡർ ID പരിശോധിക്കുക",
+      orderId: "ഓർഡർ ID",
+      billUploadedHint: "ബിൽ ചിത്രം അപ്‌ലോഡ് ചെയ്തു",
+      captureBillHint: "ദയവായി ബിൽ ചിത്രം എടുക്കുക",
+      uploading: "അപ്‌ലോഡ് ചെയ്യുന്നു...",
+      billUploaded: "ബിൽ അപ്‌ലോഡ് ചെയ്തു",
+      captureBill: "ബിൽ ചിത്രമെടുക്കുക",
+      uploadBillFirst: "ആദ്യം ബിൽ അപ്‌ലോഡ് ചെയ്യുക",
+      orderPickedUp: "ഓർഡർ എടുത്തു",
+      drop: "ഡ്രോപ്പ്",
+      reachedDrop: "ഡ്രോപ്പിൽ എത്തി",
+      collectCod: "ഉപഭോക്താവിൽ നിന്ന് വാങ്ങുക (COD)",
+      payAtHotel: "ഹോട്ടലിൽ പേയ്മെന്റ്",
+      paidOnline: "തുക അടച്ചു (ഓൺലൈൻ)",
+      cashCollectedVerified: "പണം വാങ്ങി (സ്ഥിരീകരിച്ചു)",
+      cashCollectedAtHotel: "ഹോട്ടലിൽ പണം വാങ്ങി",
+      orderDelivered: "ഓർഡർ ഡെലിവർ ചെയ്തു",
+      rateExperience: "നിങ്ങളുടെ അനുഭവം റേറ്റ് ചെയ്യുക",
+      rateExperienceHint: "നിങ്ങളുടെ ഡെലിവറി അനുഭവം എങ്ങനെയായിരുന്നു?",
+      shareExperience: "നിങ്ങളുടെ അനുഭവം പങ്കിടുക...",
+      submitReview: "അവലോകനം സമർപ്പിക്കുക",
+      complete: "പൂർത്തിയാക്കുക",
+    },
+  },
+}
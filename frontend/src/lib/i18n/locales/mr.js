@@ -0,0 +1,312 @@
+// Marathi
+export default {
+  common: {
+    language: {
+      title: "भाषा बदला",
+      label: "भाषा",
+      subtitle: "ॲपसाठी तुमची पसंतीची भाषा निवडा",
+      note: "सूचना, SMS आणि ईमेलही याच भाषेत पाठवले जातील.",
+      updated: "भाषा बदलली",
+      saveFailed: "तुमची भाषा जतन करता आली नाही. या डिव्हाइसवर ती वापरली जाईल.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "डिलिव्हरी",
+      under250: "₹250 पेक्षा कमी",
+      dining: "डायनिंग",
+      profile: "प्रोफाइल",
+    },
+    settings: {
+      title: "सेटिंग्ज",
+      preferences: "सूचना आणि प्राधान्ये",
+      emailNotifications: "ईमेल सूचना",
+      emailNotificationsHint: "तुमच्या ऑर्डरचे अपडेट ईमेलवर मिळवा",
+      pushNotifications: "पुश सूचना",
+      pushNotificationsHint: "तुमच्या डिव्हाइसवर पुश सूचना मिळवा",
+    },
+    cart: {
+      title: "कार्ट",
+      empty: "तुमचे कार्ट रिकामे आहे",
+      emptyHint: "नवीन ऑर्डर सुरू करण्यासाठी एखाद्या रेस्टॉरंटमधून पदार्थ जोडा",
+      browseRestaurants: "रेस्टॉरंट पाहा",
+      savedOnOrder: "या ऑर्डरवर तुम्ही ₹{amount} वाचवले",
+      editItem: "पदार्थ बदला",
+      addMoreItems: "आणखी पदार्थ जोडा",
+      addNote: "रेस्टॉरंटसाठी टीप जोडा",
+      dontSendCutlery: "कटलरी पाठवू नका",
+      noCutlery: "कटलरी नको",
+      notePlaceholder: "स्वयंपाकाच्या सूचना, ॲलर्जी इ. जोडा",
+      completeYourMeal: "तुमचे जेवण पूर्ण करा",
+      couponApplied: "'{code}' लागू झाला",
+      youSaved: "तुम्ही ₹{amount} वाचवले",
+      removeCoupon: "काढा",
+      loadingCoupons: "कूपन लोड होत आहेत...",
+      viewAllCoupons: "सर्व कूपन पाहा",
+      minOrder: "किमान ₹{amount}",
+      apply: "लागू करा",
+      noCoupons: "कोणतेही कूपन उपलब्ध नाही",
+      deliveryIn: "डिलिव्हरी",
+      deliveryAt: "डिलिव्हरीचा पत्ता",
+      location: "ठिकाण",
+      addDeliveryAddress: "डिलिव्हरीचा पत्ता जोडा",
+      additionalAddress: "अतिरिक्त पत्ता",
+      additionalAddressPlaceholder: "अतिरिक्त पत्त्याचा तपशील द्या (उदा. फ्लॅट क्र., मजला, खूण)",
+      totalBill: "एकूण बिल",
+      inclTaxes: "कर आणि शुल्कांसह",
+      itemTotal: "पदार्थांची एकूण रक्कम",
+      deliveryFee: "डिलिव्हरी शुल्क",
+      free: "मोफत",
+      platformFee: "प्लॅटफॉर्म शुल्क",
+      gstAndCharges: "GST आणि रेस्टॉरंट शुल्क",
+      gst: "GST",
+      deliveryTip: "डिलिव्हरी पार्टनर टिप",
+      couponDiscount: "कूपन सवलत",
+      toPay: "भरायची रक्कम",
+      orderSummary: "ऑर्डर सारांश",
+      discount: "सवलत",
+      total: "एकूण",
+      payUsing: "याद्वारे भरा",
+      wallet: "वॉलेट",
+      payAtHotel: "हॉटेलमध्ये भरा",
+      onlinePayment: "ऑनलाइन पेमेंट",
+      paymentMethod: "पेमेंट पद्धत",
+      razorpayOnline: "Razorpay ऑनलाइन पेमेंट",
+      loading: "लोड होत आहे...",
+      roomNumber: "खोली क्रमांक",
+      roomNumberPlaceholder: "तुमचा खोली क्रमांक लिहा (उदा. 101)",
+      roomFromQr: "तुमच्या खोलीतील QR कोडवरून खोली क्रमांक घेतला आहे",
+      orderingFrom: "येथून ऑर्डर: {hotel}",
+      totalCaps: "एकूण",
+      processing: "प्रक्रिया सुरू आहे...",
+      selectPayment: "पेमेंट निवडा",
+      placeOrder: "ऑर्डर करा",
+      insufficientBalance: "शिल्लक अपुरी आहे",
+      placeOrderPayAtHotel: "ऑर्डर करा (हॉटेलमध्ये पेमेंट)",
+      placingOrder: "तुमची ऑर्डर दिली जात आहे",
+      payOnlineAmount: "₹{amount} ऑनलाइन भरा (Razorpay)",
+      payFromWallet: "वॉलेटमधून ₹{amount} भरा",
+      payAtHotelOnArrival: "पोहोचल्यावर हॉटेलमध्ये भरा",
+      payOnline: "ऑनलाइन भरा",
+      deliveringTo: "या ठिकाणी डिलिव्हरी",
+      cancel: "रद्द करा",
+      orderPlaced: "ऑर्डर झाली!",
+      onItsWay: "तुमचे स्वादिष्ट जेवण वाटेत आहे",
+      trackOrder: "तुमची ऑर्डर ट्रॅक करा",
+    },
+    orders: {
+      title: "तुमच्या ऑर्डर",
+      empty: "तुम्ही अद्याप कोणतीही ऑर्डर दिलेली नाही",
+      startOrdering: "ऑर्डर करायला सुरुवात करा",
+      searchPlaceholder: "रेस्टॉरंट किंवा पदार्थाने शोधा",
+      noMatches: "तुमच्या शोधाशी जुळणारी ऑर्डर सापडली नाही",
+      deliveryPartner: "डिलिव्हरी:",
+      shareRestaurant: "रेस्टॉरंट शेअर करा",
+      orderDetails: "ऑर्डरचा तपशील",
+      orderNumber: "ऑर्डर #{id}",
+      itemCountOne: "{count} पदार्थ",
+      itemCount: "{count} पदार्थ",
+      subtotal: "उप-एकूण",
+      tax: "कर",
+      couponApplied: "कूपन लागू",
+      placedOn: "{date} रोजी ऑर्डर दिली",
+      deliveredOn: "{date} रोजी डिलिव्हर झाली",
+      payment: "पेमेंट:",
+      cashOnDelivery: "कॅश ऑन डिलिव्हरी",
+      online: "ऑनलाइन",
+      delivered: "डिलिव्हर झाली",
+      restaurantCancelled: "रेस्टॉरंटने रद्द केली",
+      cancelledByYou: "तुम्ही रद्द केली",
+      cancelled: "रद्द",
+      viewDetails: "तपशील पाहा",
+      refundInfo: "परतावा 24-48 तासांत प्रक्रिया होईल",
+      paymentFailed: "पेमेंट अयशस्वी झाले",
+      youRated: "तुमचे रेटिंग",
+      orderDelivered: "ऑर्डर डिलिव्हर झाली",
+      rateOrder: "ऑर्डरला रेटिंग द्या",
+      preparing: "तयार होत आहे",
+      outForDelivery: "डिलिव्हरीसाठी निघाली",
+      confirmed: "ऑर्डर निश्चित झाली",
+      minutesRemaining: "{count} मिनिटे बाकी",
+      reorder: "पुन्हा ऑर्डर करा",
+      rateTitle: "तुमच्या ऑर्डरला रेटिंग द्या",
+      ratingQuestion: "तुमचा एकूण अनुभव कसा होता?",
+      feedbackLabel: "तुमचा अभिप्राय द्या",
+      optional: "पर्यायी",
+      feedbackPlaceholder: "या ऑर्डरमध्ये तुम्हाला काय आवडले किंवा आवडले नाही? तुमचा अनुभव सांगा...",
+      submitting: "सबमिट होत आहे...",
+      submitRating: "रेटिंग सबमिट करा",
+      selectRating: "पुढे जाण्यासाठी कृपया रेटिंग निवडा",
+    },
+    tracking: {
+      loading: "ऑर्डरचा तपशील लोड होत आहे...",
+      notFound: "ऑर्डर सापडली नाही",
+      notFoundHint: "तुम्ही शोधत असलेली ऑर्डर अस्तित्वात नाही.",
+      backToOrders: "ऑर्डरकडे परत जा",
+      placed: "ऑर्डर दिली",
+      preparationSoon: "जेवण लवकरच तयार होऊ लागेल",
+      preparing: "तुमची ऑर्डर तयार होत आहे",
+      arrivingIn: "{minutes} मिनिटांत पोहोचेल",
+      pickedUp: "ऑर्डर उचलली",
+      onTheWay: "वाटेत आहे",
+      delivered: "ऑर्डर डिलिव्हर झाली",
+      enjoyMeal: "जेवणाचा आनंद घ्या!",
+      cancelled: "ऑर्डर रद्द झाली",
+      cancelledHint: "ही ऑर्डर रद्द करण्यात आली आहे",
+      confirmed: "ऑर्डर निश्चित झाली!",
+      placedSuccessfully: "तुमची ऑर्डर यशस्वीरित्या दिली गेली आहे",
+      onTime: "वेळेवर",
+      foodCooking: "जेवण शिजत आहे",
+      partnerSafety: "डिलिव्हरी पार्टनरच्या सुरक्षेबद्दल जाणून घ्या",
+      detailsBanner: "तुमच्या डिलिव्हरीचा सर्व तपशील एकाच ठिकाणी",
+      customer: "ग्राहक",
+      noPhone: "फोन नंबर उपलब्ध नाही",
+      deliveryAtLocation: "या ठिकाणी डिलिव्हरी",
+      addInstructions: "डिलिव्हरीच्या सूचना जोडा",
+      instructionsHint: "डिलिव्हरी पार्टनरसाठी टीप ठेवा",
+      chatWithPartner: "डिलिव्हरी पार्टनरशी चॅट करा",
+      chatHint: "तुमच्या डिलिव्हरी पार्टनरला संदेश पाठवा",
+      callRestaurant: "रेस्टॉरंटला कॉल करा",
+      cancelOrder: "ऑर्डर रद्द करा",
+      cancelReasonPlaceholder: "उदा., विचार बदलला, चुकीचा पत्ता इ.",
+      cancel: "रद्द करा",
+      cancelling: "रद्द होत आहे...",
+      confirmCancellation: "रद्द करणे निश्चित करा",
+      instructionsTitle: "डिलिव्हरीच्या सूचना",
+      instructionsDescription: "डिलिव्हरी पार्टनरसाठी सूचना जोडा (उदा. \"बेल वाजवा\", \"दारात ठेवा\", \"पोहोचल्यावर कॉल करा\").",
+      instructionsPlaceholder: "उदा., दोनदा बेल वाजवा, दारात ठेवा, पोहोचल्यावर कॉल करा",
+      instructionsUpdated: "डिलिव्हरीच्या सूचना अपडेट झाल्या",
+      saving: "सेव्ह होत आहे...",
+      save: "सेव्ह करा",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "सेटिंग्ज",
+      account: "खाते",
+      notifications: "सूचना",
+      privacySecurity: "गोपनीयता आणि सुरक्षा",
+      preferences: "प्राधान्ये",
+      theme: "थीम",
+      support: "मदत आणि माहिती",
+      conversation: "संभाषण",
+      terms: "नियम आणि अटी",
+      privacyPolicy: "गोपनीयता धोरण",
+      about: "आमच्याबद्दल",
+      actions: "क्रिया",
+      logout: "लॉग आउट",
+      logoutConfirm: "तुम्हाला नक्की लॉग आउट करायचे आहे का?",
+    },
+    item: {
+      nameTranslations: "इतर भाषांमधील नाव",
+      nameTranslationsHint: "या भाषांमध्ये ॲप वापरणाऱ्या ग्राहकांना हे नाव दिसेल",
+    },
+    orders: {
+      tabs: {
+        preparing: "तयार होत आहेत",
+        ready: "तयार",
+        outForDelivery: "डिलिव्हरीसाठी निघाल्या",
+        scheduled: "नियोजित",
+        tableBooking: "टेबल बुकिंग",
+        completed: "पूर्ण",
+        cancelled: "रद्द",
+      },
+      completedTitle: "पूर्ण झालेल्या ऑर्डर",
+      noCompleted: "अद्याप कोणतीही ऑर्डर पूर्ण झालेली नाही",
+      delivered: "डिलिव्हर झाली",
+      cancelledTitle: "रद्द झालेल्या ऑर्डर",
+      noCancelled: "अद्याप कोणतीही ऑर्डर रद्द झालेली नाही",
+      preparingTitle: "तयार होत असलेल्या ऑर्डर",
+      noPreparing: "कोणतीही ऑर्डर तयार होत नाही",
+      readyTitle: "पिकअपसाठी तयार",
+      noReady: "पिकअपसाठी कोणतीही ऑर्डर तयार नाही",
+      outForDeliveryTitle: "डिलिव्हरीसाठी निघाल्या",
+      noOutForDelivery: "डिलिव्हरीसाठी कोणतीही ऑर्डर निघालेली नाही",
+      scheduledEmpty: "नियोजित ऑर्डर येथे दिसतील",
+      temporarilyClosed: "तात्पुरते बंद",
+      viewStatus: "स्थिती पाहा",
+      cancelOrder: "ऑर्डर रद्द करा",
+      assigned: "नियुक्त",
+      notAssigned: "नियुक्त नाही",
+      markReady: "तयार म्हणून चिन्हांकित करा",
+      itemCountOne: "{count} पदार्थ",
+      itemCount: "{count} पदार्थ",
+      deliveryAddress: "डिलिव्हरीचा पत्ता",
+      sendCutlery: "कटलरी पाठवा",
+      dontSendCutlery: "कटलरी पाठवू नका",
+      cashOnDelivery: "कॅश ऑन डिलिव्हरी",
+      online: "ऑनलाइन",
+      prepTime: "तयारीचा वेळ",
+      minutes: "{count} मिनिटे",
+      accept: "स्वीकारा ({time})",
+      rejectOrder: "ऑर्डर नाकारा",
+      needHelp: "या ऑर्डरसाठी मदत हवी आहे का?",
+      rejectTitle: "ऑर्डर {id} नाकारा",
+      rejectHint: "कृपया ही ऑर्डर नाकारण्याचे कारण निवडा",
+      cancel: "रद्द करा",
+      confirmRejection: "नाकारणे निश्चित करा",
+      cancelTitle: "ऑर्डर {id} रद्द करा",
+      cancelHint: "कृपया ही ऑर्डर रद्द करण्याचे कारण द्या",
+      confirmCancellation: "रद्द करणे निश्चित करा",
+      items: "पदार्थ",
+      close: "बंद करा",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "फीड",
+      pocket: "पॉकेट",
+      tripHistory: "ट्रिप इतिहास",
+      profile: "प्रोफाइल",
+    },
+    home: {
+      online: "ऑनलाइन",
+      offline: "ऑफलाइन",
+      earnings: "कमाई",
+      trips: "ट्रिप",
+      timeOnOrders: "ऑर्डरवर घालवलेला वेळ",
+      history: "इतिहास",
+      helpTitle: "आम्ही कशी मदत करू?",
+      emergencyHelp: "आपत्कालीन मदत",
+      bookGigsTitle: "ऑनलाइन होण्यासाठी गिग बुक करा",
+      gigDetails: "गिगचा तपशील",
+      gigBookingOpen: "तुमच्या झोनमध्ये गिग बुकिंग सुरू आहे",
+      bookGigsHint: "ऑनलाइन होऊन ऑर्डर डिलिव्हर करायला सुरुवात करण्यासाठी आताच तुमचे गिग बुक करा",
+      bookGigs: "गिग बुक करा",
+      newOrder: "नवीन ऑर्डर",
+      pickUp: "पिकअप",
+      releaseToAccept: "स्वीकारण्यासाठी सोडा",
+      acceptOrder: "ऑर्डर स्वीकारा",
+      deny: "नाकारा",
+      cantAccept: "ऑर्डर स्वीकारू शकत नाही",
+      cantAcceptHint: "कृपया ही ऑर्डर न स्वीकारण्याचे कारण निवडा",
+      cancel: "रद्द करा",
+      confirm: "निश्चित करा",
+      releaseToConfirm: "निश्चित करण्यासाठी सोडा",
+      reachedPickup: "पिकअपला पोहोचलो",
+      confirmOrderId: "ऑर्डर ID निश्चित करा",
+      confirmOrderIdHint: "पिकअपपूर्वी रेस्टॉरंटसोबत ऑर्डर ID तपासा",
+      orderId: "ऑर्डर ID",
+      billUploadedHint: "बिलाचा फोटो अपलोड झाला",
+      captureBillHint: "कृपया बिलाचा फोटो घ्या",
+      uploading: "अपलोड होत आहे...",
+      billUploaded: "बिल अपलोड झाले",
+      captureBill: "बिलाचा फोटो घ्या",
+      uploadBillFirst: "आधी बिल अपलोड करा",
+      orderPickedUp: "ऑर्डर उचलली",
+      drop: "ड्रॉप",
+      reachedDrop: "ड्रॉपला पोहोचलो",
+      collectCod: "ग्राहकाकडून घ्या (COD)",
+      payAtHotel: "हॉटेलमध्ये पेमेंट",
+      paidOnline: "रक्कम भरली (ऑनलाइन)",
+      cashCollectedVerified: "रोख घेतली (पडताळलेली)",
+      cashCollectedAtHotel: "हॉटेलमध्ये रोख घेतली",
+      orderDelivered: "ऑर्डर डिलिव्हर झाली",
+      rateExperience: "तुमच्या अनुभवाला रेटिंग द्या",
+      rateExperienceHint: "तुमचा डिलिव्हरीचा अनुभव कसा होता?",
+      shareExperience: "तुमचा अनुभव सांगा...",
+      submitReview: "रिव्ह्यू सबमिट करा",
+      complete: "पूर्ण करा",
+    },
+  },
+}
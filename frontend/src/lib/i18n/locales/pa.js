@@ -0,0 +1,312 @@
+// Punjabi
+export default {
+  common: {
+    language: {
+      title: "ਭਾਸ਼ਾ ਬਦਲੋ",
+      label: "ਭਾਸ਼ਾ",
+      subtitle: "ਐਪ ਲਈ ਆਪਣੀ ਪਸੰਦੀਦਾ ਭਾਸ਼ਾ ਚੁਣੋ",
+      note: "ਸੂਚਨਾਵਾਂ, SMS ਅਤੇ ਈਮੇਲਾਂ ਵੀ ਇਸੇ ਭਾਸ਼ਾ ਵਿੱਚ ਭੇਜੀਆਂ ਜਾਣਗੀਆਂ।",
+      updated: "ਭਾਸ਼ਾ ਬਦਲ ਦਿੱਤੀ ਗਈ",
+      saveFailed: "ਤੁਹਾਡੀ ਭਾਸ਼ਾ ਸੇਵ ਨਹੀਂ ਹੋ ਸਕੀ। ਇਸ ਡਿਵਾਈਸ 'ਤੇ ਇਹੀ ਵਰਤੀ ਜਾਵੇਗੀ।",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "ਡਿਲੀਵਰੀ",
+      under250: "₹250 ਤੋਂ ਘੱਟ",
+      dining: "ਡਾਇਨਿੰਗ",
+      profile: "ਪ੍ਰੋਫਾਈਲ",
+    },
+    settings: {
+      title: "ਸੈਟਿੰਗਾਂ",
+      preferences: "ਸੂਚਨਾਵਾਂ ਅਤੇ ਤਰਜੀਹਾਂ",
+      emailNotifications: "ਈਮੇਲ ਸੂਚਨਾਵਾਂ",
+      emailNotificationsHint: "ਆਪਣੇ ਆਰਡਰਾਂ ਦੀਆਂ ਅੱਪਡੇਟਾਂ ਈਮੇਲ ਰਾਹੀਂ ਪ੍ਰਾਪਤ ਕਰੋ",
+      pushNotifications: "ਪੁਸ਼ ਸੂਚਨਾਵਾਂ",
+      pushNotificationsHint: "ਆਪਣੀ ਡਿਵਾਈਸ 'ਤੇ ਪੁਸ਼ ਸੂਚਨਾਵਾਂ ਪ੍ਰਾਪਤ ਕਰੋ",
+    },
+    cart: {
+      title: "ਕਾਰਟ",
+      empty: "ਤੁਹਾਡਾ ਕਾਰਟ ਖਾਲੀ ਹੈ",
+      emptyHint: "ਨਵਾਂ ਆਰਡਰ ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਕਿਸੇ ਰੈਸਟੋਰੈਂਟ ਤੋਂ ਆਈਟਮ ਜੋੜੋ",
+      browseRestaurants: "ਰੈਸਟੋਰੈਂਟ ਵੇਖੋ",
+      savedOnOrder: "ਇਸ ਆਰਡਰ 'ਤੇ ਤੁਸੀਂ ₹{amount} ਬਚਾਏ",
+      editItem: "ਆਈਟਮ ਬਦਲੋ",
+      addMoreItems: "ਹੋਰ ਆਈਟਮ ਜੋੜੋ",
+      addNote: "ਰੈਸਟੋਰੈਂਟ ਲਈ ਨੋਟ ਜੋੜੋ",
+      dontSendCutlery: "ਕਟਲਰੀ ਨਾ ਭੇਜੋ",
+      noCutlery: "ਕਟਲਰੀ ਨਹੀਂ",
+      notePlaceholder: "ਪਕਾਉਣ ਦੀਆਂ ਹਦਾਇਤਾਂ, ਐਲਰਜੀ ਆਦਿ ਜੋੜੋ",
+      completeYourMeal: "ਆਪਣਾ ਖਾਣਾ ਪੂਰਾ ਕਰੋ",
+      couponApplied: "'{code}' ਲਾਗੂ ਹੋਇਆ",
+      youSaved: "ਤੁਸੀਂ ₹{amount} ਬਚਾਏ",
+      removeCoupon: "ਹਟਾਓ",
+      loadingCoupons: "ਕੂਪਨ ਲੋਡ ਹੋ ਰਹੇ ਹਨ...",
+      viewAllCoupons: "ਸਾਰੇ ਕੂਪਨ ਵੇਖੋ",
+      minOrder: "ਘੱਟੋ-ਘੱਟ ₹{amount}",
+      apply: "ਲਾਗੂ ਕਰੋ",
+      noCoupons: "ਕੋਈ ਕੂਪਨ ਉਪਲਬਧ ਨਹੀਂ",
+      deliveryIn: "ਡਿਲੀਵਰੀ",
+      deliveryAt: "ਡਿਲੀਵਰੀ ਪਤਾ",
+      location: "ਟਿਕਾਣਾ",
+      addDeliveryAddress: "ਡਿਲੀਵਰੀ ਪਤਾ ਜੋੜੋ",
+      additionalAddress: "ਵਾਧੂ ਪਤਾ",
+      additionalAddressPlaceholder: "ਵਾਧੂ ਪਤੇ ਦਾ ਵੇਰਵਾ ਦਿਓ (ਜਿਵੇਂ ਫਲੈਟ ਨੰ., ਮੰਜ਼ਿਲ, ਨਿਸ਼ਾਨੀ)",
+      totalBill: "ਕੁੱਲ ਬਿੱਲ",
+      inclTaxes: "ਟੈਕਸ ਅਤੇ ਖਰਚਿਆਂ ਸਮੇਤ",
+      itemTotal: "ਆਈਟਮਾਂ ਦਾ ਕੁੱਲ",
+      deliveryFee: "ਡਿਲੀਵਰੀ ਫੀਸ",
+      free: "ਮੁਫ਼ਤ",
+      platformFee: "ਪਲੇਟਫਾਰਮ ਫੀਸ",
+      gstAndCharges: "GST ਅਤੇ ਰੈਸਟੋਰੈਂਟ ਖਰਚੇ",
+      gst: "GST",
+      deliveryTip: "ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਟਿਪ",
+      couponDiscount: "ਕੂਪਨ ਛੋਟ",
+      toPay: "ਭੁਗਤਾਨ ਯੋਗ",
+      orderSummary: "ਆਰਡਰ ਸਾਰ",
+      discount: "ਛੋਟ",
+      total: "ਕੁੱਲ",
+      payUsing: "ਇਸ ਨਾਲ ਭੁਗਤਾਨ",
+      wallet: "ਵਾਲਿਟ",
+      payAtHotel: "ਹੋਟਲ 'ਤੇ ਭੁਗਤਾਨ",
+      onlinePayment: "ਆਨਲਾਈਨ ਭੁਗਤਾਨ",
+      paymentMethod: "ਭੁਗਤਾਨ ਦਾ ਤਰੀਕਾ",
+      razorpayOnline: "Razorpay ਆਨਲਾਈਨ ਭੁਗਤਾਨ",
+      loading: "ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...",
+      roomNumber: "ਕਮਰਾ ਨੰਬਰ",
+      roomNumberPlaceholder: "ਆਪਣਾ ਕਮਰਾ ਨੰਬਰ ਲਿਖੋ (ਜਿਵੇਂ 101)",
+      roomFromQr: "ਤੁਹਾਡੇ ਕਮਰੇ ਦੇ QR ਕੋਡ ਤੋਂ ਕਮਰਾ ਨੰਬਰ ਲਿਆ ਗਿਆ",
+      orderingFrom: "ਇੱਥੋਂ ਆਰਡਰ: {hotel}",
+      totalCaps: "ਕੁੱਲ",
+      processing: "ਪ੍ਰਕਿਰਿਆ ਜਾਰੀ ਹੈ...",
+      selectPayment: "ਭੁਗਤਾਨ ਚੁਣੋ",
+      placeOrder: "ਆਰਡਰ ਕਰੋ",
+      insufficientBalance: "ਬੈਲੇਂਸ ਕਾਫ਼ੀ ਨਹੀਂ",
+      placeOrderPayAtHotel: "ਆਰਡਰ ਕਰੋ (ਹੋਟਲ 'ਤੇ ਭੁਗਤਾਨ)",
+      placingOrder: "ਤੁਹਾਡਾ ਆਰਡਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ",
+      payOnlineAmount: "₹{amount} ਆਨਲਾਈਨ ਭੁਗਤਾਨ ਕਰੋ (Razorpay)",
+      payFromWallet: "ਵਾਲਿਟ ਤੋਂ ₹{amount} ਭੁਗਤਾਨ ਕਰੋ",
+      payAtHotelOnArrival: "ਪਹੁੰਚਣ 'ਤੇ ਹੋਟਲ ਵਿੱਚ ਭੁਗਤਾਨ ਕਰੋ",
+      payOnline: "ਆਨਲਾਈਨ ਭੁਗਤਾਨ ਕਰੋ",
+      deliveringTo: "ਇਸ ਟਿਕਾਣੇ 'ਤੇ ਡਿਲੀਵਰੀ",
+      cancel: "ਰੱਦ ਕਰੋ",
+      orderPlaced: "ਆਰਡਰ ਹੋ ਗਿਆ!",
+      onItsWay: "ਤੁਹਾਡਾ ਸੁਆਦੀ ਖਾਣਾ ਰਸਤੇ ਵਿੱਚ ਹੈ",
+      trackOrder: "ਆਪਣਾ ਆਰਡਰ ਟ੍ਰੈਕ ਕਰੋ",
+    },
+    orders: {
+      title: "ਤੁਹਾਡੇ ਆਰਡਰ",
+      empty: "ਤੁਸੀਂ ਅਜੇ ਤੱਕ ਕੋਈ ਆਰਡਰ ਨਹੀਂ ਕੀਤਾ",
+      startOrdering: "ਆਰਡਰ ਕਰਨਾ ਸ਼ੁਰੂ ਕਰੋ",
+      searchPlaceholder: "ਰੈਸਟੋਰੈਂਟ ਜਾਂ ਡਿਸ਼ ਨਾਲ ਖੋਜੋ",
+      noMatches: "ਤੁਹਾਡੀ ਖੋਜ ਨਾਲ ਮੇਲ ਖਾਂਦਾ ਕੋਈ ਆਰਡਰ ਨਹੀਂ ਮਿਲਿਆ",
+      deliveryPartner: "ਡਿਲੀਵਰੀ:",
+      shareRestaurant: "ਰੈਸਟੋਰੈਂਟ ਸਾਂਝਾ ਕਰੋ",
+      orderDetails: "ਆਰਡਰ ਵੇਰਵੇ",
+      orderNumber: "ਆਰਡਰ #{id}",
+      itemCountOne: "{count} ਆਈਟਮ",
+      itemCount: "{count} ਆਈਟਮਾਂ",
+      subtotal: "ਉਪ-ਜੋੜ",
+      tax: "ਟੈਕਸ",
+      couponApplied: "ਕੂਪਨ ਲਾਗੂ",
+      placedOn: "{date} ਨੂੰ ਆਰਡਰ ਕੀਤਾ",
+      deliveredOn: "{date} ਨੂੰ ਡਿਲੀਵਰ ਹੋਇਆ",
+      payment: "ਭੁਗਤਾਨ:",
+      cashOnDelivery: "ਕੈਸ਼ ਆਨ ਡਿਲੀਵਰੀ",
+      online: "ਆਨਲਾਈਨ",
+      delivered: "ਡਿਲੀਵਰ ਹੋਇਆ",
+      restaurantCancelled: "ਰੈਸਟੋਰੈਂਟ ਨੇ ਰੱਦ ਕੀਤਾ",
+      cancelledByYou: "ਤੁਸੀਂ ਰੱਦ ਕੀਤਾ",
+      cancelled: "ਰੱਦ",
+      viewDetails: "ਵੇਰਵੇ ਵੇਖੋ",
+      refundInfo: "ਰਿਫੰਡ 24-48 ਘੰਟਿਆਂ ਵਿੱਚ ਪ੍ਰੋਸੈੱਸ ਹੋਵੇਗਾ",
+      paymentFailed: "ਭੁਗਤਾਨ ਅਸਫਲ ਰਿਹਾ",
+      youRated: "ਤੁਹਾਡੀ ਰੇਟਿੰਗ",
+      orderDelivered: "ਆਰਡਰ ਡਿਲੀਵਰ ਹੋਇਆ",
+      rateOrder: "ਆਰਡਰ ਨੂੰ ਰੇਟ ਕਰੋ",
+      preparing: "ਤਿਆਰ ਹੋ ਰਿਹਾ ਹੈ",
+      outForDelivery: "ਡਿਲੀਵਰੀ ਲਈ ਨਿਕਲਿਆ",
+      confirmed: "ਆਰਡਰ ਪੱਕਾ ਹੋਇਆ",
+      minutesRemaining: "{count} ਮਿੰਟ ਬਾਕੀ",
+      reorder: "ਦੁਬਾਰਾ ਆਰਡਰ ਕਰੋ",
+      rateTitle: "ਆਪਣੇ ਆਰਡਰ ਨੂੰ ਰੇਟ ਕਰੋ",
+      ratingQuestion: "ਤੁਹਾਡਾ ਕੁੱਲ ਤਜਰਬਾ ਕਿਹੋ ਜਿਹਾ ਰਿਹਾ?",
+      feedbackLabel: "ਆਪਣੀ ਰਾਏ ਦੱਸੋ",
+      optional: "ਵਿਕਲਪਿਕ",
+      feedbackPlaceholder: "ਇਸ ਆਰਡਰ ਵਿੱਚ ਤੁਹਾਨੂੰ ਕੀ ਪਸੰਦ ਜਾਂ ਨਾਪਸੰਦ ਆਇਆ? ਆਪਣਾ ਤਜਰਬਾ ਦੱਸੋ...",
+      submitting: "ਭੇਜਿਆ ਜਾ ਰਿਹਾ ਹੈ...",
+      submitRating: "ਰੇਟਿੰਗ ਭੇਜੋ",
+      selectRating: "ਅੱਗੇ ਵਧਣ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਰੇਟਿੰਗ ਚੁਣੋ",
+    },
+    tracking: {
+      loading: "ਆਰਡਰ ਵੇਰਵੇ ਲੋਡ ਹੋ ਰਹੇ ਹਨ...",
+      notFound: "ਆਰਡਰ ਨਹੀਂ ਮਿਲਿਆ",
+      notFoundHint: "ਤੁਸੀਂ ਜੋ ਆਰਡਰ ਲੱਭ ਰਹੇ ਹੋ ਉਹ ਮੌਜੂਦ ਨਹੀਂ ਹੈ।",
+      backToOrders: "ਆਰਡਰਾਂ 'ਤੇ ਵਾਪਸ ਜਾਓ",
+      placed: "ਆਰਡਰ ਹੋ ਗਿਆ",
+      preparationSoon: "ਖਾਣਾ ਜਲਦੀ ਹੀ ਬਣਨਾ ਸ਼ੁਰੂ ਹੋਵੇਗਾ",
+      preparing: "ਤੁਹਾਡਾ ਆਰਡਰ ਤਿਆਰ ਹੋ ਰਿਹਾ ਹੈ",
+      arrivingIn: "{minutes} ਮਿੰਟਾਂ ਵਿੱਚ ਪਹੁੰਚ ਰਿਹਾ ਹੈ",
+      pickedUp: "ਆਰਡਰ ਚੁੱਕ ਲਿਆ ਗਿਆ",
+      onTheWay: "ਰਸਤੇ ਵਿੱਚ ਹੈ",
+      delivered: "ਆਰਡਰ ਡਿਲੀਵਰ ਹੋਇਆ",
+      enjoyMeal: "ਖਾਣੇ ਦਾ ਆਨੰਦ ਮਾਣੋ!",
+      cancelled: "ਆਰਡਰ ਰੱਦ ਹੋਇਆ",
+      cancelledHint: "ਇਹ ਆਰਡਰ ਰੱਦ ਕਰ ਦਿੱਤਾ ਗਿਆ ਹੈ",
+      confirmed: "ਆਰਡਰ ਪੱਕਾ ਹੋ ਗਿਆ!",
+      placedSuccessfully: "ਤੁਹਾਡਾ ਆਰਡਰ ਸਫਲਤਾਪੂਰਵਕ ਹੋ ਗਿਆ ਹੈ",
+      onTime: "ਸਮੇਂ ਸਿਰ",
+      foodCooking: "ਖਾਣਾ ਬਣ ਰਿਹਾ ਹੈ",
+      partnerSafety: "ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਦੀ ਸੁਰੱਖਿਆ ਬਾਰੇ ਜਾਣੋ",
+      detailsBanner: "ਤੁਹਾਡੀ ਡਿਲੀਵਰੀ ਦੇ ਸਾਰੇ ਵੇਰਵੇ ਇੱਕ ਥਾਂ",
+      customer: "ਗਾਹਕ",
+      noPhone: "ਫ਼ੋਨ ਨੰਬਰ ਉਪਲਬਧ ਨਹੀਂ",
+      deliveryAtLocation: "ਇਸ ਟਿਕਾਣੇ 'ਤੇ ਡਿਲੀਵਰੀ",
+      addInstructions: "ਡਿਲੀਵਰੀ ਹਦਾਇਤਾਂ ਜੋੜੋ",
+      instructionsHint: "ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਲਈ ਨੋਟ ਛੱਡੋ",
+      chatWithPartner: "ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਨਾਲ ਚੈਟ ਕਰੋ",
+      chatHint: "ਆਪਣੇ ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਨੂੰ ਸੁਨੇਹਾ ਭੇਜੋ",
+      callRestaurant: "ਰੈਸਟੋਰੈਂਟ ਨੂੰ ਕਾਲ ਕਰੋ",
+      cancelOrder: "ਆਰਡਰ ਰੱਦ ਕਰੋ",
+      cancelReasonPlaceholder: "ਜਿਵੇਂ, ਮਨ ਬਦਲ ਗਿਆ, ਗਲਤ ਪਤਾ ਆਦਿ।",
+      cancel: "ਰੱਦ ਕਰੋ",
+      cancelling: "ਰੱਦ ਹੋ ਰਿਹਾ ਹੈ...",
+      confirmCancellation: "ਰੱਦ ਕਰਨਾ ਪੱਕਾ ਕਰੋ",
+      instructionsTitle: "ਡਿਲੀਵਰੀ ਹਦਾਇਤਾਂ",
+      instructionsDescription: "ਡਿਲੀਵਰੀ ਪਾਰਟਨਰ ਲਈ ਹਦਾਇਤਾਂ ਜੋੜੋ (ਜਿਵੇਂ \"ਘੰਟੀ ਵਜਾਓ\", \"ਦਰਵਾਜ਼ੇ 'ਤੇ ਛੱਡ ਦਿਓ\", \"ਪਹੁੰਚ ਕੇ ਕਾਲ ਕਰੋ\")।",
+      instructionsPlaceholder: "ਜਿਵੇਂ, ਦੋ ਵਾਰ ਘੰਟੀ ਵਜਾਓ, ਦਰਵਾਜ਼ੇ 'ਤੇ ਛੱਡ ਦਿਓ, ਪਹੁੰਚ ਕੇ ਕਾਲ ਕਰੋ",
+      instructionsUpdated: "ਡਿਲੀਵਰੀ ਹਦਾਇਤਾਂ ਅੱਪਡੇਟ ਹੋ ਗਈਆਂ",
+      saving: "ਸੇਵ ਹੋ ਰਿਹਾ ਹੈ...",
+      save: "ਸੇਵ ਕਰੋ",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "ਸੈਟਿੰਗਾਂ",
+      account: "ਖਾਤਾ",
+      notifications: "ਸੂਚਨਾਵਾਂ",
+      privacySecurity: "ਪਰਦੇਦਾਰੀ ਅਤੇ ਸੁਰੱਖਿਆ",
+      preferences: "ਤਰਜੀਹਾਂ",
+      theme: "ਥੀਮ",
+      support: "ਸਹਾਇਤਾ ਅਤੇ ਜਾਣਕਾਰੀ",
+      conversation: "ਗੱਲਬਾਤ",
+      terms: "ਨਿਯਮ ਅਤੇ ਸ਼ਰਤਾਂ",
+      privacyPolicy: "ਪਰਦੇਦਾਰੀ ਨੀਤੀ",
+      about: "ਸਾਡੇ ਬਾਰੇ",
+      actions: "ਕਾਰਵਾਈਆਂ",
+      logout: "ਲੌਗ ਆਊਟ",
+      logoutConfirm: "ਕੀ ਤੁਸੀਂ ਸੱਚਮੁੱਚ ਲੌਗ ਆਊਟ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?",
+    },
+    item: {
+      nameTranslations: "ਹੋਰ ਭਾਸ਼ਾਵਾਂ ਵਿੱਚ ਨਾਮ",
+      nameTranslationsHint: "ਇਹਨਾਂ ਭਾਸ਼ਾਵਾਂ ਵਿੱਚ ਐਪ ਵਰਤਣ ਵਾਲੇ ਗਾਹਕਾਂ ਨੂੰ ਇਹ ਨਾਮ ਦਿਖੇਗਾ",
+    },
+    orders: {
+      tabs: {
+        preparing: "ਤਿਆਰ ਹੋ ਰਹੇ",
+        ready: "ਤਿਆਰ",
+        outForDelivery: "ਡਿਲੀਵਰੀ ਲਈ ਨਿਕਲੇ",
+        scheduled: "ਸ਼ਡਿਊਲ ਕੀਤੇ",
+        tableBooking: "ਟੇਬਲ ਬੁਕਿੰਗ",
+        completed: "ਪੂਰੇ ਹੋਏ",
+        cancelled: "ਰੱਦ",
+      },
+      completedTitle: "ਪੂਰੇ ਹੋਏ ਆਰਡਰ",
+      noCompleted: "ਅਜੇ ਕੋਈ ਆਰਡਰ ਪੂਰਾ ਨਹੀਂ ਹੋਇਆ",
+      delivered: "ਡਿਲੀਵਰ ਹੋਇਆ",
+      cancelledTitle: "ਰੱਦ ਹੋਏ ਆਰਡਰ",
+      noCancelled: "ਅਜੇ ਕੋਈ ਆਰਡਰ ਰੱਦ ਨਹੀਂ ਹੋਇਆ",
+      preparingTitle: "ਤਿਆਰ ਹੋ ਰਹੇ ਆਰਡਰ",
+      noPreparing: "ਕੋਈ ਆਰਡਰ ਤਿਆਰ ਨਹੀਂ ਹੋ ਰਿਹਾ",
+      readyTitle: "ਪਿਕਅੱਪ ਲਈ ਤਿਆਰ",
+      noReady: "ਪਿਕਅੱਪ ਲਈ ਕੋਈ ਆਰਡਰ ਤਿਆਰ ਨਹੀਂ",
+      outForDeliveryTitle: "ਡਿਲੀਵਰੀ ਲਈ ਨਿਕਲੇ",
+      noOutForDelivery: "ਡਿਲੀਵਰੀ ਲਈ ਕੋਈ ਆਰਡਰ ਨਹੀਂ ਨਿਕਲਿਆ",
+      scheduledEmpty: "ਸ਼ਡਿਊਲ ਕੀਤੇ ਆਰਡਰ ਇੱਥੇ ਦਿਖਣਗੇ",
+      temporarilyClosed: "ਆਰਜ਼ੀ ਤੌਰ 'ਤੇ ਬੰਦ",
+      viewStatus: "ਸਥਿਤੀ ਵੇਖੋ",
+      cancelOrder: "ਆਰਡਰ ਰੱਦ ਕਰੋ",
+      assigned: "ਸੌਂਪਿਆ ਗਿਆ",
+      notAssigned: "ਨਹੀਂ ਸੌਂਪਿਆ",
+      markReady: "ਤਿਆਰ ਵਜੋਂ ਮਾਰਕ ਕਰੋ",
+      itemCountOne: "{count} ਆਈਟਮ",
+      itemCount: "{count} ਆਈਟਮਾਂ",
+      deliveryAddress: "ਡਿਲੀਵਰੀ ਪਤਾ",
+      sendCutlery: "ਕਟਲਰੀ ਭੇਜੋ",
+      dontSendCutlery: "ਕਟਲਰੀ ਨਾ ਭੇਜੋ",
+      cashOnDelivery: "ਕੈਸ਼ ਆਨ ਡਿਲੀਵਰੀ",
+      online: "ਆਨਲਾਈਨ",
+      prepTime: "ਤਿਆਰੀ ਦਾ ਸਮਾਂ",
+      minutes: "{count} ਮਿੰਟ",
+      accept: "ਸਵੀਕਾਰ ਕਰੋ ({time})",
+      rejectOrder: "ਆਰਡਰ ਰੱਦ ਕਰੋ",
+      needHelp: "ਇਸ ਆਰਡਰ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?",
+      rejectTitle: "ਆਰਡਰ {id} ਰੱਦ ਕਰੋ",
+      rejectHint: "ਕਿਰਪਾ ਕਰਕੇ ਇਸ ਆਰਡਰ ਨੂੰ ਰੱਦ ਕਰਨ ਦਾ ਕਾਰਨ ਚੁਣੋ",
+      cancel: "ਰੱਦ ਕਰੋ",
+      confirmRejection: "ਰੱਦ ਕਰਨਾ ਪੱਕਾ ਕਰੋ",
+      cancelTitle: "ਆਰਡਰ {id} ਰੱਦ ਕਰੋ",
+      cancelHint: "ਕਿਰਪਾ ਕਰਕੇ ਇਸ ਆਰਡਰ ਨੂੰ ਰੱਦ ਕਰਨ ਦਾ ਕਾਰਨ ਦੱਸੋ",
+      confirmCancellation: "ਰੱਦ ਕਰਨਾ ਪੱਕਾ ਕਰੋ",
+      items: "ਆਈਟਮਾਂ",
+      close: "ਬੰਦ ਕਰੋ",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ਫੀਡ",
+      pocket: "ਪਾਕੇਟ",
+      tripHistory: "ਟ੍ਰਿਪ ਇਤਿਹਾਸ",
+      profile: "ਪ੍ਰੋਫਾਈਲ",
+    },
+    home: {
+      online: "ਆਨਲਾਈਨ",
+      offline: "ਆਫ਼ਲਾਈਨ",
+      earnings: "ਕਮਾਈ",
+      trips: "ਟ੍ਰਿਪ",
+      timeOnOrders: "ਆਰਡਰਾਂ 'ਤੇ ਸਮਾਂ",
+      history: "ਇਤਿਹਾਸ",
+      helpTitle: "ਅਸੀਂ ਕਿਵੇਂ ਮਦਦ ਕਰੀਏ?",
+      emergencyHelp: "ਐਮਰਜੈਂਸੀ ਮਦਦ",
+      bookGigsTitle: "ਆਨਲਾਈਨ ਹੋਣ ਲਈ ਗਿਗ ਬੁੱਕ ਕਰੋ",
+      gigDetails: "ਗਿਗ ਵੇਰਵੇ",
+      gigBookingOpen: "ਤੁਹਾਡੇ ਜ਼ੋਨ ਵਿੱਚ ਗਿਗ ਬੁਕਿੰਗ ਖੁੱਲ੍ਹੀ ਹੈ",
+      bookGigsHint: "ਆਨਲਾਈਨ ਹੋ ਕੇ ਆਰਡਰ ਡਿਲੀਵਰ ਕਰਨਾ ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਹੁਣੇ ਆਪਣੇ ਗਿਗ ਬੁੱਕ ਕਰੋ",
+      bookGigs: "ਗਿਗ ਬੁੱਕ ਕਰੋ",
+      newOrder: "ਨਵਾਂ ਆਰਡਰ",
+      pickUp: "ਪਿਕਅੱਪ",
+      releaseToAccept: "ਸਵੀਕਾਰ ਕਰਨ ਲਈ ਛੱਡੋ",
+      acceptOrder: "ਆਰਡਰ ਸਵੀਕਾਰ ਕਰੋ",
+      deny: "ਇਨਕਾਰ ਕਰੋ",
+      cantAccept: "ਆਰਡਰ ਸਵੀਕਾਰ ਨਹੀਂ ਕਰ ਸਕਦੇ",
+      cantAcceptHint: "ਕਿਰਪਾ ਕਰਕੇ ਇਹ ਆਰਡਰ ਸਵੀਕਾਰ ਨਾ ਕਰਨ ਦਾ ਕਾਰਨ ਚੁਣੋ",
+      cancel: "ਰੱਦ ਕਰੋ",
+      confirm: "ਪੱਕਾ ਕਰੋ",
+      releaseToConfirm: "ਪੱਕਾ ਕਰਨ ਲਈ ਛੱਡੋ",
+      reachedPickup: "ਪਿਕਅੱਪ 'ਤੇ ਪਹੁੰਚੇ",
+      confirmOrderId: "ਆਰਡਰ ID ਪੱਕਾ ਕਰੋ",
+      confirmOrderIdHint: "ਪਿਕਅੱਪ ਤੋਂ ਪਹਿਲਾਂ ਰੈਸਟੋਰੈਂਟ ਨਾਲ ਆਰਡਰ ID ਮਿਲਾ ਲਓ",
+      orderId: "ਆਰਡਰ ID",
+      billUploadedHint: "ਬਿੱਲ ਦੀ ਫ਼ੋਟੋ ਅੱਪਲੋਡ ਹੋ ਗਈ",
+      captureBillHint: "ਕਿਰਪਾ ਕਰਕੇ ਬਿੱਲ ਦੀ ਫ਼ੋਟੋ ਲਓ",
+      uploading: "ਅੱਪਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...",
+      billUploaded: "ਬਿੱਲ ਅੱਪਲੋਡ ਹੋਇਆ",
+      captureBill: "ਬਿੱਲ ਦੀ ਫ਼ੋਟੋ ਲਓ",
+      uploadBillFirst: "ਪਹਿਲਾਂ ਬਿੱਲ ਅੱਪਲੋਡ ਕਰੋ",
+      orderPickedUp: "ਆਰਡਰ ਚੁੱਕ ਲਿਆ",
+      drop: "ਡ੍ਰੌਪ",
+      reachedDrop: "ਡ੍ਰੌਪ 'ਤੇ ਪਹੁੰਚੇ",
+      collectCod: "ਗਾਹਕ ਤੋਂ ਲਓ (COD)",
+      payAtHotel: "ਹੋਟਲ 'ਤੇ ਭੁਗਤਾਨ",
+      paidOnline: "ਰਕਮ ਅਦਾ ਕੀਤੀ ਗਈ (ਆਨਲਾਈਨ)",
+      cashCollectedVerified: "ਨਕਦ ਲਿਆ ਗਿਆ (ਤਸਦੀਕਸ਼ੁਦਾ)",
+      cashCollectedAtHotel: "ਹੋਟਲ 'ਤੇ ਨਕਦ ਲਿਆ ਗਿਆ",
+      orderDelivered: "ਆਰਡਰ ਡਿਲੀਵਰ ਹੋਇਆ",
+      rateExperience: "ਆਪਣੇ ਤਜਰਬੇ ਨੂੰ ਰੇਟ ਕਰੋ",
+      rateExperienceHint: "ਤੁਹਾਡਾ ਡਿਲੀਵਰੀ ਤਜਰਬਾ ਕਿਹੋ ਜਿਹਾ ਰਿਹਾ?",
+      shareExperience: "ਆਪਣਾ ਤਜਰਬਾ ਦੱਸੋ...",
+      submitReview: "ਰਿਵਿਊ ਭੇਜੋ",
+      complete: "ਪੂਰਾ ਕਰੋ",
+    },
+  },
+}
@@ -0,0 +1,312 @@
+// Tamil
+export default {
+  common: {
+    language: {
+      title: "மொழியை மாற்று",
+      label: "மொழி",
+      subtitle: "ஆப்பிற்கான உங்கள் விருப்ப மொழியைத் தேர்ந்தெடுக்கவும்",
+      note: "அறிவிப்புகள், SMS மற்றும் மின்னஞ்சல்களும் இந்த மொழியில் அனுப்பப்படும்.",
+      updated: "மொழி மாற்றப்பட்டது",
+      saveFailed: "உங்கள் மொழியைச் சேமிக்க முடியவில்லை. இந்தச் சாதனத்தில் இது தொடர்ந்து பயன்படுத்தப்படும்.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "டெலிவரி",
+      under250: "₹250க்குள்",
+      dining: "டைனிங்",
+      profile: "சுயவிவரம்",
+    },
+    settings: {
+      title: "அமைப்புகள்",
+      preferences: "அறிவிப்புகள் & விருப்பங்கள்",
+      emailNotifications: "மின்னஞ்சல் அறிவிப்புகள்",
+      emailNotificationsHint: "உங்கள் ஆர்டர் விவரங்களை மின்னஞ்சலில் பெறுங்கள்",
+      pushNotifications: "புஷ் அறிவிப்புகள்",
+      pushNotificationsHint: "உங்கள் சாதனத்தில் புஷ் அறிவிப்புகளைப் பெறுங்கள்",
+    },
+    cart: {
+      title: "கார்ட்",
+      empty: "உங்கள் கார்ட் காலியாக உள்ளது",
+      emptyHint: "புதிய ஆர்டரைத் தொடங்க ஒரு உணவகத்திலிருந்து பொருட்களைச் சேர்க்கவும்",
+      browseRestaurants: "உணவகங்களைப் பார்க்கவும்",
+      savedOnOrder: "இந்த ஆர்டரில் ₹{amount} சேமித்தீர்கள்",
+      editItem: "பொருளைத் திருத்து",
+      addMoreItems: "மேலும் பொருட்களைச் சேர்க்கவும்",
+      addNote: "உணவகத்திற்கு ஒரு குறிப்பைச் சேர்க்கவும்",
+      dontSendCutlery: "கட்லரி அனுப்ப வேண்டாம்",
+      noCutlery: "கட்லரி இல்லை",
+      notePlaceholder: "சமையல் வழிமுறைகள், ஒவ்வாமைகள் போன்றவற்றைச் சேர்க்கவும்",
+      completeYourMeal: "உங்கள் உணவை நிறைவு செய்ய",
+      couponApplied: "'{code}' பயன்படுத்தப்பட்டது",
+      youSaved: "₹{amount} சேமித்தீர்கள்",
+      removeCoupon: "நீக்கு",
+      loadingCoupons: "கூப்பன்கள் ஏற்றப்படுகின்றன...",
+      viewAllCoupons: "அனைத்து கூப்பன்களையும் பார்க்கவும்",
+      minOrder: "குறைந்தது ₹{amount}",
+      apply: "பயன்படுத்து",
+      noCoupons: "கூப்பன்கள் எதுவும் இல்லை",
+      deliveryIn: "டெலிவரி நேரம்",
+      deliveryAt: "டெலிவரி இடம்",
+      location: "இடம்",
+      addDeliveryAddress: "டெலிவரி முகவரியைச் சேர்க்கவும்",
+      additionalAddress: "கூடுதல் முகவரி",
+      additionalAddressPlaceholder: "கூடுதல் முகவரி விவரங்களை உள்ளிடவும் (எ.கா. பிளாட் எண், தளம், அடையாளம்)",
+      totalBill: "மொத்த பில்",
+      inclTaxes: "வரிகள் மற்றும் கட்டணங்கள் உட்பட",
+      itemTotal: "பொருட்களின் மொத்தம்",
+      deliveryFee: "டெலிவரி கட்டணம்",
+      free: "இலவசம்",
+      platformFee: "தளக் கட்டணம்",
+      gstAndCharges: "GST மற்றும் உணவகக் கட்டணங்கள்",
+      gst: "GST",
+      deliveryTip: "டெலிவரி பார்ட்னர் டிப்ஸ்",
+      couponDiscount: "கூப்பன் தள்ளுபடி",
+      toPay: "செலுத்த வேண்டியது",
+      orderSummary: "ஆர்டர் சுருக்கம்",
+      discount: "தள்ளுபடி",
+      total: "மொத்தம்",
+      payUsing: "இதன் மூலம் செலுத்து",
+      wallet: "வாலட்",
+      payAtHotel: "ஹோட்டலில் செலுத்தவும்",
+      onlinePayment: "ஆன்லைன் பணம் செலுத்துதல்",
+      paymentMethod: "பணம் செலுத்தும் முறை",
+      razorpayOnline: "Razorpay ஆன்லைன் பணம் செலுத்துதல்",
+      loading: "ஏற்றப்படுகிறது...",
+      roomNumber: "அறை எண்",
+      roomNumberPlaceholder: "உங்கள் அறை எண்ணை உள்ளிடவும் (எ.கா. 101)",
+      roomFromQr: "உங்கள் அறையின் QR குறியீட்டிலிருந்து அறை எண் அமைக்கப்பட்டது",
+      orderingFrom: "இங்கிருந்து ஆர்டர்: {hotel}",
+      totalCaps: "மொத்தம்",
+      processing: "செயலாக்கப்படுகிறது...",
+      selectPayment: "பணம் செலுத்தும் முறையைத் தேர்ந்தெடுக்கவும்",
+      placeOrder: "ஆர்டர் செய்",
+      insufficientBalance: "போதுமான இருப்பு இல்லை",
+      placeOrderPayAtHotel: "ஆர்டர் செய் (ஹோட்டலில் செலுத்தவும்)",
+      placingOrder: "உங்கள் ஆர்டர் செய்யப்படுகிறது",
+      payOnlineAmount: "₹{amount} ஆன்லைனில் செலுத்தவும் (Razorpay)",
+      payFromWallet: "வாலட்டிலிருந்து ₹{amount} செலுத்தவும்",
+      payAtHotelOnArrival: "வந்தவுடன் ஹோட்டலில் செலுத்தவும்",
+      payOnline: "ஆன்லைனில் செலுத்தவும்",
+      deliveringTo: "இந்த இடத்திற்கு டெலிவரி",
+      cancel: "ரத்து செய்",
+      orderPlaced: "ஆர்டர் செய்யப்பட்டது!",
+      onItsWay: "உங்கள் சுவையான உணவு வந்துகொண்டிருக்கிறது",
+      trackOrder: "உங்கள் ஆர்டரைக் கண்காணிக்கவும்",
+    },
+    orders: {
+      title: "உங்கள் ஆர்டர்கள்",
+      empty: "நீங்கள் இன்னும் எந்த ஆர்டரும் செய்யவில்லை",
+      startOrdering: "ஆர்டர் செய்யத் தொடங்குங்கள்",
+      searchPlaceholder: "உணவகம் அல்லது உணவு மூலம் தேடுங்கள்",
+      noMatches: "உங்கள் தேடலுக்குப் பொருந்தும் ஆர்டர்கள் இல்லை",
+      deliveryPartner: "டெலிவரி:",
+      shareRestaurant: "உணவகத்தைப் பகிரவும்",
+      orderDetails: "ஆர்டர் விவரங்கள்",
+      orderNumber: "ஆர்டர் #{id}",
+      itemCountOne: "{count} பொருள்",
+      itemCount: "{count} பொருட்கள்",
+      subtotal: "கூட்டுத்தொகை",
+      tax: "வரி",
+      couponApplied: "கூப்பன் பயன்படுத்தப்பட்டது",
+      placedOn: "{date} அன்று ஆர்டர் செய்யப்பட்டது",
+      deliveredOn: "{date} அன்று டெலிவரி செய்யப்பட்டது",
+      payment: "கட்டணம்:",
+      cashOnDelivery: "டெலிவரியின் போது பணம்",
+      online: "ஆன்லைன்",
+      delivered: "டெலிவரி செய்யப்பட்டது",
+      restaurantCancelled: "உணவகம் ரத்து செய்தது",
+      cancelledByYou: "நீங்கள் ரத்து செய்தீர்கள்",
+      cancelled: "ரத்து செய்யப்பட்டது",
+      viewDetails: "விவரங்களைப் பார்க்கவும்",
+      refundInfo: "பணத்திருப்பம் 24-48 மணி நேரத்தில் செயல்படுத்தப்படும்",
+      paymentFailed: "பணம் செலுத்துதல் தோல்வியடைந்தது",
+      youRated: "நீங்கள் அளித்த மதிப்பீடு",
+      orderDelivered: "ஆர்டர் டெலிவரி செய்யப்பட்டது",
+      rateOrder: "ஆர்டரை மதிப்பிடுங்கள்",
+      preparing: "தயாராகிறது",
+      outForDelivery: "டெலிவரிக்குப் புறப்பட்டது",
+      confirmed: "ஆர்டர் உறுதிசெய்யப்பட்டது",
+      minutesRemaining: "{count} நிமிடங்கள் மீதம்",
+      reorder: "மீண்டும் ஆர்டர் செய்",
+      rateTitle: "உங்கள் ஆர்டரை மதிப்பிடுங்கள்",
+      ratingQuestion: "உங்கள் ஒட்டுமொத்த அனுபவம் எப்படி இருந்தது?",
+      feedbackLabel: "உங்கள் கருத்தைப் பகிரவும்",
+      optional: "விருப்பத்தேர்வு",
+      feedbackPlaceholder: "இந்த ஆர்டரில் உங்களுக்கு எது பிடித்தது அல்லது பிடிக்கவில்லை? உங்கள் அனுபவத்தைப் பகிரவும்...",
+      submitting: "சமர்ப்பிக்கப்படுகிறது...",
+      submitRating: "மதிப்பீட்டைச் சமர்ப்பிக்கவும்",
+      selectRating: "தொடர ஒரு மதிப்பீட்டைத் தேர்ந்தெடுக்கவும்",
+    },
+    tracking: {
+      loading: "ஆர்டர் விவரங்கள் ஏற்றப்படுகின்றன...",
+      notFound: "ஆர்டர் கிடைக்கவில்லை",
+      notFoundHint: "நீங்கள் தேடும் ஆர்டர் இல்லை.",
+      backToOrders: "ஆர்டர்களுக்குத் திரும்பு",
+      placed: "ஆர்டர் செய்யப்பட்டது",
+      preparationSoon: "உணவு தயாரிப்பு விரைவில் தொடங்கும்",
+      preparing: "உங்கள் ஆர்டர் தயாராகிறது",
+      arrivingIn: "{minutes} நிமிடங்களில் வந்துவிடும்",
+      pickedUp: "ஆர்டர் எடுக்கப்பட்டது",
+      onTheWay: "வந்துகொண்டிருக்கிறது",
+      delivered: "ஆர்டர் டெலிவரி செய்யப்பட்டது",
+      enjoyMeal: "உணவை ரசித்து உண்ணுங்கள்!",
+      cancelled: "ஆர்டர் ரத்து செய்யப்பட்டது",
+      cancelledHint: "இந்த ஆர்டர் ரத்து செய்யப்பட்டது",
+      confirmed: "ஆர்டர் உறுதிசெய்யப்பட்டது!",
+      placedSuccessfully: "உங்கள் ஆர்டர் வெற்றிகரமாகச் செய்யப்பட்டது",
+      onTime: "சரியான நேரத்தில்",
+      foodCooking: "உணவு சமைக்கப்படுகிறது",
+      partnerSafety: "டெலிவரி பார்ட்னர் பாதுகாப்பு பற்றி அறியுங்கள்",
+      detailsBanner: "உங்கள் டெலிவரி விவரங்கள் அனைத்தும் ஒரே இடத்தில்",
+      customer: "வாடிக்கையாளர்",
+      noPhone: "தொலைபேசி எண் இல்லை",
+      deliveryAtLocation: "இந்த இடத்தில் டெலிவரி",
+      addInstructions: "டெலிவரி வழிமுறைகளைச் சேர்க்கவும்",
+      instructionsHint: "டெலிவரி பார்ட்னருக்கு ஒரு குறிப்பு எழுதுங்கள்",
+      chatWithPartner: "டெலிவரி பார்ட்னருடன் அரட்டையடிக்கவும்",
+      chatHint: "உங்கள் டெலிவரி பார்ட்னருக்கு செய்தி அனுப்பவும்",
+      callRestaurant: "உணவகத்தை அழைக்கவும்",
+      cancelOrder: "ஆர்டரை ரத்து செய்",
+      cancelReasonPlaceholder: "எ.கா., மனம் மாறிவிட்டது, தவறான முகவரி போன்றவை.",
+      cancel: "ரத்து செய்",
+      cancelling: "ரத்து செய்யப்படுகிறது...",
+      confirmCancellation: "ரத்து செய்வதை உறுதிசெய்யவும்",
+      instructionsTitle: "டெலிவரி வழிமுறைகள்",
+      instructionsDescription: "டெலிவரி பார்ட்னருக்கு வழிமுறைகளைச் சேர்க்கவும் (எ.கா. \"மணியை அடிக்கவும்\", \"வாசலில் வைக்கவும்\", \"வந்ததும் அழைக்கவும்\").",
+      instructionsPlaceholder: "எ.கா., இருமுறை மணியை அடிக்கவும், வாசலில் வைக்கவும், வந்ததும் அழைக்கவும்",
+      instructionsUpdated: "டெலிவரி வழிமுறைகள் புதுப்பிக்கப்பட்டன",
+      saving: "சேமிக்கப்படுகிறது...",
+      save: "சேமி",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "அமைப்புகள்",
+      account: "கணக்கு",
+      notifications: "அறிவிப்புகள்",
+      privacySecurity: "தனியுரிமை & பாதுகாப்பு",
+      preferences: "விருப்பங்கள்",
+      theme: "தீம்",
+      support: "உதவி & தகவல்",
+      conversation: "உரையாடல்",
+      terms: "விதிமுறைகள் & நிபந்தனைகள்",
+      privacyPolicy: "தனியுரிமைக் கொள்கை",
+      about: "எங்களைப் பற்றி",
+      actions: "செயல்கள்",
+      logout: "வெளியேறு",
+      logoutConfirm: "நிச்சயமாக வெளியேற விரும்புகிறீர்களா?",
+    },
+    item: {
+      nameTranslations: "பிற மொழிகளில் பெயர்",
+      nameTranslationsHint: "இந்த மொழிகளில் ஆப்பைப் பயன்படுத்தும் வாடிக்கையாளர்கள் இந்தப் பெயரைப் பார்ப்பார்கள்",
+    },
+    orders: {
+      tabs: {
+        preparing: "தயாராகிறது",
+        ready: "தயார்",
+        outForDelivery: "டெலிவரிக்குப் புறப்பட்டவை",
+        scheduled: "திட்டமிடப்பட்டவை",
+        tableBooking: "டேபிள் முன்பதிவு",
+        completed: "முடிந்தவை",
+        cancelled: "ரத்து செய்யப்பட்டவை",
+      },
+      completedTitle: "முடிந்த ஆர்டர்கள்",
+      noCompleted: "இன்னும் முடிந்த ஆர்டர்கள் இல்லை",
+      delivered: "டெலிவரி செய்யப்பட்டது",
+      cancelledTitle: "ரத்து செய்யப்பட்ட ஆர்டர்கள்",
+      noCancelled: "இன்னும் ரத்து செய்யப்பட்ட ஆர்டர்கள் இல்லை",
+      preparingTitle: "தயாராகும் ஆர்டர்கள்",
+      noPreparing: "தயாராகும் ஆர்டர்கள் இல்லை",
+      readyTitle: "பிக்கப்பிற்குத் தயார்",
+      noReady: "பிக்கப்பிற்குத் தயாரான ஆர்டர்கள் இல்லை",
+      outForDeliveryTitle: "டெலிவரிக்குப் புறப்பட்டவை",
+      noOutForDelivery: "டெலிவரிக்குப் புறப்பட்ட ஆர்டர்கள் இல்லை",
+      scheduledEmpty: "திட்டமிடப்பட்ட ஆர்டர்கள் இங்கே தோன்றும்",
+      temporarilyClosed: "தற்காலிகமாக மூடப்பட்டுள்ளது",
+      viewStatus: "நிலையைப் பார்க்கவும்",
+      cancelOrder: "ஆர்டரை ரத்து செய்",
+      assigned: "ஒதுக்கப்பட்டது",
+      notAssigned: "ஒதுக்கப்படவில்லை",
+      markReady: "தயார் எனக் குறிக்கவும்",
+      itemCountOne: "{count} பொருள்",
+      itemCount: "{count} பொருட்கள்",
+      deliveryAddress: "டெலிவரி முகவரி",
+      sendCutlery: "கட்லரி அனுப்பவும்",
+      dontSendCutlery: "கட்லரி அனுப்ப வேண்டாம்",
+      cashOnDelivery: "டெலிவரியின் போது பணம்",
+      online: "ஆன்லைன்",
+      prepTime: "தயாரிப்பு நேரம்",
+      minutes: "{count} நிமிடங்கள்",
+      accept: "ஏற்றுக்கொள் ({time})",
+      rejectOrder: "ஆர்டரை நிராகரி",
+      needHelp: "இந்த ஆர்டரில் உதவி வேண்டுமா?",
+      rejectTitle: "ஆர்டர் {id}-ஐ நிராகரி",
+      rejectHint: "இந்த ஆர்டரை நிராகரிப்பதற்கான காரணத்தைத் தேர்ந்தெடுக்கவும்",
+      cancel: "ரத்து செய்",
+      confirmRejection: "நிராகரிப்பை உறுதிசெய்யவும்",
+      cancelTitle: "ஆர்டர் {id}-ஐ ரத்து செய்",
+      cancelHint: "இந்த ஆர்டரை ரத்து செய்வதற்கான காரணத்தைக் குறிப்பிடவும்",
+      confirmCancellation: "ரத்து செய்வதை உறுதிசெய்யவும்",
+      items: "பொருட்கள்",
+      close: "மூடு",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ஃபீட்",
+      pocket: "பாக்கெட்",
+      tripHistory: "பயண வரலாறு",
+      profile: "சுயவிவரம்",
+    },
+    home: {
+      online: "ஆன்லைன்",
+      offline: "ஆஃப்லைன்",
+      earnings: "வருமானம்",
+      trips: "பயணங்கள்",
+      timeOnOrders: "ஆர்டர்களில் செலவிட்ட நேரம்",
+      history: "வரலாறு",
+      helpTitle: "நாங்கள் எப்படி உதவலாம்?",
+      emergencyHelp: "அவசர உதவி",
+      bookGigsTitle: "ஆன்லைனில் வர கிக்குகளை முன்பதிவு செய்யவும்",
+      gigDetails: "கிக் விவரங்கள்",
+      gigBookingOpen: "உங்கள் மண்டலத்தில் கிக் முன்பதிவு திறந்துள்ளது",
+      bookGigsHint: "ஆன்லைனில் வந்து ஆர்டர்களை டெலிவரி செய்யத் தொடங்க இப்போதே உங்கள் கிக்குகளை முன்பதிவு செய்யவும்",
+      bookGigs: "கிக்குகளை முன்பதிவு செய்",
+      newOrder: "புதிய ஆர்டர்",
+      pickUp: "பிக்கப்",
+      releaseToAccept: "ஏற்க விடுவிக்கவும்",
+      acceptOrder: "ஆர்டரை ஏற்றுக்கொள்",
+      deny: "மறு",
+      cantAccept: "ஆர்டரை ஏற்க முடியாது",
+      cantAcceptHint: "இந்த ஆர்டரை ஏற்காததற்கான காரணத்தைத் தேர்ந்தெடுக்கவும்",
+      cancel: "ரத்து செய்",
+      confirm: "உறுதிசெய்",
+      releaseToConfirm: "உறுதிசெய்ய விடுவிக்கவும்",
+      reachedPickup: "பிக்கப் இடத்தை அடைந்தேன்",
+      confirmOrderId: "ஆர்டர் ID-ஐ உறுதிசெய்யவும்",
+      confirmOrderIdHint: "பிக்கப்பிற்கு முன் உணவகத்துடன் ஆர்டர் ID-ஐச் சரிபார்க்கவும்",
+      orderId: "ஆர்டர் ID",
+      billUploadedHint: "பில் படம் பதிவேற்றப்பட்டது",
+      captureBillHint: "பில் படத்தை எடுக்கவும்",
+      uploading: "பதிவேற்றப்படுகிறது...",
+      billUploaded: "பில் பதிவேற்றப்பட்டது",
+      captureBill: "பில்லைப் படமெடு",
+      uploadBillFirst: "முதலில் பில்லைப் பதிவேற்றவும்",
+      orderPickedUp: "ஆர்டர் எடுக்கப்பட்டது",
+      drop: "டிராப்",
+      reachedDrop: "டிராப் இடத்தை அடைந்தேன்",
+      collectCod: "வாடிக்கையாளரிடம் வசூலிக்கவும் (COD)",
+      payAtHotel: "ஹோட்டலில் செலுத்துதல்",
+      paidOnline: "தொகை செலுத்தப்பட்டது (ஆன்லைன்)",
+      cashCollectedVerified: "பணம் வசூலிக்கப்பட்டது (சரிபார்க்கப்பட்டது)",
+      cashCollectedAtHotel: "ஹோட்டலில் பணம் வசூலிக்கப்பட்டது",
+      orderDelivered: "ஆர்டர் டெலிவரி செய்யப்பட்டது",
+      rateExperience: "உங்கள் அனுபவத்தை மதிப்பிடுங்கள்",
+      rateExperienceHint: "உங்கள் டெலிவரி அனுபவம் எப்படி இருந்தது?",
+      shareExperience: "உங்கள் அனுபவத்தைப் பகிரவும்...",
+      submitReview: "மதிப்புரையைச் சமர்ப்பிக்கவும்",
+      complete: "முடி",
+    },
+  },
+}
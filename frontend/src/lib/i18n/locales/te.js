@@ -0,0 +1,312 @@
+// Telugu
+export default {
+  common: {
+    language: {
+      title: "భాషను మార్చండి",
+      label: "భాష",
+      subtitle: "యాప్ కోసం మీకు నచ్చిన భాషను ఎంచుకోండి",
+      note: "నోటిఫికేషన్లు, SMS మరియు ఇమెయిల్‌లు కూడా ఈ భాషలోనే పంపబడతాయి.",
+      updated: "భాష మార్చబడింది",
+      saveFailed: "మీ భాషను సేవ్ చేయలేకపోయాం. ఈ పరికరంలో ఇది ఇప్పటికీ ఉపయోగించబడుతుంది.",
+    },
+  },
+  user: {
+    nav: {
+      delivery: "డెలివరీ",
+      under250: "₹250 లోపు",
+      dining: "డైనింగ్",
+      profile: "ప్రొఫైల్",
+    },
+    settings: {
+      title: "సెట్టింగ్‌లు",
+      preferences: "నోటిఫికేషన్లు & ప్రాధాన్యతలు",
+      emailNotifications: "ఇమెయిల్ నోటిఫికేషన్లు",
+      emailNotificationsHint: "మీ ఆర్డర్ల అప్‌డేట్‌లను ఇమెయిల్ ద్వారా పొందండి",
+      pushNotifications: "పుష్ నోటిఫికేషన్లు",
+      pushNotificationsHint: "మీ పరికరంలో పుష్ నోటిఫికేషన్లు పొందండి",
+    },
+    cart: {
+      title: "కార్ట్",
+      empty: "మీ కార్ట్ ఖాళీగా ఉంది",
+      emptyHint: "కొత్త ఆర్డర్ ప్రారంభించడానికి ఒక రెస్టారెంట్ నుండి ఐటెమ్‌లను జోడించండి",
+      browseRestaurants: "రెస్టారెంట్లను చూడండి",
+      savedOnOrder: "ఈ ఆర్డర్‌పై మీరు ₹{amount} ఆదా చేశారు",
+      editItem: "ఐటెమ్‌ను మార్చండి",
+      addMoreItems: "మరిన్ని ఐటెమ్‌లు జోడించండి",
+      addNote: "రెస్టారెంట్ కోసం ఒక నోట్ జోడించండి",
+      dontSendCutlery: "కట్లరీ పంపవద్దు",
+      noCutlery: "కట్లరీ వద్దు",
+      notePlaceholder: "వంట సూచనలు, అలర్జీలు మొదలైనవి జోడించండి",
+      completeYourMeal: "మీ భోజనాన్ని పూర్తి చేయండి",
+      couponApplied: "'{code}' వర్తించబడింది",
+      youSaved: "మీరు ₹{amount} ఆదా చేశారు",
+      removeCoupon: "తొలగించండి",
+      loadingCoupons: "కూపన్లు లోడ్ అవుతున్నాయి...",
+      viewAllCoupons: "అన్ని కూపన్లు చూడండి",
+      minOrder: "కనీసం ₹{amount}",
+      apply: "వర్తింపజేయండి",
+      noCoupons: "కూపన్లు అందుబాటులో లేవు",
+      deliveryIn: "డెలివరీ సమయం",
+      deliveryAt: "డెలివరీ చిరునామా",
+      location: "ప్రదేశం",
+      addDeliveryAddress: "డెలివరీ చిరునామా జోడించండి",
+      additionalAddress: "అదనపు చిరునామా",
+      additionalAddressPlaceholder: "అదనపు చిరునామా వివరాలు ఇవ్వండి (ఉదా. ఫ్లాట్ నం., అంతస్తు, ల్యాండ్‌మార్క్)",
+      totalBill: "మొత్తం బిల్లు",
+      inclTaxes: "పన్నులు, ఛార్జీలతో కలిపి",
+      itemTotal: "ఐటెమ్‌ల మొత్తం",
+      deliveryFee: "డెలివరీ ఫీజు",
+      free: "ఉచితం",
+      platformFee: "ప్లాట్‌ఫామ్ ఫీజు",
+      gstAndCharges: "GST మరియు రెస్టారెంట్ ఛార్జీలు",
+      gst: "GST",
+      deliveryTip: "డెలివరీ పార్ట్‌నర్ టిప్",
+      couponDiscount: "కూపన్ డిస్కౌంట్",
+      toPay: "చెల్లించాల్సింది",
+      orderSummary: "ఆర్డర్ సారాంశం",
+      discount: "డిస్కౌంట్",
+      total: "మొత్తం",
+      payUsing: "దీనితో చెల్లించండి",
+      wallet: "వాలెట్",
+      payAtHotel: "హోటల్‌లో చెల్లించండి",
+      onlinePayment: "ఆన్‌లైన్ చెల్లింపు",
+      paymentMethod: "చెల్లింపు విధానం",
+      razorpayOnline: "Razorpay ఆన్‌లైన్ చెల్లింపు",
+      loading: "లోడ్ అవుతోంది...",
+      roomNumber: "గది నంబర్",
+      roomNumberPlaceholder: "మీ గది నంబర్ ఇవ్వండి (ఉదా. 101)",
+      roomFromQr: "మీ గదిలోని QR కోడ్ నుండి గది నంబర్ తీసుకోబడింది",
+      orderingFrom: "ఇక్కడి నుండి ఆర్డర్: {hotel}",
+      totalCaps: "మొత్తం",
+      processing: "ప్రాసెస్ అవుతోంది...",
+      selectPayment: "చెల్లింపును ఎంచుకోండి",
+      placeOrder: "ఆర్డర్ చేయండి",
+      insufficientBalance: "బ్యాలెన్స్ సరిపోదు",
+      placeOrderPayAtHotel: "ఆర్డర్ చేయండి (హోటల్‌లో చెల్లింపు)",
+      placingOrder: "మీ ఆర్డర్ చేయబడుతోంది",
+      payOnlineAmount: "₹{amount} ఆన్‌లైన్‌లో చెల్లించండి (Razorpay)",
+      payFromWallet: "వాలెట్ నుండి ₹{amount} చెల్లించండి",
+      payAtHotelOnArrival: "వచ్చాక హోటల్‌లో చెల్లించండి",
+      payOnline: "ఆన్‌లైన్‌లో చెల్లించండి",
+      deliveringTo: "ఈ ప్రదేశానికి డెలివరీ",
+      cancel: "రద్దు చేయండి",
+      orderPlaced: "ఆర్డర్ చేయబడింది!",
+      onItsWay: "మీ రుచికరమైన భోజనం దారిలో ఉంది",
+      trackOrder: "మీ ఆర్డర్‌ను ట్రాక్ చేయండి",
+    },
+    orders: {
+      title: "మీ ఆర్డర్లు",
+      empty: "మీరు ఇంకా ఏ ఆర్డర్ చేయలేదు",
+      startOrdering: "ఆర్డర్ చేయడం ప్రారంభించండి",
+      searchPlaceholder: "రెస్టారెంట్ లేదా వంటకం ద్వారా వెతకండి",
+      noMatches: "మీ శోధనకు సరిపోయే ఆర్డర్లు లేవు",
+      deliveryPartner: "డెలివరీ:",
+      shareRestaurant: "రెస్టారెంట్‌ను షేర్ చేయండి",
+      orderDetails: "ఆర్డర్ వివరాలు",
+      orderNumber: "ఆర్డర్ #{id}",
+      itemCountOne: "{count} ఐటెమ్",
+      itemCount: "{count} ఐటెమ్‌లు",
+      subtotal: "ఉప మొత్తం",
+      tax: "పన్ను",
+      couponApplied: "కూపన్ వర్తించబడింది",
+      placedOn: "{date}న ఆర్డర్ చేయబడింది",
+      deliveredOn: "{date}న డెలివరీ అయింది",
+      payment: "చెల్లింపు:",
+      cashOnDelivery: "క్యాష్ ఆన్ డెలివరీ",
+      online: "ఆన్‌లైన్",
+      delivered: "డెలివరీ అయింది",
+      restaurantCancelled: "రెస్టారెంట్ రద్దు చేసింది",
+      cancelledByYou: "మీరు రద్దు చేశారు",
+      cancelled: "రద్దు చేయబడింది",
+      viewDetails: "వివరాలు చూడండి",
+      refundInfo: "రీఫండ్ 24-48 గంటల్లో ప్రాసెస్ అవుతుంది",
+      paymentFailed: "చెల్లింపు విఫలమైంది",
+      youRated: "మీ రేటింగ్",
+      orderDelivered: "ఆర్డర్ డెలివరీ అయింది",
+      rateOrder: "ఆర్డర్‌ను రేట్ చేయండి",
+      preparing: "సిద్ధమవుతోంది",
+      outForDelivery: "డెలివరీకి బయలుదేరింది",
+      confirmed: "ఆర్డర్ నిర్ధారించబడింది",
+      minutesRemaining: "{count} నిమిషాలు మిగిలి ఉన్నాయి",
+      reorder: "మళ్లీ ఆర్డర్ చేయండి",
+      rateTitle: "మీ ఆర్డర్‌ను రేట్ చేయండి",
+      ratingQuestion: "మీ మొత్తం అనుభవం ఎలా ఉంది?",
+      feedbackLabel: "మీ అభిప్రాయం తెలపండి",
+      optional: "ఐచ్ఛికం",
+      feedbackPlaceholder: "ఈ ఆర్డర్‌లో మీకు ఏది నచ్చింది లేదా నచ్చలేదు? మీ అనుభవం తెలపండి...",
+      submitting: "సమర్పిస్తోంది...",
+      submitRating: "రేటింగ్ సమర్పించండి",
+      selectRating: "కొనసాగడానికి దయచేసి రేటింగ్ ఎంచుకోండి",
+    },
+    tracking: {
+      loading: "ఆర్డర్ వివరాలు లోడ్ అవుతున్నాయి...",
+      notFound: "ఆర్డర్ కనబడలేదు",
+      notFoundHint: "మీరు వెతుకుతున్న ఆర్డర్ లేదు.",
+      backToOrders: "ఆర్డర్లకు తిరిగి వెళ్లండి",
+      placed: "ఆర్డర్ చేయబడింది",
+      preparationSoon: "వంట త్వరలో ప్రారంభమవుతుంది",
+      preparing: "మీ ఆర్డర్ సిద్ధమవుతోంది",
+      arrivingIn: "{minutes} నిమిషాల్లో చేరుతుంది",
+      pickedUp: "ఆర్డర్ తీసుకోబడింది",
+      onTheWay: "దారిలో ఉంది",
+      delivered: "ఆర్డర్ డెలివరీ అయింది",
+      enjoyMeal: "భోజనాన్ని ఆస్వాదించండి!",
+      cancelled: "ఆర్డర్ రద్దు చేయబడింది",
+      cancelledHint: "ఈ ఆర్డర్ రద్దు చేయబడింది",
+      confirmed: "ఆర్డర్ నిర్ధారించబడింది!",
+      placedSuccessfully: "మీ ఆర్డర్ విజయవంతంగా చేయబడింది",
+      onTime: "సమయానికి",
+      foodCooking: "భోజనం వండుతున్నారు",
+      partnerSafety: "డెలివరీ పార్ట్‌నర్ భద్రత గురించి తెలుసుకోండి",
+      detailsBanner: "మీ డెలివరీ వివరాలన్నీ ఒకే చోట",
+      customer: "కస్టమర్",
+      noPhone: "ఫోన్ నంబర్ అందుబాటులో లేదు",
+      deliveryAtLocation: "ఈ ప్రదేశంలో డెలివరీ",
+      addInstructions: "డెలివరీ సూచనలు జోడించండి",
+      instructionsHint: "డెలివరీ పార్ట్‌నర్ కోసం ఒక నోట్ ఇవ్వండి",
+      chatWithPartner: "డెలివరీ పార్ట్‌నర్‌తో చాట్ చేయండి",
+      chatHint: "మీ డెలివరీ పార్ట్‌నర్‌కు సందేశం పంపండి",
+      callRestaurant: "రెస్టారెంట్‌కు కాల్ చేయండి",
+      cancelOrder: "ఆర్డర్ రద్దు చేయండి",
+      cancelReasonPlaceholder: "ఉదా., మనసు మార్చుకున్నాను, తప్పు చిరునామా మొదలైనవి.",
+      cancel: "రద్దు చేయండి",
+      cancelling: "రద్దు చేస్తోంది...",
+      confirmCancellation: "రద్దును నిర్ధారించండి",
+      instructionsTitle: "డెలివరీ సూచనలు",
+      instructionsDescription: "డెలివరీ పార్ట్‌నర్ కోసం సూచనలు జోడించండి (ఉదా. \"బెల్ కొట్టండి\", \"తలుపు దగ్గర వదిలేయండి\", \"వచ్చాక కాల్ చేయండి\").",
+      instructionsPlaceholder: "ఉదా., రెండుసార్లు బెల్ కొట్టండి, తలుపు దగ్గర వదిలేయండి, వచ్చాక కాల్ చేయండి",
+      instructionsUpdated: "డెలివరీ సూచనలు అప్‌డేట్ అయ్యాయి",
+      saving: "సేవ్ అవుతోంది...",
+      save: "సేవ్ చేయండి",
+    },
+  },
+  restaurant: {
+    settings: {
+      title: "సెట్టింగ్‌లు",
+      account: "ఖాతా",
+      notifications: "నోటిఫికేషన్లు",
+      privacySecurity: "గోప్యత & భద్రత",
+      preferences: "ప్రాధాన్యతలు",
+      theme: "థీమ్",
+      support: "సహాయం & సమాచారం",
+      conversation: "సంభాషణ",
+      terms: "నిబంధనలు & షరతులు",
+      privacyPolicy: "గోప్యతా విధానం",
+      about: "మా గురించి",
+      actions: "చర్యలు",
+      logout: "లాగ్ అవుట్",
+      logoutConfirm: "మీరు ఖచ్చితంగా లాగ్ అవుట్ చేయాలనుకుంటున్నారా?",
+    },
+    item: {
+      nameTranslations: "ఇతర భాషల్లో పేరు",
+      nameTranslationsHint: "ఈ భాషల్లో యాప్ ఉపయోగించే కస్టమర్లకు ఈ పేరు కనిపిస్తుంది",
+    },
+    orders: {
+      tabs: {
+        preparing: "సిద్ధమవుతున్నవి",
+        ready: "సిద్ధం",
+        outForDelivery: "డెలివరీకి బయలుదేరినవి",
+        scheduled: "షెడ్యూల్ చేసినవి",
+        tableBooking: "టేబుల్ బుకింగ్",
+        completed: "పూర్తయినవి",
+        cancelled: "రద్దయినవి",
+      },
+      completedTitle: "పూర్తయిన ఆర్డర్లు",
+      noCompleted: "ఇంకా పూర్తయిన ఆర్డర్లు లేవు",
+      delivered: "డెలివరీ అయింది",
+      cancelledTitle: "రద్దయిన ఆర్డర్లు",
+      noCancelled: "ఇంకా రద్దయిన ఆర్డర్లు లేవు",
+      preparingTitle: "సిద్ధమవుతున్న ఆర్డర్లు",
+      noPreparing: "సిద్ధమవుతున్న ఆర్డర్లు లేవు",
+      readyTitle: "పికప్‌కు సిద్ధం",
+      noReady: "పికప్‌కు సిద్ధంగా ఉన్న ఆర్డర్లు లేవు",
+      outForDeliveryTitle: "డెలివరీకి బయలుదేరినవి",
+      noOutForDelivery: "డెలివరీకి బయలుదేరిన ఆర్డర్లు లేవు",
+      scheduledEmpty: "షెడ్యూల్ చేసిన ఆర్డర్లు ఇక్కడ కనిపిస్తాయి",
+      temporarilyClosed: "తాత్కాలికంగా మూసివేయబడింది",
+      viewStatus: "స్థితి చూడండి",
+      cancelOrder: "ఆర్డర్ రద్దు చేయండి",
+      assigned: "కేటాయించబడింది",
+      notAssigned: "కేటాయించబడలేదు",
+      markReady: "సిద్ధంగా ఉన్నట్లు గుర్తించండి",
+      itemCountOne: "{count} ఐటెమ్",
+      itemCount: "{count} ఐటెమ్‌లు",
+      deliveryAddress: "డెలివరీ చిరునామా",
+      sendCutlery: "కట్లరీ పంపండి",
+      dontSendCutlery: "కట్లరీ పంపవద్దు",
+      cashOnDelivery: "క్యాష్ ఆన్ డెలివరీ",
+      online: "ఆన్‌లైన్",
+      prepTime: "తయారీ సమయం",
+      minutes: "{count} నిమిషాలు",
+      accept: "అంగీకరించండి ({time})",
+      rejectOrder: "ఆర్డర్ తిరస్కరించండి",
+      needHelp: "ఈ ఆర్డర్‌లో సహాయం కావాలా?",
+      rejectTitle: "ఆర్డర్ {id} తిరస్కరించండి",
+      rejectHint: "దయచేసి ఈ ఆర్డర్‌ను తిరస్కరించడానికి కారణం ఎంచుకోండి",
+      cancel: "రద్దు చేయండి",
+      confirmRejection: "తిరస్కరణను నిర్ధారించండి",
+      cancelTitle: "ఆర్డర్ {id} రద్దు చేయండి",
+      cancelHint: "దయచేసి ఈ ఆర్డర్ రద్దుకు కారణం తెలపండి",
+      confirmCancellation: "రద్దును నిర్ధారించండి",
+      items: "ఐటెమ్‌లు",
+      close: "మూసివేయండి",
+    },
+  },
+  delivery: {
+    nav: {
+      feed: "ఫీడ్",
+      pocket: "పాకెట్",
+      tripHistory: "ట్రిప్ చరిత్ర",
+      profile: "ప్రొఫైల్",
+    },
+    home: {
+      online: "ఆన్‌లైన్",
+      offline: "ఆఫ్‌లైన్",
+      earnings: "సంపాదన",
+      trips: "ట్రిప్‌లు",
+      timeOnOrders: "ఆర్డర్లపై సమయం",
+      history: "చరిత్ర",
+      helpTitle: "మేము ఎలా సహాయం చేయగలం?",
+      emergencyHelp: "అత్యవసర సహాయం",
+      bookGigsTitle: "ఆన్‌లైన్‌కు రావడానికి గిగ్‌లు బుక్ చేయండి",
+      gigDetails: "గిగ్ వివరాలు",
+      gigBookingOpen: "మీ జోన్‌లో గిగ్ బుకింగ్ తెరిచి ఉంది",
+      bookGigsHint: "ఆన్‌లైన్‌కు వచ్చి ఆర్డర్లు డెలివరీ చేయడం ప్రారంభించడానికి ఇప్పుడే మీ గిగ్‌లు బుక్ చేయండి",
+      bookGigs: "గిగ్‌లు బుక్ చేయండి",
+      newOrder: "కొత్త ఆర్డర్",
+      pickUp: "పికప్",
+      releaseToAccept: "అంగీకరించడానికి వదలండి",
+      acceptOrder: "ఆర్డర్ అంగీకరించండి",
+      deny: "తిరస్కరించండి",
+      cantAccept: "ఆర్డర్ అంగీకరించలేను",
+      cantAcceptHint: "దయచేసి ఈ ఆర్డర్‌ను అంగీకరించకపోవడానికి కారణం ఎంచుకోండి",
+      cancel: "రద్దు చేయండి",
+      confirm: "నిర్ధారించండి",
+      releaseToConfirm: "నిర్ధారించడానికి వదలండి",
+      reachedPickup: "పికప్ చేరుకున్నాను",
+      confirmOrderId: "ఆర్డర్ ID నిర్ధారించండి",
+      confirmOrderIdHint: "పికప్ ముందు రెస్టారెంట్‌తో ఆర్డర్ ID సరిచూసుకోండి",
+      orderId: "ఆర్డర్ ID",
+      billUploadedHint: "బిల్లు ఫోటో అప్‌లోడ్ అయింది",
+      captureBillHint: "దయచేసి బిల్లు ఫోటో తీయండి",
+      uploading: "అప్‌లోడ్ అవుతోంది...",
+      billUploaded: "బిల్లు అప్‌లోడ్ అయింది",
+      captureBill: "బిల్లు ఫోటో తీయండి",
+      uploadBillFirst: "ముందు బిల్లు అప్‌లోడ్ చేయండి",
+      orderPickedUp: "ఆర్డర్ తీసుకున్నాను",
+      drop: "డ్రాప్",
+      reachedDrop: "డ్రాప్ చేరుకున్నాను",
+      collectCod: "కస్టమర్ నుండి వసూలు చేయండి (COD)",
+      payAtHotel: "హోటల్‌లో చెల్లింపు",
+      paidOnline: "మొత్తం చెల్లించబడింది (ఆన్‌లైన్)",
+      cashCollectedVerified: "నగదు వసూలైంది (ధృవీకరించబడింది)",
+      cashCollectedAtHotel: "హోటల్‌లో నగదు వసూలైంది",
+      orderDelivered: "ఆర్డర్ డెలివరీ అయింది",
+      rateExperience: "మీ అనుభవాన్ని రేట్ చేయండి",
+      rateExperienceHint: "మీ డెలివరీ అనుభవం ఎలా ఉంది?",
+      shareExperience: "మీ అనుభవం తెలపండి...",
+      submitReview: "రివ్యూ సమర్పించండి",
+      complete: "పూర్తి చేయండి",
+    },
+  },
+}
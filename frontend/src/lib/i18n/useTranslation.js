@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react"
+
+export const I18nContext = createContext(null)
+
+/**
+ * Translations for the current app.
+ * Must be used inside I18nProvider (mounted in main.jsx).
+ * @returns {{t: (key: string, params?: Object) => string, language: string, setLanguage: (code: string) => Promise<void>, languages: Array}}
+ */
+export function useTranslation() {
+  return useContext(I18nContext)
+}
@@ -0,0 +1,39 @@
+/**
+ * File Download Utility Functions
+ * Helpers for saving files fetched with responseType: 'blob'
+ */
+
+/**
+ * Save a Blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read the API error message from a failed blob request
+ * (error bodies arrive as a Blob because of responseType: 'blob')
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message when none can be read
+ * @returns {Promise<string>}
+ */
+export const getBlobErrorMessage = async (error, fallback) => {
+  const data = error?.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return data?.message || fallback;
+};
@@ -0,0 +1,90 @@
+/**
+ * Socket.IO Auth Utilities
+ * Send module access tokens in the socket handshake and keep long-lived sockets authenticated
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../api/config.js';
+import { getModuleToken, getRoleFromToken } from './auth.js';
+
+const REFRESH_ENDPOINTS = {
+  user: '/auth/refresh-token',
+  restaurant: '/restaurant/auth/refresh-token',
+  delivery: '/delivery/auth/refresh-token',
+  hotel: '/hotel/auth/refresh-token',
+  admin: '/admin/auth/refresh-token',
+};
+
+/**
+ * Handshake auth for io(): evaluated on every (re)connect so the latest token is sent
+ * @param {string} module - Module name (admin, restaurant, delivery, hotel, user)
+ * @returns {Function} - Socket.IO auth callback
+ */
+export function socketAuth(module) {
+  return (cb) => cb({ token: getModuleToken(module) || localStorage.getItem('accessToken') });
+}
+
+/**
+ * Get a new access token for a module using its refresh token cookie
+ * @param {string} module - Module name (admin, restaurant, delivery, hotel, user)
+ * @returns {Promise<string|null>} - New access token or null if refresh failed
+ */
+export async function refreshModuleToken(module) {
+  const endpoint = REFRESH_ENDPOINTS[module];
+  if (!endpoint) return null;
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}${endpoint}`, {}, { withCredentials: true });
+    const { accessToken } = response.data.data || response.data;
+    if (!accessToken || getRoleFromToken(accessToken) !== module) return null;
+
+    // Keep the token in whichever storage the login used (session vs "Remember Me")
+    const key = `${module}_accessToken`;
+    const storage = sessionStorage.getItem(key) ? sessionStorage : localStorage;
+    storage.setItem(key, accessToken);
+    return accessToken;
+  } catch (error) {
+    console.warn(`Socket token refresh failed for ${module}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Refresh the socket's token before the server expires it, and reconnect
+ * when a handshake is rejected because the stored token already expired
+ * @param {Socket} socket - Socket.IO client socket
+ * @param {string} module - Module name (admin, restaurant, delivery, hotel, user)
+ */
+export function enableSocketTokenRefresh(socket, module) {
+  let retriedExpiredHandshake = false;
+
+  socket.on('auth:expiring', async () => {
+    const token = await refreshModuleToken(module);
+    if (token) {
+      socket.emit('auth:refresh', { token }, (result) => {
+        if (!result?.success) {
+          console.warn('Socket rejected refreshed token:', result?.message);
+        }
+      });
+    }
+  });
+
+  // Server disconnects sockets whose token expired; reconnect with a fresh token
+  socket.on('auth:expired', async () => {
+    if (await refreshModuleToken(module)) {
+      socket.connect();
+    }
+  });
+
+  socket.on('connect_error', async (error) => {
+    if (error?.data?.code !== 'TOKEN_EXPIRED' || retriedExpiredHandshake) return;
+    retriedExpiredHandshake = true;
+    if (await refreshModuleToken(module)) {
+      socket.connect();
+    }
+  });
+
+  socket.on('connect', () => {
+    retriedExpiredHandshake = false;
+  });
+}
@@ -78,6 +78,7 @@ const DeliverymanBonus = lazy(() => import("../pages/delivery-partners/Deliverym
 const EarningAddon = lazy(() => import("../pages/delivery-partners/EarningAddon"));
 const EarningAddonHistory = lazy(() => import("../pages/delivery-partners/EarningAddonHistory"));
 const DeliveryEarnings = lazy(() => import("../pages/delivery-partners/DeliveryEarnings"));
+const GigCapacityPlanner = lazy(() => import("../pages/delivery-partners/GigCapacityPlanner"));
 // Disbursement Management
 const RestaurantDisbursement = lazy(() => import("../pages/RestaurantDisbursement"));
 const DeliverymanDisbursement = lazy(() => import("../pages/DeliverymanDisbursement"));
@@ -128,6 +129,7 @@ const CleanDatabase = lazy(() => import("../pages/system/CleanDatabase"));
 const AddonActivation = lazy(() => import("../pages/system/AddonActivation"));
 // ENV Setup (formerly System Addons)
 const SystemAddons = lazy(() => import("../pages/system/SystemAddons"));
+const JobQueues = lazy(() => import("../pages/system/JobQueues"));
 const LandingPageManagement = lazy(() => import("../pages/system/LandingPageManagement"));
 const DiningManagement = lazy(() => import("../pages/system/DiningManagement"));
 const DiningList = lazy(() => import("../pages/system/DiningList"));
@@ -258,6 +260,7 @@ export default function AdminRouter() {
           <Route path="delivery-partners/bonus" element={<DeliverymanBonus />} />
           <Route path="delivery-partners/earning-addon" element={<EarningAddon />} />
           <Route path="delivery-partners/earning-addon-history" element={<EarningAddonHistory />} />
+          <Route path="delivery-partners/gig-capacity" element={<GigCapacityPlanner />} />
           <Route path="delivery-partners/earnings" element={<DeliveryEarnings />} />
 
           {/* DISBURSEMENT MANAGEMENT */}
@@ -327,6 +330,7 @@ export default function AdminRouter() {
 
           {/* ENV SETUP */}
           <Route path="system-addons" element={<SystemAddons />} />
+          <Route path="jobs" element={<JobQueues />} />
           {/* HERO BANNER MANAGEMENT */}
           <Route path="hero-banner-management" element={<LandingPageManagement />} />
           {/* DINING MANAGEMENT */}
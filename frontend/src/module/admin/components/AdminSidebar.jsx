@@ -46,7 +46,9 @@ import {
 } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { Input } from "@/components/ui/input"
-import { sidebarMenuData } from "../data/sidebarMenu"
+import { sidebarMenuData, filterMenuByPermissions } from "../data/sidebarMenu"
+import { getStoredAdminPermissions } from "../data/adminPermissions"
+import { adminAPI } from "@/lib/api"
 import { getCachedSettings, loadBusinessSettings } from "@/lib/utils/businessSettings"
 
 // Icon mapping
@@ -95,6 +97,36 @@ export default function AdminSidebar({ isOpen = false, onClose, onCollapseChange
   const [searchQuery, setSearchQuery] = useState("")
   const [logoUrl, setLogoUrl] = useState(null)
   const [companyName, setCompanyName] = useState(null)
+  const [permissions, setPermissions] = useState(getStoredAdminPermissions)
+
+  // Refresh the admin's permissions so role changes apply without logging in again
+  useEffect(() => {
+    let cancelled = false
+
+    adminAPI.getCurrentAdmin()
+      .then((response) => {
+        const admin = response?.data?.data?.admin
+        if (cancelled || !admin) return
+        localStorage.setItem("admin_user", JSON.stringify(admin))
+        setPermissions(Array.isArray(admin.effectivePermissions) ? admin.effectivePermissions : null)
+      })
+      .catch((error) => {
+        console.error("Error loading admin permissions:", error)
+      })
+
+    const handleAuthChange = () => setPermissions(getStoredAdminPermissions())
+    window.addEventListener("adminAuthChanged", handleAuthChange)
+
+    return () => {
+      cancelled = true
+      window.removeEventListener("adminAuthChanged", handleAuthChange)
+    }
+  }, [])
+
+  const permittedMenuData = useMemo(
+    () => filterMenuByPermissions(sidebarMenuData, permissions),
+    [permissions]
+  )
 
   // Load business settings logo
   useEffect(() => {
@@ -220,13 +252,13 @@ export default function AdminSidebar({ isOpen = false, onClose, onCollapseChange
   // Filter menu items based on search query
   const filteredMenuData = useMemo(() => {
     if (!searchQuery.trim()) {
-      return sidebarMenuData
+      return permittedMenuData
     }
 
     const query = searchQuery.toLowerCase().trim()
     const filtered = []
 
-    sidebarMenuData.forEach((item) => {
+    permittedMenuData.forEach((item) => {
       if (item.type === "link") {
         if (item.label.toLowerCase().includes(query)) {
           filtered.push(item)
@@ -264,7 +296,7 @@ export default function AdminSidebar({ isOpen = false, onClose, onCollapseChange
     })
 
     return filtered
-  }, [searchQuery])
+  }, [searchQuery, permittedMenuData])
 
   // Auto-expand sections with matches when searching
   useEffect(() => {
@@ -0,0 +1,404 @@
+import { Plus, Pencil } from "lucide-react"
+import { useState } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog"
+
+const PAYMENT_METHODS = [
+  { value: "razorpay", label: "Online (Razorpay)" },
+  { value: "cash", label: "Cash on Delivery" },
+  { value: "wallet", label: "Wallet" },
+  { value: "pay_at_hotel", label: "Pay at Hotel" },
+]
+
+const emptyForm = {
+  code: "",
+  title: "",
+  description: "",
+  discountType: "percentage",
+  discountValue: "",
+  maxDiscount: "",
+  minOrderValue: "",
+  startsAt: "",
+  expiresAt: "",
+  usageLimit: "",
+  perUserLimit: "1",
+  firstOrderOnly: false,
+  newUserDays: "",
+  zones: [],
+  restaurants: [],
+  paymentMethods: [],
+  platformShare: "100",
+}
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "")
+const idsOf = (list = []) => list.map((item) => (typeof item === "object" ? item._id : item))
+
+const inputClass = (hasError) =>
+  `w-full px-4 py-2.5 border rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm ${
+    hasError ? "border-red-500" : "border-slate-300"
+  }`
+
+// Form state for an existing coupon, or a blank form starting today
+const buildFormData = (coupon) => {
+  if (!coupon) return { ...emptyForm, startsAt: toDateInput(new Date()) }
+  return {
+    code: coupon.code || "",
+    title: coupon.title || "",
+    description: coupon.description || "",
+    discountType: coupon.discountType || "percentage",
+    discountValue: coupon.discountValue != null ? String(coupon.discountValue) : "",
+    maxDiscount: coupon.maxDiscount != null ? String(coupon.maxDiscount) : "",
+    minOrderValue: coupon.minOrderValue ? String(coupon.minOrderValue) : "",
+    startsAt: toDateInput(coupon.startsAt),
+    expiresAt: toDateInput(coupon.expiresAt),
+    usageLimit: coupon.usageLimit != null ? String(coupon.usageLimit) : "",
+    perUserLimit: coupon.perUserLimit != null ? String(coupon.perUserLimit) : "",
+    firstOrderOnly: !!coupon.eligibility?.firstOrderOnly,
+    newUserDays: coupon.eligibility?.newUserDays != null ? String(coupon.eligibility.newUserDays) : "",
+    zones: idsOf(coupon.targeting?.zones),
+    restaurants: idsOf(coupon.targeting?.restaurants),
+    paymentMethods: coupon.targeting?.paymentMethods || [],
+    platformShare: String(coupon.funding?.platformShare ?? 100),
+  }
+}
+
+// Mount with a key per coupon so the form resets when switching coupons
+export default function AddEditCouponDialog({ isOpen, onOpenChange, coupon, zones = [], restaurants = [], onSave, saving }) {
+  const [formData, setFormData] = useState(() => buildFormData(coupon))
+  const [errors, setErrors] = useState({})
+
+  const setField = (field, value) => setFormData((prev) => ({ ...prev, [field]: value }))
+
+  const toggleInList = (field, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((v) => v !== value)
+        : [...prev[field], value],
+    }))
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    if (!/^[A-Za-z0-9_-]{3,20}$/.test(formData.code.trim())) {
+      newErrors.code = "Use 3-20 letters, digits, - or _"
+    }
+    if (!formData.title.trim()) {
+      newErrors.title = "Title is required"
+    }
+    if (formData.discountType !== "free_delivery") {
+      const value = Number(formData.discountValue)
+      if (!value || value <= 0) {
+        newErrors.discountValue = "Discount is required"
+      } else if (formData.discountType === "percentage" && value > 100) {
+        newErrors.discountValue = "Percentage cannot exceed 100"
+      }
+    }
+    if (!formData.startsAt) {
+      newErrors.startsAt = "Start date is required"
+    }
+    if (formData.startsAt && formData.expiresAt && formData.expiresAt <= formData.startsAt) {
+      newErrors.expiresAt = "Expiry must be after start date"
+    }
+    const share = Number(formData.platformShare)
+    if (formData.platformShare === "" || share < 0 || share > 100) {
+      newErrors.platformShare = "Enter a value between 0 and 100"
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!validateForm()) return
+
+    onSave({
+      code: formData.code.trim().toUpperCase(),
+      title: formData.title.trim(),
+      description: formData.description.trim(),
+      discountType: formData.discountType,
+      discountValue: formData.discountType === "free_delivery" ? 0 : Number(formData.discountValue),
+      maxDiscount: formData.discountType === "percentage" && formData.maxDiscount !== "" ? Number(formData.maxDiscount) : null,
+      minOrderValue: Number(formData.minOrderValue || 0),
+      startsAt: formData.startsAt,
+      // Valid through the end of the chosen day
+      expiresAt: formData.expiresAt ? `${formData.expiresAt}T23:59:59` : null,
+      usageLimit: formData.usageLimit === "" ? null : Number(formData.usageLimit),
+      perUserLimit: formData.perUserLimit === "" ? null : Number(formData.perUserLimit),
+      eligibility: {
+        firstOrderOnly: formData.firstOrderOnly,
+        newUserDays: formData.newUserDays === "" ? null : Number(formData.newUserDays),
+      },
+      targeting: {
+        zones: formData.zones,
+        restaurants: formData.restaurants,
+        paymentMethods: formData.paymentMethods,
+      },
+      funding: { platformShare: Number(formData.platformShare) },
+    })
+  }
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl bg-white p-0 max-h-[90vh] overflow-y-auto">
+        <DialogHeader className="px-6 pt-6 pb-4 border-b border-slate-200">
+          <DialogTitle className="flex items-center gap-2">
+            {coupon ? <Pencil className="w-5 h-5 text-blue-600" /> : <Plus className="w-5 h-5 text-blue-600" />}
+            {coupon ? "Edit Coupon" : "Add New Coupon"}
+          </DialogTitle>
+          <DialogDescription>
+            Platform coupons apply across restaurants. The restaurant-funded share is deducted from the restaurant payout.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit}>
+          <div className="px-6 py-6 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label="Coupon Code" required error={errors.code}>
+                <input
+                  type="text"
+                  value={formData.code}
+                  onChange={(e) => setField("code", e.target.value.toUpperCase())}
+                  placeholder="e.g. WELCOME50"
+                  className={`${inputClass(errors.code)} font-mono`}
+                />
+              </Field>
+              <Field label="Title" required error={errors.title}>
+                <input
+                  type="text"
+                  value={formData.title}
+                  onChange={(e) => setField("title", e.target.value)}
+                  placeholder="e.g. 50% off your first order"
+                  className={inputClass(errors.title)}
+                />
+              </Field>
+            </div>
+
+            <Field label="Description">
+              <textarea
+                rows={2}
+                value={formData.description}
+                onChange={(e) => setField("description", e.target.value)}
+                className={`${inputClass(false)} resize-none`}
+              />
+            </Field>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Field label="Discount Type" required>
+                <select
+                  value={formData.discountType}
+                  onChange={(e) => setField("discountType", e.target.value)}
+                  className={inputClass(false)}
+                >
+                  <option value="percentage">Percentage</option>
+                  <option value="flat">Flat Amount</option>
+                  <option value="free_delivery">Free Delivery</option>
+                </select>
+              </Field>
+              {formData.discountType !== "free_delivery" && (
+                <Field
+                  label={formData.discountType === "percentage" ? "Discount (%)" : "Discount (₹)"}
+                  required
+                  error={errors.discountValue}
+                >
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.discountValue}
+                    onChange={(e) => setField("discountValue", e.target.value)}
+                    className={inputClass(errors.discountValue)}
+                  />
+                </Field>
+              )}
+              {formData.discountType === "percentage" && (
+                <Field label="Max Discount (₹)">
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.maxDiscount}
+                    onChange={(e) => setField("maxDiscount", e.target.value)}
+                    placeholder="No cap"
+                    className={inputClass(false)}
+                  />
+                </Field>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Field label="Min Order Value (₹)">
+                <input
+                  type="number"
+                  min="0"
+                  value={formData.minOrderValue}
+                  onChange={(e) => setField("minOrderValue", e.target.value)}
+                  placeholder="0"
+                  className={inputClass(false)}
+                />
+              </Field>
+              <Field label="Start Date" required error={errors.startsAt}>
+                <input
+                  type="date"
+                  value={formData.startsAt}
+                  onChange={(e) => setField("startsAt", e.target.value)}
+                  className={inputClass(errors.startsAt)}
+                />
+              </Field>
+              <Field label="Expiry Date" error={errors.expiresAt}>
+                <input
+                  type="date"
+                  value={formData.expiresAt}
+                  onChange={(e) => setField("expiresAt", e.target.value)}
+                  className={inputClass(errors.expiresAt)}
+                />
+              </Field>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Field label="Total Usage Limit">
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.usageLimit}
+                  onChange={(e) => setField("usageLimit", e.target.value)}
+                  placeholder="Unlimited"
+                  className={inputClass(false)}
+                />
+              </Field>
+              <Field label="Uses Per User">
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.perUserLimit}
+                  onChange={(e) => setField("perUserLimit", e.target.value)}
+                  placeholder="Unlimited"
+                  className={inputClass(false)}
+                />
+              </Field>
+              <Field label="Platform Funded (%)" required error={errors.platformShare}>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={formData.platformShare}
+                  onChange={(e) => setField("platformShare", e.target.value)}
+                  className={inputClass(errors.platformShare)}
+                />
+              </Field>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={formData.firstOrderOnly}
+                  onChange={(e) => setField("firstOrderOnly", e.target.checked)}
+                  className="w-4 h-4 text-blue-600 border-slate-300 rounded"
+                />
+                First order only
+              </label>
+              <Field label="New users only (signed up within days)">
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.newUserDays}
+                  onChange={(e) => setField("newUserDays", e.target.value)}
+                  placeholder="Any user"
+                  className={inputClass(false)}
+                />
+              </Field>
+            </div>
+
+            <Field label="Payment Methods (none selected = all)">
+              <div className="flex flex-wrap gap-3">
+                {PAYMENT_METHODS.map(({ value, label }) => (
+                  <label key={value} className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.paymentMethods.includes(value)}
+                      onChange={() => toggleInList("paymentMethods", value)}
+                      className="w-4 h-4 text-blue-600 border-slate-300 rounded"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </Field>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label="Zones (none selected = all)">
+                <CheckList
+                  items={zones.map((z) => ({ id: z._id, label: z.name || z.zoneName }))}
+                  selected={formData.zones}
+                  onToggle={(id) => toggleInList("zones", id)}
+                />
+              </Field>
+              <Field label="Restaurants (none selected = all)">
+                <CheckList
+                  items={restaurants.map((r) => ({ id: r._id, label: r.name }))}
+                  selected={formData.restaurants}
+                  onToggle={(id) => toggleInList("restaurants", id)}
+                />
+              </Field>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 border-t border-slate-200 flex items-center justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => onOpenChange(false)}
+              className="px-4 py-2.5 text-sm font-medium rounded-lg border border-slate-300 bg-white text-slate-700 hover:bg-slate-50 transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md disabled:opacity-50"
+            >
+              {saving ? "Saving..." : coupon ? "Update Coupon" : "Create Coupon"}
+            </button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function Field({ label, required, error, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-slate-700 mb-2">
+        {label} {required && <span className="text-red-500">*</span>}
+      </label>
+      {children}
+      {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+    </div>
+  )
+}
+
+function CheckList({ items, selected, onToggle }) {
+  if (items.length === 0) {
+    return <p className="text-xs text-slate-500">None available</p>
+  }
+  return (
+    <div className="max-h-36 overflow-y-auto border border-slate-200 rounded-lg p-2 space-y-1">
+      {items.map(({ id, label }) => (
+        <label key={id} className="flex items-center gap-2 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={selected.includes(id)}
+            onChange={() => onToggle(id)}
+            className="w-4 h-4 text-blue-600 border-slate-300 rounded"
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  )
+}
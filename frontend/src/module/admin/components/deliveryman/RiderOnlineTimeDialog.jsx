@@ -0,0 +1,198 @@
+import { useState, useEffect } from "react"
+import { Clock, Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog"
+import { adminAPI } from "@/lib/api"
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`
+
+// 135 -> "2h 15m"
+const formatMinutes = (minutes = 0) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`
+
+const formatClock = (value) =>
+  new Date(value).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" })
+
+const END_REASON_LABELS = {
+  rider: "Went offline",
+  slot_ended: "Gig slot ended",
+  inactive: "App inactive",
+}
+
+/**
+ * Login hours, busy vs idle time, acceptance rate and online sessions of a
+ * delivery partner for a day, with the totals of its week
+ */
+export default function RiderOnlineTimeDialog({ isOpen, onOpenChange, deliveryman }) {
+  const [date, setDate] = useState(() => toDateKey(new Date()))
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    if (!isOpen || !deliveryman?._id) return
+    let cancelled = false
+    const fetchOnlineTime = async () => {
+      setLoading(true)
+      setError("")
+      try {
+        const response = await adminAPI.getDeliveryPartnerOnlineTime(deliveryman._id, { date })
+        if (!cancelled) setReport(response?.data?.data || null)
+      } catch (err) {
+        if (!cancelled) {
+          setReport(null)
+          setError(err.response?.data?.message || "Failed to load online time")
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    fetchOnlineTime()
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, deliveryman?._id, date])
+
+  const day = report?.day
+  const week = report?.week
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl bg-white p-0 max-h-[85vh] overflow-y-auto">
+        <DialogHeader className="px-6 pt-6 pb-4 border-b border-slate-200">
+          <DialogTitle className="flex items-center gap-2">
+            <Clock className="w-5 h-5 text-blue-600" />
+            Online Time{deliveryman?.name ? ` · ${deliveryman.name}` : ""}
+          </DialogTitle>
+          <DialogDescription>
+            Login hours, time on orders and acceptance rate from the rider's online sessions
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="px-6 py-5 space-y-5">
+          <div className="flex items-center justify-between gap-3">
+            <input
+              type="date"
+              value={date}
+              max={toDateKey(new Date())}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {report?.isOnline && (
+              <span className="px-2 py-1 rounded-full text-xs font-medium bg-emerald-100 text-emerald-700">Online now</span>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600 py-4 text-center">{error}</p>
+          ) : day ? (
+            <>
+              <div className="grid grid-cols-4 gap-3">
+                {[
+                  { label: "Login Hours", value: formatMinutes(day.loginMinutes) },
+                  { label: "On Orders", value: formatMinutes(day.busyMinutes) },
+                  { label: "Idle", value: formatMinutes(day.idleMinutes) },
+                  {
+                    label: "Acceptance",
+                    value: day.acceptanceRate != null ? `${day.acceptanceRate}%` : "—",
+                    hint: `${day.ordersAccepted} of ${day.ordersOffered} offers`,
+                  },
+                ].map((stat) => (
+                  <div key={stat.label} className="rounded-lg border border-slate-200 bg-slate-50 px-3 py-3">
+                    <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">{stat.label}</p>
+                    <p className="text-lg font-bold text-slate-900 mt-1">{stat.value}</p>
+                    {stat.hint && <p className="text-xs text-slate-500">{stat.hint}</p>}
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <p className="text-sm font-semibold text-slate-900 mb-2">Sessions</p>
+                {day.sessions.length === 0 ? (
+                  <p className="text-sm text-slate-500">No online sessions on this day</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-semibold text-slate-500 uppercase border-b border-slate-200">
+                        <th className="py-2">Time</th>
+                        <th className="py-2">Online</th>
+                        <th className="py-2">On Orders</th>
+                        <th className="py-2">Orders</th>
+                        <th className="py-2">Ended</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {day.sessions.map((session) => (
+                        <tr key={session.id} className="border-b border-slate-100">
+                          <td className="py-2 text-slate-900">
+                            {formatClock(session.startedAt)} - {session.isActive ? "Now" : formatClock(session.endedAt)}
+                          </td>
+                          <td className="py-2 text-slate-700">{formatMinutes(session.loginMinutes)}</td>
+                          <td className="py-2 text-slate-700">{formatMinutes(session.busyMinutes)}</td>
+                          <td className="py-2 text-slate-700">{session.ordersAccepted}/{session.ordersOffered}</td>
+                          <td className="py-2 text-slate-500">
+                            {session.isActive ? "Online" : END_REASON_LABELS[session.endReason] || "—"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {week && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm font-semibold text-slate-900">Week</p>
+                    <p className="text-xs text-slate-500">
+                      {formatMinutes(week.loginMinutes)} login · {formatMinutes(week.busyMinutes)} on orders
+                      {week.acceptanceRate != null ? ` · ${week.acceptanceRate}% acceptance` : ""}
+                    </p>
+                  </div>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-semibold text-slate-500 uppercase border-b border-slate-200">
+                        <th className="py-2">Day</th>
+                        <th className="py-2">Login</th>
+                        <th className="py-2">On Orders</th>
+                        <th className="py-2">Idle</th>
+                        <th className="py-2">Acceptance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {week.days.map((weekDay) => (
+                        <tr
+                          key={weekDay.date}
+                          className={`border-b border-slate-100 ${weekDay.date === report.date ? "bg-blue-50" : ""}`}
+                        >
+                          <td className="py-2 text-slate-900">
+                            {new Date(`${weekDay.date}T00:00:00`).toLocaleDateString("en-GB", { weekday: "short", day: "numeric", month: "short" })}
+                          </td>
+                          <td className="py-2 text-slate-700">{formatMinutes(weekDay.loginMinutes)}</td>
+                          <td className="py-2 text-slate-700">{formatMinutes(weekDay.busyMinutes)}</td>
+                          <td className="py-2 text-slate-700">{formatMinutes(weekDay.idleMinutes)}</td>
+                          <td className="py-2 text-slate-700">
+                            {weekDay.acceptanceRate != null ? `${weekDay.acceptanceRate}%` : "—"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          ) : null}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -175,6 +175,11 @@ export default function OrdersTable({ orders, visibleColumns, onViewOrder, onPri
                 {visibleColumns.orderDate && (
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className="text-sm font-medium text-slate-700">{order.date}, {order.time}</span>
+                    {order.scheduledFor && (
+                      <span className="block text-xs text-purple-600 mt-0.5">
+                        Scheduled: {new Date(order.scheduledFor).toLocaleString("en-IN", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+                      </span>
+                    )}
                   </td>
                 )}
                 {visibleColumns.customer && (
@@ -362,6 +362,62 @@ export default function ViewOrderDialog({ isOpen, onOpenChange, order, onPayment
             </div>
           )}
 
+          {/* Handover Proof */}
+          {order.deliveryVerification?.method && (
+            <div className="border-t border-slate-200 pt-4">
+              <h3 className="text-sm font-semibold text-slate-700 mb-4 flex items-center gap-2">
+                <CheckCircle className="w-4 h-4 text-green-600" />
+                Handover Proof
+              </h3>
+              <div className="space-y-2 p-4 bg-slate-50 rounded-lg text-sm text-slate-900">
+                <p>
+                  <span className="font-medium">Verified by:</span>{" "}
+                  {order.deliveryVerification.method === "otp" ? "Customer delivery code" : "Doorstep photo"}
+                  {order.deliveryVerification.verifiedAt && ` at ${new Date(order.deliveryVerification.verifiedAt).toLocaleString('en-GB')}`}
+                </p>
+                {order.deliveryVerification.fallbackReason && (
+                  <p><span className="font-medium">Reason:</span> {order.deliveryVerification.fallbackReason.replace(/_/g, " ")}</p>
+                )}
+                {order.deliveryVerification.customerUnreachableAt && (
+                  <p>
+                    <span className="font-medium">Customer reported unreachable:</span>{" "}
+                    {new Date(order.deliveryVerification.customerUnreachableAt).toLocaleString('en-GB')}
+                  </p>
+                )}
+                {order.deliveryVerification.needsReview && (
+                  <p className="text-red-600 font-medium">Needs review: the address has no map pin, so the photo could not be checked against it</p>
+                )}
+                {order.deliveryVerification.distanceFromAddressMeters != null && (
+                  <p>
+                    <span className="font-medium">Rider distance from address:</span>{" "}
+                    {order.deliveryVerification.distanceFromAddressMeters} m
+                    {order.deliveryVerification.withinGeofence === false && (
+                      <span className="text-red-600"> (outside geofence)</span>
+                    )}
+                  </p>
+                )}
+                {order.deliveryVerification.failedAttempts > 0 && (
+                  <p><span className="font-medium">Wrong codes entered:</span> {order.deliveryVerification.failedAttempts}</p>
+                )}
+                {order.deliveryVerification.photo?.url && (
+                  <a
+                    href={order.deliveryVerification.photo.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-block"
+                  >
+                    <img
+                      src={order.deliveryVerification.photo.url}
+                      alt="Doorstep"
+                      className="w-40 h-40 object-cover rounded-lg border border-slate-300"
+                      loading="lazy"
+                    />
+                  </a>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Delivery Address */}
           {order.address && (
             <div className="border-t border-slate-200 pt-4">
@@ -453,6 +509,12 @@ export default function ViewOrderDialog({ isOpen, onOpenChange, order, onPayment
                   <span className="font-medium text-slate-900">₹{order.vatTax.toFixed(2)}</span>
                 </div>
               )}
+              {order.deliveryTip > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Delivery Partner Tip</span>
+                  <span className="font-medium text-slate-900">₹{order.deliveryTip.toFixed(2)}</span>
+                </div>
+              )}
               <div className="pt-2 border-t border-slate-200">
                 <div className="flex justify-between items-center">
                   <span className="text-base font-semibold text-slate-700">Total Amount</span>
@@ -461,6 +523,12 @@ export default function ViewOrderDialog({ isOpen, onOpenChange, order, onPayment
                   </span>
                 </div>
               </div>
+              {order.postDeliveryTip > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-600">Tip added after delivery</span>
+                  <span className="font-medium text-slate-900">₹{order.postDeliveryTip.toFixed(2)}</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
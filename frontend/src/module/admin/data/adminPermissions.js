@@ -0,0 +1,29 @@
+// Permission scopes enforced by the backend on admin routes (Admin.permissions)
+export const adminPermissionOptions = [
+  { id: "dashboard_view", label: "Dashboard" },
+  { id: "order_manage", label: "Orders" },
+  { id: "restaurant_manage", label: "Restaurants, Hotels & Food" },
+  { id: "delivery_manage", label: "Deliveryman" },
+  { id: "user_manage", label: "Customers & Support" },
+  { id: "campaign_manage", label: "Promotions & Banners" },
+  { id: "payment_manage", label: "Withdrawals & Settlements" },
+  { id: "report_view", label: "Reports" },
+  { id: "settings_manage", label: "Business Settings" },
+  { id: "admin_manage", label: "Employees & Roles" },
+]
+
+export const getPermissionLabel = (permissionId) =>
+  adminPermissionOptions.find((permission) => permission.id === permissionId)?.label || permissionId
+
+/**
+ * Permissions of the logged-in admin as stored at login (admin_user.effectivePermissions).
+ * Returns null when unknown (e.g. session from before scopes existed) so callers can show everything.
+ */
+export const getStoredAdminPermissions = () => {
+  try {
+    const adminUser = JSON.parse(localStorage.getItem("admin_user") || "null")
+    return Array.isArray(adminUser?.effectivePermissions) ? adminUser.effectivePermissions : null
+  } catch {
+    return null
+  }
+}
@@ -1,20 +1,24 @@
 // Sidebar menu structure with all items
+// `permission` is the admin scope needed to see an entry; items inherit their section's scope
 export const sidebarMenuData = [
   {
     type: "link",
     label: "Dashboard",
     path: "/admin",
     icon: "LayoutDashboard",
+    permission: "dashboard_view",
   },
   {
     type: "link",
     label: "Point of Sale",
     path: "/admin/point-of-sale",
     icon: "CreditCard",
+    permission: "order_manage",
   },
   {
     type: "section",
     label: "FOOD MANAGEMENT",
+    permission: "restaurant_manage",
     items: [
       {
         type: "link",
@@ -42,12 +46,14 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "RESTAURANT MANAGEMENT",
+    permission: "restaurant_manage",
     items: [
       {
         type: "link",
         label: "Zone Setup",
         path: "/admin/zone-setup",
         icon: "MapPin",
+        permission: "settings_manage",
       },
       {
         type: "expandable",
@@ -75,6 +81,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "ORDER MANAGEMENT",
+    permission: "order_manage",
     items: [
       {
         type: "expandable",
@@ -109,6 +116,7 @@ export const sidebarMenuData = [
         label: "Order Setting",
         path: "/admin/order-setting",
         icon: "Settings",
+        permission: "settings_manage",
       },
       {
         type: "link",
@@ -121,6 +129,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "HOTEL MANAGEMENT",
+    permission: "restaurant_manage",
     items: [
       {
         type: "link",
@@ -157,12 +166,14 @@ export const sidebarMenuData = [
         label: "Hotel Withdrawal",
         path: "/admin/hotel-withdrawal",
         icon: "Wallet",
+        permission: "payment_manage",
       },
     ],
   },
   {
     type: "section",
     label: "PROMOTIONS MANAGEMENT",
+    permission: "campaign_manage",
     items: [
       {
         type: "link",
@@ -183,6 +194,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "CUSTOMER MANAGEMENT",
+    permission: "user_manage",
     items: [
       {
         type: "link",
@@ -195,6 +207,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "DELIVERYMAN MANAGEMENT",
+    permission: "delivery_manage",
     items: [
       {
         type: "link",
@@ -207,6 +220,7 @@ export const sidebarMenuData = [
         label: "Delivery & Platform Fee",
         path: "/admin/fee-settings",
         icon: "DollarSign",
+        permission: "settings_manage",
       },
       {
         type: "link",
@@ -219,12 +233,14 @@ export const sidebarMenuData = [
         label: "Delivery Withdrawal",
         path: "/admin/delivery-withdrawal",
         icon: "Wallet",
+        permission: "payment_manage",
       },
       {
         type: "link",
         label: "Delivery boy Wallet",
         path: "/admin/delivery-boy-wallet",
         icon: "PiggyBank",
+        permission: "payment_manage",
       },
       {
         type: "link",
@@ -271,6 +287,10 @@ export const sidebarMenuData = [
             label: "Delivery Earning",
             path: "/admin/delivery-partners/earnings",
           },
+          {
+            label: "Gig Capacity Planner",
+            path: "/admin/delivery-partners/gig-capacity",
+          },
         ],
       },
     ],
@@ -279,6 +299,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "HELP & SUPPORT",
+    permission: "user_manage",
     items: [
       {
         type: "link",
@@ -298,6 +319,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "REPORT MANAGEMENT",
+    permission: "report_view",
     items: [
       {
         type: "link",
@@ -335,6 +357,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "TRANSACTION MANAGEMENT",
+    permission: "payment_manage",
     items: [
       {
         type: "link",
@@ -347,6 +370,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "BANNER SETTINGS",
+    permission: "campaign_manage",
     items: [
       {
         type: "link",
@@ -359,6 +383,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "DINING MANAGEMENT",
+    permission: "campaign_manage",
     items: [
       {
         type: "link",
@@ -377,6 +402,7 @@ export const sidebarMenuData = [
   {
     type: "section",
     label: "BUSINESS SETTINGS",
+    permission: "settings_manage",
     items: [
       {
         type: "link",
@@ -412,9 +438,33 @@ export const sidebarMenuData = [
     ],
   },
 
+  {
+    type: "section",
+    label: "EMPLOYEE MANAGEMENT",
+    permission: "admin_manage",
+    items: [
+      {
+        type: "link",
+        label: "Employee Role",
+        path: "/admin/employee-role",
+        icon: "UserCog",
+      },
+      {
+        type: "expandable",
+        label: "Employees",
+        icon: "Users",
+        subItems: [
+          { label: "Add New Employee", path: "/admin/employees/add" },
+          { label: "Employee List", path: "/admin/employees" },
+        ],
+      },
+    ],
+  },
+
   {
     type: "section",
     label: "SYSTEM ENV",
+    permission: "settings_manage",
     items: [
       {
         type: "link",
@@ -422,6 +472,34 @@ export const sidebarMenuData = [
         path: "/admin/system-addons",
         icon: "Plus",
       },
+      {
+        type: "link",
+        label: "Background Jobs",
+        path: "/admin/jobs",
+        icon: "Clock",
+      },
     ],
   },
 ];
+
+/**
+ * Keep only the menu entries the admin's permissions allow
+ * @param {Array} menu - Sidebar menu data
+ * @param {Array<string>|null} permissions - Effective permissions, or null to show everything
+ */
+export const filterMenuByPermissions = (menu, permissions) => {
+  if (!permissions) return menu
+
+  const allowed = (permission) => !permission || permissions.includes(permission)
+
+  return menu.reduce((result, item) => {
+    if (item.type !== "section") {
+      if (allowed(item.permission)) result.push(item)
+      return result
+    }
+
+    const items = item.items.filter((subItem) => allowed(subItem.permission || item.permission))
+    if (items.length > 0) result.push({ ...item, items })
+    return result
+  }, [])
+}
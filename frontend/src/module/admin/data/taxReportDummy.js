@@ -1,9 +0,0 @@
-// Dummy data for Tax Report
-
-export const taxReportDummy = []
-
-export const taxStats = {
-  totalIncome: "$ 0.00",
-  totalTax: "$ 0.00",
-}
-
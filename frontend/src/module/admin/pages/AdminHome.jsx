@@ -24,7 +24,53 @@ import {
   YAxis,
 } from "recharts"
 import { Activity, ArrowUpRight, ShoppingBag, CreditCard, Truck, Receipt, DollarSign, Store, UserCheck, Package, UserCircle, Clock, CheckCircle, Plus, QrCode } from "lucide-react"
-import { adminAPI } from "@/lib/api"
+import { adminAPI, analyticsAPI } from "@/lib/api"
+
+// Local calendar day as YYYY-MM-DD (what the analytics endpoints take)
+const toDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`
+
+/**
+ * Date range and bucket size of the order metrics for a period filter.
+ * "Overall" is the rolling 12 months the rollups cover.
+ */
+const getMetricsRange = (period, customRange) => {
+  const today = new Date()
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate())
+
+  switch (period) {
+    case "today":
+      return { from: toDayKey(startOfToday), to: toDayKey(startOfToday), granularity: "day" }
+    case "week": {
+      const monday = new Date(startOfToday)
+      monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7))
+      return { from: toDayKey(monday), to: toDayKey(startOfToday), granularity: "day" }
+    }
+    case "month":
+      return { from: toDayKey(new Date(today.getFullYear(), today.getMonth(), 1)), to: toDayKey(startOfToday), granularity: "day" }
+    case "year":
+      return { from: toDayKey(new Date(today.getFullYear(), 0, 1)), to: toDayKey(startOfToday), granularity: "month" }
+    case "custom": {
+      const days = (new Date(customRange.end) - new Date(customRange.start)) / (24 * 60 * 60 * 1000)
+      return { from: customRange.start, to: customRange.end, granularity: days > 60 ? "month" : "day" }
+    }
+    default:
+      return {
+        from: toDayKey(new Date(today.getFullYear(), today.getMonth() - 11, 1)),
+        to: toDayKey(startOfToday),
+        granularity: "month",
+      }
+  }
+}
+
+// Chart label of a rollup bucket (first day of the day/week/month)
+const formatBucket = (bucket, granularity) => {
+  const [year, month, day] = bucket.split("-").map(Number)
+  const date = new Date(year, month - 1, day)
+  return granularity === "month"
+    ? date.toLocaleString("en-US", { month: "short" })
+    : `${date.getDate()} ${date.toLocaleString("en-US", { month: "short" })}`
+}
 
 export default function AdminHome() {
   const navigate = useNavigate()
@@ -34,6 +80,8 @@ export default function AdminHome() {
   const [customRange, setCustomRange] = useState({ start: "", end: "" })
   const [isLoading, setIsLoading] = useState(true)
   const [dashboardData, setDashboardData] = useState(null)
+  // Order volume and GMV from the daily rollups; dashboardData keeps fees, commission and counts
+  const [orderMetrics, setOrderMetrics] = useState(null)
   const filtersRequestRef = useRef({ zone: "all", timeFilter: "overall", startDate: "", endDate: "" })
   const debounceRef = useRef(null)
 
@@ -77,12 +125,22 @@ export default function AdminHome() {
         }
         filtersRequestRef.current = params
 
-        const response = await adminAPI.getDashboardStats(params)
+        const range = getMetricsRange(selectedPeriod, customRange)
+        const zoneId = zones.find((zone) => zone.name === selectedZone)?._id
+        const [response, metricsResponse] = await Promise.all([
+          adminAPI.getDashboardStats(params),
+          // Needs report access; the rest of the dashboard still loads without it
+          analyticsAPI.getPlatformMetrics({ ...range, ...(zoneId ? { zoneId } : {}) }).catch((error) => {
+            console.error('❌ Error fetching order metrics:', error)
+            return null
+          }),
+        ])
         if (response.data?.success && response.data?.data) {
           setDashboardData(response.data.data)
         } else {
           console.error('❌ Invalid response format:', response.data)
         }
+        setOrderMetrics(metricsResponse?.data?.success ? metricsResponse.data.data : null)
       } catch (error) {
         console.error('❌ Error fetching dashboard stats:', error)
       } finally {
@@ -110,50 +168,34 @@ export default function AdminHome() {
     }
   }, [selectedZone, selectedPeriod, customRange.start, customRange.end])
 
-  // Get order stats from real data
-  const getOrderStats = () => {
-    if (!dashboardData?.orders?.byStatus) {
-      return [
-        { label: "Delivered", value: 0, color: "#0ea5e9" },
-        { label: "Cancelled", value: 0, color: "#ef4444" },
-        { label: "Refunded", value: 0, color: "#f59e0b" },
-        { label: "Pending", value: 0, color: "#10b981" },
-      ]
-    }
-
-    const byStatus = dashboardData.orders.byStatus
+  // Order mix from the rollups; orders still in progress count as pending
+  const orderStats = useMemo(() => {
+    const summary = orderMetrics?.summary
+    const delivered = summary?.deliveredOrders || 0
+    const cancelled = summary?.cancelledOrders || 0
     return [
-      { label: "Delivered", value: byStatus.delivered || 0, color: "#0ea5e9" },
-      { label: "Cancelled", value: byStatus.cancelled || 0, color: "#ef4444" },
+      { label: "Delivered", value: delivered, color: "#0ea5e9" },
+      { label: "Cancelled", value: cancelled, color: "#ef4444" },
       { label: "Refunded", value: 0, color: "#f59e0b" }, // Refunded not tracked separately
-      { label: "Pending", value: byStatus.pending || 0, color: "#10b981" },
+      { label: "Pending", value: Math.max((summary?.orders || 0) - delivered - cancelled, 0), color: "#10b981" },
     ]
-  }
-
-  // Get monthly data from real data
-  const getMonthlyData = () => {
-    if (!dashboardData?.monthlyData || dashboardData.monthlyData.length === 0) {
-      // Return empty data structure if no data
-      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
-      return monthNames.map(month => ({ month, commission: 0, revenue: 0, orders: 0 }))
-    }
+  }, [orderMetrics])
 
-    // Use real monthly data from backend
-    return dashboardData.monthlyData.map(item => ({
-      month: item.month,
-      commission: item.commission || 0,
-      revenue: item.revenue || 0,
-      orders: item.orders || 0
+  // GMV and delivered orders per rollup bucket
+  const monthlyData = useMemo(() => {
+    const granularity = orderMetrics?.range?.granularity || "month"
+    return (orderMetrics?.series || []).map((bucket) => ({
+      month: formatBucket(bucket.bucket, granularity),
+      revenue: bucket.gmv || 0,
+      orders: bucket.deliveredOrders || 0,
+      cancelled: bucket.cancelledOrders || 0,
     }))
-  }
-
-  const orderStats = useMemo(() => getOrderStats(), [dashboardData])
-  const monthlyData = useMemo(() => getMonthlyData(), [dashboardData])
+  }, [orderMetrics])
 
   // Calculate totals from real data
-  const revenueTotal = dashboardData?.revenue?.total || 0
+  const revenueTotal = orderMetrics?.summary?.gmv || 0
   const commissionTotal = dashboardData?.commission?.total || 0
-  const ordersTotal = dashboardData?.orders?.total || 0
+  const ordersTotal = orderMetrics?.summary?.deliveredOrders || 0
   const platformFeeTotal = dashboardData?.platformFee?.total || 0
   const deliveryFeeTotal = dashboardData?.deliveryFee?.total || 0
   const gstTotal = dashboardData?.gst?.total || 0
@@ -284,7 +326,7 @@ export default function AdminHome() {
             <MetricCard
               title="Gross revenue"
               value={`₹${revenueTotal.toLocaleString("en-IN")}`}
-              helper="Rolling 12 months"
+              helper={selectedPeriod === "overall" ? "Rolling 12 months" : "Delivered orders"}
               icon={<ShoppingBag className="h-5 w-5 text-emerald-600" />}
               accent="bg-emerald-200/40"
             />
@@ -409,7 +451,7 @@ export default function AdminHome() {
               <CardHeader className="flex flex-col gap-2 border-b border-neutral-200 pb-4">
                 <CardTitle className="text-lg text-neutral-900">Revenue trajectory</CardTitle>
                 <p className="text-sm text-neutral-500">
-                  Commission and gross revenue with {selectedPeriod === "today" ? "hourly" : selectedPeriod === "year" ? "monthly" : "daily"} order volume
+                  Gross revenue with {orderMetrics?.range?.granularity === "month" ? "monthly" : "daily"} order volume
                 </p>
               </CardHeader>
               <CardContent className="pt-4">
@@ -422,10 +464,6 @@ export default function AdminHome() {
                           <stop offset="5%" stopColor="#0ea5e9" stopOpacity={0.25} />
                           <stop offset="95%" stopColor="#0ea5e9" stopOpacity={0} />
                         </linearGradient>
-                        <linearGradient id="comFill" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="5%" stopColor="#a855f7" stopOpacity={0.25} />
-                          <stop offset="95%" stopColor="#a855f7" stopOpacity={0} />
-                        </linearGradient>
                       </defs>
                       <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
                       <XAxis dataKey="month" stroke="#6b7280" />
@@ -444,14 +482,6 @@ export default function AdminHome() {
                           fill="url(#revFill)"
                           name="Gross revenue"
                         />
-                        <Area
-                          type="monotone"
-                          dataKey="commission"
-                          stroke="#a855f7"
-                          fillOpacity={1}
-                          fill="url(#comFill)"
-                          name="Commission"
-                        />
                         <Bar
                           dataKey="orders"
                           fill="#ef4444"
@@ -545,7 +575,7 @@ export default function AdminHome() {
                       />
                       <Legend />
                       <Bar dataKey="orders" fill="#0ea5e9" radius={[8, 8, 0, 0]} name="Orders" />
-                      <Bar dataKey="commission" fill="#a855f7" radius={[8, 8, 0, 0]} name="Commission" />
+                      <Bar dataKey="cancelled" fill="#a855f7" radius={[8, 8, 0, 0]} name="Cancelled" />
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
@@ -1,12 +1,106 @@
 import { useState, useEffect, useMemo } from "react"
-import { Search } from "lucide-react"
-import { adminAPI } from "@/lib/api"
+import { Search, Plus, Pencil, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI, couponAPI } from "@/lib/api"
+import AddEditCouponDialog from "../components/coupons/AddEditCouponDialog"
+
+const formatCouponDiscount = (coupon) => {
+  if (coupon.discountType === "free_delivery") return "Free delivery"
+  if (coupon.discountType === "flat") return `₹${coupon.discountValue} OFF`
+  return `${coupon.discountValue}% OFF${coupon.maxDiscount ? ` (up to ₹${coupon.maxDiscount})` : ""}`
+}
 
 export default function Coupons() {
   const [searchQuery, setSearchQuery] = useState("")
   const [offers, setOffers] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [coupons, setCoupons] = useState([])
+  const [couponsLoading, setCouponsLoading] = useState(true)
+  const [isCouponDialogOpen, setIsCouponDialogOpen] = useState(false)
+  const [editingCoupon, setEditingCoupon] = useState(null)
+  const [savingCoupon, setSavingCoupon] = useState(false)
+  const [zones, setZones] = useState([])
+  const [restaurants, setRestaurants] = useState([])
+
+  const fetchCoupons = async () => {
+    try {
+      setCouponsLoading(true)
+      const response = await couponAPI.getCoupons({ limit: 100 })
+      setCoupons(response?.data?.data?.coupons || [])
+    } catch (err) {
+      console.error("Error fetching coupons:", err)
+      toast.error(err?.response?.data?.message || "Failed to fetch coupons")
+    } finally {
+      setCouponsLoading(false)
+    }
+  }
+
+  // Fetch platform coupons and targeting options
+  useEffect(() => {
+    fetchCoupons()
+
+    const fetchTargets = async () => {
+      try {
+        const [zonesResponse, restaurantsResponse] = await Promise.all([
+          adminAPI.getZones({ limit: 1000, isActive: true }),
+          adminAPI.getRestaurants({ limit: 1000 }),
+        ])
+        setZones(zonesResponse?.data?.data?.zones || [])
+        setRestaurants(restaurantsResponse?.data?.data?.restaurants || [])
+      } catch (err) {
+        console.error("Error fetching coupon targeting options:", err)
+      }
+    }
+    fetchTargets()
+  }, [])
+
+  const openCouponDialog = (coupon = null) => {
+    setEditingCoupon(coupon)
+    setIsCouponDialogOpen(true)
+  }
+
+  const handleSaveCoupon = async (data) => {
+    try {
+      setSavingCoupon(true)
+      if (editingCoupon) {
+        await couponAPI.updateCoupon(editingCoupon._id, data)
+        toast.success("Coupon updated")
+      } else {
+        await couponAPI.createCoupon(data)
+        toast.success("Coupon created")
+      }
+      setIsCouponDialogOpen(false)
+      fetchCoupons()
+    } catch (err) {
+      console.error("Error saving coupon:", err)
+      toast.error(err?.response?.data?.message || "Failed to save coupon")
+    } finally {
+      setSavingCoupon(false)
+    }
+  }
+
+  const handleToggleCoupon = async (coupon) => {
+    try {
+      await couponAPI.toggleCouponStatus(coupon._id, !coupon.isActive)
+      setCoupons((prev) => prev.map((c) => (c._id === coupon._id ? { ...c, isActive: !c.isActive } : c)))
+    } catch (err) {
+      console.error("Error updating coupon status:", err)
+      toast.error(err?.response?.data?.message || "Failed to update coupon status")
+    }
+  }
+
+  const handleDeleteCoupon = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return
+    try {
+      await couponAPI.deleteCoupon(coupon._id)
+      setCoupons((prev) => prev.filter((c) => c._id !== coupon._id))
+      toast.success("Coupon deleted")
+    } catch (err) {
+      console.error("Error deleting coupon:", err)
+      toast.error(err?.response?.data?.message || "Failed to delete coupon")
+    }
+  }
 
   // Fetch offers from backend
   useEffect(() => {
@@ -46,19 +140,28 @@ export default function Coupons() {
     )
   }, [offers, searchQuery])
 
+  const filteredCoupons = useMemo(() => {
+    const query = searchQuery.toLowerCase().trim()
+    if (!query) return coupons
+    return coupons.filter(coupon =>
+      coupon.code?.toLowerCase().includes(query) ||
+      coupon.title?.toLowerCase().includes(query)
+    )
+  }, [coupons, searchQuery])
+
   return (
     <div className="p-4 lg:p-6 bg-slate-50 min-h-screen">
       <div className="max-w-7xl mx-auto">
         {/* Header */}
         <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6">
-          <h1 className="text-2xl font-bold text-slate-900 mb-4">Restaurant Offers & Coupons</h1>
+          <h1 className="text-2xl font-bold text-slate-900 mb-4">Platform Coupons & Restaurant Offers</h1>
           
           {/* Search Bar */}
           <div className="relative">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
             <input
               type="text"
-              placeholder="Search by restaurant name, dish name, or coupon code..."
+              placeholder="Search by coupon code, title, restaurant name or dish name..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="w-full pl-10 pr-4 py-2.5 text-sm rounded-lg border border-slate-300 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -66,11 +169,126 @@ export default function Coupons() {
           </div>
         </div>
 
+        {/* Platform Coupons */}
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-3">
+              <h2 className="text-xl font-bold text-slate-900">Platform Coupons</h2>
+              <span className="px-3 py-1 rounded-full text-sm font-semibold bg-slate-100 text-slate-700">
+                {filteredCoupons.length}
+              </span>
+            </div>
+            <button
+              onClick={() => openCouponDialog()}
+              className="inline-flex items-center gap-1 px-4 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md"
+            >
+              <Plus className="w-4 h-4" />
+              Add Coupon
+            </button>
+          </div>
+
+          {couponsLoading ? (
+            <div className="text-center py-10">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : filteredCoupons.length === 0 ? (
+            <div className="text-center py-10">
+              <p className="text-sm text-slate-500">
+                {searchQuery ? "No coupons match your search criteria" : "No platform coupons have been created yet"}
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-slate-50 border-b border-slate-200">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Code</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Title</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Discount</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Min Order</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Used</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Funding</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Valid</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-slate-700 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-4 text-center text-xs font-bold text-slate-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-slate-100">
+                  {filteredCoupons.map((coupon) => (
+                    <tr key={coupon._id} className="hover:bg-slate-50 transition-colors">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm font-mono font-semibold text-blue-600 bg-blue-50 px-2 py-1 rounded">
+                          {coupon.code}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className="text-sm font-medium text-slate-900">{coupon.title}</span>
+                        {coupon.eligibility?.firstOrderOnly && (
+                          <span className="block text-xs text-slate-500">First order only</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">{formatCouponDiscount(coupon)}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">₹{coupon.minOrderValue || 0}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">
+                          {coupon.usageCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-xs text-slate-600">
+                          Platform {coupon.funding?.platformShare ?? 100}% · Restaurant {100 - (coupon.funding?.platformShare ?? 100)}%
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">
+                          {new Date(coupon.startsAt).toLocaleDateString()} – {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : "No expiry"}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleToggleCoupon(coupon)}
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${
+                            coupon.isActive ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-700"
+                          }`}
+                        >
+                          {coupon.isActive ? "active" : "inactive"}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-center">
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            onClick={() => openCouponDialog(coupon)}
+                            className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors"
+                            title="Edit"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteCoupon(coupon)}
+                            className="p-1.5 rounded text-red-600 hover:bg-red-50 transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         {/* Offers List */}
         <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-bold text-slate-900">
-              Offers List
+              Restaurant Offers
             </h2>
             <span className="px-3 py-1 rounded-full text-sm font-semibold bg-slate-100 text-slate-700">
               {filteredOffers.length} {filteredOffers.length === 1 ? 'offer' : 'offers'}
@@ -163,6 +381,19 @@ export default function Coupons() {
           )}
         </div>
       </div>
+
+      {isCouponDialogOpen && (
+        <AddEditCouponDialog
+          key={editingCoupon?._id || "new"}
+          isOpen={isCouponDialogOpen}
+          onOpenChange={setIsCouponDialogOpen}
+          coupon={editingCoupon}
+          zones={zones}
+          restaurants={restaurants}
+          onSave={handleSaveCoupon}
+          saving={savingCoupon}
+        />
+      )}
     </div>
   )
 }
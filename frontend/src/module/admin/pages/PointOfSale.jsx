@@ -1,6 +1,47 @@
 import { useState, useEffect } from 'react'
 import { Search, TrendingUp, TrendingDown, DollarSign, ShoppingCart, XCircle, Star, Calendar, BarChart3, Users, Award, Package } from 'lucide-react'
-import { adminAPI } from '@/lib/api'
+import { adminAPI, analyticsAPI } from '@/lib/api'
+
+// Local calendar day as YYYY-MM-DD (what the analytics endpoints take)
+const toDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * Order figures of a restaurant from the daily rollups: the last 12 months,
+ * plus the current month and year out of the monthly buckets
+ */
+const fetchRollupOrderMetrics = async (restaurantId) => {
+  const today = new Date()
+  const response = await analyticsAPI.getPlatformMetrics({
+    restaurantId,
+    from: toDayKey(new Date(today.getFullYear(), today.getMonth() - 11, 1)),
+    to: toDayKey(today),
+    granularity: 'month'
+  })
+  const data = response?.data?.data
+  if (!response?.data?.success || !data) return null
+
+  const { summary, series = [] } = data
+  const monthKey = toDayKey(new Date(today.getFullYear(), today.getMonth(), 1))
+  const yearPrefix = `${today.getFullYear()}-`
+  const deliveredOrders = summary.deliveredOrders || 0
+
+  return {
+    totalOrders: summary.orders || 0,
+    completedOrders: deliveredOrders,
+    cancelledOrders: summary.cancelledOrders || 0,
+    cancellationRate: summary.cancellationRate || 0,
+    completionRate: summary.orders > 0 ? (deliveredOrders / summary.orders) * 100 : 0,
+    averageOrderValue: summary.aov || 0,
+    totalRevenue: summary.gmv || 0,
+    totalCustomers: summary.uniqueCustomers || 0,
+    repeatCustomers: summary.repeatCustomers || 0,
+    monthlyOrders: series.find((bucket) => bucket.bucket === monthKey)?.deliveredOrders || 0,
+    yearlyOrders: series
+      .filter((bucket) => bucket.bucket.startsWith(yearPrefix))
+      .reduce((sum, bucket) => sum + (bucket.deliveredOrders || 0), 0)
+  }
+}
 
 export default function PointOfSale() {
   const [restaurants, setRestaurants] = useState([])
@@ -107,7 +148,14 @@ export default function PointOfSale() {
       console.log('Fetching analytics for restaurant:', restaurantId)
       
       // Fetch comprehensive restaurant analytics from backend
-      const analyticsResponse = await adminAPI.getRestaurantAnalytics(restaurantId)
+      // Profit and commission come from settlements, order figures from the rollups
+      const [analyticsResponse, rollupMetrics] = await Promise.all([
+        adminAPI.getRestaurantAnalytics(restaurantId),
+        fetchRollupOrderMetrics(restaurantId).catch((error) => {
+          console.error('Error fetching rollup order metrics:', error)
+          return null
+        })
+      ])
       
       console.log('Analytics response:', analyticsResponse)
       
@@ -151,7 +199,8 @@ export default function PointOfSale() {
           totalCustomers: analytics.totalCustomers || 0,
           repeatCustomers: analytics.repeatCustomers || 0,
           cancellationRate: analytics.cancellationRate || 0,
-          completionRate: analytics.completionRate || 0
+          completionRate: analytics.completionRate || 0,
+          ...rollupMetrics
         })
       } else {
         // Fallback to empty data if API fails
@@ -422,7 +471,7 @@ export default function PointOfSale() {
                 </div>
                 <h3 className="text-sm font-medium text-[#8a94aa] mb-1">Total Orders</h3>
                 <p className="text-2xl font-bold text-[#334257]">{formatNumber(analyticsData.totalOrders)}</p>
-                <p className="text-xs text-[#8a94aa] mt-2">Completed: {formatNumber(analyticsData.completedOrders)}</p>
+                <p className="text-xs text-[#8a94aa] mt-2">Completed: {formatNumber(analyticsData.completedOrders)} · last 12 months</p>
                 </div>
 
               {/* Cancelled Orders */}
@@ -1,9 +1,10 @@
 import { useState, useMemo, useEffect } from "react"
-import { Search, Download, ChevronDown, Eye, Trash2, User, Star, ArrowUpDown, Settings, FileText, FileSpreadsheet, Loader2, Check, Columns, ExternalLink, Calendar, MapPin, CreditCard, Mail, Phone, Bike, FileCheck } from "lucide-react"
+import { Search, Download, ChevronDown, Eye, Trash2, User, Star, ArrowUpDown, Settings, FileText, FileSpreadsheet, Loader2, Check, Columns, ExternalLink, Calendar, MapPin, CreditCard, Mail, Phone, Bike, FileCheck, Clock } from "lucide-react"
 import { adminAPI } from "@/lib/api"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog"
 import { exportDeliverymenToExcel, exportDeliverymenToPDF } from "../../components/deliveryman/deliverymanExportUtils"
+import RiderOnlineTimeDialog from "../../components/deliveryman/RiderOnlineTimeDialog"
 import { toast } from "sonner"
 
 export default function DeliverymanList() {
@@ -31,6 +32,7 @@ export default function DeliverymanList() {
   const [zones, setZones] = useState([])
   const [selectedZoneId, setSelectedZoneId] = useState(null)
   const [assigningZone, setAssigningZone] = useState(false)
+  const [onlineTimeDeliveryman, setOnlineTimeDeliveryman] = useState(null)
 
   // Fetch delivery partners from API
   const fetchDeliverymen = async () => {
@@ -457,6 +459,13 @@ export default function DeliverymanList() {
                               >
                                 <Eye className="w-4 h-4" />
                               </button>
+                              <button
+                                onClick={() => setOnlineTimeDeliveryman(dm)}
+                                className="p-1.5 rounded bg-amber-50 text-amber-600 hover:bg-amber-100 transition-colors"
+                                title="Online Time"
+                              >
+                                <Clock className="w-4 h-4" />
+                              </button>
                               <button
                                 onClick={() => handleAssignZone(dm)}
                                 className="p-1.5 rounded bg-green-50 text-green-600 hover:bg-green-100 transition-colors"
@@ -866,6 +875,13 @@ export default function DeliverymanList() {
         </DialogContent>
       </Dialog>
 
+      {/* Online Time Dialog */}
+      <RiderOnlineTimeDialog
+        isOpen={!!onlineTimeDeliveryman}
+        onOpenChange={(open) => !open && setOnlineTimeDeliveryman(null)}
+        deliveryman={onlineTimeDeliveryman}
+      />
+
       {/* Zone Assignment Dialog */}
       <Dialog open={isZoneAssignOpen} onOpenChange={setIsZoneAssignOpen}>
         <DialogContent className="max-w-md bg-white p-0">
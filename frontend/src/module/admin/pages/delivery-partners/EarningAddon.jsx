@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from "react"
-import { Search, Plus, Edit, Trash2, ToggleLeft, ToggleRight, Settings, ArrowUpDown, Check, Columns, DollarSign, Package } from "lucide-react"
+import { Search, Plus, Edit, Trash2, ToggleLeft, ToggleRight, Settings, ArrowUpDown, Check, Columns, DollarSign, Package, Clock, Percent } from "lucide-react"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog"
 import { adminAPI } from "@/lib/api"
@@ -28,6 +28,8 @@ export default function EarningAddon() {
   const [formData, setFormData] = useState({
     title: "",
     requiredOrders: "",
+    requiredLoginHours: "",
+    minAcceptanceRate: "",
     earningAmount: "",
     startDate: "",
     endDate: "",
@@ -91,6 +93,8 @@ export default function EarningAddon() {
       setFormData({
         title: addon.title || "",
         requiredOrders: addon.requiredOrders?.toString() || "",
+        requiredLoginHours: addon.requiredLoginHours ? addon.requiredLoginHours.toString() : "",
+        minAcceptanceRate: addon.minAcceptanceRate ? addon.minAcceptanceRate.toString() : "",
         earningAmount: addon.earningAmount?.toString() || "",
         startDate: addon.startDate ? new Date(addon.startDate).toISOString().split('T')[0] : "",
         endDate: addon.endDate ? new Date(addon.endDate).toISOString().split('T')[0] : "",
@@ -102,6 +106,8 @@ export default function EarningAddon() {
       setFormData({
         title: "",
         requiredOrders: "",
+        requiredLoginHours: "",
+        minAcceptanceRate: "",
         earningAmount: "",
         startDate: "",
         endDate: "",
@@ -118,6 +124,8 @@ export default function EarningAddon() {
     setFormData({
       title: "",
       requiredOrders: "",
+      requiredLoginHours: "",
+      minAcceptanceRate: "",
       earningAmount: "",
       startDate: "",
       endDate: "",
@@ -144,6 +152,17 @@ export default function EarningAddon() {
       return
     }
 
+    if (formData.requiredLoginHours && parseFloat(formData.requiredLoginHours) < 0) {
+      toast.error("Required login hours cannot be negative")
+      return
+    }
+
+    const acceptanceRate = formData.minAcceptanceRate ? parseFloat(formData.minAcceptanceRate) : 0
+    if (acceptanceRate < 0 || acceptanceRate > 100) {
+      toast.error("Minimum acceptance rate must be between 0 and 100")
+      return
+    }
+
     if (!formData.startDate || !formData.endDate) {
       toast.error("Start date and end date are required")
       return
@@ -161,6 +180,8 @@ export default function EarningAddon() {
       const payload = {
         title: formData.title.trim(),
         requiredOrders: parseInt(formData.requiredOrders),
+        requiredLoginHours: formData.requiredLoginHours ? parseFloat(formData.requiredLoginHours) : 0,
+        minAcceptanceRate: acceptanceRate,
         earningAmount: parseFloat(formData.earningAmount),
         startDate: formData.startDate,
         endDate: formData.endDate,
@@ -413,6 +434,14 @@ export default function EarningAddon() {
                               <Package className="w-4 h-4 text-slate-400" />
                               <span className="text-sm font-medium text-slate-900">{addon.requiredOrders}</span>
                             </div>
+                            {(addon.requiredLoginHours > 0 || addon.minAcceptanceRate > 0) && (
+                              <p className="text-xs text-slate-500 mt-1">
+                                {[
+                                  addon.requiredLoginHours > 0 && `+ ${addon.requiredLoginHours} login hrs`,
+                                  addon.minAcceptanceRate > 0 && `${addon.minAcceptanceRate}%+ acceptance`,
+                                ].filter(Boolean).join(" · ")}
+                              </p>
+                            )}
                           </td>
                         )}
                         {visibleColumns.earningAmount && (
@@ -556,6 +585,49 @@ export default function EarningAddon() {
               </div>
             </div>
 
+            {/* Online Time Criteria Row */}
+            <div className="space-y-1.5">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1.5">
+                  <label className="block text-sm font-semibold text-slate-700">
+                    Login Hours
+                  </label>
+                  <div className="relative">
+                    <Clock className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={formData.requiredLoginHours}
+                      onChange={(e) => setFormData({ ...formData, requiredLoginHours: e.target.value })}
+                      className="w-full pl-9 pr-3 py-2.5 border-2 border-slate-200 rounded-lg bg-white focus:outline-none focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all text-sm"
+                      placeholder="Optional, e.g., 10"
+                    />
+                  </div>
+                </div>
+                <div className="space-y-1.5">
+                  <label className="block text-sm font-semibold text-slate-700">
+                    Min Acceptance Rate (%)
+                  </label>
+                  <div className="relative">
+                    <Percent className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={formData.minAcceptanceRate}
+                      onChange={(e) => setFormData({ ...formData, minAcceptanceRate: e.target.value })}
+                      className="w-full pl-9 pr-3 py-2.5 border-2 border-slate-200 rounded-lg bg-white focus:outline-none focus:border-emerald-500 focus:ring-2 focus:ring-emerald-500/20 transition-all text-sm"
+                      placeholder="Optional, e.g., 80"
+                    />
+                  </div>
+                </div>
+              </div>
+              <p className="text-xs text-slate-500">
+                Login hours and acceptance rate are counted over the offer period, on top of the required orders.
+              </p>
+            </div>
+
             {/* Date Range Row */}
             <div className="grid grid-cols-2 gap-3">
               <div className="space-y-1.5">
@@ -0,0 +1,435 @@
+import { useState, useEffect, useCallback } from "react"
+import { CalendarClock, ChevronLeft, ChevronRight, Loader2, Plus, RefreshCw, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI } from "@/lib/api"
+
+const PLAN_DAYS = 7
+
+const toDateKey = (date) => {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, "0")
+  const day = String(date.getDate()).padStart(2, "0")
+  return `${year}-${month}-${day}`
+}
+
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split("-").map(Number)
+  return toDateKey(new Date(year, month - 1, day + days))
+}
+
+const formatDay = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number)
+  return new Date(year, month - 1, day).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  })
+}
+
+const EMPTY_SLOT = { date: "", startTime: "", endTime: "", capacity: "", payMin: "", payMax: "" }
+
+export default function GigCapacityPlanner() {
+  const [zones, setZones] = useState([])
+  const [zoneId, setZoneId] = useState("")
+  const [startDate, setStartDate] = useState(() => toDateKey(new Date()))
+  const [plan, setPlan] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [settings, setSettings] = useState({ requireBooking: false, defaultSlotCapacity: 20 })
+  const [savingSettings, setSavingSettings] = useState(false)
+  const [capacityDrafts, setCapacityDrafts] = useState({})
+  const [busySlotId, setBusySlotId] = useState(null)
+  const [newSlot, setNewSlot] = useState(EMPTY_SLOT)
+  const [addingSlot, setAddingSlot] = useState(false)
+
+  useEffect(() => {
+    const fetchZones = async () => {
+      try {
+        const response = await adminAPI.getZones({ limit: 1000, isActive: true })
+        const list = response.data?.data?.zones || []
+        setZones(list)
+        setZoneId((current) => current || list[0]?._id || "")
+      } catch (error) {
+        toast.error(error?.response?.data?.message || "Failed to load zones")
+      }
+    }
+    fetchZones()
+  }, [])
+
+  const loadPlan = useCallback(async () => {
+    if (!zoneId) return
+    try {
+      setLoading(true)
+      const response = await adminAPI.getZoneGigSlots(zoneId, {
+        startDate,
+        endDate: addDays(startDate, PLAN_DAYS - 1),
+      })
+      const data = response.data?.data || null
+      setPlan(data)
+      setCapacityDrafts({})
+      if (data?.zone?.gigSettings) {
+        setSettings(data.zone.gigSettings)
+      }
+    } catch (error) {
+      setPlan(null)
+      toast.error(error?.response?.data?.message || "Failed to load capacity plan")
+    } finally {
+      setLoading(false)
+    }
+  }, [zoneId, startDate])
+
+  useEffect(() => {
+    loadPlan()
+  }, [loadPlan])
+
+  const handleSaveSettings = async () => {
+    try {
+      setSavingSettings(true)
+      await adminAPI.updateZoneGigSettings(zoneId, {
+        requireBooking: settings.requireBooking,
+        defaultSlotCapacity: Number(settings.defaultSlotCapacity),
+      })
+      toast.success("Gig settings saved")
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to save gig settings")
+    } finally {
+      setSavingSettings(false)
+    }
+  }
+
+  const handleUpdateSlot = async (slot, data) => {
+    try {
+      setBusySlotId(slot.id)
+      await adminAPI.updateGigSlot(slot.id, data)
+      await loadPlan()
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to update slot")
+    } finally {
+      setBusySlotId(null)
+    }
+  }
+
+  const handleCapacityCommit = (slot) => {
+    const draft = capacityDrafts[slot.id]
+    if (draft === undefined || Number(draft) === slot.capacity) return
+    handleUpdateSlot(slot, { capacity: Number(draft) })
+  }
+
+  const handleDeleteSlot = async (slot) => {
+    if (!window.confirm(`Delete the ${slot.startTime} - ${slot.endTime} slot on ${formatDay(slot.date)}?`)) return
+    try {
+      setBusySlotId(slot.id)
+      await adminAPI.deleteGigSlot(slot.id)
+      toast.success("Slot deleted")
+      await loadPlan()
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to delete slot")
+    } finally {
+      setBusySlotId(null)
+    }
+  }
+
+  const handleAddSlot = async (e) => {
+    e.preventDefault()
+    try {
+      setAddingSlot(true)
+      await adminAPI.createZoneGigSlot(zoneId, {
+        date: newSlot.date || startDate,
+        startTime: newSlot.startTime,
+        endTime: newSlot.endTime,
+        capacity: newSlot.capacity === "" ? undefined : Number(newSlot.capacity),
+        payRate: {
+          min: Number(newSlot.payMin || 0),
+          max: Number(newSlot.payMax || newSlot.payMin || 0),
+        },
+      })
+      toast.success("Slot added")
+      setNewSlot(EMPTY_SLOT)
+      await loadPlan()
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to add slot")
+    } finally {
+      setAddingSlot(false)
+    }
+  }
+
+  const today = toDateKey(new Date())
+  const inputClass = "px-3 py-2 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+
+  return (
+    <div className="p-4 lg:p-6 bg-slate-50 min-h-screen overflow-x-hidden">
+      <div className="w-full max-w-full">
+        {/* Page Header */}
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <CalendarClock className="w-6 h-6 text-blue-600" />
+            <div>
+              <h1 className="text-2xl font-bold text-slate-900">Gig Capacity Planner</h1>
+              <p className="text-sm text-slate-600 mt-1">
+                Shift slots riders can book in each zone, with how many riders each slot takes.
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <select value={zoneId} onChange={(e) => setZoneId(e.target.value)} className={inputClass}>
+              {zones.length === 0 && <option value="">No zones</option>}
+              {zones.map((zone) => (
+                <option key={zone._id} value={zone._id}>
+                  {zone.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={loadPlan}
+              disabled={loading || !zoneId}
+              className="px-4 py-2 text-sm font-medium rounded-lg border border-slate-300 bg-white hover:bg-slate-50 text-slate-700 flex items-center gap-2 disabled:opacity-60"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {zoneId && (
+          <>
+            {/* Zone gig settings */}
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6">
+              <h2 className="text-lg font-semibold text-slate-900 mb-4">Zone settings</h2>
+              <div className="flex flex-wrap items-end gap-6">
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={settings.requireBooking}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, requireBooking: e.target.checked }))}
+                    className="w-4 h-4"
+                  />
+                  Riders must book a slot to go online in this zone
+                </label>
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Default riders per slot</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={settings.defaultSlotCapacity}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, defaultSlotCapacity: e.target.value }))}
+                    className={`${inputClass} w-32`}
+                  />
+                </div>
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={savingSettings}
+                  className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2 disabled:opacity-60"
+                >
+                  {savingSettings && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Save
+                </button>
+              </div>
+              <p className="text-xs text-slate-500 mt-3">
+                The default capacity applies to days whose slots have not been created yet.
+              </p>
+            </div>
+
+            {/* Week navigation */}
+            <div className="flex items-center justify-between mb-4">
+              <button
+                onClick={() => setStartDate((current) => addDays(current, -PLAN_DAYS))}
+                className="px-3 py-2 text-sm rounded-lg border border-slate-300 bg-white hover:bg-slate-50 flex items-center gap-1"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Previous
+              </button>
+              <span className="text-sm font-medium text-slate-700">
+                {formatDay(startDate)} - {formatDay(addDays(startDate, PLAN_DAYS - 1))}
+              </span>
+              <button
+                onClick={() => setStartDate((current) => addDays(current, PLAN_DAYS))}
+                className="px-3 py-2 text-sm rounded-lg border border-slate-300 bg-white hover:bg-slate-50 flex items-center gap-1"
+              >
+                Next
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+
+            {/* Capacity per day */}
+            <div className="space-y-4 mb-6">
+              {loading && !plan ? (
+                <div className="bg-white rounded-xl border border-slate-200 p-10 flex justify-center">
+                  <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+                </div>
+              ) : (
+                plan?.days.map((day) => (
+                  <div key={day.date} className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="font-semibold text-slate-900">{formatDay(day.date)}</h3>
+                      <span className="text-sm text-slate-600">
+                        {day.totalBooked} / {day.totalCapacity} riders booked
+                      </span>
+                    </div>
+                    {day.slots.length === 0 ? (
+                      <p className="text-sm text-slate-500">No slots</p>
+                    ) : (
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs uppercase text-slate-500 border-b border-slate-200">
+                              <th className="py-2 pr-4">Time</th>
+                              <th className="py-2 pr-4">Booked</th>
+                              <th className="py-2 pr-4">Capacity</th>
+                              <th className="py-2 pr-4">Pay / hour</th>
+                              <th className="py-2 pr-4">Active</th>
+                              <th className="py-2" />
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {day.slots.map((slot) => {
+                              const isPast = day.date < today
+                              const fill = slot.capacity ? Math.min(100, (slot.bookedCount / slot.capacity) * 100) : 100
+                              return (
+                                <tr key={slot.id} className="border-b border-slate-100 last:border-0">
+                                  <td className="py-2 pr-4 font-medium text-slate-800">
+                                    {slot.startTime} - {slot.endTime}
+                                  </td>
+                                  <td className="py-2 pr-4">
+                                    <div className="flex items-center gap-2">
+                                      <div className="w-20 h-2 bg-slate-100 rounded-full overflow-hidden">
+                                        <div
+                                          className={`h-full ${fill >= 100 ? "bg-red-500" : fill >= 75 ? "bg-amber-500" : "bg-green-500"}`}
+                                          style={{ width: `${fill}%` }}
+                                        />
+                                      </div>
+                                      <span className="text-slate-700">{slot.bookedCount}</span>
+                                    </div>
+                                  </td>
+                                  <td className="py-2 pr-4">
+                                    <input
+                                      type="number"
+                                      min={slot.bookedCount}
+                                      disabled={isPast || busySlotId === slot.id}
+                                      value={capacityDrafts[slot.id] ?? slot.capacity}
+                                      onChange={(e) => setCapacityDrafts((prev) => ({ ...prev, [slot.id]: e.target.value }))}
+                                      onBlur={() => handleCapacityCommit(slot)}
+                                      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                                      className={`${inputClass} w-24 py-1`}
+                                    />
+                                  </td>
+                                  <td className="py-2 pr-4 text-slate-700">
+                                    ₹{slot.payRate?.min ?? 0} - ₹{slot.payRate?.max ?? 0}
+                                  </td>
+                                  <td className="py-2 pr-4">
+                                    <input
+                                      type="checkbox"
+                                      checked={slot.isActive}
+                                      disabled={isPast || busySlotId === slot.id}
+                                      onChange={(e) => handleUpdateSlot(slot, { isActive: e.target.checked })}
+                                      className="w-4 h-4"
+                                    />
+                                  </td>
+                                  <td className="py-2 text-right">
+                                    {slot.bookedCount === 0 && !isPast && (
+                                      <button
+                                        onClick={() => handleDeleteSlot(slot)}
+                                        disabled={busySlotId === slot.id}
+                                        className="p-1.5 rounded-md text-red-600 hover:bg-red-50 disabled:opacity-50"
+                                        title="Delete slot"
+                                      >
+                                        <Trash2 className="w-4 h-4" />
+                                      </button>
+                                    )}
+                                  </td>
+                                </tr>
+                              )
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+
+            {/* Add slot */}
+            <form onSubmit={handleAddSlot} className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+              <h2 className="text-lg font-semibold text-slate-900 mb-4">Add slot</h2>
+              <div className="flex flex-wrap items-end gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Day</label>
+                  <select
+                    value={newSlot.date || startDate}
+                    onChange={(e) => setNewSlot((prev) => ({ ...prev, date: e.target.value }))}
+                    className={inputClass}
+                  >
+                    {(plan?.days || []).filter((day) => day.date >= today).map((day) => (
+                      <option key={day.date} value={day.date}>
+                        {formatDay(day.date)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Start</label>
+                  <input
+                    type="time"
+                    required
+                    value={newSlot.startTime}
+                    onChange={(e) => setNewSlot((prev) => ({ ...prev, startTime: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">End</label>
+                  <input
+                    type="time"
+                    required
+                    value={newSlot.endTime}
+                    onChange={(e) => setNewSlot((prev) => ({ ...prev, endTime: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Riders</label>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder={String(settings.defaultSlotCapacity)}
+                    value={newSlot.capacity}
+                    onChange={(e) => setNewSlot((prev) => ({ ...prev, capacity: e.target.value }))}
+                    className={`${inputClass} w-24`}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Pay / hour (₹)</label>
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Min"
+                      value={newSlot.payMin}
+                      onChange={(e) => setNewSlot((prev) => ({ ...prev, payMin: e.target.value }))}
+                      className={`${inputClass} w-20`}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Max"
+                      value={newSlot.payMax}
+                      onChange={(e) => setNewSlot((prev) => ({ ...prev, payMax: e.target.value }))}
+                      className={`${inputClass} w-20`}
+                    />
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  disabled={addingSlot}
+                  className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2 disabled:opacity-60"
+                >
+                  {addingSlot ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                  Add slot
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
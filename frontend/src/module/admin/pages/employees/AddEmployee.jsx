@@ -1,9 +1,15 @@
-import { useState } from "react"
+import { useState, useEffect } from "react"
+import { useNavigate } from "react-router-dom"
 import { UserPlus, User, Eye, EyeOff, Upload, ChevronDown } from "lucide-react"
+import { adminAPI } from "@/lib/api"
+import { toast } from "sonner"
 
 export default function AddEmployee() {
   const [showPassword, setShowPassword] = useState(false)
   const [showConfirmPassword, setShowConfirmPassword] = useState(false)
+  const [roles, setRoles] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+  const navigate = useNavigate()
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
@@ -27,10 +33,42 @@ export default function AddEmployee() {
     }
   }
 
-  const handleSubmit = (e) => {
+  useEffect(() => {
+    adminAPI.getAdminRoles()
+      .then((response) => setRoles(response?.data?.data?.roles?.filter((role) => role.isActive) || []))
+      .catch((error) => console.error("Error fetching admin roles:", error))
+  }, [])
+
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    console.log("Form submitted:", formData)
-    alert("Employee added successfully!")
+    const name = `${formData.firstName} ${formData.lastName}`.trim()
+
+    if (!name || !formData.email || !formData.password) {
+      toast.error("Name, email and password are required")
+      return
+    }
+    if (formData.password !== formData.confirmPassword) {
+      toast.error("Passwords do not match")
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      await adminAPI.createAdmin({
+        name,
+        email: formData.email,
+        password: formData.password,
+        phone: formData.phone ? `${formData.phoneCode}${formData.phone}` : undefined,
+        adminRoleId: formData.role || null,
+      })
+      toast.success("Employee added successfully")
+      navigate("/admin/employees")
+    } catch (error) {
+      console.error("Error adding employee:", error)
+      toast.error(error.response?.data?.message || "Failed to add employee")
+    } finally {
+      setSubmitting(false)
+    }
   }
 
   const handleReset = () => {
@@ -135,9 +173,9 @@ export default function AddEmployee() {
                         className="w-full px-4 py-2.5 pr-8 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm appearance-none cursor-pointer"
                       >
                         <option value="">Select Role</option>
-                        <option value="manager">Manager</option>
-                        <option value="customer-care">Customer Care Executive</option>
-                        <option value="admin">Admin</option>
+                        {roles.map((role) => (
+                          <option key={role._id} value={role._id}>{role.name}</option>
+                        ))}
                       </select>
                       <ChevronDown className="absolute right-2 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-500 pointer-events-none" />
                     </div>
@@ -282,9 +320,10 @@ export default function AddEmployee() {
             </button>
             <button
               type="submit"
-              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md"
+              disabled={submitting}
+              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md disabled:opacity-60"
             >
-              Submit
+              {submitting ? "Saving..." : "Submit"}
             </button>
           </div>
         </form>
@@ -1,38 +1,67 @@
-import { useState, useMemo } from "react"
-import { Users, ChevronDown, Search, Settings, Edit, Trash2, ArrowUpDown, Download, FileText, FileSpreadsheet, Code, Check, Columns } from "lucide-react"
+import { useState, useMemo, useEffect } from "react"
+import { Users, ChevronDown, Search, Settings, Trash2, ArrowUpDown, Download, FileText, FileSpreadsheet, Code, Check, Columns } from "lucide-react"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { adminAPI } from "@/lib/api"
+import { toast } from "sonner"
 
-const employeesDummy = [
-  {
-    id: 1,
-    name: "Jhon",
-    phone: "+81234567890",
-    email: "jhon@gmail.com",
-    createdAt: "07 Feb, 2023",
-  },
-  {
-    id: 2,
-    name: "Monali Khan",
-    phone: "+81234567891",
-    email: "test@gmail.com",
-    createdAt: "22 Aug, 2021",
-  },
-]
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" })
+    : "-"
 
 export default function EmployeeList() {
   const [searchQuery, setSearchQuery] = useState("")
-  const [employees, setEmployees] = useState(employeesDummy)
+  const [employees, setEmployees] = useState([])
+  const [roles, setRoles] = useState([])
+  const [loading, setLoading] = useState(true)
   const [isSettingsOpen, setIsSettingsOpen] = useState(false)
   const [visibleColumns, setVisibleColumns] = useState({
     si: true,
     name: true,
     phone: true,
     email: true,
+    role: true,
     createdAt: true,
     actions: true,
   })
 
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [adminsResponse, rolesResponse] = await Promise.all([
+          adminAPI.getAdmins({ limit: 200 }),
+          adminAPI.getAdminRoles(),
+        ])
+        setEmployees(adminsResponse?.data?.data?.admins || [])
+        setRoles(rolesResponse?.data?.data?.roles || [])
+      } catch (error) {
+        console.error("Error fetching employees:", error)
+        toast.error(error.response?.data?.message || "Failed to load employees")
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchData()
+  }, [])
+
+  const handleRoleChange = async (employeeId, adminRoleId) => {
+    try {
+      const response = await adminAPI.updateAdmin(employeeId, { adminRoleId: adminRoleId || null })
+      const updated = response?.data?.data?.admin
+      const role = roles.find(r => r._id === adminRoleId)
+      setEmployees(prev => prev.map(employee =>
+        employee._id === employeeId
+          ? { ...employee, ...updated, adminRoleId: role ? { _id: role._id, name: role.name } : null }
+          : employee
+      ))
+      toast.success("Employee role updated")
+    } catch (error) {
+      console.error("Error updating employee role:", error)
+      toast.error(error.response?.data?.message || "Failed to update role")
+    }
+  }
+
   const filteredEmployees = useMemo(() => {
     if (!searchQuery.trim()) return employees
     const query = searchQuery.toLowerCase().trim()
@@ -60,9 +89,16 @@ export default function EmployeeList() {
     return email
   }
 
-  const handleDelete = (id) => {
-    if (window.confirm("Are you sure you want to delete this employee?")) {
-      setEmployees(employees.filter(employee => employee.id !== id))
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this employee?")) return
+
+    try {
+      await adminAPI.deleteAdmin(id)
+      setEmployees(prev => prev.filter(employee => employee._id !== id))
+      toast.success("Employee deleted")
+    } catch (error) {
+      console.error("Error deleting employee:", error)
+      toast.error(error.response?.data?.message || "Failed to delete employee")
     }
   }
 
@@ -84,6 +120,7 @@ export default function EmployeeList() {
       name: true,
       phone: true,
       email: true,
+      role: true,
       createdAt: true,
       actions: true,
     })
@@ -94,6 +131,7 @@ export default function EmployeeList() {
     name: "Employee Name",
     phone: "Phone",
     email: "Email",
+    role: "Role",
     createdAt: "Created At",
     actions: "Actions",
   }
@@ -210,6 +248,11 @@ export default function EmployeeList() {
                       </div>
                     </th>
                   )}
+                  {visibleColumns.role && (
+                    <th className="px-6 py-4 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
+                      <span>Role</span>
+                    </th>
+                  )}
                   {visibleColumns.createdAt && (
                     <th className="px-6 py-4 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
                       <div className="flex items-center gap-2">
@@ -224,16 +267,16 @@ export default function EmployeeList() {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-slate-100">
-                {filteredEmployees.length === 0 ? (
+                {loading || filteredEmployees.length === 0 ? (
                   <tr>
                     <td colSpan={Object.values(visibleColumns).filter(v => v).length} className="px-6 py-8 text-center text-slate-500">
-                      No employees found
+                      {loading ? "Loading employees..." : "No employees found"}
                     </td>
                   </tr>
                 ) : (
                   filteredEmployees.map((employee, index) => (
                     <tr
-                      key={employee.id}
+                      key={employee._id}
                       className="hover:bg-slate-50 transition-colors"
                     >
                       {visibleColumns.si && (
@@ -256,22 +299,36 @@ export default function EmployeeList() {
                           <span className="text-sm text-slate-700">{maskEmail(employee.email)}</span>
                         </td>
                       )}
+                      {visibleColumns.role && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {employee.role === "super_admin" ? (
+                            <span className="inline-block px-2 py-1 text-xs font-medium bg-blue-50 text-blue-700 rounded">
+                              Super Admin
+                            </span>
+                          ) : (
+                            <select
+                              value={employee.adminRoleId?._id || ""}
+                              onChange={(e) => handleRoleChange(employee._id, e.target.value)}
+                              className="px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">No role</option>
+                              {roles.map((role) => (
+                                <option key={role._id} value={role._id}>{role.name}</option>
+                              ))}
+                            </select>
+                          )}
+                        </td>
+                      )}
                       {visibleColumns.createdAt && (
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="text-sm text-slate-700">{employee.createdAt}</span>
+                          <span className="text-sm text-slate-700">{formatDate(employee.createdAt)}</span>
                         </td>
                       )}
                       {visibleColumns.actions && (
                         <td className="px-6 py-4 whitespace-nowrap text-center">
                           <div className="flex items-center justify-center gap-2">
                             <button
-                              className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors"
-                              title="Edit"
-                            >
-                              <Edit className="w-4 h-4" />
-                            </button>
-                            <button
-                              onClick={() => handleDelete(employee.id)}
+                              onClick={() => handleDelete(employee._id)}
                               className="p-1.5 rounded text-red-600 hover:bg-red-50 transition-colors"
                               title="Delete"
                             >
@@ -1,61 +1,25 @@
-import { useState, useMemo } from "react"
+import { useState, useMemo, useEffect } from "react"
 import { UserCog, ChevronDown, ArrowUpDown, Trash2, Search, Download, Edit, Settings, FileText, FileSpreadsheet, Code, Check, Columns } from "lucide-react"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { adminAPI } from "@/lib/api"
+import { toast } from "sonner"
+import { adminPermissionOptions, getPermissionLabel } from "../../data/adminPermissions"
 
-const modulePermissions = [
-  // Column 1
-  { id: "collectCash", label: "Collect cash" },
-  { id: "category", label: "Category" },
-  { id: "deliveryman", label: "Deliveryman" },
-  { id: "pushNotification", label: "Push notification" },
-  { id: "businessSettings", label: "Business settings" },
-  { id: "contactMessages", label: "Contact messages" },
-  { id: "chat", label: "Chat" },
-  // Column 2
-  { id: "addon", label: "Addon" },
-  { id: "coupon", label: "Coupon" },
-  { id: "deliverymenEarning", label: "Deliverymen earning provide" },
-  { id: "order", label: "Order" },
-  { id: "restaurantWithdraws", label: "Restaurant withdraws" },
-  { id: "disbursement", label: "Disbursement" },
-  // Column 3
-  { id: "banner", label: "Banner" },
-  { id: "customersSection", label: "Customers section" },
-  { id: "employee", label: "Employee" },
-  { id: "restaurants", label: "Restaurants" },
-  { id: "posSystem", label: "Pos system" },
-  { id: "advertisement", label: "Advertisement" },
-  // Column 4
-  { id: "campaign", label: "Campaign" },
-  { id: "customerWallet", label: "Customer Wallet" },
-  { id: "food", label: "Food" },
-  { id: "report", label: "Report" },
-  { id: "zone", label: "Zone" },
-  { id: "cashback", label: "Cashback" },
-]
-
-const employeeRolesDummy = [
-  {
-    id: 1,
-    roleName: "Manager",
-    modules: ["Addon", "Banner", "Campaign", "Category", "Coupon", "Custom Role", "CustomerList", "Deliveryman", "Employee", "Food", "Notification", "Order", "Report", "Settings", "Pos", "Contact Message"],
-    createdAt: "07 Feb 2023",
-  },
-  {
-    id: 2,
-    roleName: "Customer Care Executive",
-    modules: ["CustomerList", "Deliveryman", "Order", "Restaurant"],
-    createdAt: "22 Aug 2021",
-  },
-]
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" })
+    : "-"
 
 export default function EmployeeRole() {
   const [activeLanguage, setActiveLanguage] = useState("default")
   const [roleName, setRoleName] = useState("")
   const [permissions, setPermissions] = useState({})
   const [searchQuery, setSearchQuery] = useState("")
-  const [roles, setRoles] = useState(employeeRolesDummy)
+  const [roles, setRoles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [editingRoleId, setEditingRoleId] = useState(null)
   const [isSettingsOpen, setIsSettingsOpen] = useState(false)
   const [visibleColumns, setVisibleColumns] = useState({
     si: true,
@@ -73,6 +37,23 @@ export default function EmployeeRole() {
     { key: "es", label: "Spanish - español(ES)" },
   ]
 
+  const fetchRoles = async () => {
+    try {
+      setLoading(true)
+      const response = await adminAPI.getAdminRoles()
+      setRoles(response?.data?.data?.roles || [])
+    } catch (error) {
+      console.error("Error fetching admin roles:", error)
+      toast.error(error.response?.data?.message || "Failed to load roles")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchRoles()
+  }, [])
+
   const handlePermissionChange = (permissionId, checked) => {
     setPermissions(prev => ({
       ...prev,
@@ -82,30 +63,75 @@ export default function EmployeeRole() {
 
   const handleSelectAll = (checked) => {
     const allPermissions = {}
-    modulePermissions.forEach(permission => {
+    adminPermissionOptions.forEach(permission => {
       allPermissions[permission.id] = checked
     })
     setPermissions(allPermissions)
   }
 
   const allSelected = useMemo(() => {
-    return modulePermissions.every(permission => permissions[permission.id])
+    return adminPermissionOptions.every(permission => permissions[permission.id])
   }, [permissions])
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    console.log("Form submitted:", { roleName, permissions })
-    alert("Employee role created successfully!")
-  }
-
   const handleReset = () => {
     setRoleName("")
     setPermissions({})
+    setEditingRoleId(null)
   }
 
-  const handleDelete = (id) => {
-    if (window.confirm("Are you sure you want to delete this role?")) {
-      setRoles(roles.filter(role => role.id !== id))
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const selectedPermissions = adminPermissionOptions
+      .filter(permission => permissions[permission.id])
+      .map(permission => permission.id)
+
+    if (!roleName.trim()) {
+      toast.error("Role name is required")
+      return
+    }
+    if (selectedPermissions.length === 0) {
+      toast.error("Select at least one permission")
+      return
+    }
+
+    try {
+      setSaving(true)
+      const payload = { name: roleName.trim(), permissions: selectedPermissions }
+      if (editingRoleId) {
+        await adminAPI.updateAdminRole(editingRoleId, payload)
+        toast.success("Employee role updated successfully")
+      } else {
+        await adminAPI.createAdminRole(payload)
+        toast.success("Employee role created successfully")
+      }
+      handleReset()
+      fetchRoles()
+    } catch (error) {
+      console.error("Error saving admin role:", error)
+      toast.error(error.response?.data?.message || "Failed to save role")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleEdit = (role) => {
+    setEditingRoleId(role._id)
+    setRoleName(role.name)
+    setPermissions(Object.fromEntries(role.permissions.map(permission => [permission, true])))
+    window.scrollTo({ top: 0, behavior: "smooth" })
+  }
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this role?")) return
+
+    try {
+      await adminAPI.deleteAdminRole(id)
+      toast.success("Employee role deleted")
+      if (editingRoleId === id) handleReset()
+      setRoles(prev => prev.filter(role => role._id !== id))
+    } catch (error) {
+      console.error("Error deleting admin role:", error)
+      toast.error(error.response?.data?.message || "Failed to delete role")
     }
   }
 
@@ -113,7 +139,7 @@ export default function EmployeeRole() {
     if (!searchQuery.trim()) return roles
     const query = searchQuery.toLowerCase().trim()
     return roles.filter(role =>
-      role.roleName.toLowerCase().includes(query)
+      role.name.toLowerCase().includes(query)
     )
   }, [roles, searchQuery])
 
@@ -147,12 +173,6 @@ export default function EmployeeRole() {
     actions: "Actions",
   }
 
-  // Split permissions into 4 columns
-  const column1 = modulePermissions.slice(0, 7)
-  const column2 = modulePermissions.slice(7, 13)
-  const column3 = modulePermissions.slice(13, 19)
-  const column4 = modulePermissions.slice(19, 26)
-
   return (
     <div className="p-4 lg:p-6 bg-slate-50 min-h-screen">
       <div className="max-w-7xl mx-auto">
@@ -221,78 +241,21 @@ export default function EmployeeRole() {
               </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-              {/* Column 1 */}
-              <div className="space-y-3">
-                {column1.map((permission) => (
-                  <div key={permission.id} className="flex items-center">
-                    <input
-                      type="checkbox"
-                      id={permission.id}
-                      checked={permissions[permission.id] || false}
-                      onChange={(e) => handlePermissionChange(permission.id, e.target.checked)}
-                      className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
-                    />
-                    <label htmlFor={permission.id} className="ml-2 text-sm text-slate-700">
-                      {permission.label}
-                    </label>
-                  </div>
-                ))}
-              </div>
-
-              {/* Column 2 */}
-              <div className="space-y-3">
-                {column2.map((permission) => (
-                  <div key={permission.id} className="flex items-center">
-                    <input
-                      type="checkbox"
-                      id={permission.id}
-                      checked={permissions[permission.id] || false}
-                      onChange={(e) => handlePermissionChange(permission.id, e.target.checked)}
-                      className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
-                    />
-                    <label htmlFor={permission.id} className="ml-2 text-sm text-slate-700">
-                      {permission.label}
-                    </label>
-                  </div>
-                ))}
-              </div>
-
-              {/* Column 3 */}
-              <div className="space-y-3">
-                {column3.map((permission) => (
-                  <div key={permission.id} className="flex items-center">
-                    <input
-                      type="checkbox"
-                      id={permission.id}
-                      checked={permissions[permission.id] || false}
-                      onChange={(e) => handlePermissionChange(permission.id, e.target.checked)}
-                      className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
-                    />
-                    <label htmlFor={permission.id} className="ml-2 text-sm text-slate-700">
-                      {permission.label}
-                    </label>
-                  </div>
-                ))}
-              </div>
-
-              {/* Column 4 */}
-              <div className="space-y-3">
-                {column4.map((permission) => (
-                  <div key={permission.id} className="flex items-center">
-                    <input
-                      type="checkbox"
-                      id={permission.id}
-                      checked={permissions[permission.id] || false}
-                      onChange={(e) => handlePermissionChange(permission.id, e.target.checked)}
-                      className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
-                    />
-                    <label htmlFor={permission.id} className="ml-2 text-sm text-slate-700">
-                      {permission.label}
-                    </label>
-                  </div>
-                ))}
-              </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-x-6 gap-y-3">
+              {adminPermissionOptions.map((permission) => (
+                <div key={permission.id} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id={permission.id}
+                    checked={permissions[permission.id] || false}
+                    onChange={(e) => handlePermissionChange(permission.id, e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                  />
+                  <label htmlFor={permission.id} className="ml-2 text-sm text-slate-700">
+                    {permission.label}
+                  </label>
+                </div>
+              ))}
             </div>
           </div>
 
@@ -307,9 +270,10 @@ export default function EmployeeRole() {
             </button>
             <button
               type="submit"
-              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md"
+              disabled={saving}
+              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md disabled:opacity-60"
             >
-              Submit
+              {saving ? "Saving..." : editingRoleId ? "Update" : "Submit"}
             </button>
           </div>
         </form>
@@ -417,16 +381,16 @@ export default function EmployeeRole() {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-slate-100">
-                {filteredRoles.length === 0 ? (
+                {loading || filteredRoles.length === 0 ? (
                   <tr>
                     <td colSpan={Object.values(visibleColumns).filter(v => v).length} className="px-6 py-8 text-center text-slate-500">
-                      No roles found
+                      {loading ? "Loading roles..." : "No roles found"}
                     </td>
                   </tr>
                 ) : (
                   filteredRoles.map((role, index) => (
                     <tr
-                      key={role.id}
+                      key={role._id}
                       className="hover:bg-slate-50 transition-colors"
                     >
                       {visibleColumns.si && (
@@ -436,18 +400,18 @@ export default function EmployeeRole() {
                       )}
                       {visibleColumns.roleName && (
                         <td className="px-6 py-4">
-                          <span className="text-sm font-medium text-slate-900">{role.roleName}</span>
+                          <span className="text-sm font-medium text-slate-900">{role.name}</span>
                         </td>
                       )}
                       {visibleColumns.modules && (
                         <td className="px-6 py-4">
                           <div className="flex flex-wrap gap-1">
-                            {role.modules.map((module, idx) => (
+                            {role.permissions.map((permission) => (
                               <span
-                                key={idx}
+                                key={permission}
                                 className="inline-block px-2 py-1 text-xs bg-slate-100 text-slate-700 rounded"
                               >
-                                {module}
+                                {getPermissionLabel(permission)}
                               </span>
                             ))}
                           </div>
@@ -455,20 +419,21 @@ export default function EmployeeRole() {
                       )}
                       {visibleColumns.createdAt && (
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="text-sm text-slate-700">{role.createdAt}</span>
+                          <span className="text-sm text-slate-700">{formatDate(role.createdAt)}</span>
                         </td>
                       )}
                       {visibleColumns.actions && (
                         <td className="px-6 py-4 whitespace-nowrap text-center">
                           <div className="flex items-center justify-center gap-2">
                             <button
+                              onClick={() => handleEdit(role)}
                               className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors"
                               title="Edit"
                             >
                               <Edit className="w-4 h-4" />
                             </button>
                             <button
-                              onClick={() => handleDelete(role.id)}
+                              onClick={() => handleDelete(role._id)}
                               className="p-1.5 rounded text-red-600 hover:bg-red-50 transition-colors"
                               title="Delete"
                             >
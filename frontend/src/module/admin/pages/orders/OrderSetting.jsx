@@ -1,11 +1,70 @@
 import { useState, useEffect } from "react"
-import { Settings, Save, Loader2, Info } from "lucide-react"
+import { Settings, Save, Loader2, Info, CalendarClock, BellRing, Plus, Trash2, ShieldCheck, Layers } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { adminAPI } from "@/lib/api"
 import { toast } from "sonner"
 
+const DEFAULT_SCHEDULED_ORDERS = {
+  isEnabled: true,
+  releaseLeadMinutes: 45,
+  minAdvanceMinutes: 60,
+  maxAdvanceDays: 3,
+  slotIntervalMinutes: 30,
+}
+
+const SCHEDULE_FIELDS = [
+  { key: "releaseLeadMinutes", label: "Release to restaurant (minutes before slot)", min: 5 },
+  { key: "minAdvanceMinutes", label: "Minimum advance notice (minutes)", min: 0 },
+  { key: "maxAdvanceDays", label: "Maximum days in advance", min: 1, max: 30 },
+  { key: "slotIntervalMinutes", label: "Slot interval (minutes)", min: 15 },
+]
+
+const ESCALATION_ACTIONS = [
+  { action: "ring", label: "Ring restaurant panel again", defaultSeconds: 60 },
+  { action: "push", label: "Push notification to restaurant app", defaultSeconds: 120 },
+  { action: "sms", label: "SMS to restaurant owner", defaultSeconds: 150 },
+  { action: "admin_alert", label: "Alert admins", defaultSeconds: 200 },
+]
+
+const DEFAULT_RESTAURANT_ACCEPTANCE = {
+  acceptWindowSeconds: 240,
+  zoneOverrides: [],
+  escalationSteps: ESCALATION_ACTIONS.map(({ action, defaultSeconds }) => ({ action, afterSeconds: defaultSeconds })),
+  autoPauseEnabled: true,
+  autoPauseAfterMisses: 3,
+}
+
+const DEFAULT_DELIVERY_VERIFICATION = {
+  isEnabled: true,
+  maxOtpAttempts: 5,
+  allowFallback: true,
+  geofenceRadiusMeters: 150,
+}
+
+const DEFAULT_ORDER_BATCHING = {
+  isEnabled: true,
+  peakOnly: true,
+  maxOrdersPerBatch: 3,
+  maxPickupDistanceKm: 1,
+  maxDirectionDeviation: 45,
+  maxEtaImpactMinutes: 10,
+  bonusPerExtraOrder: 10,
+}
+
+const BATCHING_FIELDS = [
+  { key: "maxPickupDistanceKm", label: "Max distance between restaurants (km)", min: 0.1, step: 0.1 },
+  { key: "maxDirectionDeviation", label: "Max difference in drop direction (degrees)", min: 0, max: 180 },
+  { key: "maxEtaImpactMinutes", label: "Max extra delivery time per customer (minutes)", min: 0 },
+  { key: "bonusPerExtraOrder", label: "Rider bonus per extra order (₹)", min: 0 },
+]
+
 export default function OrderSetting() {
   const [deliveryAssignmentMode, setDeliveryAssignmentMode] = useState("automatic")
+  const [scheduledOrders, setScheduledOrders] = useState(DEFAULT_SCHEDULED_ORDERS)
+  const [acceptance, setAcceptance] = useState(DEFAULT_RESTAURANT_ACCEPTANCE)
+  const [deliveryVerification, setDeliveryVerification] = useState(DEFAULT_DELIVERY_VERIFICATION)
+  const [orderBatching, setOrderBatching] = useState(DEFAULT_ORDER_BATCHING)
+  const [zones, setZones] = useState([])
   const [loading, setLoading] = useState(false)
   const [saving, setSaving] = useState(false)
 
@@ -17,6 +76,22 @@ export default function OrderSetting() {
       if (response.data?.success && response.data.data) {
         const mode = response.data.data.deliveryAssignmentMode || "automatic"
         setDeliveryAssignmentMode(mode)
+        setScheduledOrders({
+          ...DEFAULT_SCHEDULED_ORDERS,
+          ...(response.data.data.scheduledOrders || {}),
+        })
+        setAcceptance({
+          ...DEFAULT_RESTAURANT_ACCEPTANCE,
+          ...(response.data.data.restaurantAcceptance || {}),
+        })
+        setDeliveryVerification({
+          ...DEFAULT_DELIVERY_VERIFICATION,
+          ...(response.data.data.deliveryVerification || {}),
+        })
+        setOrderBatching({
+          ...DEFAULT_ORDER_BATCHING,
+          ...(response.data.data.orderBatching || {}),
+        })
       }
     } catch (error) {
       console.error("Error fetching order settings:", error)
@@ -26,8 +101,19 @@ export default function OrderSetting() {
     }
   }
 
+  // Zones for the per-zone accept windows
+  const fetchZones = async () => {
+    try {
+      const response = await adminAPI.getZones({ limit: 1000, isActive: true })
+      setZones(response.data?.data?.zones || [])
+    } catch (error) {
+      console.error("Error fetching zones:", error)
+    }
+  }
+
   useEffect(() => {
     fetchSettings()
+    fetchZones()
   }, [])
 
   // Save settings
@@ -36,6 +122,18 @@ export default function OrderSetting() {
       setSaving(true)
       const response = await adminAPI.updateBusinessSettings({
         deliveryAssignmentMode,
+        // Sent as JSON because business settings are saved as multipart form data
+        scheduledOrders: JSON.stringify(scheduledOrders),
+        // Restaurant overrides are managed through the API and left untouched here
+        restaurantAcceptance: JSON.stringify({
+          acceptWindowSeconds: acceptance.acceptWindowSeconds,
+          zoneOverrides: acceptance.zoneOverrides.filter((override) => override.zoneId),
+          escalationSteps: acceptance.escalationSteps,
+          autoPauseEnabled: acceptance.autoPauseEnabled,
+          autoPauseAfterMisses: acceptance.autoPauseAfterMisses,
+        }),
+        deliveryVerification: JSON.stringify(deliveryVerification),
+        orderBatching: JSON.stringify(orderBatching),
       })
 
       if (response.data?.success) {
@@ -51,6 +149,35 @@ export default function OrderSetting() {
     }
   }
 
+  const getEscalationStep = (action) =>
+    acceptance.escalationSteps.find((step) => step.action === action)
+
+  const toggleEscalationStep = (action, defaultSeconds, enabled) => {
+    const steps = acceptance.escalationSteps.filter((step) => step.action !== action)
+    setAcceptance({
+      ...acceptance,
+      escalationSteps: enabled ? [...steps, { action, afterSeconds: defaultSeconds }] : steps,
+    })
+  }
+
+  const updateEscalationSeconds = (action, afterSeconds) => {
+    setAcceptance({
+      ...acceptance,
+      escalationSteps: acceptance.escalationSteps.map((step) =>
+        step.action === action ? { ...step, afterSeconds } : step
+      ),
+    })
+  }
+
+  const updateZoneOverride = (index, changes) => {
+    setAcceptance({
+      ...acceptance,
+      zoneOverrides: acceptance.zoneOverrides.map((override, i) =>
+        i === index ? { ...override, ...changes } : override
+      ),
+    })
+  }
+
   return (
     <div className="p-4 lg:p-6 bg-slate-50 min-h-screen">
       {/* Header Section */}
@@ -164,6 +291,282 @@ export default function OrderSetting() {
                 </div>
               </div>
 
+              {/* Scheduled Orders */}
+              <div className="mb-6 pt-6 border-t border-slate-200">
+                <div className="flex items-center justify-between gap-4 mb-2">
+                  <div className="flex items-center gap-2">
+                    <CalendarClock className="w-5 h-5 text-blue-600" />
+                    <h2 className="text-xl font-bold text-slate-900">Scheduled Orders</h2>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={scheduledOrders.isEnabled}
+                      onChange={(e) => setScheduledOrders({ ...scheduledOrders, isEnabled: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Allow customers to schedule orders
+                  </label>
+                </div>
+                <p className="text-sm text-slate-600 mb-4">
+                  Scheduled orders are held and sent to the restaurant only when the release time before the slot is reached
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {SCHEDULE_FIELDS.map((field) => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">{field.label}</label>
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        value={scheduledOrders[field.key]}
+                        disabled={!scheduledOrders.isEnabled}
+                        onChange={(e) => setScheduledOrders({ ...scheduledOrders, [field.key]: e.target.value })}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Restaurant Acceptance */}
+              <div className="mb-6 pt-6 border-t border-slate-200">
+                <div className="flex items-center gap-2 mb-2">
+                  <BellRing className="w-5 h-5 text-blue-600" />
+                  <h2 className="text-xl font-bold text-slate-900">Restaurant Acceptance</h2>
+                </div>
+                <p className="text-sm text-slate-600 mb-4">
+                  Orders not accepted within the window are rejected. Reminders are sent at the times below, counted from when the restaurant receives the order
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Default accept window (seconds)</label>
+                    <input
+                      type="number"
+                      min={60}
+                      value={acceptance.acceptWindowSeconds}
+                      onChange={(e) => setAcceptance({ ...acceptance, acceptWindowSeconds: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <h3 className="text-sm font-semibold text-slate-900 mb-2">Zone accept windows</h3>
+                <div className="space-y-2 mb-4">
+                  {acceptance.zoneOverrides.map((override, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <select
+                        value={override.zoneId || ""}
+                        onChange={(e) => updateZoneOverride(index, { zoneId: e.target.value })}
+                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Select zone</option>
+                        {zones.map((zone) => (
+                          <option key={zone._id} value={zone._id}>{zone.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min={60}
+                        value={override.acceptWindowSeconds}
+                        onChange={(e) => updateZoneOverride(index, { acceptWindowSeconds: e.target.value })}
+                        className="w-32 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setAcceptance({
+                          ...acceptance,
+                          zoneOverrides: acceptance.zoneOverrides.filter((_, i) => i !== index),
+                        })}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setAcceptance({
+                      ...acceptance,
+                      zoneOverrides: [...acceptance.zoneOverrides, { zoneId: "", acceptWindowSeconds: acceptance.acceptWindowSeconds }],
+                    })}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add zone window
+                  </button>
+                </div>
+
+                <h3 className="text-sm font-semibold text-slate-900 mb-2">Escalation steps</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  {ESCALATION_ACTIONS.map(({ action, label, defaultSeconds }) => {
+                    const step = getEscalationStep(action)
+                    return (
+                      <div key={action}>
+                        <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mb-1">
+                          <input
+                            type="checkbox"
+                            checked={!!step}
+                            onChange={(e) => toggleEscalationStep(action, defaultSeconds, e.target.checked)}
+                            className="w-4 h-4"
+                          />
+                          {label} (after seconds)
+                        </label>
+                        <input
+                          type="number"
+                          min={0}
+                          value={step ? step.afterSeconds : defaultSeconds}
+                          disabled={!step}
+                          onChange={(e) => updateEscalationSeconds(action, e.target.value)}
+                          className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                        />
+                      </div>
+                    )
+                  })}
+                </div>
+
+                <h3 className="text-sm font-semibold text-slate-900 mb-2">Reliability</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={acceptance.autoPauseEnabled}
+                      onChange={(e) => setAcceptance({ ...acceptance, autoPauseEnabled: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Take restaurants offline after repeated missed orders
+                  </label>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Missed orders in a row before going offline</label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={acceptance.autoPauseAfterMisses}
+                      disabled={!acceptance.autoPauseEnabled}
+                      onChange={(e) => setAcceptance({ ...acceptance, autoPauseAfterMisses: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* Delivery Handover */}
+              <div className="mb-6 pt-6 border-t border-slate-200">
+                <div className="flex items-center justify-between gap-4 mb-2">
+                  <div className="flex items-center gap-2">
+                    <ShieldCheck className="w-5 h-5 text-blue-600" />
+                    <h2 className="text-xl font-bold text-slate-900">Delivery Handover</h2>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={deliveryVerification.isEnabled}
+                      onChange={(e) => setDeliveryVerification({ ...deliveryVerification, isEnabled: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Require proof of delivery
+                  </label>
+                </div>
+                <p className="text-sm text-slate-600 mb-4">
+                  Delivery partners complete an order with the code shown to the customer. When the customer cannot give it, a doorstep photo taken near the delivery address is accepted instead
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Wrong code attempts before lock</label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={deliveryVerification.maxOtpAttempts}
+                      disabled={!deliveryVerification.isEnabled}
+                      onChange={(e) => setDeliveryVerification({ ...deliveryVerification, maxOtpAttempts: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Geofence radius for photo proof (meters)</label>
+                    <input
+                      type="number"
+                      min={25}
+                      value={deliveryVerification.geofenceRadiusMeters}
+                      disabled={!deliveryVerification.isEnabled || !deliveryVerification.allowFallback}
+                      onChange={(e) => setDeliveryVerification({ ...deliveryVerification, geofenceRadiusMeters: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={deliveryVerification.allowFallback}
+                      disabled={!deliveryVerification.isEnabled}
+                      onChange={(e) => setDeliveryVerification({ ...deliveryVerification, allowFallback: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Allow doorstep photo when the code can't be given
+                  </label>
+                </div>
+              </div>
+
+              {/* Order Batching */}
+              <div className="mb-6 pt-6 border-t border-slate-200">
+                <div className="flex items-center justify-between gap-4 mb-2">
+                  <div className="flex items-center gap-2">
+                    <Layers className="w-5 h-5 text-blue-600" />
+                    <h2 className="text-xl font-bold text-slate-900">Order Batching</h2>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={orderBatching.isEnabled}
+                      onChange={(e) => setOrderBatching({ ...orderBatching, isEnabled: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Batch orders
+                  </label>
+                </div>
+                <p className="text-sm text-slate-600 mb-4">
+                  A delivery partner still on the way to pickup can take more orders from nearby restaurants going the same way, in one trip with a planned pickup and drop order
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Orders per trip</label>
+                    <select
+                      value={orderBatching.maxOrdersPerBatch}
+                      disabled={!orderBatching.isEnabled}
+                      onChange={(e) => setOrderBatching({ ...orderBatching, maxOrdersPerBatch: Number(e.target.value) })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                    >
+                      <option value={2}>Up to 2</option>
+                      <option value={3}>Up to 3</option>
+                    </select>
+                  </div>
+                  {BATCHING_FIELDS.map((field) => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">{field.label}</label>
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        value={orderBatching[field.key]}
+                        disabled={!orderBatching.isEnabled}
+                        onChange={(e) => setOrderBatching({ ...orderBatching, [field.key]: e.target.value })}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100"
+                      />
+                    </div>
+                  ))}
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={orderBatching.peakOnly}
+                      disabled={!orderBatching.isEnabled}
+                      onChange={(e) => setOrderBatching({ ...orderBatching, peakOnly: e.target.checked })}
+                      className="w-4 h-4"
+                    />
+                    Only batch when no free delivery partner is nearby
+                  </label>
+                </div>
+              </div>
+
               {/* Save Button */}
               <div className="flex items-center justify-end gap-3 pt-6 border-t border-slate-200">
                 <Button
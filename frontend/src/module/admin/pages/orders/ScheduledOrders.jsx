@@ -1,81 +1,6 @@
-import { ordersDummy } from "../../data/ordersDummy"
-import OrdersTopbar from "../../components/orders/OrdersTopbar"
-import OrdersTable from "../../components/orders/OrdersTable"
-import FilterPanel from "../../components/orders/FilterPanel"
-import ViewOrderDialog from "../../components/orders/ViewOrderDialog"
-import SettingsDialog from "../../components/orders/SettingsDialog"
-import { useOrdersManagement } from "../../components/orders/useOrdersManagement"
-
-const scheduledOrders = ordersDummy.filter(
-  (order) => order.orderStatus === "Scheduled" || order.orderStatus === "Pending"
-)
+import OrdersPage from "./OrdersPage"
 
 export default function ScheduledOrders() {
-  const {
-    searchQuery,
-    setSearchQuery,
-    isFilterOpen,
-    setIsFilterOpen,
-    isSettingsOpen,
-    setIsSettingsOpen,
-    isViewOrderOpen,
-    setIsViewOrderOpen,
-    selectedOrder,
-    filters,
-    setFilters,
-    visibleColumns,
-    filteredOrders,
-    count,
-    activeFiltersCount,
-    restaurants,
-    handleApplyFilters,
-    handleResetFilters,
-    handleExport,
-    handleViewOrder,
-    handlePrintOrder,
-    toggleColumn,
-    resetColumns,
-  } = useOrdersManagement(scheduledOrders, "scheduled", "Scheduled Orders")
-
-  return (
-    <div className="p-4 lg:p-6 bg-slate-50 min-h-screen w-full max-w-full overflow-x-hidden">
-      <OrdersTopbar 
-        title="Scheduled Orders" 
-        count={count} 
-        searchQuery={searchQuery}
-        setSearchQuery={setSearchQuery}
-        onFilterClick={() => setIsFilterOpen(true)}
-        activeFiltersCount={activeFiltersCount}
-        onExport={handleExport}
-        onSettingsClick={() => setIsSettingsOpen(true)}
-      />
-      <FilterPanel
-        isOpen={isFilterOpen}
-        onClose={() => setIsFilterOpen(false)}
-        filters={filters}
-        setFilters={setFilters}
-        onApply={handleApplyFilters}
-        onReset={handleResetFilters}
-        restaurants={restaurants}
-      />
-      <SettingsDialog
-        isOpen={isSettingsOpen}
-        onOpenChange={setIsSettingsOpen}
-        visibleColumns={visibleColumns}
-        toggleColumn={toggleColumn}
-        resetColumns={resetColumns}
-      />
-      <ViewOrderDialog
-        isOpen={isViewOrderOpen}
-        onOpenChange={setIsViewOrderOpen}
-        order={selectedOrder}
-      />
-      <OrdersTable 
-        orders={filteredOrders} 
-        visibleColumns={visibleColumns}
-        onViewOrder={handleViewOrder}
-        onPrintOrder={handlePrintOrder}
-      />
-    </div>
-  )
+  // Pre-orders held until their release time (status "scheduled")
+  return <OrdersPage statusKey="scheduled" />
 }
@@ -1,47 +1,91 @@
 import { useState } from "react"
-import { Download, ChevronDown, RefreshCw, FileText, DollarSign, Settings, FileSpreadsheet, Code } from "lucide-react"
-import { taxReportDummy, taxStats } from "../../data/taxReportDummy"
+import { Download, ChevronDown, FileText, DollarSign, Settings, FileSpreadsheet, Code, Loader2 } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
-import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog"
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { exportReportsToCSV, exportReportsToExcel, exportReportsToPDF, exportReportsToJSON } from "../../components/reports/reportsExportUtils"
 
+const currentMonth = () => new Date().toISOString().slice(0, 7)
+
+const formatAmount = (value) =>
+  `₹ ${Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
 export default function TaxReport() {
-  const [filters, setFilters] = useState({
-    dateRangeType: "Select Date Range",
-    calculateTax: "Select Calculate Tax",
-    taxRate: "Select Tax Rate",
-  })
+  const [month, setMonth] = useState(currentMonth)
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [exportingGstr, setExportingGstr] = useState(null)
   const [isSettingsOpen, setIsSettingsOpen] = useState(false)
 
+  const rows = (summary?.restaurants || []).map((row, index) => ({
+    sl: index + 1,
+    restaurantId: row.restaurantId,
+    incomeSource: row.supplierName || "Restaurant",
+    gstin: row.gstin || "Unregistered",
+    documents: `${row.invoiceCount} invoices / ${row.creditNoteCount} credit notes`,
+    totalIncome: formatAmount(row.taxableValue),
+    cgstSgst: formatAmount(row.cgst + row.sgst),
+    igst: formatAmount(row.igst),
+    totalTax: formatAmount(row.totalTax),
+  }))
+
   const handleReset = () => {
-    setFilters({
-      dateRangeType: "Select Date Range",
-      calculateTax: "Select Calculate Tax",
-      taxRate: "Select Tax Rate",
-    })
+    setMonth(currentMonth())
+    setSummary(null)
+  }
+
+  const handleSubmit = async () => {
+    if (!month) {
+      toast.error("Select a month")
+      return
+    }
+    try {
+      setLoading(true)
+      const response = await adminAPI.getTaxInvoiceSummary(month)
+      setSummary(response.data?.data?.summary || null)
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to load tax report")
+    } finally {
+      setLoading(false)
+    }
   }
 
-  const handleSubmit = () => {
-    // Handle form submission
-    console.log("Submitting tax report filters:", filters)
+  const handleGstrExport = async (restaurantId = null) => {
+    try {
+      setExportingGstr(restaurantId || "all")
+      const response = await adminAPI.downloadGstrExport(restaurantId ? { month, restaurantId } : { month })
+      downloadBlob(response.data, `gstr1-${month}${restaurantId ? `-${restaurantId}` : ""}.xlsx`)
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to export GSTR data"))
+    } finally {
+      setExportingGstr(null)
+    }
   }
 
   const handleExport = (format) => {
-    if (taxReportDummy.length === 0) {
-      alert("No data to export")
+    if (rows.length === 0) {
+      toast.error("No data to export")
       return
     }
     const headers = [
       { key: "sl", label: "SI" },
-      { key: "incomeSource", label: "Income Source" },
-      { key: "totalIncome", label: "Total Income" },
+      { key: "incomeSource", label: "Restaurant" },
+      { key: "gstin", label: "GSTIN" },
+      { key: "documents", label: "Documents" },
+      { key: "totalIncome", label: "Taxable Value" },
+      { key: "cgstSgst", label: "CGST + SGST" },
+      { key: "igst", label: "IGST" },
       { key: "totalTax", label: "Total Tax" },
     ]
+    const filename = `tax_report_${month}`
     switch (format) {
-      case "csv": exportReportsToCSV(taxReportDummy, headers, "tax_report"); break
-      case "excel": exportReportsToExcel(taxReportDummy, headers, "tax_report"); break
-      case "pdf": exportReportsToPDF(taxReportDummy, headers, "tax_report", "Tax Report"); break
-      case "json": exportReportsToJSON(taxReportDummy, "tax_report"); break
+      case "csv": exportReportsToCSV(rows, headers, filename); break
+      case "excel": exportReportsToExcel(rows, headers, filename); break
+      case "pdf": exportReportsToPDF(rows, headers, filename, `Tax Report ${month}`); break
+      case "json": exportReportsToJSON(rows, filename); break
+      case "gstr": handleGstrExport(); break
     }
   }
 
@@ -57,62 +101,20 @@ export default function TaxReport() {
         <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6">
           <h2 className="text-lg font-semibold text-slate-900 mb-2">Admin Tax Report</h2>
           <p className="text-sm text-slate-600 mb-6">
-            To generate you tax report please select & input following field and submit for the result.
+            GST collected on delivered orders, from the tax invoices issued by each restaurant, net of credit notes.
           </p>
 
           <div className="space-y-4 mb-6">
-            <div className="relative">
-              <label className="block text-sm font-semibold text-slate-700 mb-2">
-                Date Range Type
-              </label>
-              <select
-                value={filters.dateRangeType}
-                onChange={(e) => setFilters(prev => ({ ...prev, dateRangeType: e.target.value }))}
-                className="w-full px-4 py-2.5 pr-8 text-sm rounded-lg border border-slate-300 bg-white text-slate-700 appearance-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="Select Date Range">Select Date Range</option>
-                <option value="Today">Today</option>
-                <option value="This Week">This Week</option>
-                <option value="This Month">This Month</option>
-                <option value="This Year">This Year</option>
-                <option value="Custom Range">Custom Range</option>
-              </select>
-              <ChevronDown className="absolute right-2 bottom-2.5 w-4 h-4 text-slate-500 pointer-events-none" />
-            </div>
-
-            <div className="relative">
-              <label className="block text-sm font-semibold text-slate-700 mb-2">
-                Select How to calculate tax
-              </label>
-              <select
-                value={filters.calculateTax}
-                onChange={(e) => setFilters(prev => ({ ...prev, calculateTax: e.target.value }))}
-                className="w-full px-4 py-2.5 pr-8 text-sm rounded-lg border border-slate-300 bg-white text-slate-700 appearance-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="Select Calculate Tax">Select Calculate Tax</option>
-                <option value="Percentage">Percentage</option>
-                <option value="Fixed Amount">Fixed Amount</option>
-                <option value="Tiered">Tiered</option>
-              </select>
-              <ChevronDown className="absolute right-2 bottom-2.5 w-4 h-4 text-slate-500 pointer-events-none" />
-            </div>
-
-            <div className="relative">
+            <div>
               <label className="block text-sm font-semibold text-slate-700 mb-2">
-                Select Tax Rates
+                Tax Period
               </label>
-              <select
-                value={filters.taxRate}
-                onChange={(e) => setFilters(prev => ({ ...prev, taxRate: e.target.value }))}
-                className="w-full px-4 py-2.5 pr-8 text-sm rounded-lg border border-slate-300 bg-white text-slate-700 appearance-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="Select Tax Rate">Select Tax Rate</option>
-                <option value="5%">5%</option>
-                <option value="10%">10%</option>
-                <option value="15%">15%</option>
-                <option value="20%">20%</option>
-              </select>
-              <ChevronDown className="absolute right-2 bottom-2.5 w-4 h-4 text-slate-500 pointer-events-none" />
+              <input
+                type="month"
+                value={month}
+                onChange={(e) => setMonth(e.target.value)}
+                className="w-full px-4 py-2.5 text-sm rounded-lg border border-slate-300 bg-white text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
             </div>
           </div>
 
@@ -125,8 +127,10 @@ export default function TaxReport() {
             </button>
             <button
               onClick={handleSubmit}
-              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all"
+              disabled={loading}
+              className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all disabled:opacity-60 flex items-center gap-2"
             >
+              {loading && <Loader2 className="w-4 h-4 animate-spin" />}
               Submit
             </button>
           </div>
@@ -138,8 +142,8 @@ export default function TaxReport() {
           <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm font-medium text-slate-600 mb-1">Total Income</p>
-                <p className="text-2xl font-bold text-blue-600">{taxStats.totalIncome}</p>
+                <p className="text-sm font-medium text-slate-600 mb-1">Total Taxable Value</p>
+                <p className="text-2xl font-bold text-blue-600">{formatAmount(summary?.totals?.taxableValue)}</p>
               </div>
               <div className="w-14 h-14 rounded-lg bg-yellow-100 flex items-center justify-center">
                 <DollarSign className="w-8 h-8 text-yellow-600" />
@@ -152,7 +156,7 @@ export default function TaxReport() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-slate-600 mb-1">Total Tax</p>
-                <p className="text-2xl font-bold text-red-600">{taxStats.totalTax}</p>
+                <p className="text-2xl font-bold text-red-600">{formatAmount(summary?.totals?.totalTax)}</p>
               </div>
               <div className="w-14 h-14 rounded-lg bg-pink-100 flex items-center justify-center">
                 <FileText className="w-8 h-8 text-purple-600" />
@@ -194,9 +198,18 @@ export default function TaxReport() {
                     <Code className="w-4 h-4 mr-2" />
                     Export as JSON
                   </DropdownMenuItem>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuItem
+                    onClick={() => handleExport("gstr")}
+                    disabled={exportingGstr !== null}
+                    className="cursor-pointer"
+                  >
+                    <FileSpreadsheet className="w-4 h-4 mr-2" />
+                    GSTR-1 workbook (all restaurants)
+                  </DropdownMenuItem>
                 </DropdownMenuContent>
               </DropdownMenu>
-              <button 
+              <button
                 onClick={() => setIsSettingsOpen(true)}
                 className="p-2.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-50 text-slate-700 transition-all"
               >
@@ -206,15 +219,19 @@ export default function TaxReport() {
           </div>
 
           {/* Table */}
-          {taxReportDummy.length === 0 ? (
+          {rows.length === 0 ? (
             <div className="py-20 text-center">
               <div className="flex flex-col items-center justify-center">
                 <div className="w-20 h-20 rounded-lg bg-purple-100 flex items-center justify-center mb-4">
                   <FileText className="w-12 h-12 text-purple-600" />
                 </div>
-                <p className="text-lg font-semibold text-slate-700 mb-2">No Tax Report Generated</p>
+                <p className="text-lg font-semibold text-slate-700 mb-2">
+                  {summary ? "No Invoices In This Period" : "No Tax Report Generated"}
+                </p>
                 <p className="text-sm text-slate-500 max-w-md">
-                  To generate your tax report please select & input above field and submit for the result
+                  {summary
+                    ? "No tax invoices or credit notes were issued in the selected month"
+                    : "To generate your tax report please select a tax period above and submit"}
                 </p>
               </div>
             </div>
@@ -227,10 +244,16 @@ export default function TaxReport() {
                       SI
                     </th>
                     <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
-                      Income Source
+                      Restaurant
                     </th>
                     <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
-                      Total Income
+                      Taxable Value
+                    </th>
+                    <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
+                      CGST + SGST
+                    </th>
+                    <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
+                      IGST
                     </th>
                     <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">
                       Total Tax
@@ -241,23 +264,34 @@ export default function TaxReport() {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-slate-100">
-                  {taxReportDummy.map((report) => (
-                    <tr key={report.sl} className="hover:bg-slate-50 transition-colors">
+                  {rows.map((report) => (
+                    <tr key={report.restaurantId} className="hover:bg-slate-50 transition-colors">
                       <td className="px-4 py-3 whitespace-nowrap">
                         <span className="text-sm font-medium text-slate-700">{report.sl}</span>
                       </td>
                       <td className="px-4 py-3 whitespace-nowrap">
-                        <span className="text-sm text-slate-700">{report.incomeSource}</span>
+                        <p className="text-sm text-slate-700">{report.incomeSource}</p>
+                        <p className="text-xs text-slate-500">{report.gstin} • {report.documents}</p>
                       </td>
                       <td className="px-4 py-3 whitespace-nowrap">
                         <span className="text-sm font-medium text-slate-900">{report.totalIncome}</span>
                       </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">{report.cgstSgst}</span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className="text-sm text-slate-700">{report.igst}</span>
+                      </td>
                       <td className="px-4 py-3 whitespace-nowrap">
                         <span className="text-sm font-medium text-slate-900">{report.totalTax}</span>
                       </td>
                       <td className="px-4 py-3 text-center">
-                        <button className="text-blue-600 hover:text-blue-800 text-sm font-medium">
-                          View
+                        <button
+                          onClick={() => handleGstrExport(report.restaurantId)}
+                          disabled={exportingGstr !== null}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+                        >
+                          {exportingGstr === report.restaurantId ? "Exporting..." : "GSTR-1"}
                         </button>
                       </td>
                     </tr>
@@ -280,7 +314,7 @@ export default function TaxReport() {
           </DialogHeader>
           <div className="px-6 pb-6">
             <p className="text-sm text-slate-700">
-              Tax report settings and preferences will be available here.
+              Item tax rates come from each menu item&apos;s GST setting (platform GST rate when unset). The platform GSTIN printed on invoices is set in Business Setup.
             </p>
           </div>
           <div className="px-6 pb-6 flex items-center justify-end">
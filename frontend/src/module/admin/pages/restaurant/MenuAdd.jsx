@@ -438,7 +438,7 @@ export default function MenuAdd() {
       const dishData = {
         id: editingDish ? editingDish.dish.id : Date.now().toString(),
         name: formData.name.trim(),
-        nameArabic: existingDish?.nameArabic || "",
+        nameTranslations: existingDish?.nameTranslations || {},
         image: formData.image || (formData.images?.[0] || ""),
         images: formData.images.length > 0 ? formData.images : (formData.image ? [formData.image] : []),
         price: formData.hasVariants && variations.length > 0 
@@ -1,9 +1,22 @@
-import { Download, RefreshCw, FileSpreadsheet } from "lucide-react"
+import { useState } from "react"
+import { Download, RefreshCw, FileSpreadsheet, Loader2 } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
 
 export default function RestaurantsBulkExport() {
-  const handleExport = () => {
-    // Handle export logic here
-    alert("Exporting all restaurant data...")
+  const [exporting, setExporting] = useState(false)
+
+  const handleExport = async () => {
+    try {
+      setExporting(true)
+      const response = await adminAPI.exportRestaurants()
+      downloadBlob(response.data, `restaurants-${new Date().toISOString().slice(0, 10)}.xlsx`)
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to export restaurants"))
+    } finally {
+      setExporting(false)
+    }
   }
 
   const handleReset = () => {
@@ -39,7 +52,7 @@ export default function RestaurantsBulkExport() {
           <div className="p-4 bg-slate-50 rounded-lg border border-slate-200">
             <div className="flex items-center gap-2 text-sm text-slate-600">
               <FileSpreadsheet className="w-4 h-4 text-emerald-600" />
-              <span>All restaurant data will be exported in Excel (.xlsx) format</span>
+              <span>All restaurants, their menus and commission will be exported in Excel (.xlsx) format, ready to edit and import again</span>
             </div>
           </div>
         </div>
@@ -56,9 +69,10 @@ export default function RestaurantsBulkExport() {
         </button>
         <button
           onClick={handleExport}
-          className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2 shadow-md"
+          disabled={exporting}
+          className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2 shadow-md disabled:opacity-60"
         >
-          <Download className="w-4 h-4" />
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
           Export
         </button>
       </div>
@@ -1,27 +1,73 @@
 import { useState } from "react"
-import { FileSpreadsheet, Download, Upload, FileCheck, ArrowRight, FileX, RefreshCw } from "lucide-react"
+import { FileSpreadsheet, Download, Upload, FileCheck, ArrowRight, FileX, RefreshCw, Loader2, ShieldCheck } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
+
+const STATUS_STYLES = {
+  valid: "bg-blue-50 text-blue-700",
+  created: "bg-emerald-50 text-emerald-700",
+  invalid: "bg-red-50 text-red-700",
+  failed: "bg-red-50 text-red-700",
+}
 
 export default function RestaurantsBulkImport() {
   const [selectedFile, setSelectedFile] = useState(null)
+  const [downloading, setDownloading] = useState(null)
+  const [importing, setImporting] = useState(null)
+  const [result, setResult] = useState(null)
 
   const handleFileChange = (e) => {
     const file = e.target.files[0]
     if (file) {
       setSelectedFile(file)
+      setResult(null)
+    }
+    e.target.value = ""
+  }
+
+  const handleDownload = async (withData) => {
+    try {
+      setDownloading(withData ? "data" : "template")
+      const response = withData
+        ? await adminAPI.exportRestaurants()
+        : await adminAPI.downloadRestaurantImportTemplate()
+      downloadBlob(
+        response.data,
+        withData ? `restaurants-${new Date().toISOString().slice(0, 10)}.xlsx` : "restaurants-import-template.xlsx",
+      )
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to download spreadsheet"))
+    } finally {
+      setDownloading(null)
     }
   }
 
-  const handleImport = () => {
-    if (selectedFile) {
-      // Handle import logic here
-      alert(`Importing ${selectedFile.name}...`)
-    } else {
-      alert("Please select a file to import")
+  const handleImport = async (dryRun) => {
+    if (!selectedFile) {
+      toast.error("Please select a file to import")
+      return
+    }
+    try {
+      setImporting(dryRun ? "dryRun" : "import")
+      const response = await adminAPI.importRestaurants(selectedFile, { dryRun })
+      const data = response.data?.data
+      setResult(data)
+      if (data?.errors?.length > 0) {
+        toast.warning(response.data?.message)
+      } else {
+        toast.success(response.data?.message)
+      }
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to import restaurants")
+    } finally {
+      setImporting(null)
     }
   }
 
   const handleReset = () => {
     setSelectedFile(null)
+    setResult(null)
   }
 
   return (
@@ -75,20 +121,28 @@ export default function RestaurantsBulkImport() {
             </div>
             <div className="space-y-2 text-sm text-slate-600 ml-14 mb-6">
               <p>• Fill up the data according to the format</p>
-              <p>• By default status will be 1 please input the right ids</p>
-              <p>• Make sure to provide valid zone, cuisine, and business model IDs</p>
-              <p>• Restaurant owner information must be complete and accurate</p>
-              <p>• Address and contact details are mandatory fields</p>
+              <p>• Add one row per restaurant on the Restaurants sheet and one row per dish on the Menu sheet</p>
+              <p>• The owner phone is the restaurant's login and links each dish to its restaurant</p>
+              <p>• Latitude and longitude must fall inside the zone given for the restaurant</p>
+              <p>• Columns marked * are mandatory; the Instructions sheet explains every column</p>
             </div>
             <div className="ml-14">
               <h3 className="text-sm font-semibold text-slate-700 mb-3">Download Spreadsheet Template</h3>
               <div className="flex gap-3">
-                <button className="px-4 py-2 text-sm font-medium rounded-lg border border-blue-500 text-blue-600 bg-white hover:bg-blue-50 transition-all flex items-center gap-2">
-                  <Download className="w-4 h-4" />
+                <button
+                  onClick={() => handleDownload(true)}
+                  disabled={downloading !== null}
+                  className="px-4 py-2 text-sm font-medium rounded-lg border border-blue-500 text-blue-600 bg-white hover:bg-blue-50 transition-all flex items-center gap-2 disabled:opacity-60"
+                >
+                  {downloading === "data" ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
                   With Current Data
                 </button>
-                <button className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2">
-                  <Download className="w-4 h-4" />
+                <button
+                  onClick={() => handleDownload(false)}
+                  disabled={downloading !== null}
+                  className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2 disabled:opacity-60"
+                >
+                  {downloading === "template" ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
                   Without Any Data
                 </button>
               </div>
@@ -115,10 +169,10 @@ export default function RestaurantsBulkImport() {
               <h2 className="text-xl font-bold text-slate-900">Validate Data And Complete Import</h2>
             </div>
             <div className="space-y-2 text-sm text-slate-600 ml-14">
-              <p>• In the Excel file upload section first select the upload option.</p>
-              <p>• Upload your file in .xls .xlsx format.</p>
-              <p>• Finally click the upload button.</p>
-              <p>• You can upload your restaurant images in restaurant folder from gallery and copy image's path.</p>
+              <p>• Select your filled .xlsx file in the upload section below.</p>
+              <p>• Click Validate to check every row without creating anything.</p>
+              <p>• Fix the rows listed with errors, then click Import. Only valid restaurants are created.</p>
+              <p>• Menu item images are taken from the Image URL column (use links from the gallery).</p>
             </div>
           </div>
           <div className="p-6 bg-orange-50 rounded-lg">
@@ -140,7 +194,7 @@ export default function RestaurantsBulkImport() {
             <input
               type="file"
               id="file-upload"
-              accept=".xls,.xlsx"
+              accept=".xlsx"
               onChange={handleFileChange}
               className="hidden"
             />
@@ -182,14 +236,96 @@ export default function RestaurantsBulkImport() {
             Reset
           </button>
           <button
-            onClick={handleImport}
-            className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2 shadow-md"
+            onClick={() => handleImport(true)}
+            disabled={importing !== null}
+            className="px-6 py-2.5 text-sm font-medium rounded-lg border border-blue-500 text-blue-600 bg-white hover:bg-blue-50 transition-all flex items-center gap-2 disabled:opacity-60"
           >
-            <Upload className="w-4 h-4" />
+            {importing === "dryRun" ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+            Validate
+          </button>
+          <button
+            onClick={() => handleImport(false)}
+            disabled={importing !== null}
+            className="px-6 py-2.5 text-sm font-medium rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-all flex items-center gap-2 shadow-md disabled:opacity-60"
+          >
+            {importing === "import" ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
             Import
           </button>
         </div>
       </div>
+
+      {/* Import Results */}
+      {result && (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mt-6">
+          <h2 className="text-xl font-bold text-slate-900 mb-4">
+            {result.dryRun ? "Validation Result" : "Import Result"}
+          </h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            {[
+              { label: "Restaurants", value: result.summary.restaurants },
+              { label: "Menu items", value: result.summary.menuItems },
+              { label: result.dryRun ? "Ready to import" : "Imported", value: result.dryRun ? result.summary.valid : result.summary.created },
+              { label: "With errors", value: result.summary.invalid + result.summary.failed },
+            ].map((stat) => (
+              <div key={stat.label} className="p-4 bg-slate-50 rounded-lg border border-slate-200">
+                <p className="text-xs text-slate-500">{stat.label}</p>
+                <p className="text-2xl font-bold text-slate-900">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  <th className="py-2 pr-4 font-semibold">Row</th>
+                  <th className="py-2 pr-4 font-semibold">Restaurant</th>
+                  <th className="py-2 pr-4 font-semibold">Owner Phone</th>
+                  <th className="py-2 pr-4 font-semibold">Zone</th>
+                  <th className="py-2 pr-4 font-semibold">Menu Items</th>
+                  <th className="py-2 font-semibold">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.restaurants.map((restaurant) => (
+                  <tr key={restaurant.row} className="border-b border-slate-100">
+                    <td className="py-2 pr-4 text-slate-500">{restaurant.row}</td>
+                    <td className="py-2 pr-4 text-slate-900">{restaurant.name || "-"}</td>
+                    <td className="py-2 pr-4 text-slate-700">{restaurant.ownerPhone || "-"}</td>
+                    <td className="py-2 pr-4 text-slate-700">{restaurant.zone || "-"}</td>
+                    <td className="py-2 pr-4 text-slate-700">{restaurant.menuItems}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[restaurant.status]}`}>
+                        {restaurant.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {result.errors.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-3 flex items-center gap-2">
+                <FileX className="w-4 h-4 text-red-600" />
+                Row Errors ({result.errors.length})
+              </h3>
+              <div className="max-h-80 overflow-y-auto rounded-lg border border-red-100">
+                {result.errors.map((error, index) => (
+                  <div key={index} className="px-4 py-2 text-sm border-b border-red-50 last:border-b-0">
+                    <span className="font-medium text-slate-700">
+                      {error.sheet} row {error.row}
+                      {error.field ? ` · ${error.field}` : ""}:
+                    </span>{" "}
+                    <span className="text-red-600">{error.message}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -22,6 +22,7 @@ export default function BusinessSetup() {
     address: "",
     state: "",
     pincode: "",
+    gstin: "",
     region: "",
   });
 
@@ -45,6 +46,7 @@ export default function BusinessSetup() {
           address: settings.address || "",
           state: settings.state || "",
           pincode: settings.pincode || "",
+          gstin: settings.gstin || "",
           region: settings.region || "India",
         });
 
@@ -98,6 +100,7 @@ export default function BusinessSetup() {
         address: formData.address.trim(),
         state: formData.state.trim(),
         pincode: formData.pincode.trim(),
+        gstin: formData.gstin.trim().toUpperCase(),
         region: formData.region,
       };
 
@@ -508,6 +511,20 @@ export default function BusinessSetup() {
                   className="w-full px-3 py-2 text-xs border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
+
+              <div>
+                <label className="block text-xs font-semibold text-slate-700 mb-1.5">
+                  GSTIN
+                </label>
+                <input
+                  type="text"
+                  placeholder="Platform GSTIN (printed on tax invoices)"
+                  value={formData.gstin}
+                  maxLength={15}
+                  onChange={(e) => handleInputChange("gstin", e.target.value)}
+                  className="w-full px-3 py-2 text-xs border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 uppercase"
+                />
+              </div>
             </div>
 
             {/* Logo & favicon upload */}
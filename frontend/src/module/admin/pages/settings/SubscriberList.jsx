@@ -1,61 +1,50 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect } from "react";
 import { Search, Download, ChevronDown, Settings, ArrowUpDown, FileText, FileSpreadsheet, Code, Check, Columns, Eye } from "lucide-react";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { subscriptionAPI } from "@/lib/api";
+import { toast } from "sonner";
 
-import burgerIcon from "../../assets/Dashboard-icons/image13.png";
-import leafIcon from "../../assets/Dashboard-icons/image14.png";
 import chefIcon from "../../assets/Dashboard-icons/image16.png";
 
-const statsCards = [
-  { id: 1, label: "Total Subscribed User", value: 3, bg: "bg-sky-50" },
-  { id: 2, label: "Active Subscriptions", value: 0, bg: "bg-emerald-50" },
-  { id: 3, label: "Expired Subscription", value: 3, bg: "bg-rose-50" },
-  { id: 4, label: "Expiring Soon", value: 0, bg: "bg-amber-50" },
-];
+const EXPIRING_SOON_DAYS = 7;
 
-const restaurantRows = [
-  {
-    id: 1,
-    name: "Tasty Lunch",
-    icon: leafIcon,
-    packageName: "Standard",
-    price: "$ 799.00",
-    expDate: "23 May 2023",
-    subscriptionUsed: 1,
-    isTrial: "No",
-    isCancel: "No",
-    status: "Expired",
-  },
-  {
-    id: 2,
-    name: "Cheese Burger",
-    icon: burgerIcon,
-    packageName: "Pro",
-    price: "$ 1,199.00",
-    expDate: "19 Oct 2025",
-    subscriptionUsed: 2,
-    isTrial: "No",
-    isCancel: "No",
-    status: "Expired",
-  },
-  {
-    id: 3,
-    name: "Cheesy Restaurant",
-    icon: chefIcon,
-    packageName: "Pro",
-    price: "$ 1,199.00",
-    expDate: "19 Oct 2025",
-    subscriptionUsed: 1,
-    isTrial: "No",
-    isCancel: "No",
-    status: "Expired",
-  },
-];
+const formatPrice = (amount) => `₹ ${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" }) : "-";
+
+const STATUS_LABELS = {
+  active: "Active",
+  scheduled: "Scheduled",
+  expired: "Expired",
+  cancelled: "Cancelled",
+};
+
+// Map API subscription to table row
+const toRow = (subscription, usageCounts) => ({
+  id: subscription._id,
+  restaurantKey: subscription.restaurant?._id,
+  name: subscription.restaurant?.name || "Deleted restaurant",
+  icon: subscription.restaurant?.profileImage?.url || chefIcon,
+  packageName: subscription.packageSnapshot?.name || "-",
+  price: formatPrice(subscription.payment?.amount),
+  amount: subscription.payment?.amount || 0,
+  paidAt: subscription.payment?.paidAt,
+  expiresAt: subscription.expiresAt,
+  expDate: formatDate(subscription.expiresAt),
+  subscriptionUsed: usageCounts.get(subscription.restaurant?._id) || 1,
+  isTrial: "No",
+  isCancel: subscription.status === "cancelled" ? "Yes" : "No",
+  rawStatus: subscription.status,
+  status: STATUS_LABELS[subscription.status] || subscription.status,
+});
 
 export default function SubscriberList() {
   const [searchQuery, setSearchQuery] = useState("");
   const [zoneFilter] = useState("All Zones");
+  const [restaurantRows, setRestaurantRows] = useState([]);
+  const [loading, setLoading] = useState(true);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [visibleColumns, setVisibleColumns] = useState({
     si: true,
@@ -70,11 +59,60 @@ export default function SubscriberList() {
     actions: true,
   });
 
+  useEffect(() => {
+    const fetchSubscribers = async () => {
+      try {
+        setLoading(true);
+        const response = await subscriptionAPI.getSubscribers({ limit: 100 });
+        const subscriptions = response?.data?.data?.subscriptions || [];
+        const usageCounts = new Map();
+        subscriptions.forEach((sub) => {
+          const key = sub.restaurant?._id;
+          if (key) usageCounts.set(key, (usageCounts.get(key) || 0) + 1);
+        });
+        setRestaurantRows(subscriptions.map((sub) => toRow(sub, usageCounts)));
+      } catch (error) {
+        console.error("Error fetching subscribers:", error);
+        toast.error(error?.response?.data?.message || "Failed to load subscribers");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSubscribers();
+  }, []);
+
+  const stats = useMemo(() => {
+    const now = Date.now();
+    const soon = now + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000;
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+    const active = restaurantRows.filter((r) => r.rawStatus === "active");
+    return {
+      totalSubscribed: new Set(restaurantRows.map((r) => r.restaurantKey).filter(Boolean)).size,
+      active: active.length,
+      expired: restaurantRows.filter((r) => r.rawStatus === "expired").length,
+      expiringSoon: active.filter((r) => new Date(r.expiresAt).getTime() <= soon).length,
+      transactions: restaurantRows.length,
+      totalEarning: restaurantRows.reduce((sum, r) => sum + r.amount, 0),
+      earnedThisMonth: restaurantRows
+        .filter((r) => r.paidAt && new Date(r.paidAt) >= monthStart)
+        .reduce((sum, r) => sum + r.amount, 0),
+    };
+  }, [restaurantRows]);
+
+  const statsCards = [
+    { id: 1, label: "Total Subscribed User", value: stats.totalSubscribed, bg: "bg-sky-50" },
+    { id: 2, label: "Active Subscriptions", value: stats.active, bg: "bg-emerald-50" },
+    { id: 3, label: "Expired Subscription", value: stats.expired, bg: "bg-rose-50" },
+    { id: 4, label: "Expiring Soon", value: stats.expiringSoon, bg: "bg-amber-50" },
+  ];
+
   const filteredRows = useMemo(() => {
     return restaurantRows.filter((row) =>
       row.name.toLowerCase().includes(searchQuery.toLowerCase().trim())
     );
-  }, [searchQuery]);
+  }, [restaurantRows, searchQuery]);
 
   const handleExport = (format) => {
     if (filteredRows.length === 0) {
@@ -167,7 +205,7 @@ export default function SubscriberList() {
               </span>
               <div>
                 <p className="font-semibold">TOTAL TRANSACTIONS</p>
-                <p className="text-[11px] text-slate-500">5</p>
+                <p className="text-[11px] text-slate-500">{stats.transactions}</p>
               </div>
             </div>
           </div>
@@ -180,7 +218,7 @@ export default function SubscriberList() {
               <div>
                 <p className="font-semibold">TOTAL EARNING</p>
                 <p className="text-[11px] text-emerald-600 font-semibold">
-                  $ 4,795.00
+                  {formatPrice(stats.totalEarning)}
                 </p>
               </div>
             </div>
@@ -193,7 +231,7 @@ export default function SubscriberList() {
               </span>
               <div>
                 <p className="font-semibold">EARNED THIS MONTH</p>
-                <p className="text-[11px] text-slate-500">$ 0.00</p>
+                <p className="text-[11px] text-slate-500">{formatPrice(stats.earnedThisMonth)}</p>
               </div>
             </div>
           </div>
@@ -357,7 +395,7 @@ export default function SubscriberList() {
               {filteredRows.length === 0 ? (
                 <tr>
                   <td colSpan={Object.values(visibleColumns).filter(v => v).length} className="px-6 py-8 text-center text-slate-500">
-                    No subscribers found
+                    {loading ? "Loading subscribers..." : "No subscribers found"}
                   </td>
                 </tr>
               ) : (
@@ -421,7 +459,7 @@ export default function SubscriberList() {
                     )}
                     {visibleColumns.status && (
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <StatusPill label={row.status} variant="danger" />
+                        <StatusPill label={row.status} variant={row.rawStatus === "active" || row.rawStatus === "scheduled" ? "success" : "danger"} />
                       </td>
                     )}
                     {visibleColumns.actions && (
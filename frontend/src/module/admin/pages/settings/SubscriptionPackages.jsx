@@ -1,16 +1,50 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect } from "react";
 import { Search, Download, Plus, Eye, Edit3, ChevronDown, Settings, ArrowUpDown, FileText, FileSpreadsheet, Code, Check, Columns } from "lucide-react";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { subscriptionAPI } from "@/lib/api";
+import { toast } from "sonner";
 
-const initialPackages = [
-  { id: 1, name: "Pro", price: "$ 1,199.00", duration: "365 Days", subscribers: 0, active: true },
-  { id: 2, name: "Standard", price: "$ 799.00", duration: "180 Days", subscribers: 0, active: true },
-  { id: 3, name: "Basic", price: "$ 399.00", duration: "120 Days", subscribers: 0, active: true },
+const FEATURE_OPTIONS = [
+  { key: "pos", label: "POS" },
+  { key: "mobileApp", label: "Mobile App" },
+  { key: "review", label: "Review" },
+  { key: "chat", label: "Chat" },
+  { key: "selfDelivery", label: "Self Delivery" },
 ];
 
+const emptyForm = {
+  name: "",
+  description: "",
+  price: "",
+  durationDays: "",
+  maxOrders: "",
+  maxProducts: "",
+  features: { pos: false, mobileApp: true, review: false, chat: false, selfDelivery: false },
+};
+
+const formatPrice = (amount) => `₹ ${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Map API package to table row
+const toRow = (pkg) => ({
+  id: pkg._id,
+  name: pkg.name,
+  price: formatPrice(pkg.price),
+  duration: `${pkg.durationDays} Days`,
+  subscribers: pkg.subscribers || 0,
+  earnings: pkg.earnings || 0,
+  active: pkg.isActive,
+  raw: pkg,
+});
+
 export default function SubscriptionPackages() {
-  const [packages, setPackages] = useState(initialPackages);
+  const [packages, setPackages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [viewOnly, setViewOnly] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [activeFilter, setActiveFilter] = useState("All");
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
@@ -64,10 +98,83 @@ export default function SubscriptionPackages() {
     actions: "Actions",
   };
 
-  const toggleStatus = (id) => {
-    setPackages((prev) =>
-      prev.map((p) => (p.id === id ? { ...p, active: !p.active } : p))
+  const fetchPackages = async () => {
+    try {
+      setLoading(true);
+      const response = await subscriptionAPI.getPackages();
+      setPackages((response?.data?.data?.packages || []).map(toRow));
+    } catch (error) {
+      console.error("Error fetching subscription packages:", error);
+      toast.error(error?.response?.data?.message || "Failed to load subscription packages");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPackages();
+  }, []);
+
+  const toggleStatus = async (id) => {
+    const pkg = packages.find((p) => p.id === id);
+    if (!pkg) return;
+    try {
+      await subscriptionAPI.togglePackageStatus(id, !pkg.active);
+      setPackages((prev) =>
+        prev.map((p) => (p.id === id ? { ...p, active: !p.active } : p))
+      );
+    } catch (error) {
+      console.error("Error updating package status:", error);
+      toast.error(error?.response?.data?.message || "Failed to update package status");
+    }
+  };
+
+  const openForm = (pkg = null, readOnly = false) => {
+    setEditingId(pkg?.id || null);
+    setViewOnly(readOnly);
+    setForm(
+      pkg
+        ? {
+            name: pkg.raw.name,
+            description: pkg.raw.description || "",
+            price: String(pkg.raw.price),
+            durationDays: String(pkg.raw.durationDays),
+            maxOrders: pkg.raw.maxOrders ? String(pkg.raw.maxOrders) : "",
+            maxProducts: pkg.raw.maxProducts ? String(pkg.raw.maxProducts) : "",
+            features: { ...emptyForm.features, ...(pkg.raw.features || {}) },
+          }
+        : emptyForm
     );
+    setIsFormOpen(true);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || form.price === "" || !form.durationDays) {
+      toast.error("Name, price and duration are required");
+      return;
+    }
+    const payload = {
+      ...form,
+      maxOrders: form.maxOrders === "" ? null : form.maxOrders,
+      maxProducts: form.maxProducts === "" ? null : form.maxProducts,
+    };
+    try {
+      setSaving(true);
+      if (editingId) {
+        await subscriptionAPI.updatePackage(editingId, payload);
+        toast.success("Subscription package updated");
+      } else {
+        await subscriptionAPI.createPackage(payload);
+        toast.success("Subscription package created");
+      }
+      setIsFormOpen(false);
+      fetchPackages();
+    } catch (error) {
+      console.error("Error saving subscription package:", error);
+      toast.error(error?.response?.data?.message || "Failed to save subscription package");
+    } finally {
+      setSaving(false);
+    }
   };
 
   return (
@@ -80,7 +187,7 @@ export default function SubscriptionPackages() {
           </span>
           <span>Subscription Package List</span>
           <span className="inline-flex items-center justify-center text-[11px] font-semibold rounded-full bg-slate-100 text-slate-700 px-2 py-0.5">
-            3
+            {packages.length}
           </span>
         </h1>
       </div>
@@ -117,24 +224,15 @@ export default function SubscriptionPackages() {
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 px-4 py-4">
-          <OverviewCard
-            title="Basic"
-            amount="$ 399.00"
-            previous="$ 399.00"
-            bgColor="bg-sky-50"
-          />
-          <OverviewCard
-            title="Standard"
-            amount="$ 1,598.00"
-            previous="$ 1,598.00"
-            bgColor="bg-amber-50"
-          />
-          <OverviewCard
-            title="Pro"
-            amount="$ 3,597.00"
-            previous="$ 3,597.00"
-            bgColor="bg-sky-50"
-          />
+          {packages.slice(0, 3).map((pkg, index) => (
+            <OverviewCard
+              key={pkg.id}
+              title={pkg.name}
+              amount={formatPrice(pkg.earnings)}
+              previous={pkg.price}
+              bgColor={index % 2 === 0 ? "bg-sky-50" : "bg-amber-50"}
+            />
+          ))}
         </div>
       </div>
 
@@ -190,7 +288,10 @@ export default function SubscriptionPackages() {
             >
               <Settings className="w-5 h-5" />
             </button>
-            <button className="inline-flex items-center gap-1 px-4 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md">
+            <button
+              onClick={() => openForm()}
+              className="inline-flex items-center gap-1 px-4 py-2.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md"
+            >
               <Plus className="w-4 h-4" />
               <span>Add Subscription Package</span>
             </button>
@@ -259,7 +360,7 @@ export default function SubscriptionPackages() {
               {filtered.length === 0 ? (
                 <tr>
                   <td colSpan={Object.values(visibleColumns).filter(v => v).length} className="px-6 py-8 text-center text-slate-500">
-                    No subscription packages found
+                    {loading ? "Loading subscription packages..." : "No subscription packages found"}
                   </td>
                 </tr>
               ) : (
@@ -301,10 +402,10 @@ export default function SubscriptionPackages() {
                     {visibleColumns.actions && (
                       <td className="px-6 py-4 whitespace-nowrap text-center">
                         <div className="flex items-center justify-center gap-2">
-                          <button className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors" title="View">
+                          <button onClick={() => openForm(pkg, true)} className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors" title="View">
                             <Eye className="w-4 h-4" />
                           </button>
-                          <button className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors" title="Edit">
+                          <button onClick={() => openForm(pkg)} className="p-1.5 rounded text-blue-600 hover:bg-blue-50 transition-colors" title="Edit">
                             <Edit3 className="w-4 h-4" />
                           </button>
                         </div>
@@ -318,6 +419,115 @@ export default function SubscriptionPackages() {
         </div>
       </div>
 
+      {/* Add / Edit Package Dialog */}
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent className="max-w-lg bg-white p-0">
+          <DialogHeader className="px-6 pt-6 pb-4">
+            <DialogTitle>
+              {viewOnly ? "Subscription Package" : editingId ? "Edit Subscription Package" : "Add Subscription Package"}
+            </DialogTitle>
+          </DialogHeader>
+          <div className="px-6 pb-6 space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <FormField label="Package Name" className="col-span-2">
+                <input
+                  type="text"
+                  value={form.name}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg"
+                />
+              </FormField>
+              <FormField label="Price (₹)">
+                <input
+                  type="number"
+                  min="0"
+                  value={form.price}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, price: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg"
+                />
+              </FormField>
+              <FormField label="Duration (days)">
+                <input
+                  type="number"
+                  min="1"
+                  value={form.durationDays}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, durationDays: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg"
+                />
+              </FormField>
+              <FormField label="Max Orders (empty = unlimited)">
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxOrders}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, maxOrders: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg"
+                />
+              </FormField>
+              <FormField label="Max Products (empty = unlimited)">
+                <input
+                  type="number"
+                  min="1"
+                  value={form.maxProducts}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, maxProducts: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg"
+                />
+              </FormField>
+              <FormField label="Description" className="col-span-2">
+                <textarea
+                  rows={2}
+                  value={form.description}
+                  disabled={viewOnly}
+                  onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))}
+                  className="w-full px-3 py-2 text-sm border border-slate-300 rounded-lg resize-none"
+                />
+              </FormField>
+            </div>
+            <div>
+              <p className="text-xs font-semibold text-slate-700 mb-2">Features</p>
+              <div className="flex flex-wrap gap-3">
+                {FEATURE_OPTIONS.map(({ key, label }) => (
+                  <label key={key} className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={!!form.features[key]}
+                      disabled={viewOnly}
+                      onChange={(e) =>
+                        setForm((f) => ({ ...f, features: { ...f.features, [key]: e.target.checked } }))
+                      }
+                      className="w-4 h-4 text-blue-600 border-slate-300 rounded"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-200">
+              <button
+                onClick={() => setIsFormOpen(false)}
+                className="px-4 py-2 text-sm font-medium rounded-lg border border-slate-300 bg-white text-slate-700 hover:bg-slate-50 transition-all"
+              >
+                {viewOnly ? "Close" : "Cancel"}
+              </button>
+              {!viewOnly && (
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-all shadow-md disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : editingId ? "Update" : "Create"}
+                </button>
+              )}
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
       {/* Settings Dialog */}
       <Dialog open={isSettingsOpen} onOpenChange={setIsSettingsOpen}>
         <DialogContent className="max-w-md bg-white p-0 opacity-0 data-[state=open]:opacity-100 data-[state=closed]:opacity-0 transition-opacity duration-200 data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=open]:fade-in-0 data-[state=closed]:fade-out-0 data-[state=open]:scale-100 data-[state=closed]:scale-100">
@@ -391,6 +601,15 @@ function OverviewCard({ title, amount, previous, bgColor }) {
   );
 }
 
+function FormField({ label, className = "", children }) {
+  return (
+    <div className={className}>
+      <label className="block text-xs font-semibold text-slate-700 mb-1">{label}</label>
+      {children}
+    </div>
+  );
+}
+
 function ToggleSwitch({ enabled, onToggle }) {
   return (
     <button
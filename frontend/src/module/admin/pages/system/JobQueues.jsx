@@ -0,0 +1,245 @@
+import { useState, useEffect, useCallback } from "react"
+import { Clock, RefreshCw, RotateCcw, Trash2, Loader2 } from "lucide-react"
+import { toast } from "sonner"
+import { adminAPI } from "@/lib/api"
+
+const QUEUE_LABELS = {
+  "order-auto-reject": "Order auto-reject",
+  "order-auto-ready": "Order auto-ready",
+  "menu-schedule": "Menu item schedules",
+}
+
+const STATES = ["failed", "delayed", "waiting", "active", "completed"]
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString("en-IN") : "-")
+
+export default function JobQueues() {
+  const [overview, setOverview] = useState(null)
+  const [selectedQueue, setSelectedQueue] = useState(null)
+  const [state, setState] = useState("failed")
+  const [jobs, setJobs] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [loadingJobs, setLoadingJobs] = useState(false)
+  const [busyJobId, setBusyJobId] = useState(null)
+
+  const loadOverview = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await adminAPI.getJobQueues()
+      const data = response.data?.data || { enabled: false, queues: [] }
+      setOverview(data)
+      setSelectedQueue((current) => current || data.queues[0]?.name || null)
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to load job queues")
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const loadJobs = useCallback(async () => {
+    if (!selectedQueue) return
+    try {
+      setLoadingJobs(true)
+      const response = await adminAPI.getQueueJobs(selectedQueue, { state, limit: 50 })
+      setJobs(response.data?.data?.jobs || [])
+    } catch (error) {
+      setJobs([])
+      toast.error(error?.response?.data?.message || "Failed to load jobs")
+    } finally {
+      setLoadingJobs(false)
+    }
+  }, [selectedQueue, state])
+
+  useEffect(() => {
+    loadOverview()
+  }, [loadOverview])
+
+  useEffect(() => {
+    loadJobs()
+  }, [loadJobs])
+
+  const handleRefresh = () => {
+    loadOverview()
+    loadJobs()
+  }
+
+  const handleRetry = async (jobId) => {
+    try {
+      setBusyJobId(jobId)
+      await adminAPI.retryQueueJob(selectedQueue, jobId)
+      toast.success("Job queued for retry")
+      handleRefresh()
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to retry job")
+    } finally {
+      setBusyJobId(null)
+    }
+  }
+
+  const handleRemove = async (jobId) => {
+    if (!window.confirm("Remove this job? It will not run.")) return
+    try {
+      setBusyJobId(jobId)
+      await adminAPI.removeQueueJob(selectedQueue, jobId)
+      toast.success("Job removed")
+      handleRefresh()
+    } catch (error) {
+      toast.error(error?.response?.data?.message || "Failed to remove job")
+    } finally {
+      setBusyJobId(null)
+    }
+  }
+
+  return (
+    <div className="p-4 lg:p-6 bg-slate-50 min-h-screen overflow-x-hidden">
+      <div className="w-full max-w-full">
+        {/* Page Header */}
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6 flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900">Background Jobs</h1>
+            <p className="text-sm text-slate-600 mt-1">
+              Delayed jobs for order auto-reject, auto-ready and scheduled menu item availability.
+            </p>
+          </div>
+          <button
+            onClick={handleRefresh}
+            disabled={loading || loadingJobs}
+            className="px-4 py-2.5 text-sm font-medium rounded-lg border border-slate-300 bg-white hover:bg-slate-50 text-slate-700 flex items-center gap-2 transition-all disabled:opacity-60"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading || loadingJobs ? "animate-spin" : ""}`} />
+            Refresh
+          </button>
+        </div>
+
+        {overview && !overview.enabled ? (
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+            <p className="text-lg font-semibold text-slate-700 mb-2">Job queue not connected</p>
+            <p className="text-sm text-slate-500">
+              Redis is disabled or unreachable, so these tasks are running on the polling schedulers instead.
+            </p>
+          </div>
+        ) : (
+          <>
+            {/* Queue Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              {(overview?.queues || []).map((queue) => (
+                <button
+                  key={queue.name}
+                  onClick={() => setSelectedQueue(queue.name)}
+                  className={`text-left bg-white rounded-xl shadow-sm border p-6 transition-all ${
+                    selectedQueue === queue.name ? "border-blue-500 ring-2 ring-blue-100" : "border-slate-200 hover:border-slate-300"
+                  }`}
+                >
+                  <div className="flex items-center gap-2 mb-3">
+                    <Clock className="w-5 h-5 text-blue-600" />
+                    <p className="text-sm font-semibold text-slate-900">{QUEUE_LABELS[queue.name] || queue.name}</p>
+                  </div>
+                  <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+                    <span>Delayed: <b>{queue.counts.delayed || 0}</b></span>
+                    <span>Waiting: <b>{queue.counts.waiting || 0}</b></span>
+                    <span>Active: <b>{queue.counts.active || 0}</b></span>
+                    <span className={queue.counts.failed ? "text-red-600" : ""}>
+                      Failed: <b>{queue.counts.failed || 0}</b>
+                    </span>
+                    <span className="col-span-2">Completed: <b>{queue.counts.completed || 0}</b></span>
+                  </div>
+                  {queue.repeatable?.[0] && (
+                    <p className="text-[11px] text-slate-500 mt-3">
+                      Sweep {queue.repeatable[0].cron}, next {formatDateTime(queue.repeatable[0].next)}
+                    </p>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* Jobs */}
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+                <h2 className="text-xl font-bold text-slate-900">
+                  {QUEUE_LABELS[selectedQueue] || selectedQueue || "Jobs"}
+                </h2>
+                <div className="flex flex-wrap gap-2">
+                  {STATES.map((option) => (
+                    <button
+                      key={option}
+                      onClick={() => setState(option)}
+                      className={`px-3 py-1.5 text-xs font-medium rounded-lg capitalize transition-all ${
+                        state === option ? "bg-blue-500 text-white" : "bg-slate-100 text-slate-700 hover:bg-slate-200"
+                      }`}
+                    >
+                      {option}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {loadingJobs ? (
+                <div className="py-16 flex justify-center">
+                  <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+                </div>
+              ) : jobs.length === 0 ? (
+                <div className="py-16 text-center text-sm text-slate-500">No {state} jobs</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-slate-50 border-b border-slate-200">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">Job</th>
+                        <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">Target</th>
+                        <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">Runs At</th>
+                        <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">Attempts</th>
+                        <th className="px-4 py-3 text-left text-[10px] font-bold text-slate-700 uppercase tracking-wider">Last Error</th>
+                        <th className="px-4 py-3 text-center text-[10px] font-bold text-slate-700 uppercase tracking-wider">Action</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {jobs.map((job) => (
+                        <tr key={job.id} className="hover:bg-slate-50">
+                          <td className="px-4 py-3 whitespace-nowrap text-xs font-mono text-slate-700">{job.id}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-xs text-slate-700">
+                            {job.data?.orderId ? `Order ${job.data.orderId}` : job.data?.scheduleId ? `Schedule ${job.data.scheduleId}` : job.name}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-xs text-slate-700">{formatDateTime(job.runAt || job.createdAt)}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-xs text-slate-700">
+                            {job.attemptsMade}/{job.maxAttempts}
+                          </td>
+                          <td className="px-4 py-3 text-xs text-red-600 max-w-xs truncate" title={job.failedReason || ""}>
+                            {job.failedReason || "-"}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            <div className="flex items-center justify-center gap-2">
+                              {job.state === "failed" && (
+                                <button
+                                  onClick={() => handleRetry(job.id)}
+                                  disabled={busyJobId === job.id}
+                                  title="Retry"
+                                  className="p-1.5 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                                >
+                                  <RotateCcw className="w-4 h-4" />
+                                </button>
+                              )}
+                              {job.state !== "active" && (
+                                <button
+                                  onClick={() => handleRemove(job.id)}
+                                  disabled={busyJobId === job.id}
+                                  title="Remove"
+                                  className="p-1.5 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-50"
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -12,6 +12,7 @@ export default function SystemAddons() {
     // Razorpay
     RAZORPAY_API_KEY: "",
     RAZORPAY_SECRET_KEY: "",
+    RAZORPAY_WEBHOOK_SECRET: "",
     
     // Cloudinary
     CLOUDINARY_CLOUD_NAME: "",
@@ -183,6 +184,7 @@ export default function SystemAddons() {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <InputField label="Razorpay API Key" fieldKey="RAZORPAY_API_KEY" />
               <InputField label="Razorpay Secret Key" fieldKey="RAZORPAY_SECRET_KEY" type="password" />
+              <InputField label="Razorpay Webhook Secret" fieldKey="RAZORPAY_WEBHOOK_SECRET" type="password" />
             </div>
           </div>
 
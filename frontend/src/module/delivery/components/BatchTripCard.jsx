@@ -0,0 +1,156 @@
+import { useState, useEffect } from "react"
+import { ChevronDown, ChevronUp, Layers, MapPin, Navigation, Store, CheckCircle2 } from "lucide-react"
+import { deliveryAPI } from "@/lib/api"
+import { formatCurrency } from "../../restaurant/utils/currency"
+
+const REFRESH_INTERVAL_MS = 20000
+
+/**
+ * Multi-stop trip of a rider carrying batched orders: stops in the planned
+ * order, the next stop with navigation, and what the whole trip earns.
+ * Renders nothing when the rider has no batch.
+ */
+export default function BatchTripCard({ isOnline }) {
+  const [batch, setBatch] = useState(null)
+  const [expanded, setExpanded] = useState(false)
+
+  useEffect(() => {
+    if (!isOnline) return
+    let cancelled = false
+    const fetchBatch = async () => {
+      try {
+        const response = await deliveryAPI.getActiveBatch()
+        if (!cancelled) setBatch(response?.data?.data?.batch || null)
+      } catch (error) {
+        console.error("Error fetching active batch:", error)
+      }
+    }
+    fetchBatch()
+    const interval = setInterval(fetchBatch, REFRESH_INTERVAL_MS)
+    window.addEventListener("focus", fetchBatch)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      window.removeEventListener("focus", fetchBatch)
+    }
+  }, [isOnline])
+
+  // Trip is only shown, and refreshed, while the rider is online
+  if (!isOnline || !batch) return null
+
+  const activeOrders = batch.orders.filter((order) => order.status !== "cancelled")
+  const doneStops = batch.stops.filter((stop) => stop.status !== "pending").length
+  const { nextStop } = batch
+
+  const openNavigation = (stop) => {
+    const { latitude, longitude } = stop.location || {}
+    if (latitude == null || longitude == null) return
+    window.open(
+      `https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}&travelmode=bicycling`,
+      "_blank"
+    )
+  }
+
+  return (
+    <div className="bg-white border-b border-gray-200 px-4 py-3 flex-shrink-0">
+      <button
+        type="button"
+        onClick={() => setExpanded((value) => !value)}
+        className="w-full flex items-center justify-between gap-3"
+      >
+        <div className="flex items-center gap-2 min-w-0">
+          <div className="w-9 h-9 rounded-lg bg-black text-white flex items-center justify-center flex-shrink-0">
+            <Layers className="w-5 h-5" />
+          </div>
+          <div className="text-left min-w-0">
+            <p className="text-sm font-semibold text-black">
+              {activeOrders.length}-order trip · {doneStops}/{batch.stops.length} stops
+            </p>
+            <p className="text-xs text-gray-600 truncate">
+              {nextStop
+                ? `Next: ${nextStop.type === "pickup" ? "Pick up at" : "Drop to"} ${nextStop.name}`
+                : "All stops done"}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <div className="text-right">
+            <p className="text-sm font-semibold text-green-700">{formatCurrency(batch.earnings.total)}</p>
+            {batch.earnings.batchBonus > 0 && (
+              <p className="text-[11px] text-gray-500">incl. {formatCurrency(batch.earnings.batchBonus)} bonus</p>
+            )}
+          </div>
+          {expanded ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="mt-3">
+          <ol className="space-y-2">
+            {batch.stops.map((stop) => {
+              const isDone = stop.status === "done"
+              const isSkipped = stop.status === "skipped"
+              return (
+                <li
+                  key={`${stop.type}-${stop.orderMongoId}`}
+                  className={`flex items-start gap-3 rounded-lg p-2 ${stop.isNext ? "bg-yellow-50 border border-yellow-300" : ""}`}
+                >
+                  <div
+                    className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-semibold flex-shrink-0 ${
+                      isDone ? "bg-green-600 text-white" : isSkipped ? "bg-gray-200 text-gray-400" : "bg-gray-900 text-white"
+                    }`}
+                  >
+                    {isDone ? <CheckCircle2 className="w-4 h-4" /> : stop.sequence}
+                  </div>
+                  <div className={`flex-1 min-w-0 ${isSkipped ? "line-through text-gray-400" : ""}`}>
+                    <div className="flex items-center gap-1 text-sm font-medium text-black">
+                      {stop.type === "pickup" ? (
+                        <Store className="w-3.5 h-3.5 flex-shrink-0" />
+                      ) : (
+                        <MapPin className="w-3.5 h-3.5 flex-shrink-0" />
+                      )}
+                      <span className="truncate">
+                        {stop.type === "pickup" ? "Pick up" : "Drop"} · {stop.name}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 truncate">
+                      #{stop.orderId}
+                      {stop.address ? ` · ${stop.address}` : ""}
+                    </p>
+                  </div>
+                  {stop.isNext && (
+                    <button
+                      type="button"
+                      onClick={() => openNavigation(stop)}
+                      className="p-2 rounded-lg bg-black text-white flex-shrink-0"
+                      aria-label="Navigate to stop"
+                    >
+                      <Navigation className="w-4 h-4" />
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ol>
+
+          <div className="mt-3 pt-3 border-t border-gray-100 text-xs text-gray-600 space-y-1">
+            <div className="flex justify-between">
+              <span>Order earnings</span>
+              <span>{formatCurrency(batch.earnings.orders)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Batch bonus (paid after the last drop)</span>
+              <span>{formatCurrency(batch.earnings.batchBonus)}</span>
+            </div>
+            {batch.route?.distance != null && (
+              <div className="flex justify-between">
+                <span>Trip distance</span>
+                <span>{batch.route.distance.toFixed(1)} km</span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -2,6 +2,7 @@ import { useNavigate, useLocation } from "react-router-dom"
 import { useEffect, useState } from "react"
 import { User } from "lucide-react"
 import { deliveryAPI } from "@/lib/api"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 // Heroicons Outline
 import {
@@ -20,6 +21,7 @@ import {
 export default function BottomNavigation() {
   const navigate = useNavigate()
   const location = useLocation()
+  const { t } = useTranslation()
   const [profileImage, setProfileImage] = useState(null)
   const [imageError, setImageError] = useState(false)
 
@@ -89,7 +91,7 @@ export default function BottomNavigation() {
           className="flex flex-col items-center gap-1 p-2"
         >
           {TabIcon(isActive("/delivery"), HomeOutline, HomeSolid)}
-          {TabLabel(isActive("/delivery"), "Feed")}
+          {TabLabel(isActive("/delivery"), t("delivery.nav.feed"))}
         </button>
 
         {/* Pocket */}
@@ -98,7 +100,7 @@ export default function BottomNavigation() {
           className="flex flex-col items-center gap-1 p-2"
         >
           {TabIcon(isActive("/delivery/requests"), WalletOutline, WalletSolid)}
-          {TabLabel(isActive("/delivery/requests"), "Pocket")}
+          {TabLabel(isActive("/delivery/requests"), t("delivery.nav.pocket"))}
         </button>
 
         {/* Trip History */}
@@ -107,7 +109,7 @@ export default function BottomNavigation() {
           className="flex flex-col items-center gap-1 p-2"
         >
           {TabIcon(isActive("/delivery/trip-history"), ClockOutline, ClockSolid)}
-          {TabLabel(isActive("/delivery/trip-history "), "Trip History")}
+          {TabLabel(isActive("/delivery/trip-history "), t("delivery.nav.tripHistory"))}
         </button>
 
         {/* Profile */}
@@ -133,7 +135,7 @@ export default function BottomNavigation() {
               <User className="w-4 h-4 text-gray-500" />
             </div>
           )}
-          {TabLabel(isActive("/delivery/profile"), "Profile")}
+          {TabLabel(isActive("/delivery/profile"), t("delivery.nav.profile"))}
         </button>
       </div>
     </div>
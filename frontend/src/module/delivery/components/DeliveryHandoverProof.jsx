@@ -0,0 +1,216 @@
+import { useEffect, useRef, useState } from "react"
+import { Camera, KeyRound, Loader2, MapPin } from "lucide-react"
+import { toast } from "sonner"
+import { deliveryAPI, uploadAPI } from "@/lib/api"
+
+const FALLBACK_REASONS = [
+  { value: "customer_unreachable", label: "Customer not reachable" },
+  { value: "customer_without_code", label: "Customer can't find the code" },
+  { value: "left_at_door", label: "Left at door as instructed" },
+  { value: "other", label: "Other" },
+]
+
+/**
+ * DeliveryHandoverProof Component
+ * Collects the customer's 4-digit delivery code, or a doorstep photo with the
+ * rider's location when the code can't be given. The photo is accepted a few
+ * minutes after the customer is reported unreachable (the backend reminds
+ * them of the code), also when the code is locked.
+ *
+ * @param {string} orderId - Order being delivered
+ * @param {function} onChange - Called with { otp } or { photo, location, fallbackReason }, or null while incomplete
+ * @param {Array} riderLocation - Last known [lat, lng], used if the device location can't be read
+ * @param {boolean} fallbackOnly - Hide the code input (e.g. after too many wrong codes)
+ */
+export default function DeliveryHandoverProof({ orderId, onChange, riderLocation = null, fallbackOnly = false }) {
+  const [mode, setMode] = useState(fallbackOnly ? "photo" : "otp")
+  const [otp, setOtp] = useState("")
+  const [photo, setPhoto] = useState(null)
+  const [location, setLocation] = useState(null)
+  const [fallbackReason, setFallbackReason] = useState(FALLBACK_REASONS[0].value)
+  const [uploading, setUploading] = useState(false)
+  const [reporting, setReporting] = useState(false)
+  const [fallbackAvailableAt, setFallbackAvailableAt] = useState(null)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    if (fallbackOnly) setMode("photo")
+  }, [fallbackOnly])
+
+  useEffect(() => {
+    if (mode === "otp") {
+      onChange?.(otp.length === 4 ? { otp } : null)
+    } else {
+      onChange?.(photo ? { photo, location, fallbackReason } : null)
+    }
+  }, [mode, otp, photo, location, fallbackReason, onChange])
+
+  const readLocation = () => {
+    const lastKnown = Array.isArray(riderLocation) && riderLocation.length === 2
+      ? { latitude: riderLocation[0], longitude: riderLocation[1] }
+      : null
+
+    if (!navigator.geolocation) {
+      setLocation(lastKnown)
+      return
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+        })
+      },
+      () => setLocation(lastKnown),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+    )
+  }
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    readLocation()
+    try {
+      setUploading(true)
+      const response = await uploadAPI.uploadMedia(file, { folder: "appzeto/delivery-proof" })
+      const uploaded = response?.data?.data
+      if (!uploaded?.url) {
+        throw new Error("No URL returned")
+      }
+      setPhoto({ url: uploaded.url, publicId: uploaded.publicId })
+    } catch (error) {
+      console.error("Error uploading delivery photo:", error)
+      toast.error("Failed to upload photo. Please try again.")
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const handleCustomerUnreachable = async () => {
+    try {
+      setReporting(true)
+      const response = await deliveryAPI.reportCustomerUnreachable(orderId)
+      const availableAt = response?.data?.data?.fallbackAvailableAt
+      setFallbackAvailableAt(availableAt ? new Date(availableAt) : null)
+      setFallbackReason("customer_unreachable")
+      setMode("photo")
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Could not notify the customer. Please try again.")
+    } finally {
+      setReporting(false)
+    }
+  }
+
+  if (mode === "otp") {
+    return (
+      <div className="bg-gray-50 rounded-xl p-4 mb-6">
+        <div className="flex items-center gap-2 mb-3">
+          <KeyRound className="w-4 h-4 text-gray-600" />
+          <span className="text-sm font-medium text-gray-700">Ask the customer for their delivery code</span>
+        </div>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={4}
+          value={otp}
+          onChange={(e) => setOtp(e.target.value.replace(/\D/g, "").slice(0, 4))}
+          placeholder="----"
+          className="w-full text-center text-2xl font-bold tracking-[0.75em] py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <button
+          type="button"
+          disabled={reporting || !orderId}
+          onClick={handleCustomerUnreachable}
+          className="w-full mt-3 text-sm text-gray-600 underline disabled:opacity-60"
+        >
+          {reporting ? "Notifying customer..." : "Customer can't share the code?"}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-4 mb-6">
+      <div className="flex items-center gap-2 mb-3">
+        <Camera className="w-4 h-4 text-gray-600" />
+        <span className="text-sm font-medium text-gray-700">Take a photo of the order at the doorstep</span>
+      </div>
+      {fallbackAvailableAt ? (
+        <p className="text-xs text-gray-600 mb-3">
+          The customer was reminded of their code. You can complete with a photo from{" "}
+          {fallbackAvailableAt.toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" })}.
+        </p>
+      ) : (
+        <button
+          type="button"
+          disabled={reporting || !orderId}
+          onClick={handleCustomerUnreachable}
+          className="w-full mb-3 text-sm text-gray-600 underline disabled:opacity-60"
+        >
+          {reporting ? "Notifying customer..." : "Report the customer as unreachable first"}
+        </button>
+      )}
+
+      <select
+        value={fallbackReason}
+        onChange={(e) => setFallbackReason(e.target.value)}
+        className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+      >
+        {FALLBACK_REASONS.map((reason) => (
+          <option key={reason.value} value={reason.value}>{reason.label}</option>
+        ))}
+      </select>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        onChange={handlePhotoSelected}
+        className="hidden"
+      />
+      {photo ? (
+        <div className="flex items-center gap-3">
+          <img src={photo.url} alt="Doorstep" className="w-16 h-16 rounded-lg object-cover" />
+          <div className="flex-1 text-xs text-gray-600">
+            <div className="flex items-center gap-1">
+              <MapPin className="w-3 h-3" />
+              {location ? "Location captured" : "Location unavailable"}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="text-sm text-green-700 font-medium"
+          >
+            Retake
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          disabled={uploading}
+          onClick={() => fileInputRef.current?.click()}
+          className="w-full flex items-center justify-center gap-2 py-3 border border-dashed border-gray-400 rounded-lg text-sm text-gray-700 disabled:opacity-60"
+        >
+          {uploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
+          {uploading ? "Uploading..." : "Take photo"}
+        </button>
+      )}
+
+      {!fallbackOnly && (
+        <button
+          type="button"
+          onClick={() => setMode("otp")}
+          className="w-full mt-3 text-sm text-gray-600 underline"
+        >
+          Enter delivery code instead
+        </button>
+      )}
+    </div>
+  )
+}
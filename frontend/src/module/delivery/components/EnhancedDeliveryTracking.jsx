@@ -12,6 +12,7 @@ import io from 'socket.io-client';
 import { calculateBearing, calculateBearingFromLocations, lerpBearing } from '../utils/bearingCalculation';
 import { createSmoothAnimationController } from '../utils/smoothAnimation';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 
 const EnhancedDeliveryTracking = ({
   orderId,
@@ -179,8 +180,10 @@ const EnhancedDeliveryTracking = ({
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionDelay: 1000,
-      reconnectionAttempts: 5
+      reconnectionAttempts: 5,
+      auth: socketAuth('delivery')
     });
+    enableSocketTokenRefresh(socket, 'delivery');
 
     socketRef.current = socket;
 
@@ -6,6 +6,7 @@ import { HelpCircle, ArrowRight, Phone, Ambulance, AlertTriangle, Shield, Shield
 import { toast } from "sonner";
 import { deliveryAPI } from "@/lib/api";
 import { useCompanyName } from "@/lib/hooks/useCompanyName";
+import { useTranslation } from "@/lib/i18n/useTranslation";
 
 const LS_KEY = "app:isOnline";
 const TOAST_ID_KEY = "feedNavbar-onlineStatus";
@@ -55,6 +56,7 @@ function BottomPopup({
 
 export default function FeedNavbar({ className = "" }) {
   const companyName = useCompanyName()
+  const { t } = useTranslation();
   const navigate = useNavigate();
 
   // 1) Init from localStorage (no toast on mount)
@@ -199,7 +201,11 @@ export default function FeedNavbar({ className = "" }) {
       console.error('❌ Error updating online status in backend:', error);
       // Revert state if backend update fails
       setIsOnline(!next);
-      toast.error('Failed to update status. Please try again.');
+      // e.g. the zone requires a booked gig slot to go online
+      toast.error(error?.response?.data?.message || 'Failed to update status. Please try again.', {
+        id: TOAST_ID_KEY,
+        style: { marginTop: '80px' }
+      });
     }
   };
 
@@ -386,7 +392,7 @@ export default function FeedNavbar({ className = "" }) {
               }`}
               style={{ opacity: 1, zIndex: 2, pointerEvents: "none" }}
             >
-                {isOnline ? "Online" : "Offline"}
+                {isOnline ? t("delivery.home.online") : t("delivery.home.offline")}
             </span>
 
             <motion.div
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 import { deliveryAPI } from '@/lib/api';
 import alertSound from '@/assets/audio/alert.mp3';
 import originalSound from '@/assets/audio/original.mp3';
@@ -267,10 +268,9 @@ export const useDeliveryNotifications = () => {
       timeout: 20000,
       forceNew: false,
       autoConnect: true,
-      auth: {
-        token: localStorage.getItem('delivery_accessToken') || localStorage.getItem('accessToken')
-      }
+      auth: socketAuth('delivery')
     });
+    enableSocketTokenRefresh(socketRef.current, 'delivery');
 
     socketRef.current.on('connect', () => {
       console.log('✅ Delivery Socket connected, deliveryPartnerId:', deliveryPartnerId);
@@ -1,6 +1,7 @@
 import { useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 
 /**
  * Calculate distance between two points using Haversine formula
@@ -52,12 +53,13 @@ export const useLocationSharing = (orderId, enabled = false) => {
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionDelay: 1000,
-        reconnectionAttempts: 5
+        reconnectionAttempts: 5,
+        auth: socketAuth('delivery')
       });
+      enableSocketTokenRefresh(socketRef.current, 'delivery');
 
       socketRef.current.on('connect', () => {
         console.log('✅ Socket connected for location sharing');
-        socketRef.current.emit('join-delivery', orderId);
       });
 
       socketRef.current.on('disconnect', () => {
@@ -1,31 +1,10 @@
-import { useState } from "react"
 import { useNavigate } from "react-router-dom"
 import { ArrowLeft, Check } from "lucide-react"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 export default function ChangeLanguage() {
   const navigate = useNavigate()
-  
-  const [selectedLanguage, setSelectedLanguage] = useState("english")
-
-  const languages = [
-    { code: "english", name: "English", nativeName: "English" },
-    { code: "hindi", name: "Hindi", nativeName: "हिंदी" },
-    { code: "tamil", name: "Tamil", nativeName: "தமிழ்" },
-    { code: "telugu", name: "Telugu", nativeName: "తెలుగు" },
-    { code: "kannada", name: "Kannada", nativeName: "ಕನ್ನಡ" },
-    { code: "malayalam", name: "Malayalam", nativeName: "മലയാളം" },
-    { code: "bengali", name: "Bengali", nativeName: "বাংলা" },
-    { code: "gujarati", name: "Gujarati", nativeName: "ગુજરાતી" },
-    { code: "marathi", name: "Marathi", nativeName: "मराठी" },
-    { code: "punjabi", name: "Punjabi", nativeName: "ਪੰਜਾਬੀ" },
-  ]
-
-  const handleLanguageChange = (code) => {
-    setSelectedLanguage(code)
-    // Here you would typically save the language preference and reload the app
-    // localStorage.setItem('delivery_language', code)
-    // window.location.reload()
-  }
+  const { t, language: selectedLanguage, setLanguage, languages } = useTranslation()
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -38,14 +17,14 @@ export default function ChangeLanguage() {
           >
             <ArrowLeft className="w-5 h-5 text-gray-700" />
           </button>
-          <h1 className="text-xl font-bold text-gray-900">Change language</h1>
+          <h1 className="text-xl font-bold text-gray-900">{t("common.language.title")}</h1>
         </div>
       </div>
 
       {/* Content */}
       <div className="px-4 py-6">
         <p className="text-gray-600 text-sm mb-4">
-          Select your preferred language for the app
+          {t("common.language.subtitle")}
         </p>
 
         {/* Language List */}
@@ -53,7 +32,7 @@ export default function ChangeLanguage() {
           {languages.map((language) => (
             <button
               key={language.code}
-              onClick={() => handleLanguageChange(language.code)}
+              onClick={() => setLanguage(language.code)}
               className="w-full flex items-center justify-between p-4 hover:bg-gray-50 transition-colors border-b border-gray-100 last:border-b-0"
             >
               <div className="flex flex-col items-start">
@@ -70,7 +49,7 @@ export default function ChangeLanguage() {
         {/* Info */}
         <div className="mt-4 bg-blue-50 rounded-lg p-4">
           <p className="text-sm text-blue-900">
-            The app will restart to apply the language change.
+            {t("common.language.note")}
           </p>
         </div>
       </div>
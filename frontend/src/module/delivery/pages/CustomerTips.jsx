@@ -1,9 +1,34 @@
-import { ArrowLeft, AlertTriangle } from "lucide-react"
+import { useEffect, useState } from "react"
+import { ArrowLeft, Info } from "lucide-react"
 import { useNavigate } from "react-router-dom"
+import { deliveryAPI } from "@/lib/api"
+
+const formatRupees = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`
+
+const formatRangeDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "short" }).toUpperCase()
 
 export default function CustomerTipsBalancePage() {
 
   const navigate = useNavigate()
+  const [statement, setStatement] = useState(null)
+
+  // Tips for the current week (the endpoint's default range) plus lifetime totals
+  useEffect(() => {
+    const fetchTips = async () => {
+      try {
+        const response = await deliveryAPI.getTipsStatement()
+        setStatement(response?.data?.data || null)
+      } catch (error) {
+        console.error("Error loading customer tips:", error)
+        setStatement(null)
+      }
+    }
+
+    fetchTips()
+  }, [])
+
+  const summary = statement?.summary
 
   return (
     <div className="min-h-screen  bg-white text-black">
@@ -14,23 +39,23 @@ export default function CustomerTipsBalancePage() {
         <h1 className="text-lg font-semibold">Customer tips</h1>
       </div>
 
-      {/* Warning Banner */}
+      {/* Info Banner */}
       <div className="bg-yellow-400 p-4 flex items-start gap-3 text-black">
-        <AlertTriangle size={20} />
+        <Info size={20} />
         <div className="text-sm leading-tight">
-          <p className="font-semibold">Withdraw currently disabled</p>
-          <p className="text-xs">Withdrawable amount is ₹0</p>
+          <p className="font-semibold">Tips are added to your pocket balance</p>
+          <p className="text-xs">Withdraw them together with your earnings from the pocket</p>
         </div>
       </div>
 
       {/* Withdraw Section */}
       <div className="px-5 py-6 flex flex-col items-start">
-        <p className="text-sm text-gray-600 mb-1">Customer tips balance</p>
-        <p className="text-4xl font-bold mb-5">₹0</p>
+        <p className="text-sm text-gray-600 mb-1">Customer tips this week</p>
+        <p className="text-4xl font-bold mb-5">{formatRupees(summary?.totalTips)}</p>
 
         <button
-          disabled
-          className="w-full bg-gray-200 text-gray-500 font-medium py-3 rounded-lg cursor-not-allowed"
+          onClick={() => navigate("/delivery/pocket-balance")}
+          className="w-full bg-black text-white font-medium py-3 rounded-lg"
         >
           Withdraw
         </button>
@@ -38,14 +63,14 @@ export default function CustomerTipsBalancePage() {
 
       {/* Section Header */}
       <div className=" bg-gray-100 py-2 pt-4 text-center text-xs font-semibold text-gray-600">
-        TIPS DETAILS • 8 DEC – 14 DEC
+        TIPS DETAILS{statement ? ` • ${formatRangeDate(statement.startDate)} – ${formatRangeDate(statement.endDate)}` : ""}
       </div>
 
       {/* Detail Rows */}
       <div className="px-4 pt-2">
-        <DetailRow label="Tips" value="₹0" />
-        <DetailRow label="Tips Withdrawn" value="₹0" />
-        <DetailRow label="Withdrawable Amount" value="₹0" />
+        <DetailRow label="Tips" value={formatRupees(summary?.totalTips)} />
+        <DetailRow label="Tipped Orders" value={summary?.tipsCount || 0} />
+        <DetailRow label="Tips (all time)" value={formatRupees(summary?.lifetimeTips)} />
       </div>
 
 
@@ -28,6 +28,8 @@ import {
   Camera,
 } from "lucide-react"
 import BottomPopup from "../components/BottomPopup"
+import DeliveryHandoverProof from "../components/DeliveryHandoverProof"
+import BatchTripCard from "../components/BatchTripCard"
 import OrderChat from "./OrderChat"
 import FeedNavbar from "../components/FeedNavbar"
 import { Card, CardContent } from "@/components/ui/card"
@@ -62,6 +64,7 @@ import {
 import alertSound from "../../../assets/audio/alert.mp3"
 import originalSound from "../../../assets/audio/original.mp3"
 import bikeLogo from "../../../assets/bikelogo.png"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 // Ola Maps API Key removed
 
@@ -301,6 +304,7 @@ function animateMarkerSmoothly(marker, newPosition, duration = 1500, animationRe
 
 export default function DeliveryHome() {
   const companyName = useCompanyName()
+  const { t } = useTranslation()
   const navigate = useNavigate()
   const location = useLocation()
   const [animationKey, setAnimationKey] = useState(0)
@@ -636,6 +640,10 @@ export default function DeliveryHome() {
   const [showReachedDropPopup, setShowReachedDropPopup] = useState(false)
   const [showOrderDeliveredAnimation, setShowOrderDeliveredAnimation] = useState(false)
   const [showCustomerReviewPopup, setShowCustomerReviewPopup] = useState(false)
+  // Customer's delivery code, or doorstep photo + location, sent with completeDelivery
+  const [handoverProof, setHandoverProof] = useState(null)
+  const [handoverResetKey, setHandoverResetKey] = useState(0)
+  const [handoverFallbackOnly, setHandoverFallbackOnly] = useState(false)
   // For Pay at Hotel orders: track when delivery partner confirms that hotel has collected cash
   const [hotelCashConfirmed, setHotelCashConfirmed] = useState(false)
   const [showPaymentPage, setShowPaymentPage] = useState(false)
@@ -700,11 +708,19 @@ export default function DeliveryHome() {
   const {
     bookedGigs,
     currentGig,
+    fetchGigs,
     goOnline,
     goOffline,
     getSelectedDropLocation
   } = useGigStore()
 
+  // Load gig bookings from the server
+  useEffect(() => {
+    fetchGigs().catch((error) => {
+      console.error("Error loading gig bookings:", error)
+    })
+  }, [fetchGigs])
+
   // Use same localStorage key as FeedNavbar for online status
   const LS_KEY = "app:isOnline"
 
@@ -797,7 +813,27 @@ export default function DeliveryHome() {
   const todayGig = bookedGigs.find(gig => gig.date === todayDateKey && gig.status === 'active') ||
     bookedGigs.find(gig => gig.date === todayDateKey && gig.status === 'booked')
 
-  // Calculate login hours based on when gig started
+  // Today's login hours and time on orders from the server-side online sessions
+  const [todayOnlineTime, setTodayOnlineTime] = useState(null)
+
+  useEffect(() => {
+    const fetchOnlineTime = async () => {
+      try {
+        const response = await deliveryAPI.getOnlineTime()
+        setTodayOnlineTime(response?.data?.data?.day || null)
+      } catch (error) {
+        if (error.code !== 'ERR_NETWORK') {
+          console.error('Error fetching online time:', error.response?.data || error.message)
+        }
+      }
+    }
+
+    fetchOnlineTime()
+    const interval = setInterval(fetchOnlineTime, 60000)
+    return () => clearInterval(interval)
+  }, [])
+
+  // Calculate login hours based on when gig started (until online time has loaded)
   const calculateLoginHours = () => {
     if (!todayGig || todayGig.status !== 'active') return 0
 
@@ -822,7 +858,7 @@ export default function DeliveryHome() {
     return Math.max(0, diffHours)
   }
 
-  const loginHours = calculateLoginHours()
+  const loginHours = todayOnlineTime ? todayOnlineTime.loginHours : calculateLoginHours()
   const minimumHours = 2.67 // 2 hrs 40 mins = 2.67 hours
   const progressPercentage = Math.min((loginHours / minimumHours) * 100, 100)
 
@@ -1083,10 +1119,12 @@ export default function DeliveryHome() {
   // Offer is live if it's valid (started) or upcoming (not started yet but active)
   const isOfferLive = activeEarningAddon?.isValid || activeEarningAddon?.isUpcoming || false
 
-  // Calculate total hours worked today (prefer store, then calculated; default to 0)
-  const calculatedHours = bookedGigs
-    .filter(gig => gig.date === todayDateKey)
-    .reduce((total, gig) => total + (gig.totalHours || 0), 0)
+  // Calculate total hours on orders today (prefer store, then calculated; default to 0)
+  const calculatedHours = todayOnlineTime
+    ? todayOnlineTime.busyMinutes / 60
+    : bookedGigs
+      .filter(gig => gig.date === todayDateKey)
+      .reduce((total, gig) => total + (gig.totalHours || 0), 0)
   const todayHoursWorked = hasStoreDataForToday && todayData
     ? (todayData.timeOnOrders ?? calculatedHours)
     : calculatedHours
@@ -2090,6 +2128,16 @@ export default function DeliveryHome() {
                   });
                 })
                 .catch(error => {
+                  // Gig slot ended in a zone that requires booking - the server took us offline
+                  if (error.response?.status === 403) {
+                    setIsOnline(false)
+                    localStorage.setItem(LS_KEY, 'false')
+                    // FeedNavbar only listens to storage events for outside changes
+                    window.dispatchEvent(new StorageEvent('storage', { key: LS_KEY, newValue: 'false' }))
+                    goOffline()
+                    toast.error(error.response?.data?.message || 'You are offline. Book a gig slot to go online.')
+                    return
+                  }
                   // Only log non-network errors (backend might be down, which is expected in dev)
                   if (error.code !== 'ERR_NETWORK' && error.message !== 'Network Error') {
                     console.error('❌ Error sending location to backend:', error);
@@ -4263,7 +4311,10 @@ export default function DeliveryHome() {
     const maxSwipe = buttonWidth - circleWidth - (padding * 2)
     const threshold = maxSwipe * 0.7 // 70% of max swipe
 
-    if (deltaX > threshold) {
+    if (deltaX > threshold && !handoverProof) {
+      toast.error('Enter the delivery code or take a doorstep photo first')
+      setOrderDeliveredButtonProgress(0)
+    } else if (deltaX > threshold) {
       // Animate to completion
       setOrderDeliveredIsAnimatingToComplete(true)
       setOrderDeliveredButtonProgress(1)
@@ -7402,6 +7453,9 @@ export default function DeliveryHome() {
     setShowReachedDropPopup(false);
     setShowOrderDeliveredAnimation(false);
     setShowCustomerReviewPopup(false);
+    setHandoverProof(null);
+    setHandoverFallbackOnly(false);
+    setHandoverResetKey((key) => key + 1);
     setShowPaymentPage(false);
     setShowNewOrderPopup(false);
     setShowreachedPickupPopup(false);
@@ -9519,6 +9573,8 @@ export default function DeliveryHome() {
         </div>
       )}
 
+      {/* Multi-stop trip when the rider carries batched orders */}
+      <BatchTripCard isOnline={isOnline} />
 
       {/* Map container always mounted so the map never loses its DOM node (fix blue screen) */}
       {/* CRITICAL: Never use display:'none' on the map container - it destroys Google Maps tile rendering */}
@@ -10007,6 +10063,11 @@ export default function DeliveryHome() {
                     <div className="bg-black text-white px-4 py-3 rounded-lg text-center min-w-[80px]">
                       <div className="text-2xl font-bold">₹{earningsGuaranteeTarget.toFixed(0)}</div>
                       <div className="text-xs text-white/80 mt-1">{earningsGuaranteeOrdersTarget} orders</div>
+                      {activeEarningAddon?.requiredLoginHours > 0 && (
+                        <div className="text-xs text-white/80">
+                          {activeEarningAddon.currentLoginHours ?? 0}/{activeEarningAddon.requiredLoginHours} login hrs
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -10133,7 +10194,7 @@ export default function DeliveryHome() {
                         {formatCurrency(todayEarnings)}
                       </span>
                       <div className="flex items-center gap-1 text-sm text-gray-600">
-                        <span>Earnings</span>
+                        <span>{t("delivery.home.earnings")}</span>
                         <ArrowRight className="w-4 h-4" />
                       </div>
                     </button>
@@ -10147,7 +10208,7 @@ export default function DeliveryHome() {
                         {todayTrips}
                       </span>
                       <div className="flex items-center gap-1 text-sm text-gray-600">
-                        <span>Trips</span>
+                        <span>{t("delivery.home.trips")}</span>
                         <ArrowRight className="w-4 h-4" />
                       </div>
                     </button>
@@ -10161,7 +10222,7 @@ export default function DeliveryHome() {
                         {`${formatHours(todayHoursWorked)} hrs`}
                       </span>
                       <div className="flex items-center gap-1 text-sm text-gray-600">
-                        <span>Time on orders</span>
+                        <span>{t("delivery.home.timeOnOrders")}</span>
                         <ArrowRight className="w-4 h-4" />
                       </div>
                     </button>
@@ -10175,7 +10236,7 @@ export default function DeliveryHome() {
                         {`${todayGigsCount} Gigs`}
                       </span>
                       <div className="flex items-center gap-1 text-sm text-gray-600">
-                        <span>History</span>
+                        <span>{t("delivery.home.history")}</span>
                         <ArrowRight className="w-4 h-4" />
                       </div>
                     </button>
@@ -10191,7 +10252,7 @@ export default function DeliveryHome() {
       <BottomPopup
         isOpen={showHelpPopup}
         onClose={() => setShowHelpPopup(false)}
-        title="How can we help?"
+        title={t("delivery.home.helpTitle")}
         showCloseButton={true}
         closeOnBackdropClick={true}
         maxHeight="70vh"
@@ -10242,7 +10303,7 @@ export default function DeliveryHome() {
       <BottomPopup
         isOpen={showEmergencyPopup}
         onClose={() => setShowEmergencyPopup(false)}
-        title="Emergency help"
+        title={t("delivery.home.emergencyHelp")}
         showCloseButton={true}
         closeOnBackdropClick={true}
         maxHeight="70vh"
@@ -10335,7 +10396,7 @@ export default function DeliveryHome() {
       <BottomPopup
         isOpen={showBookGigsPopup}
         onClose={() => setShowBookGigsPopup(false)}
-        title="Book gigs to go online"
+        title={t("delivery.home.bookGigsTitle")}
         showCloseButton={true}
         closeOnBackdropClick={true}
         maxHeight="auto"
@@ -10348,18 +10409,18 @@ export default function DeliveryHome() {
               <div className="w-8 h-8 bg-teal-600 rounded-full flex items-center justify-center">
                 <span className="text-white font-bold text-sm">g</span>
               </div>
-              <span className="text-teal-700 font-semibold">Gig details</span>
+              <span className="text-teal-700 font-semibold">{t("delivery.home.gigDetails")}</span>
             </div>
 
             {/* Body - White background */}
             <div className="bg-white px-4 py-4">
-              <p className="text-gray-900 text-sm">Gig booking open in your zone</p>
+              <p className="text-gray-900 text-sm">{t("delivery.home.gigBookingOpen")}</p>
             </div>
           </div>
 
           {/* Description */}
           <p className="text-gray-900 text-sm mb-6">
-            Book your Gigs now to go online and start delivering orders
+            {t("delivery.home.bookGigsHint")}
           </p>
 
           {/* Book Gigs Button */}
@@ -10370,7 +10431,7 @@ export default function DeliveryHome() {
             }}
             className="w-full bg-black hover:bg-gray-800 text-white font-semibold py-4 rounded-lg transition-colors"
           >
-            Book gigs
+            {t("delivery.home.bookGigs")}
           </button>
         </div>
       </BottomPopup>
@@ -10509,7 +10570,7 @@ export default function DeliveryHome() {
                     {/* White pill-shaped badge - positioned above SVG */}
                     <div className="relative bg-white rounded-full px-6 py-2 shadow-lg" style={{ zIndex: 30 }}>
                       <div className="text-sm font-bold text-gray-900">
-                        New order
+                        {t("delivery.home.newOrder")}
                       </div>
                     </div>
                   </div>
@@ -10594,7 +10655,7 @@ export default function DeliveryHome() {
                   <div className="bg-gray-50 rounded-xl p-4 mb-6">
                     <div className="mb-3">
                       <span className="bg-gray-200 text-gray-700 text-xs font-medium px-2 py-1 rounded-lg">
-                        Pick up
+                        {t("delivery.home.pickUp")}
                       </span>
                     </div>
 
@@ -10683,7 +10744,7 @@ export default function DeliveryHome() {
                               damping: 25
                             } : { duration: 0 }}
                           >
-                            {newOrderAcceptButtonProgress > 0.5 ? 'Release to Accept' : 'Accept order'}
+                            {newOrderAcceptButtonProgress > 0.5 ? t("delivery.home.releaseToAccept") : t("delivery.home.acceptOrder")}
                           </motion.span>
                         </div>
                       </div>
@@ -10705,7 +10766,7 @@ export default function DeliveryHome() {
                 onClick={handleRejectConfirm}
                 className="  bg-black border-2 border-white text-white text-bold px-5 p-2 rounded-full font-semibold text-sm hover:bg-red-50 transition-colors shadow-2xl"
               >
-                Deny
+                {t("delivery.home.deny")}
               </button>
             </motion.div>
           </>
@@ -10732,8 +10793,8 @@ export default function DeliveryHome() {
               >
                 {/* Header */}
                 <div className="px-4 py-4 border-b border-gray-200">
-                  <h3 className="text-lg font-bold text-gray-900">Can't Accept Order</h3>
-                  <p className="text-sm text-gray-500 mt-1">Please select a reason for not accepting this order</p>
+                  <h3 className="text-lg font-bold text-gray-900">{t("delivery.home.cantAccept")}</h3>
+                  <p className="text-sm text-gray-500 mt-1">{t("delivery.home.cantAcceptHint")}</p>
                 </div>
 
                 {/* Content */}
@@ -10772,7 +10833,7 @@ export default function DeliveryHome() {
                     onClick={handleRejectCancel}
                     className="flex-1 bg-white border-2 border-gray-300 text-gray-700 py-3 rounded-lg font-semibold text-sm hover:bg-gray-50 transition-colors"
                   >
-                    Cancel
+                    {t("delivery.home.cancel")}
                   </button>
                   <button
                     onClick={handleRejectConfirm}
@@ -10782,7 +10843,7 @@ export default function DeliveryHome() {
                       : "bg-gray-200 text-gray-400 cursor-not-allowed"
                       }`}
                   >
-                    Confirm
+                    {t("delivery.home.confirm")}
                   </button>
                 </div>
               </motion.div>
@@ -10838,7 +10899,7 @@ export default function DeliveryHome() {
           {/* Pickup Label */}
           <div className="mb-4">
             <span className="bg-gray-500 text-white text-xs font-medium px-3 py-1.5 rounded-lg">
-              Pick up
+              {t("delivery.home.pickUp")}
             </span>
           </div>
 
@@ -11136,7 +11197,7 @@ export default function DeliveryHome() {
                       damping: 25
                     } : { duration: 0 }}
                   >
-                    {reachedPickupButtonProgress > 0.5 ? 'Release to Confirm' : 'Reached Pickup'}
+                    {reachedPickupButtonProgress > 0.5 ? t("delivery.home.releaseToConfirm") : t("delivery.home.reachedPickup")}
                   </motion.span>
                 </div>
               </div>
@@ -11172,15 +11233,15 @@ export default function DeliveryHome() {
         <div className="">
           <div className="text-center mb-6">
             <h2 className="text-xl font-bold text-gray-900 mb-2">
-              Confirm Order ID
+              {t("delivery.home.confirmOrderId")}
             </h2>
             <p className="text-gray-600 text-sm mb-4">
-              Please verify the order ID with the restaurant before pickup
+              {t("delivery.home.confirmOrderIdHint")}
             </p>
 
             {/* Order ID Display - single line, scroll horizontally if needed */}
             <div className="bg-gray-50 rounded-xl p-6 mb-6 overflow-hidden">
-              <p className="text-gray-500 text-xs mb-2">Order ID</p>
+              <p className="text-gray-500 text-xs mb-2">{t("delivery.home.orderId")}</p>
               <p className="text-2xl sm:text-3xl font-bold text-gray-900 tracking-wider whitespace-nowrap overflow-x-auto min-w-0">
                 {selectedRestaurant?.orderId || selectedRestaurant?.id || newOrder?.orderId || newOrder?.orderMongoId || 'ORD1234567890'}
               </p>
@@ -11189,7 +11250,7 @@ export default function DeliveryHome() {
             {/* Bill Image Upload Section */}
             <div className="mb-6">
               <p className="text-gray-600 text-sm mb-3 text-center">
-                {billImageUploaded ? '✅ Bill image uploaded' : 'Please capture bill image'}
+                {billImageUploaded ? `✅ ${t("delivery.home.billUploadedHint")}` : t("delivery.home.captureBillHint")}
               </p>
 
               {/* Camera Button */}
@@ -11207,17 +11268,17 @@ export default function DeliveryHome() {
                   {isUploadingBill ? (
                     <>
                       <Loader2 className="w-5 h-5 animate-spin" />
-                      <span>Uploading...</span>
+                      <span>{t("delivery.home.uploading")}</span>
                     </>
                   ) : billImageUploaded ? (
                     <>
                       <CheckCircle className="w-5 h-5" />
-                      <span>Bill Uploaded</span>
+                      <span>{t("delivery.home.billUploaded")}</span>
                     </>
                   ) : (
                     <>
                       <Camera className="w-5 h-5" />
-                      <span>Capture Bill</span>
+                      <span>{t("delivery.home.captureBill")}</span>
                     </>
                   )}
                 </button>
@@ -11295,10 +11356,10 @@ export default function DeliveryHome() {
                       } : { duration: 0 }}
                     >
                       {!billImageUploaded
-                        ? 'Upload Bill First'
+                        ? t("delivery.home.uploadBillFirst")
                         : orderIdConfirmButtonProgress > 0.5
-                          ? 'Release to Confirm'
-                          : 'Order Picked Up'}
+                          ? t("delivery.home.releaseToConfirm")
+                          : t("delivery.home.orderPickedUp")}
                     </motion.span>
                   </div>
                 </div>
@@ -11347,7 +11408,7 @@ export default function DeliveryHome() {
           {/* Drop Label */}
           <div className="mb-4">
             <span className="bg-teal-600 text-white text-xs font-medium px-3 py-1.5 rounded-lg">
-              Drop
+              {t("delivery.home.drop")}
             </span>
           </div>
 
@@ -11609,7 +11670,7 @@ export default function DeliveryHome() {
                       damping: 25
                     } : { duration: 0 }}
                   >
-                    {reachedDropButtonProgress > 0.5 ? 'Release to Confirm' : 'Reached Drop'}
+                    {reachedDropButtonProgress > 0.5 ? t("delivery.home.releaseToConfirm") : t("delivery.home.reachedDrop")}
                   </motion.span>
                 </div>
               </div>
@@ -11709,10 +11770,10 @@ export default function DeliveryHome() {
               : "text-emerald-700"
 
             const label = isCod
-              ? "Collect from customer (COD)"
+              ? t("delivery.home.collectCod")
               : isPayAtHotel
-              ? "Pay at Hotel"
-              : "Amount paid (Online)"
+              ? t("delivery.home.payAtHotel")
+              : t("delivery.home.paidOnline")
 
             return (
               <div className="mb-6 space-y-3">
@@ -11758,14 +11819,23 @@ export default function DeliveryHome() {
                     }`}
                   >
                     {hotelCashConfirmed
-                      ? "Cash Collected (Verified)"
-                      : "Cash Collected at Hotel"}
+                      ? t("delivery.home.cashCollectedVerified")
+                      : t("delivery.home.cashCollectedAtHotel")}
                   </button>
                 )}
               </div>
             )
           })()}
 
+          {/* Handover proof - verified by the backend when the delivery is completed */}
+          <DeliveryHandoverProof
+            key={handoverResetKey}
+            orderId={selectedRestaurant?.id || newOrder?.orderMongoId || newOrder?._id || selectedRestaurant?.orderId || newOrder?.orderId}
+            onChange={setHandoverProof}
+            riderLocation={riderLocation}
+            fallbackOnly={handoverFallbackOnly}
+          />
+
           {/* Order Delivered Button with Swipe */}
           <div className="relative w-full">
             <motion.div
@@ -11821,7 +11891,7 @@ export default function DeliveryHome() {
                       damping: 25
                     } : { duration: 0 }}
                   >
-                    {orderDeliveredButtonProgress > 0.5 ? 'Release to Confirm' : 'Order Delivered'}
+                    {orderDeliveredButtonProgress > 0.5 ? t("delivery.home.releaseToConfirm") : t("delivery.home.orderDelivered")}
                   </motion.span>
                 </div>
               </div>
@@ -11842,10 +11912,10 @@ export default function DeliveryHome() {
         <div className="">
           <div className="text-center mb-6">
             <h2 className="text-xl font-bold text-gray-900 mb-2">
-              Rate Your Experience
+              {t("delivery.home.rateExperience")}
             </h2>
             <p className="text-gray-600 text-sm mb-6">
-              How was your delivery experience?
+              {t("delivery.home.rateExperienceHint")}
             </p>
 
             {/* Star Rating */}
@@ -11873,7 +11943,7 @@ export default function DeliveryHome() {
               <textarea
                 value={customerReviewText}
                 onChange={(e) => setCustomerReviewText(e.target.value)}
-                placeholder="Share your experience..."
+                placeholder={t("delivery.home.shareExperience")}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent resize-none"
                 rows={4}
               />
@@ -11902,7 +11972,8 @@ export default function DeliveryHome() {
                     const response = await deliveryAPI.completeDelivery(
                       orderIdForApi,
                       customerRating > 0 ? customerRating : null,
-                      customerReviewText.trim() || ''
+                      customerReviewText.trim() || '',
+                      handoverProof || {}
                     )
 
                     if (response.data?.success) {
@@ -11929,6 +12000,8 @@ export default function DeliveryHome() {
                       }
 
                       // Close review popup and show payment page
+                      setHandoverProof(null)
+                      setHandoverFallbackOnly(false)
                       setShowCustomerReviewPopup(false)
                       setShowPaymentPage(true)
                     } else {
@@ -11936,6 +12009,19 @@ export default function DeliveryHome() {
                       toast.error(response.data?.message || 'Failed to submit review. Please try again.')
                     }
                   } catch (error) {
+                    // Handover rejected (wrong code, outside the geofence) - back to the delivered step
+                    const status = error.response?.status
+                    if ((status === 400 || status === 423) && error.response?.data?.message) {
+                      toast.error(error.response.data.message)
+                      setHandoverProof(null)
+                      setHandoverFallbackOnly(
+                        status === 423 || error.response.data.errors?.attemptsLeft === 0
+                      )
+                      setHandoverResetKey((key) => key + 1)
+                      setShowCustomerReviewPopup(false)
+                      setShowOrderDeliveredAnimation(true)
+                      return
+                    }
                     console.error('❌ Error submitting review:', error)
                     toast.error('Failed to submit review. Please try again.')
                     // Still show payment page even if review fails
@@ -11950,7 +12036,7 @@ export default function DeliveryHome() {
               }}
               className="w-full bg-green-600 text-white py-4 rounded-xl font-semibold text-lg hover:bg-green-700 transition-colors shadow-lg"
             >
-              Submit Review
+              {t("delivery.home.submitReview")}
             </button>
           </div>
         </div>
@@ -12092,7 +12178,7 @@ export default function DeliveryHome() {
                 }}
                 className="w-full sticky bottom-4 bg-black text-white py-4 rounded-xl font-semibold text-lg hover:bg-gray-800 transition-colors shadow-lg "
               >
-                Complete
+                {t("delivery.home.complete")}
               </button>
             </div>
           </motion.div>
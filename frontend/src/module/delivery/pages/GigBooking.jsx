@@ -26,23 +26,21 @@ import {
 } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { useGigStore, USER_LEVELS } from "../store/gigStore"
+import { useGigStore } from "../store/gigStore"
 import {
-  generateAvailableDates,
-  generateTimeSlots,
+  toDateOptions,
   formatTimeDisplay,
   calculateTotalHours,
   getTimeRangeString,
   getLevelBadgeColor,
   getLevelIcon,
-  isSlotInPast,
   getGigStatusColor,
   sortGigsByDate,
   categorizeSlotsByMeal,
-  generatePayRate,
   getCategoryTimeRange
 } from "../utils/gigUtils"
 import { toast } from "sonner"
+import { deliveryAPI } from "@/lib/api"
 import FeedNavbar from "../components/FeedNavbar"
 
 export default function GigBooking() {
@@ -81,42 +79,71 @@ export default function GigBooking() {
     selectedSlots,
     bookedGigs,
     userLevel,
+    levelInfo: serverLevel,
     isOnline,
+    fetchGigs,
     toggleSlot,
     clearSelectedSlots,
     bookGig,
+    cancelGig,
     goOnline,
     goOffline,
-    isSlotBooked,
-    getBookedSlotsForDate,
-    getAdvanceDays
+    isSlotBooked
   } = useGigStore()
 
-  // Generate available dates
-  const availableDates = generateAvailableDates(userLevel)
-  
-  // Set first date as selected by default
+  // Slots of the rider's zone for the selected date (from the server)
+  const [dateKeys, setDateKeys] = useState([])
+  const [timeSlots, setTimeSlots] = useState([])
+  const [zone, setZone] = useState(null)
+  const [slotsLoading, setSlotsLoading] = useState(false)
+  const [booking, setBooking] = useState(false)
+  const [cancellingId, setCancellingId] = useState(null)
+  const loadedDateRef = useRef(null)
+
+  // Load level and bookings
   useEffect(() => {
-    if (!selectedDate && availableDates.length > 0) {
-      setSelectedDate(availableDates[0].date)
+    fetchGigs().catch((error) => {
+      console.error("Error loading gigs:", error)
+    })
+  }, [fetchGigs])
+
+  const loadSlots = async (date) => {
+    try {
+      setSlotsLoading(true)
+      const response = await deliveryAPI.getGigSlots(date ? { date } : {})
+      const data = response?.data?.data || {}
+      setDateKeys(data.dates || [])
+      setTimeSlots(data.slots || [])
+      setZone(data.zone || null)
+      loadedDateRef.current = data.date || date
+      if (!date && data.date) {
+        setSelectedDate(data.date)
+      }
+    } catch (error) {
+      console.error("Error loading gig slots:", error)
+      setTimeSlots([])
+      toast.error(error?.response?.data?.message || "Failed to load slots")
+    } finally {
+      setSlotsLoading(false)
     }
-  }, [availableDates])
+  }
+
+  // First load picks today; later loads follow the selected date
+  useEffect(() => {
+    if (selectedDate && selectedDate === loadedDateRef.current) return
+    loadSlots(selectedDate)
+  }, [selectedDate])
 
-  // Generate slots for selected date
-  const timeSlots = selectedDate ? generateTimeSlots(selectedDate) : []
-  const bookedSlotsForDate = selectedDate ? getBookedSlotsForDate(selectedDate) : []
+  // Bookable dates for the rider's level
+  const availableDates = toDateOptions(dateKeys)
 
-  // Filter out past slots and add pay rates
+  // Hide slots that are over or full unless the rider booked them
   const availableSlots = timeSlots
-    .filter(slot => !isSlotInPast(slot))
-    .map(slot => {
-      const booked = isSlotBooked(slot)
-      return {
-        ...slot,
-        payRate: generatePayRate(slot),
-        isBooked: booked
-      }
-    })
+    .filter(slot => slot.isBooked || slot.isOpen)
+    .map(slot => ({
+      ...slot,
+      isBooked: slot.isBooked || isSlotBooked(slot)
+    }))
 
   // Categorize slots by meal time
   const categorizedSlots = categorizeSlotsByMeal(availableSlots)
@@ -124,7 +151,7 @@ export default function GigBooking() {
   // Calculate summary
   const totalHours = calculateTotalHours(selectedSlots)
   const timeRange = getTimeRangeString(selectedSlots)
-  const canBook = selectedSlots.length > 0
+  const canBook = selectedSlots.length > 0 && !booking
 
   // Sorted gig history
   const sortedGigs = sortGigsByDate(bookedGigs)
@@ -165,14 +192,14 @@ export default function GigBooking() {
   // Handle slot selection with smooth scroll
   const handleSlotToggle = (slot) => {
     // Check if slot is already booked
-    if (isSlotBooked(slot)) {
+    if (slot.isBooked) {
       toast.error("This slot is already booked")
       return
     }
 
-    // Check if slot is in the past
-    if (isSlotInPast(slot)) {
-      toast.error("Cannot book past time slots")
+    // Check if slot is over or full
+    if (!slot.isOpen) {
+      toast.error("This slot is no longer available")
       return
     }
 
@@ -192,7 +219,7 @@ export default function GigBooking() {
   }
 
   // Handle book gig
-  const handleBookGig = () => {
+  const handleBookGig = async () => {
     if (selectedSlots.length === 0) {
       toast.error("Please select at least one time slot")
       return
@@ -220,25 +247,35 @@ export default function GigBooking() {
       return
     }
 
-    const success = bookGig()
-    if (success) {
-      // Automatically go online when gig is booked
-      const onlineSuccess = goOnline()
-      if (onlineSuccess) {
-        toast.success("Gig booked successfully! You are now online.")
-        // Navigate to home page to show map with restaurants
-        clearSelectedSlots()
-        setTimeout(() => {
-          navigate("/delivery", { replace: false })
-        }, 500) // Small delay to ensure state is updated
-      } else {
-        toast.success("Gig booked successfully!")
-        clearSelectedSlots()
-        setActiveTab("history")
-        navigate("/delivery/gig?tab=history", { replace: true })
-      }
-    } else {
-      toast.error("Failed to book gig")
+    try {
+      setBooking(true)
+      await bookGig()
+      toast.success("Gig booked successfully!")
+      loadSlots(selectedDate)
+      setActiveTab("history")
+      navigate("/delivery/gig?tab=history", { replace: true })
+    } catch (error) {
+      console.error("Error booking gig:", error)
+      toast.error(error?.response?.data?.message || "Failed to book gig")
+      // Capacity may have changed while the rider was choosing
+      loadSlots(selectedDate)
+    } finally {
+      setBooking(false)
+    }
+  }
+
+  // Handle cancel booking
+  const handleCancelGig = async (gig) => {
+    try {
+      setCancellingId(gig.id)
+      await cancelGig(gig.id)
+      toast.success("Booking cancelled")
+      loadSlots(selectedDate)
+    } catch (error) {
+      console.error("Error cancelling gig:", error)
+      toast.error(error?.response?.data?.message || "Failed to cancel booking")
+    } finally {
+      setCancellingId(null)
     }
   }
 
@@ -287,7 +324,7 @@ export default function GigBooking() {
   }
 
   // Get level info
-  const levelInfo = USER_LEVELS[userLevel] || USER_LEVELS.Brown
+  const levelRules = serverLevel?.rules
   const levelColor = getLevelBadgeColor(userLevel)
   const levelIcon = getLevelIcon(userLevel)
 
@@ -376,6 +413,42 @@ export default function GigBooking() {
               transition={{ duration: 0.3 }}
               className="space-y-4"
             >
+              {/* Level and zone */}
+              <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-200">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xl">{levelIcon}</span>
+                    <div>
+                      <p className="font-bold text-gray-900" style={{ color: levelColor }}>{userLevel} level</p>
+                      {levelRules && (
+                        <p className="text-xs text-gray-600">
+                          Book up to {levelRules.advanceDays} day{levelRules.advanceDays > 1 ? "s" : ""} ahead • up to {levelRules.maxHoursPerDay} hrs a day
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  {zone && (
+                    <div className="flex items-center gap-1 text-xs text-gray-600">
+                      <MapPin className="w-3.5 h-3.5" />
+                      <span>{zone.name}</span>
+                    </div>
+                  )}
+                </div>
+                {serverLevel?.nextLevel && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {serverLevel.nextLevel.ordersToGo > 0
+                      ? `${serverLevel.nextLevel.ordersToGo} more deliveries to reach ${serverLevel.nextLevel.level}`
+                      : `Keep your rating above ${serverLevel.nextLevel.minRating} to reach ${serverLevel.nextLevel.level}`}
+                  </p>
+                )}
+                {zone?.requireBooking && (
+                  <div className="flex items-start gap-2 mt-3 bg-orange-50 text-orange-800 rounded-lg p-2 text-xs">
+                    <AlertCircle className="w-4 h-4 shrink-0" />
+                    <span>You can only go online in {zone.name} during a booked slot</span>
+                  </div>
+                )}
+              </div>
+
               {/* Date Picker - Improved UI */}
               <div className="mb-4">
                 <h3 className="text-lg font-bold text-gray-800 mb-3">Select Date</h3>
@@ -434,7 +507,13 @@ export default function GigBooking() {
                       animate={{ opacity: 1 }}
                       className="text-center py-8"
                     >
-                      <p className="text-gray-500">No available slots for this date</p>
+                      <p className="text-gray-500">
+                        {slotsLoading
+                          ? "Loading slots..."
+                          : zone
+                            ? "No available slots for this date"
+                            : "You are not in a delivery zone yet. Slots show up once you are assigned to a zone."}
+                      </p>
                     </motion.div>
                   ) : (
                     <div className="space-y-4">
@@ -528,6 +607,11 @@ export default function GigBooking() {
                                             }`}>
                                               ₹{slot.payRate.min} - ₹{slot.payRate.max} per hour
                                             </div>
+                                            {!isBooked && (
+                                              <div className={`text-xs mb-1 ${isSelected ? "text-white/80" : "text-gray-500"}`}>
+                                                {slot.remaining} spot{slot.remaining === 1 ? "" : "s"} left
+                                              </div>
+                                            )}
                                             {isBooked && (
                                               <div className="text-blue-600 text-sm font-medium">Booked</div>
                                             )}
@@ -644,7 +728,7 @@ export default function GigBooking() {
                       : "bg-gray-300 text-gray-500 cursor-not-allowed"
                   }`}
                 >
-                  Book Gig
+                  {booking ? "Booking..." : "Book Gig"}
                 </motion.button>
               </motion.div>
 
@@ -770,7 +854,7 @@ export default function GigBooking() {
                             transition={{ delay: index * 0.1 + 0.2, type: "spring" }}
                             className={`px-3 py-1.5 rounded-full text-xs font-semibold capitalize shadow-sm ${getGigStatusColor(gig.status)}`}
                           >
-                            {gig.status}
+                            {gig.status.replace("_", " ")}
                           </motion.span>
                         </div>
                         <div className="flex items-center justify-between pt-3 border-t border-gray-200">
@@ -779,9 +863,23 @@ export default function GigBooking() {
                               <Clock className="w-4 h-4" />
                               <span className="font-semibold text-gray-900">{gig.totalHours} hours</span>
                             </div>
-                            <span className="text-gray-400">•</span>
-                            <span className="text-gray-600">{gig.slots.length} slot{gig.slots.length > 1 ? 's' : ''}</span>
+                            {gig.zoneName && (
+                              <>
+                                <span className="text-gray-400">•</span>
+                                <span className="text-gray-600">{gig.zoneName}</span>
+                              </>
+                            )}
                           </div>
+                          {gig.canCancel && (
+                            <button
+                              type="button"
+                              onClick={() => handleCancelGig(gig)}
+                              disabled={cancellingId === gig.id}
+                              className="text-sm font-semibold text-red-600 hover:text-red-700 disabled:opacity-50"
+                            >
+                              {cancellingId === gig.id ? "Cancelling..." : "Cancel"}
+                            </button>
+                          )}
                           {gig.status === 'active' && (
                             <motion.div 
                               initial={{ opacity: 0 }}
@@ -5,6 +5,7 @@ import { chatAPI, deliveryAPI } from "@/lib/api";
 import { toast } from "sonner";
 import io from "socket.io-client";
 import { API_BASE_URL } from "@/lib/api/config";
+import { socketAuth, enableSocketTokenRefresh } from "@/lib/utils/socketAuth";
 
 export default function OrderChat({ orderId: orderIdProp = null, onClose = null }) {
   const { orderId: paramsOrderId } = useParams();
@@ -78,9 +79,11 @@ export default function OrderChat({ orderId: orderIdProp = null, onClose = null
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
+      auth: socketAuth("delivery"),
     });
 
     const socket = socketRef.current;
+    enableSocketTokenRefresh(socket, "delivery");
 
     socket.on("connect", () => {
       console.log("✅ Socket connected for chat");
@@ -897,6 +897,11 @@ export default function PocketPage() {
               <div className="bg-black text-white px-4 py-3 rounded-lg text-center min-w-[80px]">
                 <div className="text-2xl font-bold">₹{(activeEarningAddon ? earningsGuaranteeTarget : weeklyEarnings).toFixed(0)}</div>
                 <div className="text-xs text-white/80 mt-1">{activeEarningAddon ? earningsGuaranteeOrdersTarget : weeklyOrders} orders</div>
+                {activeEarningAddon?.requiredLoginHours > 0 && (
+                  <div className="text-xs text-white/80">
+                    {activeEarningAddon.currentLoginHours ?? 0}/{activeEarningAddon.requiredLoginHours} login hrs
+                  </div>
+                )}
               </div>
             </div>
           </div>
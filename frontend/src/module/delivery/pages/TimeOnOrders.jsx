@@ -1,110 +1,78 @@
 import { useState, useEffect } from "react"
 import { useNavigate } from "react-router-dom"
-import { ArrowLeft, ChevronDown } from "lucide-react"
+import { ArrowLeft, ChevronDown, Loader2 } from "lucide-react"
+import { deliveryAPI } from "@/lib/api"
 import { useProgressStore } from "../store/progressStore"
 
+const timeRanges = [
+  "Select Time",
+  "00:00 - 06:00",
+  "06:00 - 12:00",
+  "12:00 - 18:00",
+  "18:00 - 24:00",
+  "All Day"
+]
+
+const WEEK_DAY_LABELS = ["M", "T", "W", "T", "F", "S", "S"]
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+// 135 -> "02:15"
+const formatMinutes = (minutes = 0) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+const formatClock = (value) =>
+  new Date(value).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })
+
+const getClockMinutes = (value) => {
+  const date = new Date(value)
+  return date.getHours() * 60 + date.getMinutes()
+}
+
 export default function TimeOnOrders() {
   const navigate = useNavigate()
   const [selectedDate, setSelectedDate] = useState(new Date())
   const [selectedTimeRange, setSelectedTimeRange] = useState("Select Time")
   const [showDatePicker, setShowDatePicker] = useState(false)
   const [showTimeRangePicker, setShowTimeRangePicker] = useState(false)
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
 
-  const timeRanges = [
-    "Select Time",
-    "00:00 - 06:00",
-    "06:00 - 12:00",
-    "12:00 - 18:00",
-    "18:00 - 24:00",
-    "All Day"
-  ]
-
-  // Generate dummy session data
-  const generateDummySessions = (date, timeRange) => {
-    const sessions = []
-    const seed = date.toISOString().split('T')[0].replace(/-/g, '')
-    const seedNum = parseInt(seed) % 1000
-    
-    const count = (seedNum % 8) + 2 // 2-9 sessions
+  const { updateTodayTimeOnOrders } = useProgressStore()
 
-    for (let i = 0; i < count; i++) {
-      const startHour = Math.floor((seedNum + i) % 24)
-      const startMin = Math.floor((seedNum + i * 2) % 60)
-      const duration = ((seedNum + i) % 180) + 30 // 30-210 minutes
-      
-      const endMin = startMin + duration
-      const endHour = startHour + Math.floor(endMin / 60)
-      const finalEndMin = endMin % 60
-      
-      const startTime = `${String(startHour).padStart(2, '0')}:${String(startMin).padStart(2, '0')}`
-      const endTime = `${String(endHour % 24).padStart(2, '0')}:${String(finalEndMin).padStart(2, '0')}`
-      const timeRangeStr = `${startTime} - ${endTime}`
-      
-      const hours = Math.floor(duration / 60)
-      const minutes = duration % 60
-      const timeOnOrders = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+  const isToday = toDateKey(selectedDate) === toDateKey(new Date())
 
-      sessions.push({
-        id: i + 1,
-        session: `Session ${i + 1}`,
-        timeRange: timeRangeStr,
-        timeOnOrders,
-        hours,
-        minutes,
-        duration
-      })
+  useEffect(() => {
+    let cancelled = false
+    const fetchOnlineTime = async () => {
+      setLoading(true)
+      setError("")
+      try {
+        const response = await deliveryAPI.getOnlineTime({ date: toDateKey(selectedDate) })
+        if (!cancelled) setReport(response?.data?.data || null)
+      } catch (err) {
+        if (!cancelled) {
+          setReport(null)
+          setError(err.response?.data?.message || "Could not load your online time")
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
     }
-
-    // Filter by time range if selected
-    if (timeRange !== "Select Time" && timeRange !== "All Day") {
-      const [start, end] = timeRange.split(' - ').map(t => {
-        const [h, m] = t.split(':').map(Number)
-        return h * 60 + m
-      })
-      
-      return sessions.filter(session => {
-        const [sessionStart] = session.timeRange.split(' - ').map(t => {
-          const [h, m] = t.split(':').map(Number)
-          return h * 60 + m
-        })
-        return sessionStart >= start && sessionStart < end
-      })
+    fetchOnlineTime()
+    return () => {
+      cancelled = true
     }
+  }, [selectedDate])
 
-    return sessions.sort((a, b) => {
-      const [aStart] = a.timeRange.split(' - ').map(t => {
-        const [h, m] = t.split(':').map(Number)
-        return h * 60 + m
-      })
-      const [bStart] = b.timeRange.split(' - ').map(t => {
-        const [h, m] = t.split(':').map(Number)
-        return h * 60 + m
-      })
-      return aStart - bStart
-    })
-  }
-
-  const [sessions, setSessions] = useState(() => 
-    generateDummySessions(selectedDate, selectedTimeRange)
-  )
-
-  const { updateTodayTimeOnOrders } = useProgressStore()
-
+  // Keep the home screen's "Time on orders" in line with today's total
   useEffect(() => {
-    const sessionsData = generateDummySessions(selectedDate, selectedTimeRange)
-    setSessions(sessionsData)
-    
-    // Update store if viewing today's data and all day
-    const today = new Date()
-    today.setHours(0, 0, 0, 0)
-    const selectedDateNormalized = new Date(selectedDate)
-    selectedDateNormalized.setHours(0, 0, 0, 0)
-    
-    if (selectedDateNormalized.getTime() === today.getTime() && (selectedTimeRange === "Select Time" || selectedTimeRange === "All Day")) {
-      const totalHours = finalHours + (finalMinutes / 60)
-      updateTodayTimeOnOrders(totalHours)
+    if (isToday && report?.day) {
+      updateTodayTimeOnOrders(report.day.busyMinutes / 60)
     }
-  }, [selectedDate, selectedTimeRange, updateTodayTimeOnOrders])
+  }, [isToday, report, updateTodayTimeOnOrders])
 
   // Close dropdowns when clicking outside
   useEffect(() => {
@@ -118,31 +86,39 @@ export default function TimeOnOrders() {
     }
   }, [showDatePicker, showTimeRangePicker])
 
-  // Calculate total hours
-  const totalHours = sessions.reduce((sum, session) => sum + session.hours, 0)
-  const totalMinutes = sessions.reduce((sum, session) => sum + session.minutes, 0)
-  const finalHours = totalHours + Math.floor(totalMinutes / 60)
-  const finalMinutes = totalMinutes % 60
+  const day = report?.day
+  const allSessions = [...(day?.sessions || [])].reverse() // Oldest first
+  const isRangeSelected = selectedTimeRange !== "Select Time" && selectedTimeRange !== "All Day"
 
-  // Update store when sessions change
-  useEffect(() => {
-    const today = new Date()
-    today.setHours(0, 0, 0, 0)
-    const selectedDateNormalized = new Date(selectedDate)
-    selectedDateNormalized.setHours(0, 0, 0, 0)
-    
-    if (selectedDateNormalized.getTime() === today.getTime() && (selectedTimeRange === "Select Time" || selectedTimeRange === "All Day")) {
-      const totalHoursValue = finalHours + (finalMinutes / 60)
-      updateTodayTimeOnOrders(totalHoursValue)
-    }
-  }, [sessions, finalHours, finalMinutes, selectedDate, selectedTimeRange, updateTodayTimeOnOrders])
+  // Sessions that started inside the selected time range
+  const sessions = isRangeSelected
+    ? allSessions.filter((session) => {
+      const [start, end] = selectedTimeRange.split(' - ').map((time) => {
+        const [h, m] = time.split(':').map(Number)
+        return h * 60 + m
+      })
+      const sessionStart = getClockMinutes(session.startedAt)
+      return sessionStart >= start && sessionStart < end
+    })
+    : allSessions
+
+  const busyMinutes = isRangeSelected
+    ? sessions.reduce((sum, session) => sum + session.busyMinutes, 0)
+    : day?.busyMinutes || 0
+  const loginMinutes = isRangeSelected
+    ? sessions.reduce((sum, session) => sum + session.loginMinutes, 0)
+    : day?.loginMinutes || 0
+  const idleMinutes = Math.max(0, loginMinutes - busyMinutes)
+
+  const weekDays = report?.week?.days || []
+  const maxWeekMinutes = Math.max(60, ...weekDays.map((weekDay) => weekDay.loginMinutes))
 
   // Format date for display
   const formatDateDisplay = (date) => {
     const today = new Date()
     const yesterday = new Date(today)
     yesterday.setDate(yesterday.getDate() - 1)
-    
+
     if (date.toDateString() === today.toDateString()) {
       return "Today"
     } else if (date.toDateString() === yesterday.toDateString()) {
@@ -251,58 +227,119 @@ export default function TimeOnOrders() {
         </div>
       )}
 
-      {/* Central Display */}
-      <div className="flex flex-col items-center justify-center py-12">
-        <p className="text-6xl font-bold text-black mb-2">
-          {String(finalHours).padStart(2, '0')}:{String(finalMinutes).padStart(2, '0')}
-        </p>
-        <p className="text-base text-gray-600 mt-2">Hours on orders</p>
-      </div>
+      {loading ? (
+        <div className="flex items-center justify-center py-24">
+          <Loader2 className="w-6 h-6 text-gray-500 animate-spin" />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12 px-4">
+          <p className="text-gray-500 text-base">{error}</p>
+        </div>
+      ) : (
+        <>
+          {/* Central Display */}
+          <div className="flex flex-col items-center justify-center pt-12 pb-8">
+            <p className="text-6xl font-bold text-black mb-2">{formatMinutes(busyMinutes)}</p>
+            <p className="text-base text-gray-600 mt-2">Hours on orders</p>
+            {isToday && report?.isOnline && (
+              <p className="text-xs text-green-600 mt-1">You are online · updates while you work</p>
+            )}
+          </div>
 
-      {/* Sessions Table */}
-      {sessions.length > 0 && (
-        <div className="px-4 pb-6">
-          {/* Table Headers */}
-          <div className="bg-gray-50 border-b-2 border-gray-300 px-4 py-3 flex items-center">
-            <div className="flex-1">
-              <p className="text-sm font-semibold text-black">Sessions</p>
+          {/* Login, idle and acceptance */}
+          <div className="px-4 pb-6 grid grid-cols-3 gap-3">
+            <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-3 text-center">
+              <p className="text-lg font-semibold text-black">{formatMinutes(loginMinutes)}</p>
+              <p className="text-xs text-gray-600">Login hours</p>
             </div>
-            <div className="flex-1">
-              <p className="text-sm font-semibold text-black">Time Range</p>
+            <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-3 text-center">
+              <p className="text-lg font-semibold text-black">{formatMinutes(idleMinutes)}</p>
+              <p className="text-xs text-gray-600">Idle time</p>
             </div>
-            <div className="flex-1 text-right">
-              <p className="text-sm font-semibold text-black">Time on orders</p>
+            <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-3 text-center">
+              <p className="text-lg font-semibold text-black">
+                {day?.acceptanceRate != null ? `${day.acceptanceRate}%` : "--"}
+              </p>
+              <p className="text-xs text-gray-600">Acceptance</p>
             </div>
           </div>
 
-          {/* Table Rows */}
-          <div className="bg-white">
-            {sessions.map((session) => (
-              <div
-                key={session.id}
-                className="border-b border-gray-200 px-4 py-4 flex items-center hover:bg-gray-50 transition-colors"
-              >
+          {/* This week */}
+          {weekDays.length > 0 && (
+            <div className="px-4 pb-6">
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-sm font-semibold text-black">This week</p>
+                <p className="text-xs text-gray-600">
+                  {formatMinutes(report.week.loginMinutes)} login · {formatMinutes(report.week.busyMinutes)} on orders
+                </p>
+              </div>
+              <div className="flex items-end justify-between gap-2 h-24">
+                {weekDays.map((weekDay, index) => (
+                  <div key={weekDay.date} className="flex-1 flex flex-col items-center gap-1 h-full justify-end">
+                    <div className="w-full bg-gray-100 rounded-t relative" style={{ height: `${(weekDay.loginMinutes / maxWeekMinutes) * 100}%` }}>
+                      <div
+                        className="absolute bottom-0 left-0 right-0 bg-black rounded-t"
+                        style={{ height: weekDay.loginMinutes ? `${(weekDay.busyMinutes / weekDay.loginMinutes) * 100}%` : 0 }}
+                      />
+                    </div>
+                    <span className={`text-xs ${weekDay.date === report.date ? 'font-semibold text-black' : 'text-gray-500'}`}>
+                      {WEEK_DAY_LABELS[index]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Sessions Table */}
+          {sessions.length > 0 && (
+            <div className="px-4 pb-6">
+              {/* Table Headers */}
+              <div className="bg-gray-50 border-b-2 border-gray-300 px-4 py-3 flex items-center">
                 <div className="flex-1">
-                  <p className="text-sm text-black">{session.session}</p>
+                  <p className="text-sm font-semibold text-black">Sessions</p>
                 </div>
                 <div className="flex-1">
-                  <p className="text-sm text-black">{session.timeRange}</p>
+                  <p className="text-sm font-semibold text-black">Time Range</p>
                 </div>
                 <div className="flex-1 text-right">
-                  <p className="text-sm font-medium text-black">{session.timeOnOrders}</p>
+                  <p className="text-sm font-semibold text-black">Time on orders</p>
                 </div>
               </div>
-            ))}
-          </div>
-        </div>
-      )}
 
-      {sessions.length === 0 && (
-        <div className="text-center py-12">
-          <p className="text-gray-500 text-base">No sessions found for selected time range</p>
-        </div>
+              {/* Table Rows */}
+              <div className="bg-white">
+                {sessions.map((session, index) => (
+                  <div
+                    key={session.id}
+                    className="border-b border-gray-200 px-4 py-4 flex items-center hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="flex-1">
+                      <p className="text-sm text-black">Session {index + 1}</p>
+                      <p className="text-xs text-gray-500">{session.ordersAccepted} order{session.ordersAccepted === 1 ? "" : "s"}</p>
+                    </div>
+                    <div className="flex-1">
+                      <p className="text-sm text-black">
+                        {formatClock(session.startedAt)} - {session.isActive ? "Now" : formatClock(session.endedAt)}
+                      </p>
+                      <p className="text-xs text-gray-500">{formatMinutes(session.loginMinutes)} online</p>
+                    </div>
+                    <div className="flex-1 text-right">
+                      <p className="text-sm font-medium text-black">{formatMinutes(session.busyMinutes)}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {sessions.length === 0 && (
+            <div className="text-center py-12">
+              <p className="text-gray-500 text-base">No sessions found for selected time range</p>
+            </div>
+          )}
+        </>
       )}
     </div>
   )
 }
-
@@ -1,77 +1,71 @@
-import { useState, useMemo, useRef, useEffect } from "react"
+import { useState, useEffect } from "react"
 import { useNavigate } from "react-router-dom"
 import { 
   ArrowLeft,
-  ChevronDown,
-  Calendar,
-  CheckCircle
+  Loader2
 } from "lucide-react"
 import { formatCurrency } from "../../restaurant/utils/currency"
-import { DateRangeCalendar } from "@/components/ui/date-range-calendar"
 import WeekSelector from "../components/WeekSelector"
+import { deliveryAPI } from "@/lib/api"
+
+// YYYY-MM-DD in local time (toISOString would shift the day for IST)
+const toDateParam = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0")
+  const day = String(date.getDate()).padStart(2, "0")
+  return `${date.getFullYear()}-${month}-${day}`
+}
 
 export default function TipsStatement() {
   const navigate = useNavigate()
-  
-  // Date range state
-  const [startDate, setStartDate] = useState(() => {
-    const today = new Date()
-    const weekAgo = new Date(today)
-    weekAgo.setDate(today.getDate() - 7)
-    return weekAgo
-  })
-  const [endDate, setEndDate] = useState(new Date())
-  const [showCalendar, setShowCalendar] = useState(false)
-  const calendarRef = useRef(null)
-  
-  // Format date range display
-  const dateRangeDisplay = useMemo(() => {
-    if (!startDate || !endDate) return "Select date range"
-    const formatDate = (date) => {
-      const day = date.getDate()
-      const month = date.toLocaleString('en-US', { month: 'short' })
-      return `${day} ${month}`
-    }
-    return `${formatDate(startDate)} - ${formatDate(endDate)}`
-  }, [startDate, endDate])
-  
-  // Handle date range change from calendar
-  const handleDateRangeChange = (start, end) => {
-    setStartDate(start)
-    setEndDate(end)
-    // Here you would fetch tips data for the selected date range
-    // fetchTipsData(start, end)
+
+  // Current week range (Sunday–Saturday)
+  const getInitialWeekRange = () => {
+    const now = new Date()
+    const start = new Date(now)
+    start.setDate(now.getDate() - now.getDay())
+    start.setHours(0, 0, 0, 0)
+    const end = new Date(start)
+    end.setDate(start.getDate() + 6)
+    end.setHours(23, 59, 59, 999)
+    return { start, end }
   }
-  
-  // Close calendar when clicking outside
+
+  const [weekRange, setWeekRange] = useState(getInitialWeekRange)
+  const [tips, setTips] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  // Load customer tips credited in the selected week
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (calendarRef.current && !calendarRef.current.contains(event.target)) {
-        setShowCalendar(false)
+    const fetchTips = async () => {
+      try {
+        setLoading(true)
+        const response = await deliveryAPI.getTipsStatement({
+          startDate: toDateParam(weekRange.start),
+          endDate: toDateParam(weekRange.end)
+        })
+        const data = response?.data?.data
+        setTips(data?.tips || [])
+        setSummary(data?.summary || null)
+      } catch (error) {
+        console.error("Error loading tips statement:", error)
+        setTips([])
+        setSummary(null)
+      } finally {
+        setLoading(false)
       }
     }
-    
-    if (showCalendar) {
-      document.addEventListener('mousedown', handleClickOutside)
-    }
-    
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside)
-    }
-  }, [showCalendar])
-  
-  // Fetch tips data based on selected date range (mock function - replace with actual API call)
-  const getTipsDataForDateRange = (start, end) => {
-    // This would be an API call in a real application
-    // For now, return empty array
-    return []
-  }
-  
-  // Get tips data for current selected date range
-  const tips = useMemo(() => {
-    if (!startDate || !endDate) return []
-    return getTipsDataForDateRange(startDate, endDate)
-  }, [startDate, endDate])
+
+    fetchTips()
+  }, [weekRange])
+
+  const formatTipDate = (date) =>
+    new Date(date).toLocaleString("en-IN", {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit"
+    })
   
   return (
     <div className="min-h-screen bg-white overflow-x-hidden pb-24 md:pb-6">
@@ -88,11 +82,33 @@ export default function TipsStatement() {
 
       {/* Main Content */}
       <div className="px-4 py-6">
-        {/* Date Range Selector with Calendar */}
-          <WeekSelector />
+        {/* Week Selector */}
+        <div className="mb-6">
+          <WeekSelector
+            onChange={(range) => setWeekRange(range)}
+            weekStartsOn={0}
+          />
+        </div>
+
+        {summary && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100 mb-6">
+            <div className="flex justify-between items-center">
+              <span className="text-gray-600 text-sm">Tips this week ({summary.tipsCount})</span>
+              <span className="text-gray-900 text-sm font-semibold">{formatCurrency(summary.totalTips)}</span>
+            </div>
+            <div className="flex justify-between items-center mt-2">
+              <span className="text-gray-600 text-sm">All-time tips</span>
+              <span className="text-gray-900 text-sm font-semibold">{formatCurrency(summary.lifetimeTips)}</span>
+            </div>
+          </div>
+        )}
 
         {/* Transactions List */}
-        {tips.length === 0 ? (
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : tips.length === 0 ? (
           <div className="flex flex-col items-center justify-center py-12">
             {/* Empty State Illustration */}
             <div className="flex flex-col gap-2 mb-6">
@@ -130,7 +146,7 @@ export default function TipsStatement() {
           <div className="space-y-3 mb-6">
             {tips.map((tip, index) => (
               <div
-                key={index}
+                key={tip.id || index}
                 className="bg-white rounded-xl p-4 shadow-md border border-gray-100"
               >
                 <div className="flex items-center justify-between">
@@ -140,8 +156,12 @@ export default function TipsStatement() {
                       index % 3 === 1 ? 'bg-orange-500' : 'bg-blue-500'
                     }`}></div>
                     <div>
-                      <p className="text-gray-900 text-sm font-medium">{tip.description}</p>
-                      <p className="text-gray-500 text-xs">{tip.date}</p>
+                      <p className="text-gray-900 text-sm font-medium">
+                        {tip.orderNumber ? `Tip for order #${tip.orderNumber}` : tip.description}
+                      </p>
+                      <p className="text-gray-500 text-xs">
+                        {formatTipDate(tip.date)}{tip.restaurantName ? ` • ${tip.restaurantName}` : ""}
+                      </p>
                     </div>
                   </div>
                   <div className="text-green-600 text-sm font-medium">
@@ -1,12 +1,15 @@
 /**
  * Gig Booking State Management using Zustand
- * Manages gig slots, bookings, user level, and online status
+ * Manages slot selection, bookings, user level, and online status.
+ * Bookings and level come from the server (/delivery/gigs); the server also
+ * decides whether the rider may go online in zones that require a booking.
  */
 
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import { deliveryAPI } from '@/lib/api'
 
-// User level configuration
+// User level configuration (days is a fallback until the server level is loaded)
 export const USER_LEVELS = {
   Blue: { days: 1, color: '#3b82f6', icon: '💙' },
   Brown: { days: 2, color: '#92400e', icon: '🤎' },
@@ -18,25 +21,14 @@ export const USER_LEVELS = {
 const DEFAULT_STATE = {
   selectedSlots: [],
   bookedGigs: [],
-  userLevel: 'Brown', // Default level
+  userLevel: 'Blue', // Default level
+  levelInfo: null, // { level, rules, stats, nextLevel } from the server
   isOnline: true,
   currentGig: null, // Currently active gig
   zoneMapVisible: false,
   selectedDropLocation: null // Selected drop location
 }
 
-/**
- * Get user level from localStorage or return default
- */
-const getUserLevel = () => {
-  try {
-    const level = localStorage.getItem('delivery_user_level')
-    return level || DEFAULT_STATE.userLevel
-  } catch {
-    return DEFAULT_STATE.userLevel
-  }
-}
-
 /**
  * Get selected drop location from localStorage or return null
  */
@@ -48,6 +40,44 @@ const getSelectedDropLocation = () => {
   }
 }
 
+/**
+ * Map a server booking to the gig shape used by the delivery pages
+ */
+const toGig = (booking) => ({
+  id: booking.id,
+  slotId: booking.slotId,
+  date: booking.date,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  startsAt: booking.startsAt,
+  endsAt: booking.endsAt,
+  totalHours: booking.totalHours,
+  slots: [{
+    date: booking.date,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    duration: booking.totalHours
+  }],
+  status: booking.status,
+  zoneName: booking.zoneName,
+  canCancel: booking.canCancel,
+  startedAt: booking.startedAt,
+  completedAt: booking.completedAt,
+  cancelledAt: booking.cancelledAt
+})
+
+/**
+ * Booking that covers the current time, if any
+ */
+const findCurrentGig = (gigs) => {
+  const now = Date.now()
+  return gigs.find(gig =>
+    ['booked', 'active'].includes(gig.status) &&
+    new Date(gig.startsAt).getTime() <= now &&
+    new Date(gig.endsAt).getTime() > now
+  ) || null
+}
+
 /**
  * Gig Store
  */
@@ -55,34 +85,38 @@ export const useGigStore = create(
   persist(
     (set, get) => ({
       ...DEFAULT_STATE,
-      userLevel: getUserLevel(),
       selectedDropLocation: getSelectedDropLocation(),
 
-      // Set user level
-      setUserLevel: (level) => {
-        localStorage.setItem('delivery_user_level', level)
-        set({ userLevel: level })
+      // Load level and bookings from the server
+      fetchGigs: async () => {
+        const [levelResponse, bookingsResponse] = await Promise.all([
+          deliveryAPI.getGigLevel(),
+          deliveryAPI.getGigBookings({ limit: 50 })
+        ])
+        const levelInfo = levelResponse?.data?.data || null
+        const bookedGigs = (bookingsResponse?.data?.data?.bookings || []).map(toGig)
+
+        set(state => ({
+          levelInfo,
+          userLevel: levelInfo?.level || state.userLevel,
+          bookedGigs,
+          currentGig: state.isOnline ? findCurrentGig(bookedGigs) : null
+        }))
         window.dispatchEvent(new CustomEvent('gigStateUpdated'))
+        return bookedGigs
       },
 
       // Toggle slot selection
       toggleSlot: (slot) => {
         const { selectedSlots } = get()
-        const slotId = `${slot.date}-${slot.startTime}-${slot.endTime}`
-        
+
         // Check if slot is already selected
-        const isSelected = selectedSlots.some(s => 
-          s.date === slot.date && 
-          s.startTime === slot.startTime && 
-          s.endTime === slot.endTime
-        )
+        const isSelected = selectedSlots.some(s => s.id === slot.id)
 
         if (isSelected) {
           // Remove slot
           set({
-            selectedSlots: selectedSlots.filter(s => 
-              !(s.date === slot.date && s.startTime === slot.startTime && s.endTime === slot.endTime)
-            )
+            selectedSlots: selectedSlots.filter(s => s.id !== slot.id)
           })
         } else {
           // Add slot and validate consecutiveness
@@ -99,89 +133,35 @@ export const useGigStore = create(
         window.dispatchEvent(new CustomEvent('gigStateUpdated'))
       },
 
-      // Book gig (save selected slots as booked)
-      bookGig: () => {
-        const { selectedSlots, userLevel } = get()
+      // Book the selected slots; throws with the server message when booking fails
+      bookGig: async () => {
+        const { selectedSlots, fetchGigs } = get()
         if (selectedSlots.length === 0) return false
 
-        // Group slots by date
-        const slotsByDate = {}
-        selectedSlots.forEach(slot => {
-          if (!slotsByDate[slot.date]) {
-            slotsByDate[slot.date] = []
-          }
-          slotsByDate[slot.date].push(slot)
-        })
-
-        // Create gig entries for each date
-        const newGigs = Object.entries(slotsByDate).map(([date, slots]) => {
-          // Sort slots by time
-          const sortedSlots = slots.sort((a, b) => 
-            a.startTime.localeCompare(b.startTime)
-          )
-          
-          const startTime = sortedSlots[0].startTime
-          const endTime = sortedSlots[sortedSlots.length - 1].endTime
-          const totalHours = calculateTotalHours(slots)
-
-          return {
-            id: `gig-${date}-${Date.now()}`,
-            date,
-            slots: sortedSlots,
-            startTime,
-            endTime,
-            totalHours,
-            status: 'booked',
-            bookedAt: new Date().toISOString(),
-            userLevel
-          }
-        })
-
-        set(state => ({
-          bookedGigs: [...state.bookedGigs, ...newGigs],
-          selectedSlots: [],
-          currentGig: newGigs[0] // Set first gig as current
-        }))
+        await deliveryAPI.bookGigSlots(selectedSlots.map(slot => slot.id))
+        set({ selectedSlots: [] })
+        await fetchGigs()
 
-        window.dispatchEvent(new CustomEvent('gigStateUpdated'))
         window.dispatchEvent(new CustomEvent('gigBooked'))
         return true
       },
 
-      // Go online (activate current gig)
-      goOnline: () => {
-        const { currentGig, bookedGigs } = get()
-        
-        // If no current gig, find the next upcoming gig
-        let gigToActivate = currentGig
-        if (!gigToActivate && bookedGigs.length > 0) {
-          const now = new Date()
-          const upcomingGig = bookedGigs
-            .filter(gig => {
-              const gigDate = new Date(gig.date)
-              gigDate.setHours(0, 0, 0, 0)
-              return gigDate >= now && gig.status === 'booked'
-            })
-            .sort((a, b) => new Date(a.date) - new Date(b.date))[0]
-          
-          if (upcomingGig) {
-            gigToActivate = upcomingGig
-          }
-        }
-
-        if (!gigToActivate) return false
+      // Cancel an upcoming booking; throws with the server message when it is too late
+      cancelGig: async (gigId, reason = '') => {
+        await deliveryAPI.cancelGigBooking(gigId, reason)
+        await get().fetchGigs()
+      },
 
-        // Update gig status to active
-        const updatedGigs = bookedGigs.map(gig => 
-          gig.id === gigToActivate.id 
-            ? { ...gig, status: 'active', startedAt: new Date().toISOString() }
-            : gig
-        )
+      // Go online (the current booking, if any, becomes the active gig)
+      goOnline: () => {
+        const { bookedGigs } = get()
+        const gigToActivate = findCurrentGig(bookedGigs)
 
         set({
           isOnline: true,
-          bookedGigs: updatedGigs,
-          currentGig: { ...gigToActivate, status: 'active', startedAt: new Date().toISOString() },
+          currentGig: gigToActivate
+            ? { ...gigToActivate, status: 'active', startedAt: gigToActivate.startedAt || new Date().toISOString() }
+            : null,
           zoneMapVisible: true
         })
 
@@ -191,23 +171,10 @@ export const useGigStore = create(
         return true
       },
 
-      // Go offline
+      // Go offline (bookings are closed by the server when the slot ends)
       goOffline: () => {
-        const { currentGig, bookedGigs } = get()
-        
-        // Update current gig status to completed if active
-        let updatedGigs = bookedGigs
-        if (currentGig && currentGig.status === 'active') {
-          updatedGigs = bookedGigs.map(gig => 
-            gig.id === currentGig.id 
-              ? { ...gig, status: 'completed', completedAt: new Date().toISOString() }
-              : gig
-          )
-        }
-
         set({
           isOnline: false,
-          bookedGigs: updatedGigs,
           currentGig: null,
           zoneMapVisible: false
         })
@@ -230,26 +197,26 @@ export const useGigStore = create(
 
       // Get available advance days based on user level
       getAdvanceDays: () => {
-        const { userLevel } = get()
-        return USER_LEVELS[userLevel]?.days || 1
+        const { userLevel, levelInfo } = get()
+        return levelInfo?.rules?.advanceDays || USER_LEVELS[userLevel]?.days || 1
       },
 
       // Check if slot is booked
       isSlotBooked: (slot) => {
         const { bookedGigs } = get()
-        return bookedGigs.some(gig => 
-          gig.date === slot.date &&
-          gig.slots.some(s => 
-            s.startTime === slot.startTime && s.endTime === slot.endTime
-          )
+        return bookedGigs.some(gig =>
+          ['booked', 'active'].includes(gig.status) &&
+          (gig.slotId === slot.id ||
+            (gig.date === slot.date && gig.startTime === slot.startTime && gig.endTime === slot.endTime))
         )
       },
 
       // Get booked slots for a date
       getBookedSlotsForDate: (date) => {
         const { bookedGigs } = get()
-        const gig = bookedGigs.find(g => g.date === date)
-        return gig ? gig.slots : []
+        return bookedGigs
+          .filter(g => g.date === date && ['booked', 'active'].includes(g.status))
+          .flatMap(g => g.slots)
       },
 
       // Set selected drop location
@@ -267,9 +234,18 @@ export const useGigStore = create(
     }),
     {
       name: 'delivery_gig_storage',
+      // v1: bookings are loaded from the server; drop locally created gigs
+      version: 1,
+      migrate: (persistedState) => ({
+        ...persistedState,
+        bookedGigs: [],
+        currentGig: null,
+        userLevel: DEFAULT_STATE.userLevel
+      }),
       partialize: (state) => ({
         bookedGigs: state.bookedGigs,
         userLevel: state.userLevel,
+        levelInfo: state.levelInfo,
         isOnline: state.isOnline,
         currentGig: state.currentGig,
         selectedDropLocation: state.selectedDropLocation
@@ -321,28 +297,6 @@ function validateConsecutiveSlots(slots) {
   return validatedSlots
 }
 
-/**
- * Calculate total hours from slots
- */
-function calculateTotalHours(slots) {
-  return slots.reduce((total, slot) => {
-    const start = parseTime(slot.startTime)
-    const end = parseTime(slot.endTime)
-    const hours = (end - start) / (1000 * 60 * 60)
-    return total + hours
-  }, 0)
-}
-
-/**
- * Parse time string to Date object (for calculation)
- */
-function parseTime(timeStr) {
-  const [hours, minutes] = timeStr.split(':').map(Number)
-  const date = new Date()
-  date.setHours(hours, minutes, 0, 0)
-  return date
-}
-
 /**
  * Initialize online status from localStorage
  */
@@ -6,33 +6,25 @@
 import { USER_LEVELS } from '../store/gigStore'
 
 /**
- * Generate available dates based on user level
- * @param {string} userLevel - User level (Blue, Brown, Silver, Diamond)
+ * Date options for the date picker
+ * @param {Array<string>} dateKeys - Bookable dates (YYYY-MM-DD) from the server, today first
  * @returns {Array} - Array of date objects
  */
-export const generateAvailableDates = (userLevel = 'Brown') => {
-  const days = USER_LEVELS[userLevel]?.days || 2
-  const dates = []
-  const today = new Date()
-  
-  for (let i = 0; i <= days; i++) {
-    const date = new Date(today)
-    date.setDate(today.getDate() + i)
-    date.setHours(0, 0, 0, 0)
-    
+export const toDateOptions = (dateKeys = []) => {
+  return dateKeys.map((dateKey, i) => {
+    const [year, month, day] = dateKey.split('-').map(Number)
+    const date = new Date(year, month - 1, day)
     const isToday = i === 0
     const isTomorrow = i === 1
-    
-    dates.push({
-      date: formatDateKey(date),
+
+    return {
+      date: dateKey,
       displayDate: formatDisplayDate(date, isToday, isTomorrow),
-      fullDate: new Date(date),
+      fullDate: date,
       isToday,
       isTomorrow
-    })
-  }
-  
-  return dates
+    }
+  })
 }
 
 /**
@@ -61,32 +53,6 @@ export const formatDisplayDate = (date, isToday = false, isTomorrow = false) =>
   return `${dayName} - ${day} ${month}`
 }
 
-/**
- * Generate time slots for a date
- * @param {string} dateKey - Date key (YYYY-MM-DD)
- * @returns {Array} - Array of time slot objects
- */
-export const generateTimeSlots = (dateKey) => {
-  // Standard time slots: 1-2 hour intervals
-  const slots = [
-    { start: '08:00', end: '10:00', duration: 2 },
-    { start: '10:00', end: '12:00', duration: 2 },
-    { start: '12:00', end: '14:00', duration: 2 },
-    { start: '14:00', end: '16:00', duration: 2 },
-    { start: '16:00', end: '18:00', duration: 2 },
-    { start: '18:00', end: '20:00', duration: 2 },
-    { start: '20:00', end: '22:00', duration: 2 }
-  ]
-
-  return slots.map(slot => ({
-    date: dateKey,
-    startTime: slot.start,
-    endTime: slot.end,
-    duration: slot.duration,
-    id: `${dateKey}-${slot.start}-${slot.end}`
-  }))
-}
-
 /**
  * Format time for display (e.g., "10:00" -> "10 AM")
  */
@@ -120,25 +86,6 @@ export const getTimeRangeString = (slots) => {
   return `${formatTimeDisplay(first.startTime)} - ${formatTimeDisplay(last.endTime)}`
 }
 
-/**
- * Check if a date is available (not in the past and within advance limit)
- */
-export const isDateAvailable = (dateKey, userLevel = 'Brown') => {
-  const date = new Date(dateKey)
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
-  
-  // Can't book past dates
-  if (date < today) return false
-  
-  // Check advance limit
-  const days = USER_LEVELS[userLevel]?.days || 2
-  const maxDate = new Date(today)
-  maxDate.setDate(today.getDate() + days)
-  
-  return date <= maxDate
-}
-
 /**
  * Get level badge color
  */
@@ -153,18 +100,6 @@ export const getLevelIcon = (level) => {
   return USER_LEVELS[level]?.icon || '💙'
 }
 
-/**
- * Check if slot is in the past
- */
-export const isSlotInPast = (slot) => {
-  const now = new Date()
-  const slotDate = new Date(slot.date)
-  const [hours, minutes] = slot.startTime.split(':').map(Number)
-  slotDate.setHours(hours, minutes, 0, 0)
-  
-  return slotDate < now
-}
-
 /**
  * Get gig status badge color
  */
@@ -178,6 +113,8 @@ export const getGigStatusColor = (status) => {
       return 'bg-gray-100 text-gray-800'
     case 'cancelled':
       return 'bg-red-100 text-red-800'
+    case 'no_show':
+      return 'bg-amber-100 text-amber-800'
     default:
       return 'bg-gray-100 text-gray-800'
   }
@@ -207,11 +144,12 @@ export const categorizeSlotsByMeal = (slots) => {
   slots.forEach(slot => {
     const startHour = parseInt(slot.startTime.split(':')[0])
     
-    if (startHour >= 6 && startHour < 11) {
+    // Slots outside the usual hours (admin-added) go to the nearest category
+    if (startHour < 11) {
       categories.breakfast.slots.push(slot)
-    } else if (startHour >= 11 && startHour < 15) {
+    } else if (startHour < 15) {
       categories.lunch.slots.push(slot)
-    } else if (startHour >= 15 && startHour < 22) {
+    } else {
       categories.dinner.slots.push(slot)
     }
   })
@@ -220,41 +158,6 @@ export const categorizeSlotsByMeal = (slots) => {
   return Object.values(categories).filter(cat => cat.slots.length > 0)
 }
 
-/**
- * Generate pay rate for a slot based on time and demand
- */
-export const generatePayRate = (slot) => {
-  const startHour = parseInt(slot.startTime.split(':')[0])
-  let baseMin = 70
-  let baseMax = 100
-
-  // Adjust based on time of day
-  if (startHour >= 6 && startHour < 11) {
-    // Breakfast: ₹70-₹100
-    baseMin = 70
-    baseMax = 100
-  } else if (startHour >= 11 && startHour < 15) {
-    // Lunch: ₹90-₹120
-    baseMin = 90
-    baseMax = 120
-  } else if (startHour >= 15 && startHour < 19) {
-    // Afternoon: ₹100-₹130
-    baseMin = 100
-    baseMax = 130
-  } else {
-    // Evening: ₹110-₹140
-    baseMin = 110
-    baseMax = 140
-  }
-
-  // Add variation based on duration
-  const durationBonus = (slot.duration - 2) * 5
-  return {
-    min: baseMin + durationBonus,
-    max: baseMax + durationBonus
-  }
-}
-
 /**
  * Get time range for a category
  */
@@ -1,5 +1,5 @@
 import { useNavigate, useLocation } from "react-router-dom"
-import { Home, FileText, User, Wallet } from "lucide-react"
+import { Home, FileText, User, Wallet, BedDouble } from "lucide-react"
 
 export default function BottomNavigation() {
   const navigate = useNavigate()
@@ -31,6 +31,14 @@ export default function BottomNavigation() {
           <FileText className="w-6 h-6" />
           <span className="text-xs">Orders</span>
         </button>
+        <button
+          onClick={() => navigate("/hotel/rooms")}
+          className={`flex flex-col items-center gap-1 p-2 transition-colors ${isActive("/hotel/rooms") ? "text-[#ff8100]" : "text-gray-600"
+            }`}
+        >
+          <BedDouble className="w-6 h-6" />
+          <span className="text-xs">Rooms</span>
+        </button>
         <button
           onClick={() => navigate("/hotel/wallet")}
           className={`flex flex-col items-center gap-1 p-2 transition-colors ${isActive("/hotel/wallet") ? "text-[#ff8100]" : "text-gray-600"
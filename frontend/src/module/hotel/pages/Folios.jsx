@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from "react"
+import { useNavigate } from "react-router-dom"
+import { toast } from "sonner"
+import { ArrowLeft, ChevronDown, ChevronUp, Download, FileText, Loader2, Receipt } from "lucide-react"
+import BottomNavigation from "../components/BottomNavigation"
+import { hotelAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
+
+const STATUS_TABS = [
+  { value: "open", label: "In stay" },
+  { value: "closed", label: "Checked out" },
+  { value: "settled", label: "Settled" },
+]
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "-"
+
+export default function Folios() {
+  const navigate = useNavigate()
+  const [status, setStatus] = useState("open")
+  const [loading, setLoading] = useState(true)
+  const [folios, setFolios] = useState([])
+  const [expandedId, setExpandedId] = useState(null)
+  const [statement, setStatement] = useState(null)
+  const [loadingStatement, setLoadingStatement] = useState(false)
+  const [actionId, setActionId] = useState(null)
+
+  const fetchFolios = useCallback(async () => {
+    try {
+      const response = await hotelAPI.getFolios({ status, limit: 50 })
+      if (response.data.success) {
+        setFolios(response.data.data.folios)
+      }
+    } catch (error) {
+      console.error("Error fetching folios:", error)
+      toast.error(error.response?.data?.message || "Failed to fetch folios")
+    } finally {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    fetchFolios()
+  }, [fetchFolios])
+
+  const handleTabChange = (value) => {
+    setStatus(value)
+    setLoading(true)
+    setExpandedId(null)
+    setStatement(null)
+  }
+
+  const toggleFolio = async (folio) => {
+    if (expandedId === folio._id) {
+      setExpandedId(null)
+      setStatement(null)
+      return
+    }
+
+    setExpandedId(folio._id)
+    setStatement(null)
+    try {
+      setLoadingStatement(true)
+      const response = await hotelAPI.getFolio(folio._id)
+      setStatement(response.data.data)
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load folio")
+    } finally {
+      setLoadingStatement(false)
+    }
+  }
+
+  const handleCheckout = async (folio) => {
+    const deactivateRoom = window.confirm(
+      `Check out room ${folio.roomNumber}?\n\nPress OK to also disable the room for new orders, or Cancel to keep it active.`,
+    )
+    try {
+      setActionId(folio._id)
+      const response = await hotelAPI.checkoutFolio(folio._id, deactivateRoom)
+      toast.success(
+        response.data.data.roomDeactivated
+          ? `${response.data.message}. Room disabled.`
+          : response.data.message,
+      )
+      fetchFolios()
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to check out")
+    } finally {
+      setActionId(null)
+    }
+  }
+
+  const handleSettle = async (folio) => {
+    if (!window.confirm(`Settle ₹${folio.totalAmount} for room ${folio.roomNumber}? All orders on this folio are marked paid and settled.`)) {
+      return
+    }
+    try {
+      setActionId(folio._id)
+      const response = await hotelAPI.settleFolio(folio._id)
+      toast.success(response.data.message)
+      fetchFolios()
+    } catch (error) {
+      const pending = error.response?.data?.data?.orders
+      toast.error(
+        pending?.length
+          ? `${error.response.data.message}: ${pending.map((order) => order.orderId).join(", ")}`
+          : error.response?.data?.message || "Failed to settle folio",
+      )
+    } finally {
+      setActionId(null)
+    }
+  }
+
+  const handleDownload = async (folio, format) => {
+    try {
+      setActionId(folio._id)
+      const response = await hotelAPI.downloadFolioStatement(folio._id, format)
+      downloadBlob(response.data, `${folio.folioNumber}-room-${folio.roomNumber}.${format}`)
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to download statement"))
+    } finally {
+      setActionId(null)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-24">
+      <div className="max-w-4xl mx-auto px-4 py-6">
+        {/* Header */}
+        <div className="flex items-center gap-3 mb-6">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-gray-200 rounded-full transition-colors"
+          >
+            <ArrowLeft className="h-5 w-5 text-gray-600" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <Receipt className="h-6 w-6 text-[#ff8100]" />
+              Guest Folios
+            </h1>
+            <p className="text-sm text-gray-500">
+              Pay at Hotel orders are charged to the room. Check out, print the statement and settle once per stay.
+            </p>
+          </div>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex gap-2 mb-4">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => handleTabChange(tab.value)}
+              className={`px-4 py-2 rounded-full text-sm font-medium ${status === tab.value
+                ? "bg-[#ff8100] text-white"
+                : "bg-white text-gray-600 border border-gray-200"
+                }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin text-[#ff8100]" />
+          </div>
+        ) : folios.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center text-sm text-gray-500">
+            No folios here yet.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {folios.map((folio) => (
+              <div key={folio._id} className="bg-white rounded-lg shadow-sm">
+                <div className="flex items-center justify-between p-4">
+                  <button onClick={() => toggleFolio(folio)} className="flex items-center gap-3 text-left">
+                    {expandedId === folio._id ? (
+                      <ChevronUp className="h-4 w-4 text-gray-400" />
+                    ) : (
+                      <ChevronDown className="h-4 w-4 text-gray-400" />
+                    )}
+                    <div>
+                      <p className="font-semibold text-gray-900">Room {folio.roomNumber}</p>
+                      <p className="text-xs text-gray-500">
+                        {folio.folioNumber} · {folio.orderCount} order(s) · since {formatDateTime(folio.openedAt)}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="text-right">
+                    <p className="font-bold text-gray-900">₹{folio.totalAmount}</p>
+                    {folio.status !== "settled" && folio.outstandingAmount > 0 && (
+                      <p className="text-xs text-orange-600">₹{folio.outstandingAmount} to room bill</p>
+                    )}
+                    {folio.status === "settled" && (
+                      <p className="text-xs text-green-600">Settled {formatDateTime(folio.settledAt)}</p>
+                    )}
+                  </div>
+                </div>
+
+                {expandedId === folio._id && (
+                  <div className="border-t border-gray-100 p-4">
+                    {loadingStatement || !statement ? (
+                      <Loader2 className="h-5 w-5 animate-spin text-[#ff8100]" />
+                    ) : (
+                      <div className="space-y-2 mb-4">
+                        {statement.orders.map((order) => (
+                          <div key={order._id} className="flex justify-between text-sm">
+                            <div>
+                              <p className="font-medium text-gray-800">{order.orderId}</p>
+                              <p className="text-xs text-gray-500">
+                                {order.restaurantName} · {formatDateTime(order.createdAt)} · {order.status}
+                              </p>
+                            </div>
+                            <p className="text-gray-900">₹{order.pricing?.total || 0}</p>
+                          </div>
+                        ))}
+                        {statement.cancelledOrders.length > 0 && (
+                          <p className="text-xs text-gray-400">
+                            Not charged (cancelled): {statement.cancelledOrders.map((order) => order.orderId).join(", ")}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => handleDownload(folio, "pdf")}
+                        disabled={actionId === folio._id}
+                        className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-60"
+                      >
+                        <Download className="h-4 w-4" />
+                        Statement PDF
+                      </button>
+                      <button
+                        onClick={() => handleDownload(folio, "csv")}
+                        disabled={actionId === folio._id}
+                        className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-60"
+                      >
+                        <FileText className="h-4 w-4" />
+                        CSV
+                      </button>
+                      {folio.status === "open" && (
+                        <button
+                          onClick={() => handleCheckout(folio)}
+                          disabled={actionId === folio._id}
+                          className="px-3 py-2 text-sm font-medium text-white bg-[#ff8100] rounded-lg disabled:opacity-60"
+                        >
+                          Check out
+                        </button>
+                      )}
+                      {folio.status === "closed" && (
+                        <button
+                          onClick={() => handleSettle(folio)}
+                          disabled={actionId === folio._id}
+                          className="px-3 py-2 text-sm font-medium text-white bg-green-600 rounded-lg disabled:opacity-60"
+                        >
+                          Settle folio
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <BottomNavigation />
+    </div>
+  )
+}
@@ -0,0 +1,324 @@
+import { useState, useEffect, useCallback } from "react"
+import { useNavigate } from "react-router-dom"
+import { toast } from "sonner"
+import { ArrowLeft, BedDouble, Download, Loader2, Plus, Trash2 } from "lucide-react"
+import BottomNavigation from "../components/BottomNavigation"
+import { hotelAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
+
+const EMPTY_RANGE = { floor: "", from: "", to: "", prefix: "" }
+
+export default function Rooms() {
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(true)
+  const [rooms, setRooms] = useState([])
+  const [floors, setFloors] = useState([])
+  const [summary, setSummary] = useState({ total: 0, active: 0, inactive: 0 })
+  const [floorFilter, setFloorFilter] = useState("")
+  const [statusFilter, setStatusFilter] = useState("")
+  const [range, setRange] = useState(EMPTY_RANGE)
+  const [adding, setAdding] = useState(false)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [downloading, setDownloading] = useState(null)
+
+  const fetchRooms = useCallback(async () => {
+    try {
+      const params = {}
+      if (floorFilter) params.floor = floorFilter
+      if (statusFilter) params.status = statusFilter
+
+      const response = await hotelAPI.getRooms(params)
+      if (response.data.success) {
+        setRooms(response.data.data.rooms)
+        setFloors(response.data.data.floors)
+        setSummary(response.data.data.summary)
+      }
+    } catch (error) {
+      console.error("Error fetching rooms:", error)
+      toast.error(error.response?.data?.message || "Failed to fetch rooms")
+    } finally {
+      setLoading(false)
+    }
+  }, [floorFilter, statusFilter])
+
+  useEffect(() => {
+    fetchRooms()
+  }, [fetchRooms])
+
+  const handleAddRooms = async (e) => {
+    e.preventDefault()
+    if (range.from === "" || range.to === "") {
+      toast.error("Enter the first and last room number")
+      return
+    }
+
+    try {
+      setAdding(true)
+      const response = await hotelAPI.createRooms({
+        floor: range.floor,
+        prefix: range.prefix,
+        from: Number(range.from),
+        to: Number(range.to),
+      })
+      toast.success(response.data.message)
+      setRange(EMPTY_RANGE)
+      fetchRooms()
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to add rooms")
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleToggleRoom = async (room) => {
+    try {
+      setUpdatingId(room._id)
+      await hotelAPI.updateRoom(room._id, { isActive: !room.isActive })
+      toast.success(`Room ${room.roomNumber} ${room.isActive ? "disabled" : "enabled"}`)
+      fetchRooms()
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update room")
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleFloorStatus = async (isActive) => {
+    try {
+      const response = await hotelAPI.updateRoomsStatus({ floor: floorFilter, isActive })
+      toast.success(response.data.message)
+      fetchRooms()
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update rooms")
+    }
+  }
+
+  const handleDeleteRoom = async (room) => {
+    if (!window.confirm(`Delete room ${room.roomNumber}? Its printed QR code will stop working.`)) {
+      return
+    }
+    try {
+      setUpdatingId(room._id)
+      await hotelAPI.deleteRoom(room._id)
+      toast.success(`Room ${room.roomNumber} deleted`)
+      fetchRooms()
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to delete room")
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleDownload = async (mode) => {
+    try {
+      setDownloading(mode)
+      const params = { mode }
+      if (floorFilter) params.floor = floorFilter
+      const response = await hotelAPI.downloadRoomQRPdf(params)
+      downloadBlob(response.data, `${mode}-qr-codes${floorFilter ? `-floor-${floorFilter}` : ""}.pdf`)
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to generate QR codes"))
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="h-12 w-12 animate-spin text-[#ff8100]" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-24">
+      <div className="max-w-4xl mx-auto px-4 py-6">
+        {/* Header */}
+        <div className="flex items-center gap-3 mb-6">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-gray-200 rounded-full transition-colors"
+          >
+            <ArrowLeft className="h-5 w-5 text-gray-600" />
+          </button>
+          <div className="flex-1">
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <BedDouble className="h-6 w-6 text-[#ff8100]" />
+              Rooms
+            </h1>
+            <p className="text-sm text-gray-500">
+              Guests can only order from active rooms. Disable a room when the guest checks out.
+            </p>
+          </div>
+          <button
+            onClick={() => navigate("/hotel/folios")}
+            className="px-3 py-2 text-sm font-medium text-[#ff8100] border border-[#ff8100] rounded-lg"
+          >
+            Guest folios
+          </button>
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-3 gap-3 mb-6">
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-xs text-gray-500">Total</p>
+            <p className="text-xl font-bold text-gray-900">{summary.total}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-xs text-gray-500">Active</p>
+            <p className="text-xl font-bold text-green-600">{summary.active}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-xs text-gray-500">Disabled</p>
+            <p className="text-xl font-bold text-gray-500">{summary.inactive}</p>
+          </div>
+        </div>
+
+        {/* Add rooms */}
+        <form onSubmit={handleAddRooms} className="bg-white rounded-lg shadow-sm p-4 mb-6">
+          <h2 className="text-sm font-semibold text-gray-900 mb-3">Add rooms</h2>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <input
+              type="text"
+              value={range.floor}
+              onChange={(e) => setRange({ ...range, floor: e.target.value })}
+              placeholder="Floor (e.g. 1)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={range.prefix}
+              onChange={(e) => setRange({ ...range, prefix: e.target.value })}
+              placeholder="Prefix (optional)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="number"
+              min="0"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+              placeholder="From (e.g. 101)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="number"
+              min="0"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+              placeholder="To (e.g. 120)"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={adding}
+            className="mt-3 inline-flex items-center gap-2 px-4 py-2 bg-[#ff8100] text-white rounded-lg text-sm font-medium disabled:opacity-60"
+          >
+            {adding ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            Add rooms
+          </button>
+        </form>
+
+        {/* Filters and actions */}
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <select
+            value={floorFilter}
+            onChange={(e) => setFloorFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">All floors</option>
+            {floors.filter(Boolean).map((floor) => (
+              <option key={floor} value={floor}>Floor {floor}</option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">All rooms</option>
+            <option value="active">Active</option>
+            <option value="inactive">Disabled</option>
+          </select>
+          <button
+            onClick={() => handleDownload("room")}
+            disabled={downloading !== null || rooms.length === 0}
+            className="inline-flex items-center gap-2 px-3 py-2 border border-gray-300 bg-white rounded-lg text-sm disabled:opacity-60"
+          >
+            {downloading === "room" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            Room QR PDF
+          </button>
+          <button
+            onClick={() => handleDownload("floor")}
+            disabled={downloading !== null || rooms.length === 0}
+            className="inline-flex items-center gap-2 px-3 py-2 border border-gray-300 bg-white rounded-lg text-sm disabled:opacity-60"
+          >
+            {downloading === "floor" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            Floor QR PDF
+          </button>
+          {floorFilter && (
+            <>
+              <button
+                onClick={() => handleFloorStatus(true)}
+                className="px-3 py-2 text-sm text-green-700 bg-green-50 rounded-lg"
+              >
+                Enable floor
+              </button>
+              <button
+                onClick={() => handleFloorStatus(false)}
+                className="px-3 py-2 text-sm text-red-700 bg-red-50 rounded-lg"
+              >
+                Disable floor
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Room list */}
+        {rooms.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm p-8 text-center text-sm text-gray-500">
+            No rooms yet. Add rooms above to generate room QR codes.
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+            {rooms.map((room) => (
+              <div key={room._id} className="flex items-center justify-between px-4 py-3">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    Room {room.roomNumber}
+                    {room.label && <span className="ml-2 text-xs font-normal text-gray-500">{room.label}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {room.floor ? `Floor ${room.floor}` : "No floor"}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => handleToggleRoom(room)}
+                    disabled={updatingId === room._id}
+                    className={`px-3 py-1 rounded-full text-xs font-medium disabled:opacity-60 ${room.isActive
+                      ? "bg-green-100 text-green-700"
+                      : "bg-gray-100 text-gray-600"
+                      }`}
+                  >
+                    {room.isActive ? "Active" : "Disabled"}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteRoom(room)}
+                    disabled={updatingId === room._id}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <BottomNavigation />
+    </div>
+  )
+}
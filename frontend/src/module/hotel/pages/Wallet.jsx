@@ -245,6 +245,8 @@ export default function HotelWallet() {
                         >
                           {t.type === "cash_collection"
                             ? "Cash Collection"
+                            : t.type === "folio_settlement"
+                            ? "Folio Settlement"
                             : t.type.charAt(0).toUpperCase() + t.type.slice(1)}
                         </span>
                         <span className="text-[11px] text-gray-500">
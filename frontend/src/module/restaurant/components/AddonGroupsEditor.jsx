@@ -0,0 +1,308 @@
+import { useEffect, useState } from "react"
+import { Loader2, Plus, Trash2, X } from "lucide-react"
+import { toast } from "sonner"
+import { Switch } from "@/components/ui/switch"
+import { restaurantAPI } from "@/lib/api"
+
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+const emptyOption = () => ({ id: newId("opt"), addonId: null, name: "", price: 0, isAvailable: true })
+
+const emptyGroup = () => ({
+  id: newId("addon-group"),
+  name: "",
+  isRequired: false,
+  minSelections: 0,
+  maxSelections: 1,
+  allowQuantity: false,
+  options: [emptyOption()],
+})
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+
+/**
+ * Add-on groups of a saved menu item (e.g. "Choose your base", "Extra toppings").
+ * Loaded and saved on their own through the item's add-on groups endpoint, so
+ * saving the item itself leaves them untouched. Options can be typed in or
+ * picked from the restaurant's add-on list; picked ones follow its name/price.
+ *
+ * @param {string} itemId - Menu item id; the editor is hidden until the item is saved
+ */
+export default function AddonGroupsEditor({ itemId }) {
+  const [groups, setGroups] = useState([])
+  const [catalogue, setCatalogue] = useState([])
+  const [allowSpecialInstructions, setAllowSpecialInstructions] = useState(true)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!itemId) return
+    let cancelled = false
+
+    const fetchGroups = async () => {
+      try {
+        const response = await restaurantAPI.getItemAddonGroups(itemId)
+        const data = response?.data?.data
+        if (cancelled || !data) return
+        setGroups(data.addonGroups || [])
+        setCatalogue(data.addons || [])
+        setAllowSpecialInstructions(data.allowSpecialInstructions !== false)
+      } catch (error) {
+        if (!cancelled) {
+          console.error("Error loading add-on groups:", error)
+          toast.error(error.response?.data?.message || "Failed to load add-on groups")
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchGroups()
+    return () => {
+      cancelled = true
+    }
+  }, [itemId])
+
+  const updateGroup = (groupId, changes) => {
+    setGroups((current) => current.map((group) => (group.id === groupId ? { ...group, ...changes } : group)))
+  }
+
+  const updateOption = (groupId, optionId, changes) => {
+    setGroups((current) =>
+      current.map((group) =>
+        group.id === groupId
+          ? { ...group, options: group.options.map((option) => (option.id === optionId ? { ...option, ...changes } : option)) }
+          : group
+      )
+    )
+  }
+
+  const handleRequiredToggle = (group, isRequired) => {
+    updateGroup(group.id, {
+      isRequired,
+      minSelections: isRequired ? Math.max(1, Number(group.minSelections) || 0) : 0,
+    })
+  }
+
+  const handleCatalogueSelect = (groupId, optionId, addonId) => {
+    const addon = catalogue.find((entry) => String(entry.id) === addonId)
+    updateOption(groupId, optionId, addon
+      ? { addonId: String(addon.id), name: addon.name, price: addon.price }
+      : { addonId: null })
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      const response = await restaurantAPI.updateItemAddonGroups(itemId, groups, allowSpecialInstructions)
+      const data = response?.data?.data
+      if (data) {
+        setGroups(data.addonGroups || [])
+        setAllowSpecialInstructions(data.allowSpecialInstructions !== false)
+      }
+      toast.success("Add-on groups saved")
+    } catch (error) {
+      console.error("Error saving add-on groups:", error)
+      toast.error(error.response?.data?.message || "Failed to save add-on groups")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!itemId) {
+    return (
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+        <span className="text-sm font-medium text-gray-900">Add-on groups</span>
+        <p className="text-xs text-gray-500 mt-1">Save the item first to add choices and extras.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 p-4 text-sm text-gray-500">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Loading add-on groups...
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-900 mb-1">Add-on groups</label>
+      <p className="text-xs text-gray-500 mb-3">
+        Choices and extras customers pick when adding this item (e.g. size of base, extra toppings)
+      </p>
+
+      <div className="space-y-3">
+        {groups.map((group, index) => (
+          <div key={group.id} className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">Group {index + 1}</span>
+              <button
+                type="button"
+                onClick={() => setGroups((current) => current.filter((entry) => entry.id !== group.id))}
+                className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+                title="Remove group"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <input
+              type="text"
+              value={group.name}
+              onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+              placeholder="Group name, e.g. Extra toppings"
+              className={inputClass}
+            />
+
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-600">Customer must choose</span>
+              <Switch
+                checked={group.isRequired}
+                onCheckedChange={(checked) => handleRequiredToggle(group, checked)}
+                className="data-[state=unchecked]:bg-gray-300"
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Min choices</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={group.minSelections}
+                  onChange={(e) => updateGroup(group.id, { minSelections: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Max choices</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={group.maxSelections}
+                  onChange={(e) => updateGroup(group.id, { maxSelections: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-600">Allow picking an option more than once</span>
+              <Switch
+                checked={group.allowQuantity}
+                onCheckedChange={(checked) => updateGroup(group.id, { allowQuantity: checked })}
+                className="data-[state=unchecked]:bg-gray-300"
+              />
+            </div>
+
+            <div className="space-y-2">
+              {group.options.map((option) => (
+                <div key={option.id} className="p-3 border border-gray-200 rounded-lg bg-white space-y-2">
+                  {catalogue.length > 0 && (
+                    <select
+                      value={option.addonId || ""}
+                      onChange={(e) => handleCatalogueSelect(group.id, option.id, e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value="">Custom option</option>
+                      {catalogue.map((addon) => (
+                        <option key={addon.id} value={String(addon.id)}>
+                          {addon.name} (₹{addon.price}){addon.approvalStatus !== "approved" ? " - awaiting approval" : ""}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={option.name}
+                      disabled={!!option.addonId}
+                      onChange={(e) => updateOption(group.id, option.id, { name: e.target.value })}
+                      placeholder="Option name"
+                      className={`${inputClass} disabled:bg-gray-100`}
+                    />
+                    <div className="relative w-28 flex-shrink-0">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={option.price}
+                        disabled={!!option.addonId}
+                        onChange={(e) => updateOption(group.id, option.id, { price: parseFloat(e.target.value) || 0 })}
+                        className={`${inputClass} pl-6 disabled:bg-gray-100`}
+                      />
+                      <span className="absolute left-2 top-1/2 -translate-y-1/2 text-sm text-gray-600">₹</span>
+                    </div>
+                    {group.options.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          updateGroup(group.id, { options: group.options.filter((entry) => entry.id !== option.id) })
+                        }
+                        className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+                        title="Remove option"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Switch
+                      checked={option.isAvailable !== false}
+                      onCheckedChange={(checked) => updateOption(group.id, option.id, { isAvailable: checked })}
+                      className="data-[state=unchecked]:bg-gray-300"
+                    />
+                    <span className="text-xs text-gray-600">Available</span>
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => updateGroup(group.id, { options: [...group.options, emptyOption()] })}
+                className="flex items-center gap-1 text-sm text-blue-600 font-medium"
+              >
+                <Plus className="w-4 h-4" />
+                Add option
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={() => setGroups((current) => [...current, emptyGroup()])}
+          className="w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors flex items-center justify-center gap-2 text-gray-600 hover:text-blue-600"
+        >
+          <Plus className="w-4 h-4" />
+          Add Add-on Group
+        </button>
+
+        <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg bg-gray-50">
+          <div>
+            <span className="text-sm font-medium text-gray-900">Special instructions</span>
+            <p className="text-xs text-gray-500 mt-1">Let customers add a note for this item</p>
+          </div>
+          <Switch
+            checked={allowSpecialInstructions}
+            onCheckedChange={setAllowSpecialInstructions}
+            className="data-[state=unchecked]:bg-gray-300"
+          />
+        </div>
+
+        <button
+          type="button"
+          disabled={saving}
+          onClick={handleSave}
+          className="w-full px-4 py-3 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 transition-colors disabled:opacity-60 flex items-center justify-center gap-2"
+        >
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          {saving ? "Saving..." : "Save Add-on Groups"}
+        </button>
+      </div>
+    </div>
+  )
+}
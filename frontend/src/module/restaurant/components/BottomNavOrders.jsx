@@ -12,6 +12,8 @@ import {
   ArrowRightLeft,
   Building2
 } from "lucide-react"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
+import { canAccessRestaurantPath } from "../utils/restaurantRole"
 
 const ordersTabs = [
   { id: "orders", label: "Orders", icon: FileText, route: "/restaurant" },
@@ -41,6 +43,7 @@ export default function BottomNavOrders() {
   const [transitionPhase, setTransitionPhase] = useState('idle') // 'idle', 'entering', 'exiting'
   const [transitionDirection, setTransitionDirection] = useState('right')
   const prevIsHubModeRef = useRef(null)
+  const role = useRestaurantRole()
 
   // Hide on internal pages (create-offers flow)
   const isInternalPage = pathname.includes("/create-offers")
@@ -53,7 +56,7 @@ export default function BottomNavOrders() {
     return pathname.startsWith("/restaurant/hub") || pathname.startsWith("/restaurant/to-hub")
   }, [pathname])
 
-  const tabs = isHubMode ? hubTabs : ordersTabs
+  const tabs = (isHubMode ? hubTabs : ordersTabs).filter(tab => canAccessRestaurantPath(tab.route, role))
 
   const activeTab = useMemo(() => {
     const match = findActiveTab(tabs, pathname)
@@ -1,9 +1,12 @@
 import { useNavigate, useLocation } from "react-router-dom"
 import { Home, ShoppingBag, Store, Wallet, Menu } from "lucide-react"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
 
 export default function BottomNavbar({ onMenuClick }) {
   const navigate = useNavigate()
   const location = useLocation()
+  // Restaurant details and wallet are owner-only pages
+  const isOwner = useRestaurantRole() === "owner"
 
   const isActive = (path) => {
     if (path === "/restaurant") {
@@ -31,34 +34,38 @@ export default function BottomNavbar({ onMenuClick }) {
         >
           <ShoppingBag className="w-6 h-6" />
         </button>
-        <button
-          onClick={() => navigate("/restaurant/details")}
-          className={`flex flex-col items-center gap-1 p-2 -mt-8 transition-colors ${
-            isActive("/restaurant/details") ? "text-[#ff8100]" : "text-gray-600"
-          }`}
-        >
-          <div
-            className={`rounded-full p-3 shadow-lg border-2 transition-colors ${
-              isActive("/restaurant/details")
-                ? "bg-[#ff8100] border-white"
-                : "bg-white border-gray-200"
+        {isOwner && (
+          <button
+            onClick={() => navigate("/restaurant/details")}
+            className={`flex flex-col items-center gap-1 p-2 -mt-8 transition-colors ${
+              isActive("/restaurant/details") ? "text-[#ff8100]" : "text-gray-600"
             }`}
           >
-            <Store
-              className={`w-6 h-6 ${
-                isActive("/restaurant/details") ? "text-white" : "text-gray-600"
+            <div
+              className={`rounded-full p-3 shadow-lg border-2 transition-colors ${
+                isActive("/restaurant/details")
+                  ? "bg-[#ff8100] border-white"
+                  : "bg-white border-gray-200"
               }`}
-            />
-          </div>
-        </button>
-        <button
-          onClick={() => navigate("/restaurant/wallet")}
-          className={`flex flex-col items-center gap-1 p-2 transition-colors ${
-            isActive("/restaurant/wallet") ? "text-[#ff8100]" : "text-gray-600"
-          }`}
-        >
-          <Wallet className="w-6 h-6" />
-        </button>
+            >
+              <Store
+                className={`w-6 h-6 ${
+                  isActive("/restaurant/details") ? "text-white" : "text-gray-600"
+                }`}
+              />
+            </div>
+          </button>
+        )}
+        {isOwner && (
+          <button
+            onClick={() => navigate("/restaurant/wallet")}
+            className={`flex flex-col items-center gap-1 p-2 transition-colors ${
+              isActive("/restaurant/wallet") ? "text-[#ff8100]" : "text-gray-600"
+            }`}
+          >
+            <Wallet className="w-6 h-6" />
+          </button>
+        )}
         <button
           type="button"
           onClick={(e) => {
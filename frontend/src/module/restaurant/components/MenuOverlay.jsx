@@ -21,9 +21,12 @@ import {
   UserPlus
 } from "lucide-react"
 import { clearModuleAuth } from "@/lib/utils/auth"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
+import { canAccessRestaurantPath } from "../utils/restaurantRole"
 
 export default function MenuOverlay({ showMenu, setShowMenu }) {
   const navigate = useNavigate()
+  const role = useRestaurantRole()
   const [isAuthenticated, setIsAuthenticated] = useState(() => {
     return localStorage.getItem("restaurant_authenticated") === "true"
   })
@@ -64,7 +67,7 @@ export default function MenuOverlay({ showMenu, setShowMenu }) {
       { id: 17, name: "Conversation", icon: MessageCircle, route: "/restaurant/conversation" },
       { id: 18, name: "Privacy Policy", icon: Shield, route: "/restaurant/privacy" },
       { id: 19, name: "Terms & Condition", icon: CheckSquare, route: "/restaurant/terms" },
-    ]
+    ].filter((option) => canAccessRestaurantPath(option.route, role))
 
     if (isAuthenticated) {
       // If authenticated, show logout at the end
@@ -0,0 +1,41 @@
+import { useTranslation } from "@/lib/i18n/useTranslation"
+import { DEFAULT_LANGUAGE } from "@/lib/i18n/languages"
+
+/**
+ * Optional item name per app language (the item name itself is the English one).
+ * Blank fields are dropped by the backend, so customers fall back to the item name.
+ */
+export default function NameTranslationsInput({ value = {}, onChange, maxLength }) {
+  const { t, languages } = useTranslation()
+
+  const handleChange = (code, text) => {
+    onChange({ ...value, [code]: text })
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-900 mb-1">
+        {t("restaurant.item.nameTranslations")}
+      </label>
+      <p className="text-xs text-gray-500 mb-2">{t("restaurant.item.nameTranslationsHint")}</p>
+      <div className="space-y-2">
+        {languages
+          .filter((language) => language.code !== DEFAULT_LANGUAGE)
+          .map((language) => (
+            <div key={language.code} className="flex items-center gap-3">
+              <span className="w-20 flex-shrink-0 text-xs text-gray-600">{language.nativeName}</span>
+              <input
+                type="text"
+                lang={language.code}
+                value={value[language.code] || ""}
+                onChange={(e) => handleChange(language.code, e.target.value)}
+                maxLength={maxLength}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder={language.name}
+              />
+            </div>
+          ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+import { useEffect } from "react"
+import { Navigate, useLocation } from "react-router-dom"
+import { useRestaurantRole } from "@/module/restaurant/hooks/useRestaurantRole"
+import { canAccessRestaurantPath, refreshRestaurantRole } from "@/module/restaurant/utils/restaurantRole"
+
+// The role is confirmed against /restaurant/auth/me once per page load
+let roleRefresh = null
+
+/**
+ * Sends manager and staff accounts back to the orders screen (/restaurant) when
+ * they open a page their role cannot use (finance, wallet, staff, profile, and
+ * for staff also menu and offers).
+ */
+export default function RestaurantRoleGuard({ children }) {
+  const location = useLocation()
+  const role = useRestaurantRole()
+
+  useEffect(() => {
+    if (!roleRefresh) {
+      roleRefresh = refreshRestaurantRole().catch(() => {
+        // Keep the role from the token; retry on the next page load
+        roleRefresh = null
+      })
+    }
+  }, [])
+
+  if (!canAccessRestaurantPath(location.pathname, role)) {
+    return <Navigate to="/restaurant" replace />
+  }
+
+  return children
+}
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 import { restaurantAPI } from '@/lib/api';
 import alertSound from '@/assets/audio/alert.mp3';
 
@@ -195,10 +196,9 @@ export const useRestaurantNotifications = () => {
       timeout: 20000,
       forceNew: false,
       autoConnect: true,
-      auth: {
-        token: localStorage.getItem('restaurant_accessToken') || localStorage.getItem('accessToken')
-      }
+      auth: socketAuth('restaurant')
     });
+    enableSocketTokenRefresh(socketRef.current, 'restaurant');
 
     socketRef.current.on('connect', () => {
       console.log('✅ Restaurant Socket connected, restaurantId:', restaurantId);
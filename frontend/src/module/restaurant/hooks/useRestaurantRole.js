@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { getRestaurantRole } from '@/module/restaurant/utils/restaurantRole';
+
+/**
+ * Hook for the signed-in restaurant account's panel role
+ * Re-renders when the role is refreshed from /restaurant/auth/me or the account changes
+ * @returns {string} - 'owner', 'manager' or 'staff'
+ */
+export const useRestaurantRole = () => {
+  const [role, setRole] = useState(getRestaurantRole);
+
+  useEffect(() => {
+    const syncRole = () => setRole(getRestaurantRole());
+
+    window.addEventListener('storage', syncRole);
+    window.addEventListener('restaurantAuthChanged', syncRole);
+
+    return () => {
+      window.removeEventListener('storage', syncRole);
+      window.removeEventListener('restaurantAuthChanged', syncRole);
+    };
+  }, []);
+
+  return role;
+};
+
+export default useRestaurantRole;
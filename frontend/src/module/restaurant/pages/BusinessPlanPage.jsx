@@ -7,13 +7,118 @@ import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import BottomNavbar from "../components/BottomNavbar"
 import MenuOverlay from "../components/MenuOverlay"
-import { formatCurrency, usdToInr } from "../utils/currency"
+import { formatCurrency } from "../utils/currency"
+import { subscriptionAPI } from "@/lib/api"
+import { initRazorpayPayment } from "@/lib/utils/razorpay"
+import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
+import { toast } from "sonner"
+
+const FEATURE_LABELS = {
+  pos: "POS",
+  mobileApp: "Mobile App",
+  review: "Review",
+  chat: "Chat",
+  selfDelivery: "Self Delivery",
+}
+
+// Plan card lines, e.g. "Max Order (200)", "POS"
+const getPlanFeatures = (pkg) => [
+  `Max Order (${pkg.maxOrders || "Unlimited"})`,
+  `Max Product (${pkg.maxProducts || "Unlimited"})`,
+  ...Object.entries(FEATURE_LABELS)
+    .filter(([key]) => pkg.features?.[key])
+    .map(([, label]) => label),
+]
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" }) : "-"
 
 export default function BusinessPlanPage() {
   const navigate = useNavigate()
   const [showMenu, setShowMenu] = useState(false)
   const [showPlans, setShowPlans] = useState(false)
-  const [selectedPlanId, setSelectedPlanId] = useState("basic")
+  const [selectedPlanId, setSelectedPlanId] = useState(null)
+  const [packages, setPackages] = useState([])
+  const [mySubscription, setMySubscription] = useState(null)
+  const [purchasing, setPurchasing] = useState(false)
+
+  const fetchSubscription = async () => {
+    try {
+      const [packagesResponse, myResponse] = await Promise.all([
+        subscriptionAPI.getAvailablePackages(),
+        subscriptionAPI.getMySubscription(),
+      ])
+      const availablePackages = packagesResponse?.data?.data?.packages || []
+      const mine = myResponse?.data?.data || null
+      setPackages(availablePackages)
+      setMySubscription(mine)
+      setSelectedPlanId((prev) => prev || mine?.current?.package || availablePackages[0]?._id || null)
+    } catch (error) {
+      console.error("Error fetching subscription plans:", error)
+      toast.error(error?.response?.data?.message || "Failed to load subscription plans")
+    }
+  }
+
+  useEffect(() => {
+    fetchSubscription()
+  }, [])
+
+  const handlePurchase = async (pkg) => {
+    if (purchasing) return
+    setPurchasing(true)
+    try {
+      const response = await subscriptionAPI.purchasePackage(pkg._id)
+      const { subscriptionId, razorpay } = response?.data?.data || {}
+      if (!razorpay?.orderId || !razorpay?.key) {
+        throw new Error("Payment gateway is not configured")
+      }
+
+      setShowPlans(false)
+      const companyName = await getCompanyNameAsync()
+
+      await initRazorpayPayment({
+        key: razorpay.key,
+        amount: razorpay.amount, // Already in paise from backend
+        currency: razorpay.currency || "INR",
+        order_id: razorpay.orderId,
+        name: companyName,
+        description: `${pkg.name} plan - ${pkg.durationDays} days`,
+        notes: {
+          type: "subscription",
+          packageId: pkg._id,
+        },
+        handler: async (paymentResponse) => {
+          try {
+            const verifyResponse = await subscriptionAPI.verifyPayment({
+              subscriptionId,
+              razorpayOrderId: paymentResponse.razorpay_order_id,
+              razorpayPaymentId: paymentResponse.razorpay_payment_id,
+              razorpaySignature: paymentResponse.razorpay_signature,
+            })
+            toast.success(verifyResponse?.data?.message || "Subscription activated")
+            await fetchSubscription()
+          } catch (error) {
+            console.error("Subscription payment verification error:", error)
+            toast.error(error?.response?.data?.message || "Payment verification failed. Please contact support.")
+          } finally {
+            setPurchasing(false)
+          }
+        },
+        onError: (error) => {
+          console.error("Razorpay payment error:", error)
+          toast.error(error?.description || "Payment failed. Please try again.")
+          setPurchasing(false)
+        },
+        onClose: () => {
+          setPurchasing(false)
+        },
+      })
+    } catch (error) {
+      console.error("Error starting subscription purchase:", error)
+      toast.error(error?.response?.data?.message || error.message || "Failed to start payment")
+      setPurchasing(false)
+    }
+  }
 
   // Lenis smooth scrolling for consistency
   useEffect(() => {
@@ -35,48 +140,40 @@ export default function BusinessPlanPage() {
     }
   }, [])
 
-  const plan = {
-    title: "Commission Base Plan",
-    rate: "10.0 %",
-    description:
-      "Restaurant will pay 10.0% commission to StackFood from each order. You will get access of all the features and options in restaurant panel , app and interaction with user.",
-  }
+  const current = mySubscription?.current
+  const upcoming = mySubscription?.upcoming
+  const plan = current
+    ? {
+        title: `${current.packageSnapshot?.name} Subscription Plan`,
+        rate: formatCurrency(current.packageSnapshot?.price),
+        description: `Valid till ${formatDate(current.expiresAt)}. Orders used: ${current.ordersUsed}${
+          current.packageSnapshot?.maxOrders ? ` / ${current.packageSnapshot.maxOrders}` : ""
+        }. No commission is charged on orders while the plan is active.${
+          upcoming ? ` Renewal (${upcoming.packageSnapshot?.name}) starts on ${formatDate(upcoming.startsAt)}.` : ""
+        }`,
+      }
+    : mySubscription?.isSubscriptionBased
+      ? {
+          title: "Subscription Expired",
+          rate: "Renew now",
+          description:
+            "Your subscription plan has expired and your restaurant is not receiving new orders. Choose a plan to continue receiving orders.",
+        }
+      : {
+          title: "Commission Base Plan",
+          rate: "10.0 %",
+          description:
+            "Restaurant will pay 10.0% commission to StackFood from each order. You will get access of all the features and options in restaurant panel , app and interaction with user.",
+        }
 
-  const plans = [
-    {
-      id: "starter",
-      name: "Starter",
-      price: formatCurrency(usdToInr(199.00)),
-      duration: "60 days",
-      features: ["Max Order (200)", "Max Product (15)", "POS", "Mobile App"],
-    },
-    {
-      id: "basic",
-      name: "Basic",
-      price: formatCurrency(usdToInr(399.00)),
-      duration: "120 days",
-      features: [
-        "Max Order (400)",
-        "Max Product (30)",
-        "POS",
-        "Mobile App",
-        "Review",
-      ],
-    },
-    {
-      id: "premium",
-      name: "Premium",
-      price: formatCurrency(usdToInr(699.00)),
-      duration: "180 days",
-      features: [
-        "Max Order (Unlimited)",
-        "Max Product (Unlimited)",
-        "POS",
-        "Mobile App",
-        "Review",
-      ],
-    },
-  ]
+  const plans = packages.map((pkg) => ({
+    id: pkg._id,
+    name: pkg.name,
+    price: formatCurrency(pkg.price),
+    duration: `${pkg.durationDays} days`,
+    features: getPlanFeatures(pkg),
+    pkg,
+  }))
 
   return (
     <div className="min-h-screen bg-[#f6f6f6] pb-24 md:pb-6">
@@ -124,11 +221,10 @@ export default function BusinessPlanPage() {
         <Button
           className="w-full bg-[#ff8100] hover:bg-[#e67300] text-white font-semibold py-3 rounded-xl text-base"
           onClick={() => {
-            // Future: open change plan flow
-            console.log("Change Business Plan clicked")
+            setShowPlans(true)
           }}
         >
-          Change Business Plan
+          {current ? "Renew / Change Plan" : "Change Business Plan"}
         </Button>
       </div>
 
@@ -178,6 +274,11 @@ export default function BusinessPlanPage() {
               {/* Plans carousel */}
               <div className="px-4 py-5 overflow-x-auto scrollbar-hide -mx-2">
                 <div className="flex gap-3 px-2 min-w-max pb-2">
+                  {plans.length === 0 && (
+                    <p className="text-sm text-gray-500 py-6 px-2">
+                      No subscription plans are available right now
+                    </p>
+                  )}
                   {plans.map((p, index) => {
                     const isActive = p.id === selectedPlanId
                     return (
@@ -255,14 +356,14 @@ export default function BusinessPlanPage() {
                                   : "bg-white text-[#ff8100] border border-[#ff8100] hover:bg-[#ff8100]/5"
                               }`}
                               variant={isActive ? "default" : "outline"}
+                              disabled={purchasing}
                               onClick={(e) => {
                                 e.stopPropagation()
-                                console.log("Shift plan to:", p.id)
                                 setSelectedPlanId(p.id)
-                                setShowPlans(false)
+                                handlePurchase(p.pkg)
                               }}
                             >
-                              Shift This Plan
+                              {current?.package === p.id ? "Renew This Plan" : "Shift This Plan"}
                             </Button>
                           </div>
                         </div>
@@ -0,0 +1,55 @@
+import { useNavigate } from "react-router-dom"
+import { ArrowLeft, Check } from "lucide-react"
+import { Card, CardContent } from "@/components/ui/card"
+import { useTranslation } from "@/lib/i18n/useTranslation"
+
+export default function ChangeLanguage() {
+  const navigate = useNavigate()
+  const { t, language: selectedLanguage, setLanguage, languages } = useTranslation()
+
+  return (
+    <div className="min-h-screen bg-[#f6e9dc] overflow-x-hidden pb-6">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-4 py-3 sticky top-0 z-50 flex items-center gap-3">
+        <button
+          onClick={() => navigate(-1)}
+          className="p-1.5 hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          <ArrowLeft className="w-5 h-5 text-gray-600" />
+        </button>
+        <h1 className="text-lg font-bold text-gray-900 flex-1">{t("common.language.title")}</h1>
+      </div>
+
+      {/* Content */}
+      <div className="px-4 py-4 space-y-4">
+        <p className="text-sm text-gray-600">{t("common.language.subtitle")}</p>
+
+        {/* Language List */}
+        <Card className="bg-white shadow-sm border border-gray-100">
+          <CardContent className="p-0 divide-y divide-gray-100">
+            {languages.map((language) => (
+              <button
+                key={language.code}
+                onClick={() => setLanguage(language.code)}
+                className="w-full flex items-center justify-between px-4 py-3.5 hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex flex-col items-start">
+                  <span className="text-sm font-medium text-gray-900">{language.nativeName}</span>
+                  <span className="text-xs text-gray-500">{language.name}</span>
+                </div>
+                {selectedLanguage === language.code && (
+                  <Check className="w-5 h-5 text-[#ff8100]" />
+                )}
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Info */}
+        <div className="bg-[#ff8100]/10 rounded-lg p-4">
+          <p className="text-sm text-gray-800">{t("common.language.note")}</p>
+        </div>
+      </div>
+    </div>
+  )
+}
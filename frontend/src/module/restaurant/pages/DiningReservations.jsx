@@ -1,9 +1,200 @@
 import { useState, useEffect } from "react"
 import { useNavigate } from "react-router-dom"
-import { Calendar, Clock, Users, Search, Filter, MessageSquare, ChevronRight, CheckCircle2, XCircle, Clock4, ArrowLeft } from "lucide-react"
+import { Calendar, Clock, Users, Search, Filter, MessageSquare, ChevronRight, CheckCircle2, XCircle, Clock4, ArrowLeft, Settings, Plus, Trash2, ListOrdered } from "lucide-react"
 import { diningAPI, restaurantAPI } from "@/lib/api"
 import Loader from "@/components/Loader"
 import { Badge } from "@/components/ui/badge"
+import { toast } from "sonner"
+
+// Local calendar day as YYYY-MM-DD, the format the dining APIs expect
+const toDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, "0")
+    const day = String(date.getDate()).padStart(2, "0")
+    return `${date.getFullYear()}-${month}-${day}`
+}
+
+function CapacitySettings({ onClose, onSaved }) {
+    const [settings, setSettings] = useState(null)
+    const [saving, setSaving] = useState(false)
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const response = await diningAPI.getDiningSettings()
+                if (response.data.success) {
+                    setSettings(response.data.data)
+                }
+            } catch (error) {
+                console.error("Error fetching dining settings:", error)
+                toast.error(error.response?.data?.message || "Failed to load dining settings")
+            }
+        }
+        fetchSettings()
+    }, [])
+
+    const updateSlot = (index, field, value) => {
+        setSettings(prev => ({
+            ...prev,
+            timeSlots: prev.timeSlots.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot))
+        }))
+    }
+
+    const addSlot = () => {
+        setSettings(prev => ({
+            ...prev,
+            timeSlots: [
+                ...prev.timeSlots,
+                { time: "", mealPeriod: "Dinner", tables: prev.tablesPerSlot, covers: prev.coversPerSlot, isActive: true }
+            ]
+        }))
+    }
+
+    const removeSlot = (index) => {
+        setSettings(prev => ({ ...prev, timeSlots: prev.timeSlots.filter((_, i) => i !== index) }))
+    }
+
+    const handleSave = async () => {
+        try {
+            setSaving(true)
+            const response = await diningAPI.updateDiningSettings({
+                timeSlots: settings.timeSlots,
+                maxGuests: settings.maxGuests,
+                waitlistEnabled: settings.waitlistEnabled,
+                noShowGraceMinutes: settings.noShowGraceMinutes
+            })
+            if (response.data.success) {
+                toast.success("Table capacity updated")
+                setSettings(response.data.data)
+                onSaved()
+            }
+        } catch (error) {
+            console.error("Error saving dining settings:", error)
+            toast.error(error.response?.data?.message || "Failed to save dining settings")
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm">
+            <div className="bg-white rounded-3xl w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
+                <div className="p-6 border-b border-slate-100 flex items-center justify-between">
+                    <div>
+                        <h3 className="text-xl font-bold text-slate-900">Table capacity</h3>
+                        <p className="text-xs text-slate-500 mt-1">Tables and seats (covers) you can offer in each time slot</p>
+                    </div>
+                    <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full transition-colors">
+                        <XCircle className="w-5 h-5 text-slate-400" />
+                    </button>
+                </div>
+
+                {!settings ? (
+                    <div className="p-12 text-center text-sm text-slate-400">Loading settings...</div>
+                ) : (
+                    <div className="p-6 space-y-6">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <label className="text-sm font-medium text-slate-700">
+                                Max guests per booking
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={settings.maxGuests}
+                                    onChange={(e) => setSettings(prev => ({ ...prev, maxGuests: parseInt(e.target.value) || 1 }))}
+                                    className="mt-1 w-full px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                />
+                            </label>
+                            <label className="text-sm font-medium text-slate-700">
+                                No-show after (minutes)
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={settings.noShowGraceMinutes}
+                                    onChange={(e) => setSettings(prev => ({ ...prev, noShowGraceMinutes: parseInt(e.target.value) || 0 }))}
+                                    className="mt-1 w-full px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                />
+                            </label>
+                            <label className="flex items-center gap-2 text-sm font-medium text-slate-700 md:mt-6">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.waitlistEnabled}
+                                    onChange={(e) => setSettings(prev => ({ ...prev, waitlistEnabled: e.target.checked }))}
+                                />
+                                Allow waitlist when full
+                            </label>
+                        </div>
+
+                        <div className="space-y-2">
+                            <div className="grid grid-cols-12 gap-2 text-xs font-bold text-slate-500 uppercase tracking-wider">
+                                <span className="col-span-3">Time</span>
+                                <span className="col-span-3">Meal</span>
+                                <span className="col-span-2">Tables</span>
+                                <span className="col-span-2">Covers</span>
+                                <span className="col-span-2">Active</span>
+                            </div>
+                            {settings.timeSlots.map((slot, index) => (
+                                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                                    <input
+                                        type="text"
+                                        placeholder="7:30 PM"
+                                        value={slot.time}
+                                        onChange={(e) => updateSlot(index, "time", e.target.value)}
+                                        className="col-span-3 px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                    />
+                                    <select
+                                        value={slot.mealPeriod}
+                                        onChange={(e) => updateSlot(index, "mealPeriod", e.target.value)}
+                                        className="col-span-3 px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                    >
+                                        <option value="Lunch">Lunch</option>
+                                        <option value="Dinner">Dinner</option>
+                                    </select>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={slot.tables}
+                                        onChange={(e) => updateSlot(index, "tables", parseInt(e.target.value) || 0)}
+                                        className="col-span-2 px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={slot.covers}
+                                        onChange={(e) => updateSlot(index, "covers", parseInt(e.target.value) || 0)}
+                                        className="col-span-2 px-3 py-2 bg-slate-100 rounded-xl text-sm"
+                                    />
+                                    <div className="col-span-2 flex items-center gap-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={slot.isActive !== false}
+                                            onChange={(e) => updateSlot(index, "isActive", e.target.checked)}
+                                        />
+                                        <button onClick={() => removeSlot(index)} className="p-1 text-slate-400 hover:text-red-600">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                            <button
+                                onClick={addSlot}
+                                className="flex items-center gap-1 text-sm font-bold text-red-600 hover:text-red-700"
+                            >
+                                <Plus className="w-4 h-4" /> Add slot
+                            </button>
+                        </div>
+
+                        <button
+                            onClick={handleSave}
+                            disabled={saving}
+                            className="w-full h-12 bg-red-500 hover:bg-red-600 text-white font-bold rounded-2xl disabled:opacity-60"
+                        >
+                            {saving ? "Saving..." : "Save capacity"}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
 
 export default function DiningReservations() {
     const navigate = useNavigate()
@@ -11,6 +202,11 @@ export default function DiningReservations() {
     const [loading, setLoading] = useState(true)
     const [restaurant, setRestaurant] = useState(null)
     const [searchTerm, setSearchTerm] = useState("")
+    const [occupancyDate, setOccupancyDate] = useState(() => toDateKey(new Date()))
+    const [occupancy, setOccupancy] = useState(null)
+    const [occupancyError, setOccupancyError] = useState("")
+    const [occupancyVersion, setOccupancyVersion] = useState(0)
+    const [showSettings, setShowSettings] = useState(false)
 
     useEffect(() => {
         const fetchAll = async () => {
@@ -42,7 +238,27 @@ export default function DiningReservations() {
         fetchAll()
     }, [])
 
+    // Booked vs available tables per slot for the selected day
+    const restaurantId = restaurant?._id || restaurant?.id
+    useEffect(() => {
+        if (!restaurantId) return
+        const fetchOccupancy = async () => {
+            try {
+                const response = await diningAPI.getAvailability(restaurantId, { date: occupancyDate, guests: 1 })
+                if (response.data.success) {
+                    setOccupancy(response.data.data)
+                    setOccupancyError("")
+                }
+            } catch (error) {
+                setOccupancy(null)
+                setOccupancyError(error.response?.data?.message || "Failed to load slot occupancy")
+            }
+        }
+        fetchOccupancy()
+    }, [restaurantId, occupancyDate, occupancyVersion])
+
     const handleStatusUpdate = async (bookingId, newStatus) => {
+        if (newStatus === 'cancelled' && !window.confirm("Cancel this reservation?")) return
         try {
             const response = await diningAPI.updateBookingStatusRestaurant(bookingId, newStatus)
             if (response.data.success) {
@@ -50,9 +266,18 @@ export default function DiningReservations() {
                 setBookings(prev => prev.map(b =>
                     b._id === bookingId ? { ...b, status: newStatus } : b
                 ))
+                // Freed or newly taken tables can promote waitlisted guests; refresh both views
+                if (['confirmed', 'cancelled', 'no-show'].includes(newStatus)) {
+                    const bookingsResponse = await diningAPI.getRestaurantBookings(restaurantId)
+                    if (bookingsResponse.data.success) {
+                        setBookings(bookingsResponse.data.data)
+                    }
+                    setOccupancyVersion(v => v + 1)
+                }
             }
         } catch (error) {
             console.error("Error updating status:", error)
+            toast.error(error.response?.data?.message || "Failed to update reservation")
         }
     }
 
@@ -101,6 +326,13 @@ export default function DiningReservations() {
                         <button className="p-2 bg-slate-100 rounded-xl hover:bg-slate-200 transition-colors">
                             <Filter className="w-5 h-5 text-slate-600" />
                         </button>
+                        <button
+                            onClick={() => setShowSettings(true)}
+                            className="flex items-center gap-2 px-3 py-2 bg-slate-100 rounded-xl hover:bg-slate-200 transition-colors text-sm font-medium text-slate-700"
+                        >
+                            <Settings className="w-4 h-4" />
+                            Capacity
+                        </button>
                     </div>
                     </div>
                 </div>
@@ -148,6 +380,45 @@ export default function DiningReservations() {
                     </div>
                 </div>
 
+                {/* Slot Occupancy */}
+                <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100 mb-8">
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="font-bold text-slate-800 flex items-center gap-2">
+                            <ListOrdered className="w-5 h-5 text-slate-400" />
+                            Slot occupancy
+                        </h2>
+                        <input
+                            type="date"
+                            value={occupancyDate}
+                            onChange={(e) => setOccupancyDate(e.target.value)}
+                            className="px-3 py-1.5 bg-slate-100 rounded-xl text-sm"
+                        />
+                    </div>
+                    {occupancyError ? (
+                        <p className="text-sm text-slate-500">{occupancyError}</p>
+                    ) : !occupancy ? (
+                        <p className="text-sm text-slate-400">Loading slots...</p>
+                    ) : occupancy.slots.length === 0 ? (
+                        <p className="text-sm text-slate-500">No active slots. Add slots under Capacity.</p>
+                    ) : (
+                        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+                            {occupancy.slots.map(slot => (
+                                <div
+                                    key={slot.time}
+                                    className={`p-3 rounded-xl border ${slot.remainingTables === 0 ? 'border-red-200 bg-red-50' : 'border-slate-100 bg-slate-50'}`}
+                                >
+                                    <p className="text-sm font-bold text-slate-800">{slot.time}</p>
+                                    <p className="text-xs text-slate-500 mt-1">{slot.bookedTables}/{slot.tables} tables</p>
+                                    <p className="text-xs text-slate-500">{slot.bookedCovers}/{slot.covers} covers</p>
+                                    {slot.waitlistCount > 0 && (
+                                        <p className="text-xs font-bold text-amber-600 mt-1">{slot.waitlistCount} waitlisted</p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
                 {/* Bookings List */}
                 <div className="space-y-4">
                     <div className="flex items-center justify-between mb-2">
@@ -207,13 +478,22 @@ export default function DiningReservations() {
                                                 <Badge className={`rounded-lg px-2.5 py-1 ${booking.status === 'confirmed' ? 'bg-green-100 text-green-700 hover:bg-green-200' :
                                                     booking.status === 'checked-in' ? 'bg-orange-100 text-orange-700 hover:bg-orange-200' :
                                                         booking.status === 'completed' ? 'bg-blue-100 text-blue-700 hover:bg-blue-200' :
-                                                            'bg-red-100 text-red-700 hover:bg-red-200'
+                                                            booking.status === 'waitlisted' ? 'bg-amber-100 text-amber-700 hover:bg-amber-200' :
+                                                                'bg-red-100 text-red-700 hover:bg-red-200'
                                                     }`}>
                                                     {booking.status}
                                                 </Badge>
                                             </td>
                                             <td className="px-6 py-4">
                                                 <div className="flex items-center gap-2">
+                                                    {booking.status === 'waitlisted' && (
+                                                        <button
+                                                            onClick={() => handleStatusUpdate(booking._id, 'confirmed')}
+                                                            className="px-3 py-1.5 bg-amber-500 text-white text-xs font-bold rounded-lg hover:bg-amber-600 transition-colors"
+                                                        >
+                                                            Confirm
+                                                        </button>
+                                                    )}
                                                     {booking.status === 'confirmed' && (
                                                         <button
                                                             onClick={() => handleStatusUpdate(booking._id, 'checked-in')}
@@ -222,6 +502,22 @@ export default function DiningReservations() {
                                                             Check-in
                                                         </button>
                                                     )}
+                                                    {booking.status === 'confirmed' && (
+                                                        <button
+                                                            onClick={() => handleStatusUpdate(booking._id, 'no-show')}
+                                                            className="px-3 py-1.5 bg-slate-200 text-slate-700 text-xs font-bold rounded-lg hover:bg-slate-300 transition-colors"
+                                                        >
+                                                            No-show
+                                                        </button>
+                                                    )}
+                                                    {['waitlisted', 'confirmed'].includes(booking.status) && (
+                                                        <button
+                                                            onClick={() => handleStatusUpdate(booking._id, 'cancelled')}
+                                                            className="px-3 py-1.5 bg-white border border-red-200 text-red-600 text-xs font-bold rounded-lg hover:bg-red-50 transition-colors"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    )}
                                                     {booking.status === 'checked-in' && (
                                                         <button
                                                             onClick={() => handleStatusUpdate(booking._id, 'completed')}
@@ -248,6 +544,13 @@ export default function DiningReservations() {
                     )}
                 </div>
             </div>
+
+            {showSettings && (
+                <CapacitySettings
+                    onClose={() => setShowSettings(false)}
+                    onSaved={() => setOccupancyVersion(v => v + 1)}
+                />
+            )}
         </div>
     )
 }
@@ -18,6 +18,7 @@ import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import BottomNavbar from "../components/BottomNavbar"
 import MenuOverlay from "../components/MenuOverlay"
+import NameTranslationsInput from "../components/NameTranslationsInput"
 import { getFoodById, saveFood } from "../utils/foodManagement"
 
 export default function EditFoodPage() {
@@ -49,7 +50,7 @@ export default function EditFoodPage() {
   // Default form data for new food
   const defaultFormData = {
     name: "",
-    nameArabic: "",
+    nameTranslations: {},
     image: "",
     price: 0.00,
     availabilityTimeStart: "12:01 AM",
@@ -80,7 +81,7 @@ export default function EditFoodPage() {
         ...defaultFormData,
         ...existingFood,
         // Ensure all fields are present
-        nameArabic: existingFood.nameArabic || "",
+        nameTranslations: existingFood.nameTranslations || {},
         availabilityTimeStart: existingFood.availabilityTimeStart || "12:01 AM",
         availabilityTimeEnd: existingFood.availabilityTimeEnd || "11:57 PM",
         description: existingFood.description || "",
@@ -103,7 +104,7 @@ export default function EditFoodPage() {
         setFormData({
           ...defaultFormData,
           ...existingFood,
-          nameArabic: existingFood.nameArabic || "",
+          nameTranslations: existingFood.nameTranslations || {},
           availabilityTimeStart: existingFood.availabilityTimeStart || "12:01 AM",
           availabilityTimeEnd: existingFood.availabilityTimeEnd || "11:57 PM",
           description: existingFood.description || "",
@@ -314,17 +315,10 @@ export default function EditFoodPage() {
                   />
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Food Name (Arabic)
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.nameArabic}
-                    onChange={(e) => handleInputChange("nameArabic", e.target.value)}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#ff8100] focus:border-transparent outline-none"
-                  />
-                </div>
+                <NameTranslationsInput
+                  value={formData.nameTranslations}
+                  onChange={(value) => handleInputChange("nameTranslations", value)}
+                />
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
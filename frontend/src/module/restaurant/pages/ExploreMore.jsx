@@ -33,6 +33,8 @@ import { Card, CardContent } from "@/components/ui/card"
 import { DateRangeCalendar } from "@/components/ui/date-range-calendar"
 import { clearModuleAuth, clearAuthData } from "@/lib/utils/auth"
 import { restaurantAPI } from "@/lib/api"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
+import { canAccessRestaurantPath } from "../utils/restaurantRole"
 import { firebaseAuth } from "@/lib/firebase"
 
 // Time Picker Wheel Component
@@ -329,6 +331,7 @@ function TimePickerWheel({
 
 export default function ExploreMore() {
   const navigate = useNavigate()
+  const role = useRestaurantRole()
   const [profileOpen, setProfileOpen] = useState(false)
   const [searchOpen, setSearchOpen] = useState(false)
   const [searchQuery, setSearchQuery] = useState("")
@@ -681,7 +684,7 @@ export default function ExploreMore() {
 
   const ordersItems = [
     { id: 1, label: "Order history", icon: FileText, route: "/restaurant/orders/all" },
-    { id: 2, label: "Complaints", icon: Star, route: "/restaurant/feedback?tab=complaints" },
+    { id: 2, label: "Complaints", icon: Star, route: "/restaurant/feedback?tab=complaints", ownerOnly: true },
     { id: 3, label: "Reviews", icon: MessageSquare, route: "/restaurant/feedback" },
   ]
 
@@ -695,6 +698,11 @@ export default function ExploreMore() {
     { id: 2, label: "Invoices", icon: Receipt, route: "/restaurant/hub-finance?tab=invoices" },
   ]
 
+  // Items the signed-in role can open (manager and staff lose owner-only pages)
+  const canOpenItem = (item) =>
+    !item.route ||
+    ((role === "owner" || !item.ownerOnly) && canAccessRestaurantPath(item.route.split("?")[0], role))
+
   // All sections with their items
   const allSections = [
     { title: "Manage outlet", items: manageOutletItems, key: "manage-outlet" },
@@ -703,6 +711,8 @@ export default function ExploreMore() {
     { title: "Help", items: helpItems, key: "help" },
     { title: "Accounting", items: accountingItems, key: "accounting" },
   ]
+    .map(section => ({ ...section, items: section.items.filter(canOpenItem) }))
+    .filter(section => section.items.length > 0)
 
   // Filter logic
   const getFilteredSections = () => {
@@ -5,6 +5,7 @@ import { Bell, HelpCircle, Menu, Search, SlidersHorizontal, Calendar, Reply, Che
 import { DateRangeCalendar } from "@/components/ui/date-range-calendar"
 import BottomNavOrders from "../components/BottomNavOrders"
 import { restaurantAPI } from "@/lib/api"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
 
 const REVIEWS_STORAGE_KEY = "restaurant_reviews_data"
 
@@ -86,19 +87,21 @@ const dummyReviews = [
 export default function Feedback() {
   const [searchParams, setSearchParams] = useSearchParams()
   const tabFromUrl = searchParams.get("tab")
-  const [activeTab, setActiveTab] = useState(tabFromUrl === "complaints" ? "complaints" : "reviews")
+  // Complaints are owner-only on the backend; managers only get the reviews tab
+  const canViewComplaints = useRestaurantRole() === "owner"
+  const [activeTab, setActiveTab] = useState(canViewComplaints && tabFromUrl === "complaints" ? "complaints" : "reviews")
   const navigate = useNavigate()
   const [isTransitioning, setIsTransitioning] = useState(false)
   
   // Update active tab when URL param changes
   useEffect(() => {
-    if (tabFromUrl === "complaints") {
+    if (canViewComplaints && tabFromUrl === "complaints") {
       setActiveTab("complaints")
     } else {
       // Default to reviews if no tab param or if param is "reviews"
       setActiveTab("reviews")
     }
-  }, [tabFromUrl])
+  }, [tabFromUrl, canViewComplaints])
   
   // Swipe gesture refs
   const touchStartX = useRef(0)
@@ -106,7 +109,8 @@ export default function Feedback() {
   const touchStartY = useRef(0)
   const isSwiping = useRef(false)
   
-  const feedbackTabs = ["complaints", "reviews"]
+  const visibleTabs = canViewComplaints ? tabs : tabs.filter((tab) => tab.id !== "complaints")
+  const feedbackTabs = visibleTabs.map((tab) => tab.id)
   const [reviews, setReviews] = useState([])
   const [selectedReview, setSelectedReview] = useState(null)
   const [isReviewModalOpen, setIsReviewModalOpen] = useState(false)
@@ -732,7 +736,7 @@ export default function Feedback() {
 
         {/* Tabs row */}
         <div className="flex gap-2 px-4 py-2">
-          {tabs.map((tab) => {
+          {visibleTabs.map((tab) => {
             const isActive = activeTab === tab.id
             return (
               <motion.button
@@ -41,7 +41,7 @@ export default function FoodDetailsPage() {
           ? `${food.availabilityTimeStart} - ${food.availabilityTimeEnd}`
           : "12:01 AM - 11:57 PM",
         // Ensure all fields are present
-        nameArabic: food.nameArabic || "",
+        nameTranslations: food.nameTranslations || {},
         description: food.description || "",
         discountType: food.discountType || "Percent",
         discountAmount: food.discountAmount || 0.0,
@@ -57,7 +57,7 @@ export default function FoodDetailsPage() {
     return {
       id: foodId || 1,
       name: "Food Not Found",
-      nameArabic: "",
+      nameTranslations: {},
       image: "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400&h=300&fit=crop",
       price: 0,
       rating: 0.0,
@@ -323,7 +323,7 @@ export default function FoodDetailsPage() {
                     {/* Food Info */}
                     <div className="flex-1 min-w-0">
                       <h2 className="text-lg md:text-xl font-bold text-gray-900 mb-2">
-                        {foodData.nameArabic}
+                        {foodData.name}
                       </h2>
                       <p className="text-[#ff8100] font-bold text-lg md:text-xl mb-2">
                         {formatCurrency(foodData.price)}
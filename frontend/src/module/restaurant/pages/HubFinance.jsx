@@ -4,6 +4,7 @@ import { motion, AnimatePresence } from "framer-motion"
 import { Bell, Menu, ChevronDown, Calendar, Download, ArrowRight, FileText, Wallet, X } from "lucide-react"
 import BottomNavOrders from "../components/BottomNavOrders"
 import { restaurantAPI } from "@/lib/api"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
 
 export default function HubFinance() {
   const navigate = useNavigate()
@@ -26,6 +27,8 @@ export default function HubFinance() {
   const [showWithdrawalModal, setShowWithdrawalModal] = useState(false)
   const [withdrawalAmount, setWithdrawalAmount] = useState('')
   const [submittingWithdrawal, setSubmittingWithdrawal] = useState(false)
+  const [gstrMonth, setGstrMonth] = useState(() => new Date().toISOString().slice(0, 7))
+  const [exportingGstr, setExportingGstr] = useState(false)
 
   const fetchFinanceData = useCallback(async () => {
     try {
@@ -488,6 +491,20 @@ export default function HubFinance() {
     `
   }
 
+  // Monthly GSTR-1 workbook built from the issued GST invoices and credit notes
+  const downloadGstrExport = async () => {
+    if (!gstrMonth) return
+    try {
+      setExportingGstr(true)
+      const response = await restaurantAPI.downloadGstrExport(gstrMonth)
+      downloadBlob(response.data, `gstr1-${gstrMonth}.xlsx`)
+    } catch (error) {
+      alert(await getBlobErrorMessage(error, 'Failed to export GST returns data'))
+    } finally {
+      setExportingGstr(false)
+    }
+  }
+
   // Download Invoice PDF - For Invoices & Taxes section
   const downloadInvoice = async (type = 'current') => {
     try {
@@ -1111,6 +1128,28 @@ export default function HubFinance() {
                     </div>
                   </div>
                 )}
+                <div className="bg-white rounded-lg p-4">
+                  <p className="text-sm font-semibold text-gray-700 mb-1">GST returns</p>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Monthly GSTR-1 data (B2C supplies, HSN/SAC summary, documents issued) from your tax invoices and credit notes.
+                  </p>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="month"
+                      value={gstrMonth}
+                      onChange={(e) => setGstrMonth(e.target.value)}
+                      className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg"
+                    />
+                    <button
+                      onClick={downloadGstrExport}
+                      disabled={exportingGstr || !gstrMonth}
+                      className="px-4 py-2 bg-black text-white text-sm font-semibold rounded-lg flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <FileText className="w-4 h-4" />
+                      {exportingGstr ? "Exporting..." : "Export"}
+                    </button>
+                  </div>
+                </div>
                 {!financeData?.currentCycle && !loading && (
                   <div className="bg-white rounded-lg p-6 text-center text-gray-500">
                     No invoice data available. Complete orders to see payouts and tax summary here.
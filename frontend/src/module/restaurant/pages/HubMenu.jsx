@@ -265,7 +265,7 @@ export default function HubMenu() {
             items: Array.isArray(section.items) ? section.items.map(item => ({
               id: String(item.id || Date.now() + Math.random()),
               name: item.name || "Unnamed Item",
-              nameArabic: item.nameArabic || "",
+              nameTranslations: item.nameTranslations || {},
               image: item.image || "",
               category: item.category || section.name,
               rating: item.rating ?? 0.0,
@@ -304,7 +304,7 @@ export default function HubMenu() {
               items: Array.isArray(subsection.items) ? subsection.items.map(item => ({
                 id: String(item.id || Date.now() + Math.random()),
                 name: item.name || "Unnamed Item",
-                nameArabic: item.nameArabic || "",
+                nameTranslations: item.nameTranslations || {},
                 image: item.image || "",
                 category: item.category || section.name,
                 rating: item.rating ?? 0.0,
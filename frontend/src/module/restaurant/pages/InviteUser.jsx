@@ -54,6 +54,12 @@ const countryCodes = [
   { code: "+46", country: "SE", flag: "🇸🇪" },
 ]
 
+// What each role can do after logging in with OTP on the staff login screen
+const roleScopes = {
+  staff: "Accept, prepare and mark orders ready",
+  manager: "Orders, menu, inventory and offers",
+}
+
 export default function InviteUser() {
   const navigate = useNavigate()
   const [searchParams] = useSearchParams()
@@ -432,7 +438,10 @@ export default function InviteUser() {
                   index < arr.length - 1 ? "border-b border-gray-200" : ""
                 }`}
               >
-                <span className="text-base font-normal text-gray-900 capitalize">{role}</span>
+                <div>
+                  <span className="block text-base font-normal text-gray-900 capitalize">{role}</span>
+                  <span className="block text-xs text-gray-500">{roleScopes[role]}</span>
+                </div>
                 <div className={`w-5 h-5 rounded-full border-2 flex items-center justify-center ${
                   selectedRole === role
                     ? "border-blue-600 bg-blue-600"
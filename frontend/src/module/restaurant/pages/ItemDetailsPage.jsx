@@ -20,6 +20,8 @@ import { Switch } from "@/components/ui/switch"
 // Removed getAllFoods and saveFood - now using menu API
 import api from "@/lib/api"
 import { restaurantAPI, uploadAPI } from "@/lib/api"
+import NameTranslationsInput from "../components/NameTranslationsInput"
+import AddonGroupsEditor from "../components/AddonGroupsEditor"
 import { toast } from "sonner"
 
 // Utility to detect if running in Flutter WebView
@@ -53,6 +55,7 @@ export default function ItemDetailsPage() {
   // Initialize state with empty values - will be populated from API
   const [itemData, setItemData] = useState(null) // Store the full item data for saving
   const [itemName, setItemName] = useState("")
+  const [nameTranslations, setNameTranslations] = useState({})
   const [category, setCategory] = useState(defaultCategory)
   const [subCategory, setSubCategory] = useState("")
   const [servesInfo, setServesInfo] = useState("")
@@ -110,6 +113,7 @@ export default function ItemDetailsPage() {
         setItemData(item)
 
         setItemName(item.name || "")
+        setNameTranslations(item.nameTranslations || {})
         setCategory(item.category || defaultCategory)
         setSubCategory(item.subCategory || item.category || "Starters")
         setServesInfo(item.servesInfo || "")
@@ -216,6 +220,7 @@ export default function ItemDetailsPage() {
             setItemData(foundItem)
 
             setItemName(foundItem.name || "")
+            setNameTranslations(foundItem.nameTranslations || {})
             setCategory(foundItem.category || defaultCategory)
             setSubCategory(foundItem.subCategory || foundItem.category || "Starters")
             setServesInfo(foundItem.servesInfo || "")
@@ -1160,7 +1165,7 @@ export default function ItemDetailsPage() {
       const itemDataToSave = {
         id: String(itemId), // Ensure ID is a string
         name: itemName.trim(),
-        nameArabic: "",
+        nameTranslations,
         image: allImageUrls.length > 0 ? allImageUrls[0] : "",
         images: allImageUrls.length > 0 ? allImageUrls : [], // Multiple images support - all Cloudinary URLs (ensure it's always an array)
         // CRITICAL: Ensure images is always an array, never undefined or null
@@ -1516,6 +1521,13 @@ export default function ItemDetailsPage() {
             </div>
           </div>
 
+          {/* Item name in other languages */}
+          <NameTranslationsInput
+            value={nameTranslations}
+            onChange={setNameTranslations}
+            maxLength={maxNameLength}
+          />
+
 
           {/* Item Description */}
           <div>
@@ -1774,6 +1786,8 @@ export default function ItemDetailsPage() {
             </div>
           </div>
 
+          {/* Add-on groups (saved separately from the item) */}
+          <AddonGroupsEditor itemId={isNewItem ? null : id} />
 
         </div>
       </div>
@@ -5,6 +5,8 @@ import Lenis from "lenis"
 import { jsPDF } from "jspdf"
 import autoTable from "jspdf-autotable"
 import { restaurantAPI } from "@/lib/api"
+import { formatAddonSummary } from "../utils/orderItems"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
 import {
   ArrowLeft,
   Printer,
@@ -190,7 +192,9 @@ export default function OrderDetails() {
               name: item.name,
               quantity: item.quantity,
               price: item.price,
-              type: item.isVeg ? 'Veg' : 'Non-Veg'
+              type: item.isVeg ? 'Veg' : 'Non-Veg',
+              addons: formatAddonSummary(item.selectedAddons),
+              specialInstructions: item.specialInstructions || ''
             })) || [],
             billing: {
               itemSubtotal: order.pricing?.subtotal || 0,
@@ -277,6 +281,31 @@ export default function OrderDetails() {
     setTimeout(() => setShowToast(false), 2000)
   }
 
+  const showTimedToast = (message, duration = 2000) => {
+    setToastMessage(message)
+    setShowToast(true)
+    setTimeout(() => setShowToast(false), duration)
+  }
+
+  // Download the GST invoice and any credit notes issued against it
+  const handleDownloadTaxInvoice = async () => {
+    try {
+      const response = await restaurantAPI.getOrderTaxDocuments(orderId)
+      const documents = response.data?.data?.documents || []
+      if (documents.length === 0) {
+        showTimedToast("Tax invoice is issued once the order is delivered", 3000)
+        return
+      }
+      for (const taxDocument of documents) {
+        const file = await restaurantAPI.downloadTaxDocumentPdf(taxDocument._id)
+        downloadBlob(file.data, `${taxDocument.number.replace(/\//g, "-")}.pdf`)
+      }
+      showTimedToast(documents.length > 1 ? "Invoice and credit notes downloaded" : "Tax invoice downloaded")
+    } catch (error) {
+      showTimedToast(await getBlobErrorMessage(error, "Failed to download tax invoice"), 3000)
+    }
+  }
+
   const handlePrintReceipt = async () => {
     try {
       console.log('🖨️ Print button clicked')
@@ -439,7 +468,9 @@ export default function OrderDetails() {
     // Items Table
     const itemsTableData = orderData.items.map(item => [
       `${item.quantity}x`,
-      item.name,
+      [item.name, item.addons && `+ ${item.addons}`, item.specialInstructions && `Note: ${item.specialInstructions}`]
+        .filter(Boolean)
+        .join("\n"),
       item.type || "-",
       `Rs. ${item.price}`
     ])
@@ -696,8 +727,10 @@ export default function OrderDetails() {
               )}
             </button>
             <button
+              onClick={handleDownloadTaxInvoice}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
               aria-label="Receipt"
+              title="Download GST tax invoice"
             >
               <FileText className="w-5 h-5 text-gray-900" />
             </button>
@@ -812,6 +845,12 @@ export default function OrderDetails() {
                     </p>
                     <p className="text-sm font-semibold text-gray-900">₹{item.price}</p>
                   </div>
+                  {item.addons && (
+                    <p className="text-xs text-gray-600 mb-1">+ {item.addons}</p>
+                  )}
+                  {item.specialInstructions && (
+                    <p className="text-xs italic text-orange-600 mb-1">Note: {item.specialInstructions}</p>
+                  )}
                   {item.type && (
                     <div className="flex items-center gap-2 text-xs text-gray-500">
                       <span>Quantity</span>
@@ -10,25 +10,29 @@ import RestaurantNavbar from "../components/RestaurantNavbar"
 import notificationSound from "@/assets/audio/alert.mp3"
 import { restaurantAPI, diningAPI } from "@/lib/api"
 import { useRestaurantNotifications } from "../hooks/useRestaurantNotifications"
+import { useRestaurantRole } from "../hooks/useRestaurantRole"
 import { useForegroundNotifications } from "@/lib/hooks/useForegroundNotifications"
 import { jsPDF } from "jspdf"
 import autoTable from "jspdf-autotable"
+import { formatAddonSummary, formatKitchenItemLabel } from "../utils/orderItems"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 const STORAGE_KEY = "restaurant_online_status"
 
-// Top filter tabs
+// Top filter tabs (labels are translation keys)
 const filterTabs = [
-  { id: "preparing", label: "Preparing" },
-  { id: "ready", label: "Ready" },
-  { id: "out-for-delivery", label: "Out for delivery" },
-  { id: "scheduled", label: "Scheduled" },
-  { id: "table-booking", label: "Table Booking" },
-  { id: "completed", label: "Completed" },
-  { id: "cancelled", label: "Cancelled" },
+  { id: "preparing", label: "restaurant.orders.tabs.preparing" },
+  { id: "ready", label: "restaurant.orders.tabs.ready" },
+  { id: "out-for-delivery", label: "restaurant.orders.tabs.outForDelivery" },
+  { id: "scheduled", label: "restaurant.orders.tabs.scheduled" },
+  { id: "table-booking", label: "restaurant.orders.tabs.tableBooking" },
+  { id: "completed", label: "restaurant.orders.tabs.completed" },
+  { id: "cancelled", label: "restaurant.orders.tabs.cancelled" },
 ]
 
 // Completed Orders List Component
 function CompletedOrders({ onSelectOrder }) {
+  const { t } = useTranslation()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -130,13 +134,13 @@ function CompletedOrders({ onSelectOrder }) {
     <div className="pt-4 pb-6">
       <div className="flex items-baseline justify-between mb-3">
         <h2 className="text-base font-semibold text-black">
-          Completed orders
+          {t("restaurant.orders.completedTitle")}
         </h2>
         <span className="text-xs text-gray-500">{orders.length} total</span>
       </div>
       {orders.length === 0 ? (
         <div className="text-center py-8 text-gray-500 text-sm">
-          No completed orders yet
+          {t("restaurant.orders.noCompleted")}
         </div>
       ) : (
         <div>
@@ -200,7 +204,7 @@ function CompletedOrders({ onSelectOrder }) {
                       <div className="flex flex-col items-end gap-1">
                         <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-[11px] font-medium border border-green-500 text-green-600">
                           <span className="h-1.5 w-1.5 rounded-full bg-green-500" />
-                          Delivered
+                          {t("restaurant.orders.delivered")}
                         </span>
                         <span className="text-[11px] text-gray-500 text-right">
                           {deliveredDate}
@@ -240,6 +244,7 @@ function CompletedOrders({ onSelectOrder }) {
 
 // Cancelled Orders List Component
 function CancelledOrders({ onSelectOrder }) {
+  const { t } = useTranslation()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -339,13 +344,13 @@ function CancelledOrders({ onSelectOrder }) {
     <div className="pt-4 pb-6">
       <div className="flex items-baseline justify-between mb-3">
         <h2 className="text-base font-semibold text-black">
-          Cancelled orders
+          {t("restaurant.orders.cancelledTitle")}
         </h2>
         <span className="text-xs text-gray-500">{orders.length} total</span>
       </div>
       {orders.length === 0 ? (
         <div className="text-center py-8 text-gray-500 text-sm">
-          No cancelled orders yet
+          {t("restaurant.orders.noCancelled")}
         </div>
       ) : (
         <div>
@@ -563,6 +568,9 @@ function TableBookings() {
 
 export default function OrdersMain() {
   const navigate = useNavigate();
+  const { t } = useTranslation()
+  // Rejecting and cancelling orders is limited to owners and managers on the backend
+  const canRejectOrders = useRestaurantRole() !== "staff"
 
   // Handle foreground push notifications
   useForegroundNotifications({
@@ -1298,7 +1306,7 @@ export default function OrdersMain() {
 
         // Prepare table data
         const tableData = orderToPrintData.items.map(item => [
-          item.name || 'Item',
+          formatKitchenItemLabel(item) || 'Item',
           item.quantity || 1,
           `Rs. ${(item.price || 0).toFixed(2)}`,
           `Rs. ${((item.price || 0) * (item.quantity || 1)).toFixed(2)}`
@@ -1493,13 +1501,13 @@ export default function OrdersMain() {
   const renderContent = () => {
     switch (activeFilter) {
       case "preparing":
-        return <PreparingOrders onSelectOrder={handleSelectOrder} onCancel={handleCancelClick} />
+        return <PreparingOrders onSelectOrder={handleSelectOrder} onCancel={canRejectOrders ? handleCancelClick : undefined} />
       case "ready":
         return <ReadyOrders onSelectOrder={handleSelectOrder} />
       case "out-for-delivery":
         return <OutForDeliveryOrders onSelectOrder={handleSelectOrder} />
       case "scheduled":
-        return <EmptyState message="Scheduled orders will appear here" />
+        return <EmptyState message={t("restaurant.orders.scheduledEmpty")} />
       case "completed":
         return <CompletedOrders onSelectOrder={handleSelectOrder} />
       case "table-booking":
@@ -1574,7 +1582,7 @@ export default function OrdersMain() {
                     }}
                   />
                 )}
-                <span className="relative z-10">{tab.label}</span>
+                <span className="relative z-10">{t(tab.label)}</span>
               </motion.button>
             )
           })}
@@ -1847,7 +1855,7 @@ export default function OrdersMain() {
                         </svg>
                         <span className="text-sm font-semibold text-gray-900">Details</span>
                         <span className="text-xs text-gray-500">
-                          {(popupOrder || newOrder)?.items?.length || 0} item{(popupOrder || newOrder)?.items?.length !== 1 ? 's' : ''}
+                          {t((popupOrder || newOrder)?.items?.length === 1 ? "restaurant.orders.itemCountOne" : "restaurant.orders.itemCount", { count: (popupOrder || newOrder)?.items?.length || 0 })}
                         </span>
                       </div>
                       {isDetailsExpanded ? (
@@ -1879,6 +1887,12 @@ export default function OrdersMain() {
                                       ₹{item.price * item.quantity}
                                     </p>
                                   </div>
+                                  {item.selectedAddons?.length > 0 && (
+                                    <p className="text-xs text-gray-600 mt-0.5">+ {formatAddonSummary(item.selectedAddons)}</p>
+                                  )}
+                                  {item.specialInstructions && (
+                                    <p className="text-xs italic text-orange-600 mt-0.5">Note: {item.specialInstructions}</p>
+                                  )}
                                 </div>
                               </div>
                             )) || (
@@ -1894,7 +1908,7 @@ export default function OrdersMain() {
                   {(popupOrder || newOrder)?.customerAddress && (
                     <div className="mb-4">
                       <p className="text-xs font-medium text-gray-700 mb-1">
-                        Delivery address
+                        {t("restaurant.orders.deliveryAddress")}
                       </p>
                       <p className="text-xs text-gray-600 leading-snug whitespace-pre-line">
                         {(() => {
@@ -1939,7 +1953,7 @@ export default function OrdersMain() {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
                     </svg>
                     <span className="text-sm text-gray-700">
-                      {(popupOrder || newOrder)?.sendCutlery !== false ? "Send cutlery" : "Don't send cutlery"}
+                      {(popupOrder || newOrder)?.sendCutlery !== false ? t("restaurant.orders.sendCutlery") : t("restaurant.orders.dontSendCutlery")}
                     </span>
                   </div>
 
@@ -1965,7 +1979,7 @@ export default function OrdersMain() {
                       <div className="mb-4 flex items-center justify-between py-2">
                         <span className="text-sm font-medium text-gray-700">Payment</span>
                         <span className={`text-sm font-semibold ${isCod ? 'text-amber-600' : 'text-green-600'}`}>
-                          {isCod ? 'Cash on Delivery' : 'Online'}
+                          {isCod ? t("restaurant.orders.cashOnDelivery") : t("restaurant.orders.online")}
                         </span>
                       </div>
                     );
@@ -1974,7 +1988,7 @@ export default function OrdersMain() {
                   {/* Preparation time */}
                   <div className="mb-4">
                     <div className="flex items-center justify-between mb-3">
-                      <span className="text-sm font-medium text-gray-700">Preparation time</span>
+                      <span className="text-sm font-medium text-gray-700">{t("restaurant.orders.prepTime")}</span>
                       <div className="flex items-center gap-2">
                         <button
                           onClick={() => setPrepTime(Math.max(1, prepTime - 1))}
@@ -1983,7 +1997,7 @@ export default function OrdersMain() {
                           <Minus className="w-4 h-4 text-gray-700" />
                         </button>
                         <span className="text-base font-semibold text-gray-900 min-w-[60px] text-center">
-                          {prepTime} mins
+                          {t("restaurant.orders.minutes", { count: prepTime })}
                         </span>
                         <button
                           onClick={() => setPrepTime(prepTime + 1)}
@@ -2010,17 +2024,19 @@ export default function OrdersMain() {
                           animate={{ width: `${(countdown / 240) * 100}%` }}
                           transition={{ duration: 1, ease: "linear" }}
                         />
-                        <span className="relative z-10">Accept ({formatTime(countdown)})</span>
+                        <span className="relative z-10">{t("restaurant.orders.accept", { time: formatTime(countdown) })}</span>
                       </button>
                     </div>
 
                     {/* Reject button */}
-                    <button
-                      onClick={handleRejectClick}
-                      className="w-full bg-white border-2 border-red-500 text-red-600 py-3 rounded-lg font-semibold text-sm hover:bg-red-50 transition-colors"
-                    >
-                      Reject Order
-                    </button>
+                    {canRejectOrders && (
+                      <button
+                        onClick={handleRejectClick}
+                        className="w-full bg-white border-2 border-red-500 text-red-600 py-3 rounded-lg font-semibold text-sm hover:bg-red-50 transition-colors"
+                      >
+                        {t("restaurant.orders.rejectOrder")}
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -2036,7 +2052,7 @@ export default function OrdersMain() {
                     }}
                     className="text-sm text-gray-600 hover:text-gray-900 transition-colors underline mx-auto block"
                   >
-                    Need help with this order?
+                    {t("restaurant.orders.needHelp")}
                   </button>
                 </div>
               </motion.div>
@@ -2067,9 +2083,9 @@ export default function OrdersMain() {
                 {/* Header */}
                 <div className="px-4 py-4 border-b border-gray-200">
                   <h3 className="text-lg font-bold text-gray-900">
-                    Reject Order {(popupOrder || newOrder)?.orderId || '#Order'}
+                    {t("restaurant.orders.rejectTitle", { id: (popupOrder || newOrder)?.orderId || "" })}
                   </h3>
-                  <p className="text-sm text-gray-500 mt-1">Please select a reason for rejecting this order</p>
+                  <p className="text-sm text-gray-500 mt-1">{t("restaurant.orders.rejectHint")}</p>
                 </div>
 
                 {/* Content */}
@@ -2108,7 +2124,7 @@ export default function OrdersMain() {
                     onClick={handleRejectCancel}
                     className="flex-1 bg-white border-2 border-gray-300 text-gray-700 py-3 rounded-lg font-semibold text-sm hover:bg-gray-50 transition-colors"
                   >
-                    Cancel
+                    {t("restaurant.orders.cancel")}
                   </button>
                   <button
                     onClick={handleRejectConfirm}
@@ -2118,7 +2134,7 @@ export default function OrdersMain() {
                       : "bg-gray-200 text-gray-400 cursor-not-allowed"
                       }`}
                   >
-                    Confirm Rejection
+                    {t("restaurant.orders.confirmRejection")}
                   </button>
                 </div>
               </motion.div>
@@ -2149,9 +2165,9 @@ export default function OrdersMain() {
                 {/* Header */}
                 <div className="px-4 py-4 border-b border-gray-200">
                   <h3 className="text-lg font-bold text-gray-900">
-                    Cancel Order {orderToCancel.orderId || '#Order'}
+                    {t("restaurant.orders.cancelTitle", { id: orderToCancel.orderId || "" })}
                   </h3>
-                  <p className="text-sm text-gray-500 mt-1">Please provide a reason for cancelling this order</p>
+                  <p className="text-sm text-gray-500 mt-1">{t("restaurant.orders.cancelHint")}</p>
                 </div>
 
                 {/* Content */}
@@ -2196,7 +2212,7 @@ export default function OrdersMain() {
                     onClick={handleCancelPopupClose}
                     className="flex-1 bg-white border-2 border-gray-300 text-gray-700 py-3 rounded-lg font-semibold text-sm hover:bg-gray-50 transition-colors"
                   >
-                    Cancel
+                    {t("restaurant.orders.cancel")}
                   </button>
                   <button
                     onClick={handleCancelConfirm}
@@ -2206,7 +2222,7 @@ export default function OrdersMain() {
                       : "bg-gray-200 text-gray-400 cursor-not-allowed"
                       }`}
                   >
-                    Confirm Cancellation
+                    {t("restaurant.orders.confirmCancellation")}
                   </button>
                 </div>
               </motion.div>
@@ -2278,7 +2294,7 @@ export default function OrdersMain() {
 
               <div className="mb-3">
                 <p className="text-xs font-medium text-gray-700 mb-1">
-                  Items
+                  {t("restaurant.orders.items")}
                 </p>
                 <p className="text-xs text-gray-600">
                   {selectedOrder.itemsSummary}
@@ -2310,7 +2326,7 @@ export default function OrdersMain() {
                 className="w-full bg-black text-white py-2.5 rounded-xl text-sm font-medium"
                 onClick={() => setIsSheetOpen(false)}
               >
-                Close
+                {t("restaurant.orders.close")}
               </button>
             </motion.div>
           </motion.div>
@@ -2399,6 +2415,7 @@ function OrderCard({
   onCancel,
   onMarkReady,
 }) {
+  const { t } = useTranslation()
   const isReady = String(status).toLowerCase() === "ready"
 
   return (
@@ -2412,7 +2429,7 @@ function OrderCard({
             onCancel({ orderId, mongoId, customerName });
           }}
           className="absolute top-2 right-2 p-1.5 rounded-full bg-red-100 text-red-600 hover:bg-red-200 transition-colors z-10"
-          title="Cancel Order"
+          title={t("restaurant.orders.cancelOrder")}
         >
           <X className="w-4 h-4" />
         </button>
@@ -2506,7 +2523,7 @@ function OrderCard({
                     }`}>
                     <span className={`h-1.5 w-1.5 rounded-full ${deliveryPartnerId ? 'bg-green-500' : 'bg-orange-500'
                       }`} />
-                    {deliveryPartnerId ? 'Assigned' : 'Not Assigned'}
+                    {deliveryPartnerId ? t("restaurant.orders.assigned") : t("restaurant.orders.notAssigned")}
                   </span>
                   {!deliveryPartnerId && (
                     <ResendNotificationButton orderId={orderId} mongoId={mongoId} onSuccess={onSelect} />
@@ -2520,7 +2537,7 @@ function OrderCard({
                       }}
                       className="ml-1 px-3 py-1 rounded-full text-[10px] font-semibold bg-[#ff8100] text-white hover:bg-[#e67100] transition-colors"
                     >
-                      Mark as Ready
+                      {t("restaurant.orders.markReady")}
                     </button>
                   )}
                 </div>
@@ -2544,6 +2561,7 @@ function OrderCard({
 
 // Preparing Orders List
 function PreparingOrders({ onSelectOrder, onCancel }) {
+  const { t } = useTranslation()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
   const [currentTime, setCurrentTime] = useState(new Date())
@@ -2767,13 +2785,13 @@ function PreparingOrders({ onSelectOrder, onCancel }) {
     <div className="pt-4 pb-6">
       <div className="flex items-baseline justify-between mb-3">
         <h2 className="text-base font-semibold text-black">
-          Preparing orders
+          {t("restaurant.orders.preparingTitle")}
         </h2>
         <span className="text-xs text-gray-500">{orders.length} active</span>
       </div>
       {orders.length === 0 ? (
         <div className="text-center py-8 text-gray-500 text-sm">
-          No orders in preparation
+          {t("restaurant.orders.noPreparing")}
         </div>
       ) : (
         <div>
@@ -2827,6 +2845,7 @@ function PreparingOrders({ onSelectOrder, onCancel }) {
 
 // Ready Orders List
 function ReadyOrders({ onSelectOrder }) {
+  const { t } = useTranslation()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -2938,13 +2957,13 @@ function ReadyOrders({ onSelectOrder }) {
     <div className="pt-4 pb-6">
       <div className="flex items-baseline justify-between mb-3">
         <h2 className="text-base font-semibold text-black">
-          Ready for pickup
+          {t("restaurant.orders.readyTitle")}
         </h2>
         <span className="text-xs text-gray-500">{orders.length} active</span>
       </div>
       {orders.length === 0 ? (
         <div className="text-center py-8 text-gray-500 text-sm">
-          No orders ready for pickup
+          {t("restaurant.orders.noReady")}
         </div>
       ) : (
         <div>
@@ -2966,6 +2985,7 @@ function ReadyOrders({ onSelectOrder }) {
 
 // Out for Delivery Orders List
 const OutForDeliveryOrders = ({ onSelectOrder }) => {
+  const { t } = useTranslation()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -3060,13 +3080,13 @@ const OutForDeliveryOrders = ({ onSelectOrder }) => {
     <div className="pt-4 pb-6">
       <div className="flex items-baseline justify-between mb-3">
         <h2 className="text-base font-semibold text-black">
-          Out for delivery
+          {t("restaurant.orders.outForDeliveryTitle")}
         </h2>
         <span className="text-xs text-gray-500">{orders.length} active</span>
       </div>
       {orders.length === 0 ? (
         <div className="text-center py-8 text-gray-500 text-sm">
-          No orders out for delivery
+          {t("restaurant.orders.noOutForDelivery")}
         </div>
       ) : (
         <div>
@@ -3084,7 +3104,8 @@ const OutForDeliveryOrders = ({ onSelectOrder }) => {
 }
 
 // Empty State Component
-function EmptyState({ message = "Temporarily closed" }) {
+function EmptyState({ message }) {
+  const { t } = useTranslation()
   return (
     <div className="flex flex-col items-center justify-center min-h-[60vh] py-12">
       {/* Store Illustration */}
@@ -3114,12 +3135,12 @@ function EmptyState({ message = "Temporarily closed" }) {
 
       {/* Message */}
       <h2 className="text-lg font-semibold text-gray-600 mb-4 text-center">
-        {message}
+        {message || t("restaurant.orders.temporarilyClosed")}
       </h2>
 
       {/* View Status Button */}
       <button className="bg-black text-white px-6 py-3 rounded-lg font-medium hover:bg-gray-800 transition-colors">
-        View status
+        {t("restaurant.orders.viewStatus")}
       </button>
     </div>
   )
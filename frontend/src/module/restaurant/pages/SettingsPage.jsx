@@ -24,9 +24,11 @@ import { Card, CardContent } from "@/components/ui/card"
 import BottomNavbar from "../components/BottomNavbar"
 import MenuOverlay from "../components/MenuOverlay"
 import { clearModuleAuth } from "@/lib/utils/auth"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 export default function SettingsPage() {
   const navigate = useNavigate()
+  const { t, language, languages } = useTranslation()
   const [showMenu, setShowMenu] = useState(false)
   const [notificationsEnabled, setNotificationsEnabled] = useState(true)
   const [darkMode, setDarkMode] = useState(false)
@@ -51,41 +53,43 @@ export default function SettingsPage() {
     }
   }, [])
 
+  const currentLanguageName = languages.find((option) => option.code === language)?.nativeName
+
   // Settings sections
   const settingsSections = [
     {
       id: "account",
-      title: "Account",
+      title: t("restaurant.settings.account"),
       items: [
-        { id: "notifications", label: "Notifications", icon: Bell, hasToggle: true, toggleValue: notificationsEnabled, onToggle: setNotificationsEnabled },
-        { id: "privacy", label: "Privacy & Security", icon: Shield, route: "/restaurant/privacy" },
+        { id: "notifications", label: t("restaurant.settings.notifications"), icon: Bell, hasToggle: true, toggleValue: notificationsEnabled, onToggle: setNotificationsEnabled },
+        { id: "privacy", label: t("restaurant.settings.privacySecurity"), icon: Shield, route: "/restaurant/privacy" },
       ]
     },
     {
       id: "preferences",
-      title: "Preferences",
+      title: t("restaurant.settings.preferences"),
       items: [
-        { id: "language", label: "Language", icon: Globe, route: "/restaurant/language", value: "English" },
-        { id: "theme", label: "Theme", icon: darkMode ? Moon : Sun, hasToggle: true, toggleValue: darkMode, onToggle: setDarkMode },
+        { id: "language", label: t("common.language.label"), icon: Globe, route: "/restaurant/language", value: currentLanguageName },
+        { id: "theme", label: t("restaurant.settings.theme"), icon: darkMode ? Moon : Sun, hasToggle: true, toggleValue: darkMode, onToggle: setDarkMode },
       ]
     },
     {
       id: "support",
-      title: "Support & Information",
+      title: t("restaurant.settings.support"),
       items: [
-        { id: "conversation", label: "Conversation", icon: MessageSquare, route: "/restaurant/conversation" },
-        { id: "terms", label: "Terms & Conditions", icon: FileText, route: "/restaurant/terms" },
-        { id: "privacy-policy", label: "Privacy Policy", icon: Shield, route: "/restaurant/privacy" },
-        { id: "about", label: "About", icon: Info, route: "/restaurant/about" },
+        { id: "conversation", label: t("restaurant.settings.conversation"), icon: MessageSquare, route: "/restaurant/conversation" },
+        { id: "terms", label: t("restaurant.settings.terms"), icon: FileText, route: "/restaurant/terms" },
+        { id: "privacy-policy", label: t("restaurant.settings.privacyPolicy"), icon: Shield, route: "/restaurant/privacy" },
+        { id: "about", label: t("restaurant.settings.about"), icon: Info, route: "/restaurant/about" },
       ]
     },
     {
       id: "actions",
-      title: "Actions",
+      title: t("restaurant.settings.actions"),
       items: [
         {
-          id: "logout", label: "Logout", icon: LogOut, isDestructive: true, action: () => {
-            if (window.confirm("Are you sure you want to logout?")) {
+          id: "logout", label: t("restaurant.settings.logout"), icon: LogOut, isDestructive: true, action: () => {
+            if (window.confirm(t("restaurant.settings.logoutConfirm"))) {
               clearModuleAuth("restaurant")
               window.dispatchEvent(new Event("restaurantAuthChanged"))
               navigate("/restaurant/login")
@@ -106,7 +110,7 @@ export default function SettingsPage() {
         >
           <ArrowLeft className="w-5 h-5 text-gray-600" />
         </button>
-        <h1 className="text-lg font-bold text-gray-900 flex-1">Settings</h1>
+        <h1 className="text-lg font-bold text-gray-900 flex-1">{t("restaurant.settings.title")}</h1>
       </div>
 
       {/* Settings Content */}
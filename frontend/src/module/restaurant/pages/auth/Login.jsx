@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from "react"
 import { useNavigate, Link } from "react-router-dom"
-import { ArrowLeft, Mail, ChevronDown, Phone } from "lucide-react"
+import { ArrowLeft, Mail, ChevronDown, Phone, Users } from "lucide-react"
 import { setAuthData } from "@/lib/utils/auth"
 import {
   Select,
@@ -42,6 +42,14 @@ export default function RestaurantLogin() {
   const companyName = useCompanyName()
   const navigate = useNavigate()
   const [loginMethod, setLoginMethod] = useState("phone") // "phone" or "email"
+  // Staff/manager OTP login (phone only); restored when returning from the OTP screen
+  const [isStaffLogin, setIsStaffLogin] = useState(() => {
+    try {
+      return JSON.parse(sessionStorage.getItem("restaurantAuthData") || "null")?.isStaff === true
+    } catch {
+      return false
+    }
+  })
   const [formData, setFormData] = useState({
     phone: "",
     countryCode: "+91",
@@ -141,14 +149,19 @@ export default function RestaurantLogin() {
     try {
       setIsSending(true)
 
-      // Call backend to send OTP for login
-      await restaurantAPI.sendOTP(fullPhone, "login")
+      // Call backend to send OTP for login (staff are checked against the outlet's staff list)
+      if (isStaffLogin) {
+        await restaurantAPI.sendStaffOTP(fullPhone)
+      } else {
+        await restaurantAPI.sendOTP(fullPhone, "login")
+      }
 
       // Store auth data in sessionStorage for OTP page
       const authData = {
         method: "phone",
         phone: fullPhone,
         isSignUp: false,
+        isStaff: isStaffLogin,
         module: "restaurant",
       }
       sessionStorage.setItem("restaurantAuthData", JSON.stringify(authData))
@@ -428,7 +441,9 @@ export default function RestaurantLogin() {
           </span>
         </div>
         {/* Screen heading - Login mode */}
-        <h2 className="text-xl font-semibold text-gray-900 mt-4">Login</h2>
+        <h2 className="text-xl font-semibold text-gray-900 mt-4">
+          {isStaffLogin ? "Staff Login" : "Login"}
+        </h2>
       </div>
 
       {/* Main Content - Form Section */}
@@ -437,9 +452,11 @@ export default function RestaurantLogin() {
           {/* Instruction Text */}
           <div className="text-center">
             <p className="text-base text-gray-700 leading-relaxed">
-              {loginMethod === "email"
-                ? "Enter your registered email and we will send an OTP to continue"
-                : "Enter your phone number and we will send an OTP to continue"
+              {isStaffLogin
+                ? "Enter the phone number your restaurant added you with and we will send an OTP to continue"
+                : loginMethod === "email"
+                  ? "Enter your registered email and we will send an OTP to continue"
+                  : "Enter your phone number and we will send an OTP to continue"
               }
             </p>
           </div>
@@ -565,51 +582,71 @@ export default function RestaurantLogin() {
 
           {/* Alternative Login Options */}
           <div className="space-y-3">
-            {/* Login with Email Button */}
+            {/* Staff / Owner Login Toggle */}
             <Button
               onClick={() => {
-                if (loginMethod === "phone") {
-                  handleEmailLogin()
-                } else {
-                  setLoginMethod("phone")
-                }
+                setIsStaffLogin((prev) => !prev)
+                setLoginMethod("phone")
+                setApiError("")
               }}
               variant="outline"
               className="w-full h-12 rounded-lg border border-gray- hover:border-gray-400 hover:bg-gray-50 text-gray-900 font-semibold text-base flex items-center justify-center gap-3"
             >
-              {loginMethod === "email" ? <Phone className="w-5 h-5 mr-auto text-blue-600" /> : <Mail className="w-5 h-5 mr-auto text-blue-600" />}
+              <Users className="w-5 h-5 mr-auto text-blue-600" />
               <span className="mr-auto text-gray-900">
-                {loginMethod === "phone" ? "Login with Email" : "Back to Phone"}
+                {isStaffLogin ? "Login as Owner" : "Login as Staff / Manager"}
               </span>
             </Button>
 
-            {/* Login with Google Button */}
-            <Button
-              onClick={handleGoogleLogin}
-              variant="outline"
-              className="w-full h-12 rounded-lg border border-gray- hover:border-gray-400 hover:bg-gray-50 text-gray-900 font-semibold text-base flex items-center justify-center gap-3"
-            >
-              {/* Google Logo SVG */}
-              <svg className="w-5 h-5 mr-auto" viewBox="0 0 24 24">
-                <path
-                  fill="#4285F4"
-                  d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-                />
-                <path
-                  fill="#34A853"
-                  d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-                />
-                <path
-                  fill="#FBBC05"
-                  d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-                />
-                <path
-                  fill="#EA4335"
-                  d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-                />
-              </svg>
-              <span className="mr-auto text-gray-900">Login with Google</span>
-            </Button>
+            {!isStaffLogin && (
+              <>
+                {/* Login with Email Button */}
+                <Button
+                  onClick={() => {
+                    if (loginMethod === "phone") {
+                      handleEmailLogin()
+                    } else {
+                      setLoginMethod("phone")
+                    }
+                  }}
+                  variant="outline"
+                  className="w-full h-12 rounded-lg border border-gray- hover:border-gray-400 hover:bg-gray-50 text-gray-900 font-semibold text-base flex items-center justify-center gap-3"
+                >
+                  {loginMethod === "email" ? <Phone className="w-5 h-5 mr-auto text-blue-600" /> : <Mail className="w-5 h-5 mr-auto text-blue-600" />}
+                  <span className="mr-auto text-gray-900">
+                    {loginMethod === "phone" ? "Login with Email" : "Back to Phone"}
+                  </span>
+                </Button>
+
+                {/* Login with Google Button */}
+                <Button
+                  onClick={handleGoogleLogin}
+                  variant="outline"
+                  className="w-full h-12 rounded-lg border border-gray- hover:border-gray-400 hover:bg-gray-50 text-gray-900 font-semibold text-base flex items-center justify-center gap-3"
+                >
+                  {/* Google Logo SVG */}
+                  <svg className="w-5 h-5 mr-auto" viewBox="0 0 24 24">
+                    <path
+                      fill="#4285F4"
+                      d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
+                    />
+                    <path
+                      fill="#34A853"
+                      d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
+                    />
+                    <path
+                      fill="#FBBC05"
+                      d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
+                    />
+                    <path
+                      fill="#EA4335"
+                      d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+                    />
+                  </svg>
+                  <span className="mr-auto text-gray-900">Login with Google</span>
+                </Button>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -19,6 +19,8 @@ export default function RestaurantOTP() {
   const [name, setName] = useState("")
   const [nameError, setNameError] = useState("")
   const [showNameInput, setShowNameInput] = useState(false)
+  const [outlets, setOutlets] = useState([]) // staff working at several outlets pick one
+  const [outletToken, setOutletToken] = useState(null) // single-use token sent back with the chosen outlet
   const inputRefs = useRef([])
 
   useEffect(() => {
@@ -127,6 +129,56 @@ export default function RestaurantOTP() {
     }
   }
 
+  // Staff/manager login: the token is issued for the parent restaurant of the chosen outlet.
+  // The OTP is single-use, so picking an outlet sends the outlet token instead of the code.
+  const handleStaffVerify = async (code, restaurantId = null) => {
+    setIsLoading(true)
+    setError("")
+
+    try {
+      const response = restaurantId
+        ? await restaurantAPI.selectStaffOutlet(authData.phone, outletToken, restaurantId)
+        : await restaurantAPI.verifyStaffOTP(authData.phone, code)
+      const data = response?.data?.data || response?.data
+
+      if (data?.needsOutlet) {
+        setOutlets(data.outlets || [])
+        setOutletToken(data.outletToken || null)
+        return
+      }
+
+      const accessToken = data?.accessToken
+      const restaurant = data?.restaurant
+
+      if (accessToken && restaurant) {
+        setRestaurantAuthData("restaurant", accessToken, restaurant)
+
+        import("@/lib/fcmService.js").then(({ registerFcmToken }) => {
+          registerFcmToken(accessToken, { sendWelcome: false, sendLoginAlert: true }).catch(() => {})
+        })
+
+        window.dispatchEvent(new Event("restaurantAuthChanged"))
+        sessionStorage.removeItem("restaurantAuthData")
+
+        // Onboarding belongs to the owner, so staff go straight to the orders panel
+        navigate("/restaurant", { replace: true })
+      }
+    } catch (err) {
+      const message =
+        err?.response?.data?.message ||
+        err?.response?.data?.error ||
+        err?.message ||
+        "Invalid OTP. Please try again."
+      setError(message)
+      setOutlets([])
+      setOutletToken(null)
+      setOtp(["", "", "", "", "", ""])
+      inputRefs.current[0]?.focus()
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
   const handleVerify = async (otpValue = null) => {
     const code = otpValue || otp.join("")
 
@@ -135,6 +187,11 @@ export default function RestaurantOTP() {
       return
     }
 
+    if (authData?.isStaff) {
+      await handleStaffVerify(code)
+      return
+    }
+
     // Decide purpose:
     // - For phone-based flows, ALWAYS use "login" (backend handles auto-registration if needed)
     //   so that we don't block OTP verification for missing name.
@@ -297,7 +354,13 @@ export default function RestaurantOTP() {
       const phone = authData.method === "phone" ? authData.phone : null
       const email = authData.method === "email" ? authData.email : null
 
-      await restaurantAPI.sendOTP(phone, purpose, email)
+      if (authData.isStaff) {
+        await restaurantAPI.sendStaffOTP(phone)
+        setOutlets([])
+        setOutletToken(null)
+      } else {
+        await restaurantAPI.sendOTP(phone, purpose, email)
+      }
     } catch (err) {
       const message =
         err?.response?.data?.message ||
@@ -433,6 +496,27 @@ export default function RestaurantOTP() {
             </div>
           )}
 
+          {/* Outlet picker for staff added by more than one restaurant */}
+          {outlets.length > 0 && (
+            <div className="max-w-sm mx-auto text-left">
+              <p className="text-sm font-medium text-gray-700 mb-2">Select the outlet to continue</p>
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {outlets.map((outlet) => (
+                  <button
+                    key={outlet.id}
+                    type="button"
+                    onClick={() => handleStaffVerify(null, outlet.id)}
+                    disabled={isLoading}
+                    className="w-full flex items-center justify-between px-4 py-3 text-left hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <span className="text-sm font-medium text-gray-900">{outlet.name}</span>
+                    <span className="text-xs text-gray-500 capitalize">{outlet.role}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="text-center">
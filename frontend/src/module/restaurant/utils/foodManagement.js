@@ -10,7 +10,7 @@ const DEFAULT_FOODS = [
   {
     id: 1,
     name: "Medu Vada",
-    nameArabic: "ميدو فادا",
+    nameTranslations: {},
     image: "https://images.unsplash.com/photo-1585937421612-70a008356fbe?w=200&h=200&fit=crop",
     category: "Varieties",
     rating: 0.0,
@@ -39,7 +39,7 @@ const DEFAULT_FOODS = [
   {
     id: 2,
     name: "grilled lemon herb Mediterranea...",
-    nameArabic: "",
+    nameTranslations: {},
     image: "https://images.unsplash.com/photo-1512621776951-a57141f2eefd?w=200&h=200&fit=crop",
     category: "Varieties",
     rating: 0.0,
@@ -64,7 +64,7 @@ const DEFAULT_FOODS = [
   {
     id: 3,
     name: "Meat Pizza",
-    nameArabic: "",
+    nameTranslations: {},
     image: "https://images.unsplash.com/photo-1565299624946-b28f40a0ae38?w=200&h=200&fit=crop",
     category: "Varieties",
     rating: 4.7,
@@ -89,7 +89,7 @@ const DEFAULT_FOODS = [
   {
     id: 4,
     name: "Cheese Pizza",
-    nameArabic: "",
+    nameTranslations: {},
     image: "https://images.unsplash.com/photo-1574071318508-1cdbab80d002?w=400&h=300&fit=crop",
     category: "Italian",
     rating: 0.0,
@@ -114,7 +114,7 @@ const DEFAULT_FOODS = [
   {
     id: 5,
     name: "Thai Fried Rice",
-    nameArabic: "",
+    nameTranslations: {},
     image: "https://images.unsplash.com/photo-1603133872878-684f208fb84b?w=400&h=300&fit=crop",
     category: "Varieties",
     rating: 0.0,
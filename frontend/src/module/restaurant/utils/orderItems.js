@@ -0,0 +1,33 @@
+/**
+ * Order item display helpers
+ * Used by order screens and KOT / bill prints to show item customizations
+ */
+
+/**
+ * Add-ons chosen for an order line, e.g. "Extra cheese, Olives x2"
+ * @param {Array} selectedAddons - order.items[].selectedAddons
+ * @returns {string} - Empty string when the line has no add-ons
+ */
+export const formatAddonSummary = (selectedAddons = []) => {
+  if (!Array.isArray(selectedAddons)) return ""
+  return selectedAddons
+    .map((addon) => (addon.quantity > 1 ? `${addon.name} x${addon.quantity}` : addon.name))
+    .filter(Boolean)
+    .join(", ")
+}
+
+/**
+ * Multi-line kitchen label: item name, add-ons and cooking instructions
+ * @param {Object} item - Order item
+ * @returns {string}
+ */
+export const formatKitchenItemLabel = (item) => {
+  const addons = formatAddonSummary(item?.selectedAddons)
+  return [
+    item?.name || "",
+    addons && `+ ${addons}`,
+    item?.specialInstructions && `Note: ${item.specialInstructions}`,
+  ]
+    .filter(Boolean)
+    .join("\n")
+}
@@ -0,0 +1,106 @@
+/**
+ * Restaurant Panel Role Utility
+ * Resolves the signed-in account's panel role (owner, manager or staff) and
+ * decides which restaurant pages it may open. The path lists mirror the
+ * backend role guards in modules/restaurant/index.js.
+ */
+
+import { decodeToken, getModuleToken } from "@/lib/utils/auth"
+import { restaurantAPI } from "@/lib/api"
+
+export const RESTAURANT_ROLES = ["owner", "manager", "staff"]
+
+// Finance, wallet, staff, profile and outlet settings (ownerOnly on the backend)
+const OWNER_ONLY_PATHS = [
+  "/restaurant/wallet",
+  "/restaurant/hub-finance",
+  "/restaurant/finance-details",
+  "/restaurant/withdrawal-history",
+  "/restaurant/update-bank-details",
+  "/restaurant/download-report",
+  "/restaurant/invite-user",
+  "/restaurant/contact-details",
+  "/restaurant/edit-owner",
+  "/restaurant/details",
+  "/restaurant/edit",
+  "/restaurant/edit-address",
+  "/restaurant/edit-cuisines",
+  "/restaurant/outlet-info",
+  "/restaurant/outlet-timings",
+  "/restaurant/fssai",
+  "/restaurant/manage-outlets",
+  "/restaurant/business-plan",
+  "/restaurant/zone-setup",
+  "/restaurant/onboarding",
+  "/restaurant/config",
+  "/restaurant/delivery-settings",
+  "/restaurant/rush-hour",
+]
+
+// Menu, offers, reviews and reservations (owner and manager on the backend)
+const MANAGER_PATHS = [
+  "/restaurant/food",
+  "/restaurant/hub-menu",
+  "/restaurant/menu-categories",
+  "/restaurant/categories",
+  "/restaurant/inventory",
+  "/restaurant/coupon",
+  "/restaurant/hub-growth",
+  "/restaurant/feedback",
+  "/restaurant/reviews",
+  "/restaurant/ratings-reviews",
+  "/restaurant/dish-ratings",
+  "/restaurant/reservations",
+]
+
+const matchesPath = (pathname, paths) =>
+  paths.some((path) => pathname === path || pathname.startsWith(path + "/"))
+
+// Role reported by /restaurant/auth/me, kept per token so a new sign-in starts fresh
+let confirmedRole = null
+
+/**
+ * Get the panel role of the signed-in restaurant account
+ * @returns {string} - 'owner', 'manager' or 'staff' (owner when not a staff login)
+ */
+export function getRestaurantRole() {
+  const token = getModuleToken("restaurant")
+  if (confirmedRole && confirmedRole.token === token) {
+    return confirmedRole.role
+  }
+
+  const staffRole = decodeToken(token)?.staffRole
+  return RESTAURANT_ROLES.includes(staffRole) ? staffRole : "owner"
+}
+
+/**
+ * Refresh the panel role from /restaurant/auth/me so role changes made by the
+ * owner apply without waiting for the access token to expire
+ * @returns {Promise<string>} - The current role
+ */
+export async function refreshRestaurantRole() {
+  const token = getModuleToken("restaurant")
+  const response = await restaurantAPI.getCurrentRestaurant()
+  const restaurant = response?.data?.data?.restaurant || response?.data?.restaurant
+  const role = restaurant?.restaurantRole
+
+  if (token && RESTAURANT_ROLES.includes(role) && role !== getRestaurantRole()) {
+    confirmedRole = { token, role }
+    window.dispatchEvent(new Event("restaurantAuthChanged"))
+  }
+
+  return getRestaurantRole()
+}
+
+/**
+ * Check whether a panel role may open a restaurant page
+ * @param {string} pathname - Restaurant route path
+ * @param {string} role - Panel role (defaults to the signed-in role)
+ * @returns {boolean}
+ */
+export function canAccessRestaurantPath(pathname, role = getRestaurantRole()) {
+  if (role === "owner") return true
+  if (matchesPath(pathname, OWNER_ONLY_PATHS)) return false
+  if (role === "staff" && matchesPath(pathname, MANAGER_PATHS)) return false
+  return true
+}
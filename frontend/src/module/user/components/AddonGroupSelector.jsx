@@ -0,0 +1,89 @@
+import { getAddonGroups } from "../utils/addonSelection"
+
+/**
+ * AddonGroupSelector - Item-level add-on groups (toppings, extras, removals)
+ * - Single-choice groups (maxSelections 1) behave like radio buttons
+ * - Multi-choice groups toggle options up to maxSelections
+ * - Shows "Required" / "Choose up to N" hints per group
+ */
+export default function AddonGroupSelector({
+  item,
+  selectedAddons = [],
+  onChange,
+  disabled = false,
+  className = "",
+}) {
+  const groups = getAddonGroups(item)
+  if (groups.length === 0) return null
+
+  const toggleOption = (group, option) => {
+    if (disabled) return
+    const isSelected = selectedAddons.some((a) => a.groupId === group.id && a.optionId === option.id)
+    const entry = { groupId: group.id, optionId: option.id, name: option.name, price: option.price || 0 }
+
+    if (isSelected) {
+      onChange(selectedAddons.filter((a) => !(a.groupId === group.id && a.optionId === option.id)))
+      return
+    }
+
+    if ((group.maxSelections || 1) === 1) {
+      // Radio behaviour: replace current choice in this group
+      onChange([...selectedAddons.filter((a) => a.groupId !== group.id), entry])
+      return
+    }
+
+    const countInGroup = selectedAddons.filter((a) => a.groupId === group.id).length
+    if (countInGroup >= group.maxSelections) return
+    onChange([...selectedAddons, entry])
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {groups.map((group) => {
+        const countInGroup = selectedAddons.filter((a) => a.groupId === group.id).length
+        const isRequired = group.isRequired || (group.minSelections || 0) > 0
+        const hint = (group.maxSelections || 1) > 1
+          ? `Choose up to ${group.maxSelections}`
+          : "Choose 1"
+
+        return (
+          <div key={group.id}>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300">{group.name}</p>
+              <span className={`text-xs ${isRequired && countInGroup < Math.max(1, group.minSelections || 0) ? "text-red-500 dark:text-red-400" : "text-gray-500 dark:text-gray-400"}`}>
+                {isRequired ? `Required · ${hint}` : `Optional · ${hint}`}
+              </span>
+            </div>
+            {group.description && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{group.description}</p>
+            )}
+            <div className="space-y-2">
+              {group.options.map((option) => {
+                const isSelected = selectedAddons.some((a) => a.groupId === group.id && a.optionId === option.id)
+                const limitReached = !isSelected && (group.maxSelections || 1) > 1 && countInGroup >= group.maxSelections
+                return (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => toggleOption(group, option)}
+                    disabled={disabled || limitReached}
+                    className={`w-full flex items-center justify-between px-3 py-2 rounded-lg border text-left transition-all ${
+                      isSelected
+                        ? "border-red-500 dark:border-red-400 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300"
+                        : "border-gray-200 dark:border-gray-700 bg-white dark:bg-[#2a2a2a] text-gray-700 dark:text-gray-300"
+                    } ${disabled || limitReached ? "opacity-50 cursor-not-allowed" : "cursor-pointer"}`}
+                  >
+                    <span className="text-sm">{option.name}</span>
+                    <span className="text-sm">
+                      {option.price > 0 ? `+ ₹${Math.round(option.price)}` : "Free"}
+                    </span>
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -1,8 +1,10 @@
 import { Link, useLocation } from "react-router-dom"
 import { UtensilsCrossed, Tag, User, Truck } from "lucide-react"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 export default function BottomNavigation() {
   const location = useLocation()
+  const { t } = useTranslation()
 
   // Check active routes - support both /user/* and /* paths
   const isDining = location.pathname === "/dining" || location.pathname === "/user/dining"
@@ -35,7 +37,7 @@ export default function BottomNavigation() {
         >
           <Truck className={`h-5 w-5 ${isDelivery ? "text-green-700 dark:text-green-500 fill-green-700 dark:fill-green-500" : "text-gray-600 dark:text-gray-400"}`} strokeWidth={2} />
           <span className={`text-xs sm:text-sm font-medium ${isDelivery ? "text-green-700 dark:text-green-500 font-semibold" : "text-gray-600 dark:text-gray-400"}`}>
-            Delivery
+            {t("user.nav.delivery")}
           </span>
           {isDelivery && (
             <div className="absolute top-0 left-0 right-0 h-0.5 bg-green-700 dark:bg-green-500 rounded-b-full" />
@@ -55,7 +57,7 @@ export default function BottomNavigation() {
         >
           <Tag className={`h-5 w-5 ${isUnder250 ? "text-green-700 dark:text-green-500 fill-green-700 dark:fill-green-500" : "text-gray-600 dark:text-gray-400"}`} strokeWidth={2} />
           <span className={`text-xs sm:text-sm font-medium ${isUnder250 ? "text-green-700 dark:text-green-500 font-semibold" : "text-gray-600 dark:text-gray-400"}`}>
-            Under 250
+            {t("user.nav.under250")}
           </span>
           {isUnder250 && (
             <div className="absolute top-0 left-0 right-0 h-0.5 bg-green-700 dark:bg-green-500 rounded-b-full" />
@@ -75,7 +77,7 @@ export default function BottomNavigation() {
         >
           <UtensilsCrossed className={`h-5 w-5 ${isDining ? "text-green-700 dark:text-green-500 fill-green-700 dark:fill-green-500" : "text-gray-600 dark:text-gray-400"}`} strokeWidth={2} />
           <span className={`text-xs sm:text-sm font-medium ${isDining ? "text-green-700 dark:text-green-500 font-semibold" : "text-gray-600 dark:text-gray-400"}`}>
-            Dining
+            {t("user.nav.dining")}
           </span>
           {isDining && (
             <div className="absolute top-0 left-0 right-0 h-0.5 bg-green-700 dark:bg-green-500 rounded-b-full" />
@@ -95,7 +97,7 @@ export default function BottomNavigation() {
         >
           <User className={`h-5 w-5 ${isProfile ? "text-green-700 dark:text-green-500 fill-green-700 dark:fill-green-500" : "text-gray-600 dark:text-gray-400"}`} />
           <span className={`text-xs sm:text-sm font-medium ${isProfile ? "text-green-700 dark:text-green-500 font-semibold" : "text-gray-600 dark:text-gray-400"}`}>
-            Profile
+            {t("user.nav.profile")}
           </span>
           {isProfile && (
             <div className="absolute top-0 left-0 right-0 h-0.5 bg-green-700 dark:bg-green-500 rounded-b-full" />
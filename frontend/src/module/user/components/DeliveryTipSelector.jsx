@@ -0,0 +1,83 @@
+import { useState } from "react"
+import { HandCoins } from "lucide-react"
+
+const TIP_PRESETS = [20, 30, 50]
+export const MAX_TIP_AMOUNT = 500
+
+/**
+ * DeliveryTipSelector - Tip for the delivery partner
+ * - Preset amounts or a custom amount (whole rupees, up to MAX_TIP_AMOUNT)
+ * - The full tip goes to the delivery partner
+ * - onChange receives the amount, or 0 for no tip
+ */
+export default function DeliveryTipSelector({
+  value = 0,
+  onChange,
+  title = "Tip your delivery partner",
+  subtitle = "Your kindness means a lot! 100% of your tip will go to your delivery partner",
+  className = "bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl",
+}) {
+  const [isCustom, setIsCustom] = useState(value > 0 && !TIP_PRESETS.includes(value))
+  const [customAmount, setCustomAmount] = useState(isCustom ? String(value) : "")
+
+  const handlePreset = (amount) => {
+    setIsCustom(false)
+    onChange(value === amount ? 0 : amount)
+  }
+
+  const handleCustom = () => {
+    setIsCustom(true)
+    onChange(Number(customAmount) || 0)
+  }
+
+  const handleCustomAmount = (e) => {
+    const digits = e.target.value.replace(/\D/g, "").slice(0, 3)
+    const amount = Math.min(Number(digits) || 0, MAX_TIP_AMOUNT)
+    setCustomAmount(amount ? String(amount) : "")
+    onChange(amount)
+  }
+
+  const toggleClass = (active) =>
+    `text-xs md:text-sm px-3 py-1 md:py-1.5 rounded-md border transition-colors ${
+      active
+        ? "border-red-500 dark:border-red-400 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 font-medium"
+        : "border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-[#1a1a1a]"
+    }`
+
+  return (
+    <div className={className}>
+      <div className="flex items-start gap-3 md:gap-4">
+        <HandCoins className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400 mt-0.5" />
+        <div className="flex-1">
+          <p className="text-sm md:text-base text-gray-800 dark:text-gray-200 font-medium">{title}</p>
+          <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">{subtitle}</p>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {TIP_PRESETS.map((amount) => (
+              <button
+                key={amount}
+                type="button"
+                onClick={() => handlePreset(amount)}
+                className={toggleClass(!isCustom && value === amount)}
+              >
+                ₹{amount}
+              </button>
+            ))}
+            <button type="button" onClick={handleCustom} className={toggleClass(isCustom)}>
+              Other
+            </button>
+          </div>
+          {isCustom && (
+            <input
+              type="text"
+              inputMode="numeric"
+              value={customAmount}
+              onChange={handleCustomAmount}
+              placeholder={`Enter amount (max ₹${MAX_TIP_AMOUNT})`}
+              className="mt-2 w-full text-sm px-3 py-2 rounded-md border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-800 dark:text-gray-200 focus:outline-none focus:border-red-500"
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 import bikeLogo from '@/assets/bikelogo.png';
 import { RouteBasedAnimationController, updateMarkerIconRotation } from '@/module/user/utils/routeBasedAnimation';
 import { extractPolylineFromDirections, findNearestPointOnPolyline } from '@/module/delivery/utils/liveTrackingPolyline';
@@ -754,8 +755,10 @@ const DeliveryTrackingMap = ({
       reconnection: true,
       reconnectionDelay: 500,
       reconnectionAttempts: 5,
-      timeout: 5000
+      timeout: 5000,
+      auth: socketAuth('user')
     });
+    enableSocketTokenRefresh(socketRef.current, 'user');
 
     socketRef.current.on('connect', () => {
       console.log('✅ Socket connected for order:', orderId);
@@ -12,6 +12,7 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import io from 'socket.io-client';
 import { API_BASE_URL } from '@/lib/api/config';
+import { socketAuth, enableSocketTokenRefresh } from '@/lib/utils/socketAuth';
 import bikeLogo from '@/assets/bikelogo.png';
 import {
   snapToPolyline,
@@ -221,8 +222,10 @@ const EnhancedDeliveryTrackingMap = ({
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionDelay: 1000,
-      reconnectionAttempts: 5
+      reconnectionAttempts: 5,
+      auth: socketAuth('user')
     });
+    enableSocketTokenRefresh(socket, 'user');
 
     socket.on('connect', () => {
       console.log('✅ Socket connected for order tracking:', orderId);
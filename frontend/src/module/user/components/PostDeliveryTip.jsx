@@ -0,0 +1,117 @@
+import { useState } from "react"
+import { Loader2 } from "lucide-react"
+import { toast } from "sonner"
+import { orderAPI } from "@/lib/api"
+import { initRazorpayPayment } from "@/lib/utils/razorpay"
+import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
+import DeliveryTipSelector from "./DeliveryTipSelector"
+
+/**
+ * PostDeliveryTip - Tip the delivery partner from order details once delivered
+ * - Paid from the wallet or through Razorpay
+ * - onTipped receives the saved tip ({ amount, status, ... })
+ */
+export default function PostDeliveryTip({ orderId, onTipped }) {
+  const [amount, setAmount] = useState(0)
+  const [paymentMethod, setPaymentMethod] = useState("razorpay")
+  const [processing, setProcessing] = useState(false)
+
+  const verifyRazorpayTip = async (response) => {
+    try {
+      const verifyResponse = await orderAPI.verifyDeliveryTip(orderId, {
+        razorpayOrderId: response.razorpay_order_id,
+        razorpayPaymentId: response.razorpay_payment_id,
+        razorpaySignature: response.razorpay_signature,
+      })
+      toast.success("Thanks! Your tip has been sent")
+      onTipped?.(verifyResponse?.data?.data?.tip)
+    } catch (error) {
+      console.error("Tip payment verification error:", error)
+      toast.error(error?.response?.data?.message || "Payment verification failed. Please contact support.")
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleSendTip = async () => {
+    if (!amount) {
+      toast.error("Choose a tip amount")
+      return
+    }
+
+    try {
+      setProcessing(true)
+      const response = await orderAPI.addDeliveryTip(orderId, amount, paymentMethod)
+      const { tip, razorpay } = response?.data?.data || {}
+
+      if (!razorpay) {
+        toast.success("Thanks! Your tip has been sent")
+        onTipped?.(tip)
+        setProcessing(false)
+        return
+      }
+
+      const companyName = await getCompanyNameAsync()
+      await initRazorpayPayment({
+        key: razorpay.key,
+        amount: razorpay.amount, // Already in paise from backend
+        currency: razorpay.currency || "INR",
+        order_id: razorpay.orderId,
+        name: companyName,
+        description: `Delivery partner tip - ₹${amount}`,
+        notes: { type: "delivery_tip" },
+        handler: verifyRazorpayTip,
+        onError: (error) => {
+          console.error("Razorpay payment error:", error)
+          toast.error(error?.description || "Payment failed. Please try again.")
+          setProcessing(false)
+        },
+        onClose: () => setProcessing(false),
+      })
+    } catch (error) {
+      console.error("Error sending tip:", error)
+      toast.error(error?.response?.data?.message || "Failed to send tip. Please try again.")
+      setProcessing(false)
+    }
+  }
+
+  const methodClass = (active) =>
+    `flex-1 text-xs px-3 py-1.5 rounded-md border transition-colors ${
+      active
+        ? "border-[#E23744] bg-red-50 text-[#E23744] font-medium"
+        : "border-gray-300 text-gray-700 bg-white"
+    }`
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm">
+      <DeliveryTipSelector
+        value={amount}
+        onChange={setAmount}
+        title="Enjoyed the delivery?"
+        subtitle="Tip your delivery partner. 100% of it goes to them"
+        className=""
+      />
+      {amount > 0 && (
+        <div className="mt-3 space-y-3">
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setPaymentMethod("razorpay")} className={methodClass(paymentMethod === "razorpay")}>
+              UPI / Card
+            </button>
+            <button type="button" onClick={() => setPaymentMethod("wallet")} className={methodClass(paymentMethod === "wallet")}>
+              Wallet
+            </button>
+          </div>
+          <button
+            type="button"
+            disabled={processing}
+            onClick={handleSendTip}
+            className="w-full flex items-center justify-center gap-2 bg-[#E23744] text-white text-sm font-semibold py-2.5 rounded-lg disabled:opacity-60"
+          >
+            {processing && <Loader2 className="w-4 h-4 animate-spin" />}
+            Send ₹{amount} tip
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,134 @@
+import { useState } from "react"
+import { Clock, Loader2 } from "lucide-react"
+import { orderAPI } from "@/lib/api"
+
+/**
+ * ScheduleDeliverySelector - "Deliver now" or pick a future delivery slot
+ * - Slots are fetched from the backend only when the user chooses to schedule
+ * - Slots already respect outlet timings and item availability windows
+ * - onChange receives the slot as an ISO string, or null for "now"
+ */
+export default function ScheduleDeliverySelector({
+  restaurantId,
+  itemIds = [],
+  estimatedTime = "10-15 mins",
+  value = null,
+  onChange,
+}) {
+  const [isScheduling, setIsScheduling] = useState(!!value)
+  const [days, setDays] = useState(null)
+  const [selectedDate, setSelectedDate] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const loadSlots = async () => {
+    if (!restaurantId) return
+    try {
+      setLoading(true)
+      const response = await orderAPI.getScheduleSlots(restaurantId, itemIds)
+      const data = response?.data?.data
+      const availableDays = data?.enabled ? data.days || [] : []
+      setDays(availableDays)
+      setSelectedDate(availableDays[0]?.date || null)
+    } catch (error) {
+      console.error("Error fetching delivery slots:", error)
+      setDays([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDeliverNow = () => {
+    setIsScheduling(false)
+    onChange(null)
+  }
+
+  const handleSchedule = () => {
+    setIsScheduling(true)
+    loadSlots()
+  }
+
+  const activeDay = days?.find((day) => day.date === selectedDate)
+  const selectedLabel = value
+    ? new Date(value).toLocaleString("en-IN", {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : null
+
+  const toggleClass = (active) =>
+    `text-xs md:text-sm px-3 py-1 md:py-1.5 rounded-md border transition-colors ${
+      active
+        ? "border-red-500 dark:border-red-400 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 font-medium"
+        : "border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-[#1a1a1a]"
+    }`
+
+  return (
+    <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl">
+      <div className="flex items-center gap-3 md:gap-4">
+        <Clock className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
+        <div className="flex-1">
+          <p className="text-sm md:text-base text-gray-800 dark:text-gray-200">
+            {selectedLabel ? (
+              <>Scheduled for <span className="font-semibold">{selectedLabel}</span></>
+            ) : (
+              <>Delivery in <span className="font-semibold">{estimatedTime}</span></>
+            )}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button type="button" onClick={handleDeliverNow} className={toggleClass(!isScheduling)}>
+            Now
+          </button>
+          <button type="button" onClick={handleSchedule} className={toggleClass(isScheduling)}>
+            Schedule
+          </button>
+        </div>
+      </div>
+
+      {isScheduling && (
+        <div className="mt-3 pl-7 md:pl-9">
+          {loading || days === null ? (
+            <div className="flex items-center gap-2 text-xs md:text-sm text-gray-500 dark:text-gray-400">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Loading delivery slots...
+            </div>
+          ) : days.length === 0 ? (
+            <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">
+              No delivery slots are available for scheduling right now.
+            </p>
+          ) : (
+            <>
+              <div className="flex gap-2 overflow-x-auto pb-2">
+                {days.map((day) => (
+                  <button
+                    key={day.date}
+                    type="button"
+                    onClick={() => setSelectedDate(day.date)}
+                    className={toggleClass(day.date === selectedDate)}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2 mt-1">
+                {activeDay?.slots.map((slot) => (
+                  <button
+                    key={slot.value}
+                    type="button"
+                    onClick={() => onChange(slot.value)}
+                    className={toggleClass(slot.value === value)}
+                  >
+                    {slot.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
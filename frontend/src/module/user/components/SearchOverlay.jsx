@@ -1,9 +1,10 @@
 import { useState, useEffect, useRef } from "react"
 import { useNavigate } from "react-router-dom"
-import { X, Search, Clock, Loader2 } from "lucide-react"
+import { X, Search, Clock, Loader2, TrendingUp, Store, UtensilsCrossed } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
-import { adminAPI } from "@/lib/api"
+import { adminAPI, searchAPI } from "@/lib/api"
+import { useProfile } from "../context/ProfileContext"
 
 // Import shared food images - prevents duplication
 import { foodImages } from "@/constants/images"
@@ -11,6 +12,14 @@ import { foodImages } from "@/constants/images"
 // LocalStorage key for recent searches
 const RECENT_SEARCHES_KEY = 'userRecentSearches'
 const MAX_RECENT_SEARCHES = 8
+const SUGGESTION_DEBOUNCE_MS = 250
+
+const SUGGESTION_ICONS = {
+  popular: TrendingUp,
+  restaurant: Store,
+  dish: UtensilsCrossed,
+  cuisine: UtensilsCrossed,
+}
 
 export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchChange }) {
   const navigate = useNavigate()
@@ -20,6 +29,9 @@ export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchCh
   const [recentSearches, setRecentSearches] = useState([])
   const [filteredFoods, setFilteredFoods] = useState([])
   const [imageErrors, setImageErrors] = useState(new Set())
+  const [suggestions, setSuggestions] = useState([])
+  const [popularSearches, setPopularSearches] = useState([])
+  const { vegMode } = useProfile()
 
   // Fetch categories from API
   useEffect(() => {
@@ -73,6 +85,52 @@ export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchCh
     }
   }, [isOpen])
 
+  // Fetch popular searches
+  useEffect(() => {
+    if (!isOpen) return
+
+    const fetchPopularSearches = async () => {
+      try {
+        const response = await searchAPI.getPopularSearches({ limit: 8 })
+        setPopularSearches(response.data?.data?.searches || [])
+      } catch (error) {
+        console.error('Error fetching popular searches:', error)
+        setPopularSearches([])
+      }
+    }
+
+    fetchPopularSearches()
+  }, [isOpen])
+
+  // Autocomplete suggestions while typing (debounced)
+  useEffect(() => {
+    const term = searchValue.trim()
+    if (!isOpen || term.length < 2) {
+      setSuggestions([])
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const response = await searchAPI.getSuggestions({ q: term, veg: vegMode ? "true" : "false" })
+        if (!cancelled) {
+          setSuggestions(response.data?.data?.suggestions || [])
+        }
+      } catch (error) {
+        console.error('Error fetching search suggestions:', error)
+        if (!cancelled) {
+          setSuggestions([])
+        }
+      }
+    }, SUGGESTION_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchValue, isOpen, vegMode])
+
   useEffect(() => {
     if (isOpen && inputRef.current) {
       inputRef.current.focus()
@@ -149,6 +207,17 @@ export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchCh
     }
   }
 
+  const handleApiSuggestionClick = (suggestion) => {
+    onClose()
+    onSearchChange("")
+    if (suggestion.type === "restaurant" && suggestion.slug) {
+      navigate(`/user/restaurants/${suggestion.slug}`)
+      return
+    }
+    saveRecentSearch(suggestion.text)
+    navigate(`/user/search?q=${encodeURIComponent(suggestion.text)}`)
+  }
+
   const handleFoodClick = (food) => {
     saveRecentSearch(food.name)
     navigate(`/user/search?q=${encodeURIComponent(food.name)}`)
@@ -193,6 +262,26 @@ export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchCh
       </div>
 
       <div className="flex-1 overflow-y-auto max-w-7xl mx-auto w-full px-4 sm:px-6 lg:px-8 py-6 scrollbar-hide bg-white dark:bg-[#0a0a0a]">
+        {/* Autocomplete Suggestions */}
+        {searchValue.trim().length >= 2 && suggestions.length > 0 && (
+          <div className="mb-6 divide-y divide-gray-100 dark:divide-gray-800 border border-gray-100 dark:border-gray-800 rounded-xl overflow-hidden">
+            {suggestions.map((suggestion, index) => {
+              const Icon = SUGGESTION_ICONS[suggestion.type] || Search
+              return (
+                <button
+                  key={`${suggestion.type}-${suggestion.text}-${index}`}
+                  onClick={() => handleApiSuggestionClick(suggestion)}
+                  className="w-full flex items-center gap-3 px-4 py-3 text-left hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
+                >
+                  <Icon className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                  <span className="flex-1 text-sm text-gray-800 dark:text-gray-200 line-clamp-1">{suggestion.text}</span>
+                  <span className="text-[11px] uppercase tracking-wide text-gray-400">{suggestion.type}</span>
+                </button>
+              )
+            })}
+          </div>
+        )}
+
         {/* Suggestions Row */}
         <div
           className="mb-6"
@@ -225,6 +314,28 @@ export default function SearchOverlay({ isOpen, onClose, searchValue, onSearchCh
           </div>
         </div>
 
+        {/* Popular Searches */}
+        {searchValue.trim() === "" && popularSearches.length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-sm sm:text-base font-semibold text-gray-700 dark:text-gray-300 mb-4 flex items-center gap-2">
+              <TrendingUp className="h-4 w-4 text-primary-orange" />
+              Popular Searches
+            </h3>
+            <div className="flex gap-2 sm:gap-3 flex-wrap">
+              {popularSearches.map((popular) => (
+                <button
+                  key={popular.term}
+                  onClick={() => handleSuggestionClick(popular.text)}
+                  className="inline-flex items-center gap-2 px-3 sm:px-4 py-2 rounded-full bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 transition-all duration-200 text-xs sm:text-sm font-medium"
+                >
+                  <TrendingUp className="h-3 w-3 sm:h-4 sm:w-4 text-gray-400 flex-shrink-0" />
+                  <span>{popular.text}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Food Grid */}
         <div
           style={{
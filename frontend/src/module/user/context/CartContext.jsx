@@ -1,5 +1,46 @@
 // src/context/cart-context.jsx
-import { createContext, useContext, useEffect, useMemo, useState } from "react"
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react"
+import { toast } from "sonner"
+import { userAPI } from "@/lib/api"
+import { isModuleAuthenticated } from "@/lib/utils/auth"
+
+// Wait for quick taps to settle before saving the cart to the account
+const SYNC_DELAY_MS = 600
+
+// Server cart line -> cart item (keeps display-only fields the device already had)
+const fromServerLine = (line, restaurant, local = {}) => ({
+  ...local,
+  id: line.lineId,
+  productId: line.itemId,
+  productName: line.name,
+  name: line.name,
+  image: line.image || local.image,
+  isVeg: line.isVeg,
+  restaurant: restaurant?.name || local.restaurant,
+  restaurantId: local.restaurantId || restaurant?.restaurantId || restaurant?.id,
+  selectedVariantId: line.variantId || undefined,
+  selectedVariantName: line.variantName || undefined,
+  selectedAddons: line.selectedAddons || [],
+  addonsTotal: line.addonsTotal || 0,
+  specialInstructions: line.specialInstructions || '',
+  variantPrice: line.basePrice,
+  price: line.price,
+  quantity: line.quantity,
+  totalPrice: line.totalPrice,
+  isAvailable: line.isAvailable,
+  unavailableReason: line.unavailableReason || null,
+})
+
+// Cart item -> line sent to the server (prices are set server-side)
+const toServerLine = (item) => ({
+  itemId: item.productId ?? item.id,
+  variantId: item.selectedVariantId || undefined,
+  selectedAddons: (item.selectedAddons || []).map(({ groupId, optionId, quantity }) => ({ groupId, optionId, quantity })),
+  specialInstructions: item.specialInstructions || '',
+  quantity: item.quantity,
+  name: item.productName ?? item.name,
+  price: item.price,
+})
 
 // Default cart context value to prevent errors during initial render
 const defaultCartContext = {
@@ -22,14 +63,16 @@ const defaultCartContext = {
   getCartCount: () => 0,
   isInCart: () => false,
   getCartItem: () => null,
-  getCartItemId: (productId, selectedVariantId) =>
-    selectedVariantId ? `${productId}__${selectedVariantId}` : (productId || ''),
+  getCartItemId: (productId, selectedVariantId, customizationKey) =>
+    [productId || '', selectedVariantId, customizationKey].filter(Boolean).join('__'),
   clearCart: () => {
     console.warn('CartProvider not available - clearCart called');
   },
   cleanCartForRestaurant: () => {
     console.warn('CartProvider not available - cleanCartForRestaurant called');
   },
+  cartValidation: { issues: [], canCheckout: true, restaurant: null },
+  refreshCart: async () => {},
 }
 
 const CartContext = createContext(defaultCartContext)
@@ -60,10 +103,153 @@ export function CartProvider({ children }) {
     }
   }, [cart])
 
-  // Clear cart on login/logout so each user session has isolated cart (no previous user's cart)
+  // Signed-in customers keep their cart on the server so every device shares it.
+  // versionRef is the server version this device last saw; it is sent with each
+  // save so a device that missed changes made elsewhere cannot overwrite them.
+  const [cartValidation, setCartValidation] = useState(defaultCartContext.cartValidation)
+  const versionRef = useRef(null)
+  const cartRef = useRef(cart)
+  const syncStateRef = useRef({ timer: null, inFlight: false, changes: 0 })
+  // Set when the cart state comes from the server, so it is not saved straight back
+  const skipSyncRef = useRef(true)
+
+  useEffect(() => {
+    cartRef.current = cart
+  }, [cart])
+
+  const applyServerCart = useCallback((serverCart) => {
+    if (!serverCart) return
+    versionRef.current = serverCart.version
+    setCartValidation({
+      issues: serverCart.issues || [],
+      canCheckout: serverCart.canCheckout !== false,
+      restaurant: serverCart.restaurant || null,
+    })
+    skipSyncRef.current = true
+    setCart((prev) => {
+      const localById = new Map(prev.map((item) => [item.id, item]))
+      return (serverCart.items || []).map((line) =>
+        fromServerLine(line, serverCart.restaurant, localById.get(line.lineId)),
+      )
+    })
+  }, [])
+
+  const syncCart = async () => {
+    const state = syncStateRef.current
+    // A save already in flight schedules another one when it finishes
+    if (state.inFlight) return
+    state.inFlight = true
+    const changesAtStart = state.changes
+    const items = cartRef.current
+
+    try {
+      const response = await userAPI.syncCart({
+        restaurantId: items[0]?.restaurantId,
+        items: items.map(toServerLine),
+        baseVersion: versionRef.current ?? undefined,
+      })
+      const serverCart = response?.data?.data?.cart
+      if (state.changes === changesAtStart) {
+        applyServerCart(serverCart)
+      } else if (serverCart) {
+        // Newer taps are waiting to be saved; only move the version forward
+        versionRef.current = serverCart.version
+      }
+    } catch (error) {
+      const serverCart = error?.response?.data?.data?.cart
+      if (error?.response?.status === 409 && serverCart) {
+        applyServerCart(serverCart)
+        toast.info("Your cart was updated on another device")
+      } else {
+        console.error("Error saving cart:", error)
+      }
+    } finally {
+      state.inFlight = false
+      if (state.changes !== changesAtStart) {
+        scheduleSync()
+      }
+    }
+  }
+
+  const scheduleSync = () => {
+    const state = syncStateRef.current
+    clearTimeout(state.timer)
+    state.timer = setTimeout(() => {
+      state.timer = null
+      syncCart()
+    }, SYNC_DELAY_MS)
+  }
+
+  // Fetch the account cart; keepLocal carries a cart built on this device
+  // (e.g. before signing in) into an empty account cart
+  const loadServerCart = async ({ keepLocal = false } = {}) => {
+    if (!isModuleAuthenticated("user")) return
+    try {
+      const response = await userAPI.getCart()
+      const serverCart = response?.data?.data?.cart
+      if (!serverCart) return
+
+      if (keepLocal && serverCart.items.length === 0 && cartRef.current.length > 0) {
+        versionRef.current = serverCart.version
+        syncCart()
+        return
+      }
+      // Local changes not saved yet win; they are sent with the fetched version
+      const state = syncStateRef.current
+      if (state.timer || state.inFlight) {
+        versionRef.current = serverCart.version
+        return
+      }
+      applyServerCart(serverCart)
+    } catch (error) {
+      console.error("Error loading cart:", error)
+    }
+  }
+
+  // Save local changes to the account cart
+  useEffect(() => {
+    if (skipSyncRef.current) {
+      skipSyncRef.current = false
+      return
+    }
+    if (!isModuleAuthenticated("user")) return
+    syncStateRef.current.changes += 1
+    scheduleSync()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cart])
+
+  // Load the account cart on start, and again whenever the app comes back to
+  // the foreground (the cart may have changed on another device)
+  useEffect(() => {
+    loadServerCart({ keepLocal: true })
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        loadServerCart()
+      }
+    }
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange)
+      clearTimeout(syncStateRef.current.timer)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  // On login switch to the account cart (an empty account cart takes over the
+  // guest cart); on logout clear the cart so the next user starts empty
   useEffect(() => {
     const handleAuthChange = () => {
+      if (isModuleAuthenticated("user")) {
+        loadServerCart({ keepLocal: true })
+        return
+      }
+      clearTimeout(syncStateRef.current.timer)
+      syncStateRef.current.timer = null
+      versionRef.current = null
+      skipSyncRef.current = true
       setCart([])
+      setCartValidation(defaultCartContext.cartValidation)
       try {
         localStorage.removeItem("cart")
       } catch {
@@ -72,22 +258,28 @@ export function CartProvider({ children }) {
     }
     window.addEventListener("userAuthChanged", handleAuthChange)
     return () => window.removeEventListener("userAuthChanged", handleAuthChange)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
-  // Generate cart item ID: productId for no variant, productId__variantId for variants
-  const getCartItemId = (productId, selectedVariantId) => {
+  // Generate cart item ID: productId for no variant, productId__variantId for variants,
+  // with a trailing __customizationKey when add-ons / instructions are selected
+  const getCartItemId = (productId, selectedVariantId, customizationKey) => {
     const pid = productId ?? '';
+    let id = pid;
     if (selectedVariantId) {
-      return `${pid}__${selectedVariantId}`;
+      id = `${id}__${selectedVariantId}`;
+    }
+    if (customizationKey) {
+      id = `${id}__${customizationKey}`;
     }
-    return pid;
+    return id;
   };
 
   const addToCart = (item, sourcePosition = null) => {
     setCart((prev) => {
       const productId = item.productId ?? item.id;
       const selectedVariantId = item.selectedVariantId ?? null;
-      const cartItemId = getCartItemId(productId, selectedVariantId);
+      const cartItemId = getCartItemId(productId, selectedVariantId, item.customizationKey);
 
       // CRITICAL: Validate restaurant consistency
       if (prev.length > 0) {
@@ -161,8 +353,10 @@ export function CartProvider({ children }) {
       }
 
       const variantPrice = item.variantPrice ?? item.price;
+      const addonsTotal = item.addonsTotal || 0;
+      const unitPrice = variantPrice + addonsTotal;
       const quantity = item.quantity ?? 1;
-      const totalPrice = variantPrice * quantity;
+      const totalPrice = unitPrice * quantity;
 
       const newItem = {
         ...item,
@@ -172,8 +366,11 @@ export function CartProvider({ children }) {
         name: item.productName ?? item.name,
         selectedVariantId: selectedVariantId || undefined,
         selectedVariantName: item.selectedVariantName || undefined,
+        selectedAddons: item.selectedAddons || [],
+        addonsTotal,
+        specialInstructions: item.specialInstructions || '',
         variantPrice,
-        price: variantPrice,
+        price: unitPrice,
         quantity,
         totalPrice,
       };
@@ -413,8 +610,10 @@ export function CartProvider({ children }) {
       getCartItemId,
       clearCart,
       cleanCartForRestaurant,
+      cartValidation,
+      refreshCart: loadServerCart,
     }),
-    [cart, cartForAnimation, lastAddEvent, lastRemoveEvent]
+    [cart, cartForAnimation, lastAddEvent, lastRemoveEvent, cartValidation]
   )
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>
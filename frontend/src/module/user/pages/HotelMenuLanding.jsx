@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { Loader2, Hotel, MapPin, Phone, Mail } from 'lucide-react';
+import { Loader2, Hotel, MapPin, Phone, Mail, BedDouble } from 'lucide-react';
 import { API_BASE_URL } from '@/lib/api/config';
 import axios from 'axios';
 import { toast } from 'sonner';
@@ -12,12 +12,18 @@ export default function HotelMenuLanding() {
     const [loading, setLoading] = useState(true);
     const [hotel, setHotel] = useState(null);
     const [error, setError] = useState(null);
+    const [room, setRoom] = useState(null);
+    // Floor QR: guest picks their room from the floor's active rooms
+    const [floorRooms, setFloorRooms] = useState(null);
+    const [selectedRoom, setSelectedRoom] = useState('');
 
     useEffect(() => {
         const validateQR = async () => {
             try {
-                // Get hotel reference from URL parameter
+                // Get hotel reference (and room / floor for room-level QR codes) from URL parameters
                 const hotelRef = searchParams.get('ref');
+                const roomToken = searchParams.get('room');
+                const floor = searchParams.get('floor');
 
                 if (!hotelRef) {
                     setError('Invalid QR code. No hotel reference found.');
@@ -29,21 +35,47 @@ export default function HotelMenuLanding() {
 
                 // Validate QR code with backend
                 const response = await axios.get(
-                    `${API_BASE_URL}/api/hotel/public/qr/${hotelRef}`
+                    `${API_BASE_URL}/api/hotel/public/qr/${hotelRef}`,
+                    { params: { room: roomToken || undefined, floor: floor || undefined } }
                 );
 
                 if (response.data.success && response.data.data.hotel) {
                     const hotelData = response.data.data.hotel;
                     console.log('✅ Hotel validated:', hotelData);
 
+                    const { room: roomData, floor: floorName, floorRooms: roomsOnFloor } = response.data.data;
+
                     // Store hotel reference in sessionStorage (session-scoped)
                     sessionStorage.setItem('hotelReference', hotelData.hotelId);
                     sessionStorage.setItem('hotelReferenceName', hotelData.hotelName);
                     sessionStorage.setItem('isHotelOrder', 'true');
 
+                    // A new scan replaces any room from an earlier scan
+                    sessionStorage.removeItem('hotelRoomToken');
+                    sessionStorage.removeItem('hotelRoomNumber');
+                    sessionStorage.removeItem('hotelFloor');
+
                     setHotel(hotelData);
 
-                    toast.success(`Welcome to ${hotelData.hotelName}!`);
+                    if (roomsOnFloor) {
+                        // Wait for the guest to pick their room
+                        sessionStorage.setItem('hotelFloor', floorName);
+                        setFloorRooms(roomsOnFloor);
+                        return;
+                    }
+
+                    if (roomData) {
+                        // Room QR: the room is part of the ordering session
+                        sessionStorage.setItem('hotelRoomToken', roomData.token);
+                        sessionStorage.setItem('hotelRoomNumber', roomData.roomNumber);
+                        setRoom(roomData);
+                    }
+
+                    toast.success(
+                        roomData
+                            ? `Welcome to ${hotelData.hotelName}, Room ${roomData.roomNumber}!`
+                            : `Welcome to ${hotelData.hotelName}!`
+                    );
 
                     // Redirect to main menu page after 2 seconds
                     setTimeout(() => {
@@ -63,6 +95,16 @@ export default function HotelMenuLanding() {
         validateQR();
     }, [searchParams, navigate]);
 
+    const handleSelectRoom = () => {
+        if (!selectedRoom) {
+            toast.error('Please select your room');
+            return;
+        }
+        sessionStorage.setItem('hotelRoomNumber', selectedRoom);
+        toast.success(`Welcome to ${hotel.hotelName}, Room ${selectedRoom}!`);
+        navigate('/user');
+    };
+
     if (loading) {
         return (
             <AnimatedPage className="min-h-screen flex items-center justify-center bg-gradient-to-br from-orange-50 to-yellow-50">
@@ -119,6 +161,13 @@ export default function HotelMenuLanding() {
                         {hotel?.hotelName}
                     </h2>
 
+                    {room && (
+                        <p className="flex items-center justify-center gap-2 text-lg font-semibold text-orange-600 mb-2">
+                            <BedDouble className="h-5 w-5" />
+                            Room {room.roomNumber}
+                        </p>
+                    )}
+
                     <p className="text-center text-gray-600 mb-6">
                         Welcome! Browse our menu and order your favorites.
                     </p>
@@ -147,11 +196,37 @@ export default function HotelMenuLanding() {
                         )}
                     </div>
 
-                    {/* Loading indicator */}
-                    <div className="flex items-center justify-center gap-2 text-green-600">
-                        <Loader2 className="h-5 w-5 animate-spin" />
-                        <span className="font-medium">Redirecting to menu...</span>
-                    </div>
+                    {floorRooms ? (
+                        <div className="space-y-3">
+                            <label className="block text-sm font-semibold text-gray-800">
+                                Select your room
+                            </label>
+                            <select
+                                value={selectedRoom}
+                                onChange={(e) => setSelectedRoom(e.target.value)}
+                                className="w-full px-4 py-3 border-2 border-orange-300 rounded-lg bg-white text-gray-900 focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                            >
+                                <option value="">Choose room</option>
+                                {floorRooms.map((floorRoom) => (
+                                    <option key={floorRoom.roomNumber} value={floorRoom.roomNumber}>
+                                        Room {floorRoom.roomNumber}{floorRoom.label ? ` - ${floorRoom.label}` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={handleSelectRoom}
+                                className="w-full bg-gradient-to-r from-orange-500 to-red-500 text-white py-3 rounded-lg font-semibold hover:from-orange-600 hover:to-red-600 transition-all"
+                            >
+                                Continue to Menu
+                            </button>
+                        </div>
+                    ) : (
+                        /* Loading indicator */
+                        <div className="flex items-center justify-center gap-2 text-green-600">
+                            <Loader2 className="h-5 w-5 animate-spin" />
+                            <span className="font-medium">Redirecting to menu...</span>
+                        </div>
+                    )}
                 </div>
             </div>
         </AnimatedPage>
@@ -8,7 +8,7 @@ import StickyCartCard from "../components/StickyCartCard"
 import { useProfile } from "../context/ProfileContext"
 import { useLocation } from "../hooks/useLocation"
 import { useZone } from "../hooks/useZone"
-import { restaurantAPI, adminAPI } from "@/lib/api"
+import { restaurantAPI, adminAPI, searchAPI } from "@/lib/api"
 
 // Import shared food images - prevents duplication
 import { foodImages } from "@/constants/images"
@@ -30,6 +30,7 @@ export default function SearchResults() {
   const navigate = useNavigate()
   const { location } = useLocation()
   const { zoneId, isOutOfService } = useZone(location)
+  const { vegMode } = useProfile()
   const [searchQuery, setSearchQuery] = useState(query)
   const [selectedCategory, setSelectedCategory] = useState('all')
   const [activeFilters, setActiveFilters] = useState(new Set())
@@ -42,6 +43,8 @@ export default function SearchResults() {
   ])
   const [loadingCategories, setLoadingCategories] = useState(true)
   const [categoryKeywords, setCategoryKeywords] = useState({})
+  const [searchResults, setSearchResults] = useState(null)
+  const [loadingSearch, setLoadingSearch] = useState(false)
 
   // Fetch categories from admin API
   useEffect(() => {
@@ -397,6 +400,67 @@ export default function SearchResults() {
     fetchRestaurants()
   }, [zoneId, isOutOfService])
 
+  // Ranked restaurants and dishes from the search API for the current query
+  useEffect(() => {
+    if (!query.trim()) {
+      setSearchResults(null)
+      return
+    }
+
+    let cancelled = false
+    const fetchSearchResults = async () => {
+      try {
+        setLoadingSearch(true)
+        const params = { q: query.trim(), veg: vegMode ? "true" : "false", limit: 30 }
+        if (zoneId) {
+          params.zoneId = zoneId
+        }
+        if (location?.latitude && location?.longitude) {
+          params.latitude = location.latitude
+          params.longitude = location.longitude
+        }
+        const response = await searchAPI.search(params)
+        if (!cancelled) {
+          setSearchResults(response.data?.data || null)
+        }
+      } catch (error) {
+        console.error('Error searching restaurants and dishes:', error)
+        // Fall back to filtering the restaurant list locally
+        if (!cancelled) {
+          setSearchResults(null)
+        }
+      } finally {
+        if (!cancelled) {
+          setLoadingSearch(false)
+        }
+      }
+    }
+
+    fetchSearchResults()
+    return () => {
+      cancelled = true
+    }
+  }, [query, zoneId, vegMode, location?.latitude, location?.longitude])
+
+  // Search API restaurants in the shape the restaurant cards expect
+  const rankedRestaurants = useMemo(() => {
+    if (!searchResults) return null
+    return (searchResults.restaurants || []).map((restaurant) => ({
+      id: restaurant._id || restaurant.restaurantId,
+      name: restaurant.name,
+      slug: restaurant.slug,
+      image: restaurant.image || null,
+      rating: restaurant.rating || null,
+      deliveryTime: restaurant.estimatedDeliveryTime || null,
+      distance: restaurant.distance,
+      offer: restaurant.offer || null,
+      cuisine: restaurant.cuisines?.length > 0 ? restaurant.cuisines.join(", ") : null,
+      matchedDishes: restaurant.matchedDishes || [],
+    }))
+  }, [searchResults])
+
+  const rankedDishes = searchResults?.dishes || []
+
   // Update search query when URL changes
   useEffect(() => {
     if (query) {
@@ -459,11 +523,11 @@ export default function SearchResults() {
   // Filter restaurants based on search query, selected category, and filters
   const filteredRecommended = useMemo(() => {
     // Use ONLY backend data - no hardcoded fallback
-    const sourceData = restaurantsData.length > 0 ? restaurantsData : []
+    const sourceData = rankedRestaurants || (restaurantsData.length > 0 ? restaurantsData : [])
     let filtered = [...sourceData]
 
-    // Filter by search query
-    if (query.trim()) {
+    // Filter by search query (search API results are already matched and ranked)
+    if (query.trim() && !rankedRestaurants) {
       const lowerQuery = query.toLowerCase()
       filtered = filtered.filter(r => 
         r.name?.toLowerCase().includes(lowerQuery) ||
@@ -474,7 +538,7 @@ export default function SearchResults() {
     }
 
     // Filter by category - Dynamic filtering based on menu items
-    if (selectedCategory && selectedCategory !== 'all') {
+    if (selectedCategory && selectedCategory !== 'all' && !rankedRestaurants) {
       filtered = filtered.filter(r => {
         // If restaurant has menu data, check menu for category items
         if (r.menu) {
@@ -542,15 +606,15 @@ export default function SearchResults() {
     }
 
     return filtered
-  }, [query, selectedCategory, activeFilters, restaurantsData, categoryKeywords, loadingCategories])
+  }, [query, selectedCategory, activeFilters, restaurantsData, rankedRestaurants, categoryKeywords, loadingCategories])
 
   const filteredAllRestaurants = useMemo(() => {
     // Use ONLY backend data - no hardcoded fallback
-    const sourceData = restaurantsData.length > 0 ? restaurantsData : []
+    const sourceData = rankedRestaurants || (restaurantsData.length > 0 ? restaurantsData : [])
     let filtered = [...sourceData]
 
     // Filter by search query - Search in name, cuisine, featured dish
-    if (query.trim()) {
+    if (query.trim() && !rankedRestaurants) {
       const lowerQuery = query.toLowerCase()
       filtered = filtered.filter(r => {
         const nameMatch = r.name?.toLowerCase().includes(lowerQuery)
@@ -579,7 +643,7 @@ export default function SearchResults() {
     }
 
     // Filter by category - Dynamic filtering based on menu items
-    if (selectedCategory && selectedCategory !== 'all') {
+    if (selectedCategory && selectedCategory !== 'all' && !rankedRestaurants) {
       filtered = filtered.filter(r => {
         // If restaurant has menu data, check menu for category items
         if (r.menu) {
@@ -650,7 +714,7 @@ export default function SearchResults() {
     }
 
     return filtered
-  }, [query, selectedCategory, activeFilters, restaurantsData, categoryKeywords, loadingCategories])
+  }, [query, selectedCategory, activeFilters, restaurantsData, rankedRestaurants, categoryKeywords, loadingCategories])
 
   // Check if should show grayscale (user out of service)
   const shouldShowGrayscale = isOutOfService
@@ -778,15 +842,65 @@ export default function SearchResults() {
       {/* Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 lg:px-10 xl:px-12 py-4 sm:py-6 md:py-8 lg:py-10 space-y-6 md:space-y-8 lg:space-y-10">
         {/* Loading State */}
-        {loadingRestaurants && (
+        {(loadingRestaurants || loadingSearch) && (
           <div className="flex items-center justify-center py-20">
             <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
             <span className="ml-3 text-gray-600">Loading restaurants...</span>
           </div>
         )}
         
+        {/* Spelling correction */}
+        {!loadingSearch && searchResults?.correctedQuery && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Showing results for <span className="font-semibold text-gray-900 dark:text-white">"{searchResults.correctedQuery}"</span>
+          </p>
+        )}
+
+        {/* DISHES Section */}
+        {!loadingSearch && rankedDishes.length > 0 && (
+          <section>
+            <h2 className="text-xs sm:text-sm font-semibold text-gray-400 dark:text-gray-500 tracking-widest uppercase mb-4">
+              DISHES
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+              {rankedDishes.slice(0, 9).map((dish) => (
+                <Link
+                  key={`${dish.restaurant?._id}-${dish.itemId}`}
+                  to={`/user/restaurants/${dish.restaurant?.slug || dish.restaurant?.name?.toLowerCase().replace(/\s+/g, '-')}`}
+                  className={`flex items-center gap-3 p-3 rounded-xl border border-gray-100 dark:border-gray-800 bg-white dark:bg-[#1a1a1a] hover:shadow-md transition-shadow ${shouldShowGrayscale ? 'grayscale opacity-75' : ''}`}
+                >
+                  <div className="w-16 h-16 rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-800 flex-shrink-0 flex items-center justify-center">
+                    {dish.image ? (
+                      <img src={dish.image} alt={dish.name} className="w-full h-full object-cover" loading="lazy" />
+                    ) : (
+                      <span className="text-2xl">🍽️</span>
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5">
+                      {dish.foodType && (
+                        <span className={`w-3 h-3 border flex items-center justify-center flex-shrink-0 ${dish.foodType === 'Veg' ? 'border-green-600' : 'border-red-600'}`}>
+                          <span className={`w-1.5 h-1.5 rounded-full ${dish.foodType === 'Veg' ? 'bg-green-600' : 'bg-red-600'}`} />
+                        </span>
+                      )}
+                      <h3 className="font-semibold text-sm text-gray-900 dark:text-white line-clamp-1">{dish.name}</h3>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 line-clamp-1">
+                      {dish.restaurant?.name}
+                      {dish.restaurant?.distance ? ` · ${dish.restaurant.distance}` : ''}
+                    </p>
+                    {dish.price != null && (
+                      <p className="text-sm font-semibold text-gray-800 dark:text-gray-200">₹{dish.price}</p>
+                    )}
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+
         {/* RECOMMENDED FOR YOU Section */}
-        {!loadingRestaurants && filteredRecommended.length > 0 && (
+        {!loadingRestaurants && !loadingSearch && filteredRecommended.length > 0 && (
           <section>
             <h2 className="text-xs sm:text-sm font-semibold text-gray-400 dark:text-gray-500 tracking-widest uppercase mb-4">
               RECOMMENDED FOR YOU
@@ -900,6 +1014,11 @@ export default function SearchResults() {
                           }
                         }
                         
+                        // Dishes that matched the search
+                        if (!displayText && restaurant.matchedDishes?.length > 0) {
+                          displayText = restaurant.matchedDishes.join(" · ")
+                        }
+
                         // Fallback to featured dish
                         if (!displayText && restaurant.featuredDish && restaurant.featuredPrice) {
                           displayText = `${restaurant.featuredDish} · ₹${restaurant.featuredPrice}`
@@ -985,7 +1104,7 @@ export default function SearchResults() {
             })}
             
             {/* Empty State */}
-            {filteredAllRestaurants.length === 0 && (
+            {!loadingSearch && filteredAllRestaurants.length === 0 && (
               <div className="text-center py-12">
                 <p className="text-gray-500 dark:text-gray-400">
                   {query
@@ -5,6 +5,8 @@ import { motion, AnimatePresence } from "framer-motion"
 import confetti from "canvas-confetti"
 
 import AnimatedPage from "../../components/AnimatedPage"
+import ScheduleDeliverySelector from "../../components/ScheduleDeliverySelector"
+import DeliveryTipSelector from "../../components/DeliveryTipSelector"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { useCart } from "../../context/CartContext"
@@ -12,11 +14,13 @@ import { useProfile } from "../../context/ProfileContext"
 import { useOrders } from "../../context/OrdersContext"
 import { useLocation as useUserLocation } from "../../hooks/useLocation"
 import { useZone } from "../../hooks/useZone"
-import { orderAPI, restaurantAPI, adminAPI, userAPI, API_ENDPOINTS } from "@/lib/api"
+import { orderAPI, restaurantAPI, adminAPI, userAPI, couponAPI, API_ENDPOINTS } from "@/lib/api"
 import { API_BASE_URL } from "@/lib/api/config"
 import { initRazorpayPayment } from "@/lib/utils/razorpay"
 import { toast } from "sonner"
 import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
+import { formatAddonSummary } from "../../utils/addonSelection"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 
 // Removed hardcoded suggested items - now fetching approved addons from backend
@@ -57,33 +61,15 @@ const formatFullAddress = (address) => {
 
 export default function Cart() {
   const navigate = useNavigate()
+  const { t } = useTranslation()
 
-  // Defensive check: Ensure CartProvider is available
-  let cartContext;
-  try {
-    cartContext = useCart();
-  } catch (error) {
-    console.error('❌ CartProvider not found. Make sure Cart component is rendered within UserLayout.');
-    // Return early with error message
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-[#f5f5f5] dark:bg-[#0a0a0a]">
-        <div className="text-center p-8">
-          <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-4">Cart Error</h2>
-          <p className="text-gray-600 dark:text-gray-400">
-            Cart functionality is not available. Please refresh the page.
-          </p>
-          <button
-            onClick={() => navigate('/')}
-            className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
-          >
-            Go to Home
-          </button>
-        </div>
-      </div>
-    );
-  }
+  // Checkout choices
+  const [scheduledFor, setScheduledFor] = useState(null) // ISO slot for pre-orders, null = deliver now
+  // Room number for pay_at_hotel, prefilled from a room / floor QR scan
+  const [roomNumber, setRoomNumber] = useState(() => sessionStorage.getItem('hotelRoomNumber') || '')
+  const [deliveryTip, setDeliveryTip] = useState(0) // Tip for the delivery partner, added to the total
 
-  const { cart, updateQuantity, addToCart, getCartCount, clearCart, cleanCartForRestaurant } = cartContext;
+  const { cart, updateQuantity, addToCart, getCartCount, clearCart, cleanCartForRestaurant, cartValidation, refreshCart } = useCart()
   const { getDefaultAddress, getDefaultPaymentMethod, addresses, paymentMethods, userProfile } = useProfile()
   const { createOrder } = useOrders()
   const { location: currentLocation } = useUserLocation() // Get live location address
@@ -95,7 +81,8 @@ export default function Cart() {
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState("razorpay") // razorpay | wallet | pay_at_hotel (COD disabled)
   const [hasHotelReference, setHasHotelReference] = useState(false) // Track if hotel reference exists
   const [isHotelOrder, setIsHotelOrder] = useState(false) // Track if this is a hotel order
-  const [roomNumber, setRoomNumber] = useState('') // Room number for pay_at_hotel
+  // Room QR scans fix the room for the whole ordering session
+  const isRoomFromQR = Boolean(sessionStorage.getItem('hotelRoomToken'))
   const [hotelName, setHotelName] = useState('') // Hotel name for display
   const [walletBalance, setWalletBalance] = useState(0)
   const [isLoadingWallet, setIsLoadingWallet] = useState(false)
@@ -174,7 +161,11 @@ export default function Cart() {
     return null
   }, [restaurantData])
 
-
+  // Re-check the saved cart against the menu, stock and opening hours
+  useEffect(() => {
+    refreshCart()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
 
   // Lock body scroll and scroll to top when any full-screen modal opens
   useEffect(() => {
@@ -534,6 +525,31 @@ export default function Cart() {
         }
       }
 
+      // Platform coupons issued by admin (eligibility is re-checked when pricing)
+      try {
+        const response = await couponAPI.getAvailableCoupons({ restaurantId })
+        const platformCoupons = response?.data?.data?.coupons || []
+        platformCoupons.forEach(coupon => {
+          if (uniqueCouponCodes.has(coupon.code)) return
+          uniqueCouponCodes.add(coupon.code)
+          const label = coupon.discountType === "free_delivery"
+            ? "Free delivery"
+            : coupon.discountType === "flat"
+              ? `Save ₹${coupon.discountValue}`
+              : `${coupon.discountValue}% off${coupon.maxDiscount ? ` up to ₹${coupon.maxDiscount}` : ""}`
+          allCoupons.push({
+            code: coupon.code,
+            discount: coupon.discountType === "flat" ? coupon.discountValue : 0,
+            minOrder: coupon.minOrderValue || 0,
+            description: `${label} with '${coupon.code}'`,
+            freeDelivery: coupon.discountType === "free_delivery",
+            isPlatformCoupon: true,
+          })
+        })
+      } catch (error) {
+        console.error("[CART-COUPONS] Error fetching platform coupons:", error)
+      }
+
       console.log(`[CART-COUPONS] Total unique coupons found: ${allCoupons.length}`, allCoupons)
       setAvailableCoupons(allCoupons)
       setLoadingCoupons(false)
@@ -562,6 +578,8 @@ export default function Cart() {
           isVeg: item.isVeg !== false,
           selectedVariantId: item.selectedVariantId || null,
           selectedVariantName: item.selectedVariantName || null,
+          selectedAddons: (item.selectedAddons || []).map(({ groupId, optionId, quantity }) => ({ groupId, optionId, quantity: quantity || 1 })),
+          specialInstructions: item.specialInstructions || "",
         }))
 
         const response = await orderAPI.calculateOrder({
@@ -569,12 +587,21 @@ export default function Cart() {
           restaurantId: restaurantData?.restaurantId || restaurantData?._id || restaurantId || null,
           deliveryAddress: defaultAddress,
           couponCode: appliedCoupon?.code || couponCode || null,
-          deliveryFleet: deliveryFleet || 'standard'
+          deliveryFleet: deliveryFleet || 'standard',
+          paymentMethod: selectedPaymentMethod,
+          tip: deliveryTip,
         })
 
         if (response?.data?.success && response?.data?.data?.pricing) {
           setPricing(response.data.data.pricing)
 
+          // Platform coupon no longer valid for this cart (e.g. payment method or minimum order)
+          if (response.data.data.pricing.couponError && appliedCoupon) {
+            toast.error(response.data.data.pricing.couponError)
+            setAppliedCoupon(null)
+            setCouponCode("")
+          }
+
           // Update applied coupon if backend returns one
           if (response.data.data.pricing.appliedCoupon && !appliedCoupon) {
             const coupon = availableCoupons.find(c => c.code === response.data.data.pricing.appliedCoupon.code)
@@ -596,7 +623,7 @@ export default function Cart() {
     }
 
     calculatePricing()
-  }, [cart, defaultAddress, appliedCoupon, couponCode, deliveryFleet, restaurantId])
+  }, [cart, defaultAddress, appliedCoupon, couponCode, deliveryFleet, restaurantId, selectedPaymentMethod, deliveryTip])
 
   // Fetch wallet balance
   useEffect(() => {
@@ -688,7 +715,8 @@ export default function Cart() {
   const platformFee = pricing?.platformFee || feeSettings.platformFee
   const gstCharges = pricing?.tax || Math.round(subtotal * (feeSettings.gstRate / 100))
   const discount = pricing?.discount || (appliedCoupon ? Math.min(appliedCoupon.discount, subtotal * 0.5) : 0)
-  const totalBeforeDiscount = subtotal + deliveryFee + platformFee + gstCharges
+  const tipAmount = pricing?.tip ?? deliveryTip
+  const totalBeforeDiscount = subtotal + deliveryFee + platformFee + gstCharges + tipAmount
   const total = pricing?.total || (totalBeforeDiscount - discount)
   const savings = pricing?.savings || (discount + (subtotal > 500 ? 32 : 0))
 
@@ -774,6 +802,8 @@ export default function Cart() {
             isVeg: item.isVeg !== false,
             selectedVariantId: item.selectedVariantId || null,
             selectedVariantName: item.selectedVariantName || null,
+            selectedAddons: (item.selectedAddons || []).map(({ groupId, optionId, quantity }) => ({ groupId, optionId, quantity: quantity || 1 })),
+            specialInstructions: item.specialInstructions || "",
           }))
 
           const response = await orderAPI.calculateOrder({
@@ -781,11 +811,18 @@ export default function Cart() {
             restaurantId: restaurantData?.restaurantId || restaurantData?._id || restaurantId || null,
             deliveryAddress: defaultAddress,
             couponCode: coupon.code,
-            deliveryFleet: deliveryFleet || 'standard'
+            deliveryFleet: deliveryFleet || 'standard',
+            paymentMethod: selectedPaymentMethod,
+            tip: deliveryTip,
           })
 
           if (response?.data?.success && response?.data?.data?.pricing) {
             setPricing(response.data.data.pricing)
+            if (response.data.data.pricing.couponError) {
+              toast.error(response.data.data.pricing.couponError)
+              setAppliedCoupon(null)
+              setCouponCode("")
+            }
           }
         } catch (error) {
           console.error("Error recalculating pricing:", error)
@@ -803,13 +840,17 @@ export default function Cart() {
     if (cart.length > 0 && defaultAddress) {
       try {
         const items = cart.map(item => ({
-          itemId: item.id,
-          name: item.name,
-          price: item.price,
+          itemId: item.productId || item.id,
+          name: item.selectedVariantName ? `${item.productName || item.name} - ${item.selectedVariantName}` : (item.productName || item.name),
+          price: item.variantPrice ?? item.price,
           quantity: item.quantity || 1,
           image: item.image,
           description: item.description,
-          isVeg: item.isVeg !== false
+          isVeg: item.isVeg !== false,
+          selectedVariantId: item.selectedVariantId || null,
+          selectedVariantName: item.selectedVariantName || null,
+          selectedAddons: (item.selectedAddons || []).map(({ groupId, optionId, quantity }) => ({ groupId, optionId, quantity: quantity || 1 })),
+          specialInstructions: item.specialInstructions || "",
         }))
 
         const response = await orderAPI.calculateOrder({
@@ -817,7 +858,9 @@ export default function Cart() {
           restaurantId: restaurantData?.restaurantId || restaurantData?._id || restaurantId || null,
           deliveryAddress: defaultAddress,
           couponCode: null,
-          deliveryFleet: deliveryFleet || 'standard'
+          deliveryFleet: deliveryFleet || 'standard',
+          paymentMethod: selectedPaymentMethod,
+          tip: deliveryTip,
         })
 
         if (response?.data?.success && response?.data?.data?.pricing) {
@@ -872,11 +915,12 @@ export default function Cart() {
         tax: gstCharges,
         platformFee,
         discount,
+        tip: tipAmount,
         total,
         couponCode: appliedCoupon?.code || null
       };
       if (orderPricing.deliveryFee == null) orderPricing.deliveryFee = deliveryFee;
-      const withDelivery = (orderPricing.subtotal || 0) - (orderPricing.discount || 0) + (orderPricing.deliveryFee || 0) + (orderPricing.platformFee ?? platformFee) + (orderPricing.tax ?? gstCharges);
+      const withDelivery = (orderPricing.subtotal || 0) - (orderPricing.discount || 0) + (orderPricing.deliveryFee || 0) + (orderPricing.platformFee ?? platformFee) + (orderPricing.tax ?? gstCharges) + (orderPricing.tip || 0);
       if (typeof orderPricing.total !== 'number' || orderPricing.total < withDelivery - 0.5) {
         orderPricing.total = Math.round(withDelivery);
       }
@@ -899,6 +943,8 @@ export default function Cart() {
         isVeg: item.isVeg !== false,
         selectedVariantId: item.selectedVariantId || null,
         selectedVariantName: item.selectedVariantName || null,
+        selectedAddons: (item.selectedAddons || []).map(({ groupId, optionId, quantity }) => ({ groupId, optionId, quantity: quantity || 1 })),
+        specialInstructions: item.specialInstructions || "",
       }))
 
       console.log("📋 Order items to send:", orderItems)
@@ -1131,7 +1177,11 @@ export default function Cart() {
         // Hotel order fields
         hotelReference: isHotelOrder ? sessionStorage.getItem('hotelReference') : null,
         hotelName: isHotelOrder ? sessionStorage.getItem('hotelReferenceName') : null,
-        roomNumber: selectedPaymentMethod === 'pay_at_hotel' ? roomNumber : null
+        roomNumber: selectedPaymentMethod === 'pay_at_hotel' ? roomNumber : null,
+        hotelRoomToken: isHotelOrder ? sessionStorage.getItem('hotelRoomToken') : null,
+        hotelFloor: isHotelOrder ? sessionStorage.getItem('hotelFloor') : null,
+        // Pre-order slot (not available for Pay at Hotel)
+        scheduledFor: selectedPaymentMethod === 'pay_at_hotel' ? null : scheduledFor
       };
 
       // Log hotel reference if present
@@ -1513,17 +1563,17 @@ export default function Cart() {
                 <ArrowLeft className="h-4 w-4" />
               </Button>
             </Link>
-            <span className="font-semibold text-gray-800 dark:text-white">Cart</span>
+            <span className="font-semibold text-gray-800 dark:text-white">{t("user.cart.title")}</span>
           </div>
         </div>
         <div className="flex flex-col items-center justify-center py-20 px-4">
           <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mb-4">
             <Utensils className="h-10 w-10 text-gray-400" />
           </div>
-          <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-1">Your cart is empty</h2>
-          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4 text-center">Add items from a restaurant to start a new order</p>
+          <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-1">{t("user.cart.empty")}</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4 text-center">{t("user.cart.emptyHint")}</p>
           <Link>
-            <Button className="bg-primary-orange hover:opacity-90 text-white">Browse Restaurants</Button>
+            <Button className="bg-primary-orange hover:opacity-90 text-white">{t("user.cart.browseRestaurants")}</Button>
           </Link>
         </div>
       </AnimatedPage>
@@ -1594,7 +1644,7 @@ export default function Cart() {
           <div className="bg-blue-100 dark:bg-blue-900/20 px-4 md:px-6 py-2 md:py-3 flex-shrink-0">
             <div className="max-w-7xl mx-auto">
               <p className="text-sm md:text-base font-medium text-blue-800 dark:text-blue-200">
-                🎉 You saved ₹{savings} on this order
+                🎉 {t("user.cart.savedOnOrder", { amount: savings })}
               </p>
             </div>
           </div>
@@ -1604,6 +1654,18 @@ export default function Cart() {
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6 px-4 md:px-6 py-4 md:py-6">
             {/* Left Column - Cart Items and Details */}
             <div className="lg:col-span-2 space-y-2 md:space-y-4">
+              {/* Cart issues found by the server (closed outlet, sold out, price changes) */}
+              {cartValidation?.issues?.length > 0 && (
+                <div className="flex items-start gap-2 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 px-4 py-3 rounded-lg md:rounded-xl">
+                  <AlertCircle className="h-4 w-4 text-amber-600 dark:text-amber-400 mt-0.5 flex-shrink-0" />
+                  <div className="space-y-0.5">
+                    {cartValidation.issues.map((issue) => (
+                      <p key={issue} className="text-xs md:text-sm text-amber-800 dark:text-amber-200">{issue}</p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Cart Items */}
               <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl">
                 <div className="space-y-3 md:space-y-4">
@@ -1620,6 +1682,21 @@ export default function Cart() {
                             ? `${item.productName || item.name} - ${item.selectedVariantName}`
                             : (item.productName || item.name)}
                         </p>
+                        {item.selectedAddons?.length > 0 && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                            {formatAddonSummary(item.selectedAddons)}
+                          </p>
+                        )}
+                        {item.specialInstructions && (
+                          <p className="text-xs italic text-gray-500 dark:text-gray-400 mt-0.5 truncate">
+                            "{item.specialInstructions}"
+                          </p>
+                        )}
+                        {item.isAvailable === false && item.unavailableReason && (
+                          <p className="text-xs font-medium text-red-600 dark:text-red-400 mt-0.5">
+                            {item.unavailableReason}
+                          </p>
+                        )}
                       </div>
 
                       <div className="flex items-center gap-3 md:gap-4">
@@ -1629,8 +1706,8 @@ export default function Cart() {
                             type="button"
                             onClick={() => navigate(`/user/restaurants/${restaurantSlug}${(item.productId || (item.id && String(item.id).split("__")[0])) ? `?dish=${item.productId || String(item.id).split("__")[0]}` : ""}`)}
                             className="p-1.5 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800 transition-colors"
-                            title="Edit item"
-                            aria-label="Edit item"
+                            title={t("user.cart.editItem")}
+                            aria-label={t("user.cart.editItem")}
                           >
                             <Pencil className="h-4 w-4 md:h-4 md:w-4" />
                           </button>
@@ -1668,7 +1745,7 @@ export default function Cart() {
                   className="flex items-center gap-2 mt-4 md:mt-6 text-red-600 dark:text-red-400"
                 >
                   <Plus className="h-4 w-4 md:h-5 md:w-5" />
-                  <span className="text-sm md:text-base font-medium">Add more items</span>
+                  <span className="text-sm md:text-base font-medium">{t("user.cart.addMoreItems")}</span>
                 </button>
               </div>
 
@@ -1680,14 +1757,14 @@ export default function Cart() {
                   className="flex-1 flex items-center gap-2 px-3 md:px-4 py-2 md:py-3 border border-gray-200 dark:border-gray-700 rounded-lg md:rounded-xl text-sm md:text-base text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800"
                 >
                   <FileText className="h-4 w-4 md:h-5 md:w-5" />
-                  <span className="truncate">{note || "Add a note for the restaurant"}</span>
+                  <span className="truncate">{note || t("user.cart.addNote")}</span>
                 </button>
                 <button
                   onClick={() => setSendCutlery(!sendCutlery)}
                   className={`flex items-center gap-2 px-3 md:px-4 py-2 md:py-3 border rounded-lg md:rounded-xl text-sm md:text-base ${sendCutlery ? 'border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300' : 'border-red-600 dark:border-red-500 text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20'}`}
                 >
                   <Utensils className="h-4 w-4 md:h-5 md:w-5" />
-                  <span className="whitespace-nowrap">{sendCutlery ? "Don't send cutlery" : "No cutlery"}</span>
+                  <span className="whitespace-nowrap">{sendCutlery ? t("user.cart.dontSendCutlery") : t("user.cart.noCutlery")}</span>
                 </button>
               </div>
 
@@ -1697,7 +1774,7 @@ export default function Cart() {
                   <textarea
                     value={note}
                     onChange={(e) => setNote(e.target.value)}
-                    placeholder="Add cooking instructions, allergies, etc."
+                    placeholder={t("user.cart.notePlaceholder")}
                     className="w-full border border-gray-200 dark:border-gray-700 rounded-lg md:rounded-xl p-3 md:p-4 text-sm md:text-base resize-none h-20 md:h-24 focus:outline-none focus:border-red-600 dark:focus:border-red-500 bg-white dark:bg-[#0a0a0a] text-gray-900 dark:text-gray-100"
                   />
                 </div>
@@ -1710,7 +1787,7 @@ export default function Cart() {
                     <div className="w-6 h-6 md:w-8 md:h-8 bg-gray-100 dark:bg-gray-800 rounded flex items-center justify-center">
                       <span className="text-xs md:text-base">🍽️</span>
                     </div>
-                    <span className="text-sm md:text-base font-semibold text-gray-800 dark:text-gray-200">Complete your meal with</span>
+                    <span className="text-sm md:text-base font-semibold text-gray-800 dark:text-gray-200">{t("user.cart.completeYourMeal")}</span>
                   </div>
                   {loadingAddons ? (
                     <div className="flex gap-3 md:gap-4 overflow-x-auto pb-2 -mx-4 md:-mx-6 px-4 md:px-6 scrollbar-hide">
@@ -1794,16 +1871,16 @@ export default function Cart() {
                     <div className="flex items-center gap-2 md:gap-3">
                       <Tag className="h-4 w-4 md:h-5 md:w-5 text-red-600 dark:text-red-400" />
                       <div>
-                        <p className="text-sm md:text-base font-medium text-red-700 dark:text-red-300">'{appliedCoupon.code}' applied</p>
-                        <p className="text-xs md:text-sm text-red-600 dark:text-red-400">You saved ₹{discount}</p>
+                        <p className="text-sm md:text-base font-medium text-red-700 dark:text-red-300">{t("user.cart.couponApplied", { code: appliedCoupon.code })}</p>
+                        <p className="text-xs md:text-sm text-red-600 dark:text-red-400">{t("user.cart.youSaved", { amount: discount })}</p>
                       </div>
                     </div>
-                    <button onClick={handleRemoveCoupon} className="text-gray-500 dark:text-gray-400 text-xs md:text-sm font-medium">Remove</button>
+                    <button onClick={handleRemoveCoupon} className="text-gray-500 dark:text-gray-400 text-xs md:text-sm font-medium">{t("user.cart.removeCoupon")}</button>
                   </div>
                 ) : loadingCoupons ? (
                   <div className="flex items-center gap-2 md:gap-3">
                     <Percent className="h-4 w-4 md:h-5 md:w-5 text-gray-600 dark:text-gray-400" />
-                    <p className="text-sm md:text-base text-gray-500 dark:text-gray-400">Loading coupons...</p>
+                    <p className="text-sm md:text-base text-gray-500 dark:text-gray-400">{t("user.cart.loadingCoupons")}</p>
                   </div>
                 ) : availableCoupons.length > 0 ? (
                   <div>
@@ -1812,11 +1889,11 @@ export default function Cart() {
                         <Percent className="h-4 w-4 md:h-5 md:w-5 text-gray-600 dark:text-gray-400" />
                         <div>
                           <p className="text-sm md:text-base font-medium text-gray-800 dark:text-gray-200">
-                            Save ₹{availableCoupons[0].discount} with '{availableCoupons[0].code}'
+                            {availableCoupons[0].description}
                           </p>
                           {availableCoupons.length > 1 && (
                             <button onClick={() => setShowCoupons(!showCoupons)} className="text-xs md:text-sm text-blue-600 dark:text-blue-400 font-medium">
-                              View all coupons →
+                              {t("user.cart.viewAllCoupons")} →
                             </button>
                           )}
                         </div>
@@ -1828,14 +1905,14 @@ export default function Cart() {
                         onClick={() => handleApplyCoupon(availableCoupons[0])}
                         disabled={subtotal < availableCoupons[0].minOrder}
                       >
-                        {subtotal < availableCoupons[0].minOrder ? `Min ₹${availableCoupons[0].minOrder}` : 'APPLY'}
+                        {subtotal < availableCoupons[0].minOrder ? t("user.cart.minOrder", { amount: availableCoupons[0].minOrder }) : t("user.cart.apply")}
                       </Button>
                     </div>
                   </div>
                 ) : (
                   <div className="flex items-center gap-2 md:gap-3">
                     <Percent className="h-4 w-4 md:h-5 md:w-5 text-gray-600 dark:text-gray-400" />
-                    <p className="text-sm md:text-base text-gray-500 dark:text-gray-400">No coupons available</p>
+                    <p className="text-sm md:text-base text-gray-500 dark:text-gray-400">{t("user.cart.noCoupons")}</p>
                   </div>
                 )}
 
@@ -1855,7 +1932,7 @@ export default function Cart() {
                           onClick={() => handleApplyCoupon(coupon)}
                           disabled={subtotal < coupon.minOrder}
                         >
-                          {subtotal < coupon.minOrder ? `Min ₹${coupon.minOrder}` : 'APPLY'}
+                          {subtotal < coupon.minOrder ? t("user.cart.minOrder", { amount: coupon.minOrder }) : t("user.cart.apply")}
                         </Button>
                       </div>
                     ))}
@@ -1864,14 +1941,24 @@ export default function Cart() {
               </div>
 
               {/* Delivery Time */}
-              <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl">
-                <div className="flex items-center gap-3 md:gap-4">
-                  <Clock className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
-                  <div className="flex-1">
-                    <p className="text-sm md:text-base text-gray-800 dark:text-gray-200">Delivery in <span className="font-semibold">{restaurantData?.estimatedDeliveryTime || "10-15 mins"}</span></p>
+              {isHotelOrder ? (
+                <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl">
+                  <div className="flex items-center gap-3 md:gap-4">
+                    <Clock className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
+                    <div className="flex-1">
+                      <p className="text-sm md:text-base text-gray-800 dark:text-gray-200">{t("user.cart.deliveryIn")} <span className="font-semibold">{restaurantData?.estimatedDeliveryTime || "10-15 mins"}</span></p>
+                    </div>
                   </div>
                 </div>
-              </div>
+              ) : (
+                <ScheduleDeliverySelector
+                  restaurantId={restaurantId}
+                  itemIds={cart.map(item => item.productId || item.id)}
+                  estimatedTime={restaurantData?.estimatedDeliveryTime || "10-15 mins"}
+                  value={scheduledFor}
+                  onChange={setScheduledFor}
+                />
+              )}
 
               {/* Delivery Address */}
               <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl">
@@ -1880,10 +1967,10 @@ export default function Cart() {
                     <MapPin className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
                     <div className="flex-1">
                       <p className="text-sm md:text-base text-gray-800 dark:text-gray-200">
-                        Delivery at <span className="font-semibold">Location</span>
+                        {t("user.cart.deliveryAt")} <span className="font-semibold">{t("user.cart.location")}</span>
                       </p>
                       <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 line-clamp-2">
-                        {defaultAddress ? (formatFullAddress(defaultAddress) || defaultAddress?.formattedAddress || defaultAddress?.address || "Add delivery address") : "Add delivery address"}
+                        {defaultAddress ? (formatFullAddress(defaultAddress) || defaultAddress?.formattedAddress || defaultAddress?.address || t("user.cart.addDeliveryAddress")) : t("user.cart.addDeliveryAddress")}
                       </p>
                       {/* Address Selection Buttons */}
                       <div className="flex gap-2 mt-2">
@@ -1919,13 +2006,13 @@ export default function Cart() {
                 <div className="flex items-center gap-3 md:gap-4 mb-2">
                   <MapPin className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
                   <label className="text-sm md:text-base text-gray-800 dark:text-gray-200 font-medium flex items-center gap-1">
-                    <span>Additional Address</span>
+                    <span>{t("user.cart.additionalAddress")}</span>
                     <span className="text-red-500">*</span>
                   </label>
                 </div>
                 <Input
                   type="text"
-                  placeholder="Enter additional address details (e.g., Flat no., Floor, Landmark)"
+                  placeholder={t("user.cart.additionalAddressPlaceholder")}
                   value={additionalAddress}
                   onChange={(e) => setAdditionalAddress(e.target.value)}
                   className="w-full text-sm md:text-base text-gray-800 dark:text-gray-200 bg-gray-50 dark:bg-gray-800 border-gray-200 dark:border-gray-700 focus:border-red-500 dark:focus:border-red-500"
@@ -1945,6 +2032,11 @@ export default function Cart() {
                 </Link>
               </div>
 
+              {/* Delivery Partner Tip (hotel orders are handed over by hotel staff) */}
+              {!isHotelOrder && (
+                <DeliveryTipSelector value={deliveryTip} onChange={setDeliveryTip} />
+              )}
+
               {/* Bill Details - extra margin for spacing between total bill and footer */}
               <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-3 md:py-4 rounded-lg md:rounded-xl mb-8 md:mb-12 pb-4 md:pb-6">
                 <button
@@ -1955,14 +2047,14 @@ export default function Cart() {
                     <FileText className="h-4 w-4 md:h-5 md:w-5 text-gray-500 dark:text-gray-400" />
                     <div className="text-left">
                       <div className="flex items-center gap-2 md:gap-3 flex-wrap">
-                        <span className="text-sm md:text-base text-gray-800 dark:text-gray-200">Total Bill</span>
+                        <span className="text-sm md:text-base text-gray-800 dark:text-gray-200">{t("user.cart.totalBill")}</span>
                         <span className="text-sm md:text-base text-gray-400 dark:text-gray-500 line-through">₹{totalBeforeDiscount.toFixed(0)}</span>
                         <span className="text-sm md:text-base font-semibold text-gray-800 dark:text-gray-200">₹{total.toFixed(0)}</span>
                         {savings > 0 && (
-                          <span className="text-xs md:text-sm bg-blue-100 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300 px-1.5 md:px-2 py-0.5 rounded font-medium">You saved ₹{savings}</span>
+                          <span className="text-xs md:text-sm bg-blue-100 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300 px-1.5 md:px-2 py-0.5 rounded font-medium">{t("user.cart.youSaved", { amount: savings })}</span>
                         )}
                       </div>
-                      <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">Incl. taxes and charges</p>
+                      <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">{t("user.cart.inclTaxes")}</p>
                     </div>
                   </div>
                   <ChevronRight className="h-4 w-4 md:h-5 md:w-5 text-gray-400" />
@@ -1971,31 +2063,37 @@ export default function Cart() {
                 {showBillDetails && (
                   <div className="mt-3 md:mt-4 pt-3 md:pt-4 border-t border-dashed dark:border-gray-700 space-y-2 md:space-y-3">
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Item Total</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.itemTotal")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{subtotal.toFixed(0)}</span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Delivery Fee</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.deliveryFee")}</span>
                       <span className={deliveryFee === 0 ? "text-red-600 dark:text-red-400" : "text-gray-800 dark:text-gray-200"}>
-                        {deliveryFee === 0 ? "FREE" : `₹${deliveryFee}`}
+                        {deliveryFee === 0 ? t("user.cart.free") : `₹${deliveryFee}`}
                       </span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Platform Fee</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.platformFee")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{platformFee}</span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">GST and Restaurant Charges</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.gstAndCharges")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{gstCharges}</span>
                     </div>
+                    {tipAmount > 0 && (
+                      <div className="flex justify-between text-sm md:text-base">
+                        <span className="text-gray-600 dark:text-gray-400">{t("user.cart.deliveryTip")}</span>
+                        <span className="text-gray-800 dark:text-gray-200">₹{tipAmount}</span>
+                      </div>
+                    )}
                     {discount > 0 && (
                       <div className="flex justify-between text-sm md:text-base text-red-600 dark:text-red-400">
-                        <span>Coupon Discount</span>
+                        <span>{t("user.cart.couponDiscount")}</span>
                         <span>-₹{discount}</span>
                       </div>
                     )}
                     <div className="flex justify-between text-sm md:text-base font-semibold pt-2 md:pt-3 border-t dark:border-gray-700">
-                      <span>To Pay</span>
+                      <span>{t("user.cart.toPay")}</span>
                       <span>₹{total.toFixed(0)}</span>
                     </div>
                   </div>
@@ -2009,34 +2107,40 @@ export default function Cart() {
               <div className="lg:sticky lg:top-24 space-y-4 md:space-y-6">
                 {/* Bill Summary Card */}
                 <div className="bg-white dark:bg-[#1a1a1a] px-4 md:px-6 py-4 md:py-5 rounded-lg md:rounded-xl border border-gray-200 dark:border-gray-700">
-                  <h3 className="text-base md:text-lg font-semibold text-gray-800 dark:text-gray-200 mb-3 md:mb-4">Order Summary</h3>
+                  <h3 className="text-base md:text-lg font-semibold text-gray-800 dark:text-gray-200 mb-3 md:mb-4">{t("user.cart.orderSummary")}</h3>
                   <div className="space-y-2 md:space-y-3">
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Item Total</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.itemTotal")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{subtotal.toFixed(0)}</span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Delivery Fee</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.deliveryFee")}</span>
                       <span className={deliveryFee === 0 ? "text-red-600 dark:text-red-400" : "text-gray-800 dark:text-gray-200"}>
-                        {deliveryFee === 0 ? "FREE" : `₹${deliveryFee}`}
+                        {deliveryFee === 0 ? t("user.cart.free") : `₹${deliveryFee}`}
                       </span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">Platform Fee</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.platformFee")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{platformFee}</span>
                     </div>
                     <div className="flex justify-between text-sm md:text-base">
-                      <span className="text-gray-600 dark:text-gray-400">GST</span>
+                      <span className="text-gray-600 dark:text-gray-400">{t("user.cart.gst")}</span>
                       <span className="text-gray-800 dark:text-gray-200">₹{gstCharges}</span>
                     </div>
+                    {tipAmount > 0 && (
+                      <div className="flex justify-between text-sm md:text-base">
+                        <span className="text-gray-600 dark:text-gray-400">{t("user.cart.deliveryTip")}</span>
+                        <span className="text-gray-800 dark:text-gray-200">₹{tipAmount}</span>
+                      </div>
+                    )}
                     {discount > 0 && (
                       <div className="flex justify-between text-sm md:text-base text-red-600 dark:text-red-400">
-                        <span>Discount</span>
+                        <span>{t("user.cart.discount")}</span>
                         <span>-₹{discount}</span>
                       </div>
                     )}
                     <div className="flex justify-between text-base md:text-lg font-bold pt-3 md:pt-4 border-t dark:border-gray-700">
-                      <span>Total</span>
+                      <span>{t("user.cart.total")}</span>
                       <span className="text-green-600 dark:text-green-400">₹{total.toFixed(0)}</span>
                     </div>
                   </div>
@@ -2062,16 +2166,16 @@ export default function Cart() {
                   <CreditCard className="h-4 w-4 text-gray-600 dark:text-gray-300" />
                   <div className="leading-tight">
                     <p className="text-[11px] md:text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
-                      PAY USING
+                      {t("user.cart.payUsing")}
                     </p>
                     <p className="text-sm md:text-base font-medium text-gray-800 dark:text-gray-200">
                       {selectedPaymentMethod === "razorpay"
                         ? "Razorpay"
                         : selectedPaymentMethod === "wallet"
-                          ? "Wallet"
+                          ? t("user.cart.wallet")
                           : selectedPaymentMethod === "pay_at_hotel"
-                            ? "Pay at Hotel"
-                            : "Online Payment"}
+                            ? t("user.cart.payAtHotel")
+                            : t("user.cart.onlinePayment")}
                     </p>
                   </div>
                 </div>
@@ -2079,7 +2183,7 @@ export default function Cart() {
                 <div className="relative">
                   <div className="mb-4">
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                      Payment Method <span className="text-red-500">*</span>
+                      {t("user.cart.paymentMethod")} <span className="text-red-500">*</span>
                     </label>
                     <select
                       value={selectedPaymentMethod}
@@ -2089,15 +2193,15 @@ export default function Cart() {
                       {isHotelOrder ? (
                         // Show only Pay at Hotel and Razorpay for hotel orders
                         <>
-                          <option value="pay_at_hotel">💳 Pay at Hotel</option>
-                          <option value="razorpay">💰 Razorpay Online Payment</option>
+                          <option value="pay_at_hotel">💳 {t("user.cart.payAtHotel")}</option>
+                          <option value="razorpay">💰 {t("user.cart.razorpayOnline")}</option>
                         </>
                       ) : (
                         // Show online payment and wallet for regular orders (COD disabled)
                         <>
                           <option value="razorpay">💰 Razorpay</option>
                           <option value="wallet">
-                            👛 Wallet{isLoadingWallet ? ' (Loading...)' : walletBalance > 0 ? ` (₹${walletBalance})` : ' (₹0)'}
+                            👛 {t("user.cart.wallet")}{isLoadingWallet ? ` (${t("user.cart.loading")})` : walletBalance > 0 ? ` (₹${walletBalance})` : ' (₹0)'}
                           </option>
                         </>
                       )}
@@ -2108,19 +2212,25 @@ export default function Cart() {
                   {selectedPaymentMethod === 'pay_at_hotel' && (
                     <div className="mb-4 p-4 bg-gradient-to-r from-orange-50 to-yellow-50 dark:from-orange-900/20 dark:to-yellow-900/20 rounded-lg border-2 border-orange-200 dark:border-orange-700">
                       <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
-                        🏨 Room Number <span className="text-red-500">*</span>
+                        🏨 {t("user.cart.roomNumber")} <span className="text-red-500">*</span>
                       </label>
                       <input
                         type="text"
                         value={roomNumber}
                         onChange={(e) => setRoomNumber(e.target.value)}
-                        placeholder="Enter your room number (e.g., 101)"
-                        className="w-full px-4 py-3 border-2 border-orange-300 dark:border-orange-700 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 placeholder-gray-400 focus:ring-2 focus:ring-orange-500 focus:border-transparent font-medium"
+                        readOnly={isRoomFromQR}
+                        placeholder={t("user.cart.roomNumberPlaceholder")}
+                        className={`w-full px-4 py-3 border-2 border-orange-300 dark:border-orange-700 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 placeholder-gray-400 focus:ring-2 focus:ring-orange-500 focus:border-transparent font-medium ${isRoomFromQR ? 'cursor-not-allowed opacity-80' : ''}`}
                         required
-                      />   
+                      />
+                      {isRoomFromQR && (
+                        <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+                          {t("user.cart.roomFromQr")}
+                        </p>
+                      )}
                       {isHotelOrder && hotelName && (
                         <p className="mt-1 text-xs font-medium text-orange-600 dark:text-orange-400">
-                          📍 Ordering from: {hotelName}
+                          📍 {t("user.cart.orderingFrom", { hotel: hotelName })}
                         </p>
                       )}
                     </div>
@@ -2138,21 +2248,21 @@ export default function Cart() {
                 {(selectedPaymentMethod === "razorpay" || selectedPaymentMethod === "wallet") && (
                   <div className="text-left mr-3 md:mr-4">
                     <p className="text-sm md:text-base opacity-90">₹{total.toFixed(0)}</p>
-                    <p className="text-xs md:text-sm opacity-75">TOTAL</p>
+                    <p className="text-xs md:text-sm opacity-75">{t("user.cart.totalCaps")}</p>
                   </div>
                 )}
                 <span className="font-bold text-base md:text-lg">
                   {isPlacingOrder
-                    ? "Processing..."
+                    ? t("user.cart.processing")
                     : selectedPaymentMethod === "razorpay"
-                      ? "Select Payment"
+                      ? t("user.cart.selectPayment")
                       : selectedPaymentMethod === "wallet"
                         ? walletBalance >= total
-                          ? "Place Order"
-                          : "Insufficient Balance"
+                          ? t("user.cart.placeOrder")
+                          : t("user.cart.insufficientBalance")
                         : selectedPaymentMethod === "pay_at_hotel"
-                          ? "Place Order (Pay at Hotel)"
-                          : "Place Order"}
+                          ? t("user.cart.placeOrderPayAtHotel")
+                          : t("user.cart.placeOrder")}
                 </span>
                 <ChevronRight className="h-5 w-5 md:h-6 md:w-6 ml-2" />
               </Button>
@@ -2174,7 +2284,7 @@ export default function Cart() {
           >
             <div className="px-6 py-8">
               {/* Title */}
-              <h2 className="text-2xl font-bold text-gray-900 mb-6">Placing your order</h2>
+              <h2 className="text-2xl font-bold text-gray-900 mb-6">{t("user.cart.placingOrder")}</h2>
 
               {/* Payment Info */}
               <div className="flex items-center gap-4 mb-5">
@@ -2184,12 +2294,12 @@ export default function Cart() {
                 <div>
                   <p className="text-lg font-semibold text-gray-900">
                     {selectedPaymentMethod === "razorpay"
-                      ? `Pay ₹${total.toFixed(2)} online (Razorpay)`
+                      ? t("user.cart.payOnlineAmount", { amount: total.toFixed(2) })
                       : selectedPaymentMethod === "wallet"
-                        ? `Pay ₹${total.toFixed(2)} from Wallet`
+                        ? t("user.cart.payFromWallet", { amount: total.toFixed(2) })
                         : selectedPaymentMethod === "pay_at_hotel"
-                          ? `Pay at hotel on arrival`
-                          : `Pay online`}
+                          ? t("user.cart.payAtHotelOnArrival")
+                          : t("user.cart.payOnline")}
                   </p>
                 </div>
               </div>
@@ -2203,7 +2313,7 @@ export default function Cart() {
                   </svg>
                 </div>
                 <div>
-                  <p className="text-lg font-semibold text-gray-900">Delivering to Location</p>
+                  <p className="text-lg font-semibold text-gray-900">{t("user.cart.deliveringTo")}</p>
                   <p className="text-sm text-gray-600 mt-1">
                     {defaultAddress ? (formatFullAddress(defaultAddress) || defaultAddress?.formattedAddress || defaultAddress?.address || "Address") : "Add address"}
                   </p>
@@ -2244,7 +2354,7 @@ export default function Cart() {
                 className="w-full text-right"
               >
                 <span className="text-green-600 font-semibold text-base hover:text-green-700 transition-colors">
-                  CANCEL
+                  {t("user.cart.cancel")}
                 </span>
               </button>
             </div>
@@ -2346,8 +2456,8 @@ export default function Cart() {
               className="mt-12 text-center"
               style={{ animation: 'slideUp 0.5s ease-out 0.8s both' }}
             >
-              <h3 className="text-3xl font-bold text-green-600 mb-2">Order Placed!</h3>
-              <p className="text-gray-600">Your delicious food is on its way</p>
+              <h3 className="text-3xl font-bold text-green-600 mb-2">{t("user.cart.orderPlaced")}</h3>
+              <p className="text-gray-600">{t("user.cart.onItsWay")}</p>
             </div>
 
             {/* Action Button */}
@@ -2356,7 +2466,7 @@ export default function Cart() {
               className="mt-10 bg-green-600 hover:bg-green-700 text-white font-semibold py-4 px-12 rounded-xl shadow-lg transition-all hover:shadow-xl hover:scale-105"
               style={{ animation: 'slideUp 0.5s ease-out 1s both' }}
             >
-              Track Your Order
+              {t("user.cart.trackOrder")}
             </button>
           </div>
         </div>
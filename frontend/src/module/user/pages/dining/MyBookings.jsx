@@ -98,6 +98,20 @@ export default function MyBookings() {
         fetchBookings()
     }, [])
 
+    const handleCancel = async (bookingId) => {
+        if (!window.confirm("Cancel this booking?")) return
+        try {
+            const response = await diningAPI.updateBookingStatus(bookingId, "cancelled")
+            if (response.data.success) {
+                toast.success("Booking cancelled")
+                setBookings((prev) => prev.map((b) => (b._id === bookingId ? { ...b, status: "cancelled" } : b)))
+            }
+        } catch (error) {
+            console.error("Error cancelling booking:", error)
+            toast.error(error.response?.data?.message || "Failed to cancel booking")
+        }
+    }
+
     const handleReviewSubmit = async (reviewData) => {
         try {
             const response = await diningAPI.createReview(reviewData)
@@ -142,7 +156,9 @@ export default function MyBookings() {
                                     <Badge className={`${booking.status === 'confirmed' ? 'bg-green-100 text-green-700' :
                                         booking.status === 'checked-in' ? 'bg-orange-100 text-orange-700' :
                                             booking.status === 'completed' ? 'bg-blue-100 text-blue-700' :
-                                                'bg-slate-100 text-slate-700'
+                                                booking.status === 'waitlisted' ? 'bg-amber-100 text-amber-700' :
+                                                    booking.status === 'no-show' ? 'bg-red-100 text-red-700' :
+                                                        'bg-slate-100 text-slate-700'
                                         }`}>
                                         {booking.status}
                                     </Badge>
@@ -178,6 +194,21 @@ export default function MyBookings() {
                                     </p>
                                 )}
 
+                                {booking.status === 'waitlisted' && (
+                                    <p className="text-[10px] text-amber-700 mt-2">
+                                        You're on the waitlist. We'll confirm your table if one frees up before your slot.
+                                    </p>
+                                )}
+
+                                {['confirmed', 'waitlisted'].includes(booking.status) && new Date(booking.date) > new Date() && (
+                                    <button
+                                        onClick={() => handleCancel(booking._id)}
+                                        className="mt-3 w-full py-2 bg-white text-gray-600 text-[11px] font-bold rounded-lg border border-slate-200 hover:bg-slate-50 transition-colors"
+                                    >
+                                        CANCEL BOOKING
+                                    </button>
+                                )}
+
                                 {booking.status === 'completed' && (
                                     <button
                                         onClick={() => setSelectedBooking(booking)}
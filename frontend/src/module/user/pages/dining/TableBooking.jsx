@@ -7,6 +7,35 @@ import { useEffect } from "react"
 import { diningAPI } from "@/lib/api"
 import Loader from "@/components/Loader"
 
+// Promotional discount shown under each slot time; slots not listed have no offer
+const SLOT_DISCOUNTS = {
+    "12:00 PM": "20% OFF",
+    "12:30 PM": "20% OFF",
+    "1:00 PM": "15% OFF",
+    "1:30 PM": "15% OFF",
+    "2:00 PM": "10% OFF",
+    "2:30 PM": "10% OFF",
+    "3:00 PM": "30% OFF",
+    "3:30 PM": "30% OFF",
+    "3:45 PM": "30% OFF",
+    "4:00 PM": "30% OFF",
+    "4:15 PM": "30% OFF",
+    "4:30 PM": "30% OFF",
+    "7:00 PM": "10% OFF",
+    "7:30 PM": "10% OFF",
+    "8:00 PM": "5% OFF",
+    "8:30 PM": "5% OFF",
+    "10:00 PM": "15% OFF",
+    "10:30 PM": "20% OFF",
+}
+
+// Local calendar day as YYYY-MM-DD, the format the availability API expects
+const toDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, "0")
+    const day = String(date.getDate()).padStart(2, "0")
+    return `${date.getFullYear()}-${month}-${day}`
+}
+
 export default function TableBooking() {
     const { slug } = useParams()
     const location = useLocation()
@@ -18,6 +47,10 @@ export default function TableBooking() {
     const [selectedDate, setSelectedDate] = useState(new Date())
     const [activeTimeOfDay, setActiveTimeOfDay] = useState("Lunch")
     const [selectedSlot, setSelectedSlot] = useState(null)
+    const [availability, setAvailability] = useState(null)
+    const [slotsLoading, setSlotsLoading] = useState(false)
+
+    const dateKey = toDateKey(selectedDate)
 
     useEffect(() => {
         const fetchRestaurant = async () => {
@@ -37,6 +70,30 @@ export default function TableBooking() {
         fetchRestaurant()
     }, [slug])
 
+    // Slot capacity depends on both the day and the party size
+    useEffect(() => {
+        if (!restaurant?._id) return
+        let cancelled = false
+        const fetchAvailability = async () => {
+            setSlotsLoading(true)
+            try {
+                const response = await diningAPI.getAvailability(restaurant._id, { date: dateKey, guests: selectedGuests })
+                if (!cancelled && response.data?.success) {
+                    setAvailability(response.data.data)
+                }
+            } catch (error) {
+                console.error("Error fetching slot availability:", error)
+                if (!cancelled) setAvailability(null)
+            } finally {
+                if (!cancelled) setSlotsLoading(false)
+            }
+        }
+        fetchAvailability()
+        return () => {
+            cancelled = true
+        }
+    }, [restaurant?._id, dateKey, selectedGuests])
+
     // Generate next 7 days
     const dates = useMemo(() => {
         const items = []
@@ -63,31 +120,19 @@ export default function TableBooking() {
         return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })
     }
 
-    const slots = {
-        Lunch: [
-            { time: "12:00 PM", discount: "20% OFF" },
-            { time: "12:30 PM", discount: "20% OFF" },
-            { time: "1:00 PM", discount: "15% OFF" },
-            { time: "1:30 PM", discount: "15% OFF" },
-            { time: "2:00 PM", discount: "10% OFF" },
-            { time: "2:30 PM", discount: "10% OFF" },
-            { time: "3:00 PM", discount: "30% OFF" },
-            { time: "3:30 PM", discount: "30% OFF" },
-            { time: "3:45 PM", discount: "30% OFF" },
-            { time: "4:00 PM", discount: "30% OFF" },
-            { time: "4:15 PM", discount: "30% OFF" },
-            { time: "4:30 PM", discount: "30% OFF" },
-        ],
-        Dinner: [
-            { time: "7:00 PM", discount: "10% OFF" },
-            { time: "7:30 PM", discount: "10% OFF" },
-            { time: "8:00 PM", discount: "5% OFF" },
-            { time: "8:30 PM", discount: "5% OFF" },
-            { time: "9:00 PM", discount: "No OFF" },
-            { time: "9:30 PM", discount: "No OFF" },
-            { time: "10:00 PM", discount: "15% OFF" },
-            { time: "10:30 PM", discount: "20% OFF" },
-        ]
+    const slots = (availability?.slots || [])
+        .filter((slot) => slot.mealPeriod === activeTimeOfDay)
+        .map((slot) => ({ ...slot, discount: SLOT_DISCOUNTS[slot.time] || "No OFF" }))
+    const isWaitlistSelection = Boolean(selectedSlot && !selectedSlot.available)
+
+    const handleGuestsChange = (guests) => {
+        setSelectedGuests(guests)
+        setSelectedSlot(null)
+    }
+
+    const handleDateChange = (date) => {
+        setSelectedDate(date)
+        setSelectedSlot(null)
     }
 
     if (loading) return <Loader />
@@ -100,8 +145,10 @@ export default function TableBooking() {
                 restaurant,
                 guests: selectedGuests,
                 date: selectedDate,
+                dateKey,
                 timeSlot: selectedSlot.time,
-                discount: selectedSlot.discount
+                discount: selectedSlot.discount,
+                waitlist: isWaitlistSelection
             }
         })
     }
@@ -131,10 +178,10 @@ export default function TableBooking() {
                     <div className="relative">
                         <select
                             value={selectedGuests}
-                            onChange={(e) => setSelectedGuests(parseInt(e.target.value))}
+                            onChange={(e) => handleGuestsChange(parseInt(e.target.value))}
                             className="appearance-none bg-slate-50 border border-slate-200 rounded-lg py-2 pl-4 pr-10 font-bold text-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500"
                         >
-                            {Array.from({ length: restaurant.diningSettings?.maxGuests || 10 }, (_, i) => i + 1).map(num => (
+                            {Array.from({ length: availability?.maxGuests || restaurant.diningSettings?.maxGuests || 10 }, (_, i) => i + 1).map(num => (
                                 <option key={num} value={num}>{num}</option>
                             ))}
                         </select>
@@ -168,7 +215,7 @@ export default function TableBooking() {
                         {dates.map((date, idx) => (
                             <button
                                 key={idx}
-                                onClick={() => setSelectedDate(date)}
+                                onClick={() => handleDateChange(date)}
                                 className={`min-w-[110px] p-3 rounded-2xl border transition-all flex flex-col items-center gap-1 ${selectedDate.toDateString() === date.toDateString()
                                     ? "bg-red-50 border-red-500 shadow-[0_0_15px_rgba(239,68,68,0.1)]"
                                     : "bg-white border-slate-100 hover:border-slate-200"
@@ -211,29 +258,55 @@ export default function TableBooking() {
                     </div>
 
                     {/* Slots Grid */}
-                    <div className="grid grid-cols-3 gap-3">
-                        {slots[activeTimeOfDay].map((slot, idx) => (
-                            <button
-                                key={idx}
-                                onClick={() => setSelectedSlot(slot)}
-                                className={`p-3 rounded-xl border transition-all text-center flex flex-col gap-0.5 ${selectedSlot?.time === slot.time
-                                    ? "bg-red-500 border-red-500 text-white shadow-lg shadow-red-200"
-                                    : "bg-white border-slate-100 hover:border-slate-200"
-                                    }`}
-                            >
-                                <span className={`text-sm font-bold ${selectedSlot?.time === slot.time ? "text-white" : "text-gray-800"
-                                    }`}>
-                                    {slot.time}
-                                </span>
-                                {slot.discount !== "No OFF" && (
-                                    <span className={`text-[10px] font-bold ${selectedSlot?.time === slot.time ? "text-white/90" : "text-blue-500"
-                                        }`}>
-                                        {slot.discount}
-                                    </span>
-                                )}
-                            </button>
-                        ))}
-                    </div>
+                    {slotsLoading && !availability ? (
+                        <p className="text-center text-sm text-gray-400 py-8">Checking table availability...</p>
+                    ) : slots.length === 0 ? (
+                        <p className="text-center text-sm text-gray-400 py-8">No {activeTimeOfDay.toLowerCase()} slots available on this day</p>
+                    ) : (
+                        <div className="grid grid-cols-3 gap-3">
+                            {slots.map((slot) => {
+                                const isSelected = selectedSlot?.time === slot.time
+                                const isBookable = slot.available || slot.canWaitlist
+                                return (
+                                    <button
+                                        key={slot.time}
+                                        disabled={!isBookable}
+                                        onClick={() => setSelectedSlot(slot)}
+                                        className={`p-3 rounded-xl border transition-all text-center flex flex-col gap-0.5 ${isSelected
+                                            ? "bg-red-500 border-red-500 text-white shadow-lg shadow-red-200"
+                                            : isBookable
+                                                ? "bg-white border-slate-100 hover:border-slate-200"
+                                                : "bg-slate-50 border-slate-100 opacity-50 cursor-not-allowed"
+                                            }`}
+                                    >
+                                        <span className={`text-sm font-bold ${isSelected ? "text-white" : "text-gray-800"
+                                            }`}>
+                                            {slot.time}
+                                        </span>
+                                        {slot.available ? (
+                                            slot.discount !== "No OFF" && (
+                                                <span className={`text-[10px] font-bold ${isSelected ? "text-white/90" : "text-blue-500"
+                                                    }`}>
+                                                    {slot.discount}
+                                                </span>
+                                            )
+                                        ) : (
+                                            <span className={`text-[10px] font-bold ${isSelected ? "text-white/90" : "text-amber-600"
+                                                }`}>
+                                                {slot.canWaitlist ? "Join waitlist" : "Full"}
+                                            </span>
+                                        )}
+                                    </button>
+                                )
+                            })}
+                        </div>
+                    )}
+
+                    {isWaitlistSelection && (
+                        <p className="mt-4 text-xs font-medium text-amber-700 bg-amber-50 border border-amber-100 rounded-xl p-3">
+                            All tables for {selectedSlot.time} are taken. You will be added to the waitlist and notified if a table frees up.
+                        </p>
+                    )}
 
                     <div className="mt-8 text-center text-red-500 font-bold text-sm flex items-center justify-center gap-1 cursor-pointer">
                         View all slots <ChevronDown className="w-4 h-4" />
@@ -251,7 +324,7 @@ export default function TableBooking() {
                         : "bg-slate-200 text-slate-400 cursor-not-allowed"
                         }`}
                 >
-                    Proceed
+                    {isWaitlistSelection ? "Join waitlist" : "Proceed"}
                 </Button>
             </div>
         </AnimatedPage>
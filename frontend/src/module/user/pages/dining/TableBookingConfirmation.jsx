@@ -11,7 +11,7 @@ import { motion, AnimatePresence } from "framer-motion"
 export default function TableBookingConfirmation() {
     const location = useLocation()
     const navigate = useNavigate()
-    const { restaurant, guests, date, timeSlot, discount } = location.state || {}
+    const { restaurant, guests, date, dateKey, timeSlot, discount, waitlist } = location.state || {}
 
     const [specialRequest, setSpecialRequest] = useState("")
     const [isRequestModalOpen, setIsRequestModalOpen] = useState(false)
@@ -48,13 +48,19 @@ export default function TableBookingConfirmation() {
             const response = await diningAPI.createBooking({
                 restaurant: restaurant._id,
                 guests,
-                date,
+                // Send the calendar day the guest picked so the server does not shift it across timezones
+                date: dateKey || date,
                 timeSlot,
-                specialRequest
+                specialRequest,
+                joinWaitlist: Boolean(waitlist)
             })
 
             if (response.data.success) {
-                toast.success("Table booked successfully!")
+                if (response.data.data?.status === "waitlisted") {
+                    toast.success("You're on the waitlist. We'll confirm your table if one frees up.")
+                } else {
+                    toast.success("Table booked successfully!")
+                }
                 // Navigate to success page with booking details
                 navigate("/dining/book-success", { state: { booking: response.data.data } })
             }
@@ -236,7 +242,7 @@ export default function TableBookingConfirmation() {
                     disabled={bookingInProgress}
                     className="w-full h-14 bg-[#ef4444] hover:bg-red-600 text-white font-bold text-lg rounded-2xl shadow-xl shadow-red-200 transition-all active:scale-[0.98]"
                 >
-                    {bookingInProgress ? "Confirming..." : "Confirm your seat"}
+                    {bookingInProgress ? "Confirming..." : waitlist ? "Join the waitlist" : "Confirm your seat"}
                 </Button>
             </div>
             {/* Special Request Modal */}
@@ -57,8 +57,10 @@ export default function TableBookingSuccess() {
                 transition={{ delay: 0.2 }}
                 className="text-center space-y-2 mb-10"
             >
-                <h1 className="text-3xl font-black text-gray-900">Seat Confirmed!</h1>
-                <p className="text-gray-500 font-medium tracking-wide italic">Your table is ready for you</p>
+                <h1 className="text-3xl font-black text-gray-900">{booking.status === "waitlisted" ? "You're on the Waitlist" : "Seat Confirmed!"}</h1>
+                <p className="text-gray-500 font-medium tracking-wide italic">
+                    {booking.status === "waitlisted" ? "We'll confirm your table if one frees up" : "Your table is ready for you"}
+                </p>
                 <div className="pt-2">
                     <span className="bg-blue-50 text-blue-600 px-4 py-1 rounded-full text-xs font-bold uppercase tracking-widest border border-blue-100">
                         BOOKING ID: {booking.bookingId}
@@ -5,6 +5,7 @@ import { chatAPI, userAPI } from "@/lib/api";
 import { toast } from "sonner";
 import io from "socket.io-client";
 import { API_BASE_URL } from "@/lib/api/config";
+import { socketAuth, enableSocketTokenRefresh } from "@/lib/utils/socketAuth";
 
 export default function OrderChat() {
   const { orderId } = useParams();
@@ -134,9 +135,11 @@ export default function OrderChat() {
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
+      auth: socketAuth("user"),
     });
 
     const socket = socketRef.current;
+    enableSocketTokenRefresh(socket, "user");
 
     socket.on("connect", () => {
       console.log("✅ Socket connected for chat");
@@ -33,6 +33,7 @@ import { useLocation as useUserLocation } from "../../hooks/useLocation"
 import DeliveryTrackingMap from "../../components/DeliveryTrackingMap"
 import { orderAPI, restaurantAPI } from "@/lib/api"
 import circleIcon from "@/assets/circleicon.png"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 // Animated checkmark component
 const AnimatedCheckmark = ({ delay = 0 }) => (
@@ -205,6 +206,7 @@ const SectionItem = ({ icon: Icon, title, subtitle, onClick, showArrow = true, r
 
 export default function OrderTracking() {
   const { orderId } = useParams()
+  const { t } = useTranslation()
   const navigate = useNavigate()
   const [searchParams] = useSearchParams()
   const confirmed = searchParams.get("confirmed") === "true"
@@ -962,7 +964,7 @@ export default function OrderTracking() {
       <AnimatedPage className="min-h-screen bg-gray-50 p-4">
         <div className="max-w-lg mx-auto text-center py-20">
           <Loader2 className="w-8 h-8 animate-spin text-gray-600 mx-auto mb-4" />
-          <p className="text-gray-600">Loading order details...</p>
+          <p className="text-gray-600">{t("user.tracking.loading")}</p>
         </div>
       </AnimatedPage>
     )
@@ -973,10 +975,10 @@ export default function OrderTracking() {
     return (
       <AnimatedPage className="min-h-screen bg-gray-50 p-4">
         <div className="max-w-lg mx-auto text-center py-20">
-          <h1 className="text-lg sm:text-xl md:text-2xl font-bold mb-4">Order Not Found</h1>
-          <p className="text-gray-600 mb-6">{error || 'The order you\'re looking for doesn\'t exist.'}</p>
+          <h1 className="text-lg sm:text-xl md:text-2xl font-bold mb-4">{t("user.tracking.notFound")}</h1>
+          <p className="text-gray-600 mb-6">{error || t("user.tracking.notFoundHint")}</p>
           <Link to="/user/orders">
-            <Button>Back to Orders</Button>
+            <Button>{t("user.tracking.backToOrders")}</Button>
           </Link>
         </div>
       </AnimatedPage>
@@ -985,28 +987,28 @@ export default function OrderTracking() {
 
   const statusConfig = {
     placed: {
-      title: "Order placed",
-      subtitle: "Food preparation will begin shortly",
+      title: t("user.tracking.placed"),
+      subtitle: t("user.tracking.preparationSoon"),
       color: "bg-green-700"
     },
     preparing: {
-      title: "Preparing your order",
-      subtitle: estimatedTime !== null && estimatedTime > 0 ? `Arriving in ${estimatedTime} mins` : "Food preparation will begin shortly",
+      title: t("user.tracking.preparing"),
+      subtitle: estimatedTime !== null && estimatedTime > 0 ? t("user.tracking.arrivingIn", { minutes: estimatedTime }) : t("user.tracking.preparationSoon"),
       color: "bg-green-700"
     },
     pickup: {
-      title: "Order picked up",
-      subtitle: estimatedTime !== null && estimatedTime > 0 ? `Arriving in ${estimatedTime} mins` : "On the way",
+      title: t("user.tracking.pickedUp"),
+      subtitle: estimatedTime !== null && estimatedTime > 0 ? t("user.tracking.arrivingIn", { minutes: estimatedTime }) : t("user.tracking.onTheWay"),
       color: "bg-green-700"
     },
     delivered: {
-      title: "Order delivered",
-      subtitle: "Enjoy your meal!",
+      title: t("user.tracking.delivered"),
+      subtitle: t("user.tracking.enjoyMeal"),
       color: "bg-green-600"
     },
     cancelled: {
-      title: "Order cancelled",
-      subtitle: "This order has been cancelled",
+      title: t("user.tracking.cancelled"),
+      subtitle: t("user.tracking.cancelledHint"),
       color: "bg-red-600"
     }
   }
@@ -1037,7 +1039,7 @@ export default function OrderTracking() {
                 transition={{ delay: 0.9 }}
                 className="text-2xl font-bold text-gray-900 mt-6"
               >
-                Order Confirmed!
+                {t("user.tracking.confirmed")}
               </motion.h1>
               <motion.p
                 initial={{ opacity: 0, y: 20 }}
@@ -1045,7 +1047,7 @@ export default function OrderTracking() {
                 transition={{ delay: 1.1 }}
                 className="text-gray-600 mt-2"
               >
-                Your order has been placed successfully
+                {t("user.tracking.placedSuccessfully")}
               </motion.p>
               <motion.div
                 initial={{ opacity: 0 }}
@@ -1054,7 +1056,7 @@ export default function OrderTracking() {
                 className="mt-8"
               >
                 <div className="w-8 h-8 border-2 border-green-500 border-t-transparent rounded-full animate-spin mx-auto" />
-                <p className="text-sm text-gray-500 mt-3">Loading order details...</p>
+                <p className="text-sm text-gray-500 mt-3">{t("user.tracking.loading")}</p>
               </motion.div>
             </motion.div>
           </motion.div>
@@ -1103,7 +1105,7 @@ export default function OrderTracking() {
               {orderStatus === 'preparing' && (
                 <>
                   <span className="w-1 h-1 rounded-full bg-white" />
-                  <span className="text-sm text-green-200">On time</span>
+                  <span className="text-sm text-green-200">{t("user.tracking.onTime")}</span>
                 </>
               )}
               <motion.button
@@ -1150,11 +1152,11 @@ export default function OrderTracking() {
                   <div className="w-12 h-12 rounded-full bg-orange-100 flex items-center justify-center overflow-hidden">
                     <img
                       src={circleIcon}
-                      alt="Food cooking"
+                      alt={t("user.tracking.foodCooking")}
                       className="w-full h-full object-cover"
                     />
                   </div>
-                  <p className="font-semibold text-gray-900">Food is Cooking</p>
+                  <p className="font-semibold text-gray-900">{t("user.tracking.foodCooking")}</p>
                 </div>
               </motion.div>
             )
@@ -1174,7 +1176,7 @@ export default function OrderTracking() {
         >
           <Shield className="w-6 h-6 text-gray-600" />
           <span className="flex-1 text-left font-medium text-gray-900">
-            Learn about delivery partner safety
+            {t("user.tracking.partnerSafety")}
           </span>
           <ChevronRight className="w-5 h-5 text-gray-400" />
         </motion.button>
@@ -1187,7 +1189,7 @@ export default function OrderTracking() {
           transition={{ delay: 0.65 }}
         >
           <p className="text-yellow-800 font-medium">
-            All your delivery details in one place 👇
+            {t("user.tracking.detailsBanner")} 👇
           </p>
         </motion.div>
 
@@ -1206,19 +1208,19 @@ export default function OrderTracking() {
               order?.userId?.name ||
               profile?.fullName ||
               profile?.name ||
-              'Customer'
+              t("user.tracking.customer")
             }
             subtitle={
               order?.userPhone ||
               order?.userId?.phone ||
               profile?.phone ||
               defaultAddress?.phone ||
-              'Phone number not available'
+              t("user.tracking.noPhone")
             }
           />
           <SectionItem
             icon={HomeIcon}
-            title="Delivery at Location"
+            title={t("user.tracking.deliveryAtLocation")}
             subtitle={(() => {
               // Priority 1: Use order address formattedAddress (live location address)
               if (order?.address?.formattedAddress && order.address.formattedAddress !== "Select location") {
@@ -1256,13 +1258,13 @@ export default function OrderTracking() {
                 }
               }
 
-              return 'Add delivery address'
+              return t("user.cart.addDeliveryAddress")
             })()}
           />
           <SectionItem
             icon={MessageSquare}
-            title="Add delivery instructions"
-            subtitle={order?.note ? order.note : "Leave a note for the delivery partner"}
+            title={t("user.tracking.addInstructions")}
+            subtitle={order?.note ? order.note : t("user.tracking.instructionsHint")}
             onClick={() => {
               if (order?.status === "delivered" || order?.status === "cancelled") return
               setInstructionsText(order?.note || "")
@@ -1273,8 +1275,8 @@ export default function OrderTracking() {
           {order?.deliveryPartnerId && (
             <SectionItem
               icon={MessageSquare}
-              title="Chat with Delivery Partner"
-              subtitle="Send a message to your delivery partner"
+              title={t("user.tracking.chatWithPartner")}
+              subtitle={t("user.tracking.chatHint")}
               onClick={() => {
                 const orderIdForChat = order?._id || orderId;
                 if (orderIdForChat) {
@@ -1306,7 +1308,7 @@ export default function OrderTracking() {
               onClick={handleCallRestaurant}
               className="w-10 h-10 rounded-full bg-green-100 flex items-center justify-center hover:bg-green-200 transition-colors"
               whileTap={{ scale: 0.9 }}
-              title="Call restaurant"
+              title={t("user.tracking.callRestaurant")}
             >
               <Phone className="w-5 h-5 text-green-700" />
             </motion.button>
@@ -1318,7 +1320,7 @@ export default function OrderTracking() {
               <div className="flex items-start gap-3">
                 <Receipt className="w-5 h-5 text-gray-500 mt-0.5" />
                 <div className="flex-1">
-                  <p className="font-medium text-gray-900">Order #{order?.id || order?.orderId || 'N/A'}</p>
+                  <p className="font-medium text-gray-900">{t("user.orders.orderNumber", { id: order?.id || order?.orderId || "N/A" })}</p>
                   <div className="mt-2 space-y-1">
                     {order?.items?.map((item, index) => (
                       <div key={index} className="flex items-center gap-2 text-sm text-gray-600">
@@ -1345,7 +1347,7 @@ export default function OrderTracking() {
         >
           <SectionItem
             icon={CircleSlash}
-            title="Cancel order"
+            title={t("user.tracking.cancelOrder")}
             subtitle=""
             onClick={handleCancelOrder}
           />
@@ -1358,7 +1360,7 @@ export default function OrderTracking() {
         <DialogContent className="sm:max-w-xl w-[95%] max-w-[600px]">
           <DialogHeader>
             <DialogTitle className="text-xl font-bold text-gray-900">
-              Cancel Order
+              {t("user.tracking.cancelOrder")}
             </DialogTitle>
           </DialogHeader>
           <div className="space-y-5 py-6 px-2">
@@ -1366,7 +1368,7 @@ export default function OrderTracking() {
               <Textarea
                 value={cancellationReason}
                 onChange={(e) => setCancellationReason(e.target.value)}
-                placeholder="e.g., Changed my mind, Wrong address, etc."
+                placeholder={t("user.tracking.cancelReasonPlaceholder")}
                 className="w-full min-h-[100px] resize-none border-2 border-gray-300 rounded-lg px-4 py-3 text-sm focus:border-red-500 focus:ring-2 focus:ring-red-200 focus:outline-none transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed disabled:border-gray-200"
                 disabled={isCancelling}
               />
@@ -1381,7 +1383,7 @@ export default function OrderTracking() {
                 disabled={isCancelling}
                 className="flex-1"
               >
-                Cancel
+                {t("user.tracking.cancel")}
               </Button>
               <Button
                 onClick={handleConfirmCancel}
@@ -1391,10 +1393,10 @@ export default function OrderTracking() {
                 {isCancelling ? (
                   <>
                     <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                    Cancelling...
+                    {t("user.tracking.cancelling")}
                   </>
                 ) : (
-                  'Confirm Cancellation'
+                  t("user.tracking.confirmCancellation")
                 )}
               </Button>
             </div>
@@ -1407,18 +1409,18 @@ export default function OrderTracking() {
         <DialogContent className="sm:max-w-xl w-[95%] max-w-[600px]">
           <DialogHeader>
             <DialogTitle className="text-xl font-bold text-gray-900">
-              Delivery Instructions
+              {t("user.tracking.instructionsTitle")}
             </DialogTitle>
           </DialogHeader>
           <div className="space-y-5 py-6 px-2">
             <p className="text-sm text-gray-600">
-              Add instructions for the delivery partner (e.g. &quot;Ring the bell&quot;, &quot;Leave at door&quot;, &quot;Call on arrival&quot;).
+              {t("user.tracking.instructionsDescription")}
             </p>
             <div className="space-y-2 w-full">
               <Textarea
                 value={instructionsText}
                 onChange={(e) => setInstructionsText(e.target.value)}
-                placeholder="e.g., Ring the bell twice, Leave at door, Call on arrival"
+                placeholder={t("user.tracking.instructionsPlaceholder")}
                 className="w-full min-h-[100px] resize-none border-2 border-gray-300 rounded-lg px-4 py-3 text-sm focus:border-green-500 focus:ring-2 focus:ring-green-200 focus:outline-none transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed disabled:border-gray-200"
                 disabled={isSavingInstructions}
               />
@@ -1433,7 +1435,7 @@ export default function OrderTracking() {
                 disabled={isSavingInstructions}
                 className="flex-1"
               >
-                Cancel
+                {t("user.tracking.cancel")}
               </Button>
               <Button
                 onClick={async () => {
@@ -1445,7 +1447,7 @@ export default function OrderTracking() {
                       setOrder((prev) => prev ? { ...prev, note: instructionsText.trim() } : prev)
                       setShowInstructionsDialog(false)
                       setInstructionsText("")
-                      toast.success("Delivery instructions updated")
+                      toast.success(t("user.tracking.instructionsUpdated"))
                     } else {
                       toast.error(response.data?.message || "Failed to update")
                     }
@@ -1461,10 +1463,10 @@ export default function OrderTracking() {
                 {isSavingInstructions ? (
                   <>
                     <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                    Saving...
+                    {t("user.tracking.saving")}
                   </>
                 ) : (
-                  "Save"
+                  t("user.tracking.save")
                 )}
               </Button>
             </div>
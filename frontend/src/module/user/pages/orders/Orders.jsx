@@ -4,8 +4,10 @@ import { ArrowLeft, Search, MoreVertical, ChevronRight, Star, RotateCcw, AlertCi
 import { orderAPI, api, API_ENDPOINTS } from "@/lib/api"
 import { toast } from "sonner"
 import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 export default function Orders() {
+  const { t } = useTranslation()
   const navigate = useNavigate()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -468,7 +470,7 @@ Order again from this restaurant in the ${companyName} app.`
           <Link to="/user">
             <ArrowLeft className="w-6 h-6 text-gray-700 cursor-pointer" />
           </Link>
-          <h1 className="ml-4 text-xl font-semibold text-gray-800">Your Orders</h1>
+          <h1 className="ml-4 text-xl font-semibold text-gray-800">{t("user.orders.title")}</h1>
         </div>
         <div className="flex items-center justify-center py-20">
           <Loader2 className="w-8 h-8 text-red-500 animate-spin" />
@@ -484,12 +486,12 @@ Order again from this restaurant in the ${companyName} app.`
           <Link to="/user">
             <ArrowLeft className="w-6 h-6 text-gray-700 cursor-pointer" />
           </Link>
-          <h1 className="ml-4 text-xl font-semibold text-gray-800">Your Orders</h1>
+          <h1 className="ml-4 text-xl font-semibold text-gray-800">{t("user.orders.title")}</h1>
         </div>
         <div className="px-4 py-8 text-center">
-          <p className="text-gray-600">You haven't placed any orders yet</p>
+          <p className="text-gray-600">{t("user.orders.empty")}</p>
           <Link to="/user">
-            <button className="mt-4 text-red-500 font-medium">Start Ordering</button>
+            <button className="mt-4 text-red-500 font-medium">{t("user.orders.startOrdering")}</button>
           </Link>
         </div>
       </div>
@@ -503,7 +505,7 @@ Order again from this restaurant in the ${companyName} app.`
         <Link to="/user">
           <ArrowLeft className="w-6 h-6 text-gray-700 cursor-pointer" />
         </Link>
-        <h1 className="ml-4 text-xl font-semibold text-gray-800">Your Orders</h1>
+        <h1 className="ml-4 text-xl font-semibold text-gray-800">{t("user.orders.title")}</h1>
       </div>
 
       {/* Search Bar */}
@@ -512,7 +514,7 @@ Order again from this restaurant in the ${companyName} app.`
           <Search className="w-5 h-5 text-red-500" />
           <input 
             type="text" 
-            placeholder="Search by restaurant or dish" 
+            placeholder={t("user.orders.searchPlaceholder")}
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             className="flex-1 ml-3 outline-none text-gray-600 placeholder-gray-400"
@@ -524,7 +526,7 @@ Order again from this restaurant in the ${companyName} app.`
       <div className="px-4 py-2 space-y-4">
         {filteredOrders.length === 0 ? (
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-8 text-center">
-            <p className="text-gray-600">No orders found matching your search</p>
+            <p className="text-gray-600">{t("user.orders.noMatches")}</p>
           </div>
         ) : (
           filteredOrders.map((order) => {
@@ -578,13 +580,13 @@ Order again from this restaurant in the ${companyName} app.`
                           to={`/user/orders/${order.id}/details`}
                           className="text-xs text-gray-600 mt-0.5 font-mono hover:text-[#E23744] transition-colors flex items-center gap-1 cursor-pointer"
                         >
-                          Order #{order.orderId}
+                          {t("user.orders.orderNumber", { id: order.orderId })}
                           <ChevronRight className="w-3 h-3" />
                         </Link>
                       )}
                       {order.deliveryPartnerName && (
                         <p className="text-xs text-gray-600 mt-1">
-                          <span className="font-medium">Delivery:</span> {order.deliveryPartnerName}
+                          <span className="font-medium">{t("user.orders.deliveryPartner")}</span> {order.deliveryPartnerName}
                           {order.deliveryPartnerPhone && ` • ${order.deliveryPartnerPhone}`}
                         </p>
                       )}
@@ -615,14 +617,14 @@ Order again from this restaurant in the ${companyName} app.`
                       onClick={() => handleShareRestaurant(order)}
                       className="w-full text-left px-3 py-2 hover:bg-gray-50 text-gray-800"
                     >
-                      Share restaurant
+                      {t("user.orders.shareRestaurant")}
                     </button>
                     <button
                       type="button"
                       onClick={() => handleViewOrderDetails(order)}
                       className="w-full text-left px-3 py-2 hover:bg-gray-50 text-gray-800"
                     >
-                      Order details
+                      {t("user.orders.orderDetails")}
                     </button>
                   </div>
                 )}
@@ -640,11 +642,11 @@ Order again from this restaurant in the ${companyName} app.`
                         </div>
                         <div>
                           <p className="text-sm font-semibold text-gray-900">
-                            Order #{order.orderId || order.id}
+                            {t("user.orders.orderNumber", { id: order.orderId || order.id })}
                           </p>
                           {order.items && order.items.length > 0 && (
                             <p className="text-xs text-gray-500 mt-0.5">
-                              {order.items.length} item{order.items.length !== 1 ? 's' : ''}
+                              {t(order.items.length === 1 ? "user.orders.itemCountOne" : "user.orders.itemCount", { count: order.items.length })}
                             </p>
                           )}
                         </div>
@@ -716,37 +718,37 @@ Order again from this restaurant in the ${companyName} app.`
                   <div className="space-y-1.5">
                     {order.subtotal > 0 && (
                       <div className="flex justify-between text-xs">
-                        <span className="text-gray-600">Subtotal</span>
+                        <span className="text-gray-600">{t("user.orders.subtotal")}</span>
                         <span className="text-gray-800 font-medium">₹{order.subtotal.toFixed(2)}</span>
                       </div>
                     )}
                     {order.deliveryFee > 0 && (
                       <div className="flex justify-between text-xs">
-                        <span className="text-gray-600">Delivery Fee</span>
+                        <span className="text-gray-600">{t("user.cart.deliveryFee")}</span>
                         <span className="text-gray-800 font-medium">₹{order.deliveryFee.toFixed(2)}</span>
                       </div>
                     )}
                     {order.tax > 0 && (
                       <div className="flex justify-between text-xs">
-                        <span className="text-gray-600">Tax</span>
+                        <span className="text-gray-600">{t("user.orders.tax")}</span>
                         <span className="text-gray-800 font-medium">₹{order.tax.toFixed(2)}</span>
                       </div>
                     )}
                     {order.pricing?.discount > 0 && (
                       <div className="flex justify-between text-xs">
-                        <span className="text-green-600">Discount</span>
+                        <span className="text-green-600">{t("user.cart.discount")}</span>
                         <span className="text-green-600 font-medium">-₹{order.pricing.discount.toFixed(2)}</span>
                       </div>
                     )}
                     {order.pricing?.couponCode && (
                       <div className="flex justify-between text-xs">
-                        <span className="text-gray-600">Coupon Applied</span>
+                        <span className="text-gray-600">{t("user.orders.couponApplied")}</span>
                         <span className="text-gray-800 font-medium">{order.pricing.couponCode}</span>
                       </div>
                     )}
                     <div className="border-t border-gray-200 pt-1.5 mt-1.5">
                       <div className="flex justify-between">
-                        <span className="text-sm font-semibold text-gray-800">Total</span>
+                        <span className="text-sm font-semibold text-gray-800">{t("user.cart.total")}</span>
                         <span className="text-base font-bold text-gray-900">₹{order.total.toFixed(2)}</span>
                       </div>
                     </div>
@@ -756,16 +758,16 @@ Order again from this restaurant in the ${companyName} app.`
                 {/* Date and Payment Info */}
                 <div className="px-4 py-2 flex items-center justify-between">
                   <div className="flex-1">
-                    <p className="text-xs text-gray-400">Order placed on {formatDate(order.createdAt)}</p>
+                    <p className="text-xs text-gray-400">{t("user.orders.placedOn", { date: formatDate(order.createdAt) })}</p>
                     {order.deliveredAt && (
-                      <p className="text-xs text-gray-400 mt-0.5">Delivered on {formatDate(order.deliveredAt)}</p>
+                      <p className="text-xs text-gray-400 mt-0.5">{t("user.orders.deliveredOn", { date: formatDate(order.deliveredAt) })}</p>
                     )}
                     {order.payment && (
                       <p className="text-xs text-gray-500 mt-1">
-                        Payment: <span className="font-medium capitalize">
-                          {order.payment.method === 'cash' || order.payment.method === 'cod' ? 'Cash on Delivery' :
-                           order.payment.method === 'wallet' ? 'Wallet' :
-                           order.payment.method === 'razorpay' ? 'Online' :
+                        {t("user.orders.payment")} <span className="font-medium capitalize">
+                          {order.payment.method === 'cash' || order.payment.method === 'cod' ? t("user.orders.cashOnDelivery") :
+                           order.payment.method === 'wallet' ? t("user.cart.wallet") :
+                           order.payment.method === 'razorpay' ? t("user.orders.online") :
                            order.payment.method || 'N/A'}
                         </span>
                         {order.payment.status && (
@@ -781,22 +783,22 @@ Order again from this restaurant in the ${companyName} app.`
                       </p>
                     )}
                     {isDelivered && !paymentFailed && (
-                      <p className="text-xs font-medium text-green-600 mt-1">✓ Delivered</p>
+                      <p className="text-xs font-medium text-green-600 mt-1">✓ {t("user.orders.delivered")}</p>
                     )}
                     {isRestaurantCancelled && (
-                      <p className="text-xs font-medium text-red-500 mt-1">✗ Restaurant Cancelled</p>
+                      <p className="text-xs font-medium text-red-500 mt-1">✗ {t("user.orders.restaurantCancelled")}</p>
                     )}
                     {isUserCancelled && (
-                      <p className="text-xs font-medium text-gray-500 mt-1">✗ Cancelled by you</p>
+                      <p className="text-xs font-medium text-gray-500 mt-1">✗ {t("user.orders.cancelledByYou")}</p>
                     )}
                     {isCancelled && !isRestaurantCancelled && !isUserCancelled && (
-                      <p className="text-xs font-medium text-gray-500 mt-1">✗ Cancelled</p>
+                      <p className="text-xs font-medium text-gray-500 mt-1">✗ {t("user.orders.cancelled")}</p>
                     )}
                   </div>
                   <div className="flex items-center ml-4">
                     <Link to={`/user/orders/${order.id}`}>
                       <button className="text-xs text-red-500 font-medium hover:text-red-600 flex items-center gap-1">
-                        View Details
+                        {t("user.orders.viewDetails")}
                         <ChevronRight className="w-4 h-4" />
                       </button>
                     </Link>
@@ -815,21 +817,21 @@ Order again from this restaurant in the ${companyName} app.`
                         <div className="bg-red-100 p-1 rounded-full">
                           <AlertCircle className="w-4 h-4 text-red-500" />
                         </div>
-                        <span className="text-xs font-semibold text-red-500">Restaurant Cancelled</span>
+                        <span className="text-xs font-semibold text-red-500">{t("user.orders.restaurantCancelled")}</span>
                       </div>
-                      <p className="text-xs text-gray-600 ml-7">Refund will be processed in 24-48 hours</p>
+                      <p className="text-xs text-gray-600 ml-7">{t("user.orders.refundInfo")}</p>
                     </div>
                   ) : paymentFailed ? (
                     <div className="flex items-center gap-2">
                       <div className="bg-red-100 p-1 rounded-full">
                         <AlertCircle className="w-4 h-4 text-red-500" />
                       </div>
-                      <span className="text-xs font-semibold text-red-500">Payment failed</span>
+                      <span className="text-xs font-semibold text-red-500">{t("user.orders.paymentFailed")}</span>
                     </div>
                   ) : isDelivered && order.rating ? (
                     <div>
                       <div className="flex items-center gap-1">
-                        <span className="text-sm text-gray-800">You rated</span>
+                        <span className="text-sm text-gray-800">{t("user.orders.youRated")}</span>
                         <div className="flex bg-yellow-400 text-white px-1 rounded text-[10px] items-center gap-0.5 h-4">
                           {order.rating}<Star className="w-2 h-2 fill-current" />
                         </div>
@@ -837,23 +839,23 @@ Order again from this restaurant in the ${companyName} app.`
                     </div>
                   ) : isDelivered ? (
                     <div>
-                      <p className="text-xs text-gray-500">Order delivered</p>
+                      <p className="text-xs text-gray-500">{t("user.orders.orderDelivered")}</p>
                       <button
                         type="button"
                         onClick={() => handleOpenRating(order)}
                         className="text-xs text-red-500 font-medium mt-0.5 flex items-center"
                       >
-                        Rate order <span className="ml-0.5">▸</span>
+                        {t("user.orders.rateOrder")} <span className="ml-0.5">▸</span>
                       </button>
                     </div>
                   ) : (
                     <div>
-                      <p className="text-xs text-gray-500">{order.status === 'preparing' ? 'Preparing' : order.status === 'outForDelivery' ? 'Out for delivery' : order.status === 'confirmed' ? 'Order confirmed' : ''}</p>
+                      <p className="text-xs text-gray-500">{order.status === 'preparing' ? t("user.orders.preparing") : order.status === 'outForDelivery' ? t("user.orders.outForDelivery") : order.status === 'confirmed' ? t("user.orders.confirmed") : ''}</p>
                       {/* Countdown Timer */}
                       {countdowns[order.id] && countdowns[order.id] > 0 && (
                         <div className="flex items-center gap-1 mt-1 text-xs text-orange-600 font-medium">
                           <Clock size={12} />
-                          <span>{countdowns[order.id]} min{countdowns[order.id] !== 1 ? 's' : ''} remaining</span>
+                          <span>{t("user.orders.minutesRemaining", { count: countdowns[order.id] })}</span>
                         </div>
                       )}
                     </div>
@@ -866,7 +868,7 @@ Order again from this restaurant in the ${companyName} app.`
                       className="bg-[#E23744] hover:bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-1 shadow-sm transition-colors"
                     >
                       <RotateCcw className="w-3.5 h-3.5" />
-                      Reorder
+                      {t("user.orders.reorder")}
                     </button>
                   )}
                 </div>
@@ -890,7 +892,7 @@ Order again from this restaurant in the ${companyName} app.`
               <div className="flex items-center justify-between mb-2">
                 <h2 className="text-xl font-bold text-white flex items-center gap-2">
                   <Star className="w-5 h-5 fill-white" />
-                  Rate Your Order
+                  {t("user.orders.rateTitle")}
                 </h2>
                 <button
                   type="button"
@@ -901,7 +903,7 @@ Order again from this restaurant in the ${companyName} app.`
                 </button>
               </div>
               <p className="text-sm text-white/90">
-                {ratingModal.order.restaurant} • Order #{ratingModal.order.id}
+                {ratingModal.order.restaurant} • {t("user.orders.orderNumber", { id: ratingModal.order.id })}
               </p>
             </div>
 
@@ -909,7 +911,7 @@ Order again from this restaurant in the ${companyName} app.`
               {/* Star rating (1–5) */}
               <div className="mb-6">
                 <p className="text-sm font-semibold text-gray-900 mb-4 text-center">
-                  How was your overall experience?
+                  {t("user.orders.ratingQuestion")}
                 </p>
                 <div className="flex items-center justify-center gap-2 mb-3">
                   {Array.from({ length: 5 }, (_, i) => i + 1).map((num) => {
@@ -951,14 +953,14 @@ Order again from this restaurant in the ${companyName} app.`
               {/* Feedback textarea */}
               <div className="mb-6">
                 <label className="block text-sm font-semibold text-gray-900 mb-2">
-                  Share your feedback <span className="text-gray-400 font-normal">(Optional)</span>
+                  {t("user.orders.feedbackLabel")} <span className="text-gray-400 font-normal">({t("user.orders.optional")})</span>
                 </label>
                 <textarea
                   rows={4}
                   value={feedbackText}
                   onChange={(e) => setFeedbackText(e.target.value)}
                   className="w-full rounded-xl border-2 border-gray-200 px-4 py-3 text-sm text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#E23744] focus:border-[#E23744] resize-none transition-all"
-                  placeholder="What did you like or dislike about this order? Share your experience..."
+                  placeholder={t("user.orders.feedbackPlaceholder")}
                 />
                 <p className="text-xs text-gray-400 mt-1">Your feedback helps us improve our service</p>
               </div>
@@ -973,18 +975,18 @@ Order again from this restaurant in the ${companyName} app.`
                 {submittingRating ? (
                   <>
                     <Loader2 className="w-5 h-5 animate-spin" />
-                    Submitting...
+                    {t("user.orders.submitting")}
                   </>
                 ) : (
                   <>
                     <Star className="w-5 h-5 fill-white" />
-                    Submit Rating
+                    {t("user.orders.submitRating")}
                   </>
                 )}
               </button>
               
               {selectedRating === null && (
-                <p className="text-xs text-center text-red-500 mt-2">Please select a rating to continue</p>
+                <p className="text-xs text-center text-red-500 mt-2">{t("user.orders.selectRating")}</p>
               )}
             </div>
           </div>
@@ -13,12 +13,16 @@ import {
   RotateCcw,
   FileText,
   Receipt,
+  KeyRound,
+  HandCoins,
 } from "lucide-react"
 import { orderAPI, restaurantAPI } from "@/lib/api"
 import { toast } from "sonner"
 import { jsPDF } from "jspdf"
 import autoTable from "jspdf-autotable"
 import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
+import { downloadBlob, getBlobErrorMessage } from "@/lib/utils/download"
+import PostDeliveryTip from "../../components/PostDeliveryTip"
 
 export default function UserOrderDetails() {
   const navigate = useNavigate()
@@ -26,6 +30,7 @@ export default function UserOrderDetails() {
   const [order, setOrder] = useState(null)
   const [restaurant, setRestaurant] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [taxDocuments, setTaxDocuments] = useState([])
 
   useEffect(() => {
     const fetchOrderDetails = async () => {
@@ -46,6 +51,16 @@ export default function UserOrderDetails() {
 
         setOrder(orderData)
 
+        // GST invoice (and any credit notes) are issued once the order is delivered
+        if (orderData.status === "delivered") {
+          try {
+            const taxResponse = await orderAPI.getTaxDocuments(orderData._id || orderId)
+            setTaxDocuments(taxResponse?.data?.data?.documents || [])
+          } catch (taxError) {
+            console.warn("Failed to fetch tax documents:", taxError)
+          }
+        }
+
         // If restaurantId is just a string (not populated), fetch restaurant details separately
         const restaurantId = orderData.restaurantId
         if (restaurantId && typeof restaurantId === 'string' && !orderData.restaurant) {
@@ -201,6 +216,25 @@ export default function UserOrderDetails() {
     window.location.href = `tel:${restaurantPhone}`
   }
 
+  const handleDownloadTaxDocument = async (taxDocument) => {
+    try {
+      const response = await orderAPI.downloadTaxDocumentPdf(order._id || orderId, taxDocument._id)
+      downloadBlob(response.data, `${taxDocument.number.replace(/\//g, "-")}.pdf`)
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, "Failed to download document"))
+    }
+  }
+
+  // Prefer the GST tax invoice; orders without one get the order summary receipt
+  const handleDownloadInvoice = () => {
+    const invoice = taxDocuments.find((taxDocument) => taxDocument.documentType === "invoice")
+    if (invoice) {
+      handleDownloadTaxDocument(invoice)
+    } else {
+      handleDownloadSummary()
+    }
+  }
+
   const handleDownloadSummary = async () => {
     try {
       const companyName = await getCompanyNameAsync()
@@ -376,6 +410,73 @@ export default function UserOrderDetails() {
           </div>
         </div>
 
+        {/* Handover Code - only sent by the server while the order is on its way */}
+        {order.deliveryVerification?.otp && (
+          <div className="bg-white p-4 rounded-xl flex items-center justify-between gap-3 shadow-sm">
+            <div className="flex items-center gap-3">
+              <div className="bg-green-50 p-2 rounded-lg">
+                <KeyRound className="w-6 h-6 text-green-700" />
+              </div>
+              <div>
+                <h2 className="font-semibold text-gray-800">Delivery code</h2>
+                <p className="text-xs text-gray-500">Share this with the delivery partner at handover</p>
+              </div>
+            </div>
+            <span className="text-2xl font-bold tracking-[0.3em] text-gray-900">
+              {order.deliveryVerification.otp}
+            </span>
+          </div>
+        )}
+
+        {/* Doorstep photo when the order was delivered without the code */}
+        {order.deliveryVerification?.method === "photo" && order.deliveryVerification.photo?.url && (
+          <div className="bg-white p-4 rounded-xl flex items-center gap-3 shadow-sm">
+            <img
+              src={order.deliveryVerification.photo.url}
+              alt="Delivery proof"
+              className="w-14 h-14 rounded-lg object-cover"
+            />
+            <div>
+              <h2 className="font-semibold text-gray-800">Left at your doorstep</h2>
+              <a
+                href={order.deliveryVerification.photo.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-[#E23744] font-medium"
+              >
+                View delivery photo
+              </a>
+            </div>
+          </div>
+        )}
+
+        {/* Post-delivery tip for the delivery partner */}
+        {order.status === "delivered" && order.deliveryPartnerId && (
+          order.deliveryTip?.postDelivery?.status === "paid" ? (
+            <div className="bg-white p-4 rounded-xl flex items-center gap-3 shadow-sm">
+              <div className="bg-green-50 p-2 rounded-lg">
+                <HandCoins className="w-6 h-6 text-green-700" />
+              </div>
+              <div>
+                <h2 className="font-semibold text-gray-800">
+                  You tipped ₹{Number(order.deliveryTip.postDelivery.amount || 0).toFixed(0)}
+                </h2>
+                <p className="text-xs text-gray-500">Thank you! It went to your delivery partner in full</p>
+              </div>
+            </div>
+          ) : (
+            <PostDeliveryTip
+              orderId={order._id || orderId}
+              onTipped={(tip) =>
+                setOrder((prev) => ({
+                  ...prev,
+                  deliveryTip: { ...prev.deliveryTip, postDelivery: tip },
+                }))
+              }
+            />
+          )
+        )}
+
         {/* Restaurant Info Card */}
         <div className="bg-white p-4 rounded-xl shadow-sm">
           <div className="flex items-center justify-between mb-4">
@@ -499,6 +600,14 @@ export default function UserOrderDetails() {
                 ₹{Number(pricing.platformFee || 0).toFixed(2)}
               </span>
             </div>
+            {pricing.tip > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-500">Delivery partner tip</span>
+                <span className="text-gray-800">
+                  ₹{Number(pricing.tip).toFixed(2)}
+                </span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-500">Subscription / other fees</span>
               <span className="text-gray-800">
@@ -512,6 +621,27 @@ export default function UserOrderDetails() {
                 ₹{Number(pricing.total || 0).toFixed(2)}
               </span>
             </div>
+
+            {taxDocuments.length > 0 && (
+              <div className="border-t border-gray-100 pt-2 space-y-1">
+                {taxDocuments.map((taxDocument) => (
+                  <button
+                    key={taxDocument._id}
+                    type="button"
+                    onClick={() => handleDownloadTaxDocument(taxDocument)}
+                    className="w-full flex justify-between items-center text-xs text-gray-600 hover:text-[#E23744]"
+                  >
+                    <span className="flex items-center gap-1">
+                      <Receipt className="w-3.5 h-3.5" />
+                      {taxDocument.documentType === "invoice" ? "Tax invoice" : "Credit note"} {taxDocument.number}
+                    </span>
+                    <span>
+                      {taxDocument.documentType === "invoice" ? "" : "-"}₹{Number(taxDocument.grandTotal || 0).toFixed(2)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Savings Banner */}
@@ -614,7 +744,7 @@ export default function UserOrderDetails() {
         </button>
         <button
           type="button"
-          onClick={handleDownloadSummary}
+          onClick={handleDownloadInvoice}
           className="flex-1 bg-white border border-[#E23744] text-[#E23744] py-3 rounded-lg font-semibold flex items-center justify-center gap-2 hover:bg-red-50 transition-colors"
         >
           <Download className="w-4 h-4" />
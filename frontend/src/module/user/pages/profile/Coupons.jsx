@@ -1,9 +1,51 @@
+import { useState, useEffect } from "react"
 import { Link } from "react-router-dom"
-import { ArrowLeft, MapPin } from "lucide-react"
+import { ArrowLeft, MapPin, Copy, Tag } from "lucide-react"
+import { toast } from "sonner"
 import AnimatedPage from "../../components/AnimatedPage"
 import { Button } from "@/components/ui/button"
+import { couponAPI } from "@/lib/api"
+
+const PAYMENT_METHOD_LABELS = {
+  razorpay: "online",
+  cash: "cash on delivery",
+  wallet: "wallet",
+  pay_at_hotel: "pay at hotel",
+}
+
+const describeDiscount = (coupon) => {
+  if (coupon.discountType === "free_delivery") return "Free delivery"
+  if (coupon.discountType === "flat") return `₹${coupon.discountValue} OFF`
+  return `${coupon.discountValue}% OFF${coupon.maxDiscount ? ` up to ₹${coupon.maxDiscount}` : ""}`
+}
 
 export default function Coupons() {
+  const [coupons, setCoupons] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchCoupons = async () => {
+      try {
+        const response = await couponAPI.getAvailableCoupons()
+        setCoupons(response?.data?.data?.coupons || [])
+      } catch (error) {
+        console.error("Error fetching coupons:", error)
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchCoupons()
+  }, [])
+
+  const handleCopy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code)
+      toast.success(`Coupon ${code} copied`)
+    } catch {
+      toast.error("Could not copy coupon code")
+    }
+  }
+
   return (
     <AnimatedPage className="min-h-screen bg-[#f5f5f5] dark:bg-[#0a0a0a]">
       <div className="max-w-md mx-auto px-4 py-4">
@@ -17,7 +59,51 @@ export default function Coupons() {
           <h1 className="text-xl font-bold text-black dark:text-white">Your coupons</h1>
         </div>
 
-        {/* Empty State */}
+        {loading ? (
+          <div className="flex items-center justify-center min-h-[60vh]">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+          </div>
+        ) : coupons.length > 0 ? (
+          <div className="space-y-3">
+            {coupons.map((coupon) => (
+              <div
+                key={coupon._id}
+                className="bg-white dark:bg-[#1a1a1a] rounded-xl border border-dashed border-green-300 dark:border-green-800 p-4"
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex items-start gap-3">
+                    <div className="w-10 h-10 rounded-full bg-green-50 dark:bg-green-900/30 flex items-center justify-center shrink-0">
+                      <Tag className="h-5 w-5 text-green-600" />
+                    </div>
+                    <div>
+                      <p className="text-base font-bold text-black dark:text-white">{describeDiscount(coupon)}</p>
+                      <p className="text-sm text-gray-700 dark:text-gray-300">{coupon.title}</p>
+                      {coupon.description && (
+                        <p className="text-xs text-gray-500 mt-1">{coupon.description}</p>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleCopy(coupon.code)}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-400 text-xs font-mono font-semibold"
+                  >
+                    {coupon.code}
+                    <Copy className="h-3 w-3" />
+                  </button>
+                </div>
+                <div className="mt-3 pt-3 border-t border-gray-100 dark:border-gray-800 text-xs text-gray-500 space-y-0.5">
+                  {coupon.minOrderValue > 0 && <p>Valid on orders above ₹{coupon.minOrderValue}</p>}
+                  {coupon.firstOrderOnly && <p>Valid on your first order only</p>}
+                  {coupon.paymentMethods?.length > 0 && (
+                    <p>Pay by {coupon.paymentMethods.map((m) => PAYMENT_METHOD_LABELS[m] || m).join(" or ")}</p>
+                  )}
+                  {coupon.expiresAt && <p>Expires {new Date(coupon.expiresAt).toLocaleDateString()}</p>}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+        /* Empty State */
         <div className="flex flex-col items-center justify-center min-h-[60vh] px-4">
           {/* Circular Map Illustration */}
           <div className="relative mb-8">
@@ -153,6 +239,7 @@ export default function Coupons() {
             </p>
           </div>
         </div>
+        )}
       </div>
     </AnimatedPage>
   )
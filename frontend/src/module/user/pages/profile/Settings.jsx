@@ -5,8 +5,18 @@ import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card"
 import { Label } from "@/components/ui/label"
 import { Switch } from "@/components/ui/switch"
 import { Button } from "@/components/ui/button"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { useTranslation } from "@/lib/i18n/useTranslation"
 
 export default function Settings() {
+  const { t, language, setLanguage, languages } = useTranslation()
+
   return (
     <AnimatedPage className="min-h-screen bg-[#f5f5f5] dark:bg-[#0a0a0a] p-4">
       <div className="max-w-4xl mx-auto space-y-6">
@@ -16,33 +26,54 @@ export default function Settings() {
               <ArrowLeft className="h-5 w-5 text-black dark:text-white" />
             </Button>
           </Link>
-          <h1 className="text-lg sm:text-xl md:text-2xl font-bold text-black dark:text-white">Settings</h1>
+          <h1 className="text-lg sm:text-xl md:text-2xl font-bold text-black dark:text-white">{t("user.settings.title")}</h1>
         </div>
         <Card className="bg-white dark:bg-[#1a1a1a] border-0 dark:border-gray-800">
           <CardHeader>
-            <CardTitle className="text-gray-900 dark:text-white">Notifications & Preferences</CardTitle>
+            <CardTitle className="text-gray-900 dark:text-white">{t("user.settings.preferences")}</CardTitle>
           </CardHeader>
           <CardContent className="space-y-6">
             <div className="flex items-center justify-between">
               <div className="space-y-0.5">
-                <Label>Email Notifications</Label>
+                <Label>{t("user.settings.emailNotifications")}</Label>
                 <p className="text-sm text-muted-foreground">
-                  Receive updates about your orders via email
+                  {t("user.settings.emailNotificationsHint")}
                 </p>
               </div>
               <Switch defaultChecked />
             </div>
             <div className="flex items-center justify-between">
               <div className="space-y-0.5">
-                <Label>Push Notifications</Label>
+                <Label>{t("user.settings.pushNotifications")}</Label>
                 <p className="text-sm text-muted-foreground">
-                  Receive push notifications on your device
+                  {t("user.settings.pushNotificationsHint")}
                 </p>
               </div>
               <Switch defaultChecked />
             </div>
           </CardContent>
         </Card>
+        <Card className="bg-white dark:bg-[#1a1a1a] border-0 dark:border-gray-800">
+          <CardHeader>
+            <CardTitle className="text-gray-900 dark:text-white">{t("common.language.label")}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <p className="text-sm text-muted-foreground">{t("common.language.subtitle")}</p>
+            <Select value={language} onValueChange={setLanguage}>
+              <SelectTrigger className="h-11 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-[#1a1a1a] text-gray-900 dark:text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {languages.map((option) => (
+                  <SelectItem key={option.code} value={option.code}>
+                    {option.nativeName} ({option.name})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">{t("common.language.note")}</p>
+          </CardContent>
+        </Card>
       </div>
     </AnimatedPage>
   )
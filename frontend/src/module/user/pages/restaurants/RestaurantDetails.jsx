@@ -43,6 +43,14 @@ import { useCart } from "../../context/CartContext"
 import { useProfile } from "../../context/ProfileContext"
 import AddToCartAnimation from "../../components/AddToCartAnimation"
 import VariantSelector from "../../components/VariantSelector"
+import AddonGroupSelector from "../../components/AddonGroupSelector"
+import {
+  getAddonGroups,
+  getDefaultAddonSelection,
+  calculateAddonsTotal,
+  validateAddonSelection,
+  getCustomizationKey,
+} from "../../utils/addonSelection"
 import { getCompanyNameAsync } from "@/lib/utils/businessSettings"
 import { isModuleAuthenticated } from "@/lib/utils/auth"
 
@@ -84,6 +92,10 @@ export default function RestaurantDetails() {
   })
   const [selectedVariant, setSelectedVariant] = useState(null)
   const [variantError, setVariantError] = useState(false)
+  // Item-level add-on groups selected in the item detail modal
+  const [selectedAddons, setSelectedAddons] = useState([])
+  const [addonError, setAddonError] = useState(null)
+  const [specialInstructions, setSpecialInstructions] = useState("")
 
   // Restaurant data state
   const [restaurant, setRestaurant] = useState(null)
@@ -745,6 +757,9 @@ export default function RestaurantDetails() {
 
   // When item detail modal opens: reset variant selection, auto-select if only one variant
   useEffect(() => {
+    setSelectedAddons(selectedItem ? getDefaultAddonSelection(selectedItem) : [])
+    setAddonError(null)
+    setSpecialInstructions("")
     if (!selectedItem) {
       setSelectedVariant(null)
       setVariantError(false)
@@ -760,9 +775,16 @@ export default function RestaurantDetails() {
     }
   }, [selectedItem])
 
+  // Total quantity of a product across all its cart lines (variants / customizations)
+  const getProductCartQuantity = (productId) =>
+    cart
+      .filter((cartItem) => String(cartItem.productId ?? cartItem.id) === String(productId))
+      .reduce((sum, cartItem) => sum + (cartItem.quantity || 0), 0)
+
   // Helper function to update item quantity in both local state and cart
   // variantOverride: { id, name, price } when item has variations and user selected one
-  const updateItemQuantity = (item, newQuantity, event = null, variantOverride = null) => {
+  // customization: { selectedAddons, specialInstructions } chosen in the item detail modal
+  const updateItemQuantity = (item, newQuantity, event = null, variantOverride = null, customization = null) => {
     // Check authentication
     if (!isModuleAuthenticated('user')) {
       toast.error("Please login to add items to cart")
@@ -785,8 +807,22 @@ export default function RestaurantDetails() {
       return
     }
 
-    const cartItemId = getCartItemId(item.id, variantOverride?.id)
+    // Items with add-on groups are customized in the detail modal
+    const itemAddons = customization?.selectedAddons || []
+    if (getAddonGroups(item).length > 0 && newQuantity > 0) {
+      const selectionError = validateAddonSelection(item, itemAddons)
+      if (selectionError) {
+        setAddonError(selectionError)
+        toast.error(selectionError)
+        return
+      }
+    }
+    const itemInstructions = (customization?.specialInstructions || "").trim()
+    const customizationKey = getCustomizationKey(itemAddons, itemInstructions)
+
+    const cartItemId = getCartItemId(item.id, variantOverride?.id, customizationKey)
     const effectivePrice = variantOverride ? (variantOverride.price ?? item.price) : item.price
+    const addonsTotal = calculateAddonsTotal(itemAddons)
 
     setQuantities((prev) => ({
       ...prev,
@@ -829,6 +865,12 @@ export default function RestaurantDetails() {
         selectedVariantId: variantOverride.id,
         selectedVariantName: variantOverride.name,
       }),
+      ...(customizationKey && {
+        customizationKey,
+        selectedAddons: itemAddons,
+        addonsTotal,
+        specialInstructions: itemInstructions,
+      }),
     }
 
     // Get source position for animation from event target
@@ -1691,9 +1733,10 @@ export default function RestaurantDetails() {
                   {isExpanded && section.items && section.items.length > 0 && (
                     <div className="space-y-0">
                       {sortMenuItems(filterMenuItems(section.items)).map((item, itemIndex) => {
-                        const hasVariants = (item?.variations || []).length > 0
+                        // Items with variants or add-on groups are added through the detail modal
+                        const hasVariants = (item?.variations || []).length > 0 || getAddonGroups(item).length > 0
                         const quantity = hasVariants
-                          ? (item?.variations || []).reduce((sum, v) => sum + (quantities[getCartItemId(item.id, v.id)] || 0), 0)
+                          ? getProductCartQuantity(item.id)
                           : (quantities[item.id] || 0)
                         const isVeg = item.foodType === "Veg"
 
@@ -1937,9 +1980,9 @@ export default function RestaurantDetails() {
                             {isSubsectionExpanded && subsection.items && subsection.items.length > 0 && (
                               <div className="space-y-0">
                                 {sortMenuItems(filterMenuItems(subsection.items)).map((item, itemIndex) => {
-                                  const hasVariantsSub = (item?.variations || []).length > 0
+                                  const hasVariantsSub = (item?.variations || []).length > 0 || getAddonGroups(item).length > 0
                                   const quantity = hasVariantsSub
-                                    ? (item?.variations || []).reduce((sum, v) => sum + (quantities[getCartItemId(item.id, v.id)] || 0), 0)
+                                    ? getProductCartQuantity(item.id)
                                     : (quantities[item.id] || 0)
                                   const isVeg = item.foodType === "Veg"
 
@@ -2822,6 +2865,41 @@ export default function RestaurantDetails() {
                         )}
                       </div>
                     )}
+
+                    {/* Add-on groups - extras / removals configured per item */}
+                    {getAddonGroups(selectedItem).length > 0 && (
+                      <div className="mb-4">
+                        <AddonGroupSelector
+                          item={selectedItem}
+                          selectedAddons={selectedAddons}
+                          onChange={(next) => {
+                            setSelectedAddons(next)
+                            setAddonError(null)
+                          }}
+                          disabled={shouldShowGrayscale}
+                        />
+                        {addonError && (
+                          <p className="text-sm text-red-500 dark:text-red-400 mt-2">{addonError}</p>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Cooking instructions (e.g. "no onions") */}
+                    {selectedItem?.allowSpecialInstructions !== false && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Cooking instructions (optional)
+                        </p>
+                        <textarea
+                          value={specialInstructions}
+                          onChange={(e) => setSpecialInstructions(e.target.value.slice(0, 250))}
+                          rows={2}
+                          placeholder="e.g. No onions, less spicy"
+                          disabled={shouldShowGrayscale}
+                          className="w-full text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-[#2a2a2a] text-gray-900 dark:text-white px-3 py-2 resize-none focus:outline-none focus:border-red-500"
+                        />
+                      </div>
+                    )}
                   </div>
 
                   {/* Bottom Action Bar */}
@@ -2829,13 +2907,16 @@ export default function RestaurantDetails() {
                     <div className="flex items-center gap-4">
                       {(() => {
                         const itemHasVariants = (selectedItem?.variations || []).length > 0
-                        const modalCartItemId = itemHasVariants && selectedVariant
-                          ? getCartItemId(selectedItem.id, selectedVariant.id)
-                          : selectedItem?.id
+                        const modalCustomization = { selectedAddons, specialInstructions }
+                        const modalCartItemId = getCartItemId(
+                          selectedItem?.id,
+                          itemHasVariants && selectedVariant ? selectedVariant.id : null,
+                          getCustomizationKey(selectedAddons, specialInstructions.trim())
+                        )
                         const modalQuantity = quantities[modalCartItemId] || 0
-                        const displayPrice = itemHasVariants && selectedVariant
+                        const displayPrice = (itemHasVariants && selectedVariant
                           ? (selectedVariant.price ?? selectedItem.price)
-                          : selectedItem?.price
+                          : selectedItem?.price) + calculateAddonsTotal(selectedAddons)
                         const canAdd = !itemHasVariants || (itemHasVariants && selectedVariant)
                         return (
                           <>
@@ -2847,7 +2928,7 @@ export default function RestaurantDetails() {
                               <button
                                 onClick={(e) => {
                                   if (!shouldShowGrayscale && canAdd) {
-                                    updateItemQuantity(selectedItem, Math.max(0, modalQuantity - 1), e, itemHasVariants ? selectedVariant : null)
+                                    updateItemQuantity(selectedItem, Math.max(0, modalQuantity - 1), e, itemHasVariants ? selectedVariant : null, modalCustomization)
                                   }
                                 }}
                                 disabled={modalQuantity === 0 || shouldShowGrayscale || !canAdd}
@@ -2867,7 +2948,7 @@ export default function RestaurantDetails() {
                               <button
                                 onClick={(e) => {
                                   if (!shouldShowGrayscale && canAdd) {
-                                    updateItemQuantity(selectedItem, modalQuantity + 1, e, itemHasVariants ? selectedVariant : null)
+                                    updateItemQuantity(selectedItem, modalQuantity + 1, e, itemHasVariants ? selectedVariant : null, modalCustomization)
                                   }
                                 }}
                                 disabled={shouldShowGrayscale || !canAdd}
@@ -2893,7 +2974,7 @@ export default function RestaurantDetails() {
                                   return
                                 }
                                 if (!shouldShowGrayscale) {
-                                  updateItemQuantity(selectedItem, modalQuantity + 1, e, itemHasVariants ? selectedVariant : null)
+                                  updateItemQuantity(selectedItem, modalQuantity + 1, e, itemHasVariants ? selectedVariant : null, modalCustomization)
                                   setShowItemDetail(false)
                                 }
                               }}
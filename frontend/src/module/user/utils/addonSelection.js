@@ -0,0 +1,104 @@
+/**
+ * Item add-on group helpers (user side)
+ *
+ * Selections are kept as [{ groupId, optionId, name, price }]. Prices here are
+ * for display only - the backend re-prices add-ons from the menu on /order/calculate.
+ */
+
+/**
+ * Only orderable options of an item's add-on groups
+ * @param {Object} item - Menu item
+ * @returns {Array} Groups with available options
+ */
+export function getAddonGroups(item) {
+  return (item?.addonGroups || [])
+    .map((group) => ({
+      ...group,
+      options: (group.options || []).filter((option) => option.isAvailable !== false),
+    }))
+    .filter((group) => group.options.length > 0)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+}
+
+/**
+ * Default selection (options flagged isDefault)
+ * @param {Object} item - Menu item
+ * @returns {Array}
+ */
+export function getDefaultAddonSelection(item) {
+  const selection = []
+  getAddonGroups(item).forEach((group) => {
+    group.options
+      .filter((option) => option.isDefault)
+      .slice(0, group.maxSelections || 1)
+      .forEach((option) => {
+        selection.push({ groupId: group.id, optionId: option.id, name: option.name, price: option.price || 0 })
+      })
+  })
+  return selection
+}
+
+/**
+ * Per-unit add-on total for display
+ * @param {Array} selectedAddons
+ * @returns {number}
+ */
+export function calculateAddonsTotal(selectedAddons = []) {
+  return selectedAddons.reduce((sum, addon) => sum + (Number(addon.price) || 0) * (addon.quantity || 1), 0)
+}
+
+/**
+ * First unmet group rule, or null when the selection is valid
+ * @param {Object} item - Menu item
+ * @param {Array} selectedAddons
+ * @returns {string|null} Error message
+ */
+export function validateAddonSelection(item, selectedAddons = []) {
+  for (const group of getAddonGroups(item)) {
+    const count = selectedAddons.filter((addon) => addon.groupId === group.id).length
+    const minSelections = group.isRequired ? Math.max(1, group.minSelections || 0) : (group.minSelections || 0)
+    if (count < minSelections) {
+      return minSelections === 1
+        ? `Please choose an option in "${group.name}"`
+        : `Please choose at least ${minSelections} options in "${group.name}"`
+    }
+    if (group.maxSelections && count > group.maxSelections) {
+      return `You can choose up to ${group.maxSelections} options in "${group.name}"`
+    }
+  }
+  return null
+}
+
+/**
+ * Stable key so different customizations of the same item become separate cart lines
+ * @param {Array} selectedAddons
+ * @param {string} specialInstructions
+ * @returns {string} Empty string when the item is not customized
+ */
+export function getCustomizationKey(selectedAddons = [], specialInstructions = "") {
+  const addonPart = selectedAddons
+    .map((addon) => `${addon.groupId}:${addon.optionId}`)
+    .sort()
+    .join(",")
+  const note = (specialInstructions || "").trim().toLowerCase()
+  if (!addonPart && !note) return ""
+
+  // Short deterministic hash keeps cart ids readable
+  const source = `${addonPart}|${note}`
+  let hash = 0
+  for (let i = 0; i < source.length; i++) {
+    hash = (hash * 31 + source.charCodeAt(i)) | 0
+  }
+  return Math.abs(hash).toString(36)
+}
+
+/**
+ * Human readable summary, e.g. "Extra cheese, Olives"
+ * @param {Array} selectedAddons
+ * @returns {string}
+ */
+export function formatAddonSummary(selectedAddons = []) {
+  return selectedAddons
+    .map((addon) => (addon.quantity > 1 ? `${addon.name} x${addon.quantity}` : addon.name))
+    .join(", ")
+}